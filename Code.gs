@@ -1,10 +1,12 @@
 /**
- * Looker Studio Community Connector for TikTok User Info & Video Info API
- * Version: 9.0.0 (Production-ready with enhanced security)
+ * Looker Studio Community Connector for Social Insights Studio
+ * Version: 10.0.0
  * 
- * Description: This connector retrieves user and video information from the TikTok API
- * and makes it available in Looker Studio. It uses a backend service for TikTok
- * authentication, data fetching, and schema definition with improved security and reliability.
+ * Description: In the default "tiktok" mode this connector retrieves user and video
+ * information from the legacy TikTok backend routes. In "workspace" mode it authenticates
+ * with a personal workspace API token and reads stored daily snapshots for every connected
+ * provider, with a schema generated by the backend from the platform metric definitions.
+ * Set the CONNECTOR_MODE script property to "workspace" to enable the workspace mode.
  */
 
 // Global connector instance
@@ -17,6 +19,10 @@ const BACKEND_API_BASE_URL = null;
 const MAX_VIDEOS_TO_FETCH = 200; // Safe default limit to prevent excessive API usage
 const MAX_API_RETRIES = 3;
 const API_RATE_LIMIT_DELAY_MS = 500;
+const WORKSPACE_MODE = 'workspace';
+const WORKSPACE_TOKEN_PROPERTY = 'WORKSPACE_API_TOKEN';
+const WORKSPACE_ID_PROPERTY = 'WORKSPACE_ID';
+const ALL_RESOURCES = 'all';
 
 // ------------------------ Connector Configuration ------------------------
 
@@ -25,6 +31,13 @@ const API_RATE_LIMIT_DELAY_MS = 500;
  * @return {object} The AuthType response.
  */
 function getAuthType() {
+  if (isWorkspaceMode()) {
+    return cc
+      .newAuthTypeResponse()
+      .setAuthType(cc.AuthType.KEY)
+      .setHelpUrl(getBackendBaseUrl() + '/?view=account')
+      .build();
+  }
   return cc
     .newAuthTypeResponse()
     .setAuthType(cc.AuthType.OAUTH2)
@@ -37,6 +50,9 @@ function getAuthType() {
  * @return {object} The configuration object.
  */
 function getConfig(request) {
+  if (isWorkspaceMode()) {
+    return getWorkspaceConfig(request);
+  }
   const service = getOAuthService();
   if (!service.hasAccess()) {
     return { errorCode: "OAUTH_LOGIN_REQUIRED", isAuthValid: false };
@@ -95,6 +111,12 @@ function authCallback(request) {
  * Resets the OAuth2 service.
  */
 function resetAuth() {
+  if (isWorkspaceMode()) {
+    const userProps = PropertiesService.getUserProperties();
+    userProps.deleteProperty(WORKSPACE_TOKEN_PROPERTY);
+    userProps.deleteProperty(WORKSPACE_ID_PROPERTY);
+    return;
+  }
   const service = getOAuthService();
   service.reset();
 }
@@ -104,9 +126,30 @@ function resetAuth() {
  * @return {boolean} True if authorized.
  */
 function isAuthValid() {
+  if (isWorkspaceMode()) {
+    const token = PropertiesService.getUserProperties().getProperty(WORKSPACE_TOKEN_PROPERTY);
+    return Boolean(token && fetchWorkspaceTokenInfo(token));
+  }
   return getOAuthService().hasAccess();
 }
 
+/**
+ * Stores a personal workspace API token after checking it with the backend.
+ * @param {object} request The credentials request containing the key.
+ * @return {object} The set credentials response.
+ */
+function setCredentials(request) {
+  const token = request && request.key ? String(request.key).trim() : '';
+  const tokenInfo = token ? fetchWorkspaceTokenInfo(token) : null;
+  if (!tokenInfo) {
+    return { errorCode: 'INVALID_CREDENTIALS' };
+  }
+  const userProps = PropertiesService.getUserProperties();
+  userProps.setProperty(WORKSPACE_TOKEN_PROPERTY, token);
+  userProps.setProperty(WORKSPACE_ID_PROPERTY, tokenInfo.workspace.id);
+  return { errorCode: 'NONE' };
+}
+
 /**
  * Returns the schema for the connector.
  * @param {object} request The request parameters.
@@ -114,7 +157,7 @@ function isAuthValid() {
  */
 function getSchema(request) {
   try {
-    var fields = getFields();
+    var fields = isWorkspaceMode() ? getWorkspaceFields(request) : getFields();
     return { schema: fields.build() };
   } catch (e) {
     logError('Error in getSchema', e);
@@ -387,6 +430,10 @@ function getData(request) {
       .throwException();
   }
 
+  if (isWorkspaceMode()) {
+    return getWorkspaceData(request);
+  }
+
   try {
     const backendAccessToken = getBackendAccessToken();
 
@@ -624,6 +671,216 @@ function formatFieldValue(value, fieldType) {
   }
 }
 
+// ------------------------ Workspace Mode ------------------------
+
+/**
+ * Checks whether the connector reads from a platform workspace.
+ * @return {boolean} True when CONNECTOR_MODE is "workspace".
+ */
+function isWorkspaceMode() {
+  const mode = PropertiesService.getScriptProperties().getProperty('CONNECTOR_MODE');
+  return String(mode || '').trim().toLowerCase() === WORKSPACE_MODE;
+}
+
+/**
+ * Calls a read-only workspace API route with the stored API token.
+ * @param {string} path The API path, starting with /api/.
+ * @param {string} token The personal API token.
+ * @return {HTTPResponse} The HTTPResponse object.
+ */
+function fetchWorkspaceApi(path, token) {
+  return fetchWithRetry(getBackendBaseUrl() + path, {
+    method: 'GET',
+    headers: { 'Authorization': 'Bearer ' + token },
+    muteHttpExceptions: true,
+    validateHttpsCertificates: true
+  });
+}
+
+/**
+ * Looks up the workspace and owner of a personal API token.
+ * @param {string} token The personal API token.
+ * @return {object|null} The token details or null when the token is not accepted.
+ */
+function fetchWorkspaceTokenInfo(token) {
+  try {
+    const response = fetchWorkspaceApi('/api/api-tokens/current', token);
+    if (response.getResponseCode() !== 200) {
+      return null;
+    }
+    const data = safeJsonParse(response.getContentText());
+    return data && data.workspace ? data : null;
+  } catch (e) {
+    logError('API token check failed', e);
+    return null;
+  }
+}
+
+/**
+ * Fetches a workspace Looker Studio route and raises user errors for failures.
+ * @param {string} route The route below /looker-studio/, including any query string.
+ * @return {object} The parsed JSON response.
+ */
+function fetchWorkspaceLookerData(route) {
+  const userProps = PropertiesService.getUserProperties();
+  const token = userProps.getProperty(WORKSPACE_TOKEN_PROPERTY);
+  const workspaceId = userProps.getProperty(WORKSPACE_ID_PROPERTY);
+  if (!token || !workspaceId) {
+    cc.newUserError()
+      .setDebugText('Missing workspace API token')
+      .setText('Enter a personal API token from Social Insights Studio to use this connector.')
+      .throwException();
+  }
+  const path = `/api/workspaces/${encodeURIComponent(workspaceId)}/looker-studio/${route}`;
+  const response = fetchWorkspaceApi(path, token);
+  const responseCode = response.getResponseCode();
+  const data = parseBackendJsonResponse(response, `looker-studio/${route.split('?')[0]}`);
+  if (responseCode === 401 || responseCode === 403) {
+    cc.newUserError()
+      .setDebugText(`Workspace API rejected the token: ${data.error}`)
+      .setText('The API token is expired, revoked, or no longer has access to this workspace. Reset the connector credentials and enter a new token.')
+      .throwException();
+  }
+  if (responseCode !== 200) {
+    cc.newUserError()
+      .setDebugText(`Workspace API error (${responseCode}): ${data.error} | Route: ${route}`)
+      .setText(`Failed to retrieve workspace data (${data.error || responseCode}).`)
+      .throwException();
+  }
+  return data;
+}
+
+/**
+ * Builds the stepped workspace configuration: provider first, then resource.
+ * @param {object} request The request parameters.
+ * @return {object} The configuration object.
+ */
+function getWorkspaceConfig(request) {
+  const configParams = (request && request.configParams) || {};
+  const workspaceConfig = fetchWorkspaceLookerData('config');
+  const config = cc.getConfig();
+
+  config.newInfo()
+    .setId('workspace')
+    .setText(`Workspace: ${workspaceConfig.workspace.name}`);
+
+  const providerSelect = config.newSelectSingle()
+    .setId('provider')
+    .setName('Provider')
+    .setHelpText('Choose the connected provider to report on.')
+    .setIsDynamic(true);
+  workspaceConfig.providers.forEach(provider => {
+    providerSelect.addOption(config.newOptionBuilder().setLabel(provider.name).setValue(provider.provider));
+  });
+
+  const selectedProvider = workspaceConfig.providers.find(provider => provider.provider === configParams.provider);
+  if (!selectedProvider) {
+    config.setIsSteppedConfig(true);
+    return config.build();
+  }
+
+  const resourceSelect = config.newSelectSingle()
+    .setId('resource')
+    .setName('Resource')
+    .setHelpText('Choose one account, channel, Page, or property, or all of them.');
+  resourceSelect.addOption(config.newOptionBuilder().setLabel('All resources').setValue(ALL_RESOURCES));
+  selectedProvider.resources.forEach(resource => {
+    resourceSelect.addOption(config.newOptionBuilder().setLabel(resource.name).setValue(resource.data_source_id));
+  });
+
+  config.setDateRangeRequired(true);
+  config.setIsSteppedConfig(false);
+  return config.build();
+}
+
+/**
+ * Fetches the backend-generated schema for the configured provider.
+ * @param {object} request The request parameters.
+ * @return {object} The backend schema response.
+ */
+function fetchWorkspaceSchema(request) {
+  const configParams = (request && request.configParams) || {};
+  if (!configParams.provider) {
+    cc.newUserError()
+      .setDebugText('Missing provider config parameter')
+      .setText('Choose a provider in the connector configuration.')
+      .throwException();
+  }
+  return fetchWorkspaceLookerData(`schema?provider=${encodeURIComponent(configParams.provider)}`);
+}
+
+/**
+ * Converts the backend workspace schema into Looker Studio fields.
+ * @param {object} request The request parameters.
+ * @return {Fields} The Fields object containing all field definitions.
+ */
+function getWorkspaceFields(request) {
+  const fields = cc.getFields();
+  const types = cc.FieldType;
+  const aggregations = cc.AggregationType;
+  fetchWorkspaceSchema(request).fields.forEach(field => {
+    const definition = field.concept === 'DIMENSION' ? fields.newDimension() : fields.newMetric();
+    definition
+      .setId(field.id)
+      .setName(field.label)
+      .setDescription(field.description || '')
+      .setType(types[field.type] || types.NUMBER);
+    if (field.concept === 'METRIC' && aggregations[field.aggregation]) {
+      definition.setAggregation(aggregations[field.aggregation]);
+    }
+  });
+  return fields;
+}
+
+/**
+ * Returns stored workspace snapshots for the requested fields and date range.
+ * @param {object} request The request parameters.
+ * @return {object} The data response.
+ */
+function getWorkspaceData(request) {
+  const configParams = request.configParams || {};
+  const requestedFields = getWorkspaceFields(request).forIds(request.fields.map(f => f.name));
+  const fieldIds = requestedFields.asArray().map(field => field.getId());
+  const query = [
+    `provider=${encodeURIComponent(configParams.provider)}`,
+    `from=${encodeURIComponent(request.dateRange.startDate)}`,
+    `to=${encodeURIComponent(request.dateRange.endDate)}`,
+    `fields=${encodeURIComponent(fieldIds.join(','))}`
+  ];
+  if (configParams.resource && configParams.resource !== ALL_RESOURCES) {
+    query.push(`data_source_id=${encodeURIComponent(configParams.resource)}`);
+  }
+  const data = fetchWorkspaceLookerData(`data?${query.join('&')}`);
+  const fieldTypes = requestedFields.asArray().map(field => field.getType());
+  return {
+    schema: requestedFields.build(),
+    rows: data.rows.map(row => ({
+      values: row.map((value, index) => formatWorkspaceValue(value, fieldTypes[index]))
+    }))
+  };
+}
+
+/**
+ * Formats workspace API values for Looker Studio.
+ * @param {*} value The raw value from the workspace API.
+ * @param {string} fieldType The FieldType constant.
+ * @return {*} The formatted value.
+ */
+function formatWorkspaceValue(value, fieldType) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const types = cc.FieldType;
+  if (fieldType === types.YEAR_MONTH_DAY) {
+    return String(value).replace(/-/g, '');
+  }
+  if (fieldType === types.TEXT) {
+    return String(value);
+  }
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+}
+
 // ------------------------ API Utilities ------------------------
 
 /**
@@ -4,14 +4,21 @@ import {
   Activity,
   AlertCircle,
   ArrowLeft,
+  AtSign,
   BarChart3,
+  BellRing,
+  Briefcase,
+  Building2,
   CalendarDays,
   CheckCircle2,
   ChevronDown,
+  Cloud,
   Download,
   ExternalLink,
   Facebook,
   FileText,
+  Fingerprint,
+  History,
   Instagram,
   Link2,
   Loader2,
@@ -19,15 +26,22 @@ import {
   LogOut,
   Mail,
   KeyRound,
+  Linkedin,
+  Pin,
   RefreshCw,
+  RotateCw,
   Search,
+  SearchCheck,
+  Send,
   Settings,
   ShieldAlert,
+  ShieldCheck,
   Trash2,
   Unplug,
   UserPlus,
   Users,
   Video,
+  Webhook,
   Youtube
 } from 'lucide-react';
 import {
@@ -44,14 +58,36 @@ import {
 } from 'recharts';
 import './styles.css';
 
-type View = 'overview' | 'sources' | 'content' | 'reports' | 'connections' | 'members' | 'sync' | 'account';
+type View =
+  | 'overview'
+  | 'sources'
+  | 'content'
+  | 'reports'
+  | 'alerts'
+  | 'connections'
+  | 'members'
+  | 'organizations'
+  | 'sync'
+  | 'activity'
+  | 'account';
 type LoadState = 'ready' | 'loading' | 'empty' | 'stale' | 'partial' | 'permission' | 'error' | 'reconnect';
 type RangeKey = '7d' | '30d' | '90d' | 'custom';
 type Role = 'owner' | 'admin' | 'analyst' | 'viewer';
 type SortDirection = 'asc' | 'desc';
 type ContentSort = 'published_at' | 'views' | 'likes' | 'comments' | 'shares' | 'engagement';
-type OverviewProvider = 'tiktok' | 'youtube' | 'facebook_pages' | 'instagram' | 'google_analytics_4';
-type SocialContentProvider = 'all' | Exclude<OverviewProvider, 'google_analytics_4'>;
+type OverviewProvider =
+  | 'tiktok'
+  | 'youtube'
+  | 'facebook_pages'
+  | 'instagram'
+  | 'linkedin'
+  | 'google_analytics_4'
+  | 'google_search_console'
+  | 'pinterest'
+  | 'threads'
+  | 'bluesky';
+type SocialProvider = Exclude<OverviewProvider, 'google_analytics_4' | 'google_search_console' | 'linkedin'>;
+type SocialContentProvider = 'all' | SocialProvider;
 
 type User = {
   id: string;
@@ -64,6 +100,69 @@ type Workspace = {
   name: string;
   slug: string;
   role: Role;
+  custom_role_name?: string | null;
+  capabilities?: string[];
+  two_factor_required?: boolean;
+  sso_required?: boolean;
+  organization_id?: string | null;
+  organization_name?: string | null;
+  organization_default_invitation_role?: Exclude<Role, 'owner'> | null;
+};
+
+type OrganizationRole = 'owner' | 'admin' | 'member';
+
+type Organization = {
+  id: string;
+  name: string;
+  slug: string;
+  role: OrganizationRole;
+  default_invitation_role: Exclude<Role, 'owner'>;
+  invitation_domains: string[];
+  workspace_count?: number;
+  member_count?: number;
+};
+
+type OrganizationWorkspace = {
+  id: string;
+  name: string;
+  slug: string;
+  role: Role | null;
+  member_count: number;
+  connection_count: number;
+};
+
+type OrganizationPerson = {
+  user_id: string;
+  email: string;
+  display_name: string | null;
+  organization_role: OrganizationRole | null;
+  workspaces: Array<{ id: string; name: string; role: Role; inherited: boolean }>;
+};
+
+type OrganizationData = {
+  organization: Organization;
+  workspaces: OrganizationWorkspace[];
+  directory: OrganizationPerson[];
+};
+
+type OrganizationHealth = {
+  generated_at: string;
+  workspace_count: number;
+  summary: Record<string, number>;
+  connections: Array<{
+    workspace: { id: string; name: string };
+    connection_id: string;
+    provider: string;
+    provider_name: string;
+    resource_name: string;
+    status: string;
+    reconnect_reason: string | null;
+    freshness: string;
+    latest_sync_status: string | null;
+    last_sync_at: string | null;
+    last_successful_sync_at: string | null;
+    next_sync_at: string | null;
+  }>;
 };
 
 type DashboardMetric = {
@@ -94,7 +193,7 @@ type DashboardData = {
 
 type ContentRow = {
   id: string;
-  provider: Exclude<OverviewProvider, 'google_analytics_4'>;
+  provider: SocialProvider;
   connection_id: string | null;
   resource_name: string | null;
   provider_content_id: string;
@@ -185,6 +284,13 @@ type ProviderConnection = {
     account_name?: string | null;
     timezone?: string | null;
     currency?: string | null;
+    vanity_name?: string | null;
+    page_url?: string | null;
+    site_url?: string | null;
+    property_type?: string | null;
+    permission_level?: string | null;
+    profile_url?: string | null;
+    handle?: string | null;
   } | null;
   capabilities?: Array<{ key: string; status: string; reason?: string | null }>;
 };
@@ -220,6 +326,14 @@ type ProviderCatalogItem = {
     account_name?: string | null;
     timezone?: string | null;
     currency?: string | null;
+    vanity_name?: string | null;
+    page_url?: string | null;
+    site_url?: string | null;
+    property_type?: string | null;
+    permission_level?: string | null;
+    profile_url?: string | null;
+    handle?: string | null;
+    account_type?: string | null;
     subscriber_count_hidden?: boolean;
     attached_elsewhere_count?: number;
     available?: boolean;
@@ -381,6 +495,296 @@ type GoogleAnalyticsDashboardData = {
   };
 };
 
+type LinkedInMetric = DashboardMetric & {
+  unit: 'count';
+  available: boolean;
+  availability_status: string;
+  availability_reason?: string | null;
+  baseline_availability_status: string;
+  definition: string;
+  definition_version: string;
+};
+
+type LinkedInPost = {
+  id: string;
+  text: string | null;
+  published_date: string | null;
+  url: string | null;
+  metrics: {
+    impressions: number | null;
+    clicks: number | null;
+    reactions: number | null;
+    comments: number | null;
+    reposts: number | null;
+  };
+  availability: Record<string, { status: string; reason?: string | null }>;
+};
+
+type LinkedInDashboardData = {
+  provider: 'linkedin';
+  range: {
+    key: RangeKey;
+    from: string;
+    to: string;
+    previousFrom: string;
+    previousTo: string;
+    timezone: 'UTC';
+  };
+  connection: ProviderConnection;
+  organization: {
+    id: string;
+    display_name: string;
+    vanity_name: string | null;
+    page_url: string | null;
+  } | null;
+  metrics: LinkedInMetric[];
+  trend: Array<{
+    date: string;
+    new_followers?: number | null;
+    impressions?: number | null;
+    clicks?: number | null;
+    reactions?: number | null;
+    comments?: number | null;
+    reposts?: number | null;
+    availability: Record<string, { status: string; reason?: string | null }>;
+  }>;
+  posts: LinkedInPost[];
+  availability: {
+    state: string;
+    data_through_date: string | null;
+    requested_through_date: string;
+    note?: string | null;
+  };
+};
+
+type SearchConsoleMetric = DashboardMetric & {
+  unit: 'count' | 'ratio' | 'position';
+  available: boolean;
+  availability_status: string;
+  availability_reason?: string | null;
+  baseline_availability_status: string;
+  definition: string;
+  definition_version: string;
+};
+
+type SearchConsoleBreakdown = {
+  key: string;
+  label: string;
+  data_through_date: string | null;
+  rows: Array<{
+    dimensions: Record<string, string>;
+    metrics: Record<string, number | null>;
+    availability: Record<string, { status: string; reason?: string | null }>;
+  }>;
+};
+
+type SearchConsoleDashboardData = {
+  provider: 'google_search_console';
+  range: {
+    key: RangeKey;
+    from: string;
+    to: string;
+    previousFrom: string;
+    previousTo: string;
+    timezone: 'America/Los_Angeles';
+  };
+  connection: ProviderConnection;
+  site: {
+    id: string;
+    site_url: string;
+    display_name: string;
+    property_type: 'domain' | 'url_prefix' | null;
+    permission_level: string | null;
+    timezone: string;
+  } | null;
+  metrics: SearchConsoleMetric[];
+  trend: Array<{
+    date: string;
+    clicks?: number | null;
+    impressions?: number | null;
+    ctr?: number | null;
+    position?: number | null;
+    availability: Record<string, { status: string; reason?: string | null }>;
+  }>;
+  breakdowns: SearchConsoleBreakdown[];
+  availability: {
+    state: string;
+    data_through_date: string | null;
+    requested_through_date: string;
+    exact_range_available?: boolean;
+    note?: string | null;
+  };
+};
+
+type PinterestMetric = DashboardMetric & {
+  unit: 'count';
+  available: boolean;
+  availability_status: string;
+  availability_reason?: string | null;
+  baseline_availability_status: string;
+  definition: string;
+  definition_version: string;
+};
+
+type PinterestPin = {
+  id: string;
+  title: string | null;
+  board_name: string | null;
+  published_date: string | null;
+  url: string | null;
+  window: { from: string | null; to: string | null };
+  metrics: {
+    impressions: number | null;
+    saves: number | null;
+    outbound_clicks: number | null;
+    pin_clicks: number | null;
+  };
+  availability: Record<string, { status: string; reason?: string | null }>;
+};
+
+type ThreadsMetric = DashboardMetric & {
+  unit: 'count';
+  available: boolean;
+  availability_status: string;
+  availability_reason?: string | null;
+  baseline_availability_status: string;
+  definition: string;
+  definition_version: string;
+};
+
+type ThreadsPost = {
+  id: string;
+  text: string | null;
+  media_type: string | null;
+  published_date: string | null;
+  url: string | null;
+  metrics: {
+    views: number | null;
+    likes: number | null;
+    replies: number | null;
+    reposts: number | null;
+    quotes: number | null;
+    shares: number | null;
+  };
+  availability: Record<string, { status: string; reason?: string | null }>;
+};
+
+type ThreadsDashboardData = {
+  provider: 'threads';
+  range: {
+    key: RangeKey;
+    from: string;
+    to: string;
+    previousFrom: string;
+    previousTo: string;
+    timezone: 'UTC';
+  };
+  connection: ProviderConnection;
+  profile: {
+    id: string;
+    display_name: string;
+    username: string | null;
+    profile_url: string | null;
+  } | null;
+  metrics: ThreadsMetric[];
+  trend: Array<{
+    date: string;
+    views?: number | null;
+    availability: Record<string, { status: string; reason?: string | null }>;
+  }>;
+  posts: ThreadsPost[];
+  availability: {
+    state: string;
+    data_through_date: string | null;
+    requested_through_date: string;
+    note?: string | null;
+  };
+};
+
+type BlueskyMetric = ThreadsMetric;
+
+type BlueskyPost = {
+  id: string;
+  text: string | null;
+  media_type: string | null;
+  published_date: string | null;
+  url: string | null;
+  metrics: {
+    likes: number | null;
+    reposts: number | null;
+    replies: number | null;
+    quotes: number | null;
+  };
+  availability: Record<string, { status: string; reason?: string | null }>;
+};
+
+type BlueskyDashboardData = {
+  provider: 'bluesky';
+  range: {
+    key: RangeKey;
+    from: string;
+    to: string;
+    previousFrom: string;
+    previousTo: string;
+    timezone: 'UTC';
+  };
+  connection: ProviderConnection;
+  profile: {
+    id: string;
+    display_name: string;
+    handle: string | null;
+    profile_url: string | null;
+  } | null;
+  metrics: BlueskyMetric[];
+  trend: Array<{
+    date: string;
+    followers?: number | null;
+    availability: Record<string, { status: string; reason?: string | null }>;
+  }>;
+  posts: BlueskyPost[];
+  availability: {
+    state: string;
+    data_through_date: string | null;
+    requested_through_date: string;
+    note?: string | null;
+  };
+};
+
+type PinterestDashboardData = {
+  provider: 'pinterest';
+  range: {
+    key: RangeKey;
+    from: string;
+    to: string;
+    previousFrom: string;
+    previousTo: string;
+    timezone: 'UTC';
+  };
+  connection: ProviderConnection;
+  account: {
+    id: string;
+    display_name: string;
+    username: string | null;
+    profile_url: string | null;
+  } | null;
+  metrics: PinterestMetric[];
+  trend: Array<{
+    date: string;
+    impressions?: number | null;
+    saves?: number | null;
+    outbound_clicks?: number | null;
+    pin_clicks?: number | null;
+    availability: Record<string, { status: string; reason?: string | null }>;
+  }>;
+  pins: PinterestPin[];
+  availability: {
+    state: string;
+    data_through_date: string | null;
+    requested_through_date: string;
+    note?: string | null;
+  };
+};
+
 type CrossPlatformMetric = DashboardMetric & {
   family: string;
   unit: 'count' | 'minutes' | 'ratio' | 'seconds' | string;
@@ -430,7 +834,7 @@ type CrossPlatformSource = {
   };
   top_content: Array<{
     id: string;
-    kind: 'social_content' | 'website_path';
+    kind: 'social_content' | 'website_path' | 'search_query';
     title: string;
     published_at: string | null;
     share_url: string | null;
@@ -480,10 +884,40 @@ type ReportConfiguration = {
   retention_days: number;
   max_resources: number;
   max_range_days: number;
+  max_recipients: number;
+  email_attachment_max_bytes: number;
+  email_link_ttl_hours: number;
   supported_sections: string[];
   renderer: string;
 };
 
+type ReportDeliveryMode = 'link' | 'attachment';
+
+type ReportRecipient = {
+  id: string;
+  email: string;
+  recipient_type: 'member' | 'external';
+  delivery_mode: ReportDeliveryMode;
+  status: 'active' | 'suppressed' | 'unsubscribed';
+  consecutive_failures: number;
+  last_failure_code: string | null;
+  last_delivered_at: string | null;
+};
+
+type ReportDelivery = {
+  id: string;
+  recipient_id: string;
+  email: string;
+  delivery_method: ReportDeliveryMode;
+  status: 'pending' | 'sending' | 'sent' | 'failed' | 'bounced' | 'skipped';
+  attempts: number;
+  failure_code: string | null;
+  sent_at: string | null;
+  bounced_at: string | null;
+  link_consumed_at: string | null;
+  created_at: string;
+};
+
 type ReportResource = {
   connection_id: string;
   provider: OverviewProvider;
@@ -495,6 +929,8 @@ type ReportResource = {
 type ReportRun = {
   id: string;
   definition_id: string;
+  schedule_id: string | null;
+  scheduled_for: string | null;
   title: string;
   subtitle: string | null;
   timezone: string;
@@ -518,6 +954,8 @@ type ReportRun = {
   } | null;
   sections: string[];
   resources: ReportResource[];
+  recipients: ReportRecipient[];
+  deliveries: { total: number; sent: number; pending: number; failed: number; bounced: number; skipped: number };
 };
 
 type ReportRequest = {
@@ -530,6 +968,7 @@ type ReportRequest = {
   comparison_enabled: boolean;
   sections: string[];
   resources: Array<{ provider: OverviewProvider; connection_id: string }>;
+  recipients?: Array<{ email: string; delivery_mode: ReportDeliveryMode }>;
 };
 
 type ReportPreview = {
@@ -552,8 +991,76 @@ type ReportPreview = {
   retention_days: number;
 };
 
+type ReportScheduleFrequency = 'weekly' | 'monthly' | 'first_business_day';
+type ReportRelativeRange = 'last_7_days' | 'last_30_days' | 'last_90_days' | 'last_full_week' | 'last_full_month';
+
+type ReportScheduleRule = {
+  frequency: ReportScheduleFrequency;
+  weekday: number | null;
+  day_of_month: number | null;
+  run_time: string;
+  relative_range: ReportRelativeRange;
+};
+
+type ReportScheduleUpcomingRun = {
+  run_at: string;
+  range: { from: string; to: string };
+};
+
+type ReportSchedule = {
+  id: string;
+  definition_id: string;
+  title: string;
+  subtitle: string | null;
+  timezone: string;
+  comparison_enabled: boolean;
+  sections: string[];
+  resources: Array<{ provider: OverviewProvider; connection_id: string }>;
+  recipients: ReportRecipient[];
+  schedule: ReportScheduleRule;
+  status: 'active' | 'paused';
+  pause_reason: string | null;
+  next_run_at: string | null;
+  last_queued_at: string | null;
+  last_report_run_id: string | null;
+  consecutive_failures: number;
+  created_by_user_id: string;
+  created_at: string;
+  upcoming_runs: ReportScheduleUpcomingRun[];
+};
+
+type ReportScheduleRequest = Omit<ReportRequest, 'range' | 'from' | 'to'> & {
+  schedule: ReportScheduleRule;
+};
+
+type ReportSchedulePreview = {
+  timezone: string;
+  upcoming_runs: ReportScheduleUpcomingRun[];
+};
+
+type ReportScheduleHistory = {
+  reports: ReportRun[];
+  events: Array<{
+    id: string;
+    actor_user_id: string | null;
+    action: string;
+    metadata: Record<string, unknown>;
+    created_at: string;
+  }>;
+};
+
 type DisconnectTarget = {
-  provider: 'tiktok' | 'youtube' | 'facebook' | 'instagram' | 'google-analytics';
+  provider:
+    | 'tiktok'
+    | 'youtube'
+    | 'facebook'
+    | 'instagram'
+    | 'linkedin'
+    | 'google-analytics'
+    | 'search-console'
+    | 'pinterest'
+    | 'threads'
+    | 'bluesky';
   connectionId?: string;
   label: string;
 };
@@ -565,22 +1072,136 @@ type Member = {
   role: Role;
   status?: string;
   joined_at?: string;
+  custom_role?: { id: string; name: string } | null;
+  capabilities?: string[];
+  resource_scope?: MemberResourceScope;
+  two_factor_enabled?: boolean;
+  scim_provisioned?: boolean;
+  scim_group_role?: Role | null;
+  organization_managed?: boolean;
 };
 
-type Invitation = {
-  id: string;
-  email: string;
-  role: Exclude<Role, 'owner'>;
-  created_at: string;
-  last_sent_at: string;
-  send_count: number;
-  expires_at: string;
-  accepted_at: string | null;
-  revoked_at: string | null;
-  invited_by_email: string;
+type MemberResourceScope = {
+  restricted: boolean;
+  connection_ids: string[];
 };
 
-type AccountSession = {
+type MemberConnection = {
+  id: string;
+  provider: string;
+  status: string;
+  display_name: string;
+};
+
+type WorkspaceSecurity = {
+  require_two_factor: boolean;
+  step_up_max_age_seconds: number;
+  privileged_members: number;
+  privileged_members_without_second_factor: number;
+};
+
+type WorkspaceSso = {
+  connection: {
+    id: string;
+    protocol: 'oidc' | 'saml';
+    display_name: string;
+    status: 'active' | 'disabled';
+    require_sso: boolean;
+    oidc_issuer: string | null;
+    oidc_client_id: string | null;
+    oidc_client_secret_set: boolean;
+    saml_entity_id: string | null;
+    saml_sso_url: string | null;
+    saml_certificate_count: number;
+    updated_at: string;
+  } | null;
+  domains: Array<{
+    id: string;
+    domain: string;
+    verified: boolean;
+    verified_at: string | null;
+    last_checked_at: string | null;
+    verification_record: { type: 'TXT'; name: string; value: string };
+  }>;
+  service_provider: {
+    oidc_redirect_uri: string;
+    saml_entity_id: string;
+    saml_acs_url: string;
+    saml_metadata_url: string;
+  } | null;
+};
+
+type SsoDomain = WorkspaceSso['domains'][number];
+
+type WorkspaceScim = {
+  base_url: string;
+  provisioning_token: {
+    id: string;
+    token_prefix: string;
+    created_at: string;
+    last_used_at: string | null;
+  } | null;
+  groups: Array<{
+    id: string;
+    display_name: string;
+    external_id: string | null;
+    role: Role | null;
+    member_count: number;
+  }>;
+  provisioned_users: number;
+  token_id?: string;
+  token?: string;
+};
+
+type ScimGroup = WorkspaceScim['groups'][number];
+
+type CustomRole = {
+  id: string;
+  name: string;
+  description: string | null;
+  capabilities: string[];
+  member_count: number;
+  created_at: string;
+  updated_at: string;
+};
+
+type WorkspaceRoles = {
+  built_in_roles: Array<{ role: Role; capabilities: string[] }>;
+  capabilities: Array<{ id: string; provider_scoped: boolean }>;
+  providers: Array<{ id: OverviewProvider; name: string }>;
+  max_roles: number;
+  roles: CustomRole[];
+};
+
+type CustomRoleDraft = {
+  id: string | null;
+  name: string;
+  description: string;
+  capabilities: string[];
+};
+
+type SsoDiscovery = {
+  workspace_id: string;
+  display_name: string;
+  protocol: 'oidc' | 'saml';
+  required: boolean;
+  start_url: string;
+};
+
+type Invitation = {
+  id: string;
+  email: string;
+  role: Exclude<Role, 'owner'>;
+  created_at: string;
+  last_sent_at: string;
+  send_count: number;
+  expires_at: string;
+  accepted_at: string | null;
+  revoked_at: string | null;
+  invited_by_email: string;
+};
+
+type AccountSession = {
   id: string;
   device_label: string;
   created_at: string;
@@ -590,6 +1211,16 @@ type AccountSession = {
   current: boolean;
 };
 
+type DeletionCertificate = {
+  certificate_id: string;
+  completed_at: string;
+  provider_revocations: Array<{ provider: string; success: boolean; outcome_category: string }>;
+  purged: Record<string, number>;
+  artifact_files_removed: number;
+  retained: string[];
+  verification_hash: string;
+};
+
 type DeletionRequest = {
   id: string;
   workspace_id: string | null;
@@ -597,12 +1228,267 @@ type DeletionRequest = {
   scope: 'user' | 'workspace' | 'provider_account';
   status: string;
   requested_at: string;
+  process_after: string | null;
+  started_at: string | null;
   completed_at: string | null;
+  cancelled_at: string | null;
+  failure_code: string | null;
+  cancellable: boolean;
+  certificate: DeletionCertificate | null;
+};
+
+type RetentionTable = {
+  table: string;
+  minimum_days: number;
+  maximum_days: number;
+  default_days: number | null;
+  workspace_days: number | null;
+  effective_days: number | null;
+  updated_at: string | null;
+};
+
+type RetentionJob = {
+  id: string;
+  table: string;
+  retain_days: number | null;
+  cutoff_at: string;
+  dry_run: boolean;
+  status: string;
+  matched_rows: number;
+  affected_rows: number;
+  started_at: string | null;
+  finished_at: string | null;
+};
+
+type RetentionData = {
+  policy_version: string;
+  can_manage: boolean;
+  tables: RetentionTable[];
+  recent_jobs: RetentionJob[];
+};
+
+type AuditActor = {
+  id: string;
+  email: string | null;
+  display_name: string | null;
+};
+
+type AuditEntry = {
+  id: string;
+  created_at: string;
+  action: string;
+  actor: AuditActor | null;
+  target_type: string | null;
+  target_id: string | null;
+  correlation_id: string | null;
+  metadata: Record<string, unknown> | null;
+};
+
+type AuditFilterOptions = {
+  actions: string[];
+  target_types: string[];
+  actors: AuditActor[];
+};
+
+type AuditFilters = {
+  actor_id: string;
+  action: string;
+  target_type: string;
+  from: string;
+  to: string;
+};
+
+type AuditLogData = {
+  entries: AuditEntry[];
+  next_cursor: string | null;
+  filters: AuditFilterOptions | null;
+};
+
+type AlertRuleType = 'threshold' | 'percent_change' | 'z_score';
+type AlertDirection = 'above' | 'below' | 'either';
+
+type AlertMetric = {
+  key: string;
+  provider: OverviewProvider;
+  label: string;
+  unit: string;
+  aggregation: 'latest' | 'sum' | 'average';
+};
+
+type AlertRule = {
+  id: string;
+  name: string;
+  provider: OverviewProvider;
+  metric_key: string;
+  metric_label: string;
+  rule_type: AlertRuleType;
+  direction: AlertDirection;
+  threshold: number;
+  window_days: number;
+  notify_email: boolean;
+  status: 'active' | 'paused';
+  last_evaluated_at: string | null;
+  last_error_code: string | null;
+  created_at: string;
+  updated_at: string;
+};
+
+type AlertEvent = {
+  id: string;
+  rule_id: string;
+  rule_name: string;
+  provider: OverviewProvider;
+  metric_key: string;
+  metric_label: string;
+  resource_label: string | null;
+  observed_date: string;
+  observed_value: number;
+  baseline_value: number | null;
+  score: number | null;
+  status: 'open' | 'acknowledged';
+  notification_status: 'not_requested' | 'pending' | 'sent' | 'suppressed' | 'failed';
+  acknowledged_at: string | null;
+  created_at: string;
+  message: string;
+};
+
+type AlertsData = {
+  can_manage: boolean;
+  metrics: AlertMetric[];
+  rules: AlertRule[];
+  events: AlertEvent[];
+};
+
+type AlertRuleDraft = {
+  name: string;
+  metric_key: string;
+  rule_type: AlertRuleType;
+  direction: AlertDirection;
+  threshold: string;
+  window_days: string;
+  notify_email: boolean;
+};
+
+type WebhookEventType =
+  | 'sync_run.completed'
+  | 'sync_run.failed'
+  | 'connection.reconnect_required'
+  | 'report_run.completed';
+
+type WebhookEndpoint = {
+  id: string;
+  url: string;
+  description: string | null;
+  event_types: WebhookEventType[];
+  status: 'active' | 'disabled';
+  secret_hint: string;
+  consecutive_failures: number;
+  last_delivery_at: string | null;
+  last_failure_code: string | null;
+  created_at: string;
+  updated_at: string;
+};
+
+type WebhookDelivery = {
+  id: string;
+  endpoint_id: string;
+  event_id: string;
+  event_type: string;
+  status: 'pending' | 'sending' | 'delivered' | 'failed' | 'skipped';
+  attempts: number;
+  max_attempts: number;
+  next_attempt_at: string | null;
+  response_status: number | null;
+  duration_ms: number | null;
+  failure_code: string | null;
+  delivered_at: string | null;
+  redelivery_of_id: string | null;
+  created_at: string;
+  payload: unknown;
+};
+
+type WebhooksData = {
+  event_types: WebhookEventType[];
+  endpoints: WebhookEndpoint[];
+  deliveries: WebhookDelivery[];
+  endpoint_id?: string;
+  secret?: string;
+};
+
+type WebhookDraft = {
+  url: string;
+  description: string;
+  event_types: WebhookEventType[];
+};
+
+type ApiToken = {
+  id: string;
+  name: string;
+  token_prefix: string;
+  owner_email: string;
+  own: boolean;
+  status: 'active' | 'expired' | 'revoked';
+  expires_at: string;
+  last_used_at: string | null;
+  revoked_at: string | null;
+  created_at: string;
+};
+
+type ApiTokensData = {
+  can_manage_all: boolean;
+  max_expiry_days: number;
+  tokens: ApiToken[];
+  token_id?: string;
+  token?: string;
+};
+
+type AccountPasskey = {
+  id: string;
+  name: string;
+  backed_up: boolean;
+  transports: string[];
+  last_used_at: string | null;
+  created_at: string;
+};
+
+type PasskeyCredentialDescriptor = { type: 'public-key'; id: string; transports?: string[] };
+
+type PasskeyCreationOptions = {
+  challenge: string;
+  rp: { id: string; name: string };
+  user: { id: string; name: string; displayName: string };
+  pubKeyCredParams: Array<{ type: 'public-key'; alg: number }>;
+  timeout: number;
+  attestation: AttestationConveyancePreference;
+  authenticatorSelection: AuthenticatorSelectionCriteria;
+  excludeCredentials: PasskeyCredentialDescriptor[];
+};
+
+type PasskeyRequestOptions = {
+  challenge: string;
+  rpId: string;
+  timeout: number;
+  userVerification: UserVerificationRequirement;
+  allowCredentials: PasskeyCredentialDescriptor[];
 };
 
+type AccountTwoFactor = {
+  totp_enabled: boolean;
+  totp_pending: boolean;
+  passkeys: number;
+  required_by: Array<{ id: string; name: string }>;
+  session_verified: boolean;
+  session_method: 'totp' | 'passkey' | null;
+  step_up_valid_seconds: number;
+};
+
+type TotpEnrollment = { secret: string; otpauth_uri: string };
+
 type AccountData = {
   profile: User & { created_at: string; last_login_at: string | null };
-  authentication_methods: Array<{ provider: string; email: string | null; connected_at: string }>;
+  authentication_methods: Array<{ provider: string; name: string | null; email: string | null; connected_at: string }>;
+  passkeys: AccountPasskey[];
+  two_factor: AccountTwoFactor;
   sessions: AccountSession[];
   deletion_requests: DeletionRequest[];
 };
@@ -613,9 +1499,12 @@ const views: Array<{ id: View; label: string; icon: React.ComponentType<{ size?:
     { id: 'sources', label: 'Sources', icon: Activity },
     { id: 'content', label: 'Content', icon: Video },
     { id: 'reports', label: 'Reports', icon: FileText },
+    { id: 'alerts', label: 'Alerts', icon: BellRing },
     { id: 'connections', label: 'Connections', icon: Link2 },
     { id: 'members', label: 'Members', icon: Users },
+    { id: 'organizations', label: 'Organization', icon: Briefcase },
     { id: 'sync', label: 'Sync history', icon: RefreshCw },
+    { id: 'activity', label: 'Activity', icon: History },
     { id: 'account', label: 'Account', icon: Settings }
   ];
 
@@ -626,6 +1515,14 @@ const metricLabels: Record<string, string> = {
   video_count: 'Total videos'
 };
 
+const retentionTableLabels: Record<string, string> = {
+  profile_snapshots: 'Profile snapshots',
+  content_metric_snapshots: 'Content metric snapshots',
+  provider_request_events: 'Provider request history',
+  sync_runs: 'Sync history',
+  audit_logs: 'Audit log'
+};
+
 const contentSortLabels: Record<ContentSort, string> = {
   published_at: 'Published',
   views: 'Views',
@@ -662,6 +1559,84 @@ function readCookie(name: string) {
   );
 }
 
+function base64UrlToBuffer(value: string) {
+  const base64 = value
+    .replace(/-/g, '+')
+    .replace(/_/g, '/')
+    .padEnd(Math.ceil(value.length / 4) * 4, '=');
+  return Uint8Array.from(atob(base64), (character) => character.charCodeAt(0)).buffer;
+}
+
+function bufferToBase64Url(buffer: ArrayBuffer) {
+  let binary = '';
+  for (const byte of new Uint8Array(buffer)) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function passkeysSupported() {
+  return typeof window !== 'undefined' && 'PublicKeyCredential' in window && Boolean(navigator.credentials);
+}
+
+function passkeyDescriptors(descriptors: PasskeyCredentialDescriptor[]): PublicKeyCredentialDescriptor[] {
+  return descriptors.map((descriptor) => ({
+    type: descriptor.type,
+    id: base64UrlToBuffer(descriptor.id),
+    transports: descriptor.transports as AuthenticatorTransport[] | undefined
+  }));
+}
+
+async function createPasskeyCredential(options: PasskeyCreationOptions) {
+  const credential = (await navigator.credentials.create({
+    publicKey: {
+      ...options,
+      challenge: base64UrlToBuffer(options.challenge),
+      user: { ...options.user, id: base64UrlToBuffer(options.user.id) },
+      excludeCredentials: passkeyDescriptors(options.excludeCredentials)
+    }
+  })) as PublicKeyCredential | null;
+  if (!credential) throw new Error('passkey_cancelled');
+  const response = credential.response as AuthenticatorAttestationResponse;
+  return {
+    id: credential.id,
+    rawId: bufferToBase64Url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: bufferToBase64Url(response.clientDataJSON),
+      attestationObject: bufferToBase64Url(response.attestationObject),
+      transports: typeof response.getTransports === 'function' ? response.getTransports() : []
+    }
+  };
+}
+
+async function getPasskeyAssertion(options: PasskeyRequestOptions) {
+  const credential = (await navigator.credentials.get({
+    publicKey: {
+      ...options,
+      challenge: base64UrlToBuffer(options.challenge),
+      allowCredentials: passkeyDescriptors(options.allowCredentials)
+    }
+  })) as PublicKeyCredential | null;
+  if (!credential) throw new Error('passkey_cancelled');
+  const response = credential.response as AuthenticatorAssertionResponse;
+  return {
+    id: credential.id,
+    rawId: bufferToBase64Url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: bufferToBase64Url(response.clientDataJSON),
+      authenticatorData: bufferToBase64Url(response.authenticatorData),
+      signature: bufferToBase64Url(response.signature),
+      userHandle: response.userHandle ? bufferToBase64Url(response.userHandle) : null
+    }
+  };
+}
+
+function passkeyErrorCode(error: unknown) {
+  if (error instanceof DOMException)
+    return error.name === 'InvalidStateError' ? 'passkey_already_registered' : 'passkey_cancelled';
+  return error instanceof Error ? error.message : 'passkey_failed';
+}
+
 function formatNumber(value: number | null | undefined) {
   if (value === null || value === undefined) return 'N/A';
   return new Intl.NumberFormat().format(value);
@@ -680,6 +1655,22 @@ function formatDate(
   return new Intl.DateTimeFormat(undefined, options).format(new Date(value));
 }
 
+function deletionRequestDetail(request: DeletionRequest) {
+  if (request.status === 'completed') return `Completed ${formatDate(request.completed_at)}`;
+  if (request.status === 'cancelled') return `Cancelled ${formatDate(request.cancelled_at)}`;
+  if (request.status === 'rejected') {
+    if (request.failure_code === 'workspace_owner_transfer_required') {
+      return 'Transfer ownership of workspaces that have other members, then submit a new request.';
+    }
+    if (request.failure_code === 'workspace_deletion_requester_not_authorized') {
+      return 'This request was not processed because you are no longer a workspace owner.';
+    }
+    return 'This request could not be processed. Contact support.';
+  }
+  if (request.status === 'processing') return 'Deletion is in progress.';
+  return `Scheduled for ${formatDate(request.process_after)}. You can cancel until then.`;
+}
+
 function formatDuration(value?: number | null) {
   if (!value) return 'N/A';
   if (value < 1000) return `${value} ms`;
@@ -731,8 +1722,106 @@ function friendlyError(code: string) {
     permission_denied: 'Your workspace role does not allow this action.',
     account_deletion_confirmation_invalid: 'Enter your full email address to confirm the request.',
     workspace_deletion_confirmation_invalid: 'Enter the exact workspace name to confirm the request.',
+    deletion_request_not_cancellable: 'This deletion request has already started and can no longer be cancelled.',
+    invalid_retention_days: 'Enter a retention period within the allowed range for that record type.',
+    invalid_audit_log_filter: 'Check the activity filters. The start date must be before the end date.',
+    invalid_audit_log_cursor: 'The activity list changed. Reload the page and try again.',
+    alert_rule_name_required: 'Give the alert rule a name of 120 characters or fewer.',
+    invalid_alert_metric: 'Choose a metric for the alert rule.',
+    invalid_alert_rule_type: 'Choose a threshold, change, or baseline rule.',
+    invalid_alert_direction: 'Choose whether the alert fires above or below the threshold.',
+    invalid_alert_threshold: 'Enter a threshold. Change and z-score thresholds must be greater than zero.',
+    invalid_alert_window: 'Enter a comparison window between 1 and 90 days. Z-score rules need at least 7 days.',
+    alert_rule_limit_reached: 'This workspace has reached the limit of 50 alert rules. Delete one to add another.',
+    alert_rule_not_found: 'That alert rule no longer exists.',
+    alert_event_not_found: 'That alert no longer exists.',
+    invalid_webhook_url: 'Enter an HTTPS endpoint URL without a username or password.',
+    webhook_url_not_public: 'Webhook endpoints must be reachable on the public internet.',
+    invalid_webhook_events: 'Choose at least one event for the webhook.',
+    invalid_webhook_status: 'Choose whether the webhook is active or disabled.',
+    webhook_description_too_long: 'Webhook descriptions must be 255 characters or fewer.',
+    webhook_endpoint_limit_reached: 'This workspace has reached the limit of 10 webhooks. Delete one to add another.',
+    webhook_endpoint_not_found: 'That webhook no longer exists.',
+    webhook_endpoint_disabled: 'Enable the webhook before sending events to it.',
+    webhook_delivery_not_found: 'That delivery is no longer available.',
+    webhook_delivery_in_progress: 'That delivery is still being attempted.',
+    api_token_name_required: 'Give the API token a name of 120 characters or fewer.',
+    invalid_api_token_expiry: 'Choose an expiry between 1 and 365 days.',
+    api_token_limit_reached: 'You already have 10 active API tokens in this workspace. Revoke one to add another.',
+    api_token_not_found: 'That API token no longer exists.',
     display_name_too_long: 'Display names must be 100 characters or fewer.',
     session_not_found: 'That session is no longer active.',
+    passkey_cancelled: 'The passkey prompt was cancelled or timed out.',
+    passkey_already_registered: 'That passkey is already registered.',
+    passkey_limit_reached: 'You already have 10 passkeys. Remove one to add another.',
+    passkey_name_too_long: 'Passkey names must be 120 characters or fewer.',
+    passkey_not_found: 'That passkey is no longer registered.',
+    passkeys_not_configured: 'Passkeys are not configured for this environment.',
+    passkey_not_registered: 'Add a passkey in Account before verifying with one.',
+    two_factor_enrollment_required:
+      'This workspace requires two-step verification. Set up an authenticator app or passkey in Account.',
+    two_factor_required: 'This workspace requires two-step verification. Verify this session in Account.',
+    step_up_required: 'Verify this session again in Account before making this change.',
+    totp_code_invalid: 'That code is not valid. Enter the current code from your authenticator app.',
+    totp_locked: 'Too many incorrect codes. Wait five minutes and try again.',
+    totp_already_enabled: 'An authenticator app is already set up.',
+    totp_enrollment_not_started: 'Start the authenticator app setup again.',
+    totp_not_enabled: 'No authenticator app is set up for this account.',
+    sso_required: 'This workspace requires single sign-on. Sign out and continue with your organisation sign-in.',
+    sso_protocol_invalid: 'Choose OpenID Connect or SAML for single sign-on.',
+    sso_display_name_invalid: 'Give the sign-in connection a name of 120 characters or fewer.',
+    sso_domain_invalid: 'Enter a domain name such as example.com.',
+    sso_domain_exists: 'That domain is already listed for this workspace.',
+    sso_domain_claimed: 'That domain is already verified by another workspace.',
+    sso_domain_limit_reached: 'This workspace has reached the limit of 10 sign-in domains.',
+    sso_domain_not_found: 'That domain is no longer listed for this workspace.',
+    sso_domain_verification_failed:
+      'The verification TXT record was not found yet. DNS changes can take a while to appear; try again later.',
+    sso_domain_verification_required:
+      'Verify at least one domain and keep the connection active before requiring single sign-on.',
+    sso_domain_required:
+      'Single sign-on is required, so keep at least one verified domain or turn the requirement off first.',
+    sso_connection_not_found: 'Single sign-on is not configured for this workspace.',
+    member_role_managed_by_scim:
+      'This role is set by an identity provider group. Change the group mapping or membership instead.',
+    scim_token_not_found: 'There is no active provisioning token to revoke.',
+    scim_group_not_found: 'That SCIM group no longer exists. Refresh the page.',
+    scim_group_role_invalid: 'Choose owner, admin, analyst, viewer, or no role for the group.',
+    custom_role_name_invalid: 'Enter a role name up to 80 characters that differs from the built-in roles.',
+    custom_role_description_invalid: 'Keep the role description under 255 characters.',
+    custom_role_capability_invalid: 'One of the selected capabilities cannot be granted by a custom role.',
+    custom_role_view_required: 'Grant dashboard access for every provider the role can sync, export, or manage.',
+    custom_role_name_taken: 'Another custom role in this workspace already uses that name.',
+    custom_role_limit_reached: 'This workspace has reached the limit of 20 custom roles.',
+    custom_role_in_use: 'Move members off this role before deleting it.',
+    custom_role_not_found: 'That custom role no longer exists. Refresh the page.',
+    member_resource_scope_invalid: 'Resource access can only be limited for analysts, viewers, and custom roles.',
+    member_resource_not_found: 'One of the selected resources is no longer connected. Refresh the page.',
+    member_managed_by_organization:
+      'This access is inherited from the organization. Change it on the Organization page.',
+    invitation_domain_not_allowed: 'The organization only allows invitations to its approved email domains.',
+    invitation_domains_invalid: 'Enter up to 20 email domains such as example.com.',
+    default_invitation_role_invalid: 'Choose admin, analyst, or viewer as the default invitation role.',
+    invalid_organization_name: 'Enter an organization name between 1 and 160 characters.',
+    invalid_workspace_name: 'Enter a workspace name.',
+    invalid_role_assignment: 'Choose admin, analyst, or viewer for this workspace.',
+    organization_role_invalid: 'Choose owner, admin, or member for the organization role.',
+    organization_not_found: 'That organization no longer exists or you are no longer a member.',
+    organization_member_exists: 'That person is already in the organization directory.',
+    organization_member_not_found: 'That person is no longer in the organization directory.',
+    workspace_in_other_organization: 'That workspace already belongs to another organization.',
+    organization_load_failed: 'The organization could not be loaded. Try again.',
+    sso_not_configured: 'Single sign-on needs BASE_URL to be configured for this environment.',
+    oidc_issuer_invalid: 'Enter the HTTPS issuer URL of your identity provider.',
+    oidc_client_id_invalid: 'Enter the client ID issued by your identity provider.',
+    oidc_discovery_failed: 'The identity provider discovery document could not be loaded.',
+    oidc_discovery_invalid: 'The identity provider discovery document does not match its issuer or is incomplete.',
+    saml_metadata_invalid:
+      'Paste the SAML metadata XML from your identity provider, including an HTTPS redirect sign-on URL.',
+    saml_metadata_certificate_missing: 'The SAML metadata does not include an RSA signing certificate.',
+    saml_xml_invalid: 'The SAML metadata could not be read as XML.',
+    second_factor_required_by_workspace:
+      'A workspace you manage requires two-step verification. Add another method before removing this one.',
     invalid_email: 'Enter a valid email address.',
     mail_send_failed: 'The invitation could not be sent. Try again or contact support.',
     pdf_reports_disabled: 'PDF reports are not enabled for this environment.',
@@ -746,7 +1835,15 @@ function friendlyError(code: string) {
     report_artifact_missing: 'The report file is unavailable. Generate the report again.',
     report_artifact_delete_failed: 'The report file could not be removed. Try again or contact support.',
     download_grant_expired: 'The download link expired. Request a new one.',
-    download_grant_consumed: 'That one-time download link has already been used.'
+    download_grant_consumed: 'That one-time download link has already been used.',
+    bluesky_identifier_invalid: 'Enter a Bluesky handle such as name.bsky.social or an account DID.',
+    bluesky_app_password_required: 'Use a Bluesky app password in the format xxxx-xxxx-xxxx-xxxx.',
+    bluesky_handle_not_found: 'That Bluesky handle could not be found.',
+    bluesky_credentials_invalid: 'Bluesky rejected the handle or app password.',
+    bluesky_handle_mismatch: 'That handle no longer points to the same Bluesky account. Check it and try again.',
+    bluesky_account_inactive: 'That Bluesky account is deactivated or suspended.',
+    bluesky_reconnect_account_mismatch: 'Reconnect with the same Bluesky account that was originally connected.',
+    bluesky_authorization_already_exists: 'A Bluesky account is already connected. Disconnect it before adding another.'
   };
   return messages[code] || 'Something went wrong. Try again or contact support if the problem continues.';
 }
@@ -769,17 +1866,41 @@ function initialUrlState() {
     to: params.get('to') || todayInputValue(0),
     metric: params.get('metric') || 'both',
     resource: params.get('resource') || '',
-    contentProvider: (['all', 'tiktok', 'youtube', 'facebook_pages', 'instagram'].includes(contentProvider || '')
+    contentProvider: ([
+      'all',
+      'tiktok',
+      'youtube',
+      'facebook_pages',
+      'instagram',
+      'pinterest',
+      'threads',
+      'bluesky'
+    ].includes(contentProvider || '')
       ? contentProvider
       : 'all') as SocialContentProvider,
     contentResource: params.get('resource') || '',
-    provider: (['youtube', 'facebook_pages', 'instagram', 'google_analytics_4'].includes(params.get('provider') || '')
+    provider: ([
+      'youtube',
+      'facebook_pages',
+      'instagram',
+      'linkedin',
+      'google_analytics_4',
+      'google_search_console',
+      'pinterest',
+      'threads',
+      'bluesky'
+    ].includes(params.get('provider') || '')
       ? params.get('provider')
       : 'tiktok') as OverviewProvider,
     youtubeOutcome: params.get('youtube') || '',
     facebookOutcome: params.get('facebook') || '',
     instagramOutcome: params.get('instagram') || '',
     analyticsOutcome: params.get('analytics') || '',
+    linkedInOutcome: params.get('linkedin') || '',
+    searchConsoleOutcome: params.get('search_console') || '',
+    pinterestOutcome: params.get('pinterest') || '',
+    threadsOutcome: params.get('threads') || '',
+    ssoOutcome: params.get('sso') || '',
     invitation: params.get('invitation') || '',
     compare: params.get('compare') !== 'false',
     topSort: (params.get('topSort') as ContentSort) || 'views',
@@ -846,6 +1967,46 @@ function resolveGoogleAnalyticsLoadState(dashboard: GoogleAnalyticsDashboardData
   return dashboard.metrics.some((metric) => metric.available) ? 'ready' : 'empty';
 }
 
+function resolveLinkedInLoadState(dashboard: LinkedInDashboardData | null): LoadState {
+  if (!dashboard || dashboard.connection.status === 'disconnected') return 'empty';
+  if (dashboard.connection.status === 'reconnect_required') return 'reconnect';
+  if (dashboard.connection.status !== 'active') return 'partial';
+  if (['partial', 'delayed'].includes(dashboard.availability.state)) return 'partial';
+  return dashboard.metrics.some((metric) => metric.available) || dashboard.posts.length > 0 ? 'ready' : 'empty';
+}
+
+function resolveSearchConsoleLoadState(dashboard: SearchConsoleDashboardData | null): LoadState {
+  if (!dashboard || dashboard.connection.status === 'disconnected') return 'empty';
+  if (dashboard.connection.status === 'reconnect_required') return 'reconnect';
+  if (dashboard.connection.status !== 'active') return 'partial';
+  if (['partial', 'delayed'].includes(dashboard.availability.state)) return 'partial';
+  return dashboard.metrics.some((metric) => metric.available) ? 'ready' : 'empty';
+}
+
+function resolvePinterestLoadState(dashboard: PinterestDashboardData | null): LoadState {
+  if (!dashboard || dashboard.connection.status === 'disconnected') return 'empty';
+  if (dashboard.connection.status === 'reconnect_required') return 'reconnect';
+  if (dashboard.connection.status !== 'active') return 'partial';
+  if (['partial', 'delayed'].includes(dashboard.availability.state)) return 'partial';
+  return dashboard.metrics.some((metric) => metric.available) || dashboard.pins.length > 0 ? 'ready' : 'empty';
+}
+
+function resolveThreadsLoadState(dashboard: ThreadsDashboardData | null): LoadState {
+  if (!dashboard || dashboard.connection.status === 'disconnected') return 'empty';
+  if (dashboard.connection.status === 'reconnect_required') return 'reconnect';
+  if (dashboard.connection.status !== 'active') return 'partial';
+  if (['partial', 'delayed'].includes(dashboard.availability.state)) return 'partial';
+  return dashboard.metrics.some((metric) => metric.available) || dashboard.posts.length > 0 ? 'ready' : 'empty';
+}
+
+function resolveBlueskyLoadState(dashboard: BlueskyDashboardData | null): LoadState {
+  if (!dashboard || dashboard.connection.status === 'disconnected') return 'empty';
+  if (dashboard.connection.status === 'reconnect_required') return 'reconnect';
+  if (dashboard.connection.status !== 'active') return 'partial';
+  if (['partial', 'delayed'].includes(dashboard.availability.state)) return 'partial';
+  return dashboard.metrics.some((metric) => metric.available) || dashboard.posts.length > 0 ? 'ready' : 'empty';
+}
+
 function resolveCrossPlatformLoadState(dashboard: CrossPlatformDashboardData | null): LoadState {
   if (!dashboard) return 'empty';
   if (dashboard.state === 'reconnect') return 'reconnect';
@@ -854,16 +2015,138 @@ function resolveCrossPlatformLoadState(dashboard: CrossPlatformDashboardData | n
   return 'ready';
 }
 
-function roleCanManage(role?: Role) {
-  return role === 'owner' || role === 'admin';
+const webhookEventLabels: Record<WebhookEventType, string> = {
+  'sync_run.completed': 'Sync completed',
+  'sync_run.failed': 'Sync failed',
+  'connection.reconnect_required': 'Reconnect required',
+  'report_run.completed': 'Report ready'
+};
+
+const emptyWebhookDraft: WebhookDraft = {
+  url: '',
+  description: '',
+  event_types: ['sync_run.failed', 'connection.reconnect_required']
+};
+
+const roleCapabilities: Record<Role, string[]> = {
+  owner: [
+    'viewDashboard',
+    'triggerManualSync',
+    'exportCsv',
+    'manageReports',
+    'manageAlerts',
+    'manageConnection',
+    'manageMembers',
+    'manageWebhooks',
+    'viewAuditLog',
+    'manageRetention',
+    'manageSecurity',
+    'deleteWorkspace'
+  ],
+  admin: [
+    'viewDashboard',
+    'triggerManualSync',
+    'exportCsv',
+    'manageReports',
+    'manageAlerts',
+    'manageConnection',
+    'manageMembers',
+    'manageWebhooks',
+    'viewAuditLog'
+  ],
+  analyst: ['viewDashboard', 'triggerManualSync', 'exportCsv', 'manageReports', 'manageAlerts'],
+  viewer: ['viewDashboard']
+};
+
+const capabilityLabels: Record<string, string> = {
+  viewDashboard: 'View dashboards',
+  triggerManualSync: 'Run syncs',
+  exportCsv: 'Export CSV',
+  manageReports: 'Manage reports',
+  manageAlerts: 'Manage alerts',
+  manageConnection: 'Manage connections',
+  manageMembers: 'Manage members',
+  manageWebhooks: 'Manage webhooks',
+  viewAuditLog: 'View audit log',
+  manageRetention: 'Manage retention',
+  manageSecurity: 'Manage security',
+  deleteWorkspace: 'Delete workspace'
+};
+
+const emptyCustomRoleDraft: CustomRoleDraft = { id: null, name: '', description: '', capabilities: ['viewDashboard'] };
+
+function capabilitySummary(grants: string[]) {
+  return grants
+    .map((grant) => {
+      const [capability, provider] = grant.split(':');
+      const label = capabilityLabels[capability] || capability;
+      return provider ? `${label} (${alertProviderNames[provider as OverviewProvider] || provider})` : label;
+    })
+    .join(', ');
+}
+
+function workspaceCan(workspace: Workspace | null | undefined, capability: string, provider?: string) {
+  if (!workspace) return false;
+  const grants = workspace.capabilities ?? roleCapabilities[workspace.role] ?? [];
+  if (grants.includes(capability)) return true;
+  return provider
+    ? grants.includes(`${capability}:${provider}`)
+    : grants.some((grant) => grant.startsWith(`${capability}:`));
+}
+
+const emptyAuditFilters: AuditFilters = { actor_id: '', action: '', target_type: '', from: '', to: '' };
+
+function auditFilterParams(filters: AuditFilters) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value) params.set(key, value);
+  }
+  return params;
 }
 
-function roleCanSync(role?: Role) {
-  return role === 'owner' || role === 'admin' || role === 'analyst';
+function auditActorLabel(actor: AuditActor | null) {
+  if (!actor) return 'System';
+  return actor.display_name || actor.email || 'Former member';
 }
 
-function roleCanReport(role?: Role) {
-  return role === 'owner' || role === 'admin' || role === 'analyst';
+function auditMetadataSummary(metadata: Record<string, unknown> | null) {
+  if (!metadata) return '';
+  return Object.entries(metadata)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : String(value)}`)
+    .join(' · ');
+}
+
+const alertProviderNames: Record<OverviewProvider, string> = {
+  tiktok: 'TikTok',
+  youtube: 'YouTube',
+  facebook_pages: 'Facebook Pages',
+  instagram: 'Instagram',
+  linkedin: 'LinkedIn',
+  google_analytics_4: 'Google Analytics',
+  google_search_console: 'Google Search Console',
+  pinterest: 'Pinterest',
+  threads: 'Threads',
+  bluesky: 'Bluesky'
+};
+
+const emptyAlertRuleDraft: AlertRuleDraft = {
+  name: '',
+  metric_key: '',
+  rule_type: 'percent_change',
+  direction: 'either',
+  threshold: '20',
+  window_days: '7',
+  notify_email: false
+};
+
+function alertRuleCondition(rule: AlertRule) {
+  if (rule.rule_type === 'threshold') return `Latest value ${rule.direction} ${formatNumber(rule.threshold)}`;
+  const directionLabel = rule.direction === 'either' ? 'moves' : rule.direction === 'above' ? 'rises' : 'falls';
+  if (rule.rule_type === 'percent_change') {
+    return `${directionLabel} ${formatNumber(rule.threshold)}% or more vs the previous ${rule.window_days} days`;
+  }
+  return `${directionLabel} ${formatNumber(rule.threshold)} standard deviations from the ${rule.window_days}-day baseline`;
 }
 
 function reportFailureMessage(report: ReportRun) {
@@ -879,13 +2162,79 @@ function reportFailureMessage(report: ReportRun) {
   return 'The report could not be generated. Try again or contact support if the problem continues.';
 }
 
+const reportWeekdayLabels = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const reportRelativeRangeLabels: Record<ReportRelativeRange, string> = {
+  last_7_days: 'Last 7 days',
+  last_30_days: 'Last 30 days',
+  last_90_days: 'Last 90 days',
+  last_full_week: 'Last full week',
+  last_full_month: 'Last full month'
+};
+
+function describeReportSchedule(rule: ReportScheduleRule) {
+  const cadence =
+    rule.frequency === 'weekly'
+      ? `Every ${reportWeekdayLabels[(rule.weekday || 1) - 1]}`
+      : rule.frequency === 'monthly'
+        ? `Monthly on day ${rule.day_of_month || 1}`
+        : 'First business day of each month';
+  return `${cadence} at ${rule.run_time} · ${reportRelativeRangeLabels[rule.relative_range]}`;
+}
+
+function reportSchedulePauseMessage(reason: string | null) {
+  if (!reason || reason === 'paused_by_user') return 'Paused by a workspace member.';
+  if (reason === 'schedule_failed_repeatedly') return 'Paused after repeated generation failures.';
+  if (reason === 'report_resource_not_connected' || reason === 'report_resource_not_found') {
+    return 'Paused because a selected resource is no longer connected.';
+  }
+  if (reason === 'permission_denied' || reason === 'workspace_not_found') {
+    return 'Paused because the schedule owner no longer has report access.';
+  }
+  return 'Paused because the next report could not be prepared.';
+}
+
+function parseRecipientEmails(value: string) {
+  return Array.from(
+    new Set(
+      value
+        .split(/[\s,;]+/)
+        .map((email) => email.trim().toLowerCase())
+        .filter(Boolean)
+    )
+  );
+}
+
+function reportRecipientStatusLabel(recipient: ReportRecipient) {
+  if (recipient.status === 'unsubscribed') return 'unsubscribed';
+  if (recipient.status === 'suppressed') {
+    return recipient.last_failure_code === 'mail_recipient_rejected' ? 'bounced, paused' : 'failing, paused';
+  }
+  return recipient.delivery_mode === 'attachment' ? 'PDF attached' : 'download link';
+}
+
+function reportDeliverySummary(report: ReportRun) {
+  const { total, sent, pending, failed, bounced } = report.deliveries;
+  if (!total) return null;
+  const parts = [`Emailed ${sent} of ${total}`];
+  if (pending) parts.push(`${pending} pending`);
+  if (failed) parts.push(`${failed} failed`);
+  if (bounced) parts.push(`${bounced} bounced`);
+  return parts.join(' · ');
+}
+
 function providerAccessLabels(providerId: string) {
   const labels: Record<string, string[]> = {
     tiktok: ['Profile and audience totals', 'Published video performance'],
     youtube: ['Channel and video details', 'Channel analytics'],
     facebook_pages: ['Page identity and published posts', 'Page and post insights'],
     instagram: ['Professional account and media', 'Account and media insights'],
-    google_analytics_4: ['Property discovery and website analytics']
+    linkedin: ['Administered Page discovery', 'Page follower, share, and post statistics'],
+    google_analytics_4: ['Property discovery and website analytics'],
+    google_search_console: ['Verified site discovery', 'Search clicks, impressions, CTR, and position'],
+    pinterest: ['Business account, boards, and pins', 'Account and pin impressions, saves, and clicks'],
+    threads: ['Profile and published posts', 'Profile and post views, likes, replies, reposts, and quotes'],
+    bluesky: ['Public profile and authored posts', 'Follower counts and post likes, reposts, replies, and quotes']
   };
   return labels[providerId] || ['Analytics data'];
 }
@@ -896,6 +2245,7 @@ function App() {
   const [csrf, setCsrf] = useState('');
   const [email, setEmail] = useState('');
   const [token, setToken] = useState('');
+  const [ssoOption, setSsoOption] = useState<SsoDiscovery | null>(null);
   const [workspaceName, setWorkspaceName] = useState('');
   const [workspaces, setWorkspaces] = useState<Workspace[]>([]);
   const [activeWorkspaceId, setActiveWorkspaceId] = useState(initial.workspaceId);
@@ -924,18 +2274,41 @@ function App() {
   const [facebookDashboard, setFacebookDashboard] = useState<MetaDashboardData | null>(null);
   const [instagramDashboard, setInstagramDashboard] = useState<MetaDashboardData | null>(null);
   const [googleAnalyticsDashboard, setGoogleAnalyticsDashboard] = useState<GoogleAnalyticsDashboardData | null>(null);
+  const [linkedInDashboard, setLinkedInDashboard] = useState<LinkedInDashboardData | null>(null);
+  const [searchConsoleDashboard, setSearchConsoleDashboard] = useState<SearchConsoleDashboardData | null>(null);
+  const [pinterestDashboard, setPinterestDashboard] = useState<PinterestDashboardData | null>(null);
+  const [threadsDashboard, setThreadsDashboard] = useState<ThreadsDashboardData | null>(null);
+  const [blueskyDashboard, setBlueskyDashboard] = useState<BlueskyDashboardData | null>(null);
   const [crossPlatformDashboard, setCrossPlatformDashboard] = useState<CrossPlatformDashboardData | null>(null);
   const [providerCatalog, setProviderCatalog] = useState<ProviderCatalogItem[]>([]);
   const [reportConfiguration, setReportConfiguration] = useState<ReportConfiguration | null>(null);
   const [reports, setReports] = useState<ReportRun[]>([]);
   const [reportPreview, setReportPreview] = useState<ReportPreview | null>(null);
+  const [reportSchedules, setReportSchedules] = useState<ReportSchedule[]>([]);
+  const [reportSchedulePreview, setReportSchedulePreview] = useState<ReportSchedulePreview | null>(null);
   const [accountData, setAccountData] = useState<AccountData | null>(null);
+  const [organizations, setOrganizations] = useState<Organization[]>([]);
+  const [organizationData, setOrganizationData] = useState<OrganizationData | null>(null);
+  const [organizationHealth, setOrganizationHealth] = useState<OrganizationHealth | null>(null);
+  const [retentionData, setRetentionData] = useState<RetentionData | null>(null);
+  const [auditFilters, setAuditFilters] = useState<AuditFilters>(emptyAuditFilters);
+  const [auditLog, setAuditLog] = useState<AuditLogData | null>(null);
+  const [auditFilterOptions, setAuditFilterOptions] = useState<AuditFilterOptions | null>(null);
+  const [auditLoading, setAuditLoading] = useState(false);
+  const [alertsData, setAlertsData] = useState<AlertsData | null>(null);
+  const [webhooksData, setWebhooksData] = useState<WebhooksData | null>(null);
+  const [apiTokensData, setApiTokensData] = useState<ApiTokensData | null>(null);
   const [invitationToken, setInvitationToken] = useState(initial.invitation);
   const [content, setContent] = useState<ContentData | null>(null);
   const [contentDetail, setContentDetail] = useState<ContentDetail | null>(null);
   const [syncData, setSyncData] = useState<SyncData>({ sync_runs: [], total: 0, limit: 25, offset: 0 });
   const [members, setMembers] = useState<Member[]>([]);
   const [invitations, setInvitations] = useState<Invitation[]>([]);
+  const [memberConnections, setMemberConnections] = useState<MemberConnection[]>([]);
+  const [workspaceSecurity, setWorkspaceSecurity] = useState<WorkspaceSecurity | null>(null);
+  const [workspaceSso, setWorkspaceSso] = useState<WorkspaceSso | null>(null);
+  const [workspaceScim, setWorkspaceScim] = useState<WorkspaceScim | null>(null);
+  const [workspaceRoles, setWorkspaceRoles] = useState<WorkspaceRoles | null>(null);
   const [state, setState] = useState<LoadState>('loading');
   const [busy, setBusy] = useState(false);
   const [message, setMessage] = useState('');
@@ -954,8 +2327,25 @@ function App() {
     if (overviewProvider === 'facebook_pages') return facebookDashboard?.connection || null;
     if (overviewProvider === 'instagram') return instagramDashboard?.connection || null;
     if (overviewProvider === 'google_analytics_4') return googleAnalyticsDashboard?.connection || null;
+    if (overviewProvider === 'linkedin') return linkedInDashboard?.connection || null;
+    if (overviewProvider === 'google_search_console') return searchConsoleDashboard?.connection || null;
+    if (overviewProvider === 'pinterest') return pinterestDashboard?.connection || null;
+    if (overviewProvider === 'threads') return threadsDashboard?.connection || null;
+    if (overviewProvider === 'bluesky') return blueskyDashboard?.connection || null;
     return dashboard?.connection || null;
-  }, [dashboard, facebookDashboard, googleAnalyticsDashboard, instagramDashboard, overviewProvider, youtubeDashboard]);
+  }, [
+    blueskyDashboard,
+    dashboard,
+    facebookDashboard,
+    googleAnalyticsDashboard,
+    instagramDashboard,
+    linkedInDashboard,
+    overviewProvider,
+    pinterestDashboard,
+    searchConsoleDashboard,
+    threadsDashboard,
+    youtubeDashboard
+  ]);
 
   const rangeQuery = useMemo(() => queryFromRange(range, customFrom, customTo), [range, customFrom, customTo]);
 
@@ -1105,19 +2495,111 @@ function App() {
     void loadAccountData().catch(() => setMessage('account_load_failed'));
   }, [currentUserId, loadAccountData, view]);
 
-  const loadWorkspaceData = useCallback(
-    async (workspace: Workspace) => {
-      if (rangeInvalid) {
-        setMessage(rangeInvalid);
-        setState('error');
-        return;
-      }
-      setState('loading');
-      setMessage('');
-      const dashboardParams = new URLSearchParams(rangeQuery);
-      dashboardParams.set('top_sort', topSort);
-      const contentParams = new URLSearchParams(rangeQuery);
-      contentParams.set('sort', contentSort);
+  const loadOrganizations = useCallback(async (organizationId?: string) => {
+    const result = await api<{ organizations: Organization[] }>('/api/organizations');
+    setOrganizations(result.organizations);
+    const selected =
+      result.organizations.find((organization) => organization.id === organizationId) || result.organizations[0];
+    if (!selected) {
+      setOrganizationData(null);
+      setOrganizationHealth(null);
+      return;
+    }
+    setOrganizationData(await api<OrganizationData>(`/api/organizations/${selected.id}`));
+    setOrganizationHealth(
+      selected.role === 'member' ? null : await api<OrganizationHealth>(`/api/organizations/${selected.id}/health`)
+    );
+  }, []);
+
+  useEffect(() => {
+    if (!currentUserId || view !== 'organizations') return;
+    void loadOrganizations().catch(() => setMessage('organization_load_failed'));
+  }, [currentUserId, loadOrganizations, view]);
+
+  const retentionWorkspaceId = activeWorkspace?.id;
+  useEffect(() => {
+    if (!retentionWorkspaceId || view !== 'account') return;
+    setRetentionData(null);
+    void api<RetentionData>(`/api/workspaces/${retentionWorkspaceId}/retention`)
+      .then(setRetentionData)
+      .catch(() => setMessage('retention_load_failed'));
+  }, [retentionWorkspaceId, view]);
+
+  useEffect(() => {
+    if (!retentionWorkspaceId || view !== 'account') return;
+    setApiTokensData(null);
+    void api<ApiTokensData>(`/api/workspaces/${retentionWorkspaceId}/api-tokens`)
+      .then(setApiTokensData)
+      .catch(() => setMessage('api_tokens_load_failed'));
+  }, [retentionWorkspaceId, view]);
+
+  useEffect(() => {
+    setAuditFilters(emptyAuditFilters);
+    setAuditFilterOptions(null);
+  }, [retentionWorkspaceId]);
+
+  const auditAllowed = workspaceCan(activeWorkspace, 'viewAuditLog');
+  useEffect(() => {
+    if (!retentionWorkspaceId || view !== 'activity' || !auditAllowed) return;
+    setAuditLog(null);
+    setAuditLoading(true);
+    void api<AuditLogData>(`/api/workspaces/${retentionWorkspaceId}/audit-logs?${auditFilterParams(auditFilters)}`)
+      .then((result) => {
+        setAuditLog(result);
+        if (result.filters) setAuditFilterOptions(result.filters);
+      })
+      .catch((error) => setMessage(error instanceof Error ? error.message : 'audit_log_load_failed'))
+      .finally(() => setAuditLoading(false));
+  }, [auditAllowed, auditFilters, retentionWorkspaceId, view]);
+
+  useEffect(() => {
+    if (!retentionWorkspaceId || view !== 'alerts') return;
+    setAlertsData(null);
+    void api<AlertsData>(`/api/workspaces/${retentionWorkspaceId}/alerts`)
+      .then(setAlertsData)
+      .catch((error) => setMessage(error instanceof Error ? error.message : 'alerts_load_failed'));
+  }, [retentionWorkspaceId, view]);
+
+  useEffect(() => {
+    if (!retentionWorkspaceId || view !== 'connections' || !auditAllowed) return;
+    setWebhooksData(null);
+    void api<WebhooksData>(`/api/workspaces/${retentionWorkspaceId}/webhooks`)
+      .then(setWebhooksData)
+      .catch((error) => setMessage(error instanceof Error ? error.message : 'webhooks_load_failed'));
+  }, [auditAllowed, retentionWorkspaceId, view]);
+
+  async function loadMoreAuditLog() {
+    if (!activeWorkspace || !auditLog?.next_cursor) return;
+    const params = auditFilterParams(auditFilters);
+    params.set('cursor', auditLog.next_cursor);
+    setAuditLoading(true);
+    try {
+      const result = await api<AuditLogData>(`/api/workspaces/${activeWorkspace.id}/audit-logs?${params}`);
+      setAuditLog((current) => ({
+        entries: [...(current?.entries || []), ...result.entries],
+        next_cursor: result.next_cursor,
+        filters: current?.filters || null
+      }));
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'audit_log_load_failed');
+    } finally {
+      setAuditLoading(false);
+    }
+  }
+
+  const loadWorkspaceData = useCallback(
+    async (workspace: Workspace) => {
+      if (rangeInvalid) {
+        setMessage(rangeInvalid);
+        setState('error');
+        return;
+      }
+      setState('loading');
+      setMessage('');
+      const dashboardParams = new URLSearchParams(rangeQuery);
+      dashboardParams.set('top_sort', topSort);
+      const contentParams = new URLSearchParams(rangeQuery);
+      contentParams.set('sort', contentSort);
       contentParams.set('direction', contentDir);
       contentParams.set('provider', contentProvider);
       if (contentConnectionId) contentParams.set('connection_id', contentConnectionId);
@@ -1144,6 +2626,11 @@ function App() {
           facebookDashboardResult,
           instagramDashboardResult,
           googleAnalyticsDashboardResult,
+          linkedInDashboardResult,
+          searchConsoleDashboardResult,
+          pinterestDashboardResult,
+          threadsDashboardResult,
+          blueskyDashboardResult,
           crossPlatformDashboardResult,
           contentResult,
           syncResult,
@@ -1174,6 +2661,31 @@ function App() {
                 `/api/workspaces/${workspace.id}/providers/google_analytics_4/dashboard?${providerParams('google_analytics_4')}`
               )
             : Promise.resolve<GoogleAnalyticsDashboardData | null>(null),
+          loadProviderDashboards
+            ? api<LinkedInDashboardData>(
+                `/api/workspaces/${workspace.id}/providers/linkedin/dashboard?${providerParams('linkedin')}`
+              )
+            : Promise.resolve<LinkedInDashboardData | null>(null),
+          loadProviderDashboards
+            ? api<SearchConsoleDashboardData>(
+                `/api/workspaces/${workspace.id}/providers/google_search_console/dashboard?${providerParams('google_search_console')}`
+              )
+            : Promise.resolve<SearchConsoleDashboardData | null>(null),
+          loadProviderDashboards
+            ? api<PinterestDashboardData>(
+                `/api/workspaces/${workspace.id}/providers/pinterest/dashboard?${providerParams('pinterest')}`
+              )
+            : Promise.resolve<PinterestDashboardData | null>(null),
+          loadProviderDashboards
+            ? api<ThreadsDashboardData>(
+                `/api/workspaces/${workspace.id}/providers/threads/dashboard?${providerParams('threads')}`
+              )
+            : Promise.resolve<ThreadsDashboardData | null>(null),
+          loadProviderDashboards
+            ? api<BlueskyDashboardData>(
+                `/api/workspaces/${workspace.id}/providers/bluesky/dashboard?${providerParams('bluesky')}`
+              )
+            : Promise.resolve<BlueskyDashboardData | null>(null),
           view === 'overview'
             ? api<CrossPlatformDashboardData>(
                 `/api/workspaces/${workspace.id}/cross-platform-overview?${dashboardParams.toString()}`
@@ -1188,7 +2700,7 @@ function App() {
           loadCatalog
             ? api<{ providers: ProviderCatalogItem[] }>(`/api/workspaces/${workspace.id}/provider-catalog`)
             : Promise.resolve<{ providers: ProviderCatalogItem[] } | null>(null),
-          view === 'reports' && roleCanReport(workspace.role)
+          view === 'reports' && workspaceCan(workspace, 'manageReports')
             ? api<{ reports: ReportRun[] }>(`/api/workspaces/${workspace.id}/reports`)
             : Promise.resolve<{ reports: ReportRun[] } | null>(null),
           view === 'reports'
@@ -1200,6 +2712,11 @@ function App() {
         if (facebookDashboardResult) setFacebookDashboard(facebookDashboardResult);
         if (instagramDashboardResult) setInstagramDashboard(instagramDashboardResult);
         if (googleAnalyticsDashboardResult) setGoogleAnalyticsDashboard(googleAnalyticsDashboardResult);
+        if (linkedInDashboardResult) setLinkedInDashboard(linkedInDashboardResult);
+        if (searchConsoleDashboardResult) setSearchConsoleDashboard(searchConsoleDashboardResult);
+        if (pinterestDashboardResult) setPinterestDashboard(pinterestDashboardResult);
+        if (threadsDashboardResult) setThreadsDashboard(threadsDashboardResult);
+        if (blueskyDashboardResult) setBlueskyDashboard(blueskyDashboardResult);
         if (crossPlatformDashboardResult) setCrossPlatformDashboard(crossPlatformDashboardResult);
         if (contentResult) setContent(contentResult);
         if (syncResult) setSyncData(syncResult);
@@ -1207,15 +2724,39 @@ function App() {
         if (reportsResult) setReports(reportsResult.reports);
         else if (view === 'reports') setReports([]);
         if (reportConfigurationResult) setReportConfiguration(reportConfigurationResult.reporting);
-        if (view === 'members' && roleCanManage(workspace.role)) {
-          const memberResult = await api<{ members: Member[]; invitations: Invitation[] }>(
-            `/api/workspaces/${workspace.id}/members`
+        if (
+          view === 'reports' &&
+          workspaceCan(workspace, 'manageReports') &&
+          reportConfigurationResult?.reporting.ready
+        ) {
+          const scheduleResult = await api<{ schedules: ReportSchedule[] }>(
+            `/api/workspaces/${workspace.id}/report-schedules`
           );
+          setReportSchedules(scheduleResult.schedules);
+        } else if (view === 'reports') {
+          setReportSchedules([]);
+        }
+        if (view === 'members' && workspaceCan(workspace, 'manageMembers')) {
+          const memberResult = await api<{
+            members: Member[];
+            invitations: Invitation[];
+            connections?: MemberConnection[];
+          }>(`/api/workspaces/${workspace.id}/members`);
           setMembers(memberResult.members);
           setInvitations(memberResult.invitations || []);
+          setMemberConnections(memberResult.connections || []);
+          setWorkspaceSecurity(await api<WorkspaceSecurity>(`/api/workspaces/${workspace.id}/security`));
+          setWorkspaceSso(await api<WorkspaceSso>(`/api/workspaces/${workspace.id}/sso`));
+          setWorkspaceScim(await api<WorkspaceScim>(`/api/workspaces/${workspace.id}/scim`));
+          setWorkspaceRoles(await api<WorkspaceRoles>(`/api/workspaces/${workspace.id}/roles`));
         } else if (view === 'members') {
           setMembers([]);
           setInvitations([]);
+          setMemberConnections([]);
+          setWorkspaceSecurity(null);
+          setWorkspaceSso(null);
+          setWorkspaceScim(null);
+          setWorkspaceRoles(null);
         }
         if (view === 'overview') {
           setState(resolveCrossPlatformLoadState(crossPlatformDashboardResult));
@@ -1229,7 +2770,17 @@ function App() {
                   ? resolveMetaLoadState(instagramDashboardResult)
                   : overviewProvider === 'google_analytics_4'
                     ? resolveGoogleAnalyticsLoadState(googleAnalyticsDashboardResult)
-                    : resolveLoadState(dashboardResult)
+                    : overviewProvider === 'linkedin'
+                      ? resolveLinkedInLoadState(linkedInDashboardResult)
+                      : overviewProvider === 'google_search_console'
+                        ? resolveSearchConsoleLoadState(searchConsoleDashboardResult)
+                        : overviewProvider === 'pinterest'
+                          ? resolvePinterestLoadState(pinterestDashboardResult)
+                          : overviewProvider === 'threads'
+                            ? resolveThreadsLoadState(threadsDashboardResult)
+                            : overviewProvider === 'bluesky'
+                              ? resolveBlueskyLoadState(blueskyDashboardResult)
+                              : resolveLoadState(dashboardResult)
           );
         } else if (view === 'content') {
           setState(contentResult && contentResult.total > 0 ? 'ready' : 'empty');
@@ -1270,7 +2821,7 @@ function App() {
       !user ||
       !activeWorkspace ||
       view !== 'reports' ||
-      !roleCanReport(activeWorkspace.role) ||
+      !workspaceCan(activeWorkspace, 'manageReports') ||
       !reports.some((report) => report.status === 'queued' || report.status === 'running')
     )
       return undefined;
@@ -1314,6 +2865,69 @@ function App() {
     setView('connections');
   }, [initial.analyticsOutcome]);
 
+  useEffect(() => {
+    if (!initial.linkedInOutcome) return;
+    const outcomes: Record<string, string> = {
+      selection_required: 'LinkedIn authorized. Select a Page to finish connecting.',
+      no_organizations: 'LinkedIn authorized, but you do not administer any Pages that can be connected.',
+      reconnected: 'LinkedIn authorization restored for the selected Page.',
+      denied: 'LinkedIn authorization was cancelled. No connection was created.',
+      missing_scopes: 'LinkedIn did not grant both required read-only Page permissions.',
+      configuration_error: 'LinkedIn authorization is temporarily unavailable. Contact support.',
+      provider_error: 'LinkedIn could not complete authorization. Try again after LinkedIn recovers.',
+      failed: 'LinkedIn authorization did not complete.'
+    };
+    setToast(outcomes[initial.linkedInOutcome] || 'LinkedIn authorization returned.');
+    setView('connections');
+  }, [initial.linkedInOutcome]);
+
+  useEffect(() => {
+    if (!initial.searchConsoleOutcome) return;
+    const outcomes: Record<string, string> = {
+      selection_required: 'Search Console authorized. Select a verified site to finish connecting.',
+      no_sites: 'Search Console authorized, but no verified site properties can be connected.',
+      reconnected: 'Search Console authorization restored for the selected site.',
+      denied: 'Search Console authorization was cancelled. No connection was created.',
+      missing_scopes: 'Google did not grant read-only Search Console access.',
+      configuration_error: 'Search Console authorization is temporarily unavailable. Contact support.',
+      provider_error: 'Google could not complete Search Console authorization. Try again later.',
+      failed: 'Search Console authorization did not complete.'
+    };
+    setToast(outcomes[initial.searchConsoleOutcome] || 'Search Console authorization returned.');
+    setView('connections');
+  }, [initial.searchConsoleOutcome]);
+
+  useEffect(() => {
+    if (!initial.pinterestOutcome) return;
+    const outcomes: Record<string, string> = {
+      selection_required: 'Pinterest authorized. Select the business account to finish connecting.',
+      business_account_required: 'Pinterest authorized, but only business accounts can be connected.',
+      reconnected: 'Pinterest authorization restored for the selected account.',
+      denied: 'Pinterest authorization was cancelled. No connection was created.',
+      missing_scopes: 'Pinterest did not grant every required read-only permission.',
+      configuration_error: 'Pinterest authorization is temporarily unavailable. Contact support.',
+      provider_error: 'Pinterest could not complete authorization. Try again after Pinterest recovers.',
+      failed: 'Pinterest authorization did not complete.'
+    };
+    setToast(outcomes[initial.pinterestOutcome] || 'Pinterest authorization returned.');
+    setView('connections');
+  }, [initial.pinterestOutcome]);
+
+  useEffect(() => {
+    if (!initial.threadsOutcome) return;
+    const outcomes: Record<string, string> = {
+      selection_required: 'Threads authorized. Select the profile to finish connecting.',
+      reconnected: 'Threads authorization restored for the selected profile.',
+      denied: 'Threads authorization was cancelled. No connection was created.',
+      missing_scopes: 'Threads did not grant every required read-only permission.',
+      configuration_error: 'Threads authorization is temporarily unavailable. Contact support.',
+      provider_error: 'Threads could not complete authorization. Try again after Threads recovers.',
+      failed: 'Threads authorization did not complete.'
+    };
+    setToast(outcomes[initial.threadsOutcome] || 'Threads authorization returned.');
+    setView('connections');
+  }, [initial.threadsOutcome]);
+
   useEffect(() => {
     const providerOutcome = initial.facebookOutcome
       ? { name: 'Facebook Pages', value: initial.facebookOutcome }
@@ -1337,6 +2951,19 @@ function App() {
     setView('connections');
   }, [initial.facebookOutcome, initial.instagramOutcome]);
 
+  useEffect(() => {
+    if (!initial.ssoOutcome) return;
+    const outcomes: Record<string, string> = {
+      denied: 'Sign-in was cancelled or refused by your identity provider.',
+      domain_not_verified:
+        'Your identity provider returned an email address outside the verified domains for this workspace.',
+      expired: 'The single sign-on attempt expired or was started in another browser. Start again.',
+      configuration_error: 'Single sign-on is not available for this workspace right now. Use a sign-in code instead.',
+      failed: 'Single sign-on did not complete. Try again or use a sign-in code.'
+    };
+    setMessage(outcomes[initial.ssoOutcome] || outcomes.failed);
+  }, [initial.ssoOutcome]);
+
   const detailWorkspaceId = activeWorkspace?.id || '';
 
   useEffect(() => {
@@ -1364,6 +2991,24 @@ function App() {
 
   async function requestLink(event: React.FormEvent) {
     event.preventDefault();
+    setBusy(true);
+    setMessage('');
+    try {
+      const discovery = await api<{ sso: SsoDiscovery | null }>(
+        `/api/auth/sso/discover?${new URLSearchParams({ email }).toString()}`
+      );
+      if (discovery.sso) {
+        setSsoOption(discovery.sso);
+        setBusy(false);
+        return;
+      }
+    } catch {
+      setSsoOption(null);
+    }
+    await sendSignInCode();
+  }
+
+  async function sendSignInCode() {
     setBusy(true);
     setMessage('');
     try {
@@ -1396,6 +3041,33 @@ function App() {
     setToken('');
   }
 
+  async function signInWithPasskey() {
+    setBusy(true);
+    setMessage('');
+    try {
+      const options = await api<PasskeyRequestOptions>('/api/auth/passkey/options', {
+        method: 'POST',
+        body: JSON.stringify({})
+      });
+      const credential = await getPasskeyAssertion(options);
+      const result = await api<{ user: User; csrf_token: string }>('/api/auth/passkey', {
+        method: 'POST',
+        body: JSON.stringify({ credential })
+      });
+      setUser(result.user);
+      setCsrf(result.csrf_token);
+      await loadWorkspaces();
+    } catch (error) {
+      setMessage(
+        passkeyErrorCode(error) === 'passkey_cancelled'
+          ? 'The passkey prompt was cancelled. Try again or use a sign-in code.'
+          : 'That passkey could not be used to sign in. Try again or use a sign-in code.'
+      );
+    } finally {
+      setBusy(false);
+    }
+  }
+
   async function verifyLink(event: React.FormEvent) {
     event.preventDefault();
     setBusy(true);
@@ -1572,6 +3244,161 @@ function App() {
     }
   }
 
+  async function previewPdfReportSchedule(request: ReportScheduleRequest) {
+    if (!activeWorkspace) return;
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await api<{ preview: ReportSchedulePreview }>(
+        `/api/workspaces/${activeWorkspace.id}/report-schedules/preview`,
+        {
+          method: 'POST',
+          headers: { 'x-csrf-token': csrf },
+          body: JSON.stringify(request)
+        }
+      );
+      setReportSchedulePreview(result.preview);
+      setToast('Upcoming scheduled runs updated.');
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'report_schedule_preview_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function createPdfReportSchedule(request: ReportScheduleRequest) {
+    if (!activeWorkspace) return;
+    setBusy(true);
+    setMessage('');
+    try {
+      await api<{ schedule: ReportSchedule }>(`/api/workspaces/${activeWorkspace.id}/report-schedules`, {
+        method: 'POST',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify(request)
+      });
+      setReportSchedulePreview(null);
+      setToast('Report schedule saved. Each run is queued automatically from stored analytics.');
+      await loadWorkspaceData(activeWorkspace);
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'report_schedule_create_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function setPdfReportScheduleState(schedule: ReportSchedule, action: 'pause' | 'resume') {
+    if (!activeWorkspace) return;
+    setBusy(true);
+    setMessage('');
+    try {
+      await api<{ schedule: ReportSchedule }>(
+        `/api/workspaces/${activeWorkspace.id}/report-schedules/${schedule.id}/${action}`,
+        {
+          method: 'POST',
+          headers: { 'x-csrf-token': csrf },
+          body: JSON.stringify({})
+        }
+      );
+      setToast(action === 'pause' ? 'Report schedule paused.' : 'Report schedule resumed.');
+      await loadWorkspaceData(activeWorkspace);
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : `report_schedule_${action}_failed`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function deletePdfReportSchedule(schedule: ReportSchedule) {
+    if (
+      !activeWorkspace ||
+      !window.confirm(`Delete the schedule for “${schedule.title}”? Reports it already generated are kept.`)
+    )
+      return;
+    setBusy(true);
+    setMessage('');
+    try {
+      await api(`/api/workspaces/${activeWorkspace.id}/report-schedules/${schedule.id}`, {
+        method: 'DELETE',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({})
+      });
+      setToast('Report schedule deleted.');
+      await loadWorkspaceData(activeWorkspace);
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'report_schedule_delete_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function loadPdfReportScheduleHistory(schedule: ReportSchedule) {
+    if (!activeWorkspace) return null;
+    setMessage('');
+    try {
+      return await api<ReportScheduleHistory>(
+        `/api/workspaces/${activeWorkspace.id}/report-schedules/${schedule.id}/runs`
+      );
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'report_schedule_history_failed');
+      return null;
+    }
+  }
+
+  async function addPdfReportRecipient(definitionId: string, email: string, deliveryMode: ReportDeliveryMode) {
+    if (!activeWorkspace) return;
+    setBusy(true);
+    setMessage('');
+    try {
+      await api<{ recipients: ReportRecipient[] }>(
+        `/api/workspaces/${activeWorkspace.id}/report-definitions/${definitionId}/recipients`,
+        {
+          method: 'POST',
+          headers: { 'x-csrf-token': csrf },
+          body: JSON.stringify({ email, delivery_mode: deliveryMode })
+        }
+      );
+      setToast('Recipient added. They receive the next finished report.');
+      await loadWorkspaceData(activeWorkspace);
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'report_recipient_add_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function removePdfReportRecipient(definitionId: string, recipient: ReportRecipient) {
+    if (!activeWorkspace || !window.confirm(`Stop emailing this report to ${recipient.email}?`)) return;
+    setBusy(true);
+    setMessage('');
+    try {
+      await api(`/api/workspaces/${activeWorkspace.id}/report-definitions/${definitionId}/recipients/${recipient.id}`, {
+        method: 'DELETE',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({})
+      });
+      setToast('Recipient removed.');
+      await loadWorkspaceData(activeWorkspace);
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'report_recipient_remove_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function loadPdfReportDeliveries(report: ReportRun) {
+    if (!activeWorkspace) return null;
+    setMessage('');
+    try {
+      const result = await api<{ deliveries: ReportDelivery[] }>(
+        `/api/workspaces/${activeWorkspace.id}/reports/${report.id}/deliveries`
+      );
+      return result.deliveries;
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'report_deliveries_failed');
+      return null;
+    }
+  }
+
   async function manualYouTubeSync(connectionId?: string) {
     if (!activeWorkspace) return;
     setBusy(true);
@@ -1736,2294 +3563,4343 @@ function App() {
     }
   }
 
-  async function startMetaConnection(provider: 'facebook' | 'instagram', connectionId?: string) {
+  async function startLinkedInConnection(connectionId?: string) {
     if (!activeWorkspace) return;
     setBusy(true);
     setMessage('');
-    const providerId = provider === 'facebook' ? 'facebook_pages' : 'instagram';
     try {
       const result = await api<{ authorization_url: string }>(
-        `/api/workspaces/${activeWorkspace.id}/connections/${provider}/start`,
+        `/api/workspaces/${activeWorkspace.id}/connections/linkedin/start`,
         {
           method: 'POST',
           headers: { 'x-csrf-token': csrf },
           body: JSON.stringify({
-            return_path: `/?workspace=${activeWorkspace.id}&view=connections&provider=${providerId}`,
+            return_path: `/?workspace=${activeWorkspace.id}&view=connections&provider=linkedin`,
             connection_id: connectionId || null
           })
         }
       );
       window.location.href = result.authorization_url;
     } catch (error) {
-      setMessage(error instanceof Error ? error.message : `${providerId}_connection_failed`);
+      setMessage(error instanceof Error ? error.message : 'linkedin_connection_failed');
       setBusy(false);
     }
   }
 
-  async function selectMetaResource(provider: 'facebook' | 'instagram', resourceId: string) {
+  async function selectLinkedInResource(resourceId: string) {
     if (!activeWorkspace) return;
     setBusy(true);
     setMessage('');
     try {
-      await api(`/api/workspaces/${activeWorkspace.id}/connections/${provider}/select`, {
+      await api(`/api/workspaces/${activeWorkspace.id}/connections/linkedin/select`, {
         method: 'POST',
         headers: { 'x-csrf-token': csrf },
         body: JSON.stringify({ resource_id: resourceId })
       });
-      setToast(
-        `${provider === 'facebook' ? 'Facebook Page' : 'Instagram account'} connected. Its first sync is queued.`
-      );
+      setToast('LinkedIn Page connected. Its first read-only sync is queued.');
       await loadWorkspaceData(activeWorkspace);
     } catch (error) {
-      setMessage(error instanceof Error ? error.message : `${provider}_resource_selection_failed`);
+      setMessage(error instanceof Error ? error.message : 'linkedin_organization_selection_failed');
     } finally {
       setBusy(false);
     }
   }
 
-  async function manualMetaSync(provider: 'facebook_pages' | 'instagram', connectionId?: string) {
+  async function manualLinkedInSync(connectionId?: string) {
     if (!activeWorkspace) return;
     setBusy(true);
     setMessage('');
     try {
-      const result = await api<{ status?: string }>(
-        `/api/workspaces/${activeWorkspace.id}/providers/${provider}/sync-runs`,
+      const result = await api<{ status?: string; error?: { message?: string; category?: string } }>(
+        `/api/workspaces/${activeWorkspace.id}/providers/linkedin/sync-runs`,
         {
           method: 'POST',
           headers: { 'x-csrf-token': csrf },
           body: JSON.stringify({ connection_id: connectionId || null })
         }
       );
-      setToast(result.status === 'queued' ? 'Meta sync scheduled.' : 'Meta sync updated.');
       await loadWorkspaceData(activeWorkspace);
+      if (result.status === 'failed' || result.status === 'disabled') {
+        setMessage(result.error?.message || result.error?.category || 'linkedin_sync_failed');
+      } else {
+        setToast(result.status === 'queued' ? 'LinkedIn sync scheduled.' : 'LinkedIn sync updated.');
+      }
     } catch (error) {
-      const code = error instanceof Error ? error.message : `${provider}_sync_failed`;
+      const code = error instanceof Error ? error.message : 'linkedin_sync_failed';
       setMessage(code === 'manual_sync_cooldown' ? 'Manual sync is cooling down. Try again later.' : code);
     } finally {
       setBusy(false);
     }
   }
 
-  async function disconnectConnection() {
-    if (!activeWorkspace || !disconnectTarget) return;
+  async function startSearchConsoleConnection(connectionId?: string) {
+    if (!activeWorkspace) return;
     setBusy(true);
     setMessage('');
     try {
-      const result = await api<{
-        provider_revoke?: { attempted?: boolean; success?: boolean; outcome_category?: string };
-        provider_grant_preserved?: boolean;
-      }>(`/api/workspaces/${activeWorkspace.id}/connections/${disconnectTarget.provider}`, {
-        method: 'DELETE',
-        headers: { 'x-csrf-token': csrf },
-        body: JSON.stringify({ connection_id: disconnectTarget.connectionId || null })
-      });
-      if (disconnectTarget.provider === 'youtube') {
-        setToast(
-          result.provider_revoke?.success
-            ? 'Google access revoked and locally stored YouTube data deleted.'
-            : 'Locally stored YouTube data deleted. Google revocation did not complete; review Google Account connections.'
-        );
-      } else if (disconnectTarget.provider === 'google-analytics') {
-        setToast(
-          result.provider_revoke?.success
-            ? 'Google Analytics access revoked and locally stored property data deleted.'
-            : 'Locally stored GA4 data deleted. Google revocation did not complete; review Google Account connections.'
-        );
-      } else if (disconnectTarget.provider === 'facebook' || disconnectTarget.provider === 'instagram') {
-        setToast(
-          result.provider_grant_preserved
-            ? 'Locally stored provider data deleted. Meta access remains active for another selected Meta resource.'
-            : result.provider_revoke?.success
-              ? 'Meta access revoked and locally stored provider data deleted.'
-              : 'Locally stored provider data deleted. Meta revocation did not complete; review Facebook app connections.'
-        );
-      } else {
-        setToast('TikTok connection disabled locally. Provider revocation was attempted first.');
-      }
-      setDisconnectTarget(null);
-      await loadWorkspaceData(activeWorkspace);
+      const result = await api<{ authorization_url: string }>(
+        `/api/workspaces/${activeWorkspace.id}/connections/search-console/start`,
+        {
+          method: 'POST',
+          headers: { 'x-csrf-token': csrf },
+          body: JSON.stringify({
+            return_path: `/?workspace=${activeWorkspace.id}&view=connections&provider=google_search_console`,
+            connection_id: connectionId || null
+          })
+        }
+      );
+      window.location.href = result.authorization_url;
     } catch (error) {
-      setMessage(error instanceof Error ? error.message : 'disconnect_failed');
-    } finally {
+      setMessage(error instanceof Error ? error.message : 'search_console_connection_failed');
       setBusy(false);
     }
   }
 
-  async function inviteMember(emailValue: string, roleValue: Exclude<Role, 'owner'>) {
+  async function selectSearchConsoleResource(resourceId: string) {
     if (!activeWorkspace) return;
     setBusy(true);
     setMessage('');
     try {
-      await api(`/api/workspaces/${activeWorkspace.id}/invitations`, {
+      await api(`/api/workspaces/${activeWorkspace.id}/connections/search-console/select`, {
         method: 'POST',
         headers: { 'x-csrf-token': csrf },
-        body: JSON.stringify({ email: emailValue, role: roleValue })
+        body: JSON.stringify({ resource_id: resourceId })
       });
-      setToast('Invitation sent.');
+      setToast('Search Console site connected. Its first read-only sync is queued.');
       await loadWorkspaceData(activeWorkspace);
     } catch (error) {
-      setMessage(error instanceof Error ? error.message : 'invite_failed');
+      setMessage(error instanceof Error ? error.message : 'search_console_site_selection_failed');
     } finally {
       setBusy(false);
     }
   }
 
-  async function resendMemberInvitation(invitation: Invitation) {
+  async function manualSearchConsoleSync(connectionId?: string) {
     if (!activeWorkspace) return;
     setBusy(true);
     setMessage('');
     try {
-      await api(`/api/workspaces/${activeWorkspace.id}/invitations/${invitation.id}/resend`, {
-        method: 'POST',
-        headers: { 'x-csrf-token': csrf },
-        body: JSON.stringify({})
-      });
-      setToast(`A new invitation was sent to ${invitation.email}.`);
+      const result = await api<{ status?: string; error?: { message?: string; category?: string } }>(
+        `/api/workspaces/${activeWorkspace.id}/providers/google_search_console/sync-runs`,
+        {
+          method: 'POST',
+          headers: { 'x-csrf-token': csrf },
+          body: JSON.stringify({ connection_id: connectionId || null })
+        }
+      );
       await loadWorkspaceData(activeWorkspace);
+      if (result.status === 'failed' || result.status === 'disabled') {
+        setMessage(result.error?.message || result.error?.category || 'search_console_sync_failed');
+      } else {
+        setToast(result.status === 'queued' ? 'Search Console sync scheduled.' : 'Search Console sync updated.');
+      }
     } catch (error) {
-      setMessage(error instanceof Error ? error.message : 'invitation_resend_failed');
+      const code = error instanceof Error ? error.message : 'search_console_sync_failed';
+      setMessage(code === 'manual_sync_cooldown' ? 'Manual sync is cooling down. Try again later.' : code);
     } finally {
       setBusy(false);
     }
   }
 
-  async function revokeMemberInvitation(invitation: Invitation) {
+  async function startPinterestConnection(connectionId?: string) {
     if (!activeWorkspace) return;
     setBusy(true);
     setMessage('');
     try {
-      await api(`/api/workspaces/${activeWorkspace.id}/invitations/${invitation.id}`, {
-        method: 'DELETE',
-        headers: { 'x-csrf-token': csrf },
-        body: JSON.stringify({})
-      });
-      setToast(`Invitation for ${invitation.email} revoked.`);
-      await loadWorkspaceData(activeWorkspace);
+      const result = await api<{ authorization_url: string }>(
+        `/api/workspaces/${activeWorkspace.id}/connections/pinterest/start`,
+        {
+          method: 'POST',
+          headers: { 'x-csrf-token': csrf },
+          body: JSON.stringify({
+            return_path: `/?workspace=${activeWorkspace.id}&view=connections&provider=pinterest`,
+            connection_id: connectionId || null
+          })
+        }
+      );
+      window.location.href = result.authorization_url;
     } catch (error) {
-      setMessage(error instanceof Error ? error.message : 'invitation_revoke_failed');
-    } finally {
+      setMessage(error instanceof Error ? error.message : 'pinterest_connection_failed');
       setBusy(false);
     }
   }
 
-  async function acceptInvitation() {
-    if (!invitationToken) return;
+  async function selectPinterestResource(resourceId: string) {
+    if (!activeWorkspace) return;
     setBusy(true);
     setMessage('');
     try {
-      const result = await api<{ workspace: { id: string; name: string } }>('/api/invitations/accept', {
+      await api(`/api/workspaces/${activeWorkspace.id}/connections/pinterest/select`, {
         method: 'POST',
         headers: { 'x-csrf-token': csrf },
-        body: JSON.stringify({ token: invitationToken })
+        body: JSON.stringify({ resource_id: resourceId })
       });
-      setInvitationToken('');
-      await loadWorkspaces();
-      setActiveWorkspaceId(result.workspace.id);
-      setToast(`You joined ${result.workspace.name}.`);
+      setToast('Pinterest business account connected. Its first read-only sync is queued.');
+      await loadWorkspaceData(activeWorkspace);
     } catch (error) {
-      setMessage(error instanceof Error ? error.message : 'invitation_accept_failed');
+      setMessage(error instanceof Error ? error.message : 'pinterest_account_selection_failed');
     } finally {
       setBusy(false);
     }
   }
 
-  async function saveAccountProfile(displayName: string) {
+  async function manualPinterestSync(connectionId?: string) {
+    if (!activeWorkspace) return;
     setBusy(true);
     setMessage('');
     try {
-      const result = await api<{ profile: User }>('/api/account/profile', {
-        method: 'PATCH',
-        headers: { 'x-csrf-token': csrf },
-        body: JSON.stringify({ display_name: displayName })
-      });
-      setUser(result.profile);
-      await loadAccountData();
-      setToast('Profile updated.');
+      const result = await api<{ status?: string; error?: { message?: string; category?: string } }>(
+        `/api/workspaces/${activeWorkspace.id}/providers/pinterest/sync-runs`,
+        {
+          method: 'POST',
+          headers: { 'x-csrf-token': csrf },
+          body: JSON.stringify({ connection_id: connectionId || null })
+        }
+      );
+      await loadWorkspaceData(activeWorkspace);
+      if (result.status === 'failed' || result.status === 'disabled') {
+        setMessage(result.error?.message || result.error?.category || 'pinterest_sync_failed');
+      } else {
+        setToast(result.status === 'queued' ? 'Pinterest sync scheduled.' : 'Pinterest sync updated.');
+      }
     } catch (error) {
-      setMessage(error instanceof Error ? error.message : 'profile_update_failed');
+      const code = error instanceof Error ? error.message : 'pinterest_sync_failed';
+      setMessage(code === 'manual_sync_cooldown' ? 'Manual sync is cooling down. Try again later.' : code);
     } finally {
       setBusy(false);
     }
   }
 
-  async function revokeAccountSessionById(session: AccountSession) {
+  async function startThreadsConnection(connectionId?: string) {
+    if (!activeWorkspace) return;
     setBusy(true);
     setMessage('');
     try {
-      const result = await api<{ signed_out: boolean }>(`/api/account/sessions/${session.id}`, {
-        method: 'DELETE',
-        headers: { 'x-csrf-token': csrf },
-        body: JSON.stringify({})
-      });
-      if (result.signed_out) {
-        await signOut();
-        return;
-      }
-      await loadAccountData();
-      setToast('Session signed out.');
+      const result = await api<{ authorization_url: string }>(
+        `/api/workspaces/${activeWorkspace.id}/connections/threads/start`,
+        {
+          method: 'POST',
+          headers: { 'x-csrf-token': csrf },
+          body: JSON.stringify({
+            return_path: `/?workspace=${activeWorkspace.id}&view=connections&provider=threads`,
+            connection_id: connectionId || null
+          })
+        }
+      );
+      window.location.href = result.authorization_url;
     } catch (error) {
-      setMessage(error instanceof Error ? error.message : 'session_revoke_failed');
-    } finally {
+      setMessage(error instanceof Error ? error.message : 'threads_connection_failed');
       setBusy(false);
     }
   }
 
-  async function revokeOtherSessions() {
+  async function selectThreadsResource(resourceId: string) {
+    if (!activeWorkspace) return;
     setBusy(true);
     setMessage('');
     try {
-      const result = await api<{ revoked: number }>('/api/account/sessions/revoke-others', {
+      await api(`/api/workspaces/${activeWorkspace.id}/connections/threads/select`, {
         method: 'POST',
         headers: { 'x-csrf-token': csrf },
-        body: JSON.stringify({})
+        body: JSON.stringify({ resource_id: resourceId })
       });
-      await loadAccountData();
-      setToast(
-        result.revoked
-          ? `${result.revoked} other session${result.revoked === 1 ? '' : 's'} signed out.`
-          : 'No other active sessions.'
-      );
+      setToast('Threads profile connected. Its first read-only sync is queued.');
+      await loadWorkspaceData(activeWorkspace);
     } catch (error) {
-      setMessage(error instanceof Error ? error.message : 'session_revoke_failed');
+      setMessage(error instanceof Error ? error.message : 'threads_profile_selection_failed');
     } finally {
       setBusy(false);
     }
   }
 
-  async function revokeAllSessions() {
+  async function manualThreadsSync(connectionId?: string) {
+    if (!activeWorkspace) return;
     setBusy(true);
     setMessage('');
     try {
-      await api('/api/account/sessions/revoke-all', {
-        method: 'POST',
-        headers: { 'x-csrf-token': csrf },
-        body: JSON.stringify({})
-      });
-    } catch {
-      // Clear local state even if this session was already revoked.
+      const result = await api<{ status?: string; error?: { message?: string; category?: string } }>(
+        `/api/workspaces/${activeWorkspace.id}/providers/threads/sync-runs`,
+        {
+          method: 'POST',
+          headers: { 'x-csrf-token': csrf },
+          body: JSON.stringify({ connection_id: connectionId || null })
+        }
+      );
+      await loadWorkspaceData(activeWorkspace);
+      if (result.status === 'failed' || result.status === 'disabled') {
+        setMessage(result.error?.message || result.error?.category || 'threads_sync_failed');
+      } else {
+        setToast(result.status === 'queued' ? 'Threads sync scheduled.' : 'Threads sync updated.');
+      }
+    } catch (error) {
+      const code = error instanceof Error ? error.message : 'threads_sync_failed';
+      setMessage(code === 'manual_sync_cooldown' ? 'Manual sync is cooling down. Try again later.' : code);
     } finally {
-      setUser(null);
-      setCsrf('');
-      setWorkspaces([]);
-      setActiveWorkspaceId('');
-      setAccountData(null);
       setBusy(false);
     }
   }
 
-  async function requestAccountDeletionFromUi(confirmation: string) {
+  async function connectBluesky(identifier: string, appPassword: string, connectionId?: string) {
+    if (!activeWorkspace) return false;
     setBusy(true);
     setMessage('');
     try {
-      const result = await api<{ existing?: boolean }>('/api/account/deletion-requests', {
-        method: 'POST',
-        headers: { 'x-csrf-token': csrf },
-        body: JSON.stringify({ confirmation })
-      });
-      await loadAccountData();
+      const result = await api<{ outcome: string }>(
+        `/api/workspaces/${activeWorkspace.id}/connections/bluesky/connect`,
+        {
+          method: 'POST',
+          headers: { 'x-csrf-token': csrf },
+          body: JSON.stringify({ identifier, app_password: appPassword, connection_id: connectionId || null })
+        }
+      );
       setToast(
-        result.existing
-          ? 'Your account deletion request is already being reviewed.'
-          : 'Account deletion request submitted.'
+        result.outcome === 'reconnected'
+          ? 'Bluesky session restored for the connected account.'
+          : 'Bluesky account connected. Its first read-only sync is queued.'
       );
+      await loadWorkspaceData(activeWorkspace);
+      return true;
     } catch (error) {
-      setMessage(error instanceof Error ? error.message : 'account_deletion_request_failed');
+      setMessage(error instanceof Error ? error.message : 'bluesky_connection_failed');
+      return false;
     } finally {
       setBusy(false);
     }
   }
 
-  async function requestWorkspaceDeletionFromUi(workspace: Workspace, confirmation: string) {
+  async function manualBlueskySync(connectionId?: string) {
+    if (!activeWorkspace) return;
     setBusy(true);
     setMessage('');
     try {
-      const result = await api<{ existing?: boolean }>(`/api/workspaces/${workspace.id}/deletion-requests`, {
-        method: 'POST',
-        headers: { 'x-csrf-token': csrf },
-        body: JSON.stringify({ confirmation })
-      });
-      await loadAccountData();
-      setToast(
-        result.existing
-          ? 'This workspace deletion request is already being reviewed.'
-          : 'Workspace deletion request submitted.'
+      const result = await api<{ status?: string; error?: { message?: string; category?: string } }>(
+        `/api/workspaces/${activeWorkspace.id}/providers/bluesky/sync-runs`,
+        {
+          method: 'POST',
+          headers: { 'x-csrf-token': csrf },
+          body: JSON.stringify({ connection_id: connectionId || null })
+        }
       );
+      await loadWorkspaceData(activeWorkspace);
+      if (result.status === 'failed' || result.status === 'disabled') {
+        setMessage(result.error?.message || result.error?.category || 'bluesky_sync_failed');
+      } else {
+        setToast(result.status === 'queued' ? 'Bluesky sync scheduled.' : 'Bluesky sync updated.');
+      }
     } catch (error) {
-      setMessage(error instanceof Error ? error.message : 'workspace_deletion_request_failed');
+      const code = error instanceof Error ? error.message : 'bluesky_sync_failed';
+      setMessage(code === 'manual_sync_cooldown' ? 'Manual sync is cooling down. Try again later.' : code);
     } finally {
       setBusy(false);
     }
   }
 
-  async function updateMemberRole(member: Member, roleValue: Role) {
+  async function startMetaConnection(provider: 'facebook' | 'instagram', connectionId?: string) {
     if (!activeWorkspace) return;
     setBusy(true);
     setMessage('');
+    const providerId = provider === 'facebook' ? 'facebook_pages' : 'instagram';
     try {
-      await api(`/api/workspaces/${activeWorkspace.id}/members/${member.user_id}`, {
-        method: 'PATCH',
-        headers: { 'x-csrf-token': csrf },
-        body: JSON.stringify({ role: roleValue })
-      });
-      setToast(`${member.email} updated.`);
-      await loadWorkspaceData(activeWorkspace);
+      const result = await api<{ authorization_url: string }>(
+        `/api/workspaces/${activeWorkspace.id}/connections/${provider}/start`,
+        {
+          method: 'POST',
+          headers: { 'x-csrf-token': csrf },
+          body: JSON.stringify({
+            return_path: `/?workspace=${activeWorkspace.id}&view=connections&provider=${providerId}`,
+            connection_id: connectionId || null
+          })
+        }
+      );
+      window.location.href = result.authorization_url;
     } catch (error) {
-      setMessage(error instanceof Error ? error.message : 'role_update_failed');
-    } finally {
+      setMessage(error instanceof Error ? error.message : `${providerId}_connection_failed`);
       setBusy(false);
     }
   }
 
-  async function removeMember(member: Member) {
+  async function selectMetaResource(provider: 'facebook' | 'instagram', resourceId: string) {
     if (!activeWorkspace) return;
     setBusy(true);
     setMessage('');
     try {
-      await api(`/api/workspaces/${activeWorkspace.id}/members/${member.user_id}`, {
-        method: 'DELETE',
+      await api(`/api/workspaces/${activeWorkspace.id}/connections/${provider}/select`, {
+        method: 'POST',
         headers: { 'x-csrf-token': csrf },
-        body: JSON.stringify({})
+        body: JSON.stringify({ resource_id: resourceId })
       });
-      setToast(`${member.email} removed.`);
+      setToast(
+        `${provider === 'facebook' ? 'Facebook Page' : 'Instagram account'} connected. Its first sync is queued.`
+      );
       await loadWorkspaceData(activeWorkspace);
     } catch (error) {
-      setMessage(error instanceof Error ? error.message : 'remove_failed');
+      setMessage(error instanceof Error ? error.message : `${provider}_resource_selection_failed`);
     } finally {
       setBusy(false);
     }
   }
 
-  function openContentDetail(contentId: string) {
-    setView('content');
-    setContentDetailId(contentId);
-    window.scrollTo({ top: 0, behavior: 'smooth' });
-  }
-
-  function closeContentDetail() {
-    setContentDetailId('');
-    setView('content');
-  }
-
-  if (!user) {
-    return (
-      <div className="public-page">
-        <header className="public-header">
-          <a className="public-brand" href="/" aria-label="Social Insights Studio home">
-            <img src="/logo.png" alt="Social Insights Studio logo" />
-            <strong>Social Insights Studio</strong>
-          </a>
-          <nav className="public-nav" aria-label="Public information">
-            <a href="/privacy">Privacy</a>
-            <a href="/terms">Terms</a>
-            <a href="/support">Support</a>
-          </nav>
-        </header>
-
-        <main className="public-shell">
-          <section className="product-panel" aria-labelledby="product-title">
-            <div>
-              <p className="eyebrow">Multiplatform analytics workspace</p>
-              <h1 id="product-title">Social Insights Studio</h1>
-              <p className="lede">
-                Bring social and website performance into one private workspace. Follow audience growth, content
-                results, and meaningful changes over time without jumping between analytics tools.
-              </p>
-            </div>
+  async function manualMetaSync(provider: 'facebook_pages' | 'instagram', connectionId?: string) {
+    if (!activeWorkspace) return;
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await api<{ status?: string }>(
+        `/api/workspaces/${activeWorkspace.id}/providers/${provider}/sync-runs`,
+        {
+          method: 'POST',
+          headers: { 'x-csrf-token': csrf },
+          body: JSON.stringify({ connection_id: connectionId || null })
+        }
+      );
+      setToast(result.status === 'queued' ? 'Meta sync scheduled.' : 'Meta sync updated.');
+      await loadWorkspaceData(activeWorkspace);
+    } catch (error) {
+      const code = error instanceof Error ? error.message : `${provider}_sync_failed`;
+      setMessage(code === 'manual_sync_cooldown' ? 'Manual sync is cooling down. Try again later.' : code);
+    } finally {
+      setBusy(false);
+    }
+  }
 
-            <section className="public-section" aria-labelledby="platforms-title">
-              <h2 id="platforms-title">Supported analytics sources</h2>
-              <p>
-                Social Insights Studio is built for TikTok accounts, Facebook Pages, Instagram professional accounts,
-                YouTube channels, and Google Analytics 4 properties. Available connections depend on the access enabled
-                for your workspace.
-              </p>
-              <div className="platform-status" aria-label="Provider availability">
-                <span>
-                  <CheckCircle2 size={16} aria-hidden /> Scheduled updates
-                </span>
-                <span>
-                  <CheckCircle2 size={16} aria-hidden /> Range comparisons
-                </span>
-                <span>
-                  <CheckCircle2 size={16} aria-hidden /> CSV exports
-                </span>
-              </div>
-            </section>
+  async function disconnectConnection() {
+    if (!activeWorkspace || !disconnectTarget) return;
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await api<{
+        provider_revoke?: { attempted?: boolean; success?: boolean; outcome_category?: string };
+        provider_grant_preserved?: boolean;
+      }>(`/api/workspaces/${activeWorkspace.id}/connections/${disconnectTarget.provider}`, {
+        method: 'DELETE',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({ connection_id: disconnectTarget.connectionId || null })
+      });
+      if (disconnectTarget.provider === 'youtube') {
+        setToast(
+          result.provider_revoke?.success
+            ? 'Google access revoked and locally stored YouTube data deleted.'
+            : 'Locally stored YouTube data deleted. Google revocation did not complete; review Google Account connections.'
+        );
+      } else if (disconnectTarget.provider === 'google-analytics') {
+        setToast(
+          result.provider_revoke?.success
+            ? 'Google Analytics access revoked and locally stored property data deleted.'
+            : 'Locally stored GA4 data deleted. Google revocation did not complete; review Google Account connections.'
+        );
+      } else if (disconnectTarget.provider === 'linkedin') {
+        setToast(
+          result.provider_grant_preserved
+            ? 'Locally stored Page data deleted. LinkedIn access remains active for another selected Page.'
+            : result.provider_revoke?.success
+              ? 'LinkedIn access revoked and locally stored Page data deleted.'
+              : 'Locally stored LinkedIn data deleted. LinkedIn revocation did not complete; review your LinkedIn permitted services.'
+        );
+      } else if (disconnectTarget.provider === 'search-console') {
+        setToast(
+          result.provider_grant_preserved
+            ? 'Locally stored site data deleted. Search Console access remains active for another selected site.'
+            : result.provider_revoke?.success
+              ? 'Search Console access revoked and locally stored site data deleted.'
+              : 'Locally stored Search Console data deleted. Google revocation did not complete; review Google Account connections.'
+        );
+      } else if (disconnectTarget.provider === 'pinterest') {
+        setToast(
+          result.provider_grant_preserved
+            ? 'Locally stored account data deleted. Pinterest access remains active for another selected connection.'
+            : 'Pinterest credentials and locally stored account data deleted. Pinterest has no revoke endpoint; remove the app from your Pinterest security settings.'
+        );
+      } else if (disconnectTarget.provider === 'threads') {
+        setToast(
+          'Threads credentials and locally stored profile data deleted. Remove the app from your Threads website permissions to end access at Threads.'
+        );
+      } else if (disconnectTarget.provider === 'bluesky') {
+        setToast(
+          result.provider_revoke?.success
+            ? 'Bluesky session ended and locally stored account data deleted. Revoke the app password in Bluesky settings to end access fully.'
+            : 'Locally stored Bluesky data deleted. The Bluesky session could not be ended; revoke the app password in Bluesky settings.'
+        );
+      } else if (disconnectTarget.provider === 'facebook' || disconnectTarget.provider === 'instagram') {
+        setToast(
+          result.provider_grant_preserved
+            ? 'Locally stored provider data deleted. Meta access remains active for another selected Meta resource.'
+            : result.provider_revoke?.success
+              ? 'Meta access revoked and locally stored provider data deleted.'
+              : 'Locally stored provider data deleted. Meta revocation did not complete; review Facebook app connections.'
+        );
+      } else {
+        setToast('TikTok connection disabled locally. Provider revocation was attempted first.');
+      }
+      setDisconnectTarget(null);
+      await loadWorkspaceData(activeWorkspace);
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'disconnect_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
 
-            <section className="public-disclosure" aria-labelledby="data-use-title">
-              <h2 id="data-use-title">How provider data is used</h2>
-              <p>
-                Authorized account, content, and analytics data is used only to operate requested connections, workspace
-                dashboards, synchronization, and reports. Connections request analytics access only. You can disconnect
-                a source or request deletion of stored data at any time.
-              </p>
-            </section>
-          </section>
+  async function inviteMember(emailValue: string, roleValue: Exclude<Role, 'owner'>) {
+    if (!activeWorkspace) return;
+    setBusy(true);
+    setMessage('');
+    try {
+      await api(`/api/workspaces/${activeWorkspace.id}/invitations`, {
+        method: 'POST',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({ email: emailValue, role: roleValue })
+      });
+      setToast('Invitation sent.');
+      await loadWorkspaceData(activeWorkspace);
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'invite_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
 
-          <section className="auth-panel" aria-labelledby="signin-title">
-            <div className="auth-heading">
-              <p className="eyebrow">Workspace access</p>
-              <h2 id="signin-title">Sign in</h2>
-              <p>Use the email address associated with your Social Insights Studio workspace.</p>
-            </div>
-            {invitationToken && (
-              <p className="notice" role="status">
-                Sign in with the email address that received the invitation. You can review it before joining.
-              </p>
-            )}
-            <form onSubmit={requestLink} className="stack">
-              <label>
-                Email address
-                <input
-                  value={email}
-                  onChange={(event) => setEmail(event.target.value)}
-                  type="email"
-                  autoComplete="email"
-                  required
-                />
-              </label>
-              <button type="submit" disabled={busy}>
-                {busy ? <Loader2 className="spin" size={18} aria-hidden /> : <Mail size={18} aria-hidden />}
-                Send sign-in code
-              </button>
-            </form>
-            <form onSubmit={verifyLink} className="stack">
-              <label>
-                Verification code
-                <input value={token} onChange={(event) => setToken(event.target.value)} autoComplete="one-time-code" />
-              </label>
-              <button type="submit" disabled={busy || !token}>
-                <KeyRound size={18} aria-hidden />
-                Sign in
-              </button>
-            </form>
-            {message && (
-              <p className="notice" role="status">
-                {message}
-              </p>
-            )}
-            <p className="auth-help">
-              Need help? <a href="/support">Contact support</a>.
-            </p>
-          </section>
-        </main>
+  async function resendMemberInvitation(invitation: Invitation) {
+    if (!activeWorkspace) return;
+    setBusy(true);
+    setMessage('');
+    try {
+      await api(`/api/workspaces/${activeWorkspace.id}/invitations/${invitation.id}/resend`, {
+        method: 'POST',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({})
+      });
+      setToast(`A new invitation was sent to ${invitation.email}.`);
+      await loadWorkspaceData(activeWorkspace);
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'invitation_resend_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
 
-        <footer className="public-footer">
-          <span>&copy; 2026 Social Insights Studio</span>
-          <nav aria-label="Legal and support">
-            <a href="/privacy">Privacy Policy</a>
-            <a href="/terms">Terms of Service</a>
-            <a href="/support">Support</a>
-            <a href="/data-deletion">Data Deletion</a>
-            <a href="/status">Status</a>
-          </nav>
-        </footer>
-      </div>
-    );
+  async function revokeMemberInvitation(invitation: Invitation) {
+    if (!activeWorkspace) return;
+    setBusy(true);
+    setMessage('');
+    try {
+      await api(`/api/workspaces/${activeWorkspace.id}/invitations/${invitation.id}`, {
+        method: 'DELETE',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({})
+      });
+      setToast(`Invitation for ${invitation.email} revoked.`);
+      await loadWorkspaceData(activeWorkspace);
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'invitation_revoke_failed');
+    } finally {
+      setBusy(false);
+    }
   }
 
-  return (
-    <main className="app-shell">
-      <aside className="sidebar" aria-label="Primary navigation">
-        <div className="brand-row">
-          <img src="/logo.png" alt="" />
-          <strong>Social Insights Studio</strong>
-        </div>
-        <WorkspaceSelect
-          workspaces={workspaces}
-          activeWorkspaceId={activeWorkspace?.id || ''}
-          onChange={(workspaceId) => {
-            setActiveWorkspaceId(workspaceId);
-            setSourceConnectionId('');
-          }}
-        />
-        <Nav
-          view={view}
-          onChange={(next) => {
-            setView(next);
-            setContentDetailId('');
-          }}
-        />
-      </aside>
+  async function acceptInvitation() {
+    if (!invitationToken) return;
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await api<{ workspace: { id: string; name: string } }>('/api/invitations/accept', {
+        method: 'POST',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({ token: invitationToken })
+      });
+      setInvitationToken('');
+      await loadWorkspaces();
+      setActiveWorkspaceId(result.workspace.id);
+      setToast(`You joined ${result.workspace.name}.`);
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'invitation_accept_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
 
-      <section className="workspace">
-        <WorkspaceHeader
-          workspace={activeWorkspace}
-          connection={view === 'sources' ? activeSourceConnection : null}
-          busy={busy}
-          accountOpen={accountOpen}
-          onAccountToggle={() => setAccountOpen((open) => !open)}
-          onAccountNavigate={() => {
-            setView('account');
-            setContentDetailId('');
-            setAccountOpen(false);
-          }}
-          onManualSync={
-            view === 'sources' && overviewProvider === 'youtube'
-              ? () => manualYouTubeSync(youtubeDashboard?.connection.id)
-              : view === 'sources' && overviewProvider === 'facebook_pages'
-                ? () => manualMetaSync('facebook_pages', facebookDashboard?.connection.id)
-                : view === 'sources' && overviewProvider === 'instagram'
-                  ? () => manualMetaSync('instagram', instagramDashboard?.connection.id)
-                  : view === 'sources' && overviewProvider === 'google_analytics_4'
-                    ? () => manualGoogleAnalyticsSync(googleAnalyticsDashboard?.connection.id)
-                    : manualSync
-          }
-          onSignOut={signOut}
-        />
+  async function saveAccountProfile(displayName: string) {
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await api<{ profile: User }>('/api/account/profile', {
+        method: 'PATCH',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({ display_name: displayName })
+      });
+      setUser(result.profile);
+      await loadAccountData();
+      setToast('Profile updated.');
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'profile_update_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
 
-        <div aria-live="polite" className="live-region">
-          {toast || (message ? friendlyError(message) : '')}
-        </div>
-        {toast && (
-          <p className="notice success" role="status">
-            {toast}
-          </p>
-        )}
-        {message && (
-          <p className="notice error" role="alert">
-            {friendlyError(message)}
-          </p>
-        )}
-        {invitationToken && (
-          <section className="invitation-banner" aria-labelledby="pending-invitation-title">
-            <div>
-              <strong id="pending-invitation-title">Workspace invitation</strong>
-              <p>Accept only if you recognize the invitation and signed in with the invited email address.</p>
-            </div>
-            <div className="button-row">
-              <button type="button" onClick={acceptInvitation} disabled={busy}>
-                Accept invitation
-              </button>
-              <button type="button" className="ghost-button" onClick={() => setInvitationToken('')} disabled={busy}>
-                Dismiss
-              </button>
-            </div>
-          </section>
-        )}
-        {(view === 'overview' ? crossPlatformDashboard?.demo_data : dashboard?.demo_data) && (
-          <p className="notice">
-            Sample data is shown for this local demonstration. It does not come from a connected provider account.
-          </p>
-        )}
+  async function revokeAccountSessionById(session: AccountSession) {
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await api<{ signed_out: boolean }>(`/api/account/sessions/${session.id}`, {
+        method: 'DELETE',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({})
+      });
+      if (result.signed_out) {
+        await signOut();
+        return;
+      }
+      await loadAccountData();
+      setToast('Session signed out.');
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'session_revoke_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
 
-        {workspaces.length === 0 ? (
-          <section className="empty-band" aria-labelledby="first-workspace-title">
-            <h2 id="first-workspace-title">First workspace</h2>
-            <form onSubmit={createWorkspace} className="inline-form">
-              <label>
-                Name
-                <input
-                  name="workspace_name"
-                  defaultValue={workspaceName}
-                  onChange={(event) => setWorkspaceName(event.target.value)}
-                  required
-                />
-              </label>
-              <button type="submit" disabled={busy}>
-                <Users size={18} aria-hidden />
-                Create
-              </button>
-            </form>
-          </section>
-        ) : activeWorkspace ? (
-          <div className="content-flow">
-            {(view === 'overview' || view === 'sources' || view === 'content') && <StateBanner state={state} />}
-            {view === 'overview' && (
-              <CrossPlatformOverview
-                dashboard={crossPlatformDashboard}
-                range={range}
-                customFrom={customFrom}
-                customTo={customTo}
-                compare={compare}
-                rangeInvalid={rangeInvalid}
-                busy={busy}
-                canSync={roleCanSync(activeWorkspace.role)}
-                onRangeChange={setRange}
-                onCustomFromChange={setCustomFrom}
-                onCustomToChange={setCustomTo}
-                onCompareChange={setCompare}
-                onOpenSource={(provider, connectionId) => {
-                  setOverviewProvider(provider);
-                  setSourceConnectionId(connectionId || '');
-                  setView('sources');
-                }}
-                onSyncSource={(source) => {
-                  const connectionId = source.resource?.connection_id || undefined;
-                  if (source.provider === 'youtube') return manualYouTubeSync(connectionId);
-                  if (source.provider === 'facebook_pages' || source.provider === 'instagram') {
-                    return manualMetaSync(source.provider, connectionId);
-                  }
-                  if (source.provider === 'google_analytics_4') return manualGoogleAnalyticsSync(connectionId);
-                  return manualSync();
-                }}
-              />
-            )}
-            {view === 'sources' && (
-              <ProviderOverview
-                dashboard={dashboard}
-                youtubeDashboard={youtubeDashboard}
-                facebookDashboard={facebookDashboard}
-                instagramDashboard={instagramDashboard}
-                googleAnalyticsDashboard={googleAnalyticsDashboard}
-                providers={providerCatalog}
-                provider={overviewProvider}
-                connectionId={sourceConnectionId}
-                range={range}
-                customFrom={customFrom}
-                customTo={customTo}
-                compare={compare}
-                trendMetric={trendMetric}
-                topSort={topSort}
-                rangeInvalid={rangeInvalid}
-                busy={busy}
-                canSync={roleCanSync(activeWorkspace.role)}
-                onProviderChange={(provider) => {
-                  setOverviewProvider(provider);
-                  setSourceConnectionId('');
-                }}
-                onConnectionChange={setSourceConnectionId}
-                onRangeChange={(next) => setRange(next)}
-                onCustomFromChange={setCustomFrom}
-                onCustomToChange={setCustomTo}
-                onCompareChange={setCompare}
-                onTrendMetricChange={setTrendMetric}
-                onTopSortChange={setTopSort}
-                onYouTubeSync={() => manualYouTubeSync(youtubeDashboard?.connection.id)}
-                onMetaSync={(provider) =>
-                  manualMetaSync(
-                    provider,
-                    provider === 'facebook_pages' ? facebookDashboard?.connection.id : instagramDashboard?.connection.id
-                  )
-                }
-                onGoogleAnalyticsSync={() => manualGoogleAnalyticsSync(googleAnalyticsDashboard?.connection.id)}
-              />
-            )}
-            {view === 'content' && contentDetailId ? (
-              <ContentDetailView detail={contentDetail} onBack={closeContentDetail} />
-            ) : view === 'content' ? (
-              <Content
-                workspace={activeWorkspace}
-                content={content}
-                providers={providerCatalog}
-                provider={contentProvider}
-                connectionId={contentConnectionId}
-                sort={contentSort}
-                direction={contentDir}
-                search={contentSearch}
-                page={contentPage}
-                pageSize={contentPageSize}
-                rangeQuery={rangeQuery}
-                onSort={(sort, direction) => {
-                  setContentSort(sort);
-                  setContentDir(direction);
-                  setContentPage(1);
-                }}
-                onSearch={(value) => {
-                  setContentSearch(value);
-                  setContentPage(1);
-                }}
-                onProviderChange={(provider) => {
-                  setContentProvider(provider);
-                  setContentConnectionId('');
-                  setContentPage(1);
-                }}
-                onConnectionChange={(connectionId) => {
-                  setContentConnectionId(connectionId);
-                  setContentPage(1);
-                }}
-                onPageChange={setContentPage}
-                onPageSizeChange={(size) => {
-                  setContentPageSize(size);
-                  setContentPage(1);
-                }}
-                onOpenDetail={openContentDetail}
-              />
-            ) : null}
-            {view === 'reports' && (
-              <Reports
-                role={activeWorkspace.role}
-                configuration={reportConfiguration}
-                providers={providerCatalog}
-                reports={reports}
-                preview={reportPreview}
-                busy={busy}
-                onPreview={previewPdfReport}
-                onGenerate={generatePdfReport}
-                onDownload={downloadPdfReport}
-                onDelete={deletePdfReport}
-              />
-            )}
-            {view === 'connections' && (
-              <Connections
-                role={activeWorkspace.role}
-                dashboard={dashboard}
-                providers={providerCatalog}
-                busy={busy}
-                disconnectTarget={disconnectTarget}
-                onTikTokConnect={startConnection}
-                onYouTubeConnect={startYouTubeConnection}
-                onYouTubeSelect={selectYouTubeResource}
-                onYouTubeSync={manualYouTubeSync}
-                onGoogleAnalyticsConnect={startGoogleAnalyticsConnection}
-                onGoogleAnalyticsSelect={selectGoogleAnalyticsResource}
-                onGoogleAnalyticsSync={manualGoogleAnalyticsSync}
-                onMetaConnect={startMetaConnection}
-                onMetaSelect={selectMetaResource}
-                onMetaSync={manualMetaSync}
-                onDisconnectRequest={setDisconnectTarget}
-                onDisconnectCancel={() => setDisconnectTarget(null)}
-                onDisconnectConfirm={disconnectConnection}
-              />
-            )}
-            {view === 'members' && (
-              <Members
-                role={activeWorkspace.role}
-                members={members}
-                invitations={invitations}
-                busy={busy}
-                onInvite={inviteMember}
-                onResendInvitation={resendMemberInvitation}
-                onRevokeInvitation={revokeMemberInvitation}
-                onRoleChange={updateMemberRole}
-                onRemove={removeMember}
-              />
-            )}
-            {view === 'sync' && (
-              <SyncHistory
-                syncData={syncData}
-                page={syncPage}
-                expandedRun={expandedRun}
-                onPageChange={setSyncPage}
-                onToggleRun={(runId) => setExpandedRun((current) => (current === runId ? '' : runId))}
-              />
-            )}
-            {view === 'account' && (
-              <Account
-                user={user}
-                account={accountData}
-                workspaces={workspaces}
-                busy={busy}
-                onSaveProfile={saveAccountProfile}
-                onRevokeSession={revokeAccountSessionById}
-                onRevokeOthers={revokeOtherSessions}
-                onRevokeAll={revokeAllSessions}
-                onRequestAccountDeletion={requestAccountDeletionFromUi}
-                onRequestWorkspaceDeletion={requestWorkspaceDeletionFromUi}
-                onSignOut={signOut}
-              />
-            )}
-          </div>
-        ) : null}
-      </section>
+  async function addPasskey(name: string) {
+    setBusy(true);
+    setMessage('');
+    try {
+      const options = await api<PasskeyCreationOptions>('/api/account/passkeys/options', {
+        method: 'POST',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({})
+      });
+      const credential = await createPasskeyCredential(options);
+      await api('/api/account/passkeys', {
+        method: 'POST',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({ name, credential })
+      });
+      await loadAccountData();
+      setToast('Passkey added.');
+      return true;
+    } catch (error) {
+      setMessage(passkeyErrorCode(error));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
 
-      <nav className="bottom-nav" aria-label="Primary navigation">
-        {views.map((item) => {
-          const Icon = item.icon;
-          return (
-            <button
-              key={item.id}
-              type="button"
-              aria-current={view === item.id ? 'page' : undefined}
-              className={view === item.id ? 'active' : ''}
-              onClick={() => {
-                setView(item.id);
-                setContentDetailId('');
-              }}
-            >
-              <Icon size={18} aria-hidden />
-              <span>{item.label}</span>
-            </button>
-          );
-        })}
-      </nav>
-    </main>
-  );
-}
+  async function revokePasskeyById(passkey: AccountPasskey) {
+    setBusy(true);
+    setMessage('');
+    try {
+      await api(`/api/account/passkeys/${passkey.id}`, {
+        method: 'DELETE',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({})
+      });
+      await loadAccountData();
+      setToast(`${passkey.name} removed.`);
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'passkey_revoke_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
 
-function WorkspaceSelect({
-  workspaces,
-  activeWorkspaceId,
-  onChange
-}: {
-  workspaces: Workspace[];
-  activeWorkspaceId: string;
-  onChange: (workspaceId: string) => void;
-}) {
-  return (
-    <label className="workspace-select">
-      Workspace
-      <select value={activeWorkspaceId} onChange={(event) => onChange(event.target.value)}>
-        {workspaces.map((workspace) => (
-          <option key={workspace.id} value={workspace.id}>
-            {workspace.name}
-          </option>
-        ))}
-      </select>
-    </label>
-  );
-}
+  async function startTotpSetup() {
+    setBusy(true);
+    setMessage('');
+    try {
+      return await api<TotpEnrollment>('/api/account/two-factor/totp', {
+        method: 'POST',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({})
+      });
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'totp_setup_failed');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  }
 
-function Nav({ view, onChange }: { view: View; onChange: (view: View) => void }) {
-  return (
-    <nav className="side-nav">
-      {views.map((item) => {
-        const Icon = item.icon;
-        return (
-          <button
-            type="button"
-            key={item.id}
-            className={view === item.id ? 'active' : ''}
-            onClick={() => onChange(item.id)}
-            aria-current={view === item.id ? 'page' : undefined}
-          >
-            <Icon size={18} aria-hidden />
-            <span>{item.label}</span>
-          </button>
-        );
-      })}
-    </nav>
-  );
-}
+  async function confirmTotpSetup(code: string) {
+    setBusy(true);
+    setMessage('');
+    try {
+      await api('/api/account/two-factor/totp/confirm', {
+        method: 'POST',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({ code })
+      });
+      await loadAccountData();
+      setToast('Authenticator app set up.');
+      return true;
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'totp_setup_failed');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
 
-function WorkspaceHeader({
-  workspace,
-  connection,
-  busy,
-  accountOpen,
-  onAccountToggle,
-  onAccountNavigate,
-  onManualSync,
-  onSignOut
-}: {
-  workspace?: Workspace;
-  connection: ProviderConnection | DashboardData['connection'] | null;
-  busy: boolean;
-  accountOpen: boolean;
-  onAccountToggle: () => void;
-  onAccountNavigate: () => void;
-  onManualSync: () => void;
-  onSignOut: () => void;
-}) {
-  const canSync = workspace && roleCanSync(workspace.role) && connection?.status === 'active';
-  return (
-    <header className="topbar">
-      <div>
-        <p className="eyebrow">{workspace ? workspace.role : 'No workspace'}</p>
-        <h1>{workspace ? workspace.name : 'Create your first workspace'}</h1>
-      </div>
-      {connection ? (
-        <div className="header-status" aria-label="Selected source status">
-          <StatusBadge status={connection.status} />
-          <span>Last sync: {formatDate(connection.last_successful_sync_at)}</span>
-          <span>Next: {formatDate(connection.next_sync_at)}</span>
-        </div>
-      ) : (
-        <div />
-      )}
-      <div className="top-actions">
-        {canSync && (
-          <button type="button" onClick={onManualSync} disabled={busy}>
-            {busy ? <Loader2 className="spin" size={18} aria-hidden /> : <RefreshCw size={18} aria-hidden />}
-            Sync
-          </button>
-        )}
-        <div className="menu-wrap">
-          <button
-            type="button"
-            className="menu-button"
-            onClick={onAccountToggle}
-            aria-expanded={accountOpen}
-            aria-haspopup="menu"
-          >
-            <Settings size={18} aria-hidden />
-            Account
-            <ChevronDown size={16} aria-hidden />
-          </button>
-          {accountOpen && (
-            <div className="menu" role="menu">
-              <button type="button" role="menuitem" onClick={onAccountNavigate}>
-                <Settings size={16} aria-hidden />
-                Account settings
-              </button>
-              <button type="button" role="menuitem" onClick={onSignOut}>
-                <LogOut size={16} aria-hidden />
-                Sign out
-              </button>
-            </div>
-          )}
-        </div>
-      </div>
-    </header>
-  );
-}
+  async function removeTotpFactor() {
+    setBusy(true);
+    setMessage('');
+    try {
+      await api('/api/account/two-factor/totp', {
+        method: 'DELETE',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({})
+      });
+      await loadAccountData();
+      setToast('Authenticator app removed.');
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'totp_remove_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
 
-function StateBanner({ state }: { state: LoadState }) {
-  if (state === 'ready') return null;
-  const map = {
-    ready: { icon: CheckCircle2, title: 'Ready', text: 'Dashboard data is available.' },
-    loading: { icon: Loader2, title: 'Loading', text: 'Loading workspace data.' },
-    empty: {
-      icon: AlertCircle,
-      title: 'No provider data',
-      text: 'Connect a supported provider or use labeled local demo data to populate this workspace.'
-    },
-    stale: { icon: CalendarDays, title: 'Stale data', text: 'Last successful sync is outside the freshness window.' },
-    partial: {
-      icon: ShieldAlert,
-      title: 'Partial sync',
-      text: 'Some provider data was unavailable during the latest run.'
-    },
-    permission: { icon: Lock, title: 'Permission denied', text: 'This role cannot perform the selected action.' },
-    error: { icon: AlertCircle, title: 'Sync error', text: 'The previous operation failed with a sanitized error.' },
-    reconnect: {
-      icon: ShieldAlert,
-      title: 'Reconnect required',
-      text: 'The provider connection needs authorization before sync can resume.'
+  async function verifySecondFactor(method: 'totp' | 'passkey', code = '') {
+    setBusy(true);
+    setMessage('');
+    try {
+      const body =
+        method === 'totp'
+          ? { method, code }
+          : {
+              method,
+              credential: await getPasskeyAssertion(
+                await api<PasskeyRequestOptions>('/api/account/two-factor/passkey-options', {
+                  method: 'POST',
+                  headers: { 'x-csrf-token': csrf },
+                  body: JSON.stringify({})
+                })
+              )
+            };
+      await api('/api/account/two-factor/verify', {
+        method: 'POST',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify(body)
+      });
+      await loadAccountData();
+      setToast('Session verified.');
+      return true;
+    } catch (error) {
+      setMessage(passkeyErrorCode(error));
+      return false;
+    } finally {
+      setBusy(false);
     }
-  };
-  const item = map[state];
-  const Icon = item.icon;
-  return (
-    <section className={`state-banner ${state}`} role={state === 'error' ? 'alert' : 'status'}>
-      <Icon className={state === 'loading' ? 'spin' : ''} size={20} aria-hidden />
-      <div>
-        <strong>{item.title}</strong>
-        <span>{item.text}</span>
-      </div>
-    </section>
-  );
-}
+  }
 
-function CrossProviderIcon({ provider }: { provider: OverviewProvider }) {
-  if (provider === 'youtube') return <Youtube size={20} aria-hidden />;
-  if (provider === 'facebook_pages') return <Facebook size={20} aria-hidden />;
-  if (provider === 'instagram') return <Instagram size={20} aria-hidden />;
-  if (provider === 'google_analytics_4') return <BarChart3 size={20} aria-hidden />;
-  return <Video size={20} aria-hidden />;
-}
+  async function revokeOtherSessions() {
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await api<{ revoked: number }>('/api/account/sessions/revoke-others', {
+        method: 'POST',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({})
+      });
+      await loadAccountData();
+      setToast(
+        result.revoked
+          ? `${result.revoked} other session${result.revoked === 1 ? '' : 's'} signed out.`
+          : 'No other active sessions.'
+      );
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'session_revoke_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
 
-function formatCrossPlatformValue(metric: Pick<CrossPlatformMetric, 'unit' | 'value'>) {
-  if (metric.value === null) return 'N/A';
-  if (metric.unit === 'ratio') return `${(metric.value * 100).toFixed(1)}%`;
-  if (metric.unit === 'minutes') return formatMinutes(metric.value);
-  if (metric.unit === 'seconds') return formatSeconds(metric.value);
-  return formatNumber(metric.value);
-}
+  async function revokeAllSessions() {
+    setBusy(true);
+    setMessage('');
+    try {
+      await api('/api/account/sessions/revoke-all', {
+        method: 'POST',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({})
+      });
+    } catch {
+      // Clear local state even if this session was already revoked.
+    } finally {
+      setUser(null);
+      setCsrf('');
+      setWorkspaces([]);
+      setActiveWorkspaceId('');
+      setAccountData(null);
+      setBusy(false);
+    }
+  }
 
-function CrossPlatformMetricCard({ metric, compare }: { metric: CrossPlatformMetric; compare: boolean }) {
-  const direction = !metric.available
-    ? 'unavailable'
-    : metric.delta === null
-      ? 'neutral'
-      : metric.delta > 0
-        ? 'positive'
-        : metric.delta < 0
-          ? 'negative'
-          : 'neutral';
-  const comparison = !metric.available
-    ? (metric.availability_reason || 'Not reported by this provider').replaceAll('_', ' ')
-    : !compare
-      ? 'Comparison hidden'
-      : metric.delta === null
-        ? 'Previous period unavailable'
-        : metric.unit === 'ratio'
-          ? `${metric.delta >= 0 ? '+' : ''}${(metric.delta * 100).toFixed(1)} percentage points`
-          : metric.percent_change === null
-            ? `${metric.delta >= 0 ? '+' : ''}${formatNumber(metric.delta)}`
-            : `${metric.delta >= 0 ? '+' : ''}${metric.percent_change.toFixed(1)}%`;
-  return (
-    <article
-      className={`metric-card cross-metric ${direction}`}
-      title={metric.definition || metric.semantics || undefined}
-    >
-      <span>{metric.label}</span>
-      <strong>{formatCrossPlatformValue(metric)}</strong>
-      <small>{comparison}</small>
-    </article>
-  );
-}
+  async function requestAccountDeletionFromUi(confirmation: string) {
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await api<{ existing?: boolean }>('/api/account/deletion-requests', {
+        method: 'POST',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({ confirmation })
+      });
+      await loadAccountData();
+      setToast(
+        result.existing
+          ? 'Your account deletion request is already being reviewed.'
+          : 'Account deletion request submitted.'
+      );
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'account_deletion_request_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
 
-function CrossPlatformOverview({
-  dashboard,
-  range,
-  customFrom,
-  customTo,
-  compare,
-  rangeInvalid,
-  busy,
-  canSync,
-  onRangeChange,
-  onCustomFromChange,
-  onCustomToChange,
-  onCompareChange,
-  onOpenSource,
-  onSyncSource
-}: {
-  dashboard: CrossPlatformDashboardData | null;
-  range: RangeKey;
-  customFrom: string;
-  customTo: string;
-  compare: boolean;
-  rangeInvalid: string;
-  busy: boolean;
-  canSync: boolean;
-  onRangeChange: (range: RangeKey) => void;
-  onCustomFromChange: (value: string) => void;
-  onCustomToChange: (value: string) => void;
-  onCompareChange: (value: boolean) => void;
-  onOpenSource: (provider: OverviewProvider, connectionId: string | null) => void;
-  onSyncSource: (source: CrossPlatformSource) => void;
-}) {
-  const trendColors = ['var(--chart-a)', 'var(--chart-b)', 'var(--chart-c)'];
-  return (
-    <>
-      <section className="source-switcher" aria-labelledby="cross-platform-title">
-        <div>
-          <p className="eyebrow">Cross-platform overview</p>
-          <h2 id="cross-platform-title">Source health and performance</h2>
-        </div>
-        {dashboard && (
-          <p className="muted cross-range-summary">
-            {formatDate(dashboard.range.from, { dateStyle: 'medium' })} –{' '}
-            {formatDate(dashboard.range.to, { dateStyle: 'medium' })}
-          </p>
-        )}
-      </section>
+  async function requestWorkspaceDeletionFromUi(workspace: Workspace, confirmation: string) {
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await api<{ existing?: boolean }>(`/api/workspaces/${workspace.id}/deletion-requests`, {
+        method: 'POST',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({ confirmation })
+      });
+      await loadAccountData();
+      setToast(
+        result.existing
+          ? 'This workspace deletion request is already being reviewed.'
+          : 'Workspace deletion request submitted.'
+      );
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'workspace_deletion_request_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
 
-      <section className="control-bar" aria-labelledby="cross-date-controls-title">
-        <h2 id="cross-date-controls-title" className="sr-only">
-          Cross-platform date and comparison controls
-        </h2>
-        <div className="segmented" aria-label="Date range">
-          {(['7d', '30d', '90d'] as RangeKey[]).map((option) => (
-            <button
-              key={option}
-              type="button"
-              className={range === option ? 'active' : ''}
-              onClick={() => onRangeChange(option)}
-            >
-              {option.replace('d', ' days')}
-            </button>
-          ))}
-          <button type="button" className={range === 'custom' ? 'active' : ''} onClick={() => onRangeChange('custom')}>
-            Custom
-          </button>
-        </div>
-        {range === 'custom' && (
-          <div className="date-pair">
-            <label>
-              From
-              <input
-                type="date"
-                value={customFrom}
-                onChange={(event) => onCustomFromChange(event.target.value)}
-                aria-invalid={Boolean(rangeInvalid)}
-              />
-            </label>
-            <label>
-              To
-              <input
-                type="date"
-                value={customTo}
-                onChange={(event) => onCustomToChange(event.target.value)}
-                aria-invalid={Boolean(rangeInvalid)}
-              />
-            </label>
-          </div>
-        )}
-        <label className="toggle">
-          <input type="checkbox" checked={compare} onChange={(event) => onCompareChange(event.target.checked)} />
-          Previous-period comparison
-        </label>
-        {rangeInvalid && <p className="form-error">{rangeInvalid}</p>}
-      </section>
+  async function cancelDeletionRequestFromUi(request: DeletionRequest) {
+    setBusy(true);
+    setMessage('');
+    try {
+      await api(`/api/account/deletion-requests/${request.id}/cancel`, {
+        method: 'POST',
+        headers: { 'x-csrf-token': csrf }
+      });
+      await loadAccountData();
+      setToast('Deletion request cancelled.');
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'deletion_request_cancel_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
 
-      {dashboard ? (
-        <>
-          <section className="cross-health-grid" aria-label="Cross-platform source health summary">
-            <article className="panel health-summary-card">
-              <span>Active resources</span>
-              <strong>{formatNumber(dashboard.summary.connected_resources)}</strong>
-              <small>Connected resources, not an analytics total</small>
-            </article>
-            <article className="panel health-summary-card">
-              <span>Resources with data</span>
-              <strong>{formatNumber(dashboard.summary.resources_with_data)}</strong>
-              <small>Stored observations in this workspace</small>
-            </article>
-            <article className="panel health-summary-card">
-              <span>Needs attention</span>
-              <strong>{formatNumber(dashboard.summary.attention_count)}</strong>
-              <small>Freshness, setup, or availability notices</small>
-            </article>
-          </section>
+  async function saveRetentionPolicy(table: string, retainDays: number | null) {
+    if (!activeWorkspace) return;
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await api<RetentionData>(`/api/workspaces/${activeWorkspace.id}/retention/${table}`, {
+        method: retainDays === null ? 'DELETE' : 'PUT',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify(retainDays === null ? {} : { retain_days: retainDays })
+      });
+      setRetentionData(result);
+      setToast(retainDays === null ? 'Workspace retention override removed.' : 'Workspace retention updated.');
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'retention_update_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
 
-          {dashboard.alerts.length > 0 && (
-            <section className="panel cross-alerts" aria-labelledby="cross-alerts-title">
-              <div className="panel-title">
-                <ShieldAlert size={20} aria-hidden />
-                <div>
-                  <h2 id="cross-alerts-title">Source alerts</h2>
-                  <p>Actionable connection and data-quality states.</p>
-                </div>
-              </div>
-              <div className="cross-alert-list">
-                {dashboard.alerts.map((alert) => (
-                  <div key={`${alert.source_id}:${alert.code}`} className={`cross-alert ${alert.severity}`}>
-                    <StatusBadge status={alert.severity} />
-                    <span>{alert.message}</span>
-                  </div>
-                ))}
-              </div>
-            </section>
-          )}
+  async function changeAlerts(path: string, method: string, body: unknown, successMessage: string) {
+    if (!activeWorkspace) return false;
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await api<AlertsData>(`/api/workspaces/${activeWorkspace.id}/${path}`, {
+        method,
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify(body)
+      });
+      setAlertsData(result);
+      setToast(successMessage);
+      return true;
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'alert_update_failed');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
 
-          <section className="cross-source-grid" aria-label="Provider summaries">
-            {dashboard.sources.map((source) => {
-              const trendPoints = source.trend.points.map((point) => ({
-                date: point.date,
-                label: formatDate(point.date, { month: 'short', day: 'numeric' }),
-                ...point.values
-              }));
-              return (
-                <article className="panel cross-source-card" key={source.id}>
-                  <div className="cross-source-heading">
-                    <div className="cross-source-identity">
-                      <span className="provider-mark">
-                        <CrossProviderIcon provider={source.provider} />
-                      </span>
-                      <div>
-                        <p className="eyebrow">{source.provider_name}</p>
-                        <h3>{source.resource?.display_name || 'Not connected'}</h3>
-                        {source.resource?.account_name && <small>{source.resource.account_name}</small>}
-                      </div>
-                    </div>
-                    <StatusBadge status={source.freshness.state} />
-                  </div>
+  function createAlertRule(draft: AlertRuleDraft) {
+    return changeAlerts(
+      'alert-rules',
+      'POST',
+      {
+        name: draft.name,
+        metric_key: draft.metric_key,
+        rule_type: draft.rule_type,
+        direction: draft.direction,
+        threshold: Number(draft.threshold),
+        window_days: Number(draft.window_days),
+        notify_email: draft.notify_email
+      },
+      'Alert rule created.'
+    );
+  }
 
-                  <div className="freshness-row">
-                    <span>Last sync {formatDate(source.freshness.last_successful_sync_at)}</span>
-                    <span>Data through {formatDate(source.freshness.data_through_date, { dateStyle: 'medium' })}</span>
-                    {source.resource?.timezone && <span>Timezone {source.resource.timezone}</span>}
-                  </div>
+  function updateAlertRule(rule: AlertRule, changes: Partial<Pick<AlertRule, 'status' | 'notify_email'>>) {
+    return changeAlerts(`alert-rules/${rule.id}`, 'PATCH', changes, `${rule.name} updated.`);
+  }
 
-                  {source.alert && <p className={`source-note ${source.alert.severity}`}>{source.alert.message}</p>}
-                  {source.availability.note && <p className="source-note">{source.availability.note}</p>}
+  function deleteAlertRule(rule: AlertRule) {
+    return changeAlerts(`alert-rules/${rule.id}`, 'DELETE', {}, `${rule.name} deleted.`);
+  }
 
-                  <div className="cross-metric-grid" aria-label={`${source.provider_name} metrics`}>
-                    {source.metrics.map((metric) => (
-                      <CrossPlatformMetricCard key={metric.key} metric={metric} compare={compare} />
-                    ))}
-                  </div>
+  function acknowledgeAlertEvent(event: AlertEvent) {
+    return changeAlerts(`alert-events/${event.id}/acknowledge`, 'POST', {}, 'Alert acknowledged.');
+  }
 
-                  {(source.has_data || source.status === 'active') && (
-                    <>
-                      <div className="cross-section">
-                        <div>
-                          <h4>Provider trends</h4>
-                          <p>Each series uses its own scale and provider definition.</p>
-                        </div>
-                        {source.trend.series.length > 0 && trendPoints.length > 1 ? (
-                          <div className="cross-trend-grid">
-                            {source.trend.series.slice(0, 3).map((series, index) => (
-                              <div className="mini-trend" key={series.key}>
-                                <span>{series.label}</span>
-                                <div role="img" aria-label={`${source.provider_name} ${series.label} trend`}>
-                                  <ResponsiveContainer width="100%" height={110}>
-                                    <LineChart data={trendPoints} margin={{ top: 8, right: 8, bottom: 0, left: 0 }}>
-                                      <XAxis dataKey="label" hide />
-                                      <YAxis domain={['auto', 'auto']} hide />
-                                      <Tooltip
-                                        formatter={series.unit === 'ratio' ? formatTooltipPercent : formatTooltipNumber}
-                                        labelFormatter={(label) => String(label)}
-                                      />
-                                      <Line
-                                        type="monotone"
-                                        dataKey={series.key}
-                                        name={series.label}
-                                        stroke={trendColors[index]}
-                                        strokeWidth={2.25}
-                                        dot={false}
-                                        connectNulls
-                                        isAnimationActive={false}
-                                      />
-                                    </LineChart>
-                                  </ResponsiveContainer>
-                                </div>
-                              </div>
-                            ))}
-                          </div>
-                        ) : (
-                          <p className="compact-chart-empty">
-                            {trendPoints.length === 1
-                              ? 'One stored point is available; a trend needs at least two.'
-                              : source.provider === 'instagram'
-                                ? 'Instagram account insights are stored as provider-reported period totals.'
-                                : 'No trend points are stored for this range.'}
-                          </p>
-                        )}
-                      </div>
+  async function changeApiTokens(path: string, method: string, body: unknown, successMessage: string) {
+    if (!activeWorkspace) return false;
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await api<ApiTokensData>(`/api/workspaces/${activeWorkspace.id}/${path}`, {
+        method,
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify(body)
+      });
+      setApiTokensData(result);
+      setToast(successMessage);
+      return true;
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'api_token_update_failed');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
 
-                      <div className="cross-section">
-                        <div>
-                          <h4>{source.provider === 'google_analytics_4' ? 'Top landing pages' : 'Top content'}</h4>
-                          <p>
-                            {source.provider === 'google_analytics_4'
-                              ? 'Website paths remain distinct from social posts.'
-                              : 'Provider-reported views.'}
-                          </p>
-                        </div>
-                        {source.top_content.length > 0 ? (
-                          <ol className="cross-content-list">
-                            {source.top_content.map((item) => (
-                              <li key={item.id}>
-                                <div>
-                                  {item.share_url ? (
-                                    <a href={item.share_url} target="_blank" rel="noreferrer">
-                                      {item.title} <ExternalLink size={13} aria-hidden />
-                                    </a>
-                                  ) : (
-                                    <span>{item.title}</span>
-                                  )}
-                                  {item.published_at && (
-                                    <small>{formatDate(item.published_at, { dateStyle: 'medium' })}</small>
-                                  )}
-                                </div>
-                                <strong>{formatNumber(item.primary_metric.value)}</strong>
-                                <small>{item.primary_metric.label}</small>
-                              </li>
-                            ))}
-                          </ol>
-                        ) : (
-                          <p className="compact-chart-empty">No ranked items are stored for this range.</p>
-                        )}
-                      </div>
-                    </>
-                  )}
+  function createApiToken(name: string, expiresInDays: number) {
+    return changeApiTokens(
+      'api-tokens',
+      'POST',
+      { name, expires_in_days: expiresInDays },
+      'API token created. Copy it now.'
+    );
+  }
 
-                  <div className="button-row start cross-source-actions">
-                    <button
-                      type="button"
-                      className="ghost-button"
-                      onClick={() => onOpenSource(source.provider, source.resource?.connection_id || null)}
-                    >
-                      Open source
-                    </button>
-                    {canSync && source.status === 'active' && (
-                      <button type="button" disabled={busy} onClick={() => onSyncSource(source)}>
-                        {busy ? (
-                          <Loader2 className="spin" size={17} aria-hidden />
-                        ) : (
-                          <RefreshCw size={17} aria-hidden />
-                        )}
-                        Sync
-                      </button>
-                    )}
-                  </div>
-                </article>
-              );
-            })}
-          </section>
+  function revokeApiToken(token: ApiToken) {
+    return changeApiTokens(`api-tokens/${token.id}`, 'DELETE', {}, `${token.name} revoked.`);
+  }
 
-          <details className="panel methodology-panel">
-            <summary>Metric comparison methodology</summary>
-            <ul>
-              {dashboard.methodology.map((item) => (
-                <li key={item}>{item}</li>
-              ))}
-            </ul>
-          </details>
-        </>
-      ) : (
-        <section className="panel chart-empty">Source summaries will appear after workspace data loads.</section>
-      )}
-    </>
-  );
-}
+  async function changeWebhooks(path: string, method: string, body: unknown, successMessage: string) {
+    if (!activeWorkspace) return false;
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await api<WebhooksData>(`/api/workspaces/${activeWorkspace.id}/${path}`, {
+        method,
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify(body)
+      });
+      setWebhooksData(result);
+      setToast(successMessage);
+      return true;
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'webhook_update_failed');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
 
-function ProviderOverview({
-  dashboard,
-  youtubeDashboard,
-  facebookDashboard,
-  instagramDashboard,
-  googleAnalyticsDashboard,
-  providers,
-  provider,
-  connectionId,
-  range,
-  customFrom,
-  customTo,
-  compare,
-  trendMetric,
-  topSort,
-  rangeInvalid,
-  busy,
-  canSync,
-  onProviderChange,
-  onConnectionChange,
-  onRangeChange,
-  onCustomFromChange,
-  onCustomToChange,
-  onCompareChange,
-  onTrendMetricChange,
-  onTopSortChange,
-  onYouTubeSync,
-  onMetaSync,
-  onGoogleAnalyticsSync
-}: {
-  dashboard: DashboardData | null;
-  youtubeDashboard: YouTubeDashboardData | null;
-  facebookDashboard: MetaDashboardData | null;
-  instagramDashboard: MetaDashboardData | null;
-  googleAnalyticsDashboard: GoogleAnalyticsDashboardData | null;
-  providers: ProviderCatalogItem[];
-  provider: OverviewProvider;
-  connectionId: string;
-  range: RangeKey;
-  customFrom: string;
-  customTo: string;
-  compare: boolean;
-  trendMetric: string;
-  topSort: ContentSort;
-  rangeInvalid: string;
-  busy: boolean;
-  canSync: boolean;
-  onProviderChange: (provider: OverviewProvider) => void;
-  onConnectionChange: (connectionId: string) => void;
-  onRangeChange: (range: RangeKey) => void;
-  onCustomFromChange: (value: string) => void;
-  onCustomToChange: (value: string) => void;
-  onCompareChange: (value: boolean) => void;
-  onTrendMetricChange: (value: string) => void;
-  onTopSortChange: (value: ContentSort) => void;
-  onYouTubeSync: () => void;
-  onMetaSync: (provider: 'facebook_pages' | 'instagram') => void;
-  onGoogleAnalyticsSync: () => void;
-}) {
-  const providerCatalog = providers.find((item) => item.id === provider);
-  const resourceConnections = (providerCatalog?.connections || []).filter((connection) => Boolean(connection.id));
-  const loadedConnectionId =
-    provider === 'youtube'
-      ? youtubeDashboard?.connection.id
-      : provider === 'facebook_pages'
-        ? facebookDashboard?.connection.id
-        : provider === 'instagram'
-          ? instagramDashboard?.connection.id
-          : provider === 'google_analytics_4'
-            ? googleAnalyticsDashboard?.connection.id
-            : undefined;
-  const selectedConnectionId = connectionId || loadedConnectionId || resourceConnections[0]?.id || '';
-  const metrics =
-    dashboard?.metrics ||
-    Object.entries(metricLabels).map(([key, label]) => ({
-      key,
-      label,
-      value: null,
-      baseline: null,
-      delta: null,
-      percent_change: null
-    }));
-  const trendData = (dashboard?.trend || []).map((point) => ({
-    ...point,
-    label: formatDate(point.observed_at, { month: 'short', day: 'numeric' })
-  }));
-  return (
-    <>
-      <section className="source-switcher" aria-labelledby="source-title">
-        <div>
-          <p className="eyebrow">Data source</p>
-          <h2 id="source-title">Channel performance</h2>
-        </div>
-        <div className="segmented" aria-label="Source provider">
-          <button
-            type="button"
-            className={provider === 'tiktok' ? 'active' : ''}
-            aria-pressed={provider === 'tiktok'}
-            onClick={() => onProviderChange('tiktok')}
-          >
-            <Video size={17} aria-hidden /> TikTok
-          </button>
-          <button
-            type="button"
-            className={provider === 'youtube' ? 'active' : ''}
-            aria-pressed={provider === 'youtube'}
-            onClick={() => onProviderChange('youtube')}
-          >
-            <Youtube size={17} aria-hidden /> YouTube
-          </button>
-          <button
-            type="button"
-            className={provider === 'facebook_pages' ? 'active' : ''}
-            aria-pressed={provider === 'facebook_pages'}
-            onClick={() => onProviderChange('facebook_pages')}
-          >
-            <Facebook size={17} aria-hidden /> Facebook
-          </button>
-          <button
-            type="button"
-            className={provider === 'instagram' ? 'active' : ''}
-            aria-pressed={provider === 'instagram'}
-            onClick={() => onProviderChange('instagram')}
-          >
-            <Instagram size={17} aria-hidden /> Instagram
-          </button>
-          <button
-            type="button"
-            className={provider === 'google_analytics_4' ? 'active' : ''}
-            aria-pressed={provider === 'google_analytics_4'}
-            onClick={() => onProviderChange('google_analytics_4')}
-          >
-            <BarChart3 size={17} aria-hidden /> Website
-          </button>
-        </div>
-      </section>
-      {provider !== 'tiktok' && resourceConnections.length > 0 && (
-        <section className="source-resource-filter" aria-label="Connected resource filter">
-          <label>
-            Resource
-            <select value={selectedConnectionId} onChange={(event) => onConnectionChange(event.target.value)}>
-              {resourceConnections.map((connection) => (
-                <option key={connection.id} value={connection.id}>
-                  {connection.account?.display_name ||
-                    connection.account?.account_name ||
-                    connection.account?.id ||
-                    connection.id}
-                </option>
-              ))}
-            </select>
-          </label>
-          <span className="muted">
-            {resourceConnections.length} connected {resourceConnections.length === 1 ? 'resource' : 'resources'}
-          </span>
-        </section>
-      )}
-      <section className="control-bar" aria-labelledby="date-controls-title">
-        <h2 id="date-controls-title" className="sr-only">
-          Date and comparison controls
-        </h2>
-        <div className="segmented" aria-label="Date range">
-          {(['7d', '30d', '90d'] as RangeKey[]).map((option) => (
-            <button
-              key={option}
-              type="button"
-              className={range === option ? 'active' : ''}
-              onClick={() => onRangeChange(option)}
-            >
-              {option.replace('d', ' days')}
-            </button>
-          ))}
-          <button type="button" className={range === 'custom' ? 'active' : ''} onClick={() => onRangeChange('custom')}>
-            Custom
-          </button>
-        </div>
-        {range === 'custom' && (
-          <div className="date-pair">
-            <label>
-              From
-              <input
-                type="date"
-                value={customFrom}
-                onChange={(event) => onCustomFromChange(event.target.value)}
-                aria-invalid={Boolean(rangeInvalid)}
-              />
-            </label>
-            <label>
-              To
-              <input
-                type="date"
-                value={customTo}
-                onChange={(event) => onCustomToChange(event.target.value)}
-                aria-invalid={Boolean(rangeInvalid)}
-              />
-            </label>
-          </div>
-        )}
-        <label className="toggle">
-          <input type="checkbox" checked={compare} onChange={(event) => onCompareChange(event.target.checked)} />
-          Previous-period comparison
-        </label>
-        {rangeInvalid && <p className="form-error">{rangeInvalid}</p>}
-      </section>
+  function createWebhook(draft: WebhookDraft) {
+    return changeWebhooks('webhooks', 'POST', draft, 'Webhook added. Copy the signing secret now.');
+  }
 
-      {provider === 'youtube' ? (
-        <YouTubeOverview
-          dashboard={youtubeDashboard}
-          compare={compare}
-          busy={busy}
-          canSync={canSync}
-          onSync={onYouTubeSync}
-        />
-      ) : provider === 'google_analytics_4' ? (
-        <GoogleAnalyticsOverview
-          dashboard={googleAnalyticsDashboard}
-          compare={compare}
-          busy={busy}
-          canSync={canSync}
-          onSync={onGoogleAnalyticsSync}
-        />
-      ) : provider === 'facebook_pages' || provider === 'instagram' ? (
-        <MetaOverview
-          dashboard={provider === 'facebook_pages' ? facebookDashboard : instagramDashboard}
-          compare={compare}
-          busy={busy}
-          canSync={canSync}
-          onSync={() => onMetaSync(provider)}
-        />
-      ) : (
-        <>
-          <section className="metric-grid" aria-label="Summary metrics">
-            {metrics.map((metric) => (
-              <MetricCard key={metric.key} metric={metric} compare={compare} />
-            ))}
-          </section>
+  function updateWebhook(
+    endpoint: WebhookEndpoint,
+    changes: { status?: WebhookEndpoint['status']; rotate_secret?: true }
+  ) {
+    return changeWebhooks(
+      `webhooks/${endpoint.id}`,
+      'PATCH',
+      changes,
+      changes.rotate_secret ? 'Signing secret rotated. Copy the new secret now.' : 'Webhook updated.'
+    );
+  }
 
-          <section className="panel chart-panel" aria-labelledby="trend-title">
-            <div className="panel-title between">
-              <div>
-                <h2 id="trend-title">Trend</h2>
-                <p>Followers and total likes over the selected range.</p>
-              </div>
-              <select
-                aria-label="Trend metric"
-                value={trendMetric}
-                onChange={(event) => onTrendMetricChange(event.target.value)}
-              >
-                <option value="both">Followers and likes</option>
-                <option value="followers">Followers</option>
-                <option value="likes">Total likes</option>
-              </select>
-            </div>
-            {trendData.length > 1 ? (
-              <>
-                <div className="chart-box" role="img" aria-label="Line chart of followers and total likes over time">
-                  <ResponsiveContainer width="100%" height={300}>
-                    <LineChart data={trendData} margin={{ top: 12, right: 24, bottom: 12, left: 0 }}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="label" minTickGap={24} />
-                      <YAxis yAxisId="followers" tickFormatter={formatCompact} />
-                      <YAxis yAxisId="likes" orientation="right" tickFormatter={formatCompact} />
-                      <Tooltip formatter={formatTooltipNumber} labelFormatter={(label) => `Observed ${label}`} />
-                      <Legend />
-                      {(trendMetric === 'both' || trendMetric === 'followers') && (
-                        <Line
-                          yAxisId="followers"
-                          type="monotone"
-                          dataKey="follower_count"
-                          name="Followers"
-                          stroke="var(--chart-a)"
-                          strokeWidth={2.5}
-                          dot={false}
-                          connectNulls
-                        />
-                      )}
-                      {(trendMetric === 'both' || trendMetric === 'likes') && (
-                        <Line
-                          yAxisId="likes"
-                          type="monotone"
-                          dataKey="likes_count"
-                          name="Total likes"
-                          stroke="var(--chart-b)"
-                          strokeWidth={2.5}
-                          dot={false}
-                          connectNulls
-                        />
-                      )}
-                    </LineChart>
-                  </ResponsiveContainer>
-                </div>
-                <ChartSummary trend={dashboard?.trend || []} />
-              </>
-            ) : (
-              <div className="chart-empty">
-                {trendData.length === 1
-                  ? 'One data point is available. More points are needed for a trend line.'
-                  : 'No audience history is available for the selected range.'}
-              </div>
-            )}
-          </section>
+  function deleteWebhook(endpoint: WebhookEndpoint) {
+    return changeWebhooks(`webhooks/${endpoint.id}`, 'DELETE', {}, 'Webhook deleted.');
+  }
 
-          <section className="panel chart-panel" aria-labelledby="top-content-title">
-            <div className="panel-title between">
-              <div>
-                <h2 id="top-content-title">Top content</h2>
-                <p>Ranked by selected metric. Missing metrics remain visibly unavailable.</p>
-              </div>
-              <select
-                aria-label="Top content metric"
-                value={topSort}
-                onChange={(event) => onTopSortChange(event.target.value as ContentSort)}
-              >
-                <option value="views">Views</option>
-                <option value="likes">Likes</option>
-                <option value="comments">Comments</option>
-                <option value="shares">Shares</option>
-                <option value="engagement">Engagement rate</option>
-              </select>
-            </div>
-            {dashboard?.top_content.length ? (
-              <div
-                className="chart-box"
-                role="img"
-                aria-label={`Bar chart of top content by ${contentSortLabels[topSort]}`}
-              >
-                <ResponsiveContainer width="100%" height={300}>
-                  <BarChart
-                    data={dashboard.top_content.map((row) => ({
-                      name: contentLabel(row),
-                      value: topSort === 'engagement' ? row.engagement_rate : metricForSort(row, topSort)
-                    }))}
-                    layout="vertical"
-                    margin={{ top: 8, right: 24, bottom: 8, left: 24 }}
-                  >
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis
-                      type="number"
-                      tickFormatter={topSort === 'engagement' ? (value) => `${value}%` : formatCompact}
-                    />
-                    <YAxis type="category" dataKey="name" width={140} tick={{ fontSize: 12 }} />
-                    <Tooltip formatter={topSort === 'engagement' ? formatTooltipPercent : formatTooltipNumber} />
-                    <Bar
-                      dataKey="value"
-                      name={contentSortLabels[topSort]}
-                      fill="var(--chart-c)"
-                      radius={[0, 4, 4, 0]}
-                    />
-                  </BarChart>
-                </ResponsiveContainer>
-              </div>
-            ) : (
-              <div className="chart-empty">No content matches this range.</div>
-            )}
-          </section>
-        </>
-      )}
-    </>
-  );
-}
+  function testWebhook(endpoint: WebhookEndpoint) {
+    return changeWebhooks(`webhooks/${endpoint.id}/test`, 'POST', {}, 'Test event queued.');
+  }
 
-function formatGoogleAnalyticsValue(metric: Pick<GoogleAnalyticsMetric, 'key' | 'unit' | 'value'>) {
-  if (metric.value === null || metric.value === undefined) return 'N/A';
-  if (metric.unit === 'seconds') return formatSeconds(metric.value);
-  if (metric.unit === 'ratio') {
-    if (metric.key === 'ga4.engagement_rate' || metric.key === 'ga4.bounce_rate') {
-      return `${(metric.value * 100).toFixed(1)}%`;
+  function redeliverWebhook(delivery: WebhookDelivery) {
+    return changeWebhooks(`webhook-deliveries/${delivery.id}/redeliver`, 'POST', {}, 'Redelivery queued.');
+  }
+
+  async function updateMemberRole(member: Member, roleValue: string) {
+    if (!activeWorkspace) return;
+    setBusy(true);
+    setMessage('');
+    try {
+      await api(`/api/workspaces/${activeWorkspace.id}/members/${member.user_id}`, {
+        method: 'PATCH',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify(
+          roleValue.startsWith('custom:') ? { custom_role_id: roleValue.slice('custom:'.length) } : { role: roleValue }
+        )
+      });
+      setToast(`${member.email} updated.`);
+      await loadWorkspaceData(activeWorkspace);
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'role_update_failed');
+    } finally {
+      setBusy(false);
     }
-    return metric.value.toFixed(2);
   }
-  return formatNumber(metric.value);
-}
 
-function formatGoogleAnalyticsBreakdownValue(key: string, value: number | null) {
-  if (value === null) return 'N/A';
-  if (key === 'ga4.engagement_rate' || key === 'ga4.bounce_rate') return `${(value * 100).toFixed(1)}%`;
-  if (key === 'ga4.average_session_duration') return formatSeconds(value);
-  if (key.endsWith('_per_user')) return value.toFixed(2);
-  return formatNumber(value);
-}
+  async function updateMemberResources(member: Member, scope: MemberResourceScope) {
+    if (!activeWorkspace) return;
+    setBusy(true);
+    setMessage('');
+    try {
+      await api(`/api/workspaces/${activeWorkspace.id}/members/${member.user_id}/resources`, {
+        method: 'PUT',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify(scope)
+      });
+      setToast(`Resource access for ${member.email} updated.`);
+      await loadWorkspaceData(activeWorkspace);
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'member_resources_update_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
 
-function googleAnalyticsMetricLabel(key: string) {
-  const labels: Record<string, string> = {
-    'ga4.active_users': 'Active users',
-    'ga4.new_users': 'New users',
-    'ga4.sessions': 'Sessions',
-    'ga4.screen_page_views': 'Views',
-    'ga4.engagement_rate': 'Engagement rate',
-    'ga4.bounce_rate': 'Bounce rate',
-    'ga4.average_session_duration': 'Avg. session duration',
-    'ga4.sessions_per_user': 'Sessions per user',
-    'ga4.screen_page_views_per_user': 'Views per user'
-  };
-  return labels[key] || key.replace('ga4.', '').replaceAll('_', ' ');
-}
+  async function updateWorkspaceTwoFactor(required: boolean) {
+    if (!activeWorkspace) return;
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await api<WorkspaceSecurity>(`/api/workspaces/${activeWorkspace.id}/security`, {
+        method: 'PUT',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({ require_two_factor: required })
+      });
+      setWorkspaceSecurity(result);
+      setWorkspaces((current) =>
+        current.map((workspace) =>
+          workspace.id === activeWorkspace.id
+            ? { ...workspace, two_factor_required: result.require_two_factor }
+            : workspace
+        )
+      );
+      setToast(required ? 'Two-step verification is now required.' : 'Two-step verification is now optional.');
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'security_update_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
 
-function GoogleAnalyticsMetricCard({ metric, compare }: { metric: GoogleAnalyticsMetric; compare: boolean }) {
-  const direction = !metric.available
-    ? 'unavailable'
-    : metric.delta === null
-      ? 'neutral'
-      : metric.delta > 0
-        ? 'positive'
-        : metric.delta < 0
-          ? 'negative'
-          : 'neutral';
-  return (
-    <article className={`metric-card ${direction}`} title={metric.definition}>
-      <span>{metric.label}</span>
-      <strong>{formatGoogleAnalyticsValue(metric)}</strong>
-      <small>
-        {!metric.available
-          ? (metric.availability_reason || 'Unavailable from GA4').replaceAll('_', ' ')
-          : !compare
-            ? 'Comparison hidden'
-            : metric.delta === null
-              ? 'Previous period unavailable'
-              : `${metric.delta >= 0 ? '+' : ''}${metric.percent_change === null ? 'Change available; percent N/A' : `${metric.percent_change.toFixed(1)}%`}`}
-      </small>
-    </article>
-  );
-}
+  async function changeWorkspaceSso(path: string, method: string, body: object | null, success: string) {
+    if (!activeWorkspace) return;
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await api<WorkspaceSso>(`/api/workspaces/${activeWorkspace.id}/sso${path}`, {
+        method,
+        headers: { 'x-csrf-token': csrf },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      setWorkspaceSso(result);
+      setWorkspaces((current) =>
+        current.map((workspace) =>
+          workspace.id === activeWorkspace.id
+            ? {
+                ...workspace,
+                sso_required: Boolean(result.connection?.status === 'active' && result.connection.require_sso)
+              }
+            : workspace
+        )
+      );
+      setToast(success);
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'sso_update_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
 
-function GoogleAnalyticsOverview({
-  dashboard,
-  compare,
-  busy,
-  canSync,
-  onSync
-}: {
-  dashboard: GoogleAnalyticsDashboardData | null;
-  compare: boolean;
-  busy: boolean;
-  canSync: boolean;
-  onSync: () => void;
-}) {
-  const connected = dashboard?.connection.status === 'active';
-  const trend = (dashboard?.trend || []).map((point) => ({
-    ...point,
-    label: formatDate(point.date, { month: 'short', day: 'numeric' })
-  }));
-  const availabilityMessage =
-    dashboard?.availability.state === 'thresholded'
-      ? 'Google privacy thresholding applies to at least one breakdown. Summary metrics remain as reported; withheld rows are not estimated.'
-      : dashboard?.availability.state === 'delayed'
-        ? `GA4 data is currently available through ${formatDate(dashboard.availability.data_through_date, { dateStyle: 'medium' })}.`
-        : dashboard?.availability.state === 'partial'
-          ? 'Some GA4 metrics or breakdowns are unavailable for this property and range. Missing values remain N/A.'
-          : null;
+  async function changeWorkspaceScim(path: string, method: string, body: object | null, success: string) {
+    if (!activeWorkspace) return;
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await api<WorkspaceScim>(`/api/workspaces/${activeWorkspace.id}/scim${path}`, {
+        method,
+        headers: { 'x-csrf-token': csrf },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      setToast(success);
+      if (path.startsWith('/groups/')) await loadWorkspaceData(activeWorkspace);
+      else setWorkspaceScim(result);
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'scim_update_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
 
-  return (
-    <>
-      <section className="panel youtube-channel" aria-labelledby="ga4-property-title">
-        <div className="channel-identity">
-          <span className="channel-placeholder" aria-hidden>
-            <BarChart3 size={24} />
-          </span>
-          <div>
-            <p className="eyebrow">Google Analytics 4 property</p>
-            <h2 id="ga4-property-title">{dashboard?.property?.display_name || 'No property connected'}</h2>
-            <p className="muted">
-              {connected
-                ? `Last synced ${formatDate(dashboard?.connection.last_successful_sync_at)}`
-                : 'Authorize Google Analytics and explicitly select a property in Connections.'}
-            </p>
-            {dashboard?.property && (
-              <p className="muted">
-                {dashboard.property.account_name || dashboard.property.id} · {dashboard.property.timezone}
-                {dashboard.property.currency ? ` · ${dashboard.property.currency}` : ''}
-              </p>
-            )}
-          </div>
-        </div>
-        <div className="button-row">
-          <StatusBadge status={dashboard?.connection.status || 'disconnected'} />
-          <button type="button" onClick={onSync} disabled={!connected || !canSync || busy}>
-            <RefreshCw className={busy ? 'spin' : ''} size={18} aria-hidden /> Sync now
-          </button>
-        </div>
-      </section>
+  async function changeWorkspaceRoles(path: string, method: string, body: object | null, success: string) {
+    if (!activeWorkspace) return false;
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await api<WorkspaceRoles>(`/api/workspaces/${activeWorkspace.id}/roles${path}`, {
+        method,
+        headers: { 'x-csrf-token': csrf },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      setToast(success);
+      if (method === 'PATCH') await loadWorkspaceData(activeWorkspace);
+      else setWorkspaceRoles(result);
+      return true;
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'custom_role_update_failed');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
 
-      {availabilityMessage && <p className="notice">{availabilityMessage}</p>}
+  async function changeOrganization(path: string, method: string, body: object | null, success: string) {
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await api<Partial<OrganizationData>>(`/api/organizations${path}`, {
+        method,
+        headers: { 'x-csrf-token': csrf },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      setToast(success);
+      await loadOrganizations(result.organization?.id);
+      const workspaceResult = await api<{ workspaces: Workspace[] }>('/api/workspaces');
+      setWorkspaces(workspaceResult.workspaces);
+      return true;
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'organization_update_failed');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
 
-      <section className="metric-grid youtube-metrics" aria-label="Website Analytics summary metrics">
-        {(dashboard?.metrics || []).map((metric) => (
-          <GoogleAnalyticsMetricCard key={metric.key} metric={metric} compare={compare} />
-        ))}
-        {!dashboard?.metrics.length && (
-          <article className="metric-card unavailable">
-            <span>Website Analytics</span>
-            <strong>N/A</strong>
-            <small>No stored GA4 report is available</small>
-          </article>
-        )}
-      </section>
+  async function removeMember(member: Member) {
+    if (!activeWorkspace) return;
+    setBusy(true);
+    setMessage('');
+    try {
+      await api(`/api/workspaces/${activeWorkspace.id}/members/${member.user_id}`, {
+        method: 'DELETE',
+        headers: { 'x-csrf-token': csrf },
+        body: JSON.stringify({})
+      });
+      setToast(`${member.email} removed.`);
+      await loadWorkspaceData(activeWorkspace);
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'remove_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
 
-      <section className="panel chart-panel" aria-labelledby="ga4-traffic-title">
-        <div className="panel-title between">
-          <div>
-            <h2 id="ga4-traffic-title">Daily traffic</h2>
-            <p>Sessions, views, and active users in the property timezone.</p>
-          </div>
-          <span className="muted">
-            Data through {formatDate(dashboard?.availability.data_through_date, { dateStyle: 'medium' })}
-          </span>
-        </div>
-        {trend.length > 0 ? (
-          <div className="chart-box" role="img" aria-label="Line chart of daily GA4 sessions, views, and active users">
-            <ResponsiveContainer width="100%" height={300}>
-              <LineChart data={trend} margin={{ top: 12, right: 24, bottom: 12, left: 0 }}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="label" minTickGap={24} />
-                <YAxis tickFormatter={formatCompact} />
-                <Tooltip formatter={formatTooltipNumber} />
-                <Legend />
-                <Line
-                  type="monotone"
-                  dataKey="sessions"
-                  name="Sessions"
-                  stroke="var(--chart-a)"
-                  strokeWidth={2.5}
-                  dot={false}
-                  connectNulls
-                />
-                <Line
-                  type="monotone"
-                  dataKey="screen_page_views"
-                  name="Views"
-                  stroke="var(--chart-b)"
-                  strokeWidth={2.5}
-                  dot={false}
-                  connectNulls
-                />
-                <Line
-                  type="monotone"
-                  dataKey="active_users"
-                  name="Active users"
-                  stroke="var(--chart-c)"
-                  strokeWidth={2.5}
-                  dot={false}
-                  connectNulls
-                />
-              </LineChart>
-            </ResponsiveContainer>
-          </div>
-        ) : (
-          <div className="chart-empty">No daily GA4 rows are stored for this range.</div>
-        )}
-      </section>
+  function openContentDetail(contentId: string) {
+    setView('content');
+    setContentDetailId(contentId);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  }
 
-      <section className="panel" aria-labelledby="ga4-breakdowns-title">
-        <div className="panel-title">
-          <div>
-            <h2 id="ga4-breakdowns-title">Traffic breakdowns</h2>
-            <p>Top provider-reported rows. “(not set)” and privacy-threshold states are preserved.</p>
-          </div>
-        </div>
-        {dashboard?.breakdowns.length ? (
-          <div className="ga4-breakdown-grid">
-            {dashboard.breakdowns.map((breakdown) => (
-              <section key={breakdown.key} className="ga4-breakdown" aria-labelledby={`${breakdown.key}-title`}>
-                <div className="between">
-                  <h3 id={`${breakdown.key}-title`}>{breakdown.label}</h3>
-                  {breakdown.subject_to_thresholding && <StatusBadge status="thresholded" />}
-                </div>
-                <div className="table-wrap">
-                  <table>
-                    <thead>
-                      <tr>
-                        <th scope="col">Value</th>
-                        <th scope="col">Metrics</th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {breakdown.rows.slice(0, 10).map((row, index) => (
-                        <tr key={`${breakdown.key}-${Object.values(row.dimensions).join('-')}-${index}`}>
-                          <td data-label="Value">{Object.values(row.dimensions).join(' · ') || '(not set)'}</td>
-                          <td data-label="Metrics">
-                            {Object.entries(row.metrics)
-                              .map(
-                                ([key, value]) =>
-                                  `${googleAnalyticsMetricLabel(key)}: ${formatGoogleAnalyticsBreakdownValue(key, value)}`
-                              )
-                              .join(' · ')}
-                          </td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
-              </section>
-            ))}
-          </div>
-        ) : (
-          <div className="table-empty">No compatible GA4 breakdown rows are stored for this range.</div>
-        )}
-      </section>
-    </>
-  );
-}
+  function closeContentDetail() {
+    setContentDetailId('');
+    setView('content');
+  }
 
-function MetaOverview({
-  dashboard,
-  compare,
-  busy,
-  canSync,
-  onSync
-}: {
-  dashboard: MetaDashboardData | null;
-  compare: boolean;
-  busy: boolean;
-  canSync: boolean;
-  onSync: () => void;
-}) {
-  const provider = dashboard?.provider || 'facebook_pages';
-  const connected = dashboard?.connection.status === 'active';
-  const isInstagram = provider === 'instagram';
-  const PrimaryIcon = isInstagram ? Instagram : Facebook;
-  const trend = (dashboard?.trend || []).map((point) => ({
-    ...point,
-    label: formatDate(point.date, { month: 'short', day: 'numeric' })
-  }));
-  const primaryKey = isInstagram ? 'views' : 'page_media_view';
-  const secondaryKey = isInstagram ? 'reach' : 'page_post_engagements';
+  if (!user) {
+    return (
+      <div className="public-page">
+        <header className="public-header">
+          <a className="public-brand" href="/" aria-label="Social Insights Studio home">
+            <img src="/logo.png" alt="Social Insights Studio logo" />
+            <strong>Social Insights Studio</strong>
+          </a>
+          <nav className="public-nav" aria-label="Public information">
+            <a href="/privacy">Privacy</a>
+            <a href="/terms">Terms</a>
+            <a href="/support">Support</a>
+          </nav>
+        </header>
 
-  return (
-    <>
-      <section className="panel youtube-channel" aria-labelledby="meta-account-title">
-        <div className="channel-identity">
-          {dashboard?.account?.thumbnail_url ? (
-            <img src={dashboard.account.thumbnail_url} alt="" referrerPolicy="no-referrer" />
-          ) : (
-            <span className="channel-placeholder" aria-hidden>
-              <PrimaryIcon size={24} />
-            </span>
-          )}
-          <div>
-            <p className="eyebrow">{isInstagram ? 'Instagram professional account' : 'Facebook Page'}</p>
-            <h2 id="meta-account-title">{dashboard?.account?.display_name || 'No resource connected'}</h2>
-            <p className="muted">
-              {connected
-                ? `Last synced ${formatDate(dashboard?.connection.last_successful_sync_at)}`
-                : 'Authorize Meta and explicitly select a resource in Connections.'}
-            </p>
-            {dashboard?.account?.source_page_name && (
-              <p className="muted">Linked Facebook Page: {dashboard.account.source_page_name}</p>
-            )}
-          </div>
-        </div>
-        <div className="button-row">
-          <StatusBadge status={dashboard?.connection.status || 'disconnected'} />
-          <button type="button" onClick={onSync} disabled={!connected || !canSync || busy}>
-            <RefreshCw className={busy ? 'spin' : ''} size={18} aria-hidden /> Sync now
-          </button>
-        </div>
-      </section>
+        <main className="public-shell">
+          <section className="product-panel" aria-labelledby="product-title">
+            <div>
+              <p className="eyebrow">Multiplatform analytics workspace</p>
+              <h1 id="product-title">Social Insights Studio</h1>
+              <p className="lede">
+                Bring social and website performance into one private workspace. Follow audience growth, content
+                results, and meaningful changes over time without jumping between analytics tools.
+              </p>
+            </div>
 
-      {dashboard?.availability.note && <p className="notice">{dashboard.availability.note}</p>}
+            <section className="public-section" aria-labelledby="platforms-title">
+              <h2 id="platforms-title">Supported analytics sources</h2>
+              <p>
+                Social Insights Studio is built for TikTok accounts, Facebook Pages, Instagram professional accounts,
+                YouTube channels, and Google Analytics 4 properties. Available connections depend on the access enabled
+                for your workspace.
+              </p>
+              <div className="platform-status" aria-label="Provider availability">
+                <span>
+                  <CheckCircle2 size={16} aria-hidden /> Scheduled updates
+                </span>
+                <span>
+                  <CheckCircle2 size={16} aria-hidden /> Range comparisons
+                </span>
+                <span>
+                  <CheckCircle2 size={16} aria-hidden /> CSV exports
+                </span>
+              </div>
+            </section>
 
-      <section className="metric-grid youtube-metrics" aria-label="Meta summary metrics">
-        {(dashboard?.metrics || []).map((metric) => (
-          <MetricCard key={metric.key} metric={metric} compare={compare} />
-        ))}
-        {!dashboard?.metrics.length && (
-          <article className="metric-card unavailable">
-            <span>Read-only insights</span>
-            <strong>N/A</strong>
-            <small>No data available</small>
-          </article>
-        )}
-      </section>
+            <section className="public-disclosure" aria-labelledby="data-use-title">
+              <h2 id="data-use-title">How provider data is used</h2>
+              <p>
+                Authorized account, content, and analytics data is used only to operate requested connections, workspace
+                dashboards, synchronization, and reports. Connections request analytics access only. You can disconnect
+                a source or request deletion of stored data at any time.
+              </p>
+            </section>
+          </section>
 
-      <section className="panel chart-panel" aria-labelledby="meta-performance-title">
-        <div className="panel-title">
-          <div>
-            <h2 id="meta-performance-title">Daily read-only insights</h2>
-            <p>Provider-reported daily values; unavailable metrics remain visibly N/A.</p>
-          </div>
-        </div>
-        {trend.length > 0 ? (
-          <div className="chart-box" role="img" aria-label="Line chart of daily Meta insights">
-            <ResponsiveContainer width="100%" height={300}>
-              <LineChart data={trend} margin={{ top: 12, right: 24, bottom: 12, left: 0 }}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="label" minTickGap={24} />
-                <YAxis tickFormatter={formatCompact} />
-                <Tooltip formatter={formatTooltipNumber} />
-                <Legend />
-                <Line
-                  type="monotone"
-                  dataKey={primaryKey}
-                  name={isInstagram ? 'Views' : 'Media views'}
-                  stroke="var(--chart-a)"
-                  strokeWidth={2.5}
-                  dot={false}
-                  connectNulls
-                />
-                <Line
-                  type="monotone"
-                  dataKey={secondaryKey}
-                  name={isInstagram ? 'Reach' : 'Post engagements'}
-                  stroke="var(--chart-b)"
-                  strokeWidth={2.5}
-                  dot={false}
-                  connectNulls
+          <section className="auth-panel" aria-labelledby="signin-title">
+            <div className="auth-heading">
+              <p className="eyebrow">Workspace access</p>
+              <h2 id="signin-title">Sign in</h2>
+              <p>Use the email address associated with your Social Insights Studio workspace.</p>
+            </div>
+            {invitationToken && (
+              <p className="notice" role="status">
+                Sign in with the email address that received the invitation. You can review it before joining.
+              </p>
+            )}
+            <form onSubmit={requestLink} className="stack">
+              <label>
+                Email address
+                <input
+                  value={email}
+                  onChange={(event) => {
+                    setEmail(event.target.value);
+                    setSsoOption(null);
+                  }}
+                  type="email"
+                  autoComplete="email"
+                  required
                 />
-              </LineChart>
-            </ResponsiveContainer>
-          </div>
-        ) : (
-          <div className="chart-empty">No daily Meta insight rows are stored for this range.</div>
-        )}
-      </section>
-
-      <section className="panel" aria-labelledby="meta-content-title">
-        <div className="panel-title">
-          <div>
-            <h2 id="meta-content-title">Content performance</h2>
-            <p>
-              {isInstagram ? 'Feed, carousel, and Reels media only.' : 'Published Page posts and available engagement.'}
+              </label>
+              {ssoOption ? (
+                <div className="stack" role="group" aria-label="Single sign-on">
+                  <p className="notice" role="status">
+                    {ssoOption.required
+                      ? `Your organisation requires ${ssoOption.display_name} to open its workspace.`
+                      : `Your organisation signs in with ${ssoOption.display_name}.`}
+                  </p>
+                  <a
+                    className="button-link"
+                    href={`${ssoOption.start_url}&${new URLSearchParams({
+                      return_path: `${window.location.pathname}${window.location.search}`
+                    }).toString()}`}
+                  >
+                    <Building2 size={18} aria-hidden /> Continue with {ssoOption.display_name}
+                  </a>
+                  <button type="button" className="ghost-button" onClick={sendSignInCode} disabled={busy}>
+                    <Mail size={18} aria-hidden /> Send a sign-in code instead
+                  </button>
+                </div>
+              ) : (
+                <button type="submit" disabled={busy}>
+                  {busy ? <Loader2 className="spin" size={18} aria-hidden /> : <Mail size={18} aria-hidden />}
+                  Send sign-in code
+                </button>
+              )}
+            </form>
+            <form onSubmit={verifyLink} className="stack">
+              <label>
+                Verification code
+                <input value={token} onChange={(event) => setToken(event.target.value)} autoComplete="one-time-code" />
+              </label>
+              <button type="submit" disabled={busy || !token}>
+                <KeyRound size={18} aria-hidden />
+                Sign in
+              </button>
+            </form>
+            {passkeysSupported() && (
+              <button type="button" className="ghost-button" onClick={signInWithPasskey} disabled={busy}>
+                <Fingerprint size={18} aria-hidden />
+                Sign in with a passkey
+              </button>
+            )}
+            {message && (
+              <p className="notice" role="status">
+                {message}
+              </p>
+            )}
+            <p className="auth-help">
+              Need help? <a href="/support">Contact support</a>.
             </p>
-          </div>
-        </div>
-        {dashboard?.content.length ? (
-          <div className="table-wrap">
-            <table>
-              <thead>
-                <tr>
-                  <th scope="col">Content</th>
-                  <th scope="col">Published</th>
-                  <th scope="col">Views</th>
-                  <th scope="col">Likes</th>
-                  <th scope="col">Comments</th>
-                  <th scope="col">Shares</th>
-                </tr>
-              </thead>
-              <tbody>
-                {dashboard.content.map((row) => (
-                  <tr key={row.id}>
-                    <td data-label="Content">
-                      {row.share_url ? (
-                        <a href={row.share_url} target="_blank" rel="noreferrer">
-                          {row.title || row.provider_content_id} <ExternalLink size={14} aria-hidden />
-                        </a>
-                      ) : (
-                        row.title || row.provider_content_id
-                      )}
-                    </td>
-                    <td data-label="Published">{formatDate(row.published_at, { dateStyle: 'medium' })}</td>
-                    <td data-label="Views">{formatNumber(row.view_count)}</td>
-                    <td data-label="Likes">{formatNumber(row.like_count)}</td>
-                    <td data-label="Comments">{formatNumber(row.comment_count)}</td>
-                    <td data-label="Shares">{formatNumber(row.share_count)}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        ) : (
-          <div className="table-empty">No content performance is available for this period.</div>
-        )}
-      </section>
-    </>
-  );
-}
+          </section>
+        </main>
 
-function YouTubeOverview({
-  dashboard,
-  compare,
-  busy,
-  canSync,
-  onSync
-}: {
-  dashboard: YouTubeDashboardData | null;
-  compare: boolean;
-  busy: boolean;
-  canSync: boolean;
-  onSync: () => void;
-}) {
-  const trend = (dashboard?.trend || []).map((point) => ({
-    ...point,
-    label: formatDate(point.date, { month: 'short', day: 'numeric' })
-  }));
-  const connected = dashboard?.connection.status === 'active';
-  const delayed = dashboard?.availability.state === 'delayed';
+        <footer className="public-footer">
+          <span>&copy; 2026 Social Insights Studio</span>
+          <nav aria-label="Legal and support">
+            <a href="/privacy">Privacy Policy</a>
+            <a href="/terms">Terms of Service</a>
+            <a href="/support">Support</a>
+            <a href="/data-deletion">Data Deletion</a>
+            <a href="/status">Status</a>
+          </nav>
+        </footer>
+      </div>
+    );
+  }
 
   return (
-    <>
-      <section className="panel youtube-channel" aria-labelledby="youtube-channel-title">
-        <div className="channel-identity">
-          {dashboard?.channel?.thumbnail_url ? (
-            <img src={dashboard.channel.thumbnail_url} alt="" referrerPolicy="no-referrer" />
-          ) : (
-            <span className="channel-placeholder" aria-hidden>
-              <Youtube size={24} />
-            </span>
-          )}
-          <div>
-            <p className="eyebrow">YouTube channel</p>
-            <h2 id="youtube-channel-title">{dashboard?.channel?.display_name || 'No channel connected'}</h2>
-            <p className="muted">
-              {connected
-                ? `Last synced ${formatDate(dashboard?.connection.last_successful_sync_at)}`
-                : 'Choose an authorized channel in Connections to begin syncing.'}
-            </p>
-          </div>
-        </div>
-        <div className="button-row">
-          <StatusBadge status={dashboard?.connection.status || 'disconnected'} />
-          <button type="button" onClick={onSync} disabled={!connected || !canSync || busy}>
-            <RefreshCw className={busy ? 'spin' : ''} size={18} aria-hidden /> Sync now
-          </button>
+    <main className="app-shell">
+      <aside className="sidebar" aria-label="Primary navigation">
+        <div className="brand-row">
+          <img src="/logo.png" alt="" />
+          <strong>Social Insights Studio</strong>
         </div>
-      </section>
-
-      {delayed && (
-        <p className="notice" role="status">
-          YouTube reporting is available through{' '}
-          {dashboard?.availability.data_through_date
-            ? formatDate(dashboard.availability.data_through_date, { dateStyle: 'medium' })
-            : 'an earlier date'}
-          . The requested range ends{' '}
-          {formatDate(dashboard?.availability.requested_through_date, { dateStyle: 'medium' })}.
-        </p>
-      )}
+        <WorkspaceSelect
+          workspaces={workspaces}
+          activeWorkspaceId={activeWorkspace?.id || ''}
+          onChange={(workspaceId) => {
+            setActiveWorkspaceId(workspaceId);
+            setSourceConnectionId('');
+          }}
+        />
+        <Nav
+          view={view}
+          onChange={(next) => {
+            setView(next);
+            setContentDetailId('');
+          }}
+        />
+      </aside>
 
-      <section className="metric-grid youtube-metrics" aria-label="YouTube summary metrics">
-        {(dashboard?.metrics || []).map((metric) => (
-          <YouTubeMetricCard key={metric.key} metric={metric} compare={compare} />
-        ))}
-        {!dashboard?.metrics.length &&
-          ['Subscribers', 'Channel views', 'Videos', 'Views', 'Watch time', 'Net subscribers'].map((label) => (
-            <article key={label} className="metric-card unavailable">
-              <span>{label}</span>
-              <strong>N/A</strong>
-              <small>No data available</small>
-            </article>
-          ))}
-      </section>
+      <section className="workspace">
+        <WorkspaceHeader
+          workspace={activeWorkspace}
+          connection={view === 'sources' ? activeSourceConnection : null}
+          busy={busy}
+          accountOpen={accountOpen}
+          onAccountToggle={() => setAccountOpen((open) => !open)}
+          onAccountNavigate={() => {
+            setView('account');
+            setContentDetailId('');
+            setAccountOpen(false);
+          }}
+          onManualSync={
+            view === 'sources' && overviewProvider === 'youtube'
+              ? () => manualYouTubeSync(youtubeDashboard?.connection.id)
+              : view === 'sources' && overviewProvider === 'facebook_pages'
+                ? () => manualMetaSync('facebook_pages', facebookDashboard?.connection.id)
+                : view === 'sources' && overviewProvider === 'instagram'
+                  ? () => manualMetaSync('instagram', instagramDashboard?.connection.id)
+                  : view === 'sources' && overviewProvider === 'google_analytics_4'
+                    ? () => manualGoogleAnalyticsSync(googleAnalyticsDashboard?.connection.id)
+                    : view === 'sources' && overviewProvider === 'linkedin'
+                      ? () => manualLinkedInSync(linkedInDashboard?.connection.id)
+                      : view === 'sources' && overviewProvider === 'google_search_console'
+                        ? () => manualSearchConsoleSync(searchConsoleDashboard?.connection.id)
+                        : view === 'sources' && overviewProvider === 'pinterest'
+                          ? () => manualPinterestSync(pinterestDashboard?.connection.id)
+                          : view === 'sources' && overviewProvider === 'threads'
+                            ? () => manualThreadsSync(threadsDashboard?.connection.id)
+                            : view === 'sources' && overviewProvider === 'bluesky'
+                              ? () => manualBlueskySync(blueskyDashboard?.connection.id)
+                              : manualSync
+          }
+          onSignOut={signOut}
+        />
 
-      <section className="panel chart-panel" aria-labelledby="youtube-performance-title">
-        <div className="panel-title between">
-          <div>
-            <h2 id="youtube-performance-title">Views and watch time</h2>
-            <p>Daily values reported by YouTube Analytics for the selected range.</p>
-          </div>
-          <span className="muted">
-            Data through {formatDate(dashboard?.availability.data_through_date, { dateStyle: 'medium' })}
-          </span>
+        <div aria-live="polite" className="live-region">
+          {toast || (message ? friendlyError(message) : '')}
         </div>
-        {trend.length > 0 ? (
-          <div className="chart-box" role="img" aria-label="Line chart of daily YouTube views and watch time">
-            <ResponsiveContainer width="100%" height={300}>
-              <LineChart data={trend} margin={{ top: 12, right: 24, bottom: 12, left: 0 }}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="label" minTickGap={24} />
-                <YAxis yAxisId="views" tickFormatter={formatCompact} />
-                <YAxis yAxisId="watch" orientation="right" tickFormatter={formatCompact} />
-                <Tooltip formatter={formatTooltipNumber} />
-                <Legend />
-                <Line
-                  yAxisId="views"
-                  type="monotone"
-                  dataKey="views"
-                  name="Views"
-                  stroke="var(--chart-a)"
-                  strokeWidth={2.5}
-                  dot={false}
-                  connectNulls
-                />
-                <Line
-                  yAxisId="watch"
-                  type="monotone"
-                  dataKey="watch_time_minutes"
-                  name="Watch time (minutes)"
-                  stroke="var(--chart-b)"
-                  strokeWidth={2.5}
-                  dot={false}
-                  connectNulls
-                />
-              </LineChart>
-            </ResponsiveContainer>
-          </div>
-        ) : (
-          <div className="chart-empty">No daily YouTube Analytics rows are stored for this range.</div>
+        {toast && (
+          <p className="notice success" role="status">
+            {toast}
+          </p>
         )}
-      </section>
-
-      <section className="panel chart-panel" aria-labelledby="youtube-subscribers-title">
-        <div className="panel-title">
-          <div>
-            <h2 id="youtube-subscribers-title">Subscriber movement</h2>
-            <p>Daily subscribers gained, lost, and net change.</p>
-          </div>
-        </div>
-        {trend.length > 0 ? (
-          <div className="chart-box" role="img" aria-label="Bar chart of daily YouTube subscriber movement">
-            <ResponsiveContainer width="100%" height={280}>
-              <BarChart data={trend} margin={{ top: 12, right: 24, bottom: 12, left: 0 }}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="label" minTickGap={24} />
-                <YAxis tickFormatter={formatCompact} />
-                <Tooltip formatter={formatTooltipNumber} />
-                <Legend />
-                <Bar dataKey="subscribers_gained" name="Gained" fill="var(--chart-a)" radius={[3, 3, 0, 0]} />
-                <Bar dataKey="subscribers_lost" name="Lost" fill="var(--red)" radius={[3, 3, 0, 0]} />
-                <Bar dataKey="net_subscribers" name="Net" fill="var(--chart-c)" radius={[3, 3, 0, 0]} />
-              </BarChart>
-            </ResponsiveContainer>
-          </div>
-        ) : (
-          <div className="chart-empty">No subscriber movement is available for this range.</div>
+        {message && (
+          <p className="notice error" role="alert">
+            {friendlyError(message)}
+          </p>
         )}
-      </section>
-
-      <section className="panel" aria-labelledby="youtube-content-title">
-        <div className="panel-title between">
-          <div>
-            <h2 id="youtube-content-title">Video performance</h2>
-            <p>Period metrics from YouTube Analytics. Missing values remain N/A.</p>
-          </div>
-          {dashboard?.range.videoPeriodKey && <StatusBadge status={dashboard.range.videoPeriodKey} />}
-        </div>
-        {!dashboard?.availability.video_period_supported ? (
-          <div className="table-empty">Video-level breakdowns are available for the 7, 30, and 90 day ranges.</div>
-        ) : dashboard.content.length > 0 ? (
-          <div className="table-wrap youtube-content-table">
-            <table>
-              <thead>
-                <tr>
-                  <th scope="col">Video</th>
-                  <th scope="col">Views</th>
-                  <th scope="col">Watch time</th>
-                  <th scope="col">Avg. duration</th>
-                  <th scope="col">Avg. viewed</th>
-                  <th scope="col">Likes</th>
-                  <th scope="col">Comments</th>
-                  <th scope="col">Shares</th>
-                </tr>
-              </thead>
-              <tbody>
-                {dashboard.content.map((row) => (
-                  <tr key={row.id}>
-                    <td data-label="Video">
-                      <div className="youtube-video-cell">
-                        {row.thumbnail_url ? (
-                          <img src={row.thumbnail_url} alt="" loading="lazy" referrerPolicy="no-referrer" />
-                        ) : null}
-                        <div>
-                          {row.share_url ? (
-                            <a href={row.share_url} target="_blank" rel="noreferrer">
-                              {row.title || row.provider_content_id} <ExternalLink size={14} aria-hidden />
-                            </a>
-                          ) : (
-                            <strong>{row.title || row.provider_content_id}</strong>
-                          )}
-                          <small>{formatDate(row.published_at, { dateStyle: 'medium' })}</small>
-                        </div>
-                      </div>
-                    </td>
-                    <td data-label="Views">{formatNumber(row.views)}</td>
-                    <td data-label="Watch time">{formatMinutes(row.watch_time_minutes)}</td>
-                    <td data-label="Avg. duration">{formatSeconds(row.average_view_duration_seconds)}</td>
-                    <td data-label="Avg. viewed">{formatPercent(row.average_view_percentage)}</td>
-                    <td data-label="Likes">{formatNumber(row.likes)}</td>
-                    <td data-label="Comments">{formatNumber(row.comments)}</td>
-                    <td data-label="Shares">{formatNumber(row.shares)}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        ) : (
-          <div className="table-empty">No video Analytics rows are stored for this period.</div>
+        {invitationToken && (
+          <section className="invitation-banner" aria-labelledby="pending-invitation-title">
+            <div>
+              <strong id="pending-invitation-title">Workspace invitation</strong>
+              <p>Accept only if you recognize the invitation and signed in with the invited email address.</p>
+            </div>
+            <div className="button-row">
+              <button type="button" onClick={acceptInvitation} disabled={busy}>
+                Accept invitation
+              </button>
+              <button type="button" className="ghost-button" onClick={() => setInvitationToken('')} disabled={busy}>
+                Dismiss
+              </button>
+            </div>
+          </section>
         )}
-      </section>
-    </>
-  );
-}
-
-function YouTubeMetricCard({ metric, compare }: { metric: YouTubeMetric; compare: boolean }) {
-  const hasPeriodComparison = metric.semantics.startsWith('selected_period');
-  const direction = !metric.available
+        {(view === 'overview' ? crossPlatformDashboard?.demo_data : dashboard?.demo_data) && (
+          <p className="notice">
+            Sample data is shown for this local demonstration. It does not come from a connected provider account.
+          </p>
+        )}
+
+        {workspaces.length === 0 ? (
+          <section className="empty-band" aria-labelledby="first-workspace-title">
+            <h2 id="first-workspace-title">First workspace</h2>
+            <form onSubmit={createWorkspace} className="inline-form">
+              <label>
+                Name
+                <input
+                  name="workspace_name"
+                  defaultValue={workspaceName}
+                  onChange={(event) => setWorkspaceName(event.target.value)}
+                  required
+                />
+              </label>
+              <button type="submit" disabled={busy}>
+                <Users size={18} aria-hidden />
+                Create
+              </button>
+            </form>
+          </section>
+        ) : activeWorkspace ? (
+          <div className="content-flow">
+            {(view === 'overview' || view === 'sources' || view === 'content') && <StateBanner state={state} />}
+            {view === 'overview' && (
+              <CrossPlatformOverview
+                dashboard={crossPlatformDashboard}
+                range={range}
+                customFrom={customFrom}
+                customTo={customTo}
+                compare={compare}
+                rangeInvalid={rangeInvalid}
+                busy={busy}
+                canSync={(provider) => workspaceCan(activeWorkspace, 'triggerManualSync', provider)}
+                onRangeChange={setRange}
+                onCustomFromChange={setCustomFrom}
+                onCustomToChange={setCustomTo}
+                onCompareChange={setCompare}
+                onOpenSource={(provider, connectionId) => {
+                  setOverviewProvider(provider);
+                  setSourceConnectionId(connectionId || '');
+                  setView('sources');
+                }}
+                onSyncSource={(source) => {
+                  const connectionId = source.resource?.connection_id || undefined;
+                  if (source.provider === 'youtube') return manualYouTubeSync(connectionId);
+                  if (source.provider === 'facebook_pages' || source.provider === 'instagram') {
+                    return manualMetaSync(source.provider, connectionId);
+                  }
+                  if (source.provider === 'google_analytics_4') return manualGoogleAnalyticsSync(connectionId);
+                  if (source.provider === 'linkedin') return manualLinkedInSync(connectionId);
+                  if (source.provider === 'google_search_console') return manualSearchConsoleSync(connectionId);
+                  if (source.provider === 'pinterest') return manualPinterestSync(connectionId);
+                  if (source.provider === 'threads') return manualThreadsSync(connectionId);
+                  if (source.provider === 'bluesky') return manualBlueskySync(connectionId);
+                  return manualSync();
+                }}
+              />
+            )}
+            {view === 'sources' && (
+              <ProviderOverview
+                dashboard={dashboard}
+                youtubeDashboard={youtubeDashboard}
+                facebookDashboard={facebookDashboard}
+                instagramDashboard={instagramDashboard}
+                googleAnalyticsDashboard={googleAnalyticsDashboard}
+                linkedInDashboard={linkedInDashboard}
+                searchConsoleDashboard={searchConsoleDashboard}
+                pinterestDashboard={pinterestDashboard}
+                threadsDashboard={threadsDashboard}
+                blueskyDashboard={blueskyDashboard}
+                providers={providerCatalog}
+                provider={overviewProvider}
+                connectionId={sourceConnectionId}
+                range={range}
+                customFrom={customFrom}
+                customTo={customTo}
+                compare={compare}
+                trendMetric={trendMetric}
+                topSort={topSort}
+                rangeInvalid={rangeInvalid}
+                busy={busy}
+                canSync={workspaceCan(activeWorkspace, 'triggerManualSync', overviewProvider)}
+                onProviderChange={(provider) => {
+                  setOverviewProvider(provider);
+                  setSourceConnectionId('');
+                }}
+                onConnectionChange={setSourceConnectionId}
+                onRangeChange={(next) => setRange(next)}
+                onCustomFromChange={setCustomFrom}
+                onCustomToChange={setCustomTo}
+                onCompareChange={setCompare}
+                onTrendMetricChange={setTrendMetric}
+                onTopSortChange={setTopSort}
+                onYouTubeSync={() => manualYouTubeSync(youtubeDashboard?.connection.id)}
+                onMetaSync={(provider) =>
+                  manualMetaSync(
+                    provider,
+                    provider === 'facebook_pages' ? facebookDashboard?.connection.id : instagramDashboard?.connection.id
+                  )
+                }
+                onGoogleAnalyticsSync={() => manualGoogleAnalyticsSync(googleAnalyticsDashboard?.connection.id)}
+                onLinkedInSync={() => manualLinkedInSync(linkedInDashboard?.connection.id)}
+                onSearchConsoleSync={() => manualSearchConsoleSync(searchConsoleDashboard?.connection.id)}
+                onPinterestSync={() => manualPinterestSync(pinterestDashboard?.connection.id)}
+                onThreadsSync={() => manualThreadsSync(threadsDashboard?.connection.id)}
+                onBlueskySync={() => manualBlueskySync(blueskyDashboard?.connection.id)}
+              />
+            )}
+            {view === 'content' && contentDetailId ? (
+              <ContentDetailView detail={contentDetail} onBack={closeContentDetail} />
+            ) : view === 'content' ? (
+              <Content
+                workspace={activeWorkspace}
+                content={content}
+                providers={providerCatalog}
+                provider={contentProvider}
+                connectionId={contentConnectionId}
+                sort={contentSort}
+                direction={contentDir}
+                search={contentSearch}
+                page={contentPage}
+                pageSize={contentPageSize}
+                rangeQuery={rangeQuery}
+                onSort={(sort, direction) => {
+                  setContentSort(sort);
+                  setContentDir(direction);
+                  setContentPage(1);
+                }}
+                onSearch={(value) => {
+                  setContentSearch(value);
+                  setContentPage(1);
+                }}
+                onProviderChange={(provider) => {
+                  setContentProvider(provider);
+                  setContentConnectionId('');
+                  setContentPage(1);
+                }}
+                onConnectionChange={(connectionId) => {
+                  setContentConnectionId(connectionId);
+                  setContentPage(1);
+                }}
+                onPageChange={setContentPage}
+                onPageSizeChange={(size) => {
+                  setContentPageSize(size);
+                  setContentPage(1);
+                }}
+                onOpenDetail={openContentDetail}
+              />
+            ) : null}
+            {view === 'reports' && (
+              <Reports
+                workspace={activeWorkspace}
+                configuration={reportConfiguration}
+                providers={providerCatalog}
+                reports={reports}
+                preview={reportPreview}
+                busy={busy}
+                onPreview={previewPdfReport}
+                onGenerate={generatePdfReport}
+                onDownload={downloadPdfReport}
+                onDelete={deletePdfReport}
+                schedules={reportSchedules}
+                schedulePreview={reportSchedulePreview}
+                onSchedulePreview={previewPdfReportSchedule}
+                onScheduleCreate={createPdfReportSchedule}
+                onScheduleStateChange={setPdfReportScheduleState}
+                onScheduleDelete={deletePdfReportSchedule}
+                onScheduleHistory={loadPdfReportScheduleHistory}
+                onRecipientAdd={addPdfReportRecipient}
+                onRecipientRemove={removePdfReportRecipient}
+                onDeliveries={loadPdfReportDeliveries}
+              />
+            )}
+            {view === 'connections' && (
+              <Connections
+                workspace={activeWorkspace}
+                dashboard={dashboard}
+                providers={providerCatalog}
+                busy={busy}
+                disconnectTarget={disconnectTarget}
+                onTikTokConnect={startConnection}
+                onYouTubeConnect={startYouTubeConnection}
+                onYouTubeSelect={selectYouTubeResource}
+                onYouTubeSync={manualYouTubeSync}
+                onGoogleAnalyticsConnect={startGoogleAnalyticsConnection}
+                onGoogleAnalyticsSelect={selectGoogleAnalyticsResource}
+                onGoogleAnalyticsSync={manualGoogleAnalyticsSync}
+                onLinkedInConnect={startLinkedInConnection}
+                onLinkedInSelect={selectLinkedInResource}
+                onLinkedInSync={manualLinkedInSync}
+                onSearchConsoleConnect={startSearchConsoleConnection}
+                onSearchConsoleSelect={selectSearchConsoleResource}
+                onSearchConsoleSync={manualSearchConsoleSync}
+                onPinterestConnect={startPinterestConnection}
+                onPinterestSelect={selectPinterestResource}
+                onPinterestSync={manualPinterestSync}
+                onThreadsConnect={startThreadsConnection}
+                onThreadsSelect={selectThreadsResource}
+                onThreadsSync={manualThreadsSync}
+                onBlueskyConnect={connectBluesky}
+                onBlueskySync={manualBlueskySync}
+                onMetaConnect={startMetaConnection}
+                onMetaSelect={selectMetaResource}
+                onMetaSync={manualMetaSync}
+                onDisconnectRequest={setDisconnectTarget}
+                onDisconnectCancel={() => setDisconnectTarget(null)}
+                onDisconnectConfirm={disconnectConnection}
+              />
+            )}
+            {view === 'connections' && workspaceCan(activeWorkspace, 'manageWebhooks') && (
+              <WebhookSettings
+                webhooks={webhooksData}
+                busy={busy}
+                onCreate={createWebhook}
+                onUpdate={updateWebhook}
+                onDelete={deleteWebhook}
+                onTest={testWebhook}
+                onRedeliver={redeliverWebhook}
+              />
+            )}
+            {view === 'members' && (
+              <Members
+                key={activeWorkspace.id}
+                workspace={activeWorkspace}
+                customRoles={workspaceRoles?.roles || []}
+                members={members}
+                connections={memberConnections}
+                invitations={invitations}
+                security={workspaceSecurity}
+                busy={busy}
+                onInvite={inviteMember}
+                onResendInvitation={resendMemberInvitation}
+                onRevokeInvitation={revokeMemberInvitation}
+                onRoleChange={updateMemberRole}
+                onResourcesChange={updateMemberResources}
+                onRemove={removeMember}
+                onRequireTwoFactor={updateWorkspaceTwoFactor}
+              />
+            )}
+            {view === 'members' && workspaceRoles && (
+              <WorkspaceCustomRoles
+                roles={workspaceRoles}
+                busy={busy}
+                onSave={(draft) =>
+                  changeWorkspaceRoles(
+                    draft.id ? `/${draft.id}` : '',
+                    draft.id ? 'PATCH' : 'POST',
+                    {
+                      name: draft.name.trim(),
+                      description: draft.description.trim(),
+                      capabilities: draft.capabilities
+                    },
+                    draft.id ? `${draft.name.trim()} updated.` : `${draft.name.trim()} created.`
+                  )
+                }
+                onDelete={(role) => changeWorkspaceRoles(`/${role.id}`, 'DELETE', null, `${role.name} deleted.`)}
+              />
+            )}
+            {view === 'members' && workspaceSso && (
+              <WorkspaceSsoSettings
+                role={activeWorkspace.role}
+                sso={workspaceSso}
+                busy={busy}
+                onSave={(body) => changeWorkspaceSso('', 'PUT', body, 'Single sign-on settings saved.')}
+                onRemove={() => changeWorkspaceSso('', 'DELETE', null, 'Single sign-on removed.')}
+                onAddDomain={(domain) =>
+                  changeWorkspaceSso(
+                    '/domains',
+                    'POST',
+                    { domain },
+                    'Domain added. Publish the TXT record to verify it.'
+                  )
+                }
+                onVerifyDomain={(domain) =>
+                  changeWorkspaceSso(`/domains/${domain.id}/verify`, 'POST', {}, `${domain.domain} is verified.`)
+                }
+                onRemoveDomain={(domain) =>
+                  changeWorkspaceSso(`/domains/${domain.id}`, 'DELETE', null, `${domain.domain} was removed.`)
+                }
+              />
+            )}
+            {view === 'members' && workspaceScim && (
+              <WorkspaceScimSettings
+                role={activeWorkspace.role}
+                scim={workspaceScim}
+                busy={busy}
+                onCreateToken={() =>
+                  changeWorkspaceScim('/token', 'POST', {}, 'Provisioning token created. Copy it now.')
+                }
+                onRevokeToken={() => changeWorkspaceScim('/token', 'DELETE', null, 'Provisioning token revoked.')}
+                onGroupRoleChange={(group, groupRole) =>
+                  changeWorkspaceScim(
+                    `/groups/${group.id}`,
+                    'PUT',
+                    { role: groupRole },
+                    groupRole ? `${group.display_name} now grants ${groupRole}.` : `${group.display_name} is unmapped.`
+                  )
+                }
+              />
+            )}
+            {view === 'sync' && (
+              <SyncHistory
+                syncData={syncData}
+                page={syncPage}
+                expandedRun={expandedRun}
+                onPageChange={setSyncPage}
+                onToggleRun={(runId) => setExpandedRun((current) => (current === runId ? '' : runId))}
+              />
+            )}
+            {view === 'alerts' && (
+              <Alerts
+                workspace={activeWorkspace}
+                alerts={alertsData}
+                busy={busy}
+                onCreateRule={createAlertRule}
+                onUpdateRule={updateAlertRule}
+                onDeleteRule={deleteAlertRule}
+                onAcknowledge={acknowledgeAlertEvent}
+              />
+            )}
+            {view === 'activity' && (
+              <ActivityLog
+                workspace={activeWorkspace}
+                auditLog={auditLog}
+                options={auditFilterOptions}
+                filters={auditFilters}
+                loading={auditLoading}
+                onFiltersChange={setAuditFilters}
+                onLoadMore={loadMoreAuditLog}
+              />
+            )}
+            {view === 'organizations' && (
+              <Organizations
+                organizations={organizations}
+                data={organizationData}
+                health={organizationHealth}
+                activeWorkspace={activeWorkspace}
+                busy={busy}
+                onSelect={(organizationId) =>
+                  void loadOrganizations(organizationId).catch(() => setMessage('organization_load_failed'))
+                }
+                onChange={changeOrganization}
+              />
+            )}
+            {view === 'account' && (
+              <Account
+                user={user}
+                account={accountData}
+                workspaces={workspaces}
+                activeWorkspace={activeWorkspace}
+                retention={retentionData}
+                apiTokens={apiTokensData}
+                busy={busy}
+                onSaveProfile={saveAccountProfile}
+                onAddPasskey={addPasskey}
+                onRevokePasskey={revokePasskeyById}
+                onStartTotp={startTotpSetup}
+                onConfirmTotp={confirmTotpSetup}
+                onRemoveTotp={removeTotpFactor}
+                onVerifySecondFactor={verifySecondFactor}
+                onRevokeSession={revokeAccountSessionById}
+                onRevokeOthers={revokeOtherSessions}
+                onRevokeAll={revokeAllSessions}
+                onRequestAccountDeletion={requestAccountDeletionFromUi}
+                onRequestWorkspaceDeletion={requestWorkspaceDeletionFromUi}
+                onCancelDeletionRequest={cancelDeletionRequestFromUi}
+                onSaveRetention={saveRetentionPolicy}
+                onCreateApiToken={createApiToken}
+                onRevokeApiToken={revokeApiToken}
+                onSignOut={signOut}
+              />
+            )}
+          </div>
+        ) : null}
+      </section>
+
+      <nav className="bottom-nav" aria-label="Primary navigation">
+        {views.map((item) => {
+          const Icon = item.icon;
+          return (
+            <button
+              key={item.id}
+              type="button"
+              aria-current={view === item.id ? 'page' : undefined}
+              className={view === item.id ? 'active' : ''}
+              onClick={() => {
+                setView(item.id);
+                setContentDetailId('');
+              }}
+            >
+              <Icon size={18} aria-hidden />
+              <span>{item.label}</span>
+            </button>
+          );
+        })}
+      </nav>
+    </main>
+  );
+}
+
+function WorkspaceSelect({
+  workspaces,
+  activeWorkspaceId,
+  onChange
+}: {
+  workspaces: Workspace[];
+  activeWorkspaceId: string;
+  onChange: (workspaceId: string) => void;
+}) {
+  return (
+    <label className="workspace-select">
+      Workspace
+      <select value={activeWorkspaceId} onChange={(event) => onChange(event.target.value)}>
+        {workspaces.map((workspace) => (
+          <option key={workspace.id} value={workspace.id}>
+            {workspace.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+function Nav({ view, onChange }: { view: View; onChange: (view: View) => void }) {
+  return (
+    <nav className="side-nav">
+      {views.map((item) => {
+        const Icon = item.icon;
+        return (
+          <button
+            type="button"
+            key={item.id}
+            className={view === item.id ? 'active' : ''}
+            onClick={() => onChange(item.id)}
+            aria-current={view === item.id ? 'page' : undefined}
+          >
+            <Icon size={18} aria-hidden />
+            <span>{item.label}</span>
+          </button>
+        );
+      })}
+    </nav>
+  );
+}
+
+function WorkspaceHeader({
+  workspace,
+  connection,
+  busy,
+  accountOpen,
+  onAccountToggle,
+  onAccountNavigate,
+  onManualSync,
+  onSignOut
+}: {
+  workspace?: Workspace;
+  connection: ProviderConnection | DashboardData['connection'] | null;
+  busy: boolean;
+  accountOpen: boolean;
+  onAccountToggle: () => void;
+  onAccountNavigate: () => void;
+  onManualSync: () => void;
+  onSignOut: () => void;
+}) {
+  const canSync = workspaceCan(workspace, 'triggerManualSync', 'tiktok') && connection?.status === 'active';
+  return (
+    <header className="topbar">
+      <div>
+        <p className="eyebrow">{workspace ? workspace.role : 'No workspace'}</p>
+        <h1>{workspace ? workspace.name : 'Create your first workspace'}</h1>
+      </div>
+      {connection ? (
+        <div className="header-status" aria-label="Selected source status">
+          <StatusBadge status={connection.status} />
+          <span>Last sync: {formatDate(connection.last_successful_sync_at)}</span>
+          <span>Next: {formatDate(connection.next_sync_at)}</span>
+        </div>
+      ) : (
+        <div />
+      )}
+      <div className="top-actions">
+        {canSync && (
+          <button type="button" onClick={onManualSync} disabled={busy}>
+            {busy ? <Loader2 className="spin" size={18} aria-hidden /> : <RefreshCw size={18} aria-hidden />}
+            Sync
+          </button>
+        )}
+        <div className="menu-wrap">
+          <button
+            type="button"
+            className="menu-button"
+            onClick={onAccountToggle}
+            aria-expanded={accountOpen}
+            aria-haspopup="menu"
+          >
+            <Settings size={18} aria-hidden />
+            Account
+            <ChevronDown size={16} aria-hidden />
+          </button>
+          {accountOpen && (
+            <div className="menu" role="menu">
+              <button type="button" role="menuitem" onClick={onAccountNavigate}>
+                <Settings size={16} aria-hidden />
+                Account settings
+              </button>
+              <button type="button" role="menuitem" onClick={onSignOut}>
+                <LogOut size={16} aria-hidden />
+                Sign out
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </header>
+  );
+}
+
+function StateBanner({ state }: { state: LoadState }) {
+  if (state === 'ready') return null;
+  const map = {
+    ready: { icon: CheckCircle2, title: 'Ready', text: 'Dashboard data is available.' },
+    loading: { icon: Loader2, title: 'Loading', text: 'Loading workspace data.' },
+    empty: {
+      icon: AlertCircle,
+      title: 'No provider data',
+      text: 'Connect a supported provider or use labeled local demo data to populate this workspace.'
+    },
+    stale: { icon: CalendarDays, title: 'Stale data', text: 'Last successful sync is outside the freshness window.' },
+    partial: {
+      icon: ShieldAlert,
+      title: 'Partial sync',
+      text: 'Some provider data was unavailable during the latest run.'
+    },
+    permission: { icon: Lock, title: 'Permission denied', text: 'This role cannot perform the selected action.' },
+    error: { icon: AlertCircle, title: 'Sync error', text: 'The previous operation failed with a sanitized error.' },
+    reconnect: {
+      icon: ShieldAlert,
+      title: 'Reconnect required',
+      text: 'The provider connection needs authorization before sync can resume.'
+    }
+  };
+  const item = map[state];
+  const Icon = item.icon;
+  return (
+    <section className={`state-banner ${state}`} role={state === 'error' ? 'alert' : 'status'}>
+      <Icon className={state === 'loading' ? 'spin' : ''} size={20} aria-hidden />
+      <div>
+        <strong>{item.title}</strong>
+        <span>{item.text}</span>
+      </div>
+    </section>
+  );
+}
+
+function CrossProviderIcon({ provider }: { provider: OverviewProvider }) {
+  if (provider === 'youtube') return <Youtube size={20} aria-hidden />;
+  if (provider === 'facebook_pages') return <Facebook size={20} aria-hidden />;
+  if (provider === 'instagram') return <Instagram size={20} aria-hidden />;
+  if (provider === 'linkedin') return <Linkedin size={20} aria-hidden />;
+  if (provider === 'google_analytics_4') return <BarChart3 size={20} aria-hidden />;
+  if (provider === 'google_search_console') return <SearchCheck size={20} aria-hidden />;
+  if (provider === 'pinterest') return <Pin size={20} aria-hidden />;
+  if (provider === 'threads') return <AtSign size={20} aria-hidden />;
+  if (provider === 'bluesky') return <Cloud size={20} aria-hidden />;
+  return <Video size={20} aria-hidden />;
+}
+
+function formatCrossPlatformValue(metric: Pick<CrossPlatformMetric, 'unit' | 'value'>) {
+  if (metric.value === null) return 'N/A';
+  if (metric.unit === 'ratio') return `${(metric.value * 100).toFixed(1)}%`;
+  if (metric.unit === 'minutes') return formatMinutes(metric.value);
+  if (metric.unit === 'seconds') return formatSeconds(metric.value);
+  if (metric.unit === 'position') return metric.value.toFixed(1);
+  return formatNumber(metric.value);
+}
+
+function CrossPlatformMetricCard({ metric, compare }: { metric: CrossPlatformMetric; compare: boolean }) {
+  const direction = !metric.available
+    ? 'unavailable'
+    : metric.delta === null
+      ? 'neutral'
+      : metric.delta > 0
+        ? 'positive'
+        : metric.delta < 0
+          ? 'negative'
+          : 'neutral';
+  const comparison = !metric.available
+    ? (metric.availability_reason || 'Not reported by this provider').replaceAll('_', ' ')
+    : !compare
+      ? 'Comparison hidden'
+      : metric.delta === null
+        ? 'Previous period unavailable'
+        : metric.unit === 'ratio'
+          ? `${metric.delta >= 0 ? '+' : ''}${(metric.delta * 100).toFixed(1)} percentage points`
+          : metric.percent_change === null
+            ? `${metric.delta >= 0 ? '+' : ''}${formatNumber(metric.delta)}`
+            : `${metric.delta >= 0 ? '+' : ''}${metric.percent_change.toFixed(1)}%`;
+  return (
+    <article
+      className={`metric-card cross-metric ${direction}`}
+      title={metric.definition || metric.semantics || undefined}
+    >
+      <span>{metric.label}</span>
+      <strong>{formatCrossPlatformValue(metric)}</strong>
+      <small>{comparison}</small>
+    </article>
+  );
+}
+
+function CrossPlatformOverview({
+  dashboard,
+  range,
+  customFrom,
+  customTo,
+  compare,
+  rangeInvalid,
+  busy,
+  canSync,
+  onRangeChange,
+  onCustomFromChange,
+  onCustomToChange,
+  onCompareChange,
+  onOpenSource,
+  onSyncSource
+}: {
+  dashboard: CrossPlatformDashboardData | null;
+  range: RangeKey;
+  customFrom: string;
+  customTo: string;
+  compare: boolean;
+  rangeInvalid: string;
+  busy: boolean;
+  canSync: (provider: OverviewProvider) => boolean;
+  onRangeChange: (range: RangeKey) => void;
+  onCustomFromChange: (value: string) => void;
+  onCustomToChange: (value: string) => void;
+  onCompareChange: (value: boolean) => void;
+  onOpenSource: (provider: OverviewProvider, connectionId: string | null) => void;
+  onSyncSource: (source: CrossPlatformSource) => void;
+}) {
+  const trendColors = ['var(--chart-a)', 'var(--chart-b)', 'var(--chart-c)'];
+  return (
+    <>
+      <section className="source-switcher" aria-labelledby="cross-platform-title">
+        <div>
+          <p className="eyebrow">Cross-platform overview</p>
+          <h2 id="cross-platform-title">Source health and performance</h2>
+        </div>
+        {dashboard && (
+          <p className="muted cross-range-summary">
+            {formatDate(dashboard.range.from, { dateStyle: 'medium' })} –{' '}
+            {formatDate(dashboard.range.to, { dateStyle: 'medium' })}
+          </p>
+        )}
+      </section>
+
+      <section className="control-bar" aria-labelledby="cross-date-controls-title">
+        <h2 id="cross-date-controls-title" className="sr-only">
+          Cross-platform date and comparison controls
+        </h2>
+        <div className="segmented" aria-label="Date range">
+          {(['7d', '30d', '90d'] as RangeKey[]).map((option) => (
+            <button
+              key={option}
+              type="button"
+              className={range === option ? 'active' : ''}
+              onClick={() => onRangeChange(option)}
+            >
+              {option.replace('d', ' days')}
+            </button>
+          ))}
+          <button type="button" className={range === 'custom' ? 'active' : ''} onClick={() => onRangeChange('custom')}>
+            Custom
+          </button>
+        </div>
+        {range === 'custom' && (
+          <div className="date-pair">
+            <label>
+              From
+              <input
+                type="date"
+                value={customFrom}
+                onChange={(event) => onCustomFromChange(event.target.value)}
+                aria-invalid={Boolean(rangeInvalid)}
+              />
+            </label>
+            <label>
+              To
+              <input
+                type="date"
+                value={customTo}
+                onChange={(event) => onCustomToChange(event.target.value)}
+                aria-invalid={Boolean(rangeInvalid)}
+              />
+            </label>
+          </div>
+        )}
+        <label className="toggle">
+          <input type="checkbox" checked={compare} onChange={(event) => onCompareChange(event.target.checked)} />
+          Previous-period comparison
+        </label>
+        {rangeInvalid && <p className="form-error">{rangeInvalid}</p>}
+      </section>
+
+      {dashboard ? (
+        <>
+          <section className="cross-health-grid" aria-label="Cross-platform source health summary">
+            <article className="panel health-summary-card">
+              <span>Active resources</span>
+              <strong>{formatNumber(dashboard.summary.connected_resources)}</strong>
+              <small>Connected resources, not an analytics total</small>
+            </article>
+            <article className="panel health-summary-card">
+              <span>Resources with data</span>
+              <strong>{formatNumber(dashboard.summary.resources_with_data)}</strong>
+              <small>Stored observations in this workspace</small>
+            </article>
+            <article className="panel health-summary-card">
+              <span>Needs attention</span>
+              <strong>{formatNumber(dashboard.summary.attention_count)}</strong>
+              <small>Freshness, setup, or availability notices</small>
+            </article>
+          </section>
+
+          {dashboard.alerts.length > 0 && (
+            <section className="panel cross-alerts" aria-labelledby="cross-alerts-title">
+              <div className="panel-title">
+                <ShieldAlert size={20} aria-hidden />
+                <div>
+                  <h2 id="cross-alerts-title">Source alerts</h2>
+                  <p>Actionable connection and data-quality states.</p>
+                </div>
+              </div>
+              <div className="cross-alert-list">
+                {dashboard.alerts.map((alert) => (
+                  <div key={`${alert.source_id}:${alert.code}`} className={`cross-alert ${alert.severity}`}>
+                    <StatusBadge status={alert.severity} />
+                    <span>{alert.message}</span>
+                  </div>
+                ))}
+              </div>
+            </section>
+          )}
+
+          <section className="cross-source-grid" aria-label="Provider summaries">
+            {dashboard.sources.map((source) => {
+              const trendPoints = source.trend.points.map((point) => ({
+                date: point.date,
+                label: formatDate(point.date, { month: 'short', day: 'numeric' }),
+                ...point.values
+              }));
+              return (
+                <article className="panel cross-source-card" key={source.id}>
+                  <div className="cross-source-heading">
+                    <div className="cross-source-identity">
+                      <span className="provider-mark">
+                        <CrossProviderIcon provider={source.provider} />
+                      </span>
+                      <div>
+                        <p className="eyebrow">{source.provider_name}</p>
+                        <h3>{source.resource?.display_name || 'Not connected'}</h3>
+                        {source.resource?.account_name && <small>{source.resource.account_name}</small>}
+                      </div>
+                    </div>
+                    <StatusBadge status={source.freshness.state} />
+                  </div>
+
+                  <div className="freshness-row">
+                    <span>Last sync {formatDate(source.freshness.last_successful_sync_at)}</span>
+                    <span>Data through {formatDate(source.freshness.data_through_date, { dateStyle: 'medium' })}</span>
+                    {source.resource?.timezone && <span>Timezone {source.resource.timezone}</span>}
+                  </div>
+
+                  {source.alert && <p className={`source-note ${source.alert.severity}`}>{source.alert.message}</p>}
+                  {source.availability.note && <p className="source-note">{source.availability.note}</p>}
+
+                  <div className="cross-metric-grid" aria-label={`${source.provider_name} metrics`}>
+                    {source.metrics.map((metric) => (
+                      <CrossPlatformMetricCard key={metric.key} metric={metric} compare={compare} />
+                    ))}
+                  </div>
+
+                  {(source.has_data || source.status === 'active') && (
+                    <>
+                      <div className="cross-section">
+                        <div>
+                          <h4>Provider trends</h4>
+                          <p>Each series uses its own scale and provider definition.</p>
+                        </div>
+                        {source.trend.series.length > 0 && trendPoints.length > 1 ? (
+                          <div className="cross-trend-grid">
+                            {source.trend.series.slice(0, 3).map((series, index) => (
+                              <div className="mini-trend" key={series.key}>
+                                <span>{series.label}</span>
+                                <div role="img" aria-label={`${source.provider_name} ${series.label} trend`}>
+                                  <ResponsiveContainer width="100%" height={110}>
+                                    <LineChart data={trendPoints} margin={{ top: 8, right: 8, bottom: 0, left: 0 }}>
+                                      <XAxis dataKey="label" hide />
+                                      <YAxis domain={['auto', 'auto']} hide />
+                                      <Tooltip
+                                        formatter={series.unit === 'ratio' ? formatTooltipPercent : formatTooltipNumber}
+                                        labelFormatter={(label) => String(label)}
+                                      />
+                                      <Line
+                                        type="monotone"
+                                        dataKey={series.key}
+                                        name={series.label}
+                                        stroke={trendColors[index]}
+                                        strokeWidth={2.25}
+                                        dot={false}
+                                        connectNulls
+                                        isAnimationActive={false}
+                                      />
+                                    </LineChart>
+                                  </ResponsiveContainer>
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                        ) : (
+                          <p className="compact-chart-empty">
+                            {trendPoints.length === 1
+                              ? 'One stored point is available; a trend needs at least two.'
+                              : source.provider === 'instagram'
+                                ? 'Instagram account insights are stored as provider-reported period totals.'
+                                : 'No trend points are stored for this range.'}
+                          </p>
+                        )}
+                      </div>
+
+                      <div className="cross-section">
+                        <div>
+                          <h4>
+                            {source.provider === 'google_analytics_4'
+                              ? 'Top landing pages'
+                              : source.provider === 'google_search_console'
+                                ? 'Top search queries'
+                                : source.provider === 'linkedin'
+                                  ? 'Top posts'
+                                  : source.provider === 'pinterest'
+                                    ? 'Top pins'
+                                    : source.provider === 'threads' || source.provider === 'bluesky'
+                                      ? 'Top posts'
+                                      : 'Top content'}
+                          </h4>
+                          <p>
+                            {source.provider === 'google_analytics_4'
+                              ? 'Website paths remain distinct from social posts.'
+                              : source.provider === 'google_search_console'
+                                ? 'Search Console-reported clicks.'
+                                : source.provider === 'linkedin'
+                                  ? 'LinkedIn-reported impressions.'
+                                  : source.provider === 'pinterest'
+                                    ? 'Pinterest-reported impressions.'
+                                    : source.provider === 'threads'
+                                      ? 'Threads-reported views.'
+                                      : source.provider === 'bluesky'
+                                        ? 'Bluesky-reported likes.'
+                                        : 'Provider-reported views.'}
+                          </p>
+                        </div>
+                        {source.top_content.length > 0 ? (
+                          <ol className="cross-content-list">
+                            {source.top_content.map((item) => (
+                              <li key={item.id}>
+                                <div>
+                                  {item.share_url ? (
+                                    <a href={item.share_url} target="_blank" rel="noreferrer">
+                                      {item.title} <ExternalLink size={13} aria-hidden />
+                                    </a>
+                                  ) : (
+                                    <span>{item.title}</span>
+                                  )}
+                                  {item.published_at && (
+                                    <small>{formatDate(item.published_at, { dateStyle: 'medium' })}</small>
+                                  )}
+                                </div>
+                                <strong>{formatNumber(item.primary_metric.value)}</strong>
+                                <small>{item.primary_metric.label}</small>
+                              </li>
+                            ))}
+                          </ol>
+                        ) : (
+                          <p className="compact-chart-empty">No ranked items are stored for this range.</p>
+                        )}
+                      </div>
+                    </>
+                  )}
+
+                  <div className="button-row start cross-source-actions">
+                    <button
+                      type="button"
+                      className="ghost-button"
+                      onClick={() => onOpenSource(source.provider, source.resource?.connection_id || null)}
+                    >
+                      Open source
+                    </button>
+                    {canSync(source.provider) && source.status === 'active' && (
+                      <button type="button" disabled={busy} onClick={() => onSyncSource(source)}>
+                        {busy ? (
+                          <Loader2 className="spin" size={17} aria-hidden />
+                        ) : (
+                          <RefreshCw size={17} aria-hidden />
+                        )}
+                        Sync
+                      </button>
+                    )}
+                  </div>
+                </article>
+              );
+            })}
+          </section>
+
+          <details className="panel methodology-panel">
+            <summary>Metric comparison methodology</summary>
+            <ul>
+              {dashboard.methodology.map((item) => (
+                <li key={item}>{item}</li>
+              ))}
+            </ul>
+          </details>
+        </>
+      ) : (
+        <section className="panel chart-empty">Source summaries will appear after workspace data loads.</section>
+      )}
+    </>
+  );
+}
+
+function ProviderOverview({
+  dashboard,
+  youtubeDashboard,
+  facebookDashboard,
+  instagramDashboard,
+  googleAnalyticsDashboard,
+  linkedInDashboard,
+  searchConsoleDashboard,
+  pinterestDashboard,
+  threadsDashboard,
+  blueskyDashboard,
+  providers,
+  provider,
+  connectionId,
+  range,
+  customFrom,
+  customTo,
+  compare,
+  trendMetric,
+  topSort,
+  rangeInvalid,
+  busy,
+  canSync,
+  onProviderChange,
+  onConnectionChange,
+  onRangeChange,
+  onCustomFromChange,
+  onCustomToChange,
+  onCompareChange,
+  onTrendMetricChange,
+  onTopSortChange,
+  onYouTubeSync,
+  onMetaSync,
+  onGoogleAnalyticsSync,
+  onLinkedInSync,
+  onSearchConsoleSync,
+  onPinterestSync,
+  onThreadsSync,
+  onBlueskySync
+}: {
+  dashboard: DashboardData | null;
+  youtubeDashboard: YouTubeDashboardData | null;
+  facebookDashboard: MetaDashboardData | null;
+  instagramDashboard: MetaDashboardData | null;
+  googleAnalyticsDashboard: GoogleAnalyticsDashboardData | null;
+  linkedInDashboard: LinkedInDashboardData | null;
+  searchConsoleDashboard: SearchConsoleDashboardData | null;
+  pinterestDashboard: PinterestDashboardData | null;
+  threadsDashboard: ThreadsDashboardData | null;
+  blueskyDashboard: BlueskyDashboardData | null;
+  providers: ProviderCatalogItem[];
+  provider: OverviewProvider;
+  connectionId: string;
+  range: RangeKey;
+  customFrom: string;
+  customTo: string;
+  compare: boolean;
+  trendMetric: string;
+  topSort: ContentSort;
+  rangeInvalid: string;
+  busy: boolean;
+  canSync: boolean;
+  onProviderChange: (provider: OverviewProvider) => void;
+  onConnectionChange: (connectionId: string) => void;
+  onRangeChange: (range: RangeKey) => void;
+  onCustomFromChange: (value: string) => void;
+  onCustomToChange: (value: string) => void;
+  onCompareChange: (value: boolean) => void;
+  onTrendMetricChange: (value: string) => void;
+  onTopSortChange: (value: ContentSort) => void;
+  onYouTubeSync: () => void;
+  onMetaSync: (provider: 'facebook_pages' | 'instagram') => void;
+  onGoogleAnalyticsSync: () => void;
+  onLinkedInSync: () => void;
+  onSearchConsoleSync: () => void;
+  onPinterestSync: () => void;
+  onThreadsSync: () => void;
+  onBlueskySync: () => void;
+}) {
+  const providerCatalog = providers.find((item) => item.id === provider);
+  const resourceConnections = (providerCatalog?.connections || []).filter((connection) => Boolean(connection.id));
+  const loadedConnectionId =
+    provider === 'youtube'
+      ? youtubeDashboard?.connection.id
+      : provider === 'facebook_pages'
+        ? facebookDashboard?.connection.id
+        : provider === 'instagram'
+          ? instagramDashboard?.connection.id
+          : provider === 'google_analytics_4'
+            ? googleAnalyticsDashboard?.connection.id
+            : provider === 'linkedin'
+              ? linkedInDashboard?.connection.id
+              : provider === 'google_search_console'
+                ? searchConsoleDashboard?.connection.id
+                : provider === 'pinterest'
+                  ? pinterestDashboard?.connection.id
+                  : provider === 'threads'
+                    ? threadsDashboard?.connection.id
+                    : provider === 'bluesky'
+                      ? blueskyDashboard?.connection.id
+                      : undefined;
+  const selectedConnectionId = connectionId || loadedConnectionId || resourceConnections[0]?.id || '';
+  const metrics =
+    dashboard?.metrics ||
+    Object.entries(metricLabels).map(([key, label]) => ({
+      key,
+      label,
+      value: null,
+      baseline: null,
+      delta: null,
+      percent_change: null
+    }));
+  const trendData = (dashboard?.trend || []).map((point) => ({
+    ...point,
+    label: formatDate(point.observed_at, { month: 'short', day: 'numeric' })
+  }));
+  return (
+    <>
+      <section className="source-switcher" aria-labelledby="source-title">
+        <div>
+          <p className="eyebrow">Data source</p>
+          <h2 id="source-title">Channel performance</h2>
+        </div>
+        <div className="segmented" aria-label="Source provider">
+          <button
+            type="button"
+            className={provider === 'tiktok' ? 'active' : ''}
+            aria-pressed={provider === 'tiktok'}
+            onClick={() => onProviderChange('tiktok')}
+          >
+            <Video size={17} aria-hidden /> TikTok
+          </button>
+          <button
+            type="button"
+            className={provider === 'youtube' ? 'active' : ''}
+            aria-pressed={provider === 'youtube'}
+            onClick={() => onProviderChange('youtube')}
+          >
+            <Youtube size={17} aria-hidden /> YouTube
+          </button>
+          <button
+            type="button"
+            className={provider === 'facebook_pages' ? 'active' : ''}
+            aria-pressed={provider === 'facebook_pages'}
+            onClick={() => onProviderChange('facebook_pages')}
+          >
+            <Facebook size={17} aria-hidden /> Facebook
+          </button>
+          <button
+            type="button"
+            className={provider === 'instagram' ? 'active' : ''}
+            aria-pressed={provider === 'instagram'}
+            onClick={() => onProviderChange('instagram')}
+          >
+            <Instagram size={17} aria-hidden /> Instagram
+          </button>
+          <button
+            type="button"
+            className={provider === 'linkedin' ? 'active' : ''}
+            aria-pressed={provider === 'linkedin'}
+            onClick={() => onProviderChange('linkedin')}
+          >
+            <Linkedin size={17} aria-hidden /> LinkedIn
+          </button>
+          <button
+            type="button"
+            className={provider === 'pinterest' ? 'active' : ''}
+            aria-pressed={provider === 'pinterest'}
+            onClick={() => onProviderChange('pinterest')}
+          >
+            <Pin size={17} aria-hidden /> Pinterest
+          </button>
+          <button
+            type="button"
+            className={provider === 'threads' ? 'active' : ''}
+            aria-pressed={provider === 'threads'}
+            onClick={() => onProviderChange('threads')}
+          >
+            <AtSign size={17} aria-hidden /> Threads
+          </button>
+          <button
+            type="button"
+            className={provider === 'bluesky' ? 'active' : ''}
+            aria-pressed={provider === 'bluesky'}
+            onClick={() => onProviderChange('bluesky')}
+          >
+            <Cloud size={17} aria-hidden /> Bluesky
+          </button>
+          <button
+            type="button"
+            className={provider === 'google_analytics_4' ? 'active' : ''}
+            aria-pressed={provider === 'google_analytics_4'}
+            onClick={() => onProviderChange('google_analytics_4')}
+          >
+            <BarChart3 size={17} aria-hidden /> Website
+          </button>
+          <button
+            type="button"
+            className={provider === 'google_search_console' ? 'active' : ''}
+            aria-pressed={provider === 'google_search_console'}
+            onClick={() => onProviderChange('google_search_console')}
+          >
+            <SearchCheck size={17} aria-hidden /> Search
+          </button>
+        </div>
+      </section>
+      {provider !== 'tiktok' && resourceConnections.length > 0 && (
+        <section className="source-resource-filter" aria-label="Connected resource filter">
+          <label>
+            Resource
+            <select value={selectedConnectionId} onChange={(event) => onConnectionChange(event.target.value)}>
+              {resourceConnections.map((connection) => (
+                <option key={connection.id} value={connection.id}>
+                  {connection.account?.display_name ||
+                    connection.account?.account_name ||
+                    connection.account?.id ||
+                    connection.id}
+                </option>
+              ))}
+            </select>
+          </label>
+          <span className="muted">
+            {resourceConnections.length} connected {resourceConnections.length === 1 ? 'resource' : 'resources'}
+          </span>
+        </section>
+      )}
+      <section className="control-bar" aria-labelledby="date-controls-title">
+        <h2 id="date-controls-title" className="sr-only">
+          Date and comparison controls
+        </h2>
+        <div className="segmented" aria-label="Date range">
+          {(['7d', '30d', '90d'] as RangeKey[]).map((option) => (
+            <button
+              key={option}
+              type="button"
+              className={range === option ? 'active' : ''}
+              onClick={() => onRangeChange(option)}
+            >
+              {option.replace('d', ' days')}
+            </button>
+          ))}
+          <button type="button" className={range === 'custom' ? 'active' : ''} onClick={() => onRangeChange('custom')}>
+            Custom
+          </button>
+        </div>
+        {range === 'custom' && (
+          <div className="date-pair">
+            <label>
+              From
+              <input
+                type="date"
+                value={customFrom}
+                onChange={(event) => onCustomFromChange(event.target.value)}
+                aria-invalid={Boolean(rangeInvalid)}
+              />
+            </label>
+            <label>
+              To
+              <input
+                type="date"
+                value={customTo}
+                onChange={(event) => onCustomToChange(event.target.value)}
+                aria-invalid={Boolean(rangeInvalid)}
+              />
+            </label>
+          </div>
+        )}
+        <label className="toggle">
+          <input type="checkbox" checked={compare} onChange={(event) => onCompareChange(event.target.checked)} />
+          Previous-period comparison
+        </label>
+        {rangeInvalid && <p className="form-error">{rangeInvalid}</p>}
+      </section>
+
+      {provider === 'youtube' ? (
+        <YouTubeOverview
+          dashboard={youtubeDashboard}
+          compare={compare}
+          busy={busy}
+          canSync={canSync}
+          onSync={onYouTubeSync}
+        />
+      ) : provider === 'google_analytics_4' ? (
+        <GoogleAnalyticsOverview
+          dashboard={googleAnalyticsDashboard}
+          compare={compare}
+          busy={busy}
+          canSync={canSync}
+          onSync={onGoogleAnalyticsSync}
+        />
+      ) : provider === 'linkedin' ? (
+        <LinkedInOverview
+          dashboard={linkedInDashboard}
+          compare={compare}
+          busy={busy}
+          canSync={canSync}
+          onSync={onLinkedInSync}
+        />
+      ) : provider === 'google_search_console' ? (
+        <SearchConsoleOverview
+          dashboard={searchConsoleDashboard}
+          compare={compare}
+          busy={busy}
+          canSync={canSync}
+          onSync={onSearchConsoleSync}
+        />
+      ) : provider === 'pinterest' ? (
+        <PinterestOverview
+          dashboard={pinterestDashboard}
+          compare={compare}
+          busy={busy}
+          canSync={canSync}
+          onSync={onPinterestSync}
+        />
+      ) : provider === 'threads' ? (
+        <ThreadsOverview
+          dashboard={threadsDashboard}
+          compare={compare}
+          busy={busy}
+          canSync={canSync}
+          onSync={onThreadsSync}
+        />
+      ) : provider === 'bluesky' ? (
+        <BlueskyOverview
+          dashboard={blueskyDashboard}
+          compare={compare}
+          busy={busy}
+          canSync={canSync}
+          onSync={onBlueskySync}
+        />
+      ) : provider === 'facebook_pages' || provider === 'instagram' ? (
+        <MetaOverview
+          dashboard={provider === 'facebook_pages' ? facebookDashboard : instagramDashboard}
+          compare={compare}
+          busy={busy}
+          canSync={canSync}
+          onSync={() => onMetaSync(provider)}
+        />
+      ) : (
+        <>
+          <section className="metric-grid" aria-label="Summary metrics">
+            {metrics.map((metric) => (
+              <MetricCard key={metric.key} metric={metric} compare={compare} />
+            ))}
+          </section>
+
+          <section className="panel chart-panel" aria-labelledby="trend-title">
+            <div className="panel-title between">
+              <div>
+                <h2 id="trend-title">Trend</h2>
+                <p>Followers and total likes over the selected range.</p>
+              </div>
+              <select
+                aria-label="Trend metric"
+                value={trendMetric}
+                onChange={(event) => onTrendMetricChange(event.target.value)}
+              >
+                <option value="both">Followers and likes</option>
+                <option value="followers">Followers</option>
+                <option value="likes">Total likes</option>
+              </select>
+            </div>
+            {trendData.length > 1 ? (
+              <>
+                <div className="chart-box" role="img" aria-label="Line chart of followers and total likes over time">
+                  <ResponsiveContainer width="100%" height={300}>
+                    <LineChart data={trendData} margin={{ top: 12, right: 24, bottom: 12, left: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="label" minTickGap={24} />
+                      <YAxis yAxisId="followers" tickFormatter={formatCompact} />
+                      <YAxis yAxisId="likes" orientation="right" tickFormatter={formatCompact} />
+                      <Tooltip formatter={formatTooltipNumber} labelFormatter={(label) => `Observed ${label}`} />
+                      <Legend />
+                      {(trendMetric === 'both' || trendMetric === 'followers') && (
+                        <Line
+                          yAxisId="followers"
+                          type="monotone"
+                          dataKey="follower_count"
+                          name="Followers"
+                          stroke="var(--chart-a)"
+                          strokeWidth={2.5}
+                          dot={false}
+                          connectNulls
+                        />
+                      )}
+                      {(trendMetric === 'both' || trendMetric === 'likes') && (
+                        <Line
+                          yAxisId="likes"
+                          type="monotone"
+                          dataKey="likes_count"
+                          name="Total likes"
+                          stroke="var(--chart-b)"
+                          strokeWidth={2.5}
+                          dot={false}
+                          connectNulls
+                        />
+                      )}
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+                <ChartSummary trend={dashboard?.trend || []} />
+              </>
+            ) : (
+              <div className="chart-empty">
+                {trendData.length === 1
+                  ? 'One data point is available. More points are needed for a trend line.'
+                  : 'No audience history is available for the selected range.'}
+              </div>
+            )}
+          </section>
+
+          <section className="panel chart-panel" aria-labelledby="top-content-title">
+            <div className="panel-title between">
+              <div>
+                <h2 id="top-content-title">Top content</h2>
+                <p>Ranked by selected metric. Missing metrics remain visibly unavailable.</p>
+              </div>
+              <select
+                aria-label="Top content metric"
+                value={topSort}
+                onChange={(event) => onTopSortChange(event.target.value as ContentSort)}
+              >
+                <option value="views">Views</option>
+                <option value="likes">Likes</option>
+                <option value="comments">Comments</option>
+                <option value="shares">Shares</option>
+                <option value="engagement">Engagement rate</option>
+              </select>
+            </div>
+            {dashboard?.top_content.length ? (
+              <div
+                className="chart-box"
+                role="img"
+                aria-label={`Bar chart of top content by ${contentSortLabels[topSort]}`}
+              >
+                <ResponsiveContainer width="100%" height={300}>
+                  <BarChart
+                    data={dashboard.top_content.map((row) => ({
+                      name: contentLabel(row),
+                      value: topSort === 'engagement' ? row.engagement_rate : metricForSort(row, topSort)
+                    }))}
+                    layout="vertical"
+                    margin={{ top: 8, right: 24, bottom: 8, left: 24 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis
+                      type="number"
+                      tickFormatter={topSort === 'engagement' ? (value) => `${value}%` : formatCompact}
+                    />
+                    <YAxis type="category" dataKey="name" width={140} tick={{ fontSize: 12 }} />
+                    <Tooltip formatter={topSort === 'engagement' ? formatTooltipPercent : formatTooltipNumber} />
+                    <Bar
+                      dataKey="value"
+                      name={contentSortLabels[topSort]}
+                      fill="var(--chart-c)"
+                      radius={[0, 4, 4, 0]}
+                    />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            ) : (
+              <div className="chart-empty">No content matches this range.</div>
+            )}
+          </section>
+        </>
+      )}
+    </>
+  );
+}
+
+function formatGoogleAnalyticsValue(metric: Pick<GoogleAnalyticsMetric, 'key' | 'unit' | 'value'>) {
+  if (metric.value === null || metric.value === undefined) return 'N/A';
+  if (metric.unit === 'seconds') return formatSeconds(metric.value);
+  if (metric.unit === 'ratio') {
+    if (metric.key === 'ga4.engagement_rate' || metric.key === 'ga4.bounce_rate') {
+      return `${(metric.value * 100).toFixed(1)}%`;
+    }
+    return metric.value.toFixed(2);
+  }
+  return formatNumber(metric.value);
+}
+
+function formatGoogleAnalyticsBreakdownValue(key: string, value: number | null) {
+  if (value === null) return 'N/A';
+  if (key === 'ga4.engagement_rate' || key === 'ga4.bounce_rate') return `${(value * 100).toFixed(1)}%`;
+  if (key === 'ga4.average_session_duration') return formatSeconds(value);
+  if (key.endsWith('_per_user')) return value.toFixed(2);
+  return formatNumber(value);
+}
+
+function googleAnalyticsMetricLabel(key: string) {
+  const labels: Record<string, string> = {
+    'ga4.active_users': 'Active users',
+    'ga4.new_users': 'New users',
+    'ga4.sessions': 'Sessions',
+    'ga4.screen_page_views': 'Views',
+    'ga4.engagement_rate': 'Engagement rate',
+    'ga4.bounce_rate': 'Bounce rate',
+    'ga4.average_session_duration': 'Avg. session duration',
+    'ga4.sessions_per_user': 'Sessions per user',
+    'ga4.screen_page_views_per_user': 'Views per user'
+  };
+  return labels[key] || key.replace('ga4.', '').replaceAll('_', ' ');
+}
+
+function GoogleAnalyticsMetricCard({ metric, compare }: { metric: GoogleAnalyticsMetric; compare: boolean }) {
+  const direction = !metric.available
+    ? 'unavailable'
+    : metric.delta === null
+      ? 'neutral'
+      : metric.delta > 0
+        ? 'positive'
+        : metric.delta < 0
+          ? 'negative'
+          : 'neutral';
+  return (
+    <article className={`metric-card ${direction}`} title={metric.definition}>
+      <span>{metric.label}</span>
+      <strong>{formatGoogleAnalyticsValue(metric)}</strong>
+      <small>
+        {!metric.available
+          ? (metric.availability_reason || 'Unavailable from GA4').replaceAll('_', ' ')
+          : !compare
+            ? 'Comparison hidden'
+            : metric.delta === null
+              ? 'Previous period unavailable'
+              : `${metric.delta >= 0 ? '+' : ''}${metric.percent_change === null ? 'Change available; percent N/A' : `${metric.percent_change.toFixed(1)}%`}`}
+      </small>
+    </article>
+  );
+}
+
+function GoogleAnalyticsOverview({
+  dashboard,
+  compare,
+  busy,
+  canSync,
+  onSync
+}: {
+  dashboard: GoogleAnalyticsDashboardData | null;
+  compare: boolean;
+  busy: boolean;
+  canSync: boolean;
+  onSync: () => void;
+}) {
+  const connected = dashboard?.connection.status === 'active';
+  const trend = (dashboard?.trend || []).map((point) => ({
+    ...point,
+    label: formatDate(point.date, { month: 'short', day: 'numeric' })
+  }));
+  const availabilityMessage =
+    dashboard?.availability.state === 'thresholded'
+      ? 'Google privacy thresholding applies to at least one breakdown. Summary metrics remain as reported; withheld rows are not estimated.'
+      : dashboard?.availability.state === 'delayed'
+        ? `GA4 data is currently available through ${formatDate(dashboard.availability.data_through_date, { dateStyle: 'medium' })}.`
+        : dashboard?.availability.state === 'partial'
+          ? 'Some GA4 metrics or breakdowns are unavailable for this property and range. Missing values remain N/A.'
+          : null;
+
+  return (
+    <>
+      <section className="panel youtube-channel" aria-labelledby="ga4-property-title">
+        <div className="channel-identity">
+          <span className="channel-placeholder" aria-hidden>
+            <BarChart3 size={24} />
+          </span>
+          <div>
+            <p className="eyebrow">Google Analytics 4 property</p>
+            <h2 id="ga4-property-title">{dashboard?.property?.display_name || 'No property connected'}</h2>
+            <p className="muted">
+              {connected
+                ? `Last synced ${formatDate(dashboard?.connection.last_successful_sync_at)}`
+                : 'Authorize Google Analytics and explicitly select a property in Connections.'}
+            </p>
+            {dashboard?.property && (
+              <p className="muted">
+                {dashboard.property.account_name || dashboard.property.id} · {dashboard.property.timezone}
+                {dashboard.property.currency ? ` · ${dashboard.property.currency}` : ''}
+              </p>
+            )}
+          </div>
+        </div>
+        <div className="button-row">
+          <StatusBadge status={dashboard?.connection.status || 'disconnected'} />
+          <button type="button" onClick={onSync} disabled={!connected || !canSync || busy}>
+            <RefreshCw className={busy ? 'spin' : ''} size={18} aria-hidden /> Sync now
+          </button>
+        </div>
+      </section>
+
+      {availabilityMessage && <p className="notice">{availabilityMessage}</p>}
+
+      <section className="metric-grid youtube-metrics" aria-label="Website Analytics summary metrics">
+        {(dashboard?.metrics || []).map((metric) => (
+          <GoogleAnalyticsMetricCard key={metric.key} metric={metric} compare={compare} />
+        ))}
+        {!dashboard?.metrics.length && (
+          <article className="metric-card unavailable">
+            <span>Website Analytics</span>
+            <strong>N/A</strong>
+            <small>No stored GA4 report is available</small>
+          </article>
+        )}
+      </section>
+
+      <section className="panel chart-panel" aria-labelledby="ga4-traffic-title">
+        <div className="panel-title between">
+          <div>
+            <h2 id="ga4-traffic-title">Daily traffic</h2>
+            <p>Sessions, views, and active users in the property timezone.</p>
+          </div>
+          <span className="muted">
+            Data through {formatDate(dashboard?.availability.data_through_date, { dateStyle: 'medium' })}
+          </span>
+        </div>
+        {trend.length > 0 ? (
+          <div className="chart-box" role="img" aria-label="Line chart of daily GA4 sessions, views, and active users">
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={trend} margin={{ top: 12, right: 24, bottom: 12, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" minTickGap={24} />
+                <YAxis tickFormatter={formatCompact} />
+                <Tooltip formatter={formatTooltipNumber} />
+                <Legend />
+                <Line
+                  type="monotone"
+                  dataKey="sessions"
+                  name="Sessions"
+                  stroke="var(--chart-a)"
+                  strokeWidth={2.5}
+                  dot={false}
+                  connectNulls
+                />
+                <Line
+                  type="monotone"
+                  dataKey="screen_page_views"
+                  name="Views"
+                  stroke="var(--chart-b)"
+                  strokeWidth={2.5}
+                  dot={false}
+                  connectNulls
+                />
+                <Line
+                  type="monotone"
+                  dataKey="active_users"
+                  name="Active users"
+                  stroke="var(--chart-c)"
+                  strokeWidth={2.5}
+                  dot={false}
+                  connectNulls
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <div className="chart-empty">No daily GA4 rows are stored for this range.</div>
+        )}
+      </section>
+
+      <section className="panel" aria-labelledby="ga4-breakdowns-title">
+        <div className="panel-title">
+          <div>
+            <h2 id="ga4-breakdowns-title">Traffic breakdowns</h2>
+            <p>Top provider-reported rows. “(not set)” and privacy-threshold states are preserved.</p>
+          </div>
+        </div>
+        {dashboard?.breakdowns.length ? (
+          <div className="ga4-breakdown-grid">
+            {dashboard.breakdowns.map((breakdown) => (
+              <section key={breakdown.key} className="ga4-breakdown" aria-labelledby={`${breakdown.key}-title`}>
+                <div className="between">
+                  <h3 id={`${breakdown.key}-title`}>{breakdown.label}</h3>
+                  {breakdown.subject_to_thresholding && <StatusBadge status="thresholded" />}
+                </div>
+                <div className="table-wrap">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th scope="col">Value</th>
+                        <th scope="col">Metrics</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {breakdown.rows.slice(0, 10).map((row, index) => (
+                        <tr key={`${breakdown.key}-${Object.values(row.dimensions).join('-')}-${index}`}>
+                          <td data-label="Value">{Object.values(row.dimensions).join(' · ') || '(not set)'}</td>
+                          <td data-label="Metrics">
+                            {Object.entries(row.metrics)
+                              .map(
+                                ([key, value]) =>
+                                  `${googleAnalyticsMetricLabel(key)}: ${formatGoogleAnalyticsBreakdownValue(key, value)}`
+                              )
+                              .join(' · ')}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </section>
+            ))}
+          </div>
+        ) : (
+          <div className="table-empty">No compatible GA4 breakdown rows are stored for this range.</div>
+        )}
+      </section>
+    </>
+  );
+}
+
+function LinkedInOverview({
+  dashboard,
+  compare,
+  busy,
+  canSync,
+  onSync
+}: {
+  dashboard: LinkedInDashboardData | null;
+  compare: boolean;
+  busy: boolean;
+  canSync: boolean;
+  onSync: () => void;
+}) {
+  const connected = dashboard?.connection.status === 'active';
+  const trend = (dashboard?.trend || []).map((point) => ({
+    ...point,
+    label: formatDate(point.date, { month: 'short', day: 'numeric' })
+  }));
+  const availabilityMessage =
+    dashboard?.availability.note === 'linkedin_reporting_delay'
+      ? `LinkedIn statistics are stored through ${formatDate(dashboard.availability.data_through_date, { dateStyle: 'medium' })}. Recent UTC days appear after the next sync.`
+      : dashboard?.availability.note === 'linkedin_partial_metrics'
+        ? 'LinkedIn did not return every statistic for this Page and range. Missing values remain N/A.'
+        : null;
+
+  return (
+    <>
+      <section className="panel youtube-channel" aria-labelledby="linkedin-organization-title">
+        <div className="channel-identity">
+          <span className="channel-placeholder" aria-hidden>
+            <Linkedin size={24} />
+          </span>
+          <div>
+            <p className="eyebrow">LinkedIn Page</p>
+            <h2 id="linkedin-organization-title">{dashboard?.organization?.display_name || 'No Page connected'}</h2>
+            <p className="muted">
+              {connected
+                ? `Last synced ${formatDate(dashboard?.connection.last_successful_sync_at)}`
+                : 'Authorize LinkedIn and explicitly select a Page you administer in Connections.'}
+            </p>
+            {dashboard?.organization?.page_url && (
+              <p className="muted">
+                <a href={dashboard.organization.page_url} target="_blank" rel="noreferrer">
+                  {dashboard.organization.vanity_name || dashboard.organization.id}{' '}
+                  <ExternalLink size={14} aria-hidden />
+                </a>
+              </p>
+            )}
+          </div>
+        </div>
+        <div className="button-row">
+          <StatusBadge status={dashboard?.connection.status || 'disconnected'} />
+          <button type="button" onClick={onSync} disabled={!connected || !canSync || busy}>
+            <RefreshCw className={busy ? 'spin' : ''} size={18} aria-hidden /> Sync now
+          </button>
+        </div>
+      </section>
+
+      {availabilityMessage && <p className="notice">{availabilityMessage}</p>}
+
+      <section className="metric-grid youtube-metrics" aria-label="LinkedIn summary metrics">
+        {(dashboard?.metrics || []).map((metric) => (
+          <MetricCard key={metric.key} metric={metric} compare={compare} />
+        ))}
+        {!dashboard?.metrics.length && (
+          <article className="metric-card unavailable">
+            <span>LinkedIn Page statistics</span>
+            <strong>N/A</strong>
+            <small>No stored LinkedIn statistics are available</small>
+          </article>
+        )}
+      </section>
+
+      <section className="panel chart-panel" aria-labelledby="linkedin-trend-title">
+        <div className="panel-title between">
+          <div>
+            <h2 id="linkedin-trend-title">Daily Page activity</h2>
+            <p>Impressions, clicks, and new followers per UTC day.</p>
+          </div>
+          <span className="muted">
+            Data through {formatDate(dashboard?.availability.data_through_date, { dateStyle: 'medium' })}
+          </span>
+        </div>
+        {trend.length > 0 ? (
+          <div
+            className="chart-box"
+            role="img"
+            aria-label="Line chart of daily LinkedIn impressions, clicks, and new followers"
+          >
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={trend} margin={{ top: 12, right: 24, bottom: 12, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" minTickGap={24} />
+                <YAxis tickFormatter={formatCompact} />
+                <Tooltip formatter={formatTooltipNumber} />
+                <Legend />
+                <Line
+                  type="monotone"
+                  dataKey="impressions"
+                  name="Impressions"
+                  stroke="var(--chart-a)"
+                  strokeWidth={2.5}
+                  dot={false}
+                  connectNulls
+                />
+                <Line
+                  type="monotone"
+                  dataKey="clicks"
+                  name="Clicks"
+                  stroke="var(--chart-b)"
+                  strokeWidth={2.5}
+                  dot={false}
+                  connectNulls
+                />
+                <Line
+                  type="monotone"
+                  dataKey="new_followers"
+                  name="New followers"
+                  stroke="var(--chart-c)"
+                  strokeWidth={2.5}
+                  dot={false}
+                  connectNulls
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <div className="chart-empty">No daily LinkedIn statistics are stored for this range.</div>
+        )}
+      </section>
+
+      <section className="panel" aria-labelledby="linkedin-posts-title">
+        <div className="panel-title">
+          <div>
+            <h2 id="linkedin-posts-title">Post performance</h2>
+            <p>Organic Page posts published in this range, ranked by impressions.</p>
+          </div>
+        </div>
+        {dashboard?.posts.length ? (
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th scope="col">Post</th>
+                  <th scope="col">Published</th>
+                  <th scope="col">Impressions</th>
+                  <th scope="col">Clicks</th>
+                  <th scope="col">Reactions</th>
+                  <th scope="col">Comments</th>
+                  <th scope="col">Reposts</th>
+                </tr>
+              </thead>
+              <tbody>
+                {dashboard.posts.map((post) => (
+                  <tr key={post.id}>
+                    <td data-label="Post">
+                      {post.url ? (
+                        <a href={post.url} target="_blank" rel="noreferrer">
+                          {post.text || post.id} <ExternalLink size={14} aria-hidden />
+                        </a>
+                      ) : (
+                        post.text || post.id
+                      )}
+                    </td>
+                    <td data-label="Published">{formatDate(post.published_date, { dateStyle: 'medium' })}</td>
+                    <td data-label="Impressions">{formatNumber(post.metrics.impressions)}</td>
+                    <td data-label="Clicks">{formatNumber(post.metrics.clicks)}</td>
+                    <td data-label="Reactions">{formatNumber(post.metrics.reactions)}</td>
+                    <td data-label="Comments">{formatNumber(post.metrics.comments)}</td>
+                    <td data-label="Reposts">{formatNumber(post.metrics.reposts)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="table-empty">No LinkedIn post statistics are stored for this range.</div>
+        )}
+      </section>
+    </>
+  );
+}
+
+function formatSearchConsoleValue(key: string, value: number | null | undefined) {
+  if (value === null || value === undefined) return 'N/A';
+  if (key === 'search_console.ctr') return `${(value * 100).toFixed(1)}%`;
+  if (key === 'search_console.position') return value.toFixed(1);
+  return formatNumber(value);
+}
+
+function SearchConsoleMetricCard({ metric, compare }: { metric: SearchConsoleMetric; compare: boolean }) {
+  const direction = !metric.available
+    ? 'unavailable'
+    : metric.delta === null
+      ? 'neutral'
+      : metric.key === 'search_console.position'
+        ? metric.delta < 0
+          ? 'positive'
+          : metric.delta > 0
+            ? 'negative'
+            : 'neutral'
+        : metric.delta > 0
+          ? 'positive'
+          : metric.delta < 0
+            ? 'negative'
+            : 'neutral';
+  return (
+    <article className={`metric-card ${direction}`} title={metric.definition}>
+      <span>{metric.label}</span>
+      <strong>{formatSearchConsoleValue(metric.key, metric.value)}</strong>
+      <small>
+        {!metric.available
+          ? (metric.availability_reason || 'Unavailable from Search Console').replaceAll('_', ' ')
+          : !compare
+            ? 'Comparison hidden'
+            : metric.delta === null
+              ? 'Previous period unavailable'
+              : metric.key === 'search_console.ctr'
+                ? `${metric.delta >= 0 ? '+' : ''}${(metric.delta * 100).toFixed(1)} percentage points`
+                : metric.key === 'search_console.position'
+                  ? `${metric.delta >= 0 ? '+' : ''}${metric.delta.toFixed(1)} positions`
+                  : `${metric.delta >= 0 ? '+' : ''}${metric.percent_change === null ? formatNumber(metric.delta) : `${metric.percent_change.toFixed(1)}%`}`}
+      </small>
+    </article>
+  );
+}
+
+function SearchConsoleOverview({
+  dashboard,
+  compare,
+  busy,
+  canSync,
+  onSync
+}: {
+  dashboard: SearchConsoleDashboardData | null;
+  compare: boolean;
+  busy: boolean;
+  canSync: boolean;
+  onSync: () => void;
+}) {
+  const connected = dashboard?.connection.status === 'active';
+  const trend = (dashboard?.trend || []).map((point) => ({
+    ...point,
+    label: formatDate(point.date, { month: 'short', day: 'numeric' })
+  }));
+  const availabilityMessage =
+    dashboard?.availability.note === 'search_console_reporting_delay'
+      ? dashboard.availability.data_through_date
+        ? `Search Console data is final through ${formatDate(dashboard.availability.data_through_date, { dateStyle: 'medium' })}. Google usually reports with a delay of two to three days.`
+        : 'Search Console has not reported final data for this site yet.'
+      : dashboard?.availability.note === 'search_console_partial_metrics'
+        ? 'Search Console did not report every metric for this site and range. Missing values remain N/A.'
+        : null;
+
+  return (
+    <>
+      <section className="panel youtube-channel" aria-labelledby="search-console-site-title">
+        <div className="channel-identity">
+          <span className="channel-placeholder" aria-hidden>
+            <SearchCheck size={24} />
+          </span>
+          <div>
+            <p className="eyebrow">
+              {dashboard?.site?.property_type === 'domain' ? 'Search Console domain property' : 'Search Console site'}
+            </p>
+            <h2 id="search-console-site-title">{dashboard?.site?.display_name || 'No site connected'}</h2>
+            <p className="muted">
+              {connected
+                ? `Last synced ${formatDate(dashboard?.connection.last_successful_sync_at)}`
+                : 'Authorize Google Search Console and explicitly select a verified site in Connections.'}
+            </p>
+            {dashboard?.site && <p className="muted">{dashboard.site.site_url} · Pacific Time</p>}
+          </div>
+        </div>
+        <div className="button-row">
+          <StatusBadge status={dashboard?.connection.status || 'disconnected'} />
+          <button type="button" onClick={onSync} disabled={!connected || !canSync || busy}>
+            <RefreshCw className={busy ? 'spin' : ''} size={18} aria-hidden /> Sync now
+          </button>
+        </div>
+      </section>
+
+      {availabilityMessage && <p className="notice">{availabilityMessage}</p>}
+
+      <section className="metric-grid youtube-metrics" aria-label="Search Console summary metrics">
+        {(dashboard?.metrics || []).map((metric) => (
+          <SearchConsoleMetricCard key={metric.key} metric={metric} compare={compare} />
+        ))}
+        {!dashboard?.metrics.length && (
+          <article className="metric-card unavailable">
+            <span>Search performance</span>
+            <strong>N/A</strong>
+            <small>No stored Search Console data is available</small>
+          </article>
+        )}
+      </section>
+
+      <section className="panel chart-panel" aria-labelledby="search-console-trend-title">
+        <div className="panel-title between">
+          <div>
+            <h2 id="search-console-trend-title">Daily search performance</h2>
+            <p>Clicks and impressions from Google Search per Pacific Time day.</p>
+          </div>
+          <span className="muted">
+            Data through {formatDate(dashboard?.availability.data_through_date, { dateStyle: 'medium' })}
+          </span>
+        </div>
+        {trend.length > 0 ? (
+          <div className="chart-box" role="img" aria-label="Line chart of daily Search Console clicks and impressions">
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={trend} margin={{ top: 12, right: 24, bottom: 12, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" minTickGap={24} />
+                <YAxis yAxisId="clicks" tickFormatter={formatCompact} />
+                <YAxis yAxisId="impressions" orientation="right" tickFormatter={formatCompact} />
+                <Tooltip formatter={formatTooltipNumber} />
+                <Legend />
+                <Line
+                  yAxisId="clicks"
+                  type="monotone"
+                  dataKey="clicks"
+                  name="Clicks"
+                  stroke="var(--chart-a)"
+                  strokeWidth={2.5}
+                  dot={false}
+                  connectNulls
+                />
+                <Line
+                  yAxisId="impressions"
+                  type="monotone"
+                  dataKey="impressions"
+                  name="Impressions"
+                  stroke="var(--chart-b)"
+                  strokeWidth={2.5}
+                  dot={false}
+                  connectNulls
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <div className="chart-empty">No daily Search Console rows are stored for this range.</div>
+        )}
+      </section>
+
+      <section className="panel" aria-labelledby="search-console-breakdowns-title">
+        <div className="panel-title">
+          <div>
+            <h2 id="search-console-breakdowns-title">Search breakdowns</h2>
+            <p>Top rows by clicks for the stored 7, 30, or 90 day window. Anonymized queries are omitted by Google.</p>
+          </div>
+        </div>
+        {dashboard?.breakdowns.length ? (
+          <div className="ga4-breakdown-grid">
+            {dashboard.breakdowns.map((breakdown) => (
+              <section
+                key={breakdown.key}
+                className="ga4-breakdown"
+                aria-labelledby={`${breakdown.key.replace('.', '-')}-title`}
+              >
+                <h3 id={`${breakdown.key.replace('.', '-')}-title`}>{breakdown.label}</h3>
+                <div className="table-wrap">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th scope="col">Value</th>
+                        <th scope="col">Clicks</th>
+                        <th scope="col">Impressions</th>
+                        <th scope="col">CTR</th>
+                        <th scope="col">Position</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {breakdown.rows.slice(0, 10).map((row, index) => (
+                        <tr key={`${breakdown.key}-${Object.values(row.dimensions).join('-')}-${index}`}>
+                          <td data-label="Value">{Object.values(row.dimensions).join(' · ') || '(not set)'}</td>
+                          {[
+                            'search_console.clicks',
+                            'search_console.impressions',
+                            'search_console.ctr',
+                            'search_console.position'
+                          ].map((key) => (
+                            <td key={key} data-label={key.replace('search_console.', '')}>
+                              {formatSearchConsoleValue(key, row.metrics[key])}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </section>
+            ))}
+          </div>
+        ) : (
+          <div className="table-empty">No Search Console breakdown rows are stored for this range.</div>
+        )}
+      </section>
+    </>
+  );
+}
+
+function PinterestOverview({
+  dashboard,
+  compare,
+  busy,
+  canSync,
+  onSync
+}: {
+  dashboard: PinterestDashboardData | null;
+  compare: boolean;
+  busy: boolean;
+  canSync: boolean;
+  onSync: () => void;
+}) {
+  const connected = dashboard?.connection.status === 'active';
+  const trend = (dashboard?.trend || []).map((point) => ({
+    ...point,
+    label: formatDate(point.date, { month: 'short', day: 'numeric' })
+  }));
+  const availabilityMessage =
+    dashboard?.availability.note === 'pinterest_reporting_delay'
+      ? `Pinterest analytics are stored through ${formatDate(dashboard.availability.data_through_date, { dateStyle: 'medium' })}. Recent UTC days appear after the next sync.`
+      : dashboard?.availability.note === 'pinterest_partial_metrics'
+        ? 'Pinterest did not return every value for this account and range. Missing values remain N/A.'
+        : null;
+
+  return (
+    <>
+      <section className="panel youtube-channel" aria-labelledby="pinterest-account-title">
+        <div className="channel-identity">
+          <span className="channel-placeholder" aria-hidden>
+            <Pin size={24} />
+          </span>
+          <div>
+            <p className="eyebrow">Pinterest business account</p>
+            <h2 id="pinterest-account-title">{dashboard?.account?.display_name || 'No account connected'}</h2>
+            <p className="muted">
+              {connected
+                ? `Last synced ${formatDate(dashboard?.connection.last_successful_sync_at)}`
+                : 'Authorize Pinterest and select your business account in Connections.'}
+            </p>
+            {dashboard?.account?.profile_url && (
+              <p className="muted">
+                <a href={dashboard.account.profile_url} target="_blank" rel="noreferrer">
+                  {dashboard.account.username || dashboard.account.id} <ExternalLink size={14} aria-hidden />
+                </a>
+              </p>
+            )}
+          </div>
+        </div>
+        <div className="button-row">
+          <StatusBadge status={dashboard?.connection.status || 'disconnected'} />
+          <button type="button" onClick={onSync} disabled={!connected || !canSync || busy}>
+            <RefreshCw className={busy ? 'spin' : ''} size={18} aria-hidden /> Sync now
+          </button>
+        </div>
+      </section>
+
+      {availabilityMessage && <p className="notice">{availabilityMessage}</p>}
+
+      <section className="metric-grid youtube-metrics" aria-label="Pinterest summary metrics">
+        {(dashboard?.metrics || []).map((metric) => (
+          <MetricCard key={metric.key} metric={metric} compare={compare} />
+        ))}
+        {!dashboard?.metrics.length && (
+          <article className="metric-card unavailable">
+            <span>Pinterest analytics</span>
+            <strong>N/A</strong>
+            <small>No stored Pinterest analytics are available</small>
+          </article>
+        )}
+      </section>
+
+      <section className="panel chart-panel" aria-labelledby="pinterest-trend-title">
+        <div className="panel-title between">
+          <div>
+            <h2 id="pinterest-trend-title">Daily account activity</h2>
+            <p>Impressions, saves, and outbound clicks per UTC day.</p>
+          </div>
+          <span className="muted">
+            Data through {formatDate(dashboard?.availability.data_through_date, { dateStyle: 'medium' })}
+          </span>
+        </div>
+        {trend.length > 0 ? (
+          <div
+            className="chart-box"
+            role="img"
+            aria-label="Line chart of daily Pinterest impressions, saves, and outbound clicks"
+          >
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={trend} margin={{ top: 12, right: 24, bottom: 12, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" minTickGap={24} />
+                <YAxis tickFormatter={formatCompact} />
+                <Tooltip formatter={formatTooltipNumber} />
+                <Legend />
+                <Line
+                  type="monotone"
+                  dataKey="impressions"
+                  name="Impressions"
+                  stroke="var(--chart-a)"
+                  strokeWidth={2.5}
+                  dot={false}
+                  connectNulls
+                />
+                <Line
+                  type="monotone"
+                  dataKey="saves"
+                  name="Saves"
+                  stroke="var(--chart-b)"
+                  strokeWidth={2.5}
+                  dot={false}
+                  connectNulls
+                />
+                <Line
+                  type="monotone"
+                  dataKey="outbound_clicks"
+                  name="Outbound clicks"
+                  stroke="var(--chart-c)"
+                  strokeWidth={2.5}
+                  dot={false}
+                  connectNulls
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <div className="chart-empty">No daily Pinterest analytics are stored for this range.</div>
+        )}
+      </section>
+
+      <section className="panel" aria-labelledby="pinterest-pins-title">
+        <div className="panel-title">
+          <div>
+            <h2 id="pinterest-pins-title">Pin performance</h2>
+            <p>Pins from your public boards, ranked by impressions over the latest sync window.</p>
+          </div>
+        </div>
+        {dashboard?.pins.length ? (
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th scope="col">Pin</th>
+                  <th scope="col">Board</th>
+                  <th scope="col">Published</th>
+                  <th scope="col">Impressions</th>
+                  <th scope="col">Saves</th>
+                  <th scope="col">Outbound clicks</th>
+                  <th scope="col">Pin clicks</th>
+                </tr>
+              </thead>
+              <tbody>
+                {dashboard.pins.map((pin) => (
+                  <tr key={pin.id}>
+                    <td data-label="Pin">
+                      {pin.url ? (
+                        <a href={pin.url} target="_blank" rel="noreferrer">
+                          {pin.title || pin.id} <ExternalLink size={14} aria-hidden />
+                        </a>
+                      ) : (
+                        pin.title || pin.id
+                      )}
+                    </td>
+                    <td data-label="Board">{pin.board_name || 'N/A'}</td>
+                    <td data-label="Published">{formatDate(pin.published_date, { dateStyle: 'medium' })}</td>
+                    <td data-label="Impressions">{formatNumber(pin.metrics.impressions)}</td>
+                    <td data-label="Saves">{formatNumber(pin.metrics.saves)}</td>
+                    <td data-label="Outbound clicks">{formatNumber(pin.metrics.outbound_clicks)}</td>
+                    <td data-label="Pin clicks">{formatNumber(pin.metrics.pin_clicks)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="table-empty">No Pinterest pin analytics are stored for this range.</div>
+        )}
+      </section>
+    </>
+  );
+}
+
+function ThreadsOverview({
+  dashboard,
+  compare,
+  busy,
+  canSync,
+  onSync
+}: {
+  dashboard: ThreadsDashboardData | null;
+  compare: boolean;
+  busy: boolean;
+  canSync: boolean;
+  onSync: () => void;
+}) {
+  const connected = dashboard?.connection.status === 'active';
+  const trend = (dashboard?.trend || []).map((point) => ({
+    ...point,
+    label: formatDate(point.date, { month: 'short', day: 'numeric' })
+  }));
+  const availabilityMessage =
+    dashboard?.availability.note === 'threads_reporting_delay'
+      ? `Threads insights are stored through ${formatDate(dashboard.availability.data_through_date, { dateStyle: 'medium' })}. Recent UTC days appear after the next sync.`
+      : dashboard?.availability.note === 'threads_partial_metrics'
+        ? 'Threads did not return every value for this profile and range. Missing values remain N/A.'
+        : null;
+
+  return (
+    <>
+      <section className="panel youtube-channel" aria-labelledby="threads-profile-title">
+        <div className="channel-identity">
+          <span className="channel-placeholder" aria-hidden>
+            <AtSign size={24} />
+          </span>
+          <div>
+            <p className="eyebrow">Threads profile</p>
+            <h2 id="threads-profile-title">{dashboard?.profile?.display_name || 'No profile connected'}</h2>
+            <p className="muted">
+              {connected
+                ? `Last synced ${formatDate(dashboard?.connection.last_successful_sync_at)}`
+                : 'Authorize Threads and select your profile in Connections.'}
+            </p>
+            {dashboard?.profile?.profile_url && (
+              <p className="muted">
+                <a href={dashboard.profile.profile_url} target="_blank" rel="noreferrer">
+                  @{dashboard.profile.username || dashboard.profile.id} <ExternalLink size={14} aria-hidden />
+                </a>
+              </p>
+            )}
+          </div>
+        </div>
+        <div className="button-row">
+          <StatusBadge status={dashboard?.connection.status || 'disconnected'} />
+          <button type="button" onClick={onSync} disabled={!connected || !canSync || busy}>
+            <RefreshCw className={busy ? 'spin' : ''} size={18} aria-hidden /> Sync now
+          </button>
+        </div>
+      </section>
+
+      {availabilityMessage && <p className="notice">{availabilityMessage}</p>}
+
+      <section className="metric-grid youtube-metrics" aria-label="Threads summary metrics">
+        {(dashboard?.metrics || []).map((metric) => (
+          <MetricCard key={metric.key} metric={metric} compare={compare} />
+        ))}
+        {!dashboard?.metrics.length && (
+          <article className="metric-card unavailable">
+            <span>Threads insights</span>
+            <strong>N/A</strong>
+            <small>No stored Threads insights are available</small>
+          </article>
+        )}
+      </section>
+
+      <section className="panel chart-panel" aria-labelledby="threads-trend-title">
+        <div className="panel-title between">
+          <div>
+            <h2 id="threads-trend-title">Daily profile views</h2>
+            <p>Views of the profile and its posts per UTC day.</p>
+          </div>
+          <span className="muted">
+            Data through {formatDate(dashboard?.availability.data_through_date, { dateStyle: 'medium' })}
+          </span>
+        </div>
+        {trend.length > 0 ? (
+          <div className="chart-box" role="img" aria-label="Line chart of daily Threads views">
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={trend} margin={{ top: 12, right: 24, bottom: 12, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" minTickGap={24} />
+                <YAxis tickFormatter={formatCompact} />
+                <Tooltip formatter={formatTooltipNumber} />
+                <Legend />
+                <Line
+                  type="monotone"
+                  dataKey="views"
+                  name="Views"
+                  stroke="var(--chart-a)"
+                  strokeWidth={2.5}
+                  dot={false}
+                  connectNulls
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <div className="chart-empty">No daily Threads views are stored for this range.</div>
+        )}
+      </section>
+
+      <section className="panel" aria-labelledby="threads-posts-title">
+        <div className="panel-title">
+          <div>
+            <h2 id="threads-posts-title">Post performance</h2>
+            <p>Recent posts ranked by lifetime views as of the latest sync.</p>
+          </div>
+        </div>
+        {dashboard?.posts.length ? (
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th scope="col">Post</th>
+                  <th scope="col">Published</th>
+                  <th scope="col">Views</th>
+                  <th scope="col">Likes</th>
+                  <th scope="col">Replies</th>
+                  <th scope="col">Reposts</th>
+                  <th scope="col">Quotes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {dashboard.posts.map((post) => (
+                  <tr key={post.id}>
+                    <td data-label="Post">
+                      {post.url ? (
+                        <a href={post.url} target="_blank" rel="noreferrer">
+                          {post.text || post.id} <ExternalLink size={14} aria-hidden />
+                        </a>
+                      ) : (
+                        post.text || post.id
+                      )}
+                    </td>
+                    <td data-label="Published">{formatDate(post.published_date, { dateStyle: 'medium' })}</td>
+                    <td data-label="Views">{formatNumber(post.metrics.views)}</td>
+                    <td data-label="Likes">{formatNumber(post.metrics.likes)}</td>
+                    <td data-label="Replies">{formatNumber(post.metrics.replies)}</td>
+                    <td data-label="Reposts">{formatNumber(post.metrics.reposts)}</td>
+                    <td data-label="Quotes">{formatNumber(post.metrics.quotes)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="table-empty">No Threads post insights are stored for this range.</div>
+        )}
+      </section>
+    </>
+  );
+}
+
+function BlueskyOverview({
+  dashboard,
+  compare,
+  busy,
+  canSync,
+  onSync
+}: {
+  dashboard: BlueskyDashboardData | null;
+  compare: boolean;
+  busy: boolean;
+  canSync: boolean;
+  onSync: () => void;
+}) {
+  const connected = dashboard?.connection.status === 'active';
+  const trend = (dashboard?.trend || []).map((point) => ({
+    ...point,
+    label: formatDate(point.date, { month: 'short', day: 'numeric' })
+  }));
+  const availabilityMessage =
+    dashboard?.availability.note === 'bluesky_sync_delayed'
+      ? `Bluesky data is stored through ${formatDate(dashboard.availability.data_through_date, { dateStyle: 'medium' })}. Recent UTC days appear after the next sync.`
+      : dashboard?.availability.note === 'bluesky_partial_metrics'
+        ? 'Bluesky did not return every value for this account and range. Missing values remain N/A.'
+        : null;
+
+  return (
+    <>
+      <section className="panel youtube-channel" aria-labelledby="bluesky-profile-title">
+        <div className="channel-identity">
+          <span className="channel-placeholder" aria-hidden>
+            <Cloud size={24} />
+          </span>
+          <div>
+            <p className="eyebrow">Bluesky account</p>
+            <h2 id="bluesky-profile-title">{dashboard?.profile?.display_name || 'No account connected'}</h2>
+            <p className="muted">
+              {connected
+                ? `Last synced ${formatDate(dashboard?.connection.last_successful_sync_at)}`
+                : 'Connect a Bluesky account with an app password in Connections.'}
+            </p>
+            {dashboard?.profile?.profile_url && (
+              <p className="muted">
+                <a href={dashboard.profile.profile_url} target="_blank" rel="noreferrer">
+                  @{dashboard.profile.handle || dashboard.profile.id} <ExternalLink size={14} aria-hidden />
+                </a>
+              </p>
+            )}
+          </div>
+        </div>
+        <div className="button-row">
+          <StatusBadge status={dashboard?.connection.status || 'disconnected'} />
+          <button type="button" onClick={onSync} disabled={!connected || !canSync || busy}>
+            <RefreshCw className={busy ? 'spin' : ''} size={18} aria-hidden /> Sync now
+          </button>
+        </div>
+      </section>
+
+      {availabilityMessage && <p className="notice">{availabilityMessage}</p>}
+
+      <section className="metric-grid youtube-metrics" aria-label="Bluesky summary metrics">
+        {(dashboard?.metrics || []).map((metric) => (
+          <MetricCard key={metric.key} metric={metric} compare={compare} />
+        ))}
+        {!dashboard?.metrics.length && (
+          <article className="metric-card unavailable">
+            <span>Bluesky metrics</span>
+            <strong>N/A</strong>
+            <small>No stored Bluesky metrics are available</small>
+          </article>
+        )}
+      </section>
+
+      <section className="panel chart-panel" aria-labelledby="bluesky-trend-title">
+        <div className="panel-title between">
+          <div>
+            <h2 id="bluesky-trend-title">Followers</h2>
+            <p>Follower count recorded at each daily sync.</p>
+          </div>
+          <span className="muted">
+            Data through {formatDate(dashboard?.availability.data_through_date, { dateStyle: 'medium' })}
+          </span>
+        </div>
+        {trend.length > 0 ? (
+          <div className="chart-box" role="img" aria-label="Line chart of Bluesky followers">
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={trend} margin={{ top: 12, right: 24, bottom: 12, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" minTickGap={24} />
+                <YAxis tickFormatter={formatCompact} />
+                <Tooltip formatter={formatTooltipNumber} />
+                <Legend />
+                <Line
+                  type="monotone"
+                  dataKey="followers"
+                  name="Followers"
+                  stroke="var(--chart-a)"
+                  strokeWidth={2.5}
+                  dot={false}
+                  connectNulls
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <div className="chart-empty">No Bluesky follower snapshots are stored for this range.</div>
+        )}
+      </section>
+
+      <section className="panel" aria-labelledby="bluesky-posts-title">
+        <div className="panel-title">
+          <div>
+            <h2 id="bluesky-posts-title">Post engagement</h2>
+            <p>Posts published in this range, ranked by likes as of the latest sync.</p>
+          </div>
+        </div>
+        {dashboard?.posts.length ? (
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th scope="col">Post</th>
+                  <th scope="col">Published</th>
+                  <th scope="col">Likes</th>
+                  <th scope="col">Reposts</th>
+                  <th scope="col">Replies</th>
+                  <th scope="col">Quotes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {dashboard.posts.map((post) => (
+                  <tr key={post.id}>
+                    <td data-label="Post">
+                      {post.url ? (
+                        <a href={post.url} target="_blank" rel="noreferrer">
+                          {post.text || post.id} <ExternalLink size={14} aria-hidden />
+                        </a>
+                      ) : (
+                        post.text || post.id
+                      )}
+                    </td>
+                    <td data-label="Published">{formatDate(post.published_date, { dateStyle: 'medium' })}</td>
+                    <td data-label="Likes">{formatNumber(post.metrics.likes)}</td>
+                    <td data-label="Reposts">{formatNumber(post.metrics.reposts)}</td>
+                    <td data-label="Replies">{formatNumber(post.metrics.replies)}</td>
+                    <td data-label="Quotes">{formatNumber(post.metrics.quotes)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="table-empty">No Bluesky posts are stored for this range.</div>
+        )}
+      </section>
+    </>
+  );
+}
+
+function MetaOverview({
+  dashboard,
+  compare,
+  busy,
+  canSync,
+  onSync
+}: {
+  dashboard: MetaDashboardData | null;
+  compare: boolean;
+  busy: boolean;
+  canSync: boolean;
+  onSync: () => void;
+}) {
+  const provider = dashboard?.provider || 'facebook_pages';
+  const connected = dashboard?.connection.status === 'active';
+  const isInstagram = provider === 'instagram';
+  const PrimaryIcon = isInstagram ? Instagram : Facebook;
+  const trend = (dashboard?.trend || []).map((point) => ({
+    ...point,
+    label: formatDate(point.date, { month: 'short', day: 'numeric' })
+  }));
+  const primaryKey = isInstagram ? 'views' : 'page_media_view';
+  const secondaryKey = isInstagram ? 'reach' : 'page_post_engagements';
+
+  return (
+    <>
+      <section className="panel youtube-channel" aria-labelledby="meta-account-title">
+        <div className="channel-identity">
+          {dashboard?.account?.thumbnail_url ? (
+            <img src={dashboard.account.thumbnail_url} alt="" referrerPolicy="no-referrer" />
+          ) : (
+            <span className="channel-placeholder" aria-hidden>
+              <PrimaryIcon size={24} />
+            </span>
+          )}
+          <div>
+            <p className="eyebrow">{isInstagram ? 'Instagram professional account' : 'Facebook Page'}</p>
+            <h2 id="meta-account-title">{dashboard?.account?.display_name || 'No resource connected'}</h2>
+            <p className="muted">
+              {connected
+                ? `Last synced ${formatDate(dashboard?.connection.last_successful_sync_at)}`
+                : 'Authorize Meta and explicitly select a resource in Connections.'}
+            </p>
+            {dashboard?.account?.source_page_name && (
+              <p className="muted">Linked Facebook Page: {dashboard.account.source_page_name}</p>
+            )}
+          </div>
+        </div>
+        <div className="button-row">
+          <StatusBadge status={dashboard?.connection.status || 'disconnected'} />
+          <button type="button" onClick={onSync} disabled={!connected || !canSync || busy}>
+            <RefreshCw className={busy ? 'spin' : ''} size={18} aria-hidden /> Sync now
+          </button>
+        </div>
+      </section>
+
+      {dashboard?.availability.note && <p className="notice">{dashboard.availability.note}</p>}
+
+      <section className="metric-grid youtube-metrics" aria-label="Meta summary metrics">
+        {(dashboard?.metrics || []).map((metric) => (
+          <MetricCard key={metric.key} metric={metric} compare={compare} />
+        ))}
+        {!dashboard?.metrics.length && (
+          <article className="metric-card unavailable">
+            <span>Read-only insights</span>
+            <strong>N/A</strong>
+            <small>No data available</small>
+          </article>
+        )}
+      </section>
+
+      <section className="panel chart-panel" aria-labelledby="meta-performance-title">
+        <div className="panel-title">
+          <div>
+            <h2 id="meta-performance-title">Daily read-only insights</h2>
+            <p>Provider-reported daily values; unavailable metrics remain visibly N/A.</p>
+          </div>
+        </div>
+        {trend.length > 0 ? (
+          <div className="chart-box" role="img" aria-label="Line chart of daily Meta insights">
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={trend} margin={{ top: 12, right: 24, bottom: 12, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" minTickGap={24} />
+                <YAxis tickFormatter={formatCompact} />
+                <Tooltip formatter={formatTooltipNumber} />
+                <Legend />
+                <Line
+                  type="monotone"
+                  dataKey={primaryKey}
+                  name={isInstagram ? 'Views' : 'Media views'}
+                  stroke="var(--chart-a)"
+                  strokeWidth={2.5}
+                  dot={false}
+                  connectNulls
+                />
+                <Line
+                  type="monotone"
+                  dataKey={secondaryKey}
+                  name={isInstagram ? 'Reach' : 'Post engagements'}
+                  stroke="var(--chart-b)"
+                  strokeWidth={2.5}
+                  dot={false}
+                  connectNulls
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <div className="chart-empty">No daily Meta insight rows are stored for this range.</div>
+        )}
+      </section>
+
+      <section className="panel" aria-labelledby="meta-content-title">
+        <div className="panel-title">
+          <div>
+            <h2 id="meta-content-title">Content performance</h2>
+            <p>
+              {isInstagram ? 'Feed, carousel, and Reels media only.' : 'Published Page posts and available engagement.'}
+            </p>
+          </div>
+        </div>
+        {dashboard?.content.length ? (
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th scope="col">Content</th>
+                  <th scope="col">Published</th>
+                  <th scope="col">Views</th>
+                  <th scope="col">Likes</th>
+                  <th scope="col">Comments</th>
+                  <th scope="col">Shares</th>
+                </tr>
+              </thead>
+              <tbody>
+                {dashboard.content.map((row) => (
+                  <tr key={row.id}>
+                    <td data-label="Content">
+                      {row.share_url ? (
+                        <a href={row.share_url} target="_blank" rel="noreferrer">
+                          {row.title || row.provider_content_id} <ExternalLink size={14} aria-hidden />
+                        </a>
+                      ) : (
+                        row.title || row.provider_content_id
+                      )}
+                    </td>
+                    <td data-label="Published">{formatDate(row.published_at, { dateStyle: 'medium' })}</td>
+                    <td data-label="Views">{formatNumber(row.view_count)}</td>
+                    <td data-label="Likes">{formatNumber(row.like_count)}</td>
+                    <td data-label="Comments">{formatNumber(row.comment_count)}</td>
+                    <td data-label="Shares">{formatNumber(row.share_count)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="table-empty">No content performance is available for this period.</div>
+        )}
+      </section>
+    </>
+  );
+}
+
+function YouTubeOverview({
+  dashboard,
+  compare,
+  busy,
+  canSync,
+  onSync
+}: {
+  dashboard: YouTubeDashboardData | null;
+  compare: boolean;
+  busy: boolean;
+  canSync: boolean;
+  onSync: () => void;
+}) {
+  const trend = (dashboard?.trend || []).map((point) => ({
+    ...point,
+    label: formatDate(point.date, { month: 'short', day: 'numeric' })
+  }));
+  const connected = dashboard?.connection.status === 'active';
+  const delayed = dashboard?.availability.state === 'delayed';
+
+  return (
+    <>
+      <section className="panel youtube-channel" aria-labelledby="youtube-channel-title">
+        <div className="channel-identity">
+          {dashboard?.channel?.thumbnail_url ? (
+            <img src={dashboard.channel.thumbnail_url} alt="" referrerPolicy="no-referrer" />
+          ) : (
+            <span className="channel-placeholder" aria-hidden>
+              <Youtube size={24} />
+            </span>
+          )}
+          <div>
+            <p className="eyebrow">YouTube channel</p>
+            <h2 id="youtube-channel-title">{dashboard?.channel?.display_name || 'No channel connected'}</h2>
+            <p className="muted">
+              {connected
+                ? `Last synced ${formatDate(dashboard?.connection.last_successful_sync_at)}`
+                : 'Choose an authorized channel in Connections to begin syncing.'}
+            </p>
+          </div>
+        </div>
+        <div className="button-row">
+          <StatusBadge status={dashboard?.connection.status || 'disconnected'} />
+          <button type="button" onClick={onSync} disabled={!connected || !canSync || busy}>
+            <RefreshCw className={busy ? 'spin' : ''} size={18} aria-hidden /> Sync now
+          </button>
+        </div>
+      </section>
+
+      {delayed && (
+        <p className="notice" role="status">
+          YouTube reporting is available through{' '}
+          {dashboard?.availability.data_through_date
+            ? formatDate(dashboard.availability.data_through_date, { dateStyle: 'medium' })
+            : 'an earlier date'}
+          . The requested range ends{' '}
+          {formatDate(dashboard?.availability.requested_through_date, { dateStyle: 'medium' })}.
+        </p>
+      )}
+
+      <section className="metric-grid youtube-metrics" aria-label="YouTube summary metrics">
+        {(dashboard?.metrics || []).map((metric) => (
+          <YouTubeMetricCard key={metric.key} metric={metric} compare={compare} />
+        ))}
+        {!dashboard?.metrics.length &&
+          ['Subscribers', 'Channel views', 'Videos', 'Views', 'Watch time', 'Net subscribers'].map((label) => (
+            <article key={label} className="metric-card unavailable">
+              <span>{label}</span>
+              <strong>N/A</strong>
+              <small>No data available</small>
+            </article>
+          ))}
+      </section>
+
+      <section className="panel chart-panel" aria-labelledby="youtube-performance-title">
+        <div className="panel-title between">
+          <div>
+            <h2 id="youtube-performance-title">Views and watch time</h2>
+            <p>Daily values reported by YouTube Analytics for the selected range.</p>
+          </div>
+          <span className="muted">
+            Data through {formatDate(dashboard?.availability.data_through_date, { dateStyle: 'medium' })}
+          </span>
+        </div>
+        {trend.length > 0 ? (
+          <div className="chart-box" role="img" aria-label="Line chart of daily YouTube views and watch time">
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={trend} margin={{ top: 12, right: 24, bottom: 12, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" minTickGap={24} />
+                <YAxis yAxisId="views" tickFormatter={formatCompact} />
+                <YAxis yAxisId="watch" orientation="right" tickFormatter={formatCompact} />
+                <Tooltip formatter={formatTooltipNumber} />
+                <Legend />
+                <Line
+                  yAxisId="views"
+                  type="monotone"
+                  dataKey="views"
+                  name="Views"
+                  stroke="var(--chart-a)"
+                  strokeWidth={2.5}
+                  dot={false}
+                  connectNulls
+                />
+                <Line
+                  yAxisId="watch"
+                  type="monotone"
+                  dataKey="watch_time_minutes"
+                  name="Watch time (minutes)"
+                  stroke="var(--chart-b)"
+                  strokeWidth={2.5}
+                  dot={false}
+                  connectNulls
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <div className="chart-empty">No daily YouTube Analytics rows are stored for this range.</div>
+        )}
+      </section>
+
+      <section className="panel chart-panel" aria-labelledby="youtube-subscribers-title">
+        <div className="panel-title">
+          <div>
+            <h2 id="youtube-subscribers-title">Subscriber movement</h2>
+            <p>Daily subscribers gained, lost, and net change.</p>
+          </div>
+        </div>
+        {trend.length > 0 ? (
+          <div className="chart-box" role="img" aria-label="Bar chart of daily YouTube subscriber movement">
+            <ResponsiveContainer width="100%" height={280}>
+              <BarChart data={trend} margin={{ top: 12, right: 24, bottom: 12, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" minTickGap={24} />
+                <YAxis tickFormatter={formatCompact} />
+                <Tooltip formatter={formatTooltipNumber} />
+                <Legend />
+                <Bar dataKey="subscribers_gained" name="Gained" fill="var(--chart-a)" radius={[3, 3, 0, 0]} />
+                <Bar dataKey="subscribers_lost" name="Lost" fill="var(--red)" radius={[3, 3, 0, 0]} />
+                <Bar dataKey="net_subscribers" name="Net" fill="var(--chart-c)" radius={[3, 3, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <div className="chart-empty">No subscriber movement is available for this range.</div>
+        )}
+      </section>
+
+      <section className="panel" aria-labelledby="youtube-content-title">
+        <div className="panel-title between">
+          <div>
+            <h2 id="youtube-content-title">Video performance</h2>
+            <p>Period metrics from YouTube Analytics. Missing values remain N/A.</p>
+          </div>
+          {dashboard?.range.videoPeriodKey && <StatusBadge status={dashboard.range.videoPeriodKey} />}
+        </div>
+        {!dashboard?.availability.video_period_supported ? (
+          <div className="table-empty">Video-level breakdowns are available for the 7, 30, and 90 day ranges.</div>
+        ) : dashboard.content.length > 0 ? (
+          <div className="table-wrap youtube-content-table">
+            <table>
+              <thead>
+                <tr>
+                  <th scope="col">Video</th>
+                  <th scope="col">Views</th>
+                  <th scope="col">Watch time</th>
+                  <th scope="col">Avg. duration</th>
+                  <th scope="col">Avg. viewed</th>
+                  <th scope="col">Likes</th>
+                  <th scope="col">Comments</th>
+                  <th scope="col">Shares</th>
+                </tr>
+              </thead>
+              <tbody>
+                {dashboard.content.map((row) => (
+                  <tr key={row.id}>
+                    <td data-label="Video">
+                      <div className="youtube-video-cell">
+                        {row.thumbnail_url ? (
+                          <img src={row.thumbnail_url} alt="" loading="lazy" referrerPolicy="no-referrer" />
+                        ) : null}
+                        <div>
+                          {row.share_url ? (
+                            <a href={row.share_url} target="_blank" rel="noreferrer">
+                              {row.title || row.provider_content_id} <ExternalLink size={14} aria-hidden />
+                            </a>
+                          ) : (
+                            <strong>{row.title || row.provider_content_id}</strong>
+                          )}
+                          <small>{formatDate(row.published_at, { dateStyle: 'medium' })}</small>
+                        </div>
+                      </div>
+                    </td>
+                    <td data-label="Views">{formatNumber(row.views)}</td>
+                    <td data-label="Watch time">{formatMinutes(row.watch_time_minutes)}</td>
+                    <td data-label="Avg. duration">{formatSeconds(row.average_view_duration_seconds)}</td>
+                    <td data-label="Avg. viewed">{formatPercent(row.average_view_percentage)}</td>
+                    <td data-label="Likes">{formatNumber(row.likes)}</td>
+                    <td data-label="Comments">{formatNumber(row.comments)}</td>
+                    <td data-label="Shares">{formatNumber(row.shares)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="table-empty">No video Analytics rows are stored for this period.</div>
+        )}
+      </section>
+    </>
+  );
+}
+
+function YouTubeMetricCard({ metric, compare }: { metric: YouTubeMetric; compare: boolean }) {
+  const hasPeriodComparison = metric.semantics.startsWith('selected_period');
+  const direction = !metric.available
     ? 'unavailable'
     : hasPeriodComparison && metric.delta !== null
       ? metric.delta > 0
@@ -4034,1935 +7910,5545 @@ function YouTubeMetricCard({ metric, compare }: { metric: YouTubeMetric; compare
       : 'neutral';
   const value = metric.key === 'watch_time_period' ? formatMinutes(metric.value) : formatNumber(metric.value);
   return (
-    <article className={`metric-card ${direction}`}>
-      <span>{metric.label}</span>
-      <strong>{value}</strong>
-      <small>
-        {!metric.available
-          ? 'Unavailable from YouTube'
-          : !compare
-            ? 'Comparison hidden'
-            : !hasPeriodComparison
-              ? metric.semantics === 'lifetime'
-                ? 'Lifetime total'
-                : 'Latest available data'
-              : metric.delta === null
-                ? 'Previous period unavailable'
-                : `${metric.delta >= 0 ? '+' : ''}${metric.key === 'watch_time_period' ? formatMinutes(metric.delta) : formatNumber(metric.delta)}${metric.percent_change === null ? ' (percent N/A)' : ` (${metric.percent_change.toFixed(1)}%)`}`}
+    <article className={`metric-card ${direction}`}>
+      <span>{metric.label}</span>
+      <strong>{value}</strong>
+      <small>
+        {!metric.available
+          ? 'Unavailable from YouTube'
+          : !compare
+            ? 'Comparison hidden'
+            : !hasPeriodComparison
+              ? metric.semantics === 'lifetime'
+                ? 'Lifetime total'
+                : 'Latest available data'
+              : metric.delta === null
+                ? 'Previous period unavailable'
+                : `${metric.delta >= 0 ? '+' : ''}${metric.key === 'watch_time_period' ? formatMinutes(metric.delta) : formatNumber(metric.delta)}${metric.percent_change === null ? ' (percent N/A)' : ` (${metric.percent_change.toFixed(1)}%)`}`}
+      </small>
+    </article>
+  );
+}
+
+function MetricCard({ metric, compare }: { metric: DashboardMetric; compare: boolean }) {
+  const direction =
+    metric.delta === null ? 'unavailable' : metric.delta > 0 ? 'positive' : metric.delta < 0 ? 'negative' : 'neutral';
+  return (
+    <article className={`metric-card ${direction}`}>
+      <span>{metric.label}</span>
+      <strong>{formatNumber(metric.value)}</strong>
+      {compare ? (
+        <small>
+          {metric.delta === null ? (
+            <span title="No comparable earlier data is available.">Comparison unavailable</span>
+          ) : (
+            `${metric.delta >= 0 ? '+' : ''}${formatNumber(metric.delta)} ${metric.percent_change === null ? '(percent N/A)' : `(${metric.percent_change.toFixed(1)}%)`}`
+          )}
+        </small>
+      ) : (
+        <small>Comparison hidden</small>
+      )}
+    </article>
+  );
+}
+
+function ChartSummary({ trend }: { trend: DashboardData['trend'] }) {
+  return (
+    <details className="sr-summary">
+      <summary>Data table for trend chart</summary>
+      <table>
+        <thead>
+          <tr>
+            <th>Observed</th>
+            <th>Followers</th>
+            <th>Total likes</th>
+          </tr>
+        </thead>
+        <tbody>
+          {trend.map((point) => (
+            <tr key={point.observed_at}>
+              <td>{formatDate(point.observed_at)}</td>
+              <td>{formatNumber(point.follower_count)}</td>
+              <td>{formatNumber(point.likes_count)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </details>
+  );
+}
+
+function metricForSort(row: ContentRow, sort: ContentSort) {
+  if (sort === 'published_at') return row.published_at ? new Date(row.published_at).getTime() : null;
+  if (sort === 'views') return row.view_count;
+  if (sort === 'likes') return row.like_count;
+  if (sort === 'comments') return row.comment_count;
+  if (sort === 'shares') return row.share_count;
+  return row.engagement_rate;
+}
+
+function contentLabel(row: ContentRow) {
+  return row.title || row.description || row.provider_content_id;
+}
+
+const socialProviderNames: Record<SocialProvider, string> = {
+  tiktok: 'TikTok',
+  youtube: 'YouTube',
+  facebook_pages: 'Facebook Pages',
+  instagram: 'Instagram',
+  pinterest: 'Pinterest',
+  threads: 'Threads',
+  bluesky: 'Bluesky'
+};
+
+function socialProviderName(provider: SocialProvider) {
+  return socialProviderNames[provider];
+}
+
+function Content({
+  workspace,
+  content,
+  providers,
+  provider,
+  connectionId,
+  sort,
+  direction,
+  search,
+  page,
+  pageSize,
+  rangeQuery,
+  onSort,
+  onSearch,
+  onProviderChange,
+  onConnectionChange,
+  onPageChange,
+  onPageSizeChange,
+  onOpenDetail
+}: {
+  workspace: Workspace;
+  content: ContentData | null;
+  providers: ProviderCatalogItem[];
+  provider: SocialContentProvider;
+  connectionId: string;
+  sort: ContentSort;
+  direction: SortDirection;
+  search: string;
+  page: number;
+  pageSize: number;
+  rangeQuery: URLSearchParams;
+  onSort: (sort: ContentSort, direction: SortDirection) => void;
+  onSearch: (search: string) => void;
+  onProviderChange: (provider: SocialContentProvider) => void;
+  onConnectionChange: (connectionId: string) => void;
+  onPageChange: (page: number) => void;
+  onPageSizeChange: (size: number) => void;
+  onOpenDetail: (contentId: string) => void;
+}) {
+  const total = content?.total || 0;
+  const totalPages = Math.max(Math.ceil(total / pageSize), 1);
+  const availableProviders = providers.filter((item) =>
+    ['tiktok', 'youtube', 'facebook_pages', 'instagram', 'pinterest', 'threads', 'bluesky'].includes(item.id)
+  );
+  const resourceOptions = availableProviders
+    .filter((item) => provider === 'all' || item.id === provider)
+    .flatMap((item) =>
+      (item.connections || [])
+        .filter((connection) => Boolean(connection.id))
+        .map((connection) => ({
+          id: connection.id,
+          provider: item.id as SocialProvider,
+          name:
+            connection.account?.display_name ||
+            connection.account?.username ||
+            connection.account?.id ||
+            item.resourceName
+        }))
+    );
+  const exportParams = new URLSearchParams(rangeQuery);
+  exportParams.set('provider', provider);
+  if (connectionId) exportParams.set('connection_id', connectionId);
+  exportParams.set('sort', sort);
+  exportParams.set('direction', direction);
+  if (search.trim()) exportParams.set('search', search.trim());
+  const exportHref = `/api/workspaces/${workspace.id}/exports/content.csv?${exportParams.toString()}`;
+  return (
+    <section className="panel" aria-labelledby="content-title">
+      <div className="panel-title between">
+        <div>
+          <h2 id="content-title">Content performance</h2>
+          <p>
+            {total} result{total === 1 ? '' : 's'} using active filters.
+          </p>
+        </div>
+        <a
+          className={`button-link ${workspace.role === 'viewer' ? 'disabled' : ''}`}
+          href={workspace.role === 'viewer' ? undefined : exportHref}
+        >
+          <Download size={18} aria-hidden /> CSV
+        </a>
+      </div>
+      <div className="toolbar content-toolbar">
+        <label>
+          Provider
+          <select value={provider} onChange={(event) => onProviderChange(event.target.value as SocialContentProvider)}>
+            <option value="all">All social providers</option>
+            {availableProviders.map((item) => (
+              <option key={item.id} value={item.id}>
+                {item.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Resource
+          <select value={connectionId} onChange={(event) => onConnectionChange(event.target.value)}>
+            <option value="">All selected resources</option>
+            {resourceOptions.map((resource) => (
+              <option key={resource.id} value={resource.id}>
+                {provider === 'all' ? `${socialProviderName(resource.provider)} · ` : ''}
+                {resource.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Search
+          <span className="input-icon">
+            <Search size={16} aria-hidden />
+            <input
+              value={search}
+              onChange={(event) => onSearch(event.target.value)}
+              placeholder="Title, description, provider id"
+            />
+          </span>
+        </label>
+        <label>
+          Page size
+          <select value={pageSize} onChange={(event) => onPageSizeChange(Number(event.target.value))}>
+            {[10, 25, 50].map((size) => (
+              <option key={size} value={size}>
+                {size}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {content && content.rows.length > 0 ? (
+        <>
+          <div className="table-wrap">
+            <table className="content-table">
+              <thead>
+                <tr>
+                  <SortableTh
+                    label="Published"
+                    value="published_at"
+                    sort={sort}
+                    direction={direction}
+                    onSort={onSort}
+                  />
+                  <th scope="col">Content</th>
+                  <th scope="col">Source</th>
+                  <SortableTh label="Views" value="views" sort={sort} direction={direction} onSort={onSort} />
+                  <SortableTh label="Likes" value="likes" sort={sort} direction={direction} onSort={onSort} />
+                  <SortableTh label="Comments" value="comments" sort={sort} direction={direction} onSort={onSort} />
+                  <SortableTh label="Shares" value="shares" sort={sort} direction={direction} onSort={onSort} />
+                  <SortableTh label="Engagement" value="engagement" sort={sort} direction={direction} onSort={onSort} />
+                </tr>
+              </thead>
+              <tbody>
+                {content.rows.map((row) => (
+                  <tr key={row.id}>
+                    <td data-label="Published">{formatDate(row.published_at, { dateStyle: 'medium' })}</td>
+                    <td data-label="Content">
+                      <button type="button" className="link-button" onClick={() => onOpenDetail(row.id)}>
+                        {contentLabel(row)}
+                      </button>
+                      <small>{row.provider_content_id}</small>
+                    </td>
+                    <td data-label="Source">
+                      <strong>{socialProviderName(row.provider)}</strong>
+                      <small>{row.resource_name || 'Selected resource'}</small>
+                    </td>
+                    <MetricCell label="Views" value={row.view_count} />
+                    <MetricCell label="Likes" value={row.like_count} />
+                    <MetricCell label="Comments" value={row.comment_count} />
+                    <MetricCell label="Shares" value={row.share_count} />
+                    <td data-label="Engagement">
+                      {row.engagement_rate === null ? (
+                        <span className="muted">N/A</span>
+                      ) : (
+                        formatPercent(row.engagement_rate)
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <Pagination page={page} totalPages={totalPages} onPageChange={onPageChange} />
+        </>
+      ) : (
+        <div className="table-empty">
+          {search || provider !== 'all' || connectionId
+            ? 'No content matches the active filters.'
+            : 'No social content performance is available.'}
+        </div>
+      )}
+      <p className="muted">
+        Counts retain each provider’s reporting semantics. Missing or unsupported values remain N/A and are never
+        converted to zero.
+      </p>
+    </section>
+  );
+}
+
+function SortableTh({
+  label,
+  value,
+  sort,
+  direction,
+  onSort
+}: {
+  label: string;
+  value: ContentSort;
+  sort: ContentSort;
+  direction: SortDirection;
+  onSort: (sort: ContentSort, direction: SortDirection) => void;
+}) {
+  const active = sort === value;
+  const nextDirection: SortDirection = active && direction === 'desc' ? 'asc' : 'desc';
+  return (
+    <th scope="col" aria-sort={active ? (direction === 'asc' ? 'ascending' : 'descending') : 'none'}>
+      <button type="button" className="sort-button" onClick={() => onSort(value, nextDirection)}>
+        {label}
+        <span aria-hidden>{active ? (direction === 'asc' ? ' ↑' : ' ↓') : ''}</span>
+      </button>
+    </th>
+  );
+}
+
+function MetricCell({ label, value }: { label: string; value: number | null }) {
+  return <td data-label={label}>{value === null ? <span className="muted">N/A</span> : formatNumber(value)}</td>;
+}
+
+function ContentDetailView({ detail, onBack }: { detail: ContentDetail | null; onBack: () => void }) {
+  if (!detail) {
+    return (
+      <section className="panel">
+        <button type="button" className="ghost-button" onClick={onBack}>
+          <ArrowLeft size={18} aria-hidden /> Back to content
+        </button>
+        <div className="chart-empty">Loading content detail or the item was not found in this workspace.</div>
+      </section>
+    );
+  }
+  const metadata = detail.item.provider_metadata || {};
+  const historyData = detail.history.map((point) => ({
+    ...point,
+    label: formatDate(point.observed_at, { month: 'short', day: 'numeric' })
+  }));
+  return (
+    <section className="detail-layout" aria-labelledby="content-detail-title">
+      <button type="button" className="ghost-button" onClick={onBack}>
+        <ArrowLeft size={18} aria-hidden /> Back to content
+      </button>
+      <div className="panel detail-hero">
+        <div>
+          <p className="eyebrow">{socialProviderName(detail.item.provider)} content detail</p>
+          <h2 id="content-detail-title">{contentLabel(detail.item)}</h2>
+          <p>{detail.item.description || 'No provider description available.'}</p>
+          <p className="muted">{detail.item.resource_name || 'Selected provider resource'}</p>
+        </div>
+        <div className="thumbnail-fallback">
+          <Video size={32} aria-hidden />
+          <span>{String(metadata.thumbnail_state || 'thumbnail unavailable')}</span>
+        </div>
+      </div>
+      <section className="metric-grid compact">
+        <article className="metric-card">
+          <span>Views</span>
+          <strong>{formatNumber(detail.current_metrics?.view_count)}</strong>
+        </article>
+        <article className="metric-card">
+          <span>Likes</span>
+          <strong>{formatNumber(detail.current_metrics?.like_count)}</strong>
+        </article>
+        <article className="metric-card">
+          <span>Comments</span>
+          <strong>{formatNumber(detail.current_metrics?.comment_count)}</strong>
+        </article>
+        <article className="metric-card">
+          <span>Engagement</span>
+          <strong>{formatPercent(detail.current_metrics?.engagement_rate)}</strong>
+        </article>
+      </section>
+      <section className="panel">
+        <div className="settings-list">
+          <span>Published: {formatDate(detail.item.published_at)}</span>
+          <span>Observed: {formatDate(detail.current_metrics?.observed_at)}</span>
+          <span>Duration: {detail.item.duration_seconds ? `${detail.item.duration_seconds}s` : 'N/A'}</span>
+          <span>
+            Size: {detail.item.width && detail.item.height ? `${detail.item.width}×${detail.item.height}` : 'N/A'}
+          </span>
+          {detail.item.share_url && (
+            <a href={detail.item.share_url} target="_blank" rel="noreferrer">
+              Open provider link
+            </a>
+          )}
+        </div>
+        <p className="muted">
+          Engagement rate = (likes + comments + shares) / views. It is unavailable when views are zero or missing.
+        </p>
+      </section>
+      <section className="panel chart-panel" aria-labelledby="history-title">
+        <div className="panel-title">
+          <h2 id="history-title">Metric history</h2>
+        </div>
+        {historyData.length > 1 ? (
+          <div className="chart-box" role="img" aria-label="Line chart of content views and engagement over time">
+            <ResponsiveContainer width="100%" height={280}>
+              <LineChart data={historyData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" />
+                <YAxis yAxisId="views" tickFormatter={formatCompact} />
+                <YAxis yAxisId="engagement" orientation="right" tickFormatter={(value) => `${value}%`} />
+                <Tooltip formatter={formatTooltipNumber} />
+                <Legend />
+                <Line yAxisId="views" dataKey="view_count" name="Views" stroke="var(--chart-a)" strokeWidth={2.5} />
+                <Line
+                  yAxisId="engagement"
+                  dataKey="engagement_rate"
+                  name="Engagement rate"
+                  stroke="var(--chart-c)"
+                  strokeWidth={2.5}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <div className="chart-empty">A single observation is available for this content item.</div>
+        )}
+      </section>
+    </section>
+  );
+}
+
+function Reports({
+  workspace,
+  configuration,
+  providers,
+  reports,
+  preview,
+  busy,
+  onPreview,
+  onGenerate,
+  onDownload,
+  onDelete,
+  schedules,
+  schedulePreview,
+  onSchedulePreview,
+  onScheduleCreate,
+  onScheduleStateChange,
+  onScheduleDelete,
+  onScheduleHistory,
+  onRecipientAdd,
+  onRecipientRemove,
+  onDeliveries
+}: {
+  workspace: Workspace;
+  configuration: ReportConfiguration | null;
+  providers: ProviderCatalogItem[];
+  reports: ReportRun[];
+  preview: ReportPreview | null;
+  busy: boolean;
+  onPreview: (request: ReportRequest) => Promise<void>;
+  onGenerate: (request: ReportRequest) => Promise<void>;
+  onDownload: (report: ReportRun) => Promise<void>;
+  onDelete: (report: ReportRun) => Promise<void>;
+  schedules: ReportSchedule[];
+  schedulePreview: ReportSchedulePreview | null;
+  onSchedulePreview: (request: ReportScheduleRequest) => Promise<void>;
+  onScheduleCreate: (request: ReportScheduleRequest) => Promise<void>;
+  onScheduleStateChange: (schedule: ReportSchedule, action: 'pause' | 'resume') => Promise<void>;
+  onScheduleDelete: (schedule: ReportSchedule) => Promise<void>;
+  onScheduleHistory: (schedule: ReportSchedule) => Promise<ReportScheduleHistory | null>;
+  onRecipientAdd: (definitionId: string, email: string, deliveryMode: ReportDeliveryMode) => Promise<void>;
+  onRecipientRemove: (definitionId: string, recipient: ReportRecipient) => Promise<void>;
+  onDeliveries: (report: ReportRun) => Promise<ReportDelivery[] | null>;
+}) {
+  const [title, setTitle] = useState('Monthly performance report');
+  const [subtitle, setSubtitle] = useState('Read-only analytics summary');
+  const [reportRange, setReportRange] = useState<RangeKey>('30d');
+  const [from, setFrom] = useState(todayInputValue(-30));
+  const [to, setTo] = useState(todayInputValue(-1));
+  const [timezone, setTimezone] = useState(() => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC');
+  const [comparisonEnabled, setComparisonEnabled] = useState(true);
+  const [sections, setSections] = useState<string[]>([
+    'executive_summary',
+    'cross_platform_summary',
+    'resource_sections',
+    'methodology'
+  ]);
+  const [selectedResourceKeys, setSelectedResourceKeys] = useState<string[]>([]);
+  const [formError, setFormError] = useState('');
+  const [repeat, setRepeat] = useState(false);
+  const [frequency, setFrequency] = useState<ReportScheduleFrequency>('first_business_day');
+  const [weekday, setWeekday] = useState(1);
+  const [dayOfMonth, setDayOfMonth] = useState(1);
+  const [runTime, setRunTime] = useState('08:00');
+  const [relativeRange, setRelativeRange] = useState<ReportRelativeRange>('last_full_month');
+  const [scheduleHistory, setScheduleHistory] = useState<Record<string, ReportScheduleHistory>>({});
+  const [recipientText, setRecipientText] = useState('');
+  const [deliveryMode, setDeliveryMode] = useState<ReportDeliveryMode>('link');
+  const [newRecipients, setNewRecipients] = useState<Record<string, string>>({});
+  const [reportDeliveries, setReportDeliveries] = useState<Record<string, ReportDelivery[]>>({});
+
+  const resources = useMemo(
+    () =>
+      providers.flatMap((provider) => {
+        if (
+          ![
+            'tiktok',
+            'youtube',
+            'facebook_pages',
+            'instagram',
+            'linkedin',
+            'google_analytics_4',
+            'google_search_console',
+            'pinterest',
+            'threads',
+            'bluesky'
+          ].includes(provider.id)
+        )
+          return [];
+        return (provider.connections || [])
+          .filter(
+            (connection) =>
+              Boolean(connection.id) && !['disconnected', 'revoked', 'disabled'].includes(connection.status)
+          )
+          .map((connection) => ({
+            key: `${provider.id}:${connection.id}`,
+            provider: provider.id as OverviewProvider,
+            providerName: provider.name,
+            connectionId: connection.id as string,
+            name:
+              connection.account?.display_name ||
+              connection.account?.username ||
+              connection.account?.id ||
+              provider.resourceName,
+            resourceId: connection.account?.id || '',
+            status: connection.status,
+            dataThrough: connection.data_through_at || null
+          }));
+      }),
+    [providers]
+  );
+
+  if (!workspaceCan(workspace, 'manageReports')) {
+    return (
+      <section className="empty-band" aria-labelledby="reports-permission-title">
+        <Lock size={24} aria-hidden />
+        <div>
+          <h2 id="reports-permission-title">Reports require Analyst access</h2>
+          <p className="muted">
+            Ask a workspace owner or admin to change your role before creating or downloading reports.
+          </p>
+        </div>
+      </section>
+    );
+  }
+
+  if (!configuration) {
+    return <StateBanner state="loading" />;
+  }
+
+  if (!configuration.enabled || !configuration.ready) {
+    return (
+      <section className="empty-band" aria-labelledby="reports-configuration-title">
+        <AlertCircle size={24} aria-hidden />
+        <div>
+          <h2 id="reports-configuration-title">PDF reports are unavailable</h2>
+          <p className="muted">Report generation and private storage are not available for this environment.</p>
+        </div>
+      </section>
+    );
+  }
+  const activeReportConfiguration = configuration;
+
+  const selectedResources = resources.filter((resource) => selectedResourceKeys.includes(resource.key));
+  const sectionLabels: Record<string, string> = {
+    executive_summary: 'Executive summary',
+    cross_platform_summary: 'Cross-platform summary',
+    resource_sections: 'Provider and resource detail',
+    methodology: 'Methodology and data notes'
+  };
+
+  function requestFromForm(): ReportRequest | null {
+    setFormError('');
+    if (!title.trim()) {
+      setFormError('Enter a report title.');
+      return null;
+    }
+    if (selectedResources.length < 1) {
+      setFormError('Select at least one connected resource.');
+      return null;
+    }
+    if (selectedResources.length > activeReportConfiguration.max_resources) {
+      setFormError(`Select no more than ${activeReportConfiguration.max_resources} resources.`);
+      return null;
+    }
+    if (!repeat && reportRange === 'custom' && (!from || !to || new Date(from) > new Date(to))) {
+      setFormError('Choose a valid custom date range.');
+      return null;
+    }
+    const recipientEmails = parseRecipientEmails(recipientText);
+    if (recipientEmails.length > activeReportConfiguration.max_recipients) {
+      setFormError(`Email no more than ${activeReportConfiguration.max_recipients} recipients.`);
+      return null;
+    }
+    if (recipientEmails.some((email) => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))) {
+      setFormError('Enter valid recipient email addresses.');
+      return null;
+    }
+    return {
+      title: title.trim(),
+      subtitle: subtitle.trim(),
+      timezone,
+      range: reportRange,
+      ...(reportRange === 'custom' ? { from, to } : {}),
+      comparison_enabled: comparisonEnabled,
+      sections,
+      resources: selectedResources.map((resource) => ({
+        provider: resource.provider,
+        connection_id: resource.connectionId
+      })),
+      recipients: recipientEmails.map((email) => ({ email, delivery_mode: deliveryMode }))
+    };
+  }
+
+  async function previewReport() {
+    const request = requestFromForm();
+    if (request) await onPreview(request);
+  }
+
+  async function generateReport() {
+    const request = requestFromForm();
+    if (request) await onGenerate(request);
+  }
+
+  function scheduleRequestFromForm(): ReportScheduleRequest | null {
+    const request = requestFromForm();
+    if (!request) return null;
+    if (!/^\d{2}:\d{2}$/.test(runTime)) {
+      setFormError('Choose a time for scheduled runs.');
+      return null;
+    }
+    return {
+      title: request.title,
+      subtitle: request.subtitle,
+      timezone: request.timezone,
+      comparison_enabled: request.comparison_enabled,
+      sections: request.sections,
+      resources: request.resources,
+      recipients: request.recipients,
+      schedule: {
+        frequency,
+        weekday: frequency === 'weekly' ? weekday : null,
+        day_of_month: frequency === 'monthly' ? dayOfMonth : null,
+        run_time: runTime,
+        relative_range: relativeRange
+      }
+    };
+  }
+
+  async function previewSchedule() {
+    const request = scheduleRequestFromForm();
+    if (request) await onSchedulePreview(request);
+  }
+
+  async function saveSchedule() {
+    const request = scheduleRequestFromForm();
+    if (request) await onScheduleCreate(request);
+  }
+
+  async function toggleScheduleHistory(schedule: ReportSchedule) {
+    if (scheduleHistory[schedule.id]) {
+      setScheduleHistory((current) => {
+        const next = { ...current };
+        delete next[schedule.id];
+        return next;
+      });
+      return;
+    }
+    const history = await onScheduleHistory(schedule);
+    if (history) setScheduleHistory((current) => ({ ...current, [schedule.id]: history }));
+  }
+
+  async function addScheduleRecipient(schedule: ReportSchedule) {
+    const email = (newRecipients[schedule.id] || '').trim().toLowerCase();
+    if (!email) return;
+    await onRecipientAdd(schedule.definition_id, email, deliveryMode);
+    setNewRecipients((current) => ({ ...current, [schedule.id]: '' }));
+  }
+
+  async function toggleReportDeliveries(report: ReportRun) {
+    if (reportDeliveries[report.id]) {
+      setReportDeliveries((current) => {
+        const next = { ...current };
+        delete next[report.id];
+        return next;
+      });
+      return;
+    }
+    const deliveries = await onDeliveries(report);
+    if (deliveries) setReportDeliveries((current) => ({ ...current, [report.id]: deliveries }));
+  }
+
+  return (
+    <div className="reports-layout">
+      <section className="panel report-builder" aria-labelledby="report-builder-title">
+        <div className="panel-title between">
+          <div>
+            <p className="eyebrow">Stored-data export</p>
+            <h2 id="report-builder-title">Create PDF report</h2>
+            <p>Choose explicit connected resources. Generation runs securely in the background.</p>
+          </div>
+          <span className="status-badge ready">7-day retention</span>
+        </div>
+
+        <div className="report-form-grid">
+          <label>
+            Report title
+            <input maxLength={180} value={title} onChange={(event) => setTitle(event.target.value)} />
+          </label>
+          <label>
+            Report timezone
+            <input maxLength={64} value={timezone} onChange={(event) => setTimezone(event.target.value)} />
+          </label>
+          <label className="report-subtitle-field">
+            Subtitle
+            <textarea maxLength={300} rows={3} value={subtitle} onChange={(event) => setSubtitle(event.target.value)} />
+          </label>
+        </div>
+
+        <fieldset className="report-fieldset">
+          <legend>Delivery</legend>
+          <div className="segmented" aria-label="Report delivery">
+            <button type="button" className={repeat ? '' : 'active'} onClick={() => setRepeat(false)}>
+              Run once
+            </button>
+            <button type="button" className={repeat ? 'active' : ''} onClick={() => setRepeat(true)}>
+              Repeat on a schedule
+            </button>
+          </div>
+          {repeat && (
+            <div className="report-form-grid">
+              <label>
+                Frequency
+                <select
+                  value={frequency}
+                  onChange={(event) => setFrequency(event.target.value as ReportScheduleFrequency)}
+                >
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                  <option value="first_business_day">First business day of the month</option>
+                </select>
+              </label>
+              {frequency === 'weekly' && (
+                <label>
+                  Weekday
+                  <select value={weekday} onChange={(event) => setWeekday(Number(event.target.value))}>
+                    {reportWeekdayLabels.map((label, index) => (
+                      <option key={label} value={index + 1}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              {frequency === 'monthly' && (
+                <label>
+                  Day of month
+                  <input
+                    type="number"
+                    min={1}
+                    max={28}
+                    value={dayOfMonth}
+                    onChange={(event) => setDayOfMonth(Number(event.target.value))}
+                  />
+                </label>
+              )}
+              <label>
+                Run time ({timezone})
+                <input type="time" value={runTime} onChange={(event) => setRunTime(event.target.value)} />
+              </label>
+              <label>
+                Report period
+                <select
+                  value={relativeRange}
+                  onChange={(event) => setRelativeRange(event.target.value as ReportRelativeRange)}
+                >
+                  {Object.entries(reportRelativeRangeLabels).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          )}
+        </fieldset>
+
+        <fieldset className="report-fieldset">
+          <legend>Email recipients</legend>
+          <div className="report-form-grid">
+            <label className="report-subtitle-field">
+              Addresses, one per line
+              <textarea
+                rows={3}
+                value={recipientText}
+                placeholder="client@example.com"
+                onChange={(event) => setRecipientText(event.target.value)}
+              />
+            </label>
+            <label>
+              Send as
+              <select
+                value={deliveryMode}
+                onChange={(event) => setDeliveryMode(event.target.value as ReportDeliveryMode)}
+              >
+                <option value="link">One-time download link</option>
+                <option value="attachment">
+                  PDF attachment (up to {Math.round(activeReportConfiguration.email_attachment_max_bytes / 1048576)} MB)
+                </option>
+              </select>
+            </label>
+          </div>
+          <p className="muted">
+            Recipients are emailed when each report finishes. Links work once and expire after{' '}
+            {activeReportConfiguration.email_link_ttl_hours} hours. Addresses outside the workspace can unsubscribe.
+          </p>
+        </fieldset>
+
+        <fieldset className="report-fieldset">
+          <legend>{repeat ? 'Comparison' : 'Date range'}</legend>
+          {!repeat && (
+            <div className="segmented" aria-label="Report date range">
+              {(['7d', '30d', '90d', 'custom'] as RangeKey[]).map((value) => (
+                <button
+                  key={value}
+                  type="button"
+                  className={reportRange === value ? 'active' : ''}
+                  onClick={() => setReportRange(value)}
+                >
+                  {value === 'custom' ? 'Custom' : value.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          )}
+          {!repeat && reportRange === 'custom' && (
+            <div className="date-pair">
+              <label>
+                From
+                <input type="date" value={from} onChange={(event) => setFrom(event.target.value)} />
+              </label>
+              <label>
+                To
+                <input type="date" value={to} onChange={(event) => setTo(event.target.value)} />
+              </label>
+            </div>
+          )}
+          <label className="toggle">
+            <input
+              type="checkbox"
+              checked={comparisonEnabled}
+              onChange={(event) => setComparisonEnabled(event.target.checked)}
+            />
+            Compare with the previous period where a stored baseline exists
+          </label>
+        </fieldset>
+
+        <fieldset className="report-fieldset">
+          <legend>Resources</legend>
+          {resources.length === 0 ? (
+            <p className="muted">Connect and select at least one provider resource before creating a report.</p>
+          ) : (
+            <div className="report-resource-list">
+              {resources.map((resource) => (
+                <label className="report-resource-option" key={resource.key}>
+                  <input
+                    type="checkbox"
+                    aria-label={`Include ${resource.name} from ${resource.providerName}`}
+                    checked={selectedResourceKeys.includes(resource.key)}
+                    onChange={(event) =>
+                      setSelectedResourceKeys((current) =>
+                        event.target.checked
+                          ? [...current, resource.key]
+                          : current.filter((key) => key !== resource.key)
+                      )
+                    }
+                  />
+                  <span>
+                    <strong>{resource.name}</strong>
+                    <small>
+                      {resource.providerName} · {resource.status.replace(/_/g, ' ')}
+                      {resource.dataThrough
+                        ? ` · data through ${formatDate(resource.dataThrough, { dateStyle: 'medium' })}`
+                        : ''}
+                    </small>
+                  </span>
+                </label>
+              ))}
+            </div>
+          )}
+        </fieldset>
+
+        <fieldset className="report-fieldset">
+          <legend>Sections</legend>
+          <div className="report-section-list">
+            {Object.entries(sectionLabels).map(([key, label]) => (
+              <label className="toggle" key={key}>
+                <input
+                  type="checkbox"
+                  checked={sections.includes(key)}
+                  disabled={key === 'resource_sections'}
+                  onChange={(event) =>
+                    setSections((current) =>
+                      event.target.checked ? [...current, key] : current.filter((section) => section !== key)
+                    )
+                  }
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        {formError && (
+          <p className="form-error" role="alert">
+            {formError}
+          </p>
+        )}
+        {repeat ? (
+          <div className="button-row start">
+            <button
+              type="button"
+              className="ghost-button"
+              disabled={busy || resources.length === 0}
+              onClick={previewSchedule}
+            >
+              <CalendarDays size={18} aria-hidden />
+              Preview upcoming runs
+            </button>
+            <button type="button" disabled={busy || resources.length === 0} onClick={saveSchedule}>
+              {busy ? <Loader2 className="spin" size={18} aria-hidden /> : <FileText size={18} aria-hidden />}
+              Save schedule
+            </button>
+          </div>
+        ) : (
+          <div className="button-row start">
+            <button
+              type="button"
+              className="ghost-button"
+              disabled={busy || resources.length === 0}
+              onClick={previewReport}
+            >
+              <Search size={18} aria-hidden />
+              Preview outline
+            </button>
+            <button type="button" disabled={busy || resources.length === 0} onClick={generateReport}>
+              {busy ? <Loader2 className="spin" size={18} aria-hidden /> : <FileText size={18} aria-hidden />}
+              Generate PDF
+            </button>
+          </div>
+        )}
+      </section>
+
+      {repeat && schedulePreview && (
+        <section className="panel report-preview" aria-labelledby="report-schedule-preview-title">
+          <div className="panel-title">
+            <div>
+              <p className="eyebrow">Schedule preview</p>
+              <h2 id="report-schedule-preview-title">Next {schedulePreview.upcoming_runs.length} runs</h2>
+              <p>Times are shown in your browser timezone. Periods use {schedulePreview.timezone}.</p>
+            </div>
+          </div>
+          <ul>
+            {schedulePreview.upcoming_runs.map((run) => (
+              <li key={run.run_at}>
+                {formatDate(run.run_at)} · covers {run.range.from} to {run.range.to}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {preview && (
+        <section className="panel report-preview" aria-labelledby="report-preview-title">
+          <div className="panel-title between">
+            <div>
+              <p className="eyebrow">Preview</p>
+              <h2 id="report-preview-title">{preview.title}</h2>
+              <p>
+                {preview.range.from} to {preview.range.to} · {preview.timezone}
+              </p>
+            </div>
+            <span className="status-badge ready">About {preview.estimated_page_count} pages</span>
+          </div>
+          <div className="report-preview-grid">
+            <div>
+              <h3>Sections</h3>
+              <ul>
+                {preview.sections
+                  .filter((section) => section.included)
+                  .map((section) => (
+                    <li key={section.key}>{sectionLabels[section.key] || section.key}</li>
+                  ))}
+              </ul>
+            </div>
+            <div>
+              <h3>Selected resources</h3>
+              <ul>
+                {preview.resources.map((resource) => (
+                  <li key={`${resource.provider}:${resource.connection_id}`}>
+                    {resource.provider_name} · {resource.resource_name} · {resource.available_metric_count} available
+                    metrics
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+          <p className="muted">
+            The final artifact uses the immutable stored snapshot captured when generation is queued.
+          </p>
+        </section>
+      )}
+
+      <section className="panel" aria-labelledby="report-schedules-title">
+        <div className="panel-title">
+          <div>
+            <p className="eyebrow">Recurring delivery</p>
+            <h2 id="report-schedules-title">Scheduled reports</h2>
+            <p>Each run is queued by the report worker and appears in the history below.</p>
+          </div>
+        </div>
+        {schedules.length === 0 ? (
+          <div className="empty-band">
+            <CalendarDays size={22} aria-hidden />
+            <p>No recurring reports are scheduled for this workspace.</p>
+          </div>
+        ) : (
+          <div className="report-history-list">
+            {schedules.map((schedule) => (
+              <article className="report-history-item" key={schedule.id}>
+                <div className="report-history-heading">
+                  <div>
+                    <h3>{schedule.title}</h3>
+                    <p className="muted">
+                      {describeReportSchedule(schedule.schedule)} · {schedule.timezone} · {schedule.resources.length}{' '}
+                      resource{schedule.resources.length === 1 ? '' : 's'}
+                    </p>
+                  </div>
+                  <span className={`status-badge ${schedule.status === 'active' ? 'ready' : 'pending'}`}>
+                    {schedule.status}
+                  </span>
+                </div>
+                <div className="report-history-meta">
+                  {schedule.status === 'active' ? (
+                    <span>Next run {formatDate(schedule.next_run_at)}</span>
+                  ) : (
+                    <span>{reportSchedulePauseMessage(schedule.pause_reason)}</span>
+                  )}
+                  {schedule.last_queued_at && <span>Last queued {formatDate(schedule.last_queued_at)}</span>}
+                </div>
+                <ul className="muted" aria-label={`Recipients of ${schedule.title}`}>
+                  {schedule.recipients.map((recipient) => (
+                    <li key={recipient.id}>
+                      {recipient.email} · {reportRecipientStatusLabel(recipient)}{' '}
+                      <button
+                        type="button"
+                        className="ghost-button"
+                        disabled={busy}
+                        onClick={() => void onRecipientRemove(schedule.definition_id, recipient)}
+                      >
+                        Remove
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+                <div className="button-row start">
+                  <input
+                    type="email"
+                    aria-label={`Add a recipient to ${schedule.title}`}
+                    placeholder="Add recipient email"
+                    value={newRecipients[schedule.id] || ''}
+                    onChange={(event) =>
+                      setNewRecipients((current) => ({ ...current, [schedule.id]: event.target.value }))
+                    }
+                  />
+                  <button
+                    type="button"
+                    className="ghost-button"
+                    disabled={busy || schedule.recipients.length >= activeReportConfiguration.max_recipients}
+                    onClick={() => void addScheduleRecipient(schedule)}
+                  >
+                    Add recipient
+                  </button>
+                </div>
+                <div className="button-row start">
+                  <button
+                    type="button"
+                    className="ghost-button"
+                    disabled={busy}
+                    onClick={() =>
+                      void onScheduleStateChange(schedule, schedule.status === 'active' ? 'pause' : 'resume')
+                    }
+                  >
+                    {schedule.status === 'active' ? 'Pause' : 'Resume'}
+                  </button>
+                  <button
+                    type="button"
+                    className="ghost-button"
+                    disabled={busy}
+                    onClick={() => void toggleScheduleHistory(schedule)}
+                  >
+                    <Activity size={17} aria-hidden />
+                    {scheduleHistory[schedule.id] ? 'Hide activity' : 'Activity'}
+                  </button>
+                  <button
+                    type="button"
+                    className="danger"
+                    disabled={busy}
+                    onClick={() => void onScheduleDelete(schedule)}
+                  >
+                    <Trash2 size={17} aria-hidden />
+                    Delete
+                  </button>
+                </div>
+                {scheduleHistory[schedule.id] && (
+                  <ul className="muted">
+                    {scheduleHistory[schedule.id].events.map((event) => (
+                      <li key={event.id}>
+                        {formatDate(event.created_at)} ·{' '}
+                        {event.action.replace(/^report\.schedule_/, '').replace(/_/g, ' ')}
+                        {typeof event.metadata.failure_code === 'string' ? ` · ${event.metadata.failure_code}` : ''}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </article>
+            ))}
+          </div>
+        )}
+      </section>
+
+      <section className="panel" aria-labelledby="report-history-title">
+        <div className="panel-title between">
+          <div>
+            <p className="eyebrow">Report history</p>
+            <h2 id="report-history-title">Generated reports</h2>
+            <p>Queued and running reports refresh automatically.</p>
+          </div>
+          {reports.some((report) => report.status === 'queued' || report.status === 'running') && (
+            <span className="status-badge pending">
+              <Loader2 className="spin" size={14} aria-hidden /> Preparing
+            </span>
+          )}
+        </div>
+        {reports.length === 0 ? (
+          <div className="empty-band">
+            <FileText size={22} aria-hidden />
+            <p>No reports have been generated for this workspace.</p>
+          </div>
+        ) : (
+          <div className="report-history-list">
+            {reports.map((report) => (
+              <article className="report-history-item" key={report.id}>
+                <div className="report-history-heading">
+                  <div>
+                    <h3>{report.title}</h3>
+                    <p className="muted">
+                      {report.range.from} to {report.range.to} · {report.resources.length} resource
+                      {report.resources.length === 1 ? '' : 's'} · {report.schedule_id ? 'scheduled' : 'queued'}{' '}
+                      {formatDate(report.scheduled_for || report.queued_at)}
+                    </p>
+                  </div>
+                  <span
+                    className={`status-badge ${report.status === 'completed' ? 'ready' : report.status === 'running' ? 'connecting' : report.status === 'queued' ? 'pending' : report.status}`}
+                  >
+                    {report.status === 'running' ? `${report.progress_percent}% running` : report.status}
+                  </span>
+                </div>
+                <div className="report-history-meta">
+                  {report.artifact ? (
+                    <span>
+                      {report.artifact.page_count} pages · {(report.artifact.byte_size / 1024).toFixed(1)} KB
+                    </span>
+                  ) : report.failure_code ? (
+                    <span>{reportFailureMessage(report)}</span>
+                  ) : (
+                    <span>The report is still being prepared.</span>
+                  )}
+                  {report.expires_at && report.status === 'completed' && (
+                    <span>Expires {formatDate(report.expires_at)}</span>
+                  )}
+                  {reportDeliverySummary(report) && <span>{reportDeliverySummary(report)}</span>}
+                </div>
+                <div className="button-row start">
+                  <button
+                    type="button"
+                    disabled={busy || report.status !== 'completed' || !report.artifact}
+                    onClick={() => void onDownload(report)}
+                  >
+                    <Download size={17} aria-hidden />
+                    Download
+                  </button>
+                  {report.deliveries.total > 0 && (
+                    <button
+                      type="button"
+                      className="ghost-button"
+                      disabled={busy}
+                      onClick={() => void toggleReportDeliveries(report)}
+                    >
+                      {reportDeliveries[report.id] ? 'Hide deliveries' : 'Deliveries'}
+                    </button>
+                  )}
+                  <button type="button" className="danger" disabled={busy} onClick={() => void onDelete(report)}>
+                    <Trash2 size={17} aria-hidden />
+                    Delete
+                  </button>
+                </div>
+                {reportDeliveries[report.id] && (
+                  <ul className="muted">
+                    {reportDeliveries[report.id].map((delivery) => (
+                      <li key={delivery.id}>
+                        {delivery.email} · {delivery.status}
+                        {delivery.status === 'sent'
+                          ? ` ${formatDate(delivery.sent_at)} by ${delivery.delivery_method}`
+                          : ''}
+                        {delivery.link_consumed_at ? ' · link opened' : ''}
+                        {delivery.failure_code ? ` · ${delivery.failure_code}` : ''}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </article>
+            ))}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
+
+function BlueskyConnectForm({
+  label,
+  disabled,
+  onSubmit
+}: {
+  label: string;
+  disabled: boolean;
+  onSubmit: (identifier: string, appPassword: string) => Promise<boolean>;
+}) {
+  const [identifier, setIdentifier] = useState('');
+  const [appPassword, setAppPassword] = useState('');
+
+  async function submit(event: React.FormEvent) {
+    event.preventDefault();
+    if (await onSubmit(identifier.trim(), appPassword.trim())) {
+      setIdentifier('');
+    }
+    setAppPassword('');
+  }
+
+  return (
+    <form className="inline-form" onSubmit={submit}>
+      <label>
+        Handle
+        <input
+          value={identifier}
+          onChange={(event) => setIdentifier(event.target.value)}
+          placeholder="name.bsky.social"
+          autoComplete="off"
+          spellCheck={false}
+          required
+          disabled={disabled}
+        />
+      </label>
+      <label>
+        App password
+        <input
+          value={appPassword}
+          onChange={(event) => setAppPassword(event.target.value)}
+          type="password"
+          autoComplete="off"
+          placeholder="xxxx-xxxx-xxxx-xxxx"
+          required
+          disabled={disabled}
+        />
+      </label>
+      <button type="submit" disabled={disabled}>
+        <Link2 size={18} aria-hidden /> {label}
+      </button>
+      <small className="muted">
+        Create an app password in{' '}
+        <a href="https://bsky.app/settings/app-passwords" target="_blank" rel="noreferrer">
+          Bluesky settings
+        </a>
+        . Your account password is never accepted or stored.
       </small>
-    </article>
+    </form>
   );
 }
 
-function MetricCard({ metric, compare }: { metric: DashboardMetric; compare: boolean }) {
-  const direction =
-    metric.delta === null ? 'unavailable' : metric.delta > 0 ? 'positive' : metric.delta < 0 ? 'negative' : 'neutral';
-  return (
-    <article className={`metric-card ${direction}`}>
-      <span>{metric.label}</span>
-      <strong>{formatNumber(metric.value)}</strong>
-      {compare ? (
-        <small>
-          {metric.delta === null ? (
-            <span title="No comparable earlier data is available.">Comparison unavailable</span>
-          ) : (
-            `${metric.delta >= 0 ? '+' : ''}${formatNumber(metric.delta)} ${metric.percent_change === null ? '(percent N/A)' : `(${metric.percent_change.toFixed(1)}%)`}`
-          )}
-        </small>
-      ) : (
-        <small>Comparison hidden</small>
-      )}
-    </article>
-  );
-}
+function Connections({
+  workspace,
+  dashboard,
+  providers,
+  busy,
+  disconnectTarget,
+  onTikTokConnect,
+  onYouTubeConnect,
+  onYouTubeSelect,
+  onYouTubeSync,
+  onGoogleAnalyticsConnect,
+  onGoogleAnalyticsSelect,
+  onGoogleAnalyticsSync,
+  onLinkedInConnect,
+  onLinkedInSelect,
+  onLinkedInSync,
+  onSearchConsoleConnect,
+  onSearchConsoleSelect,
+  onSearchConsoleSync,
+  onPinterestConnect,
+  onPinterestSelect,
+  onPinterestSync,
+  onThreadsConnect,
+  onThreadsSelect,
+  onThreadsSync,
+  onBlueskyConnect,
+  onBlueskySync,
+  onMetaConnect,
+  onMetaSelect,
+  onMetaSync,
+  onDisconnectRequest,
+  onDisconnectCancel,
+  onDisconnectConfirm
+}: {
+  workspace: Workspace;
+  dashboard: DashboardData | null;
+  providers: ProviderCatalogItem[];
+  busy: boolean;
+  disconnectTarget: DisconnectTarget | null;
+  onTikTokConnect: () => void;
+  onYouTubeConnect: (connectionId?: string) => void;
+  onYouTubeSelect: (resourceId: string) => void;
+  onYouTubeSync: (connectionId?: string) => void;
+  onGoogleAnalyticsConnect: (connectionId?: string) => void;
+  onGoogleAnalyticsSelect: (resourceId: string) => void;
+  onGoogleAnalyticsSync: (connectionId?: string) => void;
+  onLinkedInConnect: (connectionId?: string) => void;
+  onLinkedInSelect: (resourceId: string) => void;
+  onLinkedInSync: (connectionId?: string) => void;
+  onSearchConsoleConnect: (connectionId?: string) => void;
+  onSearchConsoleSelect: (resourceId: string) => void;
+  onSearchConsoleSync: (connectionId?: string) => void;
+  onPinterestConnect: (connectionId?: string) => void;
+  onPinterestSelect: (resourceId: string) => void;
+  onPinterestSync: (connectionId?: string) => void;
+  onThreadsConnect: (connectionId?: string) => void;
+  onThreadsSelect: (resourceId: string) => void;
+  onThreadsSync: (connectionId?: string) => void;
+  onBlueskyConnect: (identifier: string, appPassword: string, connectionId?: string) => Promise<boolean>;
+  onBlueskySync: (connectionId?: string) => void;
+  onMetaConnect: (provider: 'facebook' | 'instagram', connectionId?: string) => void;
+  onMetaSelect: (provider: 'facebook' | 'instagram', resourceId: string) => void;
+  onMetaSync: (provider: 'facebook_pages' | 'instagram', connectionId?: string) => void;
+  onDisconnectRequest: (target: DisconnectTarget) => void;
+  onDisconnectCancel: () => void;
+  onDisconnectConfirm: () => void;
+}) {
+  const allowed = workspaceCan(workspace, 'manageConnection');
+  const latestError = dashboard?.latest_sync?.error_category;
+  const catalog = providers.length > 0 ? providers : [];
+  const orderedCatalog = [...catalog].sort((left, right) => {
+    if (left.id === 'facebook_pages' && right.id === 'instagram') return -1;
+    if (left.id === 'instagram' && right.id === 'facebook_pages') return 1;
+    return 0;
+  });
+  return (
+    <section className="panel" aria-labelledby="connection-title">
+      <div className="panel-title">
+        <div>
+          <h2 id="connection-title">Connections</h2>
+          <p>Choose the accounts and properties whose analytics should appear in this workspace.</p>
+        </div>
+      </div>
+      <div className="provider-list">
+        {orderedCatalog.map((provider) => {
+          const providerStatus = provider.connection?.status || provider.status;
+          const isTikTok = provider.id === 'tiktok';
+          const isYouTube = provider.id === 'youtube';
+          const isFacebook = provider.id === 'facebook_pages';
+          const isInstagram = provider.id === 'instagram';
+          const isMeta = isFacebook || isInstagram;
+          const isGoogleAnalytics = provider.id === 'google_analytics_4';
+          const isLinkedIn = provider.id === 'linkedin';
+          const isSearchConsole = provider.id === 'google_search_console';
+          const isPinterest = provider.id === 'pinterest';
+          const isThreads = provider.id === 'threads';
+          const isBluesky = provider.id === 'bluesky';
+          const metaPath = isFacebook ? 'facebook' : 'instagram';
+          const providerAllowed = workspaceCan(workspace, 'manageConnection', provider.id);
+          const canConnect = providerAllowed && provider.connectable;
+          const canDisconnect =
+            providerAllowed && (isTikTok || isMeta) && provider.connection?.status !== 'disconnected';
+          const youtubeConnections = provider.connections || [];
+          const metaConnections = isMeta ? provider.connections || [] : [];
+          const googleAnalyticsConnections = isGoogleAnalytics ? provider.connections || [] : [];
+          const linkedInConnections = isLinkedIn ? provider.connections || [] : [];
+          const searchConsoleConnections = isSearchConsole ? provider.connections || [] : [];
+          const pinterestConnections = isPinterest ? provider.connections || [] : [];
+          const threadsConnections = isThreads ? provider.connections || [] : [];
+          const blueskyConnections = isBluesky ? provider.connections || [] : [];
+          const unselectedResources = (provider.resources || []).filter((resource) => !resource.selected);
+          const grantedScopes = (provider.authorization?.scopes || [])
+            .filter((scope) => scope.status === 'granted')
+            .map((scope) => scope.scope);
+          const canStartYouTube =
+            isYouTube && canConnect && (!provider.authorization || (provider.resources || []).length === 0);
+          const canStartGoogleAnalytics =
+            isGoogleAnalytics && canConnect && (!provider.authorization || (provider.resources || []).length === 0);
+          const canStartLinkedIn =
+            isLinkedIn && canConnect && (!provider.authorization || (provider.resources || []).length === 0);
+          const canStartSearchConsole =
+            isSearchConsole && canConnect && (!provider.authorization || (provider.resources || []).length === 0);
+          const canStartPinterest =
+            isPinterest && canConnect && (!provider.authorization || (provider.resources || []).length === 0);
+          const canStartThreads =
+            isThreads && canConnect && (!provider.authorization || (provider.resources || []).length === 0);
+          const canStartBluesky =
+            isBluesky && canConnect && (!provider.authorization || (provider.resources || []).length === 0);
+          const canStartMeta = isMeta && canConnect && provider.status !== 'authorizing';
+          return (
+            <article key={provider.id} className="provider-row">
+              <div className="provider-main">
+                <div className="provider-heading">
+                  <strong>{provider.name}</strong>
+                  <StatusBadge status={providerStatus} />
+                </div>
+                <p className="muted">{provider.resourceName}</p>
+                {provider.connection?.account && (
+                  <p className="muted">
+                    Connected resource:{' '}
+                    {provider.connection.account.display_name ||
+                      provider.connection.account.username ||
+                      provider.connection.account.id}
+                  </p>
+                )}
+                {provider.connection?.reconnect_reason && !isYouTube && (
+                  <p className="notice error">This connection needs attention before syncing can continue.</p>
+                )}
+                {!provider.implemented && <p className="muted">This analytics source is not available yet.</p>}
+                {(isYouTube ||
+                  isMeta ||
+                  isGoogleAnalytics ||
+                  isLinkedIn ||
+                  isSearchConsole ||
+                  isPinterest ||
+                  isThreads ||
+                  isBluesky) &&
+                  provider.configuration?.warnings.map((warning) => (
+                    <p key={warning} className="notice error">
+                      This connection is temporarily unavailable because its setup is incomplete. Contact support if you
+                      need access.
+                    </p>
+                  ))}
+                {isYouTube && provider.status === 'no_channels' && (
+                  <p className="notice">Google returned no channels accessible to this authorization.</p>
+                )}
+                {isYouTube && provider.status === 'authorization_denied' && (
+                  <p className="notice">Authorization was cancelled. No YouTube data was accessed.</p>
+                )}
+                {isYouTube && provider.status === 'missing_scopes' && (
+                  <p className="notice error">
+                    Not all required YouTube analytics access was approved. Authorize again and review each requested
+                    item.
+                  </p>
+                )}
+                {isYouTube && provider.status === 'provider_error' && (
+                  <p className="notice error">The latest authorization attempt failed at Google or YouTube.</p>
+                )}
+                {isGoogleAnalytics && provider.status === 'no_properties' && (
+                  <p className="notice">Google returned no GA4 properties with usable timezone and currency details.</p>
+                )}
+                {isGoogleAnalytics && provider.status === 'authorization_denied' && (
+                  <p className="notice">Authorization was cancelled. No Google Analytics data was accessed.</p>
+                )}
+                {isGoogleAnalytics && provider.status === 'missing_scopes' && (
+                  <p className="notice error">
+                    Google did not grant the exact analytics.readonly permission. Authorize again to continue.
+                  </p>
+                )}
+                {isGoogleAnalytics && provider.status === 'provider_error' && (
+                  <p className="notice error">The latest Google Analytics authorization attempt failed.</p>
+                )}
+                {isLinkedIn && provider.status === 'no_organizations' && (
+                  <p className="notice">LinkedIn returned no Pages that this member administers.</p>
+                )}
+                {isLinkedIn && provider.status === 'authorization_denied' && (
+                  <p className="notice">Authorization was cancelled. No LinkedIn data was accessed.</p>
+                )}
+                {isLinkedIn && provider.status === 'missing_scopes' && (
+                  <p className="notice error">
+                    LinkedIn did not grant both read-only Page permissions. Authorize again to continue.
+                  </p>
+                )}
+                {isLinkedIn && provider.status === 'provider_error' && (
+                  <p className="notice error">The latest LinkedIn authorization attempt failed.</p>
+                )}
+                {isSearchConsole && provider.status === 'no_sites' && (
+                  <p className="notice">Google returned no verified Search Console sites for this account.</p>
+                )}
+                {isSearchConsole && provider.status === 'authorization_denied' && (
+                  <p className="notice">Authorization was cancelled. No Search Console data was accessed.</p>
+                )}
+                {isSearchConsole && provider.status === 'missing_scopes' && (
+                  <p className="notice error">
+                    Google did not grant read-only Search Console access. Authorize again to continue.
+                  </p>
+                )}
+                {isSearchConsole && provider.status === 'provider_error' && (
+                  <p className="notice error">The latest Search Console authorization attempt failed.</p>
+                )}
+                {isPinterest && provider.status === 'business_account_required' && (
+                  <p className="notice">
+                    Pinterest returned a personal account. Convert it to a business account to connect.
+                  </p>
+                )}
+                {isPinterest && provider.status === 'authorization_denied' && (
+                  <p className="notice">Authorization was cancelled. No Pinterest data was accessed.</p>
+                )}
+                {isPinterest && provider.status === 'missing_scopes' && (
+                  <p className="notice error">
+                    Pinterest did not grant every read-only account, board, and pin permission. Authorize again to
+                    continue.
+                  </p>
+                )}
+                {isPinterest && provider.status === 'provider_error' && (
+                  <p className="notice error">The latest Pinterest authorization attempt failed.</p>
+                )}
+                {isThreads && provider.status === 'authorization_denied' && (
+                  <p className="notice">Authorization was cancelled. No Threads data was accessed.</p>
+                )}
+                {isThreads && provider.status === 'missing_scopes' && (
+                  <p className="notice error">
+                    Threads did not grant both read-only profile and insights permissions. Authorize again to continue.
+                  </p>
+                )}
+                {isThreads && provider.status === 'provider_error' && (
+                  <p className="notice error">The latest Threads authorization attempt failed.</p>
+                )}
+                {isBluesky && provider.status === 'authorization_denied' && (
+                  <p className="notice error">
+                    Bluesky rejected the handle or app password. No Bluesky data was accessed.
+                  </p>
+                )}
+                {isBluesky && provider.status === 'missing_scopes' && (
+                  <p className="notice error">
+                    Bluesky accepted the sign-in but not as an app password. Create an app password and connect again.
+                  </p>
+                )}
+                {isBluesky && provider.status === 'provider_error' && (
+                  <p className="notice error">The latest Bluesky connection attempt failed.</p>
+                )}
+                {isMeta && provider.status === 'no_resources' && (
+                  <p className="notice">No eligible Pages or professional accounts were available to select.</p>
+                )}
+                {isMeta && provider.status === 'authorization_denied' && (
+                  <p className="notice">Authorization was cancelled. No Meta data was accessed.</p>
+                )}
+                {isMeta && provider.status === 'missing_scopes' && (
+                  <p className="notice error">
+                    Not all required analytics access was approved. Authorize again and review each requested item.
+                  </p>
+                )}
+                {isMeta && provider.status === 'provider_error' && (
+                  <p className="notice error">
+                    The latest Meta authorization attempt failed without creating a connection.
+                  </p>
+                )}
+                {isTikTok && latestError === 'scope' && (
+                  <p className="notice error">TikTok needs additional analytics access before syncing can continue.</p>
+                )}
+                <div className="scope-list" aria-label={`${provider.name} analytics access`}>
+                  {providerAccessLabels(provider.id).map((label) => (
+                    <span key={label}>Read: {label}</span>
+                  ))}
+                </div>
+                {(isYouTube ||
+                  isMeta ||
+                  isGoogleAnalytics ||
+                  isLinkedIn ||
+                  isSearchConsole ||
+                  isPinterest ||
+                  isThreads ||
+                  isBluesky) &&
+                  provider.authorization &&
+                  grantedScopes.length === 0 && <p className="muted">Analytics access has not been granted.</p>}
+
+                {isYouTube && unselectedResources.length > 0 && (
+                  <div className="resource-list" aria-label="YouTube channels available to connect">
+                    <h3>Available channels</h3>
+                    {unselectedResources.map((resource) => (
+                      <div key={resource.id} className="resource-row">
+                        <div className="channel-identity compact">
+                          {resource.thumbnail_url ? (
+                            <img src={resource.thumbnail_url} alt="" referrerPolicy="no-referrer" />
+                          ) : (
+                            <span className="channel-placeholder" aria-hidden>
+                              <Youtube size={18} />
+                            </span>
+                          )}
+                          <div>
+                            <strong>{resource.display_name}</strong>
+                            <small>{resource.provider_resource_id}</small>
+                            {Boolean(resource.attached_elsewhere_count) && (
+                              <small>
+                                Also connected in {resource.attached_elsewhere_count}{' '}
+                                {resource.attached_elsewhere_count === 1 ? 'workspace' : 'workspaces'} you can access
+                              </small>
+                            )}
+                          </div>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={() => onYouTubeSelect(resource.id)}
+                          disabled={!providerAllowed || busy}
+                        >
+                          <Link2 size={17} aria-hidden /> Select
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {isYouTube && youtubeConnections.length > 0 && (
+                  <div className="resource-list" aria-label="Connected YouTube channels">
+                    <h3>Connected channels</h3>
+                    {youtubeConnections.map((connection) => (
+                      <div key={connection.id || connection.account?.id} className="resource-row connection-resource">
+                        <div className="channel-identity compact">
+                          {connection.account?.thumbnail_url ? (
+                            <img src={connection.account.thumbnail_url} alt="" referrerPolicy="no-referrer" />
+                          ) : (
+                            <span className="channel-placeholder" aria-hidden>
+                              <Youtube size={18} />
+                            </span>
+                          )}
+                          <div>
+                            <strong>
+                              {connection.account?.display_name || connection.account?.id || 'YouTube channel'}
+                            </strong>
+                            <small>
+                              Last sync {formatDate(connection.last_successful_sync_at)}; data through{' '}
+                              {formatDate(connection.data_through_at, { dateStyle: 'medium' })}
+                            </small>
+                            {connection.reconnect_reason && (
+                              <small className="notice error">
+                                {connection.reconnect_reason.startsWith('quota:')
+                                  ? 'YouTube quota is currently exhausted; the stored dashboard remains available.'
+                                  : connection.reconnect_reason.startsWith('provider:') ||
+                                      connection.reconnect_reason.startsWith('timeout:') ||
+                                      connection.reconnect_reason.startsWith('network:')
+                                    ? 'YouTube is delayed; synchronization will retry within its bounded schedule.'
+                                    : 'This channel needs YouTube authorization before synchronization can resume.'}
+                              </small>
+                            )}
+                            <div className="capability-list" aria-label="Channel capabilities">
+                              {(connection.capabilities || []).map((capability) => (
+                                <span
+                                  key={capability.key}
+                                  className={capability.status === 'available' ? '' : 'delayed'}
+                                >
+                                  {capability.key.replaceAll('_', ' ')}: {capability.status}
+                                </span>
+                              ))}
+                            </div>
+                          </div>
+                        </div>
+                        <div className="button-row">
+                          <StatusBadge status={connection.status} />
+                          <button
+                            type="button"
+                            className="ghost-button"
+                            disabled={
+                              !workspaceCan(workspace, 'triggerManualSync', 'youtube') ||
+                              connection.status !== 'active' ||
+                              busy
+                            }
+                            onClick={() => onYouTubeSync(connection.id)}
+                            title="Sync this YouTube channel"
+                          >
+                            <RefreshCw size={17} aria-hidden /> Sync
+                          </button>
+                          <button
+                            type="button"
+                            disabled={!canConnect || busy}
+                            onClick={() => onYouTubeConnect(connection.id)}
+                          >
+                            <ExternalLink size={17} aria-hidden /> Reauthorize
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {isGoogleAnalytics && unselectedResources.length > 0 && (
+                  <div className="resource-list" aria-label="GA4 properties available to connect">
+                    <h3>Available properties</h3>
+                    {unselectedResources.map((resource) => (
+                      <div key={resource.id} className="resource-row">
+                        <div className="channel-identity compact">
+                          <span className="channel-placeholder" aria-hidden>
+                            <BarChart3 size={18} />
+                          </span>
+                          <div>
+                            <strong>{resource.display_name}</strong>
+                            <small>{resource.account_name || resource.provider_resource_id}</small>
+                            <small>
+                              {resource.timezone || 'Timezone unavailable'} ·{' '}
+                              {resource.currency || 'Currency unavailable'}
+                            </small>
+                            {resource.available === false && (
+                              <small className="notice error">
+                                Unavailable:{' '}
+                                {(resource.unavailable_reason || 'property_details_unavailable').replaceAll('_', ' ')}
+                              </small>
+                            )}
+                          </div>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={() => onGoogleAnalyticsSelect(resource.id)}
+                          disabled={!providerAllowed || busy || resource.available === false}
+                        >
+                          <Link2 size={17} aria-hidden /> Select
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {isGoogleAnalytics && googleAnalyticsConnections.length > 0 && (
+                  <div className="resource-list" aria-label="Connected GA4 properties">
+                    <h3>Connected properties</h3>
+                    {googleAnalyticsConnections.map((connection) => (
+                      <div key={connection.id || connection.account?.id} className="resource-row connection-resource">
+                        <div className="channel-identity compact">
+                          <span className="channel-placeholder" aria-hidden>
+                            <BarChart3 size={18} />
+                          </span>
+                          <div>
+                            <strong>
+                              {connection.account?.display_name || connection.account?.id || 'GA4 property'}
+                            </strong>
+                            <small>
+                              {connection.account?.account_name || connection.account?.id} ·{' '}
+                              {connection.account?.timezone || 'Timezone unavailable'} ·{' '}
+                              {connection.account?.currency || 'Currency unavailable'}
+                            </small>
+                            <small>
+                              Last sync {formatDate(connection.last_successful_sync_at)}; data through{' '}
+                              {formatDate(connection.data_through_at, { dateStyle: 'medium' })}
+                            </small>
+                            {connection.reconnect_reason && (
+                              <small className="notice error">
+                                Authorize this property again before synchronization can resume.
+                              </small>
+                            )}
+                            <div className="capability-list" aria-label="Property capabilities">
+                              {(connection.capabilities || []).map((capability) => (
+                                <span
+                                  key={capability.key}
+                                  className={capability.status === 'available' ? '' : 'delayed'}
+                                >
+                                  {capability.key.replaceAll('_', ' ')}: {capability.status}
+                                </span>
+                              ))}
+                            </div>
+                          </div>
+                        </div>
+                        <div className="button-row">
+                          <StatusBadge status={connection.status} />
+                          <button
+                            type="button"
+                            className="ghost-button"
+                            disabled={
+                              !workspaceCan(workspace, 'triggerManualSync', 'google_analytics_4') ||
+                              connection.status !== 'active' ||
+                              busy
+                            }
+                            onClick={() => onGoogleAnalyticsSync(connection.id)}
+                          >
+                            <RefreshCw size={17} aria-hidden /> Sync
+                          </button>
+                          <button
+                            type="button"
+                            disabled={!canConnect || busy}
+                            onClick={() => onGoogleAnalyticsConnect(connection.id)}
+                          >
+                            <ExternalLink size={17} aria-hidden /> Reauthorize
+                          </button>
+                          <button
+                            type="button"
+                            className="ghost-button"
+                            disabled={!providerAllowed || busy}
+                            onClick={() =>
+                              onDisconnectRequest({
+                                provider: 'google-analytics',
+                                connectionId: connection.id,
+                                label: connection.account?.display_name || 'GA4 property'
+                              })
+                            }
+                          >
+                            <Unplug size={17} aria-hidden /> Disconnect
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {isLinkedIn && unselectedResources.length > 0 && (
+                  <div className="resource-list" aria-label="LinkedIn Pages available to connect">
+                    <h3>Available Pages</h3>
+                    {unselectedResources.map((resource) => (
+                      <div key={resource.id} className="resource-row">
+                        <div className="channel-identity compact">
+                          <span className="channel-placeholder" aria-hidden>
+                            <Linkedin size={18} />
+                          </span>
+                          <div>
+                            <strong>{resource.display_name}</strong>
+                            <small>{resource.vanity_name || resource.provider_resource_id}</small>
+                            {resource.available === false && (
+                              <small className="notice error">
+                                Unavailable:{' '}
+                                {(resource.unavailable_reason || 'organization_details_unavailable').replaceAll(
+                                  '_',
+                                  ' '
+                                )}
+                              </small>
+                            )}
+                          </div>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={() => onLinkedInSelect(resource.id)}
+                          disabled={!providerAllowed || busy || resource.available === false}
+                        >
+                          <Link2 size={17} aria-hidden /> Select
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {isLinkedIn && linkedInConnections.length > 0 && (
+                  <div className="resource-list" aria-label="Connected LinkedIn Pages">
+                    <h3>Connected Pages</h3>
+                    {linkedInConnections.map((connection) => (
+                      <div key={connection.id || connection.account?.id} className="resource-row connection-resource">
+                        <div className="channel-identity compact">
+                          <span className="channel-placeholder" aria-hidden>
+                            <Linkedin size={18} />
+                          </span>
+                          <div>
+                            <strong>
+                              {connection.account?.display_name || connection.account?.id || 'LinkedIn Page'}
+                            </strong>
+                            <small>{connection.account?.vanity_name || connection.account?.id}</small>
+                            <small>
+                              Last sync {formatDate(connection.last_successful_sync_at)}; data through{' '}
+                              {formatDate(connection.data_through_at, { dateStyle: 'medium' })}
+                            </small>
+                            {connection.reconnect_reason && (
+                              <small className="notice error">
+                                Authorize LinkedIn again before synchronization can resume.
+                              </small>
+                            )}
+                            <div className="capability-list" aria-label="Page capabilities">
+                              {(connection.capabilities || []).map((capability) => (
+                                <span
+                                  key={capability.key}
+                                  className={capability.status === 'available' ? '' : 'delayed'}
+                                >
+                                  {capability.key.replaceAll('_', ' ')}: {capability.status}
+                                </span>
+                              ))}
+                            </div>
+                          </div>
+                        </div>
+                        <div className="button-row">
+                          <StatusBadge status={connection.status} />
+                          <button
+                            type="button"
+                            className="ghost-button"
+                            disabled={
+                              !workspaceCan(workspace, 'triggerManualSync', 'linkedin') ||
+                              connection.status !== 'active' ||
+                              busy
+                            }
+                            onClick={() => onLinkedInSync(connection.id)}
+                          >
+                            <RefreshCw size={17} aria-hidden /> Sync
+                          </button>
+                          <button
+                            type="button"
+                            disabled={!canConnect || busy}
+                            onClick={() => onLinkedInConnect(connection.id)}
+                          >
+                            <ExternalLink size={17} aria-hidden /> Reauthorize
+                          </button>
+                          <button
+                            type="button"
+                            className="ghost-button"
+                            disabled={!providerAllowed || busy}
+                            onClick={() =>
+                              onDisconnectRequest({
+                                provider: 'linkedin',
+                                connectionId: connection.id,
+                                label: connection.account?.display_name || 'LinkedIn Page'
+                              })
+                            }
+                          >
+                            <Unplug size={17} aria-hidden /> Disconnect
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
 
-function ChartSummary({ trend }: { trend: DashboardData['trend'] }) {
-  return (
-    <details className="sr-summary">
-      <summary>Data table for trend chart</summary>
-      <table>
-        <thead>
-          <tr>
-            <th>Observed</th>
-            <th>Followers</th>
-            <th>Total likes</th>
-          </tr>
-        </thead>
-        <tbody>
-          {trend.map((point) => (
-            <tr key={point.observed_at}>
-              <td>{formatDate(point.observed_at)}</td>
-              <td>{formatNumber(point.follower_count)}</td>
-              <td>{formatNumber(point.likes_count)}</td>
-            </tr>
-          ))}
-        </tbody>
-      </table>
-    </details>
-  );
-}
+                {isSearchConsole && unselectedResources.length > 0 && (
+                  <div className="resource-list" aria-label="Search Console sites available to connect">
+                    <h3>Available sites</h3>
+                    {unselectedResources.map((resource) => (
+                      <div key={resource.id} className="resource-row">
+                        <div className="channel-identity compact">
+                          <span className="channel-placeholder" aria-hidden>
+                            <SearchCheck size={18} />
+                          </span>
+                          <div>
+                            <strong>{resource.display_name}</strong>
+                            <small>
+                              {resource.property_type === 'domain' ? 'Domain property' : 'URL-prefix property'}
+                              {resource.permission_level ? ` · ${resource.permission_level}` : ''}
+                            </small>
+                            {resource.available === false && (
+                              <small className="notice error">
+                                Unavailable: {(resource.unavailable_reason || 'site_not_verified').replaceAll('_', ' ')}
+                              </small>
+                            )}
+                          </div>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={() => onSearchConsoleSelect(resource.id)}
+                          disabled={!providerAllowed || busy || resource.available === false}
+                        >
+                          <Link2 size={17} aria-hidden /> Select
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
 
-function metricForSort(row: ContentRow, sort: ContentSort) {
-  if (sort === 'published_at') return row.published_at ? new Date(row.published_at).getTime() : null;
-  if (sort === 'views') return row.view_count;
-  if (sort === 'likes') return row.like_count;
-  if (sort === 'comments') return row.comment_count;
-  if (sort === 'shares') return row.share_count;
-  return row.engagement_rate;
-}
+                {isSearchConsole && searchConsoleConnections.length > 0 && (
+                  <div className="resource-list" aria-label="Connected Search Console sites">
+                    <h3>Connected sites</h3>
+                    {searchConsoleConnections.map((connection) => (
+                      <div key={connection.id || connection.account?.id} className="resource-row connection-resource">
+                        <div className="channel-identity compact">
+                          <span className="channel-placeholder" aria-hidden>
+                            <SearchCheck size={18} />
+                          </span>
+                          <div>
+                            <strong>
+                              {connection.account?.display_name || connection.account?.id || 'Search Console site'}
+                            </strong>
+                            <small>{connection.account?.site_url || connection.account?.id}</small>
+                            <small>
+                              Last sync {formatDate(connection.last_successful_sync_at)}; final data through{' '}
+                              {formatDate(connection.data_through_at, { dateStyle: 'medium' })}
+                            </small>
+                            {connection.reconnect_reason && (
+                              <small className="notice error">
+                                Authorize Search Console again before synchronization can resume.
+                              </small>
+                            )}
+                            <div className="capability-list" aria-label="Site capabilities">
+                              {(connection.capabilities || []).map((capability) => (
+                                <span
+                                  key={capability.key}
+                                  className={capability.status === 'available' ? '' : 'delayed'}
+                                >
+                                  {capability.key.replaceAll('_', ' ')}: {capability.status}
+                                </span>
+                              ))}
+                            </div>
+                          </div>
+                        </div>
+                        <div className="button-row">
+                          <StatusBadge status={connection.status} />
+                          <button
+                            type="button"
+                            className="ghost-button"
+                            disabled={
+                              !workspaceCan(workspace, 'triggerManualSync', 'google_search_console') ||
+                              connection.status !== 'active' ||
+                              busy
+                            }
+                            onClick={() => onSearchConsoleSync(connection.id)}
+                          >
+                            <RefreshCw size={17} aria-hidden /> Sync
+                          </button>
+                          <button
+                            type="button"
+                            disabled={!canConnect || busy}
+                            onClick={() => onSearchConsoleConnect(connection.id)}
+                          >
+                            <ExternalLink size={17} aria-hidden /> Reauthorize
+                          </button>
+                          <button
+                            type="button"
+                            className="ghost-button"
+                            disabled={!providerAllowed || busy}
+                            onClick={() =>
+                              onDisconnectRequest({
+                                provider: 'search-console',
+                                connectionId: connection.id,
+                                label: connection.account?.display_name || 'Search Console site'
+                              })
+                            }
+                          >
+                            <Unplug size={17} aria-hidden /> Disconnect
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
 
-function contentLabel(row: ContentRow) {
-  return row.title || row.description || row.provider_content_id;
-}
+                {isPinterest && unselectedResources.length > 0 && (
+                  <div className="resource-list" aria-label="Pinterest accounts available to connect">
+                    <h3>Available accounts</h3>
+                    {unselectedResources.map((resource) => (
+                      <div key={resource.id} className="resource-row">
+                        <div className="channel-identity compact">
+                          <span className="channel-placeholder" aria-hidden>
+                            <Pin size={18} />
+                          </span>
+                          <div>
+                            <strong>{resource.display_name}</strong>
+                            <small>{resource.username || resource.provider_resource_id}</small>
+                            {resource.available === false && (
+                              <small className="notice error">
+                                Unavailable:{' '}
+                                {(resource.unavailable_reason || 'business_account_required').replaceAll('_', ' ')}
+                              </small>
+                            )}
+                          </div>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={() => onPinterestSelect(resource.id)}
+                          disabled={!providerAllowed || busy || resource.available === false}
+                        >
+                          <Link2 size={17} aria-hidden /> Select
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
 
-const socialProviderNames: Record<Exclude<OverviewProvider, 'google_analytics_4'>, string> = {
-  tiktok: 'TikTok',
-  youtube: 'YouTube',
-  facebook_pages: 'Facebook Pages',
-  instagram: 'Instagram'
-};
+                {isPinterest && pinterestConnections.length > 0 && (
+                  <div className="resource-list" aria-label="Connected Pinterest accounts">
+                    <h3>Connected accounts</h3>
+                    {pinterestConnections.map((connection) => (
+                      <div key={connection.id || connection.account?.id} className="resource-row connection-resource">
+                        <div className="channel-identity compact">
+                          <span className="channel-placeholder" aria-hidden>
+                            <Pin size={18} />
+                          </span>
+                          <div>
+                            <strong>
+                              {connection.account?.display_name || connection.account?.id || 'Pinterest account'}
+                            </strong>
+                            <small>{connection.account?.username || connection.account?.id}</small>
+                            <small>
+                              Last sync {formatDate(connection.last_successful_sync_at)}; data through{' '}
+                              {formatDate(connection.data_through_at, { dateStyle: 'medium' })}
+                            </small>
+                            {connection.reconnect_reason && (
+                              <small className="notice error">
+                                Authorize Pinterest again before synchronization can resume.
+                              </small>
+                            )}
+                            <div className="capability-list" aria-label="Account capabilities">
+                              {(connection.capabilities || []).map((capability) => (
+                                <span
+                                  key={capability.key}
+                                  className={capability.status === 'available' ? '' : 'delayed'}
+                                >
+                                  {capability.key.replaceAll('_', ' ')}: {capability.status}
+                                </span>
+                              ))}
+                            </div>
+                          </div>
+                        </div>
+                        <div className="button-row">
+                          <StatusBadge status={connection.status} />
+                          <button
+                            type="button"
+                            className="ghost-button"
+                            disabled={
+                              !workspaceCan(workspace, 'triggerManualSync', 'pinterest') ||
+                              connection.status !== 'active' ||
+                              busy
+                            }
+                            onClick={() => onPinterestSync(connection.id)}
+                          >
+                            <RefreshCw size={17} aria-hidden /> Sync
+                          </button>
+                          <button
+                            type="button"
+                            disabled={!canConnect || busy}
+                            onClick={() => onPinterestConnect(connection.id)}
+                          >
+                            <ExternalLink size={17} aria-hidden /> Reauthorize
+                          </button>
+                          <button
+                            type="button"
+                            className="ghost-button"
+                            disabled={!providerAllowed || busy}
+                            onClick={() =>
+                              onDisconnectRequest({
+                                provider: 'pinterest',
+                                connectionId: connection.id,
+                                label: connection.account?.display_name || 'Pinterest account'
+                              })
+                            }
+                          >
+                            <Unplug size={17} aria-hidden /> Disconnect
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
 
-function socialProviderName(provider: Exclude<OverviewProvider, 'google_analytics_4'>) {
-  return socialProviderNames[provider];
-}
+                {isThreads && unselectedResources.length > 0 && (
+                  <div className="resource-list" aria-label="Threads profiles available to connect">
+                    <h3>Available profiles</h3>
+                    {unselectedResources.map((resource) => (
+                      <div key={resource.id} className="resource-row">
+                        <div className="channel-identity compact">
+                          <span className="channel-placeholder" aria-hidden>
+                            <AtSign size={18} />
+                          </span>
+                          <div>
+                            <strong>{resource.display_name}</strong>
+                            <small>{resource.username || resource.provider_resource_id}</small>
+                            {resource.available === false && (
+                              <small className="notice error">
+                                Unavailable:{' '}
+                                {(resource.unavailable_reason || 'profile_unavailable').replaceAll('_', ' ')}
+                              </small>
+                            )}
+                          </div>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={() => onThreadsSelect(resource.id)}
+                          disabled={!providerAllowed || busy || resource.available === false}
+                        >
+                          <Link2 size={17} aria-hidden /> Select
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
 
-function Content({
-  workspace,
-  content,
-  providers,
-  provider,
-  connectionId,
-  sort,
-  direction,
-  search,
-  page,
-  pageSize,
-  rangeQuery,
-  onSort,
-  onSearch,
-  onProviderChange,
-  onConnectionChange,
-  onPageChange,
-  onPageSizeChange,
-  onOpenDetail
-}: {
-  workspace: Workspace;
-  content: ContentData | null;
-  providers: ProviderCatalogItem[];
-  provider: SocialContentProvider;
-  connectionId: string;
-  sort: ContentSort;
-  direction: SortDirection;
-  search: string;
-  page: number;
-  pageSize: number;
-  rangeQuery: URLSearchParams;
-  onSort: (sort: ContentSort, direction: SortDirection) => void;
-  onSearch: (search: string) => void;
-  onProviderChange: (provider: SocialContentProvider) => void;
-  onConnectionChange: (connectionId: string) => void;
-  onPageChange: (page: number) => void;
-  onPageSizeChange: (size: number) => void;
-  onOpenDetail: (contentId: string) => void;
-}) {
-  const total = content?.total || 0;
-  const totalPages = Math.max(Math.ceil(total / pageSize), 1);
-  const availableProviders = providers.filter((item) =>
-    ['tiktok', 'youtube', 'facebook_pages', 'instagram'].includes(item.id)
-  );
-  const resourceOptions = availableProviders
-    .filter((item) => provider === 'all' || item.id === provider)
-    .flatMap((item) =>
-      (item.connections || [])
-        .filter((connection) => Boolean(connection.id))
-        .map((connection) => ({
-          id: connection.id,
-          provider: item.id as Exclude<OverviewProvider, 'google_analytics_4'>,
-          name:
-            connection.account?.display_name ||
-            connection.account?.username ||
-            connection.account?.id ||
-            item.resourceName
-        }))
-    );
-  const exportParams = new URLSearchParams(rangeQuery);
-  exportParams.set('provider', provider);
-  if (connectionId) exportParams.set('connection_id', connectionId);
-  exportParams.set('sort', sort);
-  exportParams.set('direction', direction);
-  if (search.trim()) exportParams.set('search', search.trim());
-  const exportHref = `/api/workspaces/${workspace.id}/exports/content.csv?${exportParams.toString()}`;
-  return (
-    <section className="panel" aria-labelledby="content-title">
-      <div className="panel-title between">
-        <div>
-          <h2 id="content-title">Content performance</h2>
-          <p>
-            {total} result{total === 1 ? '' : 's'} using active filters.
-          </p>
-        </div>
-        <a
-          className={`button-link ${workspace.role === 'viewer' ? 'disabled' : ''}`}
-          href={workspace.role === 'viewer' ? undefined : exportHref}
-        >
-          <Download size={18} aria-hidden /> CSV
-        </a>
-      </div>
-      <div className="toolbar content-toolbar">
-        <label>
-          Provider
-          <select value={provider} onChange={(event) => onProviderChange(event.target.value as SocialContentProvider)}>
-            <option value="all">All social providers</option>
-            {availableProviders.map((item) => (
-              <option key={item.id} value={item.id}>
-                {item.name}
-              </option>
-            ))}
-          </select>
-        </label>
-        <label>
-          Resource
-          <select value={connectionId} onChange={(event) => onConnectionChange(event.target.value)}>
-            <option value="">All selected resources</option>
-            {resourceOptions.map((resource) => (
-              <option key={resource.id} value={resource.id}>
-                {provider === 'all' ? `${socialProviderName(resource.provider)} · ` : ''}
-                {resource.name}
-              </option>
-            ))}
-          </select>
-        </label>
-        <label>
-          Search
-          <span className="input-icon">
-            <Search size={16} aria-hidden />
-            <input
-              value={search}
-              onChange={(event) => onSearch(event.target.value)}
-              placeholder="Title, description, provider id"
-            />
-          </span>
-        </label>
-        <label>
-          Page size
-          <select value={pageSize} onChange={(event) => onPageSizeChange(Number(event.target.value))}>
-            {[10, 25, 50].map((size) => (
-              <option key={size} value={size}>
-                {size}
-              </option>
-            ))}
-          </select>
-        </label>
-      </div>
-      {content && content.rows.length > 0 ? (
-        <>
-          <div className="table-wrap">
-            <table className="content-table">
-              <thead>
-                <tr>
-                  <SortableTh
-                    label="Published"
-                    value="published_at"
-                    sort={sort}
-                    direction={direction}
-                    onSort={onSort}
-                  />
-                  <th scope="col">Content</th>
-                  <th scope="col">Source</th>
-                  <SortableTh label="Views" value="views" sort={sort} direction={direction} onSort={onSort} />
-                  <SortableTh label="Likes" value="likes" sort={sort} direction={direction} onSort={onSort} />
-                  <SortableTh label="Comments" value="comments" sort={sort} direction={direction} onSort={onSort} />
-                  <SortableTh label="Shares" value="shares" sort={sort} direction={direction} onSort={onSort} />
-                  <SortableTh label="Engagement" value="engagement" sort={sort} direction={direction} onSort={onSort} />
-                </tr>
-              </thead>
-              <tbody>
-                {content.rows.map((row) => (
-                  <tr key={row.id}>
-                    <td data-label="Published">{formatDate(row.published_at, { dateStyle: 'medium' })}</td>
-                    <td data-label="Content">
-                      <button type="button" className="link-button" onClick={() => onOpenDetail(row.id)}>
-                        {contentLabel(row)}
-                      </button>
-                      <small>{row.provider_content_id}</small>
-                    </td>
-                    <td data-label="Source">
-                      <strong>{socialProviderName(row.provider)}</strong>
-                      <small>{row.resource_name || 'Selected resource'}</small>
-                    </td>
-                    <MetricCell label="Views" value={row.view_count} />
-                    <MetricCell label="Likes" value={row.like_count} />
-                    <MetricCell label="Comments" value={row.comment_count} />
-                    <MetricCell label="Shares" value={row.share_count} />
-                    <td data-label="Engagement">
-                      {row.engagement_rate === null ? (
-                        <span className="muted">N/A</span>
-                      ) : (
-                        formatPercent(row.engagement_rate)
-                      )}
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-          <Pagination page={page} totalPages={totalPages} onPageChange={onPageChange} />
-        </>
-      ) : (
-        <div className="table-empty">
-          {search || provider !== 'all' || connectionId
-            ? 'No content matches the active filters.'
-            : 'No social content performance is available.'}
-        </div>
-      )}
-      <p className="muted">
-        Counts retain each provider’s reporting semantics. Missing or unsupported values remain N/A and are never
-        converted to zero.
-      </p>
-    </section>
-  );
-}
+                {isThreads && threadsConnections.length > 0 && (
+                  <div className="resource-list" aria-label="Connected Threads profiles">
+                    <h3>Connected profiles</h3>
+                    {threadsConnections.map((connection) => (
+                      <div key={connection.id || connection.account?.id} className="resource-row connection-resource">
+                        <div className="channel-identity compact">
+                          <span className="channel-placeholder" aria-hidden>
+                            <AtSign size={18} />
+                          </span>
+                          <div>
+                            <strong>
+                              {connection.account?.display_name || connection.account?.id || 'Threads profile'}
+                            </strong>
+                            <small>{connection.account?.username || connection.account?.id}</small>
+                            <small>
+                              Last sync {formatDate(connection.last_successful_sync_at)}; data through{' '}
+                              {formatDate(connection.data_through_at, { dateStyle: 'medium' })}
+                            </small>
+                            {connection.reconnect_reason && (
+                              <small className="notice error">
+                                Authorize Threads again before synchronization can resume.
+                              </small>
+                            )}
+                            <div className="capability-list" aria-label="Profile capabilities">
+                              {(connection.capabilities || []).map((capability) => (
+                                <span
+                                  key={capability.key}
+                                  className={capability.status === 'available' ? '' : 'delayed'}
+                                >
+                                  {capability.key.replaceAll('_', ' ')}: {capability.status}
+                                </span>
+                              ))}
+                            </div>
+                          </div>
+                        </div>
+                        <div className="button-row">
+                          <StatusBadge status={connection.status} />
+                          <button
+                            type="button"
+                            className="ghost-button"
+                            disabled={
+                              !workspaceCan(workspace, 'triggerManualSync', 'threads') ||
+                              connection.status !== 'active' ||
+                              busy
+                            }
+                            onClick={() => onThreadsSync(connection.id)}
+                          >
+                            <RefreshCw size={17} aria-hidden /> Sync
+                          </button>
+                          <button
+                            type="button"
+                            disabled={!canConnect || busy}
+                            onClick={() => onThreadsConnect(connection.id)}
+                          >
+                            <ExternalLink size={17} aria-hidden /> Reauthorize
+                          </button>
+                          <button
+                            type="button"
+                            className="ghost-button"
+                            disabled={!providerAllowed || busy}
+                            onClick={() =>
+                              onDisconnectRequest({
+                                provider: 'threads',
+                                connectionId: connection.id,
+                                label: connection.account?.display_name || 'Threads profile'
+                              })
+                            }
+                          >
+                            <Unplug size={17} aria-hidden /> Disconnect
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
 
-function SortableTh({
-  label,
-  value,
-  sort,
-  direction,
-  onSort
-}: {
-  label: string;
-  value: ContentSort;
-  sort: ContentSort;
-  direction: SortDirection;
-  onSort: (sort: ContentSort, direction: SortDirection) => void;
-}) {
-  const active = sort === value;
-  const nextDirection: SortDirection = active && direction === 'desc' ? 'asc' : 'desc';
-  return (
-    <th scope="col" aria-sort={active ? (direction === 'asc' ? 'ascending' : 'descending') : 'none'}>
-      <button type="button" className="sort-button" onClick={() => onSort(value, nextDirection)}>
-        {label}
-        <span aria-hidden>{active ? (direction === 'asc' ? ' ↑' : ' ↓') : ''}</span>
-      </button>
-    </th>
-  );
-}
+                {isBluesky && blueskyConnections.length > 0 && (
+                  <div className="resource-list" aria-label="Connected Bluesky accounts">
+                    <h3>Connected accounts</h3>
+                    {blueskyConnections.map((connection) => (
+                      <div key={connection.id || connection.account?.id} className="resource-row connection-resource">
+                        <div className="channel-identity compact">
+                          <span className="channel-placeholder" aria-hidden>
+                            <Cloud size={18} />
+                          </span>
+                          <div>
+                            <strong>
+                              {connection.account?.display_name || connection.account?.id || 'Bluesky account'}
+                            </strong>
+                            <small>{connection.account?.handle || connection.account?.id}</small>
+                            <small>
+                              Last sync {formatDate(connection.last_successful_sync_at)}; data through{' '}
+                              {formatDate(connection.data_through_at, { dateStyle: 'medium' })}
+                            </small>
+                            {connection.reconnect_reason && (
+                              <small className="notice error">
+                                Connect again with a Bluesky app password before synchronization can resume.
+                              </small>
+                            )}
+                            <div className="capability-list" aria-label="Account capabilities">
+                              {(connection.capabilities || []).map((capability) => (
+                                <span
+                                  key={capability.key}
+                                  className={capability.status === 'available' ? '' : 'delayed'}
+                                >
+                                  {capability.key.replaceAll('_', ' ')}: {capability.status}
+                                </span>
+                              ))}
+                            </div>
+                          </div>
+                        </div>
+                        <div className="button-row">
+                          <StatusBadge status={connection.status} />
+                          <button
+                            type="button"
+                            className="ghost-button"
+                            disabled={
+                              !workspaceCan(workspace, 'triggerManualSync', 'bluesky') ||
+                              connection.status !== 'active' ||
+                              busy
+                            }
+                            onClick={() => onBlueskySync(connection.id)}
+                          >
+                            <RefreshCw size={17} aria-hidden /> Sync
+                          </button>
+                          <button
+                            type="button"
+                            className="ghost-button"
+                            disabled={!providerAllowed || busy}
+                            onClick={() =>
+                              onDisconnectRequest({
+                                provider: 'bluesky',
+                                connectionId: connection.id,
+                                label: connection.account?.display_name || 'Bluesky account'
+                              })
+                            }
+                          >
+                            <Unplug size={17} aria-hidden /> Disconnect
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                    {blueskyConnections.some((connection) => connection.status === 'reconnect_required') && (
+                      <BlueskyConnectForm
+                        label="Reconnect"
+                        disabled={!canConnect || busy}
+                        onSubmit={(identifier, appPassword) =>
+                          onBlueskyConnect(
+                            identifier,
+                            appPassword,
+                            blueskyConnections.find((connection) => connection.status === 'reconnect_required')?.id
+                          )
+                        }
+                      />
+                    )}
+                  </div>
+                )}
 
-function MetricCell({ label, value }: { label: string; value: number | null }) {
-  return <td data-label={label}>{value === null ? <span className="muted">N/A</span> : formatNumber(value)}</td>;
-}
+                {isMeta && unselectedResources.length > 0 && (
+                  <div className="resource-list" aria-label={`${provider.name} resources available to connect`}>
+                    <h3>Available {isFacebook ? 'Pages' : 'professional accounts'}</h3>
+                    {unselectedResources.map((resource) => {
+                      const ResourceIcon = isFacebook ? Facebook : Instagram;
+                      return (
+                        <div key={resource.id} className="resource-row">
+                          <div className="channel-identity compact">
+                            {resource.thumbnail_url ? (
+                              <img src={resource.thumbnail_url} alt="" referrerPolicy="no-referrer" />
+                            ) : (
+                              <span className="channel-placeholder" aria-hidden>
+                                <ResourceIcon size={18} />
+                              </span>
+                            )}
+                            <div>
+                              <strong>{resource.display_name}</strong>
+                              <small>
+                                {resource.username ? `@${resource.username}` : resource.provider_resource_id}
+                              </small>
+                              {resource.source_page_name && <small>Linked Page: {resource.source_page_name}</small>}
+                              {resource.available === false && (
+                                <small className="notice error">
+                                  Unavailable:{' '}
+                                  {(resource.unavailable_reason || 'authorization_required').replaceAll('_', ' ')}
+                                </small>
+                              )}
+                            </div>
+                          </div>
+                          <button
+                            type="button"
+                            onClick={() => onMetaSelect(metaPath, resource.id)}
+                            disabled={!providerAllowed || busy || resource.available === false}
+                          >
+                            <Link2 size={17} aria-hidden /> Select
+                          </button>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
 
-function ContentDetailView({ detail, onBack }: { detail: ContentDetail | null; onBack: () => void }) {
-  if (!detail) {
-    return (
-      <section className="panel">
-        <button type="button" className="ghost-button" onClick={onBack}>
-          <ArrowLeft size={18} aria-hidden /> Back to content
-        </button>
-        <div className="chart-empty">Loading content detail or the item was not found in this workspace.</div>
-      </section>
-    );
-  }
-  const metadata = detail.item.provider_metadata || {};
-  const historyData = detail.history.map((point) => ({
-    ...point,
-    label: formatDate(point.observed_at, { month: 'short', day: 'numeric' })
-  }));
-  return (
-    <section className="detail-layout" aria-labelledby="content-detail-title">
-      <button type="button" className="ghost-button" onClick={onBack}>
-        <ArrowLeft size={18} aria-hidden /> Back to content
-      </button>
-      <div className="panel detail-hero">
-        <div>
-          <p className="eyebrow">{socialProviderName(detail.item.provider)} content detail</p>
-          <h2 id="content-detail-title">{contentLabel(detail.item)}</h2>
-          <p>{detail.item.description || 'No provider description available.'}</p>
-          <p className="muted">{detail.item.resource_name || 'Selected provider resource'}</p>
-        </div>
-        <div className="thumbnail-fallback">
-          <Video size={32} aria-hidden />
-          <span>{String(metadata.thumbnail_state || 'thumbnail unavailable')}</span>
-        </div>
+                {isMeta && metaConnections.length > 0 && (
+                  <div className="resource-list" aria-label={`Connected ${provider.name} resources`}>
+                    <h3>Connected resources</h3>
+                    {metaConnections.map((connection) => {
+                      const ResourceIcon = isFacebook ? Facebook : Instagram;
+                      return (
+                        <div key={connection.id || connection.account?.id} className="resource-row connection-resource">
+                          <div className="channel-identity compact">
+                            {connection.account?.thumbnail_url ? (
+                              <img src={connection.account.thumbnail_url} alt="" referrerPolicy="no-referrer" />
+                            ) : (
+                              <span className="channel-placeholder" aria-hidden>
+                                <ResourceIcon size={18} />
+                              </span>
+                            )}
+                            <div>
+                              <strong>
+                                {connection.account?.display_name || connection.account?.id || provider.name}
+                              </strong>
+                              <small>
+                                Last sync {formatDate(connection.last_successful_sync_at)}; data through{' '}
+                                {formatDate(connection.data_through_at, { dateStyle: 'medium' })}
+                              </small>
+                              {connection.reconnect_reason && (
+                                <small className="notice error">Authorize this account again to resume syncing.</small>
+                              )}
+                              <div className="capability-list" aria-label="Resource capabilities">
+                                {(connection.capabilities || []).map((capability) => (
+                                  <span
+                                    key={capability.key}
+                                    className={capability.status === 'available' ? '' : 'delayed'}
+                                  >
+                                    {capability.key.replaceAll('_', ' ')}: {capability.status}
+                                  </span>
+                                ))}
+                              </div>
+                            </div>
+                          </div>
+                          <div className="button-row">
+                            <StatusBadge status={connection.status} />
+                            <button
+                              type="button"
+                              className="ghost-button"
+                              disabled={
+                                !workspaceCan(workspace, 'triggerManualSync', provider.id) ||
+                                connection.status !== 'active' ||
+                                busy
+                              }
+                              onClick={() => onMetaSync(provider.id as 'facebook_pages' | 'instagram', connection.id)}
+                            >
+                              <RefreshCw size={17} aria-hidden /> Sync
+                            </button>
+                            <button
+                              type="button"
+                              disabled={!canConnect || busy}
+                              onClick={() => onMetaConnect(metaPath, connection.id)}
+                            >
+                              <ExternalLink size={17} aria-hidden /> Reauthorize
+                            </button>
+                            <button
+                              type="button"
+                              className="ghost-button"
+                              disabled={!providerAllowed || busy}
+                              onClick={() =>
+                                onDisconnectRequest({
+                                  provider: metaPath,
+                                  connectionId: connection.id,
+                                  label: connection.account?.display_name || provider.name
+                                })
+                              }
+                            >
+                              <Unplug size={17} aria-hidden /> Disconnect
+                            </button>
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+              </div>
+              <div className="button-row">
+                {isTikTok ? (
+                  <>
+                    <button type="button" disabled={!canConnect || busy} onClick={onTikTokConnect}>
+                      <ExternalLink size={18} aria-hidden />{' '}
+                      {provider.connection?.status === 'disconnected' ? 'Connect' : 'Reconnect'}
+                    </button>
+                    <button
+                      type="button"
+                      disabled={!canDisconnect || busy}
+                      onClick={() => onDisconnectRequest({ provider: 'tiktok', label: 'TikTok' })}
+                    >
+                      <Unplug size={18} aria-hidden /> Disconnect
+                    </button>
+                  </>
+                ) : isYouTube ? (
+                  <>
+                    <button type="button" disabled={!canStartYouTube || busy} onClick={() => onYouTubeConnect()}>
+                      <ExternalLink size={18} aria-hidden />{' '}
+                      {provider.status === 'missing_scopes' ||
+                      provider.status === 'authorization_denied' ||
+                      provider.status === 'provider_error'
+                        ? 'Authorize again'
+                        : provider.status === 'authorizing'
+                          ? 'Restart authorization'
+                          : 'Connect YouTube'}
+                    </button>
+                    <button
+                      type="button"
+                      disabled={
+                        !providerAllowed ||
+                        !provider.authorization ||
+                        provider.authorization.status === 'revoked' ||
+                        busy
+                      }
+                      onClick={() => onDisconnectRequest({ provider: 'youtube', label: 'YouTube' })}
+                    >
+                      <Unplug size={18} aria-hidden /> Disconnect
+                    </button>
+                  </>
+                ) : isGoogleAnalytics ? (
+                  <>
+                    <button
+                      type="button"
+                      disabled={!canStartGoogleAnalytics || busy}
+                      onClick={() => onGoogleAnalyticsConnect()}
+                    >
+                      <ExternalLink size={18} aria-hidden />{' '}
+                      {provider.status === 'missing_scopes' ||
+                      provider.status === 'authorization_denied' ||
+                      provider.status === 'provider_error'
+                        ? 'Authorize again'
+                        : provider.status === 'authorizing'
+                          ? 'Restart authorization'
+                          : provider.authorization
+                            ? 'Refresh discovery'
+                            : 'Connect Website Analytics'}
+                    </button>
+                    <button
+                      type="button"
+                      disabled={
+                        !providerAllowed ||
+                        !provider.authorization ||
+                        provider.authorization.status === 'revoked' ||
+                        busy
+                      }
+                      onClick={() => onDisconnectRequest({ provider: 'google-analytics', label: 'Website Analytics' })}
+                    >
+                      <Unplug size={18} aria-hidden /> Disconnect all
+                    </button>
+                  </>
+                ) : isLinkedIn ? (
+                  <>
+                    <button type="button" disabled={!canStartLinkedIn || busy} onClick={() => onLinkedInConnect()}>
+                      <ExternalLink size={18} aria-hidden />{' '}
+                      {provider.status === 'missing_scopes' ||
+                      provider.status === 'authorization_denied' ||
+                      provider.status === 'provider_error'
+                        ? 'Authorize again'
+                        : provider.status === 'authorizing'
+                          ? 'Restart authorization'
+                          : provider.authorization
+                            ? 'Refresh discovery'
+                            : 'Connect LinkedIn'}
+                    </button>
+                    <button
+                      type="button"
+                      disabled={
+                        !providerAllowed ||
+                        !provider.authorization ||
+                        provider.authorization.status === 'revoked' ||
+                        busy
+                      }
+                      onClick={() => onDisconnectRequest({ provider: 'linkedin', label: 'LinkedIn' })}
+                    >
+                      <Unplug size={18} aria-hidden /> Disconnect all
+                    </button>
+                  </>
+                ) : isSearchConsole ? (
+                  <>
+                    <button
+                      type="button"
+                      disabled={!canStartSearchConsole || busy}
+                      onClick={() => onSearchConsoleConnect()}
+                    >
+                      <ExternalLink size={18} aria-hidden />{' '}
+                      {provider.status === 'missing_scopes' ||
+                      provider.status === 'authorization_denied' ||
+                      provider.status === 'provider_error'
+                        ? 'Authorize again'
+                        : provider.status === 'authorizing'
+                          ? 'Restart authorization'
+                          : provider.authorization
+                            ? 'Refresh discovery'
+                            : 'Connect Search Console'}
+                    </button>
+                    <button
+                      type="button"
+                      disabled={
+                        !providerAllowed ||
+                        !provider.authorization ||
+                        provider.authorization.status === 'revoked' ||
+                        busy
+                      }
+                      onClick={() => onDisconnectRequest({ provider: 'search-console', label: 'Search Console' })}
+                    >
+                      <Unplug size={18} aria-hidden /> Disconnect all
+                    </button>
+                  </>
+                ) : isPinterest ? (
+                  <>
+                    <button type="button" disabled={!canStartPinterest || busy} onClick={() => onPinterestConnect()}>
+                      <ExternalLink size={18} aria-hidden />{' '}
+                      {provider.status === 'missing_scopes' ||
+                      provider.status === 'authorization_denied' ||
+                      provider.status === 'provider_error'
+                        ? 'Authorize again'
+                        : provider.status === 'authorizing'
+                          ? 'Restart authorization'
+                          : provider.authorization
+                            ? 'Refresh discovery'
+                            : 'Connect Pinterest'}
+                    </button>
+                    <button
+                      type="button"
+                      disabled={
+                        !providerAllowed ||
+                        !provider.authorization ||
+                        provider.authorization.status === 'revoked' ||
+                        busy
+                      }
+                      onClick={() => onDisconnectRequest({ provider: 'pinterest', label: 'Pinterest' })}
+                    >
+                      <Unplug size={18} aria-hidden /> Disconnect all
+                    </button>
+                  </>
+                ) : isThreads ? (
+                  <>
+                    <button type="button" disabled={!canStartThreads || busy} onClick={() => onThreadsConnect()}>
+                      <ExternalLink size={18} aria-hidden />{' '}
+                      {provider.status === 'missing_scopes' ||
+                      provider.status === 'authorization_denied' ||
+                      provider.status === 'provider_error'
+                        ? 'Authorize again'
+                        : provider.status === 'authorizing'
+                          ? 'Restart authorization'
+                          : provider.authorization
+                            ? 'Refresh discovery'
+                            : 'Connect Threads'}
+                    </button>
+                    <button
+                      type="button"
+                      disabled={
+                        !providerAllowed ||
+                        !provider.authorization ||
+                        provider.authorization.status === 'revoked' ||
+                        busy
+                      }
+                      onClick={() => onDisconnectRequest({ provider: 'threads', label: 'Threads' })}
+                    >
+                      <Unplug size={18} aria-hidden /> Disconnect all
+                    </button>
+                  </>
+                ) : isBluesky ? (
+                  <>
+                    {canStartBluesky && (
+                      <BlueskyConnectForm
+                        label="Connect Bluesky"
+                        disabled={busy}
+                        onSubmit={(identifier, appPassword) => onBlueskyConnect(identifier, appPassword)}
+                      />
+                    )}
+                    <button
+                      type="button"
+                      disabled={
+                        !providerAllowed ||
+                        !provider.authorization ||
+                        provider.authorization.status === 'revoked' ||
+                        busy
+                      }
+                      onClick={() => onDisconnectRequest({ provider: 'bluesky', label: 'Bluesky' })}
+                    >
+                      <Unplug size={18} aria-hidden /> Disconnect all
+                    </button>
+                  </>
+                ) : isMeta ? (
+                  <>
+                    <button type="button" disabled={!canStartMeta || busy} onClick={() => onMetaConnect(metaPath)}>
+                      <ExternalLink size={18} aria-hidden />{' '}
+                      {provider.status === 'missing_scopes' ||
+                      provider.status === 'authorization_denied' ||
+                      provider.status === 'provider_error' ||
+                      provider.status === 'reconnect_required'
+                        ? 'Authorize again'
+                        : provider.authorization
+                          ? 'Refresh discovery'
+                          : `Connect ${isFacebook ? 'Facebook' : 'Instagram'}`}
+                    </button>
+                    <button
+                      type="button"
+                      disabled={
+                        !providerAllowed ||
+                        !provider.authorization ||
+                        provider.authorization.status === 'revoked' ||
+                        busy
+                      }
+                      onClick={() => onDisconnectRequest({ provider: metaPath, label: provider.name })}
+                    >
+                      <Unplug size={18} aria-hidden /> Disconnect all
+                    </button>
+                  </>
+                ) : (
+                  <button type="button" disabled>
+                    <Lock size={18} aria-hidden /> Not enabled
+                  </button>
+                )}
+              </div>
+            </article>
+          );
+        })}
+        {catalog.length === 0 && <div className="table-empty">Connections are temporarily unavailable.</div>}
       </div>
-      <section className="metric-grid compact">
-        <article className="metric-card">
-          <span>Views</span>
-          <strong>{formatNumber(detail.current_metrics?.view_count)}</strong>
-        </article>
-        <article className="metric-card">
-          <span>Likes</span>
-          <strong>{formatNumber(detail.current_metrics?.like_count)}</strong>
-        </article>
-        <article className="metric-card">
-          <span>Comments</span>
-          <strong>{formatNumber(detail.current_metrics?.comment_count)}</strong>
-        </article>
-        <article className="metric-card">
-          <span>Engagement</span>
-          <strong>{formatPercent(detail.current_metrics?.engagement_rate)}</strong>
-        </article>
-      </section>
-      <section className="panel">
-        <div className="settings-list">
-          <span>Published: {formatDate(detail.item.published_at)}</span>
-          <span>Observed: {formatDate(detail.current_metrics?.observed_at)}</span>
-          <span>Duration: {detail.item.duration_seconds ? `${detail.item.duration_seconds}s` : 'N/A'}</span>
-          <span>
-            Size: {detail.item.width && detail.item.height ? `${detail.item.width}×${detail.item.height}` : 'N/A'}
-          </span>
-          {detail.item.share_url && (
-            <a href={detail.item.share_url} target="_blank" rel="noreferrer">
-              Open provider link
-            </a>
-          )}
-        </div>
-        <p className="muted">
-          Engagement rate = (likes + comments + shares) / views. It is unavailable when views are zero or missing.
-        </p>
-      </section>
-      <section className="panel chart-panel" aria-labelledby="history-title">
-        <div className="panel-title">
-          <h2 id="history-title">Metric history</h2>
-        </div>
-        {historyData.length > 1 ? (
-          <div className="chart-box" role="img" aria-label="Line chart of content views and engagement over time">
-            <ResponsiveContainer width="100%" height={280}>
-              <LineChart data={historyData}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="label" />
-                <YAxis yAxisId="views" tickFormatter={formatCompact} />
-                <YAxis yAxisId="engagement" orientation="right" tickFormatter={(value) => `${value}%`} />
-                <Tooltip formatter={formatTooltipNumber} />
-                <Legend />
-                <Line yAxisId="views" dataKey="view_count" name="Views" stroke="var(--chart-a)" strokeWidth={2.5} />
-                <Line
-                  yAxisId="engagement"
-                  dataKey="engagement_rate"
-                  name="Engagement rate"
-                  stroke="var(--chart-c)"
-                  strokeWidth={2.5}
-                />
-              </LineChart>
-            </ResponsiveContainer>
-          </div>
-        ) : (
-          <div className="chart-empty">A single observation is available for this content item.</div>
-        )}
-      </section>
+      {!allowed && <p className="muted">Connection management requires owner or admin access.</p>}
+      {disconnectTarget && (
+        <div className="dialog-backdrop" role="presentation">
+          <section className="dialog" role="dialog" aria-modal="true" aria-labelledby="disconnect-title">
+            <h3 id="disconnect-title">Disconnect {disconnectTarget.label}?</h3>
+            {disconnectTarget.provider === 'youtube' ? (
+              <p>
+                Social Insights Studio will ask Google to revoke access, then remove this YouTube connection and its
+                stored analytics data from the workspace.
+              </p>
+            ) : disconnectTarget.provider === 'google-analytics' ? (
+              <p>
+                Removing one of several selected properties preserves the shared read-only Google grant. Removing the
+                final property asks Google to revoke access and deletes the locally stored GA4 observations.
+              </p>
+            ) : disconnectTarget.provider === 'linkedin' ? (
+              <p>
+                Removing one of several selected Pages preserves the shared read-only LinkedIn grant. Removing the final
+                Page asks LinkedIn to revoke access and deletes the locally stored Page statistics.
+              </p>
+            ) : disconnectTarget.provider === 'search-console' ? (
+              <p>
+                Removing one of several selected sites preserves the shared read-only Google grant. Removing the final
+                site asks Google to revoke access and deletes the locally stored Search Console observations.
+              </p>
+            ) : disconnectTarget.provider === 'pinterest' ? (
+              <p>
+                Pinterest has no token revocation endpoint. Disconnecting deletes the stored Pinterest credentials and
+                the locally stored account, board, and pin analytics. Remove the app from your Pinterest security
+                settings to end access at Pinterest.
+              </p>
+            ) : disconnectTarget.provider === 'threads' ? (
+              <p>
+                Threads has no token revocation endpoint. Disconnecting deletes the stored Threads credentials and the
+                locally stored profile and post insights. Remove the app from your Threads website permissions to end
+                access at Threads.
+              </p>
+            ) : disconnectTarget.provider === 'bluesky' ? (
+              <p>
+                Disconnecting ends the Bluesky session and deletes the stored session tokens and the locally stored
+                follower and post data. The app password itself stays valid until you revoke it in your Bluesky app
+                password settings.
+              </p>
+            ) : disconnectTarget.provider === 'facebook' || disconnectTarget.provider === 'instagram' ? (
+              <p>
+                Facebook and Instagram accounts selected through the same Meta sign-in can be disconnected separately.
+                Removing the final connected account also asks Meta to revoke access and removes its stored analytics
+                data.
+              </p>
+            ) : (
+              <p>
+                Social Insights Studio will ask the provider to revoke access and disable this connection. Previously
+                synchronized analytics remain in the workspace until they are deleted under the retention policy.
+              </p>
+            )}
+            <div className="dialog-actions">
+              <button type="button" onClick={onDisconnectCancel}>
+                Cancel
+              </button>
+              <button type="button" className="danger" onClick={onDisconnectConfirm} disabled={busy}>
+                Disconnect
+              </button>
+            </div>
+          </section>
+        </div>
+      )}
     </section>
   );
 }
 
-function Reports({
-  role,
-  configuration,
-  providers,
-  reports,
-  preview,
+function MemberResourceAccess({
+  member,
+  connections,
+  disabled,
+  onSave
+}: {
+  member: Member;
+  connections: MemberConnection[];
+  disabled: boolean;
+  onSave: (scope: MemberResourceScope) => void;
+}) {
+  const scope = member.resource_scope || { restricted: false, connection_ids: [] };
+  const [restricted, setRestricted] = useState(scope.restricted);
+  const [selected, setSelected] = useState<string[]>(scope.connection_ids);
+  if (member.role === 'owner' || member.role === 'admin') return <small className="muted">All resources</small>;
+  const summary = scope.restricted
+    ? `${scope.connection_ids.length} resource${scope.connection_ids.length === 1 ? '' : 's'}`
+    : 'All resources';
+  return (
+    <details className="member-resources">
+      <summary>{summary}</summary>
+      <label className="toggle">
+        <input
+          type="checkbox"
+          checked={restricted}
+          onChange={(event) => setRestricted(event.target.checked)}
+          disabled={disabled}
+        />
+        Only selected resources
+      </label>
+      {restricted && (
+        <fieldset className="webhook-events">
+          <legend className="sr-only">Resources for {member.email}</legend>
+          {connections.map((connection) => (
+            <label key={connection.id} className="toggle">
+              <input
+                type="checkbox"
+                checked={selected.includes(connection.id)}
+                onChange={(event) =>
+                  setSelected((current) =>
+                    event.target.checked
+                      ? [...current, connection.id]
+                      : current.filter((connectionId) => connectionId !== connection.id)
+                  )
+                }
+                disabled={disabled}
+              />
+              {alertProviderNames[connection.provider as OverviewProvider] || connection.provider} ·{' '}
+              {connection.display_name}
+            </label>
+          ))}
+          {connections.length === 0 && <small className="muted">No connected resources yet.</small>}
+        </fieldset>
+      )}
+      <button
+        type="button"
+        className="ghost-button"
+        disabled={disabled}
+        onClick={() => onSave({ restricted, connection_ids: restricted ? selected : [] })}
+      >
+        Save access
+      </button>
+    </details>
+  );
+}
+
+function Members({
+  workspace,
+  customRoles,
+  members,
+  connections,
+  invitations,
+  security,
   busy,
-  onPreview,
-  onGenerate,
-  onDownload,
-  onDelete
+  onInvite,
+  onResendInvitation,
+  onRevokeInvitation,
+  onRoleChange,
+  onResourcesChange,
+  onRemove,
+  onRequireTwoFactor
 }: {
-  role: Role;
-  configuration: ReportConfiguration | null;
-  providers: ProviderCatalogItem[];
-  reports: ReportRun[];
-  preview: ReportPreview | null;
+  workspace: Workspace;
+  customRoles: CustomRole[];
+  members: Member[];
+  connections: MemberConnection[];
+  invitations: Invitation[];
+  security: WorkspaceSecurity | null;
   busy: boolean;
-  onPreview: (request: ReportRequest) => Promise<void>;
-  onGenerate: (request: ReportRequest) => Promise<void>;
-  onDownload: (report: ReportRun) => Promise<void>;
-  onDelete: (report: ReportRun) => Promise<void>;
+  onInvite: (email: string, role: Exclude<Role, 'owner'>) => void;
+  onResendInvitation: (invitation: Invitation) => void;
+  onRevokeInvitation: (invitation: Invitation) => void;
+  onRoleChange: (member: Member, role: string) => void;
+  onResourcesChange: (member: Member, scope: MemberResourceScope) => void;
+  onRemove: (member: Member) => void;
+  onRequireTwoFactor: (required: boolean) => void;
 }) {
-  const [title, setTitle] = useState('Monthly performance report');
-  const [subtitle, setSubtitle] = useState('Read-only analytics summary');
-  const [reportRange, setReportRange] = useState<RangeKey>('30d');
-  const [from, setFrom] = useState(todayInputValue(-30));
-  const [to, setTo] = useState(todayInputValue(-1));
-  const [timezone, setTimezone] = useState(() => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC');
-  const [comparisonEnabled, setComparisonEnabled] = useState(true);
-  const [sections, setSections] = useState<string[]>([
-    'executive_summary',
-    'cross_platform_summary',
-    'resource_sections',
-    'methodology'
-  ]);
-  const [selectedResourceKeys, setSelectedResourceKeys] = useState<string[]>([]);
-  const [formError, setFormError] = useState('');
-
-  const resources = useMemo(
-    () =>
-      providers.flatMap((provider) => {
-        if (!['tiktok', 'youtube', 'facebook_pages', 'instagram', 'google_analytics_4'].includes(provider.id))
-          return [];
-        return (provider.connections || [])
-          .filter(
-            (connection) =>
-              Boolean(connection.id) && !['disconnected', 'revoked', 'disabled'].includes(connection.status)
-          )
-          .map((connection) => ({
-            key: `${provider.id}:${connection.id}`,
-            provider: provider.id as OverviewProvider,
-            providerName: provider.name,
-            connectionId: connection.id as string,
-            name:
-              connection.account?.display_name ||
-              connection.account?.username ||
-              connection.account?.id ||
-              provider.resourceName,
-            resourceId: connection.account?.id || '',
-            status: connection.status,
-            dataThrough: connection.data_through_at || null
-          }));
-      }),
-    [providers]
+  const role = workspace.role;
+  const canManage = workspaceCan(workspace, 'manageMembers');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState<Exclude<Role, 'owner'>>(
+    workspace.organization_default_invitation_role || 'viewer'
   );
-
-  if (!roleCanReport(role)) {
-    return (
-      <section className="empty-band" aria-labelledby="reports-permission-title">
-        <Lock size={24} aria-hidden />
-        <div>
-          <h2 id="reports-permission-title">Reports require Analyst access</h2>
-          <p className="muted">
-            Ask a workspace owner or admin to change your role before creating or downloading reports.
-          </p>
-        </div>
-      </section>
-    );
-  }
-
-  if (!configuration) {
-    return <StateBanner state="loading" />;
-  }
-
-  if (!configuration.enabled || !configuration.ready) {
-    return (
-      <section className="empty-band" aria-labelledby="reports-configuration-title">
-        <AlertCircle size={24} aria-hidden />
-        <div>
-          <h2 id="reports-configuration-title">PDF reports are unavailable</h2>
-          <p className="muted">Report generation and private storage are not available for this environment.</p>
-        </div>
-      </section>
-    );
-  }
-  const activeReportConfiguration = configuration;
-
-  const selectedResources = resources.filter((resource) => selectedResourceKeys.includes(resource.key));
-  const sectionLabels: Record<string, string> = {
-    executive_summary: 'Executive summary',
-    cross_platform_summary: 'Cross-platform summary',
-    resource_sections: 'Provider and resource detail',
-    methodology: 'Methodology and data notes'
-  };
-
-  function requestFromForm(): ReportRequest | null {
-    setFormError('');
-    if (!title.trim()) {
-      setFormError('Enter a report title.');
-      return null;
-    }
-    if (selectedResources.length < 1) {
-      setFormError('Select at least one connected resource.');
-      return null;
-    }
-    if (selectedResources.length > activeReportConfiguration.max_resources) {
-      setFormError(`Select no more than ${activeReportConfiguration.max_resources} resources.`);
-      return null;
-    }
-    if (reportRange === 'custom' && (!from || !to || new Date(from) > new Date(to))) {
-      setFormError('Choose a valid custom date range.');
-      return null;
-    }
-    return {
-      title: title.trim(),
-      subtitle: subtitle.trim(),
-      timezone,
-      range: reportRange,
-      ...(reportRange === 'custom' ? { from, to } : {}),
-      comparison_enabled: comparisonEnabled,
-      sections,
-      resources: selectedResources.map((resource) => ({
-        provider: resource.provider,
-        connection_id: resource.connectionId
-      }))
-    };
-  }
-
-  async function previewReport() {
-    const request = requestFromForm();
-    if (request) await onPreview(request);
-  }
-
-  async function generateReport() {
-    const request = requestFromForm();
-    if (request) await onGenerate(request);
-  }
-
   return (
-    <div className="reports-layout">
-      <section className="panel report-builder" aria-labelledby="report-builder-title">
-        <div className="panel-title between">
-          <div>
-            <p className="eyebrow">Stored-data export</p>
-            <h2 id="report-builder-title">Create PDF report</h2>
-            <p>Choose explicit connected resources. Generation runs securely in the background.</p>
-          </div>
-          <span className="status-badge ready">7-day retention</span>
-        </div>
-
-        <div className="report-form-grid">
-          <label>
-            Report title
-            <input maxLength={180} value={title} onChange={(event) => setTitle(event.target.value)} />
-          </label>
-          <label>
-            Report timezone
-            <input maxLength={64} value={timezone} onChange={(event) => setTimezone(event.target.value)} />
-          </label>
-          <label className="report-subtitle-field">
-            Subtitle
-            <textarea maxLength={300} rows={3} value={subtitle} onChange={(event) => setSubtitle(event.target.value)} />
-          </label>
+    <section className="panel" aria-labelledby="members-title">
+      <div className="panel-title between">
+        <div>
+          <h2 id="members-title">Members</h2>
+          <p>Invite teammates and choose the access each person needs.</p>
         </div>
-
-        <fieldset className="report-fieldset">
-          <legend>Date range</legend>
-          <div className="segmented" aria-label="Report date range">
-            {(['7d', '30d', '90d', 'custom'] as RangeKey[]).map((value) => (
-              <button
-                key={value}
-                type="button"
-                className={reportRange === value ? 'active' : ''}
-                onClick={() => setReportRange(value)}
-              >
-                {value === 'custom' ? 'Custom' : value.toUpperCase()}
-              </button>
-            ))}
-          </div>
-          {reportRange === 'custom' && (
-            <div className="date-pair">
-              <label>
-                From
-                <input type="date" value={from} onChange={(event) => setFrom(event.target.value)} />
-              </label>
-              <label>
-                To
-                <input type="date" value={to} onChange={(event) => setTo(event.target.value)} />
-              </label>
-            </div>
-          )}
-          <label className="toggle">
+      </div>
+      <form
+        className="toolbar"
+        onSubmit={(event) => {
+          event.preventDefault();
+          if (inviteEmail.trim()) {
+            onInvite(inviteEmail.trim(), inviteRole);
+            setInviteEmail('');
+          }
+        }}
+      >
+        <label>
+          Invite email
+          <input
+            value={inviteEmail}
+            onChange={(event) => setInviteEmail(event.target.value)}
+            type="email"
+            disabled={!canManage || busy}
+            placeholder="teammate@example.com"
+          />
+        </label>
+        <label>
+          Role
+          <select
+            value={inviteRole}
+            onChange={(event) => setInviteRole(event.target.value as Exclude<Role, 'owner'>)}
+            disabled={!canManage || busy}
+          >
+            <option value="viewer">Viewer</option>
+            <option value="analyst">Analyst</option>
+            <option value="admin">Admin</option>
+          </select>
+        </label>
+        <button type="submit" disabled={!canManage || busy || !inviteEmail.trim()}>
+          <UserPlus size={18} aria-hidden /> Invite
+        </button>
+      </form>
+      {security && (
+        <div className="settings-list">
+          <label>
             <input
               type="checkbox"
-              checked={comparisonEnabled}
-              onChange={(event) => setComparisonEnabled(event.target.checked)}
-            />
-            Compare with the previous period where a stored baseline exists
+              checked={security.require_two_factor}
+              disabled={role !== 'owner' || busy}
+              onChange={(event) => onRequireTwoFactor(event.target.checked)}
+            />{' '}
+            Require two-step verification for owners and admins
           </label>
-        </fieldset>
-
-        <fieldset className="report-fieldset">
-          <legend>Resources</legend>
-          {resources.length === 0 ? (
-            <p className="muted">Connect and select at least one provider resource before creating a report.</p>
-          ) : (
-            <div className="report-resource-list">
-              {resources.map((resource) => (
-                <label className="report-resource-option" key={resource.key}>
-                  <input
-                    type="checkbox"
-                    aria-label={`Include ${resource.name} from ${resource.providerName}`}
-                    checked={selectedResourceKeys.includes(resource.key)}
-                    onChange={(event) =>
-                      setSelectedResourceKeys((current) =>
-                        event.target.checked
-                          ? [...current, resource.key]
-                          : current.filter((key) => key !== resource.key)
-                      )
+          <span className="muted">
+            {security.privileged_members_without_second_factor
+              ? `${security.privileged_members_without_second_factor} of ${security.privileged_members} owners and admins have not set up two-step verification.`
+              : 'Every owner and admin has set up two-step verification.'}{' '}
+            Removing members, disconnecting providers, and deleting the workspace need a verification from the last{' '}
+            {Math.round(security.step_up_max_age_seconds / 60)} minutes.
+          </span>
+        </div>
+      )}
+      <div className="table-wrap">
+        <table>
+          <thead>
+            <tr>
+              <th scope="col">Member</th>
+              <th scope="col">Role</th>
+              <th scope="col">Effective permissions</th>
+              <th scope="col">Resource access</th>
+              <th scope="col">Status</th>
+              <th scope="col">Two-step</th>
+              <th scope="col">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {members.map((member) => (
+              <tr key={member.user_id}>
+                <td data-label="Member">
+                  {member.email}
+                  {member.scim_provisioned && <small className="muted"> · SCIM</small>}
+                  {member.organization_managed && <small className="muted"> · {workspace.organization_name}</small>}
+                </td>
+                <td data-label="Role">
+                  <select
+                    value={member.custom_role ? `custom:${member.custom_role.id}` : member.role}
+                    aria-label={`Role for ${member.email}`}
+                    title={
+                      member.organization_managed
+                        ? 'Inherited from the organization'
+                        : member.scim_group_role
+                          ? 'Set by an identity provider group'
+                          : undefined
+                    }
+                    disabled={
+                      !canManage ||
+                      busy ||
+                      Boolean(member.scim_group_role) ||
+                      Boolean(member.organization_managed) ||
+                      (member.role === 'owner' && role !== 'owner')
                     }
+                    onChange={(event) => onRoleChange(member, event.target.value)}
+                  >
+                    {(role === 'owner' || member.role === 'owner') && <option value="owner">Owner</option>}
+                    <option value="admin">Admin</option>
+                    <option value="analyst">Analyst</option>
+                    <option value="viewer">Viewer</option>
+                    {customRoles.length > 0 && (
+                      <optgroup label="Custom roles">
+                        {customRoles.map((customRole) => (
+                          <option key={customRole.id} value={`custom:${customRole.id}`}>
+                            {customRole.name}
+                          </option>
+                        ))}
+                      </optgroup>
+                    )}
+                  </select>
+                </td>
+                <td data-label="Effective permissions">
+                  <small>{capabilitySummary(member.capabilities || roleCapabilities[member.role] || [])}</small>
+                </td>
+                <td data-label="Resource access">
+                  <MemberResourceAccess
+                    key={`${member.role}:${member.resource_scope?.restricted}:${member.resource_scope?.connection_ids.join(',')}`}
+                    member={member}
+                    connections={connections}
+                    disabled={!canManage || busy}
+                    onSave={(scope) => onResourcesChange(member, scope)}
                   />
-                  <span>
-                    <strong>{resource.name}</strong>
-                    <small>
-                      {resource.providerName} · {resource.status.replace(/_/g, ' ')}
-                      {resource.dataThrough
-                        ? ` · data through ${formatDate(resource.dataThrough, { dateStyle: 'medium' })}`
-                        : ''}
-                    </small>
-                  </span>
-                </label>
-              ))}
-            </div>
-          )}
-        </fieldset>
-
-        <fieldset className="report-fieldset">
-          <legend>Sections</legend>
-          <div className="report-section-list">
-            {Object.entries(sectionLabels).map(([key, label]) => (
-              <label className="toggle" key={key}>
-                <input
-                  type="checkbox"
-                  checked={sections.includes(key)}
-                  disabled={key === 'resource_sections'}
-                  onChange={(event) =>
-                    setSections((current) =>
-                      event.target.checked ? [...current, key] : current.filter((section) => section !== key)
-                    )
-                  }
-                />
-                {label}
-              </label>
+                </td>
+                <td data-label="Status">
+                  <StatusBadge status={member.status || 'active'} />
+                </td>
+                <td data-label="Two-step">{member.two_factor_enabled ? 'On' : 'Off'}</td>
+                <td data-label="Actions">
+                  <button
+                    type="button"
+                    className="ghost-button"
+                    disabled={
+                      !canManage ||
+                      busy ||
+                      Boolean(member.organization_managed) ||
+                      (member.role === 'owner' && role !== 'owner')
+                    }
+                    onClick={() => onRemove(member)}
+                  >
+                    <Trash2 size={16} aria-hidden /> Remove
+                  </button>
+                </td>
+              </tr>
             ))}
-          </div>
-        </fieldset>
+          </tbody>
+        </table>
+      </div>
+      <h3>Invitations</h3>
+      <div className="invitation-list">
+        {invitations.map((invitation) => {
+          const status = invitationStatus(invitation);
+          const pending = status === 'pending' || status === 'expired';
+          return (
+            <article className="invitation-row" key={invitation.id}>
+              <div>
+                <strong>{invitation.email}</strong>
+                <p>
+                  {invitation.role} · sent {formatDate(invitation.last_sent_at || invitation.created_at)} ·{' '}
+                  {invitation.send_count} attempt{invitation.send_count === 1 ? '' : 's'}
+                </p>
+              </div>
+              <StatusBadge status={status} />
+              <div className="button-row">
+                <button
+                  type="button"
+                  className="ghost-button"
+                  disabled={!canManage || busy || !pending}
+                  onClick={() => onResendInvitation(invitation)}
+                >
+                  Resend
+                </button>
+                <button
+                  type="button"
+                  className="ghost-button"
+                  disabled={!canManage || busy || !pending}
+                  onClick={() => onRevokeInvitation(invitation)}
+                >
+                  Revoke
+                </button>
+              </div>
+            </article>
+          );
+        })}
+        {invitations.length === 0 && <div className="table-empty compact-empty">No invitations yet.</div>}
+      </div>
+      {!canManage && <div className="table-empty">Member management requires owner or admin access.</div>}
+    </section>
+  );
+}
 
-        {formError && (
-          <p className="form-error" role="alert">
-            {formError}
+function WorkspaceCustomRoles({
+  roles,
+  busy,
+  onSave,
+  onDelete
+}: {
+  roles: WorkspaceRoles;
+  busy: boolean;
+  onSave: (draft: CustomRoleDraft) => Promise<boolean>;
+  onDelete: (role: CustomRole) => void;
+}) {
+  const [draft, setDraft] = useState<CustomRoleDraft>(emptyCustomRoleDraft);
+  const toggleGrant = (grant: string, checked: boolean) =>
+    setDraft((current) => ({
+      ...current,
+      capabilities: checked ? [...current.capabilities, grant] : current.capabilities.filter((item) => item !== grant)
+    }));
+  const atLimit = !draft.id && roles.roles.length >= roles.max_roles;
+  return (
+    <section className="panel" aria-labelledby="custom-roles-title">
+      <div className="panel-title">
+        <div>
+          <h2 id="custom-roles-title">Custom roles</h2>
+          <p>
+            Grant exactly the capabilities a teammate or client needs, optionally limited to specific providers. Custom
+            roles cannot manage members, security, retention, or workspace deletion.
           </p>
-        )}
-        <div className="button-row start">
-          <button
-            type="button"
-            className="ghost-button"
-            disabled={busy || resources.length === 0}
-            onClick={previewReport}
-          >
-            <Search size={18} aria-hidden />
-            Preview outline
-          </button>
-          <button type="button" disabled={busy || resources.length === 0} onClick={generateReport}>
-            {busy ? <Loader2 className="spin" size={18} aria-hidden /> : <FileText size={18} aria-hidden />}
-            Generate PDF
-          </button>
         </div>
-      </section>
-
-      {preview && (
-        <section className="panel report-preview" aria-labelledby="report-preview-title">
-          <div className="panel-title between">
-            <div>
-              <p className="eyebrow">Preview</p>
-              <h2 id="report-preview-title">{preview.title}</h2>
-              <p>
-                {preview.range.from} to {preview.range.to} · {preview.timezone}
-              </p>
-            </div>
-            <span className="status-badge ready">About {preview.estimated_page_count} pages</span>
-          </div>
-          <div className="report-preview-grid">
-            <div>
-              <h3>Sections</h3>
-              <ul>
-                {preview.sections
-                  .filter((section) => section.included)
-                  .map((section) => (
-                    <li key={section.key}>{sectionLabels[section.key] || section.key}</li>
-                  ))}
-              </ul>
-            </div>
-            <div>
-              <h3>Selected resources</h3>
-              <ul>
-                {preview.resources.map((resource) => (
-                  <li key={`${resource.provider}:${resource.connection_id}`}>
-                    {resource.provider_name} · {resource.resource_name} · {resource.available_metric_count} available
-                    metrics
-                  </li>
-                ))}
-              </ul>
-            </div>
-          </div>
-          <p className="muted">
-            The final artifact uses the immutable stored snapshot captured when generation is queued.
-          </p>
-        </section>
-      )}
-
-      <section className="panel" aria-labelledby="report-history-title">
-        <div className="panel-title between">
-          <div>
-            <p className="eyebrow">Report history</p>
-            <h2 id="report-history-title">Generated reports</h2>
-            <p>Queued and running reports refresh automatically.</p>
-          </div>
-          {reports.some((report) => report.status === 'queued' || report.status === 'running') && (
-            <span className="status-badge pending">
-              <Loader2 className="spin" size={14} aria-hidden /> Preparing
-            </span>
+      </div>
+      <form
+        className="stack"
+        onSubmit={(event) => {
+          event.preventDefault();
+          void onSave(draft).then((saved) => {
+            if (saved) setDraft(emptyCustomRoleDraft);
+          });
+        }}
+      >
+        <label>
+          Name
+          <input
+            value={draft.name}
+            maxLength={80}
+            onChange={(event) => setDraft((current) => ({ ...current, name: event.target.value }))}
+            placeholder="Client reviewer"
+            disabled={busy}
+          />
+        </label>
+        <label>
+          Description
+          <input
+            value={draft.description}
+            maxLength={255}
+            onChange={(event) => setDraft((current) => ({ ...current, description: event.target.value }))}
+            disabled={busy}
+          />
+        </label>
+        {roles.capabilities.map((capability) => {
+          const allProviders = draft.capabilities.includes(capability.id);
+          return (
+            <fieldset key={capability.id} className="webhook-events">
+              <legend>{capabilityLabels[capability.id] || capability.id}</legend>
+              <label className="toggle">
+                <input
+                  type="checkbox"
+                  checked={allProviders}
+                  onChange={(event) => toggleGrant(capability.id, event.target.checked)}
+                  disabled={busy}
+                />
+                {capability.provider_scoped ? 'All providers' : 'Allowed'}
+              </label>
+              {capability.provider_scoped &&
+                roles.providers.map((provider) => {
+                  const grant = `${capability.id}:${provider.id}`;
+                  return (
+                    <label key={grant} className="toggle">
+                      <input
+                        type="checkbox"
+                        checked={allProviders || draft.capabilities.includes(grant)}
+                        onChange={(event) => toggleGrant(grant, event.target.checked)}
+                        disabled={busy || allProviders}
+                      />
+                      {provider.name}
+                    </label>
+                  );
+                })}
+            </fieldset>
+          );
+        })}
+        <div className="button-row start">
+          <button type="submit" disabled={busy || atLimit || !draft.name.trim() || draft.capabilities.length === 0}>
+            <ShieldCheck size={18} aria-hidden /> {draft.id ? 'Save role' : 'Create role'}
+          </button>
+          {draft.id && (
+            <button
+              type="button"
+              className="ghost-button"
+              disabled={busy}
+              onClick={() => setDraft(emptyCustomRoleDraft)}
+            >
+              Cancel
+            </button>
           )}
         </div>
-        {reports.length === 0 ? (
-          <div className="empty-band">
-            <FileText size={22} aria-hidden />
-            <p>No reports have been generated for this workspace.</p>
-          </div>
-        ) : (
-          <div className="report-history-list">
-            {reports.map((report) => (
-              <article className="report-history-item" key={report.id}>
-                <div className="report-history-heading">
-                  <div>
-                    <h3>{report.title}</h3>
-                    <p className="muted">
-                      {report.range.from} to {report.range.to} · {report.resources.length} resource
-                      {report.resources.length === 1 ? '' : 's'} · queued {formatDate(report.queued_at)}
-                    </p>
+      </form>
+      <div className="table-wrap">
+        <table>
+          <thead>
+            <tr>
+              <th scope="col">Role</th>
+              <th scope="col">Capabilities</th>
+              <th scope="col">Members</th>
+              <th scope="col">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {roles.roles.map((customRole) => (
+              <tr key={customRole.id}>
+                <td data-label="Role">
+                  {customRole.name}
+                  {customRole.description && <small>{customRole.description}</small>}
+                </td>
+                <td data-label="Capabilities">
+                  <small>{capabilitySummary(customRole.capabilities)}</small>
+                </td>
+                <td data-label="Members">{customRole.member_count}</td>
+                <td data-label="Actions">
+                  <div className="button-row start">
+                    <button
+                      type="button"
+                      className="ghost-button"
+                      disabled={busy}
+                      onClick={() =>
+                        setDraft({
+                          id: customRole.id,
+                          name: customRole.name,
+                          description: customRole.description || '',
+                          capabilities: customRole.capabilities
+                        })
+                      }
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      className="ghost-button"
+                      disabled={busy || customRole.member_count > 0}
+                      title={customRole.member_count > 0 ? 'Reassign its members before deleting this role' : undefined}
+                      onClick={() => onDelete(customRole)}
+                    >
+                      <Trash2 size={16} aria-hidden /> Delete
+                    </button>
                   </div>
-                  <span
-                    className={`status-badge ${report.status === 'completed' ? 'ready' : report.status === 'running' ? 'connecting' : report.status === 'queued' ? 'pending' : report.status}`}
-                  >
-                    {report.status === 'running' ? `${report.progress_percent}% running` : report.status}
-                  </span>
-                </div>
-                <div className="report-history-meta">
-                  {report.artifact ? (
-                    <span>
-                      {report.artifact.page_count} pages · {(report.artifact.byte_size / 1024).toFixed(1)} KB
-                    </span>
-                  ) : report.failure_code ? (
-                    <span>{reportFailureMessage(report)}</span>
-                  ) : (
-                    <span>The report is still being prepared.</span>
-                  )}
-                  {report.expires_at && report.status === 'completed' && (
-                    <span>Expires {formatDate(report.expires_at)}</span>
-                  )}
-                </div>
-                <div className="button-row start">
-                  <button
-                    type="button"
-                    disabled={busy || report.status !== 'completed' || !report.artifact}
-                    onClick={() => void onDownload(report)}
-                  >
-                    <Download size={17} aria-hidden />
-                    Download
-                  </button>
-                  <button type="button" className="danger" disabled={busy} onClick={() => void onDelete(report)}>
-                    <Trash2 size={17} aria-hidden />
-                    Delete
-                  </button>
-                </div>
-              </article>
+                </td>
+              </tr>
             ))}
-          </div>
+          </tbody>
+        </table>
+        {roles.roles.length === 0 && (
+          <div className="table-empty compact-empty">No custom roles yet. Members use the built-in roles.</div>
         )}
-      </section>
-    </div>
+      </div>
+    </section>
   );
 }
 
-function Connections({
+function WorkspaceSsoSettings({
   role,
-  dashboard,
-  providers,
+  sso,
   busy,
-  disconnectTarget,
-  onTikTokConnect,
-  onYouTubeConnect,
-  onYouTubeSelect,
-  onYouTubeSync,
-  onGoogleAnalyticsConnect,
-  onGoogleAnalyticsSelect,
-  onGoogleAnalyticsSync,
-  onMetaConnect,
-  onMetaSelect,
-  onMetaSync,
-  onDisconnectRequest,
-  onDisconnectCancel,
-  onDisconnectConfirm
+  onSave,
+  onRemove,
+  onAddDomain,
+  onVerifyDomain,
+  onRemoveDomain
 }: {
   role: Role;
-  dashboard: DashboardData | null;
-  providers: ProviderCatalogItem[];
+  sso: WorkspaceSso;
   busy: boolean;
-  disconnectTarget: DisconnectTarget | null;
-  onTikTokConnect: () => void;
-  onYouTubeConnect: (connectionId?: string) => void;
-  onYouTubeSelect: (resourceId: string) => void;
-  onYouTubeSync: (connectionId?: string) => void;
-  onGoogleAnalyticsConnect: (connectionId?: string) => void;
-  onGoogleAnalyticsSelect: (resourceId: string) => void;
-  onGoogleAnalyticsSync: (connectionId?: string) => void;
-  onMetaConnect: (provider: 'facebook' | 'instagram', connectionId?: string) => void;
-  onMetaSelect: (provider: 'facebook' | 'instagram', resourceId: string) => void;
-  onMetaSync: (provider: 'facebook_pages' | 'instagram', connectionId?: string) => void;
-  onDisconnectRequest: (target: DisconnectTarget) => void;
-  onDisconnectCancel: () => void;
-  onDisconnectConfirm: () => void;
+  onSave: (body: Record<string, unknown>) => void;
+  onRemove: () => void;
+  onAddDomain: (domain: string) => void;
+  onVerifyDomain: (domain: SsoDomain) => void;
+  onRemoveDomain: (domain: SsoDomain) => void;
 }) {
-  const allowed = roleCanManage(role);
-  const latestError = dashboard?.latest_sync?.error_category;
-  const catalog = providers.length > 0 ? providers : [];
-  const orderedCatalog = [...catalog].sort((left, right) => {
-    if (left.id === 'facebook_pages' && right.id === 'instagram') return -1;
-    if (left.id === 'instagram' && right.id === 'facebook_pages') return 1;
-    return 0;
-  });
+  const canEdit = role === 'owner';
+  const connection = sso.connection;
+  const [protocol, setProtocol] = useState<'oidc' | 'saml'>(connection?.protocol || 'oidc');
+  const [displayName, setDisplayName] = useState(connection?.display_name || '');
+  const [issuer, setIssuer] = useState(connection?.oidc_issuer || '');
+  const [clientId, setClientId] = useState(connection?.oidc_client_id || '');
+  const [clientSecret, setClientSecret] = useState('');
+  const [metadataXml, setMetadataXml] = useState('');
+  const [domain, setDomain] = useState('');
+  const verifiedDomains = sso.domains.filter((item) => item.verified).length;
+
+  function saveConnection(event: React.FormEvent) {
+    event.preventDefault();
+    const body: Record<string, unknown> = { protocol, display_name: displayName.trim() };
+    if (protocol === 'oidc') {
+      body.issuer = issuer.trim();
+      body.client_id = clientId.trim();
+      if (clientSecret) body.client_secret = clientSecret;
+    } else if (metadataXml.trim()) {
+      body.metadata_xml = metadataXml;
+    }
+    onSave(body);
+    setClientSecret('');
+    setMetadataXml('');
+  }
+
   return (
-    <section className="panel" aria-labelledby="connection-title">
-      <div className="panel-title">
+    <section className="panel" aria-labelledby="sso-title">
+      <div className="panel-title between">
         <div>
-          <h2 id="connection-title">Connections</h2>
-          <p>Choose the accounts and properties whose analytics should appear in this workspace.</p>
+          <h2 id="sso-title">Single sign-on</h2>
+          <p>Let people with a verified company email sign in through your identity provider.</p>
         </div>
+        {connection && <StatusBadge status={connection.status} />}
       </div>
-      <div className="provider-list">
-        {orderedCatalog.map((provider) => {
-          const providerStatus = provider.connection?.status || provider.status;
-          const isTikTok = provider.id === 'tiktok';
-          const isYouTube = provider.id === 'youtube';
-          const isFacebook = provider.id === 'facebook_pages';
-          const isInstagram = provider.id === 'instagram';
-          const isMeta = isFacebook || isInstagram;
-          const isGoogleAnalytics = provider.id === 'google_analytics_4';
-          const metaPath = isFacebook ? 'facebook' : 'instagram';
-          const canConnect = allowed && provider.connectable;
-          const canDisconnect = allowed && (isTikTok || isMeta) && provider.connection?.status !== 'disconnected';
-          const youtubeConnections = provider.connections || [];
-          const metaConnections = isMeta ? provider.connections || [] : [];
-          const googleAnalyticsConnections = isGoogleAnalytics ? provider.connections || [] : [];
-          const unselectedResources = (provider.resources || []).filter((resource) => !resource.selected);
-          const grantedScopes = (provider.authorization?.scopes || [])
-            .filter((scope) => scope.status === 'granted')
-            .map((scope) => scope.scope);
-          const canStartYouTube =
-            isYouTube && canConnect && (!provider.authorization || (provider.resources || []).length === 0);
-          const canStartGoogleAnalytics =
-            isGoogleAnalytics && canConnect && (!provider.authorization || (provider.resources || []).length === 0);
-          const canStartMeta = isMeta && canConnect && provider.status !== 'authorizing';
-          return (
-            <article key={provider.id} className="provider-row">
-              <div className="provider-main">
-                <div className="provider-heading">
-                  <strong>{provider.name}</strong>
-                  <StatusBadge status={providerStatus} />
-                </div>
-                <p className="muted">{provider.resourceName}</p>
-                {provider.connection?.account && (
-                  <p className="muted">
-                    Connected resource:{' '}
-                    {provider.connection.account.display_name ||
-                      provider.connection.account.username ||
-                      provider.connection.account.id}
-                  </p>
-                )}
-                {provider.connection?.reconnect_reason && !isYouTube && (
-                  <p className="notice error">This connection needs attention before syncing can continue.</p>
-                )}
-                {!provider.implemented && <p className="muted">This analytics source is not available yet.</p>}
-                {(isYouTube || isMeta || isGoogleAnalytics) &&
-                  provider.configuration?.warnings.map((warning) => (
-                    <p key={warning} className="notice error">
-                      This connection is temporarily unavailable because its setup is incomplete. Contact support if you
-                      need access.
-                    </p>
-                  ))}
-                {isYouTube && provider.status === 'no_channels' && (
-                  <p className="notice">Google returned no channels accessible to this authorization.</p>
-                )}
-                {isYouTube && provider.status === 'authorization_denied' && (
-                  <p className="notice">Authorization was cancelled. No YouTube data was accessed.</p>
-                )}
-                {isYouTube && provider.status === 'missing_scopes' && (
-                  <p className="notice error">
-                    Not all required YouTube analytics access was approved. Authorize again and review each requested
-                    item.
-                  </p>
-                )}
-                {isYouTube && provider.status === 'provider_error' && (
-                  <p className="notice error">The latest authorization attempt failed at Google or YouTube.</p>
-                )}
-                {isGoogleAnalytics && provider.status === 'no_properties' && (
-                  <p className="notice">Google returned no GA4 properties with usable timezone and currency details.</p>
-                )}
-                {isGoogleAnalytics && provider.status === 'authorization_denied' && (
-                  <p className="notice">Authorization was cancelled. No Google Analytics data was accessed.</p>
-                )}
-                {isGoogleAnalytics && provider.status === 'missing_scopes' && (
-                  <p className="notice error">
-                    Google did not grant the exact analytics.readonly permission. Authorize again to continue.
-                  </p>
-                )}
-                {isGoogleAnalytics && provider.status === 'provider_error' && (
-                  <p className="notice error">The latest Google Analytics authorization attempt failed.</p>
-                )}
-                {isMeta && provider.status === 'no_resources' && (
-                  <p className="notice">No eligible Pages or professional accounts were available to select.</p>
-                )}
-                {isMeta && provider.status === 'authorization_denied' && (
-                  <p className="notice">Authorization was cancelled. No Meta data was accessed.</p>
-                )}
-                {isMeta && provider.status === 'missing_scopes' && (
-                  <p className="notice error">
-                    Not all required analytics access was approved. Authorize again and review each requested item.
-                  </p>
-                )}
-                {isMeta && provider.status === 'provider_error' && (
-                  <p className="notice error">
-                    The latest Meta authorization attempt failed without creating a connection.
-                  </p>
-                )}
-                {isTikTok && latestError === 'scope' && (
-                  <p className="notice error">TikTok needs additional analytics access before syncing can continue.</p>
-                )}
-                <div className="scope-list" aria-label={`${provider.name} analytics access`}>
-                  {providerAccessLabels(provider.id).map((label) => (
-                    <span key={label}>Read: {label}</span>
-                  ))}
-                </div>
-                {(isYouTube || isMeta || isGoogleAnalytics) && provider.authorization && grantedScopes.length === 0 && (
-                  <p className="muted">Analytics access has not been granted.</p>
+      {sso.service_provider && (
+        <div className="settings-list">
+          <span>
+            OpenID Connect redirect URI: <code>{sso.service_provider.oidc_redirect_uri}</code>
+          </span>
+          <span>
+            SAML entity ID and metadata: <code>{sso.service_provider.saml_metadata_url}</code>
+          </span>
+          <span>
+            SAML assertion consumer service: <code>{sso.service_provider.saml_acs_url}</code>
+          </span>
+        </div>
+      )}
+      <form className="stack" onSubmit={saveConnection}>
+        <label>
+          Protocol
+          <select
+            value={protocol}
+            onChange={(event) => setProtocol(event.target.value as 'oidc' | 'saml')}
+            disabled={!canEdit || busy}
+          >
+            <option value="oidc">OpenID Connect</option>
+            <option value="saml">SAML 2.0</option>
+          </select>
+        </label>
+        <label>
+          Button label
+          <input
+            value={displayName}
+            onChange={(event) => setDisplayName(event.target.value)}
+            placeholder="Company sign-in"
+            maxLength={120}
+            disabled={!canEdit || busy}
+          />
+        </label>
+        {protocol === 'oidc' ? (
+          <>
+            <label>
+              Issuer URL
+              <input
+                value={issuer}
+                onChange={(event) => setIssuer(event.target.value)}
+                placeholder="https://login.example.com"
+                type="url"
+                disabled={!canEdit || busy}
+              />
+            </label>
+            <label>
+              Client ID
+              <input
+                value={clientId}
+                onChange={(event) => setClientId(event.target.value)}
+                disabled={!canEdit || busy}
+              />
+            </label>
+            <label>
+              Client secret
+              <input
+                value={clientSecret}
+                onChange={(event) => setClientSecret(event.target.value)}
+                type="password"
+                autoComplete="off"
+                placeholder={
+                  connection?.oidc_client_secret_set ? 'Stored; leave blank to keep it' : 'Optional for public clients'
+                }
+                disabled={!canEdit || busy}
+              />
+            </label>
+          </>
+        ) : (
+          <label>
+            Identity provider metadata XML
+            <textarea
+              value={metadataXml}
+              onChange={(event) => setMetadataXml(event.target.value)}
+              rows={6}
+              placeholder={
+                connection?.protocol === 'saml'
+                  ? `Current: ${connection.saml_entity_id}. Paste new metadata to replace it.`
+                  : '<md:EntityDescriptor …>'
+              }
+              disabled={!canEdit || busy}
+            />
+          </label>
+        )}
+        <div className="button-row">
+          <button type="submit" disabled={!canEdit || busy || !displayName.trim()}>
+            <Lock size={18} aria-hidden /> Save connection
+          </button>
+          {connection && (
+            <>
+              <button
+                type="button"
+                className="ghost-button"
+                disabled={!canEdit || busy}
+                onClick={() => onSave({ status: connection.status === 'active' ? 'disabled' : 'active' })}
+              >
+                {connection.status === 'active' ? 'Disable' : 'Enable'}
+              </button>
+              <button type="button" className="ghost-button" disabled={!canEdit || busy} onClick={onRemove}>
+                <Trash2 size={16} aria-hidden /> Remove
+              </button>
+            </>
+          )}
+        </div>
+      </form>
+      {connection && (
+        <div className="settings-list">
+          <label>
+            <input
+              type="checkbox"
+              checked={connection.require_sso}
+              disabled={
+                !canEdit || busy || (!connection.require_sso && (connection.status !== 'active' || !verifiedDomains))
+              }
+              onChange={(event) => onSave({ require_sso: event.target.checked })}
+            />{' '}
+            Require single sign-on for admins, analysts, and viewers
+          </label>
+          <span className="muted">
+            Owners can still open the workspace with other sign-in methods so the connection can be repaired.
+            {verifiedDomains ? '' : ' Verify a domain before requiring single sign-on.'}
+          </span>
+        </div>
+      )}
+      <h3>Domains</h3>
+      <form
+        className="toolbar"
+        onSubmit={(event) => {
+          event.preventDefault();
+          if (domain.trim()) {
+            onAddDomain(domain.trim());
+            setDomain('');
+          }
+        }}
+      >
+        <label>
+          Email domain
+          <input
+            value={domain}
+            onChange={(event) => setDomain(event.target.value)}
+            placeholder="example.com"
+            disabled={!canEdit || busy}
+          />
+        </label>
+        <button type="submit" disabled={!canEdit || busy || !domain.trim()}>
+          Add domain
+        </button>
+      </form>
+      <div className="session-list">
+        {sso.domains.map((item) => (
+          <article className="session-row" key={item.id}>
+            <div>
+              <strong>{item.domain}</strong>
+              <p>
+                {item.verified ? (
+                  `Verified ${formatDate(item.verified_at)}`
+                ) : (
+                  <>
+                    Add a {item.verification_record.type} record named <code>{item.verification_record.name}</code> with
+                    the value <code>{item.verification_record.value}</code>
+                    {item.last_checked_at ? ` · last checked ${formatDate(item.last_checked_at)}` : ''}
+                  </>
                 )}
+              </p>
+            </div>
+            <div className="button-row">
+              {!item.verified && (
+                <button
+                  type="button"
+                  className="ghost-button"
+                  disabled={!canEdit || busy}
+                  onClick={() => onVerifyDomain(item)}
+                >
+                  <RefreshCw size={16} aria-hidden /> Verify
+                </button>
+              )}
+              <button
+                type="button"
+                className="ghost-button"
+                disabled={!canEdit || busy}
+                onClick={() => onRemoveDomain(item)}
+              >
+                <Trash2 size={16} aria-hidden /> Remove
+              </button>
+            </div>
+          </article>
+        ))}
+        {sso.domains.length === 0 && <div className="table-empty compact-empty">No domains yet.</div>}
+      </div>
+      {!canEdit && <div className="table-empty">Single sign-on settings require owner access.</div>}
+    </section>
+  );
+}
 
-                {isYouTube && unselectedResources.length > 0 && (
-                  <div className="resource-list" aria-label="YouTube channels available to connect">
-                    <h3>Available channels</h3>
-                    {unselectedResources.map((resource) => (
-                      <div key={resource.id} className="resource-row">
-                        <div className="channel-identity compact">
-                          {resource.thumbnail_url ? (
-                            <img src={resource.thumbnail_url} alt="" referrerPolicy="no-referrer" />
-                          ) : (
-                            <span className="channel-placeholder" aria-hidden>
-                              <Youtube size={18} />
-                            </span>
-                          )}
-                          <div>
-                            <strong>{resource.display_name}</strong>
-                            <small>{resource.provider_resource_id}</small>
-                            {Boolean(resource.attached_elsewhere_count) && (
-                              <small>
-                                Also connected in {resource.attached_elsewhere_count}{' '}
-                                {resource.attached_elsewhere_count === 1 ? 'workspace' : 'workspaces'} you can access
-                              </small>
-                            )}
-                          </div>
-                        </div>
-                        <button type="button" onClick={() => onYouTubeSelect(resource.id)} disabled={!allowed || busy}>
-                          <Link2 size={17} aria-hidden /> Select
-                        </button>
-                      </div>
-                    ))}
-                  </div>
-                )}
+function WorkspaceScimSettings({
+  role,
+  scim,
+  busy,
+  onCreateToken,
+  onRevokeToken,
+  onGroupRoleChange
+}: {
+  role: Role;
+  scim: WorkspaceScim;
+  busy: boolean;
+  onCreateToken: () => void;
+  onRevokeToken: () => void;
+  onGroupRoleChange: (group: ScimGroup, role: Role | null) => void;
+}) {
+  const canEdit = role === 'owner';
+  const token = scim.provisioning_token;
+  return (
+    <section className="panel" aria-labelledby="scim-title">
+      <div className="panel-title between">
+        <div>
+          <h2 id="scim-title">SCIM provisioning</h2>
+          <p>Let your identity provider add, update, and deactivate members. Roles follow the groups mapped below.</p>
+        </div>
+        <StatusBadge status={token ? 'active' : 'disabled'} />
+      </div>
+      <div className="settings-list">
+        <span>
+          SCIM base URL: <code>{scim.base_url}</code>
+        </span>
+        <span className="muted">
+          {scim.provisioned_users} provisioned member{scim.provisioned_users === 1 ? '' : 's'}.{' '}
+          {token
+            ? `Token ${token.token_prefix}… created ${formatDate(token.created_at)}${
+                token.last_used_at ? `, last used ${formatDate(token.last_used_at)}` : ', not used yet'
+              }.`
+            : 'No provisioning token yet.'}
+        </span>
+      </div>
+      {scim.token && (
+        <div className="webhook-secret" role="status">
+          <KeyRound size={18} aria-hidden />
+          <div>
+            <strong>New provisioning token</strong>
+            <code>{scim.token}</code>
+            <small>This token is shown once. Paste it into your identity provider's SCIM settings.</small>
+          </div>
+        </div>
+      )}
+      <div className="button-row">
+        <button type="button" disabled={!canEdit || busy} onClick={onCreateToken}>
+          <KeyRound size={18} aria-hidden /> {token ? 'Rotate token' : 'Create token'}
+        </button>
+        {token && (
+          <button type="button" className="ghost-button" disabled={!canEdit || busy} onClick={onRevokeToken}>
+            <Trash2 size={16} aria-hidden /> Revoke
+          </button>
+        )}
+      </div>
+      <h3>Groups</h3>
+      <div className="table-wrap">
+        <table>
+          <thead>
+            <tr>
+              <th scope="col">Group</th>
+              <th scope="col">Members</th>
+              <th scope="col">Grants role</th>
+            </tr>
+          </thead>
+          <tbody>
+            {scim.groups.map((group) => (
+              <tr key={group.id}>
+                <td data-label="Group">{group.display_name}</td>
+                <td data-label="Members">{group.member_count}</td>
+                <td data-label="Grants role">
+                  <select
+                    value={group.role || ''}
+                    aria-label={`Role granted by ${group.display_name}`}
+                    disabled={!canEdit || busy}
+                    onChange={(event) => onGroupRoleChange(group, (event.target.value || null) as Role | null)}
+                  >
+                    <option value="">No role</option>
+                    <option value="owner">Owner</option>
+                    <option value="admin">Admin</option>
+                    <option value="analyst">Analyst</option>
+                    <option value="viewer">Viewer</option>
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {scim.groups.length === 0 && (
+          <div className="table-empty compact-empty">Groups appear here once your identity provider pushes them.</div>
+        )}
+      </div>
+      {!canEdit && <div className="table-empty">SCIM settings require owner access.</div>}
+    </section>
+  );
+}
 
-                {isYouTube && youtubeConnections.length > 0 && (
-                  <div className="resource-list" aria-label="Connected YouTube channels">
-                    <h3>Connected channels</h3>
-                    {youtubeConnections.map((connection) => (
-                      <div key={connection.id || connection.account?.id} className="resource-row connection-resource">
-                        <div className="channel-identity compact">
-                          {connection.account?.thumbnail_url ? (
-                            <img src={connection.account.thumbnail_url} alt="" referrerPolicy="no-referrer" />
-                          ) : (
-                            <span className="channel-placeholder" aria-hidden>
-                              <Youtube size={18} />
-                            </span>
-                          )}
-                          <div>
-                            <strong>
-                              {connection.account?.display_name || connection.account?.id || 'YouTube channel'}
-                            </strong>
-                            <small>
-                              Last sync {formatDate(connection.last_successful_sync_at)}; data through{' '}
-                              {formatDate(connection.data_through_at, { dateStyle: 'medium' })}
-                            </small>
-                            {connection.reconnect_reason && (
-                              <small className="notice error">
-                                {connection.reconnect_reason.startsWith('quota:')
-                                  ? 'YouTube quota is currently exhausted; the stored dashboard remains available.'
-                                  : connection.reconnect_reason.startsWith('provider:') ||
-                                      connection.reconnect_reason.startsWith('timeout:') ||
-                                      connection.reconnect_reason.startsWith('network:')
-                                    ? 'YouTube is delayed; synchronization will retry within its bounded schedule.'
-                                    : 'This channel needs YouTube authorization before synchronization can resume.'}
-                              </small>
-                            )}
-                            <div className="capability-list" aria-label="Channel capabilities">
-                              {(connection.capabilities || []).map((capability) => (
-                                <span
-                                  key={capability.key}
-                                  className={capability.status === 'available' ? '' : 'delayed'}
-                                >
-                                  {capability.key.replaceAll('_', ' ')}: {capability.status}
-                                </span>
-                              ))}
-                            </div>
-                          </div>
-                        </div>
-                        <div className="button-row">
-                          <StatusBadge status={connection.status} />
-                          <button
-                            type="button"
-                            className="ghost-button"
-                            disabled={!roleCanSync(role) || connection.status !== 'active' || busy}
-                            onClick={() => onYouTubeSync(connection.id)}
-                            title="Sync this YouTube channel"
-                          >
-                            <RefreshCw size={17} aria-hidden /> Sync
-                          </button>
-                          <button
-                            type="button"
-                            disabled={!canConnect || busy}
-                            onClick={() => onYouTubeConnect(connection.id)}
-                          >
-                            <ExternalLink size={17} aria-hidden /> Reauthorize
-                          </button>
-                        </div>
-                      </div>
-                    ))}
-                  </div>
-                )}
+function invitationStatus(invitation: Invitation) {
+  if (invitation.revoked_at) return 'revoked';
+  if (invitation.accepted_at) return 'accepted';
+  if (new Date(invitation.expires_at).getTime() < Date.now()) return 'expired';
+  return 'pending';
+}
 
-                {isGoogleAnalytics && unselectedResources.length > 0 && (
-                  <div className="resource-list" aria-label="GA4 properties available to connect">
-                    <h3>Available properties</h3>
-                    {unselectedResources.map((resource) => (
-                      <div key={resource.id} className="resource-row">
-                        <div className="channel-identity compact">
-                          <span className="channel-placeholder" aria-hidden>
-                            <BarChart3 size={18} />
-                          </span>
-                          <div>
-                            <strong>{resource.display_name}</strong>
-                            <small>{resource.account_name || resource.provider_resource_id}</small>
-                            <small>
-                              {resource.timezone || 'Timezone unavailable'} ·{' '}
-                              {resource.currency || 'Currency unavailable'}
-                            </small>
-                            {resource.available === false && (
-                              <small className="notice error">
-                                Unavailable:{' '}
-                                {(resource.unavailable_reason || 'property_details_unavailable').replaceAll('_', ' ')}
-                              </small>
-                            )}
-                          </div>
-                        </div>
+function SyncHistory({
+  syncData,
+  page,
+  expandedRun,
+  onPageChange,
+  onToggleRun
+}: {
+  syncData: SyncData;
+  page: number;
+  expandedRun: string;
+  onPageChange: (page: number) => void;
+  onToggleRun: (runId: string) => void;
+}) {
+  const totalPages = Math.max(Math.ceil((syncData.total || 0) / (syncData.limit || 25)), 1);
+  return (
+    <section className="panel" aria-labelledby="sync-title">
+      <div className="panel-title between">
+        <div>
+          <h2 id="sync-title">Sync history</h2>
+          <p>
+            {syncData.total} run{syncData.total === 1 ? '' : 's'} recorded.
+          </p>
+        </div>
+      </div>
+      {syncData.sync_runs.length > 0 ? (
+        <>
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th scope="col">Started</th>
+                  <th scope="col">Completed</th>
+                  <th scope="col">Started by</th>
+                  <th scope="col">Status</th>
+                  <th scope="col">Duration</th>
+                  <th scope="col">Counts</th>
+                  <th scope="col">Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {syncData.sync_runs.map((run) => (
+                  <React.Fragment key={run.id}>
+                    <tr>
+                      <td data-label="Started">{formatDate(run.started_at)}</td>
+                      <td data-label="Completed">{formatDate(run.finished_at)}</td>
+                      <td data-label="Started by">{run.trigger_type === 'manual' ? 'A team member' : 'Schedule'}</td>
+                      <td data-label="Status">
+                        <StatusBadge status={run.status} />
+                      </td>
+                      <td data-label="Duration">{formatDuration(run.duration_ms)}</td>
+                      <td data-label="Counts">
+                        {formatNumber(run.profile_count)} profiles · {formatNumber(run.content_seen_count)} seen ·{' '}
+                        {formatNumber(run.content_snapshot_count)} performance updates
+                      </td>
+                      <td data-label="Details">
                         <button
                           type="button"
-                          onClick={() => onGoogleAnalyticsSelect(resource.id)}
-                          disabled={!allowed || busy || resource.available === false}
+                          className="ghost-button"
+                          onClick={() => onToggleRun(run.id)}
+                          aria-expanded={expandedRun === run.id}
                         >
-                          <Link2 size={17} aria-hidden /> Select
+                          {expandedRun === run.id ? 'Hide' : 'Expand'}
                         </button>
-                      </div>
-                    ))}
-                  </div>
-                )}
-
-                {isGoogleAnalytics && googleAnalyticsConnections.length > 0 && (
-                  <div className="resource-list" aria-label="Connected GA4 properties">
-                    <h3>Connected properties</h3>
-                    {googleAnalyticsConnections.map((connection) => (
-                      <div key={connection.id || connection.account?.id} className="resource-row connection-resource">
-                        <div className="channel-identity compact">
-                          <span className="channel-placeholder" aria-hidden>
-                            <BarChart3 size={18} />
-                          </span>
-                          <div>
-                            <strong>
-                              {connection.account?.display_name || connection.account?.id || 'GA4 property'}
-                            </strong>
-                            <small>
-                              {connection.account?.account_name || connection.account?.id} ·{' '}
-                              {connection.account?.timezone || 'Timezone unavailable'} ·{' '}
-                              {connection.account?.currency || 'Currency unavailable'}
-                            </small>
-                            <small>
-                              Last sync {formatDate(connection.last_successful_sync_at)}; data through{' '}
-                              {formatDate(connection.data_through_at, { dateStyle: 'medium' })}
-                            </small>
-                            {connection.reconnect_reason && (
-                              <small className="notice error">
-                                Authorize this property again before synchronization can resume.
-                              </small>
-                            )}
-                            <div className="capability-list" aria-label="Property capabilities">
-                              {(connection.capabilities || []).map((capability) => (
-                                <span
-                                  key={capability.key}
-                                  className={capability.status === 'available' ? '' : 'delayed'}
-                                >
-                                  {capability.key.replaceAll('_', ' ')}: {capability.status}
-                                </span>
-                              ))}
-                            </div>
-                          </div>
-                        </div>
-                        <div className="button-row">
-                          <StatusBadge status={connection.status} />
-                          <button
-                            type="button"
-                            className="ghost-button"
-                            disabled={!roleCanSync(role) || connection.status !== 'active' || busy}
-                            onClick={() => onGoogleAnalyticsSync(connection.id)}
-                          >
-                            <RefreshCw size={17} aria-hidden /> Sync
-                          </button>
-                          <button
-                            type="button"
-                            disabled={!canConnect || busy}
-                            onClick={() => onGoogleAnalyticsConnect(connection.id)}
-                          >
-                            <ExternalLink size={17} aria-hidden /> Reauthorize
-                          </button>
-                          <button
-                            type="button"
-                            className="ghost-button"
-                            disabled={!allowed || busy}
-                            onClick={() =>
-                              onDisconnectRequest({
-                                provider: 'google-analytics',
-                                connectionId: connection.id,
-                                label: connection.account?.display_name || 'GA4 property'
-                              })
-                            }
-                          >
-                            <Unplug size={17} aria-hidden /> Disconnect
-                          </button>
-                        </div>
-                      </div>
-                    ))}
-                  </div>
-                )}
-
-                {isMeta && unselectedResources.length > 0 && (
-                  <div className="resource-list" aria-label={`${provider.name} resources available to connect`}>
-                    <h3>Available {isFacebook ? 'Pages' : 'professional accounts'}</h3>
-                    {unselectedResources.map((resource) => {
-                      const ResourceIcon = isFacebook ? Facebook : Instagram;
-                      return (
-                        <div key={resource.id} className="resource-row">
-                          <div className="channel-identity compact">
-                            {resource.thumbnail_url ? (
-                              <img src={resource.thumbnail_url} alt="" referrerPolicy="no-referrer" />
-                            ) : (
-                              <span className="channel-placeholder" aria-hidden>
-                                <ResourceIcon size={18} />
-                              </span>
-                            )}
-                            <div>
-                              <strong>{resource.display_name}</strong>
-                              <small>
-                                {resource.username ? `@${resource.username}` : resource.provider_resource_id}
-                              </small>
-                              {resource.source_page_name && <small>Linked Page: {resource.source_page_name}</small>}
-                              {resource.available === false && (
-                                <small className="notice error">
-                                  Unavailable:{' '}
-                                  {(resource.unavailable_reason || 'authorization_required').replaceAll('_', ' ')}
-                                </small>
-                              )}
-                            </div>
-                          </div>
-                          <button
-                            type="button"
-                            onClick={() => onMetaSelect(metaPath, resource.id)}
-                            disabled={!allowed || busy || resource.available === false}
-                          >
-                            <Link2 size={17} aria-hidden /> Select
-                          </button>
-                        </div>
-                      );
-                    })}
-                  </div>
-                )}
-
-                {isMeta && metaConnections.length > 0 && (
-                  <div className="resource-list" aria-label={`Connected ${provider.name} resources`}>
-                    <h3>Connected resources</h3>
-                    {metaConnections.map((connection) => {
-                      const ResourceIcon = isFacebook ? Facebook : Instagram;
-                      return (
-                        <div key={connection.id || connection.account?.id} className="resource-row connection-resource">
-                          <div className="channel-identity compact">
-                            {connection.account?.thumbnail_url ? (
-                              <img src={connection.account.thumbnail_url} alt="" referrerPolicy="no-referrer" />
-                            ) : (
-                              <span className="channel-placeholder" aria-hidden>
-                                <ResourceIcon size={18} />
-                              </span>
-                            )}
-                            <div>
-                              <strong>
-                                {connection.account?.display_name || connection.account?.id || provider.name}
-                              </strong>
-                              <small>
-                                Last sync {formatDate(connection.last_successful_sync_at)}; data through{' '}
-                                {formatDate(connection.data_through_at, { dateStyle: 'medium' })}
-                              </small>
-                              {connection.reconnect_reason && (
-                                <small className="notice error">Authorize this account again to resume syncing.</small>
-                              )}
-                              <div className="capability-list" aria-label="Resource capabilities">
-                                {(connection.capabilities || []).map((capability) => (
-                                  <span
-                                    key={capability.key}
-                                    className={capability.status === 'available' ? '' : 'delayed'}
-                                  >
-                                    {capability.key.replaceAll('_', ' ')}: {capability.status}
-                                  </span>
-                                ))}
-                              </div>
-                            </div>
-                          </div>
-                          <div className="button-row">
-                            <StatusBadge status={connection.status} />
-                            <button
-                              type="button"
-                              className="ghost-button"
-                              disabled={!roleCanSync(role) || connection.status !== 'active' || busy}
-                              onClick={() => onMetaSync(provider.id as 'facebook_pages' | 'instagram', connection.id)}
-                            >
-                              <RefreshCw size={17} aria-hidden /> Sync
-                            </button>
-                            <button
-                              type="button"
-                              disabled={!canConnect || busy}
-                              onClick={() => onMetaConnect(metaPath, connection.id)}
-                            >
-                              <ExternalLink size={17} aria-hidden /> Reauthorize
-                            </button>
+                      </td>
+                    </tr>
+                    {expandedRun === run.id && (
+                      <tr className="detail-row">
+                        <td colSpan={7}>
+                          Attempt {run.attempt || 1}.{' '}
+                          {(run.error_count || 0) > 0
+                            ? `${run.error_count} error${run.error_count === 1 ? '' : 's'} were recorded${run.error_categories?.length ? ` (${run.error_categories.join(', ')})` : ''}.`
+                            : 'No failure was reported for this sync.'}{' '}
+                          {run.error_codes?.length ? `Codes: ${run.error_codes.join(', ')}. ` : ''}
+                          {run.retryable ? 'At least one error was marked retryable.' : ''}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <Pagination page={page} totalPages={totalPages} onPageChange={onPageChange} />
+        </>
+      ) : (
+        <div className="table-empty">No sync runs recorded.</div>
+      )}
+    </section>
+  );
+}
+
+function OrganizationSettings({
+  organization,
+  busy,
+  onSave
+}: {
+  organization: Organization;
+  busy: boolean;
+  onSave: (body: object) => void;
+}) {
+  const [name, setName] = useState(organization.name);
+  const [defaultRole, setDefaultRole] = useState(organization.default_invitation_role);
+  const [domains, setDomains] = useState(organization.invitation_domains.join(', '));
+  const canManage = organization.role !== 'member';
+  return (
+    <form
+      className="stack"
+      onSubmit={(event) => {
+        event.preventDefault();
+        onSave({
+          name,
+          default_invitation_role: defaultRole,
+          invitation_domains: domains
+            .split(/[\s,]+/)
+            .map((domain) => domain.trim())
+            .filter(Boolean)
+        });
+      }}
+    >
+      <label>
+        Name
+        <input
+          value={name}
+          maxLength={160}
+          onChange={(event) => setName(event.target.value)}
+          disabled={!canManage || busy}
+        />
+      </label>
+      <label>
+        Default invitation role
+        <select
+          value={defaultRole}
+          onChange={(event) => setDefaultRole(event.target.value as Exclude<Role, 'owner'>)}
+          disabled={!canManage || busy}
+        >
+          <option value="viewer">Viewer</option>
+          <option value="analyst">Analyst</option>
+          <option value="admin">Admin</option>
+        </select>
+      </label>
+      <label>
+        Allowed invitation domains
+        <input
+          value={domains}
+          onChange={(event) => setDomains(event.target.value)}
+          placeholder="example.com, agency.example"
+          disabled={!canManage || busy}
+        />
+        <small className="muted">Leave empty to allow invitations to any email address.</small>
+      </label>
+      <button type="submit" disabled={!canManage || busy || !name.trim()}>
+        Save organization
+      </button>
+    </form>
+  );
+}
+
+function Organizations({
+  organizations,
+  data,
+  health,
+  activeWorkspace,
+  busy,
+  onSelect,
+  onChange
+}: {
+  organizations: Organization[];
+  data: OrganizationData | null;
+  health: OrganizationHealth | null;
+  activeWorkspace: Workspace | undefined;
+  busy: boolean;
+  onSelect: (organizationId: string) => void;
+  onChange: (path: string, method: string, body: object | null, success: string) => Promise<boolean>;
+}) {
+  const [newOrganization, setNewOrganization] = useState('');
+  const [newWorkspace, setNewWorkspace] = useState('');
+  const [memberEmail, setMemberEmail] = useState('');
+  const [memberRole, setMemberRole] = useState<OrganizationRole>('member');
+  const [directoryWorkspace, setDirectoryWorkspace] = useState('');
+  const organization = data?.organization;
+  const canManage = Boolean(organization && organization.role !== 'member');
+  const base = organization ? `/${organization.id}` : '';
+  const attachable =
+    organization && activeWorkspace?.role === 'owner' && !activeWorkspace.organization_id ? activeWorkspace : null;
+  const targetWorkspace = directoryWorkspace || data?.workspaces[0]?.id || '';
+  return (
+    <>
+      <section className="panel" aria-labelledby="organizations-title">
+        <div className="panel-title between">
+          <div>
+            <h2 id="organizations-title">Organization</h2>
+            <p>
+              Group client workspaces under one organization. Organization owners and admins manage every workspace in
+              it.
+            </p>
+          </div>
+          {organizations.length > 1 && (
+            <label>
+              Organization
+              <select value={organization?.id || ''} onChange={(event) => onSelect(event.target.value)} disabled={busy}>
+                {organizations.map((item) => (
+                  <option key={item.id} value={item.id}>
+                    {item.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
+        <form
+          className="toolbar"
+          onSubmit={(event) => {
+            event.preventDefault();
+            void onChange('', 'POST', { name: newOrganization.trim() }, 'Organization created').then((saved) => {
+              if (saved) setNewOrganization('');
+            });
+          }}
+        >
+          <label>
+            New organization
+            <input
+              value={newOrganization}
+              maxLength={160}
+              onChange={(event) => setNewOrganization(event.target.value)}
+              placeholder="Northwind Agency"
+              disabled={busy}
+            />
+          </label>
+          <button type="submit" disabled={busy || !newOrganization.trim()}>
+            <Briefcase size={18} aria-hidden /> Create
+          </button>
+        </form>
+        {organization ? (
+          <OrganizationSettings
+            key={`${organization.id}:${organization.name}:${organization.default_invitation_role}:${organization.invitation_domains.join(',')}`}
+            organization={organization}
+            busy={busy}
+            onSave={(body) => void onChange(base, 'PATCH', body, 'Organization saved')}
+          />
+        ) : (
+          <div className="table-empty">You are not part of an organization yet.</div>
+        )}
+      </section>
+      {organization && data && (
+        <section className="panel" aria-labelledby="organization-workspaces-title">
+          <div className="panel-title">
+            <div>
+              <h2 id="organization-workspaces-title">Workspaces</h2>
+              <p>Client workspaces owned by {organization.name}.</p>
+            </div>
+          </div>
+          {canManage && (
+            <form
+              className="toolbar"
+              onSubmit={(event) => {
+                event.preventDefault();
+                void onChange(`${base}/workspaces`, 'POST', { name: newWorkspace.trim() }, 'Workspace created').then(
+                  (saved) => {
+                    if (saved) setNewWorkspace('');
+                  }
+                );
+              }}
+            >
+              <label>
+                New client workspace
+                <input
+                  value={newWorkspace}
+                  maxLength={160}
+                  onChange={(event) => setNewWorkspace(event.target.value)}
+                  disabled={busy}
+                />
+              </label>
+              <button type="submit" disabled={busy || !newWorkspace.trim()}>
+                <Building2 size={18} aria-hidden /> Create workspace
+              </button>
+              {attachable && (
+                <button
+                  type="button"
+                  className="ghost-button"
+                  disabled={busy}
+                  onClick={() =>
+                    void onChange(`${base}/workspaces/${attachable.id}`, 'PUT', null, 'Workspace added to organization')
+                  }
+                >
+                  Add {attachable.name}
+                </button>
+              )}
+            </form>
+          )}
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th scope="col">Workspace</th>
+                  <th scope="col">Your role</th>
+                  <th scope="col">Members</th>
+                  <th scope="col">Connections</th>
+                  <th scope="col">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.workspaces.map((workspace) => (
+                  <tr key={workspace.id}>
+                    <td data-label="Workspace">{workspace.name}</td>
+                    <td data-label="Your role">{workspace.role || '—'}</td>
+                    <td data-label="Members">{workspace.member_count}</td>
+                    <td data-label="Connections">{workspace.connection_count}</td>
+                    <td data-label="Actions">
+                      <button
+                        type="button"
+                        className="ghost-button"
+                        disabled={!canManage || busy}
+                        onClick={() =>
+                          void onChange(
+                            `${base}/workspaces/${workspace.id}`,
+                            'DELETE',
+                            null,
+                            'Workspace removed from organization'
+                          )
+                        }
+                      >
+                        Detach
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {data.workspaces.length === 0 && <div className="table-empty">No workspaces in this organization yet.</div>}
+          </div>
+        </section>
+      )}
+      {organization && data && canManage && (
+        <section className="panel" aria-labelledby="organization-directory-title">
+          <div className="panel-title">
+            <div>
+              <h2 id="organization-directory-title">People</h2>
+              <p>Everyone in the organization and the client workspaces they can open.</p>
+            </div>
+          </div>
+          <form
+            className="toolbar"
+            onSubmit={(event) => {
+              event.preventDefault();
+              void onChange(
+                `${base}/members`,
+                'POST',
+                { email: memberEmail.trim(), role: memberRole },
+                'Person added to organization'
+              ).then((saved) => {
+                if (saved) setMemberEmail('');
+              });
+            }}
+          >
+            <label>
+              Email
+              <input
+                type="email"
+                value={memberEmail}
+                onChange={(event) => setMemberEmail(event.target.value)}
+                placeholder="teammate@example.com"
+                disabled={busy}
+              />
+            </label>
+            <label>
+              Organization role
+              <select
+                value={memberRole}
+                onChange={(event) => setMemberRole(event.target.value as OrganizationRole)}
+                disabled={busy}
+              >
+                <option value="member">Member</option>
+                <option value="admin">Admin</option>
+                {organization.role === 'owner' && <option value="owner">Owner</option>}
+              </select>
+            </label>
+            <button type="submit" disabled={busy || !memberEmail.trim()}>
+              <UserPlus size={18} aria-hidden /> Add
+            </button>
+          </form>
+          {data.workspaces.length > 0 && (
+            <label>
+              Add people to workspace
+              <select value={targetWorkspace} onChange={(event) => setDirectoryWorkspace(event.target.value)}>
+                {data.workspaces.map((workspace) => (
+                  <option key={workspace.id} value={workspace.id}>
+                    {workspace.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th scope="col">Person</th>
+                  <th scope="col">Organization role</th>
+                  <th scope="col">Workspaces</th>
+                  <th scope="col">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.directory.map((person) => (
+                  <tr key={person.user_id}>
+                    <td data-label="Person">{person.display_name || person.email}</td>
+                    <td data-label="Organization role">
+                      {person.organization_role ? (
+                        <select
+                          value={person.organization_role}
+                          aria-label={`Organization role for ${person.email}`}
+                          disabled={busy || (person.organization_role === 'owner' && organization.role !== 'owner')}
+                          onChange={(event) =>
+                            void onChange(
+                              `${base}/members/${person.user_id}`,
+                              'PATCH',
+                              { role: event.target.value },
+                              'Organization role updated'
+                            )
+                          }
+                        >
+                          <option value="member">Member</option>
+                          <option value="admin">Admin</option>
+                          {(organization.role === 'owner' || person.organization_role === 'owner') && (
+                            <option value="owner">Owner</option>
+                          )}
+                        </select>
+                      ) : (
+                        <small className="muted">Workspace member only</small>
+                      )}
+                    </td>
+                    <td data-label="Workspaces">
+                      <small>
+                        {person.workspaces
+                          .map(
+                            (workspace) =>
+                              `${workspace.name} (${workspace.role}${workspace.inherited ? ', inherited' : ''})`
+                          )
+                          .join(', ') || '—'}
+                      </small>
+                    </td>
+                    <td data-label="Actions">
+                      <div className="button-row">
+                        {person.organization_role &&
+                          targetWorkspace &&
+                          !person.workspaces.some((workspace) => workspace.id === targetWorkspace) && (
                             <button
                               type="button"
-                              className="ghost-button"
-                              disabled={!allowed || busy}
-                              onClick={() =>
-                                onDisconnectRequest({
-                                  provider: metaPath,
-                                  connectionId: connection.id,
-                                  label: connection.account?.display_name || provider.name
-                                })
-                              }
-                            >
-                              <Unplug size={17} aria-hidden /> Disconnect
-                            </button>
-                          </div>
-                        </div>
-                      );
-                    })}
-                  </div>
-                )}
-              </div>
-              <div className="button-row">
-                {isTikTok ? (
-                  <>
-                    <button type="button" disabled={!canConnect || busy} onClick={onTikTokConnect}>
-                      <ExternalLink size={18} aria-hidden />{' '}
-                      {provider.connection?.status === 'disconnected' ? 'Connect' : 'Reconnect'}
-                    </button>
-                    <button
-                      type="button"
-                      disabled={!canDisconnect || busy}
-                      onClick={() => onDisconnectRequest({ provider: 'tiktok', label: 'TikTok' })}
-                    >
-                      <Unplug size={18} aria-hidden /> Disconnect
-                    </button>
-                  </>
-                ) : isYouTube ? (
-                  <>
-                    <button type="button" disabled={!canStartYouTube || busy} onClick={() => onYouTubeConnect()}>
-                      <ExternalLink size={18} aria-hidden />{' '}
-                      {provider.status === 'missing_scopes' ||
-                      provider.status === 'authorization_denied' ||
-                      provider.status === 'provider_error'
-                        ? 'Authorize again'
-                        : provider.status === 'authorizing'
-                          ? 'Restart authorization'
-                          : 'Connect YouTube'}
-                    </button>
-                    <button
-                      type="button"
-                      disabled={
-                        !allowed || !provider.authorization || provider.authorization.status === 'revoked' || busy
-                      }
-                      onClick={() => onDisconnectRequest({ provider: 'youtube', label: 'YouTube' })}
-                    >
-                      <Unplug size={18} aria-hidden /> Disconnect
-                    </button>
-                  </>
-                ) : isGoogleAnalytics ? (
-                  <>
-                    <button
-                      type="button"
-                      disabled={!canStartGoogleAnalytics || busy}
-                      onClick={() => onGoogleAnalyticsConnect()}
-                    >
-                      <ExternalLink size={18} aria-hidden />{' '}
-                      {provider.status === 'missing_scopes' ||
-                      provider.status === 'authorization_denied' ||
-                      provider.status === 'provider_error'
-                        ? 'Authorize again'
-                        : provider.status === 'authorizing'
-                          ? 'Restart authorization'
-                          : provider.authorization
-                            ? 'Refresh discovery'
-                            : 'Connect Website Analytics'}
-                    </button>
-                    <button
-                      type="button"
-                      disabled={
-                        !allowed || !provider.authorization || provider.authorization.status === 'revoked' || busy
-                      }
-                      onClick={() => onDisconnectRequest({ provider: 'google-analytics', label: 'Website Analytics' })}
-                    >
-                      <Unplug size={18} aria-hidden /> Disconnect all
-                    </button>
-                  </>
-                ) : isMeta ? (
-                  <>
-                    <button type="button" disabled={!canStartMeta || busy} onClick={() => onMetaConnect(metaPath)}>
-                      <ExternalLink size={18} aria-hidden />{' '}
-                      {provider.status === 'missing_scopes' ||
-                      provider.status === 'authorization_denied' ||
-                      provider.status === 'provider_error' ||
-                      provider.status === 'reconnect_required'
-                        ? 'Authorize again'
-                        : provider.authorization
-                          ? 'Refresh discovery'
-                          : `Connect ${isFacebook ? 'Facebook' : 'Instagram'}`}
-                    </button>
-                    <button
-                      type="button"
-                      disabled={
-                        !allowed || !provider.authorization || provider.authorization.status === 'revoked' || busy
-                      }
-                      onClick={() => onDisconnectRequest({ provider: metaPath, label: provider.name })}
-                    >
-                      <Unplug size={18} aria-hidden /> Disconnect all
-                    </button>
-                  </>
-                ) : (
-                  <button type="button" disabled>
-                    <Lock size={18} aria-hidden /> Not enabled
-                  </button>
-                )}
-              </div>
-            </article>
-          );
-        })}
-        {catalog.length === 0 && <div className="table-empty">Connections are temporarily unavailable.</div>}
-      </div>
-      {!allowed && <p className="muted">Connection management requires owner or admin access.</p>}
-      {disconnectTarget && (
-        <div className="dialog-backdrop" role="presentation">
-          <section className="dialog" role="dialog" aria-modal="true" aria-labelledby="disconnect-title">
-            <h3 id="disconnect-title">Disconnect {disconnectTarget.label}?</h3>
-            {disconnectTarget.provider === 'youtube' ? (
-              <p>
-                Social Insights Studio will ask Google to revoke access, then remove this YouTube connection and its
-                stored analytics data from the workspace.
-              </p>
-            ) : disconnectTarget.provider === 'google-analytics' ? (
-              <p>
-                Removing one of several selected properties preserves the shared read-only Google grant. Removing the
-                final property asks Google to revoke access and deletes the locally stored GA4 observations.
-              </p>
-            ) : disconnectTarget.provider === 'facebook' || disconnectTarget.provider === 'instagram' ? (
-              <p>
-                Facebook and Instagram accounts selected through the same Meta sign-in can be disconnected separately.
-                Removing the final connected account also asks Meta to revoke access and removes its stored analytics
-                data.
-              </p>
-            ) : (
+                              className="ghost-button"
+                              disabled={busy}
+                              onClick={() =>
+                                void onChange(
+                                  `${base}/workspaces/${targetWorkspace}/members`,
+                                  'POST',
+                                  { user_id: person.user_id, role: organization.default_invitation_role },
+                                  'Added to workspace'
+                                )
+                              }
+                            >
+                              Add to workspace
+                            </button>
+                          )}
+                        {person.organization_role && (
+                          <button
+                            type="button"
+                            className="ghost-button"
+                            disabled={busy || (person.organization_role === 'owner' && organization.role !== 'owner')}
+                            onClick={() =>
+                              void onChange(
+                                `${base}/members/${person.user_id}`,
+                                'DELETE',
+                                null,
+                                'Removed from organization'
+                              )
+                            }
+                          >
+                            <Trash2 size={16} aria-hidden /> Remove
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      )}
+      {organization && health && (
+        <section className="panel" aria-labelledby="organization-health-title">
+          <div className="panel-title">
+            <div>
+              <h2 id="organization-health-title">Connection health</h2>
               <p>
-                Social Insights Studio will ask the provider to revoke access and disable this connection. Previously
-                synchronized analytics remain in the workspace until they are deleted under the retention policy.
+                Sync status for {health.connections.length} connection{health.connections.length === 1 ? '' : 's'}{' '}
+                across {health.workspace_count} workspace{health.workspace_count === 1 ? '' : 's'}.
               </p>
-            )}
-            <div className="dialog-actions">
-              <button type="button" onClick={onDisconnectCancel}>
-                Cancel
-              </button>
-              <button type="button" className="danger" onClick={onDisconnectConfirm} disabled={busy}>
-                Disconnect
-              </button>
             </div>
-          </section>
-        </div>
+          </div>
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th scope="col">Workspace</th>
+                  <th scope="col">Platform</th>
+                  <th scope="col">Account</th>
+                  <th scope="col">Freshness</th>
+                  <th scope="col">Last successful sync</th>
+                </tr>
+              </thead>
+              <tbody>
+                {health.connections.map((item) => (
+                  <tr key={item.connection_id}>
+                    <td data-label="Workspace">{item.workspace.name}</td>
+                    <td data-label="Platform">{item.provider_name}</td>
+                    <td data-label="Account">
+                      {item.resource_name}
+                      {item.reconnect_reason && <small className="muted"> · {item.reconnect_reason}</small>}
+                    </td>
+                    <td data-label="Freshness">
+                      <StatusBadge status={item.freshness} />
+                    </td>
+                    <td data-label="Last successful sync">
+                      {item.last_successful_sync_at ? formatDate(item.last_successful_sync_at) : 'Never'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {health.connections.length === 0 && (
+              <div className="table-empty">No provider connections in this organization yet.</div>
+            )}
+          </div>
+        </section>
       )}
-    </section>
+    </>
   );
 }
 
-function Members({
-  role,
-  members,
-  invitations,
+function Account({
+  user,
+  account,
+  workspaces,
+  activeWorkspace,
+  retention,
+  apiTokens,
   busy,
-  onInvite,
-  onResendInvitation,
-  onRevokeInvitation,
-  onRoleChange,
-  onRemove
+  onSaveProfile,
+  onAddPasskey,
+  onRevokePasskey,
+  onStartTotp,
+  onConfirmTotp,
+  onRemoveTotp,
+  onVerifySecondFactor,
+  onRevokeSession,
+  onRevokeOthers,
+  onRevokeAll,
+  onRequestAccountDeletion,
+  onRequestWorkspaceDeletion,
+  onCancelDeletionRequest,
+  onSaveRetention,
+  onCreateApiToken,
+  onRevokeApiToken,
+  onSignOut
 }: {
-  role: Role;
-  members: Member[];
-  invitations: Invitation[];
+  user: User;
+  account: AccountData | null;
+  workspaces: Workspace[];
+  activeWorkspace?: Workspace;
+  retention: RetentionData | null;
+  apiTokens: ApiTokensData | null;
   busy: boolean;
-  onInvite: (email: string, role: Exclude<Role, 'owner'>) => void;
-  onResendInvitation: (invitation: Invitation) => void;
-  onRevokeInvitation: (invitation: Invitation) => void;
-  onRoleChange: (member: Member, role: Role) => void;
-  onRemove: (member: Member) => void;
+  onSaveProfile: (displayName: string) => void;
+  onAddPasskey: (name: string) => Promise<boolean>;
+  onRevokePasskey: (passkey: AccountPasskey) => void;
+  onStartTotp: () => Promise<TotpEnrollment | null>;
+  onConfirmTotp: (code: string) => Promise<boolean>;
+  onRemoveTotp: () => void;
+  onVerifySecondFactor: (method: 'totp' | 'passkey', code?: string) => Promise<boolean>;
+  onRevokeSession: (session: AccountSession) => void;
+  onRevokeOthers: () => void;
+  onRevokeAll: () => void;
+  onRequestAccountDeletion: (confirmation: string) => void;
+  onRequestWorkspaceDeletion: (workspace: Workspace, confirmation: string) => void;
+  onCancelDeletionRequest: (request: DeletionRequest) => void;
+  onSaveRetention: (table: string, retainDays: number | null) => void;
+  onCreateApiToken: (name: string, expiresInDays: number) => Promise<boolean>;
+  onRevokeApiToken: (token: ApiToken) => void;
+  onSignOut: () => void;
 }) {
-  const canManage = roleCanManage(role);
-  const [inviteEmail, setInviteEmail] = useState('');
-  const [inviteRole, setInviteRole] = useState<Exclude<Role, 'owner'>>('viewer');
+  const [displayName, setDisplayName] = useState(user.display_name || '');
+  const [accountConfirmation, setAccountConfirmation] = useState('');
+  const [passkeyName, setPasskeyName] = useState('');
+  const [totpEnrollment, setTotpEnrollment] = useState<TotpEnrollment | null>(null);
+  const [totpSetupCode, setTotpSetupCode] = useState('');
+  const [verificationCode, setVerificationCode] = useState('');
+  const twoFactor = account?.two_factor;
+  const ownerWorkspaces = workspaces.filter((workspace) => workspace.role === 'owner');
+  const [deletionWorkspaceId, setDeletionWorkspaceId] = useState(ownerWorkspaces[0]?.id || '');
+  const [workspaceConfirmation, setWorkspaceConfirmation] = useState('');
+  const effectiveDeletionWorkspaceId = ownerWorkspaces.some((workspace) => workspace.id === deletionWorkspaceId)
+    ? deletionWorkspaceId
+    : ownerWorkspaces[0]?.id || '';
+  const deletionWorkspace = ownerWorkspaces.find((workspace) => workspace.id === effectiveDeletionWorkspaceId);
+
   return (
-    <section className="panel" aria-labelledby="members-title">
-      <div className="panel-title between">
-        <div>
-          <h2 id="members-title">Members</h2>
-          <p>Invite teammates and choose the access each person needs.</p>
+    <div className="account-layout">
+      <section className="panel" aria-labelledby="account-title">
+        <div className="panel-title between">
+          <div>
+            <h2 id="account-title">Profile</h2>
+            <p>Choose how your name appears to workspace members.</p>
+          </div>
+        </div>
+        <form
+          className="account-form"
+          onSubmit={(event) => {
+            event.preventDefault();
+            onSaveProfile(displayName);
+          }}
+        >
+          <label>
+            Display name
+            <input
+              value={displayName}
+              onChange={(event) => setDisplayName(event.target.value)}
+              autoComplete="name"
+              maxLength={100}
+            />
+          </label>
+          <label>
+            Email address
+            <input value={user.email} readOnly aria-describedby="email-help" />
+          </label>
+          <p id="email-help" className="muted">
+            Contact support if your sign-in email needs to change.
+          </p>
+          <div className="button-row start">
+            <button type="submit" disabled={busy || displayName === (user.display_name || '')}>
+              Save profile
+            </button>
+            <button type="button" onClick={onSignOut} disabled={busy}>
+              <LogOut size={18} aria-hidden /> Sign out
+            </button>
+          </div>
+        </form>
+        {account && (
+          <div>
+            <h3>Sign-in methods</h3>
+            <div className="settings-list">
+              {account.authentication_methods.map((method) => (
+                <span key={`${method.provider}-${method.connected_at}`}>
+                  {method.provider === 'google'
+                    ? 'Google'
+                    : method.provider === 'oidc' || method.provider === 'saml'
+                      ? `Single sign-on${method.name ? ` (${method.name})` : ''}`
+                      : 'Email code'}
+                  {method.email ? ` · ${method.email}` : ''}
+                </span>
+              ))}
+            </div>
+            <h3>Passkeys</h3>
+            <div className="session-list">
+              {account.passkeys.map((passkey) => (
+                <article className="session-row" key={passkey.id}>
+                  <div>
+                    <strong>{passkey.name}</strong>
+                    <p>
+                      Added {formatDate(passkey.created_at)} ·{' '}
+                      {passkey.last_used_at ? `last used ${formatDate(passkey.last_used_at)}` : 'not used yet'}
+                      {passkey.backed_up ? ' · synced' : ''}
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    className="ghost-button"
+                    disabled={busy}
+                    onClick={() => onRevokePasskey(passkey)}
+                  >
+                    Remove
+                  </button>
+                </article>
+              ))}
+              {!account.passkeys.length && <div className="table-empty compact-empty">No passkeys registered.</div>}
+            </div>
+            {passkeysSupported() ? (
+              <form
+                className="account-form"
+                onSubmit={async (event) => {
+                  event.preventDefault();
+                  if (await onAddPasskey(passkeyName.trim())) setPasskeyName('');
+                }}
+              >
+                <label>
+                  Passkey name
+                  <input
+                    value={passkeyName}
+                    onChange={(event) => setPasskeyName(event.target.value)}
+                    placeholder="Work laptop"
+                    maxLength={120}
+                  />
+                </label>
+                <div className="button-row start">
+                  <button type="submit" disabled={busy}>
+                    <Fingerprint size={18} aria-hidden /> Add passkey
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <p className="muted">This browser does not support passkeys.</p>
+            )}
+          </div>
+        )}
+      </section>
+
+      {twoFactor && (
+        <section className="panel" aria-labelledby="two-factor-title">
+          <div className="panel-title between">
+            <div>
+              <h2 id="two-factor-title">Two-step verification</h2>
+              <p>Use an authenticator app or a passkey as a second step for workspaces that require it.</p>
+            </div>
+          </div>
+          <div className="settings-list">
+            <span>
+              Authenticator app · {twoFactor.totp_enabled ? 'set up' : 'not set up'} · {twoFactor.passkeys} passkey
+              {twoFactor.passkeys === 1 ? '' : 's'}
+            </span>
+            <span>
+              {twoFactor.session_verified
+                ? `This session was verified with ${twoFactor.session_method === 'passkey' ? 'a passkey' : 'an authenticator code'}.${
+                    twoFactor.step_up_valid_seconds
+                      ? ` Sensitive changes are allowed for ${Math.ceil(twoFactor.step_up_valid_seconds / 60)} more minutes.`
+                      : ' Verify again before sensitive changes.'
+                  }`
+                : 'This session has not been verified with a second step.'}
+            </span>
+            {twoFactor.required_by.length > 0 && (
+              <span>Required by {twoFactor.required_by.map((workspace) => workspace.name).join(', ')}.</span>
+            )}
+          </div>
+          {twoFactor.totp_enabled ? (
+            <div className="button-row start">
+              <button type="button" className="ghost-button" disabled={busy} onClick={onRemoveTotp}>
+                Remove authenticator app
+              </button>
+            </div>
+          ) : totpEnrollment ? (
+            <form
+              className="account-form"
+              onSubmit={async (event) => {
+                event.preventDefault();
+                if (await onConfirmTotp(totpSetupCode.trim())) {
+                  setTotpEnrollment(null);
+                  setTotpSetupCode('');
+                }
+              }}
+            >
+              <p className="muted">
+                Add this key to your authenticator app, or open the setup link on a device that has one.
+              </p>
+              <label>
+                Setup key
+                <input value={totpEnrollment.secret} readOnly />
+              </label>
+              <a href={totpEnrollment.otpauth_uri}>Open in authenticator app</a>
+              <label>
+                Code from the app
+                <input
+                  value={totpSetupCode}
+                  onChange={(event) => setTotpSetupCode(event.target.value)}
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  maxLength={7}
+                />
+              </label>
+              <div className="button-row start">
+                <button type="submit" disabled={busy || !totpSetupCode.trim()}>
+                  <KeyRound size={18} aria-hidden /> Confirm
+                </button>
+                <button type="button" className="ghost-button" disabled={busy} onClick={() => setTotpEnrollment(null)}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="button-row start">
+              <button
+                type="button"
+                disabled={busy}
+                onClick={async () => {
+                  setTotpEnrollment(await onStartTotp());
+                  setTotpSetupCode('');
+                }}
+              >
+                <KeyRound size={18} aria-hidden /> Set up authenticator app
+              </button>
+            </div>
+          )}
+          {(twoFactor.totp_enabled || twoFactor.passkeys > 0) && (
+            <form
+              className="account-form"
+              onSubmit={async (event) => {
+                event.preventDefault();
+                if (await onVerifySecondFactor('totp', verificationCode.trim())) setVerificationCode('');
+              }}
+            >
+              <h3>Verify this session</h3>
+              {twoFactor.totp_enabled && (
+                <label>
+                  Authenticator code
+                  <input
+                    value={verificationCode}
+                    onChange={(event) => setVerificationCode(event.target.value)}
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    maxLength={7}
+                  />
+                </label>
+              )}
+              <div className="button-row start">
+                {twoFactor.totp_enabled && (
+                  <button type="submit" disabled={busy || !verificationCode.trim()}>
+                    Verify with code
+                  </button>
+                )}
+                {twoFactor.passkeys > 0 && passkeysSupported() && (
+                  <button type="button" disabled={busy} onClick={() => void onVerifySecondFactor('passkey')}>
+                    <Fingerprint size={18} aria-hidden /> Verify with passkey
+                  </button>
+                )}
+              </div>
+            </form>
+          )}
+        </section>
+      )}
+
+      <section className="panel" aria-labelledby="sessions-title">
+        <div className="panel-title between">
+          <div>
+            <h2 id="sessions-title">Active sessions</h2>
+            <p>Review devices signed in to your account. Approximate locations are not collected.</p>
+          </div>
+          <button type="button" onClick={onRevokeOthers} disabled={busy || !account || account.sessions.length < 2}>
+            Sign out other sessions
+          </button>
+        </div>
+        <div className="session-list">
+          {account?.sessions.map((session) => (
+            <article className="session-row" key={session.id}>
+              <div>
+                <strong>
+                  {session.device_label} {session.current && <span className="current-label">Current</span>}
+                </strong>
+                <p>
+                  Last active {formatDate(session.last_seen_at)} · signed in {formatDate(session.created_at)}
+                </p>
+              </div>
+              <button type="button" className="ghost-button" disabled={busy} onClick={() => onRevokeSession(session)}>
+                {session.current ? 'Sign out this session' : 'Sign out'}
+              </button>
+            </article>
+          ))}
+          {!account && <div className="table-empty compact-empty">Loading sessions…</div>}
         </div>
-      </div>
-      <form
-        className="toolbar"
-        onSubmit={(event) => {
-          event.preventDefault();
-          if (inviteEmail.trim()) {
-            onInvite(inviteEmail.trim(), inviteRole);
-            setInviteEmail('');
-          }
-        }}
-      >
-        <label>
-          Invite email
-          <input
-            value={inviteEmail}
-            onChange={(event) => setInviteEmail(event.target.value)}
-            type="email"
-            disabled={!canManage || busy}
-            placeholder="teammate@example.com"
-          />
-        </label>
-        <label>
-          Role
-          <select
-            value={inviteRole}
-            onChange={(event) => setInviteRole(event.target.value as Exclude<Role, 'owner'>)}
-            disabled={!canManage || busy}
-          >
-            <option value="viewer">Viewer</option>
-            <option value="analyst">Analyst</option>
-            <option value="admin">Admin</option>
-          </select>
-        </label>
-        <button type="submit" disabled={!canManage || busy || !inviteEmail.trim()}>
-          <UserPlus size={18} aria-hidden /> Invite
+        <button type="button" className="danger account-danger-button" onClick={onRevokeAll} disabled={busy}>
+          Sign out everywhere
         </button>
-      </form>
-      <div className="table-wrap">
-        <table>
-          <thead>
-            <tr>
-              <th scope="col">Member</th>
-              <th scope="col">Role</th>
-              <th scope="col">Status</th>
-              <th scope="col">Actions</th>
-            </tr>
-          </thead>
-          <tbody>
-            {members.map((member) => (
-              <tr key={member.user_id}>
-                <td data-label="Member">{member.email}</td>
-                <td data-label="Role">
-                  <select
-                    value={member.role}
-                    aria-label={`Role for ${member.email}`}
-                    disabled={!canManage || busy || (member.role === 'owner' && role !== 'owner')}
-                    onChange={(event) => onRoleChange(member, event.target.value as Role)}
-                  >
-                    {(role === 'owner' || member.role === 'owner') && <option value="owner">Owner</option>}
-                    <option value="admin">Admin</option>
-                    <option value="analyst">Analyst</option>
-                    <option value="viewer">Viewer</option>
-                  </select>
-                </td>
-                <td data-label="Status">
-                  <StatusBadge status={member.status || 'active'} />
-                </td>
-                <td data-label="Actions">
+      </section>
+
+      <section className="panel" aria-labelledby="deletion-title">
+        <div className="panel-title between">
+          <div>
+            <h2 id="deletion-title">Deletion requests</h2>
+            <p>
+              Requests wait out a grace period, then provider access is revoked and stored data is permanently removed.
+            </p>
+          </div>
+        </div>
+        {account?.deletion_requests.length ? (
+          <div className="deletion-request-list">
+            {account.deletion_requests.map((request) => (
+              <article key={request.id}>
+                <div>
+                  <strong>
+                    {request.scope === 'workspace' ? request.workspace_name || 'Workspace' : 'Account'} ·{' '}
+                    {formatDate(request.requested_at)}
+                  </strong>
+                  <p>{deletionRequestDetail(request)}</p>
+                  {request.certificate && (
+                    <details className="deletion-certificate">
+                      <summary>Completion certificate</summary>
+                      <dl>
+                        <dt>Certificate</dt>
+                        <dd>{request.certificate.certificate_id}</dd>
+                        <dt>SHA-256</dt>
+                        <dd>{request.certificate.verification_hash}</dd>
+                        <dt>Provider authorizations revoked</dt>
+                        <dd>{request.certificate.provider_revocations.length}</dd>
+                        <dt>Records deleted</dt>
+                        <dd>
+                          {Object.values(request.certificate.purged)
+                            .reduce((total, count) => total + count, 0)
+                            .toLocaleString()}
+                        </dd>
+                        <dt>Report files removed</dt>
+                        <dd>{request.certificate.artifact_files_removed}</dd>
+                        <dt>Retained</dt>
+                        <dd>{request.certificate.retained.join(', ')}</dd>
+                      </dl>
+                      <a href={`/api/deletion-certificates/${request.id}`} target="_blank" rel="noreferrer">
+                        Verify certificate
+                      </a>
+                    </details>
+                  )}
+                </div>
+                <StatusBadge status={request.status} />
+                {request.cancellable && (
                   <button
                     type="button"
                     className="ghost-button"
-                    disabled={!canManage || busy || (member.role === 'owner' && role !== 'owner')}
-                    onClick={() => onRemove(member)}
+                    disabled={busy}
+                    onClick={() => onCancelDeletionRequest(request)}
                   >
-                    <Trash2 size={16} aria-hidden /> Remove
+                    Cancel
                   </button>
-                </td>
-              </tr>
+                )}
+              </article>
             ))}
-          </tbody>
-        </table>
-      </div>
-      <h3>Invitations</h3>
-      <div className="invitation-list">
-        {invitations.map((invitation) => {
-          const status = invitationStatus(invitation);
-          const pending = status === 'pending' || status === 'expired';
-          return (
-            <article className="invitation-row" key={invitation.id}>
-              <div>
-                <strong>{invitation.email}</strong>
-                <p>
-                  {invitation.role} · sent {formatDate(invitation.last_sent_at || invitation.created_at)} ·{' '}
-                  {invitation.send_count} attempt{invitation.send_count === 1 ? '' : 's'}
-                </p>
-              </div>
-              <StatusBadge status={status} />
-              <div className="button-row">
-                <button
-                  type="button"
-                  className="ghost-button"
-                  disabled={!canManage || busy || !pending}
-                  onClick={() => onResendInvitation(invitation)}
-                >
-                  Resend
-                </button>
-                <button
-                  type="button"
-                  className="ghost-button"
-                  disabled={!canManage || busy || !pending}
-                  onClick={() => onRevokeInvitation(invitation)}
+          </div>
+        ) : (
+          <p className="muted">No deletion requests.</p>
+        )}
+
+        <details className="danger-zone">
+          <summary>Request account deletion</summary>
+          <div>
+            <p>
+              This schedules deletion of your account, associated personal data, and every workspace where you are the
+              only member. You can cancel during the grace period. Enter your full email address to confirm.
+            </p>
+            <label>
+              Email confirmation
+              <input
+                value={accountConfirmation}
+                onChange={(event) => setAccountConfirmation(event.target.value)}
+                autoComplete="off"
+              />
+            </label>
+            <button
+              type="button"
+              className="danger"
+              disabled={busy || accountConfirmation.trim().toLowerCase() !== user.email.toLowerCase()}
+              onClick={() => onRequestAccountDeletion(accountConfirmation)}
+            >
+              Submit account deletion request
+            </button>
+          </div>
+        </details>
+
+        {ownerWorkspaces.length > 0 && (
+          <details className="danger-zone">
+            <summary>Request workspace deletion</summary>
+            <div>
+              <p>Only workspace owners can request deletion. Enter the exact workspace name to confirm.</p>
+              <label>
+                Workspace
+                <select
+                  value={effectiveDeletionWorkspaceId}
+                  onChange={(event) => {
+                    setDeletionWorkspaceId(event.target.value);
+                    setWorkspaceConfirmation('');
+                  }}
                 >
-                  Revoke
-                </button>
-              </div>
-            </article>
-          );
-        })}
-        {invitations.length === 0 && <div className="table-empty compact-empty">No invitations yet.</div>}
-      </div>
-      {!canManage && <div className="table-empty">Member management requires owner or admin access.</div>}
-    </section>
+                  {ownerWorkspaces.map((workspace) => (
+                    <option key={workspace.id} value={workspace.id}>
+                      {workspace.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Workspace name confirmation
+                <input
+                  value={workspaceConfirmation}
+                  onChange={(event) => setWorkspaceConfirmation(event.target.value)}
+                  autoComplete="off"
+                />
+              </label>
+              <button
+                type="button"
+                className="danger"
+                disabled={busy || !deletionWorkspace || workspaceConfirmation.trim() !== deletionWorkspace.name}
+                onClick={() =>
+                  deletionWorkspace && onRequestWorkspaceDeletion(deletionWorkspace, workspaceConfirmation)
+                }
+              >
+                Submit workspace deletion request
+              </button>
+            </div>
+          </details>
+        )}
+      </section>
+
+      {activeWorkspace && (
+        <ApiTokenSettings
+          key={`tokens-${activeWorkspace.id}`}
+          workspace={activeWorkspace}
+          apiTokens={apiTokens}
+          busy={busy}
+          onCreate={onCreateApiToken}
+          onRevoke={onRevokeApiToken}
+        />
+      )}
+
+      {activeWorkspace && (
+        <RetentionSettings
+          key={activeWorkspace.id}
+          workspace={activeWorkspace}
+          retention={retention}
+          busy={busy}
+          onSave={onSaveRetention}
+        />
+      )}
+    </div>
   );
 }
 
-function invitationStatus(invitation: Invitation) {
-  if (invitation.revoked_at) return 'revoked';
-  if (invitation.accepted_at) return 'accepted';
-  if (new Date(invitation.expires_at).getTime() < Date.now()) return 'expired';
-  return 'pending';
+function retentionPeriod(days: number | null) {
+  return days ? `${days.toLocaleString()} days` : 'Kept indefinitely';
 }
 
-function SyncHistory({
-  syncData,
-  page,
-  expandedRun,
-  onPageChange,
-  onToggleRun
+function ActivityLog({
+  workspace,
+  auditLog,
+  options,
+  filters,
+  loading,
+  onFiltersChange,
+  onLoadMore
 }: {
-  syncData: SyncData;
-  page: number;
-  expandedRun: string;
-  onPageChange: (page: number) => void;
-  onToggleRun: (runId: string) => void;
+  workspace: Workspace;
+  auditLog: AuditLogData | null;
+  options: AuditFilterOptions | null;
+  filters: AuditFilters;
+  loading: boolean;
+  onFiltersChange: (filters: AuditFilters) => void;
+  onLoadMore: () => void;
 }) {
-  const totalPages = Math.max(Math.ceil((syncData.total || 0) / (syncData.limit || 25)), 1);
+  if (!workspaceCan(workspace, 'viewAuditLog')) {
+    return (
+      <section className="empty-band" aria-labelledby="activity-permission-title">
+        <Lock size={24} aria-hidden />
+        <div>
+          <h2 id="activity-permission-title">Activity requires Admin access</h2>
+          <p className="muted">Workspace owners and admins can review and export the audit log.</p>
+        </div>
+      </section>
+    );
+  }
+
+  const update = (key: keyof AuditFilters, value: string) => onFiltersChange({ ...filters, [key]: value });
+  const exportHref = (format: 'csv' | 'json') => {
+    const params = auditFilterParams(filters);
+    params.set('format', format);
+    return `/api/workspaces/${workspace.id}/audit-logs/export?${params.toString()}`;
+  };
+  const filtered = Object.values(filters).some(Boolean);
   return (
-    <section className="panel" aria-labelledby="sync-title">
+    <section className="panel" aria-labelledby="activity-title">
       <div className="panel-title between">
         <div>
-          <h2 id="sync-title">Sync history</h2>
-          <p>
-            {syncData.total} run{syncData.total === 1 ? '' : 's'} recorded.
-          </p>
+          <h2 id="activity-title">Activity</h2>
+          <p>Changes to members, connections, reports, and settings in {workspace.name}, newest first.</p>
+        </div>
+        <div className="activity-exports">
+          <a className="button-link" href={exportHref('csv')}>
+            <Download size={18} aria-hidden /> CSV
+          </a>
+          <a className="button-link" href={exportHref('json')}>
+            <Download size={18} aria-hidden /> JSON
+          </a>
         </div>
       </div>
-      {syncData.sync_runs.length > 0 ? (
+      <div className="toolbar activity-toolbar">
+        <label>
+          Member
+          <select value={filters.actor_id} onChange={(event) => update('actor_id', event.target.value)}>
+            <option value="">Anyone</option>
+            {(options?.actors || []).map((actor) => (
+              <option key={actor.id} value={actor.id}>
+                {auditActorLabel(actor)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Action
+          <select value={filters.action} onChange={(event) => update('action', event.target.value)}>
+            <option value="">All actions</option>
+            {(options?.actions || []).map((action) => (
+              <option key={action} value={action}>
+                {action}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Target
+          <select value={filters.target_type} onChange={(event) => update('target_type', event.target.value)}>
+            <option value="">All targets</option>
+            {(options?.target_types || []).map((targetType) => (
+              <option key={targetType} value={targetType}>
+                {targetType}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          From
+          <input type="date" value={filters.from} onChange={(event) => update('from', event.target.value)} />
+        </label>
+        <label>
+          To
+          <input type="date" value={filters.to} onChange={(event) => update('to', event.target.value)} />
+        </label>
+        {filtered && (
+          <button type="button" className="ghost-button" onClick={() => onFiltersChange(emptyAuditFilters)}>
+            Clear filters
+          </button>
+        )}
+      </div>
+      {!auditLog ? (
+        <StateBanner state="loading" />
+      ) : auditLog.entries.length > 0 ? (
         <>
           <div className="table-wrap">
-            <table>
+            <table className="activity-table">
               <thead>
                 <tr>
-                  <th scope="col">Started</th>
-                  <th scope="col">Completed</th>
-                  <th scope="col">Started by</th>
-                  <th scope="col">Status</th>
-                  <th scope="col">Duration</th>
-                  <th scope="col">Counts</th>
+                  <th scope="col">When</th>
+                  <th scope="col">Member</th>
+                  <th scope="col">Action</th>
+                  <th scope="col">Target</th>
                   <th scope="col">Details</th>
                 </tr>
               </thead>
               <tbody>
-                {syncData.sync_runs.map((run) => (
-                  <React.Fragment key={run.id}>
-                    <tr>
-                      <td data-label="Started">{formatDate(run.started_at)}</td>
-                      <td data-label="Completed">{formatDate(run.finished_at)}</td>
-                      <td data-label="Started by">{run.trigger_type === 'manual' ? 'A team member' : 'Schedule'}</td>
-                      <td data-label="Status">
-                        <StatusBadge status={run.status} />
-                      </td>
-                      <td data-label="Duration">{formatDuration(run.duration_ms)}</td>
-                      <td data-label="Counts">
-                        {formatNumber(run.profile_count)} profiles · {formatNumber(run.content_seen_count)} seen ·{' '}
-                        {formatNumber(run.content_snapshot_count)} performance updates
-                      </td>
-                      <td data-label="Details">
-                        <button
-                          type="button"
-                          className="ghost-button"
-                          onClick={() => onToggleRun(run.id)}
-                          aria-expanded={expandedRun === run.id}
-                        >
-                          {expandedRun === run.id ? 'Hide' : 'Expand'}
-                        </button>
-                      </td>
-                    </tr>
-                    {expandedRun === run.id && (
-                      <tr className="detail-row">
-                        <td colSpan={7}>
-                          Attempt {run.attempt || 1}.{' '}
-                          {(run.error_count || 0) > 0
-                            ? `${run.error_count} error${run.error_count === 1 ? '' : 's'} were recorded${run.error_categories?.length ? ` (${run.error_categories.join(', ')})` : ''}.`
-                            : 'No failure was reported for this sync.'}{' '}
-                          {run.error_codes?.length ? `Codes: ${run.error_codes.join(', ')}. ` : ''}
-                          {run.retryable ? 'At least one error was marked retryable.' : ''}
-                        </td>
-                      </tr>
-                    )}
-                  </React.Fragment>
+                {auditLog.entries.map((entry) => (
+                  <tr key={entry.id}>
+                    <td data-label="When">{formatDate(entry.created_at)}</td>
+                    <td data-label="Member">
+                      {auditActorLabel(entry.actor)}
+                      {entry.actor?.display_name && entry.actor.email && <small>{entry.actor.email}</small>}
+                    </td>
+                    <td data-label="Action">
+                      <code>{entry.action}</code>
+                    </td>
+                    <td data-label="Target">
+                      {entry.target_type || 'N/A'}
+                      {entry.target_id && <small>{entry.target_id}</small>}
+                    </td>
+                    <td data-label="Details" className="activity-details">
+                      {auditMetadataSummary(entry.metadata) || 'N/A'}
+                    </td>
+                  </tr>
                 ))}
               </tbody>
             </table>
           </div>
-          <Pagination page={page} totalPages={totalPages} onPageChange={onPageChange} />
+          {auditLog.next_cursor && (
+            <div className="activity-more">
+              <button type="button" className="ghost-button" disabled={loading} onClick={onLoadMore}>
+                {loading ? <Loader2 className="spin" size={16} aria-hidden /> : null} Load more
+              </button>
+            </div>
+          )}
         </>
       ) : (
-        <div className="table-empty">No sync runs recorded.</div>
+        <div className="empty-band">
+          <History size={22} aria-hidden />
+          <p>{filtered ? 'No activity matches these filters.' : 'No activity has been recorded yet.'}</p>
+        </div>
       )}
     </section>
   );
 }
 
-function Account({
-  user,
-  account,
-  workspaces,
+function WebhookSettings({
+  webhooks,
   busy,
-  onSaveProfile,
-  onRevokeSession,
-  onRevokeOthers,
-  onRevokeAll,
-  onRequestAccountDeletion,
-  onRequestWorkspaceDeletion,
-  onSignOut
+  onCreate,
+  onUpdate,
+  onDelete,
+  onTest,
+  onRedeliver
 }: {
-  user: User;
-  account: AccountData | null;
-  workspaces: Workspace[];
+  webhooks: WebhooksData | null;
   busy: boolean;
-  onSaveProfile: (displayName: string) => void;
-  onRevokeSession: (session: AccountSession) => void;
-  onRevokeOthers: () => void;
-  onRevokeAll: () => void;
-  onRequestAccountDeletion: (confirmation: string) => void;
-  onRequestWorkspaceDeletion: (workspace: Workspace, confirmation: string) => void;
-  onSignOut: () => void;
+  onCreate: (draft: WebhookDraft) => Promise<boolean>;
+  onUpdate: (endpoint: WebhookEndpoint, changes: { status?: WebhookEndpoint['status']; rotate_secret?: true }) => void;
+  onDelete: (endpoint: WebhookEndpoint) => void;
+  onTest: (endpoint: WebhookEndpoint) => void;
+  onRedeliver: (delivery: WebhookDelivery) => void;
 }) {
-  const [displayName, setDisplayName] = useState(user.display_name || '');
-  const [accountConfirmation, setAccountConfirmation] = useState('');
-  const ownerWorkspaces = workspaces.filter((workspace) => workspace.role === 'owner');
-  const [deletionWorkspaceId, setDeletionWorkspaceId] = useState(ownerWorkspaces[0]?.id || '');
-  const [workspaceConfirmation, setWorkspaceConfirmation] = useState('');
-  const effectiveDeletionWorkspaceId = ownerWorkspaces.some((workspace) => workspace.id === deletionWorkspaceId)
-    ? deletionWorkspaceId
-    : ownerWorkspaces[0]?.id || '';
-  const deletionWorkspace = ownerWorkspaces.find((workspace) => workspace.id === effectiveDeletionWorkspaceId);
-
+  const [draft, setDraft] = useState<WebhookDraft>(emptyWebhookDraft);
+  const [expandedDelivery, setExpandedDelivery] = useState('');
+  if (!webhooks) return <StateBanner state="loading" />;
+
+  const endpointUrls = new Map(webhooks.endpoints.map((endpoint) => [endpoint.id, endpoint.url]));
+  const toggleEvent = (eventType: WebhookEventType, checked: boolean) =>
+    setDraft((current) => ({
+      ...current,
+      event_types: checked
+        ? [...current.event_types, eventType]
+        : current.event_types.filter((item) => item !== eventType)
+    }));
   return (
-    <div className="account-layout">
-      <section className="panel" aria-labelledby="account-title">
-        <div className="panel-title between">
-          <div>
-            <h2 id="account-title">Profile</h2>
-            <p>Choose how your name appears to workspace members.</p>
-          </div>
-        </div>
-        <form
-          className="account-form"
-          onSubmit={(event) => {
-            event.preventDefault();
-            onSaveProfile(displayName);
-          }}
-        >
-          <label>
-            Display name
-            <input
-              value={displayName}
-              onChange={(event) => setDisplayName(event.target.value)}
-              autoComplete="name"
-              maxLength={100}
-            />
-          </label>
-          <label>
-            Email address
-            <input value={user.email} readOnly aria-describedby="email-help" />
-          </label>
-          <p id="email-help" className="muted">
-            Contact support if your sign-in email needs to change.
+    <section className="panel" aria-labelledby="webhooks-title">
+      <div className="panel-title">
+        <div>
+          <h2 id="webhooks-title">Webhooks</h2>
+          <p>
+            Send signed JSON events to your own systems when syncs finish, connections need attention, or reports are
+            ready.
           </p>
-          <div className="button-row start">
-            <button type="submit" disabled={busy || displayName === (user.display_name || '')}>
-              Save profile
-            </button>
-            <button type="button" onClick={onSignOut} disabled={busy}>
-              <LogOut size={18} aria-hidden /> Sign out
-            </button>
-          </div>
-        </form>
-        {account && (
-          <div>
-            <h3>Sign-in methods</h3>
-            <div className="settings-list">
-              {account.authentication_methods.map((method) => (
-                <span key={`${method.provider}-${method.connected_at}`}>
-                  {method.provider === 'google' ? 'Google' : 'Email code'}
-                  {method.email ? ` · ${method.email}` : ''}
-                </span>
-              ))}
-            </div>
-          </div>
-        )}
-      </section>
-
-      <section className="panel" aria-labelledby="sessions-title">
-        <div className="panel-title between">
+        </div>
+      </div>
+      {webhooks.secret && (
+        <div className="webhook-secret" role="status">
+          <KeyRound size={18} aria-hidden />
           <div>
-            <h2 id="sessions-title">Active sessions</h2>
-            <p>Review devices signed in to your account. Approximate locations are not collected.</p>
+            <strong>Signing secret</strong>
+            <code>{webhooks.secret}</code>
+            <small>This secret is shown once. Store it where your receiver can verify signatures.</small>
           </div>
-          <button type="button" onClick={onRevokeOthers} disabled={busy || !account || account.sessions.length < 2}>
-            Sign out other sessions
-          </button>
         </div>
-        <div className="session-list">
-          {account?.sessions.map((session) => (
-            <article className="session-row" key={session.id}>
-              <div>
-                <strong>
-                  {session.device_label} {session.current && <span className="current-label">Current</span>}
-                </strong>
-                <p>
-                  Last active {formatDate(session.last_seen_at)} · signed in {formatDate(session.created_at)}
-                </p>
-              </div>
-              <button type="button" className="ghost-button" disabled={busy} onClick={() => onRevokeSession(session)}>
-                {session.current ? 'Sign out this session' : 'Sign out'}
-              </button>
-            </article>
+      )}
+      <form
+        className="toolbar webhook-form"
+        onSubmit={(event) => {
+          event.preventDefault();
+          void onCreate(draft).then((created) => {
+            if (created) setDraft(emptyWebhookDraft);
+          });
+        }}
+      >
+        <label>
+          Endpoint URL
+          <input
+            type="url"
+            value={draft.url}
+            maxLength={2048}
+            onChange={(event) => setDraft((current) => ({ ...current, url: event.target.value }))}
+            placeholder="https://example.com/hooks/social-insights"
+            disabled={busy}
+          />
+        </label>
+        <label>
+          Description
+          <input
+            value={draft.description}
+            maxLength={255}
+            onChange={(event) => setDraft((current) => ({ ...current, description: event.target.value }))}
+            placeholder="Ops alerts"
+            disabled={busy}
+          />
+        </label>
+        <fieldset className="webhook-events">
+          <legend>Events</legend>
+          {webhooks.event_types.map((eventType) => (
+            <label key={eventType} className="toggle">
+              <input
+                type="checkbox"
+                checked={draft.event_types.includes(eventType)}
+                onChange={(event) => toggleEvent(eventType, event.target.checked)}
+                disabled={busy}
+              />
+              {webhookEventLabels[eventType] || eventType}
+            </label>
           ))}
-          {!account && <div className="table-empty compact-empty">Loading sessions…</div>}
-        </div>
-        <button type="button" className="danger account-danger-button" onClick={onRevokeAll} disabled={busy}>
-          Sign out everywhere
+        </fieldset>
+        <button type="submit" disabled={busy || !draft.url.trim() || draft.event_types.length === 0}>
+          <Webhook size={18} aria-hidden /> Add webhook
         </button>
-      </section>
+      </form>
+      {webhooks.endpoints.length > 0 ? (
+        <div className="table-wrap">
+          <table className="alert-table">
+            <thead>
+              <tr>
+                <th scope="col">Endpoint</th>
+                <th scope="col">Events</th>
+                <th scope="col">Last delivery</th>
+                <th scope="col">Status</th>
+                <th scope="col">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {webhooks.endpoints.map((endpoint) => (
+                <tr key={endpoint.id}>
+                  <td data-label="Endpoint">
+                    {endpoint.url}
+                    <small>
+                      {endpoint.description ? `${endpoint.description} · ` : ''}Secret ending {endpoint.secret_hint}
+                    </small>
+                  </td>
+                  <td data-label="Events">
+                    {endpoint.event_types.map((eventType) => webhookEventLabels[eventType] || eventType).join(', ')}
+                  </td>
+                  <td data-label="Last delivery">
+                    {endpoint.last_delivery_at ? formatDate(endpoint.last_delivery_at) : 'Never'}
+                    {endpoint.last_failure_code && (
+                      <small>
+                        {endpoint.consecutive_failures} failed · {endpoint.last_failure_code}
+                      </small>
+                    )}
+                  </td>
+                  <td data-label="Status">
+                    <StatusBadge status={endpoint.status} />
+                  </td>
+                  <td data-label="Actions" className="alert-rule-actions">
+                    <button
+                      type="button"
+                      className="ghost-button"
+                      disabled={busy || endpoint.status !== 'active'}
+                      onClick={() => onTest(endpoint)}
+                    >
+                      <Send size={16} aria-hidden /> Test
+                    </button>
+                    <button
+                      type="button"
+                      className="ghost-button"
+                      disabled={busy}
+                      onClick={() =>
+                        onUpdate(endpoint, { status: endpoint.status === 'active' ? 'disabled' : 'active' })
+                      }
+                    >
+                      {endpoint.status === 'active' ? 'Disable' : 'Enable'}
+                    </button>
+                    <button
+                      type="button"
+                      className="ghost-button"
+                      disabled={busy}
+                      onClick={() => onUpdate(endpoint, { rotate_secret: true })}
+                    >
+                      <KeyRound size={16} aria-hidden /> Rotate secret
+                    </button>
+                    <button type="button" className="danger" disabled={busy} onClick={() => onDelete(endpoint)}>
+                      <Trash2 size={16} aria-hidden /> Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="table-empty compact-empty">No webhooks yet. Add an HTTPS endpoint above.</div>
+      )}
+      <h3 className="webhook-deliveries-title">Recent deliveries</h3>
+      {webhooks.deliveries.length > 0 ? (
+        <div className="table-wrap">
+          <table className="alert-table">
+            <thead>
+              <tr>
+                <th scope="col">Created</th>
+                <th scope="col">Event</th>
+                <th scope="col">Response</th>
+                <th scope="col">Status</th>
+                <th scope="col">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {webhooks.deliveries.map((delivery) => (
+                <React.Fragment key={delivery.id}>
+                  <tr>
+                    <td data-label="Created">
+                      {formatDate(delivery.created_at)}
+                      <small>{endpointUrls.get(delivery.endpoint_id) || delivery.endpoint_id}</small>
+                    </td>
+                    <td data-label="Event">
+                      {delivery.event_type}
+                      <small>
+                        Attempt {delivery.attempts} of {delivery.max_attempts}
+                        {delivery.redelivery_of_id ? ' · Redelivery' : ''}
+                      </small>
+                    </td>
+                    <td data-label="Response">
+                      {delivery.response_status ?? '—'}
+                      {delivery.duration_ms !== null && <small>{delivery.duration_ms} ms</small>}
+                      {delivery.failure_code && <small>{delivery.failure_code}</small>}
+                    </td>
+                    <td data-label="Status">
+                      <StatusBadge status={delivery.status} />
+                      {delivery.next_attempt_at && <small>Next attempt {formatDate(delivery.next_attempt_at)}</small>}
+                    </td>
+                    <td data-label="Actions" className="alert-rule-actions">
+                      <button
+                        type="button"
+                        className="ghost-button"
+                        aria-expanded={expandedDelivery === delivery.id}
+                        onClick={() => setExpandedDelivery((current) => (current === delivery.id ? '' : delivery.id))}
+                      >
+                        <ChevronDown size={16} aria-hidden /> Payload
+                      </button>
+                      <button
+                        type="button"
+                        className="ghost-button"
+                        disabled={busy || delivery.status === 'pending' || delivery.status === 'sending'}
+                        onClick={() => onRedeliver(delivery)}
+                      >
+                        <RotateCw size={16} aria-hidden /> Redeliver
+                      </button>
+                    </td>
+                  </tr>
+                  {expandedDelivery === delivery.id && (
+                    <tr className="webhook-payload-row">
+                      <td colSpan={5}>
+                        <pre>{JSON.stringify(delivery.payload, null, 2)}</pre>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="table-empty compact-empty">Deliveries appear here once an event is sent.</div>
+      )}
+    </section>
+  );
+}
 
-      <section className="panel" aria-labelledby="deletion-title">
-        <div className="panel-title between">
+function Alerts({
+  workspace,
+  alerts,
+  busy,
+  onCreateRule,
+  onUpdateRule,
+  onDeleteRule,
+  onAcknowledge
+}: {
+  workspace: Workspace;
+  alerts: AlertsData | null;
+  busy: boolean;
+  onCreateRule: (draft: AlertRuleDraft) => Promise<boolean>;
+  onUpdateRule: (rule: AlertRule, changes: Partial<Pick<AlertRule, 'status' | 'notify_email'>>) => void;
+  onDeleteRule: (rule: AlertRule) => void;
+  onAcknowledge: (event: AlertEvent) => void;
+}) {
+  const [draft, setDraft] = useState<AlertRuleDraft>(emptyAlertRuleDraft);
+  if (!alerts) return <StateBanner state="loading" />;
+
+  const metricKey = draft.metric_key || alerts.metrics[0]?.key || '';
+  const providers = Array.from(new Set(alerts.metrics.map((metric) => metric.provider)));
+  const update = (changes: Partial<AlertRuleDraft>) => setDraft((current) => ({ ...current, ...changes }));
+  const changeRuleType = (ruleType: AlertRuleType) =>
+    update({
+      rule_type: ruleType,
+      direction: ruleType === 'threshold' ? 'below' : 'either',
+      threshold: ruleType === 'threshold' ? '' : ruleType === 'z_score' ? '3' : '20',
+      window_days: ruleType === 'z_score' ? '28' : '7'
+    });
+  const thresholdLabel =
+    draft.rule_type === 'threshold' ? 'Threshold' : draft.rule_type === 'z_score' ? 'Standard deviations' : 'Change %';
+  return (
+    <>
+      <section className="panel" aria-labelledby="alert-events-title">
+        <div className="panel-title">
           <div>
-            <h2 id="deletion-title">Deletion requests</h2>
-            <p>Requests are verified and reviewed before data is permanently removed.</p>
+            <h2 id="alert-events-title">Alerts</h2>
+            <p>Rules are checked against stored metrics in {workspace.name} after each successful sync.</p>
           </div>
         </div>
-        {account?.deletion_requests.length ? (
-          <div className="deletion-request-list">
-            {account.deletion_requests.map((request) => (
-              <article key={request.id}>
-                <span>
-                  {request.scope === 'workspace' ? request.workspace_name || 'Workspace' : 'Account'} ·{' '}
-                  {formatDate(request.requested_at)}
-                </span>
-                <StatusBadge status={request.status} />
-              </article>
-            ))}
+        {alerts.events.length > 0 ? (
+          <div className="table-wrap">
+            <table className="alert-table">
+              <thead>
+                <tr>
+                  <th scope="col">Date</th>
+                  <th scope="col">Rule</th>
+                  <th scope="col">Details</th>
+                  <th scope="col">Email</th>
+                  <th scope="col">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {alerts.events.map((event) => (
+                  <tr key={event.id} className={event.status === 'open' ? 'alert-open' : undefined}>
+                    <td data-label="Date">
+                      {event.observed_date}
+                      <small>Detected {formatDate(event.created_at)}</small>
+                    </td>
+                    <td data-label="Rule">
+                      {event.rule_name}
+                      <small>{alertProviderNames[event.provider] || event.provider}</small>
+                    </td>
+                    <td data-label="Details">{event.message}</td>
+                    <td data-label="Email">
+                      <StatusBadge status={event.notification_status} />
+                    </td>
+                    <td data-label="Status">
+                      {event.status === 'open' && alerts.can_manage ? (
+                        <button
+                          type="button"
+                          className="ghost-button"
+                          disabled={busy}
+                          onClick={() => onAcknowledge(event)}
+                        >
+                          <CheckCircle2 size={16} aria-hidden /> Acknowledge
+                        </button>
+                      ) : (
+                        <StatusBadge status={event.status} />
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
           </div>
         ) : (
-          <p className="muted">No deletion requests.</p>
+          <div className="empty-band">
+            <BellRing size={22} aria-hidden />
+            <p>No alerts have been triggered yet.</p>
+          </div>
         )}
+      </section>
 
-        <details className="danger-zone">
-          <summary>Request account deletion</summary>
+      <section className="panel" aria-labelledby="alert-rules-title">
+        <div className="panel-title">
           <div>
+            <h2 id="alert-rules-title">Alert rules</h2>
             <p>
-              This starts a reviewed deletion request for your account and associated personal data. Enter your full
-              email address to confirm.
+              Compare the latest value, the change against the previous period, or the distance from a trailing
+              baseline.
             </p>
+          </div>
+        </div>
+        {alerts.can_manage && (
+          <form
+            className="toolbar alert-rule-form"
+            onSubmit={(event) => {
+              event.preventDefault();
+              void onCreateRule({ ...draft, metric_key: metricKey }).then((created) => {
+                if (created) setDraft(emptyAlertRuleDraft);
+              });
+            }}
+          >
             <label>
-              Email confirmation
+              Name
               <input
-                value={accountConfirmation}
-                onChange={(event) => setAccountConfirmation(event.target.value)}
-                autoComplete="off"
+                value={draft.name}
+                maxLength={120}
+                onChange={(event) => update({ name: event.target.value })}
+                placeholder="Follower drop"
+                disabled={busy}
               />
             </label>
-            <button
-              type="button"
-              className="danger"
-              disabled={busy || accountConfirmation.trim().toLowerCase() !== user.email.toLowerCase()}
-              onClick={() => onRequestAccountDeletion(accountConfirmation)}
-            >
-              Submit account deletion request
-            </button>
-          </div>
-        </details>
-
-        {ownerWorkspaces.length > 0 && (
-          <details className="danger-zone">
-            <summary>Request workspace deletion</summary>
-            <div>
-              <p>Only workspace owners can request deletion. Enter the exact workspace name to confirm.</p>
-              <label>
-                Workspace
-                <select
-                  value={effectiveDeletionWorkspaceId}
-                  onChange={(event) => {
-                    setDeletionWorkspaceId(event.target.value);
-                    setWorkspaceConfirmation('');
-                  }}
-                >
-                  {ownerWorkspaces.map((workspace) => (
-                    <option key={workspace.id} value={workspace.id}>
-                      {workspace.name}
-                    </option>
-                  ))}
-                </select>
-              </label>
+            <label>
+              Metric
+              <select
+                value={metricKey}
+                onChange={(event) => update({ metric_key: event.target.value })}
+                disabled={busy}
+              >
+                {providers.map((provider) => (
+                  <optgroup key={provider} label={alertProviderNames[provider] || provider}>
+                    {alerts.metrics
+                      .filter((metric) => metric.provider === provider)
+                      .map((metric) => (
+                        <option key={metric.key} value={metric.key}>
+                          {metric.label}
+                        </option>
+                      ))}
+                  </optgroup>
+                ))}
+              </select>
+            </label>
+            <label>
+              Rule
+              <select
+                value={draft.rule_type}
+                onChange={(event) => changeRuleType(event.target.value as AlertRuleType)}
+                disabled={busy}
+              >
+                <option value="percent_change">Change vs previous period</option>
+                <option value="z_score">Unusual vs baseline</option>
+                <option value="threshold">Threshold</option>
+              </select>
+            </label>
+            <label>
+              Direction
+              <select
+                value={draft.direction}
+                onChange={(event) => update({ direction: event.target.value as AlertDirection })}
+                disabled={busy}
+              >
+                {draft.rule_type !== 'threshold' && <option value="either">Either way</option>}
+                <option value="above">Above</option>
+                <option value="below">Below</option>
+              </select>
+            </label>
+            <label>
+              {thresholdLabel}
+              <input
+                type="number"
+                step="any"
+                value={draft.threshold}
+                onChange={(event) => update({ threshold: event.target.value })}
+                disabled={busy}
+              />
+            </label>
+            {draft.rule_type !== 'threshold' && (
               <label>
-                Workspace name confirmation
+                Window (days)
                 <input
-                  value={workspaceConfirmation}
-                  onChange={(event) => setWorkspaceConfirmation(event.target.value)}
-                  autoComplete="off"
+                  type="number"
+                  min={draft.rule_type === 'z_score' ? 7 : 1}
+                  max={90}
+                  value={draft.window_days}
+                  onChange={(event) => update({ window_days: event.target.value })}
+                  disabled={busy}
                 />
               </label>
-              <button
-                type="button"
-                className="danger"
-                disabled={busy || !deletionWorkspace || workspaceConfirmation.trim() !== deletionWorkspace.name}
-                onClick={() =>
-                  deletionWorkspace && onRequestWorkspaceDeletion(deletionWorkspace, workspaceConfirmation)
-                }
-              >
-                Submit workspace deletion request
-              </button>
-            </div>
-          </details>
+            )}
+            <label className="toggle">
+              <input
+                type="checkbox"
+                checked={draft.notify_email}
+                onChange={(event) => update({ notify_email: event.target.checked })}
+                disabled={busy}
+              />
+              Email editors
+            </label>
+            <button type="submit" disabled={busy || !draft.name.trim() || !metricKey || draft.threshold === ''}>
+              <BellRing size={18} aria-hidden /> Add rule
+            </button>
+          </form>
+        )}
+        {alerts.rules.length > 0 ? (
+          <div className="table-wrap">
+            <table className="alert-table">
+              <thead>
+                <tr>
+                  <th scope="col">Rule</th>
+                  <th scope="col">Condition</th>
+                  <th scope="col">Email</th>
+                  <th scope="col">Status</th>
+                  {alerts.can_manage && <th scope="col">Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {alerts.rules.map((rule) => (
+                  <tr key={rule.id}>
+                    <td data-label="Rule">
+                      {rule.name}
+                      <small>
+                        {alertProviderNames[rule.provider] || rule.provider} · {rule.metric_label}
+                      </small>
+                    </td>
+                    <td data-label="Condition">
+                      {alertRuleCondition(rule)}
+                      {rule.last_error_code && <small>Last check failed: {rule.last_error_code}</small>}
+                    </td>
+                    <td data-label="Email">
+                      {alerts.can_manage ? (
+                        <input
+                          type="checkbox"
+                          aria-label={`Email alerts for ${rule.name}`}
+                          checked={rule.notify_email}
+                          disabled={busy}
+                          onChange={(event) => onUpdateRule(rule, { notify_email: event.target.checked })}
+                        />
+                      ) : rule.notify_email ? (
+                        'On'
+                      ) : (
+                        'Off'
+                      )}
+                    </td>
+                    <td data-label="Status">
+                      <StatusBadge status={rule.status} />
+                    </td>
+                    {alerts.can_manage && (
+                      <td data-label="Actions" className="alert-rule-actions">
+                        <button
+                          type="button"
+                          className="ghost-button"
+                          disabled={busy}
+                          onClick={() => onUpdateRule(rule, { status: rule.status === 'active' ? 'paused' : 'active' })}
+                        >
+                          {rule.status === 'active' ? 'Pause' : 'Resume'}
+                        </button>
+                        <button type="button" className="danger" disabled={busy} onClick={() => onDeleteRule(rule)}>
+                          <Trash2 size={16} aria-hidden /> Delete
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="table-empty compact-empty">
+            {alerts.can_manage
+              ? 'No alert rules yet. Add one above to watch a metric.'
+              : 'No alert rules yet. Owners, admins, and analysts can add them.'}
+          </div>
         )}
       </section>
-    </div>
+    </>
+  );
+}
+
+function ApiTokenSettings({
+  workspace,
+  apiTokens,
+  busy,
+  onCreate,
+  onRevoke
+}: {
+  workspace: Workspace;
+  apiTokens: ApiTokensData | null;
+  busy: boolean;
+  onCreate: (name: string, expiresInDays: number) => Promise<boolean>;
+  onRevoke: (token: ApiToken) => void;
+}) {
+  const [name, setName] = useState('');
+  const [expiresInDays, setExpiresInDays] = useState('90');
+  return (
+    <section className="panel" aria-labelledby="api-tokens-title">
+      <div className="panel-title between">
+        <div>
+          <h2 id="api-tokens-title">API tokens</h2>
+          <p>
+            Read-only tokens let scripts fetch dashboards, content, and CSV exports from {workspace.name} with your
+            current role. Send them as <code>Authorization: Bearer</code> headers.
+          </p>
+        </div>
+      </div>
+      {apiTokens?.token && (
+        <div className="webhook-secret" role="status">
+          <KeyRound size={18} aria-hidden />
+          <div>
+            <strong>New API token</strong>
+            <code>{apiTokens.token}</code>
+            <small>This token is shown once. Store it in your script's secret manager.</small>
+          </div>
+        </div>
+      )}
+      <form
+        className="toolbar api-token-form"
+        onSubmit={(event) => {
+          event.preventDefault();
+          void onCreate(name.trim(), Number(expiresInDays)).then((created) => {
+            if (created) setName('');
+          });
+        }}
+      >
+        <label>
+          Name
+          <input
+            value={name}
+            maxLength={120}
+            onChange={(event) => setName(event.target.value)}
+            placeholder="BI export"
+            disabled={busy}
+          />
+        </label>
+        <label>
+          Expires
+          <select value={expiresInDays} onChange={(event) => setExpiresInDays(event.target.value)} disabled={busy}>
+            <option value="30">In 30 days</option>
+            <option value="90">In 90 days</option>
+            <option value="180">In 180 days</option>
+            <option value="365">In 1 year</option>
+          </select>
+        </label>
+        <button type="submit" disabled={busy || !name.trim()}>
+          <KeyRound size={18} aria-hidden /> Create token
+        </button>
+      </form>
+      {!apiTokens ? (
+        <div className="table-empty compact-empty">Loading API tokens…</div>
+      ) : apiTokens.tokens.length > 0 ? (
+        <div className="table-wrap">
+          <table className="alert-table">
+            <thead>
+              <tr>
+                <th scope="col">Token</th>
+                <th scope="col">Expires</th>
+                <th scope="col">Last used</th>
+                <th scope="col">Status</th>
+                <th scope="col">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {apiTokens.tokens.map((token) => (
+                <tr key={token.id}>
+                  <td data-label="Token">
+                    {token.name}
+                    <small>
+                      {token.token_prefix}…{apiTokens.can_manage_all && !token.own ? ` · ${token.owner_email}` : ''}
+                    </small>
+                  </td>
+                  <td data-label="Expires">{formatDate(token.expires_at)}</td>
+                  <td data-label="Last used">{token.last_used_at ? formatDate(token.last_used_at) : 'Never'}</td>
+                  <td data-label="Status">
+                    <StatusBadge status={token.status} />
+                  </td>
+                  <td data-label="Actions">
+                    {token.status === 'active' && (
+                      <button type="button" className="danger" disabled={busy} onClick={() => onRevoke(token)}>
+                        <Trash2 size={16} aria-hidden /> Revoke
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="table-empty compact-empty">No API tokens yet.</div>
+      )}
+    </section>
+  );
+}
+
+function RetentionSettings({
+  workspace,
+  retention,
+  busy,
+  onSave
+}: {
+  workspace: Workspace;
+  retention: RetentionData | null;
+  busy: boolean;
+  onSave: (table: string, retainDays: number | null) => void;
+}) {
+  const [drafts, setDrafts] = useState<Record<string, string>>({});
+  return (
+    <section className="panel" aria-labelledby="retention-title">
+      <div className="panel-title between">
+        <div>
+          <h2 id="retention-title">Data retention</h2>
+          <p>
+            Older history in {workspace.name} is removed on a daily schedule. The newest snapshot of each source and
+            content item is always kept.
+          </p>
+        </div>
+      </div>
+      {retention ? (
+        <>
+          <div className="table-wrap">
+            <table className="retention-table">
+              <thead>
+                <tr>
+                  <th scope="col">Records</th>
+                  <th scope="col">Default</th>
+                  <th scope="col">This workspace</th>
+                  <th scope="col">Applied</th>
+                </tr>
+              </thead>
+              <tbody>
+                {retention.tables.map((table) => {
+                  const draft = drafts[table.table] ?? (table.workspace_days ? String(table.workspace_days) : '');
+                  const draftDays = Number(draft);
+                  const draftValid =
+                    Number.isInteger(draftDays) && draftDays >= table.minimum_days && draftDays <= table.maximum_days;
+                  return (
+                    <tr key={table.table}>
+                      <th scope="row">{retentionTableLabels[table.table] || table.table}</th>
+                      <td>{retentionPeriod(table.default_days)}</td>
+                      <td>
+                        {retention.can_manage ? (
+                          <form
+                            className="retention-form"
+                            onSubmit={(event) => {
+                              event.preventDefault();
+                              if (draftValid) onSave(table.table, draftDays);
+                            }}
+                          >
+                            <input
+                              type="number"
+                              inputMode="numeric"
+                              min={table.minimum_days}
+                              max={table.maximum_days}
+                              value={draft}
+                              placeholder={`${table.minimum_days}–${table.maximum_days}`}
+                              aria-label={`${retentionTableLabels[table.table] || table.table} retention in days`}
+                              onChange={(event) =>
+                                setDrafts((current) => ({ ...current, [table.table]: event.target.value }))
+                              }
+                            />
+                            <button type="submit" disabled={busy || !draftValid || draftDays === table.workspace_days}>
+                              Save
+                            </button>
+                            {table.workspace_days !== null && (
+                              <button
+                                type="button"
+                                className="ghost-button"
+                                disabled={busy}
+                                onClick={() => {
+                                  setDrafts((current) => ({ ...current, [table.table]: '' }));
+                                  onSave(table.table, null);
+                                }}
+                              >
+                                Use default
+                              </button>
+                            )}
+                          </form>
+                        ) : (
+                          retentionPeriod(table.workspace_days)
+                        )}
+                      </td>
+                      <td>{retentionPeriod(table.effective_days)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <h3>Recent workspace passes</h3>
+          {retention.recent_jobs.length ? (
+            <ul className="retention-job-list">
+              {retention.recent_jobs.map((job) => (
+                <li key={job.id}>
+                  <span>
+                    {retentionTableLabels[job.table] || job.table} · older than {formatDate(job.cutoff_at)}
+                    {job.dry_run ? ' · preview' : ''}
+                  </span>
+                  <span>
+                    {(job.dry_run ? job.matched_rows : job.affected_rows).toLocaleString()}{' '}
+                    {job.dry_run ? 'would be removed' : 'removed'}
+                  </span>
+                  <StatusBadge status={job.status} />
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="muted">No workspace-specific retention passes yet.</p>
+          )}
+        </>
+      ) : (
+        <div className="table-empty compact-empty">Loading retention settings…</div>
+      )}
+    </section>
   );
 }
 
@@ -0,0 +1,344 @@
+const { getConnection: getPoolConnection } = require('./database');
+const { decryptSecret, encryptSecret } = require('./platform/secret-envelope');
+const { TOKEN_REFRESH_BUFFER_MS, TOKEN_STATE_TTL_MS, getStateStorageKey } = require('./store');
+
+const DEFAULT_PRUNE_DAYS = 30;
+
+async function withStoreConnection(getConnection, fn) {
+  const connection = await getConnection();
+  if (!connection) {
+    throw new Error('DATABASE_URL is required for the MariaDB legacy store.');
+  }
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+function toMilliseconds(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+async function writeConnectorToken(connection, connectorToken, tokenData, now = Date.now()) {
+  const access = encryptSecret(tokenData.accessToken);
+  const refresh = encryptSecret(tokenData.refreshToken);
+  await connection.query(
+    `INSERT INTO legacy_connector_tokens
+      (subject, open_id, access_token_ciphertext, access_token_iv, access_token_tag,
+       refresh_token_ciphertext, refresh_token_iv, refresh_token_tag, key_version, scopes,
+       access_expires_at, refresh_expires_at, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+       FROM_UNIXTIME(? / 1000), FROM_UNIXTIME(? / 1000), FROM_UNIXTIME(? / 1000), FROM_UNIXTIME(? / 1000))
+     ON DUPLICATE KEY UPDATE
+       open_id = VALUES(open_id),
+       access_token_ciphertext = VALUES(access_token_ciphertext),
+       access_token_iv = VALUES(access_token_iv),
+       access_token_tag = VALUES(access_token_tag),
+       refresh_token_ciphertext = VALUES(refresh_token_ciphertext),
+       refresh_token_iv = VALUES(refresh_token_iv),
+       refresh_token_tag = VALUES(refresh_token_tag),
+       key_version = VALUES(key_version),
+       scopes = VALUES(scopes),
+       access_expires_at = VALUES(access_expires_at),
+       refresh_expires_at = VALUES(refresh_expires_at),
+       updated_at = VALUES(updated_at)`,
+    [
+      connectorToken,
+      tokenData.openId || null,
+      access.ciphertext,
+      access.iv,
+      access.tag,
+      refresh.ciphertext,
+      refresh.iv,
+      refresh.tag,
+      access.keyVersion,
+      tokenData.scopes || null,
+      toMilliseconds(tokenData.expiresAt),
+      toMilliseconds(tokenData.refreshExpiresAt),
+      toMilliseconds(tokenData.createdAt) || now,
+      toMilliseconds(tokenData.updatedAt) || now
+    ]
+  );
+}
+
+async function readConnectorToken(connection, connectorToken) {
+  const rows = await connection.query(
+    `SELECT open_id, access_token_ciphertext, access_token_iv, access_token_tag,
+            refresh_token_ciphertext, refresh_token_iv, refresh_token_tag, key_version, scopes,
+            ROUND(UNIX_TIMESTAMP(access_expires_at) * 1000) AS expires_at,
+            ROUND(UNIX_TIMESTAMP(refresh_expires_at) * 1000) AS refresh_expires_at,
+            ROUND(UNIX_TIMESTAMP(created_at) * 1000) AS created_at,
+            ROUND(UNIX_TIMESTAMP(updated_at) * 1000) AS updated_at
+     FROM legacy_connector_tokens
+     WHERE subject = ?
+     LIMIT 1`,
+    [connectorToken]
+  );
+  const row = rows[0];
+  if (!row) {
+    return null;
+  }
+  try {
+    return {
+      accessToken: decryptSecret({
+        ciphertext: row.access_token_ciphertext,
+        iv: row.access_token_iv,
+        tag: row.access_token_tag,
+        keyVersion: row.key_version
+      }),
+      refreshToken: decryptSecret({
+        ciphertext: row.refresh_token_ciphertext,
+        iv: row.refresh_token_iv,
+        tag: row.refresh_token_tag,
+        keyVersion: row.key_version
+      }),
+      expiresAt: toMilliseconds(row.expires_at),
+      refreshExpiresAt: toMilliseconds(row.refresh_expires_at),
+      scopes: row.scopes,
+      createdAt: toMilliseconds(row.created_at),
+      updatedAt: toMilliseconds(row.updated_at),
+      openId: row.open_id || null
+    };
+  } catch (error) {
+    console.error('DatabaseTokenStore failed to decrypt connector token:', {
+      error: error.message,
+      keyVersion: row.key_version
+    });
+    return null;
+  }
+}
+
+async function writeState(connection, stateKey, namespace, record, createdAt, expiresAt) {
+  const payload = encryptSecret(JSON.stringify(record));
+  await connection.query(
+    `INSERT INTO legacy_connector_states
+      (state_key, namespace, payload_ciphertext, payload_iv, payload_tag, key_version, created_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, FROM_UNIXTIME(? / 1000), FROM_UNIXTIME(? / 1000))
+     ON DUPLICATE KEY UPDATE
+       namespace = VALUES(namespace),
+       payload_ciphertext = VALUES(payload_ciphertext),
+       payload_iv = VALUES(payload_iv),
+       payload_tag = VALUES(payload_tag),
+       key_version = VALUES(key_version),
+       created_at = VALUES(created_at),
+       expires_at = VALUES(expires_at)`,
+    [stateKey, namespace, payload.ciphertext, payload.iv, payload.tag, payload.keyVersion, createdAt, expiresAt]
+  );
+}
+
+async function readState(connection, stateKey) {
+  const rows = await connection.query(
+    `SELECT namespace, payload_ciphertext, payload_iv, payload_tag, key_version,
+            ROUND(UNIX_TIMESTAMP(expires_at) * 1000) AS expires_at
+     FROM legacy_connector_states
+     WHERE state_key = ?
+     LIMIT 1`,
+    [stateKey]
+  );
+  const row = rows[0];
+  if (!row) {
+    return null;
+  }
+  return {
+    namespace: row.namespace,
+    data: JSON.parse(decryptSecret({
+      ciphertext: row.payload_ciphertext,
+      iv: row.payload_iv,
+      tag: row.payload_tag,
+      keyVersion: row.key_version
+    })),
+    expires_at: toMilliseconds(row.expires_at)
+  };
+}
+
+class DatabaseTokenStore {
+  constructor(options = {}) {
+    this.pruneAfterDays = options.pruneAfterDays || DEFAULT_PRUNE_DAYS;
+    this.getConnection = options.getConnection || getPoolConnection;
+  }
+
+  async saveConnectorToken(connectorToken, tokenData) {
+    if (!tokenData || !tokenData.accessToken || !tokenData.refreshToken) {
+      throw new Error('Cannot save incomplete connector token.');
+    }
+    return withStoreConnection(this.getConnection, async connection => {
+      await writeConnectorToken(connection, connectorToken, {
+        ...tokenData,
+        createdAt: null,
+        updatedAt: null
+      });
+      await connection.query(
+        `DELETE FROM legacy_connector_tokens
+         WHERE refresh_expires_at < UTC_TIMESTAMP(3)
+           AND updated_at < DATE_SUB(UTC_TIMESTAMP(3), INTERVAL ? DAY)`,
+        [this.pruneAfterDays]
+      );
+    });
+  }
+
+  async getConnectorToken(connectorToken) {
+    return withStoreConnection(this.getConnection, connection => readConnectorToken(connection, connectorToken));
+  }
+
+  async revokeConnectorToken(connectorToken) {
+    return withStoreConnection(this.getConnection, async connection => {
+      const result = await connection.query('DELETE FROM legacy_connector_tokens WHERE subject = ?', [connectorToken]);
+      return Number(result.affectedRows) > 0;
+    });
+  }
+
+  isAccessTokenValid(tokenData) {
+    return tokenData.expiresAt && Date.now() < tokenData.expiresAt - TOKEN_REFRESH_BUFFER_MS;
+  }
+
+  isRefreshTokenValid(tokenData) {
+    return tokenData.refreshExpiresAt && Date.now() < tokenData.refreshExpiresAt - TOKEN_REFRESH_BUFFER_MS;
+  }
+}
+
+class DatabaseStateStore {
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || TOKEN_STATE_TTL_MS;
+    this.namespace = options.namespace || 'default';
+    this.getConnection = options.getConnection || getPoolConnection;
+    const cleanupIntervalMs = options.cleanupIntervalMs === undefined
+      ? Math.max(Math.floor(this.ttlMs / 2), 60 * 1000)
+      : options.cleanupIntervalMs;
+    this.intervalId = null;
+    if (cleanupIntervalMs > 0) {
+      this.intervalId = setInterval(() => {
+        this.pruneExpiredEntries().catch(error => {
+          console.error('DatabaseStateStore prune failed:', { error: error.message, namespace: this.namespace });
+        });
+      }, cleanupIntervalMs);
+      if (typeof this.intervalId.unref === 'function') {
+        this.intervalId.unref();
+      }
+    }
+  }
+
+  getStorageKey(state) {
+    return getStateStorageKey(this.namespace, state);
+  }
+
+  async save(state, record) {
+    if (!state) {
+      throw new Error('Cannot save empty OAuth state.');
+    }
+    return withStoreConnection(this.getConnection, async connection => {
+      const now = Date.now();
+      await writeState(connection, this.getStorageKey(state), this.namespace, { ...record }, now, now + this.ttlMs);
+    });
+  }
+
+  async consume(state) {
+    const result = await this.consumeWithResult(state);
+    return result.status === 'consumed' ? result.entry : null;
+  }
+
+  async consumeWithResult(state) {
+    if (!state) {
+      return { status: 'missing', entry: null };
+    }
+    return withStoreConnection(this.getConnection, async connection => {
+      const key = this.getStorageKey(state);
+      const entry = await readState(connection, key);
+      if (!entry) {
+        return { status: 'missing', entry: null };
+      }
+      const deleted = await connection.query('DELETE FROM legacy_connector_states WHERE state_key = ?', [key]);
+      if (Number(deleted.affectedRows) !== 1) {
+        return { status: 'missing', entry: null };
+      }
+      if (entry.expires_at <= Date.now()) {
+        return {
+          status: 'expired',
+          entry: null,
+          metadata: { flow: entry.data && entry.data.flow }
+        };
+      }
+      return { status: 'consumed', entry: entry.data };
+    });
+  }
+
+  async pruneExpiredEntries() {
+    return withStoreConnection(this.getConnection, async connection => {
+      await connection.query('DELETE FROM legacy_connector_states WHERE expires_at <= UTC_TIMESTAMP(3)');
+    });
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+}
+
+function sameToken(source, stored) {
+  return Boolean(stored) &&
+    stored.accessToken === source.accessToken &&
+    stored.refreshToken === source.refreshToken &&
+    stored.openId === (source.openId || null) &&
+    stored.scopes === (source.scopes || null) &&
+    stored.expiresAt === toMilliseconds(source.expiresAt) &&
+    stored.refreshExpiresAt === toMilliseconds(source.refreshExpiresAt);
+}
+
+async function migrateFileStores(connection, { tokenStore, stateStore, dryRun = false }) {
+  const tokens = await tokenStore.listConnectorTokens();
+  const states = stateStore ? await stateStore.listStates() : [];
+  const readable = tokens.filter(token => token.tokenData);
+  const report = {
+    dry_run: dryRun,
+    tokens: {
+      found: tokens.length,
+      undecryptable: tokens.length - readable.length,
+      migrated: 0,
+      verified: 0
+    },
+    states: {
+      found: states.length,
+      migrated: 0,
+      verified: 0
+    }
+  };
+  if (!dryRun) {
+    for (const token of readable) {
+      await writeConnectorToken(connection, token.connectorToken, token.tokenData);
+      report.tokens.migrated += 1;
+    }
+    for (const state of states) {
+      await writeState(connection, state.key, state.namespace, state.data, state.created_at, state.expires_at);
+      report.states.migrated += 1;
+    }
+    for (const token of readable) {
+      if (sameToken(token.tokenData, await readConnectorToken(connection, token.connectorToken))) {
+        report.tokens.verified += 1;
+      }
+    }
+    for (const state of states) {
+      const stored = await readState(connection, state.key);
+      if (stored && JSON.stringify(stored.data) === JSON.stringify(state.data)) {
+        report.states.verified += 1;
+      }
+    }
+  }
+  const [counts] = await connection.query(
+    `SELECT (SELECT COUNT(*) FROM legacy_connector_tokens) AS tokens,
+            (SELECT COUNT(*) FROM legacy_connector_states) AS states`
+  );
+  report.tokens.database_total = Number(counts.tokens);
+  report.states.database_total = Number(counts.states);
+  report.valid = report.tokens.undecryptable === 0 &&
+    report.tokens.verified === (dryRun ? 0 : readable.length) &&
+    report.states.verified === (dryRun ? 0 : states.length);
+  return report;
+}
+
+module.exports = {
+  DatabaseStateStore,
+  DatabaseTokenStore,
+  migrateFileStores
+};
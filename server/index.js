@@ -9,6 +9,7 @@ const jwt = require('jsonwebtoken');
 const path = require('path');
 const fs = require('fs');
 const { FileStateStore, FileTokenStore } = require('./store');
+const { DatabaseStateStore, DatabaseTokenStore } = require('./database-store');
 const { getConnection } = require('./database');
 const { createPlatformRouter } = require('./platform/routes');
 const { validateMailConfiguration } = require('./platform/mail');
@@ -16,7 +17,19 @@ const { getDeploymentReadinessCheck, getDeploymentVersion } = require('./platfor
 const { getYouTubeConfiguration } = require('./platform/youtube-config');
 const { getMetaConfiguration } = require('./platform/meta-config');
 const { getGoogleAnalyticsConfiguration } = require('./platform/google-analytics-config');
+const { getLinkedInConfiguration } = require('./platform/linkedin-config');
+const { linkedInFoundationReady } = require('./platform/linkedin-connection-service');
+const { getSearchConsoleConfiguration } = require('./platform/search-console-config');
+const { searchConsoleFoundationReady } = require('./platform/search-console-connection-service');
+const { getPinterestConfiguration } = require('./platform/pinterest-config');
+const { pinterestFoundationReady } = require('./platform/pinterest-connection-service');
+const { getThreadsConfiguration } = require('./platform/threads-config');
+const { threadsFoundationReady } = require('./platform/threads-connection-service');
+const { getBlueskyConfiguration } = require('./platform/bluesky-config');
+const { blueskyFoundationReady } = require('./platform/bluesky-connection-service');
 const { getReportConfiguration, getReportProductionErrors } = require('./platform/report-config');
+const { KEY_PROVIDERS, getTransitConfiguration } = require('./platform/key-providers');
+const { initializeKeyProvider } = require('./platform/secret-envelope');
 
 const BASE_URL = process.env.BASE_URL;
 const TIKTOK_CLIENT_KEY = process.env.TIKTOK_CLIENT_KEY;
@@ -31,6 +44,10 @@ const AUTH_CODE_TTL_MS = Number(process.env.AUTH_CODE_TTL_MS) || 10 * 60 * 1000;
 const BACKEND_TOKEN_TTL_SECONDS = 60 * 60;
 const DEFAULT_PROVIDER_HTTP_TIMEOUT_MS = 10 * 1000;
 const DEFAULT_BODY_LIMIT = '10kb';
+const SAML_RESPONSE_BODY_LIMIT = '256kb';
+const SAML_ACS_PATH = /^\/auth\/sso\/saml\/[^/]+\/acs$/;
+const SCIM_BODY_LIMIT = '256kb';
+const SCIM_PATH = /^\/scim\/v2\//;
 const ALLOWED_USER_FIELDS = [
   'open_id',
   'union_id',
@@ -101,9 +118,31 @@ function validateRequiredEnv(env = process.env) {
       throw new Error('BASE_URL must not use localhost in production.');
     }
   }
-  if (!env.ENCRYPTION_KEY) {
+  const keyProvider = env.ENCRYPTION_KEY_PROVIDER || 'env';
+  if (!KEY_PROVIDERS.includes(keyProvider)) {
+    throw new Error('ENCRYPTION_KEY_PROVIDER must be env, file, or transit.');
+  }
+  if (keyProvider === 'env' && !env.ENCRYPTION_KEY) {
     throw new Error('Missing ENCRYPTION_KEY environment variable.');
   }
+  const legacyStoreBackend = env.LEGACY_STORE_BACKEND || 'file';
+  if (!['file', 'mariadb'].includes(legacyStoreBackend)) {
+    throw new Error('LEGACY_STORE_BACKEND must be file or mariadb.');
+  }
+  if (legacyStoreBackend === 'mariadb' && !env.DATABASE_URL) {
+    throw new Error('LEGACY_STORE_BACKEND=mariadb requires DATABASE_URL.');
+  }
+  if (keyProvider !== 'env') {
+    if (!env.ENCRYPTION_KEYRING_PATH) {
+      throw new Error(`ENCRYPTION_KEY_PROVIDER=${keyProvider} requires ENCRYPTION_KEYRING_PATH.`);
+    }
+    if (legacyStoreBackend !== 'mariadb') {
+      throw new Error(`ENCRYPTION_KEY_PROVIDER=${keyProvider} requires LEGACY_STORE_BACKEND=mariadb.`);
+    }
+  }
+  if (keyProvider === 'transit') {
+    getTransitConfiguration(env);
+  }
   if (!backendJwtSecret) {
     throw new Error('Missing BACKEND_JWT_SECRET environment variable.');
   }
@@ -129,12 +168,18 @@ function validateRequiredEnv(env = process.env) {
       throw new Error('AUTH_DEV_MAGIC_LINKS must be disabled in production.');
     }
     validateMailConfiguration(env);
-    if (isPlaceholderValue(env.ENCRYPTION_KEY) || new Set(env.ENCRYPTION_KEY).size === 1) {
+    if (keyProvider === 'env' && (isPlaceholderValue(env.ENCRYPTION_KEY) || new Set(env.ENCRYPTION_KEY).size === 1)) {
       throw new Error('ENCRYPTION_KEY must be a real random 32-byte key in production.');
     }
-    if (!env.ENCRYPTION_KEY_VERSION || env.ENCRYPTION_KEY_VERSION === 'local-v1' || isPlaceholderValue(env.ENCRYPTION_KEY_VERSION)) {
+    if (
+      keyProvider === 'env' &&
+      (!env.ENCRYPTION_KEY_VERSION || env.ENCRYPTION_KEY_VERSION === 'local-v1' || isPlaceholderValue(env.ENCRYPTION_KEY_VERSION))
+    ) {
       throw new Error('ENCRYPTION_KEY_VERSION must be set to a production key version.');
     }
+    if (keyProvider !== 'env' && env.ENCRYPTION_KEY) {
+      throw new Error(`ENCRYPTION_KEY must not be set when ENCRYPTION_KEY_PROVIDER=${keyProvider}.`);
+    }
     if ((env.ALLOWED_ORIGINS || '').split(',').map(value => value.trim()).includes('*')) {
       throw new Error('ALLOWED_ORIGINS must not contain wildcard origins in production.');
     }
@@ -173,24 +218,32 @@ const tokenStorePath = process.env.TOKEN_STORE_PATH || path.join(__dirname, 'dat
 const tokenLockPath = process.env.TOKEN_LOCK_PATH || path.join(__dirname, 'data', 'tokens.json.lock');
 const stateStorePath = process.env.STATE_STORE_PATH || path.join(__dirname, 'data', 'oauth-state.json');
 const stateLockPath = process.env.STATE_LOCK_PATH || `${stateStorePath}.lock`;
-const tokenStore = new FileTokenStore({
-  filePath: tokenStorePath,
-  lockPath: tokenLockPath,
-  encryptionKey: process.env.ENCRYPTION_KEY,
-  pruneAfterDays: process.env.TOKEN_PRUNE_DAYS ? Number(process.env.TOKEN_PRUNE_DAYS) : undefined
-});
-const stateStore = new FileStateStore({
-  filePath: stateStorePath,
-  lockPath: stateLockPath,
-  ttlMs: OAUTH_STATE_TTL_MS,
-  namespace: 'tiktok_oauth_state'
-});
-const authCodeStore = new FileStateStore({
-  filePath: stateStorePath,
-  lockPath: stateLockPath,
-  ttlMs: AUTH_CODE_TTL_MS,
-  namespace: 'backend_authorization_code'
-});
+const useDatabaseStores = process.env.LEGACY_STORE_BACKEND === 'mariadb';
+const tokenPruneDays = process.env.TOKEN_PRUNE_DAYS ? Number(process.env.TOKEN_PRUNE_DAYS) : undefined;
+const tokenStore = useDatabaseStores
+  ? new DatabaseTokenStore({ pruneAfterDays: tokenPruneDays })
+  : new FileTokenStore({
+    filePath: tokenStorePath,
+    lockPath: tokenLockPath,
+    encryptionKey: process.env.ENCRYPTION_KEY,
+    pruneAfterDays: tokenPruneDays
+  });
+const stateStore = useDatabaseStores
+  ? new DatabaseStateStore({ ttlMs: OAUTH_STATE_TTL_MS, namespace: 'tiktok_oauth_state' })
+  : new FileStateStore({
+    filePath: stateStorePath,
+    lockPath: stateLockPath,
+    ttlMs: OAUTH_STATE_TTL_MS,
+    namespace: 'tiktok_oauth_state'
+  });
+const authCodeStore = useDatabaseStores
+  ? new DatabaseStateStore({ ttlMs: AUTH_CODE_TTL_MS, namespace: 'backend_authorization_code' })
+  : new FileStateStore({
+    filePath: stateStorePath,
+    lockPath: stateLockPath,
+    ttlMs: AUTH_CODE_TTL_MS,
+    namespace: 'backend_authorization_code'
+  });
 
 const REQUIRED_SCOPES = [
   'user.info.basic',
@@ -309,12 +362,17 @@ const apiLimiter = rateLimit({
   handler: (req, res) => res.status(429).json({ error: 'rate_limited' })
 });
 
+// SAML responses arrive as a cross-site form post from the identity provider.
+const samlResponseParser = express.urlencoded({ extended: false, limit: SAML_RESPONSE_BODY_LIMIT });
+app.use('/api', (req, res, next) => (SAML_ACS_PATH.test(req.path) ? samlResponseParser(req, res, next) : next()));
+const scimParser = express.json({ type: ['application/scim+json', 'application/json'], limit: SCIM_BODY_LIMIT });
+app.use('/api', (req, res, next) => (SCIM_PATH.test(req.path) ? scimParser(req, res, next) : next()));
 app.use(express.urlencoded({ extended: false, limit: DEFAULT_BODY_LIMIT }));
 app.use(express.json({ limit: DEFAULT_BODY_LIMIT }));
 
 app.use('/oauth', corsMiddleware, authLimiter);
 app.use('/auth', authLimiter);
-app.use('/api', corsMiddleware, apiLimiter);
+app.use('/api', (req, res, next) => (SAML_ACS_PATH.test(req.path) ? next() : corsMiddleware(req, res, next)), apiLimiter);
 
 app.get('/health/live', (req, res) => {
   res.json({ status: 'live' });
@@ -331,6 +389,11 @@ app.get('/health/ready', async (req, res) => {
   let youtubeFoundationReady = false;
   let metaFoundationReady = false;
   let ga4FoundationReady = false;
+  let linkedInReady = false;
+  let searchConsoleReady = false;
+  let pinterestReady = false;
+  let threadsReady = false;
+  let blueskyReady = false;
   if (process.env.DATABASE_URL) {
     let connection;
     try {
@@ -368,6 +431,11 @@ app.get('/health/ready', async (req, res) => {
            )`
       );
       ga4FoundationReady = Number(ga4FoundationRows[0] && ga4FoundationRows[0].count) === 9;
+      linkedInReady = await linkedInFoundationReady(connection);
+      searchConsoleReady = await searchConsoleFoundationReady(connection);
+      pinterestReady = await pinterestFoundationReady(connection);
+      threadsReady = await threadsFoundationReady(connection);
+      blueskyReady = await blueskyFoundationReady(connection);
       const metaFoundationRows = await connection.query(
         `SELECT COUNT(*) AS count FROM information_schema.TABLES
          WHERE TABLE_SCHEMA = DATABASE()
@@ -438,6 +506,31 @@ app.get('/health/ready', async (req, res) => {
     foundationReady: ga4FoundationReady,
     workerReady: true
   });
+  const linkedIn = getLinkedInConfiguration(process.env, {
+    databaseReady: database === 'ready',
+    foundationReady: linkedInReady,
+    workerReady: true
+  });
+  const searchConsole = getSearchConsoleConfiguration(process.env, {
+    databaseReady: database === 'ready',
+    foundationReady: searchConsoleReady,
+    workerReady: true
+  });
+  const pinterest = getPinterestConfiguration(process.env, {
+    databaseReady: database === 'ready',
+    foundationReady: pinterestReady,
+    workerReady: true
+  });
+  const threads = getThreadsConfiguration(process.env, {
+    databaseReady: database === 'ready',
+    foundationReady: threadsReady,
+    workerReady: true
+  });
+  const bluesky = getBlueskyConfiguration(process.env, {
+    databaseReady: database === 'ready',
+    foundationReady: blueskyReady,
+    workerReady: true
+  });
   const reports = getReportConfiguration();
   const body = {
     status: database === 'unavailable' ? 'not_ready' : 'ready',
@@ -449,6 +542,11 @@ app.get('/health/ready', async (req, res) => {
       facebook_pages: facebookPages.status,
       instagram: instagram.status,
       google_analytics_4: googleAnalytics.status,
+      linkedin: linkedIn.status,
+      google_search_console: searchConsole.status,
+      pinterest: pinterest.status,
+      threads: threads.status,
+      bluesky: bluesky.status,
       pdf_reports: !reports.enabled ? 'disabled' : reports.ready ? 'ready' : 'configuration_required',
       sync_queue: syncQueue,
       report_queue: reports.enabled ? reportQueue : 'disabled'
@@ -460,6 +558,11 @@ app.get('/health/ready', async (req, res) => {
     ...facebookPages.warnings,
     ...instagram.warnings,
     ...googleAnalytics.warnings,
+    ...linkedIn.warnings,
+    ...searchConsole.warnings,
+    ...pinterest.warnings,
+    ...threads.warnings,
+    ...bluesky.warnings,
     ...reports.errors.map(() => 'pdf_reports_configuration_invalid'),
     ...(syncQueue === 'overdue' ? ['sync_jobs_overdue'] : []),
     ...(reports.enabled && reportQueue === 'overdue' ? ['report_jobs_overdue'] : [])
@@ -1450,9 +1553,16 @@ let server;
 if (process.env.NODE_ENV !== 'test') {
   const listenTarget = getListenTarget();
 
-  server = app.listen(listenTarget, () => {
-    console.log(`Backend listening on ${BASE_URL} via ${listenTarget}`);
-  });
+  initializeKeyProvider()
+    .then(keyring => {
+      server = app.listen(listenTarget, () => {
+        console.log(`Backend listening on ${BASE_URL} via ${listenTarget} with the ${keyring.provider} key provider`);
+      });
+    })
+    .catch(error => {
+      console.error(`Encryption key provider failed to load: ${error.message}`);
+      process.exit(1);
+    });
 }
 
 function shutdown() {
@@ -0,0 +1,348 @@
+let fetchImpl = require('node-fetch');
+let sleepImpl = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
+let randomImpl = Math.random;
+
+const {
+  BLUESKY_REQUIRED_SCOPES,
+  getBlueskyLimits,
+  getBlueskyServiceUrls,
+  validateServiceUrl
+} = require('../platform/bluesky-config');
+const { fetchPublicUrl } = require('../platform/outbound-network');
+
+const BLUESKY_SCOPES = BLUESKY_REQUIRED_SCOPES;
+const BLUESKY_APP_PASSWORD_SETTINGS_URL = 'https://bsky.app/settings/app-passwords';
+const BLUESKY_PROFILE_URL = 'https://bsky.app/profile';
+const BLUESKY_DID = /^did:(plc:[a-z2-7]{24}|web:[a-z0-9.-]{1,180})$/;
+const BLUESKY_HANDLE = /^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]([a-z0-9-]{0,61}[a-z0-9])?$/;
+const BLUESKY_APP_PASSWORD = /^[a-z0-9]{4}-[a-z0-9]{4}-[a-z0-9]{4}-[a-z0-9]{4}$/i;
+const BLUESKY_RECORD_KEY = /^[A-Za-z0-9._~:-]{1,64}$/;
+const TERMINAL_ERRORS = Object.freeze(['ExpiredToken', 'InvalidToken', 'AccountTakedown', 'AccountDeactivated']);
+
+function setBlueskyTestHooks(hooks = {}) {
+  fetchImpl = hooks.fetch || require('node-fetch');
+  sleepImpl = hooks.sleep || (milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds)));
+  randomImpl = hooks.random || Math.random;
+}
+
+function normalizeIdentifier(value) {
+  const raw = String(value || '').trim().replace(/^@/, '').toLowerCase();
+  if (BLUESKY_DID.test(raw)) return { kind: 'did', did: raw, handle: null };
+  if (raw.length <= 253 && BLUESKY_HANDLE.test(raw)) return { kind: 'handle', did: null, handle: raw };
+  return null;
+}
+
+function isAppPassword(value) {
+  return BLUESKY_APP_PASSWORD.test(String(value || ''));
+}
+
+function decodeJwtClaims(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return claims && typeof claims === 'object' ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+function tokenTtlSeconds(token, now = Date.now()) {
+  const claims = decodeJwtClaims(token);
+  const exp = claims ? Number(claims.exp) : NaN;
+  return Number.isFinite(exp) && exp > 0 ? Math.max(1, Math.floor(exp - now / 1000)) : null;
+}
+
+function sessionScopes(accessJwt) {
+  const claims = decodeJwtClaims(accessJwt);
+  return claims && typeof claims.scope === 'string' ? claims.scope.split(/\s+/).filter(Boolean) : [];
+}
+
+function grantedScopes(scopeValue) {
+  const values = Array.isArray(scopeValue) ? scopeValue.map(String) : String(scopeValue || '').split(/[\s,]+/);
+  return new Set(values.filter(Boolean));
+}
+
+function missingScopes(scopeValue) {
+  const granted = grantedScopes(scopeValue);
+  return BLUESKY_SCOPES.filter(scope => !granted.has(scope));
+}
+
+function hasExactScopes(scopeValue) {
+  const granted = grantedScopes(scopeValue);
+  return granted.size === BLUESKY_SCOPES.length && BLUESKY_SCOPES.every(scope => granted.has(scope));
+}
+
+function profileUrl(handleOrDid) {
+  return `${BLUESKY_PROFILE_URL}/${encodeURIComponent(handleOrDid)}`;
+}
+
+function postUrl(did, recordKey) {
+  return `${profileUrl(did)}/post/${encodeURIComponent(recordKey)}`;
+}
+
+function parseRetryAfter(headers) {
+  const retryAfter = headers && headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds) && seconds >= 0) return Math.ceil(seconds);
+  }
+  const reset = Number(headers && headers.get('ratelimit-reset'));
+  if (Number.isFinite(reset) && reset > 0) return Math.max(0, Math.ceil(reset - Date.now() / 1000));
+  return null;
+}
+
+function categorizeProviderFailure(status, body) {
+  const code = body && typeof body.error === 'string' ? body.error : null;
+  const providerCode = code || (body && typeof body.message === 'string' ? body.message : null);
+  if (code && TERMINAL_ERRORS.includes(code)) {
+    return { category: 'authentication', retryable: false, terminal: true, provider_code: providerCode };
+  }
+  if (status === 401) {
+    return { category: 'authentication', retryable: false, terminal: true, provider_code: providerCode };
+  }
+  if (status === 403) {
+    return { category: 'scope', retryable: false, provider_code: providerCode };
+  }
+  if (status === 429 || code === 'RateLimitExceeded') {
+    return { category: 'rate_limit', retryable: true, provider_code: providerCode };
+  }
+  if (status >= 500) {
+    return { category: 'provider', retryable: true, provider_code: providerCode };
+  }
+  if (status >= 400) {
+    return { category: 'provider', retryable: false, provider_code: providerCode };
+  }
+  return { category: 'malformed_response', retryable: false, provider_code: providerCode };
+}
+
+async function readJson(response) {
+  const text = await response.text();
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    const error = new Error('malformed_provider_response');
+    error.category = 'malformed_response';
+    error.retryable = false;
+    throw error;
+  }
+}
+
+async function fetchWithTimeout(url, options, timeoutMs, env = process.env) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetchPublicUrl(fetchImpl, url, { ...options, redirect: 'error', signal: controller.signal }, env);
+  } catch (error) {
+    if (error && error.code === 'outbound_address_not_public') {
+      const refused = new Error('bluesky_address_not_public');
+      refused.category = 'network';
+      refused.retryable = false;
+      throw refused;
+    }
+    const wrapped = new Error(error && error.name === 'AbortError' ? 'bluesky_request_timeout' : 'bluesky_network_error');
+    wrapped.category = error && error.name === 'AbortError' ? 'timeout' : 'network';
+    wrapped.retryable = true;
+    throw wrapped;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function callBluesky(url, options = {}, requestOptions = {}) {
+  const limits = getBlueskyLimits(requestOptions.env || process.env);
+  const maxRetries = requestOptions.maxRetries === undefined ? limits.maxRetries : requestOptions.maxRetries;
+  let lastResult = null;
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt += 1) {
+    const remainingMs = requestOptions.deadlineMs ? requestOptions.deadlineMs - Date.now() : null;
+    if (remainingMs !== null && remainingMs <= 0) {
+      return {
+        ok: false,
+        status: 0,
+        body: null,
+        attempts: attempt - 1,
+        retryAfterSeconds: null,
+        budgetExhausted: true,
+        error: { category: 'timeout', retryable: true, provider_code: 'bluesky_time_budget_exhausted' }
+      };
+    }
+    try {
+      const timeoutMs = remainingMs === null
+        ? limits.requestTimeoutMs
+        : Math.max(1, Math.min(limits.requestTimeoutMs, remainingMs));
+      const response = await fetchWithTimeout(url, options, timeoutMs, requestOptions.env || process.env);
+      const body = await readJson(response);
+      if (response.ok) {
+        return { ok: true, status: response.status, body, attempts: attempt, retryAfterSeconds: null };
+      }
+      lastResult = {
+        ok: false,
+        status: response.status,
+        body,
+        attempts: attempt,
+        retryAfterSeconds: parseRetryAfter(response.headers),
+        error: categorizeProviderFailure(response.status, body)
+      };
+    } catch (error) {
+      lastResult = {
+        ok: false,
+        status: 0,
+        body: null,
+        attempts: attempt,
+        retryAfterSeconds: null,
+        error: {
+          category: error.category || 'network',
+          retryable: error.retryable !== false,
+          provider_code: error.message
+        }
+      };
+    }
+    if (!lastResult.error.retryable || attempt > maxRetries) return lastResult;
+    const delayMs = lastResult.retryAfterSeconds === null
+      ? Math.min(5000, 250 * (2 ** (attempt - 1)) + Math.floor(randomImpl() * 250))
+      : Math.min(30000, lastResult.retryAfterSeconds * 1000);
+    if (requestOptions.deadlineMs && Date.now() + delayMs >= requestOptions.deadlineMs) {
+      return { ...lastResult, budgetExhausted: true };
+    }
+    await sleepImpl(delayMs);
+  }
+  return lastResult;
+}
+
+function xrpcUrl(baseUrl, nsid, params = {}, env = process.env) {
+  const origin = validateServiceUrl(baseUrl, env);
+  if (!origin) throw new Error('bluesky_service_url_invalid');
+  const url = new URL(`${origin}/xrpc/${nsid}`);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== null && value !== undefined && value !== '') url.searchParams.set(key, String(value));
+  }
+  return url.toString();
+}
+
+function blueskyDid(value) {
+  const did = String(value || '');
+  if (!BLUESKY_DID.test(did)) throw new Error('bluesky_did_invalid');
+  return did;
+}
+
+function resolveHandle(handle, requestOptions = {}) {
+  const env = requestOptions.env || process.env;
+  const identifier = normalizeIdentifier(handle);
+  if (!identifier || identifier.kind !== 'handle') throw new Error('bluesky_handle_invalid');
+  return callBluesky(xrpcUrl(getBlueskyServiceUrls(env).serviceUrl, 'com.atproto.identity.resolveHandle', {
+    handle: identifier.handle
+  }, env), { headers: { Accept: 'application/json' } }, { ...requestOptions, env });
+}
+
+function didDocumentUrl(did, env = process.env) {
+  if (did.startsWith('did:plc:')) {
+    const directory = getBlueskyServiceUrls(env).plcDirectoryUrl;
+    if (!directory) throw new Error('bluesky_service_url_invalid');
+    return `${directory}/${encodeURIComponent(did)}`;
+  }
+  const origin = validateServiceUrl(`https://${did.slice('did:web:'.length)}`, env);
+  if (!origin) throw new Error('bluesky_did_invalid');
+  return `${origin}/.well-known/did.json`;
+}
+
+function resolveDidDocument(did, requestOptions = {}) {
+  const env = requestOptions.env || process.env;
+  return callBluesky(didDocumentUrl(blueskyDid(did), env), {
+    headers: { Accept: 'application/did+ld+json, application/json' }
+  }, { ...requestOptions, env });
+}
+
+function describeDidDocument(document, did, env = process.env) {
+  if (!document || typeof document !== 'object' || document.id !== did) return null;
+  const aliases = Array.isArray(document.alsoKnownAs) ? document.alsoKnownAs : [];
+  const alias = aliases.find(value => typeof value === 'string' && value.startsWith('at://'));
+  const handleIdentifier = alias ? normalizeIdentifier(alias.slice('at://'.length)) : null;
+  const services = Array.isArray(document.service) ? document.service : [];
+  const pds = services.find(service => (
+    service && (service.id === '#atproto_pds' || service.id === `${did}#atproto_pds`) &&
+    service.type === 'AtprotoPersonalDataServer' && typeof service.serviceEndpoint === 'string'
+  ));
+  return {
+    handle: handleIdentifier && handleIdentifier.kind === 'handle' ? handleIdentifier.handle : null,
+    pdsUrl: pds ? validateServiceUrl(pds.serviceEndpoint, env) : null
+  };
+}
+
+function createSession(pdsUrl, identifier, appPassword, requestOptions = {}) {
+  const env = requestOptions.env || process.env;
+  return callBluesky(xrpcUrl(pdsUrl, 'com.atproto.server.createSession', {}, env), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+    body: JSON.stringify({ identifier, password: appPassword })
+  }, { ...requestOptions, env, maxRetries: 0 });
+}
+
+function refreshSession(pdsUrl, refreshJwt, requestOptions = {}) {
+  const env = requestOptions.env || process.env;
+  return callBluesky(xrpcUrl(pdsUrl, 'com.atproto.server.refreshSession', {}, env), {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${refreshJwt}`, Accept: 'application/json' }
+  }, { ...requestOptions, env, maxRetries: Math.min(1, getBlueskyLimits(env).maxRetries) });
+}
+
+async function deleteSession(pdsUrl, refreshJwt, requestOptions = {}) {
+  const env = requestOptions.env || process.env;
+  const result = await callBluesky(xrpcUrl(pdsUrl, 'com.atproto.server.deleteSession', {}, env), {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${refreshJwt}`, Accept: 'application/json' }
+  }, { ...requestOptions, env, maxRetries: 0 });
+  return {
+    attempted: true,
+    success: result.ok,
+    status: result.status,
+    error: result.ok ? null : result.error
+  };
+}
+
+function authorizedGet(pdsUrl, nsid, accessJwt, params, requestOptions = {}) {
+  const env = requestOptions.env || process.env;
+  return callBluesky(xrpcUrl(pdsUrl, nsid, params, env), {
+    headers: { Authorization: `Bearer ${accessJwt}`, Accept: 'application/json' }
+  }, { ...requestOptions, env });
+}
+
+function getProfile(pdsUrl, accessJwt, did, requestOptions = {}) {
+  return authorizedGet(pdsUrl, 'app.bsky.actor.getProfile', accessJwt, { actor: blueskyDid(did) }, requestOptions);
+}
+
+function getAuthorFeed(pdsUrl, accessJwt, did, { limit, cursor = null } = {}, requestOptions = {}) {
+  return authorizedGet(pdsUrl, 'app.bsky.feed.getAuthorFeed', accessJwt, {
+    actor: blueskyDid(did),
+    filter: 'posts_and_author_threads',
+    limit: Math.min(Math.max(Number(limit) || 1, 1), 100),
+    cursor
+  }, requestOptions);
+}
+
+module.exports = {
+  BLUESKY_APP_PASSWORD_SETTINGS_URL,
+  BLUESKY_DID,
+  BLUESKY_RECORD_KEY,
+  BLUESKY_SCOPES,
+  categorizeProviderFailure,
+  createSession,
+  decodeJwtClaims,
+  deleteSession,
+  describeDidDocument,
+  getAuthorFeed,
+  getProfile,
+  grantedScopes,
+  hasExactScopes,
+  isAppPassword,
+  missingScopes,
+  normalizeIdentifier,
+  postUrl,
+  profileUrl,
+  refreshSession,
+  resolveDidDocument,
+  resolveHandle,
+  sessionScopes,
+  setBlueskyTestHooks,
+  tokenTtlSeconds
+};
@@ -0,0 +1,373 @@
+let fetchImpl = require('node-fetch');
+let sleepImpl = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
+let randomImpl = Math.random;
+
+const { getLinkedInApiVersion, getLinkedInLimits } = require('../platform/linkedin-config');
+
+const LINKEDIN_AUTH_URL = 'https://www.linkedin.com/oauth/v2/authorization';
+const LINKEDIN_TOKEN_URL = 'https://www.linkedin.com/oauth/v2/accessToken';
+const LINKEDIN_REVOKE_URL = 'https://www.linkedin.com/oauth/v2/revoke';
+const LINKEDIN_API_URL = 'https://api.linkedin.com/rest';
+const LINKEDIN_SCOPES = ['r_organization_admin', 'r_organization_social'];
+const ORGANIZATION_URN = /^urn:li:organization:(\d{1,20})$/;
+const POST_URN = /^urn:li:(share|ugcPost):(\d{1,30})$/;
+
+function setLinkedInTestHooks(hooks = {}) {
+  fetchImpl = hooks.fetch || require('node-fetch');
+  sleepImpl = hooks.sleep || (milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds)));
+  randomImpl = hooks.random || Math.random;
+}
+
+function buildAuthorizationUrl({ state }, env = process.env) {
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: env.LINKEDIN_CLIENT_ID,
+    redirect_uri: env.LINKEDIN_REDIRECT_URI,
+    state,
+    scope: LINKEDIN_SCOPES.join(' ')
+  });
+  return `${LINKEDIN_AUTH_URL}?${params.toString()}`;
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) return Math.ceil(seconds);
+  const timestamp = new Date(value).getTime();
+  if (!Number.isFinite(timestamp)) return null;
+  return Math.max(0, Math.ceil((timestamp - Date.now()) / 1000));
+}
+
+function providerErrorDetails(body) {
+  if (!body || typeof body !== 'object') return { code: null, reason: null };
+  if (typeof body.error === 'string') return { code: body.error, reason: body.error };
+  return {
+    code: body.code || (body.serviceErrorCode ? String(body.serviceErrorCode) : null),
+    reason: body.code || body.message || null
+  };
+}
+
+function categorizeProviderFailure(status, body) {
+  const details = providerErrorDetails(body);
+  const providerCode = details.reason || details.code;
+  const normalized = `${details.code || ''} ${details.reason || ''}`.toLowerCase();
+  if (normalized.includes('invalid_grant')) {
+    return { category: 'authentication', retryable: false, terminal: true, provider_code: providerCode };
+  }
+  if (normalized.includes('user_cancelled_authorize') || normalized.includes('user_cancelled_login') || normalized.includes('access_denied')) {
+    return { category: 'authentication', retryable: false, denied: true, provider_code: providerCode };
+  }
+  if (
+    status === 401 ||
+    normalized.includes('invalid_access_token') ||
+    normalized.includes('revoked_access_token') ||
+    normalized.includes('expired_access_token')
+  ) {
+    return { category: 'authentication', retryable: false, terminal: true, provider_code: providerCode };
+  }
+  if (status === 403 || normalized.includes('not enough permissions')) {
+    return { category: 'scope', retryable: false, provider_code: providerCode };
+  }
+  if (status === 429 || normalized.includes('throttle')) {
+    return { category: 'rate_limit', retryable: true, provider_code: providerCode };
+  }
+  if (status >= 500) {
+    return { category: 'provider', retryable: true, provider_code: providerCode };
+  }
+  if (status >= 400) {
+    return { category: 'provider', retryable: false, provider_code: providerCode };
+  }
+  return { category: 'malformed_response', retryable: false, provider_code: providerCode };
+}
+
+async function readJson(response) {
+  const text = await response.text();
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    const error = new Error('malformed_provider_response');
+    error.category = 'malformed_response';
+    error.retryable = false;
+    throw error;
+  }
+}
+
+async function fetchWithTimeout(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetchImpl(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    const wrapped = new Error(error && error.name === 'AbortError' ? 'linkedin_request_timeout' : 'linkedin_network_error');
+    wrapped.category = error && error.name === 'AbortError' ? 'timeout' : 'network';
+    wrapped.retryable = true;
+    throw wrapped;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function callLinkedIn(url, options = {}, requestOptions = {}) {
+  const limits = getLinkedInLimits(requestOptions.env || process.env);
+  const maxRetries = requestOptions.maxRetries === undefined ? limits.maxRetries : requestOptions.maxRetries;
+  let lastResult = null;
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt += 1) {
+    const remainingMs = requestOptions.deadlineMs ? requestOptions.deadlineMs - Date.now() : null;
+    if (remainingMs !== null && remainingMs <= 0) {
+      return {
+        ok: false,
+        status: 0,
+        body: null,
+        attempts: attempt - 1,
+        retryAfterSeconds: null,
+        budgetExhausted: true,
+        error: { category: 'timeout', retryable: true, provider_code: 'linkedin_time_budget_exhausted' }
+      };
+    }
+    try {
+      const timeoutMs = remainingMs === null
+        ? limits.requestTimeoutMs
+        : Math.max(1, Math.min(limits.requestTimeoutMs, remainingMs));
+      const response = await fetchWithTimeout(url, options, timeoutMs);
+      const body = await readJson(response);
+      if (response.ok) {
+        return { ok: true, status: response.status, body, attempts: attempt, retryAfterSeconds: null };
+      }
+      const retryAfterSeconds = parseRetryAfter(response.headers && response.headers.get('retry-after'));
+      lastResult = {
+        ok: false,
+        status: response.status,
+        body,
+        attempts: attempt,
+        retryAfterSeconds,
+        error: categorizeProviderFailure(response.status, body)
+      };
+    } catch (error) {
+      lastResult = {
+        ok: false,
+        status: 0,
+        body: null,
+        attempts: attempt,
+        retryAfterSeconds: null,
+        error: {
+          category: error.category || 'network',
+          retryable: error.retryable !== false,
+          provider_code: error.message
+        }
+      };
+    }
+    if (!lastResult.error.retryable || attempt > maxRetries) return lastResult;
+    const delayMs = lastResult.retryAfterSeconds === null
+      ? Math.min(5000, 250 * (2 ** (attempt - 1)) + Math.floor(randomImpl() * 250))
+      : Math.min(30000, lastResult.retryAfterSeconds * 1000);
+    if (requestOptions.deadlineMs && Date.now() + delayMs >= requestOptions.deadlineMs) {
+      return { ...lastResult, budgetExhausted: true };
+    }
+    await sleepImpl(delayMs);
+  }
+  return lastResult;
+}
+
+function formHeaders() {
+  return { 'Content-Type': 'application/x-www-form-urlencoded' };
+}
+
+async function exchangeCode(code, env = process.env) {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    client_id: env.LINKEDIN_CLIENT_ID,
+    client_secret: env.LINKEDIN_CLIENT_SECRET,
+    redirect_uri: env.LINKEDIN_REDIRECT_URI
+  });
+  return callLinkedIn(LINKEDIN_TOKEN_URL, {
+    method: 'POST',
+    headers: formHeaders(),
+    body: body.toString()
+  }, { env, maxRetries: 0 });
+}
+
+async function refreshAccessToken(refreshToken, requestOptions = {}) {
+  const env = requestOptions.env || process.env;
+  const body = new URLSearchParams({
+    grant_type: 'refresh_token',
+    refresh_token: refreshToken,
+    client_id: env.LINKEDIN_CLIENT_ID,
+    client_secret: env.LINKEDIN_CLIENT_SECRET
+  });
+  return callLinkedIn(LINKEDIN_TOKEN_URL, {
+    method: 'POST',
+    headers: formHeaders(),
+    body: body.toString()
+  }, { ...requestOptions, env, maxRetries: Math.min(1, getLinkedInLimits(env).maxRetries) });
+}
+
+async function revokeToken(token, requestOptions = {}) {
+  const env = requestOptions.env || process.env;
+  const body = new URLSearchParams({
+    client_id: env.LINKEDIN_CLIENT_ID,
+    client_secret: env.LINKEDIN_CLIENT_SECRET,
+    token
+  });
+  const result = await callLinkedIn(LINKEDIN_REVOKE_URL, {
+    method: 'POST',
+    headers: formHeaders(),
+    body: body.toString()
+  }, { ...requestOptions, env, maxRetries: 0 });
+  return {
+    attempted: true,
+    success: result.ok,
+    status: result.status,
+    error: result.ok ? null : result.error
+  };
+}
+
+function authorizationHeaders(accessToken, env = process.env) {
+  return {
+    Authorization: `Bearer ${accessToken}`,
+    Accept: 'application/json',
+    'LinkedIn-Version': getLinkedInApiVersion(env),
+    'X-Restli-Protocol-Version': '2.0.0'
+  };
+}
+
+function authorizedGet(path, accessToken, requestOptions = {}) {
+  return callLinkedIn(`${LINKEDIN_API_URL}${path}`, {
+    headers: authorizationHeaders(accessToken, requestOptions.env || process.env)
+  }, requestOptions);
+}
+
+function organizationId(urn) {
+  const match = String(urn || '').match(ORGANIZATION_URN);
+  if (!match) throw new Error('linkedin_organization_urn_invalid');
+  return match[1];
+}
+
+function timeIntervals(startMs, endMs) {
+  if (!Number.isSafeInteger(startMs) || !Number.isSafeInteger(endMs) || startMs >= endMs) {
+    throw new Error('linkedin_time_interval_invalid');
+  }
+  return `(timeRange:(start:${startMs},end:${endMs}),timeGranularityType:DAY)`;
+}
+
+async function listOrganizationAcls(accessToken, start = 0, requestOptions = {}) {
+  const params = new URLSearchParams({
+    q: 'roleAssignee',
+    role: 'ADMINISTRATOR',
+    state: 'APPROVED',
+    start: String(start),
+    count: '100'
+  });
+  return authorizedGet(`/organizationAcls?${params.toString()}`, accessToken, requestOptions);
+}
+
+async function getOrganization(accessToken, organizationUrn, requestOptions = {}) {
+  return authorizedGet(`/organizations/${organizationId(organizationUrn)}`, accessToken, requestOptions);
+}
+
+async function getFollowerCount(accessToken, organizationUrn, requestOptions = {}) {
+  organizationId(organizationUrn);
+  return authorizedGet(
+    `/networkSizes/${encodeURIComponent(organizationUrn)}?edgeType=COMPANY_FOLLOWED_BY_MEMBER`,
+    accessToken,
+    requestOptions
+  );
+}
+
+async function getFollowerStatistics(accessToken, organizationUrn, startMs, endMs, requestOptions = {}) {
+  organizationId(organizationUrn);
+  return authorizedGet(
+    `/organizationalEntityFollowerStatistics?q=organizationalEntity&organizationalEntity=${encodeURIComponent(organizationUrn)}` +
+      `&timeIntervals=${timeIntervals(startMs, endMs)}`,
+    accessToken,
+    requestOptions
+  );
+}
+
+async function getShareStatistics(accessToken, organizationUrn, startMs, endMs, requestOptions = {}) {
+  organizationId(organizationUrn);
+  return authorizedGet(
+    `/organizationalEntityShareStatistics?q=organizationalEntity&organizationalEntity=${encodeURIComponent(organizationUrn)}` +
+      `&timeIntervals=${timeIntervals(startMs, endMs)}`,
+    accessToken,
+    requestOptions
+  );
+}
+
+async function listPosts(accessToken, organizationUrn, count, requestOptions = {}) {
+  organizationId(organizationUrn);
+  const params = new URLSearchParams({
+    q: 'author',
+    author: organizationUrn,
+    count: String(Math.min(Math.max(Number(count) || 1, 1), 100)),
+    sortBy: 'LAST_MODIFIED'
+  });
+  return authorizedGet(`/posts?${params.toString()}`, accessToken, requestOptions);
+}
+
+async function getPostStatistics(accessToken, organizationUrn, postUrns, requestOptions = {}) {
+  organizationId(organizationUrn);
+  const shares = [];
+  const ugcPosts = [];
+  for (const urn of postUrns) {
+    const match = String(urn || '').match(POST_URN);
+    if (!match) throw new Error('linkedin_post_urn_invalid');
+    (match[1] === 'share' ? shares : ugcPosts).push(encodeURIComponent(urn));
+  }
+  let path = `/organizationalEntityShareStatistics?q=organizationalEntity&organizationalEntity=${encodeURIComponent(organizationUrn)}`;
+  if (shares.length > 0) path += `&shares=List(${shares.join(',')})`;
+  if (ugcPosts.length > 0) path += `&ugcPosts=List(${ugcPosts.join(',')})`;
+  return authorizedGet(path, accessToken, requestOptions);
+}
+
+function grantedScopes(scopeValue) {
+  const values = Array.isArray(scopeValue) ? scopeValue.map(String) : String(scopeValue || '').split(/[\s,]+/);
+  return new Set(values.filter(Boolean));
+}
+
+function missingScopes(scopeValue) {
+  const granted = grantedScopes(scopeValue);
+  return LINKEDIN_SCOPES.filter(scope => !granted.has(scope));
+}
+
+function hasExactScopes(scopeValue) {
+  const granted = grantedScopes(scopeValue);
+  return granted.size === LINKEDIN_SCOPES.length && LINKEDIN_SCOPES.every(scope => granted.has(scope));
+}
+
+function chooseRefreshToken(responseToken, existingToken = null) {
+  const rotated = typeof responseToken === 'string' ? responseToken.trim() : '';
+  if (rotated) return rotated;
+  const existing = typeof existingToken === 'string' ? existingToken.trim() : '';
+  return existing || null;
+}
+
+module.exports = {
+  LINKEDIN_API_URL,
+  LINKEDIN_AUTH_URL,
+  LINKEDIN_REVOKE_URL,
+  LINKEDIN_SCOPES,
+  LINKEDIN_TOKEN_URL,
+  ORGANIZATION_URN,
+  POST_URN,
+  buildAuthorizationUrl,
+  categorizeProviderFailure,
+  chooseRefreshToken,
+  exchangeCode,
+  getFollowerCount,
+  getFollowerStatistics,
+  getOrganization,
+  getPostStatistics,
+  getShareStatistics,
+  grantedScopes,
+  hasExactScopes,
+  listOrganizationAcls,
+  listPosts,
+  missingScopes,
+  organizationId,
+  parseRetryAfter,
+  refreshAccessToken,
+  revokeToken,
+  setLinkedInTestHooks
+};
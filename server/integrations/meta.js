@@ -285,8 +285,8 @@ function graphUrl(path, params = {}) {
   return url.toString();
 }
 
-function appSecretProof(accessToken, env = process.env) {
-  return crypto.createHmac('sha256', env.META_APP_SECRET).update(String(accessToken)).digest('hex');
+function appSecretProof(accessToken, env = process.env, appSecret = env.META_APP_SECRET) {
+  return crypto.createHmac('sha256', appSecret).update(String(accessToken)).digest('hex');
 }
 
 function authorizedRequest(path, accessToken, params = {}, requestOptions = {}, method = 'GET') {
@@ -434,8 +434,10 @@ function decodeBase64Url(value) {
 function verifySignedRequest(signedRequest, env = process.env, options = {}) {
   const parts = String(signedRequest || '').split('.');
   if (parts.length !== 2 || !parts[0] || !parts[1]) throw new Error('meta_signed_request_invalid');
+  const appSecret = options.appSecret || env.META_APP_SECRET;
+  if (!appSecret) throw new Error('meta_signed_request_secret_missing');
   const provided = decodeBase64Url(parts[0]);
-  const expected = crypto.createHmac('sha256', env.META_APP_SECRET).update(parts[1]).digest();
+  const expected = crypto.createHmac('sha256', appSecret).update(parts[1]).digest();
   if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
     throw new Error('meta_signed_request_signature_invalid');
   }
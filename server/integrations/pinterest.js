@@ -0,0 +1,302 @@
+let fetchImpl = require('node-fetch');
+let sleepImpl = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
+let randomImpl = Math.random;
+
+const { getPinterestLimits } = require('../platform/pinterest-config');
+
+const PINTEREST_AUTH_URL = 'https://www.pinterest.com/oauth/';
+const PINTEREST_API_URL = 'https://api.pinterest.com/v5';
+const PINTEREST_TOKEN_URL = `${PINTEREST_API_URL}/oauth/token`;
+const PINTEREST_SCOPES = ['user_accounts:read', 'boards:read', 'pins:read'];
+const PINTEREST_METRIC_TYPES = ['IMPRESSION', 'SAVE', 'OUTBOUND_CLICK', 'PIN_CLICK'];
+const PINTEREST_ID = /^\d{1,30}$/;
+const ANALYTICS_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function setPinterestTestHooks(hooks = {}) {
+  fetchImpl = hooks.fetch || require('node-fetch');
+  sleepImpl = hooks.sleep || (milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds)));
+  randomImpl = hooks.random || Math.random;
+}
+
+function buildAuthorizationUrl({ state }, env = process.env) {
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: env.PINTEREST_APP_ID,
+    redirect_uri: env.PINTEREST_REDIRECT_URI,
+    state,
+    scope: PINTEREST_SCOPES.join(',')
+  });
+  return `${PINTEREST_AUTH_URL}?${params.toString()}`;
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) return Math.ceil(seconds);
+  const timestamp = new Date(value).getTime();
+  if (!Number.isFinite(timestamp)) return null;
+  return Math.max(0, Math.ceil((timestamp - Date.now()) / 1000));
+}
+
+function providerErrorDetails(body) {
+  if (!body || typeof body !== 'object') return { code: null, reason: null };
+  if (typeof body.error === 'string') return { code: body.error, reason: body.error };
+  return {
+    code: body.code === undefined || body.code === null ? null : String(body.code),
+    reason: typeof body.message === 'string' ? body.message : null
+  };
+}
+
+function categorizeProviderFailure(status, body) {
+  const details = providerErrorDetails(body);
+  const providerCode = details.code || details.reason;
+  const normalized = `${details.code || ''} ${details.reason || ''}`.toLowerCase();
+  if (normalized.includes('invalid_grant')) {
+    return { category: 'authentication', retryable: false, terminal: true, provider_code: providerCode };
+  }
+  if (normalized.includes('access_denied')) {
+    return { category: 'authentication', retryable: false, denied: true, provider_code: providerCode };
+  }
+  if (status === 401 || normalized.includes('invalid_token') || normalized.includes('authentication failed')) {
+    return { category: 'authentication', retryable: false, terminal: true, provider_code: providerCode };
+  }
+  if (status === 403) {
+    return { category: 'scope', retryable: false, provider_code: providerCode };
+  }
+  if (status === 429) {
+    return { category: 'rate_limit', retryable: true, provider_code: providerCode };
+  }
+  if (status >= 500) {
+    return { category: 'provider', retryable: true, provider_code: providerCode };
+  }
+  if (status >= 400) {
+    return { category: 'provider', retryable: false, provider_code: providerCode };
+  }
+  return { category: 'malformed_response', retryable: false, provider_code: providerCode };
+}
+
+async function readJson(response) {
+  const text = await response.text();
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    const error = new Error('malformed_provider_response');
+    error.category = 'malformed_response';
+    error.retryable = false;
+    throw error;
+  }
+}
+
+async function fetchWithTimeout(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetchImpl(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    const wrapped = new Error(error && error.name === 'AbortError' ? 'pinterest_request_timeout' : 'pinterest_network_error');
+    wrapped.category = error && error.name === 'AbortError' ? 'timeout' : 'network';
+    wrapped.retryable = true;
+    throw wrapped;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function callPinterest(url, options = {}, requestOptions = {}) {
+  const limits = getPinterestLimits(requestOptions.env || process.env);
+  const maxRetries = requestOptions.maxRetries === undefined ? limits.maxRetries : requestOptions.maxRetries;
+  let lastResult = null;
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt += 1) {
+    const remainingMs = requestOptions.deadlineMs ? requestOptions.deadlineMs - Date.now() : null;
+    if (remainingMs !== null && remainingMs <= 0) {
+      return {
+        ok: false,
+        status: 0,
+        body: null,
+        attempts: attempt - 1,
+        retryAfterSeconds: null,
+        budgetExhausted: true,
+        error: { category: 'timeout', retryable: true, provider_code: 'pinterest_time_budget_exhausted' }
+      };
+    }
+    try {
+      const timeoutMs = remainingMs === null
+        ? limits.requestTimeoutMs
+        : Math.max(1, Math.min(limits.requestTimeoutMs, remainingMs));
+      const response = await fetchWithTimeout(url, options, timeoutMs);
+      const body = await readJson(response);
+      if (response.ok) {
+        return { ok: true, status: response.status, body, attempts: attempt, retryAfterSeconds: null };
+      }
+      const retryAfterSeconds = parseRetryAfter(response.headers && response.headers.get('retry-after'));
+      lastResult = {
+        ok: false,
+        status: response.status,
+        body,
+        attempts: attempt,
+        retryAfterSeconds,
+        error: categorizeProviderFailure(response.status, body)
+      };
+    } catch (error) {
+      lastResult = {
+        ok: false,
+        status: 0,
+        body: null,
+        attempts: attempt,
+        retryAfterSeconds: null,
+        error: {
+          category: error.category || 'network',
+          retryable: error.retryable !== false,
+          provider_code: error.message
+        }
+      };
+    }
+    if (!lastResult.error.retryable || attempt > maxRetries) return lastResult;
+    const delayMs = lastResult.retryAfterSeconds === null
+      ? Math.min(5000, 250 * (2 ** (attempt - 1)) + Math.floor(randomImpl() * 250))
+      : Math.min(30000, lastResult.retryAfterSeconds * 1000);
+    if (requestOptions.deadlineMs && Date.now() + delayMs >= requestOptions.deadlineMs) {
+      return { ...lastResult, budgetExhausted: true };
+    }
+    await sleepImpl(delayMs);
+  }
+  return lastResult;
+}
+
+function tokenHeaders(env = process.env) {
+  const credentials = Buffer.from(`${env.PINTEREST_APP_ID}:${env.PINTEREST_APP_SECRET}`).toString('base64');
+  return {
+    Authorization: `Basic ${credentials}`,
+    'Content-Type': 'application/x-www-form-urlencoded'
+  };
+}
+
+async function exchangeCode(code, env = process.env) {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: env.PINTEREST_REDIRECT_URI
+  });
+  return callPinterest(PINTEREST_TOKEN_URL, {
+    method: 'POST',
+    headers: tokenHeaders(env),
+    body: body.toString()
+  }, { env, maxRetries: 0 });
+}
+
+async function refreshAccessToken(refreshToken, requestOptions = {}) {
+  const env = requestOptions.env || process.env;
+  const body = new URLSearchParams({
+    grant_type: 'refresh_token',
+    refresh_token: refreshToken
+  });
+  return callPinterest(PINTEREST_TOKEN_URL, {
+    method: 'POST',
+    headers: tokenHeaders(env),
+    body: body.toString()
+  }, { ...requestOptions, env, maxRetries: Math.min(1, getPinterestLimits(env).maxRetries) });
+}
+
+function authorizedGet(path, accessToken, requestOptions = {}) {
+  return callPinterest(`${PINTEREST_API_URL}${path}`, {
+    headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' }
+  }, requestOptions);
+}
+
+function pinterestId(value, code) {
+  const id = String(value || '');
+  if (!PINTEREST_ID.test(id)) throw new Error(code);
+  return id;
+}
+
+function analyticsParams(startDate, endDate, extra = {}) {
+  if (!ANALYTICS_DATE.test(String(startDate)) || !ANALYTICS_DATE.test(String(endDate)) || startDate > endDate) {
+    throw new Error('pinterest_analytics_range_invalid');
+  }
+  return new URLSearchParams({
+    start_date: startDate,
+    end_date: endDate,
+    metric_types: PINTEREST_METRIC_TYPES.join(','),
+    ...extra
+  });
+}
+
+async function getUserAccount(accessToken, requestOptions = {}) {
+  return authorizedGet('/user_account', accessToken, requestOptions);
+}
+
+async function getAccountAnalytics(accessToken, startDate, endDate, requestOptions = {}) {
+  const params = analyticsParams(startDate, endDate, { split_field: 'NO_SPLIT' });
+  return authorizedGet(`/user_account/analytics?${params.toString()}`, accessToken, requestOptions);
+}
+
+async function listBoards(accessToken, bookmark = null, requestOptions = {}) {
+  const params = new URLSearchParams({ page_size: '25', privacy: 'PUBLIC' });
+  if (bookmark) params.set('bookmark', bookmark);
+  return authorizedGet(`/boards?${params.toString()}`, accessToken, requestOptions);
+}
+
+async function listBoardPins(accessToken, boardId, pageSize, requestOptions = {}) {
+  const params = new URLSearchParams({ page_size: String(Math.min(Math.max(Number(pageSize) || 1, 1), 100)) });
+  return authorizedGet(
+    `/boards/${pinterestId(boardId, 'pinterest_board_id_invalid')}/pins?${params.toString()}`,
+    accessToken,
+    requestOptions
+  );
+}
+
+async function getPinAnalytics(accessToken, pinId, startDate, endDate, requestOptions = {}) {
+  const params = analyticsParams(startDate, endDate, { app_types: 'ALL' });
+  return authorizedGet(
+    `/pins/${pinterestId(pinId, 'pinterest_pin_id_invalid')}/analytics?${params.toString()}`,
+    accessToken,
+    requestOptions
+  );
+}
+
+function grantedScopes(scopeValue) {
+  const values = Array.isArray(scopeValue) ? scopeValue.map(String) : String(scopeValue || '').split(/[\s,]+/);
+  return new Set(values.filter(Boolean));
+}
+
+function missingScopes(scopeValue) {
+  const granted = grantedScopes(scopeValue);
+  return PINTEREST_SCOPES.filter(scope => !granted.has(scope));
+}
+
+function hasExactScopes(scopeValue) {
+  const granted = grantedScopes(scopeValue);
+  return granted.size === PINTEREST_SCOPES.length && PINTEREST_SCOPES.every(scope => granted.has(scope));
+}
+
+function chooseRefreshToken(responseToken, existingToken = null) {
+  const rotated = typeof responseToken === 'string' ? responseToken.trim() : '';
+  if (rotated) return rotated;
+  const existing = typeof existingToken === 'string' ? existingToken.trim() : '';
+  return existing || null;
+}
+
+module.exports = {
+  PINTEREST_API_URL,
+  PINTEREST_AUTH_URL,
+  PINTEREST_ID,
+  PINTEREST_METRIC_TYPES,
+  PINTEREST_SCOPES,
+  PINTEREST_TOKEN_URL,
+  buildAuthorizationUrl,
+  categorizeProviderFailure,
+  chooseRefreshToken,
+  exchangeCode,
+  getAccountAnalytics,
+  getPinAnalytics,
+  getUserAccount,
+  grantedScopes,
+  hasExactScopes,
+  listBoardPins,
+  listBoards,
+  missingScopes,
+  parseRetryAfter,
+  refreshAccessToken,
+  setPinterestTestHooks
+};
@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+let fetchImpl = require('node-fetch');
+let sleepImpl = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
+let randomImpl = Math.random;
+
+const { getSearchConsoleLimits } = require('../platform/search-console-config');
+
+const GOOGLE_AUTH_URL = 'https://accounts.google.com/o/oauth2/v2/auth';
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const GOOGLE_REVOKE_URL = 'https://oauth2.googleapis.com/revoke';
+const SEARCH_CONSOLE_API_URL = 'https://www.googleapis.com/webmasters/v3';
+const SEARCH_CONSOLE_SCOPES = ['https://www.googleapis.com/auth/webmasters.readonly'];
+const DOMAIN_PROPERTY = /^sc-domain:[a-z0-9][a-z0-9.-]{0,252}$/i;
+
+const SEARCH_CONSOLE_METRICS = Object.freeze(['clicks', 'impressions', 'ctr', 'position']);
+
+const SEARCH_CONSOLE_BREAKDOWNS = Object.freeze([
+  Object.freeze({ key: 'search_console.query', dimensions: Object.freeze(['query']) }),
+  Object.freeze({ key: 'search_console.page', dimensions: Object.freeze(['page']) }),
+  Object.freeze({ key: 'search_console.country', dimensions: Object.freeze(['country']) }),
+  Object.freeze({ key: 'search_console.device', dimensions: Object.freeze(['device']) })
+]);
+
+function setSearchConsoleTestHooks(hooks = {}) {
+  fetchImpl = hooks.fetch || require('node-fetch');
+  sleepImpl = hooks.sleep || (milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds)));
+  randomImpl = hooks.random || Math.random;
+}
+
+function createPkcePair() {
+  const verifier = crypto.randomBytes(64).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+function buildAuthorizationUrl({ state, codeChallenge, promptConsent = false }, env = process.env) {
+  const params = new URLSearchParams({
+    client_id: env.SEARCH_CONSOLE_CLIENT_ID,
+    redirect_uri: env.SEARCH_CONSOLE_REDIRECT_URI,
+    response_type: 'code',
+    scope: SEARCH_CONSOLE_SCOPES.join(' '),
+    access_type: 'offline',
+    include_granted_scopes: 'true',
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  if (promptConsent) params.set('prompt', 'consent');
+  return `${GOOGLE_AUTH_URL}?${params.toString()}`;
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) return Math.ceil(seconds);
+  const timestamp = new Date(value).getTime();
+  if (!Number.isFinite(timestamp)) return null;
+  return Math.max(0, Math.ceil((timestamp - Date.now()) / 1000));
+}
+
+function providerErrorDetails(body) {
+  if (!body || typeof body !== 'object') return { code: null, reason: null };
+  if (typeof body.error === 'string') return { code: body.error, reason: body.error };
+  const error = body.error && typeof body.error === 'object' ? body.error : {};
+  const details = Array.isArray(error.details) ? error.details : [];
+  const errors = Array.isArray(error.errors) ? error.errors : [];
+  const errorInfo = details.find(detail => detail && detail.reason) || errors.find(detail => detail && detail.reason);
+  return {
+    code: error.status || error.code || error.message || null,
+    reason: (errorInfo && errorInfo.reason) || error.status || error.message || null
+  };
+}
+
+function categorizeProviderFailure(status, body) {
+  const details = providerErrorDetails(body);
+  const normalized = `${details.code || ''} ${details.reason || ''}`.toLowerCase();
+  if (normalized.includes('invalid_grant')) {
+    return { category: 'authentication', retryable: false, terminal: true, provider_code: details.reason || details.code };
+  }
+  if (normalized.includes('access_denied')) {
+    return { category: 'authentication', retryable: false, denied: true, provider_code: details.reason || details.code };
+  }
+  if (normalized.includes('scope_insufficient') || normalized.includes('insufficient authentication scopes')) {
+    return { category: 'scope', retryable: false, provider_code: details.reason || details.code };
+  }
+  if (
+    normalized.includes('quota') ||
+    normalized.includes('resource_exhausted') ||
+    normalized.includes('dailylimit')
+  ) {
+    return { category: 'quota', retryable: status === 429, provider_code: details.reason || details.code };
+  }
+  if (status === 429 || normalized.includes('rate')) {
+    return { category: 'rate_limit', retryable: true, provider_code: details.reason || details.code };
+  }
+  if (status === 401) {
+    return { category: 'authentication', retryable: false, terminal: true, provider_code: details.reason || details.code };
+  }
+  if (status === 403) {
+    return { category: 'authentication', retryable: false, accessLost: true, provider_code: details.reason || details.code };
+  }
+  if (status >= 500) {
+    return { category: 'provider', retryable: true, provider_code: details.reason || details.code };
+  }
+  if (status >= 400) {
+    return { category: 'provider', retryable: false, provider_code: details.reason || details.code };
+  }
+  return { category: 'malformed_response', retryable: false, provider_code: details.reason || details.code };
+}
+
+async function readJson(response) {
+  const text = await response.text();
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    const error = new Error('malformed_provider_response');
+    error.category = 'malformed_response';
+    error.retryable = false;
+    throw error;
+  }
+}
+
+async function fetchWithTimeout(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetchImpl(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    const wrapped = new Error(
+      error && error.name === 'AbortError' ? 'search_console_request_timeout' : 'search_console_network_error'
+    );
+    wrapped.category = error && error.name === 'AbortError' ? 'timeout' : 'network';
+    wrapped.retryable = true;
+    throw wrapped;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function callSearchConsole(url, options = {}, requestOptions = {}) {
+  const limits = getSearchConsoleLimits(requestOptions.env || process.env);
+  const maxRetries = requestOptions.maxRetries === undefined ? limits.maxRetries : requestOptions.maxRetries;
+  let lastResult = null;
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt += 1) {
+    const remainingMs = requestOptions.deadlineMs ? requestOptions.deadlineMs - Date.now() : null;
+    if (remainingMs !== null && remainingMs <= 0) {
+      return {
+        ok: false,
+        status: 0,
+        body: null,
+        attempts: attempt - 1,
+        retryAfterSeconds: null,
+        budgetExhausted: true,
+        error: { category: 'timeout', retryable: true, provider_code: 'search_console_time_budget_exhausted' }
+      };
+    }
+    try {
+      const timeoutMs = remainingMs === null
+        ? limits.requestTimeoutMs
+        : Math.max(1, Math.min(limits.requestTimeoutMs, remainingMs));
+      const response = await fetchWithTimeout(url, options, timeoutMs);
+      const body = await readJson(response);
+      if (response.ok) {
+        return { ok: true, status: response.status, body, attempts: attempt, retryAfterSeconds: null };
+      }
+      const retryAfterSeconds = parseRetryAfter(response.headers && response.headers.get('retry-after'));
+      lastResult = {
+        ok: false,
+        status: response.status,
+        body,
+        attempts: attempt,
+        retryAfterSeconds,
+        error: categorizeProviderFailure(response.status, body)
+      };
+    } catch (error) {
+      lastResult = {
+        ok: false,
+        status: 0,
+        body: null,
+        attempts: attempt,
+        retryAfterSeconds: null,
+        error: {
+          category: error.category || 'network',
+          retryable: error.retryable !== false,
+          provider_code: error.message
+        }
+      };
+    }
+    if (!lastResult.error.retryable || attempt > maxRetries) return lastResult;
+    const delayMs = lastResult.retryAfterSeconds === null
+      ? Math.min(5000, 250 * (2 ** (attempt - 1)) + Math.floor(randomImpl() * 250))
+      : Math.min(30000, lastResult.retryAfterSeconds * 1000);
+    if (requestOptions.deadlineMs && Date.now() + delayMs >= requestOptions.deadlineMs) {
+      return { ...lastResult, budgetExhausted: true };
+    }
+    await sleepImpl(delayMs);
+  }
+  return lastResult;
+}
+
+function formHeaders() {
+  return { 'Content-Type': 'application/x-www-form-urlencoded' };
+}
+
+async function exchangeCode(code, codeVerifier, env = process.env) {
+  const body = new URLSearchParams({
+    client_id: env.SEARCH_CONSOLE_CLIENT_ID,
+    client_secret: env.SEARCH_CONSOLE_CLIENT_SECRET,
+    code,
+    code_verifier: codeVerifier,
+    grant_type: 'authorization_code',
+    redirect_uri: env.SEARCH_CONSOLE_REDIRECT_URI
+  });
+  return callSearchConsole(GOOGLE_TOKEN_URL, {
+    method: 'POST',
+    headers: formHeaders(),
+    body: body.toString()
+  }, { env, maxRetries: 0 });
+}
+
+async function refreshAccessToken(refreshToken, requestOptions = {}) {
+  const env = requestOptions.env || process.env;
+  const body = new URLSearchParams({
+    client_id: env.SEARCH_CONSOLE_CLIENT_ID,
+    client_secret: env.SEARCH_CONSOLE_CLIENT_SECRET,
+    refresh_token: refreshToken,
+    grant_type: 'refresh_token'
+  });
+  return callSearchConsole(GOOGLE_TOKEN_URL, {
+    method: 'POST',
+    headers: formHeaders(),
+    body: body.toString()
+  }, { ...requestOptions, env, maxRetries: Math.min(1, getSearchConsoleLimits(env).maxRetries) });
+}
+
+async function revokeToken(token, requestOptions = {}) {
+  const body = new URLSearchParams({ token });
+  const result = await callSearchConsole(GOOGLE_REVOKE_URL, {
+    method: 'POST',
+    headers: formHeaders(),
+    body: body.toString()
+  }, { ...requestOptions, maxRetries: 0 });
+  return {
+    attempted: true,
+    success: result.ok,
+    status: result.status,
+    error: result.ok ? null : result.error
+  };
+}
+
+function authorizationHeaders(accessToken, json = false) {
+  return {
+    Authorization: `Bearer ${accessToken}`,
+    Accept: 'application/json',
+    ...(json ? { 'Content-Type': 'application/json' } : {})
+  };
+}
+
+function isValidSiteUrl(siteUrl) {
+  const value = String(siteUrl || '');
+  if (value.length > 191) return false;
+  if (DOMAIN_PROPERTY.test(value)) return true;
+  try {
+    const parsed = new URL(value);
+    return ['http:', 'https:'].includes(parsed.protocol) &&
+      !parsed.username && !parsed.password && !parsed.search && !parsed.hash &&
+      value.endsWith('/');
+  } catch {
+    return false;
+  }
+}
+
+function sitePath(siteUrl, suffix = '') {
+  if (!isValidSiteUrl(siteUrl)) throw new Error('search_console_site_url_invalid');
+  return `${SEARCH_CONSOLE_API_URL}/sites/${encodeURIComponent(siteUrl)}${suffix}`;
+}
+
+async function listSites(accessToken, requestOptions = {}) {
+  return callSearchConsole(`${SEARCH_CONSOLE_API_URL}/sites`, {
+    headers: authorizationHeaders(accessToken)
+  }, requestOptions);
+}
+
+async function getSite(accessToken, siteUrl, requestOptions = {}) {
+  return callSearchConsole(sitePath(siteUrl), { headers: authorizationHeaders(accessToken) }, requestOptions);
+}
+
+async function querySearchAnalytics(accessToken, siteUrl, query, requestOptions = {}) {
+  const body = {
+    startDate: query.startDate,
+    endDate: query.endDate,
+    dimensions: [...(query.dimensions || [])],
+    type: 'web',
+    dataState: 'final',
+    aggregationType: 'auto',
+    rowLimit: query.rowLimit || 1000,
+    startRow: query.startRow || 0
+  };
+  return callSearchConsole(sitePath(siteUrl, '/searchAnalytics/query'), {
+    method: 'POST',
+    headers: authorizationHeaders(accessToken, true),
+    body: JSON.stringify(body)
+  }, requestOptions);
+}
+
+function grantedScopes(scopeValue) {
+  const values = Array.isArray(scopeValue) ? scopeValue.map(String) : String(scopeValue || '').split(/[\s,]+/);
+  return new Set(values.filter(Boolean));
+}
+
+function missingScopes(scopeValue) {
+  const granted = grantedScopes(scopeValue);
+  return SEARCH_CONSOLE_SCOPES.filter(scope => !granted.has(scope));
+}
+
+function hasExactScopes(scopeValue) {
+  const granted = grantedScopes(scopeValue);
+  return granted.size === SEARCH_CONSOLE_SCOPES.length && SEARCH_CONSOLE_SCOPES.every(scope => granted.has(scope));
+}
+
+function chooseRefreshToken(responseToken, existingToken = null) {
+  const rotated = typeof responseToken === 'string' ? responseToken.trim() : '';
+  if (rotated) return rotated;
+  const existing = typeof existingToken === 'string' ? existingToken.trim() : '';
+  return existing || null;
+}
+
+module.exports = {
+  GOOGLE_AUTH_URL,
+  GOOGLE_REVOKE_URL,
+  GOOGLE_TOKEN_URL,
+  SEARCH_CONSOLE_API_URL,
+  SEARCH_CONSOLE_BREAKDOWNS,
+  SEARCH_CONSOLE_METRICS,
+  SEARCH_CONSOLE_SCOPES,
+  buildAuthorizationUrl,
+  categorizeProviderFailure,
+  chooseRefreshToken,
+  createPkcePair,
+  exchangeCode,
+  getSite,
+  grantedScopes,
+  hasExactScopes,
+  isValidSiteUrl,
+  listSites,
+  missingScopes,
+  parseRetryAfter,
+  querySearchAnalytics,
+  refreshAccessToken,
+  revokeToken,
+  setSearchConsoleTestHooks
+};
@@ -0,0 +1,182 @@
+const meta = require('./meta');
+const { THREADS_API_VERSION, THREADS_REQUIRED_SCOPES, getThreadsLimits } = require('../platform/threads-config');
+
+const THREADS_AUTH_URL = 'https://threads.net/oauth/authorize';
+const THREADS_GRAPH_HOST = 'https://graph.threads.net';
+const THREADS_GRAPH_URL = `${THREADS_GRAPH_HOST}/${THREADS_API_VERSION}`;
+const THREADS_SCOPES = THREADS_REQUIRED_SCOPES;
+const THREADS_FORBIDDEN_SCOPE_TERMS = Object.freeze([
+  'content_publish',
+  'delete',
+  'manage_mentions',
+  'manage_replies'
+]);
+const THREADS_PROFILE_METRICS = Object.freeze(['views', 'likes', 'replies', 'reposts', 'quotes', 'followers_count']);
+const THREADS_TOTAL_METRICS = Object.freeze(['likes', 'replies', 'reposts', 'quotes']);
+const THREADS_POST_METRICS = Object.freeze(['views', 'likes', 'replies', 'reposts', 'quotes', 'shares']);
+const THREADS_ID = /^\d{1,30}$/;
+const INSIGHT_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function forbiddenScopes(value) {
+  return meta.scopeValues(value).filter(scope => {
+    const normalized = scope.toLowerCase();
+    return THREADS_FORBIDDEN_SCOPE_TERMS.some(term => normalized.includes(term));
+  });
+}
+
+function grantedScopes(value) {
+  return new Set(meta.scopeValues(value));
+}
+
+function missingScopes(value) {
+  const granted = grantedScopes(value);
+  return THREADS_SCOPES.filter(scope => !granted.has(scope));
+}
+
+function hasExactScopes(value) {
+  const granted = grantedScopes(value);
+  return granted.size === THREADS_SCOPES.length && THREADS_SCOPES.every(scope => granted.has(scope));
+}
+
+function buildAuthorizationUrl({ state }, env = process.env) {
+  if (forbiddenScopes(THREADS_SCOPES).length > 0) throw new Error('threads_scope_policy_violation');
+  const params = new URLSearchParams({
+    client_id: env.THREADS_APP_ID,
+    redirect_uri: env.THREADS_REDIRECT_URI,
+    scope: THREADS_SCOPES.join(','),
+    response_type: 'code',
+    state
+  });
+  return `${THREADS_AUTH_URL}?${params.toString()}`;
+}
+
+function threadsUrl(base, path, params = {}) {
+  const normalized = String(path || '').replace(/^\/+/, '');
+  const url = new URL(`${base}/${normalized}`);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== null && value !== undefined && value !== '') url.searchParams.set(key, String(value));
+  }
+  return url.toString();
+}
+
+function threadsId(value, code) {
+  const id = String(value || '');
+  if (!THREADS_ID.test(id)) throw new Error(code);
+  return id;
+}
+
+function authorizedGet(path, accessToken, params = {}, requestOptions = {}) {
+  const env = requestOptions.env || process.env;
+  return meta.callMeta(threadsUrl(THREADS_GRAPH_URL, path, {
+    ...params,
+    appsecret_proof: meta.appSecretProof(accessToken, env, env.THREADS_APP_SECRET)
+  }), {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      Accept: 'application/json'
+    }
+  }, requestOptions);
+}
+
+async function exchangeCode(code, env = process.env) {
+  const body = new URLSearchParams({
+    client_id: env.THREADS_APP_ID,
+    client_secret: env.THREADS_APP_SECRET,
+    grant_type: 'authorization_code',
+    redirect_uri: env.THREADS_REDIRECT_URI,
+    code
+  });
+  return meta.callMeta(`${THREADS_GRAPH_HOST}/oauth/access_token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: body.toString()
+  }, { env, maxRetries: 0 });
+}
+
+async function exchangeLongLivedToken(accessToken, requestOptions = {}) {
+  const env = requestOptions.env || process.env;
+  return meta.callMeta(threadsUrl(THREADS_GRAPH_HOST, 'access_token', {
+    grant_type: 'th_exchange_token',
+    client_secret: env.THREADS_APP_SECRET,
+    access_token: accessToken
+  }), {}, { ...requestOptions, env, maxRetries: 0 });
+}
+
+async function refreshLongLivedToken(accessToken, requestOptions = {}) {
+  const env = requestOptions.env || process.env;
+  return meta.callMeta(threadsUrl(THREADS_GRAPH_HOST, 'refresh_access_token', {
+    grant_type: 'th_refresh_token',
+    access_token: accessToken
+  }), {}, { ...requestOptions, env, maxRetries: Math.min(1, getThreadsLimits(env).maxRetries) });
+}
+
+async function debugToken(accessToken, requestOptions = {}) {
+  const env = requestOptions.env || process.env;
+  return meta.callMeta(threadsUrl(THREADS_GRAPH_URL, 'debug_token', {
+    input_token: accessToken,
+    access_token: `${env.THREADS_APP_ID}|${env.THREADS_APP_SECRET}`
+  }), {}, { ...requestOptions, env, maxRetries: 0 });
+}
+
+function getProfile(accessToken, requestOptions = {}) {
+  return authorizedGet('me', accessToken, {
+    fields: 'id,username,name,threads_profile_picture_url'
+  }, requestOptions);
+}
+
+function unixRange(startDate, endDate) {
+  if (!INSIGHT_DATE.test(String(startDate)) || !INSIGHT_DATE.test(String(endDate)) || startDate > endDate) {
+    throw new Error('threads_insights_range_invalid');
+  }
+  return {
+    since: Math.floor(Date.parse(`${startDate}T00:00:00.000Z`) / 1000),
+    until: Math.floor(Date.parse(`${endDate}T23:59:59.000Z`) / 1000)
+  };
+}
+
+function getProfileInsights(userId, accessToken, metrics, startDate, endDate, requestOptions = {}) {
+  const selected = meta.scopeValues(metrics).filter(metric => THREADS_PROFILE_METRICS.includes(metric));
+  if (selected.length === 0) throw new Error('threads_profile_metrics_invalid');
+  return authorizedGet(`${threadsId(userId, 'threads_user_id_invalid')}/threads_insights`, accessToken, {
+    metric: selected.join(','),
+    ...unixRange(startDate, endDate)
+  }, requestOptions);
+}
+
+function listThreads(userId, accessToken, limit, requestOptions = {}) {
+  return authorizedGet(`${threadsId(userId, 'threads_user_id_invalid')}/threads`, accessToken, {
+    fields: 'id,media_product_type,media_type,text,permalink,timestamp,shortcode,is_quote_post',
+    limit: Math.min(Math.max(Number(limit) || 1, 1), 100)
+  }, requestOptions);
+}
+
+function getPostInsights(mediaId, accessToken, requestOptions = {}) {
+  return authorizedGet(`${threadsId(mediaId, 'threads_media_id_invalid')}/insights`, accessToken, {
+    metric: THREADS_POST_METRICS.join(',')
+  }, requestOptions);
+}
+
+module.exports = {
+  THREADS_AUTH_URL,
+  THREADS_FORBIDDEN_SCOPE_TERMS,
+  THREADS_GRAPH_HOST,
+  THREADS_GRAPH_URL,
+  THREADS_ID,
+  THREADS_POST_METRICS,
+  THREADS_PROFILE_METRICS,
+  THREADS_SCOPES,
+  THREADS_TOTAL_METRICS,
+  buildAuthorizationUrl,
+  debugToken,
+  exchangeCode,
+  exchangeLongLivedToken,
+  forbiddenScopes,
+  getPostInsights,
+  getProfile,
+  getProfileInsights,
+  grantedScopes,
+  hasExactScopes,
+  listThreads,
+  missingScopes,
+  refreshLongLivedToken
+};
@@ -0,0 +1,55 @@
+ALTER TABLE report_definitions
+  MODIFY COLUMN range_start DATE NULL,
+  MODIFY COLUMN range_end DATE NULL;
+
+CREATE TABLE report_schedules (
+  id CHAR(36) PRIMARY KEY,
+  report_definition_id CHAR(36) NOT NULL,
+  workspace_id CHAR(36) NOT NULL,
+  created_by_user_id CHAR(36) NOT NULL,
+  frequency VARCHAR(32) NOT NULL,
+  weekday TINYINT UNSIGNED NULL,
+  day_of_month TINYINT UNSIGNED NULL,
+  run_hour TINYINT UNSIGNED NOT NULL DEFAULT 8,
+  run_minute TINYINT UNSIGNED NOT NULL DEFAULT 0,
+  relative_range VARCHAR(32) NOT NULL,
+  status VARCHAR(24) NOT NULL DEFAULT 'active',
+  pause_reason VARCHAR(120) NULL,
+  next_run_at DATETIME(3) NULL,
+  last_queued_at DATETIME(3) NULL,
+  last_report_run_id CHAR(36) NULL,
+  consecutive_failures SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  deleted_at DATETIME(3) NULL,
+  CONSTRAINT report_schedules_frequency_check CHECK (
+    frequency IN ('weekly', 'monthly', 'first_business_day')
+  ),
+  CONSTRAINT report_schedules_weekday_check CHECK (weekday IS NULL OR weekday BETWEEN 1 AND 7),
+  CONSTRAINT report_schedules_day_check CHECK (day_of_month IS NULL OR day_of_month BETWEEN 1 AND 28),
+  CONSTRAINT report_schedules_time_check CHECK (run_hour <= 23 AND run_minute <= 59),
+  CONSTRAINT report_schedules_range_check CHECK (
+    relative_range IN ('last_7_days', 'last_30_days', 'last_90_days', 'last_full_week', 'last_full_month')
+  ),
+  CONSTRAINT report_schedules_status_check CHECK (status IN ('active', 'paused', 'deleted')),
+  CONSTRAINT report_schedules_definition_unique UNIQUE (report_definition_id),
+  CONSTRAINT report_schedules_id_workspace_unique UNIQUE (id, workspace_id),
+  CONSTRAINT report_schedules_definition_tenant_fk
+    FOREIGN KEY (report_definition_id, workspace_id)
+    REFERENCES report_definitions(id, workspace_id) ON DELETE CASCADE,
+  CONSTRAINT report_schedules_workspace_fk
+    FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+  CONSTRAINT report_schedules_creator_fk
+    FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE RESTRICT,
+  INDEX report_schedules_due_idx (status, next_run_at),
+  INDEX report_schedules_workspace_created_idx (workspace_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE report_runs
+  ADD COLUMN report_schedule_id CHAR(36) NULL AFTER report_definition_id,
+  ADD COLUMN scheduled_for DATETIME(3) NULL AFTER report_schedule_id,
+  ADD COLUMN deleted_at DATETIME(3) NULL AFTER updated_at,
+  ADD CONSTRAINT report_runs_schedule_occurrence_unique UNIQUE (report_schedule_id, scheduled_for),
+  ADD CONSTRAINT report_runs_schedule_tenant_fk
+    FOREIGN KEY (report_schedule_id, workspace_id)
+    REFERENCES report_schedules(id, workspace_id) ON DELETE RESTRICT;
@@ -0,0 +1,72 @@
+CREATE TABLE report_recipients (
+  id CHAR(36) PRIMARY KEY,
+  report_definition_id CHAR(36) NOT NULL,
+  workspace_id CHAR(36) NOT NULL,
+  email VARCHAR(320) NOT NULL,
+  user_id CHAR(36) NULL,
+  recipient_type VARCHAR(24) NOT NULL,
+  delivery_mode VARCHAR(24) NOT NULL DEFAULT 'link',
+  status VARCHAR(24) NOT NULL DEFAULT 'active',
+  consecutive_failures SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+  last_failure_code VARCHAR(120) NULL,
+  last_delivered_at DATETIME(3) NULL,
+  bounced_at DATETIME(3) NULL,
+  unsubscribed_at DATETIME(3) NULL,
+  created_by_user_id CHAR(36) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT report_recipients_type_check CHECK (recipient_type IN ('member', 'external')),
+  CONSTRAINT report_recipients_mode_check CHECK (delivery_mode IN ('link', 'attachment')),
+  CONSTRAINT report_recipients_status_check CHECK (
+    status IN ('active', 'suppressed', 'unsubscribed', 'removed')
+  ),
+  CONSTRAINT report_recipients_definition_email_unique UNIQUE (report_definition_id, email),
+  CONSTRAINT report_recipients_id_workspace_unique UNIQUE (id, workspace_id),
+  CONSTRAINT report_recipients_definition_tenant_fk
+    FOREIGN KEY (report_definition_id, workspace_id)
+    REFERENCES report_definitions(id, workspace_id) ON DELETE CASCADE,
+  CONSTRAINT report_recipients_user_fk
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT report_recipients_creator_fk
+    FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX report_recipients_workspace_idx (workspace_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE report_deliveries (
+  id CHAR(36) PRIMARY KEY,
+  report_run_id CHAR(36) NOT NULL,
+  report_recipient_id CHAR(36) NOT NULL,
+  workspace_id CHAR(36) NOT NULL,
+  email VARCHAR(320) NOT NULL,
+  delivery_method VARCHAR(24) NOT NULL DEFAULT 'link',
+  status VARCHAR(24) NOT NULL DEFAULT 'pending',
+  attempts SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+  max_attempts SMALLINT UNSIGNED NOT NULL DEFAULT 4,
+  run_after DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  lease_owner VARCHAR(128) NULL,
+  lease_expires_at DATETIME(3) NULL,
+  link_token_hash CHAR(64) NULL,
+  link_expires_at DATETIME(3) NULL,
+  link_consumed_at DATETIME(3) NULL,
+  unsubscribe_token_hash CHAR(64) NULL,
+  message_id VARCHAR(255) NULL,
+  failure_code VARCHAR(120) NULL,
+  sent_at DATETIME(3) NULL,
+  bounced_at DATETIME(3) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT report_deliveries_method_check CHECK (delivery_method IN ('link', 'attachment')),
+  CONSTRAINT report_deliveries_status_check CHECK (
+    status IN ('pending', 'sending', 'sent', 'failed', 'bounced', 'skipped')
+  ),
+  CONSTRAINT report_deliveries_run_recipient_unique UNIQUE (report_run_id, report_recipient_id),
+  CONSTRAINT report_deliveries_link_token_unique UNIQUE (link_token_hash),
+  CONSTRAINT report_deliveries_unsubscribe_token_unique UNIQUE (unsubscribe_token_hash),
+  CONSTRAINT report_deliveries_run_tenant_fk
+    FOREIGN KEY (report_run_id, workspace_id) REFERENCES report_runs(id, workspace_id) ON DELETE CASCADE,
+  CONSTRAINT report_deliveries_recipient_tenant_fk
+    FOREIGN KEY (report_recipient_id, workspace_id)
+    REFERENCES report_recipients(id, workspace_id) ON DELETE CASCADE,
+  INDEX report_deliveries_worker_due_idx (status, run_after, lease_expires_at),
+  INDEX report_deliveries_message_idx (message_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
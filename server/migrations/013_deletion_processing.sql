@@ -0,0 +1,22 @@
+ALTER TABLE data_deletion_requests
+  DROP CONSTRAINT data_deletion_requests_status_check;
+
+ALTER TABLE data_deletion_requests
+  ADD CONSTRAINT data_deletion_requests_status_check CHECK (
+    status IN ('requested', 'verified', 'processing', 'completed', 'rejected', 'cancelled')
+  );
+
+ALTER TABLE data_deletion_requests
+  ADD COLUMN process_after DATETIME(3) NULL AFTER requested_at,
+  ADD COLUMN started_at DATETIME(3) NULL AFTER process_after,
+  ADD COLUMN cancelled_at DATETIME(3) NULL AFTER completed_at,
+  ADD COLUMN attempts SMALLINT UNSIGNED NOT NULL DEFAULT 0 AFTER cancelled_at,
+  ADD COLUMN lease_owner VARCHAR(128) NULL AFTER attempts,
+  ADD COLUMN lease_expires_at DATETIME(3) NULL AFTER lease_owner,
+  ADD COLUMN failure_code VARCHAR(120) NULL AFTER lease_expires_at,
+  ADD COLUMN progress JSON NULL AFTER failure_code,
+  ADD INDEX data_deletion_requests_due_idx (status, process_after, lease_expires_at);
+
+UPDATE data_deletion_requests
+SET process_after = DATE_ADD(requested_at, INTERVAL 7 DAY)
+WHERE process_after IS NULL AND status IN ('requested', 'verified', 'processing');
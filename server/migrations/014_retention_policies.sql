@@ -0,0 +1,33 @@
+CREATE TABLE workspace_retention_policies (
+  workspace_id CHAR(36) NOT NULL,
+  table_name VARCHAR(64) NOT NULL,
+  retain_days SMALLINT UNSIGNED NOT NULL,
+  updated_by_user_id CHAR(36) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  PRIMARY KEY (workspace_id, table_name),
+  CONSTRAINT workspace_retention_policies_table_check CHECK (
+    table_name IN ('profile_snapshots', 'content_metric_snapshots', 'provider_request_events', 'sync_runs', 'audit_logs')
+  ),
+  CONSTRAINT workspace_retention_policies_days_check CHECK (retain_days BETWEEN 7 AND 3650),
+  CONSTRAINT workspace_retention_policies_workspace_fk FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+  CONSTRAINT workspace_retention_policies_user_fk FOREIGN KEY (updated_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX workspace_retention_policies_table_idx (table_name, workspace_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE retention_jobs
+  DROP CONSTRAINT retention_jobs_status_check;
+
+ALTER TABLE retention_jobs
+  ADD CONSTRAINT retention_jobs_status_check CHECK (status IN ('pending', 'running', 'success', 'partial', 'failed'));
+
+ALTER TABLE retention_jobs
+  ADD COLUMN workspace_id CHAR(36) NULL AFTER policy_version,
+  ADD COLUMN table_name VARCHAR(64) NULL AFTER workspace_id,
+  ADD COLUMN retain_days SMALLINT UNSIGNED NULL AFTER table_name,
+  ADD COLUMN dry_run BOOLEAN NOT NULL DEFAULT FALSE AFTER cutoff_at,
+  ADD COLUMN matched_rows INT UNSIGNED NOT NULL DEFAULT 0 AFTER affected_rows,
+  ADD COLUMN batch_count INT UNSIGNED NOT NULL DEFAULT 0 AFTER matched_rows,
+  ADD CONSTRAINT retention_jobs_workspace_fk FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE SET NULL,
+  ADD INDEX retention_jobs_workspace_started_idx (workspace_id, started_at),
+  ADD INDEX retention_jobs_table_started_idx (table_name, started_at);
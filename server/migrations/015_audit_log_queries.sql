@@ -0,0 +1,3 @@
+ALTER TABLE audit_logs
+  ADD INDEX audit_logs_workspace_action_created_idx (workspace_id, action, created_at),
+  ADD INDEX audit_logs_workspace_target_created_idx (workspace_id, target_type, created_at);
@@ -0,0 +1,16 @@
+ALTER TABLE audit_logs
+  ADD COLUMN chain_sequence BIGINT UNSIGNED NULL AFTER correlation_id,
+  ADD COLUMN previous_hash CHAR(64) NULL AFTER chain_sequence,
+  ADD COLUMN entry_hash CHAR(64) NULL AFTER previous_hash,
+  ADD UNIQUE INDEX audit_logs_workspace_chain_idx (workspace_id, chain_sequence);
+
+CREATE TABLE audit_log_chains (
+  workspace_id CHAR(36) PRIMARY KEY,
+  last_sequence BIGINT UNSIGNED NOT NULL DEFAULT 0,
+  last_hash CHAR(64) NULL,
+  pruned_through_sequence BIGINT UNSIGNED NOT NULL DEFAULT 0,
+  pruned_through_hash CHAR(64) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT audit_log_chains_workspace_fk FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,57 @@
+CREATE TABLE alert_rules (
+  id CHAR(36) PRIMARY KEY,
+  workspace_id CHAR(36) NOT NULL,
+  name VARCHAR(120) NOT NULL,
+  provider VARCHAR(32) NOT NULL,
+  metric_key VARCHAR(160) NOT NULL,
+  rule_type VARCHAR(24) NOT NULL,
+  direction VARCHAR(16) NOT NULL,
+  threshold DECIMAL(30,8) NOT NULL,
+  window_days SMALLINT UNSIGNED NOT NULL DEFAULT 7,
+  notify_email BOOLEAN NOT NULL DEFAULT FALSE,
+  status VARCHAR(16) NOT NULL DEFAULT 'active',
+  last_evaluated_at DATETIME(3) NULL,
+  last_error_code VARCHAR(120) NULL,
+  created_by_user_id CHAR(36) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT alert_rules_type_check CHECK (rule_type IN ('threshold', 'percent_change', 'z_score')),
+  CONSTRAINT alert_rules_direction_check CHECK (direction IN ('above', 'below', 'either')),
+  CONSTRAINT alert_rules_status_check CHECK (status IN ('active', 'paused')),
+  CONSTRAINT alert_rules_window_check CHECK (window_days BETWEEN 1 AND 90),
+  CONSTRAINT alert_rules_workspace_fk FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+  CONSTRAINT alert_rules_creator_fk FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX alert_rules_workspace_provider_idx (workspace_id, provider, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE alert_events (
+  id CHAR(36) PRIMARY KEY,
+  workspace_id CHAR(36) NOT NULL,
+  alert_rule_id CHAR(36) NOT NULL,
+  data_source_id CHAR(36) NOT NULL,
+  sync_run_id CHAR(36) NULL,
+  provider VARCHAR(32) NOT NULL,
+  metric_key VARCHAR(160) NOT NULL,
+  resource_label VARCHAR(255) NULL,
+  observed_date DATE NOT NULL,
+  observed_value DECIMAL(30,8) NOT NULL,
+  baseline_value DECIMAL(30,8) NULL,
+  score DECIMAL(30,8) NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'open',
+  acknowledged_by_user_id CHAR(36) NULL,
+  acknowledged_at DATETIME(3) NULL,
+  notification_status VARCHAR(16) NOT NULL DEFAULT 'not_requested',
+  notified_at DATETIME(3) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT alert_events_status_check CHECK (status IN ('open', 'acknowledged')),
+  CONSTRAINT alert_events_notification_check CHECK (
+    notification_status IN ('not_requested', 'pending', 'sent', 'suppressed', 'failed')
+  ),
+  CONSTRAINT alert_events_rule_source_date_unique UNIQUE (alert_rule_id, data_source_id, observed_date),
+  CONSTRAINT alert_events_workspace_fk FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+  CONSTRAINT alert_events_rule_fk FOREIGN KEY (alert_rule_id) REFERENCES alert_rules(id) ON DELETE CASCADE,
+  CONSTRAINT alert_events_source_fk FOREIGN KEY (data_source_id) REFERENCES data_sources(id) ON DELETE CASCADE,
+  CONSTRAINT alert_events_run_fk FOREIGN KEY (sync_run_id) REFERENCES sync_runs(id) ON DELETE SET NULL,
+  CONSTRAINT alert_events_acknowledged_by_fk FOREIGN KEY (acknowledged_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX alert_events_workspace_created_idx (workspace_id, status, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
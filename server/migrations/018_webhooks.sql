@@ -0,0 +1,59 @@
+CREATE TABLE webhook_endpoints (
+  id CHAR(36) PRIMARY KEY,
+  workspace_id CHAR(36) NOT NULL,
+  url VARCHAR(2048) NOT NULL,
+  description VARCHAR(255) NULL,
+  event_types JSON NOT NULL,
+  signing_secret_ciphertext TEXT NOT NULL,
+  signing_secret_iv VARCHAR(64) NOT NULL,
+  signing_secret_tag VARCHAR(64) NOT NULL,
+  key_version VARCHAR(64) NOT NULL,
+  secret_hint VARCHAR(8) NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'active',
+  consecutive_failures SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+  last_delivery_at DATETIME(3) NULL,
+  last_failure_code VARCHAR(120) NULL,
+  created_by_user_id CHAR(36) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT webhook_endpoints_status_check CHECK (status IN ('active', 'disabled')),
+  CONSTRAINT webhook_endpoints_event_types_check CHECK (JSON_VALID(event_types)),
+  CONSTRAINT webhook_endpoints_id_workspace_unique UNIQUE (id, workspace_id),
+  CONSTRAINT webhook_endpoints_workspace_fk FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+  CONSTRAINT webhook_endpoints_creator_fk FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX webhook_endpoints_workspace_idx (workspace_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE webhook_deliveries (
+  id CHAR(36) PRIMARY KEY,
+  workspace_id CHAR(36) NOT NULL,
+  webhook_endpoint_id CHAR(36) NOT NULL,
+  event_id CHAR(36) NOT NULL,
+  event_type VARCHAR(64) NOT NULL,
+  payload MEDIUMTEXT NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'pending',
+  attempts SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+  max_attempts SMALLINT UNSIGNED NOT NULL DEFAULT 6,
+  run_after DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  lease_owner VARCHAR(128) NULL,
+  lease_expires_at DATETIME(3) NULL,
+  response_status SMALLINT UNSIGNED NULL,
+  duration_ms INT UNSIGNED NULL,
+  failure_code VARCHAR(120) NULL,
+  delivered_at DATETIME(3) NULL,
+  redelivery_of_id CHAR(36) NULL,
+  requested_by_user_id CHAR(36) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT webhook_deliveries_status_check CHECK (
+    status IN ('pending', 'sending', 'delivered', 'failed', 'skipped')
+  ),
+  CONSTRAINT webhook_deliveries_endpoint_tenant_fk
+    FOREIGN KEY (webhook_endpoint_id, workspace_id)
+    REFERENCES webhook_endpoints(id, workspace_id) ON DELETE CASCADE,
+  CONSTRAINT webhook_deliveries_requester_fk
+    FOREIGN KEY (requested_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX webhook_deliveries_due_idx (status, run_after),
+  INDEX webhook_deliveries_endpoint_idx (webhook_endpoint_id, created_at),
+  INDEX webhook_deliveries_workspace_idx (workspace_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,19 @@
+CREATE TABLE api_tokens (
+  id CHAR(36) PRIMARY KEY,
+  user_id CHAR(36) NOT NULL,
+  workspace_id CHAR(36) NOT NULL,
+  name VARCHAR(120) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  token_prefix VARCHAR(16) NOT NULL,
+  expires_at DATETIME(3) NOT NULL,
+  last_used_at DATETIME(3) NULL,
+  revoked_at DATETIME(3) NULL,
+  revoked_by_user_id CHAR(36) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT api_tokens_token_hash_unique UNIQUE (token_hash),
+  CONSTRAINT api_tokens_user_fk FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  CONSTRAINT api_tokens_workspace_fk FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+  CONSTRAINT api_tokens_revoker_fk FOREIGN KEY (revoked_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX api_tokens_user_workspace_idx (user_id, workspace_id, revoked_at, expires_at),
+  INDEX api_tokens_workspace_idx (workspace_id, revoked_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,29 @@
+CREATE TABLE legacy_connector_tokens (
+  subject VARCHAR(191) PRIMARY KEY,
+  open_id VARCHAR(191) NULL,
+  access_token_ciphertext TEXT NOT NULL,
+  access_token_iv VARCHAR(64) NOT NULL,
+  access_token_tag VARCHAR(64) NOT NULL,
+  refresh_token_ciphertext TEXT NOT NULL,
+  refresh_token_iv VARCHAR(64) NOT NULL,
+  refresh_token_tag VARCHAR(64) NOT NULL,
+  key_version VARCHAR(64) NOT NULL,
+  scopes VARCHAR(512) NULL,
+  access_expires_at DATETIME(3) NULL,
+  refresh_expires_at DATETIME(3) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  INDEX legacy_connector_tokens_prune_idx (refresh_expires_at, updated_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE legacy_connector_states (
+  state_key CHAR(64) PRIMARY KEY,
+  namespace VARCHAR(64) NOT NULL,
+  payload_ciphertext TEXT NOT NULL,
+  payload_iv VARCHAR(64) NOT NULL,
+  payload_tag VARCHAR(64) NOT NULL,
+  key_version VARCHAR(64) NOT NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  expires_at DATETIME(3) NOT NULL,
+  INDEX legacy_connector_states_expiry_idx (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
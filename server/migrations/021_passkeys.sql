@@ -0,0 +1,34 @@
+CREATE TABLE user_passkeys (
+  id CHAR(36) PRIMARY KEY,
+  user_id CHAR(36) NOT NULL,
+  name VARCHAR(120) NOT NULL,
+  credential_id VARCHAR(1400) CHARACTER SET ascii COLLATE ascii_bin NOT NULL,
+  credential_id_hash CHAR(64) NOT NULL,
+  public_key TEXT NOT NULL,
+  algorithm SMALLINT NOT NULL,
+  sign_count BIGINT UNSIGNED NOT NULL DEFAULT 0,
+  transports VARCHAR(255) NULL,
+  aaguid CHAR(36) NULL,
+  backup_eligible TINYINT(1) NOT NULL DEFAULT 0,
+  backed_up TINYINT(1) NOT NULL DEFAULT 0,
+  last_used_at DATETIME(3) NULL,
+  revoked_at DATETIME(3) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT user_passkeys_credential_unique UNIQUE (credential_id_hash),
+  CONSTRAINT user_passkeys_user_fk FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX user_passkeys_user_idx (user_id, revoked_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE webauthn_challenges (
+  id CHAR(36) PRIMARY KEY,
+  challenge_hash CHAR(64) NOT NULL,
+  purpose VARCHAR(16) NOT NULL,
+  user_id CHAR(36) NULL,
+  expires_at DATETIME(3) NOT NULL,
+  consumed_at DATETIME(3) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT webauthn_challenges_hash_unique UNIQUE (challenge_hash),
+  CONSTRAINT webauthn_challenges_purpose_check CHECK (purpose IN ('registration', 'authentication')),
+  CONSTRAINT webauthn_challenges_user_fk FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX webauthn_challenges_expiry_idx (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
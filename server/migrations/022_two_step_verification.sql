@@ -0,0 +1,25 @@
+ALTER TABLE workspaces
+  ADD COLUMN require_two_factor TINYINT(1) NOT NULL DEFAULT 0 AFTER slug;
+
+ALTER TABLE user_sessions
+  ADD COLUMN second_factor_method VARCHAR(16) NULL AFTER device_label,
+  ADD COLUMN second_factor_verified_at DATETIME(3) NULL AFTER second_factor_method,
+  ADD CONSTRAINT user_sessions_second_factor_method_check
+    CHECK (second_factor_method IS NULL OR second_factor_method IN ('totp', 'passkey'));
+
+CREATE TABLE user_totp_factors (
+  id CHAR(36) PRIMARY KEY,
+  user_id CHAR(36) NOT NULL,
+  secret_ciphertext TEXT NOT NULL,
+  secret_iv VARCHAR(64) NOT NULL,
+  secret_tag VARCHAR(64) NOT NULL,
+  key_version VARCHAR(64) NOT NULL,
+  confirmed_at DATETIME(3) NULL,
+  last_used_step BIGINT UNSIGNED NULL,
+  failed_attempts SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+  locked_until DATETIME(3) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT user_totp_factors_user_unique UNIQUE (user_id),
+  CONSTRAINT user_totp_factors_user_fk FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
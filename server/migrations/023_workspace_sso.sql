@@ -0,0 +1,86 @@
+CREATE TABLE workspace_sso_connections (
+  id CHAR(36) PRIMARY KEY,
+  workspace_id CHAR(36) NOT NULL,
+  protocol VARCHAR(8) NOT NULL,
+  display_name VARCHAR(120) NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'active',
+  require_sso TINYINT(1) NOT NULL DEFAULT 0,
+  oidc_issuer VARCHAR(512) NULL,
+  oidc_client_id VARCHAR(255) NULL,
+  oidc_client_secret_ciphertext TEXT NULL,
+  oidc_client_secret_iv VARCHAR(64) NULL,
+  oidc_client_secret_tag VARCHAR(64) NULL,
+  key_version VARCHAR(64) NULL,
+  oidc_authorization_endpoint VARCHAR(1024) NULL,
+  oidc_token_endpoint VARCHAR(1024) NULL,
+  oidc_jwks_uri VARCHAR(1024) NULL,
+  oidc_token_auth_method VARCHAR(32) NULL,
+  saml_entity_id VARCHAR(512) NULL,
+  saml_sso_url VARCHAR(1024) NULL,
+  saml_certificates MEDIUMTEXT NULL,
+  created_by CHAR(36) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT workspace_sso_connections_workspace_unique UNIQUE (workspace_id),
+  CONSTRAINT workspace_sso_connections_workspace_fk FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+  CONSTRAINT workspace_sso_connections_created_by_fk FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT workspace_sso_connections_protocol_check CHECK (protocol IN ('oidc', 'saml')),
+  CONSTRAINT workspace_sso_connections_status_check CHECK (status IN ('active', 'disabled')),
+  CONSTRAINT workspace_sso_connections_token_auth_check
+    CHECK (oidc_token_auth_method IS NULL OR oidc_token_auth_method IN ('client_secret_basic', 'client_secret_post'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE workspace_sso_domains (
+  id CHAR(36) PRIMARY KEY,
+  workspace_id CHAR(36) NOT NULL,
+  domain VARCHAR(253) NOT NULL,
+  verification_token VARCHAR(64) NOT NULL,
+  verified_domain VARCHAR(253) NULL,
+  verified_at DATETIME(3) NULL,
+  last_checked_at DATETIME(3) NULL,
+  created_by CHAR(36) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT workspace_sso_domains_workspace_domain_unique UNIQUE (workspace_id, domain),
+  CONSTRAINT workspace_sso_domains_verified_unique UNIQUE (verified_domain),
+  CONSTRAINT workspace_sso_domains_workspace_fk FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+  CONSTRAINT workspace_sso_domains_created_by_fk FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE sso_transactions (
+  id CHAR(36) PRIMARY KEY,
+  workspace_id CHAR(36) NOT NULL,
+  sso_connection_id CHAR(36) NOT NULL,
+  protocol VARCHAR(8) NOT NULL,
+  state_hash CHAR(64) NOT NULL,
+  browser_binding_hash CHAR(64) NOT NULL,
+  nonce_hash CHAR(64) NULL,
+  saml_request_id VARCHAR(64) NULL,
+  pkce_verifier_ciphertext TEXT NULL,
+  pkce_verifier_iv VARCHAR(64) NULL,
+  pkce_verifier_tag VARCHAR(64) NULL,
+  pkce_key_version VARCHAR(64) NULL,
+  return_path VARCHAR(512) NOT NULL DEFAULT '/',
+  status VARCHAR(16) NOT NULL DEFAULT 'pending',
+  asserted_subject VARCHAR(255) NULL,
+  asserted_email VARCHAR(320) NULL,
+  asserted_name VARCHAR(255) NULL,
+  expires_at DATETIME(3) NOT NULL,
+  consumed_at DATETIME(3) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT sso_transactions_state_unique UNIQUE (state_hash),
+  CONSTRAINT sso_transactions_connection_fk
+    FOREIGN KEY (sso_connection_id) REFERENCES workspace_sso_connections(id) ON DELETE CASCADE,
+  CONSTRAINT sso_transactions_status_check CHECK (status IN ('pending', 'asserted', 'consumed', 'failed')),
+  INDEX sso_transactions_workspace_idx (workspace_id),
+  INDEX sso_transactions_expiry_idx (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE user_identities
+  ADD COLUMN sso_connection_id CHAR(36) NULL AFTER provider_subject,
+  ADD CONSTRAINT user_identities_sso_connection_fk
+    FOREIGN KEY (sso_connection_id) REFERENCES workspace_sso_connections(id) ON DELETE CASCADE;
+
+ALTER TABLE user_sessions
+  ADD COLUMN sso_connection_id CHAR(36) NULL AFTER second_factor_verified_at,
+  ADD CONSTRAINT user_sessions_sso_connection_fk
+    FOREIGN KEY (sso_connection_id) REFERENCES workspace_sso_connections(id) ON DELETE SET NULL;
@@ -0,0 +1,56 @@
+CREATE TABLE scim_tokens (
+  id CHAR(36) PRIMARY KEY,
+  workspace_id CHAR(36) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  token_prefix VARCHAR(16) NOT NULL,
+  created_by CHAR(36) NULL,
+  last_used_at DATETIME(3) NULL,
+  revoked_at DATETIME(3) NULL,
+  revoked_by_user_id CHAR(36) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT scim_tokens_token_hash_unique UNIQUE (token_hash),
+  CONSTRAINT scim_tokens_workspace_fk FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+  CONSTRAINT scim_tokens_created_by_fk FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT scim_tokens_revoker_fk FOREIGN KEY (revoked_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX scim_tokens_workspace_idx (workspace_id, revoked_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE scim_users (
+  id CHAR(36) PRIMARY KEY,
+  workspace_id CHAR(36) NOT NULL,
+  user_id CHAR(36) NOT NULL,
+  user_name VARCHAR(320) NOT NULL,
+  external_id VARCHAR(255) NULL,
+  display_name VARCHAR(255) NULL,
+  group_role VARCHAR(32) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT scim_users_workspace_user_unique UNIQUE (workspace_id, user_id),
+  CONSTRAINT scim_users_group_role_check CHECK (group_role IS NULL OR group_role IN ('owner', 'admin', 'analyst', 'viewer')),
+  CONSTRAINT scim_users_workspace_fk FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+  CONSTRAINT scim_users_user_fk FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX scim_users_external_idx (workspace_id, external_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE scim_groups (
+  id CHAR(36) PRIMARY KEY,
+  workspace_id CHAR(36) NOT NULL,
+  display_name VARCHAR(255) NOT NULL,
+  external_id VARCHAR(255) NULL,
+  role VARCHAR(32) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT scim_groups_workspace_name_unique UNIQUE (workspace_id, display_name),
+  CONSTRAINT scim_groups_workspace_fk FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+  CONSTRAINT scim_groups_role_check CHECK (role IS NULL OR role IN ('owner', 'admin', 'analyst', 'viewer'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE scim_group_members (
+  group_id CHAR(36) NOT NULL,
+  scim_user_id CHAR(36) NOT NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  PRIMARY KEY (group_id, scim_user_id),
+  CONSTRAINT scim_group_members_group_fk FOREIGN KEY (group_id) REFERENCES scim_groups(id) ON DELETE CASCADE,
+  CONSTRAINT scim_group_members_user_fk FOREIGN KEY (scim_user_id) REFERENCES scim_users(id) ON DELETE CASCADE,
+  INDEX scim_group_members_user_idx (scim_user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,18 @@
+CREATE TABLE workspace_roles (
+  id CHAR(36) PRIMARY KEY,
+  workspace_id CHAR(36) NOT NULL,
+  name VARCHAR(80) NOT NULL,
+  description VARCHAR(255) NULL,
+  capabilities JSON NOT NULL,
+  created_by CHAR(36) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT workspace_roles_workspace_name_unique UNIQUE (workspace_id, name),
+  CONSTRAINT workspace_roles_workspace_fk FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+  CONSTRAINT workspace_roles_created_by_fk FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE workspace_memberships
+  ADD COLUMN custom_role_id CHAR(36) NULL AFTER role,
+  ADD CONSTRAINT workspace_memberships_custom_role_fk FOREIGN KEY (custom_role_id) REFERENCES workspace_roles(id),
+  ADD INDEX workspace_memberships_custom_role_idx (custom_role_id);
@@ -0,0 +1,17 @@
+ALTER TABLE workspace_memberships
+  ADD COLUMN resources_restricted TINYINT(1) NOT NULL DEFAULT 0 AFTER custom_role_id;
+
+CREATE TABLE workspace_membership_resources (
+  workspace_id CHAR(36) NOT NULL,
+  user_id CHAR(36) NOT NULL,
+  workspace_provider_connection_id CHAR(36) NOT NULL,
+  created_by CHAR(36) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  PRIMARY KEY (workspace_id, user_id, workspace_provider_connection_id),
+  CONSTRAINT workspace_membership_resources_membership_fk FOREIGN KEY (workspace_id, user_id)
+    REFERENCES workspace_memberships(workspace_id, user_id) ON DELETE CASCADE,
+  CONSTRAINT workspace_membership_resources_connection_fk FOREIGN KEY (workspace_provider_connection_id)
+    REFERENCES workspace_provider_connections(id) ON DELETE CASCADE,
+  CONSTRAINT workspace_membership_resources_created_by_fk FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX workspace_membership_resources_connection_idx (workspace_provider_connection_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,42 @@
+CREATE TABLE organizations (
+  id CHAR(36) PRIMARY KEY,
+  name VARCHAR(160) NOT NULL,
+  slug VARCHAR(120) NOT NULL,
+  default_invitation_role VARCHAR(32) NOT NULL DEFAULT 'viewer',
+  invitation_domains JSON NOT NULL,
+  created_by CHAR(36) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT organizations_slug_unique UNIQUE (slug),
+  CONSTRAINT organizations_default_role_check CHECK (default_invitation_role IN ('admin', 'analyst', 'viewer')),
+  CONSTRAINT organizations_created_by_fk FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE organization_memberships (
+  organization_id CHAR(36) NOT NULL,
+  user_id CHAR(36) NOT NULL,
+  role VARCHAR(32) NOT NULL,
+  added_by CHAR(36) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  PRIMARY KEY (organization_id, user_id),
+  CONSTRAINT organization_memberships_role_check CHECK (role IN ('owner', 'admin', 'member')),
+  CONSTRAINT organization_memberships_organization_fk FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  CONSTRAINT organization_memberships_user_fk FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  CONSTRAINT organization_memberships_added_by_fk FOREIGN KEY (added_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX organization_memberships_user_idx (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE workspaces
+  ADD COLUMN organization_id CHAR(36) NULL AFTER slug,
+  ADD CONSTRAINT workspaces_organization_fk FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE SET NULL,
+  ADD INDEX workspaces_organization_idx (organization_id);
+
+ALTER TABLE workspace_memberships
+  ADD COLUMN organization_id CHAR(36) NULL AFTER resources_restricted,
+  ADD COLUMN organization_previous_role VARCHAR(32) NULL AFTER organization_id,
+  ADD COLUMN organization_previous_custom_role_id CHAR(36) NULL AFTER organization_previous_role,
+  ADD CONSTRAINT workspace_memberships_organization_fk FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE SET NULL,
+  ADD CONSTRAINT workspace_memberships_previous_custom_role_fk FOREIGN KEY (organization_previous_custom_role_id)
+    REFERENCES workspace_roles(id) ON DELETE SET NULL,
+  ADD INDEX workspace_memberships_organization_idx (organization_id);
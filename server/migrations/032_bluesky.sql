@@ -0,0 +1,95 @@
+ALTER TABLE data_sources
+  DROP CONSTRAINT data_sources_provider_check;
+
+ALTER TABLE data_sources
+  ADD CONSTRAINT data_sources_provider_check CHECK (
+    provider IN ('tiktok', 'youtube', 'facebook_pages', 'instagram', 'google_analytics_4', 'linkedin', 'google_search_console', 'pinterest', 'threads', 'bluesky')
+  );
+
+ALTER TABLE oauth_transactions
+  DROP CONSTRAINT oauth_transactions_provider_check;
+
+ALTER TABLE oauth_transactions
+  ADD CONSTRAINT oauth_transactions_provider_check CHECK (
+    provider IN ('tiktok', 'youtube', 'facebook_pages', 'instagram', 'google_analytics_4', 'linkedin', 'google_search_console', 'pinterest', 'threads', 'bluesky')
+  );
+
+ALTER TABLE provider_authorizations
+  DROP CONSTRAINT provider_authorizations_provider_check;
+
+ALTER TABLE provider_authorizations
+  ADD CONSTRAINT provider_authorizations_provider_check CHECK (
+    provider IN ('tiktok', 'youtube', 'facebook_pages', 'instagram', 'google_analytics_4', 'linkedin', 'google_search_console', 'pinterest', 'threads', 'bluesky')
+  );
+
+ALTER TABLE provider_resources
+  DROP CONSTRAINT provider_resources_provider_check;
+
+ALTER TABLE provider_resources
+  ADD CONSTRAINT provider_resources_provider_check CHECK (
+    provider IN ('tiktok', 'youtube', 'facebook_pages', 'instagram', 'google_analytics_4', 'linkedin', 'google_search_console', 'pinterest', 'threads', 'bluesky')
+  );
+
+ALTER TABLE provider_resources
+  DROP CONSTRAINT provider_resources_type_check;
+
+ALTER TABLE provider_resources
+  ADD CONSTRAINT provider_resources_type_check CHECK (
+    resource_type IN ('tiktok_account', 'instagram_account', 'facebook_page', 'youtube_channel', 'ga4_property', 'linkedin_organization', 'search_console_site', 'pinterest_account', 'threads_profile', 'bluesky_account')
+  );
+
+ALTER TABLE provider_revocation_events
+  DROP CONSTRAINT provider_revocation_events_provider_check;
+
+ALTER TABLE provider_revocation_events
+  ADD CONSTRAINT provider_revocation_events_provider_check CHECK (
+    provider IN ('tiktok', 'youtube', 'facebook_pages', 'instagram', 'google_analytics_4', 'linkedin', 'google_search_console', 'pinterest', 'threads', 'bluesky')
+  );
+
+ALTER TABLE provider_request_events
+  DROP CONSTRAINT provider_request_events_provider_check;
+
+ALTER TABLE provider_request_events
+  ADD CONSTRAINT provider_request_events_provider_check CHECK (
+    provider IN ('tiktok', 'youtube', 'facebook_pages', 'instagram', 'google_analytics_4', 'linkedin', 'google_search_console', 'pinterest', 'threads', 'bluesky')
+  );
+
+ALTER TABLE provider_resource_observations
+  DROP CONSTRAINT resource_observations_provider_check;
+
+ALTER TABLE provider_resource_observations
+  ADD CONSTRAINT resource_observations_provider_check CHECK (
+    provider IN ('tiktok', 'youtube', 'facebook_pages', 'instagram', 'google_analytics_4', 'linkedin', 'google_search_console', 'pinterest', 'threads', 'bluesky')
+  );
+
+ALTER TABLE provider_metric_observations
+  DROP CONSTRAINT metric_observations_provider_check;
+
+ALTER TABLE provider_metric_observations
+  ADD CONSTRAINT metric_observations_provider_check CHECK (
+    provider IN ('tiktok', 'youtube', 'facebook_pages', 'instagram', 'google_analytics_4', 'linkedin', 'google_search_console', 'pinterest', 'threads', 'bluesky')
+  );
+
+ALTER TABLE provider_dimension_observations
+  DROP CONSTRAINT dimension_observations_provider_check;
+
+ALTER TABLE provider_dimension_observations
+  ADD CONSTRAINT dimension_observations_provider_check CHECK (
+    provider IN ('tiktok', 'youtube', 'facebook_pages', 'instagram', 'google_analytics_4', 'linkedin', 'google_search_console', 'pinterest', 'threads', 'bluesky')
+  );
+
+ALTER TABLE report_definition_resources
+  DROP CONSTRAINT report_definition_resources_provider_check;
+
+ALTER TABLE report_definition_resources
+  ADD CONSTRAINT report_definition_resources_provider_check CHECK (
+    provider IN ('tiktok', 'youtube', 'facebook_pages', 'instagram', 'google_analytics_4', 'linkedin', 'google_search_console', 'pinterest', 'threads', 'bluesky')
+  );
+
+ALTER TABLE report_run_resources
+  DROP CONSTRAINT report_run_resources_provider_check;
+
+ALTER TABLE report_run_resources
+  ADD CONSTRAINT report_run_resources_provider_check CHECK (
+    provider IN ('tiktok', 'youtube', 'facebook_pages', 'instagram', 'google_analytics_4', 'linkedin', 'google_search_console', 'pinterest', 'threads', 'bluesky')
+  );
@@ -0,0 +1,4 @@
+ALTER TABLE scim_users
+  ADD COLUMN invitation_id CHAR(36) NULL AFTER group_role,
+  ADD CONSTRAINT scim_users_invitation_fk
+    FOREIGN KEY (invitation_id) REFERENCES workspace_invitations(id) ON DELETE CASCADE;
@@ -0,0 +1,644 @@
+const { getConnection } = require('../database');
+const { requireWorkspaceCapability } = require('./dashboard-service');
+const { sendMetricAlertEmail } = require('./mail');
+const { STORED_METRIC_SERIES, loadMetricSeries } = require('./metric-series');
+const { getMetricDefinitions } = require('./provider-registry');
+const { assertCapability, hasCapability } = require('./rbac');
+const repositories = require('./repositories');
+const { loadResourceScope, scopeAllowsDataSource } = require('./resource-scope');
+const { createId } = require('./security');
+
+const RULE_TYPES = Object.freeze(['threshold', 'percent_change', 'z_score']);
+const DIRECTIONS = Object.freeze(['above', 'below', 'either']);
+const RULE_STATUSES = Object.freeze(['active', 'paused']);
+const MAX_RULES_PER_WORKSPACE = 50;
+const MAX_WINDOW_DAYS = 90;
+const MIN_BASELINE_POINTS = 7;
+const THRESHOLD_LOOKBACK_DAYS = 7;
+const REPORTING_DELAY_DAYS = 7;
+const EVENT_LIST_LIMIT = 50;
+const MAX_THRESHOLD = 1e12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ALERT_METRICS = Object.freeze(
+  Object.fromEntries(
+    [
+      'tiktok.followers',
+      'tiktok.total_likes',
+      'tiktok.video_count',
+      'youtube.subscribers',
+      'youtube.views',
+      'youtube.watch_time_minutes',
+      'youtube.net_subscribers',
+      'facebook.followers',
+      'facebook.page_post_engagements',
+      'facebook.page_media_views',
+      'instagram.views',
+      'instagram.reach',
+      'ga4.active_users',
+      'ga4.new_users',
+      'ga4.sessions',
+      'ga4.screen_page_views',
+      'ga4.engagement_rate'
+    ].map(key => [key, STORED_METRIC_SERIES[key]])
+  )
+);
+
+function createAlertError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createAlertError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+function isoDate(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function numberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function roundValue(value) {
+  return value === null || value === undefined ? null : Math.round(value * 1e6) / 1e6;
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00.000Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function listAlertMetrics() {
+  const definitions = getMetricDefinitions();
+  return Object.entries(ALERT_METRICS).map(([key, metric]) => ({
+    key,
+    provider: definitions[key].provider,
+    label: definitions[key].label,
+    unit: definitions[key].unit,
+    aggregation: metric.aggregation
+  }));
+}
+
+function metricLabel(metricKey) {
+  const definition = getMetricDefinitions()[metricKey];
+  return definition ? definition.label : metricKey;
+}
+
+function periodValue(points, aggregation) {
+  if (!points.length) return null;
+  if (aggregation === 'latest') return points[points.length - 1].value;
+  const total = points.reduce((sum, point) => sum + point.value, 0);
+  return aggregation === 'average' ? total / points.length : total;
+}
+
+function dailyChanges(points) {
+  const changes = [];
+  for (let index = 1; index < points.length; index += 1) {
+    if (points[index].date === addDays(points[index - 1].date, 1)) {
+      changes.push({ date: points[index].date, value: points[index].value - points[index - 1].value });
+    }
+  }
+  return changes;
+}
+
+function crosses(score, threshold, direction) {
+  if (direction === 'above') return score >= threshold;
+  if (direction === 'below') return score <= -threshold;
+  return Math.abs(score) >= threshold;
+}
+
+function evaluateAlertRule(rule, points, aggregation = 'latest') {
+  if (!points.length) return null;
+  const latest = points[points.length - 1];
+  const threshold = Number(rule.threshold);
+  const windowDays = Number(rule.window_days);
+  if (rule.rule_type === 'threshold') {
+    return {
+      triggered: rule.direction === 'below' ? latest.value < threshold : latest.value > threshold,
+      observed_date: latest.date,
+      observed_value: latest.value,
+      baseline_value: null,
+      score: null
+    };
+  }
+  if (rule.rule_type === 'percent_change') {
+    const currentStart = addDays(latest.date, -(windowDays - 1));
+    const previousStart = addDays(currentStart, -windowDays);
+    const currentValue = periodValue(points.filter(point => point.date >= currentStart), aggregation);
+    const previousValue = periodValue(
+      points.filter(point => point.date >= previousStart && point.date < currentStart),
+      aggregation
+    );
+    if (previousValue === null || previousValue === 0) return null;
+    const change = ((currentValue - previousValue) / Math.abs(previousValue)) * 100;
+    return {
+      triggered: crosses(change, threshold, rule.direction),
+      observed_date: latest.date,
+      observed_value: currentValue,
+      baseline_value: previousValue,
+      score: roundValue(change)
+    };
+  }
+  const values = aggregation === 'latest' ? dailyChanges(points) : points;
+  if (!values.length) return null;
+  const current = values[values.length - 1];
+  const baselineStart = addDays(current.date, -windowDays);
+  const baseline = values
+    .filter(point => point.date >= baselineStart && point.date < current.date)
+    .map(point => point.value);
+  if (baseline.length < MIN_BASELINE_POINTS) return null;
+  const mean = baseline.reduce((sum, value) => sum + value, 0) / baseline.length;
+  const variance = baseline.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (baseline.length - 1);
+  const deviation = Math.sqrt(variance);
+  if (!(deviation > 0)) return null;
+  const score = (current.value - mean) / deviation;
+  return {
+    triggered: crosses(score, threshold, rule.direction),
+    observed_date: current.date,
+    observed_value: current.value,
+    baseline_value: roundValue(mean),
+    score: roundValue(score)
+  };
+}
+
+function formatValue(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return String(value);
+  return number.toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+function describeAlertEvent(event) {
+  const label = metricLabel(event.metric_key);
+  const subject = event.resource_label ? `${label} for ${event.resource_label}` : label;
+  if (event.rule_type === 'threshold') {
+    return `${subject} was ${formatValue(event.observed_value)} on ${event.observed_date}, ${event.direction} the threshold of ${formatValue(event.threshold)}.`;
+  }
+  if (event.rule_type === 'percent_change') {
+    const score = Number(event.score);
+    const sign = score > 0 ? '+' : '';
+    return `${subject} changed by ${sign}${formatValue(score)}% over the ${event.window_days} days to ${event.observed_date} compared with the previous ${event.window_days} days.`;
+  }
+  return `${subject} on ${event.observed_date} was ${formatValue(Math.abs(Number(event.score)))} standard deviations ${Number(event.score) < 0 ? 'below' : 'above'} its ${event.window_days}-day baseline.`;
+}
+
+function lookbackDays(rule) {
+  if (rule.rule_type === 'percent_change') return rule.window_days * 2 + REPORTING_DELAY_DAYS;
+  if (rule.rule_type === 'z_score') return rule.window_days + 1 + REPORTING_DELAY_DAYS;
+  return THRESHOLD_LOOKBACK_DAYS;
+}
+
+async function loadAlertSource(connection, dataSourceId) {
+  const rows = await connection.query(
+    `SELECT ds.id, ds.workspace_id, ds.provider, w.name AS workspace_name,
+            COALESCE(pr.display_name, pa.display_name, pa.username) AS resource_label
+     FROM data_sources ds
+     JOIN workspaces w ON w.id = ds.workspace_id
+     LEFT JOIN workspace_provider_connections wpc ON wpc.data_source_id = ds.id
+     LEFT JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     LEFT JOIN provider_accounts pa ON pa.data_source_id = ds.id
+     WHERE ds.id = ?
+     LIMIT 1`,
+    [dataSourceId]
+  );
+  return rows[0] || null;
+}
+
+async function alertRecipients(connection, workspaceId, provider, dataSourceId) {
+  const rows = await connection.query(
+    `SELECT u.email, wm.role, r.capabilities AS custom_role_capabilities
+     FROM workspace_memberships wm
+     JOIN users u ON u.id = wm.user_id
+     LEFT JOIN workspace_roles r ON r.id = wm.custom_role_id
+     WHERE wm.workspace_id = ? AND wm.status = 'active' AND u.status = 'active'
+       AND (wm.resources_restricted = 0 OR wm.role IN ('owner', 'admin') OR EXISTS (
+         SELECT 1 FROM workspace_membership_resources mr
+         JOIN workspace_provider_connections wpc ON wpc.id = mr.workspace_provider_connection_id
+         WHERE mr.workspace_id = wm.workspace_id AND mr.user_id = wm.user_id AND wpc.data_source_id = ?
+       ))
+     ORDER BY u.email`,
+    [workspaceId, dataSourceId]
+  );
+  return rows
+    .filter(row => hasCapability(row, 'manageAlerts') && hasCapability(row, 'viewDashboard', provider))
+    .map(row => row.email);
+}
+
+async function notifyAlertEvent(connection, source, rule, event, env) {
+  const recipients = await alertRecipients(connection, source.workspace_id, source.provider, source.id);
+  let sent = 0;
+  let suppressed = 0;
+  let failed = 0;
+  for (const email of recipients) {
+    try {
+      const result = await sendMetricAlertEmail({
+        email,
+        workspaceName: source.workspace_name,
+        ruleName: rule.name,
+        summary: describeAlertEvent({ ...rule, ...event, resource_label: source.resource_label }),
+        linkPath: `/?view=alerts&workspace=${encodeURIComponent(source.workspace_id)}`
+      }, env);
+      if (result.sent) sent += 1;
+      else suppressed += 1;
+    } catch {
+      failed += 1;
+    }
+  }
+  const status = sent ? 'sent' : failed ? 'failed' : 'suppressed';
+  await connection.query(
+    `UPDATE alert_events
+     SET notification_status = ?, notified_at = IF(? = 'sent', UTC_TIMESTAMP(3), NULL)
+     WHERE id = ?`,
+    [status, status, event.id]
+  );
+  return status;
+}
+
+async function recordAlertEvent(connection, source, rule, result, syncRunId) {
+  const id = createId();
+  const outcome = await connection.query(
+    `INSERT INTO alert_events
+      (id, workspace_id, alert_rule_id, data_source_id, sync_run_id, provider, metric_key, resource_label,
+       observed_date, observed_value, baseline_value, score, notification_status, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3))
+     ON DUPLICATE KEY UPDATE id = id`,
+    [
+      id,
+      source.workspace_id,
+      rule.id,
+      source.id,
+      syncRunId || null,
+      source.provider,
+      rule.metric_key,
+      source.resource_label ? String(source.resource_label).slice(0, 255) : null,
+      result.observed_date,
+      result.observed_value,
+      result.baseline_value,
+      result.score,
+      rule.notify_email ? 'pending' : 'not_requested'
+    ]
+  );
+  return Number(outcome.affectedRows) === 1 ? { id, ...result } : null;
+}
+
+async function evaluateAlertRulesAfterSync(dataSourceId, syncRunId, options = {}) {
+  const env = options.env || process.env;
+  const now = options.now || new Date();
+  try {
+    return await withConnection(async connection => {
+      const source = await loadAlertSource(connection, dataSourceId);
+      if (!source) return { evaluated: 0, triggered: 0, event_ids: [] };
+      const rules = (await connection.query(
+        `SELECT * FROM alert_rules
+         WHERE workspace_id = ? AND provider = ? AND status = 'active'
+         ORDER BY created_at ASC, id ASC`,
+        [source.workspace_id, source.provider]
+      )).map(normalizeStoredRule);
+      const since = new Date(now.getTime() - (MAX_WINDOW_DAYS * 2 + REPORTING_DELAY_DAYS) * DAY_MS).toISOString().slice(0, 10);
+      const seriesCache = new Map();
+      const eventIds = [];
+      for (const rule of rules) {
+        try {
+          const metric = ALERT_METRICS[rule.metric_key];
+          if (!metric) throw createAlertError(400, 'invalid_alert_metric');
+          if (!seriesCache.has(rule.metric_key)) {
+            seriesCache.set(rule.metric_key, await loadMetricSeries(connection, source.id, rule.metric_key, since));
+          }
+          const earliest = new Date(now.getTime() - lookbackDays(rule) * DAY_MS).toISOString().slice(0, 10);
+          const points = seriesCache.get(rule.metric_key).filter(point => point.date >= earliest);
+          const result = evaluateAlertRule(rule, points, metric.aggregation);
+          if (result && result.triggered) {
+            const event = await recordAlertEvent(connection, source, rule, result, syncRunId);
+            if (event) {
+              eventIds.push(event.id);
+              if (rule.notify_email) await notifyAlertEvent(connection, source, rule, event, env);
+            }
+          }
+          await connection.query(
+            `UPDATE alert_rules SET last_evaluated_at = UTC_TIMESTAMP(3), last_error_code = NULL WHERE id = ?`,
+            [rule.id]
+          );
+        } catch (error) {
+          await connection.query(
+            `UPDATE alert_rules SET last_evaluated_at = UTC_TIMESTAMP(3), last_error_code = ? WHERE id = ?`,
+            [String(error.code || 'alert_evaluation_failed').slice(0, 120), rule.id]
+          );
+        }
+      }
+      return { evaluated: rules.length, triggered: eventIds.length, event_ids: eventIds };
+    });
+  } catch (error) {
+    return { evaluated: 0, triggered: 0, event_ids: [], error_code: error.code || 'alert_evaluation_failed' };
+  }
+}
+
+function normalizeStoredRule(row) {
+  return {
+    ...row,
+    threshold: Number(row.threshold),
+    window_days: Number(row.window_days),
+    notify_email: Boolean(row.notify_email)
+  };
+}
+
+function requireText(value, code, maxLength) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text || text.length > maxLength) throw createAlertError(400, code);
+  return text;
+}
+
+function normalizeAlertRuleInput(body = {}, current = null) {
+  const rule = current ? { ...current } : {};
+  if (!current || body.name !== undefined) rule.name = requireText(body.name, 'alert_rule_name_required', 120);
+  if (!current) {
+    const metricKey = String(body.metric_key || '');
+    if (!ALERT_METRICS[metricKey]) throw createAlertError(400, 'invalid_alert_metric');
+    rule.metric_key = metricKey;
+    rule.provider = getMetricDefinitions()[metricKey].provider;
+    if (!RULE_TYPES.includes(body.rule_type)) throw createAlertError(400, 'invalid_alert_rule_type');
+    rule.rule_type = body.rule_type;
+  }
+  if (!current || body.direction !== undefined) rule.direction = body.direction;
+  const directions = rule.rule_type === 'threshold' ? ['above', 'below'] : DIRECTIONS;
+  if (!directions.includes(rule.direction)) throw createAlertError(400, 'invalid_alert_direction');
+
+  if (!current || body.threshold !== undefined) rule.threshold = numberOrNull(body.threshold);
+  if (
+    rule.threshold === null
+    || Math.abs(rule.threshold) >= MAX_THRESHOLD
+    || (rule.rule_type !== 'threshold' && rule.threshold <= 0)
+  ) {
+    throw createAlertError(400, 'invalid_alert_threshold');
+  }
+
+  if (rule.rule_type === 'threshold') {
+    rule.window_days = THRESHOLD_LOOKBACK_DAYS;
+  } else {
+    if (!current || body.window_days !== undefined) rule.window_days = Number(body.window_days);
+    const minimum = rule.rule_type === 'z_score' ? MIN_BASELINE_POINTS : 1;
+    if (!Number.isInteger(rule.window_days) || rule.window_days < minimum || rule.window_days > MAX_WINDOW_DAYS) {
+      throw createAlertError(400, 'invalid_alert_window');
+    }
+  }
+
+  if (!current || body.notify_email !== undefined) rule.notify_email = body.notify_email === true;
+  if (body.status !== undefined) {
+    if (!RULE_STATUSES.includes(body.status)) throw createAlertError(400, 'invalid_alert_status');
+    rule.status = body.status;
+  } else if (!current) {
+    rule.status = 'active';
+  }
+  return rule;
+}
+
+function serializeAlertRule(row) {
+  const rule = normalizeStoredRule(row);
+  return {
+    id: rule.id,
+    name: rule.name,
+    provider: rule.provider,
+    metric_key: rule.metric_key,
+    metric_label: metricLabel(rule.metric_key),
+    rule_type: rule.rule_type,
+    direction: rule.direction,
+    threshold: rule.threshold,
+    window_days: rule.window_days,
+    notify_email: rule.notify_email,
+    status: rule.status,
+    last_evaluated_at: isoDate(rule.last_evaluated_at),
+    last_error_code: rule.last_error_code || null,
+    created_at: isoDate(rule.created_at),
+    updated_at: isoDate(rule.updated_at)
+  };
+}
+
+function serializeAlertEvent(row) {
+  const event = {
+    id: row.id,
+    rule_id: row.alert_rule_id,
+    rule_name: row.rule_name,
+    provider: row.provider,
+    metric_key: row.metric_key,
+    metric_label: metricLabel(row.metric_key),
+    resource_label: row.resource_label || null,
+    observed_date: row.observed_day,
+    observed_value: numberOrNull(row.observed_value),
+    baseline_value: numberOrNull(row.baseline_value),
+    score: numberOrNull(row.score),
+    status: row.status,
+    notification_status: row.notification_status,
+    acknowledged_at: isoDate(row.acknowledged_at),
+    created_at: isoDate(row.created_at)
+  };
+  event.message = describeAlertEvent({
+    ...event,
+    rule_type: row.rule_type,
+    direction: row.direction,
+    threshold: row.threshold,
+    window_days: row.window_days
+  });
+  return event;
+}
+
+async function loadWorkspaceAlerts(connection, workspaceId, membership) {
+  const scope = await loadResourceScope(connection, workspaceId, membership.user_id);
+  const [rules, events] = await Promise.all([
+    connection.query(
+      'SELECT * FROM alert_rules WHERE workspace_id = ? ORDER BY created_at ASC, id ASC',
+      [workspaceId]
+    ),
+    connection.query(
+      `SELECT ae.*, DATE_FORMAT(ae.observed_date, '%Y-%m-%d') AS observed_day,
+              ar.name AS rule_name, ar.provider, ar.rule_type, ar.direction, ar.threshold, ar.window_days
+       FROM alert_events ae
+       JOIN alert_rules ar ON ar.id = ae.alert_rule_id
+       WHERE ae.workspace_id = ?
+       ORDER BY ae.status = 'open' DESC, ae.created_at DESC, ae.id DESC
+       LIMIT ?`,
+      [workspaceId, EVENT_LIST_LIMIT]
+    )
+  ]);
+  return {
+    can_manage: hasCapability(membership, 'manageAlerts'),
+    metrics: listAlertMetrics(),
+    rules: rules.filter(row => hasCapability(membership, 'viewDashboard', row.provider)).map(serializeAlertRule),
+    events: events
+      .filter(row => hasCapability(membership, 'viewDashboard', row.provider) && scopeAllowsDataSource(scope, row.data_source_id))
+      .map(serializeAlertEvent)
+  };
+}
+
+async function getWorkspaceAlerts(userId, workspaceId) {
+  return withConnection(async connection => {
+    const membership = await requireWorkspaceCapability(connection, workspaceId, userId, 'viewDashboard');
+    return loadWorkspaceAlerts(connection, workspaceId, membership);
+  });
+}
+
+async function findAlertRule(connection, workspaceId, ruleId, membership) {
+  const rows = await connection.query(
+    'SELECT * FROM alert_rules WHERE id = ? AND workspace_id = ? LIMIT 1',
+    [ruleId, workspaceId]
+  );
+  if (!rows[0] || !hasCapability(membership, 'viewDashboard', rows[0].provider)) {
+    throw createAlertError(404, 'alert_rule_not_found');
+  }
+  return normalizeStoredRule(rows[0]);
+}
+
+function ruleAuditMetadata(rule) {
+  return {
+    name: rule.name,
+    metric_key: rule.metric_key,
+    rule_type: rule.rule_type,
+    direction: rule.direction,
+    threshold: rule.threshold,
+    window_days: rule.window_days,
+    notify_email: rule.notify_email,
+    status: rule.status
+  };
+}
+
+async function createAlertRule(userId, workspaceId, body = {}) {
+  const rule = normalizeAlertRuleInput(body);
+  return withConnection(async connection => {
+    const membership = await requireWorkspaceCapability(connection, workspaceId, userId, 'manageAlerts');
+    assertCapability(membership, 'viewDashboard', rule.provider);
+    const counts = await connection.query(
+      'SELECT COUNT(*) AS count FROM alert_rules WHERE workspace_id = ?',
+      [workspaceId]
+    );
+    if (Number(counts[0].count) >= MAX_RULES_PER_WORKSPACE) throw createAlertError(409, 'alert_rule_limit_reached');
+    const id = createId();
+    await connection.query(
+      `INSERT INTO alert_rules
+        (id, workspace_id, name, provider, metric_key, rule_type, direction, threshold, window_days,
+         notify_email, status, created_by_user_id, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3), UTC_TIMESTAMP(3))`,
+      [
+        id,
+        workspaceId,
+        rule.name,
+        rule.provider,
+        rule.metric_key,
+        rule.rule_type,
+        rule.direction,
+        rule.threshold,
+        rule.window_days,
+        rule.notify_email,
+        rule.status,
+        userId
+      ]
+    );
+    await repositories.createAuditLog(connection, {
+      workspaceId,
+      actorUserId: userId,
+      action: 'alert_rule.created',
+      targetType: 'alert_rule',
+      targetId: id,
+      metadata: ruleAuditMetadata(rule)
+    });
+    return loadWorkspaceAlerts(connection, workspaceId, membership);
+  });
+}
+
+async function updateAlertRule(userId, workspaceId, ruleId, body = {}) {
+  return withConnection(async connection => {
+    const membership = await requireWorkspaceCapability(connection, workspaceId, userId, 'manageAlerts');
+    const current = await findAlertRule(connection, workspaceId, ruleId, membership);
+    const rule = normalizeAlertRuleInput(body, current);
+    await connection.query(
+      `UPDATE alert_rules
+       SET name = ?, direction = ?, threshold = ?, window_days = ?, notify_email = ?, status = ?,
+           last_error_code = NULL, updated_at = UTC_TIMESTAMP(3)
+       WHERE id = ? AND workspace_id = ?`,
+      [rule.name, rule.direction, rule.threshold, rule.window_days, rule.notify_email, rule.status, ruleId, workspaceId]
+    );
+    await repositories.createAuditLog(connection, {
+      workspaceId,
+      actorUserId: userId,
+      action: 'alert_rule.updated',
+      targetType: 'alert_rule',
+      targetId: ruleId,
+      metadata: ruleAuditMetadata(rule)
+    });
+    return loadWorkspaceAlerts(connection, workspaceId, membership);
+  });
+}
+
+async function deleteAlertRule(userId, workspaceId, ruleId) {
+  return withConnection(async connection => {
+    const membership = await requireWorkspaceCapability(connection, workspaceId, userId, 'manageAlerts');
+    const rule = await findAlertRule(connection, workspaceId, ruleId, membership);
+    await connection.query('DELETE FROM alert_rules WHERE id = ? AND workspace_id = ?', [ruleId, workspaceId]);
+    await repositories.createAuditLog(connection, {
+      workspaceId,
+      actorUserId: userId,
+      action: 'alert_rule.deleted',
+      targetType: 'alert_rule',
+      targetId: ruleId,
+      metadata: { name: rule.name, metric_key: rule.metric_key, rule_type: rule.rule_type }
+    });
+    return loadWorkspaceAlerts(connection, workspaceId, membership);
+  });
+}
+
+async function acknowledgeAlertEvent(userId, workspaceId, eventId) {
+  return withConnection(async connection => {
+    const membership = await requireWorkspaceCapability(connection, workspaceId, userId, 'manageAlerts');
+    const rows = await connection.query(
+      `SELECT ae.id, ae.alert_rule_id, ae.data_source_id, ae.status, ar.provider
+       FROM alert_events ae
+       JOIN alert_rules ar ON ar.id = ae.alert_rule_id
+       WHERE ae.id = ? AND ae.workspace_id = ?
+       LIMIT 1`,
+      [eventId, workspaceId]
+    );
+    const scope = await loadResourceScope(connection, workspaceId, userId);
+    if (
+      !rows[0] ||
+      !hasCapability(membership, 'viewDashboard', rows[0].provider) ||
+      !scopeAllowsDataSource(scope, rows[0].data_source_id)
+    ) {
+      throw createAlertError(404, 'alert_event_not_found');
+    }
+    if (rows[0].status === 'open') {
+      await connection.query(
+        `UPDATE alert_events
+         SET status = 'acknowledged', acknowledged_by_user_id = ?, acknowledged_at = UTC_TIMESTAMP(3)
+         WHERE id = ? AND status = 'open'`,
+        [userId, eventId]
+      );
+      await repositories.createAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'alert_event.acknowledged',
+        targetType: 'alert_event',
+        targetId: eventId,
+        metadata: { alert_rule_id: rows[0].alert_rule_id }
+      });
+    }
+    return loadWorkspaceAlerts(connection, workspaceId, membership);
+  });
+}
+
+module.exports = {
+  ALERT_METRICS,
+  acknowledgeAlertEvent,
+  createAlertRule,
+  deleteAlertRule,
+  evaluateAlertRule,
+  evaluateAlertRulesAfterSync,
+  getWorkspaceAlerts,
+  updateAlertRule
+};
@@ -0,0 +1,223 @@
+const { getConnection } = require('../database');
+const { requireWorkspaceCapability } = require('./dashboard-service');
+const { effectiveCapabilities, hasCapability } = require('./rbac');
+const repositories = require('./repositories');
+const { createId, hashSecret, randomToken } = require('./security');
+
+const TOKEN_PREFIX = 'sis_pat_';
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+const MAX_ACTIVE_TOKENS_PER_USER = 10;
+const LAST_USED_RESOLUTION_SECONDS = 60;
+const REVOKED_LIST_DAYS = 30;
+
+function createApiTokenError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createApiTokenError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+function isoDate(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function normalizeName(value) {
+  const name = String(value || '').trim();
+  if (!name || name.length > 120) throw createApiTokenError(400, 'api_token_name_required');
+  return name;
+}
+
+function normalizeExpiryDays(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_EXPIRY_DAYS;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+    throw createApiTokenError(400, 'invalid_api_token_expiry');
+  }
+  return days;
+}
+
+function serializeToken(row, userId) {
+  const revoked = Boolean(row.revoked_at);
+  return {
+    id: row.id,
+    name: row.name,
+    token_prefix: row.token_prefix,
+    owner_email: row.email,
+    own: row.user_id === userId,
+    status: revoked ? 'revoked' : Number(row.expired) ? 'expired' : 'active',
+    expires_at: isoDate(row.expires_at),
+    last_used_at: isoDate(row.last_used_at),
+    revoked_at: isoDate(row.revoked_at),
+    created_at: isoDate(row.created_at)
+  };
+}
+
+async function loadApiTokens(connection, userId, workspaceId, membership) {
+  const canManageAll = hasCapability(membership, 'manageMembers');
+  const rows = await connection.query(
+    `SELECT t.*, u.email, t.expires_at <= UTC_TIMESTAMP(3) AS expired
+     FROM api_tokens t
+     JOIN users u ON u.id = t.user_id
+     WHERE t.workspace_id = ?
+       AND (? OR t.user_id = ?)
+       AND (t.revoked_at IS NULL OR t.revoked_at > DATE_SUB(UTC_TIMESTAMP(3), INTERVAL ? DAY))
+     ORDER BY t.revoked_at IS NOT NULL, t.created_at DESC
+     LIMIT 100`,
+    [workspaceId, canManageAll, userId, REVOKED_LIST_DAYS]
+  );
+  return {
+    can_manage_all: canManageAll,
+    max_expiry_days: MAX_EXPIRY_DAYS,
+    tokens: rows.map(row => serializeToken(row, userId))
+  };
+}
+
+async function getApiTokens(userId, workspaceId) {
+  return withConnection(async connection => {
+    const membership = await requireWorkspaceCapability(connection, workspaceId, userId, 'viewDashboard');
+    return loadApiTokens(connection, userId, workspaceId, membership);
+  });
+}
+
+async function createApiToken(userId, workspaceId, body = {}) {
+  const name = normalizeName(body.name);
+  const expiryDays = normalizeExpiryDays(body.expires_in_days);
+  return withConnection(async connection => {
+    const membership = await requireWorkspaceCapability(connection, workspaceId, userId, 'viewDashboard');
+    const counts = await connection.query(
+      `SELECT COUNT(*) AS count FROM api_tokens
+       WHERE user_id = ? AND workspace_id = ? AND revoked_at IS NULL AND expires_at > UTC_TIMESTAMP(3)`,
+      [userId, workspaceId]
+    );
+    if (Number(counts[0].count) >= MAX_ACTIVE_TOKENS_PER_USER) {
+      throw createApiTokenError(409, 'api_token_limit_reached');
+    }
+    const id = createId();
+    const token = `${TOKEN_PREFIX}${randomToken(32)}`;
+    await connection.query(
+      `INSERT INTO api_tokens
+        (id, user_id, workspace_id, name, token_hash, token_prefix, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? DAY), UTC_TIMESTAMP(3))`,
+      [id, userId, workspaceId, name, hashSecret(token), token.slice(0, TOKEN_PREFIX.length + 4), expiryDays]
+    );
+    await repositories.createAuditLog(connection, {
+      workspaceId,
+      actorUserId: userId,
+      action: 'api_token.created',
+      targetType: 'api_token',
+      targetId: id,
+      metadata: { name, expires_in_days: expiryDays }
+    });
+    return { ...(await loadApiTokens(connection, userId, workspaceId, membership)), token_id: id, token };
+  });
+}
+
+async function revokeApiToken(userId, workspaceId, tokenId) {
+  return withConnection(async connection => {
+    const membership = await requireWorkspaceCapability(connection, workspaceId, userId, 'viewDashboard');
+    const rows = await connection.query(
+      'SELECT id, user_id, name, revoked_at FROM api_tokens WHERE id = ? AND workspace_id = ? LIMIT 1',
+      [tokenId, workspaceId]
+    );
+    const token = rows[0];
+    if (!token || (token.user_id !== userId && !hasCapability(membership, 'manageMembers'))) {
+      throw createApiTokenError(404, 'api_token_not_found');
+    }
+    if (!token.revoked_at) {
+      await connection.query(
+        `UPDATE api_tokens SET revoked_at = UTC_TIMESTAMP(3), revoked_by_user_id = ?
+         WHERE id = ? AND revoked_at IS NULL`,
+        [userId, tokenId]
+      );
+      await repositories.createAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'api_token.revoked',
+        targetType: 'api_token',
+        targetId: tokenId,
+        metadata: { name: token.name, owner_user_id: token.user_id }
+      });
+    }
+    return loadApiTokens(connection, userId, workspaceId, membership);
+  });
+}
+
+async function authenticateApiToken(rawToken) {
+  if (!rawToken || !String(rawToken).startsWith(TOKEN_PREFIX)) return null;
+  return withConnection(async connection => {
+    const rows = await connection.query(
+      `SELECT t.id, t.user_id, t.workspace_id, u.email, u.display_name,
+              t.last_used_at > DATE_SUB(UTC_TIMESTAMP(3), INTERVAL ? SECOND) AS recently_used
+       FROM api_tokens t
+       JOIN users u ON u.id = t.user_id
+       WHERE t.token_hash = ?
+         AND t.revoked_at IS NULL
+         AND t.expires_at > UTC_TIMESTAMP(3)
+         AND u.deleted_at IS NULL
+         AND u.status = 'active'
+       LIMIT 1`,
+      [LAST_USED_RESOLUTION_SECONDS, hashSecret(rawToken)]
+    );
+    const token = rows[0];
+    if (!token) return null;
+    if (!Number(token.recently_used)) {
+      await connection.query('UPDATE api_tokens SET last_used_at = UTC_TIMESTAMP(3) WHERE id = ?', [token.id]);
+    }
+    return {
+      id: null,
+      user: {
+        id: token.user_id,
+        email: token.email,
+        display_name: token.display_name
+      },
+      apiToken: { id: token.id, workspace_id: token.workspace_id },
+      csrfTokenHash: null
+    };
+  });
+}
+
+async function getCurrentApiToken(session) {
+  return withConnection(async connection => {
+    const membership = await requireWorkspaceCapability(connection, session.apiToken.workspace_id, session.user.id, 'viewDashboard');
+    const rows = await connection.query(
+      `SELECT t.name, t.token_prefix, t.expires_at, w.id AS workspace_id, w.name AS workspace_name
+       FROM api_tokens t
+       JOIN workspaces w ON w.id = t.workspace_id
+       WHERE t.id = ?
+       LIMIT 1`,
+      [session.apiToken.id]
+    );
+    const token = rows[0];
+    return {
+      name: token.name,
+      token_prefix: token.token_prefix,
+      expires_at: isoDate(token.expires_at),
+      user: { email: session.user.email, display_name: session.user.display_name },
+      workspace: {
+        id: token.workspace_id,
+        name: token.workspace_name,
+        role: membership.role,
+        capabilities: effectiveCapabilities(membership)
+      }
+    };
+  });
+}
+
+module.exports = {
+  authenticateApiToken,
+  createApiToken,
+  getApiTokens,
+  getCurrentApiToken,
+  revokeApiToken
+};
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const { canonicalJson, createId } = require('./security');
+
+const RESERVE_ATTEMPTS = 5;
+const VERIFY_BATCH_SIZE = 1000;
+
+function createAuditChainError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function parseJson(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+function sqlDateTime(date) {
+  return date.toISOString().slice(0, 23).replace('T', ' ');
+}
+
+function auditEntryHash(entry) {
+  return crypto.createHash('sha256').update(canonicalJson({
+    id: entry.id,
+    workspace_id: entry.workspace_id,
+    chain_sequence: entry.chain_sequence,
+    previous_hash: entry.previous_hash,
+    actor_user_id: entry.actor_user_id,
+    action: entry.action,
+    target_type: entry.target_type,
+    target_id: entry.target_id,
+    correlation_id: entry.correlation_id,
+    metadata: entry.metadata,
+    created_at: entry.created_at
+  })).digest('hex');
+}
+
+async function reserveChainLink(connection, entry) {
+  await connection.query(
+    `INSERT INTO audit_log_chains (workspace_id) VALUES (?)
+     ON DUPLICATE KEY UPDATE workspace_id = workspace_id`,
+    [entry.workspace_id]
+  );
+  for (let attempt = 0; attempt < RESERVE_ATTEMPTS; attempt += 1) {
+    const [head] = await connection.query(
+      'SELECT last_sequence, last_hash FROM audit_log_chains WHERE workspace_id = ? FOR UPDATE',
+      [entry.workspace_id]
+    );
+    const lastSequence = Number(head.last_sequence);
+    const link = { ...entry, chain_sequence: lastSequence + 1, previous_hash: head.last_hash || null };
+    link.entry_hash = auditEntryHash(link);
+    const result = await connection.query(
+      `UPDATE audit_log_chains
+       SET last_sequence = ?, last_hash = ?, updated_at = UTC_TIMESTAMP(3)
+       WHERE workspace_id = ? AND last_sequence = ?`,
+      [link.chain_sequence, link.entry_hash, entry.workspace_id, lastSequence]
+    );
+    if (Number(result.affectedRows) === 1) return link;
+  }
+  throw createAuditChainError(503, 'audit_chain_busy');
+}
+
+async function releaseChainLink(connection, link) {
+  await connection.query(
+    `UPDATE audit_log_chains
+     SET last_sequence = ?, last_hash = ?, updated_at = UTC_TIMESTAMP(3)
+     WHERE workspace_id = ? AND last_sequence = ? AND last_hash = ?`,
+    [link.chain_sequence - 1, link.previous_hash, link.workspace_id, link.chain_sequence, link.entry_hash]
+  );
+}
+
+async function insertAuditRow(connection, row) {
+  await connection.query(
+    `INSERT INTO audit_logs
+      (id, workspace_id, actor_user_id, action, target_type, target_id, metadata, correlation_id,
+       chain_sequence, previous_hash, entry_hash, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      row.id,
+      row.workspace_id,
+      row.actor_user_id,
+      row.action,
+      row.target_type,
+      row.target_id,
+      row.metadata === null ? null : JSON.stringify(row.metadata),
+      row.correlation_id,
+      row.chain_sequence || null,
+      row.previous_hash || null,
+      row.entry_hash || null,
+      row.created_at
+    ]
+  );
+}
+
+async function appendAuditLog(connection, record) {
+  const entry = {
+    id: createId(),
+    workspace_id: record.workspaceId || null,
+    actor_user_id: record.actorUserId || null,
+    action: record.action,
+    target_type: record.targetType || null,
+    target_id: record.targetId || null,
+    correlation_id: record.correlationId || null,
+    metadata: record.metadata ? JSON.parse(JSON.stringify(record.metadata)) : null,
+    created_at: sqlDateTime(new Date())
+  };
+  if (!entry.workspace_id) {
+    await insertAuditRow(connection, entry);
+    return entry.id;
+  }
+  const link = await reserveChainLink(connection, entry);
+  try {
+    await insertAuditRow(connection, link);
+  } catch (error) {
+    await releaseChainLink(connection, link).catch(() => {});
+    throw error;
+  }
+  return entry.id;
+}
+
+async function recordPrunedAuditLinks(connection, auditLogIds) {
+  if (!auditLogIds.length) return;
+  const rows = await connection.query(
+    `SELECT al.workspace_id, al.chain_sequence, al.entry_hash
+     FROM audit_logs al
+     JOIN (
+       SELECT workspace_id, MAX(chain_sequence) AS chain_sequence
+       FROM audit_logs
+       WHERE id IN (${auditLogIds.map(() => '?').join(', ')}) AND chain_sequence IS NOT NULL
+       GROUP BY workspace_id
+     ) pruned ON pruned.workspace_id = al.workspace_id AND pruned.chain_sequence = al.chain_sequence`,
+    auditLogIds
+  );
+  for (const row of rows) {
+    await connection.query(
+      `UPDATE audit_log_chains
+       SET pruned_through_sequence = ?, pruned_through_hash = ?, updated_at = UTC_TIMESTAMP(3)
+       WHERE workspace_id = ? AND pruned_through_sequence < ?`,
+      [row.chain_sequence, row.entry_hash, row.workspace_id, row.chain_sequence]
+    );
+  }
+}
+
+function brokenLink(sequence, auditLogId, reason) {
+  return { sequence, audit_log_id: auditLogId, reason };
+}
+
+async function verifyAuditChain(connection, workspaceId) {
+  const [chain] = await connection.query(
+    `SELECT last_sequence, last_hash, pruned_through_sequence, pruned_through_hash
+     FROM audit_log_chains WHERE workspace_id = ?`,
+    [workspaceId]
+  );
+  const [counts] = await connection.query(
+    `SELECT SUM(chain_sequence IS NULL) AS unchained, SUM(chain_sequence IS NOT NULL) AS chained
+     FROM audit_logs WHERE workspace_id = ?`,
+    [workspaceId]
+  );
+  const lastSequence = chain ? Number(chain.last_sequence) : 0;
+  const prunedThrough = chain ? Number(chain.pruned_through_sequence) : 0;
+  const result = {
+    workspace_id: workspaceId,
+    valid: true,
+    checked_entries: 0,
+    pruned_through_sequence: prunedThrough,
+    last_sequence: lastSequence,
+    last_hash: chain ? chain.last_hash || null : null,
+    unchained_entries: Number(counts && counts.unchained || 0),
+    broken_link: null
+  };
+  const fail = link => ({ ...result, valid: false, broken_link: link });
+  if (!chain) {
+    return Number(counts && counts.chained || 0) > 0 ? fail(brokenLink(null, null, 'chain_head_missing')) : result;
+  }
+
+  let expectedSequence = prunedThrough + 1;
+  let expectedPrevious = chain.pruned_through_hash || null;
+  for (;;) {
+    const rows = await connection.query(
+      `SELECT id, workspace_id, actor_user_id, action, target_type, target_id, correlation_id, metadata,
+              chain_sequence, previous_hash, entry_hash,
+              DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s.%f') AS created_at_text
+       FROM audit_logs
+       WHERE workspace_id = ? AND chain_sequence >= ?
+       ORDER BY chain_sequence ASC
+       LIMIT ?`,
+      [workspaceId, expectedSequence, VERIFY_BATCH_SIZE]
+    );
+    for (const row of rows) {
+      const sequence = Number(row.chain_sequence);
+      if (sequence !== expectedSequence) return fail(brokenLink(expectedSequence, null, 'entry_missing'));
+      if ((row.previous_hash || null) !== expectedPrevious) {
+        return fail(brokenLink(sequence, row.id, 'previous_hash_mismatch'));
+      }
+      const computed = auditEntryHash({
+        ...row,
+        chain_sequence: sequence,
+        previous_hash: row.previous_hash || null,
+        metadata: parseJson(row.metadata),
+        created_at: row.created_at_text.slice(0, 23)
+      });
+      if (computed !== row.entry_hash) return fail(brokenLink(sequence, row.id, 'entry_hash_mismatch'));
+      expectedPrevious = row.entry_hash;
+      expectedSequence += 1;
+      result.checked_entries += 1;
+    }
+    if (rows.length < VERIFY_BATCH_SIZE) break;
+  }
+  if (expectedSequence <= lastSequence) return fail(brokenLink(expectedSequence, null, 'entry_missing'));
+  if (expectedPrevious !== (chain.last_hash || null)) {
+    return fail(brokenLink(lastSequence, null, 'chain_head_mismatch'));
+  }
+  return result;
+}
+
+module.exports = {
+  appendAuditLog,
+  auditEntryHash,
+  recordPrunedAuditLinks,
+  verifyAuditChain
+};
@@ -0,0 +1,281 @@
+const { getConnection } = require('../database');
+const { requireWorkspaceCapability } = require('./dashboard-service');
+const { safeCsvCell } = require('./export-service');
+const repositories = require('./repositories');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ROWS = 10000;
+const EXPORT_FORMATS = Object.freeze(['csv', 'json']);
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const FILTER_TOKEN = /^[a-z0-9_.:-]{1,120}$/i;
+
+function createAuditError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createAuditError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+function parseJson(value, fallback = null) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function isoDate(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function sqlDateTime(date) {
+  return date.toISOString().slice(0, 23).replace('T', ' ');
+}
+
+function parseBoundary(value, endOfDay) {
+  const text = String(value).trim();
+  const date = DATE_ONLY.test(text) ? new Date(`${text}T00:00:00.000Z`) : new Date(text);
+  if (!Number.isFinite(date.getTime())) throw createAuditError(400, 'invalid_audit_log_filter');
+  if (endOfDay && DATE_ONLY.test(text)) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+}
+
+function filterToken(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (!FILTER_TOKEN.test(text)) throw createAuditError(400, 'invalid_audit_log_filter');
+  return text;
+}
+
+function normalizeAuditFilters(query = {}) {
+  const actorId = query.actor_id ? String(query.actor_id).trim() : null;
+  if (actorId && !UUID_PATTERN.test(actorId)) throw createAuditError(400, 'invalid_audit_log_filter');
+  const from = query.from ? parseBoundary(query.from, false) : null;
+  const to = query.to ? parseBoundary(query.to, true) : null;
+  if (from && to && from >= to) throw createAuditError(400, 'invalid_audit_log_filter');
+  return {
+    actorId,
+    action: filterToken(query.action),
+    targetType: filterToken(query.target_type),
+    from,
+    to
+  };
+}
+
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([isoDate(row.created_at), row.id])).toString('base64url');
+}
+
+function decodeCursor(value) {
+  if (!value) return null;
+  const decoded = parseJson(Buffer.from(String(value), 'base64url').toString('utf8'));
+  if (
+    !Array.isArray(decoded)
+    || decoded.length !== 2
+    || !Number.isFinite(new Date(decoded[0]).getTime())
+    || !UUID_PATTERN.test(String(decoded[1]))
+  ) {
+    throw createAuditError(400, 'invalid_audit_log_cursor');
+  }
+  return { createdAt: new Date(decoded[0]), id: String(decoded[1]) };
+}
+
+function auditWhere(workspaceId, filters, cursor) {
+  const conditions = ['al.workspace_id = ?'];
+  const params = [workspaceId];
+  if (filters.actorId) {
+    conditions.push('al.actor_user_id = ?');
+    params.push(filters.actorId);
+  }
+  if (filters.action) {
+    conditions.push('al.action = ?');
+    params.push(filters.action);
+  }
+  if (filters.targetType) {
+    conditions.push('al.target_type = ?');
+    params.push(filters.targetType);
+  }
+  if (filters.from) {
+    conditions.push('al.created_at >= ?');
+    params.push(sqlDateTime(filters.from));
+  }
+  if (filters.to) {
+    conditions.push('al.created_at < ?');
+    params.push(sqlDateTime(filters.to));
+  }
+  if (cursor) {
+    conditions.push('(al.created_at < ? OR (al.created_at = ? AND al.id < ?))');
+    params.push(sqlDateTime(cursor.createdAt), sqlDateTime(cursor.createdAt), cursor.id);
+  }
+  return { sql: conditions.join(' AND '), params };
+}
+
+async function queryAuditRows(connection, workspaceId, filters, cursor, limit) {
+  const where = auditWhere(workspaceId, filters, cursor);
+  return connection.query(
+    `SELECT al.id, al.actor_user_id, al.action, al.target_type, al.target_id, al.metadata,
+            al.correlation_id, al.created_at, u.email AS actor_email, u.display_name AS actor_display_name
+     FROM audit_logs al
+     LEFT JOIN users u ON u.id = al.actor_user_id
+     WHERE ${where.sql}
+     ORDER BY al.created_at DESC, al.id DESC
+     LIMIT ?`,
+    [...where.params, limit]
+  );
+}
+
+function serializeAuditEntry(row) {
+  return {
+    id: row.id,
+    created_at: isoDate(row.created_at),
+    action: row.action,
+    actor: row.actor_user_id
+      ? {
+        id: row.actor_user_id,
+        email: row.actor_email || null,
+        display_name: row.actor_display_name || null
+      }
+      : null,
+    target_type: row.target_type || null,
+    target_id: row.target_id || null,
+    correlation_id: row.correlation_id || null,
+    metadata: parseJson(row.metadata, null)
+  };
+}
+
+async function loadAuditFacets(connection, workspaceId) {
+  const [actions, targetTypes, actors] = await Promise.all([
+    connection.query(
+      'SELECT DISTINCT action FROM audit_logs WHERE workspace_id = ? ORDER BY action',
+      [workspaceId]
+    ),
+    connection.query(
+      `SELECT DISTINCT target_type FROM audit_logs
+       WHERE workspace_id = ? AND target_type IS NOT NULL
+       ORDER BY target_type`,
+      [workspaceId]
+    ),
+    connection.query(
+      `SELECT u.id, u.email, u.display_name
+       FROM users u
+       WHERE u.id IN (SELECT DISTINCT actor_user_id FROM audit_logs WHERE workspace_id = ? AND actor_user_id IS NOT NULL)
+       ORDER BY u.email`,
+      [workspaceId]
+    )
+  ]);
+  return {
+    actions: actions.map(row => row.action),
+    target_types: targetTypes.map(row => row.target_type),
+    actors: actors.map(row => ({ id: row.id, email: row.email, display_name: row.display_name || null }))
+  };
+}
+
+async function listAuditLogs(userId, workspaceId, query = {}) {
+  const filters = normalizeAuditFilters(query);
+  const cursor = decodeCursor(query.cursor);
+  const limit = Math.min(Math.max(Number.parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return withConnection(async connection => {
+    await requireWorkspaceCapability(connection, workspaceId, userId, 'viewAuditLog');
+    const rows = await queryAuditRows(connection, workspaceId, filters, cursor, limit + 1);
+    const page = rows.slice(0, limit);
+    return {
+      entries: page.map(serializeAuditEntry),
+      next_cursor: rows.length > limit ? encodeCursor(page[page.length - 1]) : null,
+      filters: cursor ? null : await loadAuditFacets(connection, workspaceId)
+    };
+  });
+}
+
+function auditRowsToCsv(entries) {
+  const headers = [
+    'created_at',
+    'action',
+    'actor_id',
+    'actor_email',
+    'target_type',
+    'target_id',
+    'correlation_id',
+    'metadata'
+  ];
+  const lines = [headers.join(',')];
+  for (const entry of entries) {
+    lines.push([
+      entry.created_at,
+      entry.action,
+      entry.actor && entry.actor.id,
+      entry.actor && entry.actor.email,
+      entry.target_type,
+      entry.target_id,
+      entry.correlation_id,
+      entry.metadata ? JSON.stringify(entry.metadata) : ''
+    ].map(safeCsvCell).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+async function exportAuditLogs(userId, workspaceId, query = {}) {
+  const format = String(query.format || 'csv');
+  if (!EXPORT_FORMATS.includes(format)) throw createAuditError(400, 'invalid_audit_log_export_format');
+  const filters = normalizeAuditFilters(query);
+  return withConnection(async connection => {
+    await requireWorkspaceCapability(connection, workspaceId, userId, 'viewAuditLog');
+    const rows = await queryAuditRows(connection, workspaceId, filters, null, MAX_EXPORT_ROWS + 1);
+    const entries = rows.slice(0, MAX_EXPORT_ROWS).map(serializeAuditEntry);
+    const truncated = rows.length > MAX_EXPORT_ROWS;
+    await repositories.createAuditLog(connection, {
+      workspaceId,
+      actorUserId: userId,
+      action: 'audit_log.exported',
+      targetType: 'workspace',
+      targetId: workspaceId,
+      metadata: {
+        format,
+        row_count: entries.length,
+        truncated,
+        filters: {
+          actor_id: filters.actorId,
+          action: filters.action,
+          target_type: filters.targetType,
+          from: isoDate(filters.from),
+          to: isoDate(filters.to)
+        }
+      }
+    });
+    const filename = `social-insights-audit-log-${workspaceId}.${format}`;
+    if (format === 'json') {
+      return {
+        filename,
+        contentType: 'application/json; charset=utf-8',
+        body: `${JSON.stringify({ workspace_id: workspaceId, truncated, entries }, null, 2)}\n`,
+        row_count: entries.length,
+        truncated
+      };
+    }
+    return {
+      filename,
+      contentType: 'text/csv; charset=utf-8',
+      body: auditRowsToCsv(entries),
+      row_count: entries.length,
+      truncated
+    };
+  });
+}
+
+module.exports = {
+  exportAuditLogs,
+  listAuditLogs
+};
@@ -0,0 +1,46 @@
+const bluesky = require('../integrations/bluesky');
+const { defineProviderAdapter } = require('./provider-contract');
+const {
+  BLUESKY_CAPABILITIES,
+  connectBluesky,
+  describeBlueskyConnection,
+  disconnectBluesky,
+  listBlueskyResources,
+  revokeWorkspaceBlueskyAuthorizations,
+  selectBlueskyResource
+} = require('./bluesky-connection-service');
+const { performBlueskySyncForJob } = require('./bluesky-sync-service');
+
+const blueskyAdapter = defineProviderAdapter({
+  provider: 'bluesky',
+  contractVersion: 1,
+  requiredScopes: bluesky.BLUESKY_SCOPES,
+  resourceTypes: ['bluesky_account'],
+  capabilities: BLUESKY_CAPABILITIES,
+  authorization: {
+    buildAuthorizationUrl: input => describeBlueskyConnection(input),
+    completeAuthorization: input => connectBluesky(input),
+    refreshAuthorization: (pdsUrl, refreshJwt, requestOptions) => bluesky.refreshSession(pdsUrl, refreshJwt, requestOptions),
+    inspectScopes: async scopeValue => ({
+      granted: [...bluesky.grantedScopes(scopeValue)],
+      missing: bluesky.missingScopes(scopeValue),
+      exact: bluesky.hasExactScopes(scopeValue)
+    }),
+    revokeAuthorization: ({ userId, workspaceId, connectionId = null }) =>
+      disconnectBluesky(userId, workspaceId, connectionId)
+  },
+  resources: {
+    discoverResources: ({ userId, workspaceId }) => listBlueskyResources(userId, workspaceId),
+    selectResource: ({ userId, workspaceId, resourceId }) => selectBlueskyResource(userId, workspaceId, resourceId)
+  },
+  sync: {
+    synchronize: (job, options) => performBlueskySyncForJob(job, options)
+  },
+  deletion: {
+    deleteConnectionData: ({ workspaceId }) => revokeWorkspaceBlueskyAuthorizations(workspaceId)
+  }
+});
+
+module.exports = {
+  blueskyAdapter
+};
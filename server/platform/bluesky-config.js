@@ -0,0 +1,100 @@
+const { isPrivateHostname, privateAddressesAllowed } = require('./outbound-network');
+const { validateEncryptionConfiguration } = require('./secret-envelope');
+
+const BLUESKY_API_VERSION = 'atproto-xrpc';
+const BLUESKY_DEFAULT_SERVICE_URL = 'https://bsky.social';
+const BLUESKY_DEFAULT_PLC_DIRECTORY_URL = 'https://plc.directory';
+const BLUESKY_REQUIRED_SCOPES = Object.freeze(['com.atproto.appPass']);
+
+function flagEnabled(value) {
+  return ['1', 'true', 'yes', 'on'].includes(String(value || '').trim().toLowerCase());
+}
+
+function boundedInteger(value, fallback, minimum, maximum) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < minimum || parsed > maximum) return fallback;
+  return parsed;
+}
+
+function isProduction(env = process.env) {
+  return String(env.NODE_ENV || '').toLowerCase() === 'production';
+}
+
+function validateServiceUrl(value, env = process.env) {
+  const raw = String(value || '').trim();
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch {
+    return null;
+  }
+  if (parsed.username || parsed.password || parsed.search || parsed.hash) return null;
+  if (!['', '/'].includes(parsed.pathname)) return null;
+  const localhost = ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+  if (parsed.protocol === 'http:' && (isProduction(env) || !localhost)) return null;
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+  if (!privateAddressesAllowed(env) && isPrivateHostname(parsed.hostname)) return null;
+  return parsed.origin;
+}
+
+function getBlueskyServiceUrls(env = process.env) {
+  return {
+    serviceUrl: validateServiceUrl(env.BLUESKY_SERVICE_URL || BLUESKY_DEFAULT_SERVICE_URL, env),
+    plcDirectoryUrl: validateServiceUrl(env.BLUESKY_PLC_DIRECTORY_URL || BLUESKY_DEFAULT_PLC_DIRECTORY_URL, env)
+  };
+}
+
+function getBlueskyLimits(env = process.env) {
+  return {
+    requestTimeoutMs: boundedInteger(env.BLUESKY_REQUEST_TIMEOUT_MS, 10000, 1000, 30000),
+    maxRetries: boundedInteger(env.BLUESKY_SYNC_MAX_RETRIES, 2, 0, 5),
+    jobTimeBudgetSeconds: boundedInteger(env.BLUESKY_SYNC_TIME_BUDGET_SECONDS, 180, 30, 240),
+    lookbackDays: boundedInteger(env.BLUESKY_POST_LOOKBACK_DAYS, 180, 7, 180),
+    maxPosts: boundedInteger(env.BLUESKY_SYNC_MAX_POSTS, 100, 1, 300)
+  };
+}
+
+function getBlueskyConfiguration(env = process.env, runtime = {}) {
+  const enabled = flagEnabled(env.FEATURE_BLUESKY_CONNECTOR);
+  const urls = getBlueskyServiceUrls(env);
+  const encryption = validateEncryptionConfiguration(env);
+  const missing = [];
+  if (!urls.serviceUrl) missing.push('BLUESKY_SERVICE_URL_invalid');
+  if (!urls.plcDirectoryUrl) missing.push('BLUESKY_PLC_DIRECTORY_URL_invalid');
+  if (!encryption.ready) missing.push('ENCRYPTION_KEY_invalid');
+  if (runtime.databaseReady === false) missing.push('database_unavailable');
+  if (runtime.foundationReady === false) missing.push('bluesky_database_foundation_missing');
+  if (runtime.workerReady === false) missing.push('bluesky_worker_support_missing');
+
+  const configured = missing.length === 0;
+  return {
+    enabled,
+    configured,
+    connectable: enabled && configured,
+    status: !enabled ? 'disabled' : configured ? 'available' : 'configuration_required',
+    warnings: enabled ? [...new Set(missing)] : [],
+    serviceUrl: urls.serviceUrl,
+    plcDirectoryUrl: urls.plcDirectoryUrl,
+    requiredScopes: [...BLUESKY_REQUIRED_SCOPES],
+    apiVersion: BLUESKY_API_VERSION,
+    limits: getBlueskyLimits(env)
+  };
+}
+
+function getBlueskyProductionErrors(env = process.env) {
+  const configuration = getBlueskyConfiguration(env);
+  if (!configuration.enabled) return [];
+  return configuration.warnings.map(warning => `bluesky_configuration:${warning}`);
+}
+
+module.exports = {
+  BLUESKY_API_VERSION,
+  BLUESKY_DEFAULT_PLC_DIRECTORY_URL,
+  BLUESKY_DEFAULT_SERVICE_URL,
+  BLUESKY_REQUIRED_SCOPES,
+  getBlueskyConfiguration,
+  getBlueskyLimits,
+  getBlueskyProductionErrors,
+  getBlueskyServiceUrls,
+  validateServiceUrl
+};
@@ -0,0 +1,867 @@
+const { getConnection } = require('../database');
+const bluesky = require('../integrations/bluesky');
+const { getBlueskyConfiguration } = require('./bluesky-config');
+const { assertCapability } = require('./rbac');
+const { createAuditLog } = require('./repositories');
+const { decryptSecret, encryptSecret } = require('./secret-envelope');
+const { createId } = require('./security');
+
+const BLUESKY_PROVIDER = 'bluesky';
+const BLUESKY_CAPABILITIES = Object.freeze([
+  'resource_discovery',
+  'profile_snapshots',
+  'post_listing',
+  'post_engagement',
+  'disconnect'
+]);
+
+function createHttpError(status, code, details = null) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createHttpError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+async function requireWorkspaceRole(connection, workspaceId, userId, capability, provider = null) {
+  const rows = await connection.query(
+    `SELECT m.role, r.capabilities AS custom_role_capabilities,
+            m.resources_restricted = 1 AND m.role NOT IN ('owner', 'admin') AS resources_restricted
+     FROM workspace_memberships m
+     LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+     WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active'
+     LIMIT 1`,
+    [workspaceId, userId]
+  );
+  if (!rows[0]) throw createHttpError(404, 'workspace_not_found');
+  assertCapability(rows[0], capability, provider);
+  if (Number(rows[0].resources_restricted)) throw createHttpError(403, 'permission_denied');
+  return rows[0].role;
+}
+
+async function blueskyFoundationReady(connection) {
+  const rows = await connection.query(
+    `SELECT COUNT(*) AS count
+     FROM information_schema.TABLES
+     WHERE TABLE_SCHEMA = DATABASE()
+       AND TABLE_NAME IN (
+         'provider_authorizations',
+         'provider_authorization_credentials',
+         'provider_authorization_scopes',
+         'provider_resources',
+         'workspace_provider_connections',
+         'provider_resource_observations',
+         'provider_metric_observations',
+         'provider_dimension_observations',
+         'provider_request_events'
+       )`
+  );
+  return Number(rows[0] && rows[0].count) === 9;
+}
+
+async function requireBlueskyReady(connection, env = process.env) {
+  const foundationReady = await blueskyFoundationReady(connection);
+  const status = getBlueskyConfiguration(env, {
+    databaseReady: true,
+    foundationReady,
+    workerReady: true
+  });
+  if (!status.connectable) throw createHttpError(503, 'bluesky_not_configured', status.warnings);
+  return status;
+}
+
+async function writeAuditLog(connection, details) {
+  await createAuditLog(connection, details);
+}
+
+function parseJson(value, fallback = {}) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function normalizeProfile(body, did, pdsUrl) {
+  if (!body || typeof body !== 'object' || body.did !== did || !bluesky.BLUESKY_DID.test(did)) {
+    throw createHttpError(502, 'bluesky_profile_response_malformed');
+  }
+  const identifier = bluesky.normalizeIdentifier(body.handle);
+  const handle = identifier && identifier.kind === 'handle' ? identifier.handle : null;
+  const name = typeof body.displayName === 'string' ? body.displayName.trim() : '';
+  return {
+    id: did,
+    handle,
+    displayName: (name || handle || did).slice(0, 255),
+    profileUrl: bluesky.profileUrl(handle || did),
+    pdsUrl,
+    timezone: 'UTC',
+    selectable: true,
+    discoveryStatus: 'available'
+  };
+}
+
+async function describeBlueskyConnection({ userId, workspaceId }) {
+  return withConnection(async connection => {
+    await requireBlueskyReady(connection);
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', BLUESKY_PROVIDER);
+    return {
+      authorization_url: null,
+      credential_type: 'app_password',
+      app_password_settings_url: bluesky.BLUESKY_APP_PASSWORD_SETTINGS_URL,
+      required_scopes: [...bluesky.BLUESKY_SCOPES]
+    };
+  });
+}
+
+async function beginAuthorization(connection, readiness, { userId, workspaceId, targetConnectionId }) {
+  if (targetConnectionId) {
+    const rows = await connection.query(
+      `SELECT pauth.id AS authorization_id
+       FROM workspace_provider_connections wpc
+       JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+       JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+       WHERE wpc.id = ? AND wpc.workspace_id = ? AND wpc.provider = ?
+       LIMIT 1 FOR UPDATE`,
+      [targetConnectionId, workspaceId, BLUESKY_PROVIDER]
+    );
+    if (!rows[0]) throw createHttpError(404, 'bluesky_connection_not_found');
+    await connection.query(
+      `UPDATE provider_authorizations
+       SET status = 'authorizing', actor_user_id = ?, updated_at = UTC_TIMESTAMP(3)
+       WHERE id = ?`,
+      [userId, rows[0].authorization_id]
+    );
+    await connection.query(
+      `UPDATE sync_jobs sj
+       JOIN workspace_provider_connections wpc ON wpc.data_source_id = sj.data_source_id
+       JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+       SET sj.status = 'paused', sj.lease_owner = NULL, sj.lease_expires_at = NULL,
+           sj.updated_at = UTC_TIMESTAMP(3)
+       WHERE pr.provider_authorization_id = ? AND wpc.provider = ?`,
+      [rows[0].authorization_id, BLUESKY_PROVIDER]
+    );
+    return rows[0].authorization_id;
+  }
+  const rows = await connection.query(
+    `SELECT pauth.id,
+            EXISTS(SELECT 1 FROM provider_resources pr WHERE pr.provider_authorization_id = pauth.id) AS has_resources
+     FROM provider_authorizations pauth
+     WHERE pauth.workspace_id = ? AND pauth.provider = ?
+       AND pauth.status IN ('active', 'authorizing', 'reconnect_required', 'disabled')
+     ORDER BY FIELD(pauth.status, 'active', 'reconnect_required', 'authorizing', 'disabled'), pauth.updated_at DESC
+     LIMIT 1 FOR UPDATE`,
+    [workspaceId, BLUESKY_PROVIDER]
+  );
+  const existing = rows[0] || null;
+  if (existing && Number(existing.has_resources) === 1) {
+    throw createHttpError(409, 'bluesky_authorization_already_exists');
+  }
+  if (existing) {
+    await connection.query(
+      `UPDATE provider_authorizations
+       SET actor_user_id = ?, status = 'authorizing', revoked_at = NULL, updated_at = UTC_TIMESTAMP(3)
+       WHERE id = ?`,
+      [userId, existing.id]
+    );
+    return existing.id;
+  }
+  const authorizationId = createId();
+  await connection.query(
+    `INSERT INTO provider_authorizations
+      (id, workspace_id, provider, actor_user_id, status, auth_product, api_version)
+     VALUES (?, ?, ?, ?, 'authorizing', 'analytics', ?)`,
+    [authorizationId, workspaceId, BLUESKY_PROVIDER, userId, readiness.apiVersion]
+  );
+  return authorizationId;
+}
+
+async function markAuthorizationFailed(attempt, outcome, grantedScopes = null) {
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      if (Array.isArray(grantedScopes)) {
+        await connection.query(
+          'DELETE FROM provider_authorization_scopes WHERE provider_authorization_id = ?',
+          [attempt.provider_authorization_id]
+        );
+        for (const scope of grantedScopes) {
+          await connection.query(
+            `INSERT INTO provider_authorization_scopes
+              (provider_authorization_id, scope, status, granted_at, last_confirmed_at)
+             VALUES (?, ?, 'granted', UTC_TIMESTAMP(3), UTC_TIMESTAMP(3))`,
+            [attempt.provider_authorization_id, String(scope)]
+          );
+        }
+      }
+      const nextStatus = attempt.target_connection_id ? 'reconnect_required' : 'disabled';
+      await connection.query(
+        'UPDATE provider_authorizations SET status = ?, updated_at = UTC_TIMESTAMP(3) WHERE id = ?',
+        [nextStatus, attempt.provider_authorization_id]
+      );
+      if (attempt.target_connection_id) {
+        await connection.query(
+          `UPDATE workspace_provider_connections wpc
+           JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+           JOIN data_sources ds ON ds.id = wpc.data_source_id
+           SET wpc.status = 'reconnect_required', ds.status = 'reconnect_required',
+               ds.reconnect_reason = ?, wpc.updated_at = UTC_TIMESTAMP(3), ds.updated_at = UTC_TIMESTAMP(3)
+           WHERE pr.provider_authorization_id = ? AND wpc.provider = ?`,
+          [`bluesky_authorization_${outcome}`.slice(0, 255), attempt.provider_authorization_id, BLUESKY_PROVIDER]
+        );
+      }
+      await writeAuditLog(connection, {
+        workspaceId: attempt.workspace_id,
+        actorUserId: attempt.initiated_by,
+        action: 'connection.bluesky.authorization_failed',
+        targetType: 'provider_authorization',
+        targetId: attempt.provider_authorization_id,
+        metadata: { outcome_category: outcome }
+      });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function recordAuthorizationRequest(attempt, details) {
+  return withConnection(connection => connection.query(
+    `INSERT INTO provider_request_events
+      (id, workspace_id, provider_authorization_id, provider, request_category,
+       method_name, quota_cost_estimate, page_number, item_count, attempts,
+       status, failure_category, retry_after_seconds)
+     VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?)`,
+    [
+      createId(), attempt.workspace_id, attempt.provider_authorization_id, BLUESKY_PROVIDER,
+      details.category, details.method, details.pageNumber || null,
+      details.itemCount === undefined ? null : details.itemCount,
+      details.result && Number.isInteger(details.result.attempts) ? details.result.attempts : 1,
+      details.status,
+      details.result && details.result.error ? details.result.error.category : null,
+      details.result ? details.result.retryAfterSeconds : null
+    ]
+  ));
+}
+
+async function discoverAccount(attempt, identifier) {
+  let did = identifier.did;
+  if (!did) {
+    const resolved = await bluesky.resolveHandle(identifier.handle, { maxRetries: 0 });
+    await recordAuthorizationRequest(attempt, {
+      category: 'oauth', method: 'identity.resolve_handle', result: resolved,
+      status: resolved.ok ? 'success' : 'failed'
+    });
+    did = resolved.ok && resolved.body && bluesky.BLUESKY_DID.test(String(resolved.body.did || ''))
+      ? resolved.body.did
+      : null;
+    if (!did) {
+      throw createHttpError(resolved.status === 400 ? 400 : 502, resolved.status === 400
+        ? 'bluesky_handle_not_found'
+        : 'bluesky_handle_resolution_failed');
+    }
+  }
+  const documentResult = await bluesky.resolveDidDocument(did, { maxRetries: 0 });
+  await recordAuthorizationRequest(attempt, {
+    category: 'oauth', method: 'identity.did_document', result: documentResult,
+    status: documentResult.ok ? 'success' : 'failed'
+  });
+  const document = documentResult.ok ? bluesky.describeDidDocument(documentResult.body, did) : null;
+  if (!document || !document.pdsUrl) throw createHttpError(502, 'bluesky_pds_discovery_failed');
+  if (identifier.handle && document.handle !== identifier.handle) {
+    throw createHttpError(409, 'bluesky_handle_mismatch');
+  }
+  return { did, pdsUrl: document.pdsUrl };
+}
+
+async function saveAuthorizationResult(attempt, session, grantedScopes, profile) {
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      if (attempt.target_connection_id) {
+        const targetRows = await connection.query(
+          `SELECT pr.provider_resource_id
+           FROM workspace_provider_connections wpc
+           JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+           WHERE wpc.id = ? AND wpc.workspace_id = ? AND wpc.provider = ?
+           LIMIT 1`,
+          [attempt.target_connection_id, attempt.workspace_id, BLUESKY_PROVIDER]
+        );
+        if (!targetRows[0] || targetRows[0].provider_resource_id !== profile.id) {
+          throw createHttpError(409, 'bluesky_reconnect_account_mismatch');
+        }
+      }
+
+      const access = encryptSecret(session.accessJwt);
+      const refresh = encryptSecret(session.refreshJwt);
+      const accessTtl = bluesky.tokenTtlSeconds(session.accessJwt);
+      const refreshTtl = bluesky.tokenTtlSeconds(session.refreshJwt);
+      await connection.query(
+        `INSERT INTO provider_authorization_credentials
+          (id, provider_authorization_id, access_token_ciphertext, access_token_iv, access_token_tag,
+           refresh_token_ciphertext, refresh_token_iv, refresh_token_tag, key_version, token_type,
+           access_expires_at, refresh_expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'Bearer',
+                 CASE WHEN ? IS NULL THEN NULL ELSE DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND) END,
+                 CASE WHEN ? IS NULL THEN NULL ELSE DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND) END)
+         ON DUPLICATE KEY UPDATE
+           access_token_ciphertext = VALUES(access_token_ciphertext),
+           access_token_iv = VALUES(access_token_iv), access_token_tag = VALUES(access_token_tag),
+           refresh_token_ciphertext = VALUES(refresh_token_ciphertext),
+           refresh_token_iv = VALUES(refresh_token_iv), refresh_token_tag = VALUES(refresh_token_tag),
+           key_version = VALUES(key_version), token_type = VALUES(token_type),
+           access_expires_at = VALUES(access_expires_at), refresh_expires_at = VALUES(refresh_expires_at),
+           revoked_at = NULL, updated_at = UTC_TIMESTAMP(3)`,
+        [
+          createId(), attempt.provider_authorization_id,
+          access.ciphertext, access.iv, access.tag,
+          refresh.ciphertext, refresh.iv, refresh.tag, access.keyVersion,
+          accessTtl, accessTtl, refreshTtl, refreshTtl
+        ]
+      );
+      await connection.query(
+        'DELETE FROM provider_authorization_scopes WHERE provider_authorization_id = ?',
+        [attempt.provider_authorization_id]
+      );
+      for (const scope of grantedScopes) {
+        await connection.query(
+          `INSERT INTO provider_authorization_scopes
+            (provider_authorization_id, scope, status, granted_at, last_confirmed_at)
+           VALUES (?, ?, 'granted', UTC_TIMESTAMP(3), UTC_TIMESTAMP(3))`,
+          [attempt.provider_authorization_id, scope]
+        );
+      }
+      await connection.query(
+        `UPDATE provider_authorizations
+         SET provider_subject = ?, display_name = ?, status = 'active',
+             granted_at = COALESCE(granted_at, UTC_TIMESTAMP(3)),
+             last_validated_at = UTC_TIMESTAMP(3), revoked_at = NULL,
+             updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [profile.id, 'Bluesky app password', attempt.provider_authorization_id]
+      );
+      await connection.query(
+        `DELETE pr FROM provider_resources pr
+         LEFT JOIN workspace_provider_connections wpc ON wpc.provider_resource_id = pr.id
+         WHERE pr.provider_authorization_id = ? AND pr.provider = ? AND wpc.id IS NULL
+           AND pr.provider_resource_id <> ?`,
+        [attempt.provider_authorization_id, BLUESKY_PROVIDER, profile.id]
+      );
+      await connection.query(
+        `INSERT INTO provider_resources
+          (id, provider_authorization_id, workspace_id, provider, resource_type,
+           provider_resource_id, display_name, metadata)
+         VALUES (?, ?, ?, ?, 'bluesky_account', ?, ?, ?)
+         ON DUPLICATE KEY UPDATE display_name = VALUES(display_name), metadata = VALUES(metadata),
+           updated_at = UTC_TIMESTAMP(3)`,
+        [
+          createId(), attempt.provider_authorization_id, attempt.workspace_id, BLUESKY_PROVIDER,
+          profile.id, profile.displayName, JSON.stringify(profile)
+        ]
+      );
+      const resourceRows = await connection.query(
+        `SELECT id FROM provider_resources
+         WHERE provider_authorization_id = ? AND provider_resource_id = ? LIMIT 1`,
+        [attempt.provider_authorization_id, profile.id]
+      );
+
+      const connectedRows = await connection.query(
+        `SELECT wpc.id, wpc.data_source_id
+         FROM workspace_provider_connections wpc
+         JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+         WHERE pr.provider_authorization_id = ? AND wpc.provider = ?`,
+        [attempt.provider_authorization_id, BLUESKY_PROVIDER]
+      );
+      for (const connected of connectedRows) {
+        await connection.query(
+          `UPDATE workspace_provider_connections SET status = 'active', next_sync_at = UTC_TIMESTAMP(3),
+             updated_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+          [connected.id]
+        );
+        await connection.query(
+          `UPDATE data_sources SET status = 'active', reconnect_reason = NULL, next_sync_at = UTC_TIMESTAMP(3),
+             updated_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+          [connected.data_source_id]
+        );
+        await connection.query(
+          `UPDATE sync_jobs SET status = 'due', run_after = UTC_TIMESTAMP(3), lease_owner = NULL,
+             lease_expires_at = NULL, updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+          [connected.data_source_id]
+        );
+        await connection.query(
+          `UPDATE provider_capabilities SET status = 'available', reason = NULL, updated_at = UTC_TIMESTAMP(3)
+           WHERE workspace_provider_connection_id = ?`,
+          [connected.id]
+        );
+      }
+      await writeAuditLog(connection, {
+        workspaceId: attempt.workspace_id,
+        actorUserId: attempt.initiated_by,
+        action: attempt.target_connection_id ? 'connection.bluesky.reauthorized' : 'connection.bluesky.authorized',
+        targetType: 'provider_authorization',
+        targetId: attempt.provider_authorization_id,
+        metadata: { granted_scope_count: grantedScopes.length, credential_type: 'app_password' }
+      });
+      await connection.commit();
+      return { resourceId: resourceRows[0].id };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function connectBluesky({ userId, workspaceId, identifier, appPassword, targetConnectionId = null }) {
+  const parsed = bluesky.normalizeIdentifier(identifier);
+  if (!parsed) throw createHttpError(400, 'bluesky_identifier_invalid');
+  if (!bluesky.isAppPassword(appPassword)) throw createHttpError(400, 'bluesky_app_password_required');
+  const attempt = await withConnection(async connection => {
+    const readiness = await requireBlueskyReady(connection);
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', BLUESKY_PROVIDER);
+    await connection.beginTransaction();
+    try {
+      const authorizationId = await beginAuthorization(connection, readiness, { userId, workspaceId, targetConnectionId });
+      await writeAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: targetConnectionId ? 'connection.bluesky.reauthorize_start' : 'connection.bluesky.start',
+        targetType: 'provider_authorization',
+        targetId: authorizationId,
+        metadata: { identifier_kind: parsed.kind }
+      });
+      await connection.commit();
+      return {
+        workspace_id: workspaceId,
+        provider_authorization_id: authorizationId,
+        target_connection_id: targetConnectionId,
+        initiated_by: userId
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+
+  let account;
+  try {
+    account = await discoverAccount(attempt, parsed);
+  } catch (error) {
+    await markAuthorizationFailed(attempt, error.code === 'bluesky_handle_mismatch' ? 'handle_mismatch' : 'pds_discovery_failed');
+    throw error;
+  }
+  const sessionResult = await bluesky.createSession(account.pdsUrl, account.did, appPassword);
+  const session = sessionResult.body || {};
+  await recordAuthorizationRequest(attempt, {
+    category: 'oauth', method: 'server.create_session', result: sessionResult,
+    status: sessionResult.ok && session.accessJwt && session.refreshJwt ? 'success' : 'failed'
+  });
+  if (!sessionResult.ok) {
+    const rejected = sessionResult.status === 401;
+    await markAuthorizationFailed(attempt, rejected ? 'invalid_credentials' : 'provider_error');
+    throw createHttpError(rejected ? 400 : 502, rejected ? 'bluesky_credentials_invalid' : 'bluesky_session_failed');
+  }
+  if (session.did !== account.did || typeof session.accessJwt !== 'string' || typeof session.refreshJwt !== 'string') {
+    await markAuthorizationFailed(attempt, 'malformed_response');
+    throw createHttpError(502, 'bluesky_session_failed');
+  }
+  if (session.active === false) {
+    await markAuthorizationFailed(attempt, 'account_inactive');
+    throw createHttpError(409, 'bluesky_account_inactive');
+  }
+  const grantedScopes = bluesky.sessionScopes(session.accessJwt);
+  if (!bluesky.hasExactScopes(grantedScopes)) {
+    await bluesky.deleteSession(account.pdsUrl, session.refreshJwt);
+    await markAuthorizationFailed(attempt, 'missing_required_scopes', grantedScopes);
+    throw createHttpError(400, 'bluesky_app_password_required');
+  }
+
+  let profile;
+  try {
+    const result = await bluesky.getProfile(account.pdsUrl, session.accessJwt, account.did, { maxRetries: 0 });
+    await recordAuthorizationRequest(attempt, {
+      category: 'data_api', method: 'actor.get_profile', itemCount: result.ok ? 1 : null,
+      result, status: result.ok ? 'success' : 'failed'
+    });
+    if (!result.ok) throw createHttpError(502, 'bluesky_profile_discovery_failed');
+    profile = normalizeProfile(result.body, account.did, account.pdsUrl);
+  } catch (error) {
+    await markAuthorizationFailed(attempt, error.code || 'profile_discovery_failed');
+    throw error;
+  }
+
+  let saved;
+  try {
+    saved = await saveAuthorizationResult(attempt, session, grantedScopes, profile);
+  } catch (error) {
+    await markAuthorizationFailed(attempt, error.code || 'storage_failed');
+    throw error;
+  }
+  if (targetConnectionId) {
+    return { outcome: 'reconnected', connection: { id: targetConnectionId, status: 'active' } };
+  }
+  const selection = await selectBlueskyResource(userId, workspaceId, saved.resourceId);
+  return { outcome: 'connected', ...selection };
+}
+
+async function selectBlueskyResource(userId, workspaceId, resourceId) {
+  if (!resourceId) throw createHttpError(400, 'bluesky_resource_required');
+  return withConnection(async connection => {
+    const readiness = await requireBlueskyReady(connection);
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', BLUESKY_PROVIDER);
+    await connection.beginTransaction();
+    try {
+      const rows = await connection.query(
+        `SELECT pr.*, pauth.status AS authorization_status, pauth.id AS authorization_id
+         FROM provider_resources pr
+         JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+         WHERE pr.id = ? AND pr.workspace_id = ? AND pr.provider = ?
+           AND pr.resource_type = 'bluesky_account'
+         LIMIT 1 FOR UPDATE`,
+        [resourceId, workspaceId, BLUESKY_PROVIDER]
+      );
+      const resource = rows[0] || null;
+      if (!resource) throw createHttpError(404, 'bluesky_resource_not_found');
+      if (resource.authorization_status !== 'active') throw createHttpError(409, 'bluesky_authorization_not_active');
+      const metadata = parseJson(resource.metadata, {});
+      const scopes = await connection.query(
+        `SELECT scope FROM provider_authorization_scopes
+         WHERE provider_authorization_id = ? AND status = 'granted'`,
+        [resource.authorization_id]
+      );
+      if (!bluesky.hasExactScopes(scopes.map(row => row.scope))) {
+        throw createHttpError(409, 'bluesky_app_password_required');
+      }
+      const existing = await connection.query(
+        `SELECT id FROM workspace_provider_connections
+         WHERE workspace_id = ? AND provider_resource_id = ? LIMIT 1`,
+        [workspaceId, resourceId]
+      );
+      if (existing[0]) throw createHttpError(409, 'bluesky_account_already_connected');
+      const dataSourceId = createId();
+      const connectionId = createId();
+      await connection.query(
+        `INSERT INTO data_sources (id, workspace_id, provider, status, next_sync_at)
+         VALUES (?, ?, ?, 'active', UTC_TIMESTAMP(3))`,
+        [dataSourceId, workspaceId, BLUESKY_PROVIDER]
+      );
+      await connection.query(
+        `INSERT INTO provider_accounts
+          (id, workspace_id, data_source_id, provider, provider_account_id, username, display_name, metadata)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          createId(), workspaceId, dataSourceId, BLUESKY_PROVIDER, resource.provider_resource_id,
+          metadata.handle || null, resource.display_name, JSON.stringify(metadata)
+        ]
+      );
+      await connection.query(
+        `INSERT INTO workspace_provider_connections
+          (id, workspace_id, provider_resource_id, data_source_id, provider, status, next_sync_at)
+         VALUES (?, ?, ?, ?, ?, 'active', UTC_TIMESTAMP(3))`,
+        [connectionId, workspaceId, resourceId, dataSourceId, BLUESKY_PROVIDER]
+      );
+      for (const capability of BLUESKY_CAPABILITIES) {
+        await connection.query(
+          `INSERT INTO provider_capabilities
+            (id, workspace_provider_connection_id, capability_key, status)
+           VALUES (?, ?, ?, 'available')`,
+          [createId(), connectionId, capability]
+        );
+      }
+      for (const syncKey of ['bluesky.profile', 'bluesky.posts']) {
+        await connection.query(
+          `INSERT INTO provider_sync_states
+            (id, workspace_provider_connection_id, sync_key, cursor_state, api_version)
+           VALUES (?, ?, ?, JSON_OBJECT(), ?)`,
+          [createId(), connectionId, syncKey, readiness.apiVersion]
+        );
+      }
+      await connection.query(
+        `INSERT INTO sync_jobs (id, data_source_id, run_after, status)
+         VALUES (?, ?, UTC_TIMESTAMP(3), 'due')`,
+        [createId(), dataSourceId]
+      );
+      await writeAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'connection.bluesky.resource_selected',
+        targetType: 'workspace_provider_connection',
+        targetId: connectionId,
+        metadata: { provider: BLUESKY_PROVIDER }
+      });
+      await connection.commit();
+      return {
+        connection: {
+          id: connectionId,
+          data_source_id: dataSourceId,
+          status: 'active',
+          account: {
+            id: resource.provider_resource_id,
+            display_name: resource.display_name,
+            handle: metadata.handle || null,
+            profile_url: metadata.profileUrl || null
+          }
+        }
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function listBlueskyResources(userId, workspaceId) {
+  return withConnection(async connection => {
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', BLUESKY_PROVIDER);
+    const rows = await connection.query(
+      `SELECT pr.id, pr.provider_resource_id, pr.display_name, pr.metadata, wpc.id AS connection_id
+       FROM provider_resources pr
+       JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+       LEFT JOIN workspace_provider_connections wpc ON wpc.provider_resource_id = pr.id
+       WHERE pr.workspace_id = ? AND pr.provider = ? AND pauth.status = 'active'
+       ORDER BY pr.display_name`,
+      [workspaceId, BLUESKY_PROVIDER]
+    );
+    return rows.map(row => {
+      const metadata = parseJson(row.metadata, {});
+      return {
+        id: row.id,
+        did: row.provider_resource_id,
+        display_name: row.display_name,
+        handle: metadata.handle || null,
+        profile_url: metadata.profileUrl || null,
+        selectable: Boolean(metadata.selectable) && !row.connection_id,
+        connection_id: row.connection_id || null
+      };
+    });
+  });
+}
+
+async function loadAuthorizationForDisconnect(connection, workspaceId, connectionId) {
+  const params = [workspaceId, BLUESKY_PROVIDER];
+  const clause = connectionId ? 'AND wpc.id = ?' : '';
+  if (connectionId) params.push(connectionId);
+  const rows = await connection.query(
+    `SELECT pauth.id AS authorization_id, wpc.id AS connection_id, wpc.data_source_id, pr.metadata,
+            pac.refresh_token_ciphertext, pac.refresh_token_iv, pac.refresh_token_tag, pac.key_version,
+            (SELECT COUNT(*) FROM workspace_provider_connections sibling
+             JOIN provider_resources sibling_resource ON sibling_resource.id = sibling.provider_resource_id
+             WHERE sibling_resource.provider_authorization_id = pauth.id) AS connection_count
+     FROM provider_authorizations pauth
+     LEFT JOIN provider_authorization_credentials pac ON pac.provider_authorization_id = pauth.id
+     LEFT JOIN provider_resources pr ON pr.provider_authorization_id = pauth.id
+     LEFT JOIN workspace_provider_connections wpc ON wpc.provider_resource_id = pr.id
+     WHERE pauth.workspace_id = ? AND pauth.provider = ? ${clause}
+       AND pauth.status IN ('active', 'authorizing', 'reconnect_required', 'disabled')
+     ORDER BY pauth.updated_at DESC LIMIT 1`,
+    params
+  );
+  return rows[0] || null;
+}
+
+async function purgeBlueskyAuthorization(connection, authorizationId, outcomeCategory, actorUserId = null) {
+  const authRows = await connection.query(
+    `SELECT workspace_id FROM provider_authorizations
+     WHERE id = ? AND provider = ? LIMIT 1 FOR UPDATE`,
+    [authorizationId, BLUESKY_PROVIDER]
+  );
+  const authorization = authRows[0] || null;
+  if (!authorization) return null;
+  const sourceRows = await connection.query(
+    `SELECT DISTINCT wpc.data_source_id
+     FROM workspace_provider_connections wpc
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     WHERE pr.provider_authorization_id = ? AND wpc.data_source_id IS NOT NULL`,
+    [authorizationId]
+  );
+  const connectionRows = await connection.query(
+    `SELECT wpc.id FROM workspace_provider_connections wpc
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     WHERE pr.provider_authorization_id = ? ORDER BY wpc.created_at`,
+    [authorizationId]
+  );
+  await connection.query(
+    'DELETE FROM provider_request_events WHERE provider_authorization_id = ? AND provider = ?',
+    [authorizationId, BLUESKY_PROVIDER]
+  );
+  await connection.query(
+    `INSERT INTO provider_revocation_events
+      (id, provider_authorization_id, workspace_provider_connection_id, actor_user_id,
+       provider, status, failure_category)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      createId(), authorizationId, connectionRows[0] ? connectionRows[0].id : null,
+      actorUserId, BLUESKY_PROVIDER,
+      outcomeCategory === 'provider_revoked' ? 'provider_revoked' : 'local_revoked', outcomeCategory
+    ]
+  );
+  await connection.query(
+    `DELETE wpc FROM workspace_provider_connections wpc
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     WHERE pr.provider_authorization_id = ?`,
+    [authorizationId]
+  );
+  for (const source of sourceRows) {
+    await connection.query('DELETE FROM data_sources WHERE id = ?', [source.data_source_id]);
+  }
+  await connection.query('DELETE FROM provider_resources WHERE provider_authorization_id = ?', [authorizationId]);
+  await connection.query('DELETE FROM provider_authorization_credentials WHERE provider_authorization_id = ?', [authorizationId]);
+  await connection.query('DELETE FROM provider_authorization_scopes WHERE provider_authorization_id = ?', [authorizationId]);
+  await connection.query(
+    `UPDATE provider_authorizations
+     SET actor_user_id = NULL, provider_subject = NULL, display_name = NULL,
+         status = 'revoked', revoked_at = UTC_TIMESTAMP(3), updated_at = UTC_TIMESTAMP(3)
+     WHERE id = ?`,
+    [authorizationId]
+  );
+  await writeAuditLog(connection, {
+    workspaceId: authorization.workspace_id,
+    actorUserId,
+    action: 'connection.bluesky.revoked_and_purged',
+    targetType: 'provider_authorization',
+    targetId: authorizationId,
+    metadata: { outcome_category: outcomeCategory }
+  });
+  return { deletedSourceCount: sourceRows.length };
+}
+
+function decryptRevocationToken(record) {
+  if (!record.refresh_token_ciphertext) return null;
+  return decryptSecret({
+    ciphertext: record.refresh_token_ciphertext,
+    iv: record.refresh_token_iv,
+    tag: record.refresh_token_tag,
+    keyVersion: record.key_version
+  });
+}
+
+async function disconnectBluesky(userId, workspaceId, connectionId = null) {
+  await withConnection(connection => requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', BLUESKY_PROVIDER));
+  const result = await revokeBlueskyConnection({ workspaceId, connectionId, actorUserId: userId });
+  if (!result) throw createHttpError(404, 'bluesky_connection_not_found');
+  return result;
+}
+
+async function revokeBlueskyConnection({ workspaceId, connectionId = null, actorUserId = null }) {
+  const record = await withConnection(connection => loadAuthorizationForDisconnect(connection, workspaceId, connectionId));
+  if (!record) return null;
+  if (connectionId && Number(record.connection_count) > 1) {
+    await withConnection(async connection => {
+      await connection.beginTransaction();
+      try {
+        await connection.query('DELETE FROM workspace_provider_connections WHERE id = ? AND workspace_id = ?', [connectionId, workspaceId]);
+        if (record.data_source_id) await connection.query('DELETE FROM data_sources WHERE id = ?', [record.data_source_id]);
+        await writeAuditLog(connection, {
+          workspaceId,
+          actorUserId,
+          action: 'connection.bluesky.resource_disconnected',
+          targetType: 'workspace_provider_connection',
+          targetId: connectionId,
+          metadata: { provider_grant_preserved: true }
+        });
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+    return {
+      disconnected: true,
+      local_data_deleted: true,
+      provider_grant_preserved: true,
+      provider_revoke: { attempted: false, success: false, status: null, outcome_category: 'shared_authorization_preserved' }
+    };
+  }
+  let token = null;
+  try {
+    token = decryptRevocationToken(record);
+  } catch {
+    token = null;
+  }
+  const pdsUrl = parseJson(record.metadata, {}).pdsUrl || null;
+  let providerRevoke = { attempted: false, success: false, status: null, error: { category: 'credential_unavailable' } };
+  if (token && pdsUrl) {
+    try {
+      providerRevoke = await bluesky.deleteSession(pdsUrl, token);
+    } catch {
+      providerRevoke = { attempted: false, success: false, status: null, error: { category: 'configuration' } };
+    }
+  }
+  const outcome = providerRevoke.success ? 'provider_revoked' : 'provider_revoke_failed_local_purge';
+  const local = await withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const result = await purgeBlueskyAuthorization(connection, record.authorization_id, outcome, actorUserId);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+  return {
+    disconnected: true,
+    local_data_deleted: true,
+    provider_grant_preserved: false,
+    provider_revoke: {
+      attempted: providerRevoke.attempted,
+      success: providerRevoke.success,
+      status: providerRevoke.status,
+      outcome_category: outcome
+    },
+    deleted_source_count: local ? local.deletedSourceCount : 0
+  };
+}
+
+async function revokeWorkspaceBlueskyAuthorizations(workspaceId, limit = 50) {
+  const results = [];
+  while (results.length < limit) {
+    const result = await revokeBlueskyConnection({ workspaceId });
+    if (!result) break;
+    results.push({ provider: BLUESKY_PROVIDER, ...result.provider_revoke });
+  }
+  return results;
+}
+
+async function purgeBlueskyAuthorizationBySystem(authorizationId, outcomeCategory) {
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const result = await purgeBlueskyAuthorization(connection, authorizationId, outcomeCategory);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+module.exports = {
+  BLUESKY_CAPABILITIES,
+  BLUESKY_PROVIDER,
+  blueskyFoundationReady,
+  connectBluesky,
+  describeBlueskyConnection,
+  disconnectBluesky,
+  listBlueskyResources,
+  normalizeProfile,
+  purgeBlueskyAuthorization,
+  purgeBlueskyAuthorizationBySystem,
+  requireBlueskyReady,
+  revokeBlueskyConnection,
+  revokeWorkspaceBlueskyAuthorizations,
+  selectBlueskyResource
+};
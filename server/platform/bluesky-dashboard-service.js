@@ -0,0 +1,390 @@
+const { getConnection } = require('../database');
+const { assertCapability } = require('./rbac');
+const { loadResourceScope, scopeCondition } = require('./resource-scope');
+const { getMetricDefinitions } = require('./provider-registry');
+
+const BLUESKY_METRIC_KEYS = Object.freeze([
+  'bluesky.followers',
+  'bluesky.likes',
+  'bluesky.reposts',
+  'bluesky.replies',
+  'bluesky.quotes'
+]);
+
+const RANGE_METRIC_KEYS = Object.freeze([
+  'bluesky.likes',
+  'bluesky.reposts',
+  'bluesky.replies',
+  'bluesky.quotes'
+]);
+
+const MAX_POSTS = 25;
+
+function createHttpError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createHttpError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+async function requireWorkspace(connection, workspaceId, userId) {
+  const rows = await connection.query(
+    `SELECT m.role, r.capabilities AS custom_role_capabilities
+     FROM workspace_memberships m
+     LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+     WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active' LIMIT 1`,
+    [workspaceId, userId]
+  );
+  if (!rows[0]) throw createHttpError(404, 'workspace_not_found');
+  assertCapability(rows[0], 'viewDashboard', 'bluesky');
+}
+
+function parseJson(value, fallback = {}) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(value, days) {
+  const date = new Date(`${value}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return isoDate(date);
+}
+
+function validDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ''))) return false;
+  const parsed = new Date(`${value}T00:00:00.000Z`);
+  return !Number.isNaN(parsed.getTime()) && isoDate(parsed) === value;
+}
+
+function parseRange(query, dataThroughDate = null, now = new Date()) {
+  const key = ['7d', '30d', '90d', 'custom'].includes(query.range) ? query.range : '30d';
+  const today = isoDate(now);
+  let to = dataThroughDate && dataThroughDate < today ? dataThroughDate : today;
+  let from;
+  if (key === 'custom') {
+    from = String(query.from || '');
+    to = String(query.to || '');
+    if (!validDate(from) || !validDate(to)) throw createHttpError(400, 'invalid_date_range');
+  } else {
+    from = addDays(to, -(Number(key.slice(0, -1)) - 1));
+  }
+  const fromTime = new Date(`${from}T00:00:00.000Z`).getTime();
+  const toTime = new Date(`${to}T00:00:00.000Z`).getTime();
+  const days = Math.floor((toTime - fromTime) / 86400000) + 1;
+  if (fromTime > toTime || days < 1 || days > 366) throw createHttpError(400, 'invalid_date_range');
+  return {
+    key,
+    from,
+    to,
+    days,
+    previousFrom: addDays(from, -days),
+    previousTo: addDays(from, -1),
+    timezone: 'UTC'
+  };
+}
+
+function databaseDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isoDate(value);
+  const match = String(value).match(/^\d{4}-\d{2}-\d{2}/);
+  return match ? match[0] : null;
+}
+
+function numberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+async function findConnection(connection, workspaceId, connectionId, scope = null) {
+  const params = [workspaceId];
+  const scoped = scopeCondition('wpc.id', scope && scope.connectionIds);
+  const clause = `${connectionId ? 'AND wpc.id = ?' : ''}${scoped.sql}`;
+  if (connectionId) params.push(connectionId);
+  params.push(...scoped.params);
+  const rows = await connection.query(
+    `SELECT wpc.id, wpc.status, wpc.data_source_id, wpc.last_sync_at,
+            wpc.last_successful_sync_at, wpc.next_sync_at, wpc.data_through_at,
+            ds.reconnect_reason, pr.provider_resource_id, pr.display_name, pr.metadata,
+            pauth.status AS authorization_status
+     FROM workspace_provider_connections wpc
+     JOIN data_sources ds ON ds.id = wpc.data_source_id
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+     WHERE wpc.workspace_id = ? AND wpc.provider = 'bluesky' ${clause}
+     ORDER BY FIELD(wpc.status, 'active', 'reconnect_required', 'connecting', 'disconnected'), wpc.created_at
+     LIMIT 1`,
+    params
+  );
+  return rows[0] || null;
+}
+
+async function latestFollowerSnapshot(connection, connectionId, onOrBefore) {
+  const rows = await connection.query(
+    `SELECT numeric_value, availability_status, availability_reason, period_start
+     FROM provider_metric_observations
+     WHERE workspace_provider_connection_id = ? AND metric_key = 'bluesky.followers'
+       AND grain = 'snapshot' AND period_start <= ?
+     ORDER BY period_start DESC, observed_at DESC
+     LIMIT 1`,
+    [connectionId, addDays(onOrBefore, 1)]
+  );
+  return rows[0] || null;
+}
+
+async function latestRangeMetrics(connection, connectionId, from, to) {
+  const rows = await connection.query(
+    `SELECT observation.metric_key, observation.numeric_value, observation.unit,
+            observation.availability_status, observation.availability_reason,
+            observation.definition_version, observation.data_through_at
+     FROM provider_metric_observations observation
+     JOIN (
+       SELECT metric_key, MAX(observed_at) AS observed_at
+       FROM provider_metric_observations
+       WHERE workspace_provider_connection_id = ? AND grain = 'range'
+         AND period_start = ? AND period_end = ?
+       GROUP BY metric_key
+     ) latest ON latest.metric_key = observation.metric_key
+       AND latest.observed_at = observation.observed_at
+     WHERE observation.workspace_provider_connection_id = ? AND observation.grain = 'range'
+       AND observation.period_start = ? AND observation.period_end = ?`,
+    [connectionId, from, to, connectionId, from, to]
+  );
+  return new Map(rows.map(row => [row.metric_key, row]));
+}
+
+async function followerSnapshots(connection, connectionId, from, to) {
+  return connection.query(
+    `SELECT observation.period_start AS report_date, observation.numeric_value,
+            observation.availability_status, observation.availability_reason
+     FROM provider_metric_observations observation
+     JOIN (
+       SELECT period_start, MAX(observed_at) AS observed_at
+       FROM provider_metric_observations
+       WHERE workspace_provider_connection_id = ? AND metric_key = 'bluesky.followers'
+         AND grain = 'snapshot' AND period_start BETWEEN ? AND ?
+       GROUP BY period_start
+     ) latest ON latest.period_start = observation.period_start
+       AND latest.observed_at = observation.observed_at
+     WHERE observation.workspace_provider_connection_id = ? AND observation.metric_key = 'bluesky.followers'
+       AND observation.grain = 'snapshot' AND observation.period_start BETWEEN ? AND ?
+     ORDER BY observation.period_start`,
+    [connectionId, from, to, connectionId, from, to]
+  );
+}
+
+function metricResult(key, value, status, reason, baseline, baselineStatus) {
+  const definition = getMetricDefinitions()[key];
+  const delta = value === null || baseline === null ? null : value - baseline;
+  return {
+    key,
+    label: definition.label,
+    unit: definition.unit,
+    value,
+    baseline,
+    delta,
+    percent_change: delta === null || baseline === 0 ? null : (delta / baseline) * 100,
+    availability_status: status,
+    availability_reason: reason,
+    baseline_availability_status: baselineStatus,
+    definition: definition.definition,
+    definition_version: definition.version,
+    available: status === 'available' && value !== null
+  };
+}
+
+function followerResult(current, previous) {
+  const value = current && current.availability_status === 'available' ? numberOrNull(current.numeric_value) : null;
+  const baseline = previous && previous.availability_status === 'available' ? numberOrNull(previous.numeric_value) : null;
+  return metricResult(
+    'bluesky.followers',
+    value,
+    current ? current.availability_status : 'not_reported',
+    current ? current.availability_reason : 'snapshot_not_stored',
+    baseline,
+    previous ? previous.availability_status : 'not_reported'
+  );
+}
+
+function rangeResult(key, exact, previousExact) {
+  const value = exact && exact.availability_status === 'available' ? numberOrNull(exact.numeric_value) : null;
+  const baseline = previousExact && previousExact.availability_status === 'available'
+    ? numberOrNull(previousExact.numeric_value)
+    : null;
+  return metricResult(
+    key,
+    value,
+    exact ? exact.availability_status : 'not_reported',
+    exact ? exact.availability_reason : 'exact_range_not_stored',
+    baseline,
+    previousExact ? previousExact.availability_status : 'not_reported'
+  );
+}
+
+function trendRows(rows) {
+  const dates = new Map();
+  for (const row of rows) {
+    const date = databaseDate(row.report_date);
+    if (!date) continue;
+    dates.set(date, {
+      date,
+      followers: row.availability_status === 'available' ? numberOrNull(row.numeric_value) : null,
+      availability: {
+        'bluesky.followers': { status: row.availability_status, reason: row.availability_reason }
+      }
+    });
+  }
+  return [...dates.values()].sort((left, right) => left.date.localeCompare(right.date));
+}
+
+async function postRows(connection, connectionId, from, to) {
+  const rows = await connection.query(
+    `SELECT observation.dimension_values, observation.metric_values, observation.availability,
+            observation.observed_at
+     FROM provider_dimension_observations observation
+     JOIN (
+       SELECT dimension_hash, MAX(observed_at) AS observed_at
+       FROM provider_dimension_observations
+       WHERE workspace_provider_connection_id = ? AND breakdown_key = 'bluesky.posts'
+         AND period_start <= ? AND period_end >= ?
+       GROUP BY dimension_hash
+     ) latest ON latest.dimension_hash = observation.dimension_hash
+       AND latest.observed_at = observation.observed_at
+     WHERE observation.workspace_provider_connection_id = ? AND observation.breakdown_key = 'bluesky.posts'
+       AND observation.period_start <= ? AND observation.period_end >= ?
+     ORDER BY observation.observed_at DESC
+     LIMIT 500`,
+    [connectionId, to, from, connectionId, to, from]
+  );
+  const posts = new Map();
+  for (const row of rows) {
+    const dimensions = parseJson(row.dimension_values, {});
+    if (!dimensions.post_id || posts.has(dimensions.post_id)) continue;
+    const metrics = parseJson(row.metric_values, {});
+    const availability = parseJson(row.availability, {});
+    posts.set(dimensions.post_id, {
+      id: dimensions.post_id,
+      text: dimensions.text || null,
+      media_type: dimensions.media_type || null,
+      published_date: dimensions.published_date || null,
+      url: dimensions.url || null,
+      observed_at: row.observed_at,
+      metrics: Object.fromEntries(RANGE_METRIC_KEYS.map(key => [
+        key.replace('bluesky.', ''),
+        availability[key] && availability[key].status === 'available' ? numberOrNull(metrics[key]) : null
+      ])),
+      availability
+    });
+  }
+  return [...posts.values()]
+    .sort((left, right) => (right.metrics.likes || 0) - (left.metrics.likes || 0) ||
+      String(right.published_date).localeCompare(String(left.published_date)))
+    .slice(0, MAX_POSTS);
+}
+
+function emptyDashboard(range, state) {
+  return {
+    provider: 'bluesky', range, connection: { status: 'disconnected' },
+    profile: null, metrics: [], trend: [], posts: [],
+    availability: { state, data_through_date: null, requested_through_date: range.to }
+  };
+}
+
+async function getBlueskyDashboard(userId, workspaceId, query = {}) {
+  return withConnection(async connection => {
+    await requireWorkspace(connection, workspaceId, userId);
+    if (query.timezone && query.timezone !== 'UTC') {
+      throw createHttpError(400, 'bluesky_dashboard_uses_utc_days');
+    }
+    const foundation = await connection.query(
+      `SELECT COUNT(*) AS count FROM information_schema.TABLES
+       WHERE TABLE_SCHEMA = DATABASE()
+         AND TABLE_NAME IN ('provider_resource_observations', 'provider_metric_observations', 'provider_dimension_observations')`
+    );
+    if (Number(foundation[0] && foundation[0].count) !== 3) {
+      return emptyDashboard(parseRange(query), 'configuration_required');
+    }
+    const selected = await findConnection(
+      connection,
+      workspaceId,
+      query.connection_id || null,
+      await loadResourceScope(connection, workspaceId, userId)
+    );
+    if (!selected) return emptyDashboard(parseRange(query), 'empty');
+    const metadata = parseJson(selected.metadata, {});
+    const dataThrough = databaseDate(selected.data_through_at);
+    const range = parseRange(query, dataThrough);
+    const [currentFollowers, previousFollowers, current, previous, followers, posts] = await Promise.all([
+      latestFollowerSnapshot(connection, selected.id, range.to),
+      latestFollowerSnapshot(connection, selected.id, range.previousTo),
+      latestRangeMetrics(connection, selected.id, range.from, range.to),
+      latestRangeMetrics(connection, selected.id, range.previousFrom, range.previousTo),
+      followerSnapshots(connection, selected.id, range.from, range.to),
+      postRows(connection, selected.id, range.from, range.to)
+    ]);
+    const metrics = [
+      followerResult(currentFollowers, previousFollowers),
+      ...RANGE_METRIC_KEYS.map(key => rangeResult(key, current.get(key), previous.get(key)))
+    ];
+    const anyUnavailable = metrics.some(item => !item.available);
+    const connectionStatus = selected.authorization_status === 'authorizing'
+      ? 'connecting'
+      : ['reconnect_required', 'disabled'].includes(selected.authorization_status)
+        ? 'reconnect_required'
+        : selected.status;
+    return {
+      provider: 'bluesky',
+      range,
+      connection: {
+        id: selected.id,
+        status: connectionStatus,
+        reconnect_reason: selected.reconnect_reason,
+        last_sync_at: selected.last_sync_at,
+        last_successful_sync_at: selected.last_successful_sync_at,
+        next_sync_at: selected.next_sync_at
+      },
+      profile: {
+        id: selected.provider_resource_id,
+        display_name: selected.display_name,
+        handle: metadata.handle || null,
+        profile_url: metadata.profileUrl || null
+      },
+      metrics,
+      trend: trendRows(followers),
+      posts,
+      availability: {
+        state: !dataThrough || dataThrough < range.to ? 'delayed' : anyUnavailable ? 'partial' : 'ready',
+        data_through_date: dataThrough,
+        requested_through_date: range.to,
+        note: !dataThrough || dataThrough < range.to
+          ? 'bluesky_sync_delayed'
+          : anyUnavailable ? 'bluesky_partial_metrics' : null
+      }
+    };
+  });
+}
+
+module.exports = {
+  BLUESKY_METRIC_KEYS,
+  getBlueskyDashboard,
+  parseRange
+};
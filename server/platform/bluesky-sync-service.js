@@ -0,0 +1,820 @@
+const { getConnection } = require('../database');
+const bluesky = require('../integrations/bluesky');
+const { BLUESKY_CAPABILITIES, normalizeProfile, purgeBlueskyAuthorizationBySystem } = require('./bluesky-connection-service');
+const { BLUESKY_API_VERSION, getBlueskyConfiguration, getBlueskyLimits } = require('./bluesky-config');
+const { createDimensionObservation, createMetricObservation } = require('./observation-contract');
+const { getMetricDefinitions } = require('./provider-registry');
+const { decryptSecret, encryptSecret } = require('./secret-envelope');
+const { createId } = require('./security');
+
+const DEFAULT_SYNC_INTERVAL_SECONDS = 6 * 60 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RANGE_DAYS = Object.freeze([7, 30, 90]);
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const FEED_PAGE_SIZE = 100;
+const POST_COLLECTION = 'app.bsky.feed.post';
+
+const FOLLOWER_METRIC = Object.freeze({ key: 'bluesky.followers', unit: 'count' });
+const POST_METRIC_MAP = Object.freeze({
+  likes: Object.freeze({ key: 'bluesky.likes', field: 'likes', unit: 'count' }),
+  reposts: Object.freeze({ key: 'bluesky.reposts', field: 'reposts', unit: 'count' }),
+  replies: Object.freeze({ key: 'bluesky.replies', field: 'replies', unit: 'count' }),
+  quotes: Object.freeze({ key: 'bluesky.quotes', field: 'quotes', unit: 'count' })
+});
+const MEDIA_TYPES = Object.freeze({
+  'app.bsky.embed.images#view': 'images',
+  'app.bsky.embed.video#view': 'video',
+  'app.bsky.embed.external#view': 'external',
+  'app.bsky.embed.record#view': 'quote',
+  'app.bsky.embed.recordWithMedia#view': 'quote_with_media'
+});
+
+function createSyncError(code, result = null) {
+  const provider = result && result.error ? result.error : {};
+  const error = new Error(code);
+  error.code = code;
+  error.syncError = {
+    category: provider.category || 'provider',
+    provider_code: provider.provider_code || code,
+    retryable: provider.retryable === true,
+    terminal: provider.terminal === true,
+    retry_after_seconds: result && result.retryAfterSeconds !== null ? result.retryAfterSeconds : null,
+    message: code
+  };
+  return error;
+}
+
+function internalSyncError(error) {
+  const value = error && error.syncError ? error.syncError : {};
+  return {
+    category: value.category || 'internal',
+    provider_code: value.provider_code || null,
+    retryable: value.retryable === true,
+    terminal: value.terminal === true,
+    retry_after_seconds: value.retry_after_seconds === undefined ? null : value.retry_after_seconds,
+    message: (error && (error.code || error.message)) || 'bluesky_sync_failed'
+  };
+}
+
+function retryDelaySeconds(error) {
+  if (error && error.retry_after_seconds) return Math.max(60, Number(error.retry_after_seconds));
+  if (error && error.retryable) return 300;
+  return Number(process.env.SYNC_INTERVAL_SECONDS || DEFAULT_SYNC_INTERVAL_SECONDS);
+}
+
+function isUnusableAuthorization(syncError) {
+  return syncError.terminal || ['authentication', 'scope'].includes(syncError.category);
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createSyncError('database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+function parseJson(value, fallback = {}) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function numeric(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : null;
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(value, days) {
+  const date = new Date(`${value}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return isoDate(date);
+}
+
+function buildPostWindow(lookbackDays, now = Date.now()) {
+  const today = isoDate(new Date(Math.floor(now / DAY_MS) * DAY_MS));
+  return { startDate: addDays(today, -(lookbackDays - 1)), endDate: today, today };
+}
+
+function buildRangeWindows(endDate) {
+  const ranges = [];
+  for (const days of RANGE_DAYS) {
+    const currentStart = addDays(endDate, -(days - 1));
+    const previousEnd = addDays(currentStart, -1);
+    ranges.push({ key: `${days}d`, days, kind: 'current', startDate: currentStart, endDate });
+    ranges.push({
+      key: `${days}d_previous`,
+      days,
+      kind: 'previous',
+      startDate: addDays(previousEnd, -(days - 1)),
+      endDate: previousEnd
+    });
+  }
+  return ranges;
+}
+
+function parseProfile(source, body) {
+  let profile;
+  try {
+    profile = normalizeProfile(body, source.profile_id, parseJson(source.resource_metadata, {}).pdsUrl || null);
+  } catch {
+    throw createSyncError('bluesky_profile_response_malformed');
+  }
+  return { ...profile, followerCount: numeric(body.followersCount), postCount: numeric(body.postsCount) };
+}
+
+function recordKey(uri, did) {
+  const prefix = `at://${did}/${POST_COLLECTION}/`;
+  if (typeof uri !== 'string' || !uri.startsWith(prefix)) return null;
+  const key = uri.slice(prefix.length);
+  return bluesky.BLUESKY_RECORD_KEY.test(key) ? key : null;
+}
+
+function publishedAt(post) {
+  for (const value of [post.record && post.record.createdAt, post.indexedAt]) {
+    const date = typeof value === 'string' ? new Date(value) : null;
+    if (date && Number.isFinite(date.getTime())) return date.toISOString();
+  }
+  return null;
+}
+
+function parseFeed(body, did) {
+  if (!body || typeof body !== 'object' || !Array.isArray(body.feed)) {
+    throw createSyncError('bluesky_feed_response_malformed');
+  }
+  const posts = [];
+  for (const item of body.feed) {
+    if (!item || typeof item !== 'object' || item.reason || !item.post) continue;
+    const post = item.post;
+    if (!post.author || post.author.did !== did) continue;
+    const id = recordKey(post.uri, did);
+    if (!id) continue;
+    const record = post.record && typeof post.record === 'object' ? post.record : {};
+    const text = typeof record.text === 'string' ? record.text.replace(/\s+/g, ' ').trim() : '';
+    const embedType = post.embed && typeof post.embed.$type === 'string' ? post.embed.$type : null;
+    posts.push({
+      id,
+      uri: post.uri,
+      cid: typeof post.cid === 'string' ? post.cid.slice(0, 128) : null,
+      publishedAt: publishedAt(post),
+      text: text ? text.slice(0, 2000) : null,
+      url: bluesky.postUrl(did, id),
+      mediaType: embedType ? MEDIA_TYPES[embedType] || 'other' : 'text',
+      isReply: Boolean(record.reply),
+      likes: numeric(post.likeCount),
+      reposts: numeric(post.repostCount),
+      replies: numeric(post.replyCount),
+      quotes: numeric(post.quoteCount)
+    });
+  }
+  const cursor = typeof body.cursor === 'string' && body.cursor.length > 0 && body.cursor.length <= 512
+    ? body.cursor
+    : null;
+  return { posts, cursor };
+}
+
+async function loadSource(connection, dataSourceId) {
+  const rows = await connection.query(
+    `SELECT ds.*, wpc.id AS workspace_provider_connection_id,
+            pr.id AS provider_resource_row_id, pr.provider_resource_id AS profile_id,
+            pr.display_name AS profile_display_name, pr.metadata AS resource_metadata,
+            pauth.id AS provider_authorization_id, pauth.status AS authorization_status,
+            pac.access_token_ciphertext, pac.access_token_iv, pac.access_token_tag,
+            pac.refresh_token_ciphertext, pac.refresh_token_iv, pac.refresh_token_tag,
+            pac.key_version, pac.access_expires_at, pac.revoked_at,
+            COALESCE(pac.refresh_expires_at <= DATE_ADD(UTC_TIMESTAMP(3), INTERVAL 60 SECOND), 0) AS refresh_token_expired
+     FROM data_sources ds
+     JOIN workspace_provider_connections wpc ON wpc.data_source_id = ds.id
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+     JOIN provider_authorization_credentials pac ON pac.provider_authorization_id = pauth.id
+     WHERE ds.id = ? AND ds.provider = 'bluesky' AND ds.deleted_at IS NULL
+     LIMIT 1`,
+    [dataSourceId]
+  );
+  return rows[0] || null;
+}
+
+async function recordRequestEvent(source, runId, details) {
+  return withConnection(connection => connection.query(
+    `INSERT INTO provider_request_events
+      (id, workspace_id, provider_authorization_id, workspace_provider_connection_id,
+       sync_run_id, provider, request_category, method_name, quota_cost_estimate,
+       page_number, item_count, attempts, status, failure_category, retry_after_seconds)
+     VALUES (?, ?, ?, ?, ?, 'bluesky', ?, ?, 0, ?, ?, ?, ?, ?, ?)`,
+    [
+      createId(), source.workspace_id, source.provider_authorization_id,
+      source.workspace_provider_connection_id, runId, details.category, details.method,
+      details.pageNumber || null, details.itemCount === undefined ? null : details.itemCount,
+      details.result && Number.isInteger(details.result.attempts) ? details.result.attempts : 1,
+      details.status,
+      details.result && details.result.error ? details.result.error.category : null,
+      details.result ? details.result.retryAfterSeconds : null
+    ]
+  ));
+}
+
+async function callAndRecord(source, runId, details, fn) {
+  const result = await fn();
+  await recordRequestEvent(source, runId, {
+    ...details,
+    result,
+    status: result.ok ? 'success' : 'failed'
+  });
+  if (!result.ok) throw createSyncError(`${details.method}_failed`, result);
+  return result;
+}
+
+function terminalSyncError(code, category = 'authentication') {
+  const error = createSyncError(code);
+  error.syncError.category = category;
+  error.syncError.terminal = true;
+  return error;
+}
+
+async function refreshCredentialsIfNeeded(source, pdsUrl, runId, deadlineMs) {
+  const accessToken = decryptSecret({
+    ciphertext: source.access_token_ciphertext,
+    iv: source.access_token_iv,
+    tag: source.access_token_tag,
+    keyVersion: source.key_version
+  });
+  const expiresAt = source.access_expires_at ? new Date(source.access_expires_at).getTime() : 0;
+  if (expiresAt - Date.now() > REFRESH_MARGIN_MS) return accessToken;
+  if (Number(source.refresh_token_expired) === 1 || !source.refresh_token_ciphertext) {
+    throw terminalSyncError('bluesky_session_expired');
+  }
+  const refreshToken = decryptSecret({
+    ciphertext: source.refresh_token_ciphertext,
+    iv: source.refresh_token_iv,
+    tag: source.refresh_token_tag,
+    keyVersion: source.key_version
+  });
+  const result = await bluesky.refreshSession(pdsUrl, refreshToken, { deadlineMs });
+  await recordRequestEvent(source, runId, {
+    category: 'oauth', method: 'server.refresh_session', result, status: result.ok ? 'success' : 'failed'
+  });
+  const body = result.body || {};
+  if (!result.ok || typeof body.accessJwt !== 'string' || typeof body.refreshJwt !== 'string') {
+    if (result.error && result.error.terminal) throw createSyncError('bluesky_session_refresh_failed', result);
+    if (expiresAt > Date.now()) return accessToken;
+    throw createSyncError('bluesky_session_refresh_failed', result);
+  }
+  if (body.did !== source.profile_id) throw terminalSyncError('bluesky_session_account_mismatch');
+  if (!bluesky.hasExactScopes(bluesky.sessionScopes(body.accessJwt))) {
+    throw terminalSyncError('bluesky_app_password_required', 'scope');
+  }
+  const access = encryptSecret(body.accessJwt);
+  const refresh = encryptSecret(body.refreshJwt);
+  const accessTtl = bluesky.tokenTtlSeconds(body.accessJwt);
+  const refreshTtl = bluesky.tokenTtlSeconds(body.refreshJwt);
+  await withConnection(connection => connection.query(
+    `UPDATE provider_authorization_credentials
+     SET access_token_ciphertext = ?, access_token_iv = ?, access_token_tag = ?,
+         refresh_token_ciphertext = ?, refresh_token_iv = ?, refresh_token_tag = ?, key_version = ?,
+         access_expires_at = CASE WHEN ? IS NULL THEN NULL ELSE DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND) END,
+         refresh_expires_at = CASE WHEN ? IS NULL THEN NULL ELSE DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND) END,
+         updated_at = UTC_TIMESTAMP(3)
+     WHERE provider_authorization_id = ?`,
+    [
+      access.ciphertext, access.iv, access.tag,
+      refresh.ciphertext, refresh.iv, refresh.tag, access.keyVersion,
+      accessTtl, accessTtl, refreshTtl, refreshTtl,
+      source.provider_authorization_id
+    ]
+  ));
+  return body.accessJwt;
+}
+
+async function createSyncRun(source, triggerType, correlationId) {
+  const id = createId();
+  await withConnection(connection => connection.query(
+    `INSERT INTO sync_runs
+      (id, workspace_id, data_source_id, workspace_provider_connection_id,
+       trigger_type, status, correlation_id, provider_api_version)
+     VALUES (?, ?, ?, ?, ?, 'running', ?, ?)`,
+    [
+      id, source.workspace_id, source.id, source.workspace_provider_connection_id,
+      triggerType, correlationId || null, BLUESKY_API_VERSION
+    ]
+  ));
+  return id;
+}
+
+async function fetchPosts(source, pdsUrl, runId, accessToken, deadlineMs, limits) {
+  const window = buildPostWindow(limits.lookbackDays);
+  const posts = [];
+  const seen = new Set();
+  let cursor = null;
+  let exhausted = false;
+  let oldestDate = null;
+  for (let page = 1; posts.length < limits.maxPosts; page += 1) {
+    if (Date.now() >= deadlineMs) break;
+    const result = await callAndRecord(source, runId, {
+      category: 'data_api', method: 'feed.get_author_feed', pageNumber: page
+    }, () => bluesky.getAuthorFeed(pdsUrl, accessToken, source.profile_id, {
+      limit: Math.min(FEED_PAGE_SIZE, limits.maxPosts - posts.length),
+      cursor
+    }, { deadlineMs }));
+    const parsed = parseFeed(result.body, source.profile_id);
+    for (const post of parsed.posts) {
+      if (seen.has(post.id) || !post.publishedAt) continue;
+      seen.add(post.id);
+      const date = post.publishedAt.slice(0, 10);
+      if (!oldestDate || date < oldestDate) oldestDate = date;
+      if (date >= window.startDate && date <= window.endDate && posts.length < limits.maxPosts) posts.push(post);
+    }
+    cursor = parsed.cursor;
+    if (!cursor || parsed.posts.length === 0) {
+      exhausted = true;
+      break;
+    }
+    if (oldestDate && oldestDate < window.startDate) break;
+  }
+  return { window, posts, exhausted, oldestDate };
+}
+
+function createStoredMetric(definition, grain, periodStart, periodEnd, value, reason = 'bluesky_value_not_reported') {
+  const registryDefinition = getMetricDefinitions()[definition.key];
+  const available = value !== null;
+  return createMetricObservation({
+    provider: 'bluesky',
+    metricKey: definition.key,
+    grain,
+    periodStart,
+    periodEnd,
+    numericValue: available ? value : null,
+    unit: definition.unit,
+    availabilityStatus: available ? 'available' : 'not_reported',
+    availabilityReason: available ? null : reason,
+    definitionVersion: registryDefinition.version
+  });
+}
+
+function rangeCoverage(feed, range) {
+  if (!feed) return 'bluesky_post_listing_unavailable';
+  if (range.startDate < feed.window.startDate) return 'bluesky_outside_lookback';
+  if (feed.exhausted || (feed.oldestDate && feed.oldestDate < range.startDate)) return null;
+  return 'bluesky_post_limit_reached';
+}
+
+function metricObservations(today, profile, feed) {
+  const observations = [];
+  if (profile.followerCount !== null) {
+    observations.push(createStoredMetric(FOLLOWER_METRIC, 'snapshot', today, today, profile.followerCount));
+  }
+  for (const range of buildRangeWindows(today)) {
+    const gap = rangeCoverage(feed, range);
+    const inRange = gap ? [] : feed.posts.filter(post => {
+      const date = post.publishedAt.slice(0, 10);
+      return date >= range.startDate && date <= range.endDate;
+    });
+    for (const definition of Object.values(POST_METRIC_MAP)) {
+      const complete = inRange.every(post => post[definition.field] !== null);
+      const value = gap || !complete
+        ? null
+        : inRange.reduce((sum, post) => sum + post[definition.field], 0);
+      observations.push(createStoredMetric(
+        definition, 'range', range.startDate, range.endDate, value, gap || 'bluesky_value_not_reported'
+      ));
+    }
+  }
+  return observations;
+}
+
+function dimensionObservations(feed) {
+  if (!feed) return [];
+  return feed.posts.map((post, position) => {
+    const metrics = {};
+    for (const definition of Object.values(POST_METRIC_MAP)) {
+      const value = post[definition.field];
+      metrics[definition.key] = {
+        value,
+        status: value === null ? 'not_reported' : 'available',
+        reason: value === null ? 'bluesky_value_not_reported' : null
+      };
+    }
+    return createDimensionObservation({
+      provider: 'bluesky',
+      breakdownKey: 'bluesky.posts',
+      periodStart: feed.window.startDate,
+      periodEnd: feed.window.endDate,
+      dimensionValues: {
+        post_id: post.id,
+        media_type: post.mediaType,
+        published_date: post.publishedAt.slice(0, 10),
+        text: (post.text || '').slice(0, 280),
+        url: post.url.length <= 512 ? post.url : ''
+      },
+      metrics,
+      rowPosition: position
+    });
+  });
+}
+
+function contentRows(feed) {
+  if (!feed) return [];
+  return feed.posts.map(post => ({
+    id: post.id,
+    publishedAt: post.publishedAt,
+    title: post.text ? post.text.slice(0, 280) : null,
+    description: post.text,
+    shareUrl: post.url,
+    viewCount: null,
+    likeCount: post.likes,
+    commentCount: post.replies,
+    shareCount: post.reposts,
+    metadata: {
+      uri: post.uri,
+      cid: post.cid,
+      media_type: post.mediaType,
+      is_reply: post.isReply
+    },
+    providerMetrics: {
+      likes: post.likes,
+      reposts: post.reposts,
+      replies: post.replies,
+      quotes: post.quotes
+    }
+  }));
+}
+
+async function upsertContent(connection, source, runId, row) {
+  const existingRows = await connection.query(
+    `SELECT id FROM content_items WHERE data_source_id = ? AND provider_content_id = ? LIMIT 1`,
+    [source.id, row.id]
+  );
+  const contentItemId = existingRows[0] ? existingRows[0].id : createId();
+  await connection.query(
+    `INSERT INTO content_items
+      (id, workspace_id, data_source_id, provider_content_id, published_at,
+       title, description, share_url, provider_metadata)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       published_at = VALUES(published_at), title = VALUES(title), description = VALUES(description),
+       share_url = VALUES(share_url), provider_metadata = VALUES(provider_metadata),
+       last_seen_at = UTC_TIMESTAMP(3), deleted_at = NULL`,
+    [
+      contentItemId, source.workspace_id, source.id, row.id,
+      row.publishedAt ? new Date(row.publishedAt) : null,
+      row.title, row.description, row.shareUrl, JSON.stringify(row.metadata)
+    ]
+  );
+  await connection.query(
+    `INSERT INTO content_metric_snapshots
+      (id, workspace_id, content_item_id, sync_run_id, observed_at,
+       view_count, like_count, comment_count, share_count, provider_metrics)
+     VALUES (?, ?, ?, ?, UTC_TIMESTAMP(3), ?, ?, ?, ?, ?)`,
+    [
+      createId(), source.workspace_id, contentItemId, runId,
+      row.viewCount, row.likeCount, row.commentCount, row.shareCount,
+      JSON.stringify(row.providerMetrics)
+    ]
+  );
+}
+
+async function storeSyncResult(source, runId, profile, feed, errors, startedMs) {
+  const today = buildPostWindow(1).today;
+  const metrics = metricObservations(today, profile, feed);
+  const dimensions = dimensionObservations(feed);
+  const content = contentRows(feed);
+  const throughDate = feed ? today : null;
+  const dataThroughAt = throughDate ? `${throughDate} 23:59:59` : null;
+  const status = errors.length > 0 ? 'partial' : 'success';
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const resourceMetadata = {
+        ...parseJson(source.resource_metadata, {}),
+        handle: profile.handle,
+        displayName: profile.displayName,
+        profileUrl: profile.profileUrl,
+        selectable: true,
+        discoveryStatus: 'available'
+      };
+      await connection.query(
+        `UPDATE provider_resources SET display_name = ?, metadata = ?, updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [profile.displayName, JSON.stringify(resourceMetadata), source.provider_resource_row_id]
+      );
+      await connection.query(
+        `UPDATE provider_accounts SET username = ?, display_name = ?, metadata = ?, updated_at = UTC_TIMESTAMP(3)
+         WHERE data_source_id = ?`,
+        [profile.handle, profile.displayName, JSON.stringify(resourceMetadata), source.id]
+      );
+      await connection.query(
+        `INSERT INTO provider_resource_observations
+          (id, workspace_id, workspace_provider_connection_id, sync_run_id, provider,
+           observed_at, data_through_at, source_timezone, observed_values, availability)
+         VALUES (?, ?, ?, ?, 'bluesky', UTC_TIMESTAMP(3), ?, 'UTC', ?, ?)`,
+        [
+          createId(), source.workspace_id, source.workspace_provider_connection_id, runId, dataThroughAt,
+          JSON.stringify({
+            did: profile.id,
+            handle: profile.handle,
+            display_name: profile.displayName,
+            follower_count: profile.followerCount,
+            post_count: profile.postCount
+          }),
+          JSON.stringify({
+            state: throughDate ? 'available' : 'delayed',
+            follower_count: profile.followerCount === null ? 'not_reported' : 'available'
+          })
+        ]
+      );
+      for (const item of metrics) {
+        await connection.query(
+          `INSERT INTO provider_metric_observations
+            (id, workspace_id, workspace_provider_connection_id, sync_run_id, provider,
+             metric_key, grain, period_start, period_end, observed_at, data_through_at,
+             numeric_value, unit, availability_status, availability_reason, definition_version)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3), ?, ?, ?, ?, ?, ?)`,
+          [
+            createId(), source.workspace_id, source.workspace_provider_connection_id, runId,
+            item.provider, item.metricKey, item.grain, item.periodStart, item.periodEnd, dataThroughAt,
+            item.numericValue, item.unit, item.availabilityStatus, item.availabilityReason,
+            item.definitionVersion
+          ]
+        );
+      }
+      for (const item of dimensions) {
+        await connection.query(
+          `INSERT INTO provider_dimension_observations
+            (id, workspace_id, workspace_provider_connection_id, sync_run_id, provider,
+             breakdown_key, period_start, period_end, observed_at, data_through_at,
+             dimension_hash, dimension_values, metric_values, availability, thresholded, row_position)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3), ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            createId(), source.workspace_id, source.workspace_provider_connection_id, runId,
+            item.provider, item.breakdownKey, item.periodStart, item.periodEnd, dataThroughAt,
+            item.dimensionHash, JSON.stringify(item.dimensionValues), JSON.stringify(item.metricValues),
+            JSON.stringify(item.availability), item.thresholded, item.rowPosition
+          ]
+        );
+      }
+      for (const row of content) await upsertContent(connection, source, runId, row);
+      for (const error of errors.slice(0, 20)) {
+        await connection.query(
+          `INSERT INTO sync_errors
+            (id, sync_run_id, category, provider_code, message, retryable)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            createId(), runId, error.category, error.provider_code,
+            String(error.message).slice(0, 512), Boolean(error.retryable)
+          ]
+        );
+      }
+      await connection.query(
+        `UPDATE sync_runs SET status = ?, finished_at = UTC_TIMESTAMP(3), duration_ms = ?,
+             profile_count = 1, content_seen_count = ?, content_snapshot_count = ?
+         WHERE id = ?`,
+        [status, Math.max(0, Date.now() - startedMs), content.length, content.length, runId]
+      );
+      const nextSeconds = Number(process.env.SYNC_INTERVAL_SECONDS || DEFAULT_SYNC_INTERVAL_SECONDS);
+      await connection.query(
+        `UPDATE data_sources SET status = 'active', reconnect_reason = NULL,
+             last_sync_at = UTC_TIMESTAMP(3),
+             last_successful_sync_at = CASE WHEN ? = 'success' THEN UTC_TIMESTAMP(3) ELSE last_successful_sync_at END,
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [status, nextSeconds, source.id]
+      );
+      await connection.query(
+        `UPDATE workspace_provider_connections SET status = 'active', last_sync_at = UTC_TIMESTAMP(3),
+             last_successful_sync_at = CASE WHEN ? = 'success' THEN UTC_TIMESTAMP(3) ELSE last_successful_sync_at END,
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             data_through_at = COALESCE(?, data_through_at), updated_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+        [status, nextSeconds, dataThroughAt, source.workspace_provider_connection_id]
+      );
+      await connection.query(
+        `UPDATE sync_jobs SET status = 'due', run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+             updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+        [nextSeconds, source.id]
+      );
+      const postsFailed = !feed;
+      const syncStates = [
+        ['bluesky.profile', { did: profile.id, handle: profile.handle }, false],
+        ['bluesky.posts', feed ? {
+          window_start: feed.window.startDate,
+          window_end: feed.window.endDate,
+          post_count: feed.posts.length,
+          oldest_post_date: feed.oldestDate,
+          exhausted: feed.exhausted
+        } : {}, postsFailed]
+      ];
+      for (const [syncKey, cursor, failed] of syncStates) {
+        await connection.query(
+          `UPDATE provider_sync_states SET cursor_state = ?, last_attempt_at = UTC_TIMESTAMP(3),
+               last_success_at = CASE WHEN ? THEN last_success_at ELSE UTC_TIMESTAMP(3) END,
+               data_through_at = CASE WHEN ? = 'bluesky.profile' THEN data_through_at ELSE COALESCE(?, data_through_at) END,
+               failure_category = ?,
+               failure_count = CASE WHEN ? THEN failure_count + 1 ELSE 0 END
+           WHERE workspace_provider_connection_id = ? AND sync_key = ?`,
+          [
+            JSON.stringify(cursor), failed, syncKey, dataThroughAt,
+            failed ? errors[0].category : null, failed,
+            source.workspace_provider_connection_id, syncKey
+          ]
+        );
+      }
+      for (const capability of BLUESKY_CAPABILITIES) {
+        const delayed = postsFailed && ['post_listing', 'post_engagement'].includes(capability);
+        await connection.query(
+          `UPDATE provider_capabilities SET status = ?, reason = ?, updated_at = UTC_TIMESTAMP(3)
+           WHERE workspace_provider_connection_id = ? AND capability_key = ?`,
+          [
+            delayed ? 'delayed' : 'available', delayed ? 'bluesky_post_listing_unavailable' : null,
+            source.workspace_provider_connection_id, capability
+          ]
+        );
+      }
+      await connection.query(
+        `UPDATE provider_authorizations SET status = 'active', last_validated_at = UTC_TIMESTAMP(3),
+             updated_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+        [source.provider_authorization_id]
+      );
+      await connection.commit();
+      return {
+        status,
+        dataThroughDate: throughDate,
+        metricCount: metrics.length,
+        dimensionCount: dimensions.length,
+        contentCount: content.length
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function finishFailedRun(source, runId, startedMs, syncError) {
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      await connection.query(
+        `UPDATE sync_runs SET status = 'failed', finished_at = UTC_TIMESTAMP(3), duration_ms = ? WHERE id = ?`,
+        [Math.max(0, Date.now() - startedMs), runId]
+      );
+      await connection.query(
+        `INSERT INTO sync_errors
+          (id, sync_run_id, category, provider_code, message, retryable)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          createId(), runId, syncError.category, syncError.provider_code,
+          String(syncError.message).slice(0, 512), Boolean(syncError.retryable)
+        ]
+      );
+      const retrySeconds = retryDelaySeconds(syncError);
+      await connection.query(
+        `UPDATE data_sources SET status = 'active', reconnect_reason = ?, last_sync_at = UTC_TIMESTAMP(3),
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [`${syncError.category}:${syncError.message}`.slice(0, 255), retrySeconds, source.id]
+      );
+      await connection.query(
+        `UPDATE workspace_provider_connections SET last_sync_at = UTC_TIMESTAMP(3),
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [retrySeconds, source.workspace_provider_connection_id]
+      );
+      await connection.query(
+        `UPDATE sync_jobs SET status = 'due', run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+             updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+        [retrySeconds, source.id]
+      );
+      await connection.query(
+        `UPDATE provider_capabilities SET status = 'provider_error', reason = ?, updated_at = UTC_TIMESTAMP(3)
+         WHERE workspace_provider_connection_id = ?`,
+        [syncError.message, source.workspace_provider_connection_id]
+      );
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function performBlueskySyncForJob(job, options = {}) {
+  const startedMs = Date.now();
+  const configuration = getBlueskyConfiguration();
+  if (!configuration.connectable) {
+    await withConnection(connection => connection.query(
+      `UPDATE sync_jobs SET status = 'due', run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+           lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+           updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+      [DEFAULT_SYNC_INTERVAL_SECONDS, job.data_source_id]
+    ));
+    return {
+      data_source_id: job.data_source_id,
+      sync_run_id: null,
+      status: 'disabled',
+      error: { category: 'configuration', provider_code: 'bluesky_not_available', retryable: false, message: 'bluesky_not_available' },
+      counts: { profile_count: 0, content_seen_count: 0, content_snapshot_count: 0 }
+    };
+  }
+  const limits = getBlueskyLimits();
+  const localDeadline = startedMs + limits.jobTimeBudgetSeconds * 1000;
+  const deadlineMs = options.deadlineMs ? Math.min(options.deadlineMs, localDeadline) : localDeadline;
+  let source = null;
+  let runId = null;
+  try {
+    source = await withConnection(connection => loadSource(connection, job.data_source_id));
+    if (!source || source.status !== 'active' || source.authorization_status !== 'active' || source.revoked_at) {
+      throw createSyncError('bluesky_source_not_syncable');
+    }
+    runId = await createSyncRun(source, options.triggerType || 'scheduled', options.correlationId);
+    const pdsUrl = parseJson(source.resource_metadata, {}).pdsUrl;
+    if (!pdsUrl) throw createSyncError('bluesky_pds_unknown');
+    const accessToken = await refreshCredentialsIfNeeded(source, pdsUrl, runId, deadlineMs);
+    const profileResult = await callAndRecord(source, runId, {
+      category: 'data_api', method: 'actor.get_profile'
+    }, () => bluesky.getProfile(pdsUrl, accessToken, source.profile_id, { deadlineMs }));
+    const profile = parseProfile(source, profileResult.body);
+    const errors = [];
+    let feed = null;
+    try {
+      feed = await fetchPosts(source, pdsUrl, runId, accessToken, deadlineMs, limits);
+    } catch (error) {
+      const normalized = internalSyncError(error);
+      if (isUnusableAuthorization(normalized)) throw error;
+      errors.push(normalized);
+    }
+    const result = await storeSyncResult(source, runId, profile, feed, errors, startedMs);
+    return {
+      data_source_id: source.id,
+      sync_run_id: runId,
+      status: result.status,
+      error: errors[0] || null,
+      counts: {
+        profile_count: 1,
+        content_seen_count: result.contentCount,
+        content_snapshot_count: result.contentCount
+      },
+      metric_observation_count: result.metricCount,
+      dimension_observation_count: result.dimensionCount,
+      data_through_date: result.dataThroughDate
+    };
+  } catch (error) {
+    const syncError = internalSyncError(error);
+    if (source && isUnusableAuthorization(syncError)) {
+      const outcome = syncError.message === 'bluesky_session_expired'
+        ? 'session_expired'
+        : 'authorization_unusable_external_revocation';
+      await purgeBlueskyAuthorizationBySystem(source.provider_authorization_id, outcome);
+      return {
+        data_source_id: job.data_source_id,
+        sync_run_id: null,
+        status: 'failed',
+        error: syncError,
+        counts: { profile_count: 0, content_seen_count: 0, content_snapshot_count: 0 }
+      };
+    }
+    if (source && runId) await finishFailedRun(source, runId, startedMs, syncError);
+    else {
+      const retrySeconds = retryDelaySeconds(syncError);
+      await withConnection(connection => connection.query(
+        `UPDATE sync_jobs SET status = 'due', run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+             updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+        [retrySeconds, job.data_source_id]
+      ));
+    }
+    return {
+      data_source_id: job.data_source_id,
+      sync_run_id: runId,
+      status: 'failed',
+      error: syncError,
+      counts: { profile_count: 0, content_seen_count: 0, content_snapshot_count: 0 }
+    };
+  }
+}
+
+module.exports = {
+  POST_METRIC_MAP,
+  RANGE_DAYS,
+  buildPostWindow,
+  buildRangeWindows,
+  contentRows,
+  dimensionObservations,
+  metricObservations,
+  parseFeed,
+  parseProfile,
+  performBlueskySyncForJob,
+  rangeCoverage,
+  retryDelaySeconds
+};
@@ -5,6 +5,7 @@ const {
   markTikTokProviderFoundationDisconnected,
   upsertTikTokProviderFoundation
 } = require('./provider-foundation');
+const { createAuditLog } = require('./repositories');
 const { decryptSecret, encryptSecret } = require('./secret-envelope');
 const { createId, hashSecret, randomToken } = require('./security');
 
@@ -30,10 +31,13 @@ async function withConnection(fn) {
   }
 }
 
-async function requireWorkspaceRole(connection, workspaceId, userId, capability) {
+async function requireWorkspaceRole(connection, workspaceId, userId, capability, provider = null) {
   const rows = await connection.query(
-    `SELECT role FROM workspace_memberships
-     WHERE workspace_id = ? AND user_id = ? AND status = 'active'
+    `SELECT m.role, r.capabilities AS custom_role_capabilities,
+            m.resources_restricted = 1 AND m.role NOT IN ('owner', 'admin') AS resources_restricted
+     FROM workspace_memberships m
+     LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+     WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active'
      LIMIT 1`,
     [workspaceId, userId]
   );
@@ -44,7 +48,13 @@ async function requireWorkspaceRole(connection, workspaceId, userId, capability)
     error.code = 'workspace_not_found';
     throw error;
   }
-  assertCapability(membership.role, capability);
+  assertCapability(membership, capability, provider);
+  if (Number(membership.resources_restricted)) {
+    const error = new Error('permission_denied');
+    error.status = 403;
+    error.code = 'permission_denied';
+    throw error;
+  }
   return membership.role;
 }
 
@@ -72,20 +82,7 @@ function normalizeReturnPath(returnPath) {
 }
 
 async function writeAuditLog(connection, { workspaceId, actorUserId = null, action, targetType = null, targetId = null, metadata = null }) {
-  await connection.query(
-    `INSERT INTO audit_logs
-      (id, workspace_id, actor_user_id, action, target_type, target_id, metadata)
-     VALUES (?, ?, ?, ?, ?, ?, ?)`,
-    [
-      createId(),
-      workspaceId,
-      actorUserId,
-      action,
-      targetType,
-      targetId,
-      metadata ? JSON.stringify(metadata) : null
-    ]
-  );
+  await createAuditLog(connection, { workspaceId, actorUserId, action, targetType, targetId, metadata });
 }
 
 async function findOrCreateTikTokSource(connection, workspaceId) {
@@ -108,7 +105,7 @@ async function findOrCreateTikTokSource(connection, workspaceId) {
 async function startTikTokConnection(userId, workspaceId, returnPath = '/') {
   return withConnection(async connection => {
     const safeReturnPath = normalizeReturnPath(returnPath);
-    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection');
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', 'tiktok');
     await connection.beginTransaction();
     try {
       const dataSource = await findOrCreateTikTokSource(connection, workspaceId);
@@ -369,90 +366,106 @@ async function completeTikTokConnection({ code, state }) {
   });
 }
 
-async function disconnectTikTok(userId, workspaceId) {
-  return withConnection(async connection => {
-    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection');
-    const rows = await connection.query(
-      `SELECT ds.id AS data_source_id,
-              oc.access_token_ciphertext,
-              oc.access_token_iv,
-              oc.access_token_tag,
-              oc.key_version,
-              oc.revoked_at
-       FROM data_sources ds
-       LEFT JOIN oauth_credentials oc ON oc.data_source_id = ds.id
-       WHERE ds.workspace_id = ? AND ds.provider = 'tiktok' AND ds.deleted_at IS NULL
-       LIMIT 1`,
-      [workspaceId]
-    );
-    const record = rows[0] || null;
-    if (!record) {
-      return { disconnected: false, provider_revoke: { attempted: false, reason: 'not_connected' } };
-    }
+async function revokeTikTokDataSource(connection, workspaceId, actorUserId) {
+  const rows = await connection.query(
+    `SELECT ds.id AS data_source_id,
+            oc.access_token_ciphertext,
+            oc.access_token_iv,
+            oc.access_token_tag,
+            oc.key_version,
+            oc.revoked_at
+     FROM data_sources ds
+     LEFT JOIN oauth_credentials oc ON oc.data_source_id = ds.id
+     WHERE ds.workspace_id = ? AND ds.provider = 'tiktok' AND ds.deleted_at IS NULL
+     LIMIT 1`,
+    [workspaceId]
+  );
+  const record = rows[0] || null;
+  if (!record) {
+    return { disconnected: false, provider_revoke: { attempted: false, reason: 'not_connected' } };
+  }
 
-    let providerRevoke = { attempted: false, reason: 'credential_not_found' };
-    if (record.access_token_ciphertext && !record.revoked_at) {
-      const accessToken = decryptSecret({
+  let providerRevoke = { attempted: false, reason: 'credential_not_found' };
+  if (record.access_token_ciphertext && !record.revoked_at) {
+    let accessToken = null;
+    try {
+      accessToken = decryptSecret({
         ciphertext: record.access_token_ciphertext,
         iv: record.access_token_iv,
         tag: record.access_token_tag,
         keyVersion: record.key_version
       });
-      providerRevoke = await tiktok.revokeAccess(accessToken);
+    } catch {
+      accessToken = null;
     }
+    providerRevoke = accessToken
+      ? await tiktok.revokeAccess(accessToken)
+      : { attempted: false, reason: 'credential_unavailable' };
+  }
 
-    await connection.beginTransaction();
-    try {
-      await connection.query(
-        `UPDATE oauth_credentials SET revoked_at = UTC_TIMESTAMP(3), updated_at = UTC_TIMESTAMP(3)
-         WHERE data_source_id = ?`,
-        [record.data_source_id]
-      );
-      await connection.query(
-        `UPDATE data_sources
-         SET status = 'disconnected', next_sync_at = NULL, reconnect_reason = NULL, updated_at = UTC_TIMESTAMP(3)
-         WHERE id = ?`,
-        [record.data_source_id]
-      );
-      await connection.query(
-        `UPDATE sync_jobs
-         SET status = 'disabled', lease_owner = NULL, lease_expires_at = NULL, updated_at = UTC_TIMESTAMP(3)
-         WHERE data_source_id = ?`,
-        [record.data_source_id]
-      );
-      await connection.query('DELETE FROM provider_scopes WHERE data_source_id = ?', [record.data_source_id]);
-      await markTikTokProviderFoundationDisconnected(connection, {
-        dataSourceId: record.data_source_id,
-        actorUserId: userId,
-        providerRevoke
-      });
-      await writeAuditLog(connection, {
-        workspaceId,
-        actorUserId: userId,
-        action: 'connection.tiktok.disconnected',
-        targetType: 'data_source',
-        targetId: record.data_source_id,
-        metadata: {
-          provider_revoke: providerRevoke && {
-            attempted: providerRevoke.attempted,
-            success: providerRevoke.success,
-            status: providerRevoke.status,
-            category: providerRevoke.error && providerRevoke.error.category
-          }
+  await connection.beginTransaction();
+  try {
+    await connection.query(
+      `UPDATE oauth_credentials SET revoked_at = UTC_TIMESTAMP(3), updated_at = UTC_TIMESTAMP(3)
+       WHERE data_source_id = ?`,
+      [record.data_source_id]
+    );
+    await connection.query(
+      `UPDATE data_sources
+       SET status = 'disconnected', next_sync_at = NULL, reconnect_reason = NULL, updated_at = UTC_TIMESTAMP(3)
+       WHERE id = ?`,
+      [record.data_source_id]
+    );
+    await connection.query(
+      `UPDATE sync_jobs
+       SET status = 'disabled', lease_owner = NULL, lease_expires_at = NULL, updated_at = UTC_TIMESTAMP(3)
+       WHERE data_source_id = ?`,
+      [record.data_source_id]
+    );
+    await connection.query('DELETE FROM provider_scopes WHERE data_source_id = ?', [record.data_source_id]);
+    await markTikTokProviderFoundationDisconnected(connection, {
+      dataSourceId: record.data_source_id,
+      actorUserId,
+      providerRevoke
+    });
+    await writeAuditLog(connection, {
+      workspaceId,
+      actorUserId,
+      action: 'connection.tiktok.disconnected',
+      targetType: 'data_source',
+      targetId: record.data_source_id,
+      metadata: {
+        provider_revoke: providerRevoke && {
+          attempted: providerRevoke.attempted,
+          success: providerRevoke.success,
+          status: providerRevoke.status,
+          category: providerRevoke.error && providerRevoke.error.category
         }
-      });
-      await connection.commit();
-      return { disconnected: true, provider_revoke: providerRevoke };
-    } catch (error) {
-      await connection.rollback();
-      throw error;
-    }
+      }
+    });
+    await connection.commit();
+    return { disconnected: true, provider_revoke: providerRevoke };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  }
+}
+
+async function disconnectTikTok(userId, workspaceId) {
+  return withConnection(async connection => {
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', 'tiktok');
+    return revokeTikTokDataSource(connection, workspaceId, userId);
   });
 }
 
+async function revokeWorkspaceTikTokAuthorization(workspaceId) {
+  return withConnection(connection => revokeTikTokDataSource(connection, workspaceId, null));
+}
+
 module.exports = {
   completeTikTokConnection,
   disconnectTikTok,
   normalizeReturnPath,
+  revokeWorkspaceTikTokAuthorization,
   startTikTokConnection
 };
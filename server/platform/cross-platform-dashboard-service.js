@@ -1,7 +1,12 @@
 const { getDashboard } = require('./dashboard-service');
 const { getGoogleAnalyticsDashboard } = require('./google-analytics-dashboard-service');
+const { getLinkedInDashboard } = require('./linkedin-dashboard-service');
 const { getMetaDashboard } = require('./meta-dashboard-service');
+const { getPinterestDashboard } = require('./pinterest-dashboard-service');
 const { listWorkspaceProviderCatalog } = require('./provider-registry');
+const { getSearchConsoleDashboard } = require('./search-console-dashboard-service');
+const { getThreadsDashboard } = require('./threads-dashboard-service');
+const { getBlueskyDashboard } = require('./bluesky-dashboard-service');
 const { getYouTubeDashboard, parseRange } = require('./youtube-dashboard-service');
 
 const PROVIDER_ORDER = Object.freeze([
@@ -9,7 +14,12 @@ const PROVIDER_ORDER = Object.freeze([
   'youtube',
   'facebook_pages',
   'instagram',
-  'google_analytics_4'
+  'linkedin',
+  'google_analytics_4',
+  'google_search_console',
+  'pinterest',
+  'threads',
+  'bluesky'
 ]);
 
 const PROVIDER_NAMES = Object.freeze({
@@ -17,7 +27,12 @@ const PROVIDER_NAMES = Object.freeze({
   youtube: 'YouTube',
   facebook_pages: 'Facebook Pages',
   instagram: 'Instagram',
-  google_analytics_4: 'Website Analytics'
+  linkedin: 'LinkedIn',
+  google_analytics_4: 'Website Analytics',
+  google_search_console: 'Google Search Console',
+  pinterest: 'Pinterest',
+  threads: 'Threads',
+  bluesky: 'Bluesky'
 });
 
 const METRIC_SELECTIONS = Object.freeze({
@@ -43,11 +58,41 @@ const METRIC_SELECTIONS = Object.freeze({
     { key: 'reach', label: 'Reach', family: 'provider_reach', unit: 'count' },
     { key: 'total_interactions', label: 'Interactions', family: 'provider_engagement', unit: 'count' }
   ]),
+  linkedin: Object.freeze([
+    { key: 'linkedin.followers', label: 'Followers', family: 'audience', unit: 'count' },
+    { key: 'linkedin.impressions', label: 'Impressions', family: 'provider_views', unit: 'count' },
+    { key: 'linkedin.clicks', label: 'Clicks', family: 'provider_clicks', unit: 'count' },
+    { key: 'linkedin.new_followers', label: 'New followers', family: 'audience_change', unit: 'count' }
+  ]),
   google_analytics_4: Object.freeze([
     { key: 'ga4.active_users', label: 'Active users', family: 'website_audience', unit: 'count' },
     { key: 'ga4.sessions', label: 'Sessions', family: 'website_traffic', unit: 'count' },
     { key: 'ga4.screen_page_views', label: 'Views', family: 'website_views', unit: 'count' },
     { key: 'ga4.engagement_rate', label: 'Engagement rate', family: 'website_engagement', unit: 'ratio' }
+  ]),
+  google_search_console: Object.freeze([
+    { key: 'search_console.clicks', label: 'Clicks', family: 'search_clicks', unit: 'count' },
+    { key: 'search_console.impressions', label: 'Impressions', family: 'search_impressions', unit: 'count' },
+    { key: 'search_console.ctr', label: 'CTR', family: 'search_click_through', unit: 'ratio' },
+    { key: 'search_console.position', label: 'Average position', family: 'search_position', unit: 'position' }
+  ]),
+  pinterest: Object.freeze([
+    { key: 'pinterest.followers', label: 'Followers', family: 'audience', unit: 'count' },
+    { key: 'pinterest.impressions', label: 'Impressions', family: 'provider_views', unit: 'count' },
+    { key: 'pinterest.saves', label: 'Saves', family: 'provider_saves', unit: 'count' },
+    { key: 'pinterest.outbound_clicks', label: 'Outbound clicks', family: 'provider_clicks', unit: 'count' }
+  ]),
+  threads: Object.freeze([
+    { key: 'threads.followers', label: 'Followers', family: 'audience', unit: 'count' },
+    { key: 'threads.views', label: 'Views', family: 'provider_views', unit: 'count' },
+    { key: 'threads.likes', label: 'Likes', family: 'provider_engagement', unit: 'count' },
+    { key: 'threads.replies', label: 'Replies', family: 'provider_replies', unit: 'count' }
+  ]),
+  bluesky: Object.freeze([
+    { key: 'bluesky.followers', label: 'Followers', family: 'audience', unit: 'count' },
+    { key: 'bluesky.likes', label: 'Likes', family: 'provider_engagement', unit: 'count' },
+    { key: 'bluesky.reposts', label: 'Reposts', family: 'provider_shares', unit: 'count' },
+    { key: 'bluesky.replies', label: 'Replies', family: 'provider_replies', unit: 'count' }
   ])
 });
 
@@ -67,10 +112,30 @@ const TREND_SELECTIONS = Object.freeze({
     { key: 'page_follows', label: 'Page follows', unit: 'count' }
   ]),
   instagram: Object.freeze([]),
+  linkedin: Object.freeze([
+    { key: 'impressions', label: 'Impressions', unit: 'count' },
+    { key: 'clicks', label: 'Clicks', unit: 'count' },
+    { key: 'new_followers', label: 'New followers', unit: 'count' }
+  ]),
   google_analytics_4: Object.freeze([
     { key: 'active_users', label: 'Active users', unit: 'count' },
     { key: 'sessions', label: 'Sessions', unit: 'count' },
     { key: 'screen_page_views', label: 'Views', unit: 'count' }
+  ]),
+  google_search_console: Object.freeze([
+    { key: 'clicks', label: 'Clicks', unit: 'count' },
+    { key: 'impressions', label: 'Impressions', unit: 'count' }
+  ]),
+  pinterest: Object.freeze([
+    { key: 'impressions', label: 'Impressions', unit: 'count' },
+    { key: 'saves', label: 'Saves', unit: 'count' },
+    { key: 'outbound_clicks', label: 'Outbound clicks', unit: 'count' }
+  ]),
+  threads: Object.freeze([
+    { key: 'views', label: 'Views', unit: 'count' }
+  ]),
+  bluesky: Object.freeze([
+    { key: 'followers', label: 'Followers', unit: 'count' }
   ])
 });
 
@@ -205,10 +270,104 @@ function normalizeWebsiteContent(dashboard) {
   });
 }
 
+function normalizeLinkedInContent(dashboard) {
+  const posts = Array.isArray(dashboard && dashboard.posts) ? dashboard.posts : [];
+  return posts.slice(0, 3).map(post => ({
+    id: post.id,
+    kind: 'social_content',
+    title: post.text || 'Untitled post',
+    published_at: post.published_date ? `${post.published_date}T00:00:00.000Z` : null,
+    share_url: post.url || null,
+    primary_metric: {
+      key: 'linkedin.impressions',
+      label: 'Impressions',
+      unit: 'count',
+      value: numberOrNull(post.metrics && post.metrics.impressions)
+    }
+  }));
+}
+
+function normalizePinterestContent(dashboard) {
+  const pins = Array.isArray(dashboard && dashboard.pins) ? dashboard.pins : [];
+  return pins.slice(0, 3).map(pin => ({
+    id: pin.id,
+    kind: 'social_content',
+    title: pin.title || 'Untitled pin',
+    published_at: pin.published_date ? `${pin.published_date}T00:00:00.000Z` : null,
+    share_url: pin.url || null,
+    primary_metric: {
+      key: 'pinterest.impressions',
+      label: 'Impressions',
+      unit: 'count',
+      value: numberOrNull(pin.metrics && pin.metrics.impressions)
+    }
+  }));
+}
+
+function normalizeThreadsContent(dashboard) {
+  const posts = Array.isArray(dashboard && dashboard.posts) ? dashboard.posts : [];
+  return posts.slice(0, 3).map(post => ({
+    id: post.id,
+    kind: 'social_content',
+    title: post.text || 'Untitled post',
+    published_at: post.published_date ? `${post.published_date}T00:00:00.000Z` : null,
+    share_url: post.url || null,
+    primary_metric: {
+      key: 'threads.views',
+      label: 'Views',
+      unit: 'count',
+      value: numberOrNull(post.metrics && post.metrics.views)
+    }
+  }));
+}
+
+function normalizeBlueskyContent(dashboard) {
+  const posts = Array.isArray(dashboard && dashboard.posts) ? dashboard.posts : [];
+  return posts.slice(0, 3).map(post => ({
+    id: post.id,
+    kind: 'social_content',
+    title: post.text || 'Untitled post',
+    published_at: post.published_date ? `${post.published_date}T00:00:00.000Z` : null,
+    share_url: post.url || null,
+    primary_metric: {
+      key: 'bluesky.likes',
+      label: 'Likes',
+      unit: 'count',
+      value: numberOrNull(post.metrics && post.metrics.likes)
+    }
+  }));
+}
+
+function normalizeSearchQueries(dashboard) {
+  const groups = Array.isArray(dashboard && dashboard.breakdowns) ? dashboard.breakdowns : [];
+  const group = groups.find(item => item.key === 'search_console.query');
+  if (!group) return [];
+  return group.rows.slice(0, 3).map((row, index) => {
+    const query = row.dimensions && row.dimensions.query || '(not set)';
+    return {
+      id: `${group.key}:${index}:${query}`,
+      kind: 'search_query',
+      title: query,
+      published_at: null,
+      share_url: null,
+      primary_metric: {
+        key: 'search_console.clicks',
+        label: 'Clicks',
+        unit: 'count',
+        value: storedDimensionMetric(row.metrics && row.metrics['search_console.clicks'])
+      }
+    };
+  });
+}
+
 function normalizeTopContent(provider, dashboard) {
-  return provider === 'google_analytics_4'
-    ? normalizeWebsiteContent(dashboard)
-    : normalizeSocialContent(provider, dashboard);
+  if (provider === 'google_analytics_4') return normalizeWebsiteContent(dashboard);
+  if (provider === 'linkedin') return normalizeLinkedInContent(dashboard);
+  if (provider === 'google_search_console') return normalizeSearchQueries(dashboard);
+  if (provider === 'pinterest') return normalizePinterestContent(dashboard);
+  if (provider === 'threads') return normalizeThreadsContent(dashboard);
+  if (provider === 'bluesky') return normalizeBlueskyContent(dashboard);
+  return normalizeSocialContent(provider, dashboard);
 }
 
 function connectionFor(provider, dashboard, catalogProvider) {
@@ -241,6 +400,42 @@ function resourceFor(provider, dashboard, catalogProvider, connectionId) {
       timezone: null
     };
   }
+  if (provider === 'linkedin' && dashboard && dashboard.organization) {
+    return {
+      connection_id: connectionId || dashboard.connection && dashboard.connection.id || null,
+      id: dashboard.organization.id,
+      display_name: dashboard.organization.display_name,
+      account_name: dashboard.organization.vanity_name,
+      timezone: 'UTC'
+    };
+  }
+  if (provider === 'pinterest' && dashboard && dashboard.account) {
+    return {
+      connection_id: connectionId || dashboard.connection && dashboard.connection.id || null,
+      id: dashboard.account.id,
+      display_name: dashboard.account.display_name,
+      account_name: dashboard.account.username,
+      timezone: 'UTC'
+    };
+  }
+  if (provider === 'threads' && dashboard && dashboard.profile) {
+    return {
+      connection_id: connectionId || dashboard.connection && dashboard.connection.id || null,
+      id: dashboard.profile.id,
+      display_name: dashboard.profile.display_name,
+      account_name: dashboard.profile.username,
+      timezone: 'UTC'
+    };
+  }
+  if (provider === 'bluesky' && dashboard && dashboard.profile) {
+    return {
+      connection_id: connectionId || dashboard.connection && dashboard.connection.id || null,
+      id: dashboard.profile.id,
+      display_name: dashboard.profile.display_name,
+      account_name: dashboard.profile.handle,
+      timezone: 'UTC'
+    };
+  }
   if (provider === 'google_analytics_4' && dashboard && dashboard.property) {
     return {
       connection_id: connectionId || dashboard.connection && dashboard.connection.id || null,
@@ -250,6 +445,15 @@ function resourceFor(provider, dashboard, catalogProvider, connectionId) {
       timezone: dashboard.property.timezone
     };
   }
+  if (provider === 'google_search_console' && dashboard && dashboard.site) {
+    return {
+      connection_id: connectionId || dashboard.connection && dashboard.connection.id || null,
+      id: dashboard.site.id,
+      display_name: dashboard.site.display_name,
+      account_name: dashboard.site.site_url,
+      timezone: dashboard.site.timezone
+    };
+  }
   const account = catalogConnection && catalogConnection.account;
   return account ? {
     connection_id: connectionId || catalogConnection.id || null,
@@ -429,8 +633,9 @@ function dashboardTasks(userId, workspaceId, query, catalog, loaders, requestedR
     from: `${requestedRange.from}T00:00:00.000Z`,
     to: `${requestedRange.to}T23:59:59.999Z`
   } : query;
-  add('tiktok', null, () => loaders.tiktok(userId, workspaceId, exactRangeQuery));
+  if (catalogByProvider.has('tiktok')) add('tiktok', null, () => loaders.tiktok(userId, workspaceId, exactRangeQuery));
   for (const provider of PROVIDER_ORDER.slice(1)) {
+    if (!catalogByProvider.has(provider)) continue;
     const catalogProvider = catalogByProvider.get(provider);
     const connections = Array.isArray(catalogProvider && catalogProvider.connections)
       ? catalogProvider.connections
@@ -442,6 +647,16 @@ function dashboardTasks(userId, workspaceId, query, catalog, loaders, requestedR
         add(provider, connection.id, () => loaders.youtube(userId, workspaceId, providerQuery));
       } else if (provider === 'google_analytics_4') {
         add(provider, connection.id, () => loaders.googleAnalytics(userId, workspaceId, providerQuery));
+      } else if (provider === 'linkedin') {
+        add(provider, connection.id, () => loaders.linkedin(userId, workspaceId, providerQuery));
+      } else if (provider === 'google_search_console') {
+        add(provider, connection.id, () => loaders.searchConsole(userId, workspaceId, providerQuery));
+      } else if (provider === 'pinterest') {
+        add(provider, connection.id, () => loaders.pinterest(userId, workspaceId, providerQuery));
+      } else if (provider === 'threads') {
+        add(provider, connection.id, () => loaders.threads(userId, workspaceId, providerQuery));
+      } else if (provider === 'bluesky') {
+        add(provider, connection.id, () => loaders.bluesky(userId, workspaceId, providerQuery));
       } else {
         const metaQuery = provider === 'facebook_pages'
           ? { ...providerQuery, from: exactRangeQuery.from, to: exactRangeQuery.to }
@@ -459,7 +674,12 @@ async function getCrossPlatformDashboard(userId, workspaceId, query = {}, depend
     tiktok: dependencies.tiktok || getDashboard,
     youtube: dependencies.youtube || getYouTubeDashboard,
     meta: dependencies.meta || getMetaDashboard,
-    googleAnalytics: dependencies.googleAnalytics || getGoogleAnalyticsDashboard
+    googleAnalytics: dependencies.googleAnalytics || getGoogleAnalyticsDashboard,
+    linkedin: dependencies.linkedin || getLinkedInDashboard,
+    searchConsole: dependencies.searchConsole || getSearchConsoleDashboard,
+    pinterest: dependencies.pinterest || getPinterestDashboard,
+    threads: dependencies.threads || getThreadsDashboard,
+    bluesky: dependencies.bluesky || getBlueskyDashboard
   };
   const requestedRange = parseRange(query);
   const catalog = await loaders.catalog(userId, workspaceId);
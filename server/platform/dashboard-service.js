@@ -1,6 +1,7 @@
 const { getConnection } = require('../database');
 const { compareMetric, engagementRate, resolveDateRange } = require('./analytics');
-const { assertCapability } = require('./rbac');
+const { assertCapability, capabilityProviders, hasCapability } = require('./rbac');
+const { loadResourceScope, scopeAllowsDataSource, scopeCondition } = require('./resource-scope');
 
 const SYNC_ERROR_CATEGORIES = new Set([
   'authentication',
@@ -45,17 +46,19 @@ async function withConnection(fn) {
   }
 }
 
-async function requireWorkspaceCapability(connection, workspaceId, userId, capability = 'viewDashboard') {
+async function requireWorkspaceCapability(connection, workspaceId, userId, capability = 'viewDashboard', provider = null) {
   const rows = await connection.query(
-    `SELECT role FROM workspace_memberships
-     WHERE workspace_id = ? AND user_id = ? AND status = 'active'
+    `SELECT m.user_id, m.role, m.custom_role_id, r.capabilities AS custom_role_capabilities
+     FROM workspace_memberships m
+     LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+     WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active'
      LIMIT 1`,
     [workspaceId, userId]
   );
   const membership = rows[0] || null;
   if (!membership) throw createHttpError(404, 'workspace_not_found');
-  assertCapability(membership.role, capability);
-  return membership.role;
+  assertCapability(membership, capability, provider);
+  return membership;
 }
 
 function serializeDate(value) {
@@ -67,7 +70,7 @@ function sanitizedSyncErrorCode(value) {
   const normalized = code.toLowerCase();
   if (!code || code.length > 120) return null;
   if (/^\d{1,10}$/.test(code)) return code;
-  if (/^(?:facebook_pages|ga4|instagram|meta|tiktok|youtube)_[a-z0-9_]+$/.test(normalized)) {
+  if (/^(?:bluesky|facebook_pages|ga4|instagram|linkedin|meta|pinterest|search_console|threads|tiktok|youtube)_[a-z0-9_]+$/.test(normalized)) {
     return normalized;
   }
   return SAFE_EXTERNAL_ERROR_CODES.has(normalized) ? normalized : null;
@@ -129,8 +132,10 @@ async function getBaselineProfile(connection, workspaceId, from) {
 async function getDashboard(userId, workspaceId, query = {}) {
   const range = resolveDateRange(query);
   return withConnection(async connection => {
-    await requireWorkspaceCapability(connection, workspaceId, userId, 'viewDashboard');
+    await requireWorkspaceCapability(connection, workspaceId, userId, 'viewDashboard', 'tiktok');
     const source = await getTikTokSource(connection, workspaceId);
+    const scope = await loadResourceScope(connection, workspaceId, userId);
+    if (!scopeAllowsDataSource(scope, source && source.id)) throw createHttpError(403, 'permission_denied');
     const latest = await getLatestProfile(connection, workspaceId, range.to);
     const baseline = await getBaselineProfile(connection, workspaceId, range.from);
     const trend = await connection.query(
@@ -204,7 +209,7 @@ async function queryContentRows(connection, workspaceId, options = {}) {
   const offset = Math.max(Number(options.offset || 0), 0);
   const sortColumn = SORT_COLUMNS[options.sort] || SORT_COLUMNS.views;
   const direction = String(options.direction || 'desc').toLowerCase() === 'asc' ? 'ASC' : 'DESC';
-  const allowedProviders = new Set(['tiktok', 'youtube', 'facebook_pages', 'instagram']);
+  const allowedProviders = new Set(['tiktok', 'youtube', 'facebook_pages', 'instagram', 'pinterest', 'threads', 'bluesky']);
   const provider = options.provider === 'all' ? 'all' : allowedProviders.has(options.provider) ? options.provider : 'tiktok';
   const where = ['ci.workspace_id = ?', 'ci.deleted_at IS NULL'];
   const params = [workspaceId];
@@ -212,7 +217,11 @@ async function queryContentRows(connection, workspaceId, options = {}) {
     where.push('ds.provider = ?');
     params.push(provider);
   } else {
-    where.push("ds.provider IN ('tiktok', 'youtube', 'facebook_pages', 'instagram')");
+    where.push("ds.provider IN ('tiktok', 'youtube', 'facebook_pages', 'instagram', 'pinterest', 'threads', 'bluesky')");
+  }
+  if (options.providers) {
+    where.push(`ds.provider IN (${options.providers.map(() => '?').join(', ')})`);
+    params.push(...options.providers);
   }
   if (options.connectionId) {
     where.push('wpc.id = ?');
@@ -222,6 +231,10 @@ async function queryContentRows(connection, workspaceId, options = {}) {
     where.push('ds.id = ?');
     params.push(options.dataSourceId);
   }
+  if (options.dataSourceIds) {
+    where.push(options.dataSourceIds.length ? `ds.id IN (${options.dataSourceIds.map(() => '?').join(', ')})` : '1 = 0');
+    params.push(...options.dataSourceIds);
+  }
   if (options.from) {
     where.push('(ci.published_at IS NULL OR ci.published_at >= ?)');
     params.push(options.from);
@@ -301,7 +314,8 @@ async function queryContentRows(connection, workspaceId, options = {}) {
 async function getContent(userId, workspaceId, query = {}) {
   const range = resolveDateRange(query);
   return withConnection(async connection => {
-    await requireWorkspaceCapability(connection, workspaceId, userId, 'viewDashboard');
+    const membership = await requireWorkspaceCapability(connection, workspaceId, userId, 'viewDashboard');
+    const scope = await loadResourceScope(connection, workspaceId, userId);
     return queryContentRows(connection, workspaceId, {
       from: range.from,
       to: range.to,
@@ -311,6 +325,8 @@ async function getContent(userId, workspaceId, query = {}) {
       limit: query.limit,
       offset: query.offset,
       provider: query.provider,
+      providers: capabilityProviders(membership, 'viewDashboard'),
+      dataSourceIds: scope && scope.dataSourceIds,
       connectionId: query.connection_id
     });
   });
@@ -328,7 +344,7 @@ function parseJsonField(value) {
 
 async function getContentDetail(userId, workspaceId, contentItemId) {
   return withConnection(async connection => {
-    await requireWorkspaceCapability(connection, workspaceId, userId, 'viewDashboard');
+    const membership = await requireWorkspaceCapability(connection, workspaceId, userId, 'viewDashboard');
     const rows = await connection.query(
       `SELECT ci.*, ds.provider, wpc.id AS connection_id,
               COALESCE(pr.display_name, pa.display_name, pa.username) AS resource_name
@@ -338,12 +354,15 @@ async function getContentDetail(userId, workspaceId, contentItemId) {
        LEFT JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
        LEFT JOIN provider_accounts pa ON pa.data_source_id = ds.id
        WHERE ci.id = ? AND ci.workspace_id = ? AND ci.deleted_at IS NULL
-         AND ds.provider IN ('tiktok', 'youtube', 'facebook_pages', 'instagram')
+         AND ds.provider IN ('tiktok', 'youtube', 'facebook_pages', 'instagram', 'pinterest', 'threads', 'bluesky')
        LIMIT 1`,
       [contentItemId, workspaceId]
     );
     const item = rows[0] || null;
-    if (!item) throw createHttpError(404, 'content_not_found');
+    const scope = await loadResourceScope(connection, workspaceId, userId);
+    if (!item || !hasCapability(membership, 'viewDashboard', item.provider) || !scopeAllowsDataSource(scope, item.data_source_id)) {
+      throw createHttpError(404, 'content_not_found');
+    }
     const history = await connection.query(
       `SELECT observed_at, view_count, like_count, comment_count, share_count, provider_metrics
        FROM content_metric_snapshots
@@ -391,16 +410,22 @@ async function getContentDetail(userId, workspaceId, contentItemId) {
 
 async function getSyncHistory(userId, workspaceId, options = {}) {
   return withConnection(async connection => {
-    await requireWorkspaceCapability(connection, workspaceId, userId, 'viewDashboard');
+    const membership = await requireWorkspaceCapability(connection, workspaceId, userId, 'viewDashboard');
     const limit = Math.min(Math.max(Number(options.limit || 25), 1), 100);
     const offset = Math.max(Number(options.offset || 0), 0);
+    const providers = capabilityProviders(membership, 'viewDashboard');
+    const scope = await loadResourceScope(connection, workspaceId, userId);
+    const scoped = scopeCondition('sr.data_source_id', scope && scope.dataSourceIds);
+    const providerWhere = `${providers ? ` AND ds.provider IN (${providers.map(() => '?').join(', ')})` : ''}${scoped.sql}`;
+    const providerParams = [...(providers || []), ...scoped.params];
     const rows = await connection.query(
       `SELECT sr.id, sr.trigger_type, sr.status, sr.started_at, sr.finished_at, sr.duration_ms,
               sr.attempt, sr.profile_count, sr.content_seen_count, sr.content_snapshot_count
        FROM sync_runs sr
-       WHERE sr.workspace_id = ?
+       JOIN data_sources ds ON ds.id = sr.data_source_id
+       WHERE sr.workspace_id = ?${providerWhere}
        ORDER BY sr.started_at DESC LIMIT ? OFFSET ?`,
-      [workspaceId, limit, offset]
+      [workspaceId, ...providerParams, limit, offset]
     );
     const errorsByRun = new Map();
     if (rows.length > 0) {
@@ -428,9 +453,10 @@ async function getSyncHistory(userId, workspaceId, options = {}) {
     }
     const countRows = await connection.query(
       `SELECT COUNT(*) AS count
-       FROM sync_runs
-       WHERE workspace_id = ?`,
-      [workspaceId]
+       FROM sync_runs sr
+       JOIN data_sources ds ON ds.id = sr.data_source_id
+       WHERE sr.workspace_id = ?${providerWhere}`,
+      [workspaceId, ...providerParams]
     );
     return {
       total: Number(countRows[0].count || 0),
@@ -0,0 +1,750 @@
+const crypto = require('crypto');
+const os = require('os');
+const { getConnection } = require('../database');
+const { revokeWorkspaceTikTokAuthorization } = require('./connection-service');
+const { revokeWorkspaceGoogleAnalyticsAuthorizations } = require('./google-analytics-connection-service');
+const { linkedInAdapter } = require('./linkedin-adapter');
+const { searchConsoleAdapter } = require('./search-console-adapter');
+const { pinterestAdapter } = require('./pinterest-adapter');
+const { threadsAdapter } = require('./threads-adapter');
+const { blueskyAdapter } = require('./bluesky-adapter');
+const { sendDeletionCompletedEmail } = require('./mail');
+const { revokeWorkspaceMetaAuthorizations } = require('./meta-connection-service');
+const { hasCapability } = require('./rbac');
+const { getReportConfiguration } = require('./report-config');
+const { removeStoredArtifact } = require('./report-storage');
+const repositories = require('./repositories');
+const { canonicalJson, hashSecret } = require('./security');
+const { revokeWorkspaceYouTubeAuthorizations } = require('./youtube-connection-service');
+
+const CERTIFICATE_VERSION = 1;
+const WORKSPACE_PURGE_TABLES = Object.freeze([
+  'sso_transactions',
+  'workspace_sso_domains',
+  'workspace_sso_connections',
+  'scim_groups',
+  'scim_users',
+  'scim_tokens',
+  'api_tokens',
+  'webhook_deliveries',
+  'webhook_endpoints',
+  'alert_events',
+  'alert_rules',
+  'report_deliveries',
+  'report_recipients',
+  'report_runs',
+  'report_schedules',
+  'report_definitions',
+  'exports',
+  'provider_metric_observations',
+  'provider_dimension_observations',
+  'provider_resource_observations',
+  'meta_account_insight_snapshots',
+  'youtube_video_analytics_snapshots',
+  'youtube_analytics_daily_snapshots',
+  'youtube_channel_snapshots',
+  'content_metric_snapshots',
+  'profile_snapshots',
+  'content_items',
+  'provider_request_events',
+  'sync_runs',
+  'oauth_transactions',
+  'provider_accounts',
+  'data_sources',
+  'workspace_provider_connections',
+  'provider_resources',
+  'workspace_invitations',
+  'workspace_retention_policies'
+]);
+const RETAINED_RECORDS = Object.freeze(['audit_logs', 'data_deletion_requests', 'provider_revocation_events']);
+
+function createDeletionError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function boundedInteger(value, fallback, minimum, maximum) {
+  const parsed = Number(value);
+  if (!Number.isSafeInteger(parsed)) return fallback;
+  return Math.min(Math.max(parsed, minimum), maximum);
+}
+
+function getDeletionConfiguration(env = process.env) {
+  return {
+    gracePeriodDays: boundedInteger(env.DELETION_GRACE_PERIOD_DAYS, 7, 0, 30),
+    batchSize: boundedInteger(env.DELETION_BATCH_SIZE, 500, 50, 5000),
+    leaseSeconds: boundedInteger(env.DELETION_LEASE_SECONDS, 300, 60, 900),
+    maxAttempts: boundedInteger(env.DELETION_MAX_ATTEMPTS, 5, 1, 10)
+  };
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createDeletionError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+function parseJson(value, fallback = null) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function certificateHash(certificate) {
+  return crypto.createHash('sha256').update(canonicalJson(certificate)).digest('hex');
+}
+
+function isoDate(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function defaultLeaseOwner() {
+  return `${os.hostname()}:${process.pid}:${Date.now()}`.slice(0, 128);
+}
+
+function serializeDeletionRequest(row) {
+  const certificate = row.status === 'completed' ? parseJson(row.sanitized_result) : null;
+  return {
+    id: row.id,
+    workspace_id: row.workspace_id,
+    workspace_name: certificate && row.scope === 'workspace' && certificate.workspaces[0]
+      ? certificate.workspaces[0].name
+      : row.workspace_name || null,
+    scope: row.scope,
+    status: row.status,
+    requested_at: isoDate(row.requested_at),
+    process_after: isoDate(row.process_after),
+    started_at: isoDate(row.started_at),
+    completed_at: isoDate(row.completed_at),
+    cancelled_at: isoDate(row.cancelled_at),
+    failure_code: row.failure_code || null,
+    cancellable: row.status === 'verified' && !row.started_at,
+    certificate: certificate
+      ? { ...certificate, verification_hash: row.verification_hash }
+      : null
+  };
+}
+
+async function cancelDeletionRequest(userId, requestId) {
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const rows = await connection.query(
+        `SELECT id, workspace_id, scope, status, started_at
+         FROM data_deletion_requests
+         WHERE id = ? AND requester_user_id = ?
+         LIMIT 1 FOR UPDATE`,
+        [String(requestId || ''), userId]
+      );
+      const request = rows[0];
+      if (!request) throw createDeletionError(404, 'deletion_request_not_found');
+      if (request.status !== 'verified' || request.started_at) {
+        throw createDeletionError(409, 'deletion_request_not_cancellable');
+      }
+      await connection.query(
+        `UPDATE data_deletion_requests
+         SET status = 'cancelled', cancelled_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [request.id]
+      );
+      await repositories.createAuditLog(connection, {
+        workspaceId: request.workspace_id,
+        actorUserId: userId,
+        action: request.scope === 'workspace' ? 'workspace_deletion_cancelled' : 'account_deletion_cancelled',
+        targetType: 'data_deletion_request',
+        targetId: request.id
+      });
+      await connection.commit();
+      return { id: request.id, status: 'cancelled' };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function getDeletionCertificate(certificateId) {
+  const id = String(certificateId || '');
+  if (!/^[0-9a-f-]{36}$/i.test(id)) throw createDeletionError(404, 'deletion_certificate_not_found');
+  return withConnection(async connection => {
+    const rows = await connection.query(
+      `SELECT sanitized_result, verification_hash
+       FROM data_deletion_requests
+       WHERE id = ? AND status = 'completed'
+       LIMIT 1`,
+      [id.toLowerCase()]
+    );
+    const certificate = rows[0] ? parseJson(rows[0].sanitized_result) : null;
+    if (!certificate) throw createDeletionError(404, 'deletion_certificate_not_found');
+    return {
+      certificate,
+      verification_hash: rows[0].verification_hash,
+      verified: certificateHash(certificate) === rows[0].verification_hash
+    };
+  });
+}
+
+async function claimNextDeletion(owner, configuration) {
+  return withConnection(async connection => {
+    const candidates = await connection.query(
+      `SELECT id FROM data_deletion_requests
+       WHERE status IN ('verified', 'processing')
+         AND process_after <= UTC_TIMESTAMP(3)
+         AND (lease_expires_at IS NULL OR lease_expires_at < UTC_TIMESTAMP(3))
+         AND attempts < ?
+       ORDER BY process_after ASC, requested_at ASC
+       LIMIT 5`,
+      [configuration.maxAttempts]
+    );
+    for (const candidate of candidates) {
+      const result = await connection.query(
+        `UPDATE data_deletion_requests
+         SET status = 'processing', started_at = COALESCE(started_at, UTC_TIMESTAMP(3)),
+             lease_owner = ?, lease_expires_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             attempts = attempts + 1, failure_code = NULL
+         WHERE id = ? AND status IN ('verified', 'processing')
+           AND process_after <= UTC_TIMESTAMP(3)
+           AND (lease_expires_at IS NULL OR lease_expires_at < UTC_TIMESTAMP(3))
+           AND attempts < ?`,
+        [owner, configuration.leaseSeconds, candidate.id, configuration.maxAttempts]
+      );
+      if (Number(result.affectedRows || 0) !== 1) continue;
+      const rows = await connection.query('SELECT * FROM data_deletion_requests WHERE id = ? LIMIT 1', [candidate.id]);
+      if (rows[0]) return rows[0];
+    }
+    return null;
+  });
+}
+
+async function saveProgress(request, owner, configuration, state) {
+  const result = await withConnection(connection => connection.query(
+    `UPDATE data_deletion_requests
+     SET progress = ?, lease_expires_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND)
+     WHERE id = ? AND status = 'processing' AND lease_owner = ?`,
+    [JSON.stringify(state), configuration.leaseSeconds, request.id, owner]
+  ));
+  if (Number(result.affectedRows || 0) !== 1) throw createDeletionError(409, 'deletion_lease_lost');
+}
+
+function addCount(state, key, count) {
+  if (!count) return;
+  state.purged[key] = (state.purged[key] || 0) + count;
+}
+
+async function lockWorkspace(workspaceId, state) {
+  await withConnection(async connection => {
+    const rows = await connection.query('SELECT name FROM workspaces WHERE id = ? LIMIT 1', [workspaceId]);
+    if (!rows[0]) throw createDeletionError(404, 'workspace_not_found');
+    if (!state.workspaces.some(workspace => workspace.id === workspaceId)) {
+      state.workspaces.push({ id: workspaceId, name: rows[0].name });
+    }
+    await connection.query(
+      'UPDATE workspaces SET deleted_at = COALESCE(deleted_at, UTC_TIMESTAMP(3)) WHERE id = ?',
+      [workspaceId]
+    );
+    await connection.query(
+      `UPDATE report_schedules
+       SET status = 'paused', pause_reason = 'workspace_deleted', next_run_at = NULL, updated_at = UTC_TIMESTAMP(3)
+       WHERE workspace_id = ? AND status = 'active'`,
+      [workspaceId]
+    );
+  });
+}
+
+async function revokeWorkspaceProviders(workspaceId, state) {
+  const tiktok = await revokeWorkspaceTikTokAuthorization(workspaceId);
+  const revocations = [];
+  if (tiktok.disconnected) revocations.push({ provider: 'tiktok', ...tiktok.provider_revoke });
+  revocations.push(
+    ...await revokeWorkspaceYouTubeAuthorizations(workspaceId),
+    ...await revokeWorkspaceGoogleAnalyticsAuthorizations(workspaceId),
+    ...await linkedInAdapter.deletion.deleteConnectionData({ workspaceId }),
+    ...await searchConsoleAdapter.deletion.deleteConnectionData({ workspaceId }),
+    ...await pinterestAdapter.deletion.deleteConnectionData({ workspaceId }),
+    ...await threadsAdapter.deletion.deleteConnectionData({ workspaceId }),
+    ...await blueskyAdapter.deletion.deleteConnectionData({ workspaceId }),
+    ...await revokeWorkspaceMetaAuthorizations(workspaceId)
+  );
+  for (const revocation of revocations) {
+    state.provider_revocations.push({
+      workspace_id: workspaceId,
+      provider: revocation.provider,
+      attempted: Boolean(revocation.attempted),
+      success: Boolean(revocation.success),
+      outcome_category: revocation.outcome_category
+        || (revocation.success ? 'provider_revoked' : revocation.reason || 'provider_revoke_failed_local_purge')
+    });
+  }
+}
+
+async function purgeReportArtifacts(workspaceId, state, configuration, deadlineMs) {
+  const artifactRoot = getReportConfiguration().artifactRoot;
+  while (Date.now() < deadlineMs) {
+    const done = await withConnection(async connection => {
+      const rows = await connection.query(
+        `SELECT id, storage_key, status FROM report_artifacts
+         WHERE workspace_id = ?
+         ORDER BY created_at ASC
+         LIMIT ?`,
+        [workspaceId, Math.min(configuration.batchSize, 100)]
+      );
+      if (!rows.length) return true;
+      for (const artifact of rows) {
+        if (artifact.status !== 'active') continue;
+        await removeStoredArtifact(artifactRoot, artifact.storage_key);
+        state.artifact_files_removed += 1;
+      }
+      const result = await connection.query(
+        `DELETE FROM report_artifacts WHERE workspace_id = ? AND id IN (${rows.map(() => '?').join(', ')})`,
+        [workspaceId, ...rows.map(row => row.id)]
+      );
+      addCount(state, 'report_artifacts', Number(result.affectedRows || 0));
+      return false;
+    });
+    if (done) return true;
+  }
+  return false;
+}
+
+async function purgeWorkspaceTable(workspaceId, table, state, configuration, deadlineMs) {
+  while (Date.now() < deadlineMs) {
+    const result = await withConnection(connection => connection.query(
+      `DELETE FROM ${table} WHERE workspace_id = ? LIMIT ?`,
+      [workspaceId, configuration.batchSize]
+    ));
+    const deleted = Number(result.affectedRows || 0);
+    addCount(state, table, deleted);
+    if (deleted < configuration.batchSize) return true;
+  }
+  return false;
+}
+
+async function sanitizeProviderAuthorizations(workspaceId, state) {
+  await withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      await connection.query(
+        `DELETE pac FROM provider_authorization_credentials pac
+         JOIN provider_authorizations pauth ON pauth.id = pac.provider_authorization_id
+         WHERE pauth.workspace_id = ?`,
+        [workspaceId]
+      );
+      await connection.query(
+        `DELETE pas FROM provider_authorization_scopes pas
+         JOIN provider_authorizations pauth ON pauth.id = pas.provider_authorization_id
+         WHERE pauth.workspace_id = ?`,
+        [workspaceId]
+      );
+      const result = await connection.query(
+        `UPDATE provider_authorizations
+         SET actor_user_id = NULL, provider_subject = NULL, display_name = NULL,
+             status = 'revoked', revoked_at = COALESCE(revoked_at, UTC_TIMESTAMP(3)),
+             deletion_due_at = NULL, updated_at = UTC_TIMESTAMP(3)
+         WHERE workspace_id = ?`,
+        [workspaceId]
+      );
+      addCount(state, 'provider_authorizations_sanitized', Number(result.affectedRows || 0));
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function finalizeWorkspace(request, workspaceId, state) {
+  await withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const result = await connection.query('DELETE FROM workspace_memberships WHERE workspace_id = ?', [workspaceId]);
+      addCount(state, 'workspace_memberships', Number(result.affectedRows || 0));
+      const roles = await connection.query('DELETE FROM workspace_roles WHERE workspace_id = ?', [workspaceId]);
+      addCount(state, 'workspace_roles', Number(roles.affectedRows || 0));
+      await connection.query(
+        `UPDATE workspaces
+         SET name = 'Deleted workspace', slug = CONCAT('deleted-', id),
+             deleted_at = COALESCE(deleted_at, UTC_TIMESTAMP(3))
+         WHERE id = ?`,
+        [workspaceId]
+      );
+      await repositories.createAuditLog(connection, {
+        workspaceId,
+        action: 'workspace_deleted',
+        targetType: 'workspace',
+        targetId: workspaceId,
+        metadata: { deletion_request_id: request.id }
+      });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+function workspaceSteps(workspaceId) {
+  return [
+    `workspace:${workspaceId}:lock`,
+    `workspace:${workspaceId}:providers`,
+    `workspace:${workspaceId}:report_artifacts`,
+    ...WORKSPACE_PURGE_TABLES.map(table => `workspace:${workspaceId}:${table}`),
+    `workspace:${workspaceId}:provider_authorizations`,
+    `workspace:${workspaceId}:finalize`
+  ];
+}
+
+async function runStep(step, request, state, configuration, deadlineMs) {
+  const [kind, subjectId, name] = step.split(':');
+  if (kind === 'workspace') {
+    if (name === 'lock') return lockWorkspace(subjectId, state).then(() => true);
+    if (name === 'providers') return revokeWorkspaceProviders(subjectId, state).then(() => true);
+    if (name === 'report_artifacts') return purgeReportArtifacts(subjectId, state, configuration, deadlineMs);
+    if (name === 'provider_authorizations') return sanitizeProviderAuthorizations(subjectId, state).then(() => true);
+    if (name === 'finalize') return finalizeWorkspace(request, subjectId, state).then(() => true);
+    if (WORKSPACE_PURGE_TABLES.includes(name)) {
+      return purgeWorkspaceTable(subjectId, name, state, configuration, deadlineMs);
+    }
+  }
+  if (kind === 'user' && name === 'memberships') return removeSharedMemberships(request, subjectId, state).then(() => true);
+  if (kind === 'user' && name === 'account') return anonymizeUser(request, subjectId, state).then(() => true);
+  throw createDeletionError(500, 'deletion_step_unknown');
+}
+
+async function planUserDeletion(request) {
+  return withConnection(async connection => {
+    const rows = await connection.query(
+      `SELECT wm.workspace_id, wm.role,
+              (SELECT COUNT(*) FROM workspace_memberships other
+               WHERE other.workspace_id = wm.workspace_id AND other.user_id <> wm.user_id
+                 AND other.status = 'active') AS other_member_count,
+              (SELECT COUNT(*) FROM workspace_memberships other
+               WHERE other.workspace_id = wm.workspace_id AND other.user_id <> wm.user_id
+                 AND other.status = 'active' AND other.role = 'owner') AS other_owner_count
+       FROM workspace_memberships wm
+       JOIN workspaces w ON w.id = wm.workspace_id AND w.deleted_at IS NULL
+       WHERE wm.user_id = ? AND wm.status = 'active'
+       ORDER BY wm.joined_at ASC`,
+      [request.requester_user_id]
+    );
+    const blocked = rows.find(row => (
+      row.role === 'owner' && Number(row.other_member_count) > 0 && Number(row.other_owner_count) === 0
+    ));
+    if (blocked) return { rejected: 'workspace_owner_transfer_required' };
+    return {
+      workspaceIds: rows.filter(row => Number(row.other_member_count) === 0).map(row => row.workspace_id)
+    };
+  });
+}
+
+async function planWorkspaceDeletion(request) {
+  return withConnection(async connection => {
+    const membership = await repositories.getMembership(connection, request.workspace_id, request.requester_user_id);
+    if (!membership || !hasCapability(membership, 'deleteWorkspace')) {
+      return { rejected: 'workspace_deletion_requester_not_authorized' };
+    }
+    return { workspaceIds: [request.workspace_id] };
+  });
+}
+
+async function removeSharedMemberships(request, userId, state) {
+  await withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const memberships = await connection.query(
+        `SELECT workspace_id, role FROM workspace_memberships
+         WHERE user_id = ? AND status = 'active'`,
+        [userId]
+      );
+      for (const membership of memberships) {
+        await repositories.removeMember(connection, membership.workspace_id, userId);
+        await repositories.createAuditLog(connection, {
+          workspaceId: membership.workspace_id,
+          action: 'member_removed',
+          targetType: 'user',
+          targetId: userId,
+          metadata: { role: membership.role, reason: 'account_deleted', deletion_request_id: request.id }
+        });
+      }
+      addCount(state, 'workspace_memberships', memberships.length);
+      const schedules = await connection.query(
+        `UPDATE report_schedules
+         SET status = 'paused', pause_reason = 'creator_deleted', next_run_at = NULL, updated_at = UTC_TIMESTAMP(3)
+         WHERE created_by_user_id = ? AND status = 'active'`,
+        [userId]
+      );
+      addCount(state, 'report_schedules_paused', Number(schedules.affectedRows || 0));
+      const recipients = await connection.query(
+        'DELETE FROM report_recipients WHERE user_id = ? OR email = ?',
+        [userId, request.requester_email]
+      );
+      addCount(state, 'report_recipients', Number(recipients.affectedRows || 0));
+      const invitations = await connection.query(
+        `DELETE FROM workspace_invitations WHERE email = ? AND accepted_at IS NULL`,
+        [request.requester_email]
+      );
+      addCount(state, 'workspace_invitations', Number(invitations.affectedRows || 0));
+      await connection.query(
+        'UPDATE provider_authorizations SET actor_user_id = NULL WHERE actor_user_id = ?',
+        [userId]
+      );
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function anonymizeUser(request, userId, state) {
+  await withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const deletions = [
+        ['report_download_grants', 'DELETE FROM report_download_grants WHERE requested_by_user_id = ?', [userId]],
+        ['oauth_transactions', 'DELETE FROM oauth_transactions WHERE initiated_by = ?', [userId]],
+        ['user_sessions', 'DELETE FROM user_sessions WHERE user_id = ?', [userId]],
+        ['api_tokens', 'DELETE FROM api_tokens WHERE user_id = ?', [userId]],
+        ['scim_users', 'DELETE FROM scim_users WHERE user_id = ?', [userId]],
+        ['user_identities', 'DELETE FROM user_identities WHERE user_id = ?', [userId]],
+        ['user_passkeys', 'DELETE FROM user_passkeys WHERE user_id = ?', [userId]],
+        ['webauthn_challenges', 'DELETE FROM webauthn_challenges WHERE user_id = ?', [userId]],
+        ['user_totp_factors', 'DELETE FROM user_totp_factors WHERE user_id = ?', [userId]],
+        [
+          'magic_link_tokens',
+          'DELETE FROM magic_link_tokens WHERE user_id = ? OR email = ?',
+          [userId, request.requester_email]
+        ]
+      ];
+      for (const [key, sql, params] of deletions) {
+        const result = await connection.query(sql, params);
+        addCount(state, key, Number(result.affectedRows || 0));
+      }
+      await connection.query(
+        `UPDATE users
+         SET email = CONCAT('deleted-', id, '@deleted.invalid'), display_name = NULL,
+             status = 'deleted', deleted_at = COALESCE(deleted_at, UTC_TIMESTAMP(3))
+         WHERE id = ?`,
+        [userId]
+      );
+      await repositories.createAuditLog(connection, {
+        action: 'account_deleted',
+        targetType: 'user',
+        targetId: userId,
+        metadata: { deletion_request_id: request.id }
+      });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+function buildCertificate(request, state, completedAt) {
+  return {
+    version: CERTIFICATE_VERSION,
+    certificate_id: request.id,
+    scope: request.scope,
+    subject: {
+      user_id: request.scope === 'user' ? request.requester_user_id : null,
+      email_sha256: request.scope === 'user' && request.requester_email ? hashSecret(request.requester_email) : null,
+      workspace_id: request.scope === 'workspace' ? request.workspace_id : null
+    },
+    requested_at: isoDate(request.requested_at),
+    grace_period_ended_at: isoDate(request.process_after),
+    started_at: isoDate(request.started_at),
+    completed_at: completedAt.toISOString(),
+    workspaces: state.workspaces,
+    provider_revocations: state.provider_revocations,
+    purged: Object.fromEntries(Object.entries(state.purged).sort(([left], [right]) => left.localeCompare(right))),
+    artifact_files_removed: state.artifact_files_removed,
+    retained: RETAINED_RECORDS
+  };
+}
+
+async function completeDeletion(request, owner, state) {
+  const completedAt = new Date();
+  const certificate = buildCertificate(request, state, completedAt);
+  const verificationHash = certificateHash(certificate);
+  await withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const result = await connection.query(
+        `UPDATE data_deletion_requests
+         SET status = 'completed', completed_at = ?, verification_hash = ?, sanitized_result = ?,
+             requester_email = NULL, progress = NULL, failure_code = NULL,
+             lease_owner = NULL, lease_expires_at = NULL
+         WHERE id = ? AND status = 'processing' AND lease_owner = ?`,
+        [
+          completedAt.toISOString().slice(0, 23).replace('T', ' '),
+          verificationHash,
+          JSON.stringify(certificate),
+          request.id,
+          owner
+        ]
+      );
+      if (Number(result.affectedRows || 0) !== 1) throw createDeletionError(409, 'deletion_lease_lost');
+      await repositories.createAuditLog(connection, {
+        workspaceId: request.scope === 'workspace' ? request.workspace_id : null,
+        action: request.scope === 'workspace' ? 'workspace_deletion_completed' : 'account_deletion_completed',
+        targetType: 'data_deletion_request',
+        targetId: request.id,
+        metadata: { verification_hash: verificationHash }
+      });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+  let emailed = false;
+  if (request.requester_email) {
+    try {
+      const mail = await sendDeletionCompletedEmail({
+        email: request.requester_email,
+        scope: request.scope,
+        certificateId: request.id,
+        verificationHash
+      });
+      emailed = Boolean(mail.sent);
+    } catch {
+      emailed = false;
+    }
+  }
+  return {
+    deletion_request_id: request.id,
+    status: 'completed',
+    verification_hash: verificationHash,
+    certificate_emailed: emailed
+  };
+}
+
+async function rejectDeletion(request, owner, code) {
+  await withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      await connection.query(
+        `UPDATE data_deletion_requests
+         SET status = 'rejected', failure_code = ?, progress = NULL, lease_owner = NULL, lease_expires_at = NULL
+         WHERE id = ? AND status = 'processing' AND lease_owner = ?`,
+        [code, request.id, owner]
+      );
+      await repositories.createAuditLog(connection, {
+        workspaceId: request.scope === 'workspace' ? request.workspace_id : null,
+        action: request.scope === 'workspace' ? 'workspace_deletion_rejected' : 'account_deletion_rejected',
+        targetType: 'data_deletion_request',
+        targetId: request.id,
+        metadata: { failure_code: code }
+      });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+  return { deletion_request_id: request.id, status: 'rejected', failure_code: code };
+}
+
+async function yieldDeletion(request, owner, state) {
+  await withConnection(connection => connection.query(
+    `UPDATE data_deletion_requests
+     SET progress = ?, attempts = 0, lease_owner = NULL, lease_expires_at = NULL
+     WHERE id = ? AND status = 'processing' AND lease_owner = ?`,
+    [JSON.stringify(state), request.id, owner]
+  ));
+  return {
+    deletion_request_id: request.id,
+    status: 'processing',
+    completed_steps: state.completed_steps.length,
+    remaining_steps: state.steps.length - state.completed_steps.length
+  };
+}
+
+async function processClaimedDeletion(request, owner, configuration, deadlineMs) {
+  let state = parseJson(request.progress);
+  if (!state) {
+    const plan = request.scope === 'workspace'
+      ? await planWorkspaceDeletion(request)
+      : request.scope === 'user'
+        ? await planUserDeletion(request)
+        : { rejected: 'deletion_scope_unsupported' };
+    if (plan.rejected) return rejectDeletion(request, owner, plan.rejected);
+    state = {
+      steps: [
+        ...plan.workspaceIds.flatMap(workspaceSteps),
+        ...(request.scope === 'user'
+          ? [`user:${request.requester_user_id}:memberships`, `user:${request.requester_user_id}:account`]
+          : [])
+      ],
+      completed_steps: [],
+      workspaces: [],
+      provider_revocations: [],
+      purged: {},
+      artifact_files_removed: 0
+    };
+    await saveProgress(request, owner, configuration, state);
+  }
+  for (const step of state.steps) {
+    if (state.completed_steps.includes(step)) continue;
+    if (Date.now() >= deadlineMs - 1000) return yieldDeletion(request, owner, state);
+    const finished = await runStep(step, request, state, configuration, deadlineMs - 1000);
+    if (finished) state.completed_steps.push(step);
+    await saveProgress(request, owner, configuration, state);
+    if (!finished) return yieldDeletion(request, owner, state);
+  }
+  return completeDeletion(request, owner, state);
+}
+
+async function markDeletionFailure(request, owner, configuration, error) {
+  const code = String(error && (error.code || error.message) || 'deletion_failed').slice(0, 120);
+  const backoffSeconds = Math.min(6 * 60 * 60, 300 * (2 ** Math.max(Number(request.attempts) - 1, 0)));
+  await withConnection(connection => connection.query(
+    `UPDATE data_deletion_requests
+     SET failure_code = ?, process_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+         lease_owner = NULL, lease_expires_at = NULL
+     WHERE id = ? AND lease_owner = ?`,
+    [code, backoffSeconds, request.id, owner]
+  ));
+  return {
+    deletion_request_id: request.id,
+    status: Number(request.attempts) >= configuration.maxAttempts ? 'needs_attention' : 'retrying',
+    failure_code: code
+  };
+}
+
+async function runDueDeletions({ timeBudgetSeconds = 240, leaseOwner, now = Date.now() } = {}) {
+  const configuration = getDeletionConfiguration();
+  const budget = Math.min(Math.max(Number(timeBudgetSeconds) || 240, 5), 900) * 1000;
+  const deadlineMs = Number(now) + budget;
+  const owner = String(leaseOwner || defaultLeaseOwner()).slice(0, 128);
+  const results = [];
+  while (Date.now() < deadlineMs - 1000) {
+    const request = await claimNextDeletion(owner, configuration);
+    if (!request) break;
+    try {
+      results.push(await processClaimedDeletion(request, owner, configuration, deadlineMs));
+    } catch (error) {
+      results.push(await markDeletionFailure(request, owner, configuration, error));
+    }
+  }
+  return { processed: results.length, results };
+}
+
+module.exports = {
+  cancelDeletionRequest,
+  certificateHash,
+  getDeletionCertificate,
+  getDeletionConfiguration,
+  runDueDeletions,
+  serializeDeletionRequest
+};
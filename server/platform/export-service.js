@@ -1,6 +1,8 @@
 const { getConnection } = require('../database');
 const { resolveDateRange } = require('./analytics');
 const { queryContentRows, requireWorkspaceCapability } = require('./dashboard-service');
+const { capabilityProviders } = require('./rbac');
+const { loadResourceScope } = require('./resource-scope');
 const { createId } = require('./security');
 
 function createHttpError(status, code) {
@@ -68,7 +70,7 @@ function rowsToCsv(rows) {
 async function createContentCsvExport(userId, workspaceId, query = {}) {
   const range = resolveDateRange(query);
   return withConnection(async connection => {
-    await requireWorkspaceCapability(connection, workspaceId, userId, 'exportCsv');
+    const membership = await requireWorkspaceCapability(connection, workspaceId, userId, 'exportCsv');
     await connection.beginTransaction();
     try {
       const exportId = createId();
@@ -88,6 +90,7 @@ async function createContentCsvExport(userId, workspaceId, query = {}) {
          VALUES (?, ?, 'running')`,
         [runId, exportId]
       );
+      const scope = await loadResourceScope(connection, workspaceId, userId);
       const result = await queryContentRows(connection, workspaceId, {
         from: range.from,
         to: range.to,
@@ -95,6 +98,8 @@ async function createContentCsvExport(userId, workspaceId, query = {}) {
         direction: query.direction,
         search: query.search,
         provider: query.provider,
+        providers: capabilityProviders(membership, 'exportCsv'),
+        dataSourceIds: scope && scope.dataSourceIds,
         connectionId: query.connection_id,
         limit: Math.min(Number(query.limit || 1000), 1000),
         offset: 0
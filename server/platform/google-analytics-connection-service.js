@@ -2,6 +2,7 @@ const { getConnection } = require('../database');
 const ga4 = require('../integrations/google-analytics');
 const { normalizeReturnPath } = require('./connection-service');
 const { assertCapability } = require('./rbac');
+const { createAuditLog } = require('./repositories');
 const { decryptSecret, encryptSecret } = require('./secret-envelope');
 const { createId, hashSecret, randomToken } = require('./security');
 const { getGoogleAnalyticsConfiguration } = require('./google-analytics-config');
@@ -34,15 +35,19 @@ async function withConnection(fn) {
   }
 }
 
-async function requireWorkspaceRole(connection, workspaceId, userId, capability) {
+async function requireWorkspaceRole(connection, workspaceId, userId, capability, provider = null) {
   const rows = await connection.query(
-    `SELECT role FROM workspace_memberships
-     WHERE workspace_id = ? AND user_id = ? AND status = 'active'
+    `SELECT m.role, r.capabilities AS custom_role_capabilities,
+            m.resources_restricted = 1 AND m.role NOT IN ('owner', 'admin') AS resources_restricted
+     FROM workspace_memberships m
+     LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+     WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active'
      LIMIT 1`,
     [workspaceId, userId]
   );
   if (!rows[0]) throw createHttpError(404, 'workspace_not_found');
-  assertCapability(rows[0].role, capability);
+  assertCapability(rows[0], capability, provider);
+  if (Number(rows[0].resources_restricted)) throw createHttpError(403, 'permission_denied');
   return rows[0].role;
 }
 
@@ -78,20 +83,7 @@ async function requireGoogleAnalyticsReady(connection, env = process.env) {
 }
 
 async function writeAuditLog(connection, details) {
-  await connection.query(
-    `INSERT INTO audit_logs
-      (id, workspace_id, actor_user_id, action, target_type, target_id, metadata)
-     VALUES (?, ?, ?, ?, ?, ?, ?)`,
-    [
-      createId(),
-      details.workspaceId,
-      details.actorUserId || null,
-      details.action,
-      details.targetType || null,
-      details.targetId || null,
-      details.metadata ? JSON.stringify(details.metadata) : null
-    ]
-  );
+  await createAuditLog(connection, details);
 }
 
 function parseJson(value, fallback = {}) {
@@ -136,7 +128,7 @@ async function startGoogleAnalyticsConnection({ userId, sessionId, workspaceId,
   return withConnection(async connection => {
     const readiness = await requireGoogleAnalyticsReady(connection);
     const safeReturnPath = normalizeReturnPath(returnPath);
-    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection');
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', 'google_analytics_4');
     await connection.beginTransaction();
     try {
       let authorizationId;
@@ -293,7 +285,7 @@ async function consumeOAuthTransaction(connection, { state, sessionId, userId })
     throw createHttpError(400, 'ga4_oauth_authorization_mismatch');
   }
   if (authorization.workspace_id !== transaction.workspace_id) throw createHttpError(400, 'ga4_oauth_workspace_mismatch');
-  await requireWorkspaceRole(connection, transaction.workspace_id, userId, 'manageConnection');
+  await requireWorkspaceRole(connection, transaction.workspace_id, userId, 'manageConnection', 'google_analytics_4');
   if (transaction.target_connection_id) {
     const targetRows = await connection.query(
       'SELECT workspace_id, provider FROM workspace_provider_connections WHERE id = ? LIMIT 1',
@@ -720,7 +712,7 @@ async function selectGoogleAnalyticsResource(userId, workspaceId, resourceId) {
   if (!resourceId) throw createHttpError(400, 'ga4_resource_required');
   return withConnection(async connection => {
     await requireGoogleAnalyticsReady(connection);
-    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection');
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', 'google_analytics_4');
     await connection.beginTransaction();
     try {
       const rows = await connection.query(
@@ -933,12 +925,15 @@ function decryptRevocationToken(record) {
 }
 
 async function disconnectGoogleAnalytics(userId, workspaceId, connectionId = null) {
-  const record = await withConnection(async connection => {
-    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection');
-    const value = await loadAuthorizationForDisconnect(connection, workspaceId, connectionId);
-    if (!value) throw createHttpError(404, 'ga4_connection_not_found');
-    return value;
-  });
+  await withConnection(connection => requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', 'google_analytics_4'));
+  const result = await revokeGoogleAnalyticsConnection({ workspaceId, connectionId, actorUserId: userId });
+  if (!result) throw createHttpError(404, 'ga4_connection_not_found');
+  return result;
+}
+
+async function revokeGoogleAnalyticsConnection({ workspaceId, connectionId = null, actorUserId = null }) {
+  const record = await withConnection(connection => loadAuthorizationForDisconnect(connection, workspaceId, connectionId));
+  if (!record) return null;
   if (connectionId && Number(record.connection_count) > 1) {
     await withConnection(async connection => {
       await connection.beginTransaction();
@@ -947,7 +942,7 @@ async function disconnectGoogleAnalytics(userId, workspaceId, connectionId = nul
         if (record.data_source_id) await connection.query('DELETE FROM data_sources WHERE id = ?', [record.data_source_id]);
         await writeAuditLog(connection, {
           workspaceId,
-          actorUserId: userId,
+          actorUserId,
           action: 'connection.ga4.resource_disconnected',
           targetType: 'workspace_provider_connection',
           targetId: connectionId,
@@ -979,7 +974,7 @@ async function disconnectGoogleAnalytics(userId, workspaceId, connectionId = nul
   const local = await withConnection(async connection => {
     await connection.beginTransaction();
     try {
-      const result = await purgeAuthorization(connection, record.authorization_id, outcome, userId);
+      const result = await purgeAuthorization(connection, record.authorization_id, outcome, actorUserId);
       await connection.commit();
       return result;
     } catch (error) {
@@ -1001,6 +996,16 @@ async function disconnectGoogleAnalytics(userId, workspaceId, connectionId = nul
   };
 }
 
+async function revokeWorkspaceGoogleAnalyticsAuthorizations(workspaceId, limit = 50) {
+  const results = [];
+  while (results.length < limit) {
+    const result = await revokeGoogleAnalyticsConnection({ workspaceId });
+    if (!result) break;
+    results.push({ provider: GA4_PROVIDER, ...result.provider_revoke });
+  }
+  return results;
+}
+
 async function purgeGoogleAnalyticsAuthorizationBySystem(authorizationId, outcomeCategory) {
   return withConnection(async connection => {
     await connection.beginTransaction();
@@ -1024,6 +1029,7 @@ module.exports = {
   normalizeProperty,
   purgeGoogleAnalyticsAuthorizationBySystem,
   requireGoogleAnalyticsReady,
+  revokeWorkspaceGoogleAnalyticsAuthorizations,
   selectGoogleAnalyticsResource,
   startGoogleAnalyticsConnection
 };
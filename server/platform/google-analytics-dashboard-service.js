@@ -1,5 +1,6 @@
 const { getConnection } = require('../database');
 const { assertCapability } = require('./rbac');
+const { loadResourceScope, scopeCondition } = require('./resource-scope');
 const { getMetricDefinitions } = require('./provider-registry');
 const { dateInTimeZone } = require('./google-analytics-sync-service');
 
@@ -45,12 +46,14 @@ async function withConnection(fn) {
 
 async function requireWorkspace(connection, workspaceId, userId) {
   const rows = await connection.query(
-    `SELECT role FROM workspace_memberships
-     WHERE workspace_id = ? AND user_id = ? AND status = 'active' LIMIT 1`,
+    `SELECT m.role, r.capabilities AS custom_role_capabilities
+     FROM workspace_memberships m
+     LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+     WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active' LIMIT 1`,
     [workspaceId, userId]
   );
   if (!rows[0]) throw createHttpError(404, 'workspace_not_found');
-  assertCapability(rows[0].role, 'viewDashboard');
+  assertCapability(rows[0], 'viewDashboard', 'google_analytics_4');
 }
 
 function parseJson(value, fallback = {}) {
@@ -119,10 +122,12 @@ function numberOrNull(value) {
   return Number.isFinite(parsed) ? parsed : null;
 }
 
-async function findConnection(connection, workspaceId, connectionId) {
+async function findConnection(connection, workspaceId, connectionId, scope = null) {
   const params = [workspaceId];
-  const clause = connectionId ? 'AND wpc.id = ?' : '';
+  const scoped = scopeCondition('wpc.id', scope && scope.connectionIds);
+  const clause = `${connectionId ? 'AND wpc.id = ?' : ''}${scoped.sql}`;
   if (connectionId) params.push(connectionId);
+  params.push(...scoped.params);
   const rows = await connection.query(
     `SELECT wpc.id, wpc.status, wpc.data_source_id, wpc.last_sync_at,
             wpc.last_successful_sync_at, wpc.next_sync_at, wpc.data_through_at,
@@ -303,7 +308,12 @@ async function getGoogleAnalyticsDashboard(userId, workspaceId, query = {}) {
         availability: { state: 'configuration_required', data_through_date: null, requested_through_date: range.to }
       };
     }
-    const selected = await findConnection(connection, workspaceId, query.connection_id || null);
+    const selected = await findConnection(
+      connection,
+      workspaceId,
+      query.connection_id || null,
+      await loadResourceScope(connection, workspaceId, userId)
+    );
     if (!selected) {
       const range = parseRange(query, 'UTC');
       return {
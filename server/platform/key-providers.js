@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+let fetchImpl = require('node-fetch');
+
+const KEY_PROVIDERS = Object.freeze(['env', 'file', 'transit']);
+const TRANSIT_TIMEOUT_MS = 10000;
+const LOOPBACK_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+function parseEncryptionKey(rawKey) {
+  if (!rawKey) {
+    throw new Error('Missing ENCRYPTION_KEY.');
+  }
+  if (/^[0-9a-fA-F]{64}$/.test(rawKey)) {
+    return Buffer.from(rawKey, 'hex');
+  }
+  const decoded = Buffer.from(rawKey, 'base64');
+  if (decoded.length === 32) {
+    return decoded;
+  }
+  throw new Error('ENCRYPTION_KEY must be 32 bytes as hex or base64.');
+}
+
+function setKeyProviderFetchImplementation(nextFetch) {
+  fetchImpl = nextFetch || require('node-fetch');
+}
+
+function getKeyProviderName(env = process.env) {
+  const name = env.ENCRYPTION_KEY_PROVIDER || 'env';
+  if (!KEY_PROVIDERS.includes(name)) {
+    throw new Error('ENCRYPTION_KEY_PROVIDER must be env, file, or transit.');
+  }
+  return name;
+}
+
+function readKeyringFile(filePath) {
+  if (!filePath) {
+    throw new Error('ENCRYPTION_KEYRING_PATH is required for the file and transit key providers.');
+  }
+  const stat = fs.statSync(filePath);
+  if (process.platform !== 'win32' && (stat.mode & 0o077) !== 0) {
+    throw new Error('ENCRYPTION_KEYRING_PATH must not be readable by group or others.');
+  }
+  let keyring;
+  try {
+    keyring = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    throw new Error('ENCRYPTION_KEYRING_PATH must contain a JSON keyring.');
+  }
+  if (!keyring || typeof keyring.current_version !== 'string' || !keyring.current_version.trim()) {
+    throw new Error('The encryption keyring must name a current_version.');
+  }
+  return keyring;
+}
+
+function buildKeyring(provider, currentVersion, entries) {
+  const keys = new Map(entries);
+  if (!keys.has(currentVersion)) {
+    throw new Error('The encryption keyring does not contain its current_version.');
+  }
+  return Object.freeze({ provider, currentVersion, keys });
+}
+
+function loadFileKeyring(env = process.env) {
+  const keyring = readKeyringFile(env.ENCRYPTION_KEYRING_PATH);
+  const entries = Object.entries(keyring.keys || {}).map(([version, rawKey]) => [version, parseEncryptionKey(rawKey)]);
+  return buildKeyring('file', keyring.current_version, entries);
+}
+
+function getTransitConfiguration(env = process.env) {
+  const url = String(env.ENCRYPTION_TRANSIT_URL || '').trim();
+  const keyName = String(env.ENCRYPTION_TRANSIT_KEY_NAME || '').trim();
+  const tokenPath = String(env.ENCRYPTION_TRANSIT_TOKEN_PATH || '').trim();
+  if (!url || !keyName || !tokenPath) {
+    throw new Error(
+      'The transit key provider requires ENCRYPTION_TRANSIT_URL, ENCRYPTION_TRANSIT_KEY_NAME, and ENCRYPTION_TRANSIT_TOKEN_PATH.'
+    );
+  }
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('ENCRYPTION_TRANSIT_URL must be a valid absolute URL.');
+  }
+  if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && LOOPBACK_HOSTNAMES.has(parsed.hostname))) {
+    throw new Error('ENCRYPTION_TRANSIT_URL must use https unless it is a loopback address.');
+  }
+  if (!/^[A-Za-z0-9_-]{1,128}$/.test(keyName)) {
+    throw new Error('ENCRYPTION_TRANSIT_KEY_NAME may only contain letters, digits, dashes, and underscores.');
+  }
+  return { baseUrl: url.replace(/\/+$/, ''), keyName, tokenPath };
+}
+
+async function transitRequest(configuration, operation, body) {
+  const token = fs.readFileSync(configuration.tokenPath, 'utf8').trim();
+  if (!token) {
+    throw new Error('ENCRYPTION_TRANSIT_TOKEN_PATH is empty.');
+  }
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), TRANSIT_TIMEOUT_MS);
+  try {
+    const response = await fetchImpl(
+      `${configuration.baseUrl}/v1/transit/${operation}/${encodeURIComponent(configuration.keyName)}`,
+      {
+        method: 'POST',
+        redirect: 'manual',
+        signal: controller.signal,
+        headers: { 'content-type': 'application/json', 'x-vault-token': token },
+        body: JSON.stringify(body)
+      }
+    );
+    if (!response.ok) {
+      throw new Error(`Transit ${operation} failed with HTTP ${response.status}.`);
+    }
+    const payload = await response.json().catch(() => null);
+    if (!payload || !payload.data) {
+      throw new Error(`Transit ${operation} returned an invalid response.`);
+    }
+    return payload.data;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Transit ${operation} timed out.`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function loadTransitKeyring(env = process.env) {
+  const configuration = getTransitConfiguration(env);
+  const keyring = readKeyringFile(env.ENCRYPTION_KEYRING_PATH);
+  const entries = [];
+  for (const [version, ciphertext] of Object.entries(keyring.wrapped_keys || {})) {
+    const data = await transitRequest(configuration, 'decrypt', { ciphertext });
+    const key = Buffer.from(String(data.plaintext || ''), 'base64');
+    if (key.length !== 32) {
+      throw new Error('Transit returned a data key that is not 32 bytes.');
+    }
+    entries.push([version, key]);
+  }
+  return buildKeyring('transit', keyring.current_version, entries);
+}
+
+async function generateDataKey(env = process.env) {
+  const provider = getKeyProviderName(env);
+  if (provider === 'transit') {
+    const data = await transitRequest(getTransitConfiguration(env), 'datakey/wrapped', { bits: 256 });
+    if (!data.ciphertext) {
+      throw new Error('Transit datakey/wrapped returned an invalid response.');
+    }
+    return { provider, wrapped_key: data.ciphertext };
+  }
+  return { provider, key: crypto.randomBytes(32).toString('hex') };
+}
+
+module.exports = {
+  KEY_PROVIDERS,
+  generateDataKey,
+  getKeyProviderName,
+  getTransitConfiguration,
+  loadFileKeyring,
+  loadTransitKeyring,
+  parseEncryptionKey,
+  setKeyProviderFetchImplementation
+};
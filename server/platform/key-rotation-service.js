@@ -0,0 +1,235 @@
+const { getConnection } = require('../database');
+const {
+  decryptSecret,
+  encryptSecret,
+  getCurrentKeyVersion,
+  getPreviousKeyVersions
+} = require('./secret-envelope');
+
+const DEFAULT_BATCH_SIZE = 100;
+const MAXIMUM_BATCH_SIZE = 1000;
+const KEY_ROTATION_TABLES = Object.freeze({
+  oauth_credentials: Object.freeze({ idColumn: 'id', envelopes: Object.freeze(['access_token', 'refresh_token']) }),
+  provider_authorization_credentials: Object.freeze({
+    idColumn: 'id',
+    envelopes: Object.freeze(['access_token', 'refresh_token'])
+  }),
+  provider_resource_credentials: Object.freeze({ idColumn: 'id', envelopes: Object.freeze(['access_token']) }),
+  webhook_endpoints: Object.freeze({ idColumn: 'id', envelopes: Object.freeze(['signing_secret']) }),
+  user_totp_factors: Object.freeze({ idColumn: 'id', envelopes: Object.freeze(['secret']) }),
+  workspace_sso_connections: Object.freeze({ idColumn: 'id', envelopes: Object.freeze(['oidc_client_secret']) }),
+  legacy_connector_tokens: Object.freeze({
+    idColumn: 'subject',
+    envelopes: Object.freeze(['access_token', 'refresh_token'])
+  })
+});
+const KEY_ROTATION_TABLE_NAMES = Object.freeze(Object.keys(KEY_ROTATION_TABLES));
+const TRANSIENT_KEY_REFERENCES = Object.freeze({
+  oauth_transactions: `SELECT pkce_key_version AS key_version, COUNT(*) AS total
+    FROM oauth_transactions
+    WHERE pkce_key_version IS NOT NULL AND status = 'pending' AND expires_at > UTC_TIMESTAMP(3)
+    GROUP BY pkce_key_version`,
+  sso_transactions: `SELECT pkce_key_version AS key_version, COUNT(*) AS total
+    FROM sso_transactions
+    WHERE pkce_key_version IS NOT NULL AND status = 'pending' AND expires_at > UTC_TIMESTAMP(3)
+    GROUP BY pkce_key_version`,
+  legacy_connector_states: `SELECT key_version, COUNT(*) AS total
+    FROM legacy_connector_states
+    WHERE expires_at > UTC_TIMESTAMP(3)
+    GROUP BY key_version`
+});
+
+function createKeyRotationError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createKeyRotationError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+function boundedInteger(value, fallback, minimum, maximum) {
+  const parsed = Number(value);
+  if (!Number.isSafeInteger(parsed)) return fallback;
+  return Math.min(Math.max(parsed, minimum), maximum);
+}
+
+function envelopeColumns(prefix) {
+  return [`${prefix}_ciphertext`, `${prefix}_iv`, `${prefix}_tag`];
+}
+
+function rewrapEnvelopes(row, envelopes) {
+  const values = {};
+  let keyVersion = getCurrentKeyVersion();
+  for (const prefix of envelopes) {
+    const [ciphertextColumn, ivColumn, tagColumn] = envelopeColumns(prefix);
+    if (row[ciphertextColumn] === null || row[ciphertextColumn] === undefined) {
+      values[ciphertextColumn] = null;
+      values[ivColumn] = null;
+      values[tagColumn] = null;
+      continue;
+    }
+    const envelope = encryptSecret(decryptSecret({
+      ciphertext: row[ciphertextColumn],
+      iv: row[ivColumn],
+      tag: row[tagColumn],
+      keyVersion: row.key_version
+    }));
+    values[ciphertextColumn] = envelope.ciphertext;
+    values[ivColumn] = envelope.iv;
+    values[tagColumn] = envelope.tag;
+    keyVersion = envelope.keyVersion;
+  }
+  return { values, keyVersion };
+}
+
+function addCount(counts, key, amount = 1) {
+  counts[key] = (counts[key] || 0) + amount;
+}
+
+async function countKeyVersions(connection) {
+  const tables = {};
+  for (const table of KEY_ROTATION_TABLE_NAMES) {
+    const rows = await connection.query(
+      `SELECT key_version, COUNT(*) AS total FROM ${table}
+       WHERE key_version IS NOT NULL
+       GROUP BY key_version ORDER BY key_version`
+    );
+    tables[table] = Object.fromEntries(rows.map(row => [row.key_version, Number(row.total)]));
+  }
+  const transient = {};
+  for (const [table, sql] of Object.entries(TRANSIENT_KEY_REFERENCES)) {
+    const rows = await connection.query(sql);
+    transient[table] = Object.fromEntries(rows.map(row => [row.key_version, Number(row.total)]));
+  }
+  return { tables, transient };
+}
+
+function summarizeKeyVersions(counts, { currentKeyVersion, previousKeyVersions }) {
+  const stored = {};
+  const transient = {};
+  const tables = {};
+  for (const [table, versions] of Object.entries(counts.tables)) {
+    let remaining = 0;
+    for (const [version, total] of Object.entries(versions)) {
+      addCount(stored, version, total);
+      if (version !== currentKeyVersion) remaining += total;
+    }
+    tables[table] = { versions, remaining };
+  }
+  for (const versions of Object.values(counts.transient)) {
+    for (const [version, total] of Object.entries(versions)) addCount(transient, version, total);
+  }
+  const referenced = [...new Set([...Object.keys(stored), ...Object.keys(transient)])].sort();
+  return {
+    current_key_version: currentKeyVersion,
+    remaining: Object.values(tables).reduce((sum, table) => sum + table.remaining, 0),
+    tables,
+    transient: counts.transient,
+    previous_keys: [...previousKeyVersions].sort().map(version => ({
+      version,
+      stored_rows: stored[version] || 0,
+      transient_rows: transient[version] || 0,
+      safe_to_remove: !stored[version] && !transient[version]
+    })),
+    unavailable_versions: referenced.filter(version => (
+      version !== currentKeyVersion && !previousKeyVersions.includes(version)
+    ))
+  };
+}
+
+async function getKeyRotationStatus() {
+  const previousKeyVersions = getPreviousKeyVersions();
+  const counts = await withConnection(countKeyVersions);
+  return summarizeKeyVersions(counts, { currentKeyVersion: getCurrentKeyVersion(), previousKeyVersions });
+}
+
+async function rotateTableBatch(connection, table, { cursor, batchSize, dryRun, result }) {
+  const { idColumn, envelopes } = KEY_ROTATION_TABLES[table];
+  const currentKeyVersion = getCurrentKeyVersion();
+  const columns = envelopes.flatMap(envelopeColumns);
+  const rows = await connection.query(
+    `SELECT ${idColumn} AS row_id, key_version, ${columns.join(', ')}
+     FROM ${table}
+     WHERE key_version <> ? AND ${idColumn} > ?
+     ORDER BY ${idColumn}
+     LIMIT ?`,
+    [currentKeyVersion, cursor, batchSize]
+  );
+  for (const row of rows) {
+    let rewrapped;
+    try {
+      rewrapped = rewrapEnvelopes(row, envelopes);
+    } catch (error) {
+      result.failed += 1;
+      addCount(result.failed_versions, row.key_version);
+      continue;
+    }
+    if (dryRun) {
+      result.verified += 1;
+      continue;
+    }
+    const update = await connection.query(
+      `UPDATE ${table}
+       SET ${columns.map(column => `${column} = ?`).join(', ')}, key_version = ?, updated_at = UTC_TIMESTAMP(3)
+       WHERE ${idColumn} = ? AND key_version = ?`,
+      [...columns.map(column => rewrapped.values[column]), rewrapped.keyVersion, row.row_id, row.key_version]
+    );
+    if (Number(update.affectedRows) === 1) result.rewrapped += 1;
+    else result.skipped += 1;
+  }
+  return rows.length ? { cursor: rows[rows.length - 1].row_id, done: rows.length < batchSize } : { cursor, done: true };
+}
+
+async function runKeyRotation({ timeBudgetSeconds = 240, batchSize = DEFAULT_BATCH_SIZE, dryRun = false } = {}) {
+  const budgetMs = Math.min(Math.max(Number(timeBudgetSeconds) || 240, 5), 900) * 1000;
+  const deadlineMs = Date.now() + budgetMs;
+  const size = boundedInteger(batchSize, DEFAULT_BATCH_SIZE, 1, MAXIMUM_BATCH_SIZE);
+  const results = {};
+  let timedOut = false;
+  for (const table of KEY_ROTATION_TABLE_NAMES) {
+    const result = { batches: 0, rewrapped: 0, verified: 0, skipped: 0, failed: 0, failed_versions: {} };
+    results[table] = result;
+    let cursor = '';
+    let done = false;
+    while (!done) {
+      if (Date.now() >= deadlineMs) {
+        timedOut = true;
+        break;
+      }
+      ({ cursor, done } = await withConnection(connection => rotateTableBatch(connection, table, {
+        cursor,
+        batchSize: size,
+        dryRun: Boolean(dryRun),
+        result
+      })));
+      result.batches += 1;
+    }
+    if (timedOut) break;
+  }
+  const status = await getKeyRotationStatus();
+  return {
+    dry_run: Boolean(dryRun),
+    batch_size: size,
+    timed_out: timedOut,
+    complete: status.remaining === 0,
+    results,
+    status
+  };
+}
+
+module.exports = {
+  KEY_ROTATION_TABLE_NAMES,
+  getKeyRotationStatus,
+  rewrapEnvelopes,
+  runKeyRotation,
+  summarizeKeyVersions
+};
@@ -0,0 +1,46 @@
+const linkedin = require('../integrations/linkedin');
+const { defineProviderAdapter } = require('./provider-contract');
+const {
+  LINKEDIN_CAPABILITIES,
+  completeLinkedInConnection,
+  disconnectLinkedIn,
+  listLinkedInResources,
+  revokeWorkspaceLinkedInAuthorizations,
+  selectLinkedInResource,
+  startLinkedInConnection
+} = require('./linkedin-connection-service');
+const { performLinkedInSyncForJob } = require('./linkedin-sync-service');
+
+const linkedInAdapter = defineProviderAdapter({
+  provider: 'linkedin',
+  contractVersion: 1,
+  requiredScopes: linkedin.LINKEDIN_SCOPES,
+  resourceTypes: ['linkedin_organization'],
+  capabilities: LINKEDIN_CAPABILITIES,
+  authorization: {
+    buildAuthorizationUrl: input => startLinkedInConnection(input),
+    completeAuthorization: input => completeLinkedInConnection(input),
+    refreshAuthorization: (refreshToken, requestOptions) => linkedin.refreshAccessToken(refreshToken, requestOptions),
+    inspectScopes: async scopeValue => ({
+      granted: [...linkedin.grantedScopes(scopeValue)],
+      missing: linkedin.missingScopes(scopeValue),
+      exact: linkedin.hasExactScopes(scopeValue)
+    }),
+    revokeAuthorization: ({ userId, workspaceId, connectionId = null }) =>
+      disconnectLinkedIn(userId, workspaceId, connectionId)
+  },
+  resources: {
+    discoverResources: ({ userId, workspaceId }) => listLinkedInResources(userId, workspaceId),
+    selectResource: ({ userId, workspaceId, resourceId }) => selectLinkedInResource(userId, workspaceId, resourceId)
+  },
+  sync: {
+    synchronize: (job, options) => performLinkedInSyncForJob(job, options)
+  },
+  deletion: {
+    deleteConnectionData: ({ workspaceId }) => revokeWorkspaceLinkedInAuthorizations(workspaceId)
+  }
+});
+
+module.exports = {
+  linkedInAdapter
+};
@@ -0,0 +1,118 @@
+const { validateEncryptionConfiguration } = require('./secret-envelope');
+
+const LINKEDIN_CALLBACK_PATH = '/api/integrations/linkedin/callback';
+const DEFAULT_LINKEDIN_API_VERSION = '202609';
+
+function flagEnabled(value) {
+  return ['1', 'true', 'yes', 'on'].includes(String(value || '').trim().toLowerCase());
+}
+
+function boundedInteger(value, fallback, minimum, maximum) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < minimum || parsed > maximum) return fallback;
+  return parsed;
+}
+
+function expectedRedirectUri(env = process.env) {
+  const base = String(env.BASE_URL || '').replace(/\/+$/, '');
+  return base ? `${base}${LINKEDIN_CALLBACK_PATH}` : null;
+}
+
+function validateRedirectUri(env = process.env) {
+  const raw = String(env.LINKEDIN_REDIRECT_URI || '').trim();
+  if (!raw) return { ready: false, reason: 'LINKEDIN_REDIRECT_URI_missing', value: null };
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch {
+    return { ready: false, reason: 'LINKEDIN_REDIRECT_URI_invalid', value: null };
+  }
+  if (parsed.username || parsed.password || parsed.search || parsed.hash || parsed.pathname !== LINKEDIN_CALLBACK_PATH) {
+    return { ready: false, reason: 'LINKEDIN_REDIRECT_URI_invalid', value: null };
+  }
+  const production = String(env.NODE_ENV || '').toLowerCase() === 'production';
+  const localhost = ['localhost', '127.0.0.1', '::1'].includes(parsed.hostname);
+  if (parsed.protocol !== 'https:' && (production || !localhost || parsed.protocol !== 'http:')) {
+    return { ready: false, reason: 'LINKEDIN_REDIRECT_URI_https_required', value: null };
+  }
+  const expected = expectedRedirectUri(env);
+  if (expected && raw !== expected) {
+    return { ready: false, reason: 'LINKEDIN_REDIRECT_URI_mismatch', value: null };
+  }
+  return { ready: true, reason: null, value: raw };
+}
+
+function getLinkedInApiVersion(env = process.env) {
+  const value = String(env.LINKEDIN_API_VERSION || DEFAULT_LINKEDIN_API_VERSION).trim();
+  return /^20\d{2}(0[1-9]|1[0-2])$/.test(value) ? value : null;
+}
+
+function getLinkedInLimits(env = process.env) {
+  return {
+    requestTimeoutMs: boundedInteger(env.LINKEDIN_REQUEST_TIMEOUT_MS, 10000, 1000, 30000),
+    oauthStateTtlSeconds: boundedInteger(env.LINKEDIN_OAUTH_STATE_TTL_SECONDS, 600, 120, 900),
+    maxRetries: boundedInteger(env.LINKEDIN_SYNC_MAX_RETRIES, 2, 0, 5),
+    jobTimeBudgetSeconds: boundedInteger(env.LINKEDIN_SYNC_TIME_BUDGET_SECONDS, 180, 30, 240),
+    statisticsLookbackDays: boundedInteger(env.LINKEDIN_STATISTICS_LOOKBACK_DAYS, 180, 30, 365),
+    maxPosts: boundedInteger(env.LINKEDIN_SYNC_MAX_POSTS, 50, 1, 100),
+    maxDiscoveryPages: boundedInteger(env.LINKEDIN_DISCOVERY_MAX_PAGES, 5, 1, 20),
+    maxOrganizations: boundedInteger(env.LINKEDIN_DISCOVERY_MAX_ORGANIZATIONS, 100, 1, 200)
+  };
+}
+
+function looksLikePlaceholder(value) {
+  const normalized = String(value || '').trim().toLowerCase();
+  return !normalized || /(^|[_-])(replace|placeholder|example|your)([_-]|$)/.test(normalized);
+}
+
+function getLinkedInConfiguration(env = process.env, runtime = {}) {
+  const enabled = flagEnabled(env.FEATURE_LINKEDIN_CONNECTOR);
+  const redirect = validateRedirectUri(env);
+  const encryption = validateEncryptionConfiguration(env);
+  const apiVersion = getLinkedInApiVersion(env);
+  const missing = [];
+  if (!String(env.LINKEDIN_CLIENT_ID || '').trim()) missing.push('LINKEDIN_CLIENT_ID_missing');
+  if (!String(env.LINKEDIN_CLIENT_SECRET || '').trim()) missing.push('LINKEDIN_CLIENT_SECRET_missing');
+  if (!redirect.ready) missing.push(redirect.reason);
+  if (!apiVersion) missing.push('LINKEDIN_API_VERSION_invalid');
+  if (!encryption.ready) missing.push('ENCRYPTION_KEY_invalid');
+  if (runtime.databaseReady === false) missing.push('database_unavailable');
+  if (runtime.foundationReady === false) missing.push('linkedin_database_foundation_missing');
+  if (runtime.workerReady === false) missing.push('linkedin_worker_support_missing');
+
+  const configured = missing.length === 0;
+  return {
+    enabled,
+    configured,
+    connectable: enabled && configured,
+    status: !enabled ? 'disabled' : configured ? 'available' : 'configuration_required',
+    warnings: enabled ? [...new Set(missing)] : [],
+    redirectUri: redirect.value,
+    apiVersion,
+    limits: getLinkedInLimits(env)
+  };
+}
+
+function getLinkedInProductionErrors(env = process.env) {
+  const configuration = getLinkedInConfiguration(env);
+  if (!configuration.enabled) return [];
+  const errors = configuration.configured
+    ? []
+    : configuration.warnings.map(warning => `linkedin_configuration:${warning}`);
+  if (looksLikePlaceholder(env.LINKEDIN_CLIENT_ID)) errors.push('linkedin_configuration:LINKEDIN_CLIENT_ID_placeholder');
+  if (looksLikePlaceholder(env.LINKEDIN_CLIENT_SECRET)) {
+    errors.push('linkedin_configuration:LINKEDIN_CLIENT_SECRET_placeholder');
+  }
+  return [...new Set(errors)];
+}
+
+module.exports = {
+  DEFAULT_LINKEDIN_API_VERSION,
+  LINKEDIN_CALLBACK_PATH,
+  expectedRedirectUri,
+  getLinkedInApiVersion,
+  getLinkedInConfiguration,
+  getLinkedInLimits,
+  getLinkedInProductionErrors,
+  validateRedirectUri
+};
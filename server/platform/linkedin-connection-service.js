@@ -0,0 +1,999 @@
+const { getConnection } = require('../database');
+const linkedin = require('../integrations/linkedin');
+const { normalizeReturnPath } = require('./connection-service');
+const { assertCapability } = require('./rbac');
+const { createAuditLog } = require('./repositories');
+const { decryptSecret, encryptSecret } = require('./secret-envelope');
+const { createId, hashSecret, randomToken } = require('./security');
+const { getLinkedInConfiguration } = require('./linkedin-config');
+
+const LINKEDIN_PROVIDER = 'linkedin';
+const LINKEDIN_CAPABILITIES = Object.freeze([
+  'resource_discovery',
+  'follower_statistics',
+  'share_statistics',
+  'post_statistics',
+  'disconnect'
+]);
+
+function createHttpError(status, code, details = null) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createHttpError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+async function requireWorkspaceRole(connection, workspaceId, userId, capability, provider = null) {
+  const rows = await connection.query(
+    `SELECT m.role, r.capabilities AS custom_role_capabilities,
+            m.resources_restricted = 1 AND m.role NOT IN ('owner', 'admin') AS resources_restricted
+     FROM workspace_memberships m
+     LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+     WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active'
+     LIMIT 1`,
+    [workspaceId, userId]
+  );
+  if (!rows[0]) throw createHttpError(404, 'workspace_not_found');
+  assertCapability(rows[0], capability, provider);
+  if (Number(rows[0].resources_restricted)) throw createHttpError(403, 'permission_denied');
+  return rows[0].role;
+}
+
+async function linkedInFoundationReady(connection) {
+  const rows = await connection.query(
+    `SELECT COUNT(*) AS count
+     FROM information_schema.TABLES
+     WHERE TABLE_SCHEMA = DATABASE()
+       AND TABLE_NAME IN (
+         'provider_authorizations',
+         'provider_authorization_credentials',
+         'provider_authorization_scopes',
+         'provider_resources',
+         'workspace_provider_connections',
+         'provider_resource_observations',
+         'provider_metric_observations',
+         'provider_dimension_observations',
+         'provider_request_events'
+       )`
+  );
+  return Number(rows[0] && rows[0].count) === 9;
+}
+
+async function requireLinkedInReady(connection, env = process.env) {
+  const foundationReady = await linkedInFoundationReady(connection);
+  const status = getLinkedInConfiguration(env, {
+    databaseReady: true,
+    foundationReady,
+    workerReady: true
+  });
+  if (!status.connectable) throw createHttpError(503, 'linkedin_not_configured', status.warnings);
+  return status;
+}
+
+async function writeAuditLog(connection, details) {
+  await createAuditLog(connection, details);
+}
+
+function parseJson(value, fallback = {}) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function normalizeOrganization(acl, organizationBody = null) {
+  const urn = String(acl && acl.organization || '');
+  const match = urn.match(linkedin.ORGANIZATION_URN);
+  if (!match) throw createHttpError(502, 'linkedin_organization_response_malformed');
+  const bodyMatches = Boolean(organizationBody && String(organizationBody.id) === match[1]);
+  const localizedName = bodyMatches && typeof organizationBody.localizedName === 'string'
+    ? organizationBody.localizedName.trim()
+    : '';
+  const vanityName = bodyMatches && typeof organizationBody.vanityName === 'string'
+    ? organizationBody.vanityName.trim()
+    : '';
+  const selectable = Boolean(localizedName);
+  return {
+    id: urn,
+    organizationId: match[1],
+    displayName: (localizedName || `LinkedIn organization ${match[1]}`).slice(0, 255),
+    vanityName: vanityName ? vanityName.slice(0, 255) : null,
+    pageUrl: vanityName ? `https://www.linkedin.com/company/${encodeURIComponent(vanityName)}/` : null,
+    role: String(acl.role || 'ADMINISTRATOR'),
+    timezone: 'UTC',
+    selectable,
+    discoveryStatus: selectable ? 'available' : 'organization_details_unavailable'
+  };
+}
+
+async function startLinkedInConnection({ userId, sessionId, workspaceId, returnPath = '/', targetConnectionId = null }) {
+  return withConnection(async connection => {
+    const readiness = await requireLinkedInReady(connection);
+    const safeReturnPath = normalizeReturnPath(returnPath);
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', LINKEDIN_PROVIDER);
+    await connection.beginTransaction();
+    try {
+      let authorizationId;
+      if (targetConnectionId) {
+        const rows = await connection.query(
+          `SELECT pauth.id AS authorization_id
+           FROM workspace_provider_connections wpc
+           JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+           JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+           WHERE wpc.id = ? AND wpc.workspace_id = ? AND wpc.provider = ?
+           LIMIT 1 FOR UPDATE`,
+          [targetConnectionId, workspaceId, LINKEDIN_PROVIDER]
+        );
+        if (!rows[0]) throw createHttpError(404, 'linkedin_connection_not_found');
+        authorizationId = rows[0].authorization_id;
+        await connection.query(
+          `UPDATE provider_authorizations
+           SET status = 'authorizing', actor_user_id = ?, updated_at = UTC_TIMESTAMP(3)
+           WHERE id = ?`,
+          [userId, authorizationId]
+        );
+        await connection.query(
+          `UPDATE sync_jobs sj
+           JOIN workspace_provider_connections wpc ON wpc.data_source_id = sj.data_source_id
+           JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+           SET sj.status = 'paused', sj.lease_owner = NULL, sj.lease_expires_at = NULL,
+               sj.updated_at = UTC_TIMESTAMP(3)
+           WHERE pr.provider_authorization_id = ? AND wpc.provider = ?`,
+          [authorizationId, LINKEDIN_PROVIDER]
+        );
+      } else {
+        const rows = await connection.query(
+          `SELECT pauth.id,
+                  EXISTS(SELECT 1 FROM provider_resources pr WHERE pr.provider_authorization_id = pauth.id) AS has_resources
+           FROM provider_authorizations pauth
+           WHERE pauth.workspace_id = ? AND pauth.provider = ?
+             AND pauth.status IN ('active', 'authorizing', 'reconnect_required', 'disabled')
+           ORDER BY FIELD(pauth.status, 'active', 'reconnect_required', 'authorizing', 'disabled'), pauth.updated_at DESC
+           LIMIT 1 FOR UPDATE`,
+          [workspaceId, LINKEDIN_PROVIDER]
+        );
+        const existing = rows[0] || null;
+        if (existing && Number(existing.has_resources) === 1) {
+          throw createHttpError(409, 'linkedin_authorization_already_exists');
+        }
+        if (existing) {
+          authorizationId = existing.id;
+          await connection.query(
+            `UPDATE provider_authorizations
+             SET actor_user_id = ?, status = 'authorizing', revoked_at = NULL, updated_at = UTC_TIMESTAMP(3)
+             WHERE id = ?`,
+            [userId, authorizationId]
+          );
+        } else {
+          authorizationId = createId();
+          await connection.query(
+            `INSERT INTO provider_authorizations
+              (id, workspace_id, provider, actor_user_id, status, auth_product, api_version)
+             VALUES (?, ?, ?, ?, 'authorizing', 'community_management', ?)`,
+            [authorizationId, workspaceId, LINKEDIN_PROVIDER, userId, `rest-${readiness.apiVersion}`]
+          );
+        }
+      }
+
+      await connection.query(
+        `UPDATE oauth_transactions
+         SET status = 'failed', consumed_at = COALESCE(consumed_at, UTC_TIMESTAMP(3))
+         WHERE provider_authorization_id = ? AND provider = ? AND status = 'pending'`,
+        [authorizationId, LINKEDIN_PROVIDER]
+      );
+      const state = randomToken(32);
+      await connection.query(
+        `INSERT INTO oauth_transactions
+          (id, state_hash, provider, workspace_id, initiated_by, session_id,
+           provider_authorization_id, target_connection_id, return_path, requested_scopes,
+           redirect_uri, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND))`,
+        [
+          createId(), hashSecret(state), LINKEDIN_PROVIDER, workspaceId, userId, sessionId,
+          authorizationId, targetConnectionId, safeReturnPath, JSON.stringify(linkedin.LINKEDIN_SCOPES),
+          readiness.redirectUri, readiness.limits.oauthStateTtlSeconds
+        ]
+      );
+      await writeAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: targetConnectionId ? 'connection.linkedin.reauthorize_start' : 'connection.linkedin.start',
+        targetType: 'provider_authorization',
+        targetId: authorizationId,
+        metadata: { requested_scope_count: linkedin.LINKEDIN_SCOPES.length }
+      });
+      await connection.commit();
+      return {
+        authorization_url: linkedin.buildAuthorizationUrl({ state }),
+        expires_in_seconds: readiness.limits.oauthStateTtlSeconds
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function consumeOAuthTransaction(connection, { state, sessionId, userId }) {
+  if (!state) throw createHttpError(400, 'linkedin_oauth_state_missing');
+  const rows = await connection.query(
+    `SELECT oauth_transactions.*, expires_at <= UTC_TIMESTAMP(3) AS is_expired
+     FROM oauth_transactions WHERE state_hash = ? LIMIT 1 FOR UPDATE`,
+    [hashSecret(state)]
+  );
+  const transaction = rows[0] || null;
+  if (!transaction) throw createHttpError(400, 'linkedin_oauth_state_invalid');
+  if (transaction.provider !== LINKEDIN_PROVIDER) throw createHttpError(400, 'linkedin_oauth_provider_mismatch');
+  if (transaction.consumed_at || transaction.status !== 'pending') {
+    throw createHttpError(400, 'linkedin_oauth_state_replayed');
+  }
+  if (Number(transaction.is_expired) === 1) {
+    await connection.query(
+      `UPDATE oauth_transactions SET status = 'expired', consumed_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+      [transaction.id]
+    );
+    throw createHttpError(400, 'linkedin_oauth_state_expired');
+  }
+  if (transaction.session_id !== sessionId) throw createHttpError(403, 'linkedin_oauth_session_mismatch');
+  if (transaction.initiated_by !== userId) throw createHttpError(403, 'linkedin_oauth_user_mismatch');
+  const authRows = await connection.query(
+    'SELECT workspace_id, provider FROM provider_authorizations WHERE id = ? LIMIT 1',
+    [transaction.provider_authorization_id]
+  );
+  const authorization = authRows[0] || null;
+  if (!authorization || authorization.provider !== LINKEDIN_PROVIDER) {
+    throw createHttpError(400, 'linkedin_oauth_authorization_mismatch');
+  }
+  if (authorization.workspace_id !== transaction.workspace_id) {
+    throw createHttpError(400, 'linkedin_oauth_workspace_mismatch');
+  }
+  await requireWorkspaceRole(connection, transaction.workspace_id, userId, 'manageConnection', LINKEDIN_PROVIDER);
+  if (transaction.target_connection_id) {
+    const targetRows = await connection.query(
+      'SELECT workspace_id, provider FROM workspace_provider_connections WHERE id = ? LIMIT 1',
+      [transaction.target_connection_id]
+    );
+    const target = targetRows[0] || null;
+    if (!target || target.workspace_id !== transaction.workspace_id || target.provider !== LINKEDIN_PROVIDER) {
+      throw createHttpError(400, 'linkedin_oauth_workspace_mismatch');
+    }
+  }
+  if (!linkedin.hasExactScopes(parseJson(transaction.requested_scopes, []))) {
+    throw createHttpError(400, 'linkedin_oauth_scope_binding_mismatch');
+  }
+  if (transaction.redirect_uri !== process.env.LINKEDIN_REDIRECT_URI) {
+    throw createHttpError(400, 'linkedin_oauth_redirect_mismatch');
+  }
+  await connection.query(
+    `UPDATE oauth_transactions SET status = 'consumed', consumed_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+    [transaction.id]
+  );
+  return transaction;
+}
+
+async function markAuthorizationFailed(transaction, outcome, grantedScopes = null) {
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      await connection.query(`UPDATE oauth_transactions SET status = 'failed' WHERE id = ?`, [transaction.id]);
+      if (Array.isArray(grantedScopes)) {
+        await connection.query(
+          'DELETE FROM provider_authorization_scopes WHERE provider_authorization_id = ?',
+          [transaction.provider_authorization_id]
+        );
+        for (const scope of grantedScopes) {
+          await connection.query(
+            `INSERT INTO provider_authorization_scopes
+              (provider_authorization_id, scope, status, granted_at, last_confirmed_at)
+             VALUES (?, ?, 'granted', UTC_TIMESTAMP(3), UTC_TIMESTAMP(3))`,
+            [transaction.provider_authorization_id, String(scope)]
+          );
+        }
+      }
+      const nextStatus = transaction.target_connection_id ? 'reconnect_required' : 'disabled';
+      await connection.query(
+        'UPDATE provider_authorizations SET status = ?, updated_at = UTC_TIMESTAMP(3) WHERE id = ?',
+        [nextStatus, transaction.provider_authorization_id]
+      );
+      if (transaction.target_connection_id) {
+        await connection.query(
+          `UPDATE workspace_provider_connections wpc
+           JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+           JOIN data_sources ds ON ds.id = wpc.data_source_id
+           SET wpc.status = 'reconnect_required', ds.status = 'reconnect_required',
+               ds.reconnect_reason = ?, wpc.updated_at = UTC_TIMESTAMP(3), ds.updated_at = UTC_TIMESTAMP(3)
+           WHERE pr.provider_authorization_id = ? AND wpc.provider = ?`,
+          [`linkedin_authorization_${outcome}`.slice(0, 255), transaction.provider_authorization_id, LINKEDIN_PROVIDER]
+        );
+      }
+      await writeAuditLog(connection, {
+        workspaceId: transaction.workspace_id,
+        action: 'connection.linkedin.authorization_failed',
+        targetType: 'provider_authorization',
+        targetId: transaction.provider_authorization_id,
+        metadata: { outcome_category: outcome }
+      });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function loadExistingRefreshToken(authorizationId) {
+  return withConnection(async connection => {
+    const rows = await connection.query(
+      `SELECT refresh_token_ciphertext, refresh_token_iv, refresh_token_tag, key_version
+       FROM provider_authorization_credentials
+       WHERE provider_authorization_id = ? AND revoked_at IS NULL
+         AND (refresh_expires_at IS NULL OR refresh_expires_at > UTC_TIMESTAMP(3))
+       LIMIT 1`,
+      [authorizationId]
+    );
+    const record = rows[0] || null;
+    if (!record || !record.refresh_token_ciphertext) return null;
+    return decryptSecret({
+      ciphertext: record.refresh_token_ciphertext,
+      iv: record.refresh_token_iv,
+      tag: record.refresh_token_tag,
+      keyVersion: record.key_version
+    });
+  });
+}
+
+async function recordAuthorizationRequest(transaction, details) {
+  return withConnection(connection => connection.query(
+    `INSERT INTO provider_request_events
+      (id, workspace_id, provider_authorization_id, provider, request_category,
+       method_name, quota_cost_estimate, page_number, item_count, attempts,
+       status, failure_category, retry_after_seconds)
+     VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?)`,
+    [
+      createId(), transaction.workspace_id, transaction.provider_authorization_id, LINKEDIN_PROVIDER,
+      details.category, details.method, details.pageNumber || null,
+      details.itemCount === undefined ? null : details.itemCount,
+      details.result && Number.isInteger(details.result.attempts) ? details.result.attempts : 1,
+      details.status,
+      details.result && details.result.error ? details.result.error.category : null,
+      details.result ? details.result.retryAfterSeconds : null
+    ]
+  ));
+}
+
+async function discoverOrganizations(transaction, accessToken, limits) {
+  const acls = [];
+  let start = 0;
+  for (let page = 1; page <= limits.maxDiscoveryPages; page += 1) {
+    const result = await linkedin.listOrganizationAcls(accessToken, start, { maxRetries: 0 });
+    const items = result.body && Array.isArray(result.body.elements) ? result.body.elements : null;
+    await recordAuthorizationRequest(transaction, {
+      category: 'data_api',
+      method: 'organizationAcls.roleAssignee',
+      pageNumber: page,
+      itemCount: items ? items.length : null,
+      result,
+      status: !result.ok || !items ? 'failed' : items.length > 0 ? 'success' : 'empty'
+    });
+    if (!result.ok || !items) throw createHttpError(502, 'linkedin_organization_discovery_failed');
+    acls.push(...items);
+    const paging = result.body.paging && typeof result.body.paging === 'object' ? result.body.paging : {};
+    const total = Number(paging.total);
+    const next = start + items.length;
+    if (items.length === 0 || !Number.isFinite(total) || next >= total) break;
+    if (page === limits.maxDiscoveryPages) throw createHttpError(502, 'linkedin_organization_discovery_incomplete');
+    start = next;
+  }
+
+  const seen = new Set();
+  const references = [];
+  for (const acl of acls) {
+    const urn = String(acl && acl.organization || '');
+    if (!linkedin.ORGANIZATION_URN.test(urn) || seen.has(urn)) continue;
+    if (acl.state && acl.state !== 'APPROVED') continue;
+    seen.add(urn);
+    references.push(acl);
+    if (references.length >= limits.maxOrganizations) break;
+  }
+  const organizations = [];
+  for (const acl of references) {
+    const result = await linkedin.getOrganization(accessToken, acl.organization, { maxRetries: 0 });
+    await recordAuthorizationRequest(transaction, {
+      category: 'data_api',
+      method: 'organizations.get',
+      itemCount: result.ok ? 1 : 0,
+      result,
+      status: result.ok ? 'success' : 'failed'
+    });
+    organizations.push(normalizeOrganization(acl, result.ok ? result.body : null));
+  }
+  return organizations;
+}
+
+async function saveAuthorizationResult(transaction, tokenBody, grantedScopes, organizations, refreshToken) {
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      if (transaction.target_connection_id) {
+        const targetRows = await connection.query(
+          `SELECT pr.provider_resource_id
+           FROM workspace_provider_connections wpc
+           JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+           WHERE wpc.id = ? AND wpc.workspace_id = ? AND wpc.provider = ?
+           LIMIT 1`,
+          [transaction.target_connection_id, transaction.workspace_id, LINKEDIN_PROVIDER]
+        );
+        const target = targetRows[0] || null;
+        const discoveredTarget = target && organizations.find(item => item.id === target.provider_resource_id);
+        if (!target || !discoveredTarget || !discoveredTarget.selectable) {
+          throw createHttpError(409, 'linkedin_reconnect_organization_mismatch');
+        }
+      }
+
+      const access = encryptSecret(tokenBody.access_token);
+      const refresh = encryptSecret(refreshToken);
+      const accessTtl = Number(tokenBody.expires_in);
+      const refreshTtl = tokenBody.refresh_token_expires_in ? Number(tokenBody.refresh_token_expires_in) : null;
+      await connection.query(
+        `INSERT INTO provider_authorization_credentials
+          (id, provider_authorization_id, access_token_ciphertext, access_token_iv, access_token_tag,
+           refresh_token_ciphertext, refresh_token_iv, refresh_token_tag, key_version, token_type,
+           access_expires_at, refresh_expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+                 DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+                 CASE WHEN ? IS NULL THEN NULL ELSE DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND) END)
+         ON DUPLICATE KEY UPDATE
+           access_token_ciphertext = VALUES(access_token_ciphertext),
+           access_token_iv = VALUES(access_token_iv), access_token_tag = VALUES(access_token_tag),
+           refresh_token_ciphertext = VALUES(refresh_token_ciphertext),
+           refresh_token_iv = VALUES(refresh_token_iv), refresh_token_tag = VALUES(refresh_token_tag),
+           key_version = VALUES(key_version), token_type = VALUES(token_type),
+           access_expires_at = VALUES(access_expires_at),
+           refresh_expires_at = COALESCE(VALUES(refresh_expires_at), refresh_expires_at),
+           revoked_at = NULL, updated_at = UTC_TIMESTAMP(3)`,
+        [
+          createId(), transaction.provider_authorization_id,
+          access.ciphertext, access.iv, access.tag,
+          refresh.ciphertext, refresh.iv, refresh.tag, access.keyVersion,
+          tokenBody.token_type || 'Bearer', accessTtl, refreshTtl, refreshTtl
+        ]
+      );
+      await connection.query(
+        'DELETE FROM provider_authorization_scopes WHERE provider_authorization_id = ?',
+        [transaction.provider_authorization_id]
+      );
+      for (const scope of grantedScopes) {
+        await connection.query(
+          `INSERT INTO provider_authorization_scopes
+            (provider_authorization_id, scope, status, granted_at, last_confirmed_at)
+           VALUES (?, ?, 'granted', UTC_TIMESTAMP(3), UTC_TIMESTAMP(3))`,
+          [transaction.provider_authorization_id, scope]
+        );
+      }
+
+      await connection.query(
+        `UPDATE provider_authorizations
+         SET provider_subject = NULL, display_name = ?, status = 'active',
+             granted_at = COALESCE(granted_at, UTC_TIMESTAMP(3)),
+             last_validated_at = UTC_TIMESTAMP(3), revoked_at = NULL,
+             updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        ['LinkedIn authorization', transaction.provider_authorization_id]
+      );
+
+      const discoveredIds = organizations.map(item => item.id);
+      if (discoveredIds.length > 0) {
+        await connection.query(
+          `DELETE pr FROM provider_resources pr
+           LEFT JOIN workspace_provider_connections wpc ON wpc.provider_resource_id = pr.id
+           WHERE pr.provider_authorization_id = ? AND pr.provider = ? AND wpc.id IS NULL
+             AND pr.provider_resource_id NOT IN (${discoveredIds.map(() => '?').join(', ')})`,
+          [transaction.provider_authorization_id, LINKEDIN_PROVIDER, ...discoveredIds]
+        );
+      } else {
+        await connection.query(
+          `DELETE pr FROM provider_resources pr
+           LEFT JOIN workspace_provider_connections wpc ON wpc.provider_resource_id = pr.id
+           WHERE pr.provider_authorization_id = ? AND pr.provider = ? AND wpc.id IS NULL`,
+          [transaction.provider_authorization_id, LINKEDIN_PROVIDER]
+        );
+      }
+      for (const organization of organizations) {
+        await connection.query(
+          `INSERT INTO provider_resources
+            (id, provider_authorization_id, workspace_id, provider, resource_type,
+             provider_resource_id, display_name, metadata)
+           VALUES (?, ?, ?, ?, 'linkedin_organization', ?, ?, ?)
+           ON DUPLICATE KEY UPDATE display_name = VALUES(display_name), metadata = VALUES(metadata),
+             updated_at = UTC_TIMESTAMP(3)`,
+          [
+            createId(), transaction.provider_authorization_id, transaction.workspace_id, LINKEDIN_PROVIDER,
+            organization.id, organization.displayName, JSON.stringify(organization)
+          ]
+        );
+      }
+
+      const connectedRows = await connection.query(
+        `SELECT wpc.id, wpc.data_source_id, pr.provider_resource_id
+         FROM workspace_provider_connections wpc
+         JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+         WHERE pr.provider_authorization_id = ? AND wpc.provider = ?`,
+        [transaction.provider_authorization_id, LINKEDIN_PROVIDER]
+      );
+      for (const connected of connectedRows) {
+        const organization = organizations.find(item => item.id === connected.provider_resource_id && item.selectable);
+        const status = organization ? 'active' : 'reconnect_required';
+        const reason = organization ? null : 'linkedin_organization_not_returned';
+        await connection.query(
+          `UPDATE workspace_provider_connections SET status = ?, next_sync_at = UTC_TIMESTAMP(3),
+             updated_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+          [status, connected.id]
+        );
+        await connection.query(
+          `UPDATE data_sources SET status = ?, reconnect_reason = ?, next_sync_at = UTC_TIMESTAMP(3),
+             updated_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+          [status, reason, connected.data_source_id]
+        );
+        await connection.query(
+          `UPDATE sync_jobs SET status = ?, run_after = UTC_TIMESTAMP(3), lease_owner = NULL,
+             lease_expires_at = NULL, updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+          [organization ? 'due' : 'paused', connected.data_source_id]
+        );
+        await connection.query(
+          `UPDATE provider_capabilities SET status = ?, reason = ?, updated_at = UTC_TIMESTAMP(3)
+           WHERE workspace_provider_connection_id = ?`,
+          [organization ? 'available' : 'not_granted', reason, connected.id]
+        );
+      }
+      const selectableCount = organizations.filter(item => item.selectable).length;
+      await writeAuditLog(connection, {
+        workspaceId: transaction.workspace_id,
+        actorUserId: transaction.initiated_by,
+        action: transaction.target_connection_id ? 'connection.linkedin.reauthorized' : 'connection.linkedin.authorized',
+        targetType: 'provider_authorization',
+        targetId: transaction.provider_authorization_id,
+        metadata: {
+          discovered_organization_count: organizations.length,
+          selectable_organization_count: selectableCount,
+          granted_scope_count: grantedScopes.length
+        }
+      });
+      await connection.commit();
+      return { discoveredOrganizationCount: organizations.length, selectableOrganizationCount: selectableCount };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function completeLinkedInConnection({ code, state, providerError, sessionId, userId }) {
+  let transaction;
+  await withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      transaction = await consumeOAuthTransaction(connection, { state, sessionId, userId });
+      await connection.commit();
+    } catch (error) {
+      if (error.code === 'linkedin_oauth_state_expired') await connection.commit();
+      else await connection.rollback();
+      throw error;
+    }
+  });
+  if (providerError) {
+    const denied = ['user_cancelled_authorize', 'user_cancelled_login', 'access_denied'].includes(providerError);
+    await markAuthorizationFailed(transaction, denied ? 'user_denied' : 'provider_error');
+    throw createHttpError(400, denied ? 'linkedin_authorization_denied' : 'linkedin_authorization_failed');
+  }
+  if (!code) {
+    await markAuthorizationFailed(transaction, 'missing_code');
+    throw createHttpError(400, 'linkedin_authorization_code_missing');
+  }
+  const exchange = await linkedin.exchangeCode(code);
+  const tokenBody = exchange.body || {};
+  await recordAuthorizationRequest(transaction, {
+    category: 'oauth', method: 'oauth.token', result: exchange,
+    status: exchange.ok && tokenBody.access_token && Number(tokenBody.expires_in) > 0 ? 'success' : 'failed'
+  });
+  if (!exchange.ok || !tokenBody.access_token || Number(tokenBody.expires_in) <= 0) {
+    await markAuthorizationFailed(transaction, exchange.error ? exchange.error.category : 'malformed_response');
+    throw createHttpError(502, 'linkedin_token_exchange_failed');
+  }
+  const grantedScopes = [...linkedin.grantedScopes(tokenBody.scope)];
+  if (!linkedin.hasExactScopes(grantedScopes)) {
+    await linkedin.revokeToken(tokenBody.access_token);
+    await markAuthorizationFailed(transaction, 'missing_required_scopes', grantedScopes);
+    throw createHttpError(400, 'linkedin_required_scopes_missing');
+  }
+  const existingRefresh = await loadExistingRefreshToken(transaction.provider_authorization_id);
+  const refreshToken = linkedin.chooseRefreshToken(tokenBody.refresh_token, existingRefresh);
+  if (!refreshToken) {
+    await linkedin.revokeToken(tokenBody.access_token);
+    await markAuthorizationFailed(transaction, 'refresh_token_missing');
+    throw createHttpError(400, 'linkedin_refresh_token_missing');
+  }
+  let organizations;
+  try {
+    organizations = await discoverOrganizations(transaction, tokenBody.access_token, getLinkedInConfiguration().limits);
+  } catch (error) {
+    await linkedin.revokeToken(tokenBody.access_token);
+    await markAuthorizationFailed(transaction, error.code || 'organization_discovery_failed');
+    throw error;
+  }
+  try {
+    const saved = await saveAuthorizationResult(transaction, tokenBody, grantedScopes, organizations, refreshToken);
+    return {
+      return_path: transaction.return_path,
+      outcome: saved.selectableOrganizationCount === 0
+        ? 'no_organizations'
+        : transaction.target_connection_id ? 'reconnected' : 'selection_required',
+      discovered_organization_count: saved.discoveredOrganizationCount,
+      selectable_organization_count: saved.selectableOrganizationCount
+    };
+  } catch (error) {
+    await linkedin.revokeToken(tokenBody.access_token);
+    await markAuthorizationFailed(transaction, error.code || 'storage_failed');
+    throw error;
+  }
+}
+
+async function selectLinkedInResource(userId, workspaceId, resourceId) {
+  if (!resourceId) throw createHttpError(400, 'linkedin_resource_required');
+  return withConnection(async connection => {
+    const readiness = await requireLinkedInReady(connection);
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', LINKEDIN_PROVIDER);
+    await connection.beginTransaction();
+    try {
+      const rows = await connection.query(
+        `SELECT pr.*, pauth.status AS authorization_status, pauth.id AS authorization_id
+         FROM provider_resources pr
+         JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+         WHERE pr.id = ? AND pr.workspace_id = ? AND pr.provider = ?
+           AND pr.resource_type = 'linkedin_organization'
+         LIMIT 1 FOR UPDATE`,
+        [resourceId, workspaceId, LINKEDIN_PROVIDER]
+      );
+      const resource = rows[0] || null;
+      if (!resource) throw createHttpError(404, 'linkedin_resource_not_found');
+      if (resource.authorization_status !== 'active') throw createHttpError(409, 'linkedin_authorization_not_active');
+      const metadata = parseJson(resource.metadata, {});
+      if (!metadata.selectable) throw createHttpError(409, 'linkedin_organization_details_unavailable');
+      const scopes = await connection.query(
+        `SELECT scope FROM provider_authorization_scopes
+         WHERE provider_authorization_id = ? AND status = 'granted'`,
+        [resource.authorization_id]
+      );
+      if (!linkedin.hasExactScopes(scopes.map(row => row.scope))) {
+        throw createHttpError(409, 'linkedin_required_scopes_missing');
+      }
+      const existing = await connection.query(
+        `SELECT id FROM workspace_provider_connections
+         WHERE workspace_id = ? AND provider_resource_id = ? LIMIT 1`,
+        [workspaceId, resourceId]
+      );
+      if (existing[0]) throw createHttpError(409, 'linkedin_organization_already_connected');
+      const dataSourceId = createId();
+      const connectionId = createId();
+      await connection.query(
+        `INSERT INTO data_sources (id, workspace_id, provider, status, next_sync_at)
+         VALUES (?, ?, ?, 'active', UTC_TIMESTAMP(3))`,
+        [dataSourceId, workspaceId, LINKEDIN_PROVIDER]
+      );
+      await connection.query(
+        `INSERT INTO provider_accounts
+          (id, workspace_id, data_source_id, provider, provider_account_id, username, display_name, metadata)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          createId(), workspaceId, dataSourceId, LINKEDIN_PROVIDER, resource.provider_resource_id,
+          metadata.vanityName || null, resource.display_name, JSON.stringify(metadata)
+        ]
+      );
+      await connection.query(
+        `INSERT INTO workspace_provider_connections
+          (id, workspace_id, provider_resource_id, data_source_id, provider, status, next_sync_at)
+         VALUES (?, ?, ?, ?, ?, 'active', UTC_TIMESTAMP(3))`,
+        [connectionId, workspaceId, resourceId, dataSourceId, LINKEDIN_PROVIDER]
+      );
+      for (const capability of LINKEDIN_CAPABILITIES) {
+        await connection.query(
+          `INSERT INTO provider_capabilities
+            (id, workspace_provider_connection_id, capability_key, status)
+           VALUES (?, ?, ?, 'available')`,
+          [createId(), connectionId, capability]
+        );
+      }
+      for (const syncKey of ['linkedin.organization', 'linkedin.statistics', 'linkedin.posts']) {
+        await connection.query(
+          `INSERT INTO provider_sync_states
+            (id, workspace_provider_connection_id, sync_key, cursor_state, api_version)
+           VALUES (?, ?, ?, JSON_OBJECT(), ?)`,
+          [createId(), connectionId, syncKey, `rest-${readiness.apiVersion}`]
+        );
+      }
+      await connection.query(
+        `INSERT INTO sync_jobs (id, data_source_id, run_after, status)
+         VALUES (?, ?, UTC_TIMESTAMP(3), 'due')`,
+        [createId(), dataSourceId]
+      );
+      await writeAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'connection.linkedin.resource_selected',
+        targetType: 'workspace_provider_connection',
+        targetId: connectionId,
+        metadata: { provider: LINKEDIN_PROVIDER }
+      });
+      await connection.commit();
+      return {
+        connection: {
+          id: connectionId,
+          data_source_id: dataSourceId,
+          status: 'active',
+          account: {
+            id: resource.provider_resource_id,
+            display_name: resource.display_name,
+            vanity_name: metadata.vanityName || null,
+            page_url: metadata.pageUrl || null
+          }
+        }
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function listLinkedInResources(userId, workspaceId) {
+  return withConnection(async connection => {
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', LINKEDIN_PROVIDER);
+    const rows = await connection.query(
+      `SELECT pr.id, pr.provider_resource_id, pr.display_name, pr.metadata, wpc.id AS connection_id
+       FROM provider_resources pr
+       JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+       LEFT JOIN workspace_provider_connections wpc ON wpc.provider_resource_id = pr.id
+       WHERE pr.workspace_id = ? AND pr.provider = ? AND pauth.status = 'active'
+       ORDER BY pr.display_name`,
+      [workspaceId, LINKEDIN_PROVIDER]
+    );
+    return rows.map(row => {
+      const metadata = parseJson(row.metadata, {});
+      return {
+        id: row.id,
+        organization_urn: row.provider_resource_id,
+        display_name: row.display_name,
+        vanity_name: metadata.vanityName || null,
+        selectable: Boolean(metadata.selectable) && !row.connection_id,
+        connection_id: row.connection_id || null
+      };
+    });
+  });
+}
+
+async function loadAuthorizationForDisconnect(connection, workspaceId, connectionId) {
+  const params = [workspaceId, LINKEDIN_PROVIDER];
+  const clause = connectionId ? 'AND wpc.id = ?' : '';
+  if (connectionId) params.push(connectionId);
+  const rows = await connection.query(
+    `SELECT pauth.id AS authorization_id, wpc.id AS connection_id, wpc.data_source_id,
+            pac.access_token_ciphertext, pac.access_token_iv, pac.access_token_tag, pac.key_version,
+            (SELECT COUNT(*) FROM workspace_provider_connections sibling
+             JOIN provider_resources sibling_resource ON sibling_resource.id = sibling.provider_resource_id
+             WHERE sibling_resource.provider_authorization_id = pauth.id) AS connection_count
+     FROM provider_authorizations pauth
+     LEFT JOIN provider_authorization_credentials pac ON pac.provider_authorization_id = pauth.id
+     LEFT JOIN provider_resources pr ON pr.provider_authorization_id = pauth.id
+     LEFT JOIN workspace_provider_connections wpc ON wpc.provider_resource_id = pr.id
+     WHERE pauth.workspace_id = ? AND pauth.provider = ? ${clause}
+       AND pauth.status IN ('active', 'authorizing', 'reconnect_required', 'disabled')
+     ORDER BY pauth.updated_at DESC LIMIT 1`,
+    params
+  );
+  return rows[0] || null;
+}
+
+async function purgeAuthorization(connection, authorizationId, outcomeCategory, actorUserId = null) {
+  const authRows = await connection.query(
+    `SELECT workspace_id FROM provider_authorizations
+     WHERE id = ? AND provider = ? LIMIT 1 FOR UPDATE`,
+    [authorizationId, LINKEDIN_PROVIDER]
+  );
+  const authorization = authRows[0] || null;
+  if (!authorization) return null;
+  const sourceRows = await connection.query(
+    `SELECT DISTINCT wpc.data_source_id
+     FROM workspace_provider_connections wpc
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     WHERE pr.provider_authorization_id = ? AND wpc.data_source_id IS NOT NULL`,
+    [authorizationId]
+  );
+  const connectionRows = await connection.query(
+    `SELECT wpc.id FROM workspace_provider_connections wpc
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     WHERE pr.provider_authorization_id = ? ORDER BY wpc.created_at`,
+    [authorizationId]
+  );
+  await connection.query(
+    'DELETE FROM provider_request_events WHERE provider_authorization_id = ? AND provider = ?',
+    [authorizationId, LINKEDIN_PROVIDER]
+  );
+  await connection.query(
+    'DELETE FROM oauth_transactions WHERE provider_authorization_id = ? AND provider = ?',
+    [authorizationId, LINKEDIN_PROVIDER]
+  );
+  await connection.query(
+    `INSERT INTO provider_revocation_events
+      (id, provider_authorization_id, workspace_provider_connection_id, actor_user_id,
+       provider, status, failure_category)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      createId(), authorizationId, connectionRows[0] ? connectionRows[0].id : null,
+      actorUserId, LINKEDIN_PROVIDER,
+      outcomeCategory === 'provider_revoked' ? 'provider_revoked' : 'local_revoked', outcomeCategory
+    ]
+  );
+  await connection.query(
+    `DELETE wpc FROM workspace_provider_connections wpc
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     WHERE pr.provider_authorization_id = ?`,
+    [authorizationId]
+  );
+  for (const source of sourceRows) {
+    await connection.query('DELETE FROM data_sources WHERE id = ?', [source.data_source_id]);
+  }
+  await connection.query('DELETE FROM provider_resources WHERE provider_authorization_id = ?', [authorizationId]);
+  await connection.query('DELETE FROM provider_authorization_credentials WHERE provider_authorization_id = ?', [authorizationId]);
+  await connection.query('DELETE FROM provider_authorization_scopes WHERE provider_authorization_id = ?', [authorizationId]);
+  await connection.query(
+    `UPDATE provider_authorizations
+     SET actor_user_id = NULL, provider_subject = NULL, display_name = NULL,
+         status = 'revoked', revoked_at = UTC_TIMESTAMP(3), updated_at = UTC_TIMESTAMP(3)
+     WHERE id = ?`,
+    [authorizationId]
+  );
+  await writeAuditLog(connection, {
+    workspaceId: authorization.workspace_id,
+    actorUserId,
+    action: 'connection.linkedin.revoked_and_purged',
+    targetType: 'provider_authorization',
+    targetId: authorizationId,
+    metadata: { outcome_category: outcomeCategory }
+  });
+  return { deletedSourceCount: sourceRows.length };
+}
+
+function decryptRevocationToken(record) {
+  if (!record.access_token_ciphertext) return null;
+  return decryptSecret({
+    ciphertext: record.access_token_ciphertext,
+    iv: record.access_token_iv,
+    tag: record.access_token_tag,
+    keyVersion: record.key_version
+  });
+}
+
+async function disconnectLinkedIn(userId, workspaceId, connectionId = null) {
+  await withConnection(connection => requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', LINKEDIN_PROVIDER));
+  const result = await revokeLinkedInConnection({ workspaceId, connectionId, actorUserId: userId });
+  if (!result) throw createHttpError(404, 'linkedin_connection_not_found');
+  return result;
+}
+
+async function revokeLinkedInConnection({ workspaceId, connectionId = null, actorUserId = null }) {
+  const record = await withConnection(connection => loadAuthorizationForDisconnect(connection, workspaceId, connectionId));
+  if (!record) return null;
+  if (connectionId && Number(record.connection_count) > 1) {
+    await withConnection(async connection => {
+      await connection.beginTransaction();
+      try {
+        await connection.query('DELETE FROM workspace_provider_connections WHERE id = ? AND workspace_id = ?', [connectionId, workspaceId]);
+        if (record.data_source_id) await connection.query('DELETE FROM data_sources WHERE id = ?', [record.data_source_id]);
+        await writeAuditLog(connection, {
+          workspaceId,
+          actorUserId,
+          action: 'connection.linkedin.resource_disconnected',
+          targetType: 'workspace_provider_connection',
+          targetId: connectionId,
+          metadata: { provider_grant_preserved: true }
+        });
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+    return {
+      disconnected: true,
+      local_data_deleted: true,
+      provider_grant_preserved: true,
+      provider_revoke: { attempted: false, success: false, status: null, outcome_category: 'shared_authorization_preserved' }
+    };
+  }
+  let token = null;
+  try {
+    token = decryptRevocationToken(record);
+  } catch {
+    token = null;
+  }
+  const providerRevoke = token
+    ? await linkedin.revokeToken(token)
+    : { attempted: false, success: false, status: null, error: { category: 'credential_unavailable' } };
+  const outcome = providerRevoke.success ? 'provider_revoked' : 'provider_revoke_failed_local_purge';
+  const local = await withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const result = await purgeAuthorization(connection, record.authorization_id, outcome, actorUserId);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+  return {
+    disconnected: true,
+    local_data_deleted: true,
+    provider_grant_preserved: false,
+    provider_revoke: {
+      attempted: providerRevoke.attempted,
+      success: providerRevoke.success,
+      status: providerRevoke.status,
+      outcome_category: outcome
+    },
+    deleted_source_count: local ? local.deletedSourceCount : 0
+  };
+}
+
+async function revokeWorkspaceLinkedInAuthorizations(workspaceId, limit = 50) {
+  const results = [];
+  while (results.length < limit) {
+    const result = await revokeLinkedInConnection({ workspaceId });
+    if (!result) break;
+    results.push({ provider: LINKEDIN_PROVIDER, ...result.provider_revoke });
+  }
+  return results;
+}
+
+async function purgeLinkedInAuthorizationBySystem(authorizationId, outcomeCategory) {
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const result = await purgeAuthorization(connection, authorizationId, outcomeCategory);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+module.exports = {
+  LINKEDIN_CAPABILITIES,
+  LINKEDIN_PROVIDER,
+  completeLinkedInConnection,
+  disconnectLinkedIn,
+  linkedInFoundationReady,
+  listLinkedInResources,
+  normalizeOrganization,
+  purgeLinkedInAuthorizationBySystem,
+  requireLinkedInReady,
+  revokeLinkedInConnection,
+  revokeWorkspaceLinkedInAuthorizations,
+  selectLinkedInResource,
+  startLinkedInConnection
+};
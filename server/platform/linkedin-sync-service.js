@@ -0,0 +1,776 @@
+const { getConnection } = require('../database');
+const linkedin = require('../integrations/linkedin');
+const { createDimensionObservation, createMetricObservation } = require('./observation-contract');
+const { getMetricDefinitions } = require('./provider-registry');
+const { decryptSecret, encryptSecret } = require('./secret-envelope');
+const { createId } = require('./security');
+const { LINKEDIN_CAPABILITIES, purgeLinkedInAuthorizationBySystem } = require('./linkedin-connection-service');
+const { getLinkedInConfiguration, getLinkedInLimits } = require('./linkedin-config');
+
+const DEFAULT_SYNC_INTERVAL_SECONDS = 6 * 60 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const POST_STATISTICS_BATCH_SIZE = 20;
+
+const FOLLOWER_METRIC = Object.freeze({ key: 'linkedin.followers', unit: 'count' });
+const SHARE_METRIC_MAP = Object.freeze({
+  impressionCount: Object.freeze({ key: 'linkedin.impressions', unit: 'count' }),
+  clickCount: Object.freeze({ key: 'linkedin.clicks', unit: 'count' }),
+  likeCount: Object.freeze({ key: 'linkedin.reactions', unit: 'count' }),
+  commentCount: Object.freeze({ key: 'linkedin.comments', unit: 'count' }),
+  shareCount: Object.freeze({ key: 'linkedin.reposts', unit: 'count' })
+});
+const NEW_FOLLOWERS_METRIC = Object.freeze({ key: 'linkedin.new_followers', unit: 'count' });
+
+function createSyncError(code, result = null) {
+  const provider = result && result.error ? result.error : {};
+  const error = new Error(code);
+  error.code = code;
+  error.syncError = {
+    category: provider.category || 'provider',
+    provider_code: provider.provider_code || code,
+    retryable: provider.retryable === true,
+    terminal: provider.terminal === true,
+    retry_after_seconds: result && result.retryAfterSeconds !== null ? result.retryAfterSeconds : null,
+    message: code
+  };
+  return error;
+}
+
+function internalSyncError(error) {
+  const value = error && error.syncError ? error.syncError : {};
+  return {
+    category: value.category || 'internal',
+    provider_code: value.provider_code || null,
+    retryable: value.retryable === true,
+    terminal: value.terminal === true,
+    retry_after_seconds: value.retry_after_seconds === undefined ? null : value.retry_after_seconds,
+    message: (error && (error.code || error.message)) || 'linkedin_sync_failed'
+  };
+}
+
+function retryDelaySeconds(error) {
+  if (error && error.retry_after_seconds) return Math.max(60, Number(error.retry_after_seconds));
+  if (error && error.retryable) return 300;
+  return Number(process.env.SYNC_INTERVAL_SECONDS || DEFAULT_SYNC_INTERVAL_SECONDS);
+}
+
+function isUnusableAuthorization(syncError) {
+  return syncError.terminal || ['authentication', 'scope'].includes(syncError.category);
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createSyncError('database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+function parseJson(value, fallback = {}) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function numeric(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function buildStatisticsWindow(lookbackDays, now = Date.now()) {
+  const endMs = Math.floor(now / DAY_MS) * DAY_MS;
+  const startMs = endMs - lookbackDays * DAY_MS;
+  return {
+    startMs,
+    endMs,
+    startDate: isoDate(new Date(startMs)),
+    endDate: isoDate(new Date(endMs - DAY_MS)),
+    today: isoDate(new Date(endMs))
+  };
+}
+
+function dayFromTimeRange(element, window) {
+  const range = element && element.timeRange;
+  if (!range || typeof range !== 'object') return null;
+  const start = Number(range.start);
+  const end = Number(range.end);
+  if (!Number.isSafeInteger(start) || !Number.isSafeInteger(end) || end - start !== DAY_MS) return null;
+  if (start % DAY_MS !== 0 || start < window.startMs || end > window.endMs) return null;
+  return isoDate(new Date(start));
+}
+
+function statisticElements(body, code) {
+  if (!body || typeof body !== 'object' || !Array.isArray(body.elements)) throw createSyncError(code);
+  return body.elements.filter(element => element && typeof element === 'object');
+}
+
+function parseFollowerStatistics(body, window) {
+  const days = new Map();
+  for (const element of statisticElements(body, 'linkedin_follower_statistics_malformed')) {
+    const date = dayFromTimeRange(element, window);
+    if (!date) continue;
+    const gains = element.followerGains && typeof element.followerGains === 'object' ? element.followerGains : {};
+    const organic = numeric(gains.organicFollowerGain);
+    const paid = numeric(gains.paidFollowerGain);
+    days.set(date, organic === null && paid === null ? null : (organic || 0) + (paid || 0));
+  }
+  return days;
+}
+
+function parseShareStatistics(body, window) {
+  const days = new Map();
+  for (const element of statisticElements(body, 'linkedin_share_statistics_malformed')) {
+    const date = dayFromTimeRange(element, window);
+    if (!date) continue;
+    const totals = element.totalShareStatistics && typeof element.totalShareStatistics === 'object'
+      ? element.totalShareStatistics
+      : {};
+    const values = {};
+    for (const field of Object.keys(SHARE_METRIC_MAP)) values[field] = numeric(totals[field]);
+    days.set(date, values);
+  }
+  return days;
+}
+
+function parseFollowerCount(body) {
+  if (!body || typeof body !== 'object') throw createSyncError('linkedin_follower_count_malformed');
+  const value = numeric(body.firstDegreeSize);
+  if (value === null || !Number.isInteger(value)) throw createSyncError('linkedin_follower_count_malformed');
+  return value;
+}
+
+function parsePosts(body, organizationUrn, maxPosts) {
+  const elements = statisticElements(body, 'linkedin_posts_response_malformed');
+  const posts = [];
+  const seen = new Set();
+  for (const element of elements) {
+    const urn = String(element.id || '');
+    if (!linkedin.POST_URN.test(urn) || seen.has(urn)) continue;
+    if (element.author && element.author !== organizationUrn) continue;
+    if (element.lifecycleState && element.lifecycleState !== 'PUBLISHED') continue;
+    const publishedAt = Number(element.publishedAt || element.createdAt);
+    if (!Number.isSafeInteger(publishedAt) || publishedAt <= 0) continue;
+    seen.add(urn);
+    const text = typeof element.commentary === 'string' ? element.commentary.replace(/\s+/g, ' ').trim() : '';
+    posts.push({
+      urn,
+      publishedDate: isoDate(new Date(publishedAt)),
+      text: text ? text.slice(0, 280) : '(no text)'
+    });
+    if (posts.length >= maxPosts) break;
+  }
+  return posts;
+}
+
+function parsePostStatistics(body) {
+  const statistics = new Map();
+  for (const element of statisticElements(body, 'linkedin_post_statistics_malformed')) {
+    const urn = String(element.share || element.ugcPost || '');
+    if (!linkedin.POST_URN.test(urn)) continue;
+    const totals = element.totalShareStatistics && typeof element.totalShareStatistics === 'object'
+      ? element.totalShareStatistics
+      : {};
+    const values = {};
+    for (const field of Object.keys(SHARE_METRIC_MAP)) values[field] = numeric(totals[field]);
+    statistics.set(urn, values);
+  }
+  return statistics;
+}
+
+async function loadSource(connection, dataSourceId) {
+  const rows = await connection.query(
+    `SELECT ds.*, wpc.id AS workspace_provider_connection_id,
+            pr.id AS provider_resource_row_id, pr.provider_resource_id AS organization_urn,
+            pr.display_name AS organization_display_name, pr.metadata AS resource_metadata,
+            pauth.id AS provider_authorization_id, pauth.status AS authorization_status,
+            pac.access_token_ciphertext, pac.access_token_iv, pac.access_token_tag,
+            pac.refresh_token_ciphertext, pac.refresh_token_iv, pac.refresh_token_tag,
+            pac.key_version, pac.access_expires_at, pac.refresh_expires_at, pac.revoked_at,
+            pac.access_expires_at > DATE_ADD(UTC_TIMESTAMP(3), INTERVAL 60 SECOND) AS access_token_fresh
+     FROM data_sources ds
+     JOIN workspace_provider_connections wpc ON wpc.data_source_id = ds.id
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+     JOIN provider_authorization_credentials pac ON pac.provider_authorization_id = pauth.id
+     WHERE ds.id = ? AND ds.provider = 'linkedin' AND ds.deleted_at IS NULL
+     LIMIT 1`,
+    [dataSourceId]
+  );
+  return rows[0] || null;
+}
+
+async function recordRequestEvent(source, runId, details) {
+  return withConnection(connection => connection.query(
+    `INSERT INTO provider_request_events
+      (id, workspace_id, provider_authorization_id, workspace_provider_connection_id,
+       sync_run_id, provider, request_category, method_name, quota_cost_estimate,
+       page_number, item_count, attempts, status, failure_category, retry_after_seconds)
+     VALUES (?, ?, ?, ?, ?, 'linkedin', ?, ?, 0, ?, ?, ?, ?, ?, ?)`,
+    [
+      createId(), source.workspace_id, source.provider_authorization_id,
+      source.workspace_provider_connection_id, runId, details.category, details.method,
+      details.pageNumber || null, details.itemCount === undefined ? null : details.itemCount,
+      details.result && Number.isInteger(details.result.attempts) ? details.result.attempts : 1,
+      details.status,
+      details.result && details.result.error ? details.result.error.category : null,
+      details.result ? details.result.retryAfterSeconds : null
+    ]
+  ));
+}
+
+async function callAndRecord(source, runId, details, fn) {
+  const result = await fn();
+  await recordRequestEvent(source, runId, {
+    ...details,
+    result,
+    status: result.ok ? 'success' : 'failed'
+  });
+  if (!result.ok) throw createSyncError(`${details.method}_failed`, result);
+  return result;
+}
+
+async function refreshCredentialsIfNeeded(source, runId, deadlineMs) {
+  const accessToken = decryptSecret({
+    ciphertext: source.access_token_ciphertext,
+    iv: source.access_token_iv,
+    tag: source.access_token_tag,
+    keyVersion: source.key_version
+  });
+  if (Number(source.access_token_fresh) === 1) return accessToken;
+  if (!source.refresh_token_ciphertext) throw createSyncError('linkedin_refresh_token_missing');
+  const refreshToken = decryptSecret({
+    ciphertext: source.refresh_token_ciphertext,
+    iv: source.refresh_token_iv,
+    tag: source.refresh_token_tag,
+    keyVersion: source.key_version
+  });
+  const result = await linkedin.refreshAccessToken(refreshToken, { deadlineMs });
+  await recordRequestEvent(source, runId, {
+    category: 'oauth', method: 'oauth.refresh', result, status: result.ok ? 'success' : 'failed'
+  });
+  if (!result.ok || !result.body || !result.body.access_token || Number(result.body.expires_in) <= 0) {
+    throw createSyncError('linkedin_credential_refresh_failed', result);
+  }
+  const nextRefreshToken = linkedin.chooseRefreshToken(result.body.refresh_token, refreshToken);
+  const access = encryptSecret(result.body.access_token);
+  const refresh = encryptSecret(nextRefreshToken);
+  const refreshTtl = result.body.refresh_token_expires_in ? Number(result.body.refresh_token_expires_in) : null;
+  await withConnection(connection => connection.query(
+    `UPDATE provider_authorization_credentials
+     SET access_token_ciphertext = ?, access_token_iv = ?, access_token_tag = ?,
+         refresh_token_ciphertext = ?, refresh_token_iv = ?, refresh_token_tag = ?,
+         key_version = ?, token_type = ?,
+         access_expires_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+         refresh_expires_at = CASE
+           WHEN ? IS NOT NULL THEN DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND)
+           ELSE refresh_expires_at END,
+         updated_at = UTC_TIMESTAMP(3)
+     WHERE provider_authorization_id = ?`,
+    [
+      access.ciphertext, access.iv, access.tag,
+      refresh.ciphertext, refresh.iv, refresh.tag, access.keyVersion,
+      result.body.token_type || 'Bearer', Number(result.body.expires_in),
+      refreshTtl, refreshTtl, source.provider_authorization_id
+    ]
+  ));
+  return result.body.access_token;
+}
+
+async function createSyncRun(source, triggerType, correlationId, apiVersion) {
+  const id = createId();
+  await withConnection(connection => connection.query(
+    `INSERT INTO sync_runs
+      (id, workspace_id, data_source_id, workspace_provider_connection_id,
+       trigger_type, status, correlation_id, provider_api_version)
+     VALUES (?, ?, ?, ?, ?, 'running', ?, ?)`,
+    [
+      id, source.workspace_id, source.id, source.workspace_provider_connection_id,
+      triggerType, correlationId || null, `rest-${apiVersion}`
+    ]
+  ));
+  return id;
+}
+
+function organizationFromResponse(source, body) {
+  const id = linkedin.organizationId(source.organization_urn);
+  if (!body || String(body.id) !== id || typeof body.localizedName !== 'string' || !body.localizedName.trim()) {
+    throw createSyncError('linkedin_organization_response_malformed');
+  }
+  const vanityName = typeof body.vanityName === 'string' && body.vanityName.trim() ? body.vanityName.trim() : null;
+  return {
+    id: source.organization_urn,
+    organizationId: id,
+    displayName: body.localizedName.trim().slice(0, 255),
+    vanityName,
+    pageUrl: vanityName ? `https://www.linkedin.com/company/${encodeURIComponent(vanityName)}/` : null
+  };
+}
+
+async function optionalStep(errors, failedCapabilities, capability, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    const normalized = internalSyncError(error);
+    if (isUnusableAuthorization(normalized)) throw error;
+    errors.push(normalized);
+    failedCapabilities.add(capability);
+    return null;
+  }
+}
+
+async function fetchStatistics(source, runId, accessToken, deadlineMs, limits) {
+  const window = buildStatisticsWindow(limits.statisticsLookbackDays);
+  const errors = [];
+  const failedCapabilities = new Set();
+  const requestOptions = { deadlineMs };
+
+  const followerCount = await optionalStep(errors, failedCapabilities, 'follower_statistics', async () => {
+    const result = await callAndRecord(source, runId, {
+      category: 'data_api', method: 'networkSizes.get'
+    }, () => linkedin.getFollowerCount(accessToken, source.organization_urn, requestOptions));
+    return parseFollowerCount(result.body);
+  });
+  const followerDays = await optionalStep(errors, failedCapabilities, 'follower_statistics', async () => {
+    const result = await callAndRecord(source, runId, {
+      category: 'analytics_api', method: 'organizationalEntityFollowerStatistics.daily'
+    }, () => linkedin.getFollowerStatistics(
+      accessToken, source.organization_urn, window.startMs, window.endMs, requestOptions
+    ));
+    return parseFollowerStatistics(result.body, window);
+  });
+  const shareDays = await optionalStep(errors, failedCapabilities, 'share_statistics', async () => {
+    const result = await callAndRecord(source, runId, {
+      category: 'analytics_api', method: 'organizationalEntityShareStatistics.daily'
+    }, () => linkedin.getShareStatistics(
+      accessToken, source.organization_urn, window.startMs, window.endMs, requestOptions
+    ));
+    return parseShareStatistics(result.body, window);
+  });
+
+  const posts = await optionalStep(errors, failedCapabilities, 'post_statistics', async () => {
+    const result = await callAndRecord(source, runId, {
+      category: 'data_api', method: 'posts.author'
+    }, () => linkedin.listPosts(accessToken, source.organization_urn, limits.maxPosts, requestOptions));
+    return parsePosts(result.body, source.organization_urn, limits.maxPosts);
+  }) || [];
+  const postStatistics = new Map();
+  for (let index = 0; index < posts.length; index += POST_STATISTICS_BATCH_SIZE) {
+    if (Date.now() >= deadlineMs) throw createSyncError('linkedin_time_budget_exhausted');
+    const batch = posts.slice(index, index + POST_STATISTICS_BATCH_SIZE);
+    const statistics = await optionalStep(errors, failedCapabilities, 'post_statistics', async () => {
+      const result = await callAndRecord(source, runId, {
+        category: 'analytics_api',
+        method: 'organizationalEntityShareStatistics.posts',
+        pageNumber: index / POST_STATISTICS_BATCH_SIZE + 1,
+        itemCount: batch.length
+      }, () => linkedin.getPostStatistics(
+        accessToken, source.organization_urn, batch.map(post => post.urn), requestOptions
+      ));
+      return parsePostStatistics(result.body);
+    });
+    if (statistics) for (const [urn, values] of statistics) postStatistics.set(urn, values);
+  }
+
+  return {
+    window,
+    followerCount,
+    followerDays: followerDays || new Map(),
+    shareDays: shareDays || new Map(),
+    posts,
+    postStatistics,
+    failedCapabilities,
+    errors
+  };
+}
+
+function createStoredMetric(definition, grain, periodStart, periodEnd, value, reason = null) {
+  const registryDefinition = getMetricDefinitions()[definition.key];
+  const available = value !== null;
+  return createMetricObservation({
+    provider: 'linkedin',
+    metricKey: definition.key,
+    grain,
+    periodStart,
+    periodEnd,
+    numericValue: available ? value : null,
+    unit: definition.unit,
+    availabilityStatus: available ? 'available' : 'not_reported',
+    availabilityReason: available ? null : reason || 'linkedin_value_not_reported',
+    definitionVersion: registryDefinition.version
+  });
+}
+
+function metricObservations(statistics) {
+  const observations = [];
+  const { window } = statistics;
+  if (statistics.followerCount !== null) {
+    observations.push(createStoredMetric(
+      FOLLOWER_METRIC, 'snapshot', window.today, window.today, statistics.followerCount
+    ));
+  }
+  for (const [date, value] of statistics.followerDays) {
+    observations.push(createStoredMetric(NEW_FOLLOWERS_METRIC, 'daily', date, date, value));
+  }
+  for (const [date, values] of statistics.shareDays) {
+    for (const [field, definition] of Object.entries(SHARE_METRIC_MAP)) {
+      observations.push(createStoredMetric(definition, 'daily', date, date, values[field]));
+    }
+  }
+  return observations;
+}
+
+function dimensionObservations(statistics) {
+  return statistics.posts.map((post, position) => {
+    const values = statistics.postStatistics.get(post.urn) || null;
+    const metrics = {};
+    for (const [field, definition] of Object.entries(SHARE_METRIC_MAP)) {
+      const value = values ? values[field] : null;
+      metrics[definition.key] = {
+        value,
+        status: value === null ? (values ? 'not_reported' : 'provider_error') : 'available',
+        reason: value === null ? (values ? 'linkedin_value_not_reported' : 'linkedin_post_statistics_unavailable') : null
+      };
+    }
+    return createDimensionObservation({
+      provider: 'linkedin',
+      breakdownKey: 'linkedin.posts',
+      periodStart: post.publishedDate,
+      periodEnd: post.publishedDate,
+      dimensionValues: { post_urn: post.urn, published_date: post.publishedDate, text: post.text },
+      metrics,
+      rowPosition: position
+    });
+  });
+}
+
+function dataThroughDate(statistics) {
+  const dates = [...statistics.shareDays.keys(), ...statistics.followerDays.keys()].sort();
+  return dates[dates.length - 1] || null;
+}
+
+async function storeSyncResult(source, runId, organization, statistics, startedMs) {
+  const metrics = metricObservations(statistics);
+  const dimensions = dimensionObservations(statistics);
+  const throughDate = dataThroughDate(statistics);
+  const dataThroughAt = throughDate ? `${throughDate} 23:59:59` : null;
+  const status = statistics.errors.length > 0 ? 'partial' : 'success';
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const resourceMetadata = {
+        ...parseJson(source.resource_metadata, {}),
+        displayName: organization.displayName,
+        vanityName: organization.vanityName,
+        pageUrl: organization.pageUrl,
+        selectable: true,
+        discoveryStatus: 'available'
+      };
+      await connection.query(
+        `UPDATE provider_resources SET display_name = ?, metadata = ?, updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [organization.displayName, JSON.stringify(resourceMetadata), source.provider_resource_row_id]
+      );
+      await connection.query(
+        `UPDATE provider_accounts SET username = ?, display_name = ?, metadata = ?, updated_at = UTC_TIMESTAMP(3)
+         WHERE data_source_id = ?`,
+        [organization.vanityName, organization.displayName, JSON.stringify(resourceMetadata), source.id]
+      );
+      await connection.query(
+        `INSERT INTO provider_resource_observations
+          (id, workspace_id, workspace_provider_connection_id, sync_run_id, provider,
+           observed_at, data_through_at, source_timezone, observed_values, availability)
+         VALUES (?, ?, ?, ?, 'linkedin', UTC_TIMESTAMP(3), ?, 'UTC', ?, ?)`,
+        [
+          createId(), source.workspace_id, source.workspace_provider_connection_id, runId, dataThroughAt,
+          JSON.stringify({
+            organization_id: organization.organizationId,
+            display_name: organization.displayName,
+            vanity_name: organization.vanityName,
+            follower_count: statistics.followerCount
+          }),
+          JSON.stringify({
+            state: throughDate ? 'available' : 'delayed',
+            follower_count: statistics.followerCount === null ? 'not_reported' : 'available'
+          })
+        ]
+      );
+      for (const item of metrics) {
+        await connection.query(
+          `INSERT INTO provider_metric_observations
+            (id, workspace_id, workspace_provider_connection_id, sync_run_id, provider,
+             metric_key, grain, period_start, period_end, observed_at, data_through_at,
+             numeric_value, unit, availability_status, availability_reason, definition_version)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3), ?, ?, ?, ?, ?, ?)`,
+          [
+            createId(), source.workspace_id, source.workspace_provider_connection_id, runId,
+            item.provider, item.metricKey, item.grain, item.periodStart, item.periodEnd, dataThroughAt,
+            item.numericValue, item.unit, item.availabilityStatus, item.availabilityReason,
+            item.definitionVersion
+          ]
+        );
+      }
+      for (const item of dimensions) {
+        await connection.query(
+          `INSERT INTO provider_dimension_observations
+            (id, workspace_id, workspace_provider_connection_id, sync_run_id, provider,
+             breakdown_key, period_start, period_end, observed_at, data_through_at,
+             dimension_hash, dimension_values, metric_values, availability, thresholded, row_position)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3), ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            createId(), source.workspace_id, source.workspace_provider_connection_id, runId,
+            item.provider, item.breakdownKey, item.periodStart, item.periodEnd, dataThroughAt,
+            item.dimensionHash, JSON.stringify(item.dimensionValues), JSON.stringify(item.metricValues),
+            JSON.stringify(item.availability), item.thresholded, item.rowPosition
+          ]
+        );
+      }
+      for (const error of statistics.errors.slice(0, 20)) {
+        await connection.query(
+          `INSERT INTO sync_errors
+            (id, sync_run_id, category, provider_code, message, retryable)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            createId(), runId, error.category, error.provider_code,
+            String(error.message).slice(0, 512), Boolean(error.retryable)
+          ]
+        );
+      }
+      await connection.query(
+        `UPDATE sync_runs SET status = ?, finished_at = UTC_TIMESTAMP(3), duration_ms = ?,
+             profile_count = 1, content_seen_count = ?, content_snapshot_count = ?
+         WHERE id = ?`,
+        [status, Math.max(0, Date.now() - startedMs), statistics.posts.length, dimensions.length, runId]
+      );
+      const nextSeconds = Number(process.env.SYNC_INTERVAL_SECONDS || DEFAULT_SYNC_INTERVAL_SECONDS);
+      await connection.query(
+        `UPDATE data_sources SET status = 'active', reconnect_reason = NULL,
+             last_sync_at = UTC_TIMESTAMP(3),
+             last_successful_sync_at = CASE WHEN ? = 'success' THEN UTC_TIMESTAMP(3) ELSE last_successful_sync_at END,
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [status, nextSeconds, source.id]
+      );
+      await connection.query(
+        `UPDATE workspace_provider_connections SET status = 'active', last_sync_at = UTC_TIMESTAMP(3),
+             last_successful_sync_at = CASE WHEN ? = 'success' THEN UTC_TIMESTAMP(3) ELSE last_successful_sync_at END,
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             data_through_at = COALESCE(?, data_through_at), updated_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+        [status, nextSeconds, dataThroughAt, source.workspace_provider_connection_id]
+      );
+      await connection.query(
+        `UPDATE sync_jobs SET status = 'due', run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+             updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+        [nextSeconds, source.id]
+      );
+      const statisticsFailed = statistics.failedCapabilities.has('follower_statistics') ||
+        statistics.failedCapabilities.has('share_statistics');
+      const postsFailed = statistics.failedCapabilities.has('post_statistics');
+      const syncStates = [
+        ['linkedin.organization', { vanity_name: organization.vanityName }, false],
+        ['linkedin.statistics', {
+          window_start: statistics.window.startDate,
+          window_end: statistics.window.endDate,
+          follower_day_count: statistics.followerDays.size,
+          share_day_count: statistics.shareDays.size
+        }, statisticsFailed],
+        ['linkedin.posts', { post_count: statistics.posts.length }, postsFailed]
+      ];
+      for (const [syncKey, cursor, failed] of syncStates) {
+        await connection.query(
+          `UPDATE provider_sync_states SET cursor_state = ?, last_attempt_at = UTC_TIMESTAMP(3),
+               last_success_at = CASE WHEN ? THEN last_success_at ELSE UTC_TIMESTAMP(3) END,
+               data_through_at = CASE WHEN ? = 'linkedin.organization' THEN data_through_at ELSE COALESCE(?, data_through_at) END,
+               failure_category = ?,
+               failure_count = CASE WHEN ? THEN failure_count + 1 ELSE 0 END
+           WHERE workspace_provider_connection_id = ? AND sync_key = ?`,
+          [
+            JSON.stringify(cursor), failed, syncKey, dataThroughAt,
+            failed ? statistics.errors[0].category : null, failed,
+            source.workspace_provider_connection_id, syncKey
+          ]
+        );
+      }
+      for (const capability of LINKEDIN_CAPABILITIES) {
+        const delayed = statistics.failedCapabilities.has(capability);
+        await connection.query(
+          `UPDATE provider_capabilities SET status = ?, reason = ?, updated_at = UTC_TIMESTAMP(3)
+           WHERE workspace_provider_connection_id = ? AND capability_key = ?`,
+          [
+            delayed ? 'delayed' : 'available', delayed ? 'linkedin_partial_statistics' : null,
+            source.workspace_provider_connection_id, capability
+          ]
+        );
+      }
+      await connection.query(
+        `UPDATE provider_authorizations SET status = 'active', last_validated_at = UTC_TIMESTAMP(3),
+             updated_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+        [source.provider_authorization_id]
+      );
+      await connection.commit();
+      return { status, dataThroughDate: throughDate, metricCount: metrics.length, dimensionCount: dimensions.length };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function finishFailedRun(source, runId, startedMs, syncError) {
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      await connection.query(
+        `UPDATE sync_runs SET status = 'failed', finished_at = UTC_TIMESTAMP(3), duration_ms = ? WHERE id = ?`,
+        [Math.max(0, Date.now() - startedMs), runId]
+      );
+      await connection.query(
+        `INSERT INTO sync_errors
+          (id, sync_run_id, category, provider_code, message, retryable)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          createId(), runId, syncError.category, syncError.provider_code,
+          String(syncError.message).slice(0, 512), Boolean(syncError.retryable)
+        ]
+      );
+      const retrySeconds = retryDelaySeconds(syncError);
+      await connection.query(
+        `UPDATE data_sources SET status = 'active', reconnect_reason = ?, last_sync_at = UTC_TIMESTAMP(3),
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [`${syncError.category}:${syncError.message}`.slice(0, 255), retrySeconds, source.id]
+      );
+      await connection.query(
+        `UPDATE workspace_provider_connections SET last_sync_at = UTC_TIMESTAMP(3),
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [retrySeconds, source.workspace_provider_connection_id]
+      );
+      await connection.query(
+        `UPDATE sync_jobs SET status = 'due', run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+             updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+        [retrySeconds, source.id]
+      );
+      await connection.query(
+        `UPDATE provider_capabilities SET status = 'provider_error', reason = ?, updated_at = UTC_TIMESTAMP(3)
+         WHERE workspace_provider_connection_id = ?`,
+        [syncError.message, source.workspace_provider_connection_id]
+      );
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function performLinkedInSyncForJob(job, options = {}) {
+  const startedMs = Date.now();
+  const configuration = getLinkedInConfiguration();
+  if (!configuration.connectable) {
+    await withConnection(connection => connection.query(
+      `UPDATE sync_jobs SET status = 'due', run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+           lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+           updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+      [DEFAULT_SYNC_INTERVAL_SECONDS, job.data_source_id]
+    ));
+    return {
+      data_source_id: job.data_source_id,
+      sync_run_id: null,
+      status: 'disabled',
+      error: { category: 'configuration', provider_code: 'linkedin_not_available', retryable: false, message: 'linkedin_not_available' },
+      counts: { profile_count: 0, content_seen_count: 0, content_snapshot_count: 0 }
+    };
+  }
+  const limits = getLinkedInLimits();
+  const localDeadline = startedMs + limits.jobTimeBudgetSeconds * 1000;
+  const deadlineMs = options.deadlineMs ? Math.min(options.deadlineMs, localDeadline) : localDeadline;
+  let source = null;
+  let runId = null;
+  try {
+    source = await withConnection(connection => loadSource(connection, job.data_source_id));
+    if (!source || source.status !== 'active' || source.authorization_status !== 'active' || source.revoked_at) {
+      throw createSyncError('linkedin_source_not_syncable');
+    }
+    runId = await createSyncRun(source, options.triggerType || 'scheduled', options.correlationId, configuration.apiVersion);
+    const accessToken = await refreshCredentialsIfNeeded(source, runId, deadlineMs);
+    const organizationResult = await callAndRecord(source, runId, {
+      category: 'data_api', method: 'organizations.get'
+    }, () => linkedin.getOrganization(accessToken, source.organization_urn, { deadlineMs }));
+    const organization = organizationFromResponse(source, organizationResult.body);
+    const statistics = await fetchStatistics(source, runId, accessToken, deadlineMs, limits);
+    const result = await storeSyncResult(source, runId, organization, statistics, startedMs);
+    return {
+      data_source_id: source.id,
+      sync_run_id: runId,
+      status: result.status,
+      error: statistics.errors[0] || null,
+      counts: {
+        profile_count: 1,
+        content_seen_count: statistics.posts.length,
+        content_snapshot_count: result.dimensionCount
+      },
+      metric_observation_count: result.metricCount,
+      dimension_observation_count: result.dimensionCount,
+      data_through_date: result.dataThroughDate
+    };
+  } catch (error) {
+    const syncError = internalSyncError(error);
+    if (source && isUnusableAuthorization(syncError)) {
+      const outcome = syncError.provider_code === 'invalid_grant'
+        ? 'invalid_grant_external_revocation'
+        : 'authorization_unusable_external_revocation';
+      await purgeLinkedInAuthorizationBySystem(source.provider_authorization_id, outcome);
+      return {
+        data_source_id: job.data_source_id,
+        sync_run_id: null,
+        status: 'failed',
+        error: syncError,
+        counts: { profile_count: 0, content_seen_count: 0, content_snapshot_count: 0 }
+      };
+    }
+    if (source && runId) await finishFailedRun(source, runId, startedMs, syncError);
+    else {
+      const retrySeconds = retryDelaySeconds(syncError);
+      await withConnection(connection => connection.query(
+        `UPDATE sync_jobs SET status = 'due', run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+             updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+        [retrySeconds, job.data_source_id]
+      ));
+    }
+    return {
+      data_source_id: job.data_source_id,
+      sync_run_id: runId,
+      status: 'failed',
+      error: syncError,
+      counts: { profile_count: 0, content_seen_count: 0, content_snapshot_count: 0 }
+    };
+  }
+}
+
+module.exports = {
+  SHARE_METRIC_MAP,
+  buildStatisticsWindow,
+  dimensionObservations,
+  metricObservations,
+  parseFollowerCount,
+  parseFollowerStatistics,
+  parsePostStatistics,
+  parsePosts,
+  parseShareStatistics,
+  performLinkedInSyncForJob,
+  retryDelaySeconds
+};
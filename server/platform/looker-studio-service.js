@@ -0,0 +1,179 @@
+const { getConnection } = require('../database');
+const { resolveDateRange } = require('./analytics');
+const { requireWorkspaceCapability } = require('./dashboard-service');
+const { STORED_METRIC_SERIES, loadMetricSeries } = require('./metric-series');
+const { PROVIDERS, getMetricDefinitions } = require('./provider-registry');
+const { hasCapability } = require('./rbac');
+const { loadResourceScope, scopeAllowsDataSource } = require('./resource-scope');
+
+const LOOKER_PROVIDERS = Object.freeze(['tiktok', 'youtube', 'facebook_pages', 'instagram', 'google_analytics_4']);
+const MAX_RESOURCES_PER_REQUEST = 25;
+
+const DIMENSIONS = Object.freeze([
+  { id: 'date', label: 'Date', concept: 'DIMENSION', type: 'YEAR_MONTH_DAY', description: 'UTC report or observation date.' },
+  { id: 'provider', label: 'Provider', concept: 'DIMENSION', type: 'TEXT', description: 'Provider id.' },
+  { id: 'resource_id', label: 'Resource ID', concept: 'DIMENSION', type: 'TEXT', description: 'Workspace data source id.' },
+  { id: 'resource_name', label: 'Resource', concept: 'DIMENSION', type: 'TEXT', description: 'Account, channel, Page, or property name.' }
+]);
+
+const FIELD_TYPES = Object.freeze({ ratio: 'PERCENT', seconds: 'DURATION' });
+const FIELD_AGGREGATIONS = Object.freeze({ latest: 'MAX', sum: 'SUM', average: 'AVG' });
+
+function createLookerError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createLookerError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+function lookerFieldId(metricKey) {
+  return metricKey.replace(/\./g, '_');
+}
+
+function normalizeProvider(value) {
+  const provider = String(value || '');
+  if (!LOOKER_PROVIDERS.includes(provider)) throw createLookerError(400, 'invalid_looker_provider');
+  return provider;
+}
+
+function buildLookerSchema(provider) {
+  const definitions = getMetricDefinitions();
+  const metrics = Object.entries(STORED_METRIC_SERIES)
+    .filter(([key]) => definitions[key] && definitions[key].provider === provider)
+    .map(([key, metric]) => ({
+      id: lookerFieldId(key),
+      label: definitions[key].label,
+      concept: 'METRIC',
+      type: FIELD_TYPES[definitions[key].unit] || 'NUMBER',
+      aggregation: FIELD_AGGREGATIONS[metric.aggregation],
+      description: definitions[key].definition,
+      metric_key: key
+    }));
+  return { provider, fields: [...DIMENSIONS, ...metrics] };
+}
+
+async function loadLookerSources(connection, workspaceId, provider = null) {
+  const providers = provider ? [provider] : LOOKER_PROVIDERS;
+  return connection.query(
+    `SELECT ds.id, ds.provider, ds.status,
+            COALESCE(pr.display_name, pa.display_name, pa.username, ds.provider) AS resource_name
+     FROM data_sources ds
+     LEFT JOIN workspace_provider_connections wpc ON wpc.data_source_id = ds.id
+     LEFT JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     LEFT JOIN provider_accounts pa ON pa.data_source_id = ds.id
+     WHERE ds.workspace_id = ? AND ds.deleted_at IS NULL
+       AND ds.provider IN (${providers.map(() => '?').join(', ')})
+     ORDER BY ds.provider ASC, resource_name ASC, ds.id ASC`,
+    [workspaceId, ...providers]
+  );
+}
+
+async function getLookerStudioConfig(userId, workspaceId) {
+  return withConnection(async connection => {
+    const membership = await requireWorkspaceCapability(connection, workspaceId, userId, 'viewDashboard');
+    const workspaces = await connection.query('SELECT id, name FROM workspaces WHERE id = ? LIMIT 1', [workspaceId]);
+    const scope = await loadResourceScope(connection, workspaceId, userId);
+    const sources = (await loadLookerSources(connection, workspaceId)).filter(source =>
+      scopeAllowsDataSource(scope, source.id)
+    );
+    const providers = PROVIDERS.filter(provider => LOOKER_PROVIDERS.includes(provider.id))
+      .filter(provider => hasCapability(membership, 'viewDashboard', provider.id))
+      .map(provider => ({
+        provider: provider.id,
+        name: provider.name,
+        resources: sources
+          .filter(source => source.provider === provider.id)
+          .map(source => ({ data_source_id: source.id, name: source.resource_name, status: source.status }))
+      }))
+      .filter(provider => provider.resources.length);
+    return {
+      workspace: { id: workspaces[0].id, name: workspaces[0].name },
+      providers
+    };
+  });
+}
+
+async function getLookerStudioSchema(userId, workspaceId, query = {}) {
+  const provider = normalizeProvider(query.provider);
+  return withConnection(async connection => {
+    await requireWorkspaceCapability(connection, workspaceId, userId, 'viewDashboard', provider);
+    return buildLookerSchema(provider);
+  });
+}
+
+function selectFields(schema, value) {
+  const requested = String(value || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+  if (!requested.length) return schema.fields;
+  return requested.map(id => {
+    const field = schema.fields.find(candidate => candidate.id === id);
+    if (!field) throw createLookerError(400, 'invalid_looker_field');
+    return field;
+  });
+}
+
+async function getLookerStudioData(userId, workspaceId, query = {}) {
+  const provider = normalizeProvider(query.provider);
+  if (!query.from || !query.to) throw createLookerError(400, 'invalid_date_range');
+  const range = resolveDateRange({ from: query.from, to: query.to });
+  const from = range.from.toISOString().slice(0, 10);
+  const to = range.to.toISOString().slice(0, 10);
+  const schema = buildLookerSchema(provider);
+  const fields = selectFields(schema, query.fields);
+  const requestedMetrics = fields.filter(field => field.concept === 'METRIC');
+  const metrics = requestedMetrics.length ? requestedMetrics : schema.fields.filter(field => field.concept === 'METRIC');
+  return withConnection(async connection => {
+    await requireWorkspaceCapability(connection, workspaceId, userId, 'viewDashboard', provider);
+    const scope = await loadResourceScope(connection, workspaceId, userId);
+    let sources = (await loadLookerSources(connection, workspaceId, provider)).filter(source =>
+      scopeAllowsDataSource(scope, source.id)
+    );
+    if (query.data_source_id) {
+      sources = sources.filter(source => source.id === query.data_source_id);
+      if (!sources.length) throw createLookerError(404, 'looker_resource_not_found');
+    }
+    if (sources.length > MAX_RESOURCES_PER_REQUEST) throw createLookerError(400, 'looker_too_many_resources');
+    const rows = [];
+    for (const source of sources) {
+      const byDate = new Map();
+      for (const metric of metrics) {
+        for (const point of await loadMetricSeries(connection, source.id, metric.metric_key, from, to)) {
+          if (!byDate.has(point.date)) byDate.set(point.date, {});
+          byDate.get(point.date)[metric.id] = point.value;
+        }
+      }
+      for (const date of [...byDate.keys()].sort()) {
+        const record = {
+          ...byDate.get(date),
+          date,
+          provider,
+          resource_id: source.id,
+          resource_name: source.resource_name
+        };
+        rows.push(fields.map(field => (record[field.id] === undefined ? null : record[field.id])));
+      }
+    }
+    return { from, to, fields: fields.map(field => field.id), rows };
+  });
+}
+
+module.exports = {
+  LOOKER_PROVIDERS,
+  buildLookerSchema,
+  getLookerStudioConfig,
+  getLookerStudioData,
+  getLookerStudioSchema,
+  lookerFieldId
+};
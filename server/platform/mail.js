@@ -183,6 +183,152 @@ async function sendInvitationEmail({ email, token, workspaceName, inviterEmail }
   }
 }
 
+function appUrl(pathname, env = process.env) {
+  const baseUrl = String(env.BASE_URL || '').replace(/\/+$/, '');
+  return `${baseUrl}${pathname}`;
+}
+
+function isPermanentRecipientFailure(error) {
+  const responseCode = Number(error && error.responseCode);
+  return responseCode >= 500 && responseCode < 600 && ['RCPT TO', 'DATA'].includes(String(error.command || ''));
+}
+
+async function sendReportReadyEmail(
+  { email, workspaceName, reportTitle, rangeLabel, linkPath, linkExpiresAt, attachment, unsubscribePath },
+  env = process.env
+) {
+  const adapter = validateMailConfiguration(env);
+  if (adapter !== 'smtp') {
+    return { sent: false, suppressed: true };
+  }
+
+  const transporter = transportFactory(getSmtpOptions(env));
+  const safeWorkspaceName = String(workspaceName || 'your workspace');
+  const safeTitle = String(reportTitle || 'Analytics report');
+  const linkUrl = linkPath ? appUrl(linkPath, env) : null;
+  const unsubscribeUrl = unsubscribePath ? appUrl(unsubscribePath, env) : null;
+  const expiry = linkExpiresAt ? new Date(linkExpiresAt).toUTCString() : null;
+  const text = [
+    `The report "${safeTitle}" for ${safeWorkspaceName} is ready.`,
+    rangeLabel ? `Reporting period: ${rangeLabel}` : null,
+    '',
+    attachment
+      ? 'The PDF is attached to this email.'
+      : `Download it once from ${linkUrl}`,
+    !attachment && expiry ? `This link works one time and expires ${expiry}.` : null,
+    unsubscribeUrl ? '' : null,
+    unsubscribeUrl ? `Stop receiving this report: ${unsubscribeUrl}` : null
+  ].filter(line => line !== null);
+  const html = [
+    `<p>The report <strong>${escapeHtml(safeTitle)}</strong> for ${escapeHtml(safeWorkspaceName)} is ready.</p>`,
+    rangeLabel ? `<p>Reporting period: ${escapeHtml(rangeLabel)}</p>` : '',
+    attachment
+      ? '<p>The PDF is attached to this email.</p>'
+      : `<p><a href="${escapeHtml(linkUrl)}">Download the PDF</a></p>`,
+    !attachment && expiry ? `<p>This link works one time and expires ${escapeHtml(expiry)}.</p>` : '',
+    unsubscribeUrl ? `<p><a href="${escapeHtml(unsubscribeUrl)}">Stop receiving this report</a></p>` : ''
+  ].join('');
+  try {
+    const info = await transporter.sendMail({
+      from: requireMailValue(env, 'MAIL_FROM'),
+      to: email,
+      subject: `Report ready: ${safeTitle}`,
+      text: text.join('\n'),
+      html,
+      headers: unsubscribeUrl
+        ? {
+            'List-Unsubscribe': `<${unsubscribeUrl}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+          }
+        : undefined,
+      attachments: attachment
+        ? [{ filename: attachment.filename, content: attachment.content, contentType: 'application/pdf' }]
+        : undefined,
+      disableFileAccess: true,
+      disableUrlAccess: true
+    });
+    return { sent: true, messageId: info && info.messageId ? String(info.messageId).slice(0, 255) : null };
+  } catch (error) {
+    if (isPermanentRecipientFailure(error)) {
+      throw createHttpError(502, 'mail_recipient_rejected');
+    }
+    throw createHttpError(503, 'mail_send_failed');
+  }
+}
+
+async function sendDeletionCompletedEmail({ email, scope, certificateId, verificationHash }, env = process.env) {
+  const adapter = validateMailConfiguration(env);
+  if (adapter !== 'smtp') {
+    return { sent: false, suppressed: true };
+  }
+
+  const transporter = transportFactory(getSmtpOptions(env));
+  const subject = scope === 'workspace' ? 'Your workspace data was deleted' : 'Your account was deleted';
+  const verifyUrl = appUrl(`/api/deletion-certificates/${encodeURIComponent(certificateId)}`, env);
+  try {
+    await transporter.sendMail({
+      from: requireMailValue(env, 'MAIL_FROM'),
+      to: email,
+      subject: `${subject} from Social Insights Studio`,
+      text: [
+        `${subject}. Provider authorizations were revoked and stored analytics, reports, and exports were purged.`,
+        '',
+        `Certificate: ${certificateId}`,
+        `SHA-256: ${verificationHash}`,
+        `Verify it at ${verifyUrl}`
+      ].join('\n'),
+      html: [
+        `<p>${escapeHtml(subject)}. Provider authorizations were revoked and stored analytics, reports, and exports were purged.</p>`,
+        `<p>Certificate: <code>${escapeHtml(certificateId)}</code><br>SHA-256: <code>${escapeHtml(verificationHash)}</code></p>`,
+        `<p><a href="${escapeHtml(verifyUrl)}">Verify the deletion certificate</a></p>`
+      ].join(''),
+      disableFileAccess: true,
+      disableUrlAccess: true
+    });
+    return { sent: true };
+  } catch (error) {
+    throw createHttpError(503, 'mail_send_failed');
+  }
+}
+
+async function sendMetricAlertEmail({ email, workspaceName, ruleName, summary, linkPath }, env = process.env) {
+  const adapter = validateMailConfiguration(env);
+  if (adapter !== 'smtp') {
+    return { sent: false, suppressed: true };
+  }
+
+  const transporter = transportFactory(getSmtpOptions(env));
+  const safeWorkspaceName = String(workspaceName || 'your workspace');
+  const safeRuleName = String(ruleName || 'Metric alert');
+  const linkUrl = appUrl(linkPath || '/', env);
+  try {
+    await transporter.sendMail({
+      from: requireMailValue(env, 'MAIL_FROM'),
+      to: email,
+      subject: `Alert: ${safeRuleName}`,
+      text: [
+        `The alert "${safeRuleName}" was triggered in ${safeWorkspaceName}.`,
+        String(summary || ''),
+        '',
+        `Review it at ${linkUrl}`
+      ].join('\n'),
+      html: [
+        `<p>The alert <strong>${escapeHtml(safeRuleName)}</strong> was triggered in ${escapeHtml(safeWorkspaceName)}.</p>`,
+        `<p>${escapeHtml(summary || '')}</p>`,
+        `<p><a href="${escapeHtml(linkUrl)}">Review the alert</a></p>`
+      ].join(''),
+      disableFileAccess: true,
+      disableUrlAccess: true
+    });
+    return { sent: true };
+  } catch (error) {
+    if (isPermanentRecipientFailure(error)) {
+      throw createHttpError(502, 'mail_recipient_rejected');
+    }
+    throw createHttpError(503, 'mail_send_failed');
+  }
+}
+
 function setMailTransportFactory(factory) {
   transportFactory = factory || (options => nodemailer.createTransport(options));
 }
@@ -190,8 +336,11 @@ function setMailTransportFactory(factory) {
 module.exports = {
   getMailAdapter,
   getSmtpOptions,
+  sendDeletionCompletedEmail,
   sendInvitationEmail,
   sendMagicLinkEmail,
+  sendMetricAlertEmail,
+  sendReportReadyEmail,
   setMailTransportFactory,
   validateMailConfiguration
 };
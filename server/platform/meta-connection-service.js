@@ -2,8 +2,10 @@ const { getConnection } = require('../database');
 const meta = require('../integrations/meta');
 const { normalizeReturnPath } = require('./connection-service');
 const { assertCapability } = require('./rbac');
+const { createAuditLog } = require('./repositories');
 const { decryptSecret, encryptSecret } = require('./secret-envelope');
 const { createId, hashSecret, randomToken } = require('./security');
+const { purgeThreadsAuthorization } = require('./threads-connection-service');
 const {
   META_GRAPH_API_VERSION,
   META_LOGIN_CONFIG_ENV,
@@ -52,16 +54,20 @@ async function withConnection(fn) {
   }
 }
 
-async function requireWorkspaceRole(connection, workspaceId, userId, capability) {
+async function requireWorkspaceRole(connection, workspaceId, userId, capability, provider = null) {
   const rows = await connection.query(
-    `SELECT role FROM workspace_memberships
-     WHERE workspace_id = ? AND user_id = ? AND status = 'active'
+    `SELECT m.role, r.capabilities AS custom_role_capabilities,
+            m.resources_restricted = 1 AND m.role NOT IN ('owner', 'admin') AS resources_restricted
+     FROM workspace_memberships m
+     LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+     WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active'
      LIMIT 1`,
     [workspaceId, userId]
   );
   const membership = rows[0] || null;
   if (!membership) throw createHttpError(404, 'workspace_not_found');
-  assertCapability(membership.role, capability);
+  assertCapability(membership, capability, provider);
+  if (Number(membership.resources_restricted)) throw createHttpError(403, 'permission_denied');
   return membership.role;
 }
 
@@ -116,20 +122,7 @@ async function writeAuditLog(connection, {
   targetId = null,
   metadata = null
 }) {
-  await connection.query(
-    `INSERT INTO audit_logs
-      (id, workspace_id, actor_user_id, action, target_type, target_id, metadata)
-     VALUES (?, ?, ?, ?, ?, ?, ?)`,
-    [
-      createId(),
-      workspaceId,
-      actorUserId,
-      action,
-      targetType,
-      targetId,
-      metadata ? JSON.stringify(metadata) : null
-    ]
-  );
+  await createAuditLog(connection, { workspaceId, actorUserId, action, targetType, targetId, metadata });
 }
 
 function parseJson(value, fallback = {}) {
@@ -207,7 +200,7 @@ async function startMetaConnection({
   return withConnection(async connection => {
     const safeReturnPath = normalizeReturnPath(returnPath);
     const readiness = await requireMetaReady(connection, provider);
-    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection');
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', provider);
     await connection.beginTransaction();
     try {
       let authorizationId = null;
@@ -342,7 +335,7 @@ async function consumeOAuthTransaction(connection, { provider, state, sessionId,
   }
   if (transaction.session_id !== sessionId) throw createHttpError(403, `${provider}_oauth_session_mismatch`);
   if (transaction.initiated_by !== userId) throw createHttpError(403, `${provider}_oauth_user_mismatch`);
-  await requireWorkspaceRole(connection, transaction.workspace_id, userId, 'manageConnection');
+  await requireWorkspaceRole(connection, transaction.workspace_id, userId, 'manageConnection', provider);
   const authRows = await connection.query(
     `SELECT workspace_id, provider, provider_subject
      FROM provider_authorizations WHERE id = ? LIMIT 1`,
@@ -863,7 +856,7 @@ async function selectMetaResource(userId, workspaceId, provider, resourceId) {
   if (!resourceId) throw createHttpError(400, `${provider}_resource_required`);
   return withConnection(async connection => {
     await requireMetaReady(connection, provider);
-    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection');
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', provider);
     await connection.beginTransaction();
     try {
       const rows = await connection.query(
@@ -1137,8 +1130,14 @@ async function purgeOverdueMetaAuthorizations(limit = 50) {
 
 async function disconnectMeta(userId, workspaceId, provider, connectionId = null) {
   assertMetaProvider(provider);
+  await withConnection(connection => requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', provider));
+  const result = await revokeMetaConnection({ workspaceId, provider, connectionId, actorUserId: userId });
+  if (!result) throw createHttpError(404, `${provider}_connection_not_found`);
+  return result;
+}
+
+async function revokeMetaConnection({ workspaceId, provider, connectionId = null, actorUserId = null }) {
   const record = await withConnection(async connection => {
-    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection');
     const params = connectionId ? [workspaceId, provider, connectionId] : [workspaceId, provider];
     const connectionClause = connectionId ? 'AND wpc.id = ?' : '';
     const rows = await connection.query(
@@ -1169,13 +1168,13 @@ async function disconnectMeta(userId, workspaceId, provider, connectionId = null
     );
     return rows[0] || null;
   });
-  if (!record) throw createHttpError(404, `${provider}_connection_not_found`);
+  if (!record) return null;
 
   if (connectionId && Number(record.connection_count) > 1) {
     const local = await withConnection(async connection => {
       await connection.beginTransaction();
       try {
-        await purgeMetaResource(connection, record, userId, 'resource_disconnected_grant_preserved');
+        await purgeMetaResource(connection, record, actorUserId, 'resource_disconnected_grant_preserved');
         await connection.commit();
         return { deletedSourceCount: record.data_source_id ? 1 : 0 };
       } catch (error) {
@@ -1201,7 +1200,7 @@ async function disconnectMeta(userId, workspaceId, provider, connectionId = null
           connection,
           record.authorization_id,
           'sibling_meta_grant_preserved',
-          userId
+          actorUserId
         );
         await connection.commit();
         return result;
@@ -1249,7 +1248,7 @@ async function disconnectMeta(userId, workspaceId, provider, connectionId = null
         providerSubject: record.provider_subject,
         primaryAuthorizationId: record.authorization_id,
         outcomeCategory,
-        actorUserId: userId
+        actorUserId
       });
       await connection.commit();
       return result;
@@ -1273,16 +1272,56 @@ async function disconnectMeta(userId, workspaceId, provider, connectionId = null
   };
 }
 
-async function processMetaSignedCallback(callbackType, signedRequest) {
+async function revokeWorkspaceMetaAuthorizations(workspaceId, limit = 50) {
+  const results = [];
+  for (const provider of META_PROVIDERS) {
+    while (results.length < limit) {
+      const result = await revokeMetaConnection({ workspaceId, provider });
+      if (!result) break;
+      results.push({ provider, ...result.provider_revoke });
+    }
+  }
+  return results;
+}
+
+const META_SIGNED_REQUEST_ERRORS = Object.freeze([
+  'meta_signed_request_invalid',
+  'meta_signed_request_signature_invalid',
+  'meta_signed_request_payload_invalid',
+  'meta_signed_request_algorithm_invalid',
+  'meta_signed_request_subject_missing',
+  'meta_signed_request_expired'
+]);
+
+function verifyMetaOrThreadsSignedRequest(signedRequest, env = process.env) {
+  const apps = [
+    { app: 'meta', appSecret: env.META_APP_SECRET },
+    { app: 'threads', appSecret: env.THREADS_APP_SECRET }
+  ].filter(candidate => candidate.appSecret);
+  if (!apps.length) throw new Error('meta_signed_request_not_configured');
+  for (const candidate of apps) {
+    try {
+      return { app: candidate.app, payload: meta.verifySignedRequest(signedRequest, env, { appSecret: candidate.appSecret }) };
+    } catch (error) {
+      if (error.message !== 'meta_signed_request_signature_invalid') throw error;
+    }
+  }
+  throw new Error('meta_signed_request_signature_invalid');
+}
+
+async function processMetaSignedCallback(callbackType, signedRequest, env = process.env) {
   if (!['data_deletion', 'deauthorization'].includes(callbackType)) {
     throw createHttpError(400, 'meta_callback_type_invalid');
   }
+  let app;
   let payload;
   try {
-    payload = meta.verifySignedRequest(signedRequest);
+    ({ app, payload } = verifyMetaOrThreadsSignedRequest(signedRequest, env));
   } catch (error) {
-    throw createHttpError(400, error.message);
+    if (error.message === 'meta_signed_request_not_configured') throw createHttpError(503, error.message);
+    throw createHttpError(400, META_SIGNED_REQUEST_ERRORS.includes(error.message) ? error.message : 'meta_signed_request_invalid');
   }
+  const providers = app === 'threads' ? ['threads'] : META_PROVIDERS;
   const signedRequestHash = hashSecret(signedRequest);
   const subjectHash = hashSecret(payload.user_id);
   const confirmationCode = callbackType === 'data_deletion' ? randomToken(24) : null;
@@ -1311,13 +1350,14 @@ async function processMetaSignedCallback(callbackType, signedRequest) {
       );
       const authorizationRows = await connection.query(
         `SELECT id FROM provider_authorizations
-         WHERE provider IN ('facebook_pages', 'instagram') AND provider_subject = ?
+         WHERE provider IN (${providers.map(() => '?').join(', ')}) AND provider_subject = ?
            AND status IN ('active', 'authorizing', 'reconnect_required', 'disabled')
          ORDER BY created_at ASC FOR UPDATE`,
-        [String(payload.user_id)]
+        [...providers, String(payload.user_id)]
       );
+      const purge = app === 'threads' ? purgeThreadsAuthorization : purgeMetaAuthorization;
       for (const authorization of authorizationRows) {
-        await purgeMetaAuthorization(
+        await purge(
           connection,
           authorization.id,
           callbackType === 'data_deletion' ? 'meta_data_deletion_callback' : 'meta_deauthorization_callback'
@@ -1374,6 +1414,8 @@ module.exports = {
   purgeOverdueMetaAuthorizations,
   purgeMetaAuthorization,
   requireMetaReady,
+  revokeWorkspaceMetaAuthorizations,
   selectMetaResource,
-  startMetaConnection
+  startMetaConnection,
+  verifyMetaOrThreadsSignedRequest
 };
@@ -1,6 +1,7 @@
 const { getConnection } = require('../database');
 const { compareMetric, resolveDateRange } = require('./analytics');
 const { queryContentRows, requireWorkspaceCapability } = require('./dashboard-service');
+const { loadResourceScope, scopeCondition } = require('./resource-scope');
 
 const META_DASHBOARD_METRICS = Object.freeze({
   facebook_pages: Object.freeze([
@@ -96,10 +97,12 @@ function aggregateMetric(rows, key, aggregation) {
   return aggregation === 'latest' ? values[values.length - 1] : values.reduce((sum, value) => sum + value, 0);
 }
 
-async function findConnection(connection, workspaceId, provider, connectionId) {
+async function findConnection(connection, workspaceId, provider, connectionId, scope = null) {
   const params = [workspaceId, provider];
-  const connectionClause = connectionId ? 'AND wpc.id = ?' : '';
+  const scoped = scopeCondition('wpc.id', scope && scope.connectionIds);
+  const connectionClause = `${connectionId ? 'AND wpc.id = ?' : ''}${scoped.sql}`;
   if (connectionId) params.push(connectionId);
+  params.push(...scoped.params);
   const rows = await connection.query(
     `SELECT wpc.*, ds.reconnect_reason, pr.provider_resource_id AS external_resource_id,
             pr.display_name, pr.metadata,
@@ -160,8 +163,14 @@ async function getMetaDashboard(userId, workspaceId, provider, query = {}) {
   const range = resolveDateRange(query);
   const previous = previousRange(range);
   return withConnection(async connection => {
-    await requireWorkspaceCapability(connection, workspaceId, userId, 'viewDashboard');
-    const selected = await findConnection(connection, workspaceId, provider, query.connection_id || null);
+    await requireWorkspaceCapability(connection, workspaceId, userId, 'viewDashboard', provider);
+    const selected = await findConnection(
+      connection,
+      workspaceId,
+      provider,
+      query.connection_id || null,
+      await loadResourceScope(connection, workspaceId, userId)
+    );
     if (!selected) {
       return {
         provider,
@@ -0,0 +1,112 @@
+function series(source, column, aggregation) {
+  return Object.freeze({ source, column, aggregation });
+}
+
+const STORED_METRIC_SERIES = Object.freeze({
+  'tiktok.followers': series('tiktok_profile', 'follower_count', 'latest'),
+  'tiktok.following': series('tiktok_profile', 'following_count', 'latest'),
+  'tiktok.total_likes': series('tiktok_profile', 'likes_count', 'latest'),
+  'tiktok.video_count': series('tiktok_profile', 'video_count', 'latest'),
+  'youtube.subscribers': series('youtube_channel', 'CASE WHEN subscriber_count_hidden THEN NULL ELSE subscriber_count END', 'latest'),
+  'youtube.views': series('youtube_daily', 'views', 'sum'),
+  'youtube.watch_time_minutes': series('youtube_daily', 'estimated_minutes_watched', 'sum'),
+  'youtube.average_view_duration': series('youtube_daily', 'average_view_duration', 'average'),
+  'youtube.average_view_percentage': series('youtube_daily', 'average_view_percentage', 'average'),
+  'youtube.subscribers_gained': series('youtube_daily', 'subscribers_gained', 'sum'),
+  'youtube.subscribers_lost': series('youtube_daily', 'subscribers_lost', 'sum'),
+  'youtube.net_subscribers': series('youtube_daily', 'CAST(subscribers_gained AS SIGNED) - CAST(subscribers_lost AS SIGNED)', 'sum'),
+  'youtube.likes': series('youtube_daily', 'likes', 'sum'),
+  'youtube.comments': series('youtube_daily', 'comments', 'sum'),
+  'youtube.shares': series('youtube_daily', 'shares', 'sum'),
+  'facebook.followers': series('meta_daily', 'page_follows', 'latest'),
+  'facebook.page_post_engagements': series('meta_daily', 'page_post_engagements', 'sum'),
+  'facebook.page_media_views': series('meta_daily', 'page_media_view', 'sum'),
+  'instagram.views': series('meta_daily', 'views', 'sum'),
+  'instagram.reach': series('meta_daily', 'reach', 'sum'),
+  'instagram.shares': series('meta_daily', 'shares', 'sum'),
+  'instagram.saves': series('meta_daily', 'saves', 'sum'),
+  'ga4.active_users': series('metric_observation', 'ga4.active_users', 'average'),
+  'ga4.new_users': series('metric_observation', 'ga4.new_users', 'sum'),
+  'ga4.sessions': series('metric_observation', 'ga4.sessions', 'sum'),
+  'ga4.screen_page_views': series('metric_observation', 'ga4.screen_page_views', 'sum'),
+  'ga4.engagement_rate': series('metric_observation', 'ga4.engagement_rate', 'average'),
+  'ga4.bounce_rate': series('metric_observation', 'ga4.bounce_rate', 'average'),
+  'ga4.average_session_duration': series('metric_observation', 'ga4.average_session_duration', 'average'),
+  'ga4.sessions_per_user': series('metric_observation', 'ga4.sessions_per_user', 'average'),
+  'ga4.screen_page_views_per_user': series('metric_observation', 'ga4.screen_page_views_per_user', 'average')
+});
+
+function parseJson(value, fallback = null) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function numberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+async function loadMetricSeries(connection, dataSourceId, metricKey, sinceDate, untilDate = '9999-12-31') {
+  const metric = STORED_METRIC_SERIES[metricKey];
+  let rows;
+  if (metric.source === 'tiktok_profile') {
+    rows = await connection.query(
+      `SELECT DATE_FORMAT(observed_at, '%Y-%m-%d') AS day, ${metric.column} AS value
+       FROM profile_snapshots
+       WHERE data_source_id = ? AND observed_at >= ? AND observed_at < DATE_ADD(?, INTERVAL 1 DAY)
+       ORDER BY observed_at ASC`,
+      [dataSourceId, sinceDate, untilDate]
+    );
+  } else if (metric.source === 'youtube_channel') {
+    rows = await connection.query(
+      `SELECT DATE_FORMAT(observed_at, '%Y-%m-%d') AS day, ${metric.column} AS value
+       FROM youtube_channel_snapshots
+       WHERE data_source_id = ? AND observed_at >= ? AND observed_at < DATE_ADD(?, INTERVAL 1 DAY)
+       ORDER BY observed_at ASC`,
+      [dataSourceId, sinceDate, untilDate]
+    );
+  } else if (metric.source === 'youtube_daily') {
+    rows = await connection.query(
+      `SELECT DATE_FORMAT(report_date, '%Y-%m-%d') AS day, ${metric.column} AS value
+       FROM youtube_analytics_daily_snapshots
+       WHERE data_source_id = ? AND report_date >= ? AND report_date <= ?
+       ORDER BY report_date ASC, observed_at ASC`,
+      [dataSourceId, sinceDate, untilDate]
+    );
+  } else if (metric.source === 'meta_daily') {
+    rows = (await connection.query(
+      `SELECT DATE_FORMAT(report_date, '%Y-%m-%d') AS day, metric_values
+       FROM meta_account_insight_snapshots
+       WHERE data_source_id = ? AND snapshot_kind = 'daily' AND report_date >= ? AND report_date <= ?
+       ORDER BY report_date ASC, observed_at ASC`,
+      [dataSourceId, sinceDate, untilDate]
+    )).map(row => ({ day: row.day, value: parseJson(row.metric_values, {})[metric.column] }));
+  } else {
+    rows = await connection.query(
+      `SELECT DATE_FORMAT(pmo.period_start, '%Y-%m-%d') AS day, pmo.numeric_value AS value
+       FROM provider_metric_observations pmo
+       JOIN workspace_provider_connections wpc ON wpc.id = pmo.workspace_provider_connection_id
+       WHERE wpc.data_source_id = ? AND pmo.metric_key = ? AND pmo.grain = 'daily'
+         AND pmo.availability_status = 'available' AND pmo.period_start >= ? AND pmo.period_start <= ?
+       ORDER BY pmo.period_start ASC, pmo.observed_at ASC`,
+      [dataSourceId, metric.column, sinceDate, untilDate]
+    );
+  }
+  const byDay = new Map();
+  for (const row of rows) {
+    const value = numberOrNull(row.value);
+    if (value !== null) byDay.set(row.day, value);
+  }
+  return [...byDay].map(([date, value]) => ({ date, value }));
+}
+
+module.exports = {
+  STORED_METRIC_SERIES,
+  loadMetricSeries
+};
@@ -5,7 +5,12 @@ const PROVIDER_METRIC_PREFIXES = Object.freeze({
   youtube: 'youtube.',
   facebook_pages: 'facebook.',
   instagram: 'instagram.',
-  google_analytics_4: 'ga4.'
+  google_analytics_4: 'ga4.',
+  linkedin: 'linkedin.',
+  google_search_console: 'search_console.',
+  pinterest: 'pinterest.',
+  threads: 'threads.',
+  bluesky: 'bluesky.'
 });
 
 const AVAILABILITY_STATUSES = Object.freeze([
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+let fetchImpl = require('node-fetch');
+
+const REQUEST_TIMEOUT_MS = 10000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'ES256'];
+
+function setOidcFetchImplementation(nextFetch) {
+  fetchImpl = nextFetch || require('node-fetch');
+}
+
+function createOidcError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function isHttpsUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && !url.username && !url.password && !url.hash;
+  } catch {
+    return false;
+  }
+}
+
+async function fetchJson(url, options, failureCode) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  let response;
+  try {
+    response = await fetchImpl(url, { ...options, signal: controller.signal });
+  } catch {
+    throw createOidcError(502, failureCode);
+  } finally {
+    clearTimeout(timeout);
+  }
+  let body = null;
+  try {
+    const text = await response.text();
+    body = text ? JSON.parse(text) : {};
+  } catch {
+    throw createOidcError(502, failureCode);
+  }
+  if (!response.ok || !body || typeof body !== 'object') throw createOidcError(502, failureCode);
+  return body;
+}
+
+function normalizeIssuer(value) {
+  const issuer = String(value || '').trim();
+  if (!issuer || issuer.length > 512 || !isHttpsUrl(issuer) || new URL(issuer).search) {
+    throw createOidcError(400, 'oidc_issuer_invalid');
+  }
+  return issuer;
+}
+
+async function discoverOidcProvider(issuerValue) {
+  const issuer = normalizeIssuer(issuerValue);
+  const document = await fetchJson(
+    `${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`,
+    { headers: { accept: 'application/json' } },
+    'oidc_discovery_failed'
+  );
+  const endpoints = [document.authorization_endpoint, document.token_endpoint, document.jwks_uri];
+  if (document.issuer !== issuer || endpoints.some(endpoint => !isHttpsUrl(endpoint) || endpoint.length > 1024)) {
+    throw createOidcError(400, 'oidc_discovery_invalid');
+  }
+  if (Array.isArray(document.response_types_supported) && !document.response_types_supported.includes('code')) {
+    throw createOidcError(400, 'oidc_discovery_invalid');
+  }
+  const authMethods = Array.isArray(document.token_endpoint_auth_methods_supported)
+    ? document.token_endpoint_auth_methods_supported
+    : ['client_secret_basic'];
+  return {
+    issuer,
+    authorizationEndpoint: document.authorization_endpoint,
+    tokenEndpoint: document.token_endpoint,
+    jwksUri: document.jwks_uri,
+    tokenAuthMethod: authMethods.includes('client_secret_basic') || !authMethods.includes('client_secret_post')
+      ? 'client_secret_basic'
+      : 'client_secret_post'
+  };
+}
+
+function buildOidcAuthorizationUrl({ authorizationEndpoint, clientId, redirectUri, state, nonce, codeChallenge, loginHint = null }) {
+  const url = new URL(authorizationEndpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', 'openid email profile');
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (loginHint) url.searchParams.set('login_hint', loginHint);
+  return url.toString();
+}
+
+async function exchangeOidcCode({ tokenEndpoint, tokenAuthMethod, clientId, clientSecret, redirectUri, code, codeVerifier }) {
+  if (!code) throw createOidcError(400, 'oidc_code_missing');
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = { accept: 'application/json', 'content-type': 'application/x-www-form-urlencoded' };
+  if (clientSecret && tokenAuthMethod === 'client_secret_basic') {
+    const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+    headers.authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    form.set('client_id', clientId);
+    if (clientSecret) form.set('client_secret', clientSecret);
+  }
+  const body = await fetchJson(tokenEndpoint, { method: 'POST', headers, body: form.toString() }, 'oidc_token_exchange_failed');
+  if (typeof body.id_token !== 'string') throw createOidcError(502, 'oidc_token_exchange_failed');
+  return body.id_token;
+}
+
+function matchesHash(value, expectedHash) {
+  if (typeof value !== 'string' || typeof expectedHash !== 'string') return false;
+  const actual = Buffer.from(crypto.createHash('sha256').update(value).digest('hex'));
+  const expected = Buffer.from(expectedHash);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+async function verifyOidcIdToken(idToken, { issuer, clientId, nonceHash, jwksUri }) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) throw createOidcError(401, 'oidc_id_token_invalid');
+  const jwks = await fetchJson(jwksUri, { headers: { accept: 'application/json' } }, 'oidc_jwks_unavailable');
+  const keys = (Array.isArray(jwks.keys) ? jwks.keys : [])
+    .filter(key => (!decoded.header.kid || key.kid === decoded.header.kid) && (!key.use || key.use === 'sig'));
+  if (!keys.length) throw createOidcError(401, 'oidc_id_token_invalid');
+  let claims = null;
+  for (const key of keys) {
+    try {
+      const publicKey = crypto.createPublicKey({ key, format: 'jwk' }).export({ type: 'spki', format: 'pem' });
+      claims = jwt.verify(idToken, publicKey, {
+        algorithms: [decoded.header.alg],
+        audience: clientId,
+        issuer,
+        clockTolerance: 60
+      });
+      break;
+    } catch {
+      claims = null;
+    }
+  }
+  if (!claims) throw createOidcError(401, 'oidc_id_token_invalid');
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (
+    !matchesHash(claims.nonce, nonceHash)
+    || (audiences.length > 1 && claims.azp !== clientId)
+    || !claims.sub
+    || typeof claims.email !== 'string'
+    || claims.email_verified === false
+  ) {
+    throw createOidcError(401, 'oidc_claims_invalid');
+  }
+  return {
+    subject: String(claims.sub),
+    email: claims.email,
+    displayName: claims.name || null
+  };
+}
+
+module.exports = {
+  buildOidcAuthorizationUrl,
+  discoverOidcProvider,
+  exchangeOidcCode,
+  normalizeIssuer,
+  setOidcFetchImplementation,
+  verifyOidcIdToken
+};
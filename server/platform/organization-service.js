@@ -0,0 +1,721 @@
+const { getConnection } = require('../database');
+const { PROVIDER_NAMES, freshnessState } = require('./cross-platform-dashboard-service');
+const repositories = require('./repositories');
+const { createId, randomToken } = require('./security');
+
+const ORGANIZATION_ROLES = Object.freeze(['owner', 'admin', 'member']);
+const INHERITING_ROLES = Object.freeze(['owner', 'admin']);
+const INVITATION_ROLES = Object.freeze(['admin', 'analyst', 'viewer']);
+const MAX_INVITATION_DOMAINS = 20;
+const DOMAIN_PATTERN = /^(?=.{3,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+function createOrganizationError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createOrganizationError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+async function withTransaction(connection, fn) {
+  await connection.beginTransaction();
+  try {
+    const result = await fn();
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  }
+}
+
+function isoDate(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80) || 'organization';
+}
+
+function parseDomains(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function normalizeName(value, code) {
+  const name = String(value || '').trim().replace(/\s+/g, ' ');
+  if (!name || name.length > 160) throw createOrganizationError(400, code);
+  return name;
+}
+
+function normalizeDomains(value) {
+  if (!Array.isArray(value) || value.length > MAX_INVITATION_DOMAINS) {
+    throw createOrganizationError(400, 'invitation_domains_invalid');
+  }
+  const domains = [...new Set(value.map(domain => String(domain || '').trim().toLowerCase().replace(/^@/, '')))];
+  if (domains.some(domain => !DOMAIN_PATTERN.test(domain))) throw createOrganizationError(400, 'invitation_domains_invalid');
+  return domains.sort();
+}
+
+function normalizeOrganizationInput(body = {}, current = null) {
+  const defaultRole = body.default_invitation_role === undefined && current
+    ? current.default_invitation_role
+    : body.default_invitation_role || 'viewer';
+  if (!INVITATION_ROLES.includes(defaultRole)) throw createOrganizationError(400, 'default_invitation_role_invalid');
+  return {
+    name: body.name === undefined && current ? current.name : normalizeName(body.name, 'invalid_organization_name'),
+    default_invitation_role: defaultRole,
+    invitation_domains: body.invitation_domains === undefined
+      ? parseDomains(current && current.invitation_domains)
+      : normalizeDomains(body.invitation_domains)
+  };
+}
+
+function emailDomainAllowed(domains, email) {
+  if (!domains.length) return true;
+  const domain = String(email || '').split('@').pop().toLowerCase();
+  return domains.includes(domain);
+}
+
+async function loadInvitationPolicy(connection, workspaceId) {
+  const rows = await connection.query(
+    `SELECT o.id, o.default_invitation_role, o.invitation_domains
+     FROM workspaces w
+     JOIN organizations o ON o.id = w.organization_id
+     WHERE w.id = ?
+     LIMIT 1`,
+    [workspaceId]
+  );
+  if (!rows[0]) return null;
+  return {
+    organization_id: rows[0].id,
+    default_invitation_role: rows[0].default_invitation_role,
+    invitation_domains: parseDomains(rows[0].invitation_domains)
+  };
+}
+
+async function requireOrganizationRole(connection, organizationId, userId, roles = ORGANIZATION_ROLES, { forUpdate = false } = {}) {
+  const rows = await connection.query(
+    `SELECT o.*, om.role
+     FROM organizations o
+     JOIN organization_memberships om ON om.organization_id = o.id
+     WHERE o.id = ? AND om.user_id = ?
+     LIMIT 1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [organizationId, userId]
+  );
+  if (!rows[0]) throw createOrganizationError(404, 'organization_not_found');
+  if (!roles.includes(rows[0].role)) throw createOrganizationError(403, 'permission_denied');
+  return rows[0];
+}
+
+async function listChildWorkspaceIds(connection, organizationId) {
+  const rows = await connection.query(
+    'SELECT id FROM workspaces WHERE organization_id = ? AND deleted_at IS NULL ORDER BY created_at ASC',
+    [organizationId]
+  );
+  return rows.map(row => row.id);
+}
+
+async function listInheritingUserIds(connection, organizationId) {
+  const rows = await connection.query(
+    `SELECT user_id FROM organization_memberships
+     WHERE organization_id = ? AND role IN ('owner', 'admin')
+     ORDER BY created_at ASC`,
+    [organizationId]
+  );
+  return rows.map(row => row.user_id);
+}
+
+async function grantWorkspaceAccess(connection, organizationId, workspaceId, userId, actorUserId) {
+  const [membership] = await connection.query(
+    `SELECT role, status, custom_role_id FROM workspace_memberships
+     WHERE workspace_id = ? AND user_id = ?
+     LIMIT 1 FOR UPDATE`,
+    [workspaceId, userId]
+  );
+  const active = Boolean(membership && membership.status === 'active');
+  if (active && INHERITING_ROLES.includes(membership.role)) return;
+  if (active) {
+    await connection.query(
+      `UPDATE workspace_memberships
+       SET role = 'admin', custom_role_id = NULL, organization_id = ?,
+           organization_previous_role = ?, organization_previous_custom_role_id = ?
+       WHERE workspace_id = ? AND user_id = ?`,
+      [organizationId, membership.role, membership.custom_role_id, workspaceId, userId]
+    );
+  } else {
+    await connection.query(
+      `INSERT INTO workspace_memberships
+        (workspace_id, user_id, role, status, invited_by, joined_at, organization_id)
+       VALUES (?, ?, 'admin', 'active', ?, UTC_TIMESTAMP(3), ?)
+       ON DUPLICATE KEY UPDATE role = 'admin', custom_role_id = NULL, resources_restricted = 0, status = 'active',
+         invited_by = VALUES(invited_by), joined_at = UTC_TIMESTAMP(3), organization_id = VALUES(organization_id),
+         organization_previous_role = NULL, organization_previous_custom_role_id = NULL`,
+      [workspaceId, userId, actorUserId, organizationId]
+    );
+  }
+  await repositories.createAuditLog(connection, {
+    workspaceId,
+    actorUserId,
+    action: 'organization.access_granted',
+    targetType: 'user',
+    targetId: userId,
+    metadata: { organization_id: organizationId, previous_role: active ? membership.role : null, role: 'admin' }
+  });
+}
+
+async function revokeWorkspaceAccess(connection, organizationId, workspaceId, userId, actorUserId) {
+  const [membership] = await connection.query(
+    `SELECT role, organization_previous_role, organization_previous_custom_role_id
+     FROM workspace_memberships
+     WHERE workspace_id = ? AND user_id = ? AND status = 'active' AND organization_id = ?
+     LIMIT 1 FOR UPDATE`,
+    [workspaceId, userId, organizationId]
+  );
+  if (!membership) return;
+  if (membership.organization_previous_role) {
+    await connection.query(
+      `UPDATE workspace_memberships
+       SET role = ?, custom_role_id = ?, organization_id = NULL,
+           organization_previous_role = NULL, organization_previous_custom_role_id = NULL
+       WHERE workspace_id = ? AND user_id = ?`,
+      [
+        membership.organization_previous_role,
+        membership.organization_previous_custom_role_id,
+        workspaceId,
+        userId
+      ]
+    );
+  } else {
+    await repositories.removeMember(connection, workspaceId, userId);
+  }
+  await repositories.createAuditLog(connection, {
+    workspaceId,
+    actorUserId,
+    action: 'organization.access_revoked',
+    targetType: 'user',
+    targetId: userId,
+    metadata: { organization_id: organizationId, role: membership.organization_previous_role || null }
+  });
+}
+
+async function syncMemberAccess(connection, organizationId, userId, inherits, actorUserId) {
+  for (const workspaceId of await listChildWorkspaceIds(connection, organizationId)) {
+    if (inherits) await grantWorkspaceAccess(connection, organizationId, workspaceId, userId, actorUserId);
+    else await revokeWorkspaceAccess(connection, organizationId, workspaceId, userId, actorUserId);
+  }
+}
+
+async function syncWorkspaceAccess(connection, organizationId, workspaceId, attached, actorUserId) {
+  for (const userId of await listInheritingUserIds(connection, organizationId)) {
+    if (attached) await grantWorkspaceAccess(connection, organizationId, workspaceId, userId, actorUserId);
+    else await revokeWorkspaceAccess(connection, organizationId, workspaceId, userId, actorUserId);
+  }
+}
+
+async function writeOrganizationAudit(connection, { organizationId, actorUserId, action, targetType, targetId, metadata }) {
+  await repositories.createAuditLog(connection, {
+    workspaceId: null,
+    actorUserId,
+    action,
+    targetType: targetType || 'organization',
+    targetId: targetId || organizationId,
+    metadata: { organization_id: organizationId, ...metadata }
+  });
+}
+
+function serializeOrganization(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    slug: row.slug,
+    role: row.role,
+    default_invitation_role: row.default_invitation_role,
+    invitation_domains: parseDomains(row.invitation_domains),
+    created_at: isoDate(row.created_at),
+    updated_at: isoDate(row.updated_at)
+  };
+}
+
+async function loadDirectory(connection, organizationId) {
+  const rows = await connection.query(
+    `SELECT u.id AS user_id, u.email, u.display_name, om.role AS organization_role,
+            w.id AS workspace_id, w.name AS workspace_name, m.role AS workspace_role,
+            m.organization_id IS NOT NULL AS inherited
+     FROM users u
+     LEFT JOIN organization_memberships om ON om.user_id = u.id AND om.organization_id = ?
+     LEFT JOIN workspace_memberships m ON m.user_id = u.id AND m.status = 'active'
+       AND m.workspace_id IN (SELECT id FROM workspaces WHERE organization_id = ? AND deleted_at IS NULL)
+     LEFT JOIN workspaces w ON w.id = m.workspace_id
+     WHERE u.deleted_at IS NULL AND (om.user_id IS NOT NULL OR m.user_id IS NOT NULL)
+     ORDER BY u.email ASC, w.name ASC`,
+    [organizationId, organizationId]
+  );
+  const people = new Map();
+  for (const row of rows) {
+    if (!people.has(row.user_id)) {
+      people.set(row.user_id, {
+        user_id: row.user_id,
+        email: row.email,
+        display_name: row.display_name || null,
+        organization_role: row.organization_role || null,
+        workspaces: []
+      });
+    }
+    if (row.workspace_id) {
+      people.get(row.user_id).workspaces.push({
+        id: row.workspace_id,
+        name: row.workspace_name,
+        role: row.workspace_role,
+        inherited: Boolean(Number(row.inherited))
+      });
+    }
+  }
+  return [...people.values()];
+}
+
+async function loadOrganizationWorkspaces(connection, organizationId, userId) {
+  const rows = await connection.query(
+    `SELECT w.id, w.name, w.slug, w.created_at, mine.role,
+            (SELECT COUNT(*) FROM workspace_memberships m
+             WHERE m.workspace_id = w.id AND m.status = 'active') AS member_count,
+            (SELECT COUNT(*) FROM workspace_provider_connections c
+             WHERE c.workspace_id = w.id AND c.status <> 'disconnected') AS connection_count
+     FROM workspaces w
+     LEFT JOIN workspace_memberships mine ON mine.workspace_id = w.id AND mine.user_id = ? AND mine.status = 'active'
+     WHERE w.organization_id = ? AND w.deleted_at IS NULL
+     ORDER BY w.name ASC, w.id ASC`,
+    [userId, organizationId]
+  );
+  return rows.map(row => ({
+    id: row.id,
+    name: row.name,
+    slug: row.slug,
+    role: row.role || null,
+    member_count: Number(row.member_count || 0),
+    connection_count: Number(row.connection_count || 0),
+    created_at: isoDate(row.created_at)
+  }));
+}
+
+async function loadOrganization(connection, organizationId, userId) {
+  const organization = await requireOrganizationRole(connection, organizationId, userId);
+  const manager = INHERITING_ROLES.includes(organization.role);
+  const workspaces = await loadOrganizationWorkspaces(connection, organizationId, userId);
+  return {
+    organization: serializeOrganization(organization),
+    workspaces: manager ? workspaces : workspaces.filter(workspace => workspace.role),
+    directory: manager ? await loadDirectory(connection, organizationId) : []
+  };
+}
+
+async function listOrganizations(userId) {
+  return withConnection(async connection => {
+    const rows = await connection.query(
+      `SELECT o.*, om.role,
+              (SELECT COUNT(*) FROM workspaces w WHERE w.organization_id = o.id AND w.deleted_at IS NULL) AS workspace_count,
+              (SELECT COUNT(*) FROM organization_memberships m WHERE m.organization_id = o.id) AS member_count
+       FROM organizations o
+       JOIN organization_memberships om ON om.organization_id = o.id
+       WHERE om.user_id = ?
+       ORDER BY o.name ASC, o.id ASC`,
+      [userId]
+    );
+    return {
+      organizations: rows.map(row => ({
+        ...serializeOrganization(row),
+        workspace_count: Number(row.workspace_count || 0),
+        member_count: Number(row.member_count || 0)
+      }))
+    };
+  });
+}
+
+async function createOrganization(userId, body = {}) {
+  const input = normalizeOrganizationInput(body);
+  return withConnection(async connection => {
+    const id = createId();
+    await withTransaction(connection, async () => {
+      await connection.query(
+        `INSERT INTO organizations
+          (id, name, slug, default_invitation_role, invitation_domains, created_by, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3), UTC_TIMESTAMP(3))`,
+        [
+          id,
+          input.name,
+          `${slugify(input.name)}-${randomToken(4).toLowerCase()}`,
+          input.default_invitation_role,
+          JSON.stringify(input.invitation_domains),
+          userId
+        ]
+      );
+      await connection.query(
+        `INSERT INTO organization_memberships (organization_id, user_id, role, added_by, created_at, updated_at)
+         VALUES (?, ?, 'owner', ?, UTC_TIMESTAMP(3), UTC_TIMESTAMP(3))`,
+        [id, userId, userId]
+      );
+      await writeOrganizationAudit(connection, {
+        organizationId: id,
+        actorUserId: userId,
+        action: 'organization.created',
+        metadata: { name: input.name }
+      });
+    });
+    return loadOrganization(connection, id, userId);
+  });
+}
+
+async function getOrganization(userId, organizationId) {
+  return withConnection(connection => loadOrganization(connection, organizationId, userId));
+}
+
+async function updateOrganization(userId, organizationId, body = {}) {
+  return withConnection(async connection => {
+    await withTransaction(connection, async () => {
+      const current = await requireOrganizationRole(connection, organizationId, userId, INHERITING_ROLES, { forUpdate: true });
+      const input = normalizeOrganizationInput(body, current);
+      await connection.query(
+        `UPDATE organizations
+         SET name = ?, default_invitation_role = ?, invitation_domains = ?, updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [input.name, input.default_invitation_role, JSON.stringify(input.invitation_domains), organizationId]
+      );
+      await writeOrganizationAudit(connection, {
+        organizationId,
+        actorUserId: userId,
+        action: 'organization.updated',
+        metadata: input
+      });
+    });
+    return loadOrganization(connection, organizationId, userId);
+  });
+}
+
+function assertOrganizationRole(role) {
+  if (!ORGANIZATION_ROLES.includes(role)) throw createOrganizationError(400, 'organization_role_invalid');
+}
+
+async function addOrganizationMember(userId, organizationId, body = {}) {
+  const email = String(body.email || '').trim().toLowerCase();
+  const role = body.role || 'member';
+  if (!email || !email.includes('@') || email.length > 320) throw createOrganizationError(400, 'invalid_email');
+  assertOrganizationRole(role);
+  return withConnection(async connection => {
+    await withTransaction(connection, async () => {
+      const actor = await requireOrganizationRole(connection, organizationId, userId, INHERITING_ROLES, { forUpdate: true });
+      if (role === 'owner' && actor.role !== 'owner') throw createOrganizationError(403, 'owner_management_requires_owner');
+      if (!emailDomainAllowed(parseDomains(actor.invitation_domains), email)) {
+        throw createOrganizationError(400, 'invitation_domain_not_allowed');
+      }
+      const user = await repositories.findOrCreateUserByEmail(connection, email);
+      const existing = await connection.query(
+        'SELECT role FROM organization_memberships WHERE organization_id = ? AND user_id = ? LIMIT 1',
+        [organizationId, user.id]
+      );
+      if (existing[0]) throw createOrganizationError(409, 'organization_member_exists');
+      await connection.query(
+        `INSERT INTO organization_memberships (organization_id, user_id, role, added_by, created_at, updated_at)
+         VALUES (?, ?, ?, ?, UTC_TIMESTAMP(3), UTC_TIMESTAMP(3))`,
+        [organizationId, user.id, role, userId]
+      );
+      await syncMemberAccess(connection, organizationId, user.id, INHERITING_ROLES.includes(role), userId);
+      await writeOrganizationAudit(connection, {
+        organizationId,
+        actorUserId: userId,
+        action: 'organization.member_added',
+        targetType: 'user',
+        targetId: user.id,
+        metadata: { email, role }
+      });
+    });
+    return loadOrganization(connection, organizationId, userId);
+  });
+}
+
+async function requireOrganizationMember(connection, organizationId, actor, memberUserId) {
+  const rows = await connection.query(
+    'SELECT role FROM organization_memberships WHERE organization_id = ? AND user_id = ? LIMIT 1 FOR UPDATE',
+    [organizationId, memberUserId]
+  );
+  if (!rows[0]) throw createOrganizationError(404, 'organization_member_not_found');
+  if (rows[0].role === 'owner' && actor.role !== 'owner') {
+    throw createOrganizationError(403, 'owner_management_requires_owner');
+  }
+  return rows[0];
+}
+
+async function countOrganizationOwners(connection, organizationId) {
+  const rows = await connection.query(
+    "SELECT COUNT(*) AS count FROM organization_memberships WHERE organization_id = ? AND role = 'owner'",
+    [organizationId]
+  );
+  return Number(rows[0].count);
+}
+
+async function updateOrganizationMember(userId, organizationId, memberUserId, body = {}) {
+  const role = body.role;
+  assertOrganizationRole(role);
+  return withConnection(async connection => {
+    await withTransaction(connection, async () => {
+      const actor = await requireOrganizationRole(connection, organizationId, userId, INHERITING_ROLES, { forUpdate: true });
+      const current = await requireOrganizationMember(connection, organizationId, actor, memberUserId);
+      if (role === 'owner' && actor.role !== 'owner') throw createOrganizationError(403, 'owner_management_requires_owner');
+      if (current.role === 'owner' && role !== 'owner' && await countOrganizationOwners(connection, organizationId) <= 1) {
+        throw createOrganizationError(400, 'last_owner_required');
+      }
+      await connection.query(
+        `UPDATE organization_memberships SET role = ?, updated_at = UTC_TIMESTAMP(3)
+         WHERE organization_id = ? AND user_id = ?`,
+        [role, organizationId, memberUserId]
+      );
+      if (INHERITING_ROLES.includes(current.role) !== INHERITING_ROLES.includes(role)) {
+        await syncMemberAccess(connection, organizationId, memberUserId, INHERITING_ROLES.includes(role), userId);
+      }
+      await writeOrganizationAudit(connection, {
+        organizationId,
+        actorUserId: userId,
+        action: 'organization.member_role_updated',
+        targetType: 'user',
+        targetId: memberUserId,
+        metadata: { previous_role: current.role, role }
+      });
+    });
+    return loadOrganization(connection, organizationId, userId);
+  });
+}
+
+async function removeOrganizationMember(userId, organizationId, memberUserId) {
+  return withConnection(async connection => {
+    await withTransaction(connection, async () => {
+      const actor = await requireOrganizationRole(connection, organizationId, userId, INHERITING_ROLES, { forUpdate: true });
+      const current = await requireOrganizationMember(connection, organizationId, actor, memberUserId);
+      if (current.role === 'owner' && await countOrganizationOwners(connection, organizationId) <= 1) {
+        throw createOrganizationError(400, 'last_owner_required');
+      }
+      await syncMemberAccess(connection, organizationId, memberUserId, false, userId);
+      await connection.query(
+        'DELETE FROM organization_memberships WHERE organization_id = ? AND user_id = ?',
+        [organizationId, memberUserId]
+      );
+      await writeOrganizationAudit(connection, {
+        organizationId,
+        actorUserId: userId,
+        action: 'organization.member_removed',
+        targetType: 'user',
+        targetId: memberUserId,
+        metadata: { role: current.role }
+      });
+    });
+    return userId === memberUserId ? { removed: true } : loadOrganization(connection, organizationId, userId);
+  });
+}
+
+async function createOrganizationWorkspace(userId, organizationId, body = {}) {
+  const name = normalizeName(body.name, 'invalid_workspace_name');
+  return withConnection(async connection => {
+    await requireOrganizationRole(connection, organizationId, userId, INHERITING_ROLES);
+    const workspace = await repositories.createWorkspace(connection, {
+      name,
+      slug: `${slugify(name)}-${randomToken(4).toLowerCase()}`,
+      createdBy: userId,
+      organizationId
+    });
+    await withTransaction(connection, async () => {
+      await syncWorkspaceAccess(connection, organizationId, workspace.id, true, userId);
+      await repositories.createAuditLog(connection, {
+        workspaceId: workspace.id,
+        actorUserId: userId,
+        action: 'workspace.organization_attached',
+        targetType: 'organization',
+        targetId: organizationId,
+        metadata: { created: true }
+      });
+    });
+    return loadOrganization(connection, organizationId, userId);
+  });
+}
+
+async function attachOrganizationWorkspace(userId, organizationId, workspaceId) {
+  return withConnection(async connection => {
+    await withTransaction(connection, async () => {
+      await requireOrganizationRole(connection, organizationId, userId, INHERITING_ROLES);
+      const membership = await repositories.getMembership(connection, workspaceId, userId);
+      if (!membership) throw createOrganizationError(404, 'workspace_not_found');
+      if (membership.role !== 'owner') throw createOrganizationError(403, 'permission_denied');
+      const [workspace] = await connection.query(
+        'SELECT organization_id FROM workspaces WHERE id = ? AND deleted_at IS NULL LIMIT 1 FOR UPDATE',
+        [workspaceId]
+      );
+      if (!workspace) throw createOrganizationError(404, 'workspace_not_found');
+      if (workspace.organization_id === organizationId) return;
+      if (workspace.organization_id) throw createOrganizationError(409, 'workspace_in_other_organization');
+      await connection.query('UPDATE workspaces SET organization_id = ? WHERE id = ?', [organizationId, workspaceId]);
+      await syncWorkspaceAccess(connection, organizationId, workspaceId, true, userId);
+      await repositories.createAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'workspace.organization_attached',
+        targetType: 'organization',
+        targetId: organizationId,
+        metadata: { created: false }
+      });
+    });
+    return loadOrganization(connection, organizationId, userId);
+  });
+}
+
+async function detachOrganizationWorkspace(userId, organizationId, workspaceId) {
+  return withConnection(async connection => {
+    await withTransaction(connection, async () => {
+      await requireOrganizationRole(connection, organizationId, userId, INHERITING_ROLES);
+      const [workspace] = await connection.query(
+        'SELECT id FROM workspaces WHERE id = ? AND organization_id = ? AND deleted_at IS NULL LIMIT 1 FOR UPDATE',
+        [workspaceId, organizationId]
+      );
+      if (!workspace) throw createOrganizationError(404, 'workspace_not_found');
+      await syncWorkspaceAccess(connection, organizationId, workspaceId, false, userId);
+      await connection.query('UPDATE workspaces SET organization_id = NULL WHERE id = ?', [workspaceId]);
+      await repositories.createAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'workspace.organization_detached',
+        targetType: 'organization',
+        targetId: organizationId,
+        metadata: {}
+      });
+    });
+    return loadOrganization(connection, organizationId, userId);
+  });
+}
+
+async function addDirectoryMember(userId, organizationId, workspaceId, body = {}) {
+  const role = body.role;
+  return withConnection(async connection => {
+    await withTransaction(connection, async () => {
+      await requireOrganizationRole(connection, organizationId, userId, INHERITING_ROLES);
+      if (!INVITATION_ROLES.includes(role)) throw createOrganizationError(403, 'invalid_role_assignment');
+      const [workspace] = await connection.query(
+        'SELECT id FROM workspaces WHERE id = ? AND organization_id = ? AND deleted_at IS NULL LIMIT 1',
+        [workspaceId, organizationId]
+      );
+      if (!workspace) throw createOrganizationError(404, 'workspace_not_found');
+      const [member] = await connection.query(
+        `SELECT u.id, u.email FROM organization_memberships om
+         JOIN users u ON u.id = om.user_id AND u.deleted_at IS NULL
+         WHERE om.organization_id = ? AND om.user_id = ?
+         LIMIT 1`,
+        [organizationId, body.user_id]
+      );
+      if (!member) throw createOrganizationError(404, 'organization_member_not_found');
+      if (await repositories.getMembership(connection, workspaceId, member.id)) {
+        throw createOrganizationError(409, 'already_a_member');
+      }
+      await connection.query(
+        `INSERT INTO workspace_memberships (workspace_id, user_id, role, status, invited_by, joined_at)
+         VALUES (?, ?, ?, 'active', ?, UTC_TIMESTAMP(3))
+         ON DUPLICATE KEY UPDATE role = VALUES(role), custom_role_id = NULL, resources_restricted = 0, status = 'active',
+           invited_by = VALUES(invited_by), joined_at = UTC_TIMESTAMP(3)`,
+        [workspaceId, member.id, role, userId]
+      );
+      await repositories.createAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'member_added_from_directory',
+        targetType: 'user',
+        targetId: member.id,
+        metadata: { organization_id: organizationId, email: member.email, role }
+      });
+    });
+    return loadOrganization(connection, organizationId, userId);
+  });
+}
+
+async function getOrganizationHealth(userId, organizationId, now = new Date()) {
+  return withConnection(async connection => {
+    await requireOrganizationRole(connection, organizationId, userId, INHERITING_ROLES);
+    const rows = await connection.query(
+      `SELECT w.id AS workspace_id, w.name AS workspace_name, c.id AS connection_id, c.provider, c.status,
+              COALESCE(pr.display_name, pr.provider_resource_id) AS resource_name, ds.reconnect_reason,
+              c.last_sync_at, c.last_successful_sync_at, c.next_sync_at, c.data_through_at,
+              (SELECT sr.status FROM sync_runs sr
+               WHERE sr.data_source_id = c.data_source_id
+               ORDER BY sr.started_at DESC, sr.id DESC
+               LIMIT 1) AS latest_sync_status
+       FROM workspaces w
+       JOIN workspace_provider_connections c ON c.workspace_id = w.id AND c.status <> 'disconnected'
+       JOIN provider_resources pr ON pr.id = c.provider_resource_id
+       LEFT JOIN data_sources ds ON ds.id = c.data_source_id
+       WHERE w.organization_id = ? AND w.deleted_at IS NULL
+       ORDER BY w.name ASC, c.provider ASC, resource_name ASC, c.id ASC`,
+      [organizationId]
+    );
+    const connections = rows.map(row => ({
+      workspace: { id: row.workspace_id, name: row.workspace_name },
+      connection_id: row.connection_id,
+      provider: row.provider,
+      provider_name: PROVIDER_NAMES[row.provider] || row.provider,
+      resource_name: row.resource_name,
+      status: row.status,
+      reconnect_reason: row.reconnect_reason || null,
+      freshness: freshnessState({
+        status: row.status,
+        availabilityState: null,
+        lastSuccessfulSyncAt: row.last_successful_sync_at,
+        hasData: Boolean(row.last_successful_sync_at),
+        demoData: false,
+        latestSyncStatus: row.latest_sync_status,
+        now
+      }),
+      latest_sync_status: row.latest_sync_status || null,
+      last_sync_at: isoDate(row.last_sync_at),
+      last_successful_sync_at: isoDate(row.last_successful_sync_at),
+      next_sync_at: isoDate(row.next_sync_at),
+      data_through_at: isoDate(row.data_through_at)
+    }));
+    const summary = {};
+    for (const item of connections) summary[item.freshness] = (summary[item.freshness] || 0) + 1;
+    return {
+      generated_at: now.toISOString(),
+      workspace_count: (await listChildWorkspaceIds(connection, organizationId)).length,
+      summary,
+      connections
+    };
+  });
+}
+
+module.exports = {
+  ORGANIZATION_ROLES,
+  addDirectoryMember,
+  addOrganizationMember,
+  attachOrganizationWorkspace,
+  createOrganization,
+  createOrganizationWorkspace,
+  detachOrganizationWorkspace,
+  emailDomainAllowed,
+  getOrganization,
+  getOrganizationHealth,
+  listOrganizations,
+  loadInvitationPolicy,
+  normalizeDomains,
+  removeOrganizationMember,
+  updateOrganization,
+  updateOrganizationMember
+};
@@ -0,0 +1,104 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const ALLOW_PRIVATE_ENV = 'OUTBOUND_ALLOW_PRIVATE_ADDRESSES';
+const PRIVATE_SUBNETS = Object.freeze([
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 96, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+]);
+
+const privateAddresses = new net.BlockList();
+for (const [address, prefix, type] of PRIVATE_SUBNETS) privateAddresses.addSubnet(address, prefix, type);
+
+const defaultLookup = hostname => dns.promises.lookup(hostname, { all: true, verbatim: true });
+let lookupImpl = defaultLookup;
+
+function setOutboundLookup(nextLookup) {
+  lookupImpl = nextLookup || defaultLookup;
+}
+
+function createOutboundError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+function privateAddressesAllowed(env = process.env) {
+  return ['1', 'true', 'yes', 'on'].includes(String(env[ALLOW_PRIVATE_ENV] || '').trim().toLowerCase());
+}
+
+function bareHostname(hostname) {
+  return String(hostname || '').toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+}
+
+function isPrivateAddress(address) {
+  const host = bareHostname(address);
+  const family = net.isIP(host);
+  if (!family) return false;
+  return privateAddresses.check(host, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function isPrivateHostname(hostname) {
+  const host = bareHostname(hostname);
+  if (!host || host === 'localhost' || /\.(localhost|local|internal)$/.test(host)) return true;
+  return isPrivateAddress(host);
+}
+
+async function resolvePublicAddress(hostname, env = process.env) {
+  if (privateAddressesAllowed(env)) return null;
+  const host = bareHostname(hostname);
+  if (isPrivateHostname(host)) throw createOutboundError('outbound_address_not_public');
+  const family = net.isIP(host);
+  if (family) return { address: host, family };
+  let addresses;
+  try {
+    addresses = await lookupImpl(host);
+  } catch {
+    throw createOutboundError('outbound_address_unresolved');
+  }
+  if (!Array.isArray(addresses) || !addresses.length) throw createOutboundError('outbound_address_unresolved');
+  if (addresses.some(entry => !net.isIP(entry.address) || isPrivateAddress(entry.address))) {
+    throw createOutboundError('outbound_address_not_public');
+  }
+  return { address: addresses[0].address, family: net.isIP(addresses[0].address) };
+}
+
+function createPinnedAgent(protocol, { address, family }) {
+  const lookup = (hostname, options, callback) => {
+    if (options && options.all) return callback(null, [{ address, family }]);
+    return callback(null, address, family);
+  };
+  return protocol === 'https:' ? new https.Agent({ lookup }) : new http.Agent({ lookup });
+}
+
+async function fetchPublicUrl(fetchImpl, url, options = {}, env = process.env) {
+  const target = new URL(url);
+  const address = await resolvePublicAddress(target.hostname, env);
+  return fetchImpl(url, address ? { ...options, agent: createPinnedAgent(target.protocol, address) } : options);
+}
+
+module.exports = {
+  ALLOW_PRIVATE_ENV,
+  createPinnedAgent,
+  fetchPublicUrl,
+  isPrivateAddress,
+  isPrivateHostname,
+  privateAddressesAllowed,
+  resolvePublicAddress,
+  setOutboundLookup
+};
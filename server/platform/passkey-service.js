@@ -0,0 +1,327 @@
+const { getConnection } = require('../database');
+const repositories = require('./repositories');
+const { createId, hashSecret, randomToken } = require('./security');
+const {
+  SUPPORTED_ALGORITHMS,
+  readClientDataChallenge,
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse
+} = require('./webauthn');
+
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const MAX_ACTIVE_PASSKEYS_PER_USER = 10;
+const TRANSPORTS = Object.freeze(['ble', 'cable', 'hybrid', 'internal', 'nfc', 'smart-card', 'usb']);
+
+function createPasskeyError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createPasskeyError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+function isoDate(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function getPasskeyConfiguration(env = process.env) {
+  let base = null;
+  try {
+    base = new URL(String(env.BASE_URL || ''));
+  } catch {
+    base = null;
+  }
+  const origins = new Set(base ? [base.origin] : []);
+  for (const value of String(env.WEBAUTHN_ORIGINS || '').split(',')) {
+    const trimmed = value.trim();
+    if (!trimmed) continue;
+    try {
+      origins.add(new URL(trimmed).origin);
+    } catch {
+      throw createPasskeyError(500, 'passkey_origin_configuration_invalid');
+    }
+  }
+  const rpId = String(env.WEBAUTHN_RP_ID || (base ? base.hostname : '')).trim().toLowerCase();
+  if (!rpId || !origins.size) throw createPasskeyError(503, 'passkeys_not_configured');
+  return {
+    rpId,
+    rpName: String(env.WEBAUTHN_RP_NAME || 'Social Insights Studio').trim(),
+    origins: [...origins]
+  };
+}
+
+function normalizePasskeyName(value) {
+  const name = String(value || '').trim();
+  if (!name) return 'Passkey';
+  if (name.length > 120) throw createPasskeyError(400, 'passkey_name_too_long');
+  return name;
+}
+
+function normalizeTransports(value) {
+  if (!Array.isArray(value)) return null;
+  const transports = value.filter(item => TRANSPORTS.includes(item));
+  return transports.length ? [...new Set(transports)].join(',') : null;
+}
+
+function serializePasskey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    backed_up: Boolean(Number(row.backed_up)),
+    transports: row.transports ? row.transports.split(',') : [],
+    last_used_at: isoDate(row.last_used_at),
+    created_at: isoDate(row.created_at)
+  };
+}
+
+async function listUserPasskeys(connection, userId) {
+  const rows = await connection.query(
+    `SELECT id, name, backed_up, transports, last_used_at, created_at
+     FROM user_passkeys
+     WHERE user_id = ? AND revoked_at IS NULL
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+  return rows.map(serializePasskey);
+}
+
+async function createChallenge(connection, purpose, userId = null) {
+  const challenge = randomToken(32);
+  await connection.query(
+    `INSERT INTO webauthn_challenges (id, challenge_hash, purpose, user_id, expires_at)
+     VALUES (?, ?, ?, ?, DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND))`,
+    [createId(), hashSecret(challenge), purpose, userId, CHALLENGE_TTL_SECONDS]
+  );
+  await connection.query(
+    'DELETE FROM webauthn_challenges WHERE expires_at < DATE_SUB(UTC_TIMESTAMP(3), INTERVAL 1 DAY) LIMIT 100'
+  );
+  return challenge;
+}
+
+async function consumeChallenge(connection, challenge, purpose, userId = null) {
+  const challengeHash = hashSecret(challenge);
+  const rows = await connection.query(
+    `SELECT id, user_id FROM webauthn_challenges
+     WHERE challenge_hash = ? AND purpose = ? AND consumed_at IS NULL AND expires_at > UTC_TIMESTAMP(3)
+     LIMIT 1`,
+    [challengeHash, purpose]
+  );
+  const row = rows[0];
+  if (!row || (row.user_id || null) !== (userId || null)) throw createPasskeyError(400, 'passkey_challenge_invalid');
+  const result = await connection.query(
+    'UPDATE webauthn_challenges SET consumed_at = UTC_TIMESTAMP(3) WHERE id = ? AND consumed_at IS NULL',
+    [row.id]
+  );
+  if (Number(result.affectedRows) !== 1) throw createPasskeyError(400, 'passkey_challenge_invalid');
+}
+
+async function startPasskeyRegistration(userId) {
+  const configuration = getPasskeyConfiguration();
+  return withConnection(async connection => {
+    const profile = await repositories.getAccountProfile(connection, userId);
+    if (!profile) throw createPasskeyError(404, 'account_not_found');
+    const existing = await connection.query(
+      'SELECT credential_id, transports FROM user_passkeys WHERE user_id = ? AND revoked_at IS NULL',
+      [userId]
+    );
+    if (existing.length >= MAX_ACTIVE_PASSKEYS_PER_USER) throw createPasskeyError(409, 'passkey_limit_reached');
+    const challenge = await createChallenge(connection, 'registration', userId);
+    return {
+      challenge,
+      rp: { id: configuration.rpId, name: configuration.rpName },
+      user: {
+        id: Buffer.from(userId).toString('base64url'),
+        name: profile.email,
+        displayName: profile.display_name || profile.email
+      },
+      pubKeyCredParams: SUPPORTED_ALGORITHMS.map(alg => ({ type: 'public-key', alg })),
+      timeout: CHALLENGE_TTL_SECONDS * 1000,
+      attestation: 'none',
+      authenticatorSelection: { residentKey: 'required', requireResidentKey: true, userVerification: 'required' },
+      excludeCredentials: existing.map(row => ({
+        type: 'public-key',
+        id: row.credential_id,
+        ...(row.transports ? { transports: row.transports.split(',') } : {})
+      }))
+    };
+  });
+}
+
+async function finishPasskeyRegistration(userId, body = {}) {
+  const configuration = getPasskeyConfiguration();
+  const name = normalizePasskeyName(body.name);
+  const credential = body.credential || {};
+  const challenge = readClientDataChallenge(credential.response && credential.response.clientDataJSON, 'webauthn.create');
+  return withConnection(async connection => {
+    await consumeChallenge(connection, challenge, 'registration', userId);
+    const verified = verifyRegistrationResponse(credential.response, {
+      challenge,
+      origins: configuration.origins,
+      rpId: configuration.rpId
+    });
+    await connection.beginTransaction();
+    try {
+      const credentialIdHash = hashSecret(verified.credentialId);
+      const duplicates = await connection.query(
+        'SELECT id FROM user_passkeys WHERE credential_id_hash = ? LIMIT 1',
+        [credentialIdHash]
+      );
+      if (duplicates.length) throw createPasskeyError(409, 'passkey_already_registered');
+      const id = createId();
+      await connection.query(
+        `INSERT INTO user_passkeys
+          (id, user_id, name, credential_id, credential_id_hash, public_key, algorithm, sign_count,
+           transports, aaguid, backup_eligible, backed_up, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3))`,
+        [
+          id,
+          userId,
+          name,
+          verified.credentialId,
+          credentialIdHash,
+          verified.publicKey,
+          verified.algorithm,
+          verified.signCount,
+          normalizeTransports(credential.response.transports),
+          verified.aaguid,
+          verified.backupEligible,
+          verified.backedUp
+        ]
+      );
+      await repositories.createAuditLog(connection, {
+        actorUserId: userId,
+        action: 'passkey.registered',
+        targetType: 'passkey',
+        targetId: id,
+        metadata: { name, algorithm: verified.algorithm, backed_up: verified.backedUp }
+      });
+      await connection.commit();
+      return { passkey_id: id, passkeys: await listUserPasskeys(connection, userId) };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function startPasskeySignIn() {
+  const configuration = getPasskeyConfiguration();
+  return withConnection(async connection => ({
+    challenge: await createChallenge(connection, 'authentication'),
+    rpId: configuration.rpId,
+    timeout: CHALLENGE_TTL_SECONDS * 1000,
+    userVerification: 'required',
+    allowCredentials: []
+  }));
+}
+
+async function startPasskeyStepUp(userId) {
+  const configuration = getPasskeyConfiguration();
+  return withConnection(async connection => {
+    const rows = await connection.query(
+      'SELECT credential_id, transports FROM user_passkeys WHERE user_id = ? AND revoked_at IS NULL',
+      [userId]
+    );
+    if (!rows.length) throw createPasskeyError(409, 'passkey_not_registered');
+    return {
+      challenge: await createChallenge(connection, 'authentication', userId),
+      rpId: configuration.rpId,
+      timeout: CHALLENGE_TTL_SECONDS * 1000,
+      userVerification: 'required',
+      allowCredentials: rows.map(row => ({
+        type: 'public-key',
+        id: row.credential_id,
+        ...(row.transports ? { transports: row.transports.split(',') } : {})
+      }))
+    };
+  });
+}
+
+async function consumePasskeyAssertion(connection, credential = {}, { userId = null } = {}) {
+  const configuration = getPasskeyConfiguration();
+  const challenge = readClientDataChallenge(credential.response && credential.response.clientDataJSON, 'webauthn.get');
+  await consumeChallenge(connection, challenge, 'authentication', userId);
+  const rows = await connection.query(
+    `SELECT p.*, u.email, u.display_name
+     FROM user_passkeys p
+     JOIN users u ON u.id = p.user_id
+     WHERE p.credential_id_hash = ? AND p.revoked_at IS NULL
+       AND (? IS NULL OR p.user_id = ?)
+       AND u.deleted_at IS NULL AND u.status = 'active'
+     LIMIT 1`,
+    [hashSecret(String(credential.id || '')), userId, userId]
+  );
+  const passkey = rows[0];
+  if (!passkey) throw createPasskeyError(400, 'passkey_not_recognized');
+  const userHandle = credential.response.userHandle;
+  if (userHandle && userHandle !== Buffer.from(passkey.user_id).toString('base64url')) {
+    throw createPasskeyError(400, 'passkey_not_recognized');
+  }
+  const verified = verifyAuthenticationResponse(credential.response, {
+    challenge,
+    origins: configuration.origins,
+    rpId: configuration.rpId,
+    credential: { publicKey: passkey.public_key, signCount: passkey.sign_count }
+  });
+  const update = await connection.query(
+    `UPDATE user_passkeys SET sign_count = ?, backed_up = ?, last_used_at = UTC_TIMESTAMP(3)
+     WHERE id = ? AND sign_count = ? AND revoked_at IS NULL`,
+    [verified.signCount, verified.backedUp, passkey.id, passkey.sign_count]
+  );
+  if (Number(update.affectedRows) !== 1) throw createPasskeyError(400, 'passkey_counter_invalid');
+  await repositories.createAuditLog(connection, {
+    actorUserId: passkey.user_id,
+    action: 'passkey.used',
+    targetType: 'passkey',
+    targetId: passkey.id,
+    metadata: { name: passkey.name, purpose: userId ? 'step_up' : 'sign_in' }
+  });
+  return { id: passkey.user_id, email: passkey.email, display_name: passkey.display_name };
+}
+
+async function revokePasskey(userId, passkeyId) {
+  return withConnection(async connection => {
+    const rows = await connection.query(
+      'SELECT id, name FROM user_passkeys WHERE id = ? AND user_id = ? AND revoked_at IS NULL LIMIT 1',
+      [passkeyId, userId]
+    );
+    const passkey = rows[0];
+    if (!passkey) throw createPasskeyError(404, 'passkey_not_found');
+    const factors = await repositories.countSecondFactors(connection, userId);
+    if (factors.totp + factors.passkeys === 1 && (await repositories.listSecondFactorWorkspaces(connection, userId)).length) {
+      throw createPasskeyError(409, 'second_factor_required_by_workspace');
+    }
+    await connection.query(
+      'UPDATE user_passkeys SET revoked_at = UTC_TIMESTAMP(3) WHERE id = ? AND revoked_at IS NULL',
+      [passkeyId]
+    );
+    await repositories.createAuditLog(connection, {
+      actorUserId: userId,
+      action: 'passkey.revoked',
+      targetType: 'passkey',
+      targetId: passkeyId,
+      metadata: { name: passkey.name }
+    });
+    return { revoked: true, passkeys: await listUserPasskeys(connection, userId) };
+  });
+}
+
+module.exports = {
+  consumePasskeyAssertion,
+  finishPasskeyRegistration,
+  getPasskeyConfiguration,
+  listUserPasskeys,
+  revokePasskey,
+  startPasskeyRegistration,
+  startPasskeySignIn,
+  startPasskeyStepUp
+};
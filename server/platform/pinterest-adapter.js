@@ -0,0 +1,46 @@
+const pinterest = require('../integrations/pinterest');
+const { defineProviderAdapter } = require('./provider-contract');
+const {
+  PINTEREST_CAPABILITIES,
+  completePinterestConnection,
+  disconnectPinterest,
+  listPinterestResources,
+  revokeWorkspacePinterestAuthorizations,
+  selectPinterestResource,
+  startPinterestConnection
+} = require('./pinterest-connection-service');
+const { performPinterestSyncForJob } = require('./pinterest-sync-service');
+
+const pinterestAdapter = defineProviderAdapter({
+  provider: 'pinterest',
+  contractVersion: 1,
+  requiredScopes: pinterest.PINTEREST_SCOPES,
+  resourceTypes: ['pinterest_account'],
+  capabilities: PINTEREST_CAPABILITIES,
+  authorization: {
+    buildAuthorizationUrl: input => startPinterestConnection(input),
+    completeAuthorization: input => completePinterestConnection(input),
+    refreshAuthorization: (refreshToken, requestOptions) => pinterest.refreshAccessToken(refreshToken, requestOptions),
+    inspectScopes: async scopeValue => ({
+      granted: [...pinterest.grantedScopes(scopeValue)],
+      missing: pinterest.missingScopes(scopeValue),
+      exact: pinterest.hasExactScopes(scopeValue)
+    }),
+    revokeAuthorization: ({ userId, workspaceId, connectionId = null }) =>
+      disconnectPinterest(userId, workspaceId, connectionId)
+  },
+  resources: {
+    discoverResources: ({ userId, workspaceId }) => listPinterestResources(userId, workspaceId),
+    selectResource: ({ userId, workspaceId, resourceId }) => selectPinterestResource(userId, workspaceId, resourceId)
+  },
+  sync: {
+    synchronize: (job, options) => performPinterestSyncForJob(job, options)
+  },
+  deletion: {
+    deleteConnectionData: ({ workspaceId }) => revokeWorkspacePinterestAuthorizations(workspaceId)
+  }
+});
+
+module.exports = {
+  pinterestAdapter
+};
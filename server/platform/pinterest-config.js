@@ -0,0 +1,106 @@
+const { validateEncryptionConfiguration } = require('./secret-envelope');
+
+const PINTEREST_CALLBACK_PATH = '/api/integrations/pinterest/callback';
+
+function flagEnabled(value) {
+  return ['1', 'true', 'yes', 'on'].includes(String(value || '').trim().toLowerCase());
+}
+
+function boundedInteger(value, fallback, minimum, maximum) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < minimum || parsed > maximum) return fallback;
+  return parsed;
+}
+
+function expectedRedirectUri(env = process.env) {
+  const base = String(env.BASE_URL || '').replace(/\/+$/, '');
+  return base ? `${base}${PINTEREST_CALLBACK_PATH}` : null;
+}
+
+function validateRedirectUri(env = process.env) {
+  const raw = String(env.PINTEREST_REDIRECT_URI || '').trim();
+  if (!raw) return { ready: false, reason: 'PINTEREST_REDIRECT_URI_missing', value: null };
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch {
+    return { ready: false, reason: 'PINTEREST_REDIRECT_URI_invalid', value: null };
+  }
+  if (parsed.username || parsed.password || parsed.search || parsed.hash || parsed.pathname !== PINTEREST_CALLBACK_PATH) {
+    return { ready: false, reason: 'PINTEREST_REDIRECT_URI_invalid', value: null };
+  }
+  const production = String(env.NODE_ENV || '').toLowerCase() === 'production';
+  const localhost = ['localhost', '127.0.0.1', '::1'].includes(parsed.hostname);
+  if (parsed.protocol !== 'https:' && (production || !localhost || parsed.protocol !== 'http:')) {
+    return { ready: false, reason: 'PINTEREST_REDIRECT_URI_https_required', value: null };
+  }
+  const expected = expectedRedirectUri(env);
+  if (expected && raw !== expected) {
+    return { ready: false, reason: 'PINTEREST_REDIRECT_URI_mismatch', value: null };
+  }
+  return { ready: true, reason: null, value: raw };
+}
+
+function getPinterestLimits(env = process.env) {
+  return {
+    requestTimeoutMs: boundedInteger(env.PINTEREST_REQUEST_TIMEOUT_MS, 10000, 1000, 30000),
+    oauthStateTtlSeconds: boundedInteger(env.PINTEREST_OAUTH_STATE_TTL_SECONDS, 600, 120, 900),
+    maxRetries: boundedInteger(env.PINTEREST_SYNC_MAX_RETRIES, 2, 0, 5),
+    jobTimeBudgetSeconds: boundedInteger(env.PINTEREST_SYNC_TIME_BUDGET_SECONDS, 180, 30, 240),
+    analyticsLookbackDays: boundedInteger(env.PINTEREST_ANALYTICS_LOOKBACK_DAYS, 90, 7, 90),
+    maxBoards: boundedInteger(env.PINTEREST_SYNC_MAX_BOARDS, 25, 1, 100),
+    maxPins: boundedInteger(env.PINTEREST_SYNC_MAX_PINS, 50, 1, 200)
+  };
+}
+
+function looksLikePlaceholder(value) {
+  const normalized = String(value || '').trim().toLowerCase();
+  return !normalized || /(^|[_-])(replace|placeholder|example|your)([_-]|$)/.test(normalized);
+}
+
+function getPinterestConfiguration(env = process.env, runtime = {}) {
+  const enabled = flagEnabled(env.FEATURE_PINTEREST_CONNECTOR);
+  const redirect = validateRedirectUri(env);
+  const encryption = validateEncryptionConfiguration(env);
+  const missing = [];
+  if (!String(env.PINTEREST_APP_ID || '').trim()) missing.push('PINTEREST_APP_ID_missing');
+  if (!String(env.PINTEREST_APP_SECRET || '').trim()) missing.push('PINTEREST_APP_SECRET_missing');
+  if (!redirect.ready) missing.push(redirect.reason);
+  if (!encryption.ready) missing.push('ENCRYPTION_KEY_invalid');
+  if (runtime.databaseReady === false) missing.push('database_unavailable');
+  if (runtime.foundationReady === false) missing.push('pinterest_database_foundation_missing');
+  if (runtime.workerReady === false) missing.push('pinterest_worker_support_missing');
+
+  const configured = missing.length === 0;
+  return {
+    enabled,
+    configured,
+    connectable: enabled && configured,
+    status: !enabled ? 'disabled' : configured ? 'available' : 'configuration_required',
+    warnings: enabled ? [...new Set(missing)] : [],
+    redirectUri: redirect.value,
+    limits: getPinterestLimits(env)
+  };
+}
+
+function getPinterestProductionErrors(env = process.env) {
+  const configuration = getPinterestConfiguration(env);
+  if (!configuration.enabled) return [];
+  const errors = configuration.configured
+    ? []
+    : configuration.warnings.map(warning => `pinterest_configuration:${warning}`);
+  if (looksLikePlaceholder(env.PINTEREST_APP_ID)) errors.push('pinterest_configuration:PINTEREST_APP_ID_placeholder');
+  if (looksLikePlaceholder(env.PINTEREST_APP_SECRET)) {
+    errors.push('pinterest_configuration:PINTEREST_APP_SECRET_placeholder');
+  }
+  return [...new Set(errors)];
+}
+
+module.exports = {
+  PINTEREST_CALLBACK_PATH,
+  expectedRedirectUri,
+  getPinterestConfiguration,
+  getPinterestLimits,
+  getPinterestProductionErrors,
+  validateRedirectUri
+};
@@ -0,0 +1,374 @@
+const { getConnection } = require('../database');
+const { assertCapability } = require('./rbac');
+const { loadResourceScope, scopeCondition } = require('./resource-scope');
+const { getMetricDefinitions } = require('./provider-registry');
+
+const PINTEREST_METRIC_KEYS = Object.freeze([
+  'pinterest.followers',
+  'pinterest.impressions',
+  'pinterest.saves',
+  'pinterest.outbound_clicks',
+  'pinterest.pin_clicks'
+]);
+
+const PIN_METRIC_KEYS = Object.freeze([
+  'pinterest.impressions',
+  'pinterest.saves',
+  'pinterest.outbound_clicks',
+  'pinterest.pin_clicks'
+]);
+
+const MAX_PINS = 25;
+
+function createHttpError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createHttpError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+async function requireWorkspace(connection, workspaceId, userId) {
+  const rows = await connection.query(
+    `SELECT m.role, r.capabilities AS custom_role_capabilities
+     FROM workspace_memberships m
+     LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+     WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active' LIMIT 1`,
+    [workspaceId, userId]
+  );
+  if (!rows[0]) throw createHttpError(404, 'workspace_not_found');
+  assertCapability(rows[0], 'viewDashboard', 'pinterest');
+}
+
+function parseJson(value, fallback = {}) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(value, days) {
+  const date = new Date(`${value}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return isoDate(date);
+}
+
+function validDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ''))) return false;
+  const parsed = new Date(`${value}T00:00:00.000Z`);
+  return !Number.isNaN(parsed.getTime()) && isoDate(parsed) === value;
+}
+
+function parseRange(query, now = new Date()) {
+  const key = ['7d', '30d', '90d', 'custom'].includes(query.range) ? query.range : '30d';
+  let to = addDays(isoDate(now), -1);
+  let from;
+  if (key === 'custom') {
+    from = String(query.from || '');
+    to = String(query.to || '');
+    if (!validDate(from) || !validDate(to)) throw createHttpError(400, 'invalid_date_range');
+  } else {
+    from = addDays(to, -(Number(key.slice(0, -1)) - 1));
+  }
+  const fromTime = new Date(`${from}T00:00:00.000Z`).getTime();
+  const toTime = new Date(`${to}T00:00:00.000Z`).getTime();
+  const days = Math.floor((toTime - fromTime) / 86400000) + 1;
+  if (fromTime > toTime || days < 1 || days > 366) throw createHttpError(400, 'invalid_date_range');
+  return {
+    key,
+    from,
+    to,
+    days,
+    previousFrom: addDays(from, -days),
+    previousTo: addDays(from, -1),
+    timezone: 'UTC'
+  };
+}
+
+function databaseDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isoDate(value);
+  const match = String(value).match(/^\d{4}-\d{2}-\d{2}/);
+  return match ? match[0] : null;
+}
+
+function numberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+async function findConnection(connection, workspaceId, connectionId, scope = null) {
+  const params = [workspaceId];
+  const scoped = scopeCondition('wpc.id', scope && scope.connectionIds);
+  const clause = `${connectionId ? 'AND wpc.id = ?' : ''}${scoped.sql}`;
+  if (connectionId) params.push(connectionId);
+  params.push(...scoped.params);
+  const rows = await connection.query(
+    `SELECT wpc.id, wpc.status, wpc.data_source_id, wpc.last_sync_at,
+            wpc.last_successful_sync_at, wpc.next_sync_at, wpc.data_through_at,
+            ds.reconnect_reason, pr.provider_resource_id, pr.display_name, pr.metadata,
+            pauth.status AS authorization_status
+     FROM workspace_provider_connections wpc
+     JOIN data_sources ds ON ds.id = wpc.data_source_id
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+     WHERE wpc.workspace_id = ? AND wpc.provider = 'pinterest' ${clause}
+     ORDER BY FIELD(wpc.status, 'active', 'reconnect_required', 'connecting', 'disconnected'), wpc.created_at
+     LIMIT 1`,
+    params
+  );
+  return rows[0] || null;
+}
+
+async function latestFollowerSnapshot(connection, connectionId, onOrBefore) {
+  const rows = await connection.query(
+    `SELECT numeric_value, availability_status, availability_reason, period_start
+     FROM provider_metric_observations
+     WHERE workspace_provider_connection_id = ? AND metric_key = 'pinterest.followers'
+       AND grain = 'snapshot' AND period_start <= ?
+     ORDER BY period_start DESC, observed_at DESC
+     LIMIT 1`,
+    [connectionId, addDays(onOrBefore, 1)]
+  );
+  return rows[0] || null;
+}
+
+async function dailyMetrics(connection, connectionId, from, to) {
+  return connection.query(
+    `SELECT observation.metric_key, observation.period_start AS report_date,
+            observation.numeric_value, observation.unit, observation.availability_status,
+            observation.availability_reason, observation.data_through_at
+     FROM provider_metric_observations observation
+     JOIN (
+       SELECT metric_key, period_start, MAX(observed_at) AS observed_at
+       FROM provider_metric_observations
+       WHERE workspace_provider_connection_id = ? AND grain = 'daily'
+         AND period_start BETWEEN ? AND ?
+       GROUP BY metric_key, period_start
+     ) latest ON latest.metric_key = observation.metric_key
+       AND latest.period_start = observation.period_start
+       AND latest.observed_at = observation.observed_at
+     WHERE observation.workspace_provider_connection_id = ? AND observation.grain = 'daily'
+       AND observation.period_start BETWEEN ? AND ?
+     ORDER BY observation.period_start, observation.metric_key`,
+    [connectionId, from, to, connectionId, from, to]
+  );
+}
+
+function aggregateDaily(rows, metricKey) {
+  const matching = rows.filter(row => row.metric_key === metricKey);
+  if (matching.length === 0 || matching.some(row => row.availability_status !== 'available')) return null;
+  return matching.reduce((sum, row) => sum + Number(row.numeric_value), 0);
+}
+
+function metricResult(key, value, status, reason, baseline, baselineStatus) {
+  const definition = getMetricDefinitions()[key];
+  const delta = value === null || baseline === null ? null : value - baseline;
+  return {
+    key,
+    label: definition.label,
+    unit: definition.unit,
+    value,
+    baseline,
+    delta,
+    percent_change: delta === null || baseline === 0 ? null : (delta / baseline) * 100,
+    availability_status: status,
+    availability_reason: reason,
+    baseline_availability_status: baselineStatus,
+    definition: definition.definition,
+    definition_version: definition.version,
+    available: status === 'available' && value !== null
+  };
+}
+
+function followerResult(current, previous) {
+  const value = current && current.availability_status === 'available' ? numberOrNull(current.numeric_value) : null;
+  const baseline = previous && previous.availability_status === 'available' ? numberOrNull(previous.numeric_value) : null;
+  return metricResult(
+    'pinterest.followers',
+    value,
+    current ? current.availability_status : 'not_reported',
+    current ? current.availability_reason : 'snapshot_not_stored',
+    baseline,
+    previous ? previous.availability_status : 'not_reported'
+  );
+}
+
+function summedResult(key, daily, previousDaily) {
+  const value = aggregateDaily(daily, key);
+  const baseline = aggregateDaily(previousDaily, key);
+  return metricResult(
+    key,
+    value,
+    value === null ? 'not_reported' : 'available',
+    value === null ? 'daily_values_unavailable' : null,
+    baseline,
+    baseline === null ? 'not_reported' : 'available'
+  );
+}
+
+function trendRows(rows) {
+  const dates = new Map();
+  for (const row of rows) {
+    const date = databaseDate(row.report_date);
+    if (!date) continue;
+    const value = dates.get(date) || { date, availability: {} };
+    value[row.metric_key.replace('pinterest.', '')] = row.availability_status === 'available'
+      ? numberOrNull(row.numeric_value)
+      : null;
+    value.availability[row.metric_key] = {
+      status: row.availability_status,
+      reason: row.availability_reason
+    };
+    dates.set(date, value);
+  }
+  return [...dates.values()].sort((left, right) => left.date.localeCompare(right.date));
+}
+
+async function pinRows(connection, connectionId, from, to) {
+  const rows = await connection.query(
+    `SELECT observation.dimension_values, observation.metric_values, observation.availability,
+            observation.period_start, observation.period_end, observation.observed_at
+     FROM provider_dimension_observations observation
+     JOIN (
+       SELECT dimension_hash, MAX(observed_at) AS observed_at
+       FROM provider_dimension_observations
+       WHERE workspace_provider_connection_id = ? AND breakdown_key = 'pinterest.pins'
+         AND period_start <= ? AND period_end >= ?
+       GROUP BY dimension_hash
+     ) latest ON latest.dimension_hash = observation.dimension_hash
+       AND latest.observed_at = observation.observed_at
+     WHERE observation.workspace_provider_connection_id = ? AND observation.breakdown_key = 'pinterest.pins'
+       AND observation.period_start <= ? AND observation.period_end >= ?
+     ORDER BY observation.observed_at DESC
+     LIMIT 500`,
+    [connectionId, to, from, connectionId, to, from]
+  );
+  const pins = new Map();
+  for (const row of rows) {
+    const dimensions = parseJson(row.dimension_values, {});
+    if (!dimensions.pin_id || pins.has(dimensions.pin_id)) continue;
+    const metrics = parseJson(row.metric_values, {});
+    const availability = parseJson(row.availability, {});
+    pins.set(dimensions.pin_id, {
+      id: dimensions.pin_id,
+      title: dimensions.title || null,
+      board_name: dimensions.board_name || null,
+      published_date: dimensions.published_date || null,
+      url: `https://www.pinterest.com/pin/${dimensions.pin_id}/`,
+      window: { from: databaseDate(row.period_start), to: databaseDate(row.period_end) },
+      metrics: Object.fromEntries(PIN_METRIC_KEYS.map(key => [
+        key.replace('pinterest.', ''),
+        availability[key] && availability[key].status === 'available' ? numberOrNull(metrics[key]) : null
+      ])),
+      availability
+    });
+  }
+  return [...pins.values()]
+    .sort((left, right) => (right.metrics.impressions || 0) - (left.metrics.impressions || 0) ||
+      String(right.published_date).localeCompare(String(left.published_date)))
+    .slice(0, MAX_PINS);
+}
+
+function emptyDashboard(range, state) {
+  return {
+    provider: 'pinterest', range, connection: { status: 'disconnected' },
+    account: null, metrics: [], trend: [], pins: [],
+    availability: { state, data_through_date: null, requested_through_date: range.to }
+  };
+}
+
+async function getPinterestDashboard(userId, workspaceId, query = {}) {
+  return withConnection(async connection => {
+    await requireWorkspace(connection, workspaceId, userId);
+    const range = parseRange(query);
+    if (query.timezone && query.timezone !== 'UTC') {
+      throw createHttpError(400, 'pinterest_dashboard_uses_utc_days');
+    }
+    const foundation = await connection.query(
+      `SELECT COUNT(*) AS count FROM information_schema.TABLES
+       WHERE TABLE_SCHEMA = DATABASE()
+         AND TABLE_NAME IN ('provider_resource_observations', 'provider_metric_observations', 'provider_dimension_observations')`
+    );
+    if (Number(foundation[0] && foundation[0].count) !== 3) return emptyDashboard(range, 'configuration_required');
+    const selected = await findConnection(
+      connection,
+      workspaceId,
+      query.connection_id || null,
+      await loadResourceScope(connection, workspaceId, userId)
+    );
+    if (!selected) return emptyDashboard(range, 'empty');
+    const metadata = parseJson(selected.metadata, {});
+    const [currentFollowers, previousFollowers, daily, previousDaily, pins] = await Promise.all([
+      latestFollowerSnapshot(connection, selected.id, range.to),
+      latestFollowerSnapshot(connection, selected.id, range.previousTo),
+      dailyMetrics(connection, selected.id, range.from, range.to),
+      dailyMetrics(connection, selected.id, range.previousFrom, range.previousTo),
+      pinRows(connection, selected.id, range.from, range.to)
+    ]);
+    const metrics = [
+      followerResult(currentFollowers, previousFollowers),
+      ...PINTEREST_METRIC_KEYS.filter(key => key !== 'pinterest.followers')
+        .map(key => summedResult(key, daily, previousDaily))
+    ];
+    const dataThrough = databaseDate(selected.data_through_at);
+    const anyUnavailable = metrics.some(item => !item.available);
+    const connectionStatus = selected.authorization_status === 'authorizing'
+      ? 'connecting'
+      : ['reconnect_required', 'disabled'].includes(selected.authorization_status)
+        ? 'reconnect_required'
+        : selected.status;
+    return {
+      provider: 'pinterest',
+      range,
+      connection: {
+        id: selected.id,
+        status: connectionStatus,
+        reconnect_reason: selected.reconnect_reason,
+        last_sync_at: selected.last_sync_at,
+        last_successful_sync_at: selected.last_successful_sync_at,
+        next_sync_at: selected.next_sync_at
+      },
+      account: {
+        id: selected.provider_resource_id,
+        display_name: selected.display_name,
+        username: metadata.username || null,
+        profile_url: metadata.profileUrl || null
+      },
+      metrics,
+      trend: trendRows(daily),
+      pins,
+      availability: {
+        state: !dataThrough || dataThrough < range.to ? 'delayed' : anyUnavailable ? 'partial' : 'ready',
+        data_through_date: dataThrough,
+        requested_through_date: range.to,
+        note: !dataThrough || dataThrough < range.to
+          ? 'pinterest_reporting_delay'
+          : anyUnavailable ? 'pinterest_partial_metrics' : null
+      }
+    };
+  });
+}
+
+module.exports = {
+  PINTEREST_METRIC_KEYS,
+  getPinterestDashboard,
+  parseRange
+};
@@ -0,0 +1,840 @@
+const { getConnection } = require('../database');
+const pinterest = require('../integrations/pinterest');
+const { createDimensionObservation, createMetricObservation } = require('./observation-contract');
+const { getMetricDefinitions } = require('./provider-registry');
+const { decryptSecret, encryptSecret } = require('./secret-envelope');
+const { createId } = require('./security');
+const { PINTEREST_CAPABILITIES, purgePinterestAuthorizationBySystem } = require('./pinterest-connection-service');
+const { getPinterestConfiguration, getPinterestLimits } = require('./pinterest-config');
+
+const DEFAULT_SYNC_INTERVAL_SECONDS = 6 * 60 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BOARD_PAGE_SIZE = 25;
+
+const FOLLOWER_METRIC = Object.freeze({ key: 'pinterest.followers', unit: 'count' });
+const ANALYTICS_METRIC_MAP = Object.freeze({
+  IMPRESSION: Object.freeze({ key: 'pinterest.impressions', field: 'impressions', unit: 'count' }),
+  SAVE: Object.freeze({ key: 'pinterest.saves', field: 'saves', unit: 'count' }),
+  OUTBOUND_CLICK: Object.freeze({ key: 'pinterest.outbound_clicks', field: 'outbound_clicks', unit: 'count' }),
+  PIN_CLICK: Object.freeze({ key: 'pinterest.pin_clicks', field: 'pin_clicks', unit: 'count' })
+});
+
+function createSyncError(code, result = null) {
+  const provider = result && result.error ? result.error : {};
+  const error = new Error(code);
+  error.code = code;
+  error.syncError = {
+    category: provider.category || 'provider',
+    provider_code: provider.provider_code || code,
+    retryable: provider.retryable === true,
+    terminal: provider.terminal === true,
+    retry_after_seconds: result && result.retryAfterSeconds !== null ? result.retryAfterSeconds : null,
+    message: code
+  };
+  return error;
+}
+
+function internalSyncError(error) {
+  const value = error && error.syncError ? error.syncError : {};
+  return {
+    category: value.category || 'internal',
+    provider_code: value.provider_code || null,
+    retryable: value.retryable === true,
+    terminal: value.terminal === true,
+    retry_after_seconds: value.retry_after_seconds === undefined ? null : value.retry_after_seconds,
+    message: (error && (error.code || error.message)) || 'pinterest_sync_failed'
+  };
+}
+
+function retryDelaySeconds(error) {
+  if (error && error.retry_after_seconds) return Math.max(60, Number(error.retry_after_seconds));
+  if (error && error.retryable) return 300;
+  return Number(process.env.SYNC_INTERVAL_SECONDS || DEFAULT_SYNC_INTERVAL_SECONDS);
+}
+
+function isUnusableAuthorization(syncError) {
+  return syncError.terminal || ['authentication', 'scope'].includes(syncError.category);
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createSyncError('database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+function parseJson(value, fallback = {}) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function numeric(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function buildAnalyticsWindow(lookbackDays, now = Date.now()) {
+  const todayMs = Math.floor(now / DAY_MS) * DAY_MS;
+  return {
+    startDate: isoDate(new Date(todayMs - (lookbackDays - 1) * DAY_MS)),
+    endDate: isoDate(new Date(todayMs)),
+    today: isoDate(new Date(todayMs))
+  };
+}
+
+function analyticsBlock(body, code) {
+  const block = body && typeof body === 'object' ? body.all : null;
+  if (!block || typeof block !== 'object') throw createSyncError(code);
+  return block;
+}
+
+function metricValues(values) {
+  const source = values && typeof values === 'object' ? values : {};
+  const result = {};
+  for (const [type, definition] of Object.entries(ANALYTICS_METRIC_MAP)) result[definition.field] = numeric(source[type]);
+  return result;
+}
+
+function parseAccountAnalytics(body, window) {
+  const block = analyticsBlock(body, 'pinterest_account_analytics_malformed');
+  if (!Array.isArray(block.daily_metrics)) throw createSyncError('pinterest_account_analytics_malformed');
+  const days = new Map();
+  for (const entry of block.daily_metrics) {
+    if (!entry || typeof entry !== 'object' || entry.data_status !== 'READY') continue;
+    const date = String(entry.date || '');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || date < window.startDate || date > window.endDate) continue;
+    days.set(date, metricValues(entry.metrics));
+  }
+  return days;
+}
+
+function parseUserAccount(source, body) {
+  if (!body || typeof body !== 'object' || String(body.id || '') !== source.account_id) {
+    throw createSyncError('pinterest_account_response_malformed');
+  }
+  const username = typeof body.username === 'string' ? body.username.trim() : '';
+  if (!/^[A-Za-z0-9_]{1,100}$/.test(username)) throw createSyncError('pinterest_account_response_malformed');
+  if (String(body.account_type || '').toUpperCase() !== 'BUSINESS') {
+    throw createSyncError('pinterest_business_account_required');
+  }
+  const businessName = typeof body.business_name === 'string' ? body.business_name.trim() : '';
+  const followerCount = numeric(body.follower_count);
+  return {
+    id: source.account_id,
+    username,
+    displayName: (businessName || username).slice(0, 255),
+    profileUrl: `https://www.pinterest.com/${encodeURIComponent(username)}/`,
+    followerCount: followerCount !== null && Number.isInteger(followerCount) ? followerCount : null
+  };
+}
+
+function parseBoards(body) {
+  if (!body || typeof body !== 'object' || !Array.isArray(body.items)) {
+    throw createSyncError('pinterest_boards_response_malformed');
+  }
+  const boards = body.items
+    .filter(item => item && pinterest.PINTEREST_ID.test(String(item.id || '')))
+    .map(item => ({
+      id: String(item.id),
+      name: typeof item.name === 'string' && item.name.trim() ? item.name.trim().slice(0, 255) : String(item.id)
+    }));
+  const bookmark = typeof body.bookmark === 'string' && body.bookmark ? body.bookmark : null;
+  return { boards, bookmark };
+}
+
+function parsePins(body, board) {
+  if (!body || typeof body !== 'object' || !Array.isArray(body.items)) {
+    throw createSyncError('pinterest_pins_response_malformed');
+  }
+  const pins = [];
+  for (const item of body.items) {
+    const id = String(item && item.id || '');
+    if (!pinterest.PINTEREST_ID.test(id)) continue;
+    const createdAt = new Date(item.created_at);
+    const title = typeof item.title === 'string' ? item.title.replace(/\s+/g, ' ').trim() : '';
+    const description = typeof item.description === 'string' ? item.description.replace(/\s+/g, ' ').trim() : '';
+    const link = typeof item.link === 'string' && /^https?:\/\//i.test(item.link) ? item.link.slice(0, 2048) : null;
+    pins.push({
+      id,
+      boardId: board.id,
+      boardName: board.name,
+      publishedAt: Number.isFinite(createdAt.getTime()) ? createdAt.toISOString() : null,
+      title: title ? title.slice(0, 280) : null,
+      description: description ? description.slice(0, 2000) : null,
+      url: `https://www.pinterest.com/pin/${id}/`,
+      link,
+      mediaType: item.media && typeof item.media.media_type === 'string' ? item.media.media_type.slice(0, 40) : null
+    });
+  }
+  return pins;
+}
+
+function parsePinAnalytics(body) {
+  const block = analyticsBlock(body, 'pinterest_pin_analytics_malformed');
+  if (!block.summary_metrics || typeof block.summary_metrics !== 'object') {
+    throw createSyncError('pinterest_pin_analytics_malformed');
+  }
+  return metricValues(block.summary_metrics);
+}
+
+async function loadSource(connection, dataSourceId) {
+  const rows = await connection.query(
+    `SELECT ds.*, wpc.id AS workspace_provider_connection_id,
+            pr.id AS provider_resource_row_id, pr.provider_resource_id AS account_id,
+            pr.display_name AS account_display_name, pr.metadata AS resource_metadata,
+            pauth.id AS provider_authorization_id, pauth.status AS authorization_status,
+            pac.access_token_ciphertext, pac.access_token_iv, pac.access_token_tag,
+            pac.refresh_token_ciphertext, pac.refresh_token_iv, pac.refresh_token_tag,
+            pac.key_version, pac.access_expires_at, pac.refresh_expires_at, pac.revoked_at,
+            pac.access_expires_at > DATE_ADD(UTC_TIMESTAMP(3), INTERVAL 60 SECOND) AS access_token_fresh
+     FROM data_sources ds
+     JOIN workspace_provider_connections wpc ON wpc.data_source_id = ds.id
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+     JOIN provider_authorization_credentials pac ON pac.provider_authorization_id = pauth.id
+     WHERE ds.id = ? AND ds.provider = 'pinterest' AND ds.deleted_at IS NULL
+     LIMIT 1`,
+    [dataSourceId]
+  );
+  return rows[0] || null;
+}
+
+async function recordRequestEvent(source, runId, details) {
+  return withConnection(connection => connection.query(
+    `INSERT INTO provider_request_events
+      (id, workspace_id, provider_authorization_id, workspace_provider_connection_id,
+       sync_run_id, provider, request_category, method_name, quota_cost_estimate,
+       page_number, item_count, attempts, status, failure_category, retry_after_seconds)
+     VALUES (?, ?, ?, ?, ?, 'pinterest', ?, ?, 0, ?, ?, ?, ?, ?, ?)`,
+    [
+      createId(), source.workspace_id, source.provider_authorization_id,
+      source.workspace_provider_connection_id, runId, details.category, details.method,
+      details.pageNumber || null, details.itemCount === undefined ? null : details.itemCount,
+      details.result && Number.isInteger(details.result.attempts) ? details.result.attempts : 1,
+      details.status,
+      details.result && details.result.error ? details.result.error.category : null,
+      details.result ? details.result.retryAfterSeconds : null
+    ]
+  ));
+}
+
+async function callAndRecord(source, runId, details, fn) {
+  const result = await fn();
+  await recordRequestEvent(source, runId, {
+    ...details,
+    result,
+    status: result.ok ? 'success' : 'failed'
+  });
+  if (!result.ok) throw createSyncError(`${details.method}_failed`, result);
+  return result;
+}
+
+async function refreshCredentialsIfNeeded(source, runId, deadlineMs) {
+  const accessToken = decryptSecret({
+    ciphertext: source.access_token_ciphertext,
+    iv: source.access_token_iv,
+    tag: source.access_token_tag,
+    keyVersion: source.key_version
+  });
+  if (Number(source.access_token_fresh) === 1) return accessToken;
+  if (!source.refresh_token_ciphertext) throw createSyncError('pinterest_refresh_token_missing');
+  const refreshToken = decryptSecret({
+    ciphertext: source.refresh_token_ciphertext,
+    iv: source.refresh_token_iv,
+    tag: source.refresh_token_tag,
+    keyVersion: source.key_version
+  });
+  const result = await pinterest.refreshAccessToken(refreshToken, { deadlineMs });
+  await recordRequestEvent(source, runId, {
+    category: 'oauth', method: 'oauth.refresh', result, status: result.ok ? 'success' : 'failed'
+  });
+  if (!result.ok || !result.body || !result.body.access_token || Number(result.body.expires_in) <= 0) {
+    throw createSyncError('pinterest_credential_refresh_failed', result);
+  }
+  const nextRefreshToken = pinterest.chooseRefreshToken(result.body.refresh_token, refreshToken);
+  const access = encryptSecret(result.body.access_token);
+  const refresh = encryptSecret(nextRefreshToken);
+  const refreshTtl = result.body.refresh_token_expires_in ? Number(result.body.refresh_token_expires_in) : null;
+  await withConnection(connection => connection.query(
+    `UPDATE provider_authorization_credentials
+     SET access_token_ciphertext = ?, access_token_iv = ?, access_token_tag = ?,
+         refresh_token_ciphertext = ?, refresh_token_iv = ?, refresh_token_tag = ?,
+         key_version = ?, token_type = ?,
+         access_expires_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+         refresh_expires_at = CASE
+           WHEN ? IS NOT NULL THEN DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND)
+           ELSE refresh_expires_at END,
+         updated_at = UTC_TIMESTAMP(3)
+     WHERE provider_authorization_id = ?`,
+    [
+      access.ciphertext, access.iv, access.tag,
+      refresh.ciphertext, refresh.iv, refresh.tag, access.keyVersion,
+      result.body.token_type || 'Bearer', Number(result.body.expires_in),
+      refreshTtl, refreshTtl, source.provider_authorization_id
+    ]
+  ));
+  return result.body.access_token;
+}
+
+async function createSyncRun(source, triggerType, correlationId) {
+  const id = createId();
+  await withConnection(connection => connection.query(
+    `INSERT INTO sync_runs
+      (id, workspace_id, data_source_id, workspace_provider_connection_id,
+       trigger_type, status, correlation_id, provider_api_version)
+     VALUES (?, ?, ?, ?, ?, 'running', ?, 'v5')`,
+    [
+      id, source.workspace_id, source.id, source.workspace_provider_connection_id,
+      triggerType, correlationId || null
+    ]
+  ));
+  return id;
+}
+
+async function optionalStep(errors, failedCapabilities, capability, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    const normalized = internalSyncError(error);
+    if (isUnusableAuthorization(normalized)) throw error;
+    errors.push(normalized);
+    failedCapabilities.add(capability);
+    return null;
+  }
+}
+
+async function discoverPins(source, runId, accessToken, deadlineMs, limits, errors, failedCapabilities) {
+  const requestOptions = { deadlineMs };
+  const boards = [];
+  let bookmark = null;
+  const maxPages = Math.ceil(limits.maxBoards / BOARD_PAGE_SIZE);
+  for (let page = 1; page <= maxPages; page += 1) {
+    const parsed = await optionalStep(errors, failedCapabilities, 'board_discovery', async () => {
+      const result = await callAndRecord(source, runId, {
+        category: 'data_api', method: 'boards.list', pageNumber: page
+      }, () => pinterest.listBoards(accessToken, bookmark, requestOptions));
+      return parseBoards(result.body);
+    });
+    if (!parsed) break;
+    boards.push(...parsed.boards.slice(0, limits.maxBoards - boards.length));
+    bookmark = parsed.bookmark;
+    if (!bookmark || boards.length >= limits.maxBoards) break;
+  }
+
+  const pins = [];
+  const seen = new Set();
+  for (const board of boards) {
+    if (pins.length >= limits.maxPins) break;
+    if (Date.now() >= deadlineMs) throw createSyncError('pinterest_time_budget_exhausted');
+    const boardPins = await optionalStep(errors, failedCapabilities, 'board_discovery', async () => {
+      const result = await callAndRecord(source, runId, {
+        category: 'data_api', method: 'boards.pins.list'
+      }, () => pinterest.listBoardPins(accessToken, board.id, limits.maxPins - pins.length, requestOptions));
+      return parsePins(result.body, board);
+    }) || [];
+    for (const pin of boardPins) {
+      if (seen.has(pin.id)) continue;
+      seen.add(pin.id);
+      pins.push(pin);
+      if (pins.length >= limits.maxPins) break;
+    }
+  }
+  return { boardCount: boards.length, pins };
+}
+
+async function fetchAnalytics(source, runId, accessToken, deadlineMs, limits) {
+  const window = buildAnalyticsWindow(limits.analyticsLookbackDays);
+  const errors = [];
+  const failedCapabilities = new Set();
+  const requestOptions = { deadlineMs };
+
+  const accountDays = await optionalStep(errors, failedCapabilities, 'account_analytics', async () => {
+    const result = await callAndRecord(source, runId, {
+      category: 'analytics_api', method: 'user_account.analytics'
+    }, () => pinterest.getAccountAnalytics(accessToken, window.startDate, window.endDate, requestOptions));
+    return parseAccountAnalytics(result.body, window);
+  });
+
+  const discovery = await discoverPins(source, runId, accessToken, deadlineMs, limits, errors, failedCapabilities);
+  const pinAnalytics = new Map();
+  for (const pin of discovery.pins) {
+    if (Date.now() >= deadlineMs) throw createSyncError('pinterest_time_budget_exhausted');
+    const values = await optionalStep(errors, failedCapabilities, 'pin_analytics', async () => {
+      const result = await callAndRecord(source, runId, {
+        category: 'analytics_api', method: 'pins.analytics'
+      }, () => pinterest.getPinAnalytics(accessToken, pin.id, window.startDate, window.endDate, requestOptions));
+      return parsePinAnalytics(result.body);
+    });
+    if (values) pinAnalytics.set(pin.id, values);
+  }
+
+  return {
+    window,
+    accountDays: accountDays || new Map(),
+    boardCount: discovery.boardCount,
+    pins: discovery.pins,
+    pinAnalytics,
+    failedCapabilities,
+    errors
+  };
+}
+
+function createStoredMetric(definition, grain, periodStart, periodEnd, value) {
+  const registryDefinition = getMetricDefinitions()[definition.key];
+  const available = value !== null;
+  return createMetricObservation({
+    provider: 'pinterest',
+    metricKey: definition.key,
+    grain,
+    periodStart,
+    periodEnd,
+    numericValue: available ? value : null,
+    unit: definition.unit,
+    availabilityStatus: available ? 'available' : 'not_reported',
+    availabilityReason: available ? null : 'pinterest_value_not_reported',
+    definitionVersion: registryDefinition.version
+  });
+}
+
+function metricObservations(account, analytics) {
+  const observations = [];
+  const { window } = analytics;
+  if (account.followerCount !== null) {
+    observations.push(createStoredMetric(FOLLOWER_METRIC, 'snapshot', window.today, window.today, account.followerCount));
+  }
+  for (const [date, values] of analytics.accountDays) {
+    for (const definition of Object.values(ANALYTICS_METRIC_MAP)) {
+      observations.push(createStoredMetric(definition, 'daily', date, date, values[definition.field]));
+    }
+  }
+  return observations;
+}
+
+function dimensionObservations(analytics) {
+  return analytics.pins.map((pin, position) => {
+    const values = analytics.pinAnalytics.get(pin.id) || null;
+    const metrics = {};
+    for (const definition of Object.values(ANALYTICS_METRIC_MAP)) {
+      const value = values ? values[definition.field] : null;
+      metrics[definition.key] = {
+        value,
+        status: value === null ? (values ? 'not_reported' : 'provider_error') : 'available',
+        reason: value === null ? (values ? 'pinterest_value_not_reported' : 'pinterest_pin_analytics_unavailable') : null
+      };
+    }
+    return createDimensionObservation({
+      provider: 'pinterest',
+      breakdownKey: 'pinterest.pins',
+      periodStart: analytics.window.startDate,
+      periodEnd: analytics.window.endDate,
+      dimensionValues: {
+        pin_id: pin.id,
+        board_name: pin.boardName,
+        published_date: pin.publishedAt ? pin.publishedAt.slice(0, 10) : '',
+        title: (pin.title || pin.description || '').slice(0, 280)
+      },
+      metrics,
+      rowPosition: position
+    });
+  });
+}
+
+function contentRows(analytics) {
+  return analytics.pins.map(pin => {
+    const values = analytics.pinAnalytics.get(pin.id) || null;
+    return {
+      id: pin.id,
+      publishedAt: pin.publishedAt,
+      title: pin.title,
+      description: pin.description,
+      shareUrl: pin.url,
+      viewCount: values ? values.impressions : null,
+      shareCount: values ? values.saves : null,
+      metadata: {
+        board_id: pin.boardId,
+        board_name: pin.boardName,
+        link: pin.link,
+        media_type: pin.mediaType
+      },
+      providerMetrics: values
+        ? { ...values, window_start: analytics.window.startDate, window_end: analytics.window.endDate }
+        : null
+    };
+  });
+}
+
+async function upsertContent(connection, source, runId, row) {
+  const existingRows = await connection.query(
+    `SELECT id FROM content_items WHERE data_source_id = ? AND provider_content_id = ? LIMIT 1`,
+    [source.id, row.id]
+  );
+  const contentItemId = existingRows[0] ? existingRows[0].id : createId();
+  await connection.query(
+    `INSERT INTO content_items
+      (id, workspace_id, data_source_id, provider_content_id, published_at,
+       title, description, share_url, provider_metadata)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       published_at = VALUES(published_at), title = VALUES(title), description = VALUES(description),
+       share_url = VALUES(share_url), provider_metadata = VALUES(provider_metadata),
+       last_seen_at = UTC_TIMESTAMP(3), deleted_at = NULL`,
+    [
+      contentItemId, source.workspace_id, source.id, row.id,
+      row.publishedAt ? new Date(row.publishedAt) : null,
+      row.title, row.description, row.shareUrl, JSON.stringify(row.metadata)
+    ]
+  );
+  await connection.query(
+    `INSERT INTO content_metric_snapshots
+      (id, workspace_id, content_item_id, sync_run_id, observed_at,
+       view_count, like_count, comment_count, share_count, provider_metrics)
+     VALUES (?, ?, ?, ?, UTC_TIMESTAMP(3), ?, NULL, NULL, ?, ?)`,
+    [
+      createId(), source.workspace_id, contentItemId, runId,
+      row.viewCount, row.shareCount, row.providerMetrics ? JSON.stringify(row.providerMetrics) : null
+    ]
+  );
+}
+
+function dataThroughDate(analytics) {
+  const dates = [...analytics.accountDays.keys()].sort();
+  return dates[dates.length - 1] || null;
+}
+
+async function storeSyncResult(source, runId, account, analytics, startedMs) {
+  const metrics = metricObservations(account, analytics);
+  const dimensions = dimensionObservations(analytics);
+  const content = contentRows(analytics);
+  const throughDate = dataThroughDate(analytics);
+  const dataThroughAt = throughDate ? `${throughDate} 23:59:59` : null;
+  const status = analytics.errors.length > 0 ? 'partial' : 'success';
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const resourceMetadata = {
+        ...parseJson(source.resource_metadata, {}),
+        username: account.username,
+        displayName: account.displayName,
+        profileUrl: account.profileUrl,
+        accountType: 'BUSINESS',
+        selectable: true,
+        discoveryStatus: 'available'
+      };
+      await connection.query(
+        `UPDATE provider_resources SET display_name = ?, metadata = ?, updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [account.displayName, JSON.stringify(resourceMetadata), source.provider_resource_row_id]
+      );
+      await connection.query(
+        `UPDATE provider_accounts SET username = ?, display_name = ?, metadata = ?, updated_at = UTC_TIMESTAMP(3)
+         WHERE data_source_id = ?`,
+        [account.username, account.displayName, JSON.stringify(resourceMetadata), source.id]
+      );
+      await connection.query(
+        `INSERT INTO provider_resource_observations
+          (id, workspace_id, workspace_provider_connection_id, sync_run_id, provider,
+           observed_at, data_through_at, source_timezone, observed_values, availability)
+         VALUES (?, ?, ?, ?, 'pinterest', UTC_TIMESTAMP(3), ?, 'UTC', ?, ?)`,
+        [
+          createId(), source.workspace_id, source.workspace_provider_connection_id, runId, dataThroughAt,
+          JSON.stringify({
+            account_id: account.id,
+            username: account.username,
+            display_name: account.displayName,
+            follower_count: account.followerCount,
+            board_count: analytics.boardCount,
+            pin_count: analytics.pins.length
+          }),
+          JSON.stringify({
+            state: throughDate ? 'available' : 'delayed',
+            follower_count: account.followerCount === null ? 'not_reported' : 'available'
+          })
+        ]
+      );
+      for (const item of metrics) {
+        await connection.query(
+          `INSERT INTO provider_metric_observations
+            (id, workspace_id, workspace_provider_connection_id, sync_run_id, provider,
+             metric_key, grain, period_start, period_end, observed_at, data_through_at,
+             numeric_value, unit, availability_status, availability_reason, definition_version)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3), ?, ?, ?, ?, ?, ?)`,
+          [
+            createId(), source.workspace_id, source.workspace_provider_connection_id, runId,
+            item.provider, item.metricKey, item.grain, item.periodStart, item.periodEnd, dataThroughAt,
+            item.numericValue, item.unit, item.availabilityStatus, item.availabilityReason,
+            item.definitionVersion
+          ]
+        );
+      }
+      for (const item of dimensions) {
+        await connection.query(
+          `INSERT INTO provider_dimension_observations
+            (id, workspace_id, workspace_provider_connection_id, sync_run_id, provider,
+             breakdown_key, period_start, period_end, observed_at, data_through_at,
+             dimension_hash, dimension_values, metric_values, availability, thresholded, row_position)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3), ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            createId(), source.workspace_id, source.workspace_provider_connection_id, runId,
+            item.provider, item.breakdownKey, item.periodStart, item.periodEnd, dataThroughAt,
+            item.dimensionHash, JSON.stringify(item.dimensionValues), JSON.stringify(item.metricValues),
+            JSON.stringify(item.availability), item.thresholded, item.rowPosition
+          ]
+        );
+      }
+      for (const row of content) await upsertContent(connection, source, runId, row);
+      for (const error of analytics.errors.slice(0, 20)) {
+        await connection.query(
+          `INSERT INTO sync_errors
+            (id, sync_run_id, category, provider_code, message, retryable)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            createId(), runId, error.category, error.provider_code,
+            String(error.message).slice(0, 512), Boolean(error.retryable)
+          ]
+        );
+      }
+      await connection.query(
+        `UPDATE sync_runs SET status = ?, finished_at = UTC_TIMESTAMP(3), duration_ms = ?,
+             profile_count = 1, content_seen_count = ?, content_snapshot_count = ?
+         WHERE id = ?`,
+        [status, Math.max(0, Date.now() - startedMs), content.length, content.length, runId]
+      );
+      const nextSeconds = Number(process.env.SYNC_INTERVAL_SECONDS || DEFAULT_SYNC_INTERVAL_SECONDS);
+      await connection.query(
+        `UPDATE data_sources SET status = 'active', reconnect_reason = NULL,
+             last_sync_at = UTC_TIMESTAMP(3),
+             last_successful_sync_at = CASE WHEN ? = 'success' THEN UTC_TIMESTAMP(3) ELSE last_successful_sync_at END,
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [status, nextSeconds, source.id]
+      );
+      await connection.query(
+        `UPDATE workspace_provider_connections SET status = 'active', last_sync_at = UTC_TIMESTAMP(3),
+             last_successful_sync_at = CASE WHEN ? = 'success' THEN UTC_TIMESTAMP(3) ELSE last_successful_sync_at END,
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             data_through_at = COALESCE(?, data_through_at), updated_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+        [status, nextSeconds, dataThroughAt, source.workspace_provider_connection_id]
+      );
+      await connection.query(
+        `UPDATE sync_jobs SET status = 'due', run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+             updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+        [nextSeconds, source.id]
+      );
+      const syncStates = [
+        ['pinterest.account', { username: account.username }, false],
+        ['pinterest.analytics', {
+          window_start: analytics.window.startDate,
+          window_end: analytics.window.endDate,
+          ready_day_count: analytics.accountDays.size
+        }, analytics.failedCapabilities.has('account_analytics')],
+        ['pinterest.pins', { board_count: analytics.boardCount, pin_count: analytics.pins.length },
+          analytics.failedCapabilities.has('board_discovery') || analytics.failedCapabilities.has('pin_analytics')]
+      ];
+      for (const [syncKey, cursor, failed] of syncStates) {
+        await connection.query(
+          `UPDATE provider_sync_states SET cursor_state = ?, last_attempt_at = UTC_TIMESTAMP(3),
+               last_success_at = CASE WHEN ? THEN last_success_at ELSE UTC_TIMESTAMP(3) END,
+               data_through_at = CASE WHEN ? = 'pinterest.account' THEN data_through_at ELSE COALESCE(?, data_through_at) END,
+               failure_category = ?,
+               failure_count = CASE WHEN ? THEN failure_count + 1 ELSE 0 END
+           WHERE workspace_provider_connection_id = ? AND sync_key = ?`,
+          [
+            JSON.stringify(cursor), failed, syncKey, dataThroughAt,
+            failed ? analytics.errors[0].category : null, failed,
+            source.workspace_provider_connection_id, syncKey
+          ]
+        );
+      }
+      for (const capability of PINTEREST_CAPABILITIES) {
+        const delayed = analytics.failedCapabilities.has(capability);
+        await connection.query(
+          `UPDATE provider_capabilities SET status = ?, reason = ?, updated_at = UTC_TIMESTAMP(3)
+           WHERE workspace_provider_connection_id = ? AND capability_key = ?`,
+          [
+            delayed ? 'delayed' : 'available', delayed ? 'pinterest_partial_analytics' : null,
+            source.workspace_provider_connection_id, capability
+          ]
+        );
+      }
+      await connection.query(
+        `UPDATE provider_authorizations SET status = 'active', last_validated_at = UTC_TIMESTAMP(3),
+             updated_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+        [source.provider_authorization_id]
+      );
+      await connection.commit();
+      return {
+        status,
+        dataThroughDate: throughDate,
+        metricCount: metrics.length,
+        dimensionCount: dimensions.length,
+        contentCount: content.length
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function finishFailedRun(source, runId, startedMs, syncError) {
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      await connection.query(
+        `UPDATE sync_runs SET status = 'failed', finished_at = UTC_TIMESTAMP(3), duration_ms = ? WHERE id = ?`,
+        [Math.max(0, Date.now() - startedMs), runId]
+      );
+      await connection.query(
+        `INSERT INTO sync_errors
+          (id, sync_run_id, category, provider_code, message, retryable)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          createId(), runId, syncError.category, syncError.provider_code,
+          String(syncError.message).slice(0, 512), Boolean(syncError.retryable)
+        ]
+      );
+      const retrySeconds = retryDelaySeconds(syncError);
+      await connection.query(
+        `UPDATE data_sources SET status = 'active', reconnect_reason = ?, last_sync_at = UTC_TIMESTAMP(3),
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [`${syncError.category}:${syncError.message}`.slice(0, 255), retrySeconds, source.id]
+      );
+      await connection.query(
+        `UPDATE workspace_provider_connections SET last_sync_at = UTC_TIMESTAMP(3),
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [retrySeconds, source.workspace_provider_connection_id]
+      );
+      await connection.query(
+        `UPDATE sync_jobs SET status = 'due', run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+             updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+        [retrySeconds, source.id]
+      );
+      await connection.query(
+        `UPDATE provider_capabilities SET status = 'provider_error', reason = ?, updated_at = UTC_TIMESTAMP(3)
+         WHERE workspace_provider_connection_id = ?`,
+        [syncError.message, source.workspace_provider_connection_id]
+      );
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function performPinterestSyncForJob(job, options = {}) {
+  const startedMs = Date.now();
+  const configuration = getPinterestConfiguration();
+  if (!configuration.connectable) {
+    await withConnection(connection => connection.query(
+      `UPDATE sync_jobs SET status = 'due', run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+           lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+           updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+      [DEFAULT_SYNC_INTERVAL_SECONDS, job.data_source_id]
+    ));
+    return {
+      data_source_id: job.data_source_id,
+      sync_run_id: null,
+      status: 'disabled',
+      error: { category: 'configuration', provider_code: 'pinterest_not_available', retryable: false, message: 'pinterest_not_available' },
+      counts: { profile_count: 0, content_seen_count: 0, content_snapshot_count: 0 }
+    };
+  }
+  const limits = getPinterestLimits();
+  const localDeadline = startedMs + limits.jobTimeBudgetSeconds * 1000;
+  const deadlineMs = options.deadlineMs ? Math.min(options.deadlineMs, localDeadline) : localDeadline;
+  let source = null;
+  let runId = null;
+  try {
+    source = await withConnection(connection => loadSource(connection, job.data_source_id));
+    if (!source || source.status !== 'active' || source.authorization_status !== 'active' || source.revoked_at) {
+      throw createSyncError('pinterest_source_not_syncable');
+    }
+    runId = await createSyncRun(source, options.triggerType || 'scheduled', options.correlationId);
+    const accessToken = await refreshCredentialsIfNeeded(source, runId, deadlineMs);
+    const accountResult = await callAndRecord(source, runId, {
+      category: 'data_api', method: 'user_account.get'
+    }, () => pinterest.getUserAccount(accessToken, { deadlineMs }));
+    const account = parseUserAccount(source, accountResult.body);
+    const analytics = await fetchAnalytics(source, runId, accessToken, deadlineMs, limits);
+    const result = await storeSyncResult(source, runId, account, analytics, startedMs);
+    return {
+      data_source_id: source.id,
+      sync_run_id: runId,
+      status: result.status,
+      error: analytics.errors[0] || null,
+      counts: {
+        profile_count: 1,
+        content_seen_count: result.contentCount,
+        content_snapshot_count: result.contentCount
+      },
+      metric_observation_count: result.metricCount,
+      dimension_observation_count: result.dimensionCount,
+      data_through_date: result.dataThroughDate
+    };
+  } catch (error) {
+    const syncError = internalSyncError(error);
+    if (source && isUnusableAuthorization(syncError)) {
+      const outcome = syncError.provider_code === 'invalid_grant'
+        ? 'invalid_grant_external_revocation'
+        : 'authorization_unusable_external_revocation';
+      await purgePinterestAuthorizationBySystem(source.provider_authorization_id, outcome);
+      return {
+        data_source_id: job.data_source_id,
+        sync_run_id: null,
+        status: 'failed',
+        error: syncError,
+        counts: { profile_count: 0, content_seen_count: 0, content_snapshot_count: 0 }
+      };
+    }
+    if (source && runId) await finishFailedRun(source, runId, startedMs, syncError);
+    else {
+      const retrySeconds = retryDelaySeconds(syncError);
+      await withConnection(connection => connection.query(
+        `UPDATE sync_jobs SET status = 'due', run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+             updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+        [retrySeconds, job.data_source_id]
+      ));
+    }
+    return {
+      data_source_id: job.data_source_id,
+      sync_run_id: runId,
+      status: 'failed',
+      error: syncError,
+      counts: { profile_count: 0, content_seen_count: 0, content_snapshot_count: 0 }
+    };
+  }
+}
+
+module.exports = {
+  ANALYTICS_METRIC_MAP,
+  buildAnalyticsWindow,
+  contentRows,
+  dimensionObservations,
+  metricObservations,
+  parseAccountAnalytics,
+  parseBoards,
+  parsePinAnalytics,
+  parsePins,
+  parseUserAccount,
+  performPinterestSyncForJob,
+  retryDelaySeconds
+};
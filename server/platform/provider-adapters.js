@@ -1,4 +1,5 @@
 const READ_ONLY_DENYLIST = [
+  ':write',
   'ads',
   'business_management',
   'comments_manage',
@@ -8,7 +9,10 @@ const READ_ONLY_DENYLIST = [
   'monetary',
   'pages_manage',
   'publish',
+  'read_secret',
   'upload',
+  'w_member',
+  'w_organization',
   'youtube.force-ssl'
 ];
 
@@ -97,6 +101,62 @@ const PROVIDER_ADAPTERS = {
       'compatibility_checks',
       'disconnect'
     ]
+  },
+  linkedin: {
+    provider: 'linkedin',
+    authorizationProvider: 'linkedin',
+    implemented: true,
+    featureFlag: 'FEATURE_LINKEDIN_CONNECTOR',
+    productAuthOnly: true,
+    reuseSignInTokens: false,
+    resources: ['linkedin_organization'],
+    requiredScopes: ['r_organization_admin', 'r_organization_social'],
+    capabilities: ['resource_discovery', 'follower_statistics', 'share_statistics', 'post_statistics', 'disconnect']
+  },
+  google_search_console: {
+    provider: 'google_search_console',
+    authorizationProvider: 'google',
+    implemented: true,
+    featureFlag: 'FEATURE_SEARCH_CONSOLE_CONNECTOR',
+    incrementalAuthorization: true,
+    productAuthOnly: true,
+    reuseSignInTokens: false,
+    resources: ['search_console_site'],
+    requiredScopes: ['https://www.googleapis.com/auth/webmasters.readonly'],
+    capabilities: ['resource_discovery', 'search_performance', 'dimension_breakdowns', 'disconnect']
+  },
+  pinterest: {
+    provider: 'pinterest',
+    authorizationProvider: 'pinterest',
+    implemented: true,
+    featureFlag: 'FEATURE_PINTEREST_CONNECTOR',
+    productAuthOnly: true,
+    reuseSignInTokens: false,
+    resources: ['pinterest_account'],
+    requiredScopes: ['user_accounts:read', 'boards:read', 'pins:read'],
+    capabilities: ['resource_discovery', 'board_discovery', 'account_analytics', 'pin_analytics', 'disconnect']
+  },
+  threads: {
+    provider: 'threads',
+    authorizationProvider: 'threads',
+    implemented: true,
+    featureFlag: 'FEATURE_THREADS_CONNECTOR',
+    productAuthOnly: true,
+    reuseSignInTokens: false,
+    resources: ['threads_profile'],
+    requiredScopes: ['threads_basic', 'threads_manage_insights'],
+    capabilities: ['resource_discovery', 'profile_insights', 'post_listing', 'post_insights', 'disconnect']
+  },
+  bluesky: {
+    provider: 'bluesky',
+    authorizationProvider: 'bluesky',
+    implemented: true,
+    featureFlag: 'FEATURE_BLUESKY_CONNECTOR',
+    productAuthOnly: true,
+    reuseSignInTokens: false,
+    resources: ['bluesky_account'],
+    requiredScopes: ['com.atproto.appPass'],
+    capabilities: ['resource_discovery', 'profile_snapshots', 'post_listing', 'post_engagement', 'disconnect']
   }
 };
 
@@ -113,11 +173,23 @@ function listProviderAdapters() {
   }));
 }
 
+function scopeContainsTerm(scope, term) {
+  const normalized = scope.toLowerCase();
+  const word = /[a-z0-9]/;
+  for (let index = normalized.indexOf(term); index !== -1; index = normalized.indexOf(term, index + 1)) {
+    const before = normalized[index - 1];
+    const after = normalized[index + term.length];
+    const startsAtBoundary = !word.test(term[0]) || !before || !word.test(before);
+    const endsAtBoundary = !word.test(term[term.length - 1]) || !after || !word.test(after);
+    if (startsAtBoundary && endsAtBoundary) return true;
+  }
+  return false;
+}
+
 function assertReadOnlyScopes(adapters = listProviderAdapters()) {
   for (const adapter of adapters) {
     for (const scope of adapter.requiredScopes) {
-      const normalized = scope.toLowerCase();
-      if (READ_ONLY_DENYLIST.some(term => normalized.includes(term))) {
+      if (READ_ONLY_DENYLIST.some(term => scopeContainsTerm(scope, term))) {
         throw new Error(`write_or_sensitive_scope:${adapter.provider}:${scope}`);
       }
     }
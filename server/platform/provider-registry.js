@@ -1,8 +1,14 @@
 const { getConnection } = require('../database');
-const { assertCapability } = require('./rbac');
+const { assertCapability, hasCapability } = require('./rbac');
+const { loadResourceScope } = require('./resource-scope');
 const { getYouTubeConfiguration } = require('./youtube-config');
 const { getMetaConfiguration } = require('./meta-config');
 const { getGoogleAnalyticsConfiguration } = require('./google-analytics-config');
+const { getLinkedInConfiguration } = require('./linkedin-config');
+const { getSearchConsoleConfiguration } = require('./search-console-config');
+const { getPinterestConfiguration } = require('./pinterest-config');
+const { getThreadsConfiguration } = require('./threads-config');
+const { getBlueskyConfiguration } = require('./bluesky-config');
 
 const PROVIDERS = [
   {
@@ -234,6 +240,150 @@ const PROVIDERS = [
       'https://developers.google.com/analytics/devguides/reporting/data/v1/rest/v1beta/properties/getMetadata',
       'https://developers.google.com/analytics/devguides/reporting/data/v1/rest/v1beta/properties/checkCompatibility'
     ]
+  },
+  {
+    id: 'linkedin',
+    name: 'LinkedIn',
+    resourceName: 'LinkedIn Page',
+    featureFlag: 'FEATURE_LINKEDIN_CONNECTOR',
+    statusWhenDisabled: 'disabled',
+    authModel: 'LinkedIn OAuth 2.0 authorization code with the Community Management API read-only organization scopes',
+    selectedResourceModel: 'one authorization can discover every Page the member administers; selected Pages become workspace connections',
+    requestedScopes: [
+      {
+        name: 'r_organization_admin',
+        access: 'read',
+        purpose: 'Discover administered Pages and read follower counts and follower statistics.'
+      },
+      {
+        name: 'r_organization_social',
+        access: 'read',
+        purpose: 'Read Page posts and their share statistics.'
+      }
+    ],
+    capabilities: ['resource_discovery', 'follower_statistics', 'share_statistics', 'post_statistics', 'disconnect'],
+    metrics: [
+      'linkedin.followers',
+      'linkedin.new_followers',
+      'linkedin.impressions',
+      'linkedin.clicks',
+      'linkedin.reactions',
+      'linkedin.comments',
+      'linkedin.reposts'
+    ],
+    docs: [
+      'https://learn.microsoft.com/en-us/linkedin/marketing/community-management/organizations/organization-access-control-by-role',
+      'https://learn.microsoft.com/en-us/linkedin/marketing/community-management/organizations/follower-statistics',
+      'https://learn.microsoft.com/en-us/linkedin/marketing/community-management/organizations/share-statistics',
+      'https://learn.microsoft.com/en-us/linkedin/shared/authentication/authorization-code-flow'
+    ]
+  },
+  {
+    id: 'google_search_console',
+    name: 'Google Search Console',
+    resourceName: 'Search Console site',
+    featureFlag: 'FEATURE_SEARCH_CONSOLE_CONNECTOR',
+    statusWhenDisabled: 'disabled',
+    authModel: 'Google OAuth incremental authorization',
+    selectedResourceModel: 'one authorization can discover every verified site property; selected sites become workspace connections',
+    requestedScopes: [
+      {
+        name: 'https://www.googleapis.com/auth/webmasters.readonly',
+        access: 'read',
+        purpose: 'Discover verified site properties and read Search Analytics performance data.'
+      }
+    ],
+    capabilities: ['resource_discovery', 'search_performance', 'dimension_breakdowns', 'disconnect'],
+    metrics: [
+      'search_console.clicks',
+      'search_console.impressions',
+      'search_console.ctr',
+      'search_console.position'
+    ],
+    docs: [
+      'https://developers.google.com/webmaster-tools/v1/sites/list',
+      'https://developers.google.com/webmaster-tools/v1/searchanalytics/query',
+      'https://support.google.com/webmasters/answer/96568'
+    ]
+  },
+  {
+    id: 'pinterest',
+    name: 'Pinterest',
+    resourceName: 'Pinterest business account',
+    featureFlag: 'FEATURE_PINTEREST_CONNECTOR',
+    statusWhenDisabled: 'disabled',
+    authModel: 'Pinterest OAuth authorization code',
+    selectedResourceModel: 'one authorization returns the signed-in business account; it must be selected before syncing',
+    requestedScopes: [
+      { name: 'user_accounts:read', access: 'read', purpose: 'Read the business account profile and account analytics.' },
+      { name: 'boards:read', access: 'read', purpose: 'List public boards and the pins saved to them.' },
+      { name: 'pins:read', access: 'read', purpose: 'Read pin details and pin analytics.' }
+    ],
+    capabilities: ['resource_discovery', 'board_discovery', 'account_analytics', 'pin_analytics', 'disconnect'],
+    metrics: [
+      'pinterest.followers',
+      'pinterest.impressions',
+      'pinterest.saves',
+      'pinterest.outbound_clicks',
+      'pinterest.pin_clicks'
+    ],
+    docs: [
+      'https://developers.pinterest.com/docs/getting-started/authentication-and-scopes/',
+      'https://developers.pinterest.com/docs/api/v5/user_account-analytics/',
+      'https://developers.pinterest.com/docs/api/v5/pins-analytics/'
+    ]
+  },
+  {
+    id: 'threads',
+    name: 'Threads',
+    resourceName: 'Threads profile',
+    featureFlag: 'FEATURE_THREADS_CONNECTOR',
+    statusWhenDisabled: 'disabled',
+    authModel: 'Threads OAuth authorization code with a long-lived Meta token',
+    selectedResourceModel: 'one authorization returns the signed-in Threads profile; it must be selected before syncing',
+    requestedScopes: [
+      { name: 'threads_basic', access: 'read', purpose: 'Read the Threads profile and list its posts.' },
+      { name: 'threads_manage_insights', access: 'read', purpose: 'Read profile and post insights.' }
+    ],
+    capabilities: ['resource_discovery', 'profile_insights', 'post_listing', 'post_insights', 'disconnect'],
+    metrics: [
+      'threads.followers',
+      'threads.views',
+      'threads.likes',
+      'threads.replies',
+      'threads.reposts',
+      'threads.quotes'
+    ],
+    docs: [
+      'https://developers.facebook.com/docs/threads/get-started/get-access-tokens-and-permissions',
+      'https://developers.facebook.com/docs/threads/insights',
+      'https://developers.facebook.com/docs/threads/threads-media'
+    ]
+  },
+  {
+    id: 'bluesky',
+    name: 'Bluesky',
+    resourceName: 'Bluesky account',
+    featureFlag: 'FEATURE_BLUESKY_CONNECTOR',
+    statusWhenDisabled: 'disabled',
+    authModel: 'AT Protocol app-password session created on the account\'s own PDS; the app password itself is never stored',
+    selectedResourceModel: 'one authorization is one Bluesky account, resolved from its handle or DID and connected automatically',
+    requestedScopes: [
+      { name: 'com.atproto.appPass', access: 'read', purpose: 'Read the account profile and its own posts; no write endpoints are called.' }
+    ],
+    capabilities: ['resource_discovery', 'profile_snapshots', 'post_listing', 'post_engagement', 'disconnect'],
+    metrics: [
+      'bluesky.followers',
+      'bluesky.likes',
+      'bluesky.reposts',
+      'bluesky.replies',
+      'bluesky.quotes'
+    ],
+    docs: [
+      'https://docs.bsky.app/docs/advanced-guides/atproto',
+      'https://docs.bsky.app/docs/api/com-atproto-server-create-session',
+      'https://docs.bsky.app/docs/api/app-bsky-feed-get-author-feed'
+    ]
   }
 ];
 
@@ -257,6 +407,11 @@ const CONTENT_UNAVAILABLE = 'No eligible content returned or the provider did no
 const META_UNAVAILABLE = 'Required access missing, resource or media type unsupported, or provider data withheld';
 const YOUTUBE_UNAVAILABLE = 'Analytics access missing, report incompatible, or data-through date earlier than requested';
 const GA4_UNAVAILABLE = 'Metric incompatible with selected dimensions, delayed, or withheld by Google thresholding';
+const LINKEDIN_UNAVAILABLE = 'Page statistics not returned, still inside the LinkedIn reporting delay, or access lost';
+const SEARCH_CONSOLE_UNAVAILABLE = 'Site has no search traffic, date is still inside the Search Console reporting delay, or access lost';
+const PINTEREST_UNAVAILABLE = 'Not a business account, analytics still processing, outside the 90-day window, or access lost';
+const THREADS_UNAVAILABLE = 'Insights not returned for the profile or post, range not stored by the last sync, or access lost';
+const BLUESKY_UNAVAILABLE = 'Profile not returned, posts in the range beyond the stored lookback or post limit, or access lost';
 
 const METRIC_DEFINITIONS = Object.freeze({
   'tiktok.followers': metric('tiktok', 'Followers', 'count', 'latest_snapshot', 'snapshot_at_sync_time', 'Provider-reported follower total at observation time.', PROFILE_UNAVAILABLE),
@@ -303,7 +458,38 @@ const METRIC_DEFINITIONS = Object.freeze({
   'ga4.bounce_rate': metric('google_analytics_4', 'Bounce rate', 'ratio', 'provider_computed', 'ga4_property_timezone_date_range', 'Sessions that were not engaged divided by sessions as reported by GA4.', GA4_UNAVAILABLE),
   'ga4.average_session_duration': metric('google_analytics_4', 'Average session duration', 'seconds', 'provider_computed', 'ga4_property_timezone_date_range', 'Average session duration in seconds as reported by GA4.', GA4_UNAVAILABLE),
   'ga4.sessions_per_user': metric('google_analytics_4', 'Sessions per user', 'ratio', 'provider_computed', 'ga4_property_timezone_date_range', 'Sessions divided by active users as reported by GA4.', GA4_UNAVAILABLE),
-  'ga4.screen_page_views_per_user': metric('google_analytics_4', 'Views per user', 'ratio', 'provider_computed', 'ga4_property_timezone_date_range', 'Views divided by active users as reported by GA4.', GA4_UNAVAILABLE)
+  'ga4.screen_page_views_per_user': metric('google_analytics_4', 'Views per user', 'ratio', 'provider_computed', 'ga4_property_timezone_date_range', 'Views divided by active users as reported by GA4.', GA4_UNAVAILABLE),
+
+  'linkedin.followers': metric('linkedin', 'Followers', 'count', 'latest_snapshot', 'snapshot_at_sync_time', 'Members following the Page at observation time.', LINKEDIN_UNAVAILABLE),
+  'linkedin.new_followers': metric('linkedin', 'New followers', 'count', 'sum', 'linkedin_utc_day', 'Organic plus paid follower gains for each UTC day.', LINKEDIN_UNAVAILABLE),
+  'linkedin.impressions': metric('linkedin', 'Impressions', 'count', 'sum', 'linkedin_utc_day', 'Times Page posts were shown, per UTC day or lifetime for one post.', LINKEDIN_UNAVAILABLE),
+  'linkedin.clicks': metric('linkedin', 'Clicks', 'count', 'sum', 'linkedin_utc_day', 'Clicks on Page posts, the Page name, or its logo, per UTC day or lifetime for one post.', LINKEDIN_UNAVAILABLE),
+  'linkedin.reactions': metric('linkedin', 'Reactions', 'count', 'sum', 'linkedin_utc_day', 'Reactions on Page posts, per UTC day or lifetime for one post.', LINKEDIN_UNAVAILABLE),
+  'linkedin.comments': metric('linkedin', 'Comments', 'count', 'sum', 'linkedin_utc_day', 'Comments on Page posts, per UTC day or lifetime for one post.', LINKEDIN_UNAVAILABLE),
+  'linkedin.reposts': metric('linkedin', 'Reposts', 'count', 'sum', 'linkedin_utc_day', 'Reposts of Page posts, per UTC day or lifetime for one post.', LINKEDIN_UNAVAILABLE),
+
+  'search_console.clicks': metric('google_search_console', 'Clicks', 'count', 'sum', 'search_console_pacific_day', 'Clicks from Google Search results to the site, per Pacific Time day.', SEARCH_CONSOLE_UNAVAILABLE),
+  'search_console.impressions': metric('google_search_console', 'Impressions', 'count', 'sum', 'search_console_pacific_day', 'Times a link to the site appeared in Google Search results, per Pacific Time day.', SEARCH_CONSOLE_UNAVAILABLE),
+  'search_console.ctr': metric('google_search_console', 'CTR', 'ratio', 'provider_computed', 'search_console_pacific_day', 'Clicks divided by impressions as reported by Search Console.', SEARCH_CONSOLE_UNAVAILABLE),
+  'search_console.position': metric('google_search_console', 'Average position', 'position', 'provider_computed', 'search_console_pacific_day', 'Average topmost position of the site in Google Search results, weighted by impressions.', SEARCH_CONSOLE_UNAVAILABLE),
+
+  'pinterest.followers': metric('pinterest', 'Followers', 'count', 'latest_snapshot', 'snapshot_at_sync_time', 'Pinterest-reported follower total for the business account at observation time.', PINTEREST_UNAVAILABLE),
+  'pinterest.impressions': metric('pinterest', 'Impressions', 'count', 'sum', 'pinterest_utc_day', 'Times pins appeared on screen, per UTC day for the account or over the analytics window for one pin.', PINTEREST_UNAVAILABLE),
+  'pinterest.saves': metric('pinterest', 'Saves', 'count', 'sum', 'pinterest_utc_day', 'Times pins were saved to a board, per UTC day for the account or over the analytics window for one pin.', PINTEREST_UNAVAILABLE),
+  'pinterest.outbound_clicks': metric('pinterest', 'Outbound clicks', 'count', 'sum', 'pinterest_utc_day', 'Clicks from pins to a destination outside Pinterest, per UTC day for the account or over the analytics window for one pin.', PINTEREST_UNAVAILABLE),
+  'pinterest.pin_clicks': metric('pinterest', 'Pin clicks', 'count', 'sum', 'pinterest_utc_day', 'Clicks that opened a pin closeup or its destination, per UTC day for the account or over the analytics window for one pin.', PINTEREST_UNAVAILABLE),
+
+  'threads.followers': metric('threads', 'Followers', 'count', 'latest_snapshot', 'snapshot_at_sync_time', 'Threads-reported follower total for the profile at observation time.', THREADS_UNAVAILABLE),
+  'threads.views': metric('threads', 'Views', 'count', 'sum', 'threads_utc_day', 'Times the profile and its posts were viewed, per UTC day for the profile or lifetime for one post.', THREADS_UNAVAILABLE),
+  'threads.likes': metric('threads', 'Likes', 'count', 'provider_reported_period', 'threads_utc_range', 'Likes on the profile\'s posts over the exact stored range, or lifetime for one post.', THREADS_UNAVAILABLE),
+  'threads.replies': metric('threads', 'Replies', 'count', 'provider_reported_period', 'threads_utc_range', 'Replies to the profile\'s posts over the exact stored range, or lifetime for one post.', THREADS_UNAVAILABLE),
+  'threads.reposts': metric('threads', 'Reposts', 'count', 'provider_reported_period', 'threads_utc_range', 'Reposts of the profile\'s posts over the exact stored range, or lifetime for one post.', THREADS_UNAVAILABLE),
+  'threads.quotes': metric('threads', 'Quotes', 'count', 'provider_reported_period', 'threads_utc_range', 'Quote posts of the profile\'s posts over the exact stored range, or lifetime for one post.', THREADS_UNAVAILABLE),
+  'bluesky.followers': metric('bluesky', 'Followers', 'count', 'latest_snapshot', 'snapshot_at_sync_time', 'Follower total reported by the Bluesky AppView for the account at observation time.', BLUESKY_UNAVAILABLE),
+  'bluesky.likes': metric('bluesky', 'Likes', 'count', 'latest_content_snapshot', 'bluesky_utc_publish_range', 'Likes so far on the account\'s posts published in the stored range, or lifetime for one post.', BLUESKY_UNAVAILABLE),
+  'bluesky.reposts': metric('bluesky', 'Reposts', 'count', 'latest_content_snapshot', 'bluesky_utc_publish_range', 'Reposts so far of the account\'s posts published in the stored range, or lifetime for one post.', BLUESKY_UNAVAILABLE),
+  'bluesky.replies': metric('bluesky', 'Replies', 'count', 'latest_content_snapshot', 'bluesky_utc_publish_range', 'Replies so far to the account\'s posts published in the stored range, or lifetime for one post.', BLUESKY_UNAVAILABLE),
+  'bluesky.quotes': metric('bluesky', 'Quotes', 'count', 'latest_content_snapshot', 'bluesky_utc_publish_range', 'Quote posts so far of the account\'s posts published in the stored range, or lifetime for one post.', BLUESKY_UNAVAILABLE)
 });
 
 function flagEnabled(value) {
@@ -347,11 +533,37 @@ function getProviderStatus(env, provider) {
   if (provider.id === 'google_analytics_4') {
     return getGoogleAnalyticsConfiguration(env).status;
   }
+  if (provider.id === 'linkedin') {
+    return getLinkedInConfiguration(env).status;
+  }
+  if (provider.id === 'google_search_console') {
+    return getSearchConsoleConfiguration(env).status;
+  }
+  if (provider.id === 'pinterest') {
+    return getPinterestConfiguration(env).status;
+  }
+  if (provider.id === 'threads') {
+    return getThreadsConfiguration(env).status;
+  }
+  if (provider.id === 'bluesky') {
+    return getBlueskyConfiguration(env).status;
+  }
   return 'feature_flagged';
 }
 
 function providerIsImplemented(provider) {
-  return ['tiktok', 'youtube', 'facebook_pages', 'instagram', 'google_analytics_4'].includes(provider.id);
+  return [
+    'tiktok',
+    'youtube',
+    'facebook_pages',
+    'instagram',
+    'google_analytics_4',
+    'linkedin',
+    'google_search_console',
+    'pinterest',
+    'threads',
+    'bluesky'
+  ].includes(provider.id);
 }
 
 function toPublicProvider(provider, env) {
@@ -367,7 +579,17 @@ function toPublicProvider(provider, env) {
       ? getMetaConfiguration(provider.id, env).connectable
       : provider.id === 'google_analytics_4'
         ? getGoogleAnalyticsConfiguration(env).connectable
-        : false,
+        : provider.id === 'linkedin'
+          ? getLinkedInConfiguration(env).connectable
+          : provider.id === 'google_search_console'
+            ? getSearchConsoleConfiguration(env).connectable
+            : provider.id === 'pinterest'
+              ? getPinterestConfiguration(env).connectable
+              : provider.id === 'threads'
+                ? getThreadsConfiguration(env).connectable
+                : provider.id === 'bluesky'
+                  ? getBlueskyConfiguration(env).connectable
+                  : false,
     status: getProviderStatus(env, provider),
     featureFlag: provider.featureFlag,
     authModel: provider.authModel,
@@ -996,62 +1218,933 @@ async function getGoogleAnalyticsWorkspaceProvider(connection, workspaceId, env)
   };
 }
 
-async function listWorkspaceProviderCatalog(userId, workspaceId, env = process.env) {
-  const connection = await getConnection();
-  if (!connection) {
-    const error = new Error('database_not_configured');
-    error.status = 503;
-    error.code = 'database_not_configured';
-    throw error;
+async function getLinkedInWorkspaceProvider(connection, workspaceId, env) {
+  const provider = PROVIDERS.find(item => item.id === 'linkedin');
+  const publicProvider = toPublicProvider(provider, env);
+  const tableRows = await connection.query(
+    `SELECT COUNT(*) AS count
+     FROM information_schema.TABLES
+     WHERE TABLE_SCHEMA = DATABASE()
+       AND TABLE_NAME IN (
+         'provider_authorizations',
+         'provider_authorization_credentials',
+         'provider_authorization_scopes',
+         'provider_resources',
+         'workspace_provider_connections',
+         'provider_resource_observations',
+         'provider_metric_observations',
+         'provider_dimension_observations',
+         'provider_request_events'
+       )`
+  );
+  const foundationReady = Number(tableRows[0] && tableRows[0].count) === 9;
+  const configuration = getLinkedInConfiguration(env, {
+    databaseReady: true,
+    foundationReady,
+    workerReady: true
+  });
+  if (!foundationReady) {
+    return {
+      ...publicProvider,
+      enabled: configuration.enabled,
+      implemented: true,
+      connectable: false,
+      status: configuration.status,
+      configuration: { status: configuration.status, warnings: configuration.warnings },
+      authorization: null,
+      resources: [],
+      connections: [],
+      connection: null
+    };
   }
-  try {
-    const memberRows = await connection.query(
-      `SELECT role FROM workspace_memberships
-       WHERE workspace_id = ? AND user_id = ? AND status = 'active'
-       LIMIT 1`,
-      [workspaceId, userId]
-    );
-    const membership = memberRows[0] || null;
-    if (!membership) {
-      const error = new Error('workspace_not_found');
-      error.status = 404;
-      error.code = 'workspace_not_found';
-      throw error;
-    }
-    assertCapability(membership.role, 'viewDashboard');
-    const sourceRows = await connection.query(
-      `SELECT ds.id AS data_source_id,
-              wpc.id AS connection_id,
-              ds.provider,
-              ds.status,
-              ds.reconnect_reason,
-              ds.last_sync_at,
-              ds.last_successful_sync_at,
-              ds.next_sync_at,
-              pa.provider_account_id,
-              pa.username,
-              pa.display_name
-       FROM data_sources ds
-       LEFT JOIN workspace_provider_connections wpc ON wpc.data_source_id = ds.id
-       LEFT JOIN provider_accounts pa ON pa.data_source_id = ds.id
-       WHERE ds.workspace_id = ? AND ds.deleted_at IS NULL`,
-      [workspaceId]
-    );
-    const sourceByProvider = new Map(sourceRows.map(row => [row.provider, row]));
-    const youtubeProvider = await getYouTubeWorkspaceProvider(connection, workspaceId, userId, env);
-    const facebookProvider = await getMetaWorkspaceProvider(connection, workspaceId, 'facebook_pages', env);
-    const instagramProvider = await getMetaWorkspaceProvider(connection, workspaceId, 'instagram', env);
-    const googleAnalyticsProvider = await getGoogleAnalyticsWorkspaceProvider(connection, workspaceId, env);
-    return PROVIDERS.map(provider => {
-      if (provider.id === 'youtube') return youtubeProvider;
-      if (provider.id === 'facebook_pages') return facebookProvider;
-      if (provider.id === 'instagram') return instagramProvider;
-      if (provider.id === 'google_analytics_4') return googleAnalyticsProvider;
-      return toWorkspaceProvider(provider, sourceByProvider.get(provider.id), env);
-    });
-  } finally {
-    await connection.release();
+  const authorizationRows = await connection.query(
+    `SELECT pauth.id, pauth.status, pauth.granted_at, pauth.last_validated_at, pauth.revoked_at,
+            (
+              SELECT JSON_UNQUOTE(JSON_EXTRACT(al.metadata, '$.outcome_category'))
+              FROM audit_logs al
+              WHERE al.target_id = pauth.id AND al.action = 'connection.linkedin.authorization_failed'
+              ORDER BY al.created_at DESC LIMIT 1
+            ) AS failure_category
+     FROM provider_authorizations pauth
+     WHERE pauth.workspace_id = ? AND pauth.provider = 'linkedin'
+     ORDER BY FIELD(pauth.status, 'active', 'authorizing', 'reconnect_required', 'disabled', 'revoked'),
+              pauth.updated_at DESC LIMIT 1`,
+    [workspaceId]
+  );
+  const authorization = authorizationRows[0] || null;
+  const scopeRows = authorization
+    ? await connection.query(
+        `SELECT scope, status FROM provider_authorization_scopes
+         WHERE provider_authorization_id = ? ORDER BY scope`,
+        [authorization.id]
+      )
+    : [];
+  const resourceRows = await connection.query(
+    `SELECT pr.id AS resource_id, pr.provider_resource_id, pr.display_name, pr.metadata,
+            wpc.id AS connection_id, wpc.data_source_id, wpc.status AS connection_status,
+            wpc.last_sync_at, wpc.last_successful_sync_at, wpc.next_sync_at, wpc.data_through_at,
+            ds.reconnect_reason
+     FROM provider_resources pr
+     JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+     LEFT JOIN workspace_provider_connections wpc
+       ON wpc.provider_resource_id = pr.id AND wpc.workspace_id = pr.workspace_id
+     LEFT JOIN data_sources ds ON ds.id = wpc.data_source_id
+     WHERE pr.workspace_id = ? AND pr.provider = 'linkedin'
+       AND pr.resource_type = 'linkedin_organization'
+     ORDER BY pr.display_name, pr.created_at`,
+    [workspaceId]
+  );
+  const capabilityRows = await connection.query(
+    `SELECT pc.workspace_provider_connection_id, pc.capability_key, pc.status, pc.reason
+     FROM provider_capabilities pc
+     JOIN workspace_provider_connections wpc ON wpc.id = pc.workspace_provider_connection_id
+     WHERE wpc.workspace_id = ? AND wpc.provider = 'linkedin'
+     ORDER BY pc.capability_key`,
+    [workspaceId]
+  );
+  const capabilitiesByConnection = new Map();
+  for (const capability of capabilityRows) {
+    const values = capabilitiesByConnection.get(capability.workspace_provider_connection_id) || [];
+    values.push({ key: capability.capability_key, status: capability.status, reason: capability.reason });
+    capabilitiesByConnection.set(capability.workspace_provider_connection_id, values);
   }
+  const resources = resourceRows.map(row => {
+    const metadata = parseJson(row.metadata);
+    return {
+      id: row.resource_id,
+      provider_resource_id: row.provider_resource_id,
+      display_name: row.display_name,
+      vanity_name: metadata.vanityName || null,
+      page_url: metadata.pageUrl || null,
+      available: metadata.selectable === true,
+      unavailable_reason: metadata.selectable === true ? null : metadata.discoveryStatus || 'organization_details_unavailable',
+      selected: Boolean(row.connection_id)
+    };
+  });
+  const connections = resourceRows.filter(row => row.connection_id).map(row => {
+    const metadata = parseJson(row.metadata);
+    const status = authorization && authorization.status === 'authorizing'
+      ? 'connecting'
+      : authorization && ['reconnect_required', 'disabled'].includes(authorization.status)
+        ? 'reconnect_required'
+        : row.connection_status;
+    return {
+      id: row.connection_id,
+      data_source_id: row.data_source_id,
+      status,
+      reconnect_reason: row.reconnect_reason,
+      last_sync_at: row.last_sync_at,
+      last_successful_sync_at: row.last_successful_sync_at,
+      next_sync_at: row.next_sync_at,
+      data_through_at: row.data_through_at,
+      account: {
+        id: row.provider_resource_id,
+        display_name: row.display_name,
+        vanity_name: metadata.vanityName || null,
+        page_url: metadata.pageUrl || null
+      },
+      capabilities: capabilitiesByConnection.get(row.connection_id) || []
+    };
+  });
+  const primaryConnection = connections[0] || null;
+  let status = configuration.status;
+  if (!configuration.connectable) status = configuration.status;
+  else if (authorization && authorization.status === 'authorizing') status = 'authorizing';
+  else if (authorization && authorization.status !== 'active' && authorization.failure_category === 'user_denied') {
+    status = 'authorization_denied';
+  } else if (
+    authorization && authorization.status !== 'active' &&
+    authorization.failure_category === 'missing_required_scopes'
+  ) status = 'missing_scopes';
+  else if (authorization && authorization.status === 'reconnect_required') status = 'reconnect_required';
+  else if (authorization && authorization.status === 'disabled') status = 'provider_error';
+  else if (primaryConnection) status = primaryConnection.status;
+  else if (authorization && authorization.status === 'active') {
+    status = resources.some(resource => resource.available) ? 'selection_required' : 'no_organizations';
+  } else if (configuration.connectable) status = 'available';
+  const grantedScopeNames = new Set(scopeRows.filter(scope => scope.status === 'granted').map(scope => scope.scope));
+  const missingScopes = provider.requestedScopes.map(scope => scope.name).filter(scope => !grantedScopeNames.has(scope));
+  return {
+    ...publicProvider,
+    enabled: configuration.enabled,
+    implemented: true,
+    connectable: configuration.connectable,
+    status,
+    configuration: { status: configuration.status, warnings: configuration.warnings },
+    authorization: authorization ? {
+      id: authorization.id,
+      status: authorization.status,
+      granted_at: authorization.granted_at,
+      last_validated_at: authorization.last_validated_at,
+      failure_category: authorization.failure_category,
+      missing_scopes: missingScopes,
+      scopes: scopeRows
+    } : null,
+    resources,
+    connections,
+    connection: primaryConnection
+  };
+}
+
+async function getSearchConsoleWorkspaceProvider(connection, workspaceId, env) {
+  const provider = PROVIDERS.find(item => item.id === 'google_search_console');
+  const publicProvider = toPublicProvider(provider, env);
+  const tableRows = await connection.query(
+    `SELECT COUNT(*) AS count
+     FROM information_schema.TABLES
+     WHERE TABLE_SCHEMA = DATABASE()
+       AND TABLE_NAME IN (
+         'provider_authorizations',
+         'provider_authorization_credentials',
+         'provider_authorization_scopes',
+         'provider_resources',
+         'workspace_provider_connections',
+         'provider_resource_observations',
+         'provider_metric_observations',
+         'provider_dimension_observations',
+         'provider_request_events'
+       )`
+  );
+  const foundationReady = Number(tableRows[0] && tableRows[0].count) === 9;
+  const configuration = getSearchConsoleConfiguration(env, {
+    databaseReady: true,
+    foundationReady,
+    workerReady: true
+  });
+  if (!foundationReady) {
+    return {
+      ...publicProvider,
+      enabled: configuration.enabled,
+      implemented: true,
+      connectable: false,
+      status: configuration.status,
+      configuration: { status: configuration.status, warnings: configuration.warnings },
+      authorization: null,
+      resources: [],
+      connections: [],
+      connection: null
+    };
+  }
+  const authorizationRows = await connection.query(
+    `SELECT pauth.id, pauth.status, pauth.granted_at, pauth.last_validated_at, pauth.revoked_at,
+            (
+              SELECT JSON_UNQUOTE(JSON_EXTRACT(al.metadata, '$.outcome_category'))
+              FROM audit_logs al
+              WHERE al.target_id = pauth.id AND al.action = 'connection.search_console.authorization_failed'
+              ORDER BY al.created_at DESC LIMIT 1
+            ) AS failure_category
+     FROM provider_authorizations pauth
+     WHERE pauth.workspace_id = ? AND pauth.provider = 'google_search_console'
+     ORDER BY FIELD(pauth.status, 'active', 'authorizing', 'reconnect_required', 'disabled', 'revoked'),
+              pauth.updated_at DESC LIMIT 1`,
+    [workspaceId]
+  );
+  const authorization = authorizationRows[0] || null;
+  const scopeRows = authorization
+    ? await connection.query(
+        `SELECT scope, status FROM provider_authorization_scopes
+         WHERE provider_authorization_id = ? ORDER BY scope`,
+        [authorization.id]
+      )
+    : [];
+  const resourceRows = await connection.query(
+    `SELECT pr.id AS resource_id, pr.provider_resource_id, pr.display_name, pr.metadata,
+            wpc.id AS connection_id, wpc.data_source_id, wpc.status AS connection_status,
+            wpc.last_sync_at, wpc.last_successful_sync_at, wpc.next_sync_at, wpc.data_through_at,
+            ds.reconnect_reason
+     FROM provider_resources pr
+     JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+     LEFT JOIN workspace_provider_connections wpc
+       ON wpc.provider_resource_id = pr.id AND wpc.workspace_id = pr.workspace_id
+     LEFT JOIN data_sources ds ON ds.id = wpc.data_source_id
+     WHERE pr.workspace_id = ? AND pr.provider = 'google_search_console'
+       AND pr.resource_type = 'search_console_site'
+     ORDER BY pr.display_name, pr.created_at`,
+    [workspaceId]
+  );
+  const capabilityRows = await connection.query(
+    `SELECT pc.workspace_provider_connection_id, pc.capability_key, pc.status, pc.reason
+     FROM provider_capabilities pc
+     JOIN workspace_provider_connections wpc ON wpc.id = pc.workspace_provider_connection_id
+     WHERE wpc.workspace_id = ? AND wpc.provider = 'google_search_console'
+     ORDER BY pc.capability_key`,
+    [workspaceId]
+  );
+  const capabilitiesByConnection = new Map();
+  for (const capability of capabilityRows) {
+    const values = capabilitiesByConnection.get(capability.workspace_provider_connection_id) || [];
+    values.push({ key: capability.capability_key, status: capability.status, reason: capability.reason });
+    capabilitiesByConnection.set(capability.workspace_provider_connection_id, values);
+  }
+  const resources = resourceRows.map(row => {
+    const metadata = parseJson(row.metadata);
+    return {
+      id: row.resource_id,
+      provider_resource_id: row.provider_resource_id,
+      display_name: row.display_name,
+      site_url: metadata.siteUrl || row.provider_resource_id,
+      property_type: metadata.propertyType || null,
+      permission_level: metadata.permissionLevel || null,
+      available: metadata.selectable === true,
+      unavailable_reason: metadata.selectable === true ? null : metadata.discoveryStatus || 'site_not_verified',
+      selected: Boolean(row.connection_id)
+    };
+  });
+  const connections = resourceRows.filter(row => row.connection_id).map(row => {
+    const metadata = parseJson(row.metadata);
+    const status = authorization && authorization.status === 'authorizing'
+      ? 'connecting'
+      : authorization && ['reconnect_required', 'disabled'].includes(authorization.status)
+        ? 'reconnect_required'
+        : row.connection_status;
+    return {
+      id: row.connection_id,
+      data_source_id: row.data_source_id,
+      status,
+      reconnect_reason: row.reconnect_reason,
+      last_sync_at: row.last_sync_at,
+      last_successful_sync_at: row.last_successful_sync_at,
+      next_sync_at: row.next_sync_at,
+      data_through_at: row.data_through_at,
+      account: {
+        id: row.provider_resource_id,
+        display_name: row.display_name,
+        site_url: metadata.siteUrl || row.provider_resource_id,
+        property_type: metadata.propertyType || null,
+        permission_level: metadata.permissionLevel || null,
+        timezone: metadata.timezone || null
+      },
+      capabilities: capabilitiesByConnection.get(row.connection_id) || []
+    };
+  });
+  const primaryConnection = connections[0] || null;
+  let status = configuration.status;
+  if (!configuration.connectable) status = configuration.status;
+  else if (authorization && authorization.status === 'authorizing') status = 'authorizing';
+  else if (authorization && authorization.status !== 'active' && authorization.failure_category === 'user_denied') {
+    status = 'authorization_denied';
+  } else if (
+    authorization && authorization.status !== 'active' &&
+    authorization.failure_category === 'missing_required_scopes'
+  ) status = 'missing_scopes';
+  else if (authorization && authorization.status === 'reconnect_required') status = 'reconnect_required';
+  else if (authorization && authorization.status === 'disabled') status = 'provider_error';
+  else if (primaryConnection) status = primaryConnection.status;
+  else if (authorization && authorization.status === 'active') {
+    status = resources.some(resource => resource.available) ? 'selection_required' : 'no_sites';
+  } else if (configuration.connectable) status = 'available';
+  const grantedScopeNames = new Set(scopeRows.filter(scope => scope.status === 'granted').map(scope => scope.scope));
+  const missingScopes = provider.requestedScopes.map(scope => scope.name).filter(scope => !grantedScopeNames.has(scope));
+  return {
+    ...publicProvider,
+    enabled: configuration.enabled,
+    implemented: true,
+    connectable: configuration.connectable,
+    status,
+    configuration: { status: configuration.status, warnings: configuration.warnings },
+    authorization: authorization ? {
+      id: authorization.id,
+      status: authorization.status,
+      granted_at: authorization.granted_at,
+      last_validated_at: authorization.last_validated_at,
+      failure_category: authorization.failure_category,
+      missing_scopes: missingScopes,
+      scopes: scopeRows
+    } : null,
+    resources,
+    connections,
+    connection: primaryConnection
+  };
+}
+
+async function getPinterestWorkspaceProvider(connection, workspaceId, env) {
+  const provider = PROVIDERS.find(item => item.id === 'pinterest');
+  const publicProvider = toPublicProvider(provider, env);
+  const tableRows = await connection.query(
+    `SELECT COUNT(*) AS count
+     FROM information_schema.TABLES
+     WHERE TABLE_SCHEMA = DATABASE()
+       AND TABLE_NAME IN (
+         'provider_authorizations',
+         'provider_authorization_credentials',
+         'provider_authorization_scopes',
+         'provider_resources',
+         'workspace_provider_connections',
+         'provider_resource_observations',
+         'provider_metric_observations',
+         'provider_dimension_observations',
+         'provider_request_events'
+       )`
+  );
+  const foundationReady = Number(tableRows[0] && tableRows[0].count) === 9;
+  const configuration = getPinterestConfiguration(env, {
+    databaseReady: true,
+    foundationReady,
+    workerReady: true
+  });
+  if (!foundationReady) {
+    return {
+      ...publicProvider,
+      enabled: configuration.enabled,
+      implemented: true,
+      connectable: false,
+      status: configuration.status,
+      configuration: { status: configuration.status, warnings: configuration.warnings },
+      authorization: null,
+      resources: [],
+      connections: [],
+      connection: null
+    };
+  }
+  const authorizationRows = await connection.query(
+    `SELECT pauth.id, pauth.status, pauth.granted_at, pauth.last_validated_at, pauth.revoked_at,
+            (
+              SELECT JSON_UNQUOTE(JSON_EXTRACT(al.metadata, '$.outcome_category'))
+              FROM audit_logs al
+              WHERE al.target_id = pauth.id AND al.action = 'connection.pinterest.authorization_failed'
+              ORDER BY al.created_at DESC LIMIT 1
+            ) AS failure_category
+     FROM provider_authorizations pauth
+     WHERE pauth.workspace_id = ? AND pauth.provider = 'pinterest'
+     ORDER BY FIELD(pauth.status, 'active', 'authorizing', 'reconnect_required', 'disabled', 'revoked'),
+              pauth.updated_at DESC LIMIT 1`,
+    [workspaceId]
+  );
+  const authorization = authorizationRows[0] || null;
+  const scopeRows = authorization
+    ? await connection.query(
+        `SELECT scope, status FROM provider_authorization_scopes
+         WHERE provider_authorization_id = ? ORDER BY scope`,
+        [authorization.id]
+      )
+    : [];
+  const resourceRows = await connection.query(
+    `SELECT pr.id AS resource_id, pr.provider_resource_id, pr.display_name, pr.metadata,
+            wpc.id AS connection_id, wpc.data_source_id, wpc.status AS connection_status,
+            wpc.last_sync_at, wpc.last_successful_sync_at, wpc.next_sync_at, wpc.data_through_at,
+            ds.reconnect_reason
+     FROM provider_resources pr
+     JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+     LEFT JOIN workspace_provider_connections wpc
+       ON wpc.provider_resource_id = pr.id AND wpc.workspace_id = pr.workspace_id
+     LEFT JOIN data_sources ds ON ds.id = wpc.data_source_id
+     WHERE pr.workspace_id = ? AND pr.provider = 'pinterest'
+       AND pr.resource_type = 'pinterest_account'
+     ORDER BY pr.display_name, pr.created_at`,
+    [workspaceId]
+  );
+  const capabilityRows = await connection.query(
+    `SELECT pc.workspace_provider_connection_id, pc.capability_key, pc.status, pc.reason
+     FROM provider_capabilities pc
+     JOIN workspace_provider_connections wpc ON wpc.id = pc.workspace_provider_connection_id
+     WHERE wpc.workspace_id = ? AND wpc.provider = 'pinterest'
+     ORDER BY pc.capability_key`,
+    [workspaceId]
+  );
+  const capabilitiesByConnection = new Map();
+  for (const capability of capabilityRows) {
+    const values = capabilitiesByConnection.get(capability.workspace_provider_connection_id) || [];
+    values.push({ key: capability.capability_key, status: capability.status, reason: capability.reason });
+    capabilitiesByConnection.set(capability.workspace_provider_connection_id, values);
+  }
+  const resources = resourceRows.map(row => {
+    const metadata = parseJson(row.metadata);
+    return {
+      id: row.resource_id,
+      provider_resource_id: row.provider_resource_id,
+      display_name: row.display_name,
+      username: metadata.username || null,
+      profile_url: metadata.profileUrl || null,
+      account_type: metadata.accountType || null,
+      available: metadata.selectable === true,
+      unavailable_reason: metadata.selectable === true ? null : metadata.discoveryStatus || 'business_account_required',
+      selected: Boolean(row.connection_id)
+    };
+  });
+  const connections = resourceRows.filter(row => row.connection_id).map(row => {
+    const metadata = parseJson(row.metadata);
+    const status = authorization && authorization.status === 'authorizing'
+      ? 'connecting'
+      : authorization && ['reconnect_required', 'disabled'].includes(authorization.status)
+        ? 'reconnect_required'
+        : row.connection_status;
+    return {
+      id: row.connection_id,
+      data_source_id: row.data_source_id,
+      status,
+      reconnect_reason: row.reconnect_reason,
+      last_sync_at: row.last_sync_at,
+      last_successful_sync_at: row.last_successful_sync_at,
+      next_sync_at: row.next_sync_at,
+      data_through_at: row.data_through_at,
+      account: {
+        id: row.provider_resource_id,
+        display_name: row.display_name,
+        username: metadata.username || null,
+        profile_url: metadata.profileUrl || null,
+        timezone: 'UTC'
+      },
+      capabilities: capabilitiesByConnection.get(row.connection_id) || []
+    };
+  });
+  const primaryConnection = connections[0] || null;
+  let status = configuration.status;
+  if (!configuration.connectable) status = configuration.status;
+  else if (authorization && authorization.status === 'authorizing') status = 'authorizing';
+  else if (authorization && authorization.status !== 'active' && authorization.failure_category === 'user_denied') {
+    status = 'authorization_denied';
+  } else if (
+    authorization && authorization.status !== 'active' &&
+    authorization.failure_category === 'missing_required_scopes'
+  ) status = 'missing_scopes';
+  else if (authorization && authorization.status === 'reconnect_required') status = 'reconnect_required';
+  else if (authorization && authorization.status === 'disabled') status = 'provider_error';
+  else if (primaryConnection) status = primaryConnection.status;
+  else if (authorization && authorization.status === 'active') {
+    status = resources.some(resource => resource.available) ? 'selection_required' : 'business_account_required';
+  } else if (configuration.connectable) status = 'available';
+  const grantedScopeNames = new Set(scopeRows.filter(scope => scope.status === 'granted').map(scope => scope.scope));
+  const missingScopes = provider.requestedScopes.map(scope => scope.name).filter(scope => !grantedScopeNames.has(scope));
+  return {
+    ...publicProvider,
+    enabled: configuration.enabled,
+    implemented: true,
+    connectable: configuration.connectable,
+    status,
+    configuration: { status: configuration.status, warnings: configuration.warnings },
+    authorization: authorization ? {
+      id: authorization.id,
+      status: authorization.status,
+      granted_at: authorization.granted_at,
+      last_validated_at: authorization.last_validated_at,
+      failure_category: authorization.failure_category,
+      missing_scopes: missingScopes,
+      scopes: scopeRows
+    } : null,
+    resources,
+    connections,
+    connection: primaryConnection
+  };
+}
+
+async function getThreadsWorkspaceProvider(connection, workspaceId, env) {
+  const provider = PROVIDERS.find(item => item.id === 'threads');
+  const publicProvider = toPublicProvider(provider, env);
+  const tableRows = await connection.query(
+    `SELECT COUNT(*) AS count
+     FROM information_schema.TABLES
+     WHERE TABLE_SCHEMA = DATABASE()
+       AND TABLE_NAME IN (
+         'provider_authorizations',
+         'provider_authorization_credentials',
+         'provider_authorization_scopes',
+         'provider_resources',
+         'workspace_provider_connections',
+         'provider_resource_observations',
+         'provider_metric_observations',
+         'provider_dimension_observations',
+         'provider_request_events'
+       )`
+  );
+  const foundationReady = Number(tableRows[0] && tableRows[0].count) === 9;
+  const configuration = getThreadsConfiguration(env, {
+    databaseReady: true,
+    foundationReady,
+    workerReady: true
+  });
+  if (!foundationReady) {
+    return {
+      ...publicProvider,
+      enabled: configuration.enabled,
+      implemented: true,
+      connectable: false,
+      status: configuration.status,
+      configuration: { status: configuration.status, warnings: configuration.warnings },
+      authorization: null,
+      resources: [],
+      connections: [],
+      connection: null
+    };
+  }
+  const authorizationRows = await connection.query(
+    `SELECT pauth.id, pauth.status, pauth.granted_at, pauth.last_validated_at, pauth.revoked_at,
+            (
+              SELECT JSON_UNQUOTE(JSON_EXTRACT(al.metadata, '$.outcome_category'))
+              FROM audit_logs al
+              WHERE al.target_id = pauth.id AND al.action = 'connection.threads.authorization_failed'
+              ORDER BY al.created_at DESC LIMIT 1
+            ) AS failure_category
+     FROM provider_authorizations pauth
+     WHERE pauth.workspace_id = ? AND pauth.provider = 'threads'
+     ORDER BY FIELD(pauth.status, 'active', 'authorizing', 'reconnect_required', 'disabled', 'revoked'),
+              pauth.updated_at DESC LIMIT 1`,
+    [workspaceId]
+  );
+  const authorization = authorizationRows[0] || null;
+  const scopeRows = authorization
+    ? await connection.query(
+        `SELECT scope, status FROM provider_authorization_scopes
+         WHERE provider_authorization_id = ? ORDER BY scope`,
+        [authorization.id]
+      )
+    : [];
+  const resourceRows = await connection.query(
+    `SELECT pr.id AS resource_id, pr.provider_resource_id, pr.display_name, pr.metadata,
+            wpc.id AS connection_id, wpc.data_source_id, wpc.status AS connection_status,
+            wpc.last_sync_at, wpc.last_successful_sync_at, wpc.next_sync_at, wpc.data_through_at,
+            ds.reconnect_reason
+     FROM provider_resources pr
+     JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+     LEFT JOIN workspace_provider_connections wpc
+       ON wpc.provider_resource_id = pr.id AND wpc.workspace_id = pr.workspace_id
+     LEFT JOIN data_sources ds ON ds.id = wpc.data_source_id
+     WHERE pr.workspace_id = ? AND pr.provider = 'threads'
+       AND pr.resource_type = 'threads_profile'
+     ORDER BY pr.display_name, pr.created_at`,
+    [workspaceId]
+  );
+  const capabilityRows = await connection.query(
+    `SELECT pc.workspace_provider_connection_id, pc.capability_key, pc.status, pc.reason
+     FROM provider_capabilities pc
+     JOIN workspace_provider_connections wpc ON wpc.id = pc.workspace_provider_connection_id
+     WHERE wpc.workspace_id = ? AND wpc.provider = 'threads'
+     ORDER BY pc.capability_key`,
+    [workspaceId]
+  );
+  const capabilitiesByConnection = new Map();
+  for (const capability of capabilityRows) {
+    const values = capabilitiesByConnection.get(capability.workspace_provider_connection_id) || [];
+    values.push({ key: capability.capability_key, status: capability.status, reason: capability.reason });
+    capabilitiesByConnection.set(capability.workspace_provider_connection_id, values);
+  }
+  const resources = resourceRows.map(row => {
+    const metadata = parseJson(row.metadata);
+    return {
+      id: row.resource_id,
+      provider_resource_id: row.provider_resource_id,
+      display_name: row.display_name,
+      username: metadata.username || null,
+      profile_url: metadata.profileUrl || null,
+      available: metadata.selectable === true,
+      unavailable_reason: metadata.selectable === true ? null : metadata.discoveryStatus || 'profile_unavailable',
+      selected: Boolean(row.connection_id)
+    };
+  });
+  const connections = resourceRows.filter(row => row.connection_id).map(row => {
+    const metadata = parseJson(row.metadata);
+    const status = authorization && authorization.status === 'authorizing'
+      ? 'connecting'
+      : authorization && ['reconnect_required', 'disabled'].includes(authorization.status)
+        ? 'reconnect_required'
+        : row.connection_status;
+    return {
+      id: row.connection_id,
+      data_source_id: row.data_source_id,
+      status,
+      reconnect_reason: row.reconnect_reason,
+      last_sync_at: row.last_sync_at,
+      last_successful_sync_at: row.last_successful_sync_at,
+      next_sync_at: row.next_sync_at,
+      data_through_at: row.data_through_at,
+      account: {
+        id: row.provider_resource_id,
+        display_name: row.display_name,
+        username: metadata.username || null,
+        profile_url: metadata.profileUrl || null,
+        timezone: 'UTC'
+      },
+      capabilities: capabilitiesByConnection.get(row.connection_id) || []
+    };
+  });
+  const primaryConnection = connections[0] || null;
+  let status = configuration.status;
+  if (!configuration.connectable) status = configuration.status;
+  else if (authorization && authorization.status === 'authorizing') status = 'authorizing';
+  else if (authorization && authorization.status !== 'active' && authorization.failure_category === 'user_denied') {
+    status = 'authorization_denied';
+  } else if (
+    authorization && authorization.status !== 'active' &&
+    authorization.failure_category === 'missing_required_scopes'
+  ) status = 'missing_scopes';
+  else if (authorization && authorization.status === 'reconnect_required') status = 'reconnect_required';
+  else if (authorization && authorization.status === 'disabled') status = 'provider_error';
+  else if (primaryConnection) status = primaryConnection.status;
+  else if (authorization && authorization.status === 'active') {
+    status = resources.some(resource => resource.available) ? 'selection_required' : 'profile_unavailable';
+  } else if (configuration.connectable) status = 'available';
+  const grantedScopeNames = new Set(scopeRows.filter(scope => scope.status === 'granted').map(scope => scope.scope));
+  const missingScopes = provider.requestedScopes.map(scope => scope.name).filter(scope => !grantedScopeNames.has(scope));
+  return {
+    ...publicProvider,
+    enabled: configuration.enabled,
+    implemented: true,
+    connectable: configuration.connectable,
+    status,
+    configuration: { status: configuration.status, warnings: configuration.warnings },
+    authorization: authorization ? {
+      id: authorization.id,
+      status: authorization.status,
+      granted_at: authorization.granted_at,
+      last_validated_at: authorization.last_validated_at,
+      failure_category: authorization.failure_category,
+      missing_scopes: missingScopes,
+      scopes: scopeRows
+    } : null,
+    resources,
+    connections,
+    connection: primaryConnection
+  };
+}
+
+async function getBlueskyWorkspaceProvider(connection, workspaceId, env) {
+  const provider = PROVIDERS.find(item => item.id === 'bluesky');
+  const publicProvider = toPublicProvider(provider, env);
+  const tableRows = await connection.query(
+    `SELECT COUNT(*) AS count
+     FROM information_schema.TABLES
+     WHERE TABLE_SCHEMA = DATABASE()
+       AND TABLE_NAME IN (
+         'provider_authorizations',
+         'provider_authorization_credentials',
+         'provider_authorization_scopes',
+         'provider_resources',
+         'workspace_provider_connections',
+         'provider_resource_observations',
+         'provider_metric_observations',
+         'provider_dimension_observations',
+         'provider_request_events'
+       )`
+  );
+  const foundationReady = Number(tableRows[0] && tableRows[0].count) === 9;
+  const configuration = getBlueskyConfiguration(env, {
+    databaseReady: true,
+    foundationReady,
+    workerReady: true
+  });
+  if (!foundationReady) {
+    return {
+      ...publicProvider,
+      enabled: configuration.enabled,
+      implemented: true,
+      connectable: false,
+      status: configuration.status,
+      configuration: { status: configuration.status, warnings: configuration.warnings },
+      authorization: null,
+      resources: [],
+      connections: [],
+      connection: null
+    };
+  }
+  const authorizationRows = await connection.query(
+    `SELECT pauth.id, pauth.status, pauth.granted_at, pauth.last_validated_at, pauth.revoked_at,
+            (
+              SELECT JSON_UNQUOTE(JSON_EXTRACT(al.metadata, '$.outcome_category'))
+              FROM audit_logs al
+              WHERE al.target_id = pauth.id AND al.action = 'connection.bluesky.authorization_failed'
+              ORDER BY al.created_at DESC LIMIT 1
+            ) AS failure_category
+     FROM provider_authorizations pauth
+     WHERE pauth.workspace_id = ? AND pauth.provider = 'bluesky'
+     ORDER BY FIELD(pauth.status, 'active', 'authorizing', 'reconnect_required', 'disabled', 'revoked'),
+              pauth.updated_at DESC LIMIT 1`,
+    [workspaceId]
+  );
+  const authorization = authorizationRows[0] || null;
+  const scopeRows = authorization
+    ? await connection.query(
+        `SELECT scope, status FROM provider_authorization_scopes
+         WHERE provider_authorization_id = ? ORDER BY scope`,
+        [authorization.id]
+      )
+    : [];
+  const resourceRows = await connection.query(
+    `SELECT pr.id AS resource_id, pr.provider_resource_id, pr.display_name, pr.metadata,
+            wpc.id AS connection_id, wpc.data_source_id, wpc.status AS connection_status,
+            wpc.last_sync_at, wpc.last_successful_sync_at, wpc.next_sync_at, wpc.data_through_at,
+            ds.reconnect_reason
+     FROM provider_resources pr
+     JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+     LEFT JOIN workspace_provider_connections wpc
+       ON wpc.provider_resource_id = pr.id AND wpc.workspace_id = pr.workspace_id
+     LEFT JOIN data_sources ds ON ds.id = wpc.data_source_id
+     WHERE pr.workspace_id = ? AND pr.provider = 'bluesky'
+       AND pr.resource_type = 'bluesky_account'
+     ORDER BY pr.display_name, pr.created_at`,
+    [workspaceId]
+  );
+  const capabilityRows = await connection.query(
+    `SELECT pc.workspace_provider_connection_id, pc.capability_key, pc.status, pc.reason
+     FROM provider_capabilities pc
+     JOIN workspace_provider_connections wpc ON wpc.id = pc.workspace_provider_connection_id
+     WHERE wpc.workspace_id = ? AND wpc.provider = 'bluesky'
+     ORDER BY pc.capability_key`,
+    [workspaceId]
+  );
+  const capabilitiesByConnection = new Map();
+  for (const capability of capabilityRows) {
+    const values = capabilitiesByConnection.get(capability.workspace_provider_connection_id) || [];
+    values.push({ key: capability.capability_key, status: capability.status, reason: capability.reason });
+    capabilitiesByConnection.set(capability.workspace_provider_connection_id, values);
+  }
+  const resources = resourceRows.map(row => {
+    const metadata = parseJson(row.metadata);
+    return {
+      id: row.resource_id,
+      provider_resource_id: row.provider_resource_id,
+      display_name: row.display_name,
+      handle: metadata.handle || null,
+      profile_url: metadata.profileUrl || null,
+      available: metadata.selectable === true,
+      unavailable_reason: metadata.selectable === true ? null : metadata.discoveryStatus || 'profile_unavailable',
+      selected: Boolean(row.connection_id)
+    };
+  });
+  const connections = resourceRows.filter(row => row.connection_id).map(row => {
+    const metadata = parseJson(row.metadata);
+    const status = authorization && authorization.status === 'authorizing'
+      ? 'connecting'
+      : authorization && ['reconnect_required', 'disabled'].includes(authorization.status)
+        ? 'reconnect_required'
+        : row.connection_status;
+    return {
+      id: row.connection_id,
+      data_source_id: row.data_source_id,
+      status,
+      reconnect_reason: row.reconnect_reason,
+      last_sync_at: row.last_sync_at,
+      last_successful_sync_at: row.last_successful_sync_at,
+      next_sync_at: row.next_sync_at,
+      data_through_at: row.data_through_at,
+      account: {
+        id: row.provider_resource_id,
+        display_name: row.display_name,
+        handle: metadata.handle || null,
+        profile_url: metadata.profileUrl || null,
+        timezone: 'UTC'
+      },
+      capabilities: capabilitiesByConnection.get(row.connection_id) || []
+    };
+  });
+  const primaryConnection = connections[0] || null;
+  let status = configuration.status;
+  if (!configuration.connectable) status = configuration.status;
+  else if (authorization && authorization.status === 'authorizing') status = 'authorizing';
+  else if (authorization && authorization.status !== 'active' && authorization.failure_category === 'invalid_credentials') {
+    status = 'authorization_denied';
+  } else if (
+    authorization && authorization.status !== 'active' &&
+    authorization.failure_category === 'missing_required_scopes'
+  ) status = 'missing_scopes';
+  else if (authorization && authorization.status === 'reconnect_required') status = 'reconnect_required';
+  else if (authorization && authorization.status === 'disabled') status = 'provider_error';
+  else if (primaryConnection) status = primaryConnection.status;
+  else if (authorization && authorization.status === 'active') {
+    status = resources.some(resource => resource.available) ? 'selection_required' : 'profile_unavailable';
+  } else if (configuration.connectable) status = 'available';
+  const grantedScopeNames = new Set(scopeRows.filter(scope => scope.status === 'granted').map(scope => scope.scope));
+  const missingScopes = provider.requestedScopes.map(scope => scope.name).filter(scope => !grantedScopeNames.has(scope));
+  return {
+    ...publicProvider,
+    enabled: configuration.enabled,
+    implemented: true,
+    connectable: configuration.connectable,
+    status,
+    configuration: { status: configuration.status, warnings: configuration.warnings },
+    authorization: authorization ? {
+      id: authorization.id,
+      status: authorization.status,
+      granted_at: authorization.granted_at,
+      last_validated_at: authorization.last_validated_at,
+      failure_category: authorization.failure_category,
+      missing_scopes: missingScopes,
+      scopes: scopeRows
+    } : null,
+    resources,
+    connections,
+    connection: primaryConnection
+  };
+}
+
+async function listWorkspaceProviderCatalog(userId, workspaceId, env = process.env) {
+  const connection = await getConnection();
+  if (!connection) {
+    const error = new Error('database_not_configured');
+    error.status = 503;
+    error.code = 'database_not_configured';
+    throw error;
+  }
+  try {
+    const memberRows = await connection.query(
+      `SELECT m.role, r.capabilities AS custom_role_capabilities
+       FROM workspace_memberships m
+       LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+       WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active'
+       LIMIT 1`,
+      [workspaceId, userId]
+    );
+    const membership = memberRows[0] || null;
+    if (!membership) {
+      const error = new Error('workspace_not_found');
+      error.status = 404;
+      error.code = 'workspace_not_found';
+      throw error;
+    }
+    assertCapability(membership, 'viewDashboard');
+    const sourceRows = await connection.query(
+      `SELECT ds.id AS data_source_id,
+              wpc.id AS connection_id,
+              ds.provider,
+              ds.status,
+              ds.reconnect_reason,
+              ds.last_sync_at,
+              ds.last_successful_sync_at,
+              ds.next_sync_at,
+              pa.provider_account_id,
+              pa.username,
+              pa.display_name
+       FROM data_sources ds
+       LEFT JOIN workspace_provider_connections wpc ON wpc.data_source_id = ds.id
+       LEFT JOIN provider_accounts pa ON pa.data_source_id = ds.id
+       WHERE ds.workspace_id = ? AND ds.deleted_at IS NULL`,
+      [workspaceId]
+    );
+    const sourceByProvider = new Map(sourceRows.map(row => [row.provider, row]));
+    const youtubeProvider = await getYouTubeWorkspaceProvider(connection, workspaceId, userId, env);
+    const facebookProvider = await getMetaWorkspaceProvider(connection, workspaceId, 'facebook_pages', env);
+    const instagramProvider = await getMetaWorkspaceProvider(connection, workspaceId, 'instagram', env);
+    const googleAnalyticsProvider = await getGoogleAnalyticsWorkspaceProvider(connection, workspaceId, env);
+    const linkedInProvider = await getLinkedInWorkspaceProvider(connection, workspaceId, env);
+    const searchConsoleProvider = await getSearchConsoleWorkspaceProvider(connection, workspaceId, env);
+    const pinterestProvider = await getPinterestWorkspaceProvider(connection, workspaceId, env);
+    const threadsProvider = await getThreadsWorkspaceProvider(connection, workspaceId, env);
+    const blueskyProvider = await getBlueskyWorkspaceProvider(connection, workspaceId, env);
+    const visible = PROVIDERS.filter(provider => (
+      hasCapability(membership, 'viewDashboard', provider.id) || hasCapability(membership, 'manageConnection', provider.id)
+    ));
+    const scope = await loadResourceScope(connection, workspaceId, userId);
+    const providers = visible.map(provider => {
+      if (provider.id === 'youtube') return youtubeProvider;
+      if (provider.id === 'facebook_pages') return facebookProvider;
+      if (provider.id === 'instagram') return instagramProvider;
+      if (provider.id === 'google_analytics_4') return googleAnalyticsProvider;
+      if (provider.id === 'linkedin') return linkedInProvider;
+      if (provider.id === 'google_search_console') return searchConsoleProvider;
+      if (provider.id === 'pinterest') return pinterestProvider;
+      if (provider.id === 'threads') return threadsProvider;
+      if (provider.id === 'bluesky') return blueskyProvider;
+      return toWorkspaceProvider(provider, sourceByProvider.get(provider.id), env);
+    });
+    return providers.map(provider => scopeWorkspaceProvider(provider, scope)).filter(Boolean);
+  } finally {
+    await connection.release();
+  }
+}
+
+function scopeWorkspaceProvider(provider, scope) {
+  if (!scope) return provider;
+  const connections = (provider.connections || []).filter(item => scope.connectionIds.includes(item.id));
+  if (connections.length === 0) return null;
+  return { ...provider, connectable: false, resources: [], connections, connection: connections[0] };
 }
 
 function getMetricDefinitions() {
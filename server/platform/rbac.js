@@ -5,17 +5,63 @@ const CAPABILITIES = {
   triggerManualSync: new Set(['owner', 'admin', 'analyst']),
   exportCsv: new Set(['owner', 'admin', 'analyst']),
   manageReports: new Set(['owner', 'admin', 'analyst']),
+  manageAlerts: new Set(['owner', 'admin', 'analyst']),
   manageConnection: new Set(['owner', 'admin']),
   manageMembers: new Set(['owner', 'admin']),
+  manageWebhooks: new Set(['owner', 'admin']),
+  viewAuditLog: new Set(['owner', 'admin']),
+  manageRetention: new Set(['owner']),
+  manageSecurity: new Set(['owner']),
   deleteWorkspace: new Set(['owner'])
 };
 
-function hasCapability(role, capability) {
-  return Boolean(CAPABILITIES[capability] && CAPABILITIES[capability].has(role));
+const PROVIDER_SCOPED_CAPABILITIES = Object.freeze(['viewDashboard', 'triggerManualSync', 'exportCsv', 'manageConnection']);
+
+const CUSTOM_ROLE_CAPABILITIES = Object.freeze([
+  'viewDashboard',
+  'triggerManualSync',
+  'exportCsv',
+  'manageReports',
+  'manageAlerts',
+  'manageConnection',
+  'manageWebhooks',
+  'viewAuditLog'
+]);
+
+function customRoleGrants(subject) {
+  if (!subject || typeof subject !== 'object' || subject.custom_role_capabilities == null) return null;
+  let grants = subject.custom_role_capabilities;
+  if (typeof grants === 'string') {
+    try {
+      grants = JSON.parse(grants);
+    } catch (error) {
+      return [];
+    }
+  }
+  return Array.isArray(grants) ? grants.filter(grant => typeof grant === 'string') : [];
 }
 
-function assertCapability(role, capability) {
-  if (!hasCapability(role, capability)) {
+function capabilityProviders(subject, capability) {
+  const grants = customRoleGrants(subject);
+  if (!grants) {
+    const role = subject && typeof subject === 'object' ? subject.role : subject;
+    return CAPABILITIES[capability] && CAPABILITIES[capability].has(role) ? null : [];
+  }
+  if (!CUSTOM_ROLE_CAPABILITIES.includes(capability)) return [];
+  if (grants.includes(capability)) return null;
+  if (!PROVIDER_SCOPED_CAPABILITIES.includes(capability)) return [];
+  const prefix = `${capability}:`;
+  return grants.filter(grant => grant.startsWith(prefix)).map(grant => grant.slice(prefix.length));
+}
+
+function hasCapability(subject, capability, provider = null) {
+  const providers = capabilityProviders(subject, capability);
+  if (providers === null) return true;
+  return provider ? providers.includes(provider) : providers.length > 0;
+}
+
+function assertCapability(subject, capability, provider = null) {
+  if (!hasCapability(subject, capability, provider)) {
     const error = new Error('permission_denied');
     error.status = 403;
     error.code = 'permission_denied';
@@ -23,6 +69,20 @@ function assertCapability(role, capability) {
   }
 }
 
+function effectiveCapabilities(subject) {
+  return Object.keys(CAPABILITIES).flatMap(capability => {
+    const providers = capabilityProviders(subject, capability);
+    if (providers === null) return [capability];
+    return providers.map(provider => `${capability}:${provider}`);
+  });
+}
+
+const SECOND_FACTOR_CAPABILITIES = ['manageConnection', 'manageMembers'];
+
+function requiresSecondFactor(subject) {
+  return SECOND_FACTOR_CAPABILITIES.some(capability => hasCapability(subject, capability));
+}
+
 function canAssignRole(actorRole, targetRole) {
   if (!ROLES.includes(targetRole)) {
     return false;
@@ -34,8 +94,13 @@ function canAssignRole(actorRole, targetRole) {
 }
 
 module.exports = {
+  CUSTOM_ROLE_CAPABILITIES,
+  PROVIDER_SCOPED_CAPABILITIES,
   ROLES,
   assertCapability,
   canAssignRole,
-  hasCapability
+  capabilityProviders,
+  effectiveCapabilities,
+  hasCapability,
+  requiresSecondFactor
 };
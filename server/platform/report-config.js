@@ -69,6 +69,15 @@ function getReportConfiguration(env = process.env) {
     maxArtifactBytes: boundedInteger(env.REPORT_MAX_ARTIFACT_BYTES, 20 * 1024 * 1024, 256 * 1024, 25 * 1024 * 1024),
     maxPages: boundedInteger(env.REPORT_MAX_PAGES, 80, 5, 100),
     maxContentRowsPerResource: boundedInteger(env.REPORT_MAX_CONTENT_ROWS_PER_RESOURCE, 30, 1, 50),
+    maxRecipients: boundedInteger(env.REPORT_MAX_RECIPIENTS, 25, 1, 50),
+    emailLinkTtlHours: boundedInteger(env.REPORT_EMAIL_LINK_TTL_HOURS, 72, 1, RETENTION_DAYS * 24),
+    emailAttachmentMaxBytes: boundedInteger(
+      env.REPORT_EMAIL_ATTACHMENT_MAX_BYTES,
+      5 * 1024 * 1024,
+      256 * 1024,
+      10 * 1024 * 1024
+    ),
+    deliveryMaxAttempts: boundedInteger(env.REPORT_DELIVERY_MAX_ATTEMPTS, 4, 1, 6),
     rendererVersion: 'pdfkit-v1'
   };
 }
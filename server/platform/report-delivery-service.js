@@ -0,0 +1,708 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const { getConnection } = require('../database');
+const { sendReportReadyEmail } = require('./mail');
+const { getReportConfiguration } = require('./report-config');
+const {
+  countActiveRecipients,
+  listDefinitionRecipients,
+  normalizeRecipient,
+  upsertReportRecipient
+} = require('./report-recipients');
+const {
+  createReportError,
+  getReadyConfiguration,
+  requireReportCapability
+} = require('./report-service');
+const { assertUuid, resolveStoragePath } = require('./report-storage');
+const { createAuditLog } = require('./repositories');
+const { createId, hashSecret, randomToken } = require('./security');
+
+const MAX_DELIVERIES_PER_PASS = 100;
+const MAX_RECIPIENT_FAILURES = 3;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32,128}$/;
+const BOUNCE_TYPES = Object.freeze(['hard', 'soft', 'complaint']);
+
+function parseJson(value, fallback = null) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function isoDateTime(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function sqlDateTime(date) {
+  return date.toISOString().slice(0, 23).replace('T', ' ');
+}
+
+function parseSqlDateTime(value) {
+  return value ? new Date(`${String(value).replace(' ', 'T').slice(0, 23)}Z`) : null;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createReportError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+async function requireDefinition(connection, workspaceId, definitionId, lock = false) {
+  const rows = await connection.query(
+    `SELECT id, title FROM report_definitions
+     WHERE id = ? AND workspace_id = ? AND status = 'active' AND deleted_at IS NULL
+     LIMIT 1 ${lock ? 'FOR UPDATE' : ''}`,
+    [definitionId, workspaceId]
+  );
+  if (!rows[0]) throw createReportError(404, 'report_definition_not_found');
+  return rows[0];
+}
+
+async function definitionRecipients(connection, workspaceId, definitionId) {
+  const recipients = await listDefinitionRecipients(connection, workspaceId, [definitionId]);
+  return recipients.get(definitionId) || [];
+}
+
+async function writeDeliveryAudit(connection, { workspaceId, actorUserId = null, action, targetType, targetId, metadata }) {
+  await createAuditLog(connection, { workspaceId, actorUserId, action, targetType, targetId, metadata });
+}
+
+async function listReportRecipients(userId, workspaceId, definitionId) {
+  getReadyConfiguration();
+  assertUuid(definitionId, 'invalid_report_definition_id');
+  return withConnection(async connection => {
+    await requireReportCapability(connection, workspaceId, userId);
+    await requireDefinition(connection, workspaceId, definitionId);
+    return { recipients: await definitionRecipients(connection, workspaceId, definitionId) };
+  });
+}
+
+async function addReportRecipient(userId, workspaceId, definitionId, body = {}) {
+  const configuration = getReadyConfiguration();
+  assertUuid(definitionId, 'invalid_report_definition_id');
+  const recipient = normalizeRecipient(body);
+  return withConnection(async connection => {
+    await requireReportCapability(connection, workspaceId, userId);
+    try {
+      await connection.beginTransaction();
+      await requireDefinition(connection, workspaceId, definitionId, true);
+      const existing = await connection.query(
+        `SELECT status FROM report_recipients
+         WHERE report_definition_id = ? AND workspace_id = ? AND email = ?
+         LIMIT 1`,
+        [definitionId, workspaceId, recipient.email]
+      );
+      const counted = existing[0] && existing[0].status !== 'removed';
+      if (!counted && await countActiveRecipients(connection, workspaceId, definitionId) >= configuration.maxRecipients) {
+        throw createReportError(409, 'report_recipient_limit_reached');
+      }
+      const recipientId = await upsertReportRecipient(connection, { workspaceId, definitionId, userId, recipient });
+      const rows = await connection.query(
+        'SELECT recipient_type FROM report_recipients WHERE id = ? LIMIT 1',
+        [recipientId]
+      );
+      await writeDeliveryAudit(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'report.recipient_added',
+        targetType: 'report_recipient',
+        targetId: recipientId,
+        metadata: {
+          report_definition_id: definitionId,
+          recipient_type: rows[0] && rows[0].recipient_type,
+          delivery_mode: recipient.delivery_mode
+        }
+      });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+    return { recipients: await definitionRecipients(connection, workspaceId, definitionId) };
+  });
+}
+
+async function removeReportRecipient(userId, workspaceId, definitionId, recipientId) {
+  getReadyConfiguration();
+  assertUuid(definitionId, 'invalid_report_definition_id');
+  assertUuid(recipientId, 'invalid_report_recipient_id');
+  return withConnection(async connection => {
+    await requireReportCapability(connection, workspaceId, userId);
+    try {
+      await connection.beginTransaction();
+      await requireDefinition(connection, workspaceId, definitionId, true);
+      const result = await connection.query(
+        `UPDATE report_recipients SET status = 'removed', updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ? AND report_definition_id = ? AND workspace_id = ? AND status <> 'removed'`,
+        [recipientId, definitionId, workspaceId]
+      );
+      if (Number(result.affectedRows || 0) !== 1) throw createReportError(404, 'report_recipient_not_found');
+      await connection.query(
+        `UPDATE report_deliveries
+         SET status = 'skipped', failure_code = 'report_recipient_removed', updated_at = UTC_TIMESTAMP(3)
+         WHERE report_recipient_id = ? AND workspace_id = ? AND status = 'pending'`,
+        [recipientId, workspaceId]
+      );
+      await writeDeliveryAudit(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'report.recipient_removed',
+        targetType: 'report_recipient',
+        targetId: recipientId,
+        metadata: { report_definition_id: definitionId }
+      });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+    return { recipients: await definitionRecipients(connection, workspaceId, definitionId) };
+  });
+}
+
+function serializeDelivery(row) {
+  return {
+    id: row.id,
+    recipient_id: row.report_recipient_id,
+    email: row.email,
+    delivery_method: row.delivery_method,
+    status: row.status,
+    attempts: Number(row.attempts || 0),
+    failure_code: row.failure_code,
+    sent_at: isoDateTime(row.sent_at),
+    bounced_at: isoDateTime(row.bounced_at),
+    link_consumed_at: isoDateTime(row.link_consumed_at),
+    created_at: isoDateTime(row.created_at)
+  };
+}
+
+async function listReportDeliveries(userId, workspaceId, reportRunId) {
+  getReadyConfiguration();
+  assertUuid(reportRunId, 'invalid_report_id');
+  return withConnection(async connection => {
+    await requireReportCapability(connection, workspaceId, userId);
+    const runs = await connection.query(
+      `SELECT id FROM report_runs WHERE id = ? AND workspace_id = ? AND deleted_at IS NULL LIMIT 1`,
+      [reportRunId, workspaceId]
+    );
+    if (!runs[0]) throw createReportError(404, 'report_not_found');
+    const rows = await connection.query(
+      `SELECT * FROM report_deliveries
+       WHERE report_run_id = ? AND workspace_id = ?
+       ORDER BY created_at, email`,
+      [reportRunId, workspaceId]
+    );
+    return { deliveries: rows.map(serializeDelivery) };
+  });
+}
+
+async function queueReportDeliveries(connection, run, configuration) {
+  const recipients = await connection.query(
+    `SELECT id, email, delivery_mode FROM report_recipients
+     WHERE report_definition_id = ? AND workspace_id = ? AND status = 'active'
+     ORDER BY created_at, email`,
+    [run.report_definition_id, run.workspace_id]
+  );
+  for (const recipient of recipients) {
+    await connection.query(
+      `INSERT IGNORE INTO report_deliveries
+        (id, report_run_id, report_recipient_id, workspace_id, email, delivery_method, max_attempts)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        createId(),
+        run.id,
+        recipient.id,
+        run.workspace_id,
+        recipient.email,
+        recipient.delivery_mode,
+        configuration.deliveryMaxAttempts
+      ]
+    );
+  }
+  return recipients.length;
+}
+
+async function failAbandonedDeliveries(connection) {
+  const result = await connection.query(
+    `UPDATE report_deliveries
+     SET status = 'failed', failure_code = 'report_delivery_lease_expired',
+         lease_owner = NULL, lease_expires_at = NULL, updated_at = UTC_TIMESTAMP(3)
+     WHERE status = 'sending' AND lease_expires_at < UTC_TIMESTAMP(3) AND attempts >= max_attempts
+     LIMIT 100`
+  );
+  return Number(result.affectedRows || 0);
+}
+
+async function claimNextDelivery(owner, configuration) {
+  return withConnection(async connection => {
+    const candidates = await connection.query(
+      `SELECT id FROM report_deliveries
+       WHERE attempts < max_attempts
+         AND (
+           (status = 'pending' AND run_after <= UTC_TIMESTAMP(3))
+           OR (status = 'sending' AND lease_expires_at < UTC_TIMESTAMP(3))
+         )
+       ORDER BY run_after ASC, created_at ASC
+       LIMIT 5`
+    );
+    for (const candidate of candidates) {
+      const result = await connection.query(
+        `UPDATE report_deliveries
+         SET status = 'sending', attempts = attempts + 1, lease_owner = ?,
+             lease_expires_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             failure_code = NULL, updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ? AND attempts < max_attempts
+           AND (
+             (status = 'pending' AND run_after <= UTC_TIMESTAMP(3))
+             OR (status = 'sending' AND lease_expires_at < UTC_TIMESTAMP(3))
+           )`,
+        [owner, configuration.leaseSeconds, candidate.id]
+      );
+      if (Number(result.affectedRows || 0) !== 1) continue;
+      const rows = await connection.query(
+        `SELECT d.*, rec.status AS recipient_status, rec.recipient_type, rec.user_id AS recipient_user_id,
+                rec.delivery_mode, rd.title, rr.configuration_snapshot, rr.deleted_at AS run_deleted_at,
+                w.name AS workspace_name, wm.status AS membership_status,
+                ra.storage_key, ra.download_filename, ra.byte_size, ra.status AS artifact_status,
+                DATE_FORMAT(ra.expires_at, '%Y-%m-%d %H:%i:%s.%f') AS artifact_expires_at,
+                CASE WHEN ra.expires_at > UTC_TIMESTAMP(3) THEN 1 ELSE 0 END AS artifact_unexpired
+         FROM report_deliveries d
+         JOIN report_recipients rec ON rec.id = d.report_recipient_id AND rec.workspace_id = d.workspace_id
+         JOIN report_runs rr ON rr.id = d.report_run_id AND rr.workspace_id = d.workspace_id
+         JOIN report_definitions rd ON rd.id = rr.report_definition_id AND rd.workspace_id = rr.workspace_id
+         JOIN workspaces w ON w.id = d.workspace_id
+         LEFT JOIN workspace_memberships wm
+           ON wm.workspace_id = d.workspace_id AND wm.user_id = rec.user_id AND wm.status = 'active'
+         LEFT JOIN report_artifacts ra ON ra.report_run_id = rr.id AND ra.workspace_id = rr.workspace_id
+         WHERE d.id = ? LIMIT 1`,
+        [candidate.id]
+      );
+      if (rows[0]) return rows[0];
+    }
+    return null;
+  });
+}
+
+function skipReason(delivery) {
+  if (delivery.recipient_status !== 'active') return 'report_recipient_inactive';
+  if (delivery.recipient_type === 'member' && !delivery.membership_status) return 'report_recipient_not_member';
+  if (delivery.run_deleted_at || delivery.artifact_status !== 'active' || !Number(delivery.artifact_unexpired)) {
+    return 'report_artifact_not_available';
+  }
+  return null;
+}
+
+async function finishDelivery(delivery, owner, status, failureCode) {
+  await withConnection(connection => connection.query(
+    `UPDATE report_deliveries
+     SET status = ?, failure_code = ?, lease_owner = NULL, lease_expires_at = NULL,
+         updated_at = UTC_TIMESTAMP(3)
+     WHERE id = ? AND status = 'sending' AND lease_owner = ?`,
+    [status, failureCode, delivery.id, owner]
+  ));
+  return { report_delivery_id: delivery.id, status, failure_code: failureCode };
+}
+
+function rangeLabel(delivery) {
+  const snapshot = parseJson(delivery.configuration_snapshot, {});
+  const range = snapshot.report && snapshot.report.range;
+  return range && range.from && range.to ? `${range.from} to ${range.to}` : null;
+}
+
+async function prepareMessage(delivery, owner, configuration) {
+  const byteSize = Number(delivery.byte_size);
+  const message = {
+    email: delivery.email,
+    workspaceName: delivery.workspace_name,
+    reportTitle: delivery.title,
+    rangeLabel: rangeLabel(delivery)
+  };
+  const tokens = { link: null, unsubscribe: null, linkExpiresAt: null };
+  let method = 'link';
+  if (delivery.delivery_mode === 'attachment' && byteSize <= configuration.emailAttachmentMaxBytes) {
+    const artifactPath = resolveStoragePath(configuration.artifactRoot, delivery.storage_key);
+    const content = await fs.readFile(artifactPath).catch(() => null);
+    if (!content || content.length !== byteSize) throw createReportError(404, 'report_artifact_missing');
+    message.attachment = { filename: delivery.download_filename, content };
+    method = 'attachment';
+  } else {
+    const artifactExpiresAt = parseSqlDateTime(delivery.artifact_expires_at);
+    tokens.link = randomToken(32);
+    tokens.linkExpiresAt = new Date(Math.min(
+      artifactExpiresAt.getTime(),
+      Date.now() + configuration.emailLinkTtlHours * 3600000
+    ));
+    message.linkPath = `/api/report-links/${tokens.link}`;
+    message.linkExpiresAt = tokens.linkExpiresAt;
+  }
+  if (delivery.recipient_type === 'external') {
+    tokens.unsubscribe = randomToken(32);
+    message.unsubscribePath = `/api/report-unsubscribe/${tokens.unsubscribe}`;
+  }
+  await withConnection(connection => connection.query(
+    `UPDATE report_deliveries
+     SET delivery_method = ?, link_token_hash = ?, link_expires_at = ?, link_consumed_at = NULL,
+         unsubscribe_token_hash = ?, updated_at = UTC_TIMESTAMP(3)
+     WHERE id = ? AND status = 'sending' AND lease_owner = ?`,
+    [
+      method,
+      tokens.link ? hashSecret(tokens.link) : null,
+      tokens.linkExpiresAt ? sqlDateTime(tokens.linkExpiresAt) : null,
+      tokens.unsubscribe ? hashSecret(tokens.unsubscribe) : null,
+      delivery.id,
+      owner
+    ]
+  ));
+  return { message, method };
+}
+
+async function recordDeliverySent(delivery, owner, method, messageId) {
+  await withConnection(async connection => {
+    try {
+      await connection.beginTransaction();
+      const result = await connection.query(
+        `UPDATE report_deliveries
+         SET status = 'sent', message_id = ?, sent_at = UTC_TIMESTAMP(3), failure_code = NULL,
+             lease_owner = NULL, lease_expires_at = NULL, updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ? AND status = 'sending' AND lease_owner = ?`,
+        [messageId, delivery.id, owner]
+      );
+      if (Number(result.affectedRows || 0) !== 1) throw createReportError(409, 'report_delivery_lease_lost');
+      await connection.query(
+        `UPDATE report_recipients
+         SET consecutive_failures = 0, last_failure_code = NULL, last_delivered_at = UTC_TIMESTAMP(3),
+             updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [delivery.report_recipient_id]
+      );
+      await writeDeliveryAudit(connection, {
+        workspaceId: delivery.workspace_id,
+        action: 'report.delivered',
+        targetType: 'report_run',
+        targetId: delivery.report_run_id,
+        metadata: { report_delivery_id: delivery.id, delivery_method: method, recipient_type: delivery.recipient_type }
+      });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function recordDeliveryFailure(delivery, owner, error) {
+  const code = String(error && (error.code || error.message) || 'report_delivery_failed').slice(0, 120);
+  const bounced = code === 'mail_recipient_rejected';
+  const retry = !bounced && code !== 'report_artifact_missing' && Number(delivery.attempts) < Number(delivery.max_attempts);
+  const status = bounced ? 'bounced' : retry ? 'pending' : 'failed';
+  const backoffSeconds = Math.min(3600, 60 * (2 ** Math.max(Number(delivery.attempts) - 1, 0)));
+  await withConnection(async connection => {
+    try {
+      await connection.beginTransaction();
+      await connection.query(
+        `UPDATE report_deliveries
+         SET status = ?, failure_code = ?,
+             run_after = CASE WHEN ? THEN DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND) ELSE run_after END,
+             bounced_at = CASE WHEN ? THEN UTC_TIMESTAMP(3) ELSE bounced_at END,
+             link_token_hash = NULL, link_expires_at = NULL, unsubscribe_token_hash = NULL,
+             lease_owner = NULL, lease_expires_at = NULL, updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ? AND status = 'sending' AND lease_owner = ?`,
+        [status, code, retry, backoffSeconds, bounced, delivery.id, owner]
+      );
+      if (bounced) {
+        await connection.query(
+          `UPDATE report_recipients
+           SET status = CASE WHEN status = 'active' THEN 'suppressed' ELSE status END,
+               bounced_at = UTC_TIMESTAMP(3), last_failure_code = ?, updated_at = UTC_TIMESTAMP(3)
+           WHERE id = ?`,
+          [code, delivery.report_recipient_id]
+        );
+      } else if (!retry) {
+        await connection.query(
+          `UPDATE report_recipients
+           SET consecutive_failures = consecutive_failures + 1, last_failure_code = ?,
+               status = CASE WHEN status = 'active' AND consecutive_failures + 1 >= ? THEN 'suppressed' ELSE status END,
+               updated_at = UTC_TIMESTAMP(3)
+           WHERE id = ?`,
+          [code, MAX_RECIPIENT_FAILURES, delivery.report_recipient_id]
+        );
+      }
+      if (!retry) {
+        await writeDeliveryAudit(connection, {
+          workspaceId: delivery.workspace_id,
+          action: bounced ? 'report.delivery_bounced' : 'report.delivery_failed',
+          targetType: 'report_run',
+          targetId: delivery.report_run_id,
+          metadata: { report_delivery_id: delivery.id, failure_code: code, attempts: Number(delivery.attempts) }
+        });
+      }
+      await connection.commit();
+    } catch (transactionError) {
+      await connection.rollback();
+      throw transactionError;
+    }
+  });
+  return { report_delivery_id: delivery.id, status, failure_code: code };
+}
+
+async function deliverClaimed(delivery, owner, configuration) {
+  const reason = skipReason(delivery);
+  if (reason) return finishDelivery(delivery, owner, 'skipped', reason);
+  try {
+    const { message, method } = await prepareMessage(delivery, owner, configuration);
+    const result = await sendReportReadyEmail(message);
+    if (!result.sent) return finishDelivery(delivery, owner, 'skipped', 'mail_delivery_suppressed');
+    await recordDeliverySent(delivery, owner, method, result.messageId);
+    return { report_delivery_id: delivery.id, status: 'sent', delivery_method: method };
+  } catch (error) {
+    return recordDeliveryFailure(delivery, owner, error);
+  }
+}
+
+async function sendDueReportDeliveries({
+  configuration = getReportConfiguration(),
+  owner,
+  deadlineMs = Date.now() + 60000
+} = {}) {
+  const summary = { sent: 0, retrying: 0, failed: 0, bounced: 0, skipped: 0 };
+  if (!configuration.ready) return summary;
+  summary.failed += await withConnection(failAbandonedDeliveries);
+  for (let index = 0; index < MAX_DELIVERIES_PER_PASS && Date.now() < deadlineMs - 1000; index += 1) {
+    const delivery = await claimNextDelivery(owner, configuration);
+    if (!delivery) break;
+    const result = await deliverClaimed(delivery, owner, configuration);
+    if (result.status === 'pending') summary.retrying += 1;
+    else if (summary[result.status] !== undefined) summary[result.status] += 1;
+  }
+  return summary;
+}
+
+function requireToken(token, code) {
+  if (!TOKEN_PATTERN.test(String(token || ''))) throw createReportError(404, code);
+  return String(token);
+}
+
+async function findReportDeliveryLink(connection, token, lock = false) {
+  const rows = await connection.query(
+    `SELECT d.id, d.workspace_id, d.report_run_id, d.link_consumed_at, rec.status AS recipient_status,
+            CASE WHEN d.link_expires_at > UTC_TIMESTAMP(3) THEN 1 ELSE 0 END AS link_unexpired,
+            rr.deleted_at AS run_deleted_at, ra.storage_key, ra.download_filename, ra.mime_type,
+            ra.byte_size, ra.status AS artifact_status,
+            CASE WHEN ra.expires_at > UTC_TIMESTAMP(3) THEN 1 ELSE 0 END AS artifact_unexpired
+     FROM report_deliveries d
+     JOIN report_recipients rec ON rec.id = d.report_recipient_id AND rec.workspace_id = d.workspace_id
+     JOIN report_runs rr ON rr.id = d.report_run_id AND rr.workspace_id = d.workspace_id
+     LEFT JOIN report_artifacts ra ON ra.report_run_id = rr.id AND ra.workspace_id = rr.workspace_id
+     WHERE d.link_token_hash = ? AND d.status = 'sent'
+     LIMIT 1 ${lock ? 'FOR UPDATE' : ''}`,
+    [hashSecret(requireToken(token, 'report_link_not_found'))]
+  );
+  const delivery = rows[0];
+  if (!delivery) throw createReportError(404, 'report_link_not_found');
+  if (delivery.link_consumed_at) throw createReportError(410, 'report_link_consumed');
+  if (!Number(delivery.link_unexpired)) throw createReportError(410, 'report_link_expired');
+  if (delivery.recipient_status === 'removed') throw createReportError(410, 'report_link_revoked');
+  if (delivery.run_deleted_at || delivery.artifact_status !== 'active' || !Number(delivery.artifact_unexpired)) {
+    throw createReportError(410, 'report_artifact_expired');
+  }
+  return delivery;
+}
+
+async function getReportDeliveryLink(token) {
+  getReadyConfiguration();
+  return withConnection(async connection => {
+    const delivery = await findReportDeliveryLink(connection, token);
+    return { filename: delivery.download_filename };
+  });
+}
+
+async function consumeReportDeliveryLink(token) {
+  const configuration = getReadyConfiguration();
+  return withConnection(async connection => {
+    try {
+      await connection.beginTransaction();
+      const delivery = await findReportDeliveryLink(connection, token, true);
+      const artifactPath = resolveStoragePath(configuration.artifactRoot, delivery.storage_key);
+      const stat = await fs.stat(artifactPath).catch(() => null);
+      if (!stat || !stat.isFile() || stat.size !== Number(delivery.byte_size)) {
+        throw createReportError(404, 'report_artifact_missing');
+      }
+      await connection.query(
+        `UPDATE report_deliveries SET link_consumed_at = UTC_TIMESTAMP(3), updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ? AND link_consumed_at IS NULL`,
+        [delivery.id]
+      );
+      await writeDeliveryAudit(connection, {
+        workspaceId: delivery.workspace_id,
+        action: 'report.delivery_link_used',
+        targetType: 'report_run',
+        targetId: delivery.report_run_id,
+        metadata: { report_delivery_id: delivery.id }
+      });
+      await connection.commit();
+      return {
+        path: artifactPath,
+        filename: delivery.download_filename,
+        mimeType: delivery.mime_type,
+        byteSize: Number(delivery.byte_size)
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function findUnsubscribeTarget(connection, token, lock = false) {
+  const rows = await connection.query(
+    `SELECT d.workspace_id, rec.id AS recipient_id, rec.status, rd.title
+     FROM report_deliveries d
+     JOIN report_recipients rec ON rec.id = d.report_recipient_id AND rec.workspace_id = d.workspace_id
+     JOIN report_definitions rd ON rd.id = rec.report_definition_id AND rd.workspace_id = rec.workspace_id
+     WHERE d.unsubscribe_token_hash = ? AND rec.recipient_type = 'external'
+     LIMIT 1 ${lock ? 'FOR UPDATE' : ''}`,
+    [hashSecret(requireToken(token, 'report_unsubscribe_not_found'))]
+  );
+  if (!rows[0] || rows[0].status === 'removed') throw createReportError(404, 'report_unsubscribe_not_found');
+  return rows[0];
+}
+
+async function getReportUnsubscribe(token) {
+  return withConnection(async connection => {
+    const target = await findUnsubscribeTarget(connection, token);
+    return { report_title: target.title, unsubscribed: target.status === 'unsubscribed' };
+  });
+}
+
+async function unsubscribeReportRecipient(token) {
+  return withConnection(async connection => {
+    try {
+      await connection.beginTransaction();
+      const target = await findUnsubscribeTarget(connection, token, true);
+      if (target.status !== 'unsubscribed') {
+        await connection.query(
+          `UPDATE report_recipients
+           SET status = 'unsubscribed', unsubscribed_at = UTC_TIMESTAMP(3), updated_at = UTC_TIMESTAMP(3)
+           WHERE id = ?`,
+          [target.recipient_id]
+        );
+        await connection.query(
+          `UPDATE report_deliveries
+           SET status = 'skipped', failure_code = 'report_recipient_unsubscribed', updated_at = UTC_TIMESTAMP(3)
+           WHERE report_recipient_id = ? AND status = 'pending'`,
+          [target.recipient_id]
+        );
+        await writeDeliveryAudit(connection, {
+          workspaceId: target.workspace_id,
+          action: 'report.recipient_unsubscribed',
+          targetType: 'report_recipient',
+          targetId: target.recipient_id
+        });
+      }
+      await connection.commit();
+      return { report_title: target.title, unsubscribed: true };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+function authorizeBounceWebhook(authorization, env = process.env) {
+  const secret = String(env.REPORT_BOUNCE_WEBHOOK_SECRET || '');
+  if (!secret) throw createReportError(404, 'not_found');
+  const match = String(authorization || '').match(/^Bearer\s+(.+)$/i);
+  const provided = crypto.createHash('sha256').update(match ? match[1].trim() : '').digest();
+  const expected = crypto.createHash('sha256').update(secret).digest();
+  if (!match || !crypto.timingSafeEqual(provided, expected)) throw createReportError(401, 'invalid_bounce_webhook_secret');
+}
+
+async function recordReportDeliveryBounce(body = {}) {
+  const messageId = String(body.message_id || '').trim();
+  const type = String(body.type || 'hard');
+  if (!messageId || messageId.length > 255) throw createReportError(400, 'invalid_bounce_message_id');
+  if (!BOUNCE_TYPES.includes(type)) throw createReportError(400, 'invalid_bounce_type');
+  return withConnection(async connection => {
+    try {
+      await connection.beginTransaction();
+      const rows = await connection.query(
+        `SELECT id, workspace_id, report_run_id, report_recipient_id FROM report_deliveries
+         WHERE message_id = ? AND status = 'sent'
+         LIMIT 1 FOR UPDATE`,
+        [messageId]
+      );
+      const delivery = rows[0];
+      if (!delivery) {
+        await connection.commit();
+        return { recorded: false };
+      }
+      const failureCode = `mail_${type}_bounce`;
+      await connection.query(
+        `UPDATE report_deliveries
+         SET status = 'bounced', bounced_at = UTC_TIMESTAMP(3), failure_code = ?, updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [failureCode, delivery.id]
+      );
+      if (type === 'soft') {
+        await connection.query(
+          `UPDATE report_recipients
+           SET consecutive_failures = consecutive_failures + 1, last_failure_code = ?,
+               status = CASE WHEN status = 'active' AND consecutive_failures + 1 >= ? THEN 'suppressed' ELSE status END,
+               updated_at = UTC_TIMESTAMP(3)
+           WHERE id = ?`,
+          [failureCode, MAX_RECIPIENT_FAILURES, delivery.report_recipient_id]
+        );
+      } else {
+        await connection.query(
+          `UPDATE report_recipients
+           SET status = CASE
+                 WHEN status IN ('active', 'suppressed') AND ? THEN 'unsubscribed'
+                 WHEN status = 'active' THEN 'suppressed'
+                 ELSE status
+               END,
+               unsubscribed_at = CASE WHEN ? THEN UTC_TIMESTAMP(3) ELSE unsubscribed_at END,
+               bounced_at = UTC_TIMESTAMP(3), last_failure_code = ?, updated_at = UTC_TIMESTAMP(3)
+           WHERE id = ?`,
+          [type === 'complaint', type === 'complaint', failureCode, delivery.report_recipient_id]
+        );
+      }
+      await writeDeliveryAudit(connection, {
+        workspaceId: delivery.workspace_id,
+        action: 'report.delivery_bounced',
+        targetType: 'report_run',
+        targetId: delivery.report_run_id,
+        metadata: { report_delivery_id: delivery.id, failure_code: failureCode }
+      });
+      await connection.commit();
+      return { recorded: true };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+module.exports = {
+  addReportRecipient,
+  authorizeBounceWebhook,
+  consumeReportDeliveryLink,
+  getReportDeliveryLink,
+  getReportUnsubscribe,
+  listReportDeliveries,
+  listReportRecipients,
+  queueReportDeliveries,
+  recordReportDeliveryBounce,
+  removeReportRecipient,
+  sendDueReportDeliveries,
+  unsubscribeReportRecipient
+};
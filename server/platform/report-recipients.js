@@ -0,0 +1,136 @@
+const { createId, normalizeEmail } = require('./security');
+
+const DELIVERY_MODES = Object.freeze(['link', 'attachment']);
+const EMAIL_PATTERN = /^[^\s@<>()[\]\\,;:"]+@[^\s@<>()[\]\\,;:"]+\.[^\s@<>()[\]\\,;:"]+$/;
+
+function createRecipientError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function normalizeRecipient(recipient) {
+  const email = normalizeEmail(recipient && recipient.email);
+  if (!email || email.length > 320 || !EMAIL_PATTERN.test(email)) {
+    throw createRecipientError(400, 'invalid_report_recipient');
+  }
+  const deliveryMode = String(recipient && recipient.delivery_mode || 'link');
+  if (!DELIVERY_MODES.includes(deliveryMode)) throw createRecipientError(400, 'invalid_report_delivery_mode');
+  return { email, delivery_mode: deliveryMode };
+}
+
+function normalizeReportRecipients(value, configuration) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.length > configuration.maxRecipients) {
+    throw createRecipientError(400, 'invalid_report_recipient_count');
+  }
+  const seen = new Set();
+  return value.map(recipient => {
+    const normalized = normalizeRecipient(recipient);
+    if (seen.has(normalized.email)) throw createRecipientError(400, 'duplicate_report_recipient');
+    seen.add(normalized.email);
+    return normalized;
+  });
+}
+
+async function findWorkspaceMember(connection, workspaceId, email) {
+  const rows = await connection.query(
+    `SELECT u.id
+     FROM users u
+     JOIN workspace_memberships wm ON wm.user_id = u.id AND wm.workspace_id = ? AND wm.status = 'active'
+     WHERE u.email = ? AND u.deleted_at IS NULL
+     LIMIT 1`,
+    [workspaceId, email]
+  );
+  return rows[0] ? rows[0].id : null;
+}
+
+async function upsertReportRecipient(connection, { workspaceId, definitionId, userId, recipient }) {
+  const memberId = await findWorkspaceMember(connection, workspaceId, recipient.email);
+  const existing = await connection.query(
+    `SELECT id, status FROM report_recipients
+     WHERE report_definition_id = ? AND workspace_id = ? AND email = ?
+     LIMIT 1 FOR UPDATE`,
+    [definitionId, workspaceId, recipient.email]
+  );
+  if (existing[0]) {
+    if (existing[0].status === 'unsubscribed') throw createRecipientError(409, 'report_recipient_unsubscribed');
+    await connection.query(
+      `UPDATE report_recipients
+       SET status = 'active', delivery_mode = ?, user_id = ?, recipient_type = ?,
+           consecutive_failures = 0, last_failure_code = NULL, bounced_at = NULL,
+           updated_at = UTC_TIMESTAMP(3)
+       WHERE id = ?`,
+      [recipient.delivery_mode, memberId, memberId ? 'member' : 'external', existing[0].id]
+    );
+    return existing[0].id;
+  }
+  const id = createId();
+  await connection.query(
+    `INSERT INTO report_recipients
+      (id, report_definition_id, workspace_id, email, user_id, recipient_type, delivery_mode, created_by_user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      id,
+      definitionId,
+      workspaceId,
+      recipient.email,
+      memberId,
+      memberId ? 'member' : 'external',
+      recipient.delivery_mode,
+      userId
+    ]
+  );
+  return id;
+}
+
+async function countActiveRecipients(connection, workspaceId, definitionId) {
+  const rows = await connection.query(
+    `SELECT COUNT(*) AS count FROM report_recipients
+     WHERE report_definition_id = ? AND workspace_id = ? AND status <> 'removed'`,
+    [definitionId, workspaceId]
+  );
+  return Number(rows[0] && rows[0].count || 0);
+}
+
+function serializeRecipient(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    recipient_type: row.recipient_type,
+    delivery_mode: row.delivery_mode,
+    status: row.status,
+    consecutive_failures: Number(row.consecutive_failures || 0),
+    last_failure_code: row.last_failure_code,
+    last_delivered_at: row.last_delivered_at ? new Date(row.last_delivered_at).toISOString() : null
+  };
+}
+
+async function listDefinitionRecipients(connection, workspaceId, definitionIds) {
+  if (!definitionIds.length) return new Map();
+  const rows = await connection.query(
+    `SELECT * FROM report_recipients
+     WHERE workspace_id = ? AND status <> 'removed'
+       AND report_definition_id IN (${definitionIds.map(() => '?').join(', ')})
+     ORDER BY report_definition_id, created_at, email`,
+    [workspaceId, ...definitionIds]
+  );
+  const byDefinition = new Map();
+  for (const row of rows) {
+    const values = byDefinition.get(row.report_definition_id) || [];
+    values.push(serializeRecipient(row));
+    byDefinition.set(row.report_definition_id, values);
+  }
+  return byDefinition;
+}
+
+module.exports = {
+  DELIVERY_MODES,
+  countActiveRecipients,
+  listDefinitionRecipients,
+  normalizeRecipient,
+  normalizeReportRecipients,
+  serializeRecipient,
+  upsertReportRecipient
+};
@@ -0,0 +1,154 @@
+const SCHEDULE_FREQUENCIES = Object.freeze(['weekly', 'monthly', 'first_business_day']);
+const RELATIVE_RANGES = Object.freeze([
+  'last_7_days',
+  'last_30_days',
+  'last_90_days',
+  'last_full_week',
+  'last_full_month'
+]);
+const DAY_MS = 86400000;
+const SEARCH_DAYS = 400;
+
+function createRecurrenceError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function integerInRange(value, minimum, maximum, code) {
+  const parsed = Number(value);
+  if (!Number.isSafeInteger(parsed) || parsed < minimum || parsed > maximum) {
+    throw createRecurrenceError(400, code);
+  }
+  return parsed;
+}
+
+function normalizeScheduleRule(body = {}) {
+  const frequency = String(body.frequency || '');
+  if (!SCHEDULE_FREQUENCIES.includes(frequency)) throw createRecurrenceError(400, 'invalid_schedule_frequency');
+  const relativeRange = String(body.relative_range || 'last_full_month');
+  if (!RELATIVE_RANGES.includes(relativeRange)) throw createRecurrenceError(400, 'invalid_schedule_range');
+  const time = String(body.run_time || '08:00').match(/^(\d{2}):(\d{2})$/);
+  if (!time) throw createRecurrenceError(400, 'invalid_schedule_time');
+  return {
+    frequency,
+    weekday: frequency === 'weekly'
+      ? integerInRange(body.weekday === undefined ? 1 : body.weekday, 1, 7, 'invalid_schedule_weekday')
+      : null,
+    day_of_month: frequency === 'monthly'
+      ? integerInRange(body.day_of_month === undefined ? 1 : body.day_of_month, 1, 28, 'invalid_schedule_day')
+      : null,
+    run_hour: integerInRange(time[1], 0, 23, 'invalid_schedule_time'),
+    run_minute: integerInRange(time[2], 0, 59, 'invalid_schedule_time'),
+    relative_range: relativeRange
+  };
+}
+
+function zonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const values = Object.fromEntries(parts.filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)]));
+  return {
+    year: values.year,
+    month: values.month,
+    day: values.day,
+    hour: values.hour,
+    minute: values.minute,
+    second: values.second
+  };
+}
+
+function timezoneOffset(time, timezone) {
+  const parts = zonedParts(new Date(time), timezone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(time / 1000) * 1000;
+}
+
+function zonedTimeToUtc(civilDay, hour, minute, timezone) {
+  const wallClock = civilDay + (hour * 60 + minute) * 60000;
+  const firstGuess = wallClock - timezoneOffset(wallClock, timezone);
+  const secondOffset = timezoneOffset(firstGuess, timezone);
+  return new Date(wallClock - secondOffset);
+}
+
+function localCivilDay(date, timezone) {
+  const parts = zonedParts(date, timezone);
+  return Date.UTC(parts.year, parts.month - 1, parts.day);
+}
+
+function isoWeekday(civilDay) {
+  const day = new Date(civilDay).getUTCDay();
+  return day === 0 ? 7 : day;
+}
+
+function formatCivilDay(civilDay) {
+  return new Date(civilDay).toISOString().slice(0, 10);
+}
+
+function occursOn(rule, civilDay) {
+  const weekday = isoWeekday(civilDay);
+  const dayOfMonth = new Date(civilDay).getUTCDate();
+  if (rule.frequency === 'weekly') return weekday === rule.weekday;
+  if (rule.frequency === 'monthly') return dayOfMonth === rule.day_of_month;
+  return weekday <= 5 && (dayOfMonth === 1 || (weekday === 1 && dayOfMonth <= 3));
+}
+
+function nextOccurrence(rule, timezone, after = new Date()) {
+  const start = localCivilDay(after, timezone) - DAY_MS;
+  for (let offset = 0; offset <= SEARCH_DAYS; offset += 1) {
+    const civilDay = start + offset * DAY_MS;
+    if (!occursOn(rule, civilDay)) continue;
+    const runAt = zonedTimeToUtc(civilDay, rule.run_hour, rule.run_minute, timezone);
+    if (runAt.getTime() > after.getTime()) return runAt;
+  }
+  throw createRecurrenceError(400, 'schedule_has_no_occurrence');
+}
+
+function nextOccurrences(rule, timezone, after = new Date(), count = 5) {
+  const occurrences = [];
+  let cursor = after;
+  while (occurrences.length < count) {
+    cursor = nextOccurrence(rule, timezone, cursor);
+    occurrences.push(cursor);
+  }
+  return occurrences;
+}
+
+function relativeRange(rangeKey, timezone, runAt) {
+  const today = localCivilDay(runAt, timezone);
+  let from;
+  let to;
+  if (rangeKey === 'last_full_week') {
+    const monday = today - (isoWeekday(today) - 1) * DAY_MS;
+    from = monday - 7 * DAY_MS;
+    to = monday - DAY_MS;
+  } else if (rangeKey === 'last_full_month') {
+    const current = new Date(today);
+    from = Date.UTC(current.getUTCFullYear(), current.getUTCMonth() - 1, 1);
+    to = Date.UTC(current.getUTCFullYear(), current.getUTCMonth(), 1) - DAY_MS;
+  } else {
+    const days = { last_7_days: 7, last_30_days: 30, last_90_days: 90 }[rangeKey];
+    if (!days) throw createRecurrenceError(400, 'invalid_schedule_range');
+    from = today - days * DAY_MS;
+    to = today - DAY_MS;
+  }
+  return { from: formatCivilDay(from), to: formatCivilDay(to) };
+}
+
+module.exports = {
+  RELATIVE_RANGES,
+  SCHEDULE_FREQUENCIES,
+  nextOccurrence,
+  nextOccurrences,
+  normalizeScheduleRule,
+  relativeRange
+};
@@ -20,7 +20,12 @@ const PROVIDER_COLORS = Object.freeze({
   youtube: '#DC2626',
   facebook_pages: '#2563EB',
   instagram: '#C026D3',
-  google_analytics_4: '#D97706'
+  linkedin: '#0A66C2',
+  google_analytics_4: '#D97706',
+  google_search_console: '#059669',
+  pinterest: '#E60023',
+  threads: '#101010',
+  bluesky: '#1185FE'
 });
 
 class ReportRenderError extends Error {
@@ -467,7 +472,15 @@ function renderReportPdf({ snapshot, outputPath, limits = {}, now = new Date() }
       metricCards(source.metrics || []);
       sectionHeading('Stored trend');
       trendChart(source);
-      sectionHeading(source.provider === 'google_analytics_4' ? 'Top website paths' : 'Top content');
+      sectionHeading(source.provider === 'google_analytics_4'
+        ? 'Top website paths'
+        : source.provider === 'google_search_console'
+          ? 'Top search queries'
+          : source.provider === 'linkedin'
+            ? 'Top posts'
+            : source.provider === 'pinterest'
+              ? 'Top pins'
+              : ['threads', 'bluesky'].includes(source.provider) ? 'Top posts' : 'Top content');
       contentTable(source);
     }
 
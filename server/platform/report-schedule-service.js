@@ -0,0 +1,628 @@
+const crypto = require('crypto');
+const { getConnection } = require('../database');
+const { getReportConfiguration } = require('./report-config');
+const {
+  nextOccurrence,
+  nextOccurrences,
+  normalizeScheduleRule,
+  relativeRange
+} = require('./report-recurrence');
+const {
+  listDefinitionRecipients,
+  normalizeReportRecipients,
+  upsertReportRecipient
+} = require('./report-recipients');
+const {
+  buildReportSnapshot,
+  createReportError,
+  fetchReportRows,
+  getReadyConfiguration,
+  insertReportDefinition,
+  insertReportRun,
+  normalizeReportContent,
+  normalizeReportTimezone,
+  requireReportCapability,
+  resolveResources,
+  withReportRange
+} = require('./report-service');
+const { assertUuid } = require('./report-storage');
+const { createAuditLog } = require('./repositories');
+const { loadResourceScope, scopeAllowsConnection } = require('./resource-scope');
+const { createId } = require('./security');
+
+const MAX_ACTIVE_SCHEDULES = 25;
+const MAX_SCHEDULES_PER_PASS = 25;
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+function parseJson(value, fallback = null) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function isoDateTime(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function sqlDateTime(date) {
+  return date.toISOString().slice(0, 23).replace('T', ' ');
+}
+
+function parseSqlDateTime(value) {
+  return new Date(`${String(value).slice(0, 23).replace(' ', 'T')}Z`);
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createReportError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+function scheduleRule(row) {
+  return {
+    frequency: row.frequency,
+    weekday: row.weekday === null ? null : Number(row.weekday),
+    day_of_month: row.day_of_month === null ? null : Number(row.day_of_month),
+    run_hour: Number(row.run_hour),
+    run_minute: Number(row.run_minute),
+    relative_range: row.relative_range
+  };
+}
+
+function runTime(rule) {
+  return `${String(rule.run_hour).padStart(2, '0')}:${String(rule.run_minute).padStart(2, '0')}`;
+}
+
+function upcomingRuns(rule, timezone, after, count) {
+  return nextOccurrences(rule, timezone, after, count).map(runAt => ({
+    run_at: runAt.toISOString(),
+    range: relativeRange(rule.relative_range, timezone, runAt)
+  }));
+}
+
+function serializeSchedule(row, resources = [], recipients = []) {
+  const rule = scheduleRule(row);
+  const configuration = parseJson(row.configuration, {});
+  const nextRunAt = row.next_run_at ? new Date(row.next_run_at) : null;
+  return {
+    id: row.id,
+    definition_id: row.report_definition_id,
+    title: row.title,
+    subtitle: row.subtitle,
+    timezone: row.timezone,
+    comparison_enabled: Boolean(row.comparison_enabled),
+    sections: configuration.sections || [],
+    resources,
+    recipients,
+    schedule: {
+      frequency: rule.frequency,
+      weekday: rule.weekday,
+      day_of_month: rule.day_of_month,
+      run_time: runTime(rule),
+      relative_range: rule.relative_range
+    },
+    status: row.status,
+    pause_reason: row.pause_reason,
+    next_run_at: isoDateTime(row.next_run_at),
+    last_queued_at: isoDateTime(row.last_queued_at),
+    last_report_run_id: row.last_report_run_id,
+    consecutive_failures: Number(row.consecutive_failures || 0),
+    created_by_user_id: row.created_by_user_id,
+    created_at: isoDateTime(row.created_at),
+    upcoming_runs: row.status === 'active' && nextRunAt
+      ? upcomingRuns(rule, row.timezone, new Date(nextRunAt.getTime() - 1), 3)
+      : []
+  };
+}
+
+async function fetchScheduleRows(connection, workspaceId, scheduleId = null) {
+  const params = [workspaceId];
+  const scheduleClause = scheduleId ? 'AND rs.id = ?' : '';
+  if (scheduleId) params.push(scheduleId);
+  const rows = await connection.query(
+    `SELECT rs.*, rd.title, rd.subtitle, rd.timezone, rd.comparison_enabled, rd.configuration
+     FROM report_schedules rs
+     JOIN report_definitions rd ON rd.id = rs.report_definition_id AND rd.workspace_id = rs.workspace_id
+     WHERE rs.workspace_id = ? AND rs.status <> 'deleted' AND rd.deleted_at IS NULL ${scheduleClause}
+     ORDER BY rs.created_at DESC
+     LIMIT 100`,
+    params
+  );
+  if (!rows.length) return [];
+  const placeholders = rows.map(() => '?').join(', ');
+  const resourceRows = await connection.query(
+    `SELECT report_definition_id, workspace_provider_connection_id AS connection_id, provider
+     FROM report_definition_resources
+     WHERE workspace_id = ? AND report_definition_id IN (${placeholders})
+     ORDER BY report_definition_id, position`,
+    [workspaceId, ...rows.map(row => row.report_definition_id)]
+  );
+  const byDefinition = new Map();
+  for (const resource of resourceRows) {
+    const values = byDefinition.get(resource.report_definition_id) || [];
+    values.push({ provider: resource.provider, connection_id: resource.connection_id });
+    byDefinition.set(resource.report_definition_id, values);
+  }
+  const recipients = await listDefinitionRecipients(
+    connection,
+    workspaceId,
+    rows.map(row => row.report_definition_id)
+  );
+  return rows.map(row => serializeSchedule(
+    row,
+    byDefinition.get(row.report_definition_id) || [],
+    recipients.get(row.report_definition_id) || []
+  ));
+}
+
+function scheduleInScope(schedule, scope) {
+  return schedule.resources.every(resource => scopeAllowsConnection(scope, resource.connection_id));
+}
+
+async function requireSchedule(connection, workspaceId, scheduleId, userId = null) {
+  const schedules = await fetchScheduleRows(connection, workspaceId, scheduleId);
+  const scope = userId ? await loadResourceScope(connection, workspaceId, userId) : null;
+  if (!schedules[0] || !scheduleInScope(schedules[0], scope)) throw createReportError(404, 'report_schedule_not_found');
+  return schedules[0];
+}
+
+async function writeScheduleAudit(connection, { workspaceId, actorUserId, action, scheduleId, metadata }) {
+  await createAuditLog(connection, {
+    workspaceId,
+    actorUserId,
+    action,
+    targetType: 'report_schedule',
+    targetId: scheduleId,
+    metadata
+  });
+}
+
+function validateScheduleRange(rule, timezone, configuration, after = new Date()) {
+  const runAt = nextOccurrence(rule, timezone, after);
+  const range = relativeRange(rule.relative_range, timezone, runAt);
+  withReportRange({}, { range: 'custom', from: range.from, to: range.to }, configuration);
+  return runAt;
+}
+
+async function previewReportSchedule(userId, workspaceId, body = {}) {
+  getReadyConfiguration();
+  const timezone = normalizeReportTimezone(body.timezone);
+  const rule = normalizeScheduleRule(body.schedule || {});
+  return withConnection(async connection => {
+    await requireReportCapability(connection, workspaceId, userId);
+    return {
+      preview: {
+        timezone,
+        schedule: { ...rule, run_time: runTime(rule) },
+        upcoming_runs: upcomingRuns(rule, timezone, new Date(), 5)
+      }
+    };
+  });
+}
+
+async function createReportSchedule(userId, workspaceId, body = {}) {
+  const configuration = getReadyConfiguration();
+  const content = normalizeReportContent(body, configuration);
+  const rule = normalizeScheduleRule(body.schedule || {});
+  const nextRunAt = validateScheduleRange(rule, content.timezone, configuration);
+  const recipients = normalizeReportRecipients(body.recipients, configuration);
+  return withConnection(async connection => {
+    const membership = await requireReportCapability(connection, workspaceId, userId);
+    const resources = await resolveResources(
+      connection,
+      workspaceId,
+      content.resources,
+      membership,
+      await loadResourceScope(connection, workspaceId, userId)
+    );
+    const scheduleId = createId();
+    const definitionId = createId();
+    try {
+      await connection.beginTransaction();
+      const countRows = await connection.query(
+        `SELECT COUNT(*) AS count FROM report_schedules
+         WHERE workspace_id = ? AND status IN ('active', 'paused')
+         FOR UPDATE`,
+        [workspaceId]
+      );
+      if (Number(countRows[0] && countRows[0].count) >= MAX_ACTIVE_SCHEDULES) {
+        throw createReportError(409, 'report_schedule_limit_reached');
+      }
+      await insertReportDefinition(connection, {
+        definitionId,
+        workspaceId,
+        userId,
+        input: { ...content, range: rule.relative_range },
+        resources
+      });
+      await connection.query(
+        `INSERT INTO report_schedules
+          (id, report_definition_id, workspace_id, created_by_user_id, frequency, weekday,
+           day_of_month, run_hour, run_minute, relative_range, next_run_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          scheduleId,
+          definitionId,
+          workspaceId,
+          userId,
+          rule.frequency,
+          rule.weekday,
+          rule.day_of_month,
+          rule.run_hour,
+          rule.run_minute,
+          rule.relative_range,
+          sqlDateTime(nextRunAt)
+        ]
+      );
+      for (const recipient of recipients) {
+        await upsertReportRecipient(connection, { workspaceId, definitionId, userId, recipient });
+      }
+      await writeScheduleAudit(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'report.schedule_created',
+        scheduleId,
+        metadata: {
+          frequency: rule.frequency,
+          relative_range: rule.relative_range,
+          resource_count: resources.length,
+          recipient_count: recipients.length
+        }
+      });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+    return { schedule: await requireSchedule(connection, workspaceId, scheduleId) };
+  });
+}
+
+async function listReportSchedules(userId, workspaceId) {
+  getReadyConfiguration();
+  return withConnection(async connection => {
+    await requireReportCapability(connection, workspaceId, userId);
+    const scope = await loadResourceScope(connection, workspaceId, userId);
+    const schedules = await fetchScheduleRows(connection, workspaceId);
+    return { schedules: schedules.filter(schedule => scheduleInScope(schedule, scope)) };
+  });
+}
+
+async function pauseReportSchedule(userId, workspaceId, scheduleId) {
+  getReadyConfiguration();
+  assertUuid(scheduleId, 'invalid_report_schedule_id');
+  return withConnection(async connection => {
+    await requireReportCapability(connection, workspaceId, userId);
+    const schedule = await requireSchedule(connection, workspaceId, scheduleId, userId);
+    if (schedule.status === 'paused') return { schedule };
+    try {
+      await connection.beginTransaction();
+      await connection.query(
+        `UPDATE report_schedules
+         SET status = 'paused', pause_reason = 'paused_by_user', next_run_at = NULL, updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ? AND workspace_id = ? AND status = 'active'`,
+        [scheduleId, workspaceId]
+      );
+      await writeScheduleAudit(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'report.schedule_paused',
+        scheduleId,
+        metadata: { reason: 'paused_by_user' }
+      });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+    return { schedule: await requireSchedule(connection, workspaceId, scheduleId) };
+  });
+}
+
+async function resumeReportSchedule(userId, workspaceId, scheduleId) {
+  const configuration = getReadyConfiguration();
+  assertUuid(scheduleId, 'invalid_report_schedule_id');
+  return withConnection(async connection => {
+    const membership = await requireReportCapability(connection, workspaceId, userId);
+    const schedule = await requireSchedule(connection, workspaceId, scheduleId, userId);
+    if (schedule.status === 'active') return { schedule };
+    const rule = normalizeScheduleRule(schedule.schedule);
+    const nextRunAt = validateScheduleRange(rule, schedule.timezone, configuration);
+    await resolveResources(
+      connection,
+      workspaceId,
+      schedule.resources,
+      membership,
+      await loadResourceScope(connection, workspaceId, userId)
+    );
+    try {
+      await connection.beginTransaction();
+      await connection.query(
+        `UPDATE report_schedules
+         SET status = 'active', pause_reason = NULL, next_run_at = ?, consecutive_failures = 0,
+             updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ? AND workspace_id = ? AND status = 'paused'`,
+        [sqlDateTime(nextRunAt), scheduleId, workspaceId]
+      );
+      await writeScheduleAudit(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'report.schedule_resumed',
+        scheduleId,
+        metadata: { next_run_at: nextRunAt.toISOString() }
+      });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+    return { schedule: await requireSchedule(connection, workspaceId, scheduleId) };
+  });
+}
+
+async function deleteReportSchedule(userId, workspaceId, scheduleId) {
+  getReadyConfiguration();
+  assertUuid(scheduleId, 'invalid_report_schedule_id');
+  await withConnection(async connection => {
+    await requireReportCapability(connection, workspaceId, userId);
+    await requireSchedule(connection, workspaceId, scheduleId, userId);
+    try {
+      await connection.beginTransaction();
+      await connection.query(
+        `UPDATE report_schedules
+         SET status = 'deleted', next_run_at = NULL, deleted_at = UTC_TIMESTAMP(3), updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ? AND workspace_id = ? AND status <> 'deleted'`,
+        [scheduleId, workspaceId]
+      );
+      await writeScheduleAudit(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'report.schedule_deleted',
+        scheduleId
+      });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+  return { deleted: true, schedule_id: scheduleId };
+}
+
+async function listReportScheduleRuns(userId, workspaceId, scheduleId) {
+  getReadyConfiguration();
+  assertUuid(scheduleId, 'invalid_report_schedule_id');
+  return withConnection(async connection => {
+    await requireReportCapability(connection, workspaceId, userId);
+    const schedule = await requireSchedule(connection, workspaceId, scheduleId, userId);
+    const reports = await fetchReportRows(connection, workspaceId, null, scheduleId);
+    const events = await connection.query(
+      `SELECT id, actor_user_id, action, metadata, created_at
+       FROM audit_logs
+       WHERE workspace_id = ? AND target_type = 'report_schedule' AND target_id = ?
+       ORDER BY created_at DESC
+       LIMIT 50`,
+      [workspaceId, scheduleId]
+    );
+    return {
+      schedule,
+      reports,
+      events: events.map(event => ({
+        id: event.id,
+        actor_user_id: event.actor_user_id,
+        action: event.action,
+        metadata: parseJson(event.metadata, {}),
+        created_at: isoDateTime(event.created_at)
+      }))
+    };
+  });
+}
+
+async function claimDueSchedule(connection, scheduleId) {
+  const rows = await connection.query(
+    `SELECT rs.*, rd.title, rd.subtitle, rd.timezone, rd.comparison_enabled, rd.configuration,
+            DATE_FORMAT(rs.next_run_at, '%Y-%m-%d %H:%i:%s.%f') AS next_run_at_utc
+     FROM report_schedules rs
+     JOIN report_definitions rd ON rd.id = rs.report_definition_id AND rd.workspace_id = rs.workspace_id
+     WHERE rs.id = ? AND rs.status = 'active' AND rs.next_run_at <= UTC_TIMESTAMP(3)
+       AND rd.deleted_at IS NULL
+     LIMIT 1`,
+    [scheduleId]
+  );
+  const row = rows[0];
+  if (!row) return null;
+  const rule = scheduleRule(row);
+  const scheduledFor = parseSqlDateTime(row.next_run_at_utc);
+  const followingRunAt = nextOccurrence(rule, row.timezone, new Date(Math.max(Date.now(), scheduledFor.getTime())));
+  const result = await connection.query(
+    `UPDATE report_schedules
+     SET next_run_at = ?, last_queued_at = UTC_TIMESTAMP(3), updated_at = UTC_TIMESTAMP(3)
+     WHERE id = ? AND status = 'active' AND next_run_at = ?`,
+    [sqlDateTime(followingRunAt), scheduleId, sqlDateTime(scheduledFor)]
+  );
+  if (Number(result.affectedRows || 0) !== 1) return null;
+  return { row, rule, scheduledFor };
+}
+
+async function recordScheduleFailure(connection, row, scheduledFor, error) {
+  const code = String(error && error.code || 'report_schedule_failed').slice(0, 120);
+  const permanent = Number(error && error.status) >= 400 && Number(error && error.status) < 500;
+  const failures = Number(row.consecutive_failures || 0) + 1;
+  const pauseReason = permanent ? code : failures >= MAX_CONSECUTIVE_FAILURES ? 'schedule_failed_repeatedly' : null;
+  try {
+    await connection.beginTransaction();
+    await connection.query(
+      `UPDATE report_schedules
+       SET consecutive_failures = ?,
+           status = CASE WHEN ? THEN 'paused' ELSE status END,
+           pause_reason = CASE WHEN ? THEN ? ELSE pause_reason END,
+           next_run_at = CASE WHEN ? THEN NULL ELSE next_run_at END,
+           updated_at = UTC_TIMESTAMP(3)
+       WHERE id = ? AND status = 'active'`,
+      [failures, Boolean(pauseReason), Boolean(pauseReason), pauseReason, Boolean(pauseReason), row.id]
+    );
+    await writeScheduleAudit(connection, {
+      workspaceId: row.workspace_id,
+      actorUserId: null,
+      action: 'report.schedule_run_skipped',
+      scheduleId: row.id,
+      metadata: { scheduled_for: scheduledFor.toISOString(), failure_code: code, paused: Boolean(pauseReason) }
+    });
+    if (pauseReason) {
+      await writeScheduleAudit(connection, {
+        workspaceId: row.workspace_id,
+        actorUserId: null,
+        action: 'report.schedule_paused',
+        scheduleId: row.id,
+        metadata: { reason: pauseReason }
+      });
+    }
+    await connection.commit();
+  } catch (failure) {
+    await connection.rollback();
+    throw failure;
+  }
+  return { schedule_id: row.id, status: 'skipped', failure_code: code, paused: Boolean(pauseReason) };
+}
+
+async function queueScheduledRun(scheduleId, configuration) {
+  return withConnection(async connection => {
+    const claimed = await claimDueSchedule(connection, scheduleId);
+    if (!claimed) return null;
+    const { row, rule, scheduledFor } = claimed;
+    const userId = row.created_by_user_id;
+    let input;
+    let resources;
+    let built;
+    try {
+      const membership = await requireReportCapability(connection, row.workspace_id, userId);
+      const definitionResources = await connection.query(
+        `SELECT workspace_provider_connection_id AS connection_id, provider
+         FROM report_definition_resources
+         WHERE report_definition_id = ? AND workspace_id = ?
+         ORDER BY position`,
+        [row.report_definition_id, row.workspace_id]
+      );
+      const definitionConfiguration = parseJson(row.configuration, {});
+      const range = relativeRange(rule.relative_range, row.timezone, scheduledFor);
+      input = withReportRange({
+        title: row.title,
+        subtitle: row.subtitle,
+        timezone: row.timezone,
+        comparison_enabled: Boolean(row.comparison_enabled),
+        sections: definitionConfiguration.sections || [],
+        resources: definitionResources.map(resource => ({
+          provider: resource.provider,
+          connection_id: resource.connection_id
+        }))
+      }, { range: 'custom', from: range.from, to: range.to }, configuration);
+      if (!input.resources.length) throw createReportError(409, 'report_schedule_has_no_resources');
+      resources = await resolveResources(
+        connection,
+        row.workspace_id,
+        input.resources,
+        membership,
+        await loadResourceScope(connection, row.workspace_id, userId)
+      );
+      built = await buildReportSnapshot({
+        userId,
+        workspaceId: row.workspace_id,
+        input,
+        resources,
+        configuration,
+        workspaceName: membership.name
+      });
+    } catch (error) {
+      return recordScheduleFailure(connection, row, scheduledFor, error);
+    }
+    const runId = createId();
+    const idempotencyKey = crypto.createHash('sha256')
+      .update(`schedule\0${row.id}\0${scheduledFor.toISOString()}`)
+      .digest('hex');
+    try {
+      await connection.beginTransaction();
+      await insertReportRun(connection, {
+        runId,
+        definitionId: row.report_definition_id,
+        workspaceId: row.workspace_id,
+        userId,
+        idempotencyKey,
+        built,
+        resources,
+        configuration,
+        scheduleId: row.id,
+        scheduledFor: sqlDateTime(scheduledFor)
+      });
+      await connection.query(
+        `UPDATE report_schedules
+         SET last_report_run_id = ?, consecutive_failures = 0, updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [runId, row.id]
+      );
+      await writeScheduleAudit(connection, {
+        workspaceId: row.workspace_id,
+        actorUserId: null,
+        action: 'report.schedule_run_queued',
+        scheduleId: row.id,
+        metadata: {
+          report_run_id: runId,
+          scheduled_for: scheduledFor.toISOString(),
+          range: { from: input.from, to: input.to }
+        }
+      });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      if (error && error.code === 'ER_DUP_ENTRY') {
+        return { schedule_id: row.id, status: 'duplicate', scheduled_for: scheduledFor.toISOString() };
+      }
+      throw error;
+    }
+    return { schedule_id: row.id, status: 'queued', report_run_id: runId, scheduled_for: scheduledFor.toISOString() };
+  });
+}
+
+async function queueDueReportSchedules({ configuration = getReportConfiguration(), deadlineMs = Date.now() + 60000 } = {}) {
+  if (!configuration.ready) return { queued: 0, skipped: 0, results: [] };
+  const candidates = await withConnection(connection => connection.query(
+    `SELECT rs.id
+     FROM report_schedules rs
+     JOIN report_definitions rd ON rd.id = rs.report_definition_id AND rd.workspace_id = rs.workspace_id
+     WHERE rs.status = 'active' AND rs.next_run_at <= UTC_TIMESTAMP(3) AND rd.deleted_at IS NULL
+     ORDER BY rs.next_run_at ASC
+     LIMIT ?`,
+    [MAX_SCHEDULES_PER_PASS]
+  ));
+  const results = [];
+  for (const candidate of candidates) {
+    if (Date.now() >= deadlineMs - 1000) break;
+    const result = await queueScheduledRun(candidate.id, configuration);
+    if (result) results.push(result);
+  }
+  return {
+    queued: results.filter(result => result.status === 'queued').length,
+    skipped: results.filter(result => result.status === 'skipped').length,
+    results
+  };
+}
+
+module.exports = {
+  createReportSchedule,
+  deleteReportSchedule,
+  listReportScheduleRuns,
+  listReportSchedules,
+  pauseReportSchedule,
+  previewReportSchedule,
+  queueDueReportSchedules,
+  resumeReportSchedule
+};
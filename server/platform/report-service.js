@@ -3,13 +3,20 @@ const fs = require('fs/promises');
 const { getConnection } = require('../database');
 const { getCrossPlatformDashboard } = require('./cross-platform-dashboard-service');
 const { getMetricDefinitions } = require('./provider-registry');
-const { assertCapability } = require('./rbac');
+const { assertCapability, hasCapability } = require('./rbac');
+const { loadResourceScope, scopeAllowsConnection } = require('./resource-scope');
 const { getReportConfiguration } = require('./report-config');
+const {
+  listDefinitionRecipients,
+  normalizeReportRecipients,
+  upsertReportRecipient
+} = require('./report-recipients');
 const {
   assertUuid,
   removeStoredArtifact,
   resolveStoragePath
 } = require('./report-storage');
+const { createAuditLog } = require('./repositories');
 const { createId, hashSecret, randomToken } = require('./security');
 const { parseRange } = require('./youtube-dashboard-service');
 
@@ -19,7 +26,18 @@ const REPORT_SECTIONS = Object.freeze([
   'resource_sections',
   'methodology'
 ]);
-const PROVIDERS = new Set(['tiktok', 'youtube', 'facebook_pages', 'instagram', 'google_analytics_4']);
+const PROVIDERS = new Set([
+  'tiktok',
+  'youtube',
+  'facebook_pages',
+  'instagram',
+  'linkedin',
+  'google_analytics_4',
+  'google_search_console',
+  'pinterest',
+  'threads',
+  'bluesky'
+]);
 
 function createReportError(status, code) {
   const error = new Error(code);
@@ -66,6 +84,9 @@ function getPublicReportConfiguration(env = process.env) {
     retention_days: configuration.retentionDays,
     max_resources: configuration.maxResources,
     max_range_days: configuration.maxRangeDays,
+    max_recipients: configuration.maxRecipients,
+    email_attachment_max_bytes: configuration.emailAttachmentMaxBytes,
+    email_link_ttl_hours: configuration.emailLinkTtlHours,
     supported_sections: REPORT_SECTIONS,
     renderer: 'Pure Node PDF worker'
   };
@@ -83,15 +104,16 @@ async function withConnection(fn) {
 
 async function requireReportCapability(connection, workspaceId, userId) {
   const rows = await connection.query(
-    `SELECT wm.role, w.name
+    `SELECT wm.role, r.capabilities AS custom_role_capabilities, w.name
      FROM workspace_memberships wm
      JOIN workspaces w ON w.id = wm.workspace_id AND w.deleted_at IS NULL
+     LEFT JOIN workspace_roles r ON r.id = wm.custom_role_id
      WHERE wm.workspace_id = ? AND wm.user_id = ? AND wm.status = 'active'
      LIMIT 1`,
     [workspaceId, userId]
   );
   if (!rows[0]) throw createReportError(404, 'workspace_not_found');
-  assertCapability(rows[0].role, 'manageReports');
+  assertCapability(rows[0], 'manageReports');
   return rows[0];
 }
 
@@ -118,14 +140,16 @@ function validTimezone(timezone) {
   }
 }
 
-function normalizeReportRequest(body = {}, configuration = getReadyConfiguration()) {
+function normalizeReportTimezone(value) {
+  const timezone = String(value || 'UTC').trim();
+  if (timezone.length > 64 || !validTimezone(timezone)) throw createReportError(400, 'invalid_report_timezone');
+  return timezone;
+}
+
+function normalizeReportContent(body = {}, configuration = getReadyConfiguration()) {
   const title = cleanInputText(body.title, 180, true, 'invalid_report_title');
   const subtitle = cleanInputText(body.subtitle, 300, false, 'invalid_report_subtitle');
-  const timezone = String(body.timezone || 'UTC').trim();
-  if (timezone.length > 64 || !validTimezone(timezone)) throw createReportError(400, 'invalid_report_timezone');
-  const requestedRange = String(body.range || '30d');
-  const range = parseRange({ range: requestedRange, from: body.from, to: body.to });
-  if (range.days > configuration.maxRangeDays) throw createReportError(400, 'report_range_too_large');
+  const timezone = normalizeReportTimezone(body.timezone);
   const resources = Array.isArray(body.resources) ? body.resources : [];
   if (resources.length < 1 || resources.length > configuration.maxResources) {
     throw createReportError(400, 'invalid_report_resource_count');
@@ -154,11 +178,6 @@ function normalizeReportRequest(body = {}, configuration = getReadyConfiguration
     title,
     subtitle,
     timezone,
-    range: range.key,
-    from: range.from,
-    to: range.to,
-    previous_from: range.previousFrom,
-    previous_to: range.previousTo,
     comparison_enabled: body.comparison_enabled !== false,
     sections,
     resources: normalizedResources,
@@ -166,7 +185,25 @@ function normalizeReportRequest(body = {}, configuration = getReadyConfiguration
   };
 }
 
-async function resolveResources(connection, workspaceId, requested) {
+function withReportRange(content, query, configuration) {
+  const range = parseRange(query);
+  if (range.days > configuration.maxRangeDays) throw createReportError(400, 'report_range_too_large');
+  return {
+    ...content,
+    range: range.key,
+    from: range.from,
+    to: range.to,
+    previous_from: range.previousFrom,
+    previous_to: range.previousTo
+  };
+}
+
+function normalizeReportRequest(body = {}, configuration = getReadyConfiguration()) {
+  const content = normalizeReportContent(body, configuration);
+  return withReportRange(content, { range: String(body.range || '30d'), from: body.from, to: body.to }, configuration);
+}
+
+async function resolveResources(connection, workspaceId, requested, membership = null, scope = null) {
   const placeholders = requested.map(() => '?').join(', ');
   const rows = await connection.query(
     `SELECT wpc.id AS connection_id, wpc.provider, wpc.status, wpc.data_through_at,
@@ -183,6 +220,10 @@ async function resolveResources(connection, workspaceId, requested) {
   return requested.map(resource => {
     const row = byId.get(resource.connection_id);
     if (!row || row.provider !== resource.provider) throw createReportError(404, 'report_resource_not_found');
+    if (membership && !hasCapability(membership, 'viewDashboard', row.provider)) {
+      throw createReportError(404, 'report_resource_not_found');
+    }
+    if (!scopeAllowsConnection(scope, row.connection_id)) throw createReportError(404, 'report_resource_not_found');
     if (['disconnected', 'revoked', 'disabled'].includes(row.status)) {
       throw createReportError(409, 'report_resource_not_connected');
     }
@@ -281,15 +322,21 @@ function reportStatus(status, expiresAt, artifactUnexpired = true) {
   return status === 'complete' ? 'completed' : status;
 }
 
-function serializeReport(row, resources = []) {
+function serializeReport(row, resources = [], recipients = [], deliveries = null) {
   const configuration = parseJson(row.configuration_snapshot, {});
+  const snapshotRange = configuration.report && configuration.report.range || {};
   return {
     id: row.id,
     definition_id: row.report_definition_id,
+    schedule_id: row.report_schedule_id || null,
+    scheduled_for: isoDateTime(row.scheduled_for),
     title: row.title,
     subtitle: row.subtitle,
     timezone: row.timezone,
-    range: { from: dateOnly(row.range_start), to: dateOnly(row.range_end) },
+    range: {
+      from: snapshotRange.from || dateOnly(row.range_start),
+      to: snapshotRange.to || dateOnly(row.range_end)
+    },
     comparison_enabled: Boolean(row.comparison_enabled),
     status: reportStatus(row.status, row.expires_at, Boolean(row.artifact_unexpired)),
     progress_percent: Number(row.progress_percent || 0),
@@ -308,14 +355,18 @@ function serializeReport(row, resources = []) {
       sha256: row.sha256
     } : null,
     sections: configuration.report && configuration.report.sections || [],
-    resources
+    resources,
+    recipients,
+    deliveries: deliveries || { total: 0, sent: 0, pending: 0, failed: 0, bounced: 0, skipped: 0 }
   };
 }
 
-async function fetchReportRows(connection, workspaceId, reportRunId = null) {
+async function fetchReportRows(connection, workspaceId, reportRunId = null, scheduleId = null) {
   const params = [workspaceId];
   const runClause = reportRunId ? 'AND rr.id = ?' : '';
   if (reportRunId) params.push(reportRunId);
+  const scheduleClause = scheduleId ? 'AND rr.report_schedule_id = ?' : '';
+  if (scheduleId) params.push(scheduleId);
   const rows = await connection.query(
     `SELECT rr.*, rd.title, rd.subtitle, rd.timezone, rd.range_start, rd.range_end,
             rd.comparison_enabled, rd.deleted_at AS definition_deleted_at,
@@ -325,7 +376,7 @@ async function fetchReportRows(connection, workspaceId, reportRunId = null) {
      FROM report_runs rr
      JOIN report_definitions rd ON rd.id = rr.report_definition_id AND rd.workspace_id = rr.workspace_id
      LEFT JOIN report_artifacts ra ON ra.report_run_id = rr.id AND ra.workspace_id = rr.workspace_id
-     WHERE rr.workspace_id = ? AND rd.deleted_at IS NULL ${runClause}
+     WHERE rr.workspace_id = ? AND rr.deleted_at IS NULL AND rd.deleted_at IS NULL ${runClause} ${scheduleClause}
      ORDER BY rr.created_at DESC
      ${reportRunId ? 'LIMIT 1' : 'LIMIT 100'}`,
     params
@@ -352,7 +403,49 @@ async function fetchReportRows(connection, workspaceId, reportRunId = null) {
     });
     byRun.set(resource.report_run_id, values);
   }
-  return rows.map(row => serializeReport(row, byRun.get(row.id) || []));
+  const deliveryRows = await connection.query(
+    `SELECT report_run_id, status, COUNT(*) AS count
+     FROM report_deliveries
+     WHERE workspace_id = ? AND report_run_id IN (${placeholders})
+     GROUP BY report_run_id, status`,
+    [workspaceId, ...rows.map(row => row.id)]
+  );
+  const deliveriesByRun = new Map();
+  for (const delivery of deliveryRows) {
+    const summary = deliveriesByRun.get(delivery.report_run_id) ||
+      { total: 0, sent: 0, pending: 0, failed: 0, bounced: 0, skipped: 0 };
+    const key = delivery.status === 'sending' ? 'pending' : delivery.status;
+    summary[key] += Number(delivery.count);
+    summary.total += Number(delivery.count);
+    deliveriesByRun.set(delivery.report_run_id, summary);
+  }
+  const recipients = await listDefinitionRecipients(
+    connection,
+    workspaceId,
+    [...new Set(rows.map(row => row.report_definition_id))]
+  );
+  return rows.map(row => serializeReport(
+    row,
+    byRun.get(row.id) || [],
+    recipients.get(row.report_definition_id) || [],
+    deliveriesByRun.get(row.id)
+  ));
+}
+
+function reportInScope(report, scope) {
+  return report.resources.every(resource => scopeAllowsConnection(scope, resource.connection_id));
+}
+
+async function reportRunInScope(connection, workspaceId, reportRunId, userId) {
+  const scope = await loadResourceScope(connection, workspaceId, userId);
+  if (!scope) return true;
+  const rows = await connection.query(
+    `SELECT workspace_provider_connection_id AS connection_id
+     FROM report_run_resources
+     WHERE workspace_id = ? AND report_run_id = ?`,
+    [workspaceId, reportRunId]
+  );
+  return reportInScope({ resources: rows }, scope);
 }
 
 async function previewReport(userId, workspaceId, body) {
@@ -360,7 +453,13 @@ async function previewReport(userId, workspaceId, body) {
   const input = normalizeReportRequest(body, configuration);
   return withConnection(async connection => {
     const membership = await requireReportCapability(connection, workspaceId, userId);
-    const resources = await resolveResources(connection, workspaceId, input.resources);
+    const resources = await resolveResources(
+      connection,
+      workspaceId,
+      input.resources,
+      membership,
+      await loadResourceScope(connection, workspaceId, userId)
+    );
     const built = await buildReportSnapshot({
       userId,
       workspaceId,
@@ -396,10 +495,93 @@ async function previewReport(userId, workspaceId, body) {
   });
 }
 
+async function insertReportDefinition(connection, { definitionId, workspaceId, userId, input, resources }) {
+  await connection.query(
+    `INSERT INTO report_definitions
+      (id, workspace_id, created_by_user_id, title, subtitle, timezone,
+       range_start, range_end, comparison_enabled, configuration)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      definitionId,
+      workspaceId,
+      userId,
+      input.title,
+      input.subtitle,
+      input.timezone,
+      input.from || null,
+      input.to || null,
+      input.comparison_enabled,
+      JSON.stringify({ sections: input.sections, range_key: input.range })
+    ]
+  );
+  for (let position = 0; position < resources.length; position += 1) {
+    const resource = resources[position];
+    await connection.query(
+      `INSERT INTO report_definition_resources
+        (report_definition_id, workspace_id, workspace_provider_connection_id, provider, position)
+       VALUES (?, ?, ?, ?, ?)`,
+      [definitionId, workspaceId, resource.connection_id, resource.provider, position]
+    );
+  }
+}
+
+async function insertReportRun(connection, {
+  runId,
+  definitionId,
+  workspaceId,
+  userId,
+  idempotencyKey,
+  built,
+  resources,
+  configuration,
+  scheduleId = null,
+  scheduledFor = null
+}) {
+  await connection.query(
+    `INSERT INTO report_runs
+      (id, report_definition_id, report_schedule_id, scheduled_for, workspace_id, requested_by_user_id,
+       idempotency_key, configuration_snapshot, metric_definitions_snapshot, data_through_at, run_after, max_attempts)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3), ?)`,
+    [
+      runId,
+      definitionId,
+      scheduleId,
+      scheduledFor,
+      workspaceId,
+      userId,
+      idempotencyKey,
+      JSON.stringify(built.snapshot),
+      JSON.stringify(built.metricDefinitions),
+      built.dataThroughAt,
+      configuration.maxAttempts
+    ]
+  );
+  for (let position = 0; position < resources.length; position += 1) {
+    const resource = resources[position];
+    await connection.query(
+      `INSERT INTO report_run_resources
+        (report_run_id, workspace_id, workspace_provider_connection_id, provider,
+         provider_resource_id, resource_name, data_through_at, position)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        runId,
+        workspaceId,
+        resource.connection_id,
+        resource.provider,
+        resource.provider_resource_id,
+        resource.resource_name,
+        resource.data_through_at,
+        position
+      ]
+    );
+  }
+}
+
 async function enqueueReport(userId, workspaceId, body) {
   const configuration = getReadyConfiguration();
   const input = normalizeReportRequest(body, configuration);
   if (!input.request_id) throw createReportError(400, 'report_request_id_required');
+  const recipients = normalizeReportRecipients(body && body.recipients, configuration);
   const idempotencyKey = crypto.createHash('sha256').update(`${workspaceId}\0${userId}\0${input.request_id}`).digest('hex');
   return withConnection(async connection => {
     const membership = await requireReportCapability(connection, workspaceId, userId);
@@ -411,7 +593,13 @@ async function enqueueReport(userId, workspaceId, body) {
       const reports = await fetchReportRows(connection, workspaceId, existingRows[0].id);
       return { report: reports[0], idempotent: true };
     }
-    const resources = await resolveResources(connection, workspaceId, input.resources);
+    const resources = await resolveResources(
+      connection,
+      workspaceId,
+      input.resources,
+      membership,
+      await loadResourceScope(connection, workspaceId, userId)
+    );
     const built = await buildReportSnapshot({
       userId,
       workspaceId,
@@ -424,74 +612,32 @@ async function enqueueReport(userId, workspaceId, body) {
     const runId = createId();
     try {
       await connection.beginTransaction();
-      await connection.query(
-        `INSERT INTO report_definitions
-          (id, workspace_id, created_by_user_id, title, subtitle, timezone,
-           range_start, range_end, comparison_enabled, configuration)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          definitionId,
-          workspaceId,
-          userId,
-          input.title,
-          input.subtitle,
-          input.timezone,
-          input.from,
-          input.to,
-          input.comparison_enabled,
-          JSON.stringify({ sections: input.sections, range_key: input.range })
-        ]
-      );
-      for (let position = 0; position < resources.length; position += 1) {
-        const resource = resources[position];
-        await connection.query(
-          `INSERT INTO report_definition_resources
-            (report_definition_id, workspace_id, workspace_provider_connection_id, provider, position)
-           VALUES (?, ?, ?, ?, ?)`,
-          [definitionId, workspaceId, resource.connection_id, resource.provider, position]
-        );
-      }
-      await connection.query(
-        `INSERT INTO report_runs
-          (id, report_definition_id, workspace_id, requested_by_user_id, idempotency_key,
-           configuration_snapshot, metric_definitions_snapshot, data_through_at, run_after, max_attempts)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3), ?)`,
-        [
-          runId,
-          definitionId,
-          workspaceId,
-          userId,
-          idempotencyKey,
-          JSON.stringify(built.snapshot),
-          JSON.stringify(built.metricDefinitions),
-          built.dataThroughAt,
-          configuration.maxAttempts
-        ]
-      );
-      for (let position = 0; position < resources.length; position += 1) {
-        const resource = resources[position];
-        await connection.query(
-          `INSERT INTO report_run_resources
-            (report_run_id, workspace_id, workspace_provider_connection_id, provider,
-             provider_resource_id, resource_name, data_through_at, position)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            runId,
-            workspaceId,
-            resource.connection_id,
-            resource.provider,
-            resource.provider_resource_id,
-            resource.resource_name,
-            resource.data_through_at,
-            position
-          ]
-        );
+      await insertReportDefinition(connection, { definitionId, workspaceId, userId, input, resources });
+      await insertReportRun(connection, {
+        runId,
+        definitionId,
+        workspaceId,
+        userId,
+        idempotencyKey,
+        built,
+        resources,
+        configuration
+      });
+      for (const recipient of recipients) {
+        await upsertReportRecipient(connection, { workspaceId, definitionId, userId, recipient });
       }
-      await connection.query(
-        `INSERT INTO audit_logs (id, workspace_id, actor_user_id, action, target_type, target_id, metadata)
-         VALUES (?, ?, ?, 'report.queued', 'report_run', ?, ?)`,
-        [createId(), workspaceId, userId, runId, JSON.stringify({ resource_count: resources.length, renderer: configuration.rendererVersion })]
-      );
+      await createAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'report.queued',
+        targetType: 'report_run',
+        targetId: runId,
+        metadata: {
+          resource_count: resources.length,
+          recipient_count: recipients.length,
+          renderer: configuration.rendererVersion
+        }
+      });
       await connection.commit();
     } catch (error) {
       await connection.rollback();
@@ -516,7 +662,9 @@ async function listReports(userId, workspaceId) {
   getReadyConfiguration();
   return withConnection(async connection => {
     await requireReportCapability(connection, workspaceId, userId);
-    return { reports: await fetchReportRows(connection, workspaceId) };
+    const scope = await loadResourceScope(connection, workspaceId, userId);
+    const reports = await fetchReportRows(connection, workspaceId);
+    return { reports: reports.filter(report => reportInScope(report, scope)) };
   });
 }
 
@@ -525,8 +673,9 @@ async function getReport(userId, workspaceId, reportRunId) {
   assertUuid(reportRunId, 'invalid_report_id');
   return withConnection(async connection => {
     await requireReportCapability(connection, workspaceId, userId);
+    const scope = await loadResourceScope(connection, workspaceId, userId);
     const reports = await fetchReportRows(connection, workspaceId, reportRunId);
-    if (!reports[0]) throw createReportError(404, 'report_not_found');
+    if (!reports[0] || !reportInScope(reports[0], scope)) throw createReportError(404, 'report_not_found');
     return { report: reports[0] };
   });
 }
@@ -541,12 +690,14 @@ async function createDownloadGrant(userId, workspaceId, reportRunId) {
        FROM report_runs rr
        JOIN report_definitions rd ON rd.id = rr.report_definition_id AND rd.deleted_at IS NULL
        JOIN report_artifacts ra ON ra.report_run_id = rr.id AND ra.workspace_id = rr.workspace_id
-       WHERE rr.id = ? AND rr.workspace_id = ? AND rr.status = 'complete'
+       WHERE rr.id = ? AND rr.workspace_id = ? AND rr.status = 'complete' AND rr.deleted_at IS NULL
          AND ra.status = 'active' AND ra.expires_at > UTC_TIMESTAMP(3)
        LIMIT 1`,
       [reportRunId, workspaceId]
     );
-    if (!rows[0]) throw createReportError(404, 'report_artifact_not_available');
+    if (!rows[0] || !await reportRunInScope(connection, workspaceId, reportRunId, userId)) {
+      throw createReportError(404, 'report_artifact_not_available');
+    }
     const token = randomToken(32);
     await connection.query(
       `INSERT INTO report_download_grants
@@ -574,12 +725,13 @@ async function consumeDownloadGrant(userId, token) {
                 CASE WHEN rdg.expires_at > UTC_TIMESTAMP(3) THEN 1 ELSE 0 END AS grant_unexpired,
                 ra.storage_key, ra.download_filename, ra.mime_type,
                 ra.byte_size, ra.status AS artifact_status, ra.expires_at AS artifact_expires_at,
-                ra.workspace_id, wm.role,
+                ra.workspace_id, wm.role, r.capabilities AS custom_role_capabilities,
                 CASE WHEN ra.expires_at > UTC_TIMESTAMP(3) THEN 1 ELSE 0 END AS artifact_unexpired
          FROM report_download_grants rdg
          JOIN report_artifacts ra ON ra.id = rdg.report_artifact_id
          LEFT JOIN workspace_memberships wm
            ON wm.workspace_id = ra.workspace_id AND wm.user_id = ? AND wm.status = 'active'
+         LEFT JOIN workspace_roles r ON r.id = wm.custom_role_id
          WHERE rdg.token_hash = ?
          LIMIT 1
          FOR UPDATE`,
@@ -589,7 +741,7 @@ async function consumeDownloadGrant(userId, token) {
       if (!grant || grant.requested_by_user_id !== userId || !grant.role) {
         throw createReportError(404, 'download_grant_not_found');
       }
-      assertCapability(grant.role, 'manageReports');
+      assertCapability(grant, 'manageReports');
       if (grant.consumed_at) throw createReportError(410, 'download_grant_consumed');
       if (!grant.grant_unexpired) throw createReportError(410, 'download_grant_expired');
       if (grant.artifact_status !== 'active' || !grant.artifact_unexpired) {
@@ -627,15 +779,17 @@ async function deleteReport(userId, workspaceId, reportRunId) {
     try {
       await connection.beginTransaction();
       const rows = await connection.query(
-        `SELECT rr.id, rr.report_definition_id, ra.storage_key
+        `SELECT rr.id, rr.report_definition_id, rr.report_schedule_id, ra.storage_key
          FROM report_runs rr
          JOIN report_definitions rd ON rd.id = rr.report_definition_id AND rd.workspace_id = rr.workspace_id
          LEFT JOIN report_artifacts ra ON ra.report_run_id = rr.id AND ra.workspace_id = rr.workspace_id
-         WHERE rr.id = ? AND rr.workspace_id = ? AND rd.deleted_at IS NULL
+         WHERE rr.id = ? AND rr.workspace_id = ? AND rr.deleted_at IS NULL AND rd.deleted_at IS NULL
          LIMIT 1 FOR UPDATE`,
         [reportRunId, workspaceId]
       );
-      if (!rows[0]) throw createReportError(404, 'report_not_found');
+      if (!rows[0] || !await reportRunInScope(connection, workspaceId, reportRunId, userId)) {
+        throw createReportError(404, 'report_not_found');
+      }
       if (rows[0].storage_key) {
         try {
           await removeStoredArtifact(configuration.artifactRoot, rows[0].storage_key);
@@ -648,15 +802,18 @@ async function deleteReport(userId, workspaceId, reportRunId) {
          SET status = CASE WHEN status IN ('queued', 'running') THEN 'failed' ELSE status END,
              failure_category = CASE WHEN status IN ('queued', 'running') THEN 'cancelled' ELSE failure_category END,
              failure_code = CASE WHEN status IN ('queued', 'running') THEN 'report_deleted' ELSE failure_code END,
-             lease_owner = NULL, lease_expires_at = NULL, updated_at = UTC_TIMESTAMP(3)
+             lease_owner = NULL, lease_expires_at = NULL, deleted_at = UTC_TIMESTAMP(3),
+             updated_at = UTC_TIMESTAMP(3)
          WHERE id = ? AND workspace_id = ?`,
         [reportRunId, workspaceId]
       );
-      await connection.query(
-        `UPDATE report_definitions SET status = 'deleted', deleted_at = UTC_TIMESTAMP(3), updated_at = UTC_TIMESTAMP(3)
-         WHERE id = ? AND workspace_id = ?`,
-        [rows[0].report_definition_id, workspaceId]
-      );
+      if (!rows[0].report_schedule_id) {
+        await connection.query(
+          `UPDATE report_definitions SET status = 'deleted', deleted_at = UTC_TIMESTAMP(3), updated_at = UTC_TIMESTAMP(3)
+           WHERE id = ? AND workspace_id = ?`,
+          [rows[0].report_definition_id, workspaceId]
+        );
+      }
       await connection.query(
         `UPDATE report_artifacts SET status = 'deleted', deleted_at = UTC_TIMESTAMP(3)
          WHERE report_run_id = ? AND workspace_id = ?`,
@@ -668,11 +825,13 @@ async function deleteReport(userId, workspaceId, reportRunId) {
          WHERE ra.report_run_id = ? AND ra.workspace_id = ?`,
         [reportRunId, workspaceId]
       );
-      await connection.query(
-        `INSERT INTO audit_logs (id, workspace_id, actor_user_id, action, target_type, target_id)
-         VALUES (?, ?, ?, 'report.deleted', 'report_run', ?)`,
-        [createId(), workspaceId, userId, reportRunId]
-      );
+      await createAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'report.deleted',
+        targetType: 'report_run',
+        targetId: reportRunId
+      });
       await connection.commit();
     } catch (error) {
       await connection.rollback();
@@ -690,11 +849,19 @@ module.exports = {
   createReportError,
   deleteReport,
   enqueueReport,
+  fetchReportRows,
   getPublicReportConfiguration,
+  getReadyConfiguration,
   getReport,
+  insertReportDefinition,
+  insertReportRun,
   listReports,
+  normalizeReportContent,
   normalizeReportRequest,
+  normalizeReportTimezone,
   previewReport,
   reportStatus,
-  resolveResources
+  requireReportCapability,
+  resolveResources,
+  withReportRange
 };
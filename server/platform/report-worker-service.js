@@ -4,14 +4,18 @@ const os = require('os');
 const path = require('path');
 const { getConnection } = require('../database');
 const { getReportConfiguration } = require('./report-config');
+const { queueReportDeliveries, sendDueReportDeliveries } = require('./report-delivery-service');
 const { renderReportPdf } = require('./report-renderer');
+const { queueDueReportSchedules } = require('./report-schedule-service');
 const {
   removeStoredArtifact,
   resolveStoragePath,
   safeDownloadFilename,
   storageKeyForRun
 } = require('./report-storage');
+const { createAuditLog } = require('./repositories');
 const { createId } = require('./security');
+const { queueWebhookEvent } = require('./webhook-service');
 
 function workerError(code) {
   const error = new Error(code);
@@ -273,17 +277,22 @@ async function renderClaimedReport(run, owner, configuration, deadlineMs) {
            WHERE id = ? AND status = 'running' AND lease_owner = ?`,
           [run.id, owner]
         );
-        await connection.query(
-          `INSERT INTO audit_logs (id, workspace_id, actor_user_id, action, target_type, target_id, metadata)
-           VALUES (?, ?, ?, 'report.completed', 'report_run', ?, ?)`,
-          [
-            createId(),
-            run.workspace_id,
-            run.requested_by_user_id,
-            run.id,
-            JSON.stringify({ byte_size: stat.size, page_count: rendered.pageCount, sha256 })
-          ]
-        );
+        await createAuditLog(connection, {
+          workspaceId: run.workspace_id,
+          actorUserId: run.requested_by_user_id,
+          action: 'report.completed',
+          targetType: 'report_run',
+          targetId: run.id,
+          metadata: { byte_size: stat.size, page_count: rendered.pageCount, sha256 }
+        });
+        await queueReportDeliveries(connection, run, configuration);
+        await queueWebhookEvent(connection, run.workspace_id, 'report_run.completed', {
+          report_run_id: run.id,
+          report_definition_id: run.report_definition_id,
+          title: run.title,
+          page_count: rendered.pageCount,
+          byte_size: stat.size
+        });
         await connection.commit();
       } catch (error) {
         await connection.rollback();
@@ -310,12 +319,13 @@ async function renderClaimedReport(run, owner, configuration, deadlineMs) {
 
 async function runDueReports({ timeBudgetSeconds = 240, leaseOwner, now = Date.now() } = {}) {
   const configuration = getReportConfiguration();
-  if (!configuration.enabled) return { processed: 0, expired: 0, results: [], disabled: true };
+  if (!configuration.enabled) return { processed: 0, expired: 0, scheduled: 0, results: [], disabled: true };
   if (!configuration.ready) throw workerError('pdf_reports_not_configured');
   const budget = Math.min(Math.max(Number(timeBudgetSeconds) || 240, 5), 900) * 1000;
   const deadlineMs = Number(now) + budget;
   const owner = String(leaseOwner || defaultLeaseOwner()).slice(0, 128);
   const cleanup = await cleanupExpiredReports({ configuration });
+  const scheduling = await queueDueReportSchedules({ configuration, deadlineMs });
   const results = [];
   while (Date.now() < deadlineMs - 1000) {
     const run = await claimNextReport(owner, configuration);
@@ -333,10 +343,14 @@ async function runDueReports({ timeBudgetSeconds = 240, leaseOwner, now = Date.n
       });
     }
   }
+  const deliveries = await sendDueReportDeliveries({ configuration, owner, deadlineMs });
   return {
     processed: results.length,
     expired: cleanup.expired,
     grants_deleted: cleanup.grants_deleted,
+    scheduled: scheduling.queued,
+    schedules_skipped: scheduling.skipped,
+    deliveries,
     results,
     disabled: false
   };
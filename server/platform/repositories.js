@@ -1,3 +1,5 @@
+const { appendAuditLog } = require('./audit-chain');
+const { requiresSecondFactor } = require('./rbac');
 const { createId } = require('./security');
 
 async function findUserByEmail(connection, email) {
@@ -66,8 +68,10 @@ async function createSession(connection, record) {
   const id = createId();
   await connection.query(
     `INSERT INTO user_sessions
-      (id, user_id, token_hash, csrf_token_hash, expires_at, idle_expires_at, user_agent_hash, device_label)
-     VALUES (?, ?, ?, ?, DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), ?, ?)`,
+      (id, user_id, token_hash, csrf_token_hash, expires_at, idle_expires_at, user_agent_hash, device_label,
+       second_factor_method, second_factor_verified_at, sso_connection_id)
+     VALUES (?, ?, ?, ?, DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), ?, ?,
+       ?, IF(? IS NULL, NULL, UTC_TIMESTAMP(3)), ?)`,
     [
       id,
       record.userId,
@@ -76,7 +80,10 @@ async function createSession(connection, record) {
       record.absoluteTtlSeconds,
       record.idleTtlSeconds,
       record.userAgentHash || null,
-      record.deviceLabel || null
+      record.deviceLabel || null,
+      record.secondFactorMethod || null,
+      record.secondFactorMethod || null,
+      record.ssoConnectionId || null
     ]
   );
   return { id };
@@ -84,7 +91,8 @@ async function createSession(connection, record) {
 
 async function findSessionByTokenHash(connection, tokenHash) {
   const rows = await connection.query(
-    `SELECT s.*, u.email, u.display_name
+    `SELECT s.*, u.email, u.display_name,
+            TIMESTAMPDIFF(SECOND, s.second_factor_verified_at, UTC_TIMESTAMP(3)) AS second_factor_age_seconds
      FROM user_sessions s
      JOIN users u ON u.id = s.user_id
      WHERE s.token_hash = ?
@@ -164,8 +172,10 @@ async function getAccountProfile(connection, userId) {
 
 async function listUserIdentities(connection, userId) {
   return connection.query(
-    `SELECT provider, email, created_at
-     FROM user_identities WHERE user_id = ? ORDER BY created_at ASC`,
+    `SELECT i.provider, i.email, i.created_at, c.display_name AS sso_display_name
+     FROM user_identities i
+     LEFT JOIN workspace_sso_connections c ON c.id = i.sso_connection_id
+     WHERE i.user_id = ? ORDER BY i.created_at ASC`,
     [userId]
   );
 }
@@ -177,13 +187,13 @@ async function updateUserDisplayName(connection, userId, displayName) {
   ]);
 }
 
-async function createWorkspace(connection, { name, slug, createdBy }) {
+async function createWorkspace(connection, { name, slug, createdBy, organizationId = null }) {
   const id = createId();
   await connection.beginTransaction();
   try {
     await connection.query(
-      'INSERT INTO workspaces (id, name, slug, created_by) VALUES (?, ?, ?, ?)',
-      [id, name, slug, createdBy]
+      'INSERT INTO workspaces (id, name, slug, organization_id, created_by) VALUES (?, ?, ?, ?, ?)',
+      [id, name, slug, organizationId, createdBy]
     );
     await connection.query(
       `INSERT INTO workspace_memberships (workspace_id, user_id, role, status)
@@ -191,7 +201,7 @@ async function createWorkspace(connection, { name, slug, createdBy }) {
       [id, createdBy]
     );
     await connection.commit();
-    return { id, name, slug, role: 'owner' };
+    return { id, name, slug, organization_id: organizationId, role: 'owner' };
   } catch (error) {
     await connection.rollback();
     throw error;
@@ -200,9 +210,18 @@ async function createWorkspace(connection, { name, slug, createdBy }) {
 
 async function listWorkspacesForUser(connection, userId) {
   return connection.query(
-    `SELECT w.id, w.name, w.slug, m.role
+    `SELECT w.id, w.name, w.slug, m.role, m.custom_role_id, r.name AS custom_role_name,
+            r.capabilities AS custom_role_capabilities, w.require_two_factor = 1 AS two_factor_required,
+            EXISTS(
+              SELECT 1 FROM workspace_sso_connections c
+              WHERE c.workspace_id = w.id AND c.status = 'active' AND c.require_sso = 1
+            ) AS sso_required,
+            w.organization_id, o.name AS organization_name,
+            o.default_invitation_role AS organization_default_invitation_role
      FROM workspaces w
      JOIN workspace_memberships m ON m.workspace_id = w.id
+     LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+     LEFT JOIN organizations o ON o.id = w.organization_id
      WHERE m.user_id = ? AND m.status = 'active' AND w.deleted_at IS NULL
      ORDER BY w.created_at ASC`,
     [userId]
@@ -211,19 +230,52 @@ async function listWorkspacesForUser(connection, userId) {
 
 async function getMembership(connection, workspaceId, userId) {
   const rows = await connection.query(
-    `SELECT role, status FROM workspace_memberships
-     WHERE workspace_id = ? AND user_id = ? AND status = 'active'
+    `SELECT m.role, m.status, m.custom_role_id, r.name AS custom_role_name,
+            r.capabilities AS custom_role_capabilities, m.organization_id
+     FROM workspace_memberships m
+     LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+     WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active'
      LIMIT 1`,
     [workspaceId, userId]
   );
   return rows[0] || null;
 }
 
+async function countSecondFactors(connection, userId) {
+  const rows = await connection.query(
+    `SELECT
+       (SELECT COUNT(*) FROM user_totp_factors WHERE user_id = ? AND confirmed_at IS NOT NULL) AS totp,
+       (SELECT COUNT(*) FROM user_passkeys WHERE user_id = ? AND revoked_at IS NULL) AS passkeys`,
+    [userId, userId]
+  );
+  return { totp: Number(rows[0].totp), passkeys: Number(rows[0].passkeys) };
+}
+
+async function listSecondFactorWorkspaces(connection, userId) {
+  const rows = await connection.query(
+    `SELECT w.id, w.name, m.role, r.capabilities AS custom_role_capabilities
+     FROM workspaces w
+     JOIN workspace_memberships m ON m.workspace_id = w.id
+     LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+     WHERE m.user_id = ? AND m.status = 'active' AND w.deleted_at IS NULL AND w.require_two_factor = 1`,
+    [userId]
+  );
+  return rows.filter(row => requiresSecondFactor(row));
+}
+
 async function listMembers(connection, workspaceId) {
   return connection.query(
-    `SELECT u.id AS user_id, u.email, u.display_name, m.role, m.status, m.joined_at
+    `SELECT u.id AS user_id, u.email, u.display_name, m.role, m.status, m.joined_at,
+            m.custom_role_id, r.name AS custom_role_name, r.capabilities AS custom_role_capabilities,
+            m.resources_restricted, m.organization_id IS NOT NULL AS organization_managed,
+            (EXISTS (SELECT 1 FROM user_totp_factors t WHERE t.user_id = u.id AND t.confirmed_at IS NOT NULL)
+              OR EXISTS (SELECT 1 FROM user_passkeys p WHERE p.user_id = u.id AND p.revoked_at IS NULL))
+              AS two_factor_enabled,
+            s.id IS NOT NULL AS scim_provisioned, s.group_role AS scim_group_role
      FROM workspace_memberships m
      JOIN users u ON u.id = m.user_id
+     LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+     LEFT JOIN scim_users s ON s.workspace_id = m.workspace_id AND s.user_id = m.user_id
      WHERE m.workspace_id = ? AND m.status = 'active'
      ORDER BY FIELD(m.role, 'owner', 'admin', 'analyst', 'viewer'), u.email`,
     [workspaceId]
@@ -252,20 +304,85 @@ async function countOwners(connection, workspaceId) {
   return Number(rows[0].count || 0);
 }
 
-async function updateMemberRole(connection, workspaceId, userId, role) {
+async function findScimGroupRole(connection, workspaceId, userId) {
+  const rows = await connection.query(
+    'SELECT group_role FROM scim_users WHERE workspace_id = ? AND user_id = ? LIMIT 1',
+    [workspaceId, userId]
+  );
+  return rows[0] ? rows[0].group_role : null;
+}
+
+async function findWorkspaceRole(connection, workspaceId, roleId) {
+  const rows = await connection.query(
+    'SELECT id, name, capabilities FROM workspace_roles WHERE id = ? AND workspace_id = ? LIMIT 1',
+    [roleId, workspaceId]
+  );
+  return rows[0] || null;
+}
+
+async function updateMemberRole(connection, workspaceId, userId, role, customRoleId = null) {
   await connection.query(
-    `UPDATE workspace_memberships SET role = ?
+    `UPDATE workspace_memberships SET role = ?, custom_role_id = ?
      WHERE workspace_id = ? AND user_id = ? AND status = 'active'`,
-    [role, workspaceId, userId]
+    [role, customRoleId, workspaceId, userId]
   );
 }
 
 async function removeMember(connection, workspaceId, userId) {
   await connection.query(
-    `UPDATE workspace_memberships SET status = 'removed'
+    `UPDATE workspace_memberships
+     SET status = 'removed', custom_role_id = NULL, resources_restricted = 0, organization_id = NULL,
+         organization_previous_role = NULL, organization_previous_custom_role_id = NULL
+     WHERE workspace_id = ? AND user_id = ? AND status = 'active'`,
+    [workspaceId, userId]
+  );
+  await connection.query(
+    'DELETE FROM workspace_membership_resources WHERE workspace_id = ? AND user_id = ?',
+    [workspaceId, userId]
+  );
+}
+
+async function listMemberResources(connection, workspaceId) {
+  return connection.query(
+    `SELECT mr.user_id, mr.workspace_provider_connection_id AS connection_id
+     FROM workspace_membership_resources mr
+     JOIN workspace_memberships m ON m.workspace_id = mr.workspace_id AND m.user_id = mr.user_id
+     WHERE mr.workspace_id = ? AND m.status = 'active' AND m.resources_restricted = 1
+       AND m.role NOT IN ('owner', 'admin')
+     ORDER BY mr.created_at ASC`,
+    [workspaceId]
+  );
+}
+
+async function listWorkspaceConnections(connection, workspaceId) {
+  return connection.query(
+    `SELECT wpc.id, wpc.provider, wpc.status, COALESCE(pr.display_name, pr.provider_resource_id) AS display_name
+     FROM workspace_provider_connections wpc
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     WHERE wpc.workspace_id = ?
+     ORDER BY wpc.provider, display_name, wpc.id`,
+    [workspaceId]
+  );
+}
+
+async function replaceMemberResources(connection, workspaceId, userId, connectionIds, actorUserId) {
+  await connection.query(
+    `UPDATE workspace_memberships SET resources_restricted = ?
      WHERE workspace_id = ? AND user_id = ? AND status = 'active'`,
+    [connectionIds ? 1 : 0, workspaceId, userId]
+  );
+  await connection.query(
+    'DELETE FROM workspace_membership_resources WHERE workspace_id = ? AND user_id = ?',
     [workspaceId, userId]
   );
+  for (const connectionId of connectionIds || []) {
+    await connection.query(
+      `INSERT INTO workspace_membership_resources
+        (workspace_id, user_id, workspace_provider_connection_id, created_by, created_at)
+       VALUES (?, ?, ?, ?, UTC_TIMESTAMP(3))`,
+      [workspaceId, userId, connectionId, actorUserId]
+    );
+  }
 }
 
 async function createInvitation(connection, record) {
@@ -347,7 +464,7 @@ async function acceptInvitation(connection, invitation, userId) {
     `INSERT INTO workspace_memberships
       (workspace_id, user_id, role, status, invited_by, joined_at)
      VALUES (?, ?, ?, 'active', ?, UTC_TIMESTAMP(3))
-     ON DUPLICATE KEY UPDATE role = VALUES(role), status = 'active',
+     ON DUPLICATE KEY UPDATE role = VALUES(role), custom_role_id = NULL, resources_restricted = 0, status = 'active',
        invited_by = VALUES(invited_by), joined_at = UTC_TIMESTAMP(3)`,
     [invitation.workspace_id, userId, invitation.role, invitation.invited_by]
   );
@@ -368,25 +485,13 @@ async function getWorkspace(connection, workspaceId) {
 }
 
 async function createAuditLog(connection, record) {
-  await connection.query(
-    `INSERT INTO audit_logs
-      (id, workspace_id, actor_user_id, action, target_type, target_id, metadata)
-     VALUES (?, ?, ?, ?, ?, ?, ?)`,
-    [
-      createId(),
-      record.workspaceId || null,
-      record.actorUserId || null,
-      record.action,
-      record.targetType || null,
-      record.targetId || null,
-      record.metadata ? JSON.stringify(record.metadata) : null
-    ]
-  );
+  await appendAuditLog(connection, record);
 }
 
 async function listDeletionRequests(connection, userId) {
   return connection.query(
-    `SELECT d.id, d.workspace_id, d.scope, d.status, d.requested_at, d.completed_at,
+    `SELECT d.id, d.workspace_id, d.scope, d.status, d.requested_at, d.process_after, d.started_at,
+            d.completed_at, d.cancelled_at, d.failure_code, d.verification_hash, d.sanitized_result,
             w.name AS workspace_name
      FROM data_deletion_requests d
      LEFT JOIN workspaces w ON w.id = d.workspace_id
@@ -412,11 +517,12 @@ async function createDeletionRequest(connection, record) {
   const id = createId();
   await connection.query(
     `INSERT INTO data_deletion_requests
-      (id, workspace_id, requester_user_id, requester_email, scope, status)
-     VALUES (?, ?, ?, ?, ?, 'verified')`,
-    [id, record.workspaceId || null, record.userId, record.email, record.scope]
+      (id, workspace_id, requester_user_id, requester_email, scope, status, process_after)
+     VALUES (?, ?, ?, ?, ?, 'verified', DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? DAY))`,
+    [id, record.workspaceId || null, record.userId, record.email, record.scope, record.gracePeriodDays]
   );
-  return { id, status: 'verified' };
+  const rows = await connection.query('SELECT process_after FROM data_deletion_requests WHERE id = ?', [id]);
+  return { id, status: 'verified', process_after: rows[0] ? new Date(rows[0].process_after).toISOString() : null };
 }
 
 module.exports = {
@@ -424,6 +530,7 @@ module.exports = {
   consumeMagicLinkToken,
   countOwners,
   countRecentMagicLinks,
+  countSecondFactors,
   createAuditLog,
   createDeletionRequest,
   createInvitation,
@@ -434,6 +541,8 @@ module.exports = {
   findOpenDeletionRequest,
   findOrCreateUserByEmail,
   findPendingInvitationByEmail,
+  findScimGroupRole,
+  findWorkspaceRole,
   findSessionByTokenHash,
   findUserByEmail,
   getAccountProfile,
@@ -442,10 +551,14 @@ module.exports = {
   listActiveSessions,
   listDeletionRequests,
   listInvitations,
+  listMemberResources,
+  listWorkspaceConnections,
   listMembers,
+  listSecondFactorWorkspaces,
   listUserIdentities,
   listWorkspacesForUser,
   removeMember,
+  replaceMemberResources,
   revokeAllUserSessions,
   revokeInvitation,
   revokeOtherUserSessions,
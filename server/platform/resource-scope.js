@@ -0,0 +1,38 @@
+async function loadResourceScope(connection, workspaceId, userId) {
+  const rows = await connection.query(
+    `SELECT m.role, m.resources_restricted, wpc.id AS connection_id, wpc.data_source_id
+     FROM workspace_memberships m
+     LEFT JOIN workspace_membership_resources mr ON mr.workspace_id = m.workspace_id AND mr.user_id = m.user_id
+     LEFT JOIN workspace_provider_connections wpc
+       ON wpc.id = mr.workspace_provider_connection_id AND wpc.workspace_id = m.workspace_id
+     WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active'`,
+    [workspaceId, userId]
+  );
+  if (!rows[0] || !Number(rows[0].resources_restricted) || ['owner', 'admin'].includes(rows[0].role)) return null;
+  const granted = rows.filter(row => row.connection_id);
+  return {
+    connectionIds: granted.map(row => row.connection_id),
+    dataSourceIds: granted.map(row => row.data_source_id).filter(Boolean)
+  };
+}
+
+function scopeAllowsConnection(scope, connectionId) {
+  return !scope || scope.connectionIds.includes(connectionId);
+}
+
+function scopeAllowsDataSource(scope, dataSourceId) {
+  return !scope || scope.dataSourceIds.includes(dataSourceId);
+}
+
+function scopeCondition(column, ids) {
+  if (!ids) return { sql: '', params: [] };
+  if (ids.length === 0) return { sql: ' AND 1 = 0', params: [] };
+  return { sql: ` AND ${column} IN (${ids.map(() => '?').join(', ')})`, params: ids };
+}
+
+module.exports = {
+  loadResourceScope,
+  scopeAllowsConnection,
+  scopeAllowsDataSource,
+  scopeCondition
+};
@@ -0,0 +1,487 @@
+const { getConnection } = require('../database');
+const { recordPrunedAuditLinks } = require('./audit-chain');
+const { assertCapability, hasCapability } = require('./rbac');
+const repositories = require('./repositories');
+const { createId } = require('./security');
+
+const MAXIMUM_RETENTION_DAYS = 3650;
+const STALE_JOB_MINUTES = 60;
+const RECENT_JOB_LIMIT = 20;
+const SYNC_RUN_DEPENDENTS = Object.freeze([
+  'profile_snapshots',
+  'content_metric_snapshots',
+  'youtube_channel_snapshots',
+  'youtube_analytics_daily_snapshots',
+  'youtube_video_analytics_snapshots',
+  'meta_account_insight_snapshots',
+  'provider_metric_observations',
+  'provider_dimension_observations',
+  'provider_resource_observations'
+]);
+const RETENTION_TABLES = Object.freeze({
+  profile_snapshots: Object.freeze({
+    timestampColumn: 'observed_at',
+    minimumDays: 30,
+    guard: `EXISTS (
+      SELECT 1 FROM profile_snapshots newer
+      WHERE newer.data_source_id = target.data_source_id AND newer.observed_at > target.observed_at
+    )`
+  }),
+  content_metric_snapshots: Object.freeze({
+    timestampColumn: 'observed_at',
+    minimumDays: 30,
+    guard: `EXISTS (
+      SELECT 1 FROM content_metric_snapshots newer
+      WHERE newer.content_item_id = target.content_item_id AND newer.observed_at > target.observed_at
+    )`
+  }),
+  provider_request_events: Object.freeze({
+    timestampColumn: 'created_at',
+    minimumDays: 7,
+    guard: null
+  }),
+  sync_runs: Object.freeze({
+    timestampColumn: 'started_at',
+    minimumDays: 30,
+    guard: [
+      `target.status <> 'running'`,
+      ...SYNC_RUN_DEPENDENTS.map(table => (
+        `NOT EXISTS (SELECT 1 FROM ${table} dependent WHERE dependent.sync_run_id = target.id)`
+      ))
+    ].join(' AND ')
+  }),
+  audit_logs: Object.freeze({
+    timestampColumn: 'created_at',
+    sequenceColumn: 'chain_sequence',
+    minimumDays: 90,
+    guard: null
+  })
+});
+const RETENTION_TABLE_NAMES = Object.freeze(Object.keys(RETENTION_TABLES));
+
+function createRetentionError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function boundedInteger(value, fallback, minimum, maximum) {
+  const parsed = Number(value);
+  if (!Number.isSafeInteger(parsed)) return fallback;
+  return Math.min(Math.max(parsed, minimum), maximum);
+}
+
+function defaultRetentionDays(value, table) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const parsed = Number(value);
+  if (!Number.isSafeInteger(parsed) || parsed <= 0) return null;
+  return Math.min(Math.max(parsed, RETENTION_TABLES[table].minimumDays), MAXIMUM_RETENTION_DAYS);
+}
+
+function getRetentionConfiguration(env = process.env) {
+  return {
+    policyVersion: String(env.RETENTION_POLICY_VERSION || 'unversioned').trim().slice(0, 64) || 'unversioned',
+    batchSize: boundedInteger(env.RETENTION_BATCH_SIZE, 1000, 100, 10000),
+    defaults: Object.fromEntries(RETENTION_TABLE_NAMES.map(table => [
+      table,
+      defaultRetentionDays(env[`RETENTION_${table.toUpperCase()}_DAYS`], table)
+    ]))
+  };
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createRetentionError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+function isoDate(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function sqlDateTime(date) {
+  return date.toISOString().slice(0, 23).replace('T', ' ');
+}
+
+function serializeRetentionJob(row) {
+  return {
+    id: row.id,
+    table: row.table_name,
+    policy: row.policy_name,
+    policy_version: row.policy_version,
+    retain_days: row.retain_days === null ? null : Number(row.retain_days),
+    cutoff_at: isoDate(row.cutoff_at),
+    dry_run: Boolean(row.dry_run),
+    status: row.status,
+    matched_rows: Number(row.matched_rows || 0),
+    affected_rows: Number(row.affected_rows || 0),
+    started_at: isoDate(row.started_at),
+    finished_at: isoDate(row.finished_at),
+    error_code: row.error_message || null
+  };
+}
+
+async function requireRetentionMembership(connection, workspaceId, userId, capability) {
+  const rows = await connection.query(
+    `SELECT wm.role, r.capabilities AS custom_role_capabilities
+     FROM workspace_memberships wm
+     JOIN workspaces w ON w.id = wm.workspace_id AND w.deleted_at IS NULL
+     LEFT JOIN workspace_roles r ON r.id = wm.custom_role_id
+     WHERE wm.workspace_id = ? AND wm.user_id = ? AND wm.status = 'active'
+     LIMIT 1`,
+    [workspaceId, userId]
+  );
+  if (!rows[0]) throw createRetentionError(404, 'workspace_not_found');
+  assertCapability(rows[0], capability);
+  return rows[0];
+}
+
+async function loadWorkspaceRetention(connection, workspaceId, membership) {
+  const configuration = getRetentionConfiguration();
+  const [policies, jobs] = await Promise.all([
+    connection.query(
+      'SELECT table_name, retain_days, updated_at FROM workspace_retention_policies WHERE workspace_id = ?',
+      [workspaceId]
+    ),
+    connection.query(
+      `SELECT * FROM retention_jobs
+       WHERE workspace_id = ?
+       ORDER BY started_at DESC
+       LIMIT ?`,
+      [workspaceId, RECENT_JOB_LIMIT]
+    )
+  ]);
+  const overrides = new Map(policies.map(row => [row.table_name, row]));
+  return {
+    policy_version: configuration.policyVersion,
+    can_manage: hasCapability(membership, 'manageRetention'),
+    tables: RETENTION_TABLE_NAMES.map(table => {
+      const override = overrides.get(table);
+      const workspaceDays = override ? Number(override.retain_days) : null;
+      return {
+        table,
+        minimum_days: RETENTION_TABLES[table].minimumDays,
+        maximum_days: MAXIMUM_RETENTION_DAYS,
+        default_days: configuration.defaults[table],
+        workspace_days: workspaceDays,
+        effective_days: workspaceDays || configuration.defaults[table],
+        updated_at: override ? isoDate(override.updated_at) : null
+      };
+    }),
+    recent_jobs: jobs.map(serializeRetentionJob)
+  };
+}
+
+function normalizeRetentionTable(table) {
+  if (!RETENTION_TABLE_NAMES.includes(table)) throw createRetentionError(404, 'retention_table_not_found');
+  return table;
+}
+
+function normalizeRetentionDays(table, value) {
+  const days = Number(value);
+  if (
+    !Number.isSafeInteger(days)
+    || days < RETENTION_TABLES[table].minimumDays
+    || days > MAXIMUM_RETENTION_DAYS
+  ) {
+    throw createRetentionError(400, 'invalid_retention_days');
+  }
+  return days;
+}
+
+async function getWorkspaceRetention(userId, workspaceId) {
+  return withConnection(async connection => {
+    const membership = await requireRetentionMembership(connection, workspaceId, userId, 'viewDashboard');
+    return loadWorkspaceRetention(connection, workspaceId, membership);
+  });
+}
+
+async function setWorkspaceRetentionPolicy(userId, workspaceId, table, body) {
+  const tableName = normalizeRetentionTable(table);
+  const retainDays = normalizeRetentionDays(tableName, body && body.retain_days);
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const membership = await requireRetentionMembership(connection, workspaceId, userId, 'manageRetention');
+      const existing = await connection.query(
+        `SELECT retain_days FROM workspace_retention_policies
+         WHERE workspace_id = ? AND table_name = ?
+         FOR UPDATE`,
+        [workspaceId, tableName]
+      );
+      await connection.query(
+        `INSERT INTO workspace_retention_policies (workspace_id, table_name, retain_days, updated_by_user_id)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           retain_days = VALUES(retain_days),
+           updated_by_user_id = VALUES(updated_by_user_id),
+           updated_at = UTC_TIMESTAMP(3)`,
+        [workspaceId, tableName, retainDays, userId]
+      );
+      await repositories.createAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'retention.policy_updated',
+        targetType: 'retention_policy',
+        metadata: {
+          table: tableName,
+          retain_days: retainDays,
+          previous_days: existing[0] ? Number(existing[0].retain_days) : null
+        }
+      });
+      await connection.commit();
+      return loadWorkspaceRetention(connection, workspaceId, membership);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function removeWorkspaceRetentionPolicy(userId, workspaceId, table) {
+  const tableName = normalizeRetentionTable(table);
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const membership = await requireRetentionMembership(connection, workspaceId, userId, 'manageRetention');
+      const result = await connection.query(
+        'DELETE FROM workspace_retention_policies WHERE workspace_id = ? AND table_name = ?',
+        [workspaceId, tableName]
+      );
+      if (Number(result.affectedRows || 0) === 0) throw createRetentionError(404, 'retention_policy_not_found');
+      await repositories.createAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'retention.policy_removed',
+        targetType: 'retention_policy',
+        metadata: { table: tableName }
+      });
+      await connection.commit();
+      return loadWorkspaceRetention(connection, workspaceId, membership);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function planRetentionPasses(configuration) {
+  const overrides = await withConnection(connection => connection.query(
+    `SELECT p.workspace_id, p.table_name, p.retain_days
+     FROM workspace_retention_policies p
+     JOIN workspaces w ON w.id = p.workspace_id AND w.deleted_at IS NULL
+     ORDER BY p.table_name, p.workspace_id`
+  ));
+  const passes = [];
+  for (const table of RETENTION_TABLE_NAMES) {
+    if (configuration.defaults[table]) {
+      passes.push({ policy: 'default', table, workspaceId: null, retainDays: configuration.defaults[table] });
+    }
+    for (const override of overrides.filter(row => row.table_name === table)) {
+      passes.push({
+        policy: 'workspace',
+        table,
+        workspaceId: override.workspace_id,
+        retainDays: Number(override.retain_days)
+      });
+    }
+  }
+  return passes;
+}
+
+function candidateQuery(pass, cutoff) {
+  const spec = RETENTION_TABLES[pass.table];
+  const conditions = [`target.${spec.timestampColumn} < ?`];
+  const params = [sqlDateTime(cutoff)];
+  if (pass.workspaceId) {
+    conditions.push('target.workspace_id = ?');
+    params.push(pass.workspaceId);
+  } else {
+    conditions.push(`(target.workspace_id IS NULL OR target.workspace_id NOT IN (
+      SELECT workspace_id FROM workspace_retention_policies WHERE table_name = ?
+    ))`);
+    params.push(pass.table);
+  }
+  if (spec.guard) conditions.push(spec.guard);
+  if (spec.sequenceColumn) {
+    // Timestamps are taken before the chain link is reserved, so a chain is only cut at a
+    // sequence whose every earlier link is also past the cutoff.
+    conditions.push(`(target.${spec.sequenceColumn} IS NULL OR NOT EXISTS (
+      SELECT 1 FROM ${pass.table} earlier
+      WHERE earlier.workspace_id = target.workspace_id
+        AND earlier.${spec.sequenceColumn} < target.${spec.sequenceColumn}
+        AND earlier.${spec.timestampColumn} >= ?
+    ))`);
+    params.push(sqlDateTime(cutoff));
+  }
+  return {
+    from: `FROM ${pass.table} target WHERE ${conditions.join(' AND ')}`,
+    params,
+    orderBy: spec.sequenceColumn
+      ? `ORDER BY target.workspace_id ASC, target.${spec.sequenceColumn} ASC, target.${spec.timestampColumn} ASC`
+      : `ORDER BY target.${spec.timestampColumn} ASC`
+  };
+}
+
+async function startRetentionJob(pass, configuration, cutoff, dryRun) {
+  const id = createId();
+  await withConnection(connection => connection.query(
+    `INSERT INTO retention_jobs
+      (id, policy_name, policy_version, workspace_id, table_name, retain_days, cutoff_at, dry_run, status, started_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'running', UTC_TIMESTAMP(3))`,
+    [
+      id,
+      pass.policy,
+      configuration.policyVersion,
+      pass.workspaceId,
+      pass.table,
+      pass.retainDays,
+      sqlDateTime(cutoff),
+      dryRun
+    ]
+  ));
+  return id;
+}
+
+async function finishRetentionJob(jobId, { status, matchedRows, affectedRows, batchCount, errorCode = null }) {
+  await withConnection(connection => connection.query(
+    `UPDATE retention_jobs
+     SET status = ?, matched_rows = ?, affected_rows = ?, batch_count = ?, error_message = ?,
+         finished_at = UTC_TIMESTAMP(3)
+     WHERE id = ?`,
+    [status, matchedRows, affectedRows, batchCount, errorCode, jobId]
+  ));
+}
+
+async function countRetentionCandidates(pass, cutoff) {
+  const query = candidateQuery(pass, cutoff);
+  const rows = await withConnection(connection => connection.query(
+    `SELECT COUNT(*) AS count ${query.from}`,
+    query.params
+  ));
+  return Number(rows[0] && rows[0].count || 0);
+}
+
+async function deleteRetentionBatch(pass, cutoff, batchSize) {
+  const query = candidateQuery(pass, cutoff);
+  return withConnection(async connection => {
+    const rows = await connection.query(
+      `SELECT target.id ${query.from} ${query.orderBy} LIMIT ?`,
+      [...query.params, batchSize]
+    );
+    if (!rows.length) return { selected: 0, deleted: 0 };
+    if (pass.table === 'audit_logs') await recordPrunedAuditLinks(connection, rows.map(row => row.id));
+    const result = await connection.query(
+      `DELETE FROM ${pass.table} WHERE id IN (${rows.map(() => '?').join(', ')})`,
+      rows.map(row => row.id)
+    );
+    return { selected: rows.length, deleted: Number(result.affectedRows || 0) };
+  });
+}
+
+async function recordRetentionAudit(pass, jobId, configuration, cutoff, deleted) {
+  await withConnection(connection => repositories.createAuditLog(connection, {
+    workspaceId: pass.workspaceId,
+    action: 'retention.applied',
+    targetType: 'retention_job',
+    targetId: jobId,
+    metadata: {
+      table: pass.table,
+      policy: pass.policy,
+      policy_version: configuration.policyVersion,
+      retain_days: pass.retainDays,
+      cutoff_at: cutoff.toISOString(),
+      deleted_rows: deleted
+    }
+  }));
+}
+
+async function runRetentionPass(pass, { configuration, dryRun, deadlineMs, now }) {
+  const cutoff = new Date(now - pass.retainDays * 24 * 60 * 60 * 1000);
+  const jobId = await startRetentionJob(pass, configuration, cutoff, dryRun);
+  const summary = {
+    job_id: jobId,
+    table: pass.table,
+    policy: pass.policy,
+    workspace_id: pass.workspaceId,
+    retain_days: pass.retainDays,
+    cutoff_at: cutoff.toISOString(),
+    dry_run: dryRun
+  };
+  let deleted = 0;
+  let batchCount = 0;
+  try {
+    if (dryRun) {
+      const matched = await countRetentionCandidates(pass, cutoff);
+      await finishRetentionJob(jobId, { status: 'success', matchedRows: matched, affectedRows: 0, batchCount: 0 });
+      return { ...summary, status: 'success', matched_rows: matched, deleted_rows: 0 };
+    }
+    let complete = false;
+    while (Date.now() < deadlineMs) {
+      const batch = await deleteRetentionBatch(pass, cutoff, configuration.batchSize);
+      if (batch.selected) batchCount += 1;
+      deleted += batch.deleted;
+      if (batch.selected < configuration.batchSize) {
+        complete = true;
+        break;
+      }
+    }
+    const status = complete ? 'success' : 'partial';
+    await finishRetentionJob(jobId, { status, matchedRows: deleted, affectedRows: deleted, batchCount });
+    if (deleted > 0) await recordRetentionAudit(pass, jobId, configuration, cutoff, deleted);
+    return { ...summary, status, matched_rows: deleted, deleted_rows: deleted };
+  } catch (error) {
+    const errorCode = String(error && (error.code || error.message) || 'retention_pass_failed').slice(0, 512);
+    await finishRetentionJob(jobId, {
+      status: 'failed',
+      matchedRows: deleted,
+      affectedRows: deleted,
+      batchCount,
+      errorCode
+    });
+    return { ...summary, status: 'failed', matched_rows: deleted, deleted_rows: deleted, error_code: errorCode };
+  }
+}
+
+async function failStaleRetentionJobs() {
+  await withConnection(connection => connection.query(
+    `UPDATE retention_jobs
+     SET status = 'failed', error_message = 'retention_pass_interrupted', finished_at = UTC_TIMESTAMP(3)
+     WHERE status = 'running' AND started_at < DATE_SUB(UTC_TIMESTAMP(3), INTERVAL ? MINUTE)`,
+    [STALE_JOB_MINUTES]
+  ));
+}
+
+async function runDueRetention({ timeBudgetSeconds = 240, dryRun = false, now = Date.now() } = {}) {
+  const configuration = getRetentionConfiguration();
+  const budgetMs = Math.min(Math.max(Number(timeBudgetSeconds) || 240, 5), 900) * 1000;
+  const deadlineMs = Date.now() + budgetMs;
+  await failStaleRetentionJobs();
+  const passes = await planRetentionPasses(configuration);
+  const results = [];
+  for (const pass of passes) {
+    if (Date.now() >= deadlineMs) break;
+    results.push(await runRetentionPass(pass, { configuration, dryRun: Boolean(dryRun), deadlineMs, now }));
+  }
+  return {
+    dry_run: Boolean(dryRun),
+    policy_version: configuration.policyVersion,
+    processed: results.length,
+    remaining: passes.length - results.length,
+    results
+  };
+}
+
+module.exports = {
+  RETENTION_TABLE_NAMES,
+  getRetentionConfiguration,
+  getWorkspaceRetention,
+  removeWorkspaceRetentionPolicy,
+  runDueRetention,
+  setWorkspaceRetentionPolicy
+};
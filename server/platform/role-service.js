@@ -0,0 +1,260 @@
+const { getConnection } = require('../database');
+const { PROVIDERS } = require('./provider-registry');
+const {
+  CUSTOM_ROLE_CAPABILITIES,
+  PROVIDER_SCOPED_CAPABILITIES,
+  ROLES,
+  assertCapability,
+  effectiveCapabilities
+} = require('./rbac');
+const repositories = require('./repositories');
+const { createId } = require('./security');
+
+const MAX_CUSTOM_ROLES = 20;
+const MAX_NAME_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 255;
+
+function createRoleError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createRoleError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+function isoDate(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function parseCapabilities(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function normalizeRoleName(value) {
+  const name = String(value || '').trim().replace(/\s+/g, ' ');
+  if (!name || name.length > MAX_NAME_LENGTH || ROLES.includes(name.toLowerCase())) {
+    throw createRoleError(400, 'custom_role_name_invalid');
+  }
+  return name;
+}
+
+function normalizeDescription(value) {
+  if (value === undefined || value === null) return null;
+  const description = String(value).trim();
+  if (description.length > MAX_DESCRIPTION_LENGTH) throw createRoleError(400, 'custom_role_description_invalid');
+  return description || null;
+}
+
+function normalizeCapabilities(value) {
+  if (!Array.isArray(value)) throw createRoleError(400, 'custom_role_capability_invalid');
+  const providerIds = PROVIDERS.map(provider => provider.id);
+  const grants = new Set();
+  for (const item of value) {
+    const [capability, provider, extra] = String(item || '').split(':');
+    if (!CUSTOM_ROLE_CAPABILITIES.includes(capability) || extra !== undefined) {
+      throw createRoleError(400, 'custom_role_capability_invalid');
+    }
+    if (provider !== undefined && (!PROVIDER_SCOPED_CAPABILITIES.includes(capability) || !providerIds.includes(provider))) {
+      throw createRoleError(400, 'custom_role_capability_invalid');
+    }
+    grants.add(provider === undefined ? capability : `${capability}:${provider}`);
+  }
+  const normalized = [];
+  for (const capability of CUSTOM_ROLE_CAPABILITIES) {
+    if (grants.has(capability)) {
+      normalized.push(capability);
+      continue;
+    }
+    for (const provider of providerIds) {
+      if (grants.has(`${capability}:${provider}`)) normalized.push(`${capability}:${provider}`);
+    }
+  }
+  const canView = provider => grants.has('viewDashboard') || (provider !== null && grants.has(`viewDashboard:${provider}`));
+  const viewable = normalized.every(grant => {
+    const [capability, provider = null] = grant.split(':');
+    return !PROVIDER_SCOPED_CAPABILITIES.includes(capability) || capability === 'viewDashboard' || canView(provider);
+  });
+  if (!normalized.some(grant => grant.startsWith('viewDashboard')) || !viewable) {
+    throw createRoleError(400, 'custom_role_view_required');
+  }
+  return normalized;
+}
+
+function normalizeRoleInput(body = {}, current = null) {
+  return {
+    name: body.name === undefined && current ? current.name : normalizeRoleName(body.name),
+    description: body.description === undefined && current ? current.description : normalizeDescription(body.description),
+    capabilities: body.capabilities === undefined && current
+      ? parseCapabilities(current.capabilities)
+      : normalizeCapabilities(body.capabilities)
+  };
+}
+
+async function requireRoleMembership(connection, workspaceId, userId) {
+  const membership = await repositories.getMembership(connection, workspaceId, userId);
+  if (!membership) throw createRoleError(404, 'workspace_not_found');
+  assertCapability(membership, 'manageMembers');
+  return membership;
+}
+
+async function findCustomRole(connection, workspaceId, roleId, { forUpdate = false } = {}) {
+  const rows = await connection.query(
+    `SELECT * FROM workspace_roles WHERE id = ? AND workspace_id = ? LIMIT 1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [roleId, workspaceId]
+  );
+  if (!rows[0]) throw createRoleError(404, 'custom_role_not_found');
+  return rows[0];
+}
+
+async function loadWorkspaceRoles(connection, workspaceId) {
+  const rows = await connection.query(
+    `SELECT r.id, r.name, r.description, r.capabilities, r.created_at, r.updated_at,
+            (SELECT COUNT(*) FROM workspace_memberships m
+             WHERE m.custom_role_id = r.id AND m.status = 'active') AS member_count
+     FROM workspace_roles r
+     WHERE r.workspace_id = ?
+     ORDER BY r.name ASC`,
+    [workspaceId]
+  );
+  return {
+    built_in_roles: ROLES.map(role => ({ role, capabilities: effectiveCapabilities(role) })),
+    capabilities: CUSTOM_ROLE_CAPABILITIES.map(id => ({ id, provider_scoped: PROVIDER_SCOPED_CAPABILITIES.includes(id) })),
+    providers: PROVIDERS.map(provider => ({ id: provider.id, name: provider.name })),
+    max_roles: MAX_CUSTOM_ROLES,
+    roles: rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      description: row.description || null,
+      capabilities: parseCapabilities(row.capabilities),
+      member_count: Number(row.member_count || 0),
+      created_at: isoDate(row.created_at),
+      updated_at: isoDate(row.updated_at)
+    }))
+  };
+}
+
+async function withRoleTransaction(connection, fn) {
+  await connection.beginTransaction();
+  try {
+    const result = await fn();
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    if (error.code === 'ER_DUP_ENTRY') throw createRoleError(409, 'custom_role_name_taken');
+    throw error;
+  }
+}
+
+async function getWorkspaceRoles(userId, workspaceId) {
+  return withConnection(async connection => {
+    await requireRoleMembership(connection, workspaceId, userId);
+    return loadWorkspaceRoles(connection, workspaceId);
+  });
+}
+
+async function createWorkspaceRole(userId, workspaceId, body = {}) {
+  const input = normalizeRoleInput(body);
+  return withConnection(async connection => {
+    await requireRoleMembership(connection, workspaceId, userId);
+    await withRoleTransaction(connection, async () => {
+      const counts = await connection.query(
+        'SELECT COUNT(*) AS count FROM workspace_roles WHERE workspace_id = ? FOR UPDATE',
+        [workspaceId]
+      );
+      if (Number(counts[0].count) >= MAX_CUSTOM_ROLES) throw createRoleError(409, 'custom_role_limit_reached');
+      const id = createId();
+      await connection.query(
+        `INSERT INTO workspace_roles (id, workspace_id, name, description, capabilities, created_by, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3), UTC_TIMESTAMP(3))`,
+        [id, workspaceId, input.name, input.description, JSON.stringify(input.capabilities), userId]
+      );
+      await repositories.createAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'workspace.role_created',
+        targetType: 'workspace_role',
+        targetId: id,
+        metadata: { name: input.name, capabilities: input.capabilities }
+      });
+    });
+    return loadWorkspaceRoles(connection, workspaceId);
+  });
+}
+
+async function updateWorkspaceRole(userId, workspaceId, roleId, body = {}) {
+  return withConnection(async connection => {
+    await requireRoleMembership(connection, workspaceId, userId);
+    await withRoleTransaction(connection, async () => {
+      const current = await findCustomRole(connection, workspaceId, roleId, { forUpdate: true });
+      const input = normalizeRoleInput(body, current);
+      await connection.query(
+        `UPDATE workspace_roles
+         SET name = ?, description = ?, capabilities = ?, updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ? AND workspace_id = ?`,
+        [input.name, input.description, JSON.stringify(input.capabilities), roleId, workspaceId]
+      );
+      await repositories.createAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'workspace.role_updated',
+        targetType: 'workspace_role',
+        targetId: roleId,
+        metadata: {
+          name: input.name,
+          previous_capabilities: parseCapabilities(current.capabilities),
+          capabilities: input.capabilities
+        }
+      });
+    });
+    return loadWorkspaceRoles(connection, workspaceId);
+  });
+}
+
+async function deleteWorkspaceRole(userId, workspaceId, roleId) {
+  return withConnection(async connection => {
+    await requireRoleMembership(connection, workspaceId, userId);
+    await withRoleTransaction(connection, async () => {
+      const current = await findCustomRole(connection, workspaceId, roleId, { forUpdate: true });
+      const members = await connection.query(
+        'SELECT COUNT(*) AS count FROM workspace_memberships WHERE custom_role_id = ?',
+        [roleId]
+      );
+      if (Number(members[0].count) > 0) throw createRoleError(409, 'custom_role_in_use');
+      await connection.query('DELETE FROM workspace_roles WHERE id = ? AND workspace_id = ?', [roleId, workspaceId]);
+      await repositories.createAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'workspace.role_deleted',
+        targetType: 'workspace_role',
+        targetId: roleId,
+        metadata: { name: current.name }
+      });
+    });
+    return loadWorkspaceRoles(connection, workspaceId);
+  });
+}
+
+module.exports = {
+  MAX_CUSTOM_ROLES,
+  createWorkspaceRole,
+  deleteWorkspaceRole,
+  getWorkspaceRoles,
+  normalizeCapabilities,
+  updateWorkspaceRole
+};
@@ -25,10 +25,88 @@ const {
   revokeOtherAccountSessions,
   signOut,
   updateAccountProfile,
+  updateMemberResources,
   updateMemberRole,
   verifyGoogleOidc,
-  verifyMagicLink
+  verifyMagicLink,
+  verifyPasskey
 } = require('./services');
+const {
+  finishPasskeyRegistration,
+  revokePasskey,
+  startPasskeyRegistration,
+  startPasskeySignIn,
+  startPasskeyStepUp
+} = require('./passkey-service');
+const {
+  assertWorkspaceSecondFactor,
+  confirmTotpEnrollment,
+  getTwoFactorStatus,
+  getWorkspaceSecurity,
+  removeTotp,
+  startTotpEnrollment,
+  updateWorkspaceSecurity,
+  verifySecondFactor
+} = require('./two-factor-service');
+const {
+  SSO_BINDING_COOKIE,
+  acceptSamlResponse,
+  addSsoDomain,
+  assertWorkspaceSessionPolicy,
+  completeOidcSignIn,
+  completeSamlSignIn,
+  configureWorkspaceSso,
+  discoverSsoForEmail,
+  getServiceProviderMetadata,
+  getWorkspaceSso,
+  removeSsoDomain,
+  removeWorkspaceSso,
+  ssoCallbackOutcome,
+  startSsoSignIn,
+  verifySsoDomain
+} = require('./sso-service');
+const {
+  authenticateScimToken,
+  createScimGroup,
+  createScimToken,
+  createScimUser,
+  deleteScimGroup,
+  deleteScimUser,
+  getScimGroup,
+  getScimServiceProviderConfig,
+  getScimUser,
+  getWorkspaceScim,
+  listScimGroups,
+  listScimResourceTypes,
+  listScimUsers,
+  patchScimGroup,
+  patchScimUser,
+  replaceScimGroup,
+  replaceScimUser,
+  revokeScimToken,
+  scimErrorResponse,
+  updateScimGroupRole
+} = require('./scim-service');
+const {
+  createWorkspaceRole,
+  deleteWorkspaceRole,
+  getWorkspaceRoles,
+  updateWorkspaceRole
+} = require('./role-service');
+const {
+  addDirectoryMember,
+  addOrganizationMember,
+  attachOrganizationWorkspace,
+  createOrganization,
+  createOrganizationWorkspace,
+  detachOrganizationWorkspace,
+  getOrganization,
+  getOrganizationHealth,
+  listOrganizations,
+  removeOrganizationMember,
+  updateOrganization,
+  updateOrganizationMember
+} = require('./organization-service');
 const {
   completeTikTokConnection,
   disconnectTikTok,
@@ -40,7 +118,35 @@ const {
   getDashboard,
   getSyncHistory
 } = require('./dashboard-service');
+const {
+  acknowledgeAlertEvent,
+  createAlertRule,
+  deleteAlertRule,
+  getWorkspaceAlerts,
+  updateAlertRule
+} = require('./alert-service');
+const {
+  createWebhookEndpoint,
+  deleteWebhookEndpoint,
+  getWorkspaceWebhooks,
+  redeliverWebhook,
+  sendWebhookTest,
+  updateWebhookEndpoint
+} = require('./webhook-service');
+const {
+  authenticateApiToken,
+  createApiToken,
+  getApiTokens,
+  getCurrentApiToken,
+  revokeApiToken
+} = require('./api-token-service');
+const { exportAuditLogs, listAuditLogs } = require('./audit-log-service');
 const { createContentCsvExport } = require('./export-service');
+const {
+  getLookerStudioConfig,
+  getLookerStudioData,
+  getLookerStudioSchema
+} = require('./looker-studio-service');
 const {
   completeYouTubeConnection,
   disconnectYouTube,
@@ -64,6 +170,16 @@ const {
   startGoogleAnalyticsConnection
 } = require('./google-analytics-connection-service');
 const { getGoogleAnalyticsDashboard } = require('./google-analytics-dashboard-service');
+const { linkedInAdapter } = require('./linkedin-adapter');
+const { getLinkedInDashboard } = require('./linkedin-dashboard-service');
+const { searchConsoleAdapter } = require('./search-console-adapter');
+const { getSearchConsoleDashboard } = require('./search-console-dashboard-service');
+const { pinterestAdapter } = require('./pinterest-adapter');
+const { getPinterestDashboard } = require('./pinterest-dashboard-service');
+const { threadsAdapter } = require('./threads-adapter');
+const { getThreadsDashboard } = require('./threads-dashboard-service');
+const { blueskyAdapter } = require('./bluesky-adapter');
+const { getBlueskyDashboard } = require('./bluesky-dashboard-service');
 const { getCrossPlatformDashboard } = require('./cross-platform-dashboard-service');
 const {
   getPublicProviderCatalog,
@@ -80,6 +196,33 @@ const {
   listReports,
   previewReport
 } = require('./report-service');
+const {
+  addReportRecipient,
+  authorizeBounceWebhook,
+  consumeReportDeliveryLink,
+  getReportDeliveryLink,
+  getReportUnsubscribe,
+  listReportDeliveries,
+  listReportRecipients,
+  recordReportDeliveryBounce,
+  removeReportRecipient,
+  unsubscribeReportRecipient
+} = require('./report-delivery-service');
+const {
+  createReportSchedule,
+  deleteReportSchedule,
+  listReportScheduleRuns,
+  listReportSchedules,
+  pauseReportSchedule,
+  previewReportSchedule,
+  resumeReportSchedule
+} = require('./report-schedule-service');
+const { cancelDeletionRequest, getDeletionCertificate } = require('./deletion-service');
+const {
+  getWorkspaceRetention,
+  removeWorkspaceRetentionPolicy,
+  setWorkspaceRetentionPolicy
+} = require('./retention-service');
 const { hashSecret: hashValue, parseCookies, randomToken, serializeCookie } = require('./security');
 
 function isSecureCookie(req) {
@@ -127,8 +270,8 @@ function setOidcCookie(req, res, name, value) {
   }));
 }
 
-function clearOidcCookies(req, res) {
-  for (const name of [OIDC_STATE_COOKIE, OIDC_NONCE_COOKIE]) {
+function clearOidcCookies(req, res, names = [OIDC_STATE_COOKIE, OIDC_NONCE_COOKIE]) {
+  for (const name of names) {
     res.append('set-cookie', serializeCookie(name, '', {
       httpOnly: true,
       secure: isSecureCookie(req),
@@ -146,6 +289,32 @@ function sendError(res, error) {
   });
 }
 
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function sendEmailLinkPage(res, status, heading, body, form = null) {
+  res.setHeader('cache-control', 'no-store');
+  return res.status(status).send(`<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${escapeHtml(heading)}</title>
+  </head>
+  <body>
+    <h1>${escapeHtml(heading)}</h1>
+    <p>${escapeHtml(body)}</p>
+    ${form ? `<form method="post" action="${escapeHtml(form.action)}"><button type="submit">${escapeHtml(form.label)}</button></form>` : ''}
+  </body>
+</html>`);
+}
+
 function youtubeCallbackOutcome(error) {
   const code = error && (error.code || error.message);
   if (code === 'youtube_authorization_denied') return 'denied';
@@ -201,6 +370,75 @@ function googleAnalyticsCallbackOutcome(error) {
   return 'failed';
 }
 
+function linkedInCallbackOutcome(error) {
+  const code = error && (error.code || error.message);
+  if (code === 'linkedin_authorization_denied') return 'denied';
+  if (code === 'linkedin_required_scopes_missing') return 'missing_scopes';
+  if (code === 'linkedin_oauth_redirect_mismatch' || code === 'linkedin_not_configured') {
+    return 'configuration_error';
+  }
+  if (
+    code === 'linkedin_authorization_failed' ||
+    code === 'linkedin_token_exchange_failed' ||
+    code === 'linkedin_refresh_token_missing' ||
+    code === 'linkedin_organization_discovery_failed' ||
+    code === 'linkedin_organization_discovery_incomplete'
+  ) return 'provider_error';
+  return 'failed';
+}
+
+function searchConsoleCallbackOutcome(error) {
+  const code = error && (error.code || error.message);
+  if (code === 'search_console_authorization_denied') return 'denied';
+  if (code === 'search_console_required_scopes_missing') return 'missing_scopes';
+  if (code === 'search_console_oauth_redirect_mismatch' || code === 'search_console_not_configured') {
+    return 'configuration_error';
+  }
+  if (
+    code === 'search_console_authorization_failed' ||
+    code === 'search_console_token_exchange_failed' ||
+    code === 'search_console_refresh_token_missing' ||
+    code === 'search_console_site_discovery_failed' ||
+    code === 'search_console_site_discovery_incomplete'
+  ) return 'provider_error';
+  return 'failed';
+}
+
+function pinterestCallbackOutcome(error) {
+  const code = error && (error.code || error.message);
+  if (code === 'pinterest_authorization_denied') return 'denied';
+  if (code === 'pinterest_required_scopes_missing') return 'missing_scopes';
+  if (code === 'pinterest_oauth_redirect_mismatch' || code === 'pinterest_not_configured') {
+    return 'configuration_error';
+  }
+  if (
+    code === 'pinterest_authorization_failed' ||
+    code === 'pinterest_token_exchange_failed' ||
+    code === 'pinterest_refresh_token_missing' ||
+    code === 'pinterest_account_discovery_failed' ||
+    code === 'pinterest_account_response_malformed'
+  ) return 'provider_error';
+  return 'failed';
+}
+
+function threadsCallbackOutcome(error) {
+  const code = error && (error.code || error.message);
+  if (code === 'threads_authorization_denied') return 'denied';
+  if (code === 'threads_required_scopes_missing') return 'missing_scopes';
+  if (code === 'threads_oauth_redirect_mismatch' || code === 'threads_not_configured') {
+    return 'configuration_error';
+  }
+  if (
+    code === 'threads_authorization_failed' ||
+    code === 'threads_token_exchange_failed' ||
+    code === 'threads_long_lived_token_failed' ||
+    code === 'threads_token_validation_failed' ||
+    code === 'threads_profile_discovery_failed' ||
+    code === 'threads_profile_response_malformed'
+  ) return 'provider_error';
+  return 'failed';
+}
+
 async function requireSession(req, res, next) {
   const cookies = parseCookies(req.get('cookie'));
   try {
@@ -210,12 +448,77 @@ async function requireSession(req, res, next) {
     }
     req.session = session;
     req.csrfCookie = cookies[CSRF_COOKIE] || null;
+    if (req.params.workspaceId) {
+      await assertWorkspaceSessionPolicy(session, req.params.workspaceId);
+    }
+    return next();
+  } catch (error) {
+    return sendError(res, error);
+  }
+}
+
+async function requireStepUp(req, res, next) {
+  try {
+    await assertWorkspaceSecondFactor(req.session, req.params.workspaceId, { stepUp: true });
+    return next();
+  } catch (error) {
+    return sendError(res, error);
+  }
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1] : null;
+}
+
+async function requireApiToken(req, res, next) {
+  try {
+    const session = await authenticateApiToken(bearerToken(req));
+    if (!session) {
+      res.setHeader('www-authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'invalid_api_token' });
+    }
+    if (req.params.workspaceId && session.apiToken.workspace_id !== req.params.workspaceId) {
+      return res.status(403).json({ error: 'api_token_workspace_mismatch' });
+    }
+    await assertWorkspaceSessionPolicy(session, session.apiToken.workspace_id);
+    req.session = session;
     return next();
   } catch (error) {
     return sendError(res, error);
   }
 }
 
+function sendScim(res, status, body) {
+  res.setHeader('cache-control', 'no-store');
+  if (body === null) return res.status(204).end();
+  return res.status(status).type('application/scim+json').send(JSON.stringify(body));
+}
+
+function sendScimError(res, error) {
+  const { status, body } = scimErrorResponse(error);
+  return sendScim(res, status, body);
+}
+
+async function requireScimToken(req, res, next) {
+  try {
+    const scim = await authenticateScimToken(bearerToken(req), req.params.workspaceId);
+    if (!scim) {
+      res.setHeader('www-authenticate', 'Bearer error="invalid_token"');
+      return sendScimError(res, { status: 401, code: 'invalid_scim_token' });
+    }
+    req.scim = scim;
+    return next();
+  } catch (error) {
+    return sendScimError(res, error);
+  }
+}
+
+function requireSessionOrApiToken(req, res, next) {
+  if (!bearerToken(req)) return requireSession(req, res, next);
+  return requireApiToken(req, res, next);
+}
+
 function requireCsrf(req, res, next) {
   if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
     return next();
@@ -315,6 +618,116 @@ function createPlatformRouter() {
     }
   });
 
+  router.post('/auth/passkey/options', async (req, res) => {
+    try {
+      return res.json(await startPasskeySignIn());
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/auth/passkey', async (req, res) => {
+    try {
+      const userAgent = req.get('user-agent') || '';
+      const userAgentHash = userAgent ? hashSecret(userAgent) : null;
+      const result = await verifyPasskey({
+        credential: req.body && req.body.credential,
+        userAgentHash,
+        deviceLabel: describeUserAgent(userAgent)
+      });
+      setAuthCookies(req, res, result.sessionToken, result.csrfToken);
+      return res.json({
+        user: result.user,
+        csrf_token: result.csrfToken
+      });
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/auth/sso/discover', async (req, res) => {
+    try {
+      return res.json(await discoverSsoForEmail(req.query.email));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/auth/sso/:ssoWorkspaceId/start', async (req, res) => {
+    try {
+      const result = await startSsoSignIn({
+        workspaceId: req.params.ssoWorkspaceId,
+        email: typeof req.query.email === 'string' ? req.query.email : null,
+        returnPath: typeof req.query.return_path === 'string' ? req.query.return_path : '/'
+      });
+      setOidcCookie(req, res, SSO_BINDING_COOKIE, result.browserBinding);
+      return res.redirect(303, result.redirectUrl);
+    } catch (error) {
+      return res.redirect(303, `/?sso=${ssoCallbackOutcome(error)}`);
+    }
+  });
+
+  router.get('/auth/sso/oidc/callback', async (req, res) => {
+    try {
+      const userAgent = req.get('user-agent') || '';
+      const result = await completeOidcSignIn({
+        state: req.query.state,
+        code: req.query.code,
+        providerError: req.query.error,
+        browserBinding: parseCookies(req.get('cookie'))[SSO_BINDING_COOKIE],
+        userAgentHash: userAgent ? hashSecret(userAgent) : null,
+        deviceLabel: describeUserAgent(userAgent)
+      });
+      clearOidcCookies(req, res, [SSO_BINDING_COOKIE]);
+      setAuthCookies(req, res, result.sessionToken, result.csrfToken);
+      return res.redirect(303, result.returnPath || '/');
+    } catch (error) {
+      clearOidcCookies(req, res, [SSO_BINDING_COOKIE]);
+      return res.redirect(303, `/?sso=${ssoCallbackOutcome(error)}`);
+    }
+  });
+
+  router.get('/auth/sso/saml/complete', async (req, res) => {
+    try {
+      const userAgent = req.get('user-agent') || '';
+      const result = await completeSamlSignIn({
+        state: req.query.state,
+        browserBinding: parseCookies(req.get('cookie'))[SSO_BINDING_COOKIE],
+        userAgentHash: userAgent ? hashSecret(userAgent) : null,
+        deviceLabel: describeUserAgent(userAgent)
+      });
+      clearOidcCookies(req, res, [SSO_BINDING_COOKIE]);
+      setAuthCookies(req, res, result.sessionToken, result.csrfToken);
+      return res.redirect(303, result.returnPath || '/');
+    } catch (error) {
+      clearOidcCookies(req, res, [SSO_BINDING_COOKIE]);
+      return res.redirect(303, `/?sso=${ssoCallbackOutcome(error)}`);
+    }
+  });
+
+  router.get('/auth/sso/saml/:ssoWorkspaceId/metadata', async (req, res) => {
+    try {
+      const metadata = await getServiceProviderMetadata(req.params.ssoWorkspaceId);
+      res.type('application/samlmetadata+xml');
+      return res.send(metadata);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/auth/sso/saml/:ssoWorkspaceId/acs', async (req, res) => {
+    try {
+      const result = await acceptSamlResponse({
+        workspaceId: req.params.ssoWorkspaceId,
+        samlResponse: req.body && req.body.SAMLResponse,
+        relayState: req.body && req.body.RelayState
+      });
+      return res.redirect(303, `/api/auth/sso/saml/complete?state=${encodeURIComponent(result.state)}`);
+    } catch (error) {
+      return res.redirect(303, `/?sso=${ssoCallbackOutcome(error)}`);
+    }
+  });
+
   router.get('/session', requireSession, async (req, res) => {
     return res.json({
       user: req.session.user,
@@ -348,206 +761,752 @@ function createPlatformRouter() {
     }
   });
 
-  router.delete('/account/sessions/:sessionId', requireSession, requireCsrf, async (req, res) => {
+  router.post('/account/passkeys/options', requireSession, requireCsrf, async (req, res) => {
     try {
-      const result = await revokeAccountSession(req.session.user.id, req.params.sessionId);
-      if (req.params.sessionId === req.session.id) clearAuthCookies(req, res);
-      return res.json({ ...result, signed_out: req.params.sessionId === req.session.id });
+      return res.json(await startPasskeyRegistration(req.session.user.id));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.post('/account/sessions/revoke-others', requireSession, requireCsrf, async (req, res) => {
+  router.post('/account/passkeys', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.json(await revokeOtherAccountSessions(req.session.user.id, req.session.id));
+      return res.status(201).json(await finishPasskeyRegistration(req.session.user.id, req.body || {}));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.post('/account/sessions/revoke-all', requireSession, requireCsrf, async (req, res) => {
+  router.delete('/account/passkeys/:passkeyId', requireSession, requireCsrf, async (req, res) => {
     try {
-      const result = await revokeAllAccountSessions(req.session.user.id);
-      clearAuthCookies(req, res);
-      return res.json({ ...result, signed_out: true });
+      return res.json(await revokePasskey(req.session.user.id, req.params.passkeyId));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.post('/account/deletion-requests', requireSession, requireCsrf, async (req, res) => {
+  router.get('/account/two-factor', requireSession, async (req, res) => {
     try {
-      return res.status(202).json(await requestAccountDeletion(
-        req.session.user.id,
-        req.body && req.body.confirmation
-      ));
+      return res.json(await getTwoFactorStatus(req.session.user.id, req.session.id));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.post('/invitations/accept', requireSession, requireCsrf, async (req, res) => {
+  router.post('/account/two-factor/totp', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.json(await acceptWorkspaceInvitation(req.session.user.id, req.body && req.body.token));
+      return res.json(await startTotpEnrollment(req.session.user.id));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.get('/workspaces', requireSession, async (req, res) => {
+  router.post('/account/two-factor/totp/confirm', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.json({ workspaces: await listWorkspaces(req.session.user.id) });
+      return res.json(await confirmTotpEnrollment(req.session.user.id, req.session.id, req.body && req.body.code));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.post('/workspaces', requireSession, requireCsrf, async (req, res) => {
+  router.delete('/account/two-factor/totp', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.status(201).json({
-        workspace: await createWorkspaceForUser(req.session.user.id, req.body.name)
-      });
+      return res.json(await removeTotp(req.session));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.get('/workspaces/:workspaceId/members', requireSession, async (req, res) => {
+  router.post('/account/two-factor/passkey-options', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.json(await listWorkspaceMembers(req.session.user.id, req.params.workspaceId));
+      return res.json(await startPasskeyStepUp(req.session.user.id));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.post('/workspaces/:workspaceId/invitations', requireSession, requireCsrf, async (req, res) => {
+  router.post('/account/two-factor/verify', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.status(201).json(await inviteMember(
-        req.session.user.id,
-        req.params.workspaceId,
-        req.body.email,
-        req.body.role
-      ));
+      return res.json(await verifySecondFactor(req.session.user.id, req.session.id, req.body || {}));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.post('/workspaces/:workspaceId/invitations/:invitationId/resend', requireSession, requireCsrf, async (req, res) => {
+  router.delete('/account/sessions/:sessionId', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.json(await resendInvitation(
-        req.session.user.id,
-        req.params.workspaceId,
-        req.params.invitationId
-      ));
+      const result = await revokeAccountSession(req.session.user.id, req.params.sessionId);
+      if (req.params.sessionId === req.session.id) clearAuthCookies(req, res);
+      return res.json({ ...result, signed_out: req.params.sessionId === req.session.id });
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.delete('/workspaces/:workspaceId/invitations/:invitationId', requireSession, requireCsrf, async (req, res) => {
+  router.post('/account/sessions/revoke-others', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.json(await revokeInvitation(
-        req.session.user.id,
-        req.params.workspaceId,
-        req.params.invitationId
-      ));
+      return res.json(await revokeOtherAccountSessions(req.session.user.id, req.session.id));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.post('/workspaces/:workspaceId/deletion-requests', requireSession, requireCsrf, async (req, res) => {
+  router.post('/account/sessions/revoke-all', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.status(202).json(await requestWorkspaceDeletion(
-        req.session.user.id,
-        req.params.workspaceId,
-        req.body && req.body.confirmation
-      ));
+      const result = await revokeAllAccountSessions(req.session.user.id);
+      clearAuthCookies(req, res);
+      return res.json({ ...result, signed_out: true });
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.patch('/workspaces/:workspaceId/members/:userId', requireSession, requireCsrf, async (req, res) => {
+  router.post('/account/deletion-requests', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.json(await updateMemberRole(
+      return res.status(202).json(await requestAccountDeletion(
         req.session.user.id,
-        req.params.workspaceId,
-        req.params.userId,
-        req.body.role
+        req.body && req.body.confirmation
       ));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.delete('/workspaces/:workspaceId/members/:userId', requireSession, requireCsrf, async (req, res) => {
+  router.post('/account/deletion-requests/:requestId/cancel', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.json(await removeMember(
-        req.session.user.id,
-        req.params.workspaceId,
-        req.params.userId
-      ));
+      return res.json(await cancelDeletionRequest(req.session.user.id, req.params.requestId));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.post('/workspaces/:workspaceId/connections/tiktok/start', requireSession, requireCsrf, async (req, res) => {
+  router.get('/deletion-certificates/:certificateId', async (req, res) => {
     try {
-      return res.json(await startTikTokConnection(
-        req.session.user.id,
-        req.params.workspaceId,
-        req.body.return_path || '/'
-      ));
+      res.setHeader('cache-control', 'no-store');
+      return res.json(await getDeletionCertificate(req.params.certificateId));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.delete('/workspaces/:workspaceId/connections/tiktok', requireSession, requireCsrf, async (req, res) => {
+  router.post('/invitations/accept', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.json(await disconnectTikTok(req.session.user.id, req.params.workspaceId));
+      return res.json(await acceptWorkspaceInvitation(req.session.user.id, req.body && req.body.token));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.post('/workspaces/:workspaceId/connections/youtube/start', requireSession, requireCsrf, async (req, res) => {
+  router.get('/workspaces', requireSession, async (req, res) => {
     try {
-      return res.json(await startYouTubeConnection({
-        userId: req.session.user.id,
-        sessionId: req.session.id,
-        workspaceId: req.params.workspaceId,
-        returnPath: (req.body && req.body.return_path) || '/',
-        targetConnectionId: (req.body && req.body.connection_id) || null
-      }));
+      return res.json({ workspaces: await listWorkspaces(req.session.user.id) });
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.post('/workspaces/:workspaceId/connections/youtube/select', requireSession, requireCsrf, async (req, res) => {
+  router.post('/workspaces', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.status(201).json(await selectYouTubeResource(
-        req.session.user.id,
-        req.params.workspaceId,
-        req.body && req.body.resource_id
-      ));
+      return res.status(201).json({
+        workspace: await createWorkspaceForUser(req.session.user.id, req.body.name)
+      });
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.delete('/workspaces/:workspaceId/connections/youtube', requireSession, requireCsrf, async (req, res) => {
+  router.get('/organizations', requireSession, async (req, res) => {
     try {
-      return res.json(await disconnectYouTube(
-        req.session.user.id,
-        req.params.workspaceId,
-        req.body && req.body.connection_id ? req.body.connection_id : null
-      ));
+      return res.json(await listOrganizations(req.session.user.id));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/organizations', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(201).json(await createOrganization(req.session.user.id, req.body || {}));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/organizations/:organizationId', requireSession, async (req, res) => {
+    try {
+      return res.json(await getOrganization(req.session.user.id, req.params.organizationId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.patch('/organizations/:organizationId', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await updateOrganization(req.session.user.id, req.params.organizationId, req.body || {}));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/organizations/:organizationId/health', requireSession, async (req, res) => {
+    try {
+      return res.json(await getOrganizationHealth(req.session.user.id, req.params.organizationId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/organizations/:organizationId/members', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(201).json(await addOrganizationMember(
+        req.session.user.id,
+        req.params.organizationId,
+        req.body || {}
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.patch('/organizations/:organizationId/members/:userId', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await updateOrganizationMember(
+        req.session.user.id,
+        req.params.organizationId,
+        req.params.userId,
+        req.body || {}
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.delete('/organizations/:organizationId/members/:userId', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await removeOrganizationMember(req.session.user.id, req.params.organizationId, req.params.userId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/organizations/:organizationId/workspaces', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(201).json(await createOrganizationWorkspace(
+        req.session.user.id,
+        req.params.organizationId,
+        req.body || {}
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.put('/organizations/:organizationId/workspaces/:workspaceId', requireSession, requireCsrf, requireStepUp, async (req, res) => {
+    try {
+      return res.json(await attachOrganizationWorkspace(
+        req.session.user.id,
+        req.params.organizationId,
+        req.params.workspaceId
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.delete('/organizations/:organizationId/workspaces/:workspaceId', requireSession, requireCsrf, requireStepUp, async (req, res) => {
+    try {
+      return res.json(await detachOrganizationWorkspace(
+        req.session.user.id,
+        req.params.organizationId,
+        req.params.workspaceId
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/organizations/:organizationId/workspaces/:workspaceId/members', requireSession, requireCsrf, requireStepUp, async (req, res) => {
+    try {
+      return res.status(201).json(await addDirectoryMember(
+        req.session.user.id,
+        req.params.organizationId,
+        req.params.workspaceId,
+        req.body || {}
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/members', requireSession, async (req, res) => {
+    try {
+      return res.json(await listWorkspaceMembers(req.session.user.id, req.params.workspaceId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/invitations', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(201).json(await inviteMember(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.body.email,
+        req.body.role
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/invitations/:invitationId/resend', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await resendInvitation(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.params.invitationId
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.delete('/workspaces/:workspaceId/invitations/:invitationId', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await revokeInvitation(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.params.invitationId
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/security', requireSession, async (req, res) => {
+    try {
+      return res.json(await getWorkspaceSecurity(req.session.user.id, req.params.workspaceId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.put('/workspaces/:workspaceId/security', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await updateWorkspaceSecurity(req.session, req.params.workspaceId, req.body || {}));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/sso', requireSession, async (req, res) => {
+    try {
+      return res.json(await getWorkspaceSso(req.session.user.id, req.params.workspaceId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.put('/workspaces/:workspaceId/sso', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await configureWorkspaceSso(req.session, req.params.workspaceId, req.body || {}));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.delete('/workspaces/:workspaceId/sso', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await removeWorkspaceSso(req.session, req.params.workspaceId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/sso/domains', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(201).json(await addSsoDomain(req.session, req.params.workspaceId, req.body && req.body.domain));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/sso/domains/:domainId/verify', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await verifySsoDomain(req.session, req.params.workspaceId, req.params.domainId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.delete('/workspaces/:workspaceId/sso/domains/:domainId', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await removeSsoDomain(req.session, req.params.workspaceId, req.params.domainId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/scim', requireSession, async (req, res) => {
+    try {
+      return res.json(await getWorkspaceScim(req.session.user.id, req.params.workspaceId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/scim/token', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(201).json(await createScimToken(req.session, req.params.workspaceId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.delete('/workspaces/:workspaceId/scim/token', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await revokeScimToken(req.session, req.params.workspaceId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.put('/workspaces/:workspaceId/scim/groups/:groupId', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await updateScimGroupRole(
+        req.session,
+        req.params.workspaceId,
+        req.params.groupId,
+        req.body ? req.body.role : undefined
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/deletion-requests', requireSession, requireCsrf, requireStepUp, async (req, res) => {
+    try {
+      return res.status(202).json(await requestWorkspaceDeletion(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.body && req.body.confirmation
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/audit-logs', requireSession, async (req, res) => {
+    try {
+      return res.json(await listAuditLogs(req.session.user.id, req.params.workspaceId, req.query));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/audit-logs/export', requireSession, async (req, res) => {
+    try {
+      const result = await exportAuditLogs(req.session.user.id, req.params.workspaceId, req.query);
+      res.setHeader('content-type', result.contentType);
+      res.setHeader('content-disposition', `attachment; filename="${result.filename}"`);
+      res.setHeader('cache-control', 'no-store');
+      return res.status(200).send(result.body);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/retention', requireSession, async (req, res) => {
+    try {
+      return res.json(await getWorkspaceRetention(req.session.user.id, req.params.workspaceId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.put('/workspaces/:workspaceId/retention/:table', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await setWorkspaceRetentionPolicy(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.params.table,
+        req.body
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.delete('/workspaces/:workspaceId/retention/:table', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await removeWorkspaceRetentionPolicy(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.params.table
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/alerts', requireSession, async (req, res) => {
+    try {
+      return res.json(await getWorkspaceAlerts(req.session.user.id, req.params.workspaceId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/alert-rules', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(201).json(await createAlertRule(req.session.user.id, req.params.workspaceId, req.body));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.patch('/workspaces/:workspaceId/alert-rules/:ruleId', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await updateAlertRule(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.params.ruleId,
+        req.body
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.delete('/workspaces/:workspaceId/alert-rules/:ruleId', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await deleteAlertRule(req.session.user.id, req.params.workspaceId, req.params.ruleId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/alert-events/:eventId/acknowledge', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await acknowledgeAlertEvent(req.session.user.id, req.params.workspaceId, req.params.eventId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/api-tokens/current', requireApiToken, async (req, res) => {
+    try {
+      return res.json(await getCurrentApiToken(req.session));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/api-tokens', requireSession, async (req, res) => {
+    try {
+      return res.json(await getApiTokens(req.session.user.id, req.params.workspaceId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/api-tokens', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(201).json(await createApiToken(req.session.user.id, req.params.workspaceId, req.body));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.delete('/workspaces/:workspaceId/api-tokens/:tokenId', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await revokeApiToken(req.session.user.id, req.params.workspaceId, req.params.tokenId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/webhooks', requireSession, async (req, res) => {
+    try {
+      return res.json(await getWorkspaceWebhooks(req.session.user.id, req.params.workspaceId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/webhooks', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(201).json(await createWebhookEndpoint(req.session.user.id, req.params.workspaceId, req.body));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.patch('/workspaces/:workspaceId/webhooks/:endpointId', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await updateWebhookEndpoint(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.params.endpointId,
+        req.body
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.delete('/workspaces/:workspaceId/webhooks/:endpointId', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await deleteWebhookEndpoint(req.session.user.id, req.params.workspaceId, req.params.endpointId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/webhooks/:endpointId/test', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await sendWebhookTest(req.session.user.id, req.params.workspaceId, req.params.endpointId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/webhook-deliveries/:deliveryId/redeliver', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await redeliverWebhook(req.session.user.id, req.params.workspaceId, req.params.deliveryId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.patch('/workspaces/:workspaceId/members/:userId', requireSession, requireCsrf, requireStepUp, async (req, res) => {
+    try {
+      return res.json(await updateMemberRole(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.params.userId,
+        req.body.role,
+        req.body.custom_role_id || null
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.put('/workspaces/:workspaceId/members/:userId/resources', requireSession, requireCsrf, requireStepUp, async (req, res) => {
+    try {
+      return res.json(await updateMemberResources(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.params.userId,
+        req.body || {}
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/roles', requireSession, async (req, res) => {
+    try {
+      return res.json(await getWorkspaceRoles(req.session.user.id, req.params.workspaceId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/roles', requireSession, requireCsrf, requireStepUp, async (req, res) => {
+    try {
+      return res.status(201).json(await createWorkspaceRole(req.session.user.id, req.params.workspaceId, req.body || {}));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.patch('/workspaces/:workspaceId/roles/:roleId', requireSession, requireCsrf, requireStepUp, async (req, res) => {
+    try {
+      return res.json(await updateWorkspaceRole(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.params.roleId,
+        req.body || {}
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.delete('/workspaces/:workspaceId/roles/:roleId', requireSession, requireCsrf, requireStepUp, async (req, res) => {
+    try {
+      return res.json(await deleteWorkspaceRole(req.session.user.id, req.params.workspaceId, req.params.roleId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.delete('/workspaces/:workspaceId/members/:userId', requireSession, requireCsrf, requireStepUp, async (req, res) => {
+    try {
+      return res.json(await removeMember(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.params.userId
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/connections/tiktok/start', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await startTikTokConnection(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.body.return_path || '/'
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.delete('/workspaces/:workspaceId/connections/tiktok', requireSession, requireCsrf, requireStepUp, async (req, res) => {
+    try {
+      return res.json(await disconnectTikTok(req.session.user.id, req.params.workspaceId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/connections/youtube/start', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await startYouTubeConnection({
+        userId: req.session.user.id,
+        sessionId: req.session.id,
+        workspaceId: req.params.workspaceId,
+        returnPath: (req.body && req.body.return_path) || '/',
+        targetConnectionId: (req.body && req.body.connection_id) || null
+      }));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/connections/youtube/select', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(201).json(await selectYouTubeResource(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.body && req.body.resource_id
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.delete('/workspaces/:workspaceId/connections/youtube', requireSession, requireCsrf, requireStepUp, async (req, res) => {
+    try {
+      return res.json(await disconnectYouTube(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.body && req.body.connection_id ? req.body.connection_id : null
+      ));
     } catch (error) {
       return sendError(res, error);
     }
@@ -555,7 +1514,127 @@ function createPlatformRouter() {
 
   router.post('/workspaces/:workspaceId/connections/google-analytics/start', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.json(await startGoogleAnalyticsConnection({
+      return res.json(await startGoogleAnalyticsConnection({
+        userId: req.session.user.id,
+        sessionId: req.session.id,
+        workspaceId: req.params.workspaceId,
+        returnPath: (req.body && req.body.return_path) || '/',
+        targetConnectionId: (req.body && req.body.connection_id) || null
+      }));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/connections/google-analytics/select', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(201).json(await selectGoogleAnalyticsResource(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.body && req.body.resource_id
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.delete('/workspaces/:workspaceId/connections/google-analytics', requireSession, requireCsrf, requireStepUp, async (req, res) => {
+    try {
+      return res.json(await disconnectGoogleAnalytics(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.body && req.body.connection_id ? req.body.connection_id : null
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/connections/linkedin/start', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await linkedInAdapter.authorization.buildAuthorizationUrl({
+        userId: req.session.user.id,
+        sessionId: req.session.id,
+        workspaceId: req.params.workspaceId,
+        returnPath: (req.body && req.body.return_path) || '/',
+        targetConnectionId: (req.body && req.body.connection_id) || null
+      }));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/connections/linkedin/select', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(201).json(await linkedInAdapter.resources.selectResource({
+        userId: req.session.user.id,
+        workspaceId: req.params.workspaceId,
+        resourceId: req.body && req.body.resource_id
+      }));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.delete('/workspaces/:workspaceId/connections/linkedin', requireSession, requireCsrf, requireStepUp, async (req, res) => {
+    try {
+      return res.json(await linkedInAdapter.authorization.revokeAuthorization({
+        userId: req.session.user.id,
+        workspaceId: req.params.workspaceId,
+        connectionId: req.body && req.body.connection_id ? req.body.connection_id : null
+      }));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/connections/search-console/start', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await searchConsoleAdapter.authorization.buildAuthorizationUrl({
+        userId: req.session.user.id,
+        sessionId: req.session.id,
+        workspaceId: req.params.workspaceId,
+        returnPath: (req.body && req.body.return_path) || '/',
+        targetConnectionId: (req.body && req.body.connection_id) || null
+      }));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/connections/search-console/select', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(201).json(await searchConsoleAdapter.resources.selectResource({
+        userId: req.session.user.id,
+        workspaceId: req.params.workspaceId,
+        resourceId: req.body && req.body.resource_id
+      }));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.delete(
+    '/workspaces/:workspaceId/connections/search-console',
+    requireSession,
+    requireCsrf,
+    requireStepUp,
+    async (req, res) => {
+      try {
+        return res.json(await searchConsoleAdapter.authorization.revokeAuthorization({
+          userId: req.session.user.id,
+          workspaceId: req.params.workspaceId,
+          connectionId: req.body && req.body.connection_id ? req.body.connection_id : null
+        }));
+      } catch (error) {
+        return sendError(res, error);
+      }
+    }
+  );
+
+  router.post('/workspaces/:workspaceId/connections/pinterest/start', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await pinterestAdapter.authorization.buildAuthorizationUrl({
         userId: req.session.user.id,
         sessionId: req.session.id,
         workspaceId: req.params.workspaceId,
@@ -567,30 +1646,136 @@ function createPlatformRouter() {
     }
   });
 
-  router.post('/workspaces/:workspaceId/connections/google-analytics/select', requireSession, requireCsrf, async (req, res) => {
+  router.post('/workspaces/:workspaceId/connections/pinterest/select', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.status(201).json(await selectGoogleAnalyticsResource(
-        req.session.user.id,
-        req.params.workspaceId,
-        req.body && req.body.resource_id
-      ));
+      return res.status(201).json(await pinterestAdapter.resources.selectResource({
+        userId: req.session.user.id,
+        workspaceId: req.params.workspaceId,
+        resourceId: req.body && req.body.resource_id
+      }));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.delete('/workspaces/:workspaceId/connections/google-analytics', requireSession, requireCsrf, async (req, res) => {
+  router.delete(
+    '/workspaces/:workspaceId/connections/pinterest',
+    requireSession,
+    requireCsrf,
+    requireStepUp,
+    async (req, res) => {
+      try {
+        return res.json(await pinterestAdapter.authorization.revokeAuthorization({
+          userId: req.session.user.id,
+          workspaceId: req.params.workspaceId,
+          connectionId: req.body && req.body.connection_id ? req.body.connection_id : null
+        }));
+      } catch (error) {
+        return sendError(res, error);
+      }
+    }
+  );
+
+  router.post('/workspaces/:workspaceId/connections/threads/start', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.json(await disconnectGoogleAnalytics(
-        req.session.user.id,
-        req.params.workspaceId,
-        req.body && req.body.connection_id ? req.body.connection_id : null
-      ));
+      return res.json(await threadsAdapter.authorization.buildAuthorizationUrl({
+        userId: req.session.user.id,
+        sessionId: req.session.id,
+        workspaceId: req.params.workspaceId,
+        returnPath: (req.body && req.body.return_path) || '/',
+        targetConnectionId: (req.body && req.body.connection_id) || null
+      }));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/connections/threads/select', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(201).json(await threadsAdapter.resources.selectResource({
+        userId: req.session.user.id,
+        workspaceId: req.params.workspaceId,
+        resourceId: req.body && req.body.resource_id
+      }));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.delete(
+    '/workspaces/:workspaceId/connections/threads',
+    requireSession,
+    requireCsrf,
+    requireStepUp,
+    async (req, res) => {
+      try {
+        return res.json(await threadsAdapter.authorization.revokeAuthorization({
+          userId: req.session.user.id,
+          workspaceId: req.params.workspaceId,
+          connectionId: req.body && req.body.connection_id ? req.body.connection_id : null
+        }));
+      } catch (error) {
+        return sendError(res, error);
+      }
+    }
+  );
+
+  router.post('/workspaces/:workspaceId/connections/bluesky/start', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await blueskyAdapter.authorization.buildAuthorizationUrl({
+        userId: req.session.user.id,
+        workspaceId: req.params.workspaceId
+      }));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/connections/bluesky/connect', requireSession, requireCsrf, async (req, res) => {
+    try {
+      const result = await blueskyAdapter.authorization.completeAuthorization({
+        userId: req.session.user.id,
+        workspaceId: req.params.workspaceId,
+        identifier: req.body && req.body.identifier,
+        appPassword: req.body && req.body.app_password,
+        targetConnectionId: (req.body && req.body.connection_id) || null
+      });
+      return res.status(result.outcome === 'connected' ? 201 : 200).json(result);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/connections/bluesky/select', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(201).json(await blueskyAdapter.resources.selectResource({
+        userId: req.session.user.id,
+        workspaceId: req.params.workspaceId,
+        resourceId: req.body && req.body.resource_id
+      }));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
+  router.delete(
+    '/workspaces/:workspaceId/connections/bluesky',
+    requireSession,
+    requireCsrf,
+    requireStepUp,
+    async (req, res) => {
+      try {
+        return res.json(await blueskyAdapter.authorization.revokeAuthorization({
+          userId: req.session.user.id,
+          workspaceId: req.params.workspaceId,
+          connectionId: req.body && req.body.connection_id ? req.body.connection_id : null
+        }));
+      } catch (error) {
+        return sendError(res, error);
+      }
+    }
+  );
+
   for (const route of [
     { path: 'facebook', provider: 'facebook_pages' },
     { path: 'instagram', provider: 'instagram' }
@@ -623,7 +1808,7 @@ function createPlatformRouter() {
       }
     });
 
-    router.delete(`/workspaces/:workspaceId/connections/${route.path}`, requireSession, requireCsrf, async (req, res) => {
+    router.delete(`/workspaces/:workspaceId/connections/${route.path}`, requireSession, requireCsrf, requireStepUp, async (req, res) => {
       try {
         return res.json(await disconnectMeta(
           req.session.user.id,
@@ -637,129 +1822,364 @@ function createPlatformRouter() {
     });
   }
 
-  router.get('/workspaces/:workspaceId/dashboard', requireSession, async (req, res) => {
+  router.get('/workspaces/:workspaceId/dashboard', requireSessionOrApiToken, async (req, res) => {
+    try {
+      return res.json(await getDashboard(req.session.user.id, req.params.workspaceId, req.query));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/cross-platform-overview', requireSessionOrApiToken, async (req, res) => {
+    try {
+      return res.json(await getCrossPlatformDashboard(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.query
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/providers/youtube/dashboard', requireSessionOrApiToken, async (req, res) => {
+    try {
+      return res.json(await getYouTubeDashboard(req.session.user.id, req.params.workspaceId, req.query));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/providers/facebook_pages/dashboard', requireSessionOrApiToken, async (req, res) => {
+    try {
+      return res.json(await getMetaDashboard(
+        req.session.user.id,
+        req.params.workspaceId,
+        'facebook_pages',
+        req.query
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/providers/instagram/dashboard', requireSessionOrApiToken, async (req, res) => {
+    try {
+      return res.json(await getMetaDashboard(
+        req.session.user.id,
+        req.params.workspaceId,
+        'instagram',
+        req.query
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/providers/google_analytics_4/dashboard', requireSessionOrApiToken, async (req, res) => {
+    try {
+      return res.json(await getGoogleAnalyticsDashboard(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.query
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/providers/linkedin/dashboard', requireSessionOrApiToken, async (req, res) => {
+    try {
+      return res.json(await getLinkedInDashboard(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.query
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get(
+    '/workspaces/:workspaceId/providers/google_search_console/dashboard',
+    requireSessionOrApiToken,
+    async (req, res) => {
+      try {
+        return res.json(await getSearchConsoleDashboard(
+          req.session.user.id,
+          req.params.workspaceId,
+          req.query
+        ));
+      } catch (error) {
+        return sendError(res, error);
+      }
+    }
+  );
+
+  router.get('/workspaces/:workspaceId/providers/pinterest/dashboard', requireSessionOrApiToken, async (req, res) => {
+    try {
+      return res.json(await getPinterestDashboard(req.session.user.id, req.params.workspaceId, req.query));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/providers/threads/dashboard', requireSessionOrApiToken, async (req, res) => {
+    try {
+      return res.json(await getThreadsDashboard(req.session.user.id, req.params.workspaceId, req.query));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/providers/bluesky/dashboard', requireSessionOrApiToken, async (req, res) => {
+    try {
+      return res.json(await getBlueskyDashboard(req.session.user.id, req.params.workspaceId, req.query));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/provider-catalog', requireSession, async (req, res) => {
+    try {
+      return res.json({
+        providers: await listWorkspaceProviderCatalog(req.session.user.id, req.params.workspaceId)
+      });
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/reports/preview', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await previewReport(req.session.user.id, req.params.workspaceId, req.body));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/reports', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(202).json(await enqueueReport(req.session.user.id, req.params.workspaceId, req.body));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/reports', requireSession, async (req, res) => {
+    try {
+      return res.json(await listReports(req.session.user.id, req.params.workspaceId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/reports/:reportRunId', requireSession, async (req, res) => {
+    try {
+      return res.json(await getReport(req.session.user.id, req.params.workspaceId, req.params.reportRunId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/reports/:reportRunId/download-grants', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(201).json(await createDownloadGrant(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.params.reportRunId
+      ));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.delete('/workspaces/:workspaceId/reports/:reportRunId', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await deleteReport(req.session.user.id, req.params.workspaceId, req.params.reportRunId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/report-schedules/preview', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.json(await previewReportSchedule(req.session.user.id, req.params.workspaceId, req.body));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/report-schedules', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(201).json(await createReportSchedule(req.session.user.id, req.params.workspaceId, req.body));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/report-schedules', requireSession, async (req, res) => {
     try {
-      return res.json(await getDashboard(req.session.user.id, req.params.workspaceId, req.query));
+      return res.json(await listReportSchedules(req.session.user.id, req.params.workspaceId));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.get('/workspaces/:workspaceId/cross-platform-overview', requireSession, async (req, res) => {
+  router.get('/workspaces/:workspaceId/report-schedules/:scheduleId/runs', requireSession, async (req, res) => {
     try {
-      return res.json(await getCrossPlatformDashboard(
+      return res.json(await listReportScheduleRuns(
         req.session.user.id,
         req.params.workspaceId,
-        req.query
+        req.params.scheduleId
       ));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.get('/workspaces/:workspaceId/providers/youtube/dashboard', requireSession, async (req, res) => {
+  router.post('/workspaces/:workspaceId/report-schedules/:scheduleId/pause', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.json(await getYouTubeDashboard(req.session.user.id, req.params.workspaceId, req.query));
+      return res.json(await pauseReportSchedule(req.session.user.id, req.params.workspaceId, req.params.scheduleId));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.get('/workspaces/:workspaceId/providers/facebook_pages/dashboard', requireSession, async (req, res) => {
+  router.post('/workspaces/:workspaceId/report-schedules/:scheduleId/resume', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.json(await getMetaDashboard(
-        req.session.user.id,
-        req.params.workspaceId,
-        'facebook_pages',
-        req.query
-      ));
+      return res.json(await resumeReportSchedule(req.session.user.id, req.params.workspaceId, req.params.scheduleId));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.get('/workspaces/:workspaceId/providers/instagram/dashboard', requireSession, async (req, res) => {
+  router.delete('/workspaces/:workspaceId/report-schedules/:scheduleId', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.json(await getMetaDashboard(
-        req.session.user.id,
-        req.params.workspaceId,
-        'instagram',
-        req.query
-      ));
+      return res.json(await deleteReportSchedule(req.session.user.id, req.params.workspaceId, req.params.scheduleId));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.get('/workspaces/:workspaceId/providers/google_analytics_4/dashboard', requireSession, async (req, res) => {
+  router.get('/workspaces/:workspaceId/report-definitions/:definitionId/recipients', requireSession, async (req, res) => {
     try {
-      return res.json(await getGoogleAnalyticsDashboard(
+      return res.json(await listReportRecipients(
         req.session.user.id,
         req.params.workspaceId,
-        req.query
+        req.params.definitionId
       ));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.get('/workspaces/:workspaceId/provider-catalog', requireSession, async (req, res) => {
+  router.post('/workspaces/:workspaceId/report-definitions/:definitionId/recipients', requireSession, requireCsrf, async (req, res) => {
     try {
-      return res.json({
-        providers: await listWorkspaceProviderCatalog(req.session.user.id, req.params.workspaceId)
-      });
+      return res.status(201).json(await addReportRecipient(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.params.definitionId,
+        req.body
+      ));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.post('/workspaces/:workspaceId/reports/preview', requireSession, requireCsrf, async (req, res) => {
+  router.delete(
+    '/workspaces/:workspaceId/report-definitions/:definitionId/recipients/:recipientId',
+    requireSession,
+    requireCsrf,
+    async (req, res) => {
+      try {
+        return res.json(await removeReportRecipient(
+          req.session.user.id,
+          req.params.workspaceId,
+          req.params.definitionId,
+          req.params.recipientId
+        ));
+      } catch (error) {
+        return sendError(res, error);
+      }
+    }
+  );
+
+  router.get('/workspaces/:workspaceId/reports/:reportRunId/deliveries', requireSession, async (req, res) => {
     try {
-      return res.json(await previewReport(req.session.user.id, req.params.workspaceId, req.body));
+      return res.json(await listReportDeliveries(
+        req.session.user.id,
+        req.params.workspaceId,
+        req.params.reportRunId
+      ));
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.post('/workspaces/:workspaceId/reports', requireSession, requireCsrf, async (req, res) => {
+  router.get('/report-links/:token', async (req, res) => {
     try {
-      return res.status(202).json(await enqueueReport(req.session.user.id, req.params.workspaceId, req.body));
+      const link = await getReportDeliveryLink(req.params.token);
+      res.setHeader('referrer-policy', 'no-referrer');
+      return sendEmailLinkPage(
+        res,
+        200,
+        'Download report',
+        `Download "${link.filename}"? This link works once.`,
+        { action: req.originalUrl.split('?')[0], label: 'Download' }
+      );
     } catch (error) {
-      return sendError(res, error);
+      return sendEmailLinkPage(res, error.status || 500, 'Link not available', 'This download link is no longer valid.');
     }
   });
 
-  router.get('/workspaces/:workspaceId/reports', requireSession, async (req, res) => {
+  router.post('/report-links/:token', async (req, res) => {
     try {
-      return res.json(await listReports(req.session.user.id, req.params.workspaceId));
+      const artifact = await consumeReportDeliveryLink(req.params.token);
+      res.setHeader('content-type', artifact.mimeType);
+      res.setHeader('content-length', artifact.byteSize);
+      res.setHeader('content-disposition', `attachment; filename="${artifact.filename.replace(/"/g, '')}"`);
+      res.setHeader('cache-control', 'private, no-store, max-age=0');
+      res.setHeader('referrer-policy', 'no-referrer');
+      return res.sendFile(artifact.path, error => {
+        if (error && !res.headersSent) sendError(res, error);
+      });
     } catch (error) {
       return sendError(res, error);
     }
   });
 
-  router.get('/workspaces/:workspaceId/reports/:reportRunId', requireSession, async (req, res) => {
+  router.get('/report-unsubscribe/:token', async (req, res) => {
     try {
-      return res.json(await getReport(req.session.user.id, req.params.workspaceId, req.params.reportRunId));
+      const target = await getReportUnsubscribe(req.params.token);
+      if (target.unsubscribed) {
+        return sendEmailLinkPage(res, 200, 'Unsubscribed', `You no longer receive "${target.report_title}".`);
+      }
+      return sendEmailLinkPage(
+        res,
+        200,
+        'Unsubscribe from report emails',
+        `Stop receiving "${target.report_title}" by email?`,
+        { action: req.originalUrl.split('?')[0], label: 'Unsubscribe' }
+      );
     } catch (error) {
-      return sendError(res, error);
+      return sendEmailLinkPage(res, error.status || 500, 'Link not available', 'This unsubscribe link is not valid.');
     }
   });
 
-  router.post('/workspaces/:workspaceId/reports/:reportRunId/download-grants', requireSession, requireCsrf, async (req, res) => {
+  router.post('/report-unsubscribe/:token', async (req, res) => {
     try {
-      return res.status(201).json(await createDownloadGrant(
-        req.session.user.id,
-        req.params.workspaceId,
-        req.params.reportRunId
-      ));
+      const target = await unsubscribeReportRecipient(req.params.token);
+      return sendEmailLinkPage(res, 200, 'Unsubscribed', `You no longer receive "${target.report_title}".`);
     } catch (error) {
-      return sendError(res, error);
+      return sendEmailLinkPage(res, error.status || 500, 'Link not available', 'This unsubscribe link is not valid.');
     }
   });
 
-  router.delete('/workspaces/:workspaceId/reports/:reportRunId', requireSession, requireCsrf, async (req, res) => {
+  router.post('/report-deliveries/bounces', async (req, res) => {
     try {
-      return res.json(await deleteReport(req.session.user.id, req.params.workspaceId, req.params.reportRunId));
+      authorizeBounceWebhook(req.headers.authorization);
+      return res.json(await recordReportDeliveryBounce(req.body));
     } catch (error) {
       return sendError(res, error);
     }
@@ -780,7 +2200,7 @@ function createPlatformRouter() {
     }
   });
 
-  router.get('/workspaces/:workspaceId/content', requireSession, async (req, res) => {
+  router.get('/workspaces/:workspaceId/content', requireSessionOrApiToken, async (req, res) => {
     try {
       return res.json(await getContent(req.session.user.id, req.params.workspaceId, req.query));
     } catch (error) {
@@ -788,7 +2208,7 @@ function createPlatformRouter() {
     }
   });
 
-  router.get('/workspaces/:workspaceId/content/:contentItemId', requireSession, async (req, res) => {
+  router.get('/workspaces/:workspaceId/content/:contentItemId', requireSessionOrApiToken, async (req, res) => {
     try {
       return res.json(await getContentDetail(
         req.session.user.id,
@@ -800,7 +2220,7 @@ function createPlatformRouter() {
     }
   });
 
-  router.get('/workspaces/:workspaceId/sync-runs', requireSession, async (req, res) => {
+  router.get('/workspaces/:workspaceId/sync-runs', requireSessionOrApiToken, async (req, res) => {
     try {
       return res.json(await getSyncHistory(req.session.user.id, req.params.workspaceId, req.query));
     } catch (error) {
@@ -851,7 +2271,91 @@ function createPlatformRouter() {
     }
   });
 
-  router.get('/workspaces/:workspaceId/exports/content.csv', requireSession, async (req, res) => {
+  router.post('/workspaces/:workspaceId/providers/linkedin/sync-runs', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(202).json(await requestManualSync(req.session.user.id, req.params.workspaceId, {
+        provider: 'linkedin',
+        connectionId: (req.body && req.body.connection_id) || null
+      }));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post(
+    '/workspaces/:workspaceId/providers/google_search_console/sync-runs',
+    requireSession,
+    requireCsrf,
+    async (req, res) => {
+      try {
+        return res.status(202).json(await requestManualSync(req.session.user.id, req.params.workspaceId, {
+          provider: 'google_search_console',
+          connectionId: (req.body && req.body.connection_id) || null
+        }));
+      } catch (error) {
+        return sendError(res, error);
+      }
+    }
+  );
+
+  router.post('/workspaces/:workspaceId/providers/pinterest/sync-runs', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(202).json(await requestManualSync(req.session.user.id, req.params.workspaceId, {
+        provider: 'pinterest',
+        connectionId: (req.body && req.body.connection_id) || null
+      }));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/providers/threads/sync-runs', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(202).json(await requestManualSync(req.session.user.id, req.params.workspaceId, {
+        provider: 'threads',
+        connectionId: (req.body && req.body.connection_id) || null
+      }));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.post('/workspaces/:workspaceId/providers/bluesky/sync-runs', requireSession, requireCsrf, async (req, res) => {
+    try {
+      return res.status(202).json(await requestManualSync(req.session.user.id, req.params.workspaceId, {
+        provider: 'bluesky',
+        connectionId: (req.body && req.body.connection_id) || null
+      }));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/looker-studio/config', requireSessionOrApiToken, async (req, res) => {
+    try {
+      return res.json(await getLookerStudioConfig(req.session.user.id, req.params.workspaceId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/looker-studio/schema', requireSessionOrApiToken, async (req, res) => {
+    try {
+      return res.json(await getLookerStudioSchema(req.session.user.id, req.params.workspaceId, req.query));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/looker-studio/data', requireSessionOrApiToken, async (req, res) => {
+    try {
+      return res.json(await getLookerStudioData(req.session.user.id, req.params.workspaceId, req.query));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  router.get('/workspaces/:workspaceId/exports/content.csv', requireSessionOrApiToken, async (req, res) => {
     try {
       const result = await createContentCsvExport(req.session.user.id, req.params.workspaceId, req.query);
       res.setHeader('content-type', result.contentType);
@@ -914,6 +2418,86 @@ function createPlatformRouter() {
     }
   });
 
+  router.get('/integrations/linkedin/callback', async (req, res) => {
+    try {
+      const cookies = parseCookies(req.get('cookie'));
+      const session = await authenticate(cookies[SESSION_COOKIE]);
+      if (!session) return res.redirect(303, '/?view=connections&linkedin=failed');
+      const result = await linkedInAdapter.authorization.completeAuthorization({
+        code: req.query.code,
+        state: req.query.state,
+        providerError: req.query.error,
+        sessionId: session.id,
+        userId: session.user.id
+      });
+      const destination = new URL(result.return_path || '/', 'https://social-insights.local');
+      destination.searchParams.set('linkedin', result.outcome);
+      return res.redirect(303, `${destination.pathname}${destination.search}${destination.hash}`);
+    } catch (error) {
+      return res.redirect(303, `/?view=connections&linkedin=${linkedInCallbackOutcome(error)}`);
+    }
+  });
+
+  router.get('/integrations/search-console/callback', async (req, res) => {
+    try {
+      const cookies = parseCookies(req.get('cookie'));
+      const session = await authenticate(cookies[SESSION_COOKIE]);
+      if (!session) return res.redirect(303, '/?view=connections&search_console=failed');
+      const result = await searchConsoleAdapter.authorization.completeAuthorization({
+        code: req.query.code,
+        state: req.query.state,
+        providerError: req.query.error,
+        sessionId: session.id,
+        userId: session.user.id
+      });
+      const destination = new URL(result.return_path || '/', 'https://social-insights.local');
+      destination.searchParams.set('search_console', result.outcome);
+      return res.redirect(303, `${destination.pathname}${destination.search}${destination.hash}`);
+    } catch (error) {
+      return res.redirect(303, `/?view=connections&search_console=${searchConsoleCallbackOutcome(error)}`);
+    }
+  });
+
+  router.get('/integrations/pinterest/callback', async (req, res) => {
+    try {
+      const cookies = parseCookies(req.get('cookie'));
+      const session = await authenticate(cookies[SESSION_COOKIE]);
+      if (!session) return res.redirect(303, '/?view=connections&pinterest=failed');
+      const result = await pinterestAdapter.authorization.completeAuthorization({
+        code: req.query.code,
+        state: req.query.state,
+        providerError: req.query.error,
+        sessionId: session.id,
+        userId: session.user.id
+      });
+      const destination = new URL(result.return_path || '/', 'https://social-insights.local');
+      destination.searchParams.set('pinterest', result.outcome);
+      return res.redirect(303, `${destination.pathname}${destination.search}${destination.hash}`);
+    } catch (error) {
+      return res.redirect(303, `/?view=connections&pinterest=${pinterestCallbackOutcome(error)}`);
+    }
+  });
+
+  router.get('/integrations/threads/callback', async (req, res) => {
+    try {
+      const cookies = parseCookies(req.get('cookie'));
+      const session = await authenticate(cookies[SESSION_COOKIE]);
+      if (!session) return res.redirect(303, '/?view=connections&threads=failed');
+      const result = await threadsAdapter.authorization.completeAuthorization({
+        code: req.query.code,
+        state: req.query.state,
+        providerError: req.query.error,
+        sessionId: session.id,
+        userId: session.user.id
+      });
+      const destination = new URL(result.return_path || '/', 'https://social-insights.local');
+      destination.searchParams.set('threads', result.outcome);
+      return res.redirect(303, `${destination.pathname}${destination.search}${destination.hash}`);
+    } catch (error) {
+      return res.redirect(303, `/?view=connections&threads=${threadsCallbackOutcome(error)}`);
+    }
+  });
+
   for (const callback of [
     { path: 'facebook', provider: 'facebook_pages', queryKey: 'facebook' },
     { path: 'instagram', provider: 'instagram', queryKey: 'instagram' }
@@ -973,6 +2557,114 @@ function createPlatformRouter() {
     }
   });
 
+  router.get('/scim/v2/:workspaceId/ServiceProviderConfig', requireScimToken, (req, res) => {
+    return sendScim(res, 200, getScimServiceProviderConfig(req.scim.workspaceId));
+  });
+
+  router.get('/scim/v2/:workspaceId/ResourceTypes', requireScimToken, (req, res) => {
+    return sendScim(res, 200, listScimResourceTypes(req.scim.workspaceId));
+  });
+
+  router.get('/scim/v2/:workspaceId/Users', requireScimToken, async (req, res) => {
+    try {
+      return sendScim(res, 200, await listScimUsers(req.scim, req.query));
+    } catch (error) {
+      return sendScimError(res, error);
+    }
+  });
+
+  router.post('/scim/v2/:workspaceId/Users', requireScimToken, async (req, res) => {
+    try {
+      const user = await createScimUser(req.scim, req.body);
+      res.setHeader('location', user.meta.location);
+      return sendScim(res, 201, user);
+    } catch (error) {
+      return sendScimError(res, error);
+    }
+  });
+
+  router.get('/scim/v2/:workspaceId/Users/:scimUserId', requireScimToken, async (req, res) => {
+    try {
+      return sendScim(res, 200, await getScimUser(req.scim, req.params.scimUserId));
+    } catch (error) {
+      return sendScimError(res, error);
+    }
+  });
+
+  router.put('/scim/v2/:workspaceId/Users/:scimUserId', requireScimToken, async (req, res) => {
+    try {
+      return sendScim(res, 200, await replaceScimUser(req.scim, req.params.scimUserId, req.body));
+    } catch (error) {
+      return sendScimError(res, error);
+    }
+  });
+
+  router.patch('/scim/v2/:workspaceId/Users/:scimUserId', requireScimToken, async (req, res) => {
+    try {
+      return sendScim(res, 200, await patchScimUser(req.scim, req.params.scimUserId, req.body));
+    } catch (error) {
+      return sendScimError(res, error);
+    }
+  });
+
+  router.delete('/scim/v2/:workspaceId/Users/:scimUserId', requireScimToken, async (req, res) => {
+    try {
+      return sendScim(res, 204, await deleteScimUser(req.scim, req.params.scimUserId));
+    } catch (error) {
+      return sendScimError(res, error);
+    }
+  });
+
+  router.get('/scim/v2/:workspaceId/Groups', requireScimToken, async (req, res) => {
+    try {
+      return sendScim(res, 200, await listScimGroups(req.scim, req.query));
+    } catch (error) {
+      return sendScimError(res, error);
+    }
+  });
+
+  router.post('/scim/v2/:workspaceId/Groups', requireScimToken, async (req, res) => {
+    try {
+      const group = await createScimGroup(req.scim, req.body);
+      res.setHeader('location', group.meta.location);
+      return sendScim(res, 201, group);
+    } catch (error) {
+      return sendScimError(res, error);
+    }
+  });
+
+  router.get('/scim/v2/:workspaceId/Groups/:groupId', requireScimToken, async (req, res) => {
+    try {
+      return sendScim(res, 200, await getScimGroup(req.scim, req.params.groupId));
+    } catch (error) {
+      return sendScimError(res, error);
+    }
+  });
+
+  router.put('/scim/v2/:workspaceId/Groups/:groupId', requireScimToken, async (req, res) => {
+    try {
+      return sendScim(res, 200, await replaceScimGroup(req.scim, req.params.groupId, req.body));
+    } catch (error) {
+      return sendScimError(res, error);
+    }
+  });
+
+  router.patch('/scim/v2/:workspaceId/Groups/:groupId', requireScimToken, async (req, res) => {
+    try {
+      return sendScim(res, 200, await patchScimGroup(req.scim, req.params.groupId, req.body));
+    } catch (error) {
+      return sendScimError(res, error);
+    }
+  });
+
+  router.delete('/scim/v2/:workspaceId/Groups/:groupId', requireScimToken, async (req, res) => {
+    try {
+      return sendScim(res, 204, await deleteScimGroup(req.scim, req.params.groupId));
+    } catch (error) {
+      return sendScimError(res, error);
+    }
+  });
+
   return router;
 }
 
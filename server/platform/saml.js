@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { DOMParser } = require('@xmldom/xmldom');
+const { SignedXml } = require('xml-crypto');
+
+const NS = Object.freeze({
+  xml: 'http://www.w3.org/XML/1998/namespace',
+  dsig: 'http://www.w3.org/2000/09/xmldsig#',
+  assertion: 'urn:oasis:names:tc:SAML:2.0:assertion',
+  protocol: 'urn:oasis:names:tc:SAML:2.0:protocol',
+  metadata: 'urn:oasis:names:tc:SAML:2.0:metadata',
+  excC14n: 'http://www.w3.org/2001/10/xml-exc-c14n#'
+});
+const BINDINGS = Object.freeze({
+  redirect: 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect',
+  post: 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST'
+});
+const ENVELOPED_SIGNATURE = 'http://www.w3.org/2000/09/xmldsig#enveloped-signature';
+const TRANSFORM_ALGORITHMS = Object.freeze([ENVELOPED_SIGNATURE, NS.excC14n]);
+const SIGNATURE_ALGORITHMS = Object.freeze([
+  'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256',
+  'http://www.w3.org/2001/04/xmldsig-more#rsa-sha512'
+]);
+const DIGEST_ALGORITHMS = Object.freeze([
+  'http://www.w3.org/2001/04/xmlenc#sha256',
+  'http://www.w3.org/2001/04/xmlenc#sha512'
+]);
+const STATUS_SUCCESS = 'urn:oasis:names:tc:SAML:2.0:status:Success';
+const NAME_ID_EMAIL = 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress';
+const BEARER = 'urn:oasis:names:tc:SAML:2.0:cm:bearer';
+const EMAIL_ATTRIBUTES = [
+  'email',
+  'mail',
+  'emailaddress',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress',
+  'urn:oid:0.9.2342.19200300.100.1.3'
+];
+const NAME_ATTRIBUTES = [
+  'displayname',
+  'name',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name',
+  'urn:oid:2.16.840.1.113730.3.1.241'
+];
+const ELEMENT_NODE = 1;
+const MAX_DEPTH = 64;
+const CLOCK_SKEW_SECONDS = 120;
+
+function createSamlError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function elementChildren(node) {
+  const children = [];
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType === ELEMENT_NODE) children.push(child);
+  }
+  return children;
+}
+
+function parseXml(input) {
+  const text = String(input || '');
+  const fail = () => {
+    throw createSamlError(400, 'saml_xml_invalid');
+  };
+  if (/<!DOCTYPE|<!ENTITY/i.test(text)) fail();
+  let document;
+  try {
+    document = new DOMParser({ errorHandler: fail }).parseFromString(text, 'text/xml');
+  } catch {
+    fail();
+  }
+  const root = document && document.documentElement;
+  if (!root) fail();
+  const pending = [[root, 1]];
+  while (pending.length) {
+    const [element, depth] = pending.pop();
+    if (depth > MAX_DEPTH) fail();
+    for (const child of elementChildren(element)) pending.push([child, depth + 1]);
+  }
+  return root;
+}
+
+function isElement(element, namespaceURI, localName) {
+  return Boolean(element) && element.namespaceURI === namespaceURI && element.localName === localName;
+}
+
+function childElements(element, namespaceURI, localName) {
+  return element ? elementChildren(element).filter(child => isElement(child, namespaceURI, localName)) : [];
+}
+
+function firstChild(element, namespaceURI, localName) {
+  return childElements(element, namespaceURI, localName)[0] || null;
+}
+
+function descendants(element, namespaceURI, localName) {
+  const found = [];
+  const pending = elementChildren(element).reverse();
+  while (pending.length) {
+    const node = pending.pop();
+    if (isElement(node, namespaceURI, localName)) found.push(node);
+    pending.push(...elementChildren(node).reverse());
+  }
+  return found;
+}
+
+function attributeValue(element, name) {
+  return element && element.hasAttribute(name) ? element.getAttribute(name) : null;
+}
+
+function textContent(element) {
+  return element ? element.textContent : '';
+}
+
+function certificatePem(certificate) {
+  return `-----BEGIN CERTIFICATE-----\n${certificate.replace(/(.{64})/g, '$1\n')}\n-----END CERTIFICATE-----\n`;
+}
+
+function pickAlgorithms(available, allowed) {
+  return Object.fromEntries(allowed.map(uri => [uri, available[uri]]));
+}
+
+function assertSignatureAlgorithms(signature, target) {
+  const signedInfo = firstChild(signature, NS.dsig, 'SignedInfo');
+  const canonicalization = firstChild(signedInfo, NS.dsig, 'CanonicalizationMethod');
+  if (!signedInfo || attributeValue(canonicalization, 'Algorithm') !== NS.excC14n) {
+    throw createSamlError(400, 'saml_signature_algorithm_unsupported');
+  }
+  if (!SIGNATURE_ALGORITHMS.includes(attributeValue(firstChild(signedInfo, NS.dsig, 'SignatureMethod'), 'Algorithm'))) {
+    throw createSamlError(400, 'saml_signature_algorithm_unsupported');
+  }
+  const references = childElements(signedInfo, NS.dsig, 'Reference');
+  const id = attributeValue(target, 'ID');
+  if (references.length !== 1 || !id || attributeValue(references[0], 'URI') !== `#${id}`) {
+    throw createSamlError(400, 'saml_signature_invalid');
+  }
+  const transforms = childElements(firstChild(references[0], NS.dsig, 'Transforms'), NS.dsig, 'Transform')
+    .map(transform => attributeValue(transform, 'Algorithm'));
+  if (!transforms.includes(ENVELOPED_SIGNATURE) || transforms.some(algorithm => !TRANSFORM_ALGORITHMS.includes(algorithm))) {
+    throw createSamlError(400, 'saml_signature_algorithm_unsupported');
+  }
+  if (!DIGEST_ALGORITHMS.includes(attributeValue(firstChild(references[0], NS.dsig, 'DigestMethod'), 'Algorithm'))) {
+    throw createSamlError(400, 'saml_signature_algorithm_unsupported');
+  }
+  return `#${id}`;
+}
+
+function verifyEnvelopedSignature(xml, signature, certificates) {
+  const uri = assertSignatureAlgorithms(signature, signature.parentNode);
+  for (const certificate of certificates) {
+    const signed = new SignedXml({ publicCert: certificatePem(certificate), getCertFromKeyInfo: () => null });
+    signed.CanonicalizationAlgorithms = pickAlgorithms(signed.CanonicalizationAlgorithms, TRANSFORM_ALGORITHMS);
+    signed.HashAlgorithms = pickAlgorithms(signed.HashAlgorithms, DIGEST_ALGORITHMS);
+    signed.SignatureAlgorithms = pickAlgorithms(signed.SignatureAlgorithms, SIGNATURE_ALGORITHMS);
+    let verified = false;
+    try {
+      signed.loadSignature(signature);
+      verified = signed.checkSignature(xml) === true;
+    } catch {
+      verified = false;
+    }
+    if (!verified) continue;
+    const references = signed.getReferences();
+    const signedReferences = signed.getSignedReferences();
+    if (references.length !== 1 || references[0].uri !== uri || signedReferences.length !== 1) break;
+    return parseXml(signedReferences[0]);
+  }
+  throw createSamlError(400, 'saml_signature_invalid');
+}
+
+function parseInstant(value) {
+  const parsed = Date.parse(value || '');
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function assertTimeWindow({ notBefore = null, notOnOrAfter = null }, nowMs) {
+  const skewMs = CLOCK_SKEW_SECONDS * 1000;
+  if (notBefore !== null && parseInstant(notBefore) === null) throw createSamlError(400, 'saml_assertion_invalid');
+  if (notOnOrAfter !== null && parseInstant(notOnOrAfter) === null) throw createSamlError(400, 'saml_assertion_invalid');
+  if (notBefore !== null && parseInstant(notBefore) > nowMs + skewMs) throw createSamlError(400, 'saml_assertion_expired');
+  if (notOnOrAfter !== null && parseInstant(notOnOrAfter) <= nowMs - skewMs) throw createSamlError(400, 'saml_assertion_expired');
+}
+
+function readAttributes(assertion) {
+  const values = new Map();
+  const statement = firstChild(assertion, NS.assertion, 'AttributeStatement');
+  for (const attribute of childElements(statement, NS.assertion, 'Attribute')) {
+    const name = String(attributeValue(attribute, 'Name') || '').toLowerCase();
+    const value = firstChild(attribute, NS.assertion, 'AttributeValue');
+    if (name && value && !values.has(name)) values.set(name, textContent(value).trim());
+  }
+  return values;
+}
+
+function validateSamlResponse(encodedResponse, {
+  idpEntityId,
+  certificates,
+  spEntityId,
+  acsUrl,
+  requestId,
+  nowMs = Date.now()
+}) {
+  if (!encodedResponse || typeof encodedResponse !== 'string' || !requestId) throw createSamlError(400, 'saml_response_missing');
+  const xml = Buffer.from(encodedResponse.replace(/\s/g, ''), 'base64').toString('utf8');
+  const root = parseXml(xml);
+  if (!isElement(root, NS.protocol, 'Response')) throw createSamlError(400, 'saml_response_invalid');
+  if (descendants(root, NS.assertion, 'EncryptedAssertion').length) {
+    throw createSamlError(400, 'saml_encrypted_assertion_unsupported');
+  }
+  const assertions = descendants(root, NS.assertion, 'Assertion');
+  if (assertions.length !== 1 || assertions[0].parentNode !== root) throw createSamlError(400, 'saml_response_invalid');
+  const responseSignature = firstChild(root, NS.dsig, 'Signature');
+  const assertionSignature = firstChild(assertions[0], NS.dsig, 'Signature');
+  const signatures = descendants(root, NS.dsig, 'Signature');
+  if (!signatures.length) throw createSamlError(400, 'saml_signature_missing');
+  if (signatures.some(signature => signature !== responseSignature && signature !== assertionSignature)) {
+    throw createSamlError(400, 'saml_signature_invalid');
+  }
+
+  const signedResponse = responseSignature ? verifyEnvelopedSignature(xml, responseSignature, certificates) : null;
+  const signedAssertion = assertionSignature ? verifyEnvelopedSignature(xml, assertionSignature, certificates) : null;
+  const response = signedResponse || root;
+  const assertion = signedAssertion || firstChild(signedResponse, NS.assertion, 'Assertion');
+  if (!isElement(response, NS.protocol, 'Response') || !isElement(assertion, NS.assertion, 'Assertion')) {
+    throw createSamlError(400, 'saml_response_invalid');
+  }
+  if (attributeValue(response, 'InResponseTo') !== requestId) throw createSamlError(400, 'saml_response_invalid');
+  const destination = attributeValue(response, 'Destination');
+  if (destination !== null && destination !== acsUrl) throw createSamlError(400, 'saml_response_invalid');
+
+  const statusCode = firstChild(firstChild(response, NS.protocol, 'Status'), NS.protocol, 'StatusCode');
+  if (attributeValue(statusCode, 'Value') !== STATUS_SUCCESS) throw createSamlError(401, 'saml_authentication_failed');
+
+  const responseIssuer = firstChild(response, NS.assertion, 'Issuer');
+  if (responseIssuer && textContent(responseIssuer).trim() !== idpEntityId) throw createSamlError(400, 'saml_issuer_invalid');
+  if (textContent(firstChild(assertion, NS.assertion, 'Issuer')).trim() !== idpEntityId) {
+    throw createSamlError(400, 'saml_issuer_invalid');
+  }
+
+  const conditions = firstChild(assertion, NS.assertion, 'Conditions');
+  if (!conditions) throw createSamlError(400, 'saml_assertion_invalid');
+  assertTimeWindow({
+    notBefore: attributeValue(conditions, 'NotBefore'),
+    notOnOrAfter: attributeValue(conditions, 'NotOnOrAfter')
+  }, nowMs);
+  const audiences = childElements(conditions, NS.assertion, 'AudienceRestriction')
+    .map(restriction => childElements(restriction, NS.assertion, 'Audience').map(audience => textContent(audience).trim()));
+  if (!audiences.length || audiences.some(list => !list.includes(spEntityId))) throw createSamlError(400, 'saml_audience_invalid');
+
+  const subject = firstChild(assertion, NS.assertion, 'Subject');
+  const nameIds = childElements(subject, NS.assertion, 'NameID');
+  const confirmed = childElements(subject, NS.assertion, 'SubjectConfirmation').some(confirmation => {
+    if (attributeValue(confirmation, 'Method') !== BEARER) return false;
+    const data = firstChild(confirmation, NS.assertion, 'SubjectConfirmationData');
+    if (!data || attributeValue(data, 'Recipient') !== acsUrl || attributeValue(data, 'InResponseTo') !== requestId) return false;
+    if (!attributeValue(data, 'NotOnOrAfter')) return false;
+    assertTimeWindow({ notBefore: attributeValue(data, 'NotBefore'), notOnOrAfter: attributeValue(data, 'NotOnOrAfter') }, nowMs);
+    return true;
+  });
+  if (nameIds.length !== 1 || !confirmed) throw createSamlError(400, 'saml_subject_invalid');
+  if (!firstChild(assertion, NS.assertion, 'AuthnStatement')) throw createSamlError(400, 'saml_assertion_invalid');
+
+  const attributes = readAttributes(assertion);
+  const subjectValue = textContent(nameIds[0]).trim();
+  const email = EMAIL_ATTRIBUTES.map(name => attributes.get(name)).find(Boolean)
+    || (attributeValue(nameIds[0], 'Format') === NAME_ID_EMAIL ? subjectValue : null);
+  if (!subjectValue || !email) throw createSamlError(400, 'saml_subject_invalid');
+  return {
+    subject: subjectValue,
+    email,
+    displayName: NAME_ATTRIBUTES.map(name => attributes.get(name)).find(Boolean) || null
+  };
+}
+
+function isHttpsUrl(value) {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function parseIdentityProviderMetadata(xml) {
+  const root = parseXml(xml);
+  if (!isElement(root, NS.metadata, 'EntityDescriptor')) {
+    throw createSamlError(400, 'saml_metadata_invalid');
+  }
+  const entityId = attributeValue(root, 'entityID');
+  const descriptor = firstChild(root, NS.metadata, 'IDPSSODescriptor');
+  const service = descriptor && childElements(descriptor, NS.metadata, 'SingleSignOnService')
+    .find(item => attributeValue(item, 'Binding') === BINDINGS.redirect);
+  const ssoUrl = service ? attributeValue(service, 'Location') : null;
+  if (!entityId || entityId.length > 512 || !ssoUrl || ssoUrl.length > 1024 || !isHttpsUrl(ssoUrl)) {
+    throw createSamlError(400, 'saml_metadata_invalid');
+  }
+  const certificates = childElements(descriptor, NS.metadata, 'KeyDescriptor')
+    .filter(key => [null, 'signing'].includes(attributeValue(key, 'use')))
+    .flatMap(key => descendants(key, NS.dsig, 'X509Certificate'))
+    .map(element => textContent(element).replace(/\s/g, ''));
+  const usable = [...new Set(certificates)].filter(certificate => {
+    try {
+      return new crypto.X509Certificate(Buffer.from(certificate, 'base64')).publicKey.asymmetricKeyType === 'rsa';
+    } catch {
+      return false;
+    }
+  });
+  if (!usable.length) throw createSamlError(400, 'saml_metadata_certificate_missing');
+  return { entityId, ssoUrl, certificates: usable };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function createRequestId() {
+  return `_${crypto.randomBytes(20).toString('hex')}`;
+}
+
+function buildAuthnRequestUrl({ ssoUrl, spEntityId, acsUrl, requestId, relayState, issueInstant = new Date() }) {
+  const request = `<samlp:AuthnRequest xmlns:samlp="${NS.protocol}" xmlns:saml="${NS.assertion}"`
+    + ` ID="${escapeXml(requestId)}" Version="2.0" IssueInstant="${issueInstant.toISOString()}"`
+    + ` Destination="${escapeXml(ssoUrl)}" AssertionConsumerServiceURL="${escapeXml(acsUrl)}"`
+    + ` ProtocolBinding="${BINDINGS.post}">`
+    + `<saml:Issuer>${escapeXml(spEntityId)}</saml:Issuer>`
+    + `<samlp:NameIDPolicy Format="${NAME_ID_EMAIL}" AllowCreate="true"/>`
+    + '</samlp:AuthnRequest>';
+  const url = new URL(ssoUrl);
+  url.searchParams.set('SAMLRequest', zlib.deflateRawSync(Buffer.from(request, 'utf8')).toString('base64'));
+  url.searchParams.set('RelayState', relayState);
+  return url.toString();
+}
+
+function buildServiceProviderMetadata({ entityId, acsUrl }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n`
+    + `<md:EntityDescriptor xmlns:md="${NS.metadata}" entityID="${escapeXml(entityId)}">`
+    + `<md:SPSSODescriptor AuthnRequestsSigned="false" WantAssertionsSigned="true" protocolSupportEnumeration="${NS.protocol}">`
+    + `<md:NameIDFormat>${NAME_ID_EMAIL}</md:NameIDFormat>`
+    + `<md:AssertionConsumerService Binding="${BINDINGS.post}" Location="${escapeXml(acsUrl)}" index="0" isDefault="true"/>`
+    + '</md:SPSSODescriptor>'
+    + '</md:EntityDescriptor>\n';
+}
+
+module.exports = {
+  SAML_NAMESPACES: NS,
+  buildAuthnRequestUrl,
+  buildServiceProviderMetadata,
+  createRequestId,
+  parseIdentityProviderMetadata,
+  parseXml,
+  validateSamlResponse
+};
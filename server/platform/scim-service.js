@@ -0,0 +1,959 @@
+const { getConnection } = require('../database');
+const { sendInvitationEmail } = require('./mail');
+const { ROLES, assertCapability } = require('./rbac');
+const repositories = require('./repositories');
+const { createId, hashSecret, normalizeEmail, randomToken } = require('./security');
+const { INVITATION_TTL_SECONDS } = require('./services');
+const { assertSecondFactorForSession } = require('./two-factor-service');
+
+const TOKEN_PREFIX = 'sis_scim_';
+const LAST_USED_RESOLUTION_SECONDS = 60;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 200;
+const MAX_PATCH_OPERATIONS = 100;
+const SCIM_DEFAULT_ROLE = 'viewer';
+const USER_SCHEMA = 'urn:ietf:params:scim:schemas:core:2.0:User';
+const GROUP_SCHEMA = 'urn:ietf:params:scim:schemas:core:2.0:Group';
+const LIST_SCHEMA = 'urn:ietf:params:scim:api:messages:2.0:ListResponse';
+const ERROR_SCHEMA = 'urn:ietf:params:scim:api:messages:2.0:Error';
+const SERVICE_PROVIDER_CONFIG_SCHEMA = 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig';
+const RESOURCE_TYPE_SCHEMA = 'urn:ietf:params:scim:schemas:core:2.0:ResourceType';
+const SCHEMA_PATH_PREFIX = /^urn:ietf:params:scim:schemas:core:2\.0:(?:User|Group):/i;
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+$/;
+const USER_FILTERS = { username: 's.user_name', externalid: 's.external_id', 'emails.value': 'u.email' };
+const GROUP_FILTERS = { displayname: 'g.display_name', externalid: 'g.external_id' };
+const USER_PATCH_ATTRIBUTES = {
+  active: 'active',
+  displayname: 'displayName',
+  emails: 'emails',
+  externalid: 'externalId',
+  name: 'name',
+  'name.formatted': 'displayName',
+  username: 'userName'
+};
+const USER_COLUMNS = `s.id, s.user_id, s.user_name, s.external_id, s.display_name, s.group_role, s.invitation_id,
+  s.created_at, s.updated_at, u.email, m.role, m.status`;
+const USER_FROM = `FROM scim_users s
+  JOIN users u ON u.id = s.user_id
+  LEFT JOIN workspace_memberships m ON m.workspace_id = s.workspace_id AND m.user_id = s.user_id`;
+
+function createScimError(status, code, scimType = null) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  if (scimType) error.scimType = scimType;
+  return error;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createScimError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+async function withTransaction(fn) {
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const result = await fn(connection);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      if (error.code === 'ER_DUP_ENTRY') throw createScimError(409, 'scim_resource_exists', 'uniqueness');
+      throw error;
+    }
+  });
+}
+
+function isoDate(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function scimBaseUrl(workspaceId, env = process.env) {
+  const base = String(env.BASE_URL || '').replace(/\/+$/, '');
+  return `${base}/api/scim/v2/${encodeURIComponent(workspaceId)}`;
+}
+
+function listResponse(resources, totalResults, page) {
+  return {
+    schemas: [LIST_SCHEMA],
+    totalResults,
+    startIndex: page.startIndex,
+    itemsPerPage: resources.length,
+    Resources: resources
+  };
+}
+
+function readPage(query = {}) {
+  const startIndex = query.startIndex === undefined ? 1 : Number(query.startIndex);
+  const count = query.count === undefined ? DEFAULT_PAGE_SIZE : Number(query.count);
+  if (!Number.isInteger(startIndex) || !Number.isInteger(count)) {
+    throw createScimError(400, 'scim_pagination_invalid', 'invalidValue');
+  }
+  return { startIndex: Math.max(startIndex, 1), count: Math.min(Math.max(count, 0), MAX_PAGE_SIZE) };
+}
+
+function readFilter(value, attributes) {
+  if (value === undefined || value === '') return null;
+  const match = /^\s*([A-Za-z.]+)\s+eq\s+"((?:[^"\\]|\\.)*)"\s*$/i.exec(String(value));
+  const column = match && attributes[match[1].toLowerCase()];
+  if (!column) throw createScimError(400, 'scim_filter_unsupported', 'invalidFilter');
+  return { column, value: match[2].replace(/\\(.)/g, '$1') };
+}
+
+function readString(value, maxLength, code) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || value.trim().length > maxLength) throw createScimError(400, code, 'invalidValue');
+  return value.trim() || null;
+}
+
+function readBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string' && ['true', 'false'].includes(value.toLowerCase())) return value.toLowerCase() === 'true';
+  throw createScimError(400, 'scim_active_invalid', 'invalidValue');
+}
+
+function displayNameFrom(displayName, name) {
+  if (displayName !== undefined && displayName !== null) return readString(displayName, 255, 'scim_display_name_invalid');
+  if (!name || typeof name !== 'object') return null;
+  const formatted = name.formatted || [name.givenName, name.familyName].filter(Boolean).join(' ');
+  return readString(formatted || null, 255, 'scim_display_name_invalid');
+}
+
+function resolveEmail(userName, emails) {
+  const candidates = [userName];
+  if (Array.isArray(emails)) {
+    const primary = emails.find(email => email && email.primary === true) || emails[0];
+    if (primary && typeof primary.value === 'string') candidates.push(primary.value);
+  }
+  const email = candidates.map(normalizeEmail).find(value => value.length <= 320 && EMAIL_PATTERN.test(value));
+  if (!email) throw createScimError(400, 'scim_user_email_required', 'invalidValue');
+  return email;
+}
+
+function readUserAttributes(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw createScimError(400, 'scim_body_invalid', 'invalidSyntax');
+  const userName = readString(body.userName, 320, 'scim_user_name_invalid');
+  if (!userName) throw createScimError(400, 'scim_user_name_invalid', 'invalidValue');
+  return {
+    userName,
+    email: resolveEmail(userName, body.emails),
+    externalId: readString(body.externalId, 255, 'scim_external_id_invalid'),
+    displayName: displayNameFrom(body.displayName, body.name),
+    active: body.active === undefined ? true : readBoolean(body.active)
+  };
+}
+
+function readPatchOperations(body) {
+  const operations = body && body.Operations;
+  if (!Array.isArray(operations) || !operations.length || operations.length > MAX_PATCH_OPERATIONS) {
+    throw createScimError(400, 'scim_patch_invalid', 'invalidSyntax');
+  }
+  return operations.map(operation => {
+    const op = String((operation && operation.op) || '').toLowerCase();
+    if (!['add', 'replace', 'remove'].includes(op)) throw createScimError(400, 'scim_patch_invalid', 'invalidSyntax');
+    const path = operation.path === undefined || operation.path === null
+      ? null
+      : String(operation.path).trim().replace(SCHEMA_PATH_PREFIX, '');
+    return { op, path: path || null, value: operation.value };
+  });
+}
+
+function serializeUser(workspaceId, row, groups = []) {
+  const base = scimBaseUrl(workspaceId);
+  const active = row.status === 'active';
+  return {
+    schemas: [USER_SCHEMA],
+    id: row.id,
+    externalId: row.external_id || undefined,
+    userName: row.user_name,
+    displayName: row.display_name || undefined,
+    emails: [{ value: row.email, type: 'work', primary: true }],
+    active,
+    roles: active ? [{ value: row.role, primary: true }] : [],
+    groups: groups.map(group => ({ value: group.id, display: group.display_name, $ref: `${base}/Groups/${group.id}` })),
+    meta: {
+      resourceType: 'User',
+      created: isoDate(row.created_at),
+      lastModified: isoDate(row.updated_at),
+      location: `${base}/Users/${row.id}`
+    }
+  };
+}
+
+function serializeGroup(workspaceId, row, members, { excludeMembers = false } = {}) {
+  const base = scimBaseUrl(workspaceId);
+  return {
+    schemas: [GROUP_SCHEMA],
+    id: row.id,
+    externalId: row.external_id || undefined,
+    displayName: row.display_name,
+    members: excludeMembers
+      ? undefined
+      : members.map(member => ({ value: member.id, display: member.user_name, $ref: `${base}/Users/${member.id}` })),
+    meta: {
+      resourceType: 'Group',
+      created: isoDate(row.created_at),
+      lastModified: isoDate(row.updated_at),
+      location: `${base}/Groups/${row.id}`
+    }
+  };
+}
+
+async function loadScimUser(connection, workspaceId, id, { forUpdate = false } = {}) {
+  const rows = await connection.query(
+    `SELECT ${USER_COLUMNS} ${USER_FROM} WHERE s.workspace_id = ? AND s.id = ? LIMIT 1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [workspaceId, id]
+  );
+  if (!rows[0]) throw createScimError(404, 'scim_user_not_found');
+  return rows[0];
+}
+
+async function loadUserGroups(connection, scimUserIds) {
+  const groups = new Map(scimUserIds.map(id => [id, []]));
+  if (!scimUserIds.length) return groups;
+  const rows = await connection.query(
+    `SELECT gm.scim_user_id, g.id, g.display_name
+     FROM scim_group_members gm
+     JOIN scim_groups g ON g.id = gm.group_id
+     WHERE gm.scim_user_id IN (${scimUserIds.map(() => '?').join(', ')})
+     ORDER BY g.display_name`,
+    scimUserIds
+  );
+  rows.forEach(row => groups.get(row.scim_user_id).push(row));
+  return groups;
+}
+
+async function loadSerializedUser(connection, workspaceId, id) {
+  const row = await loadScimUser(connection, workspaceId, id);
+  const groups = await loadUserGroups(connection, [row.id]);
+  return serializeUser(workspaceId, row, groups.get(row.id));
+}
+
+async function loadGroup(connection, workspaceId, id, { forUpdate = false } = {}) {
+  const rows = await connection.query(
+    `SELECT * FROM scim_groups WHERE workspace_id = ? AND id = ? LIMIT 1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [workspaceId, id]
+  );
+  if (!rows[0]) throw createScimError(404, 'scim_group_not_found');
+  return rows[0];
+}
+
+async function loadGroupMembers(connection, groupIds) {
+  const members = new Map(groupIds.map(id => [id, []]));
+  if (!groupIds.length) return members;
+  const rows = await connection.query(
+    `SELECT gm.group_id, s.id, s.user_name
+     FROM scim_group_members gm
+     JOIN scim_users s ON s.id = gm.scim_user_id
+     WHERE gm.group_id IN (${groupIds.map(() => '?').join(', ')})
+     ORDER BY s.user_name`,
+    groupIds
+  );
+  rows.forEach(row => members.get(row.group_id).push(row));
+  return members;
+}
+
+async function loadSerializedGroup(connection, workspaceId, id) {
+  const row = await loadGroup(connection, workspaceId, id);
+  const members = await loadGroupMembers(connection, [row.id]);
+  return serializeGroup(workspaceId, row, members.get(row.id));
+}
+
+async function highestGroupRole(connection, scimUserId) {
+  const rows = await connection.query(
+    `SELECT g.role FROM scim_group_members gm
+     JOIN scim_groups g ON g.id = gm.group_id
+     WHERE gm.scim_user_id = ? AND g.role IS NOT NULL`,
+    [scimUserId]
+  );
+  return rows.map(row => row.role).sort((a, b) => ROLES.indexOf(a) - ROLES.indexOf(b))[0] || null;
+}
+
+async function loadUnacceptedInvitation(connection, invitationId) {
+  const rows = await connection.query(
+    'SELECT id, revoked_at, accepted_at FROM workspace_invitations WHERE id = ? LIMIT 1 FOR UPDATE',
+    [invitationId]
+  );
+  return rows[0] && !rows[0].accepted_at ? rows[0] : null;
+}
+
+async function syncInvitedUser(connection, context, scimUser, invitation, groupRole, active) {
+  if (groupRole !== (scimUser.group_role || null)) {
+    await connection.query('UPDATE scim_users SET group_role = ? WHERE id = ?', [groupRole, scimUser.id]);
+  }
+  if (active || invitation.revoked_at) return;
+  await repositories.revokeInvitation(connection, invitation.id);
+  await repositories.createAuditLog(connection, {
+    workspaceId: context.workspaceId,
+    actorUserId: context.actorUserId || null,
+    action: 'scim.invitation_revoked',
+    targetType: 'invitation',
+    targetId: invitation.id,
+    metadata: context.tokenId ? { scim_token_id: context.tokenId } : null
+  });
+}
+
+async function syncMembership(connection, context, scimUser, active) {
+  const { workspaceId } = context;
+  const [membership] = await connection.query(
+    'SELECT role, status FROM workspace_memberships WHERE workspace_id = ? AND user_id = ? LIMIT 1 FOR UPDATE',
+    [workspaceId, scimUser.user_id]
+  );
+  const wasActive = Boolean(membership && membership.status === 'active');
+  const nextActive = active === undefined ? wasActive : active;
+  const groupRole = await highestGroupRole(connection, scimUser.id);
+  if (!wasActive && scimUser.invitation_id) {
+    const invitation = await loadUnacceptedInvitation(connection, scimUser.invitation_id);
+    if (invitation) return syncInvitedUser(connection, context, scimUser, invitation, groupRole, nextActive);
+  }
+  const role = groupRole || (wasActive && !scimUser.group_role ? membership.role : SCIM_DEFAULT_ROLE);
+  if (
+    wasActive
+    && membership.role === 'owner'
+    && (!nextActive || role !== 'owner')
+    && await repositories.countOwners(connection, workspaceId) <= 1
+  ) {
+    throw createScimError(409, 'last_owner_required');
+  }
+  if (groupRole !== (scimUser.group_role || null)) {
+    await connection.query('UPDATE scim_users SET group_role = ? WHERE id = ?', [groupRole, scimUser.id]);
+  }
+  const audit = (action, metadata) => repositories.createAuditLog(connection, {
+    workspaceId,
+    actorUserId: context.actorUserId || null,
+    action,
+    targetType: 'user',
+    targetId: scimUser.user_id,
+    metadata: context.tokenId ? { ...metadata, scim_token_id: context.tokenId } : metadata
+  });
+  if (nextActive && !wasActive) {
+    await connection.query(
+      `INSERT INTO workspace_memberships (workspace_id, user_id, role, status, joined_at)
+       VALUES (?, ?, ?, 'active', UTC_TIMESTAMP(3))
+       ON DUPLICATE KEY UPDATE role = VALUES(role), status = 'active', joined_at = UTC_TIMESTAMP(3)`,
+      [workspaceId, scimUser.user_id, role]
+    );
+    await audit('scim.member_activated', { role });
+  } else if (nextActive && role !== membership.role) {
+    await repositories.updateMemberRole(connection, workspaceId, scimUser.user_id, role);
+    await audit('scim.member_role_updated', { previous_role: membership.role, role });
+  } else if (!nextActive && wasActive) {
+    await repositories.removeMember(connection, workspaceId, scimUser.user_id);
+    await audit('scim.member_deactivated', { role: membership.role });
+  }
+}
+
+async function syncUsers(connection, context, scimUserIds) {
+  if (!scimUserIds.length) return;
+  const rows = await connection.query(
+    `SELECT id, user_id, group_role, invitation_id FROM scim_users
+     WHERE workspace_id = ? AND id IN (${scimUserIds.map(() => '?').join(', ')})`,
+    [context.workspaceId, ...scimUserIds]
+  );
+  rows.sort((a, b) => scimUserIds.indexOf(a.id) - scimUserIds.indexOf(b.id));
+  for (const row of rows) await syncMembership(connection, context, row);
+}
+
+async function authenticateScimToken(rawToken, workspaceId) {
+  if (!rawToken || !String(rawToken).startsWith(TOKEN_PREFIX) || !workspaceId) return null;
+  return withConnection(async connection => {
+    const rows = await connection.query(
+      `SELECT t.id, t.workspace_id,
+              t.last_used_at > DATE_SUB(UTC_TIMESTAMP(3), INTERVAL ? SECOND) AS recently_used
+       FROM scim_tokens t
+       JOIN workspaces w ON w.id = t.workspace_id
+       WHERE t.token_hash = ? AND t.workspace_id = ? AND t.revoked_at IS NULL AND w.deleted_at IS NULL
+       LIMIT 1`,
+      [LAST_USED_RESOLUTION_SECONDS, hashSecret(rawToken), workspaceId]
+    );
+    const token = rows[0];
+    if (!token) return null;
+    if (!Number(token.recently_used)) {
+      await connection.query('UPDATE scim_tokens SET last_used_at = UTC_TIMESTAMP(3) WHERE id = ?', [token.id]);
+    }
+    return { tokenId: token.id, workspaceId: token.workspace_id };
+  });
+}
+
+async function listScimUsers(scim, query = {}) {
+  const filter = readFilter(query.filter, USER_FILTERS);
+  const page = readPage(query);
+  return withConnection(async connection => {
+    const where = `WHERE s.workspace_id = ?${filter ? ` AND ${filter.column} = ?` : ''}`;
+    const params = filter ? [scim.workspaceId, filter.value] : [scim.workspaceId];
+    const [total] = await connection.query(`SELECT COUNT(*) AS total ${USER_FROM} ${where}`, params);
+    const rows = await connection.query(
+      `SELECT ${USER_COLUMNS} ${USER_FROM} ${where} ORDER BY s.created_at, s.id LIMIT ? OFFSET ?`,
+      [...params, page.count, page.startIndex - 1]
+    );
+    const groups = await loadUserGroups(connection, rows.map(row => row.id));
+    return listResponse(rows.map(row => serializeUser(scim.workspaceId, row, groups.get(row.id))), Number(total.total), page);
+  });
+}
+
+async function getScimUser(scim, id) {
+  return withConnection(connection => loadSerializedUser(connection, scim.workspaceId, id));
+}
+
+async function linkableExistingUser(connection, workspaceId, user) {
+  if (await repositories.getMembership(connection, workspaceId, user.id)) return true;
+  const [verifiedDomain] = await connection.query(
+    'SELECT id FROM workspace_sso_domains WHERE workspace_id = ? AND verified_domain = ? LIMIT 1',
+    [workspaceId, user.email.slice(user.email.lastIndexOf('@') + 1)]
+  );
+  return Boolean(verifiedDomain);
+}
+
+async function inviteExistingUser(connection, scim, email, token) {
+  const pending = await repositories.findPendingInvitationByEmail(connection, scim.workspaceId, email);
+  if (pending) return { id: pending.id, email: null };
+  const [inviter] = await connection.query(
+    `SELECT u.id, u.email, w.name AS workspace_name
+     FROM workspaces w
+     JOIN users u ON u.id = COALESCE(
+       (SELECT t.created_by FROM scim_tokens t WHERE t.id = ?),
+       (SELECT m.user_id FROM workspace_memberships m
+        WHERE m.workspace_id = w.id AND m.role = 'owner' AND m.status = 'active'
+        ORDER BY m.joined_at LIMIT 1)
+     )
+     WHERE w.id = ?
+     LIMIT 1`,
+    [scim.tokenId, scim.workspaceId]
+  );
+  if (!inviter) throw createScimError(409, 'scim_inviter_unavailable');
+  const id = createId();
+  await repositories.createInvitation(connection, {
+    id,
+    workspaceId: scim.workspaceId,
+    email,
+    role: SCIM_DEFAULT_ROLE,
+    tokenHash: hashSecret(token),
+    invitedBy: inviter.id,
+    ttlSeconds: INVITATION_TTL_SECONDS
+  });
+  await repositories.createAuditLog(connection, {
+    workspaceId: scim.workspaceId,
+    actorUserId: scim.actorUserId || null,
+    action: 'scim.member_invited',
+    targetType: 'invitation',
+    targetId: id,
+    metadata: { role: SCIM_DEFAULT_ROLE, scim_token_id: scim.tokenId }
+  });
+  return { id, email: { email, token, workspaceName: inviter.workspace_name, inviterEmail: inviter.email } };
+}
+
+async function createScimUser(scim, body) {
+  const attributes = readUserAttributes(body);
+  const token = randomToken(32);
+  const result = await withTransaction(async connection => {
+    let user = await repositories.findUserByEmail(connection, attributes.email);
+    let invitation = null;
+    if (user) {
+      const [existing] = await connection.query(
+        'SELECT id FROM scim_users WHERE workspace_id = ? AND user_id = ? LIMIT 1',
+        [scim.workspaceId, user.id]
+      );
+      if (existing) throw createScimError(409, 'scim_user_exists', 'uniqueness');
+      if (!await linkableExistingUser(connection, scim.workspaceId, user)) {
+        invitation = await inviteExistingUser(connection, scim, attributes.email, token);
+      }
+    } else {
+      user = await repositories.createUser(connection, { email: attributes.email, displayName: attributes.displayName });
+    }
+    const id = createId();
+    const invitationId = invitation ? invitation.id : null;
+    await connection.query(
+      `INSERT INTO scim_users (id, workspace_id, user_id, user_name, external_id, display_name, invitation_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, scim.workspaceId, user.id, attributes.userName, attributes.externalId, attributes.displayName, invitationId]
+    );
+    await syncMembership(connection, scim, { id, user_id: user.id, group_role: null, invitation_id: invitationId }, attributes.active);
+    return {
+      user: await loadSerializedUser(connection, scim.workspaceId, id),
+      invitationEmail: invitation && attributes.active ? invitation.email : null
+    };
+  });
+  // The SCIM user is already committed; a failed send leaves the invitation for an owner to resend.
+  if (result.invitationEmail) await sendInvitationEmail(result.invitationEmail).catch(() => null);
+  return result.user;
+}
+
+async function saveScimUser(connection, scim, row, attributes) {
+  if (attributes.email !== row.email) throw createScimError(400, 'scim_user_name_immutable', 'mutability');
+  await connection.query(
+    `UPDATE scim_users SET user_name = ?, external_id = ?, display_name = ?, updated_at = UTC_TIMESTAMP(3)
+     WHERE id = ?`,
+    [attributes.userName, attributes.externalId, attributes.displayName, row.id]
+  );
+  await syncMembership(connection, scim, row, attributes.active);
+  return loadSerializedUser(connection, scim.workspaceId, row.id);
+}
+
+async function replaceScimUser(scim, id, body) {
+  const attributes = readUserAttributes(body);
+  return withTransaction(async connection => {
+    const row = await loadScimUser(connection, scim.workspaceId, id, { forUpdate: true });
+    return saveScimUser(connection, scim, row, attributes);
+  });
+}
+
+function applyUserAttribute(next, key, value) {
+  const attribute = USER_PATCH_ATTRIBUTES[String(key).replace(SCHEMA_PATH_PREFIX, '').toLowerCase()];
+  if (!attribute) return;
+  if (attribute === 'active' || attribute === 'userName') {
+    if (value === null || value === undefined) throw createScimError(400, 'scim_patch_invalid', 'mutability');
+    next[attribute] = attribute === 'active' ? readBoolean(value) : readString(value, 320, 'scim_user_name_invalid');
+  } else if (attribute === 'name') {
+    next.displayName = displayNameFrom(undefined, value);
+  } else if (attribute === 'emails') {
+    next.emails = value;
+  } else {
+    next[attribute] = readString(value, 255, `scim_${attribute === 'externalId' ? 'external_id' : 'display_name'}_invalid`);
+  }
+}
+
+async function patchScimUser(scim, id, body) {
+  const operations = readPatchOperations(body);
+  return withTransaction(async connection => {
+    const row = await loadScimUser(connection, scim.workspaceId, id, { forUpdate: true });
+    const next = {
+      userName: row.user_name,
+      externalId: row.external_id,
+      displayName: row.display_name,
+      active: row.status === 'active',
+      emails: [{ value: row.email, primary: true }]
+    };
+    for (const { op, path, value } of operations) {
+      if (path) {
+        applyUserAttribute(next, path, op === 'remove' ? null : value);
+      } else if (op !== 'remove' && value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([key, item]) => applyUserAttribute(next, key, item));
+      } else {
+        throw createScimError(400, 'scim_patch_invalid', 'noTarget');
+      }
+    }
+    if (!next.userName) throw createScimError(400, 'scim_user_name_invalid', 'invalidValue');
+    return saveScimUser(connection, scim, row, { ...next, email: resolveEmail(next.userName, next.emails) });
+  });
+}
+
+async function deleteScimUser(scim, id) {
+  await withTransaction(async connection => {
+    const row = await loadScimUser(connection, scim.workspaceId, id, { forUpdate: true });
+    await syncMembership(connection, scim, row, false);
+    await connection.query('DELETE FROM scim_users WHERE id = ?', [row.id]);
+  });
+  return null;
+}
+
+function readMemberIds(members) {
+  if (members === undefined || members === null) return [];
+  if (!Array.isArray(members)) throw createScimError(400, 'scim_group_member_invalid', 'invalidValue');
+  return [...new Set(members.map(member => {
+    if (!member || typeof member.value !== 'string' || !member.value) {
+      throw createScimError(400, 'scim_group_member_invalid', 'invalidValue');
+    }
+    return member.value;
+  }))];
+}
+
+function readGroupAttributes(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw createScimError(400, 'scim_body_invalid', 'invalidSyntax');
+  const displayName = readString(body.displayName, 255, 'scim_group_name_invalid');
+  if (!displayName) throw createScimError(400, 'scim_group_name_invalid', 'invalidValue');
+  return {
+    displayName,
+    externalId: readString(body.externalId, 255, 'scim_external_id_invalid'),
+    memberIds: readMemberIds(body.members)
+  };
+}
+
+async function assertGroupMembers(connection, workspaceId, memberIds) {
+  if (!memberIds.length) return;
+  const rows = await connection.query(
+    `SELECT id FROM scim_users WHERE workspace_id = ? AND id IN (${memberIds.map(() => '?').join(', ')})`,
+    [workspaceId, ...memberIds]
+  );
+  if (rows.length !== memberIds.length) throw createScimError(400, 'scim_group_member_invalid', 'invalidValue');
+}
+
+async function assertGroupNameAvailable(connection, workspaceId, displayName, groupId = null) {
+  const [existing] = await connection.query(
+    'SELECT id FROM scim_groups WHERE workspace_id = ? AND display_name = ? AND id <> ? LIMIT 1',
+    [workspaceId, displayName, groupId || '']
+  );
+  if (existing) throw createScimError(409, 'scim_group_exists', 'uniqueness');
+}
+
+async function setGroupMembers(connection, context, groupId, memberIds) {
+  await assertGroupMembers(connection, context.workspaceId, memberIds);
+  const current = (await connection.query('SELECT scim_user_id FROM scim_group_members WHERE group_id = ?', [groupId]))
+    .map(row => row.scim_user_id);
+  const added = memberIds.filter(id => !current.includes(id));
+  const removed = current.filter(id => !memberIds.includes(id));
+  for (const id of added) {
+    await connection.query('INSERT INTO scim_group_members (group_id, scim_user_id) VALUES (?, ?)', [groupId, id]);
+  }
+  if (removed.length) {
+    await connection.query(
+      `DELETE FROM scim_group_members WHERE group_id = ? AND scim_user_id IN (${removed.map(() => '?').join(', ')})`,
+      [groupId, ...removed]
+    );
+  }
+  await syncUsers(connection, context, [...added, ...removed]);
+}
+
+async function listScimGroups(scim, query = {}) {
+  const filter = readFilter(query.filter, GROUP_FILTERS);
+  const page = readPage(query);
+  const excludeMembers = String(query.excludedAttributes || '').split(',').some(item => item.trim().toLowerCase() === 'members');
+  return withConnection(async connection => {
+    const where = `WHERE g.workspace_id = ?${filter ? ` AND ${filter.column} = ?` : ''}`;
+    const params = filter ? [scim.workspaceId, filter.value] : [scim.workspaceId];
+    const [total] = await connection.query(`SELECT COUNT(*) AS total FROM scim_groups g ${where}`, params);
+    const rows = await connection.query(
+      `SELECT g.* FROM scim_groups g ${where} ORDER BY g.created_at, g.id LIMIT ? OFFSET ?`,
+      [...params, page.count, page.startIndex - 1]
+    );
+    const members = excludeMembers ? new Map() : await loadGroupMembers(connection, rows.map(row => row.id));
+    return listResponse(
+      rows.map(row => serializeGroup(scim.workspaceId, row, members.get(row.id) || [], { excludeMembers })),
+      Number(total.total),
+      page
+    );
+  });
+}
+
+async function getScimGroup(scim, id) {
+  return withConnection(connection => loadSerializedGroup(connection, scim.workspaceId, id));
+}
+
+async function createScimGroup(scim, body) {
+  const attributes = readGroupAttributes(body);
+  return withTransaction(async connection => {
+    await assertGroupNameAvailable(connection, scim.workspaceId, attributes.displayName);
+    const id = createId();
+    await connection.query(
+      'INSERT INTO scim_groups (id, workspace_id, display_name, external_id) VALUES (?, ?, ?, ?)',
+      [id, scim.workspaceId, attributes.displayName, attributes.externalId]
+    );
+    await setGroupMembers(connection, scim, id, attributes.memberIds);
+    await repositories.createAuditLog(connection, {
+      workspaceId: scim.workspaceId,
+      action: 'scim.group_created',
+      targetType: 'scim_group',
+      targetId: id,
+      metadata: { display_name: attributes.displayName, scim_token_id: scim.tokenId }
+    });
+    return loadSerializedGroup(connection, scim.workspaceId, id);
+  });
+}
+
+async function saveScimGroup(connection, scim, row, attributes) {
+  if (attributes.displayName !== row.display_name) {
+    await assertGroupNameAvailable(connection, scim.workspaceId, attributes.displayName, row.id);
+  }
+  await connection.query(
+    'UPDATE scim_groups SET display_name = ?, external_id = ?, updated_at = UTC_TIMESTAMP(3) WHERE id = ?',
+    [attributes.displayName, attributes.externalId, row.id]
+  );
+  await setGroupMembers(connection, scim, row.id, attributes.memberIds);
+  return loadSerializedGroup(connection, scim.workspaceId, row.id);
+}
+
+async function replaceScimGroup(scim, id, body) {
+  const attributes = readGroupAttributes(body);
+  return withTransaction(async connection => {
+    const row = await loadGroup(connection, scim.workspaceId, id, { forUpdate: true });
+    return saveScimGroup(connection, scim, row, attributes);
+  });
+}
+
+function applyGroupOperation(next, { op, path, value }) {
+  const key = path ? path.toLowerCase() : null;
+  const memberFilter = path && /^members\[\s*value\s+eq\s+"([^"]+)"\s*\]$/i.exec(path);
+  if (memberFilter) {
+    if (op !== 'remove') throw createScimError(400, 'scim_patch_invalid', 'invalidPath');
+    next.memberIds = next.memberIds.filter(id => id !== memberFilter[1]);
+  } else if (key === 'members') {
+    const ids = op === 'remove' && (value === undefined || value === null) ? null : readMemberIds(value);
+    if (op === 'add') next.memberIds = [...new Set([...next.memberIds, ...ids])];
+    else if (op === 'replace') next.memberIds = ids;
+    else next.memberIds = ids ? next.memberIds.filter(id => !ids.includes(id)) : [];
+  } else if (key === 'displayname') {
+    if (op === 'remove') throw createScimError(400, 'scim_patch_invalid', 'mutability');
+    next.displayName = readString(value, 255, 'scim_group_name_invalid');
+  } else if (key === 'externalid') {
+    next.externalId = op === 'remove' ? null : readString(value, 255, 'scim_external_id_invalid');
+  } else if (!path && op !== 'remove' && value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([attribute, item]) => applyGroupOperation(next, { op, path: attribute, value: item }));
+  } else if (!path) {
+    throw createScimError(400, 'scim_patch_invalid', 'noTarget');
+  }
+}
+
+async function patchScimGroup(scim, id, body) {
+  const operations = readPatchOperations(body);
+  return withTransaction(async connection => {
+    const row = await loadGroup(connection, scim.workspaceId, id, { forUpdate: true });
+    const members = await loadGroupMembers(connection, [row.id]);
+    const next = {
+      displayName: row.display_name,
+      externalId: row.external_id,
+      memberIds: members.get(row.id).map(member => member.id)
+    };
+    operations.forEach(operation => applyGroupOperation(next, operation));
+    if (!next.displayName) throw createScimError(400, 'scim_group_name_invalid', 'invalidValue');
+    return saveScimGroup(connection, scim, row, next);
+  });
+}
+
+async function deleteScimGroup(scim, id) {
+  await withTransaction(async connection => {
+    const row = await loadGroup(connection, scim.workspaceId, id, { forUpdate: true });
+    const members = await loadGroupMembers(connection, [row.id]);
+    await connection.query('DELETE FROM scim_groups WHERE id = ?', [row.id]);
+    await syncUsers(connection, scim, members.get(row.id).map(member => member.id));
+    await repositories.createAuditLog(connection, {
+      workspaceId: scim.workspaceId,
+      action: 'scim.group_deleted',
+      targetType: 'scim_group',
+      targetId: row.id,
+      metadata: { display_name: row.display_name, role: row.role, scim_token_id: scim.tokenId }
+    });
+  });
+  return null;
+}
+
+function getScimServiceProviderConfig(workspaceId) {
+  return {
+    schemas: [SERVICE_PROVIDER_CONFIG_SCHEMA],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: MAX_PAGE_SIZE },
+    changePassword: { supported: false },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [{
+      type: 'oauthbearertoken',
+      name: 'Provisioning token',
+      description: 'A workspace provisioning token sent as a bearer token.',
+      primary: true
+    }],
+    meta: { resourceType: 'ServiceProviderConfig', location: `${scimBaseUrl(workspaceId)}/ServiceProviderConfig` }
+  };
+}
+
+function listScimResourceTypes(workspaceId) {
+  const base = scimBaseUrl(workspaceId);
+  const resources = [['User', '/Users', USER_SCHEMA], ['Group', '/Groups', GROUP_SCHEMA]].map(([name, endpoint, schema]) => ({
+    schemas: [RESOURCE_TYPE_SCHEMA],
+    id: name,
+    name,
+    endpoint,
+    schema,
+    meta: { resourceType: 'ResourceType', location: `${base}/ResourceTypes/${name}` }
+  }));
+  return listResponse(resources, resources.length, { startIndex: 1 });
+}
+
+function scimErrorResponse(error) {
+  const status = error.status || 500;
+  return {
+    status,
+    body: {
+      schemas: [ERROR_SCHEMA],
+      status: String(status),
+      scimType: error.scimType || undefined,
+      detail: error.code || (status === 500 ? 'server_error' : error.message)
+    }
+  };
+}
+
+async function requireScimMembership(connection, workspaceId, userId, capability) {
+  const membership = await repositories.getMembership(connection, workspaceId, userId);
+  if (!membership) throw createScimError(404, 'workspace_not_found');
+  assertCapability(membership, capability);
+  return membership;
+}
+
+async function loadScimSettings(connection, workspaceId) {
+  const [tokens, groups, users] = await Promise.all([
+    connection.query(
+      `SELECT id, token_prefix, created_at, last_used_at FROM scim_tokens
+       WHERE workspace_id = ? AND revoked_at IS NULL
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [workspaceId]
+    ),
+    connection.query(
+      `SELECT g.id, g.display_name, g.external_id, g.role, COUNT(gm.scim_user_id) AS member_count
+       FROM scim_groups g
+       LEFT JOIN scim_group_members gm ON gm.group_id = g.id
+       WHERE g.workspace_id = ?
+       GROUP BY g.id, g.display_name, g.external_id, g.role
+       ORDER BY g.display_name`,
+      [workspaceId]
+    ),
+    connection.query('SELECT COUNT(*) AS total FROM scim_users WHERE workspace_id = ?', [workspaceId])
+  ]);
+  const token = tokens[0];
+  return {
+    base_url: scimBaseUrl(workspaceId),
+    provisioning_token: token
+      ? {
+        id: token.id,
+        token_prefix: token.token_prefix,
+        created_at: isoDate(token.created_at),
+        last_used_at: isoDate(token.last_used_at)
+      }
+      : null,
+    groups: groups.map(group => ({
+      id: group.id,
+      display_name: group.display_name,
+      external_id: group.external_id,
+      role: group.role,
+      member_count: Number(group.member_count)
+    })),
+    provisioned_users: Number(users[0].total)
+  };
+}
+
+async function getWorkspaceScim(userId, workspaceId) {
+  return withConnection(async connection => {
+    await requireScimMembership(connection, workspaceId, userId, 'manageMembers');
+    return loadScimSettings(connection, workspaceId);
+  });
+}
+
+async function createScimToken(session, workspaceId) {
+  const userId = session.user.id;
+  return withConnection(async connection => {
+    await requireScimMembership(connection, workspaceId, userId, 'manageSecurity');
+    await assertSecondFactorForSession(connection, session, { stepUp: true });
+    await connection.beginTransaction();
+    try {
+      const revoked = await connection.query(
+        `UPDATE scim_tokens SET revoked_at = UTC_TIMESTAMP(3), revoked_by_user_id = ?
+         WHERE workspace_id = ? AND revoked_at IS NULL`,
+        [userId, workspaceId]
+      );
+      const id = createId();
+      const token = `${TOKEN_PREFIX}${randomToken(32)}`;
+      await connection.query(
+        `INSERT INTO scim_tokens (id, workspace_id, token_hash, token_prefix, created_by, created_at)
+         VALUES (?, ?, ?, ?, ?, UTC_TIMESTAMP(3))`,
+        [id, workspaceId, hashSecret(token), token.slice(0, TOKEN_PREFIX.length + 4), userId]
+      );
+      await repositories.createAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'workspace.scim_token_created',
+        targetType: 'scim_token',
+        targetId: id,
+        metadata: { replaced: Number(revoked.affectedRows) > 0 }
+      });
+      const result = { ...(await loadScimSettings(connection, workspaceId)), token_id: id, token };
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function revokeScimToken(session, workspaceId) {
+  const userId = session.user.id;
+  return withConnection(async connection => {
+    await requireScimMembership(connection, workspaceId, userId, 'manageSecurity');
+    await assertSecondFactorForSession(connection, session, { stepUp: true });
+    const rows = await connection.query(
+      'SELECT id FROM scim_tokens WHERE workspace_id = ? AND revoked_at IS NULL',
+      [workspaceId]
+    );
+    if (!rows.length) throw createScimError(404, 'scim_token_not_found');
+    await connection.query(
+      `UPDATE scim_tokens SET revoked_at = UTC_TIMESTAMP(3), revoked_by_user_id = ?
+       WHERE workspace_id = ? AND revoked_at IS NULL`,
+      [userId, workspaceId]
+    );
+    await repositories.createAuditLog(connection, {
+      workspaceId,
+      actorUserId: userId,
+      action: 'workspace.scim_token_revoked',
+      targetType: 'scim_token',
+      targetId: rows[0].id
+    });
+    return loadScimSettings(connection, workspaceId);
+  });
+}
+
+async function updateScimGroupRole(session, workspaceId, groupId, role) {
+  const userId = session.user.id;
+  const nextRole = role === null || role === '' ? null : role;
+  if (nextRole !== null && !ROLES.includes(nextRole)) throw createScimError(400, 'scim_group_role_invalid');
+  return withConnection(async connection => {
+    await requireScimMembership(connection, workspaceId, userId, 'manageSecurity');
+    await assertSecondFactorForSession(connection, session, { stepUp: true });
+    await connection.beginTransaction();
+    try {
+      const group = await loadGroup(connection, workspaceId, groupId, { forUpdate: true });
+      if (group.role !== nextRole) {
+        await connection.query(
+          'UPDATE scim_groups SET role = ?, updated_at = UTC_TIMESTAMP(3) WHERE id = ?',
+          [nextRole, group.id]
+        );
+        const members = await loadGroupMembers(connection, [group.id]);
+        await syncUsers(
+          connection,
+          { workspaceId, tokenId: null, actorUserId: userId },
+          members.get(group.id).map(member => member.id)
+        );
+        await repositories.createAuditLog(connection, {
+          workspaceId,
+          actorUserId: userId,
+          action: 'workspace.scim_group_role_updated',
+          targetType: 'scim_group',
+          targetId: group.id,
+          metadata: { display_name: group.display_name, previous_role: group.role, role: nextRole }
+        });
+      }
+      const result = await loadScimSettings(connection, workspaceId);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+module.exports = {
+  authenticateScimToken,
+  createScimGroup,
+  createScimToken,
+  createScimUser,
+  deleteScimGroup,
+  deleteScimUser,
+  getScimGroup,
+  getScimServiceProviderConfig,
+  getScimUser,
+  getWorkspaceScim,
+  listScimGroups,
+  listScimResourceTypes,
+  listScimUsers,
+  patchScimGroup,
+  patchScimUser,
+  replaceScimGroup,
+  replaceScimUser,
+  revokeScimToken,
+  scimErrorResponse,
+  updateScimGroupRole
+};
@@ -0,0 +1,48 @@
+const searchConsole = require('../integrations/search-console');
+const { defineProviderAdapter } = require('./provider-contract');
+const {
+  SEARCH_CONSOLE_CAPABILITIES,
+  completeSearchConsoleConnection,
+  disconnectSearchConsole,
+  listSearchConsoleResources,
+  revokeWorkspaceSearchConsoleAuthorizations,
+  selectSearchConsoleResource,
+  startSearchConsoleConnection
+} = require('./search-console-connection-service');
+const { performSearchConsoleSyncForJob } = require('./search-console-sync-service');
+
+const searchConsoleAdapter = defineProviderAdapter({
+  provider: 'google_search_console',
+  contractVersion: 1,
+  requiredScopes: searchConsole.SEARCH_CONSOLE_SCOPES,
+  resourceTypes: ['search_console_site'],
+  capabilities: SEARCH_CONSOLE_CAPABILITIES,
+  authorization: {
+    buildAuthorizationUrl: input => startSearchConsoleConnection(input),
+    completeAuthorization: input => completeSearchConsoleConnection(input),
+    refreshAuthorization: (refreshToken, requestOptions) =>
+      searchConsole.refreshAccessToken(refreshToken, requestOptions),
+    inspectScopes: async scopeValue => ({
+      granted: [...searchConsole.grantedScopes(scopeValue)],
+      missing: searchConsole.missingScopes(scopeValue),
+      exact: searchConsole.hasExactScopes(scopeValue)
+    }),
+    revokeAuthorization: ({ userId, workspaceId, connectionId = null }) =>
+      disconnectSearchConsole(userId, workspaceId, connectionId)
+  },
+  resources: {
+    discoverResources: ({ userId, workspaceId }) => listSearchConsoleResources(userId, workspaceId),
+    selectResource: ({ userId, workspaceId, resourceId }) =>
+      selectSearchConsoleResource(userId, workspaceId, resourceId)
+  },
+  sync: {
+    synchronize: (job, options) => performSearchConsoleSyncForJob(job, options)
+  },
+  deletion: {
+    deleteConnectionData: ({ workspaceId }) => revokeWorkspaceSearchConsoleAuthorizations(workspaceId)
+  }
+});
+
+module.exports = {
+  searchConsoleAdapter
+};
@@ -0,0 +1,122 @@
+const { validateEncryptionConfiguration } = require('./secret-envelope');
+
+const SEARCH_CONSOLE_CALLBACK_PATH = '/api/integrations/search-console/callback';
+
+function flagEnabled(value) {
+  return ['1', 'true', 'yes', 'on'].includes(String(value || '').trim().toLowerCase());
+}
+
+function boundedInteger(value, fallback, minimum, maximum) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < minimum || parsed > maximum) return fallback;
+  return parsed;
+}
+
+function expectedRedirectUri(env = process.env) {
+  const base = String(env.BASE_URL || '').replace(/\/+$/, '');
+  return base ? `${base}${SEARCH_CONSOLE_CALLBACK_PATH}` : null;
+}
+
+function validateRedirectUri(env = process.env) {
+  const raw = String(env.SEARCH_CONSOLE_REDIRECT_URI || '').trim();
+  if (!raw) return { ready: false, reason: 'SEARCH_CONSOLE_REDIRECT_URI_missing', value: null };
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch {
+    return { ready: false, reason: 'SEARCH_CONSOLE_REDIRECT_URI_invalid', value: null };
+  }
+  if (
+    parsed.username || parsed.password || parsed.search || parsed.hash ||
+    parsed.pathname !== SEARCH_CONSOLE_CALLBACK_PATH
+  ) {
+    return { ready: false, reason: 'SEARCH_CONSOLE_REDIRECT_URI_invalid', value: null };
+  }
+  const production = String(env.NODE_ENV || '').toLowerCase() === 'production';
+  const localhost = ['localhost', '127.0.0.1', '::1'].includes(parsed.hostname);
+  if (parsed.protocol !== 'https:' && (production || !localhost || parsed.protocol !== 'http:')) {
+    return { ready: false, reason: 'SEARCH_CONSOLE_REDIRECT_URI_https_required', value: null };
+  }
+  const expected = expectedRedirectUri(env);
+  if (expected && raw !== expected) {
+    return { ready: false, reason: 'SEARCH_CONSOLE_REDIRECT_URI_mismatch', value: null };
+  }
+  return { ready: true, reason: null, value: raw };
+}
+
+function getSearchConsoleLimits(env = process.env) {
+  return {
+    requestTimeoutMs: boundedInteger(env.SEARCH_CONSOLE_REQUEST_TIMEOUT_MS, 10000, 1000, 30000),
+    oauthStateTtlSeconds: boundedInteger(env.SEARCH_CONSOLE_OAUTH_STATE_TTL_SECONDS, 600, 120, 900),
+    maxRetries: boundedInteger(env.SEARCH_CONSOLE_SYNC_MAX_RETRIES, 2, 0, 5),
+    jobTimeBudgetSeconds: boundedInteger(env.SEARCH_CONSOLE_SYNC_TIME_BUDGET_SECONDS, 180, 30, 240),
+    analyticsLookbackDays: boundedInteger(env.SEARCH_CONSOLE_LOOKBACK_DAYS, 180, 90, 480),
+    maxDimensionRows: boundedInteger(env.SEARCH_CONSOLE_SYNC_MAX_DIMENSION_ROWS, 100, 10, 250),
+    maxSites: boundedInteger(env.SEARCH_CONSOLE_DISCOVERY_MAX_SITES, 100, 1, 500)
+  };
+}
+
+function looksLikePlaceholder(value) {
+  const normalized = String(value || '').trim().toLowerCase();
+  return !normalized || /(^|[_-])(replace|placeholder|example|your)([_-]|$)/.test(normalized);
+}
+
+function getSearchConsoleConfiguration(env = process.env, runtime = {}) {
+  const enabled = flagEnabled(env.FEATURE_SEARCH_CONSOLE_CONNECTOR);
+  const redirect = validateRedirectUri(env);
+  const encryption = validateEncryptionConfiguration(env);
+  const missing = [];
+  const clientId = String(env.SEARCH_CONSOLE_CLIENT_ID || '').trim();
+  if (!clientId) missing.push('SEARCH_CONSOLE_CLIENT_ID_missing');
+  if (!String(env.SEARCH_CONSOLE_CLIENT_SECRET || '').trim()) missing.push('SEARCH_CONSOLE_CLIENT_SECRET_missing');
+  if (!redirect.ready) missing.push(redirect.reason);
+  if (!encryption.ready) missing.push('ENCRYPTION_KEY_invalid');
+  if (clientId && clientId === String(env.GOOGLE_OIDC_CLIENT_ID || '').trim()) {
+    missing.push('SEARCH_CONSOLE_CLIENT_ID_must_differ_from_sign_in');
+  }
+  if (clientId && clientId === String(env.YOUTUBE_CLIENT_ID || '').trim()) {
+    missing.push('SEARCH_CONSOLE_CLIENT_ID_must_differ_from_youtube');
+  }
+  if (clientId && clientId === String(env.GA4_CLIENT_ID || '').trim()) {
+    missing.push('SEARCH_CONSOLE_CLIENT_ID_must_differ_from_ga4');
+  }
+  if (runtime.databaseReady === false) missing.push('database_unavailable');
+  if (runtime.foundationReady === false) missing.push('search_console_database_foundation_missing');
+  if (runtime.workerReady === false) missing.push('search_console_worker_support_missing');
+
+  const configured = missing.length === 0;
+  return {
+    enabled,
+    configured,
+    connectable: enabled && configured,
+    status: !enabled ? 'disabled' : configured ? 'available' : 'configuration_required',
+    warnings: enabled ? [...new Set(missing)] : [],
+    redirectUri: redirect.value,
+    limits: getSearchConsoleLimits(env)
+  };
+}
+
+function getSearchConsoleProductionErrors(env = process.env) {
+  const configuration = getSearchConsoleConfiguration(env);
+  if (!configuration.enabled) return [];
+  const errors = configuration.configured
+    ? []
+    : configuration.warnings.map(warning => `search_console_configuration:${warning}`);
+  if (looksLikePlaceholder(env.SEARCH_CONSOLE_CLIENT_ID)) {
+    errors.push('search_console_configuration:SEARCH_CONSOLE_CLIENT_ID_placeholder');
+  }
+  if (looksLikePlaceholder(env.SEARCH_CONSOLE_CLIENT_SECRET)) {
+    errors.push('search_console_configuration:SEARCH_CONSOLE_CLIENT_SECRET_placeholder');
+  }
+  return [...new Set(errors)];
+}
+
+module.exports = {
+  SEARCH_CONSOLE_CALLBACK_PATH,
+  expectedRedirectUri,
+  flagEnabled,
+  getSearchConsoleConfiguration,
+  getSearchConsoleLimits,
+  getSearchConsoleProductionErrors,
+  validateRedirectUri
+};
@@ -0,0 +1,1029 @@
+const { getConnection } = require('../database');
+const searchConsole = require('../integrations/search-console');
+const { normalizeReturnPath } = require('./connection-service');
+const { assertCapability } = require('./rbac');
+const { createAuditLog } = require('./repositories');
+const { decryptSecret, encryptSecret } = require('./secret-envelope');
+const { createId, hashSecret, randomToken } = require('./security');
+const { getSearchConsoleConfiguration } = require('./search-console-config');
+
+const SEARCH_CONSOLE_PROVIDER = 'google_search_console';
+const SEARCH_CONSOLE_TIMEZONE = 'America/Los_Angeles';
+const SEARCH_CONSOLE_CAPABILITIES = Object.freeze([
+  'resource_discovery',
+  'search_performance',
+  'dimension_breakdowns',
+  'disconnect'
+]);
+
+function createHttpError(status, code, details = null) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createHttpError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+async function requireWorkspaceRole(connection, workspaceId, userId, capability, provider = null) {
+  const rows = await connection.query(
+    `SELECT m.role, r.capabilities AS custom_role_capabilities,
+            m.resources_restricted = 1 AND m.role NOT IN ('owner', 'admin') AS resources_restricted
+     FROM workspace_memberships m
+     LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+     WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active'
+     LIMIT 1`,
+    [workspaceId, userId]
+  );
+  if (!rows[0]) throw createHttpError(404, 'workspace_not_found');
+  assertCapability(rows[0], capability, provider);
+  if (Number(rows[0].resources_restricted)) throw createHttpError(403, 'permission_denied');
+  return rows[0].role;
+}
+
+async function searchConsoleFoundationReady(connection) {
+  const rows = await connection.query(
+    `SELECT COUNT(*) AS count
+     FROM information_schema.TABLES
+     WHERE TABLE_SCHEMA = DATABASE()
+       AND TABLE_NAME IN (
+         'provider_authorizations',
+         'provider_authorization_credentials',
+         'provider_authorization_scopes',
+         'provider_resources',
+         'workspace_provider_connections',
+         'provider_resource_observations',
+         'provider_metric_observations',
+         'provider_dimension_observations',
+         'provider_request_events'
+       )`
+  );
+  return Number(rows[0] && rows[0].count) === 9;
+}
+
+async function requireSearchConsoleReady(connection, env = process.env) {
+  const foundationReady = await searchConsoleFoundationReady(connection);
+  const status = getSearchConsoleConfiguration(env, {
+    databaseReady: true,
+    foundationReady,
+    workerReady: true
+  });
+  if (!status.connectable) throw createHttpError(503, 'search_console_not_configured', status.warnings);
+  return status;
+}
+
+async function writeAuditLog(connection, details) {
+  await createAuditLog(connection, details);
+}
+
+function parseJson(value, fallback = {}) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function siteDisplayName(siteUrl) {
+  return siteUrl.startsWith('sc-domain:') ? siteUrl.slice('sc-domain:'.length) : siteUrl;
+}
+
+function normalizeSite(siteEntry) {
+  const siteUrl = String(siteEntry && siteEntry.siteUrl || '');
+  if (!searchConsole.isValidSiteUrl(siteUrl)) throw createHttpError(502, 'search_console_site_response_malformed');
+  const permissionLevel = String(siteEntry.permissionLevel || 'siteUnverifiedUser');
+  const selectable = ['siteOwner', 'siteFullUser', 'siteRestrictedUser'].includes(permissionLevel);
+  return {
+    id: siteUrl,
+    siteUrl,
+    displayName: siteDisplayName(siteUrl).slice(0, 255),
+    propertyType: siteUrl.startsWith('sc-domain:') ? 'domain' : 'url_prefix',
+    permissionLevel,
+    timezone: SEARCH_CONSOLE_TIMEZONE,
+    selectable,
+    discoveryStatus: selectable ? 'available' : 'site_not_verified'
+  };
+}
+
+async function startSearchConsoleConnection({ userId, sessionId, workspaceId, returnPath = '/', targetConnectionId = null }) {
+  return withConnection(async connection => {
+    const readiness = await requireSearchConsoleReady(connection);
+    const safeReturnPath = normalizeReturnPath(returnPath);
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', SEARCH_CONSOLE_PROVIDER);
+    await connection.beginTransaction();
+    try {
+      let authorizationId;
+      if (targetConnectionId) {
+        const rows = await connection.query(
+          `SELECT pauth.id AS authorization_id
+           FROM workspace_provider_connections wpc
+           JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+           JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+           WHERE wpc.id = ? AND wpc.workspace_id = ? AND wpc.provider = ?
+           LIMIT 1 FOR UPDATE`,
+          [targetConnectionId, workspaceId, SEARCH_CONSOLE_PROVIDER]
+        );
+        if (!rows[0]) throw createHttpError(404, 'search_console_connection_not_found');
+        authorizationId = rows[0].authorization_id;
+        await connection.query(
+          `UPDATE provider_authorizations
+           SET status = 'authorizing', actor_user_id = ?, updated_at = UTC_TIMESTAMP(3)
+           WHERE id = ?`,
+          [userId, authorizationId]
+        );
+        await connection.query(
+          `UPDATE sync_jobs sj
+           JOIN workspace_provider_connections wpc ON wpc.data_source_id = sj.data_source_id
+           JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+           SET sj.status = 'paused', sj.lease_owner = NULL, sj.lease_expires_at = NULL,
+               sj.updated_at = UTC_TIMESTAMP(3)
+           WHERE pr.provider_authorization_id = ? AND wpc.provider = ?`,
+          [authorizationId, SEARCH_CONSOLE_PROVIDER]
+        );
+      } else {
+        const rows = await connection.query(
+          `SELECT pauth.id,
+                  EXISTS(SELECT 1 FROM provider_resources pr WHERE pr.provider_authorization_id = pauth.id) AS has_resources
+           FROM provider_authorizations pauth
+           WHERE pauth.workspace_id = ? AND pauth.provider = ?
+             AND pauth.status IN ('active', 'authorizing', 'reconnect_required', 'disabled')
+           ORDER BY FIELD(pauth.status, 'active', 'reconnect_required', 'authorizing', 'disabled'), pauth.updated_at DESC
+           LIMIT 1 FOR UPDATE`,
+          [workspaceId, SEARCH_CONSOLE_PROVIDER]
+        );
+        const existing = rows[0] || null;
+        if (existing && Number(existing.has_resources) === 1) {
+          throw createHttpError(409, 'search_console_authorization_already_exists');
+        }
+        if (existing) {
+          authorizationId = existing.id;
+          await connection.query(
+            `UPDATE provider_authorizations
+             SET actor_user_id = ?, status = 'authorizing', revoked_at = NULL, updated_at = UTC_TIMESTAMP(3)
+             WHERE id = ?`,
+            [userId, authorizationId]
+          );
+        } else {
+          authorizationId = createId();
+          await connection.query(
+            `INSERT INTO provider_authorizations
+              (id, workspace_id, provider, actor_user_id, status, auth_product, api_version)
+             VALUES (?, ?, ?, ?, 'authorizing', 'analytics', 'webmasters-v3')`,
+            [authorizationId, workspaceId, SEARCH_CONSOLE_PROVIDER, userId]
+          );
+        }
+      }
+
+      await connection.query(
+        `UPDATE oauth_transactions
+         SET status = 'failed', consumed_at = COALESCE(consumed_at, UTC_TIMESTAMP(3)),
+             pkce_verifier_ciphertext = NULL, pkce_verifier_iv = NULL,
+             pkce_verifier_tag = NULL, pkce_key_version = NULL
+         WHERE provider_authorization_id = ? AND provider = ? AND status = 'pending'`,
+        [authorizationId, SEARCH_CONSOLE_PROVIDER]
+      );
+      const state = randomToken(32);
+      const pkce = searchConsole.createPkcePair();
+      const verifier = encryptSecret(pkce.verifier);
+      const credentialRows = await connection.query(
+        `SELECT refresh_token_ciphertext
+         FROM provider_authorization_credentials
+         WHERE provider_authorization_id = ? AND revoked_at IS NULL
+           AND (refresh_expires_at IS NULL OR refresh_expires_at > UTC_TIMESTAMP(3))
+         LIMIT 1`,
+        [authorizationId]
+      );
+      const promptConsent = !credentialRows[0] || !credentialRows[0].refresh_token_ciphertext;
+      await connection.query(
+        `INSERT INTO oauth_transactions
+          (id, state_hash, provider, workspace_id, initiated_by, session_id,
+           provider_authorization_id, target_connection_id, return_path, requested_scopes,
+           redirect_uri, pkce_verifier_ciphertext, pkce_verifier_iv, pkce_verifier_tag,
+           pkce_key_version, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+                 DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND))`,
+        [
+          createId(), hashSecret(state), SEARCH_CONSOLE_PROVIDER, workspaceId, userId, sessionId,
+          authorizationId, targetConnectionId, safeReturnPath, JSON.stringify(searchConsole.SEARCH_CONSOLE_SCOPES),
+          readiness.redirectUri, verifier.ciphertext, verifier.iv, verifier.tag, verifier.keyVersion,
+          readiness.limits.oauthStateTtlSeconds
+        ]
+      );
+      await writeAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: targetConnectionId ? 'connection.search_console.reauthorize_start' : 'connection.search_console.start',
+        targetType: 'provider_authorization',
+        targetId: authorizationId,
+        metadata: { requested_scope_count: searchConsole.SEARCH_CONSOLE_SCOPES.length }
+      });
+      await connection.commit();
+      return {
+        authorization_url: searchConsole.buildAuthorizationUrl({
+          state,
+          codeChallenge: pkce.challenge,
+          promptConsent
+        }),
+        expires_in_seconds: readiness.limits.oauthStateTtlSeconds
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function consumeOAuthTransaction(connection, { state, sessionId, userId }) {
+  if (!state) throw createHttpError(400, 'search_console_oauth_state_missing');
+  const rows = await connection.query(
+    `SELECT oauth_transactions.*, expires_at <= UTC_TIMESTAMP(3) AS is_expired
+     FROM oauth_transactions WHERE state_hash = ? LIMIT 1 FOR UPDATE`,
+    [hashSecret(state)]
+  );
+  const transaction = rows[0] || null;
+  if (!transaction) throw createHttpError(400, 'search_console_oauth_state_invalid');
+  if (transaction.provider !== SEARCH_CONSOLE_PROVIDER) throw createHttpError(400, 'search_console_oauth_provider_mismatch');
+  if (transaction.consumed_at || transaction.status !== 'pending') throw createHttpError(400, 'search_console_oauth_state_replayed');
+  if (Number(transaction.is_expired) === 1) {
+    await connection.query(
+      `UPDATE oauth_transactions
+       SET status = 'expired', consumed_at = UTC_TIMESTAMP(3),
+           pkce_verifier_ciphertext = NULL, pkce_verifier_iv = NULL,
+           pkce_verifier_tag = NULL, pkce_key_version = NULL
+       WHERE id = ?`,
+      [transaction.id]
+    );
+    throw createHttpError(400, 'search_console_oauth_state_expired');
+  }
+  if (transaction.session_id !== sessionId) throw createHttpError(403, 'search_console_oauth_session_mismatch');
+  if (transaction.initiated_by !== userId) throw createHttpError(403, 'search_console_oauth_user_mismatch');
+  const authRows = await connection.query(
+    'SELECT workspace_id, provider FROM provider_authorizations WHERE id = ? LIMIT 1',
+    [transaction.provider_authorization_id]
+  );
+  const authorization = authRows[0] || null;
+  if (!authorization || authorization.provider !== SEARCH_CONSOLE_PROVIDER) {
+    throw createHttpError(400, 'search_console_oauth_authorization_mismatch');
+  }
+  if (authorization.workspace_id !== transaction.workspace_id) throw createHttpError(400, 'search_console_oauth_workspace_mismatch');
+  await requireWorkspaceRole(connection, transaction.workspace_id, userId, 'manageConnection', SEARCH_CONSOLE_PROVIDER);
+  if (transaction.target_connection_id) {
+    const targetRows = await connection.query(
+      'SELECT workspace_id, provider FROM workspace_provider_connections WHERE id = ? LIMIT 1',
+      [transaction.target_connection_id]
+    );
+    const target = targetRows[0] || null;
+    if (!target || target.workspace_id !== transaction.workspace_id || target.provider !== SEARCH_CONSOLE_PROVIDER) {
+      throw createHttpError(400, 'search_console_oauth_workspace_mismatch');
+    }
+  }
+  const requestedScopes = parseJson(transaction.requested_scopes, []);
+  if (!searchConsole.hasExactScopes(requestedScopes)) throw createHttpError(400, 'search_console_oauth_scope_binding_mismatch');
+  if (transaction.redirect_uri !== process.env.SEARCH_CONSOLE_REDIRECT_URI) {
+    throw createHttpError(400, 'search_console_oauth_redirect_mismatch');
+  }
+  await connection.query(
+    `UPDATE oauth_transactions
+     SET status = 'consumed', consumed_at = UTC_TIMESTAMP(3),
+         pkce_verifier_ciphertext = NULL, pkce_verifier_iv = NULL,
+         pkce_verifier_tag = NULL, pkce_key_version = NULL
+     WHERE id = ?`,
+    [transaction.id]
+  );
+  return transaction;
+}
+
+async function markAuthorizationFailed(transaction, outcome, grantedScopes = null) {
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      await connection.query(
+        `UPDATE oauth_transactions
+         SET status = 'failed', pkce_verifier_ciphertext = NULL, pkce_verifier_iv = NULL,
+             pkce_verifier_tag = NULL, pkce_key_version = NULL WHERE id = ?`,
+        [transaction.id]
+      );
+      if (Array.isArray(grantedScopes)) {
+        await connection.query(
+          'DELETE FROM provider_authorization_scopes WHERE provider_authorization_id = ?',
+          [transaction.provider_authorization_id]
+        );
+        for (const scope of grantedScopes) {
+          await connection.query(
+            `INSERT INTO provider_authorization_scopes
+              (provider_authorization_id, scope, status, granted_at, last_confirmed_at)
+             VALUES (?, ?, 'granted', UTC_TIMESTAMP(3), UTC_TIMESTAMP(3))`,
+            [transaction.provider_authorization_id, String(scope)]
+          );
+        }
+      }
+      const nextStatus = transaction.target_connection_id ? 'reconnect_required' : 'disabled';
+      await connection.query(
+        'UPDATE provider_authorizations SET status = ?, updated_at = UTC_TIMESTAMP(3) WHERE id = ?',
+        [nextStatus, transaction.provider_authorization_id]
+      );
+      if (transaction.target_connection_id) {
+        await connection.query(
+          `UPDATE workspace_provider_connections wpc
+           JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+           JOIN data_sources ds ON ds.id = wpc.data_source_id
+           SET wpc.status = 'reconnect_required', ds.status = 'reconnect_required',
+               ds.reconnect_reason = ?, wpc.updated_at = UTC_TIMESTAMP(3), ds.updated_at = UTC_TIMESTAMP(3)
+           WHERE pr.provider_authorization_id = ? AND wpc.provider = ?`,
+          [`search_console_authorization_${outcome}`.slice(0, 255), transaction.provider_authorization_id, SEARCH_CONSOLE_PROVIDER]
+        );
+      }
+      await writeAuditLog(connection, {
+        workspaceId: transaction.workspace_id,
+        action: 'connection.search_console.authorization_failed',
+        targetType: 'provider_authorization',
+        targetId: transaction.provider_authorization_id,
+        metadata: { outcome_category: outcome }
+      });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function loadExistingRefreshToken(authorizationId) {
+  return withConnection(async connection => {
+    const rows = await connection.query(
+      `SELECT refresh_token_ciphertext, refresh_token_iv, refresh_token_tag, key_version
+       FROM provider_authorization_credentials
+       WHERE provider_authorization_id = ? AND revoked_at IS NULL
+         AND (refresh_expires_at IS NULL OR refresh_expires_at > UTC_TIMESTAMP(3))
+       LIMIT 1`,
+      [authorizationId]
+    );
+    const record = rows[0] || null;
+    if (!record || !record.refresh_token_ciphertext) return null;
+    return decryptSecret({
+      ciphertext: record.refresh_token_ciphertext,
+      iv: record.refresh_token_iv,
+      tag: record.refresh_token_tag,
+      keyVersion: record.key_version
+    });
+  });
+}
+
+async function recordAuthorizationRequest(transaction, details) {
+  return withConnection(connection => connection.query(
+    `INSERT INTO provider_request_events
+      (id, workspace_id, provider_authorization_id, provider, request_category,
+       method_name, quota_cost_estimate, page_number, item_count, attempts,
+       status, failure_category, retry_after_seconds)
+     VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?)`,
+    [
+      createId(), transaction.workspace_id, transaction.provider_authorization_id, SEARCH_CONSOLE_PROVIDER,
+      details.category, details.method, details.pageNumber || null,
+      details.itemCount === undefined ? null : details.itemCount,
+      details.result && Number.isInteger(details.result.attempts) ? details.result.attempts : 1,
+      details.status,
+      details.result && details.result.error ? details.result.error.category : null,
+      details.result ? details.result.retryAfterSeconds : null
+    ]
+  ));
+}
+
+async function discoverSites(transaction, accessToken, limits) {
+  const result = await searchConsole.listSites(accessToken, { maxRetries: 0 });
+  const body = result.ok && result.body && typeof result.body === 'object' ? result.body : null;
+  let items = null;
+  if (body && body.siteEntry === undefined) items = [];
+  else if (body && Array.isArray(body.siteEntry)) items = body.siteEntry;
+  await recordAuthorizationRequest(transaction, {
+    category: 'data_api',
+    method: 'sites.list',
+    pageNumber: 1,
+    itemCount: items ? items.length : null,
+    result,
+    status: !result.ok || !items ? 'failed' : items.length > 0 ? 'success' : 'empty'
+  });
+  if (!result.ok || !items) throw createHttpError(502, 'search_console_site_discovery_failed');
+  if (items.length > limits.maxSites) throw createHttpError(502, 'search_console_site_discovery_incomplete');
+  const sites = [];
+  for (const item of items) {
+    if (!searchConsole.isValidSiteUrl(item && item.siteUrl)) continue;
+    if (sites.some(site => site.id === item.siteUrl)) continue;
+    sites.push(normalizeSite(item));
+  }
+  return sites;
+}
+
+async function saveAuthorizationResult(transaction, tokenBody, grantedScopes, sites, refreshToken) {
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      if (transaction.target_connection_id) {
+        const targetRows = await connection.query(
+          `SELECT pr.provider_resource_id
+           FROM workspace_provider_connections wpc
+           JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+           WHERE wpc.id = ? AND wpc.workspace_id = ? AND wpc.provider = ?
+           LIMIT 1`,
+          [transaction.target_connection_id, transaction.workspace_id, SEARCH_CONSOLE_PROVIDER]
+        );
+        const target = targetRows[0] || null;
+        const discoveredTarget = target && sites.find(site => site.id === target.provider_resource_id);
+        if (!target || !discoveredTarget || !discoveredTarget.selectable) {
+          throw createHttpError(409, 'search_console_reconnect_site_mismatch');
+        }
+      }
+
+      const access = encryptSecret(tokenBody.access_token);
+      const refresh = encryptSecret(refreshToken);
+      const accessTtl = Number(tokenBody.expires_in);
+      const refreshRotated = Boolean(typeof tokenBody.refresh_token === 'string' && tokenBody.refresh_token.trim());
+      const refreshTtl = tokenBody.refresh_token_expires_in ? Number(tokenBody.refresh_token_expires_in) : null;
+      await connection.query(
+        `INSERT INTO provider_authorization_credentials
+          (id, provider_authorization_id, access_token_ciphertext, access_token_iv, access_token_tag,
+           refresh_token_ciphertext, refresh_token_iv, refresh_token_tag, key_version, token_type,
+           access_expires_at, refresh_expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+                 DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+                 CASE WHEN ? IS NULL THEN NULL ELSE DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND) END)
+         ON DUPLICATE KEY UPDATE
+           access_token_ciphertext = VALUES(access_token_ciphertext),
+           access_token_iv = VALUES(access_token_iv), access_token_tag = VALUES(access_token_tag),
+           refresh_token_ciphertext = VALUES(refresh_token_ciphertext),
+           refresh_token_iv = VALUES(refresh_token_iv), refresh_token_tag = VALUES(refresh_token_tag),
+           key_version = VALUES(key_version), token_type = VALUES(token_type),
+           access_expires_at = VALUES(access_expires_at),
+           refresh_expires_at = COALESCE(VALUES(refresh_expires_at), refresh_expires_at),
+           revoked_at = NULL, updated_at = UTC_TIMESTAMP(3)`,
+        [
+          createId(), transaction.provider_authorization_id,
+          access.ciphertext, access.iv, access.tag,
+          refresh.ciphertext, refresh.iv, refresh.tag, access.keyVersion,
+          tokenBody.token_type || 'Bearer', accessTtl, refreshTtl, refreshTtl
+        ]
+      );
+      if (refreshRotated && refreshTtl === null) {
+        await connection.query(
+          `UPDATE provider_authorization_credentials
+           SET refresh_expires_at = NULL, updated_at = UTC_TIMESTAMP(3)
+           WHERE provider_authorization_id = ?`,
+          [transaction.provider_authorization_id]
+        );
+      }
+      await connection.query(
+        'DELETE FROM provider_authorization_scopes WHERE provider_authorization_id = ?',
+        [transaction.provider_authorization_id]
+      );
+      for (const scope of grantedScopes) {
+        await connection.query(
+          `INSERT INTO provider_authorization_scopes
+            (provider_authorization_id, scope, status, granted_at, last_confirmed_at)
+           VALUES (?, ?, 'granted', UTC_TIMESTAMP(3), UTC_TIMESTAMP(3))`,
+          [transaction.provider_authorization_id, scope]
+        );
+      }
+
+      await connection.query(
+        `UPDATE provider_authorizations
+         SET provider_subject = NULL, display_name = ?, status = 'active',
+             granted_at = COALESCE(granted_at, UTC_TIMESTAMP(3)),
+             last_validated_at = UTC_TIMESTAMP(3), revoked_at = NULL,
+             updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        ['Google Search Console authorization', transaction.provider_authorization_id]
+      );
+
+      const discoveredIds = sites.map(site => site.id);
+      if (discoveredIds.length > 0) {
+        await connection.query(
+          `DELETE pr FROM provider_resources pr
+           LEFT JOIN workspace_provider_connections wpc ON wpc.provider_resource_id = pr.id
+           WHERE pr.provider_authorization_id = ? AND pr.provider = ? AND wpc.id IS NULL
+             AND pr.provider_resource_id NOT IN (${discoveredIds.map(() => '?').join(', ')})`,
+          [transaction.provider_authorization_id, SEARCH_CONSOLE_PROVIDER, ...discoveredIds]
+        );
+      } else {
+        await connection.query(
+          `DELETE pr FROM provider_resources pr
+           LEFT JOIN workspace_provider_connections wpc ON wpc.provider_resource_id = pr.id
+           WHERE pr.provider_authorization_id = ? AND pr.provider = ? AND wpc.id IS NULL`,
+          [transaction.provider_authorization_id, SEARCH_CONSOLE_PROVIDER]
+        );
+      }
+      for (const site of sites) {
+        await connection.query(
+          `INSERT INTO provider_resources
+            (id, provider_authorization_id, workspace_id, provider, resource_type,
+             provider_resource_id, display_name, metadata)
+           VALUES (?, ?, ?, ?, 'search_console_site', ?, ?, ?)
+           ON DUPLICATE KEY UPDATE display_name = VALUES(display_name), metadata = VALUES(metadata),
+             updated_at = UTC_TIMESTAMP(3)`,
+          [
+            createId(), transaction.provider_authorization_id, transaction.workspace_id, SEARCH_CONSOLE_PROVIDER,
+            site.id, site.displayName, JSON.stringify(site)
+          ]
+        );
+      }
+
+      const connectedRows = await connection.query(
+        `SELECT wpc.id, wpc.data_source_id, pr.provider_resource_id
+         FROM workspace_provider_connections wpc
+         JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+         WHERE pr.provider_authorization_id = ? AND wpc.provider = ?`,
+        [transaction.provider_authorization_id, SEARCH_CONSOLE_PROVIDER]
+      );
+      for (const connected of connectedRows) {
+        const site = sites.find(item => item.id === connected.provider_resource_id && item.selectable);
+        const status = site ? 'active' : 'reconnect_required';
+        const reason = site ? null : 'search_console_site_not_returned';
+        await connection.query(
+          `UPDATE workspace_provider_connections SET status = ?, next_sync_at = UTC_TIMESTAMP(3),
+             updated_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+          [status, connected.id]
+        );
+        await connection.query(
+          `UPDATE data_sources SET status = ?, reconnect_reason = ?, next_sync_at = UTC_TIMESTAMP(3),
+             updated_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+          [status, reason, connected.data_source_id]
+        );
+        await connection.query(
+          `UPDATE sync_jobs SET status = ?, run_after = UTC_TIMESTAMP(3), lease_owner = NULL,
+             lease_expires_at = NULL, updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+          [site ? 'due' : 'paused', connected.data_source_id]
+        );
+        await connection.query(
+          `UPDATE provider_capabilities SET status = ?, reason = ?, updated_at = UTC_TIMESTAMP(3)
+           WHERE workspace_provider_connection_id = ?`,
+          [site ? 'available' : 'not_granted', reason, connected.id]
+        );
+      }
+      await writeAuditLog(connection, {
+        workspaceId: transaction.workspace_id,
+        actorUserId: transaction.initiated_by,
+        action: transaction.target_connection_id ? 'connection.search_console.reauthorized' : 'connection.search_console.authorized',
+        targetType: 'provider_authorization',
+        targetId: transaction.provider_authorization_id,
+        metadata: {
+          discovered_site_count: sites.length,
+          selectable_site_count: sites.filter(site => site.selectable).length,
+          granted_scope_count: grantedScopes.length
+        }
+      });
+      await connection.commit();
+      return {
+        discoveredSiteCount: sites.length,
+        selectableSiteCount: sites.filter(site => site.selectable).length
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function completeSearchConsoleConnection({ code, state, providerError, sessionId, userId }) {
+  let transaction;
+  await withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      transaction = await consumeOAuthTransaction(connection, { state, sessionId, userId });
+      await connection.commit();
+    } catch (error) {
+      if (error.code === 'search_console_oauth_state_expired') await connection.commit();
+      else await connection.rollback();
+      throw error;
+    }
+  });
+  if (providerError) {
+    const outcome = providerError === 'access_denied' ? 'user_denied' : 'provider_error';
+    await markAuthorizationFailed(transaction, outcome);
+    throw createHttpError(400, providerError === 'access_denied' ? 'search_console_authorization_denied' : 'search_console_authorization_failed');
+  }
+  if (!code) {
+    await markAuthorizationFailed(transaction, 'missing_code');
+    throw createHttpError(400, 'search_console_authorization_code_missing');
+  }
+  const verifier = decryptSecret({
+    ciphertext: transaction.pkce_verifier_ciphertext,
+    iv: transaction.pkce_verifier_iv,
+    tag: transaction.pkce_verifier_tag,
+    keyVersion: transaction.pkce_key_version
+  });
+  const exchange = await searchConsole.exchangeCode(code, verifier);
+  const tokenBody = exchange.body || {};
+  await recordAuthorizationRequest(transaction, {
+    category: 'oauth', method: 'oauth.token', result: exchange,
+    status: exchange.ok && tokenBody.access_token && Number(tokenBody.expires_in) > 0 ? 'success' : 'failed'
+  });
+  if (!exchange.ok || !tokenBody.access_token || Number(tokenBody.expires_in) <= 0) {
+    await markAuthorizationFailed(transaction, exchange.error ? exchange.error.category : 'malformed_response');
+    throw createHttpError(502, 'search_console_token_exchange_failed');
+  }
+  const grantedScopes = [...searchConsole.grantedScopes(tokenBody.scope)];
+  if (!searchConsole.hasExactScopes(grantedScopes)) {
+    await searchConsole.revokeToken(tokenBody.refresh_token || tokenBody.access_token);
+    await markAuthorizationFailed(transaction, 'missing_required_scopes', grantedScopes);
+    throw createHttpError(400, 'search_console_required_scopes_missing');
+  }
+  const existingRefresh = await loadExistingRefreshToken(transaction.provider_authorization_id);
+  const refreshToken = searchConsole.chooseRefreshToken(tokenBody.refresh_token, existingRefresh);
+  if (!refreshToken) {
+    await searchConsole.revokeToken(tokenBody.access_token);
+    await markAuthorizationFailed(transaction, 'refresh_token_missing');
+    throw createHttpError(400, 'search_console_refresh_token_missing');
+  }
+  let sites;
+  try {
+    sites = await discoverSites(
+      transaction,
+      tokenBody.access_token,
+      getSearchConsoleConfiguration().limits
+    );
+  } catch (error) {
+    await searchConsole.revokeToken(refreshToken);
+    await markAuthorizationFailed(transaction, error.code || 'site_discovery_failed');
+    throw error;
+  }
+  try {
+    const saved = await saveAuthorizationResult(transaction, tokenBody, grantedScopes, sites, refreshToken);
+    return {
+      return_path: transaction.return_path,
+      outcome: saved.selectableSiteCount === 0
+        ? 'no_sites'
+        : transaction.target_connection_id ? 'reconnected' : 'selection_required',
+      discovered_site_count: saved.discoveredSiteCount,
+      selectable_site_count: saved.selectableSiteCount
+    };
+  } catch (error) {
+    await searchConsole.revokeToken(refreshToken);
+    await markAuthorizationFailed(transaction, error.code || 'storage_failed');
+    throw error;
+  }
+}
+
+async function selectSearchConsoleResource(userId, workspaceId, resourceId) {
+  if (!resourceId) throw createHttpError(400, 'search_console_resource_required');
+  return withConnection(async connection => {
+    await requireSearchConsoleReady(connection);
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', SEARCH_CONSOLE_PROVIDER);
+    await connection.beginTransaction();
+    try {
+      const rows = await connection.query(
+        `SELECT pr.*, pauth.status AS authorization_status, pauth.id AS authorization_id
+         FROM provider_resources pr
+         JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+         WHERE pr.id = ? AND pr.workspace_id = ? AND pr.provider = ?
+           AND pr.resource_type = 'search_console_site'
+         LIMIT 1 FOR UPDATE`,
+        [resourceId, workspaceId, SEARCH_CONSOLE_PROVIDER]
+      );
+      const resource = rows[0] || null;
+      if (!resource) throw createHttpError(404, 'search_console_resource_not_found');
+      if (resource.authorization_status !== 'active') throw createHttpError(409, 'search_console_authorization_not_active');
+      const metadata = parseJson(resource.metadata, {});
+      if (!metadata.selectable || !metadata.timezone) {
+        throw createHttpError(409, 'search_console_site_not_verified');
+      }
+      const scopes = await connection.query(
+        `SELECT scope FROM provider_authorization_scopes
+         WHERE provider_authorization_id = ? AND status = 'granted'`,
+        [resource.authorization_id]
+      );
+      if (!searchConsole.hasExactScopes(scopes.map(row => row.scope))) {
+        throw createHttpError(409, 'search_console_required_scopes_missing');
+      }
+      const existing = await connection.query(
+        `SELECT id FROM workspace_provider_connections
+         WHERE workspace_id = ? AND provider_resource_id = ? LIMIT 1`,
+        [workspaceId, resourceId]
+      );
+      if (existing[0]) throw createHttpError(409, 'search_console_site_already_connected');
+      const dataSourceId = createId();
+      const connectionId = createId();
+      await connection.query(
+        `INSERT INTO data_sources (id, workspace_id, provider, status, next_sync_at)
+         VALUES (?, ?, ?, 'active', UTC_TIMESTAMP(3))`,
+        [dataSourceId, workspaceId, SEARCH_CONSOLE_PROVIDER]
+      );
+      await connection.query(
+        `INSERT INTO provider_accounts
+          (id, workspace_id, data_source_id, provider, provider_account_id, username, display_name, metadata)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          createId(), workspaceId, dataSourceId, SEARCH_CONSOLE_PROVIDER, resource.provider_resource_id,
+          null, resource.display_name, JSON.stringify(metadata)
+        ]
+      );
+      await connection.query(
+        `INSERT INTO workspace_provider_connections
+          (id, workspace_id, provider_resource_id, data_source_id, provider, status, next_sync_at)
+         VALUES (?, ?, ?, ?, ?, 'active', UTC_TIMESTAMP(3))`,
+        [connectionId, workspaceId, resourceId, dataSourceId, SEARCH_CONSOLE_PROVIDER]
+      );
+      for (const capability of SEARCH_CONSOLE_CAPABILITIES) {
+        await connection.query(
+          `INSERT INTO provider_capabilities
+            (id, workspace_provider_connection_id, capability_key, status)
+           VALUES (?, ?, ?, 'available')`,
+          [createId(), connectionId, capability]
+        );
+      }
+      for (const syncKey of ['search_console.site', 'search_console.search_analytics']) {
+        await connection.query(
+          `INSERT INTO provider_sync_states
+            (id, workspace_provider_connection_id, sync_key, cursor_state, api_version)
+           VALUES (?, ?, ?, JSON_OBJECT(), ?)`,
+          [createId(), connectionId, syncKey, 'webmasters-v3']
+        );
+      }
+      await connection.query(
+        `INSERT INTO sync_jobs (id, data_source_id, run_after, status)
+         VALUES (?, ?, UTC_TIMESTAMP(3), 'due')`,
+        [createId(), dataSourceId]
+      );
+      await writeAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'connection.search_console.resource_selected',
+        targetType: 'workspace_provider_connection',
+        targetId: connectionId,
+        metadata: { provider: SEARCH_CONSOLE_PROVIDER }
+      });
+      await connection.commit();
+      return {
+        connection: {
+          id: connectionId,
+          data_source_id: dataSourceId,
+          status: 'active',
+          account: {
+            id: resource.provider_resource_id,
+            display_name: resource.display_name,
+            site_url: metadata.siteUrl,
+            property_type: metadata.propertyType,
+            permission_level: metadata.permissionLevel,
+            timezone: metadata.timezone
+          }
+        }
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function listSearchConsoleResources(userId, workspaceId) {
+  return withConnection(async connection => {
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', SEARCH_CONSOLE_PROVIDER);
+    const rows = await connection.query(
+      `SELECT pr.id, pr.provider_resource_id, pr.display_name, pr.metadata, wpc.id AS connection_id
+       FROM provider_resources pr
+       JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+       LEFT JOIN workspace_provider_connections wpc ON wpc.provider_resource_id = pr.id
+       WHERE pr.workspace_id = ? AND pr.provider = ? AND pauth.status = 'active'
+       ORDER BY pr.display_name`,
+      [workspaceId, SEARCH_CONSOLE_PROVIDER]
+    );
+    return rows.map(row => {
+      const metadata = parseJson(row.metadata, {});
+      return {
+        id: row.id,
+        site_url: row.provider_resource_id,
+        display_name: row.display_name,
+        property_type: metadata.propertyType || null,
+        permission_level: metadata.permissionLevel || null,
+        selectable: Boolean(metadata.selectable) && !row.connection_id,
+        connection_id: row.connection_id || null
+      };
+    });
+  });
+}
+
+async function loadAuthorizationForDisconnect(connection, workspaceId, connectionId) {
+  const params = [workspaceId, SEARCH_CONSOLE_PROVIDER];
+  const clause = connectionId ? 'AND wpc.id = ?' : '';
+  if (connectionId) params.push(connectionId);
+  const rows = await connection.query(
+    `SELECT pauth.id AS authorization_id, wpc.id AS connection_id, wpc.data_source_id,
+            pac.access_token_ciphertext, pac.access_token_iv, pac.access_token_tag,
+            pac.refresh_token_ciphertext, pac.refresh_token_iv, pac.refresh_token_tag, pac.key_version,
+            (SELECT COUNT(*) FROM workspace_provider_connections sibling
+             JOIN provider_resources sibling_resource ON sibling_resource.id = sibling.provider_resource_id
+             WHERE sibling_resource.provider_authorization_id = pauth.id) AS connection_count
+     FROM provider_authorizations pauth
+     LEFT JOIN provider_authorization_credentials pac ON pac.provider_authorization_id = pauth.id
+     LEFT JOIN provider_resources pr ON pr.provider_authorization_id = pauth.id
+     LEFT JOIN workspace_provider_connections wpc ON wpc.provider_resource_id = pr.id
+     WHERE pauth.workspace_id = ? AND pauth.provider = ? ${clause}
+       AND pauth.status IN ('active', 'authorizing', 'reconnect_required', 'disabled')
+     ORDER BY pauth.updated_at DESC LIMIT 1`,
+    params
+  );
+  return rows[0] || null;
+}
+
+async function purgeAuthorization(connection, authorizationId, outcomeCategory, actorUserId = null) {
+  const authRows = await connection.query(
+    `SELECT workspace_id FROM provider_authorizations
+     WHERE id = ? AND provider = ? LIMIT 1 FOR UPDATE`,
+    [authorizationId, SEARCH_CONSOLE_PROVIDER]
+  );
+  const authorization = authRows[0] || null;
+  if (!authorization) return null;
+  const sourceRows = await connection.query(
+    `SELECT DISTINCT wpc.data_source_id
+     FROM workspace_provider_connections wpc
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     WHERE pr.provider_authorization_id = ? AND wpc.data_source_id IS NOT NULL`,
+    [authorizationId]
+  );
+  const connectionRows = await connection.query(
+    `SELECT wpc.id FROM workspace_provider_connections wpc
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     WHERE pr.provider_authorization_id = ? ORDER BY wpc.created_at`,
+    [authorizationId]
+  );
+  await connection.query(
+    'DELETE FROM provider_request_events WHERE provider_authorization_id = ? AND provider = ?',
+    [authorizationId, SEARCH_CONSOLE_PROVIDER]
+  );
+  await connection.query(
+    'DELETE FROM oauth_transactions WHERE provider_authorization_id = ? AND provider = ?',
+    [authorizationId, SEARCH_CONSOLE_PROVIDER]
+  );
+  await connection.query(
+    `INSERT INTO provider_revocation_events
+      (id, provider_authorization_id, workspace_provider_connection_id, actor_user_id,
+       provider, status, failure_category)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      createId(), authorizationId, connectionRows[0] ? connectionRows[0].id : null,
+      actorUserId, SEARCH_CONSOLE_PROVIDER,
+      outcomeCategory === 'provider_revoked' ? 'provider_revoked' : 'local_revoked', outcomeCategory
+    ]
+  );
+  await connection.query(
+    `DELETE wpc FROM workspace_provider_connections wpc
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     WHERE pr.provider_authorization_id = ?`,
+    [authorizationId]
+  );
+  for (const source of sourceRows) {
+    await connection.query('DELETE FROM data_sources WHERE id = ?', [source.data_source_id]);
+  }
+  await connection.query('DELETE FROM provider_resources WHERE provider_authorization_id = ?', [authorizationId]);
+  await connection.query('DELETE FROM provider_authorization_credentials WHERE provider_authorization_id = ?', [authorizationId]);
+  await connection.query('DELETE FROM provider_authorization_scopes WHERE provider_authorization_id = ?', [authorizationId]);
+  await connection.query(
+    `UPDATE provider_authorizations
+     SET actor_user_id = NULL, provider_subject = NULL, display_name = NULL,
+         status = 'revoked', revoked_at = UTC_TIMESTAMP(3), updated_at = UTC_TIMESTAMP(3)
+     WHERE id = ?`,
+    [authorizationId]
+  );
+  await writeAuditLog(connection, {
+    workspaceId: authorization.workspace_id,
+    actorUserId,
+    action: 'connection.search_console.revoked_and_purged',
+    targetType: 'provider_authorization',
+    targetId: authorizationId,
+    metadata: { outcome_category: outcomeCategory }
+  });
+  return { deletedSourceCount: sourceRows.length };
+}
+
+function decryptRevocationToken(record) {
+  const fields = record.refresh_token_ciphertext
+    ? ['refresh_token_ciphertext', 'refresh_token_iv', 'refresh_token_tag']
+    : ['access_token_ciphertext', 'access_token_iv', 'access_token_tag'];
+  if (!record[fields[0]]) return null;
+  return decryptSecret({
+    ciphertext: record[fields[0]],
+    iv: record[fields[1]],
+    tag: record[fields[2]],
+    keyVersion: record.key_version
+  });
+}
+
+async function disconnectSearchConsole(userId, workspaceId, connectionId = null) {
+  await withConnection(connection => requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', SEARCH_CONSOLE_PROVIDER));
+  const result = await revokeSearchConsoleConnection({ workspaceId, connectionId, actorUserId: userId });
+  if (!result) throw createHttpError(404, 'search_console_connection_not_found');
+  return result;
+}
+
+async function revokeSearchConsoleConnection({ workspaceId, connectionId = null, actorUserId = null }) {
+  const record = await withConnection(connection => loadAuthorizationForDisconnect(connection, workspaceId, connectionId));
+  if (!record) return null;
+  if (connectionId && Number(record.connection_count) > 1) {
+    await withConnection(async connection => {
+      await connection.beginTransaction();
+      try {
+        await connection.query('DELETE FROM workspace_provider_connections WHERE id = ? AND workspace_id = ?', [connectionId, workspaceId]);
+        if (record.data_source_id) await connection.query('DELETE FROM data_sources WHERE id = ?', [record.data_source_id]);
+        await writeAuditLog(connection, {
+          workspaceId,
+          actorUserId,
+          action: 'connection.search_console.resource_disconnected',
+          targetType: 'workspace_provider_connection',
+          targetId: connectionId,
+          metadata: { provider_grant_preserved: true }
+        });
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+    return {
+      disconnected: true,
+      local_data_deleted: true,
+      provider_grant_preserved: true,
+      provider_revoke: { attempted: false, success: false, status: null, outcome_category: 'shared_authorization_preserved' }
+    };
+  }
+  let token = null;
+  try {
+    token = decryptRevocationToken(record);
+  } catch {
+    token = null;
+  }
+  const providerRevoke = token
+    ? await searchConsole.revokeToken(token)
+    : { attempted: false, success: false, status: null, error: { category: 'credential_unavailable' } };
+  const outcome = providerRevoke.success ? 'provider_revoked' : 'provider_revoke_failed_local_purge';
+  const local = await withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const result = await purgeAuthorization(connection, record.authorization_id, outcome, actorUserId);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+  return {
+    disconnected: true,
+    local_data_deleted: true,
+    provider_grant_preserved: false,
+    provider_revoke: {
+      attempted: providerRevoke.attempted,
+      success: providerRevoke.success,
+      status: providerRevoke.status,
+      outcome_category: outcome
+    },
+    deleted_source_count: local ? local.deletedSourceCount : 0
+  };
+}
+
+async function revokeWorkspaceSearchConsoleAuthorizations(workspaceId, limit = 50) {
+  const results = [];
+  while (results.length < limit) {
+    const result = await revokeSearchConsoleConnection({ workspaceId });
+    if (!result) break;
+    results.push({ provider: SEARCH_CONSOLE_PROVIDER, ...result.provider_revoke });
+  }
+  return results;
+}
+
+async function purgeSearchConsoleAuthorizationBySystem(authorizationId, outcomeCategory) {
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const result = await purgeAuthorization(connection, authorizationId, outcomeCategory);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+module.exports = {
+  SEARCH_CONSOLE_CAPABILITIES,
+  SEARCH_CONSOLE_PROVIDER,
+  SEARCH_CONSOLE_TIMEZONE,
+  completeSearchConsoleConnection,
+  disconnectSearchConsole,
+  listSearchConsoleResources,
+  normalizeSite,
+  purgeSearchConsoleAuthorizationBySystem,
+  searchConsoleFoundationReady,
+  requireSearchConsoleReady,
+  revokeWorkspaceSearchConsoleAuthorizations,
+  selectSearchConsoleResource,
+  startSearchConsoleConnection
+};
@@ -0,0 +1,399 @@
+const { getConnection } = require('../database');
+const { assertCapability } = require('./rbac');
+const { loadResourceScope, scopeCondition } = require('./resource-scope');
+const { getMetricDefinitions } = require('./provider-registry');
+const { SEARCH_CONSOLE_TIMEZONE } = require('./search-console-connection-service');
+const { dateInTimeZone } = require('./search-console-sync-service');
+
+const SEARCH_CONSOLE_METRIC_KEYS = Object.freeze([
+  'search_console.clicks',
+  'search_console.impressions',
+  'search_console.ctr',
+  'search_console.position'
+]);
+
+const BREAKDOWN_LABELS = Object.freeze({
+  'search_console.query': 'Top queries',
+  'search_console.page': 'Top pages',
+  'search_console.country': 'Countries',
+  'search_console.device': 'Devices'
+});
+
+function createHttpError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createHttpError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+async function requireWorkspace(connection, workspaceId, userId) {
+  const rows = await connection.query(
+    `SELECT m.role, r.capabilities AS custom_role_capabilities
+     FROM workspace_memberships m
+     LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+     WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active' LIMIT 1`,
+    [workspaceId, userId]
+  );
+  if (!rows[0]) throw createHttpError(404, 'workspace_not_found');
+  assertCapability(rows[0], 'viewDashboard', 'google_search_console');
+}
+
+function parseJson(value, fallback = {}) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(value, days) {
+  const date = new Date(`${value}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return isoDate(date);
+}
+
+function validDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ''))) return false;
+  const parsed = new Date(`${value}T00:00:00.000Z`);
+  return !Number.isNaN(parsed.getTime()) && isoDate(parsed) === value;
+}
+
+function parseRange(query, dataThroughDate = null) {
+  const key = ['7d', '30d', '90d', 'custom'].includes(query.range) ? query.range : '30d';
+  const yesterday = addDays(dateInTimeZone(SEARCH_CONSOLE_TIMEZONE), -1);
+  let to = dataThroughDate && dataThroughDate < yesterday ? dataThroughDate : yesterday;
+  let from;
+  if (key === 'custom') {
+    from = String(query.from || '');
+    to = String(query.to || '');
+    if (!validDate(from) || !validDate(to)) throw createHttpError(400, 'invalid_date_range');
+  } else {
+    from = addDays(to, -(Number(key.slice(0, -1)) - 1));
+  }
+  const fromTime = new Date(`${from}T00:00:00.000Z`).getTime();
+  const toTime = new Date(`${to}T00:00:00.000Z`).getTime();
+  const days = Math.floor((toTime - fromTime) / 86400000) + 1;
+  if (fromTime > toTime || days < 1 || days > 366) throw createHttpError(400, 'invalid_date_range');
+  return {
+    key,
+    from,
+    to,
+    days,
+    previousFrom: addDays(from, -days),
+    previousTo: addDays(from, -1),
+    timezone: SEARCH_CONSOLE_TIMEZONE
+  };
+}
+
+function databaseDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isoDate(value);
+  const match = String(value).match(/^\d{4}-\d{2}-\d{2}/);
+  return match ? match[0] : null;
+}
+
+function numberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+async function findConnection(connection, workspaceId, connectionId, scope = null) {
+  const params = [workspaceId];
+  const scoped = scopeCondition('wpc.id', scope && scope.connectionIds);
+  const clause = `${connectionId ? 'AND wpc.id = ?' : ''}${scoped.sql}`;
+  if (connectionId) params.push(connectionId);
+  params.push(...scoped.params);
+  const rows = await connection.query(
+    `SELECT wpc.id, wpc.status, wpc.data_source_id, wpc.last_sync_at,
+            wpc.last_successful_sync_at, wpc.next_sync_at, wpc.data_through_at,
+            ds.reconnect_reason, pr.provider_resource_id, pr.display_name, pr.metadata,
+            pauth.status AS authorization_status
+     FROM workspace_provider_connections wpc
+     JOIN data_sources ds ON ds.id = wpc.data_source_id
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+     WHERE wpc.workspace_id = ? AND wpc.provider = 'google_search_console' ${clause}
+     ORDER BY FIELD(wpc.status, 'active', 'reconnect_required', 'connecting', 'disconnected'), wpc.created_at
+     LIMIT 1`,
+    params
+  );
+  return rows[0] || null;
+}
+
+async function latestRangeMetrics(connection, connectionId, from, to) {
+  const rows = await connection.query(
+    `SELECT observation.metric_key, observation.numeric_value, observation.unit,
+            observation.availability_status, observation.availability_reason,
+            observation.definition_version, observation.data_through_at
+     FROM provider_metric_observations observation
+     JOIN (
+       SELECT metric_key, MAX(observed_at) AS observed_at
+       FROM provider_metric_observations
+       WHERE workspace_provider_connection_id = ? AND grain = 'range'
+         AND period_start = ? AND period_end = ?
+       GROUP BY metric_key
+     ) latest ON latest.metric_key = observation.metric_key
+       AND latest.observed_at = observation.observed_at
+     WHERE observation.workspace_provider_connection_id = ? AND observation.grain = 'range'
+       AND observation.period_start = ? AND observation.period_end = ?`,
+    [connectionId, from, to, connectionId, from, to]
+  );
+  return new Map(rows.map(row => [row.metric_key, row]));
+}
+
+async function dailyMetrics(connection, connectionId, from, to) {
+  const rows = await connection.query(
+    `SELECT observation.metric_key, observation.period_start AS report_date,
+            observation.numeric_value, observation.unit, observation.availability_status,
+            observation.availability_reason, observation.data_through_at
+     FROM provider_metric_observations observation
+     JOIN (
+       SELECT metric_key, period_start, MAX(observed_at) AS observed_at
+       FROM provider_metric_observations
+       WHERE workspace_provider_connection_id = ? AND grain = 'daily'
+         AND period_start BETWEEN ? AND ?
+       GROUP BY metric_key, period_start
+     ) latest ON latest.metric_key = observation.metric_key
+       AND latest.period_start = observation.period_start
+       AND latest.observed_at = observation.observed_at
+     WHERE observation.workspace_provider_connection_id = ? AND observation.grain = 'daily'
+       AND observation.period_start BETWEEN ? AND ?
+     ORDER BY observation.period_start, observation.metric_key`,
+    [connectionId, from, to, connectionId, from, to]
+  );
+  return rows;
+}
+
+function sumDaily(rows, metricKey) {
+  const matching = rows.filter(row => row.metric_key === metricKey);
+  if (matching.length === 0 || matching.some(row => row.availability_status !== 'available')) return null;
+  return matching.reduce((sum, row) => sum + Number(row.numeric_value), 0);
+}
+
+// Property-level CTR and average position can be rebuilt exactly from daily rows:
+// CTR is clicks over impressions, and position is weighted by impressions.
+function deriveFromDaily(rows, key) {
+  if (key === 'search_console.clicks' || key === 'search_console.impressions') return sumDaily(rows, key);
+  const clicks = sumDaily(rows, 'search_console.clicks');
+  const impressions = sumDaily(rows, 'search_console.impressions');
+  if (impressions === null || impressions === 0) return null;
+  if (key === 'search_console.ctr') return clicks === null ? null : clicks / impressions;
+  const impressionsByDate = new Map(rows
+    .filter(row => row.metric_key === 'search_console.impressions')
+    .map(row => [databaseDate(row.report_date), Number(row.numeric_value)]));
+  const positions = rows.filter(row => row.metric_key === 'search_console.position');
+  if (positions.some(row => row.availability_status !== 'available' || !impressionsByDate.has(databaseDate(row.report_date)))) {
+    return null;
+  }
+  return positions.reduce(
+    (sum, row) => sum + Number(row.numeric_value) * impressionsByDate.get(databaseDate(row.report_date)),
+    0
+  ) / impressions;
+}
+
+function metricResult(key, exact, daily, previousExact, previousDaily) {
+  const definition = getMetricDefinitions()[key];
+  let value = exact && exact.availability_status === 'available' ? numberOrNull(exact.numeric_value) : null;
+  let status = exact ? exact.availability_status : 'not_reported';
+  let reason = exact ? exact.availability_reason : 'exact_range_not_stored';
+  let baseline = previousExact && previousExact.availability_status === 'available'
+    ? numberOrNull(previousExact.numeric_value)
+    : null;
+  let baselineStatus = previousExact ? previousExact.availability_status : 'not_reported';
+  if (!exact) {
+    value = deriveFromDaily(daily, key);
+    status = value === null ? 'not_reported' : 'available';
+    reason = value === null ? 'daily_values_unavailable' : null;
+  }
+  if (!previousExact) {
+    baseline = deriveFromDaily(previousDaily, key);
+    baselineStatus = baseline === null ? 'not_reported' : 'available';
+  }
+  const delta = value === null || baseline === null ? null : value - baseline;
+  return {
+    key,
+    label: definition.label,
+    unit: definition.unit,
+    value,
+    baseline,
+    delta,
+    percent_change: delta === null || baseline === 0 ? null : (delta / baseline) * 100,
+    availability_status: status,
+    availability_reason: reason,
+    baseline_availability_status: baselineStatus,
+    definition: definition.definition,
+    definition_version: definition.version,
+    available: status === 'available' && value !== null
+  };
+}
+
+function trendRows(rows) {
+  const dates = new Map();
+  for (const row of rows) {
+    const date = databaseDate(row.report_date);
+    if (!date) continue;
+    const value = dates.get(date) || { date, availability: {} };
+    value[row.metric_key.replace('search_console.', '')] = row.availability_status === 'available'
+      ? numberOrNull(row.numeric_value)
+      : null;
+    value.availability[row.metric_key] = {
+      status: row.availability_status,
+      reason: row.availability_reason
+    };
+    dates.set(date, value);
+  }
+  return [...dates.values()].sort((left, right) => left.date.localeCompare(right.date));
+}
+
+async function breakdownRows(connection, connectionId, from, to) {
+  const rows = await connection.query(
+    `SELECT observation.breakdown_key, observation.dimension_hash,
+            observation.dimension_values, observation.metric_values,
+            observation.availability, observation.row_position, observation.data_through_at
+     FROM provider_dimension_observations observation
+     JOIN (
+       SELECT breakdown_key, dimension_hash, MAX(observed_at) AS observed_at
+       FROM provider_dimension_observations
+       WHERE workspace_provider_connection_id = ? AND period_start = ? AND period_end = ?
+       GROUP BY breakdown_key, dimension_hash
+     ) latest ON latest.breakdown_key = observation.breakdown_key
+       AND latest.dimension_hash = observation.dimension_hash
+       AND latest.observed_at = observation.observed_at
+     WHERE observation.workspace_provider_connection_id = ?
+       AND observation.period_start = ? AND observation.period_end = ?
+     ORDER BY observation.breakdown_key, observation.row_position
+     LIMIT 1000`,
+    [connectionId, from, to, connectionId, from, to]
+  );
+  const groups = new Map();
+  for (const row of rows) {
+    const group = groups.get(row.breakdown_key) || {
+      key: row.breakdown_key,
+      label: BREAKDOWN_LABELS[row.breakdown_key] || row.breakdown_key,
+      rows: [],
+      data_through_date: null
+    };
+    group.rows.push({
+      dimensions: parseJson(row.dimension_values, {}),
+      metrics: parseJson(row.metric_values, {}),
+      availability: parseJson(row.availability, {})
+    });
+    group.data_through_date = databaseDate(row.data_through_at) || group.data_through_date;
+    groups.set(row.breakdown_key, group);
+  }
+  return [...groups.values()];
+}
+
+async function getSearchConsoleDashboard(userId, workspaceId, query = {}) {
+  return withConnection(async connection => {
+    await requireWorkspace(connection, workspaceId, userId);
+    if (query.timezone && query.timezone !== SEARCH_CONSOLE_TIMEZONE) {
+      throw createHttpError(400, 'search_console_dashboard_uses_pacific_time');
+    }
+    const foundation = await connection.query(
+      `SELECT COUNT(*) AS count FROM information_schema.TABLES
+       WHERE TABLE_SCHEMA = DATABASE()
+         AND TABLE_NAME IN ('provider_resource_observations', 'provider_metric_observations', 'provider_dimension_observations')`
+    );
+    if (Number(foundation[0] && foundation[0].count) !== 3) {
+      const range = parseRange(query);
+      return {
+        provider: 'google_search_console', range, connection: { status: 'disconnected' },
+        site: null, metrics: [], trend: [], breakdowns: [],
+        availability: { state: 'configuration_required', data_through_date: null, requested_through_date: range.to }
+      };
+    }
+    const selected = await findConnection(
+      connection,
+      workspaceId,
+      query.connection_id || null,
+      await loadResourceScope(connection, workspaceId, userId)
+    );
+    if (!selected) {
+      const range = parseRange(query);
+      return {
+        provider: 'google_search_console', range, connection: { status: 'disconnected' },
+        site: null, metrics: [], trend: [], breakdowns: [],
+        availability: { state: 'empty', data_through_date: null, requested_through_date: range.to }
+      };
+    }
+    const metadata = parseJson(selected.metadata, {});
+    const dataThrough = databaseDate(selected.data_through_at);
+    const range = parseRange(query, dataThrough);
+    const [current, previous, daily, previousDaily, breakdowns] = await Promise.all([
+      latestRangeMetrics(connection, selected.id, range.from, range.to),
+      latestRangeMetrics(connection, selected.id, range.previousFrom, range.previousTo),
+      dailyMetrics(connection, selected.id, range.from, range.to),
+      dailyMetrics(connection, selected.id, range.previousFrom, range.previousTo),
+      breakdownRows(connection, selected.id, range.from, range.to)
+    ]);
+    const metrics = SEARCH_CONSOLE_METRIC_KEYS.map(key => metricResult(
+      key, current.get(key), daily, previous.get(key), previousDaily
+    ));
+    const anyUnavailable = metrics.some(item => !item.available);
+    const connectionStatus = selected.authorization_status === 'authorizing'
+      ? 'connecting'
+      : ['reconnect_required', 'disabled'].includes(selected.authorization_status)
+        ? 'reconnect_required'
+        : selected.status;
+    return {
+      provider: 'google_search_console',
+      range,
+      connection: {
+        id: selected.id,
+        status: connectionStatus,
+        reconnect_reason: selected.reconnect_reason,
+        last_sync_at: selected.last_sync_at,
+        last_successful_sync_at: selected.last_successful_sync_at,
+        next_sync_at: selected.next_sync_at
+      },
+      site: {
+        id: selected.provider_resource_id,
+        site_url: selected.provider_resource_id,
+        display_name: selected.display_name,
+        property_type: metadata.propertyType || null,
+        permission_level: metadata.permissionLevel || null,
+        timezone: SEARCH_CONSOLE_TIMEZONE
+      },
+      metrics,
+      trend: trendRows(daily),
+      breakdowns,
+      availability: {
+        state: !dataThrough || dataThrough < range.to
+          ? 'delayed'
+          : anyUnavailable ? 'partial' : 'ready',
+        data_through_date: dataThrough,
+        requested_through_date: range.to,
+        exact_range_available: current.size > 0,
+        note: !dataThrough || dataThrough < range.to
+          ? 'search_console_reporting_delay'
+          : anyUnavailable ? 'search_console_partial_metrics' : null
+      }
+    };
+  });
+}
+
+module.exports = {
+  BREAKDOWN_LABELS,
+  SEARCH_CONSOLE_METRIC_KEYS,
+  deriveFromDaily,
+  getSearchConsoleDashboard,
+  parseRange
+};
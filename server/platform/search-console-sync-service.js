@@ -0,0 +1,758 @@
+const { getConnection } = require('../database');
+const searchConsole = require('../integrations/search-console');
+const { createDimensionObservation, createMetricObservation } = require('./observation-contract');
+const { getMetricDefinitions } = require('./provider-registry');
+const { decryptSecret, encryptSecret } = require('./secret-envelope');
+const { createId } = require('./security');
+const {
+  SEARCH_CONSOLE_TIMEZONE,
+  purgeSearchConsoleAuthorizationBySystem
+} = require('./search-console-connection-service');
+const { getSearchConsoleConfiguration, getSearchConsoleLimits } = require('./search-console-config');
+
+const DEFAULT_SYNC_INTERVAL_SECONDS = 6 * 60 * 60;
+const RANGE_DAYS = Object.freeze([7, 30, 90]);
+const SEARCH_CONSOLE_API_VERSION = 'webmasters-v3';
+
+const METRIC_MAP = Object.freeze({
+  clicks: Object.freeze({ key: 'search_console.clicks', unit: 'count' }),
+  impressions: Object.freeze({ key: 'search_console.impressions', unit: 'count' }),
+  ctr: Object.freeze({ key: 'search_console.ctr', unit: 'ratio' }),
+  position: Object.freeze({ key: 'search_console.position', unit: 'position' })
+});
+
+function createSyncError(code, result = null) {
+  const provider = result && result.error ? result.error : {};
+  const error = new Error(code);
+  error.code = code;
+  error.syncError = {
+    category: provider.category || 'provider',
+    provider_code: provider.provider_code || code,
+    retryable: provider.retryable === true,
+    terminal: provider.terminal === true,
+    access_lost: provider.accessLost === true,
+    retry_after_seconds: result && result.retryAfterSeconds !== null ? result.retryAfterSeconds : null,
+    message: code
+  };
+  return error;
+}
+
+function internalSyncError(error) {
+  const value = error && error.syncError ? error.syncError : {};
+  return {
+    category: value.category || 'internal',
+    provider_code: value.provider_code || null,
+    retryable: value.retryable === true,
+    terminal: value.terminal === true,
+    access_lost: value.access_lost === true,
+    retry_after_seconds: value.retry_after_seconds === undefined ? null : value.retry_after_seconds,
+    message: (error && (error.code || error.message)) || 'search_console_sync_failed'
+  };
+}
+
+function retryDelaySeconds(error) {
+  if (error && error.retry_after_seconds) return Math.max(60, Number(error.retry_after_seconds));
+  if (error && error.retryable) return 300;
+  return Number(process.env.SYNC_INTERVAL_SECONDS || DEFAULT_SYNC_INTERVAL_SECONDS);
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createSyncError('database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+function parseJson(value, fallback = {}) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function numeric(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(value, days) {
+  const date = new Date(`${value}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return isoDate(date);
+}
+
+function dateInTimeZone(timezone, date = new Date()) {
+  try {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).formatToParts(date);
+    const values = Object.fromEntries(parts.map(part => [part.type, part.value]));
+    const result = `${values.year}-${values.month}-${values.day}`;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(result)) return result;
+  } catch {
+    // Search Console always reports in Pacific Time; an unusable runtime zone database falls back to UTC.
+  }
+  return isoDate(date);
+}
+
+function normalizeSearchConsoleDate(value) {
+  const text = String(value || '');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+  const parsed = new Date(`${text}T00:00:00.000Z`);
+  return Number.isNaN(parsed.getTime()) || isoDate(parsed) !== text ? null : text;
+}
+
+function buildDateWindows(dataThroughDate) {
+  const ranges = [];
+  for (const days of RANGE_DAYS) {
+    const currentStart = addDays(dataThroughDate, -(days - 1));
+    const previousEnd = addDays(currentStart, -1);
+    ranges.push({ key: `${days}d`, days, kind: 'current', startDate: currentStart, endDate: dataThroughDate });
+    ranges.push({
+      key: `${days}d_previous`,
+      days,
+      kind: 'previous',
+      startDate: addDays(previousEnd, -(days - 1)),
+      endDate: previousEnd
+    });
+  }
+  return ranges;
+}
+
+function parseSearchAnalyticsRows(body, dimensions) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw createSyncError('search_console_response_malformed');
+  }
+  const sourceRows = Object.hasOwn(body, 'rows') ? body.rows : [];
+  if (!Array.isArray(sourceRows)) throw createSyncError('search_console_response_malformed');
+  return sourceRows.map(row => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      throw createSyncError('search_console_row_malformed');
+    }
+    const keys = Object.hasOwn(row, 'keys') ? row.keys : [];
+    if (!Array.isArray(keys) || keys.length !== dimensions.length || keys.some(key => typeof key !== 'string')) {
+      throw createSyncError('search_console_row_malformed');
+    }
+    const record = { dimensions: {}, metrics: {} };
+    dimensions.forEach((name, index) => {
+      record.dimensions[name] = keys[index];
+    });
+    for (const name of searchConsole.SEARCH_CONSOLE_METRICS) {
+      if (Object.hasOwn(row, name) && typeof row[name] !== 'number') {
+        throw createSyncError('search_console_row_malformed');
+      }
+      record.metrics[name] = Object.hasOwn(row, name) ? row[name] : null;
+    }
+    return record;
+  });
+}
+
+async function loadSource(connection, dataSourceId) {
+  const rows = await connection.query(
+    `SELECT ds.*, wpc.id AS workspace_provider_connection_id,
+            pr.id AS provider_resource_row_id, pr.provider_resource_id AS site_url,
+            pr.display_name AS site_display_name, pr.metadata AS resource_metadata,
+            pauth.id AS provider_authorization_id, pauth.status AS authorization_status,
+            pac.access_token_ciphertext, pac.access_token_iv, pac.access_token_tag,
+            pac.refresh_token_ciphertext, pac.refresh_token_iv, pac.refresh_token_tag,
+            pac.key_version, pac.access_expires_at, pac.refresh_expires_at, pac.revoked_at,
+            pac.access_expires_at > DATE_ADD(UTC_TIMESTAMP(3), INTERVAL 60 SECOND) AS access_token_fresh
+     FROM data_sources ds
+     JOIN workspace_provider_connections wpc ON wpc.data_source_id = ds.id
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+     JOIN provider_authorization_credentials pac ON pac.provider_authorization_id = pauth.id
+     WHERE ds.id = ? AND ds.provider = 'google_search_console' AND ds.deleted_at IS NULL
+     LIMIT 1`,
+    [dataSourceId]
+  );
+  return rows[0] || null;
+}
+
+async function recordRequestEvent(source, runId, details) {
+  return withConnection(connection => connection.query(
+    `INSERT INTO provider_request_events
+      (id, workspace_id, provider_authorization_id, workspace_provider_connection_id,
+       sync_run_id, provider, request_category, method_name, quota_cost_estimate,
+       page_number, item_count, attempts, status, failure_category, retry_after_seconds)
+     VALUES (?, ?, ?, ?, ?, 'google_search_console', ?, ?, 0, ?, ?, ?, ?, ?, ?)`,
+    [
+      createId(), source.workspace_id, source.provider_authorization_id,
+      source.workspace_provider_connection_id, runId, details.category, details.method,
+      details.pageNumber || null, details.itemCount === undefined ? null : details.itemCount,
+      details.result && Number.isInteger(details.result.attempts) ? details.result.attempts : 1,
+      details.status,
+      details.result && details.result.error ? details.result.error.category : null,
+      details.result ? details.result.retryAfterSeconds : null
+    ]
+  ));
+}
+
+async function callAndRecord(source, runId, details, fn) {
+  const result = await fn();
+  await recordRequestEvent(source, runId, {
+    ...details,
+    result,
+    itemCount: result.ok && result.body && Array.isArray(result.body.rows) ? result.body.rows.length : details.itemCount,
+    status: result.ok ? 'success' : 'failed'
+  });
+  if (!result.ok) throw createSyncError(`${details.method}_failed`, result);
+  return result;
+}
+
+async function refreshCredentialsIfNeeded(source, runId, deadlineMs) {
+  const accessToken = decryptSecret({
+    ciphertext: source.access_token_ciphertext,
+    iv: source.access_token_iv,
+    tag: source.access_token_tag,
+    keyVersion: source.key_version
+  });
+  if (Number(source.access_token_fresh) === 1) return accessToken;
+  if (!source.refresh_token_ciphertext) throw createSyncError('search_console_refresh_token_missing');
+  const refreshToken = decryptSecret({
+    ciphertext: source.refresh_token_ciphertext,
+    iv: source.refresh_token_iv,
+    tag: source.refresh_token_tag,
+    keyVersion: source.key_version
+  });
+  const result = await searchConsole.refreshAccessToken(refreshToken, { deadlineMs });
+  await recordRequestEvent(source, runId, {
+    category: 'oauth', method: 'oauth.refresh', result, status: result.ok ? 'success' : 'failed'
+  });
+  if (!result.ok || !result.body || !result.body.access_token || Number(result.body.expires_in) <= 0) {
+    throw createSyncError('search_console_credential_refresh_failed', result);
+  }
+  const nextRefreshToken = searchConsole.chooseRefreshToken(result.body.refresh_token, refreshToken);
+  const access = encryptSecret(result.body.access_token);
+  const refresh = encryptSecret(nextRefreshToken);
+  const refreshRotated = Boolean(typeof result.body.refresh_token === 'string' && result.body.refresh_token.trim());
+  const refreshTtl = result.body.refresh_token_expires_in ? Number(result.body.refresh_token_expires_in) : null;
+  await withConnection(connection => connection.query(
+    `UPDATE provider_authorization_credentials
+     SET access_token_ciphertext = ?, access_token_iv = ?, access_token_tag = ?,
+         refresh_token_ciphertext = ?, refresh_token_iv = ?, refresh_token_tag = ?,
+         key_version = ?, token_type = ?,
+         access_expires_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+         refresh_expires_at = CASE
+           WHEN ? IS NOT NULL THEN DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND)
+           WHEN ? = 1 THEN NULL ELSE refresh_expires_at END,
+         updated_at = UTC_TIMESTAMP(3)
+     WHERE provider_authorization_id = ?`,
+    [
+      access.ciphertext, access.iv, access.tag,
+      refresh.ciphertext, refresh.iv, refresh.tag, access.keyVersion,
+      result.body.token_type || 'Bearer', Number(result.body.expires_in),
+      refreshTtl, refreshTtl, refreshRotated, source.provider_authorization_id
+    ]
+  ));
+  return result.body.access_token;
+}
+
+async function createSyncRun(source, triggerType, correlationId) {
+  const id = createId();
+  await withConnection(connection => connection.query(
+    `INSERT INTO sync_runs
+      (id, workspace_id, data_source_id, workspace_provider_connection_id,
+       trigger_type, status, correlation_id, provider_api_version)
+     VALUES (?, ?, ?, ?, ?, 'running', ?, ?)`,
+    [
+      id, source.workspace_id, source.id, source.workspace_provider_connection_id,
+      triggerType, correlationId || null, SEARCH_CONSOLE_API_VERSION
+    ]
+  ));
+  return id;
+}
+
+async function fetchQuery(source, runId, accessToken, query, deadlineMs, method) {
+  const result = await callAndRecord(source, runId, {
+    category: 'analytics_api', method
+  }, () => searchConsole.querySearchAnalytics(accessToken, source.site_url, query, { deadlineMs }));
+  return parseSearchAnalyticsRows(result.body, query.dimensions);
+}
+
+function optionalFailure(error, errors) {
+  const normalized = internalSyncError(error);
+  if (normalized.terminal || ['authentication', 'scope'].includes(normalized.category)) throw error;
+  errors.push(normalized);
+}
+
+async function fetchSearchAnalytics(source, runId, accessToken, deadlineMs, limits) {
+  const siteToday = dateInTimeZone(SEARCH_CONSOLE_TIMEZONE);
+  const requestedThroughDate = addDays(siteToday, -1);
+  const dailyStart = addDays(requestedThroughDate, -(limits.analyticsLookbackDays - 1));
+  const errors = [];
+  const dailyRows = await fetchQuery(source, runId, accessToken, {
+    startDate: dailyStart,
+    endDate: requestedThroughDate,
+    dimensions: ['date'],
+    rowLimit: limits.analyticsLookbackDays + 5
+  }, deadlineMs, 'searchAnalytics.query.daily');
+  const daily = dailyRows
+    .map(row => ({ ...row, date: normalizeSearchConsoleDate(row.dimensions.date) }))
+    .filter(row => row.date && row.date >= dailyStart && row.date <= requestedThroughDate)
+    .sort((left, right) => left.date.localeCompare(right.date));
+  const dataThroughDate = daily.length > 0 ? daily[daily.length - 1].date : null;
+  const windows = dataThroughDate ? buildDateWindows(dataThroughDate) : [];
+
+  const rangeReports = [];
+  for (const window of windows) {
+    if (Date.now() >= deadlineMs) throw createSyncError('search_console_time_budget_exhausted');
+    try {
+      const rows = await fetchQuery(source, runId, accessToken, {
+        startDate: window.startDate,
+        endDate: window.endDate,
+        dimensions: [],
+        rowLimit: 1
+      }, deadlineMs, `searchAnalytics.query.range.${window.key}`);
+      rangeReports.push({ window, rows });
+    } catch (error) {
+      optionalFailure(error, errors);
+      rangeReports.push({ window, rows: null });
+    }
+  }
+
+  const breakdownReports = [];
+  for (const breakdown of searchConsole.SEARCH_CONSOLE_BREAKDOWNS) {
+    for (const window of windows.filter(value => value.kind === 'current')) {
+      if (Date.now() >= deadlineMs) throw createSyncError('search_console_time_budget_exhausted');
+      try {
+        const rows = await fetchQuery(source, runId, accessToken, {
+          startDate: window.startDate,
+          endDate: window.endDate,
+          dimensions: [...breakdown.dimensions],
+          rowLimit: limits.maxDimensionRows
+        }, deadlineMs, `searchAnalytics.query.${breakdown.key.replace('search_console.', '')}.${window.key}`);
+        breakdownReports.push({ breakdown, window, rows });
+      } catch (error) {
+        optionalFailure(error, errors);
+      }
+    }
+  }
+  return { requestedThroughDate, dataThroughDate, daily, rangeReports, breakdownReports, errors };
+}
+
+function createStoredMetric(apiName, grain, periodStart, periodEnd, rawValue, state) {
+  const definition = METRIC_MAP[apiName];
+  const registryDefinition = getMetricDefinitions()[definition.key];
+  const value = state.status === 'available' ? numeric(rawValue) : null;
+  const availabilityStatus = state.status === 'available' && value === null ? 'not_reported' : state.status;
+  return createMetricObservation({
+    provider: 'google_search_console',
+    metricKey: definition.key,
+    grain,
+    periodStart,
+    periodEnd,
+    numericValue: availabilityStatus === 'available' ? value : null,
+    unit: definition.unit,
+    availabilityStatus,
+    availabilityReason: availabilityStatus === 'available'
+      ? state.reason
+      : state.reason || 'search_console_value_not_reported',
+    definitionVersion: registryDefinition.version
+  });
+}
+
+function metricObservations(analytics) {
+  const observations = [];
+  const available = { status: 'available', reason: null };
+  for (const row of analytics.daily) {
+    for (const apiName of searchConsole.SEARCH_CONSOLE_METRICS) {
+      observations.push(createStoredMetric(apiName, 'daily', row.date, row.date, row.metrics[apiName], available));
+    }
+  }
+  for (const value of analytics.rangeReports) {
+    const row = value.rows && value.rows[0] ? value.rows[0] : { metrics: {} };
+    let state = available;
+    if (!value.rows) state = { status: 'provider_error', reason: 'search_console_query_failed' };
+    else if (!value.rows[0]) state = { status: 'not_reported', reason: 'search_console_no_rows' };
+    for (const apiName of searchConsole.SEARCH_CONSOLE_METRICS) {
+      observations.push(createStoredMetric(
+        apiName, 'range', value.window.startDate, value.window.endDate, row.metrics[apiName], state
+      ));
+    }
+  }
+  return observations;
+}
+
+function dimensionObservations(analytics) {
+  const observations = [];
+  for (const value of analytics.breakdownReports) {
+    value.rows.forEach((row, position) => {
+      const dimensions = {};
+      for (const name of value.breakdown.dimensions) {
+        dimensions[name] = String(row.dimensions[name] || '(not set)').slice(0, 512);
+      }
+      const metrics = {};
+      for (const apiName of searchConsole.SEARCH_CONSOLE_METRICS) {
+        const parsed = numeric(row.metrics[apiName]);
+        metrics[METRIC_MAP[apiName].key] = {
+          value: parsed,
+          status: parsed === null ? 'not_reported' : 'available',
+          reason: parsed === null ? 'search_console_value_not_reported' : null
+        };
+      }
+      observations.push(createDimensionObservation({
+        provider: 'google_search_console',
+        breakdownKey: value.breakdown.key,
+        periodStart: value.window.startDate,
+        periodEnd: value.window.endDate,
+        dimensionValues: dimensions,
+        metrics,
+        thresholded: false,
+        rowPosition: position
+      }));
+    });
+  }
+  return observations;
+}
+
+async function storeSyncResult(source, runId, site, analytics, startedMs) {
+  const metrics = metricObservations(analytics);
+  const dimensions = dimensionObservations(analytics);
+  const dataThroughDate = analytics.dataThroughDate;
+  const dataThroughAt = dataThroughDate ? `${dataThroughDate} 23:59:59` : null;
+  const status = analytics.errors.length > 0 ? 'partial' : 'success';
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const resourceMetadata = {
+        ...parseJson(source.resource_metadata, {}),
+        permissionLevel: site.permissionLevel,
+        timezone: SEARCH_CONSOLE_TIMEZONE,
+        selectable: true,
+        discoveryStatus: 'available'
+      };
+      await connection.query(
+        `UPDATE provider_resources SET metadata = ?, updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [JSON.stringify(resourceMetadata), source.provider_resource_row_id]
+      );
+      await connection.query(
+        `UPDATE provider_accounts SET metadata = ?, updated_at = UTC_TIMESTAMP(3)
+         WHERE data_source_id = ?`,
+        [JSON.stringify(resourceMetadata), source.id]
+      );
+      await connection.query(
+        `INSERT INTO provider_resource_observations
+          (id, workspace_id, workspace_provider_connection_id, sync_run_id, provider,
+           observed_at, data_through_at, source_timezone, observed_values, availability)
+         VALUES (?, ?, ?, ?, 'google_search_console', UTC_TIMESTAMP(3), ?, ?, ?, ?)`,
+        [
+          createId(), source.workspace_id, source.workspace_provider_connection_id, runId,
+          dataThroughAt,
+          SEARCH_CONSOLE_TIMEZONE,
+          JSON.stringify({
+            site_url: site.siteUrl,
+            property_type: resourceMetadata.propertyType || null,
+            permission_level: site.permissionLevel
+          }),
+          JSON.stringify({
+            state: !dataThroughDate
+              ? 'delayed'
+              : dataThroughDate < analytics.requestedThroughDate ? 'delayed' : 'available',
+            data_state: 'final',
+            requested_through_date: analytics.requestedThroughDate,
+            data_through_date: dataThroughDate
+          })
+        ]
+      );
+      for (const item of metrics) {
+        await connection.query(
+          `INSERT INTO provider_metric_observations
+            (id, workspace_id, workspace_provider_connection_id, sync_run_id, provider,
+             metric_key, grain, period_start, period_end, observed_at, data_through_at,
+             numeric_value, unit, availability_status, availability_reason, definition_version)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3), ?, ?, ?, ?, ?, ?)`,
+          [
+            createId(), source.workspace_id, source.workspace_provider_connection_id, runId,
+            item.provider, item.metricKey, item.grain, item.periodStart, item.periodEnd,
+            dataThroughAt,
+            item.numericValue, item.unit, item.availabilityStatus, item.availabilityReason,
+            item.definitionVersion
+          ]
+        );
+      }
+      for (const item of dimensions) {
+        await connection.query(
+          `INSERT INTO provider_dimension_observations
+            (id, workspace_id, workspace_provider_connection_id, sync_run_id, provider,
+             breakdown_key, period_start, period_end, observed_at, data_through_at,
+             dimension_hash, dimension_values, metric_values, availability, thresholded, row_position)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3), ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            createId(), source.workspace_id, source.workspace_provider_connection_id, runId,
+            item.provider, item.breakdownKey, item.periodStart, item.periodEnd,
+            dataThroughAt,
+            item.dimensionHash, JSON.stringify(item.dimensionValues), JSON.stringify(item.metricValues),
+            JSON.stringify(item.availability), item.thresholded, item.rowPosition
+          ]
+        );
+      }
+      for (const error of analytics.errors.slice(0, 20)) {
+        await connection.query(
+          `INSERT INTO sync_errors
+            (id, sync_run_id, category, provider_code, message, retryable)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            createId(), runId, error.category, error.provider_code,
+            String(error.message).slice(0, 512), Boolean(error.retryable)
+          ]
+        );
+      }
+      await connection.query(
+        `UPDATE sync_runs SET status = ?, finished_at = UTC_TIMESTAMP(3), duration_ms = ?,
+             profile_count = 1, content_seen_count = 0, content_snapshot_count = 0
+         WHERE id = ?`,
+        [status, Math.max(0, Date.now() - startedMs), runId]
+      );
+      const nextSeconds = Number(process.env.SYNC_INTERVAL_SECONDS || DEFAULT_SYNC_INTERVAL_SECONDS);
+      await connection.query(
+        `UPDATE data_sources SET status = 'active', reconnect_reason = NULL,
+             last_sync_at = UTC_TIMESTAMP(3),
+             last_successful_sync_at = CASE WHEN ? = 'success' THEN UTC_TIMESTAMP(3) ELSE last_successful_sync_at END,
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [status, nextSeconds, source.id]
+      );
+      await connection.query(
+        `UPDATE workspace_provider_connections SET status = 'active', last_sync_at = UTC_TIMESTAMP(3),
+             last_successful_sync_at = CASE WHEN ? = 'success' THEN UTC_TIMESTAMP(3) ELSE last_successful_sync_at END,
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), data_through_at = ?,
+             updated_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+        [status, nextSeconds, dataThroughAt, source.workspace_provider_connection_id]
+      );
+      await connection.query(
+        `UPDATE sync_jobs SET status = 'due', run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+             updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+        [nextSeconds, source.id]
+      );
+      await connection.query(
+        `UPDATE provider_sync_states SET cursor_state = ?, last_attempt_at = UTC_TIMESTAMP(3),
+             last_success_at = CASE WHEN ? = 'success' THEN UTC_TIMESTAMP(3) ELSE last_success_at END,
+             data_through_at = ?, failure_category = ?,
+             failure_count = CASE WHEN ? = 'success' THEN 0 ELSE failure_count + 1 END
+         WHERE workspace_provider_connection_id = ? AND sync_key = 'search_console.search_analytics'`,
+        [
+          JSON.stringify({
+            requested_through_date: analytics.requestedThroughDate,
+            data_state: 'final',
+            range_days: RANGE_DAYS
+          }),
+          status, dataThroughAt,
+          analytics.errors[0] ? analytics.errors[0].category : null,
+          status, source.workspace_provider_connection_id
+        ]
+      );
+      await connection.query(
+        `UPDATE provider_sync_states SET cursor_state = ?, last_attempt_at = UTC_TIMESTAMP(3),
+             last_success_at = UTC_TIMESTAMP(3), failure_category = NULL, failure_count = 0
+         WHERE workspace_provider_connection_id = ? AND sync_key = 'search_console.site'`,
+        [
+          JSON.stringify({ permission_level: site.permissionLevel, timezone: SEARCH_CONSOLE_TIMEZONE }),
+          source.workspace_provider_connection_id
+        ]
+      );
+      await connection.query(
+        `UPDATE provider_capabilities SET status = CASE
+             WHEN capability_key = 'dimension_breakdowns' AND ? > 0 THEN 'delayed'
+             ELSE 'available' END,
+             reason = CASE WHEN capability_key = 'dimension_breakdowns' AND ? > 0
+               THEN 'search_console_partial_breakdowns' ELSE NULL END,
+             updated_at = UTC_TIMESTAMP(3)
+         WHERE workspace_provider_connection_id = ?`,
+        [analytics.errors.length, analytics.errors.length, source.workspace_provider_connection_id]
+      );
+      await connection.query(
+        `UPDATE provider_authorizations SET status = 'active', last_validated_at = UTC_TIMESTAMP(3),
+             updated_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+        [source.provider_authorization_id]
+      );
+      await connection.commit();
+      return { status, dataThroughDate, metricCount: metrics.length, dimensionCount: dimensions.length };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function finishFailedRun(source, runId, startedMs, syncError) {
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      await connection.query(
+        `UPDATE sync_runs SET status = 'failed', finished_at = UTC_TIMESTAMP(3), duration_ms = ? WHERE id = ?`,
+        [Math.max(0, Date.now() - startedMs), runId]
+      );
+      await connection.query(
+        `INSERT INTO sync_errors
+          (id, sync_run_id, category, provider_code, message, retryable)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          createId(), runId, syncError.category, syncError.provider_code,
+          String(syncError.message).slice(0, 512), Boolean(syncError.retryable)
+        ]
+      );
+      const reconnect = ['authentication', 'scope'].includes(syncError.category);
+      const retrySeconds = retryDelaySeconds(syncError);
+      await connection.query(
+        `UPDATE data_sources SET status = ?, reconnect_reason = ?, last_sync_at = UTC_TIMESTAMP(3),
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [reconnect ? 'reconnect_required' : 'active', `${syncError.category}:${syncError.message}`.slice(0, 255), retrySeconds, source.id]
+      );
+      await connection.query(
+        `UPDATE workspace_provider_connections SET status = ?, last_sync_at = UTC_TIMESTAMP(3),
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [reconnect ? 'reconnect_required' : 'active', retrySeconds, source.workspace_provider_connection_id]
+      );
+      await connection.query(
+        `UPDATE sync_jobs SET status = ?, run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+             updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+        [reconnect ? 'paused' : 'due', retrySeconds, source.id]
+      );
+      await connection.query(
+        `UPDATE provider_capabilities SET status = ?, reason = ?, updated_at = UTC_TIMESTAMP(3)
+         WHERE workspace_provider_connection_id = ?`,
+        [reconnect ? 'not_granted' : 'provider_error', syncError.message, source.workspace_provider_connection_id]
+      );
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+function siteFromResponse(source, body) {
+  if (!body || body.siteUrl !== source.site_url || typeof body.permissionLevel !== 'string') {
+    throw createSyncError('search_console_site_response_malformed');
+  }
+  if (!['siteOwner', 'siteFullUser', 'siteRestrictedUser'].includes(body.permissionLevel)) {
+    throw createSyncError('search_console_site_not_verified', {
+      error: { category: 'authentication', retryable: false, accessLost: true, provider_code: body.permissionLevel },
+      retryAfterSeconds: null
+    });
+  }
+  return { siteUrl: body.siteUrl, permissionLevel: body.permissionLevel };
+}
+
+async function performSearchConsoleSyncForJob(job, options = {}) {
+  const startedMs = Date.now();
+  const configuration = getSearchConsoleConfiguration();
+  if (!configuration.connectable) {
+    await withConnection(connection => connection.query(
+      `UPDATE sync_jobs SET status = 'due', run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+           lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+           updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+      [DEFAULT_SYNC_INTERVAL_SECONDS, job.data_source_id]
+    ));
+    return {
+      data_source_id: job.data_source_id,
+      sync_run_id: null,
+      status: 'disabled',
+      error: {
+        category: 'configuration',
+        provider_code: 'search_console_not_available',
+        retryable: false,
+        message: 'search_console_not_available'
+      },
+      counts: { profile_count: 0, content_seen_count: 0, content_snapshot_count: 0 }
+    };
+  }
+  const limits = getSearchConsoleLimits();
+  const localDeadline = startedMs + limits.jobTimeBudgetSeconds * 1000;
+  const deadlineMs = options.deadlineMs ? Math.min(options.deadlineMs, localDeadline) : localDeadline;
+  let source = null;
+  let runId = null;
+  try {
+    source = await withConnection(connection => loadSource(connection, job.data_source_id));
+    if (!source || source.status !== 'active' || source.authorization_status !== 'active' || source.revoked_at) {
+      throw createSyncError('search_console_source_not_syncable');
+    }
+    runId = await createSyncRun(source, options.triggerType || 'scheduled', options.correlationId);
+    const accessToken = await refreshCredentialsIfNeeded(source, runId, deadlineMs);
+    const siteResult = await callAndRecord(source, runId, {
+      category: 'data_api', method: 'sites.get', itemCount: 1
+    }, () => searchConsole.getSite(accessToken, source.site_url, { deadlineMs }));
+    const site = siteFromResponse(source, siteResult.body);
+    const analytics = await fetchSearchAnalytics(source, runId, accessToken, deadlineMs, limits);
+    const result = await storeSyncResult(source, runId, site, analytics, startedMs);
+    return {
+      data_source_id: source.id,
+      sync_run_id: runId,
+      status: result.status,
+      error: analytics.errors[0] || null,
+      counts: { profile_count: 1, content_seen_count: 0, content_snapshot_count: 0 },
+      metric_observation_count: result.metricCount,
+      dimension_observation_count: result.dimensionCount,
+      data_through_date: result.dataThroughDate
+    };
+  } catch (error) {
+    const syncError = internalSyncError(error);
+    if (
+      source && !syncError.access_lost &&
+      (syncError.terminal || ['authentication', 'scope'].includes(syncError.category))
+    ) {
+      const outcome = syncError.provider_code === 'invalid_grant'
+        ? 'invalid_grant_external_revocation'
+        : 'authorization_unusable_external_revocation';
+      await purgeSearchConsoleAuthorizationBySystem(source.provider_authorization_id, outcome);
+      return {
+        data_source_id: job.data_source_id,
+        sync_run_id: null,
+        status: 'failed',
+        error: syncError,
+        counts: { profile_count: 0, content_seen_count: 0, content_snapshot_count: 0 }
+      };
+    }
+    if (source && runId) await finishFailedRun(source, runId, startedMs, syncError);
+    else {
+      const retrySeconds = retryDelaySeconds(syncError);
+      await withConnection(connection => connection.query(
+        `UPDATE sync_jobs SET status = 'due', run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+             updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+        [retrySeconds, job.data_source_id]
+      ));
+    }
+    return {
+      data_source_id: job.data_source_id,
+      sync_run_id: runId,
+      status: 'failed',
+      error: syncError,
+      counts: { profile_count: 0, content_seen_count: 0, content_snapshot_count: 0 }
+    };
+  }
+}
+
+module.exports = {
+  METRIC_MAP,
+  RANGE_DAYS,
+  SEARCH_CONSOLE_API_VERSION,
+  buildDateWindows,
+  dateInTimeZone,
+  dimensionObservations,
+  metricObservations,
+  normalizeSearchConsoleDate,
+  parseSearchAnalyticsRows,
+  performSearchConsoleSyncForJob,
+  retryDelaySeconds
+};
@@ -1,25 +1,49 @@
 const crypto = require('crypto');
+const {
+  getKeyProviderName,
+  getTransitConfiguration,
+  loadFileKeyring,
+  loadTransitKeyring,
+  parseEncryptionKey
+} = require('./key-providers');
 
-function parseEncryptionKey(rawKey) {
-  if (!rawKey) {
-    throw new Error('Missing ENCRYPTION_KEY.');
-  }
-  if (/^[0-9a-fA-F]{64}$/.test(rawKey)) {
-    return Buffer.from(rawKey, 'hex');
-  }
-  const decoded = Buffer.from(rawKey, 'base64');
-  if (decoded.length === 32) {
-    return decoded;
+let loadedKeyring = null;
+
+function getLoadedKeyring() {
+  const provider = getKeyProviderName();
+  if (provider === 'env') return null;
+  if (loadedKeyring && loadedKeyring.provider === provider) return loadedKeyring;
+  if (provider === 'file') {
+    loadedKeyring = loadFileKeyring();
+    return loadedKeyring;
   }
-  throw new Error('ENCRYPTION_KEY must be 32 bytes as hex or base64.');
+  throw new Error('Encryption keyring is not loaded.');
+}
+
+async function initializeKeyProvider(env = process.env) {
+  const provider = getKeyProviderName(env);
+  if (provider === 'file') loadedKeyring = loadFileKeyring(env);
+  if (provider === 'transit') loadedKeyring = await loadTransitKeyring(env);
+  return {
+    provider,
+    current_version: provider === 'env' ? env.ENCRYPTION_KEY_VERSION || 'local-v1' : loadedKeyring.currentVersion,
+    versions: provider === 'env'
+      ? [env.ENCRYPTION_KEY_VERSION || 'local-v1', ...parsePreviousKeys(env).keys()]
+      : [...loadedKeyring.keys.keys()]
+  };
+}
+
+function resetKeyProvider() {
+  loadedKeyring = null;
 }
 
 function getCurrentKeyVersion() {
-  return process.env.ENCRYPTION_KEY_VERSION || 'local-v1';
+  const keyring = getLoadedKeyring();
+  return keyring ? keyring.currentVersion : process.env.ENCRYPTION_KEY_VERSION || 'local-v1';
 }
 
-function parsePreviousKeys() {
-  const entries = String(process.env.ENCRYPTION_PREVIOUS_KEYS || '')
+function parsePreviousKeys(env = process.env) {
+  const entries = String(env.ENCRYPTION_PREVIOUS_KEYS || '')
     .split(',')
     .map(entry => entry.trim())
     .filter(Boolean);
@@ -36,8 +60,26 @@ function parsePreviousKeys() {
   return keys;
 }
 
+function getPreviousKeyVersions() {
+  const keyring = getLoadedKeyring();
+  if (!keyring) return [...parsePreviousKeys().keys()];
+  return [...keyring.keys.keys()].filter(version => version !== keyring.currentVersion);
+}
+
 function validateEncryptionConfiguration(env = process.env) {
   try {
+    const provider = getKeyProviderName(env);
+    if (provider === 'file') {
+      if (!loadedKeyring || loadedKeyring.provider !== 'file') loadFileKeyring(env);
+      return { ready: true, error: null };
+    }
+    if (provider === 'transit') {
+      getTransitConfiguration(env);
+      if (!loadedKeyring || loadedKeyring.provider !== 'transit') {
+        throw new Error('Encryption keyring is not loaded.');
+      }
+      return { ready: true, error: null };
+    }
     parseEncryptionKey(env.ENCRYPTION_KEY);
     const entries = String(env.ENCRYPTION_PREVIOUS_KEYS || '')
       .split(',')
@@ -57,6 +99,14 @@ function validateEncryptionConfiguration(env = process.env) {
 }
 
 function getKeyForVersion(version) {
+  const keyring = getLoadedKeyring();
+  if (keyring) {
+    const key = keyring.keys.get(version || keyring.currentVersion);
+    if (!key) {
+      throw new Error('Encryption key version is not available.');
+    }
+    return key;
+  }
   const currentVersion = getCurrentKeyVersion();
   if (!version || version === currentVersion) {
     return parseEncryptionKey(process.env.ENCRYPTION_KEY);
@@ -70,7 +120,8 @@ function getKeyForVersion(version) {
 }
 
 function encryptSecret(value) {
-  const key = parseEncryptionKey(process.env.ENCRYPTION_KEY);
+  const keyVersion = getCurrentKeyVersion();
+  const key = getKeyForVersion(keyVersion);
   const iv = crypto.randomBytes(12);
   const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
   const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
@@ -78,7 +129,7 @@ function encryptSecret(value) {
     ciphertext: ciphertext.toString('base64'),
     iv: iv.toString('base64'),
     tag: cipher.getAuthTag().toString('base64'),
-    keyVersion: getCurrentKeyVersion()
+    keyVersion
   };
 }
 
@@ -95,6 +146,10 @@ function decryptSecret(envelope) {
 module.exports = {
   decryptSecret,
   encryptSecret,
+  getCurrentKeyVersion,
+  getPreviousKeyVersions,
+  initializeKeyProvider,
   parsePreviousKeys,
+  resetKeyProvider,
   validateEncryptionConfiguration
 };
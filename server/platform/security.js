@@ -12,6 +12,14 @@ function hashSecret(value) {
   return crypto.createHash('sha256').update(String(value)).digest('hex');
 }
 
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
 function createId() {
   return crypto.randomUUID();
 }
@@ -39,6 +47,7 @@ function serializeCookie(name, value, options = {}) {
 }
 
 module.exports = {
+  canonicalJson,
   createId,
   hashSecret,
   normalizeEmail,
@@ -1,8 +1,12 @@
 const { getConnection } = require('../database');
+const { getDeletionConfiguration, serializeDeletionRequest } = require('./deletion-service');
+const { emailDomainAllowed, loadInvitationPolicy } = require('./organization-service');
 const repositories = require('./repositories');
 const { verifyGoogleIdToken } = require('./google-oidc');
 const { sendInvitationEmail, sendMagicLinkEmail, validateMailConfiguration } = require('./mail');
-const { assertCapability, canAssignRole } = require('./rbac');
+const { consumePasskeyAssertion, listUserPasskeys } = require('./passkey-service');
+const { assertCapability, canAssignRole, effectiveCapabilities } = require('./rbac');
+const { loadTwoFactorStatus } = require('./two-factor-service');
 const {
   createId,
   hashSecret,
@@ -22,6 +26,8 @@ const MAGIC_LINK_MAX_PER_WINDOW = 5;
 const INVITATION_TTL_SECONDS = 60 * 60 * 24 * 7;
 const INVITATION_RESEND_COOLDOWN_SECONDS = 60;
 const INVITATION_MAX_SENDS = 5;
+const MAX_MEMBER_RESOURCES = 100;
+const RESOURCE_SCOPED_ROLES = Object.freeze(['analyst', 'viewer']);
 
 function exposeDevelopmentAuthToken() {
   return process.env.NODE_ENV !== 'production' && process.env.AUTH_DEV_MAGIC_LINKS === 'true';
@@ -217,6 +223,33 @@ async function verifyGoogleOidc({ idToken, nonce, userAgentHash, deviceLabel = n
   });
 }
 
+async function verifyPasskey({ credential, userAgentHash, deviceLabel = null }) {
+  return withConnection(async connection => {
+    const user = await consumePasskeyAssertion(connection, credential);
+    await connection.beginTransaction();
+    try {
+      await connection.query('UPDATE users SET last_login_at = UTC_TIMESTAMP(3) WHERE id = ?', [user.id]);
+      const sessionToken = randomToken(32);
+      const csrfToken = randomToken(32);
+      await repositories.createSession(connection, {
+        userId: user.id,
+        tokenHash: hashSecret(sessionToken),
+        csrfTokenHash: hashSecret(csrfToken),
+        absoluteTtlSeconds: SESSION_TTL_SECONDS,
+        idleTtlSeconds: SESSION_IDLE_SECONDS,
+        userAgentHash,
+        deviceLabel,
+        secondFactorMethod: 'passkey'
+      });
+      await connection.commit();
+      return { user, sessionToken, csrfToken };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
 async function authenticate(sessionToken) {
   if (!sessionToken) return null;
   return withConnection(async connection => {
@@ -230,6 +263,11 @@ async function authenticate(sessionToken) {
         email: session.email,
         display_name: session.display_name
       },
+      ssoConnectionId: session.sso_connection_id || null,
+      secondFactor: {
+        method: session.second_factor_method,
+        ageSeconds: session.second_factor_age_seconds === null ? null : Number(session.second_factor_age_seconds)
+      },
       csrfTokenHash: session.csrf_token_hash
     };
   });
@@ -241,9 +279,11 @@ async function signOut(sessionId) {
 
 async function getAccount(userId, currentSessionId) {
   return withConnection(async connection => {
-    const [profile, identities, sessions, deletionRequests] = await Promise.all([
+    const [profile, identities, passkeys, twoFactor, sessions, deletionRequests] = await Promise.all([
       repositories.getAccountProfile(connection, userId),
       repositories.listUserIdentities(connection, userId),
+      listUserPasskeys(connection, userId),
+      loadTwoFactorStatus(connection, userId, currentSessionId),
       repositories.listActiveSessions(connection, userId),
       repositories.listDeletionRequests(connection, userId)
     ]);
@@ -252,15 +292,18 @@ async function getAccount(userId, currentSessionId) {
       profile,
       authentication_methods: identities.map(identity => ({
         provider: identity.provider,
+        name: identity.sso_display_name || null,
         email: identity.email,
         connected_at: identity.created_at
       })),
+      passkeys,
+      two_factor: twoFactor,
       sessions: sessions.map(session => ({
         ...session,
         device_label: session.device_label || 'Unrecognized device',
         current: session.id === currentSessionId
       })),
-      deletion_requests: deletionRequests
+      deletion_requests: deletionRequests.map(serializeDeletionRequest)
     };
   });
 }
@@ -316,7 +359,8 @@ async function requestAccountDeletion(userId, confirmation) {
       const request = await repositories.createDeletionRequest(connection, {
         userId,
         email: profile.email,
-        scope: 'user'
+        scope: 'user',
+        gracePeriodDays: getDeletionConfiguration().gracePeriodDays
       });
       await repositories.createAuditLog(connection, {
         actorUserId: userId,
@@ -359,7 +403,8 @@ async function requestWorkspaceDeletion(userId, workspaceId, confirmation) {
         userId,
         workspaceId,
         email: profile && profile.email,
-        scope: 'workspace'
+        scope: 'workspace',
+        gracePeriodDays: getDeletionConfiguration().gracePeriodDays
       });
       await repositories.createAuditLog(connection, {
         workspaceId,
@@ -393,7 +438,17 @@ async function createWorkspaceForUser(userId, name) {
 }
 
 async function listWorkspaces(userId) {
-  return withConnection(connection => repositories.listWorkspacesForUser(connection, userId));
+  return withConnection(async connection => {
+    const workspaces = await repositories.listWorkspacesForUser(connection, userId);
+    return workspaces.map(({ custom_role_capabilities: customRoleCapabilities, ...workspace }) => ({
+      ...workspace,
+      custom_role_id: workspace.custom_role_id || null,
+      custom_role_name: workspace.custom_role_name || null,
+      capabilities: effectiveCapabilities({ role: workspace.role, custom_role_capabilities: customRoleCapabilities }),
+      two_factor_required: Boolean(Number(workspace.two_factor_required)),
+      sso_required: Boolean(Number(workspace.sso_required))
+    }));
+  });
 }
 
 async function requireMembership(connection, workspaceId, userId, capability) {
@@ -405,7 +460,7 @@ async function requireMembership(connection, workspaceId, userId, capability) {
     throw error;
   }
   if (capability) {
-    assertCapability(membership.role, capability);
+    assertCapability(membership, capability);
   }
   return membership;
 }
@@ -413,11 +468,28 @@ async function requireMembership(connection, workspaceId, userId, capability) {
 async function listWorkspaceMembers(userId, workspaceId) {
   return withConnection(async connection => {
     await requireMembership(connection, workspaceId, userId, 'manageMembers');
-    const [members, invitations] = await Promise.all([
+    const [members, invitations, resources, connections] = await Promise.all([
       repositories.listMembers(connection, workspaceId),
-      repositories.listInvitations(connection, workspaceId)
+      repositories.listInvitations(connection, workspaceId),
+      repositories.listMemberResources(connection, workspaceId),
+      repositories.listWorkspaceConnections(connection, workspaceId)
     ]);
-    return { members, invitations };
+    return {
+      members: members.map(({ custom_role_capabilities: customRoleCapabilities, custom_role_id: customRoleId, custom_role_name: customRoleName, resources_restricted: resourcesRestricted, ...member }) => ({
+        ...member,
+        custom_role: customRoleId ? { id: customRoleId, name: customRoleName } : null,
+        capabilities: effectiveCapabilities({ role: member.role, custom_role_capabilities: customRoleCapabilities }),
+        resource_scope: {
+          restricted: Boolean(Number(resourcesRestricted)) && RESOURCE_SCOPED_ROLES.includes(member.role),
+          connection_ids: resources.filter(row => row.user_id === member.user_id).map(row => row.connection_id)
+        },
+        two_factor_enabled: Boolean(Number(member.two_factor_enabled)),
+        scim_provisioned: Boolean(Number(member.scim_provisioned)),
+        organization_managed: Boolean(Number(member.organization_managed))
+      })),
+      invitations,
+      connections
+    };
   });
 }
 
@@ -430,9 +502,14 @@ async function inviteMember(userId, workspaceId, email, role) {
     await connection.beginTransaction();
     try {
       const actor = await requireMembership(connection, workspaceId, userId, 'manageMembers');
-      if (role === 'owner' || !canAssignRole(actor.role, role)) {
+      const policy = await loadInvitationPolicy(connection, workspaceId);
+      const invitedRole = role || (policy ? policy.default_invitation_role : role);
+      if (invitedRole === 'owner' || !canAssignRole(actor.role, invitedRole)) {
         throw createHttpError(403, 'invalid_role_assignment');
       }
+      if (policy && !emailDomainAllowed(policy.invitation_domains, normalizedEmail)) {
+        throw createHttpError(400, 'invitation_domain_not_allowed');
+      }
       if (await repositories.getMembership(connection, workspaceId, userId)) {
         const actorProfile = await repositories.getAccountProfile(connection, userId);
         if (actorProfile && actorProfile.email === normalizedEmail) {
@@ -456,7 +533,7 @@ async function inviteMember(userId, workspaceId, email, role) {
         id: invitationId,
         workspaceId,
         email: normalizedEmail,
-        role,
+        role: invitedRole,
         tokenHash: hashSecret(token),
         invitedBy: userId,
         ttlSeconds: INVITATION_TTL_SECONDS
@@ -467,7 +544,7 @@ async function inviteMember(userId, workspaceId, email, role) {
         action: 'member_invited',
         targetType: 'invitation',
         targetId: invitationId,
-        metadata: { email: normalizedEmail, role }
+        metadata: { email: normalizedEmail, role: invitedRole }
       });
       await connection.commit();
       return { workspace, inviter };
@@ -595,12 +672,15 @@ async function acceptWorkspaceInvitation(userId, token) {
   });
 }
 
-async function updateMemberRole(userId, workspaceId, memberUserId, role) {
+async function updateMemberRole(userId, workspaceId, memberUserId, role, customRoleId = null) {
   return withConnection(async connection => {
     await connection.beginTransaction();
     try {
       const actor = await requireMembership(connection, workspaceId, userId, 'manageMembers');
-      if (!canAssignRole(actor.role, role)) {
+      const customRole = customRoleId ? await repositories.findWorkspaceRole(connection, workspaceId, customRoleId) : null;
+      if (customRoleId && !customRole) throw createHttpError(404, 'custom_role_not_found');
+      const nextRole = customRole ? 'viewer' : role;
+      if (!customRole && !canAssignRole(actor.role, role)) {
         const error = new Error('invalid_role_assignment');
         error.status = 403;
         error.code = 'invalid_role_assignment';
@@ -616,20 +696,80 @@ async function updateMemberRole(userId, workspaceId, memberUserId, role) {
       if (current.role === 'owner' && actor.role !== 'owner') {
         throw createHttpError(403, 'owner_management_requires_owner');
       }
-      if (current.role === 'owner' && role !== 'owner' && await repositories.countOwners(connection, workspaceId) <= 1) {
+      if (await repositories.findScimGroupRole(connection, workspaceId, memberUserId)) {
+        throw createHttpError(409, 'member_role_managed_by_scim');
+      }
+      if (current.organization_id) throw createHttpError(409, 'member_managed_by_organization');
+      if (current.role === 'owner' && nextRole !== 'owner' && await repositories.countOwners(connection, workspaceId) <= 1) {
         const error = new Error('last_owner_required');
         error.status = 400;
         error.code = 'last_owner_required';
         throw error;
       }
-      await repositories.updateMemberRole(connection, workspaceId, memberUserId, role);
+      await repositories.updateMemberRole(connection, workspaceId, memberUserId, nextRole, customRole ? customRole.id : null);
+      if (!RESOURCE_SCOPED_ROLES.includes(nextRole)) {
+        await repositories.replaceMemberResources(connection, workspaceId, memberUserId, null, userId);
+      }
       await repositories.createAuditLog(connection, {
         workspaceId,
         actorUserId: userId,
         action: 'member_role_updated',
         targetType: 'user',
         targetId: memberUserId,
-        metadata: { previous_role: current.role, role }
+        metadata: {
+          previous_role: current.role,
+          previous_custom_role: current.custom_role_name || null,
+          role: nextRole,
+          custom_role: customRole ? customRole.name : null
+        }
+      });
+      await connection.commit();
+      return { updated: true };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+function normalizeResourceScope(body = {}) {
+  if (typeof body.restricted !== 'boolean') throw createHttpError(400, 'member_resource_scope_invalid');
+  if (!body.restricted) return null;
+  if (!Array.isArray(body.connection_ids) || body.connection_ids.length > MAX_MEMBER_RESOURCES) {
+    throw createHttpError(400, 'member_resource_scope_invalid');
+  }
+  return [...new Set(body.connection_ids.map(id => String(id || '').trim()).filter(Boolean))];
+}
+
+async function updateMemberResources(userId, workspaceId, memberUserId, body = {}) {
+  const connectionIds = normalizeResourceScope(body);
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const actor = await requireMembership(connection, workspaceId, userId, 'manageMembers');
+      const current = await repositories.getMembership(connection, workspaceId, memberUserId);
+      if (!current) throw createHttpError(404, 'member_not_found');
+      if (current.role === 'owner' && actor.role !== 'owner') {
+        throw createHttpError(403, 'owner_management_requires_owner');
+      }
+      if (current.organization_id) throw createHttpError(409, 'member_managed_by_organization');
+      if (connectionIds && !RESOURCE_SCOPED_ROLES.includes(current.role)) {
+        throw createHttpError(400, 'member_resource_scope_invalid');
+      }
+      const available = await repositories.listWorkspaceConnections(connection, workspaceId);
+      const granted = (connectionIds || []).map(id => available.find(item => item.id === id));
+      if (granted.some(item => !item)) throw createHttpError(404, 'member_resource_not_found');
+      await repositories.replaceMemberResources(connection, workspaceId, memberUserId, connectionIds, userId);
+      await repositories.createAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'member_resources_updated',
+        targetType: 'user',
+        targetId: memberUserId,
+        metadata: {
+          restricted: Boolean(connectionIds),
+          connections: granted.map(item => ({ id: item.id, provider: item.provider, name: item.display_name }))
+        }
       });
       await connection.commit();
       return { updated: true };
@@ -655,6 +795,7 @@ async function removeMember(userId, workspaceId, memberUserId) {
       if (current.role === 'owner' && actor.role !== 'owner') {
         throw createHttpError(403, 'owner_management_requires_owner');
       }
+      if (current.organization_id) throw createHttpError(409, 'member_managed_by_organization');
       if (current.role === 'owner' && await repositories.countOwners(connection, workspaceId) <= 1) {
         const error = new Error('last_owner_required');
         error.status = 400;
@@ -681,9 +822,11 @@ async function removeMember(userId, workspaceId, memberUserId) {
 
 module.exports = {
   CSRF_COOKIE,
+  INVITATION_TTL_SECONDS,
   OIDC_NONCE_COOKIE,
   OIDC_STATE_COOKIE,
   SESSION_COOKIE,
+  SESSION_IDLE_SECONDS,
   SESSION_TTL_SECONDS,
   acceptWorkspaceInvitation,
   authenticate,
@@ -705,7 +848,9 @@ module.exports = {
   revokeOtherAccountSessions,
   signOut,
   updateAccountProfile,
+  updateMemberResources,
   updateMemberRole,
   verifyGoogleOidc,
-  verifyMagicLink
+  verifyMagicLink,
+  verifyPasskey
 };
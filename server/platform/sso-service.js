@@ -0,0 +1,835 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const { getConnection } = require('../database');
+const { normalizeReturnPath } = require('./connection-service');
+const {
+  buildOidcAuthorizationUrl,
+  discoverOidcProvider,
+  exchangeOidcCode,
+  normalizeIssuer,
+  verifyOidcIdToken
+} = require('./oidc');
+const { assertCapability } = require('./rbac');
+const repositories = require('./repositories');
+const {
+  buildAuthnRequestUrl,
+  buildServiceProviderMetadata,
+  createRequestId,
+  parseIdentityProviderMetadata,
+  validateSamlResponse
+} = require('./saml');
+const { decryptSecret, encryptSecret } = require('./secret-envelope');
+const { createId, hashSecret, normalizeEmail, randomToken } = require('./security');
+const { SESSION_IDLE_SECONDS, SESSION_TTL_SECONDS } = require('./services');
+const { assertMembershipSecondFactor, assertSecondFactorForSession } = require('./two-factor-service');
+
+const SSO_BINDING_COOKIE = 'sis_sso_binding';
+const SSO_TRANSACTION_TTL_SECONDS = 10 * 60;
+const SSO_MAX_DOMAINS = 10;
+const SSO_MAX_SUBJECT_LENGTH = 218;
+const DOMAIN_VERIFICATION_PREFIX = '_sis-verification';
+const DOMAIN_VERIFICATION_VALUE = 'sis-domain-verification=';
+const DOMAIN_PATTERN = /^(?=.{4,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const SSO_PROTOCOLS = new Set(['oidc', 'saml']);
+
+let resolveTxt = hostname => dns.promises.resolveTxt(hostname);
+
+function setSsoDnsResolver(nextResolver) {
+  resolveTxt = nextResolver || (hostname => dns.promises.resolveTxt(hostname));
+}
+
+function createSsoError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createSsoError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+function baseUrl(env = process.env) {
+  const base = String(env.BASE_URL || '').replace(/\/+$/, '');
+  return base || null;
+}
+
+function serviceProviderUrls(workspaceId, env = process.env) {
+  const base = baseUrl(env);
+  if (!base) return null;
+  const samlBase = `${base}/api/auth/sso/saml/${encodeURIComponent(workspaceId)}`;
+  return {
+    oidc_redirect_uri: `${base}/api/auth/sso/oidc/callback`,
+    saml_entity_id: `${samlBase}/metadata`,
+    saml_acs_url: `${samlBase}/acs`,
+    saml_metadata_url: `${samlBase}/metadata`
+  };
+}
+
+function requireServiceProviderUrls(workspaceId) {
+  const urls = serviceProviderUrls(workspaceId);
+  if (!urls) throw createSsoError(503, 'sso_not_configured');
+  return urls;
+}
+
+function normalizeDomain(value) {
+  const domain = String(value || '').trim().toLowerCase().replace(/\.$/, '');
+  if (!DOMAIN_PATTERN.test(domain)) throw createSsoError(400, 'sso_domain_invalid');
+  return domain;
+}
+
+function emailDomain(email) {
+  const at = email.lastIndexOf('@');
+  return at === -1 ? '' : email.slice(at + 1);
+}
+
+function serializeConnection(connection) {
+  if (!connection) return null;
+  return {
+    id: connection.id,
+    protocol: connection.protocol,
+    display_name: connection.display_name,
+    status: connection.status,
+    require_sso: Boolean(Number(connection.require_sso)),
+    oidc_issuer: connection.oidc_issuer,
+    oidc_client_id: connection.oidc_client_id,
+    oidc_client_secret_set: Boolean(connection.oidc_client_secret_ciphertext),
+    saml_entity_id: connection.saml_entity_id,
+    saml_sso_url: connection.saml_sso_url,
+    saml_certificate_count: connection.saml_certificates ? JSON.parse(connection.saml_certificates).length : 0,
+    updated_at: connection.updated_at
+  };
+}
+
+function serializeDomain(domain) {
+  return {
+    id: domain.id,
+    domain: domain.domain,
+    verified: Boolean(domain.verified_at),
+    verified_at: domain.verified_at,
+    last_checked_at: domain.last_checked_at,
+    verification_record: {
+      type: 'TXT',
+      name: `${DOMAIN_VERIFICATION_PREFIX}.${domain.domain}`,
+      value: `${DOMAIN_VERIFICATION_VALUE}${domain.verification_token}`
+    }
+  };
+}
+
+async function loadConnection(connection, workspaceId) {
+  const rows = await connection.query(
+    'SELECT * FROM workspace_sso_connections WHERE workspace_id = ? LIMIT 1',
+    [workspaceId]
+  );
+  return rows[0] || null;
+}
+
+async function loadDomains(connection, workspaceId) {
+  return connection.query(
+    `SELECT id, domain, verification_token, verified_at, last_checked_at
+     FROM workspace_sso_domains
+     WHERE workspace_id = ?
+     ORDER BY created_at ASC`,
+    [workspaceId]
+  );
+}
+
+async function loadWorkspaceSso(connection, workspaceId) {
+  const [sso, domains] = await Promise.all([loadConnection(connection, workspaceId), loadDomains(connection, workspaceId)]);
+  return {
+    connection: serializeConnection(sso),
+    domains: domains.map(serializeDomain),
+    service_provider: serviceProviderUrls(workspaceId)
+  };
+}
+
+async function requireSsoMembership(connection, workspaceId, userId, capability) {
+  const membership = await repositories.getMembership(connection, workspaceId, userId);
+  if (!membership) throw createSsoError(404, 'workspace_not_found');
+  assertCapability(membership, capability);
+  return membership;
+}
+
+async function getWorkspaceSso(userId, workspaceId) {
+  return withConnection(async connection => {
+    await requireSsoMembership(connection, workspaceId, userId, 'manageMembers');
+    return loadWorkspaceSso(connection, workspaceId);
+  });
+}
+
+function readDisplayName(value, fallback) {
+  const name = value === undefined ? fallback : String(value || '').trim();
+  if (!name || name.length > 120) throw createSsoError(400, 'sso_display_name_invalid');
+  return name;
+}
+
+async function resolveProviderSettings(body, existing) {
+  const protocol = body.protocol === undefined && existing ? existing.protocol : body.protocol;
+  if (!SSO_PROTOCOLS.has(protocol)) throw createSsoError(400, 'sso_protocol_invalid');
+  const sameProtocol = Boolean(existing && existing.protocol === protocol);
+
+  if (protocol === 'oidc') {
+    const issuer = body.issuer === undefined && sameProtocol ? existing.oidc_issuer : normalizeIssuer(body.issuer);
+    const clientId = body.client_id === undefined && sameProtocol ? existing.oidc_client_id : String(body.client_id || '').trim();
+    if (!clientId || clientId.length > 255) throw createSsoError(400, 'oidc_client_id_invalid');
+    if (body.client_secret !== undefined && body.client_secret !== null && typeof body.client_secret !== 'string') {
+      throw createSsoError(400, 'oidc_client_secret_invalid');
+    }
+    const providerChanged = !sameProtocol || issuer !== existing.oidc_issuer || clientId !== existing.oidc_client_id;
+    const discovery = providerChanged || body.issuer !== undefined
+      ? await discoverOidcProvider(issuer)
+      : {
+        authorizationEndpoint: existing.oidc_authorization_endpoint,
+        tokenEndpoint: existing.oidc_token_endpoint,
+        jwksUri: existing.oidc_jwks_uri,
+        tokenAuthMethod: existing.oidc_token_auth_method
+      };
+    let secret = null;
+    if (typeof body.client_secret === 'string' && body.client_secret.trim()) {
+      secret = encryptSecret(body.client_secret.trim());
+    } else if (body.client_secret === undefined && !providerChanged && existing.oidc_client_secret_ciphertext) {
+      secret = {
+        ciphertext: existing.oidc_client_secret_ciphertext,
+        iv: existing.oidc_client_secret_iv,
+        tag: existing.oidc_client_secret_tag,
+        keyVersion: existing.key_version
+      };
+    }
+    return {
+      protocol,
+      providerKey: `oidc:${issuer}:${clientId}`,
+      values: {
+        oidc_issuer: issuer,
+        oidc_client_id: clientId,
+        oidc_client_secret_ciphertext: secret ? secret.ciphertext : null,
+        oidc_client_secret_iv: secret ? secret.iv : null,
+        oidc_client_secret_tag: secret ? secret.tag : null,
+        key_version: secret ? secret.keyVersion : null,
+        oidc_authorization_endpoint: discovery.authorizationEndpoint,
+        oidc_token_endpoint: discovery.tokenEndpoint,
+        oidc_jwks_uri: discovery.jwksUri,
+        oidc_token_auth_method: discovery.tokenAuthMethod,
+        saml_entity_id: null,
+        saml_sso_url: null,
+        saml_certificates: null
+      }
+    };
+  }
+
+  let metadata;
+  if (body.metadata_xml !== undefined) {
+    if (typeof body.metadata_xml !== 'string' || !body.metadata_xml.trim()) throw createSsoError(400, 'saml_metadata_invalid');
+    metadata = parseIdentityProviderMetadata(body.metadata_xml);
+  } else if (sameProtocol) {
+    metadata = {
+      entityId: existing.saml_entity_id,
+      ssoUrl: existing.saml_sso_url,
+      certificates: JSON.parse(existing.saml_certificates)
+    };
+  } else {
+    throw createSsoError(400, 'saml_metadata_invalid');
+  }
+  return {
+    protocol,
+    providerKey: `saml:${metadata.entityId}`,
+    values: {
+      oidc_issuer: null,
+      oidc_client_id: null,
+      oidc_client_secret_ciphertext: null,
+      oidc_client_secret_iv: null,
+      oidc_client_secret_tag: null,
+      key_version: null,
+      oidc_authorization_endpoint: null,
+      oidc_token_endpoint: null,
+      oidc_jwks_uri: null,
+      oidc_token_auth_method: null,
+      saml_entity_id: metadata.entityId,
+      saml_sso_url: metadata.ssoUrl,
+      saml_certificates: JSON.stringify(metadata.certificates)
+    }
+  };
+}
+
+function providerKey(connection) {
+  if (!connection) return null;
+  return connection.protocol === 'oidc'
+    ? `oidc:${connection.oidc_issuer}:${connection.oidc_client_id}`
+    : `saml:${connection.saml_entity_id}`;
+}
+
+async function countVerifiedDomains(connection, workspaceId) {
+  const [row] = await connection.query(
+    'SELECT COUNT(*) AS total FROM workspace_sso_domains WHERE workspace_id = ? AND verified_at IS NOT NULL',
+    [workspaceId]
+  );
+  return Number(row.total);
+}
+
+async function configureWorkspaceSso(session, workspaceId, body = {}) {
+  const userId = session.user.id;
+  if (body.status !== undefined && !['active', 'disabled'].includes(body.status)) {
+    throw createSsoError(400, 'sso_status_invalid');
+  }
+  if (body.require_sso !== undefined && typeof body.require_sso !== 'boolean') {
+    throw createSsoError(400, 'sso_require_invalid');
+  }
+  const existing = await withConnection(async connection => {
+    await requireSsoMembership(connection, workspaceId, userId, 'manageSecurity');
+    await assertSecondFactorForSession(connection, session, { stepUp: true });
+    return loadConnection(connection, workspaceId);
+  });
+  const displayName = readDisplayName(body.display_name, existing && existing.display_name);
+  const settings = await resolveProviderSettings(body, existing);
+  const status = body.status || (existing ? existing.status : 'active');
+  const requireSso = body.require_sso === undefined
+    ? Boolean(status === 'active' && existing && Number(existing.require_sso))
+    : body.require_sso;
+
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      await requireSsoMembership(connection, workspaceId, userId, 'manageSecurity');
+      const current = await loadConnection(connection, workspaceId);
+      if (requireSso && (status !== 'active' || !(await countVerifiedDomains(connection, workspaceId)))) {
+        throw createSsoError(409, 'sso_domain_verification_required');
+      }
+      const columns = Object.keys(settings.values);
+      const values = columns.map(column => settings.values[column]);
+      const replaced = Boolean(current && providerKey(current) !== settings.providerKey);
+      if (current && !replaced) {
+        await connection.query(
+          `UPDATE workspace_sso_connections
+           SET display_name = ?, status = ?, require_sso = ?, ${columns.map(column => `${column} = ?`).join(', ')},
+               updated_at = UTC_TIMESTAMP(3)
+           WHERE id = ?`,
+          [displayName, status, requireSso, ...values, current.id]
+        );
+      } else {
+        if (current) await connection.query('DELETE FROM workspace_sso_connections WHERE id = ?', [current.id]);
+        await connection.query(
+          `INSERT INTO workspace_sso_connections
+            (id, workspace_id, protocol, display_name, status, require_sso, ${columns.join(', ')}, created_by)
+           VALUES (?, ?, ?, ?, ?, ?, ${columns.map(() => '?').join(', ')}, ?)`,
+          [createId(), workspaceId, settings.protocol, displayName, status, requireSso, ...values, userId]
+        );
+      }
+      await repositories.createAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'workspace.sso_configured',
+        targetType: 'workspace',
+        targetId: workspaceId,
+        metadata: { protocol: settings.protocol, status, require_sso: requireSso, identity_provider_replaced: replaced }
+      });
+      const result = await loadWorkspaceSso(connection, workspaceId);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function removeWorkspaceSso(session, workspaceId) {
+  const userId = session.user.id;
+  return withConnection(async connection => {
+    await requireSsoMembership(connection, workspaceId, userId, 'manageSecurity');
+    await assertSecondFactorForSession(connection, session, { stepUp: true });
+    const result = await connection.query('DELETE FROM workspace_sso_connections WHERE workspace_id = ?', [workspaceId]);
+    if (!result.affectedRows) throw createSsoError(404, 'sso_connection_not_found');
+    await repositories.createAuditLog(connection, {
+      workspaceId,
+      actorUserId: userId,
+      action: 'workspace.sso_removed',
+      targetType: 'workspace',
+      targetId: workspaceId
+    });
+    return loadWorkspaceSso(connection, workspaceId);
+  });
+}
+
+async function addSsoDomain(session, workspaceId, value) {
+  const userId = session.user.id;
+  const domain = normalizeDomain(value);
+  return withConnection(async connection => {
+    await requireSsoMembership(connection, workspaceId, userId, 'manageSecurity');
+    await assertSecondFactorForSession(connection, session, { stepUp: true });
+    const domains = await loadDomains(connection, workspaceId);
+    if (domains.some(item => item.domain === domain)) throw createSsoError(409, 'sso_domain_exists');
+    if (domains.length >= SSO_MAX_DOMAINS) throw createSsoError(409, 'sso_domain_limit_reached');
+    const [claimed] = await connection.query(
+      'SELECT id FROM workspace_sso_domains WHERE verified_domain = ? LIMIT 1',
+      [domain]
+    );
+    if (claimed) throw createSsoError(409, 'sso_domain_claimed');
+    const id = createId();
+    await connection.query(
+      `INSERT INTO workspace_sso_domains (id, workspace_id, domain, verification_token, created_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [id, workspaceId, domain, randomToken(24), userId]
+    );
+    await repositories.createAuditLog(connection, {
+      workspaceId,
+      actorUserId: userId,
+      action: 'workspace.sso_domain_added',
+      targetType: 'sso_domain',
+      targetId: id,
+      metadata: { domain }
+    });
+    return loadWorkspaceSso(connection, workspaceId);
+  });
+}
+
+async function lookupVerificationRecords(domain) {
+  try {
+    const records = await resolveTxt(`${DOMAIN_VERIFICATION_PREFIX}.${domain}`);
+    return records.map(chunks => (Array.isArray(chunks) ? chunks.join('') : String(chunks)).trim());
+  } catch (error) {
+    if (['ENOTFOUND', 'ENODATA', 'ESERVFAIL', 'ETIMEOUT', 'ECONNREFUSED'].includes(error && error.code)) return [];
+    throw error;
+  }
+}
+
+async function verifySsoDomain(session, workspaceId, domainId) {
+  const userId = session.user.id;
+  return withConnection(async connection => {
+    await requireSsoMembership(connection, workspaceId, userId, 'manageSecurity');
+    const [domain] = await connection.query(
+      'SELECT * FROM workspace_sso_domains WHERE id = ? AND workspace_id = ? LIMIT 1',
+      [domainId, workspaceId]
+    );
+    if (!domain) throw createSsoError(404, 'sso_domain_not_found');
+    if (domain.verified_at) return loadWorkspaceSso(connection, workspaceId);
+    const records = await lookupVerificationRecords(domain.domain);
+    const expected = `${DOMAIN_VERIFICATION_VALUE}${domain.verification_token}`;
+    if (!records.includes(expected)) {
+      await connection.query(
+        'UPDATE workspace_sso_domains SET last_checked_at = UTC_TIMESTAMP(3) WHERE id = ?',
+        [domain.id]
+      );
+      throw createSsoError(409, 'sso_domain_verification_failed');
+    }
+    try {
+      await connection.query(
+        `UPDATE workspace_sso_domains
+         SET verified_domain = domain, verified_at = UTC_TIMESTAMP(3), last_checked_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [domain.id]
+      );
+    } catch (error) {
+      if (error && error.code === 'ER_DUP_ENTRY') throw createSsoError(409, 'sso_domain_claimed');
+      throw error;
+    }
+    await repositories.createAuditLog(connection, {
+      workspaceId,
+      actorUserId: userId,
+      action: 'workspace.sso_domain_verified',
+      targetType: 'sso_domain',
+      targetId: domain.id,
+      metadata: { domain: domain.domain }
+    });
+    return loadWorkspaceSso(connection, workspaceId);
+  });
+}
+
+async function removeSsoDomain(session, workspaceId, domainId) {
+  const userId = session.user.id;
+  return withConnection(async connection => {
+    await requireSsoMembership(connection, workspaceId, userId, 'manageSecurity');
+    await assertSecondFactorForSession(connection, session, { stepUp: true });
+    const [domain] = await connection.query(
+      'SELECT * FROM workspace_sso_domains WHERE id = ? AND workspace_id = ? LIMIT 1',
+      [domainId, workspaceId]
+    );
+    if (!domain) throw createSsoError(404, 'sso_domain_not_found');
+    const sso = await loadConnection(connection, workspaceId);
+    if (
+      domain.verified_at
+      && sso && Number(sso.require_sso)
+      && await countVerifiedDomains(connection, workspaceId) === 1
+    ) {
+      throw createSsoError(409, 'sso_domain_required');
+    }
+    await connection.query('DELETE FROM workspace_sso_domains WHERE id = ?', [domain.id]);
+    await repositories.createAuditLog(connection, {
+      workspaceId,
+      actorUserId: userId,
+      action: 'workspace.sso_domain_removed',
+      targetType: 'sso_domain',
+      targetId: domain.id,
+      metadata: { domain: domain.domain }
+    });
+    return loadWorkspaceSso(connection, workspaceId);
+  });
+}
+
+async function discoverSsoForEmail(value) {
+  const email = normalizeEmail(value);
+  const domain = emailDomain(email);
+  if (!DOMAIN_PATTERN.test(domain)) return { sso: null };
+  return withConnection(async connection => {
+    const rows = await connection.query(
+      `SELECT c.workspace_id, c.display_name, c.protocol, c.require_sso
+       FROM workspace_sso_domains d
+       JOIN workspace_sso_connections c ON c.workspace_id = d.workspace_id AND c.status = 'active'
+       JOIN workspaces w ON w.id = d.workspace_id AND w.deleted_at IS NULL
+       WHERE d.verified_domain = ?
+       LIMIT 1`,
+      [domain]
+    );
+    const sso = rows[0];
+    if (!sso) return { sso: null };
+    const start = new URLSearchParams({ email });
+    return {
+      sso: {
+        workspace_id: sso.workspace_id,
+        display_name: sso.display_name,
+        protocol: sso.protocol,
+        required: Boolean(Number(sso.require_sso)),
+        start_url: `/api/auth/sso/${encodeURIComponent(sso.workspace_id)}/start?${start.toString()}`
+      }
+    };
+  });
+}
+
+async function loadActiveConnection(connection, workspaceId) {
+  const rows = await connection.query(
+    `SELECT c.*
+     FROM workspace_sso_connections c
+     JOIN workspaces w ON w.id = c.workspace_id AND w.deleted_at IS NULL
+     WHERE c.workspace_id = ? AND c.status = 'active'
+     LIMIT 1`,
+    [workspaceId]
+  );
+  if (!rows[0]) throw createSsoError(404, 'sso_connection_not_found');
+  return rows[0];
+}
+
+async function startSsoSignIn({ workspaceId, email = null, returnPath = '/' }) {
+  const urls = requireServiceProviderUrls(workspaceId);
+  const cleanReturnPath = normalizeReturnPath(returnPath);
+  const loginHint = email ? normalizeEmail(email) : null;
+  return withConnection(async connection => {
+    const sso = await loadActiveConnection(connection, workspaceId);
+    const state = randomToken(32);
+    const browserBinding = randomToken(32);
+    const record = {
+      nonce: null,
+      samlRequestId: null,
+      verifier: null
+    };
+    let redirectUrl;
+    if (sso.protocol === 'oidc') {
+      const nonce = randomToken(32);
+      const verifier = randomToken(48);
+      record.nonce = nonce;
+      record.verifier = encryptSecret(verifier);
+      redirectUrl = buildOidcAuthorizationUrl({
+        authorizationEndpoint: sso.oidc_authorization_endpoint,
+        clientId: sso.oidc_client_id,
+        redirectUri: urls.oidc_redirect_uri,
+        state,
+        nonce,
+        codeChallenge: crypto.createHash('sha256').update(verifier).digest('base64url'),
+        loginHint
+      });
+    } else {
+      record.samlRequestId = createRequestId();
+      redirectUrl = buildAuthnRequestUrl({
+        ssoUrl: sso.saml_sso_url,
+        spEntityId: urls.saml_entity_id,
+        acsUrl: urls.saml_acs_url,
+        requestId: record.samlRequestId,
+        relayState: state
+      });
+    }
+    await connection.query(
+      `INSERT INTO sso_transactions
+        (id, workspace_id, sso_connection_id, protocol, state_hash, browser_binding_hash, nonce_hash, saml_request_id,
+         pkce_verifier_ciphertext, pkce_verifier_iv, pkce_verifier_tag, pkce_key_version, return_path, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND))`,
+      [
+        createId(),
+        workspaceId,
+        sso.id,
+        sso.protocol,
+        hashSecret(state),
+        hashSecret(browserBinding),
+        record.nonce ? hashSecret(record.nonce) : null,
+        record.samlRequestId,
+        record.verifier ? record.verifier.ciphertext : null,
+        record.verifier ? record.verifier.iv : null,
+        record.verifier ? record.verifier.tag : null,
+        record.verifier ? record.verifier.keyVersion : null,
+        cleanReturnPath,
+        SSO_TRANSACTION_TTL_SECONDS
+      ]
+    );
+    return { redirectUrl, browserBinding };
+  });
+}
+
+async function claimTransaction(connection, { state, protocol, fromStatus, toStatus, browserBinding = null, workspaceId = null }) {
+  if (!state || typeof state !== 'string') throw createSsoError(400, 'sso_state_invalid');
+  const rows = await connection.query(
+    `SELECT * FROM sso_transactions
+     WHERE state_hash = ? AND protocol = ? AND status = ? AND expires_at > UTC_TIMESTAMP(3)
+     LIMIT 1`,
+    [hashSecret(state), protocol, fromStatus]
+  );
+  const transaction = rows[0];
+  if (!transaction || (workspaceId && transaction.workspace_id !== workspaceId)) {
+    throw createSsoError(400, 'sso_state_invalid');
+  }
+  if (browserBinding !== false && (!browserBinding || hashSecret(browserBinding) !== transaction.browser_binding_hash)) {
+    throw createSsoError(403, 'sso_browser_mismatch');
+  }
+  const result = await connection.query(
+    `UPDATE sso_transactions SET status = ?, consumed_at = IF(? = 'consumed', UTC_TIMESTAMP(3), consumed_at)
+     WHERE id = ? AND status = ?`,
+    [toStatus, toStatus, transaction.id, fromStatus]
+  );
+  if (result.affectedRows !== 1) throw createSsoError(400, 'sso_state_invalid');
+  return transaction;
+}
+
+async function markTransactionFailed(transactionId) {
+  await withConnection(connection => connection.query(
+    "UPDATE sso_transactions SET status = 'failed' WHERE id = ?",
+    [transactionId]
+  ));
+}
+
+async function signInWithSsoProfile(transaction, profile, { userAgentHash, deviceLabel }) {
+  const email = normalizeEmail(profile.email);
+  const subject = String(profile.subject || '');
+  if (!subject || subject.length > SSO_MAX_SUBJECT_LENGTH) throw createSsoError(400, 'sso_subject_invalid');
+  const providerSubject = `${transaction.sso_connection_id}:${subject}`;
+
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const [verifiedDomain] = await connection.query(
+        `SELECT id FROM workspace_sso_domains
+         WHERE workspace_id = ? AND verified_domain = ?
+         LIMIT 1`,
+        [transaction.workspace_id, emailDomain(email)]
+      );
+      if (!verifiedDomain) throw createSsoError(403, 'sso_email_domain_not_verified');
+      const identityRows = await connection.query(
+        `SELECT u.*
+         FROM user_identities i
+         JOIN users u ON u.id = i.user_id
+         WHERE i.provider = ? AND i.provider_subject = ?
+           AND u.deleted_at IS NULL AND u.status = 'active'
+         LIMIT 1`,
+        [transaction.protocol, providerSubject]
+      );
+      let user = identityRows[0] || null;
+      const identityCreated = !user;
+      if (!user) {
+        user = await repositories.findOrCreateUserByEmail(connection, email);
+        if (user.status !== 'active') throw createSsoError(403, 'account_disabled');
+        await connection.query(
+          `INSERT INTO user_identities (id, user_id, provider, provider_subject, sso_connection_id, email)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [createId(), user.id, transaction.protocol, providerSubject, transaction.sso_connection_id, email]
+        );
+      }
+      await connection.query(
+        `UPDATE users SET display_name = COALESCE(display_name, ?), last_login_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [profile.displayName || null, user.id]
+      );
+      const sessionToken = randomToken(32);
+      const csrfToken = randomToken(32);
+      await repositories.createSession(connection, {
+        userId: user.id,
+        tokenHash: hashSecret(sessionToken),
+        csrfTokenHash: hashSecret(csrfToken),
+        absoluteTtlSeconds: SESSION_TTL_SECONDS,
+        idleTtlSeconds: SESSION_IDLE_SECONDS,
+        userAgentHash,
+        deviceLabel,
+        ssoConnectionId: transaction.sso_connection_id
+      });
+      await repositories.createAuditLog(connection, {
+        workspaceId: transaction.workspace_id,
+        actorUserId: user.id,
+        action: 'sso.signed_in',
+        targetType: 'user',
+        targetId: user.id,
+        metadata: { protocol: transaction.protocol, identity_created: identityCreated }
+      });
+      await connection.commit();
+      return {
+        user: { id: user.id, email: user.email, display_name: user.display_name || profile.displayName || null },
+        sessionToken,
+        csrfToken,
+        returnPath: transaction.return_path
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function completeOidcSignIn({ state, code, providerError = null, browserBinding, userAgentHash = null, deviceLabel = null }) {
+  const { transaction, sso } = await withConnection(async connection => {
+    const claimed = await claimTransaction(connection, {
+      state,
+      protocol: 'oidc',
+      fromStatus: 'pending',
+      toStatus: 'consumed',
+      browserBinding
+    });
+    return { transaction: claimed, sso: await loadActiveConnection(connection, claimed.workspace_id) };
+  });
+  try {
+    if (providerError) throw createSsoError(401, 'sso_authorization_denied');
+    const urls = requireServiceProviderUrls(transaction.workspace_id);
+    const idToken = await exchangeOidcCode({
+      tokenEndpoint: sso.oidc_token_endpoint,
+      tokenAuthMethod: sso.oidc_token_auth_method,
+      clientId: sso.oidc_client_id,
+      clientSecret: sso.oidc_client_secret_ciphertext
+        ? decryptSecret({
+          ciphertext: sso.oidc_client_secret_ciphertext,
+          iv: sso.oidc_client_secret_iv,
+          tag: sso.oidc_client_secret_tag,
+          keyVersion: sso.key_version
+        })
+        : null,
+      redirectUri: urls.oidc_redirect_uri,
+      code,
+      codeVerifier: decryptSecret({
+        ciphertext: transaction.pkce_verifier_ciphertext,
+        iv: transaction.pkce_verifier_iv,
+        tag: transaction.pkce_verifier_tag,
+        keyVersion: transaction.pkce_key_version
+      })
+    });
+    const profile = await verifyOidcIdToken(idToken, {
+      issuer: sso.oidc_issuer,
+      clientId: sso.oidc_client_id,
+      nonceHash: transaction.nonce_hash,
+      jwksUri: sso.oidc_jwks_uri
+    });
+    return await signInWithSsoProfile(transaction, profile, { userAgentHash, deviceLabel });
+  } catch (error) {
+    await markTransactionFailed(transaction.id);
+    throw error;
+  }
+}
+
+async function acceptSamlResponse({ workspaceId, samlResponse, relayState }) {
+  const urls = requireServiceProviderUrls(workspaceId);
+  return withConnection(async connection => {
+    const transaction = await claimTransaction(connection, {
+      state: relayState,
+      protocol: 'saml',
+      fromStatus: 'pending',
+      toStatus: 'failed',
+      browserBinding: false,
+      workspaceId
+    });
+    const sso = await loadActiveConnection(connection, workspaceId);
+    if (sso.id !== transaction.sso_connection_id) throw createSsoError(400, 'sso_state_invalid');
+    const profile = validateSamlResponse(samlResponse, {
+      idpEntityId: sso.saml_entity_id,
+      certificates: JSON.parse(sso.saml_certificates),
+      spEntityId: urls.saml_entity_id,
+      acsUrl: urls.saml_acs_url,
+      requestId: transaction.saml_request_id
+    });
+    if (profile.subject.length > SSO_MAX_SUBJECT_LENGTH) throw createSsoError(400, 'sso_subject_invalid');
+    await connection.query(
+      `UPDATE sso_transactions
+       SET status = 'asserted', asserted_subject = ?, asserted_email = ?, asserted_name = ?
+       WHERE id = ? AND status = 'failed'`,
+      [profile.subject, normalizeEmail(profile.email).slice(0, 320), profile.displayName ? profile.displayName.slice(0, 255) : null, transaction.id]
+    );
+    return { state: relayState };
+  });
+}
+
+async function completeSamlSignIn({ state, browserBinding, userAgentHash = null, deviceLabel = null }) {
+  const transaction = await withConnection(connection => claimTransaction(connection, {
+    state,
+    protocol: 'saml',
+    fromStatus: 'asserted',
+    toStatus: 'consumed',
+    browserBinding
+  }));
+  return signInWithSsoProfile(transaction, {
+    subject: transaction.asserted_subject,
+    email: transaction.asserted_email,
+    displayName: transaction.asserted_name
+  }, { userAgentHash, deviceLabel });
+}
+
+async function getServiceProviderMetadata(workspaceId) {
+  const urls = requireServiceProviderUrls(workspaceId);
+  await withConnection(connection => loadActiveConnection(connection, workspaceId));
+  return buildServiceProviderMetadata({ entityId: urls.saml_entity_id, acsUrl: urls.saml_acs_url });
+}
+
+async function assertWorkspaceSessionPolicy(session, workspaceId) {
+  if (!session || !session.user || !workspaceId) return;
+  await withConnection(async connection => {
+    const rows = await connection.query(
+      `SELECT m.role, r.capabilities AS custom_role_capabilities, w.require_two_factor, c.id AS sso_connection_id
+       FROM workspace_memberships m
+       JOIN workspaces w ON w.id = m.workspace_id
+       LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+       LEFT JOIN workspace_sso_connections c
+         ON c.workspace_id = m.workspace_id AND c.status = 'active' AND c.require_sso = 1
+       WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active' AND w.deleted_at IS NULL
+       LIMIT 1`,
+      [workspaceId, session.user.id]
+    );
+    const membership = rows[0];
+    if (!membership) return;
+    await assertMembershipSecondFactor(connection, session, membership);
+    if (!membership.sso_connection_id || membership.role === 'owner') return;
+    if (session.apiToken || session.ssoConnectionId !== membership.sso_connection_id) {
+      throw createSsoError(403, 'sso_required');
+    }
+  });
+}
+
+function ssoCallbackOutcome(error) {
+  const code = error && (error.code || error.message);
+  if (code === 'sso_authorization_denied' || code === 'saml_authentication_failed') return 'denied';
+  if (code === 'sso_email_domain_not_verified') return 'domain_not_verified';
+  if (code === 'sso_state_invalid' || code === 'sso_browser_mismatch') return 'expired';
+  if (code === 'sso_not_configured' || code === 'sso_connection_not_found') return 'configuration_error';
+  return 'failed';
+}
+
+module.exports = {
+  SSO_BINDING_COOKIE,
+  acceptSamlResponse,
+  addSsoDomain,
+  assertWorkspaceSessionPolicy,
+  completeOidcSignIn,
+  completeSamlSignIn,
+  configureWorkspaceSso,
+  discoverSsoForEmail,
+  getServiceProviderMetadata,
+  getWorkspaceSso,
+  removeSsoDomain,
+  removeWorkspaceSso,
+  setSsoDnsResolver,
+  ssoCallbackOutcome,
+  startSsoSignIn,
+  verifySsoDomain
+};
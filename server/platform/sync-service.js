@@ -1,9 +1,12 @@
 const os = require('os');
 const { getConnection } = require('../database');
 const tiktok = require('../integrations/tiktok');
+const { evaluateAlertRulesAfterSync } = require('./alert-service');
 const { assertCapability } = require('./rbac');
+const { loadResourceScope, scopeAllowsDataSource } = require('./resource-scope');
 const { decryptSecret, encryptSecret } = require('./secret-envelope');
 const { createId } = require('./security');
+const { captureWorkspaceSourceStatuses, queueSyncWebhookEvents } = require('./webhook-service');
 const { purgeOverdueYouTubeAuthorizations } = require('./youtube-connection-service');
 const { performYouTubeSyncForJob } = require('./youtube-sync-service');
 const { getYouTubeConfiguration } = require('./youtube-config');
@@ -12,6 +15,16 @@ const { getMetaConfiguration } = require('./meta-config');
 const { purgeOverdueMetaAuthorizations } = require('./meta-connection-service');
 const { performGoogleAnalyticsSyncForJob } = require('./google-analytics-sync-service');
 const { getGoogleAnalyticsConfiguration } = require('./google-analytics-config');
+const { linkedInAdapter } = require('./linkedin-adapter');
+const { getLinkedInConfiguration } = require('./linkedin-config');
+const { searchConsoleAdapter } = require('./search-console-adapter');
+const { getSearchConsoleConfiguration } = require('./search-console-config');
+const { pinterestAdapter } = require('./pinterest-adapter');
+const { getPinterestConfiguration } = require('./pinterest-config');
+const { threadsAdapter } = require('./threads-adapter');
+const { getThreadsConfiguration } = require('./threads-config');
+const { blueskyAdapter } = require('./bluesky-adapter');
+const { getBlueskyConfiguration } = require('./bluesky-config');
 
 const SYNC_INTERVAL_SECONDS = Number(process.env.SYNC_INTERVAL_SECONDS || 6 * 60 * 60);
 const MANUAL_COOLDOWN_SECONDS = Number(process.env.MANUAL_SYNC_COOLDOWN_SECONDS || 15 * 60);
@@ -34,16 +47,18 @@ async function withConnection(fn) {
   }
 }
 
-async function requireWorkspaceCapability(connection, workspaceId, userId, capability) {
+async function requireWorkspaceCapability(connection, workspaceId, userId, capability, provider = null) {
   const rows = await connection.query(
-    `SELECT role FROM workspace_memberships
-     WHERE workspace_id = ? AND user_id = ? AND status = 'active'
+    `SELECT m.role, r.capabilities AS custom_role_capabilities
+     FROM workspace_memberships m
+     LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+     WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active'
      LIMIT 1`,
     [workspaceId, userId]
   );
   const membership = rows[0] || null;
   if (!membership) throw createHttpError(404, 'workspace_not_found');
-  assertCapability(membership.role, capability);
+  assertCapability(membership, capability, provider);
   return membership.role;
 }
 
@@ -544,14 +559,29 @@ async function providerAuthorizationIsActive(connection, dataSourceId, provider)
   return Boolean(rows[0] && rows[0].status === 'active');
 }
 
-async function performSyncForJob(job, options = {}) {
+async function performProviderSyncForJob(job, options) {
   const provider = await providerForJob(job.data_source_id);
   if (provider === 'youtube') return performYouTubeSyncForJob(job, options);
   if (provider === 'facebook_pages' || provider === 'instagram') return performMetaSyncForJob(job, options);
   if (provider === 'google_analytics_4') return performGoogleAnalyticsSyncForJob(job, options);
+  if (provider === 'linkedin') return linkedInAdapter.sync.synchronize(job, options);
+  if (provider === 'google_search_console') return searchConsoleAdapter.sync.synchronize(job, options);
+  if (provider === 'pinterest') return pinterestAdapter.sync.synchronize(job, options);
+  if (provider === 'threads') return threadsAdapter.sync.synchronize(job, options);
+  if (provider === 'bluesky') return blueskyAdapter.sync.synchronize(job, options);
   return performTikTokSyncForJob(job, options);
 }
 
+async function performSyncForJob(job, options = {}) {
+  const previousStatuses = await captureWorkspaceSourceStatuses(job.data_source_id);
+  const result = await performProviderSyncForJob(job, options);
+  if (result && (result.status === 'success' || result.status === 'partial')) {
+    await evaluateAlertRulesAfterSync(job.data_source_id, result.sync_run_id);
+  }
+  await queueSyncWebhookEvents(job.data_source_id, result, previousStatuses);
+  return result;
+}
+
 async function requestManualSync(userId, workspaceId, options = {}) {
   const provider = options.provider || 'tiktok';
   if (provider === 'youtube' && !getYouTubeConfiguration().connectable) {
@@ -563,15 +593,34 @@ async function requestManualSync(userId, workspaceId, options = {}) {
   if (provider === 'google_analytics_4' && !getGoogleAnalyticsConfiguration().connectable) {
     throw createHttpError(503, 'ga4_not_available');
   }
+  if (provider === 'linkedin' && !getLinkedInConfiguration().connectable) {
+    throw createHttpError(503, 'linkedin_not_available');
+  }
+  if (provider === 'google_search_console' && !getSearchConsoleConfiguration().connectable) {
+    throw createHttpError(503, 'search_console_not_available');
+  }
+  if (provider === 'pinterest' && !getPinterestConfiguration().connectable) {
+    throw createHttpError(503, 'pinterest_not_available');
+  }
+  if (provider === 'threads' && !getThreadsConfiguration().connectable) {
+    throw createHttpError(503, 'threads_not_available');
+  }
+  if (provider === 'bluesky' && !getBlueskyConfiguration().connectable) {
+    throw createHttpError(503, 'bluesky_not_available');
+  }
   if (
     provider === 'youtube' || provider === 'facebook_pages' || provider === 'instagram' ||
-    provider === 'google_analytics_4'
+    provider === 'google_analytics_4' || provider === 'linkedin' || provider === 'google_search_console' ||
+    provider === 'pinterest' || provider === 'threads' || provider === 'bluesky'
   ) {
     return withConnection(async connection => {
       await connection.beginTransaction();
       try {
-        await requireWorkspaceCapability(connection, workspaceId, userId, 'triggerManualSync');
+        await requireWorkspaceCapability(connection, workspaceId, userId, 'triggerManualSync', provider);
         const source = await getActiveSource(connection, workspaceId, provider, options.connectionId || null);
+        if (source && !scopeAllowsDataSource(await loadResourceScope(connection, workspaceId, userId), source.id)) {
+          throw createHttpError(403, 'permission_denied');
+        }
         if (!source || source.status !== 'active') throw createHttpError(400, `${provider}_not_connected`);
         if (!(await providerAuthorizationIsActive(connection, source.id, provider))) {
           throw createHttpError(400, `${provider}_not_connected`);
@@ -613,8 +662,11 @@ async function requestManualSync(userId, workspaceId, options = {}) {
   const owner = syncOwner();
   let job;
   await withConnection(async connection => {
-    await requireWorkspaceCapability(connection, workspaceId, userId, 'triggerManualSync');
+    await requireWorkspaceCapability(connection, workspaceId, userId, 'triggerManualSync', provider);
     const source = await getActiveSource(connection, workspaceId, provider, options.connectionId || null);
+    if (source && !scopeAllowsDataSource(await loadResourceScope(connection, workspaceId, userId), source.id)) {
+      throw createHttpError(403, 'permission_denied');
+    }
     if (!source || source.status !== 'active') throw createHttpError(400, `${provider}_not_connected`);
     const recent = await connection.query(
       `SELECT id FROM sync_runs
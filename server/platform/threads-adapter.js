@@ -0,0 +1,46 @@
+const threads = require('../integrations/threads');
+const { defineProviderAdapter } = require('./provider-contract');
+const {
+  THREADS_CAPABILITIES,
+  completeThreadsConnection,
+  disconnectThreads,
+  listThreadsResources,
+  revokeWorkspaceThreadsAuthorizations,
+  selectThreadsResource,
+  startThreadsConnection
+} = require('./threads-connection-service');
+const { performThreadsSyncForJob } = require('./threads-sync-service');
+
+const threadsAdapter = defineProviderAdapter({
+  provider: 'threads',
+  contractVersion: 1,
+  requiredScopes: threads.THREADS_SCOPES,
+  resourceTypes: ['threads_profile'],
+  capabilities: THREADS_CAPABILITIES,
+  authorization: {
+    buildAuthorizationUrl: input => startThreadsConnection(input),
+    completeAuthorization: input => completeThreadsConnection(input),
+    refreshAuthorization: (accessToken, requestOptions) => threads.refreshLongLivedToken(accessToken, requestOptions),
+    inspectScopes: async scopeValue => ({
+      granted: [...threads.grantedScopes(scopeValue)],
+      missing: threads.missingScopes(scopeValue),
+      exact: threads.hasExactScopes(scopeValue)
+    }),
+    revokeAuthorization: ({ userId, workspaceId, connectionId = null }) =>
+      disconnectThreads(userId, workspaceId, connectionId)
+  },
+  resources: {
+    discoverResources: ({ userId, workspaceId }) => listThreadsResources(userId, workspaceId),
+    selectResource: ({ userId, workspaceId, resourceId }) => selectThreadsResource(userId, workspaceId, resourceId)
+  },
+  sync: {
+    synchronize: (job, options) => performThreadsSyncForJob(job, options)
+  },
+  deletion: {
+    deleteConnectionData: ({ workspaceId }) => revokeWorkspaceThreadsAuthorizations(workspaceId)
+  }
+});
+
+module.exports = {
+  threadsAdapter
+};
@@ -0,0 +1,130 @@
+const { validateEncryptionConfiguration } = require('./secret-envelope');
+const { getMetaLimits } = require('./meta-config');
+
+const THREADS_API_VERSION = 'v1.0';
+const THREADS_CALLBACK_PATH = '/api/integrations/threads/callback';
+const THREADS_REQUIRED_SCOPES = Object.freeze(['threads_basic', 'threads_manage_insights']);
+
+function flagEnabled(value) {
+  return ['1', 'true', 'yes', 'on'].includes(String(value || '').trim().toLowerCase());
+}
+
+function boundedInteger(value, fallback, minimum, maximum) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < minimum || parsed > maximum) return fallback;
+  return parsed;
+}
+
+function parseScopeAssertion(value) {
+  return [...new Set(String(value || '').split(/[\s,]+/).map(scope => scope.trim()).filter(Boolean))];
+}
+
+function hasExactScopeAssertion(value) {
+  const configured = parseScopeAssertion(value);
+  return configured.length === THREADS_REQUIRED_SCOPES.length &&
+    THREADS_REQUIRED_SCOPES.every(scope => configured.includes(scope));
+}
+
+function expectedRedirectUri(env = process.env) {
+  const base = String(env.BASE_URL || '').replace(/\/+$/, '');
+  return base ? `${base}${THREADS_CALLBACK_PATH}` : null;
+}
+
+function validateRedirectUri(env = process.env) {
+  const raw = String(env.THREADS_REDIRECT_URI || '').trim();
+  if (!raw) return { ready: false, reason: 'THREADS_REDIRECT_URI_missing', value: null };
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch {
+    return { ready: false, reason: 'THREADS_REDIRECT_URI_invalid', value: null };
+  }
+  if (parsed.username || parsed.password || parsed.search || parsed.hash || parsed.pathname !== THREADS_CALLBACK_PATH) {
+    return { ready: false, reason: 'THREADS_REDIRECT_URI_invalid', value: null };
+  }
+  const production = String(env.NODE_ENV || '').toLowerCase() === 'production';
+  const localhost = ['localhost', '127.0.0.1', '::1'].includes(parsed.hostname);
+  if (parsed.protocol !== 'https:' && (production || !localhost || parsed.protocol !== 'http:')) {
+    return { ready: false, reason: 'THREADS_REDIRECT_URI_https_required', value: null };
+  }
+  const expected = expectedRedirectUri(env);
+  if (expected && raw !== expected) {
+    return { ready: false, reason: 'THREADS_REDIRECT_URI_mismatch', value: null };
+  }
+  return { ready: true, reason: null, value: raw };
+}
+
+function getThreadsLimits(env = process.env) {
+  const meta = getMetaLimits(env);
+  return {
+    requestTimeoutMs: meta.requestTimeoutMs,
+    oauthStateTtlSeconds: meta.oauthStateTtlSeconds,
+    maxRetries: meta.maxRetries,
+    jobTimeBudgetSeconds: meta.jobTimeBudgetSeconds,
+    insightsLookbackDays: boundedInteger(env.THREADS_INSIGHTS_LOOKBACK_DAYS, 90, 7, 180),
+    maxPosts: boundedInteger(env.THREADS_SYNC_MAX_POSTS, 50, 1, 100),
+    tokenRefreshDays: boundedInteger(env.THREADS_TOKEN_REFRESH_DAYS, 7, 1, 30)
+  };
+}
+
+function looksLikePlaceholder(value) {
+  const normalized = String(value || '').trim().toLowerCase();
+  return !normalized || /(^|[_-])(replace|placeholder|example|your)([_-]|$)/.test(normalized);
+}
+
+function getThreadsConfiguration(env = process.env, runtime = {}) {
+  const enabled = flagEnabled(env.FEATURE_THREADS_CONNECTOR);
+  const redirect = validateRedirectUri(env);
+  const encryption = validateEncryptionConfiguration(env);
+  const missing = [];
+  if (!String(env.THREADS_APP_ID || '').trim()) missing.push('THREADS_APP_ID_missing');
+  if (!String(env.THREADS_APP_SECRET || '').trim()) missing.push('THREADS_APP_SECRET_missing');
+  if (
+    String(env.THREADS_APP_SECRET || '').trim() &&
+    String(env.THREADS_APP_SECRET).trim() === String(env.META_APP_SECRET || '').trim()
+  ) {
+    missing.push('THREADS_APP_SECRET_must_differ_from_META_APP_SECRET');
+  }
+  if (!redirect.ready) missing.push(redirect.reason);
+  if (!hasExactScopeAssertion(env.THREADS_APPROVED_SCOPES)) {
+    missing.push('THREADS_APPROVED_SCOPES_must_match_exact_read_only_set');
+  }
+  if (!encryption.ready) missing.push('ENCRYPTION_KEY_invalid');
+  if (runtime.databaseReady === false) missing.push('database_unavailable');
+  if (runtime.foundationReady === false) missing.push('threads_database_foundation_missing');
+  if (runtime.workerReady === false) missing.push('threads_worker_support_missing');
+
+  const configured = missing.length === 0;
+  return {
+    enabled,
+    configured,
+    connectable: enabled && configured,
+    status: !enabled ? 'disabled' : configured ? 'available' : 'configuration_required',
+    warnings: enabled ? [...new Set(missing)] : [],
+    redirectUri: redirect.value,
+    requiredScopes: [...THREADS_REQUIRED_SCOPES],
+    apiVersion: THREADS_API_VERSION,
+    limits: getThreadsLimits(env)
+  };
+}
+
+function getThreadsProductionErrors(env = process.env) {
+  const configuration = getThreadsConfiguration(env);
+  if (!configuration.enabled) return [];
+  const errors = configuration.warnings.map(warning => `threads_configuration:${warning}`);
+  if (looksLikePlaceholder(env.THREADS_APP_ID)) errors.push('threads_configuration:THREADS_APP_ID_placeholder');
+  if (looksLikePlaceholder(env.THREADS_APP_SECRET)) errors.push('threads_configuration:THREADS_APP_SECRET_placeholder');
+  return [...new Set(errors)];
+}
+
+module.exports = {
+  THREADS_API_VERSION,
+  THREADS_CALLBACK_PATH,
+  THREADS_REQUIRED_SCOPES,
+  expectedRedirectUri,
+  getThreadsConfiguration,
+  getThreadsLimits,
+  getThreadsProductionErrors,
+  hasExactScopeAssertion,
+  validateRedirectUri
+};
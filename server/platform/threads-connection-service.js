@@ -0,0 +1,904 @@
+const { getConnection } = require('../database');
+const threads = require('../integrations/threads');
+const { normalizeReturnPath } = require('./connection-service');
+const { assertCapability } = require('./rbac');
+const { createAuditLog } = require('./repositories');
+const { encryptSecret } = require('./secret-envelope');
+const { createId, hashSecret, randomToken } = require('./security');
+const { getThreadsConfiguration } = require('./threads-config');
+
+const THREADS_PROVIDER = 'threads';
+const THREADS_CAPABILITIES = Object.freeze([
+  'resource_discovery',
+  'profile_insights',
+  'post_listing',
+  'post_insights',
+  'disconnect'
+]);
+
+function createHttpError(status, code, details = null) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createHttpError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+async function requireWorkspaceRole(connection, workspaceId, userId, capability, provider = null) {
+  const rows = await connection.query(
+    `SELECT m.role, r.capabilities AS custom_role_capabilities,
+            m.resources_restricted = 1 AND m.role NOT IN ('owner', 'admin') AS resources_restricted
+     FROM workspace_memberships m
+     LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+     WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active'
+     LIMIT 1`,
+    [workspaceId, userId]
+  );
+  if (!rows[0]) throw createHttpError(404, 'workspace_not_found');
+  assertCapability(rows[0], capability, provider);
+  if (Number(rows[0].resources_restricted)) throw createHttpError(403, 'permission_denied');
+  return rows[0].role;
+}
+
+async function threadsFoundationReady(connection) {
+  const rows = await connection.query(
+    `SELECT COUNT(*) AS count
+     FROM information_schema.TABLES
+     WHERE TABLE_SCHEMA = DATABASE()
+       AND TABLE_NAME IN (
+         'provider_authorizations',
+         'provider_authorization_credentials',
+         'provider_authorization_scopes',
+         'provider_resources',
+         'workspace_provider_connections',
+         'provider_resource_observations',
+         'provider_metric_observations',
+         'provider_dimension_observations',
+         'provider_request_events'
+       )`
+  );
+  return Number(rows[0] && rows[0].count) === 9;
+}
+
+async function requireThreadsReady(connection, env = process.env) {
+  const foundationReady = await threadsFoundationReady(connection);
+  const status = getThreadsConfiguration(env, {
+    databaseReady: true,
+    foundationReady,
+    workerReady: true
+  });
+  if (!status.connectable) throw createHttpError(503, 'threads_not_configured', status.warnings);
+  return status;
+}
+
+async function writeAuditLog(connection, details) {
+  await createAuditLog(connection, details);
+}
+
+function parseJson(value, fallback = {}) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function normalizeProfile(body) {
+  const id = String(body && body.id || '');
+  const username = body && typeof body.username === 'string' ? body.username.trim() : '';
+  if (!threads.THREADS_ID.test(id) || !/^[A-Za-z0-9_.]{1,100}$/.test(username)) {
+    throw createHttpError(502, 'threads_profile_response_malformed');
+  }
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  return {
+    id,
+    username,
+    displayName: (name || username).slice(0, 255),
+    profileUrl: `https://www.threads.net/@${encodeURIComponent(username)}`,
+    timezone: 'UTC',
+    selectable: true,
+    discoveryStatus: 'available'
+  };
+}
+
+async function startThreadsConnection({ userId, sessionId, workspaceId, returnPath = '/', targetConnectionId = null }) {
+  return withConnection(async connection => {
+    const readiness = await requireThreadsReady(connection);
+    const safeReturnPath = normalizeReturnPath(returnPath);
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', THREADS_PROVIDER);
+    await connection.beginTransaction();
+    try {
+      let authorizationId;
+      if (targetConnectionId) {
+        const rows = await connection.query(
+          `SELECT pauth.id AS authorization_id
+           FROM workspace_provider_connections wpc
+           JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+           JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+           WHERE wpc.id = ? AND wpc.workspace_id = ? AND wpc.provider = ?
+           LIMIT 1 FOR UPDATE`,
+          [targetConnectionId, workspaceId, THREADS_PROVIDER]
+        );
+        if (!rows[0]) throw createHttpError(404, 'threads_connection_not_found');
+        authorizationId = rows[0].authorization_id;
+        await connection.query(
+          `UPDATE provider_authorizations
+           SET status = 'authorizing', actor_user_id = ?, updated_at = UTC_TIMESTAMP(3)
+           WHERE id = ?`,
+          [userId, authorizationId]
+        );
+        await connection.query(
+          `UPDATE sync_jobs sj
+           JOIN workspace_provider_connections wpc ON wpc.data_source_id = sj.data_source_id
+           JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+           SET sj.status = 'paused', sj.lease_owner = NULL, sj.lease_expires_at = NULL,
+               sj.updated_at = UTC_TIMESTAMP(3)
+           WHERE pr.provider_authorization_id = ? AND wpc.provider = ?`,
+          [authorizationId, THREADS_PROVIDER]
+        );
+      } else {
+        const rows = await connection.query(
+          `SELECT pauth.id,
+                  EXISTS(SELECT 1 FROM provider_resources pr WHERE pr.provider_authorization_id = pauth.id) AS has_resources
+           FROM provider_authorizations pauth
+           WHERE pauth.workspace_id = ? AND pauth.provider = ?
+             AND pauth.status IN ('active', 'authorizing', 'reconnect_required', 'disabled')
+           ORDER BY FIELD(pauth.status, 'active', 'reconnect_required', 'authorizing', 'disabled'), pauth.updated_at DESC
+           LIMIT 1 FOR UPDATE`,
+          [workspaceId, THREADS_PROVIDER]
+        );
+        const existing = rows[0] || null;
+        if (existing && Number(existing.has_resources) === 1) {
+          throw createHttpError(409, 'threads_authorization_already_exists');
+        }
+        if (existing) {
+          authorizationId = existing.id;
+          await connection.query(
+            `UPDATE provider_authorizations
+             SET actor_user_id = ?, status = 'authorizing', revoked_at = NULL, updated_at = UTC_TIMESTAMP(3)
+             WHERE id = ?`,
+            [userId, authorizationId]
+          );
+        } else {
+          authorizationId = createId();
+          await connection.query(
+            `INSERT INTO provider_authorizations
+              (id, workspace_id, provider, actor_user_id, status, auth_product, api_version)
+             VALUES (?, ?, ?, ?, 'authorizing', 'analytics', ?)`,
+            [authorizationId, workspaceId, THREADS_PROVIDER, userId, readiness.apiVersion]
+          );
+        }
+      }
+
+      await connection.query(
+        `UPDATE oauth_transactions
+         SET status = 'failed', consumed_at = COALESCE(consumed_at, UTC_TIMESTAMP(3))
+         WHERE provider_authorization_id = ? AND provider = ? AND status = 'pending'`,
+        [authorizationId, THREADS_PROVIDER]
+      );
+      const state = randomToken(32);
+      await connection.query(
+        `INSERT INTO oauth_transactions
+          (id, state_hash, provider, workspace_id, initiated_by, session_id,
+           provider_authorization_id, target_connection_id, return_path, requested_scopes,
+           redirect_uri, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND))`,
+        [
+          createId(), hashSecret(state), THREADS_PROVIDER, workspaceId, userId, sessionId,
+          authorizationId, targetConnectionId, safeReturnPath, JSON.stringify(threads.THREADS_SCOPES),
+          readiness.redirectUri, readiness.limits.oauthStateTtlSeconds
+        ]
+      );
+      await writeAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: targetConnectionId ? 'connection.threads.reauthorize_start' : 'connection.threads.start',
+        targetType: 'provider_authorization',
+        targetId: authorizationId,
+        metadata: { requested_scope_count: threads.THREADS_SCOPES.length }
+      });
+      await connection.commit();
+      return {
+        authorization_url: threads.buildAuthorizationUrl({ state }),
+        expires_in_seconds: readiness.limits.oauthStateTtlSeconds
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function consumeOAuthTransaction(connection, { state, sessionId, userId }) {
+  if (!state) throw createHttpError(400, 'threads_oauth_state_missing');
+  const rows = await connection.query(
+    `SELECT oauth_transactions.*, expires_at <= UTC_TIMESTAMP(3) AS is_expired
+     FROM oauth_transactions WHERE state_hash = ? LIMIT 1 FOR UPDATE`,
+    [hashSecret(state)]
+  );
+  const transaction = rows[0] || null;
+  if (!transaction) throw createHttpError(400, 'threads_oauth_state_invalid');
+  if (transaction.provider !== THREADS_PROVIDER) throw createHttpError(400, 'threads_oauth_provider_mismatch');
+  if (transaction.consumed_at || transaction.status !== 'pending') {
+    throw createHttpError(400, 'threads_oauth_state_replayed');
+  }
+  if (Number(transaction.is_expired) === 1) {
+    await connection.query(
+      `UPDATE oauth_transactions SET status = 'expired', consumed_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+      [transaction.id]
+    );
+    throw createHttpError(400, 'threads_oauth_state_expired');
+  }
+  if (transaction.session_id !== sessionId) throw createHttpError(403, 'threads_oauth_session_mismatch');
+  if (transaction.initiated_by !== userId) throw createHttpError(403, 'threads_oauth_user_mismatch');
+  const authRows = await connection.query(
+    'SELECT workspace_id, provider FROM provider_authorizations WHERE id = ? LIMIT 1',
+    [transaction.provider_authorization_id]
+  );
+  const authorization = authRows[0] || null;
+  if (!authorization || authorization.provider !== THREADS_PROVIDER) {
+    throw createHttpError(400, 'threads_oauth_authorization_mismatch');
+  }
+  if (authorization.workspace_id !== transaction.workspace_id) {
+    throw createHttpError(400, 'threads_oauth_workspace_mismatch');
+  }
+  await requireWorkspaceRole(connection, transaction.workspace_id, userId, 'manageConnection', THREADS_PROVIDER);
+  if (transaction.target_connection_id) {
+    const targetRows = await connection.query(
+      'SELECT workspace_id, provider FROM workspace_provider_connections WHERE id = ? LIMIT 1',
+      [transaction.target_connection_id]
+    );
+    const target = targetRows[0] || null;
+    if (!target || target.workspace_id !== transaction.workspace_id || target.provider !== THREADS_PROVIDER) {
+      throw createHttpError(400, 'threads_oauth_workspace_mismatch');
+    }
+  }
+  if (!threads.hasExactScopes(parseJson(transaction.requested_scopes, []))) {
+    throw createHttpError(400, 'threads_oauth_scope_binding_mismatch');
+  }
+  if (transaction.redirect_uri !== process.env.THREADS_REDIRECT_URI) {
+    throw createHttpError(400, 'threads_oauth_redirect_mismatch');
+  }
+  await connection.query(
+    `UPDATE oauth_transactions SET status = 'consumed', consumed_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+    [transaction.id]
+  );
+  return transaction;
+}
+
+async function markAuthorizationFailed(transaction, outcome, grantedScopes = null) {
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      await connection.query(`UPDATE oauth_transactions SET status = 'failed' WHERE id = ?`, [transaction.id]);
+      if (Array.isArray(grantedScopes)) {
+        await connection.query(
+          'DELETE FROM provider_authorization_scopes WHERE provider_authorization_id = ?',
+          [transaction.provider_authorization_id]
+        );
+        for (const scope of grantedScopes) {
+          await connection.query(
+            `INSERT INTO provider_authorization_scopes
+              (provider_authorization_id, scope, status, granted_at, last_confirmed_at)
+             VALUES (?, ?, 'granted', UTC_TIMESTAMP(3), UTC_TIMESTAMP(3))`,
+            [transaction.provider_authorization_id, String(scope)]
+          );
+        }
+      }
+      const nextStatus = transaction.target_connection_id ? 'reconnect_required' : 'disabled';
+      await connection.query(
+        'UPDATE provider_authorizations SET status = ?, updated_at = UTC_TIMESTAMP(3) WHERE id = ?',
+        [nextStatus, transaction.provider_authorization_id]
+      );
+      if (transaction.target_connection_id) {
+        await connection.query(
+          `UPDATE workspace_provider_connections wpc
+           JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+           JOIN data_sources ds ON ds.id = wpc.data_source_id
+           SET wpc.status = 'reconnect_required', ds.status = 'reconnect_required',
+               ds.reconnect_reason = ?, wpc.updated_at = UTC_TIMESTAMP(3), ds.updated_at = UTC_TIMESTAMP(3)
+           WHERE pr.provider_authorization_id = ? AND wpc.provider = ?`,
+          [`threads_authorization_${outcome}`.slice(0, 255), transaction.provider_authorization_id, THREADS_PROVIDER]
+        );
+      }
+      await writeAuditLog(connection, {
+        workspaceId: transaction.workspace_id,
+        action: 'connection.threads.authorization_failed',
+        targetType: 'provider_authorization',
+        targetId: transaction.provider_authorization_id,
+        metadata: { outcome_category: outcome }
+      });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function recordAuthorizationRequest(transaction, details) {
+  return withConnection(connection => connection.query(
+    `INSERT INTO provider_request_events
+      (id, workspace_id, provider_authorization_id, provider, request_category,
+       method_name, quota_cost_estimate, page_number, item_count, attempts,
+       status, failure_category, retry_after_seconds)
+     VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?)`,
+    [
+      createId(), transaction.workspace_id, transaction.provider_authorization_id, THREADS_PROVIDER,
+      details.category, details.method, details.pageNumber || null,
+      details.itemCount === undefined ? null : details.itemCount,
+      details.result && Number.isInteger(details.result.attempts) ? details.result.attempts : 1,
+      details.status,
+      details.result && details.result.error ? details.result.error.category : null,
+      details.result ? details.result.retryAfterSeconds : null
+    ]
+  ));
+}
+
+async function discoverProfile(transaction, accessToken, userId) {
+  const result = await threads.getProfile(accessToken, { maxRetries: 0 });
+  await recordAuthorizationRequest(transaction, {
+    category: 'data_api',
+    method: 'me.profile',
+    itemCount: result.ok ? 1 : null,
+    result,
+    status: result.ok ? 'success' : 'failed'
+  });
+  if (!result.ok) throw createHttpError(502, 'threads_profile_discovery_failed');
+  const profile = normalizeProfile(result.body);
+  if (profile.id !== userId) throw createHttpError(409, 'threads_provider_subject_mismatch');
+  return [profile];
+}
+
+async function saveAuthorizationResult(transaction, tokenBody, grantedScopes, profiles, providerSubject) {
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      if (transaction.target_connection_id) {
+        const targetRows = await connection.query(
+          `SELECT pr.provider_resource_id
+           FROM workspace_provider_connections wpc
+           JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+           WHERE wpc.id = ? AND wpc.workspace_id = ? AND wpc.provider = ?
+           LIMIT 1`,
+          [transaction.target_connection_id, transaction.workspace_id, THREADS_PROVIDER]
+        );
+        const target = targetRows[0] || null;
+        const discoveredTarget = target && profiles.find(item => item.id === target.provider_resource_id);
+        if (!target || !discoveredTarget || !discoveredTarget.selectable) {
+          throw createHttpError(409, 'threads_reconnect_profile_mismatch');
+        }
+      }
+
+      const access = encryptSecret(tokenBody.access_token);
+      await connection.query(
+        `INSERT INTO provider_authorization_credentials
+          (id, provider_authorization_id, access_token_ciphertext, access_token_iv, access_token_tag,
+           refresh_token_ciphertext, refresh_token_iv, refresh_token_tag, key_version, token_type,
+           access_expires_at, refresh_expires_at)
+         VALUES (?, ?, ?, ?, ?, NULL, NULL, NULL, ?, ?, DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), NULL)
+         ON DUPLICATE KEY UPDATE
+           access_token_ciphertext = VALUES(access_token_ciphertext),
+           access_token_iv = VALUES(access_token_iv), access_token_tag = VALUES(access_token_tag),
+           refresh_token_ciphertext = NULL, refresh_token_iv = NULL, refresh_token_tag = NULL,
+           key_version = VALUES(key_version), token_type = VALUES(token_type),
+           access_expires_at = VALUES(access_expires_at), refresh_expires_at = NULL,
+           revoked_at = NULL, updated_at = UTC_TIMESTAMP(3)`,
+        [
+          createId(), transaction.provider_authorization_id,
+          access.ciphertext, access.iv, access.tag, access.keyVersion,
+          tokenBody.token_type || 'bearer', Number(tokenBody.expires_in)
+        ]
+      );
+      await connection.query(
+        'DELETE FROM provider_authorization_scopes WHERE provider_authorization_id = ?',
+        [transaction.provider_authorization_id]
+      );
+      for (const scope of grantedScopes) {
+        await connection.query(
+          `INSERT INTO provider_authorization_scopes
+            (provider_authorization_id, scope, status, granted_at, last_confirmed_at)
+           VALUES (?, ?, 'granted', UTC_TIMESTAMP(3), UTC_TIMESTAMP(3))`,
+          [transaction.provider_authorization_id, scope]
+        );
+      }
+
+      await connection.query(
+        `UPDATE provider_authorizations
+         SET provider_subject = ?, display_name = ?, status = 'active',
+             granted_at = COALESCE(granted_at, UTC_TIMESTAMP(3)),
+             last_validated_at = UTC_TIMESTAMP(3), revoked_at = NULL,
+             updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [providerSubject, 'Threads authorization', transaction.provider_authorization_id]
+      );
+
+      const discoveredIds = profiles.map(item => item.id);
+      await connection.query(
+        `DELETE pr FROM provider_resources pr
+         LEFT JOIN workspace_provider_connections wpc ON wpc.provider_resource_id = pr.id
+         WHERE pr.provider_authorization_id = ? AND pr.provider = ? AND wpc.id IS NULL
+           AND pr.provider_resource_id NOT IN (${discoveredIds.map(() => '?').join(', ')})`,
+        [transaction.provider_authorization_id, THREADS_PROVIDER, ...discoveredIds]
+      );
+      for (const profile of profiles) {
+        await connection.query(
+          `INSERT INTO provider_resources
+            (id, provider_authorization_id, workspace_id, provider, resource_type,
+             provider_resource_id, display_name, metadata)
+           VALUES (?, ?, ?, ?, 'threads_profile', ?, ?, ?)
+           ON DUPLICATE KEY UPDATE display_name = VALUES(display_name), metadata = VALUES(metadata),
+             updated_at = UTC_TIMESTAMP(3)`,
+          [
+            createId(), transaction.provider_authorization_id, transaction.workspace_id, THREADS_PROVIDER,
+            profile.id, profile.displayName, JSON.stringify(profile)
+          ]
+        );
+      }
+
+      const connectedRows = await connection.query(
+        `SELECT wpc.id, wpc.data_source_id, pr.provider_resource_id
+         FROM workspace_provider_connections wpc
+         JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+         WHERE pr.provider_authorization_id = ? AND wpc.provider = ?`,
+        [transaction.provider_authorization_id, THREADS_PROVIDER]
+      );
+      for (const connected of connectedRows) {
+        const profile = profiles.find(item => item.id === connected.provider_resource_id && item.selectable);
+        const status = profile ? 'active' : 'reconnect_required';
+        const reason = profile ? null : 'threads_profile_not_returned';
+        await connection.query(
+          `UPDATE workspace_provider_connections SET status = ?, next_sync_at = UTC_TIMESTAMP(3),
+             updated_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+          [status, connected.id]
+        );
+        await connection.query(
+          `UPDATE data_sources SET status = ?, reconnect_reason = ?, next_sync_at = UTC_TIMESTAMP(3),
+             updated_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+          [status, reason, connected.data_source_id]
+        );
+        await connection.query(
+          `UPDATE sync_jobs SET status = ?, run_after = UTC_TIMESTAMP(3), lease_owner = NULL,
+             lease_expires_at = NULL, updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+          [profile ? 'due' : 'paused', connected.data_source_id]
+        );
+        await connection.query(
+          `UPDATE provider_capabilities SET status = ?, reason = ?, updated_at = UTC_TIMESTAMP(3)
+           WHERE workspace_provider_connection_id = ?`,
+          [profile ? 'available' : 'not_granted', reason, connected.id]
+        );
+      }
+      await writeAuditLog(connection, {
+        workspaceId: transaction.workspace_id,
+        actorUserId: transaction.initiated_by,
+        action: transaction.target_connection_id ? 'connection.threads.reauthorized' : 'connection.threads.authorized',
+        targetType: 'provider_authorization',
+        targetId: transaction.provider_authorization_id,
+        metadata: {
+          discovered_profile_count: profiles.length,
+          granted_scope_count: grantedScopes.length
+        }
+      });
+      await connection.commit();
+      return { discoveredProfileCount: profiles.length };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function completeThreadsConnection({ code, state, providerError, sessionId, userId }) {
+  let transaction;
+  await withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      transaction = await consumeOAuthTransaction(connection, { state, sessionId, userId });
+      await connection.commit();
+    } catch (error) {
+      if (error.code === 'threads_oauth_state_expired') await connection.commit();
+      else await connection.rollback();
+      throw error;
+    }
+  });
+  if (providerError) {
+    const denied = providerError === 'access_denied';
+    await markAuthorizationFailed(transaction, denied ? 'user_denied' : 'provider_error');
+    throw createHttpError(400, denied ? 'threads_authorization_denied' : 'threads_authorization_failed');
+  }
+  if (!code) {
+    await markAuthorizationFailed(transaction, 'missing_code');
+    throw createHttpError(400, 'threads_authorization_code_missing');
+  }
+  const exchange = await threads.exchangeCode(code);
+  const shortBody = exchange.body || {};
+  await recordAuthorizationRequest(transaction, {
+    category: 'oauth', method: 'oauth.token', result: exchange,
+    status: exchange.ok && shortBody.access_token && shortBody.user_id ? 'success' : 'failed'
+  });
+  if (!exchange.ok || !shortBody.access_token || !threads.THREADS_ID.test(String(shortBody.user_id || ''))) {
+    await markAuthorizationFailed(transaction, exchange.error ? exchange.error.category : 'malformed_response');
+    throw createHttpError(502, 'threads_token_exchange_failed');
+  }
+  const providerSubject = String(shortBody.user_id);
+  const longExchange = await threads.exchangeLongLivedToken(shortBody.access_token);
+  const tokenBody = longExchange.body || {};
+  await recordAuthorizationRequest(transaction, {
+    category: 'oauth', method: 'oauth.long_lived_token', result: longExchange,
+    status: longExchange.ok && tokenBody.access_token && Number(tokenBody.expires_in) > 0 ? 'success' : 'failed'
+  });
+  if (!longExchange.ok || !tokenBody.access_token || Number(tokenBody.expires_in) <= 0) {
+    await markAuthorizationFailed(transaction, 'long_lived_token_required');
+    throw createHttpError(502, 'threads_long_lived_token_failed');
+  }
+  const debug = await threads.debugToken(tokenBody.access_token);
+  const debugData = debug.body && debug.body.data;
+  await recordAuthorizationRequest(transaction, {
+    category: 'oauth', method: 'debug_token', result: debug,
+    status: debug.ok && debugData && debugData.is_valid === true ? 'success' : 'failed'
+  });
+  if (
+    !debug.ok || !debugData || debugData.is_valid !== true ||
+    String(debugData.app_id) !== String(process.env.THREADS_APP_ID) ||
+    String(debugData.user_id) !== providerSubject
+  ) {
+    await markAuthorizationFailed(transaction, 'token_validation_failed');
+    throw createHttpError(400, 'threads_token_validation_failed');
+  }
+  const grantedScopes = [...threads.grantedScopes(debugData.scopes)];
+  if (!threads.hasExactScopes(grantedScopes) || threads.forbiddenScopes(grantedScopes).length > 0) {
+    await markAuthorizationFailed(transaction, 'missing_required_scopes', grantedScopes);
+    throw createHttpError(400, 'threads_required_scopes_missing');
+  }
+  let profiles;
+  try {
+    profiles = await discoverProfile(transaction, tokenBody.access_token, providerSubject);
+  } catch (error) {
+    await markAuthorizationFailed(transaction, error.code || 'profile_discovery_failed');
+    throw error;
+  }
+  try {
+    const saved = await saveAuthorizationResult(transaction, tokenBody, grantedScopes, profiles, providerSubject);
+    return {
+      return_path: transaction.return_path,
+      outcome: transaction.target_connection_id ? 'reconnected' : 'selection_required',
+      discovered_profile_count: saved.discoveredProfileCount
+    };
+  } catch (error) {
+    await markAuthorizationFailed(transaction, error.code || 'storage_failed');
+    throw error;
+  }
+}
+
+async function selectThreadsResource(userId, workspaceId, resourceId) {
+  if (!resourceId) throw createHttpError(400, 'threads_resource_required');
+  return withConnection(async connection => {
+    const readiness = await requireThreadsReady(connection);
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', THREADS_PROVIDER);
+    await connection.beginTransaction();
+    try {
+      const rows = await connection.query(
+        `SELECT pr.*, pauth.status AS authorization_status, pauth.id AS authorization_id
+         FROM provider_resources pr
+         JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+         WHERE pr.id = ? AND pr.workspace_id = ? AND pr.provider = ?
+           AND pr.resource_type = 'threads_profile'
+         LIMIT 1 FOR UPDATE`,
+        [resourceId, workspaceId, THREADS_PROVIDER]
+      );
+      const resource = rows[0] || null;
+      if (!resource) throw createHttpError(404, 'threads_resource_not_found');
+      if (resource.authorization_status !== 'active') throw createHttpError(409, 'threads_authorization_not_active');
+      const metadata = parseJson(resource.metadata, {});
+      const scopes = await connection.query(
+        `SELECT scope FROM provider_authorization_scopes
+         WHERE provider_authorization_id = ? AND status = 'granted'`,
+        [resource.authorization_id]
+      );
+      if (!threads.hasExactScopes(scopes.map(row => row.scope))) {
+        throw createHttpError(409, 'threads_required_scopes_missing');
+      }
+      const existing = await connection.query(
+        `SELECT id FROM workspace_provider_connections
+         WHERE workspace_id = ? AND provider_resource_id = ? LIMIT 1`,
+        [workspaceId, resourceId]
+      );
+      if (existing[0]) throw createHttpError(409, 'threads_profile_already_connected');
+      const dataSourceId = createId();
+      const connectionId = createId();
+      await connection.query(
+        `INSERT INTO data_sources (id, workspace_id, provider, status, next_sync_at)
+         VALUES (?, ?, ?, 'active', UTC_TIMESTAMP(3))`,
+        [dataSourceId, workspaceId, THREADS_PROVIDER]
+      );
+      await connection.query(
+        `INSERT INTO provider_accounts
+          (id, workspace_id, data_source_id, provider, provider_account_id, username, display_name, metadata)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          createId(), workspaceId, dataSourceId, THREADS_PROVIDER, resource.provider_resource_id,
+          metadata.username || null, resource.display_name, JSON.stringify(metadata)
+        ]
+      );
+      await connection.query(
+        `INSERT INTO workspace_provider_connections
+          (id, workspace_id, provider_resource_id, data_source_id, provider, status, next_sync_at)
+         VALUES (?, ?, ?, ?, ?, 'active', UTC_TIMESTAMP(3))`,
+        [connectionId, workspaceId, resourceId, dataSourceId, THREADS_PROVIDER]
+      );
+      for (const capability of THREADS_CAPABILITIES) {
+        await connection.query(
+          `INSERT INTO provider_capabilities
+            (id, workspace_provider_connection_id, capability_key, status)
+           VALUES (?, ?, ?, 'available')`,
+          [createId(), connectionId, capability]
+        );
+      }
+      for (const syncKey of ['threads.profile', 'threads.insights', 'threads.posts']) {
+        await connection.query(
+          `INSERT INTO provider_sync_states
+            (id, workspace_provider_connection_id, sync_key, cursor_state, api_version)
+           VALUES (?, ?, ?, JSON_OBJECT(), ?)`,
+          [createId(), connectionId, syncKey, readiness.apiVersion]
+        );
+      }
+      await connection.query(
+        `INSERT INTO sync_jobs (id, data_source_id, run_after, status)
+         VALUES (?, ?, UTC_TIMESTAMP(3), 'due')`,
+        [createId(), dataSourceId]
+      );
+      await writeAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'connection.threads.resource_selected',
+        targetType: 'workspace_provider_connection',
+        targetId: connectionId,
+        metadata: { provider: THREADS_PROVIDER }
+      });
+      await connection.commit();
+      return {
+        connection: {
+          id: connectionId,
+          data_source_id: dataSourceId,
+          status: 'active',
+          profile: {
+            id: resource.provider_resource_id,
+            display_name: resource.display_name,
+            username: metadata.username || null,
+            profile_url: metadata.profileUrl || null
+          }
+        }
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function listThreadsResources(userId, workspaceId) {
+  return withConnection(async connection => {
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', THREADS_PROVIDER);
+    const rows = await connection.query(
+      `SELECT pr.id, pr.provider_resource_id, pr.display_name, pr.metadata, wpc.id AS connection_id
+       FROM provider_resources pr
+       JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+       LEFT JOIN workspace_provider_connections wpc ON wpc.provider_resource_id = pr.id
+       WHERE pr.workspace_id = ? AND pr.provider = ? AND pauth.status = 'active'
+       ORDER BY pr.display_name`,
+      [workspaceId, THREADS_PROVIDER]
+    );
+    return rows.map(row => {
+      const metadata = parseJson(row.metadata, {});
+      return {
+        id: row.id,
+        profile_id: row.provider_resource_id,
+        display_name: row.display_name,
+        username: metadata.username || null,
+        profile_url: metadata.profileUrl || null,
+        selectable: Boolean(metadata.selectable) && !row.connection_id,
+        connection_id: row.connection_id || null
+      };
+    });
+  });
+}
+
+async function loadAuthorizationForDisconnect(connection, workspaceId, connectionId) {
+  const params = [workspaceId, THREADS_PROVIDER];
+  const clause = connectionId ? 'AND wpc.id = ?' : '';
+  if (connectionId) params.push(connectionId);
+  const rows = await connection.query(
+    `SELECT pauth.id AS authorization_id, wpc.id AS connection_id, wpc.data_source_id,
+            (SELECT COUNT(*) FROM workspace_provider_connections sibling
+             JOIN provider_resources sibling_resource ON sibling_resource.id = sibling.provider_resource_id
+             WHERE sibling_resource.provider_authorization_id = pauth.id) AS connection_count
+     FROM provider_authorizations pauth
+     LEFT JOIN provider_resources pr ON pr.provider_authorization_id = pauth.id
+     LEFT JOIN workspace_provider_connections wpc ON wpc.provider_resource_id = pr.id
+     WHERE pauth.workspace_id = ? AND pauth.provider = ? ${clause}
+       AND pauth.status IN ('active', 'authorizing', 'reconnect_required', 'disabled')
+     ORDER BY pauth.updated_at DESC LIMIT 1`,
+    params
+  );
+  return rows[0] || null;
+}
+
+async function purgeThreadsAuthorization(connection, authorizationId, outcomeCategory, actorUserId = null) {
+  const authRows = await connection.query(
+    `SELECT workspace_id FROM provider_authorizations
+     WHERE id = ? AND provider = ? LIMIT 1 FOR UPDATE`,
+    [authorizationId, THREADS_PROVIDER]
+  );
+  const authorization = authRows[0] || null;
+  if (!authorization) return null;
+  const sourceRows = await connection.query(
+    `SELECT DISTINCT wpc.data_source_id
+     FROM workspace_provider_connections wpc
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     WHERE pr.provider_authorization_id = ? AND wpc.data_source_id IS NOT NULL`,
+    [authorizationId]
+  );
+  const connectionRows = await connection.query(
+    `SELECT wpc.id FROM workspace_provider_connections wpc
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     WHERE pr.provider_authorization_id = ? ORDER BY wpc.created_at`,
+    [authorizationId]
+  );
+  await connection.query(
+    'DELETE FROM provider_request_events WHERE provider_authorization_id = ? AND provider = ?',
+    [authorizationId, THREADS_PROVIDER]
+  );
+  await connection.query(
+    'DELETE FROM oauth_transactions WHERE provider_authorization_id = ? AND provider = ?',
+    [authorizationId, THREADS_PROVIDER]
+  );
+  await connection.query(
+    `INSERT INTO provider_revocation_events
+      (id, provider_authorization_id, workspace_provider_connection_id, actor_user_id,
+       provider, status, failure_category)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      createId(), authorizationId, connectionRows[0] ? connectionRows[0].id : null,
+      actorUserId, THREADS_PROVIDER, 'local_revoked', outcomeCategory
+    ]
+  );
+  await connection.query(
+    `DELETE wpc FROM workspace_provider_connections wpc
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     WHERE pr.provider_authorization_id = ?`,
+    [authorizationId]
+  );
+  for (const source of sourceRows) {
+    await connection.query('DELETE FROM data_sources WHERE id = ?', [source.data_source_id]);
+  }
+  await connection.query('DELETE FROM provider_resources WHERE provider_authorization_id = ?', [authorizationId]);
+  await connection.query('DELETE FROM provider_authorization_credentials WHERE provider_authorization_id = ?', [authorizationId]);
+  await connection.query('DELETE FROM provider_authorization_scopes WHERE provider_authorization_id = ?', [authorizationId]);
+  await connection.query(
+    `UPDATE provider_authorizations
+     SET actor_user_id = NULL, provider_subject = NULL, display_name = NULL,
+         status = 'revoked', revoked_at = UTC_TIMESTAMP(3), updated_at = UTC_TIMESTAMP(3)
+     WHERE id = ?`,
+    [authorizationId]
+  );
+  await writeAuditLog(connection, {
+    workspaceId: authorization.workspace_id,
+    actorUserId,
+    action: 'connection.threads.revoked_and_purged',
+    targetType: 'provider_authorization',
+    targetId: authorizationId,
+    metadata: { outcome_category: outcomeCategory }
+  });
+  return { deletedSourceCount: sourceRows.length };
+}
+
+async function disconnectThreads(userId, workspaceId, connectionId = null) {
+  await withConnection(connection => requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', THREADS_PROVIDER));
+  const result = await revokeThreadsConnection({ workspaceId, connectionId, actorUserId: userId });
+  if (!result) throw createHttpError(404, 'threads_connection_not_found');
+  return result;
+}
+
+async function revokeThreadsConnection({ workspaceId, connectionId = null, actorUserId = null }) {
+  const record = await withConnection(connection => loadAuthorizationForDisconnect(connection, workspaceId, connectionId));
+  if (!record) return null;
+  if (connectionId && Number(record.connection_count) > 1) {
+    await withConnection(async connection => {
+      await connection.beginTransaction();
+      try {
+        await connection.query('DELETE FROM workspace_provider_connections WHERE id = ? AND workspace_id = ?', [connectionId, workspaceId]);
+        if (record.data_source_id) await connection.query('DELETE FROM data_sources WHERE id = ?', [record.data_source_id]);
+        await writeAuditLog(connection, {
+          workspaceId,
+          actorUserId,
+          action: 'connection.threads.resource_disconnected',
+          targetType: 'workspace_provider_connection',
+          targetId: connectionId,
+          metadata: { provider_grant_preserved: true }
+        });
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+    return {
+      disconnected: true,
+      local_data_deleted: true,
+      provider_grant_preserved: true,
+      provider_revoke: { attempted: false, success: false, status: null, outcome_category: 'shared_authorization_preserved' }
+    };
+  }
+  const outcome = 'provider_revoke_unavailable_local_purge';
+  const local = await withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const result = await purgeThreadsAuthorization(connection, record.authorization_id, outcome, actorUserId);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+  return {
+    disconnected: true,
+    local_data_deleted: true,
+    provider_grant_preserved: false,
+    provider_revoke: { attempted: false, success: false, status: null, outcome_category: outcome },
+    deleted_source_count: local ? local.deletedSourceCount : 0
+  };
+}
+
+async function revokeWorkspaceThreadsAuthorizations(workspaceId, limit = 50) {
+  const results = [];
+  while (results.length < limit) {
+    const result = await revokeThreadsConnection({ workspaceId });
+    if (!result) break;
+    results.push({ provider: THREADS_PROVIDER, ...result.provider_revoke });
+  }
+  return results;
+}
+
+async function purgeThreadsAuthorizationBySystem(authorizationId, outcomeCategory) {
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const result = await purgeThreadsAuthorization(connection, authorizationId, outcomeCategory);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+module.exports = {
+  THREADS_CAPABILITIES,
+  THREADS_PROVIDER,
+  completeThreadsConnection,
+  disconnectThreads,
+  threadsFoundationReady,
+  listThreadsResources,
+  normalizeProfile,
+  purgeThreadsAuthorization,
+  purgeThreadsAuthorizationBySystem,
+  requireThreadsReady,
+  revokeThreadsConnection,
+  revokeWorkspaceThreadsAuthorizations,
+  selectThreadsResource,
+  startThreadsConnection
+};
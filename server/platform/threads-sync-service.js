@@ -0,0 +1,856 @@
+const { getConnection } = require('../database');
+const threads = require('../integrations/threads');
+const { createDimensionObservation, createMetricObservation } = require('./observation-contract');
+const { getMetricDefinitions } = require('./provider-registry');
+const { decryptSecret, encryptSecret } = require('./secret-envelope');
+const { createId } = require('./security');
+const { THREADS_CAPABILITIES, purgeThreadsAuthorizationBySystem } = require('./threads-connection-service');
+const { THREADS_API_VERSION, getThreadsConfiguration, getThreadsLimits } = require('./threads-config');
+
+const DEFAULT_SYNC_INTERVAL_SECONDS = 6 * 60 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RANGE_DAYS = Object.freeze([7, 30, 90]);
+
+const FOLLOWER_METRIC = Object.freeze({ key: 'threads.followers', unit: 'count' });
+const VIEW_METRIC = Object.freeze({ key: 'threads.views', field: 'views', unit: 'count' });
+const TOTAL_METRIC_MAP = Object.freeze({
+  likes: Object.freeze({ key: 'threads.likes', field: 'likes', unit: 'count' }),
+  replies: Object.freeze({ key: 'threads.replies', field: 'replies', unit: 'count' }),
+  reposts: Object.freeze({ key: 'threads.reposts', field: 'reposts', unit: 'count' }),
+  quotes: Object.freeze({ key: 'threads.quotes', field: 'quotes', unit: 'count' })
+});
+const POST_METRIC_MAP = Object.freeze({
+  views: VIEW_METRIC,
+  ...TOTAL_METRIC_MAP
+});
+
+function createSyncError(code, result = null) {
+  const provider = result && result.error ? result.error : {};
+  const error = new Error(code);
+  error.code = code;
+  error.syncError = {
+    category: provider.category || 'provider',
+    provider_code: provider.provider_code || code,
+    retryable: provider.retryable === true,
+    terminal: provider.terminal === true,
+    retry_after_seconds: result && result.retryAfterSeconds !== null ? result.retryAfterSeconds : null,
+    message: code
+  };
+  return error;
+}
+
+function internalSyncError(error) {
+  const value = error && error.syncError ? error.syncError : {};
+  return {
+    category: value.category || 'internal',
+    provider_code: value.provider_code || null,
+    retryable: value.retryable === true,
+    terminal: value.terminal === true,
+    retry_after_seconds: value.retry_after_seconds === undefined ? null : value.retry_after_seconds,
+    message: (error && (error.code || error.message)) || 'threads_sync_failed'
+  };
+}
+
+function retryDelaySeconds(error) {
+  if (error && error.retry_after_seconds) return Math.max(60, Number(error.retry_after_seconds));
+  if (error && error.retryable) return 300;
+  return Number(process.env.SYNC_INTERVAL_SECONDS || DEFAULT_SYNC_INTERVAL_SECONDS);
+}
+
+function isUnusableAuthorization(syncError) {
+  return syncError.terminal || ['authentication', 'scope'].includes(syncError.category);
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createSyncError('database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+function parseJson(value, fallback = {}) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function numeric(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(value, days) {
+  const date = new Date(`${value}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return isoDate(date);
+}
+
+function buildInsightsWindow(lookbackDays, now = Date.now()) {
+  const todayMs = Math.floor(now / DAY_MS) * DAY_MS;
+  const endDate = isoDate(new Date(todayMs - DAY_MS));
+  return {
+    startDate: addDays(endDate, -(lookbackDays - 1)),
+    endDate,
+    today: isoDate(new Date(todayMs))
+  };
+}
+
+function buildRangeWindows(endDate) {
+  const ranges = [];
+  for (const days of RANGE_DAYS) {
+    const currentStart = addDays(endDate, -(days - 1));
+    const previousEnd = addDays(currentStart, -1);
+    ranges.push({ key: `${days}d`, days, kind: 'current', startDate: currentStart, endDate });
+    ranges.push({
+      key: `${days}d_previous`,
+      days,
+      kind: 'previous',
+      startDate: addDays(previousEnd, -(days - 1)),
+      endDate: previousEnd
+    });
+  }
+  return ranges;
+}
+
+function insightRows(body, code) {
+  if (!body || typeof body !== 'object' || !Array.isArray(body.data)) throw createSyncError(code);
+  return body.data.filter(row => row && typeof row === 'object' && typeof row.name === 'string');
+}
+
+function totalValue(row) {
+  if (!row) return null;
+  if (row.total_value && typeof row.total_value === 'object') return numeric(row.total_value.value);
+  if (Array.isArray(row.values) && row.values.length > 0) {
+    return row.values.every(value => value && numeric(value.value) !== null)
+      ? row.values.reduce((sum, value) => sum + numeric(value.value), 0)
+      : null;
+  }
+  return null;
+}
+
+function parseProfileInsights(body, window) {
+  const rows = insightRows(body, 'threads_profile_insights_malformed');
+  const views = rows.find(row => row.name === 'views');
+  const days = new Map();
+  for (const value of views && Array.isArray(views.values) ? views.values : []) {
+    const endTime = value && value.end_time ? new Date(value.end_time) : null;
+    if (!endTime || !Number.isFinite(endTime.getTime())) continue;
+    const date = isoDate(new Date(endTime.getTime() - DAY_MS));
+    if (date < window.startDate || date > window.endDate) continue;
+    days.set(date, numeric(value.value));
+  }
+  const followers = totalValue(rows.find(row => row.name === 'followers_count'));
+  return {
+    viewDays: days,
+    followerCount: followers !== null && Number.isInteger(followers) ? followers : null
+  };
+}
+
+function parseRangeTotals(body) {
+  const rows = insightRows(body, 'threads_range_insights_malformed');
+  const totals = {};
+  for (const definition of Object.values(TOTAL_METRIC_MAP)) {
+    totals[definition.field] = totalValue(rows.find(row => row.name === definition.field));
+  }
+  return totals;
+}
+
+function parseProfile(source, body) {
+  if (!body || typeof body !== 'object' || String(body.id || '') !== source.profile_id) {
+    throw createSyncError('threads_profile_response_malformed');
+  }
+  const username = typeof body.username === 'string' ? body.username.trim() : '';
+  if (!/^[A-Za-z0-9_.]{1,100}$/.test(username)) throw createSyncError('threads_profile_response_malformed');
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  return {
+    id: source.profile_id,
+    username,
+    displayName: (name || username).slice(0, 255),
+    profileUrl: `https://www.threads.net/@${encodeURIComponent(username)}`
+  };
+}
+
+function parsePosts(body) {
+  if (!body || typeof body !== 'object' || !Array.isArray(body.data)) {
+    throw createSyncError('threads_posts_response_malformed');
+  }
+  const posts = [];
+  for (const item of body.data) {
+    const id = String(item && item.id || '');
+    if (!threads.THREADS_ID.test(id)) continue;
+    const mediaType = typeof item.media_type === 'string' ? item.media_type.slice(0, 40) : null;
+    if (mediaType === 'REPOST_FACADE') continue;
+    const publishedAt = new Date(item.timestamp);
+    const text = typeof item.text === 'string' ? item.text.replace(/\s+/g, ' ').trim() : '';
+    const permalink = typeof item.permalink === 'string' && /^https:\/\//i.test(item.permalink)
+      ? item.permalink.slice(0, 2048)
+      : null;
+    posts.push({
+      id,
+      publishedAt: Number.isFinite(publishedAt.getTime()) ? publishedAt.toISOString() : null,
+      text: text ? text.slice(0, 2000) : null,
+      url: permalink,
+      mediaType,
+      shortcode: typeof item.shortcode === 'string' ? item.shortcode.slice(0, 64) : null,
+      isQuotePost: item.is_quote_post === true
+    });
+  }
+  return posts;
+}
+
+function parsePostInsights(body) {
+  const rows = insightRows(body, 'threads_post_insights_malformed');
+  const values = {};
+  for (const name of threads.THREADS_POST_METRICS) values[name] = totalValue(rows.find(row => row.name === name));
+  return values;
+}
+
+async function loadSource(connection, dataSourceId) {
+  const rows = await connection.query(
+    `SELECT ds.*, wpc.id AS workspace_provider_connection_id,
+            pr.id AS provider_resource_row_id, pr.provider_resource_id AS profile_id,
+            pr.display_name AS profile_display_name, pr.metadata AS resource_metadata,
+            pauth.id AS provider_authorization_id, pauth.status AS authorization_status,
+            pac.access_token_ciphertext, pac.access_token_iv, pac.access_token_tag,
+            pac.key_version, pac.access_expires_at, pac.revoked_at,
+            COALESCE(pac.access_expires_at <= DATE_ADD(UTC_TIMESTAMP(3), INTERVAL 60 SECOND), 1) AS access_token_expired
+     FROM data_sources ds
+     JOIN workspace_provider_connections wpc ON wpc.data_source_id = ds.id
+     JOIN provider_resources pr ON pr.id = wpc.provider_resource_id
+     JOIN provider_authorizations pauth ON pauth.id = pr.provider_authorization_id
+     JOIN provider_authorization_credentials pac ON pac.provider_authorization_id = pauth.id
+     WHERE ds.id = ? AND ds.provider = 'threads' AND ds.deleted_at IS NULL
+     LIMIT 1`,
+    [dataSourceId]
+  );
+  return rows[0] || null;
+}
+
+async function recordRequestEvent(source, runId, details) {
+  return withConnection(connection => connection.query(
+    `INSERT INTO provider_request_events
+      (id, workspace_id, provider_authorization_id, workspace_provider_connection_id,
+       sync_run_id, provider, request_category, method_name, quota_cost_estimate,
+       page_number, item_count, attempts, status, failure_category, retry_after_seconds)
+     VALUES (?, ?, ?, ?, ?, 'threads', ?, ?, 0, ?, ?, ?, ?, ?, ?)`,
+    [
+      createId(), source.workspace_id, source.provider_authorization_id,
+      source.workspace_provider_connection_id, runId, details.category, details.method,
+      details.pageNumber || null, details.itemCount === undefined ? null : details.itemCount,
+      details.result && Number.isInteger(details.result.attempts) ? details.result.attempts : 1,
+      details.status,
+      details.result && details.result.error ? details.result.error.category : null,
+      details.result ? details.result.retryAfterSeconds : null
+    ]
+  ));
+}
+
+async function callAndRecord(source, runId, details, fn) {
+  const result = await fn();
+  await recordRequestEvent(source, runId, {
+    ...details,
+    result,
+    status: result.ok ? 'success' : 'failed'
+  });
+  if (!result.ok) throw createSyncError(`${details.method}_failed`, result);
+  return result;
+}
+
+async function refreshCredentialsIfNeeded(source, runId, deadlineMs, limits) {
+  const accessToken = decryptSecret({
+    ciphertext: source.access_token_ciphertext,
+    iv: source.access_token_iv,
+    tag: source.access_token_tag,
+    keyVersion: source.key_version
+  });
+  if (Number(source.access_token_expired) === 1) {
+    const error = createSyncError('threads_access_token_expired');
+    error.syncError.category = 'authentication';
+    error.syncError.terminal = true;
+    throw error;
+  }
+  const expiresAt = source.access_expires_at ? new Date(source.access_expires_at).getTime() : 0;
+  if (expiresAt - Date.now() > limits.tokenRefreshDays * DAY_MS) return accessToken;
+  const result = await threads.refreshLongLivedToken(accessToken, { deadlineMs });
+  await recordRequestEvent(source, runId, {
+    category: 'oauth', method: 'oauth.refresh', result, status: result.ok ? 'success' : 'failed'
+  });
+  if (!result.ok || !result.body || !result.body.access_token || Number(result.body.expires_in) <= 0) {
+    if (result.error && result.error.terminal) throw createSyncError('threads_credential_refresh_failed', result);
+    return accessToken;
+  }
+  const access = encryptSecret(result.body.access_token);
+  await withConnection(connection => connection.query(
+    `UPDATE provider_authorization_credentials
+     SET access_token_ciphertext = ?, access_token_iv = ?, access_token_tag = ?,
+         key_version = ?, token_type = ?,
+         access_expires_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+         updated_at = UTC_TIMESTAMP(3)
+     WHERE provider_authorization_id = ?`,
+    [
+      access.ciphertext, access.iv, access.tag, access.keyVersion,
+      result.body.token_type || 'bearer', Number(result.body.expires_in),
+      source.provider_authorization_id
+    ]
+  ));
+  return result.body.access_token;
+}
+
+async function createSyncRun(source, triggerType, correlationId) {
+  const id = createId();
+  await withConnection(connection => connection.query(
+    `INSERT INTO sync_runs
+      (id, workspace_id, data_source_id, workspace_provider_connection_id,
+       trigger_type, status, correlation_id, provider_api_version)
+     VALUES (?, ?, ?, ?, ?, 'running', ?, ?)`,
+    [
+      id, source.workspace_id, source.id, source.workspace_provider_connection_id,
+      triggerType, correlationId || null, THREADS_API_VERSION
+    ]
+  ));
+  return id;
+}
+
+async function optionalStep(errors, failedCapabilities, capability, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    const normalized = internalSyncError(error);
+    if (isUnusableAuthorization(normalized)) throw error;
+    errors.push(normalized);
+    failedCapabilities.add(capability);
+    return null;
+  }
+}
+
+async function fetchInsights(source, runId, accessToken, deadlineMs, limits) {
+  const window = buildInsightsWindow(limits.insightsLookbackDays);
+  const ranges = buildRangeWindows(window.endDate);
+  const errors = [];
+  const failedCapabilities = new Set();
+  const requestOptions = { deadlineMs };
+
+  const profileInsights = await optionalStep(errors, failedCapabilities, 'profile_insights', async () => {
+    const result = await callAndRecord(source, runId, {
+      category: 'analytics_api', method: 'threads_insights.daily'
+    }, () => threads.getProfileInsights(
+      source.profile_id, accessToken, ['views', 'followers_count'], window.startDate, window.endDate, requestOptions
+    ));
+    return parseProfileInsights(result.body, window);
+  });
+
+  const rangeTotals = [];
+  for (const range of ranges) {
+    if (Date.now() >= deadlineMs) throw createSyncError('threads_time_budget_exhausted');
+    const totals = await optionalStep(errors, failedCapabilities, 'profile_insights', async () => {
+      const result = await callAndRecord(source, runId, {
+        category: 'analytics_api', method: `threads_insights.range.${range.key}`
+      }, () => threads.getProfileInsights(
+        source.profile_id, accessToken, threads.THREADS_TOTAL_METRICS, range.startDate, range.endDate, requestOptions
+      ));
+      return parseRangeTotals(result.body);
+    });
+    rangeTotals.push({ range, totals });
+  }
+
+  const posts = await optionalStep(errors, failedCapabilities, 'post_listing', async () => {
+    const result = await callAndRecord(source, runId, {
+      category: 'data_api', method: 'threads.list'
+    }, () => threads.listThreads(source.profile_id, accessToken, limits.maxPosts, requestOptions));
+    return parsePosts(result.body).slice(0, limits.maxPosts);
+  }) || [];
+  const postInsights = new Map();
+  for (const post of posts) {
+    if (Date.now() >= deadlineMs) throw createSyncError('threads_time_budget_exhausted');
+    const values = await optionalStep(errors, failedCapabilities, 'post_insights', async () => {
+      const result = await callAndRecord(source, runId, {
+        category: 'analytics_api', method: 'media.insights'
+      }, () => threads.getPostInsights(post.id, accessToken, requestOptions));
+      return parsePostInsights(result.body);
+    });
+    if (values) postInsights.set(post.id, values);
+  }
+
+  return {
+    window,
+    viewDays: profileInsights ? profileInsights.viewDays : new Map(),
+    followerCount: profileInsights ? profileInsights.followerCount : null,
+    rangeTotals,
+    posts,
+    postInsights,
+    failedCapabilities,
+    errors
+  };
+}
+
+function createStoredMetric(definition, grain, periodStart, periodEnd, value, reason = 'threads_value_not_reported') {
+  const registryDefinition = getMetricDefinitions()[definition.key];
+  const available = value !== null;
+  return createMetricObservation({
+    provider: 'threads',
+    metricKey: definition.key,
+    grain,
+    periodStart,
+    periodEnd,
+    numericValue: available ? value : null,
+    unit: definition.unit,
+    availabilityStatus: available ? 'available' : 'not_reported',
+    availabilityReason: available ? null : reason,
+    definitionVersion: registryDefinition.version
+  });
+}
+
+function metricObservations(insights) {
+  const observations = [];
+  const { window } = insights;
+  if (insights.followerCount !== null) {
+    observations.push(createStoredMetric(FOLLOWER_METRIC, 'snapshot', window.today, window.today, insights.followerCount));
+  }
+  for (const [date, value] of insights.viewDays) {
+    observations.push(createStoredMetric(VIEW_METRIC, 'daily', date, date, value));
+  }
+  for (const { range, totals } of insights.rangeTotals) {
+    for (const definition of Object.values(TOTAL_METRIC_MAP)) {
+      observations.push(createStoredMetric(
+        definition,
+        'range',
+        range.startDate,
+        range.endDate,
+        totals ? totals[definition.field] : null,
+        totals ? 'threads_value_not_reported' : 'threads_range_insights_unavailable'
+      ));
+    }
+  }
+  return observations;
+}
+
+function dimensionObservations(insights) {
+  return insights.posts.map((post, position) => {
+    const values = insights.postInsights.get(post.id) || null;
+    const metrics = {};
+    for (const definition of Object.values(POST_METRIC_MAP)) {
+      const value = values ? values[definition.field] : null;
+      metrics[definition.key] = {
+        value,
+        status: value === null ? (values ? 'not_reported' : 'provider_error') : 'available',
+        reason: value === null ? (values ? 'threads_value_not_reported' : 'threads_post_insights_unavailable') : null
+      };
+    }
+    return createDimensionObservation({
+      provider: 'threads',
+      breakdownKey: 'threads.posts',
+      periodStart: insights.window.startDate,
+      periodEnd: insights.window.endDate,
+      dimensionValues: {
+        post_id: post.id,
+        media_type: post.mediaType || '',
+        published_date: post.publishedAt ? post.publishedAt.slice(0, 10) : '',
+        text: (post.text || '').slice(0, 280),
+        url: post.url && post.url.length <= 512 ? post.url : ''
+      },
+      metrics,
+      rowPosition: position
+    });
+  });
+}
+
+function contentRows(insights) {
+  return insights.posts.map(post => {
+    const values = insights.postInsights.get(post.id) || null;
+    return {
+      id: post.id,
+      publishedAt: post.publishedAt,
+      title: post.text ? post.text.slice(0, 280) : null,
+      description: post.text,
+      shareUrl: post.url,
+      viewCount: values ? values.views : null,
+      likeCount: values ? values.likes : null,
+      commentCount: values ? values.replies : null,
+      shareCount: values ? values.reposts : null,
+      metadata: {
+        media_type: post.mediaType,
+        shortcode: post.shortcode,
+        is_quote_post: post.isQuotePost
+      },
+      providerMetrics: values ? { ...values } : null
+    };
+  });
+}
+
+async function upsertContent(connection, source, runId, row) {
+  const existingRows = await connection.query(
+    `SELECT id FROM content_items WHERE data_source_id = ? AND provider_content_id = ? LIMIT 1`,
+    [source.id, row.id]
+  );
+  const contentItemId = existingRows[0] ? existingRows[0].id : createId();
+  await connection.query(
+    `INSERT INTO content_items
+      (id, workspace_id, data_source_id, provider_content_id, published_at,
+       title, description, share_url, provider_metadata)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       published_at = VALUES(published_at), title = VALUES(title), description = VALUES(description),
+       share_url = VALUES(share_url), provider_metadata = VALUES(provider_metadata),
+       last_seen_at = UTC_TIMESTAMP(3), deleted_at = NULL`,
+    [
+      contentItemId, source.workspace_id, source.id, row.id,
+      row.publishedAt ? new Date(row.publishedAt) : null,
+      row.title, row.description, row.shareUrl, JSON.stringify(row.metadata)
+    ]
+  );
+  await connection.query(
+    `INSERT INTO content_metric_snapshots
+      (id, workspace_id, content_item_id, sync_run_id, observed_at,
+       view_count, like_count, comment_count, share_count, provider_metrics)
+     VALUES (?, ?, ?, ?, UTC_TIMESTAMP(3), ?, ?, ?, ?, ?)`,
+    [
+      createId(), source.workspace_id, contentItemId, runId,
+      row.viewCount, row.likeCount, row.commentCount, row.shareCount,
+      row.providerMetrics ? JSON.stringify(row.providerMetrics) : null
+    ]
+  );
+}
+
+function dataThroughDate(insights) {
+  const dates = [...insights.viewDays.keys()].sort();
+  return dates[dates.length - 1] || null;
+}
+
+async function storeSyncResult(source, runId, profile, insights, startedMs) {
+  const metrics = metricObservations(insights);
+  const dimensions = dimensionObservations(insights);
+  const content = contentRows(insights);
+  const throughDate = dataThroughDate(insights);
+  const dataThroughAt = throughDate ? `${throughDate} 23:59:59` : null;
+  const status = insights.errors.length > 0 ? 'partial' : 'success';
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      const resourceMetadata = {
+        ...parseJson(source.resource_metadata, {}),
+        username: profile.username,
+        displayName: profile.displayName,
+        profileUrl: profile.profileUrl,
+        selectable: true,
+        discoveryStatus: 'available'
+      };
+      await connection.query(
+        `UPDATE provider_resources SET display_name = ?, metadata = ?, updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [profile.displayName, JSON.stringify(resourceMetadata), source.provider_resource_row_id]
+      );
+      await connection.query(
+        `UPDATE provider_accounts SET username = ?, display_name = ?, metadata = ?, updated_at = UTC_TIMESTAMP(3)
+         WHERE data_source_id = ?`,
+        [profile.username, profile.displayName, JSON.stringify(resourceMetadata), source.id]
+      );
+      await connection.query(
+        `INSERT INTO provider_resource_observations
+          (id, workspace_id, workspace_provider_connection_id, sync_run_id, provider,
+           observed_at, data_through_at, source_timezone, observed_values, availability)
+         VALUES (?, ?, ?, ?, 'threads', UTC_TIMESTAMP(3), ?, 'UTC', ?, ?)`,
+        [
+          createId(), source.workspace_id, source.workspace_provider_connection_id, runId, dataThroughAt,
+          JSON.stringify({
+            profile_id: profile.id,
+            username: profile.username,
+            display_name: profile.displayName,
+            follower_count: insights.followerCount,
+            post_count: insights.posts.length
+          }),
+          JSON.stringify({
+            state: throughDate ? 'available' : 'delayed',
+            follower_count: insights.followerCount === null ? 'not_reported' : 'available'
+          })
+        ]
+      );
+      for (const item of metrics) {
+        await connection.query(
+          `INSERT INTO provider_metric_observations
+            (id, workspace_id, workspace_provider_connection_id, sync_run_id, provider,
+             metric_key, grain, period_start, period_end, observed_at, data_through_at,
+             numeric_value, unit, availability_status, availability_reason, definition_version)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3), ?, ?, ?, ?, ?, ?)`,
+          [
+            createId(), source.workspace_id, source.workspace_provider_connection_id, runId,
+            item.provider, item.metricKey, item.grain, item.periodStart, item.periodEnd, dataThroughAt,
+            item.numericValue, item.unit, item.availabilityStatus, item.availabilityReason,
+            item.definitionVersion
+          ]
+        );
+      }
+      for (const item of dimensions) {
+        await connection.query(
+          `INSERT INTO provider_dimension_observations
+            (id, workspace_id, workspace_provider_connection_id, sync_run_id, provider,
+             breakdown_key, period_start, period_end, observed_at, data_through_at,
+             dimension_hash, dimension_values, metric_values, availability, thresholded, row_position)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3), ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            createId(), source.workspace_id, source.workspace_provider_connection_id, runId,
+            item.provider, item.breakdownKey, item.periodStart, item.periodEnd, dataThroughAt,
+            item.dimensionHash, JSON.stringify(item.dimensionValues), JSON.stringify(item.metricValues),
+            JSON.stringify(item.availability), item.thresholded, item.rowPosition
+          ]
+        );
+      }
+      for (const row of content) await upsertContent(connection, source, runId, row);
+      for (const error of insights.errors.slice(0, 20)) {
+        await connection.query(
+          `INSERT INTO sync_errors
+            (id, sync_run_id, category, provider_code, message, retryable)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            createId(), runId, error.category, error.provider_code,
+            String(error.message).slice(0, 512), Boolean(error.retryable)
+          ]
+        );
+      }
+      await connection.query(
+        `UPDATE sync_runs SET status = ?, finished_at = UTC_TIMESTAMP(3), duration_ms = ?,
+             profile_count = 1, content_seen_count = ?, content_snapshot_count = ?
+         WHERE id = ?`,
+        [status, Math.max(0, Date.now() - startedMs), content.length, content.length, runId]
+      );
+      const nextSeconds = Number(process.env.SYNC_INTERVAL_SECONDS || DEFAULT_SYNC_INTERVAL_SECONDS);
+      await connection.query(
+        `UPDATE data_sources SET status = 'active', reconnect_reason = NULL,
+             last_sync_at = UTC_TIMESTAMP(3),
+             last_successful_sync_at = CASE WHEN ? = 'success' THEN UTC_TIMESTAMP(3) ELSE last_successful_sync_at END,
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [status, nextSeconds, source.id]
+      );
+      await connection.query(
+        `UPDATE workspace_provider_connections SET status = 'active', last_sync_at = UTC_TIMESTAMP(3),
+             last_successful_sync_at = CASE WHEN ? = 'success' THEN UTC_TIMESTAMP(3) ELSE last_successful_sync_at END,
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             data_through_at = COALESCE(?, data_through_at), updated_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+        [status, nextSeconds, dataThroughAt, source.workspace_provider_connection_id]
+      );
+      await connection.query(
+        `UPDATE sync_jobs SET status = 'due', run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+             updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+        [nextSeconds, source.id]
+      );
+      const syncStates = [
+        ['threads.profile', { username: profile.username }, false],
+        ['threads.insights', {
+          window_start: insights.window.startDate,
+          window_end: insights.window.endDate,
+          view_day_count: insights.viewDays.size,
+          range_days: RANGE_DAYS
+        }, insights.failedCapabilities.has('profile_insights')],
+        ['threads.posts', { post_count: insights.posts.length },
+          insights.failedCapabilities.has('post_listing') || insights.failedCapabilities.has('post_insights')]
+      ];
+      for (const [syncKey, cursor, failed] of syncStates) {
+        await connection.query(
+          `UPDATE provider_sync_states SET cursor_state = ?, last_attempt_at = UTC_TIMESTAMP(3),
+               last_success_at = CASE WHEN ? THEN last_success_at ELSE UTC_TIMESTAMP(3) END,
+               data_through_at = CASE WHEN ? = 'threads.profile' THEN data_through_at ELSE COALESCE(?, data_through_at) END,
+               failure_category = ?,
+               failure_count = CASE WHEN ? THEN failure_count + 1 ELSE 0 END
+           WHERE workspace_provider_connection_id = ? AND sync_key = ?`,
+          [
+            JSON.stringify(cursor), failed, syncKey, dataThroughAt,
+            failed ? insights.errors[0].category : null, failed,
+            source.workspace_provider_connection_id, syncKey
+          ]
+        );
+      }
+      for (const capability of THREADS_CAPABILITIES) {
+        const delayed = insights.failedCapabilities.has(capability);
+        await connection.query(
+          `UPDATE provider_capabilities SET status = ?, reason = ?, updated_at = UTC_TIMESTAMP(3)
+           WHERE workspace_provider_connection_id = ? AND capability_key = ?`,
+          [
+            delayed ? 'delayed' : 'available', delayed ? 'threads_partial_insights' : null,
+            source.workspace_provider_connection_id, capability
+          ]
+        );
+      }
+      await connection.query(
+        `UPDATE provider_authorizations SET status = 'active', last_validated_at = UTC_TIMESTAMP(3),
+             updated_at = UTC_TIMESTAMP(3) WHERE id = ?`,
+        [source.provider_authorization_id]
+      );
+      await connection.commit();
+      return {
+        status,
+        dataThroughDate: throughDate,
+        metricCount: metrics.length,
+        dimensionCount: dimensions.length,
+        contentCount: content.length
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function finishFailedRun(source, runId, startedMs, syncError) {
+  return withConnection(async connection => {
+    await connection.beginTransaction();
+    try {
+      await connection.query(
+        `UPDATE sync_runs SET status = 'failed', finished_at = UTC_TIMESTAMP(3), duration_ms = ? WHERE id = ?`,
+        [Math.max(0, Date.now() - startedMs), runId]
+      );
+      await connection.query(
+        `INSERT INTO sync_errors
+          (id, sync_run_id, category, provider_code, message, retryable)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          createId(), runId, syncError.category, syncError.provider_code,
+          String(syncError.message).slice(0, 512), Boolean(syncError.retryable)
+        ]
+      );
+      const retrySeconds = retryDelaySeconds(syncError);
+      await connection.query(
+        `UPDATE data_sources SET status = 'active', reconnect_reason = ?, last_sync_at = UTC_TIMESTAMP(3),
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [`${syncError.category}:${syncError.message}`.slice(0, 255), retrySeconds, source.id]
+      );
+      await connection.query(
+        `UPDATE workspace_provider_connections SET last_sync_at = UTC_TIMESTAMP(3),
+             next_sync_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ?`,
+        [retrySeconds, source.workspace_provider_connection_id]
+      );
+      await connection.query(
+        `UPDATE sync_jobs SET status = 'due', run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+             updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+        [retrySeconds, source.id]
+      );
+      await connection.query(
+        `UPDATE provider_capabilities SET status = 'provider_error', reason = ?, updated_at = UTC_TIMESTAMP(3)
+         WHERE workspace_provider_connection_id = ?`,
+        [syncError.message, source.workspace_provider_connection_id]
+      );
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  });
+}
+
+async function performThreadsSyncForJob(job, options = {}) {
+  const startedMs = Date.now();
+  const configuration = getThreadsConfiguration();
+  if (!configuration.connectable) {
+    await withConnection(connection => connection.query(
+      `UPDATE sync_jobs SET status = 'due', run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+           lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+           updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+      [DEFAULT_SYNC_INTERVAL_SECONDS, job.data_source_id]
+    ));
+    return {
+      data_source_id: job.data_source_id,
+      sync_run_id: null,
+      status: 'disabled',
+      error: { category: 'configuration', provider_code: 'threads_not_available', retryable: false, message: 'threads_not_available' },
+      counts: { profile_count: 0, content_seen_count: 0, content_snapshot_count: 0 }
+    };
+  }
+  const limits = getThreadsLimits();
+  const localDeadline = startedMs + limits.jobTimeBudgetSeconds * 1000;
+  const deadlineMs = options.deadlineMs ? Math.min(options.deadlineMs, localDeadline) : localDeadline;
+  let source = null;
+  let runId = null;
+  try {
+    source = await withConnection(connection => loadSource(connection, job.data_source_id));
+    if (!source || source.status !== 'active' || source.authorization_status !== 'active' || source.revoked_at) {
+      throw createSyncError('threads_source_not_syncable');
+    }
+    runId = await createSyncRun(source, options.triggerType || 'scheduled', options.correlationId);
+    const accessToken = await refreshCredentialsIfNeeded(source, runId, deadlineMs, limits);
+    const profileResult = await callAndRecord(source, runId, {
+      category: 'data_api', method: 'me.profile'
+    }, () => threads.getProfile(accessToken, { deadlineMs }));
+    const profile = parseProfile(source, profileResult.body);
+    const insights = await fetchInsights(source, runId, accessToken, deadlineMs, limits);
+    const result = await storeSyncResult(source, runId, profile, insights, startedMs);
+    return {
+      data_source_id: source.id,
+      sync_run_id: runId,
+      status: result.status,
+      error: insights.errors[0] || null,
+      counts: {
+        profile_count: 1,
+        content_seen_count: result.contentCount,
+        content_snapshot_count: result.contentCount
+      },
+      metric_observation_count: result.metricCount,
+      dimension_observation_count: result.dimensionCount,
+      data_through_date: result.dataThroughDate
+    };
+  } catch (error) {
+    const syncError = internalSyncError(error);
+    if (source && isUnusableAuthorization(syncError)) {
+      const outcome = syncError.message === 'threads_access_token_expired'
+        ? 'access_token_expired'
+        : 'authorization_unusable_external_revocation';
+      await purgeThreadsAuthorizationBySystem(source.provider_authorization_id, outcome);
+      return {
+        data_source_id: job.data_source_id,
+        sync_run_id: null,
+        status: 'failed',
+        error: syncError,
+        counts: { profile_count: 0, content_seen_count: 0, content_snapshot_count: 0 }
+      };
+    }
+    if (source && runId) await finishFailedRun(source, runId, startedMs, syncError);
+    else {
+      const retrySeconds = retryDelaySeconds(syncError);
+      await withConnection(connection => connection.query(
+        `UPDATE sync_jobs SET status = 'due', run_after = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             lease_owner = NULL, lease_expires_at = NULL, requested_trigger_type = 'scheduled',
+             updated_at = UTC_TIMESTAMP(3) WHERE data_source_id = ?`,
+        [retrySeconds, job.data_source_id]
+      ));
+    }
+    return {
+      data_source_id: job.data_source_id,
+      sync_run_id: runId,
+      status: 'failed',
+      error: syncError,
+      counts: { profile_count: 0, content_seen_count: 0, content_snapshot_count: 0 }
+    };
+  }
+}
+
+module.exports = {
+  POST_METRIC_MAP,
+  RANGE_DAYS,
+  TOTAL_METRIC_MAP,
+  buildInsightsWindow,
+  buildRangeWindows,
+  contentRows,
+  dimensionObservations,
+  metricObservations,
+  parsePostInsights,
+  parsePosts,
+  parseProfile,
+  parseProfileInsights,
+  parseRangeTotals,
+  performThreadsSyncForJob,
+  retryDelaySeconds
+};
@@ -0,0 +1,387 @@
+const crypto = require('crypto');
+const { getConnection } = require('../database');
+const { consumePasskeyAssertion } = require('./passkey-service');
+const { assertCapability, requiresSecondFactor } = require('./rbac');
+const repositories = require('./repositories');
+const { decryptSecret, encryptSecret } = require('./secret-envelope');
+const { createId } = require('./security');
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW_STEPS = 1;
+const TOTP_SECRET_BYTES = 20;
+const TOTP_MAX_FAILED_ATTEMPTS = 5;
+const TOTP_LOCK_SECONDS = 5 * 60;
+const STEP_UP_MAX_AGE_SECONDS = 10 * 60;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function createTwoFactorError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createTwoFactorError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+function encodeBase32(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function decodeBase32(value) {
+  const normalized = String(value || '').toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let buffer = 0;
+  for (const character of normalized) {
+    const index = BASE32_ALPHABET.indexOf(character);
+    if (index === -1) throw createTwoFactorError(400, 'totp_secret_invalid');
+    buffer = (buffer << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateTotpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step), 0);
+  const digest = crypto.createHmac('sha1', secret).update(counter).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function matchTotpStep(secret, code, { nowMs = Date.now(), lastUsedStep = null } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+  const current = Math.floor(nowMs / 1000 / TOTP_STEP_SECONDS);
+  for (let offset = -TOTP_WINDOW_STEPS; offset <= TOTP_WINDOW_STEPS; offset += 1) {
+    const step = current + offset;
+    if (lastUsedStep !== null && lastUsedStep !== undefined && step <= Number(lastUsedStep)) continue;
+    const expected = Buffer.from(generateTotpCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) return step;
+  }
+  return null;
+}
+
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${query.toString()}`;
+}
+
+function secondFactorState(session) {
+  const ageSeconds = session && session.secondFactor ? session.secondFactor.ageSeconds : null;
+  return {
+    verified: ageSeconds !== null && ageSeconds !== undefined,
+    fresh: ageSeconds !== null && ageSeconds !== undefined && Number(ageSeconds) <= STEP_UP_MAX_AGE_SECONDS
+  };
+}
+
+async function assertSecondFactorForSession(connection, session, { stepUp }) {
+  if (session.apiToken) {
+    const factors = await repositories.countSecondFactors(connection, session.user.id);
+    if (!factors.totp && !factors.passkeys) throw createTwoFactorError(403, 'two_factor_enrollment_required');
+    if (stepUp) throw createTwoFactorError(403, 'step_up_required');
+    return;
+  }
+  const state = secondFactorState(session);
+  if (!state.verified) {
+    const factors = await repositories.countSecondFactors(connection, session.user.id);
+    throw createTwoFactorError(403, factors.totp + factors.passkeys ? 'two_factor_required' : 'two_factor_enrollment_required');
+  }
+  if (stepUp && !state.fresh) throw createTwoFactorError(403, 'step_up_required');
+}
+
+async function assertWorkspaceSecondFactor(session, workspaceId, { stepUp = false } = {}) {
+  if (!session || !session.user || !workspaceId) return;
+  await withConnection(async connection => {
+    const rows = await connection.query(
+      `SELECT m.role, r.capabilities AS custom_role_capabilities, w.require_two_factor
+       FROM workspace_memberships m
+       JOIN workspaces w ON w.id = m.workspace_id
+       LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+       WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active' AND w.deleted_at IS NULL
+       LIMIT 1`,
+      [workspaceId, session.user.id]
+    );
+    await assertMembershipSecondFactor(connection, session, rows[0], { stepUp });
+  });
+}
+
+async function assertMembershipSecondFactor(connection, session, membership, { stepUp = false } = {}) {
+  if (!membership || !Number(membership.require_two_factor) || !requiresSecondFactor(membership)) return;
+  await assertSecondFactorForSession(connection, session, { stepUp });
+}
+
+async function loadTotpFactor(connection, userId) {
+  const rows = await connection.query(
+    `SELECT id, secret_ciphertext, secret_iv, secret_tag, key_version, confirmed_at, last_used_step,
+            failed_attempts, locked_until > UTC_TIMESTAMP(3) AS locked
+     FROM user_totp_factors
+     WHERE user_id = ?
+     LIMIT 1`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+async function consumeTotpCode(connection, factor, code) {
+  if (Number(factor.locked)) throw createTwoFactorError(429, 'totp_locked');
+  const secret = decodeBase32(decryptSecret({
+    ciphertext: factor.secret_ciphertext,
+    iv: factor.secret_iv,
+    tag: factor.secret_tag,
+    keyVersion: factor.key_version
+  }));
+  const step = matchTotpStep(secret, code, { lastUsedStep: factor.last_used_step });
+  if (step === null) {
+    await connection.query(
+      `UPDATE user_totp_factors
+       SET failed_attempts = failed_attempts + 1,
+           locked_until = IF(failed_attempts >= ?, DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND), locked_until),
+           updated_at = UTC_TIMESTAMP(3)
+       WHERE id = ?`,
+      [TOTP_MAX_FAILED_ATTEMPTS, TOTP_LOCK_SECONDS, factor.id]
+    );
+    throw createTwoFactorError(400, 'totp_code_invalid');
+  }
+  const result = await connection.query(
+    `UPDATE user_totp_factors
+     SET last_used_step = ?, failed_attempts = 0, locked_until = NULL,
+         confirmed_at = COALESCE(confirmed_at, UTC_TIMESTAMP(3)), updated_at = UTC_TIMESTAMP(3)
+     WHERE id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+    [step, factor.id, step]
+  );
+  if (Number(result.affectedRows) !== 1) throw createTwoFactorError(400, 'totp_code_invalid');
+}
+
+async function markSessionVerified(connection, userId, sessionId, method) {
+  await connection.query(
+    `UPDATE user_sessions SET second_factor_method = ?, second_factor_verified_at = UTC_TIMESTAMP(3)
+     WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+    [method, sessionId, userId]
+  );
+}
+
+async function loadTwoFactorStatus(connection, userId, sessionId) {
+  const [factor, factors, workspaces, sessions] = await Promise.all([
+    loadTotpFactor(connection, userId),
+    repositories.countSecondFactors(connection, userId),
+    repositories.listSecondFactorWorkspaces(connection, userId),
+    connection.query(
+      `SELECT second_factor_method,
+              TIMESTAMPDIFF(SECOND, second_factor_verified_at, UTC_TIMESTAMP(3)) AS second_factor_age_seconds
+       FROM user_sessions WHERE id = ? AND user_id = ? LIMIT 1`,
+      [sessionId, userId]
+    )
+  ]);
+  const session = sessions[0] || {};
+  const ageSeconds = session.second_factor_age_seconds;
+  const verified = ageSeconds !== null && ageSeconds !== undefined;
+  return {
+    totp_enabled: Boolean(factor && factor.confirmed_at),
+    totp_pending: Boolean(factor && !factor.confirmed_at),
+    passkeys: factors.passkeys,
+    required_by: workspaces.map(workspace => ({ id: workspace.id, name: workspace.name })),
+    session_verified: verified,
+    session_method: verified ? session.second_factor_method : null,
+    step_up_valid_seconds: verified ? Math.max(STEP_UP_MAX_AGE_SECONDS - Number(ageSeconds), 0) : 0
+  };
+}
+
+async function getTwoFactorStatus(userId, sessionId) {
+  return withConnection(connection => loadTwoFactorStatus(connection, userId, sessionId));
+}
+
+async function startTotpEnrollment(userId) {
+  return withConnection(async connection => {
+    const profile = await repositories.getAccountProfile(connection, userId);
+    if (!profile) throw createTwoFactorError(404, 'account_not_found');
+    const existing = await loadTotpFactor(connection, userId);
+    if (existing && existing.confirmed_at) throw createTwoFactorError(409, 'totp_already_enabled');
+    const secret = encodeBase32(crypto.randomBytes(TOTP_SECRET_BYTES));
+    const envelope = encryptSecret(secret);
+    await connection.query(
+      `INSERT INTO user_totp_factors
+        (id, user_id, secret_ciphertext, secret_iv, secret_tag, key_version, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3), UTC_TIMESTAMP(3))
+       ON DUPLICATE KEY UPDATE
+         secret_ciphertext = VALUES(secret_ciphertext), secret_iv = VALUES(secret_iv),
+         secret_tag = VALUES(secret_tag), key_version = VALUES(key_version),
+         last_used_step = NULL, failed_attempts = 0, locked_until = NULL, updated_at = UTC_TIMESTAMP(3)`,
+      [createId(), userId, envelope.ciphertext, envelope.iv, envelope.tag, envelope.keyVersion]
+    );
+    return {
+      secret,
+      otpauth_uri: buildOtpauthUri({
+        secret,
+        accountName: profile.email,
+        issuer: process.env.WEBAUTHN_RP_NAME || 'Social Insights Studio'
+      })
+    };
+  });
+}
+
+async function confirmTotpEnrollment(userId, sessionId, code) {
+  return withConnection(async connection => {
+    const factor = await loadTotpFactor(connection, userId);
+    if (!factor || factor.confirmed_at) throw createTwoFactorError(409, 'totp_enrollment_not_started');
+    await consumeTotpCode(connection, factor, code);
+    await markSessionVerified(connection, userId, sessionId, 'totp');
+    await repositories.createAuditLog(connection, {
+      actorUserId: userId,
+      action: 'two_factor.totp_enabled',
+      targetType: 'user',
+      targetId: userId
+    });
+    return loadTwoFactorStatus(connection, userId, sessionId);
+  });
+}
+
+async function removeTotp(session) {
+  const userId = session.user.id;
+  return withConnection(async connection => {
+    const factor = await loadTotpFactor(connection, userId);
+    if (!factor || !factor.confirmed_at) throw createTwoFactorError(404, 'totp_not_enabled');
+    await assertSecondFactorForSession(connection, session, { stepUp: true });
+    const factors = await repositories.countSecondFactors(connection, userId);
+    if (!factors.passkeys && (await repositories.listSecondFactorWorkspaces(connection, userId)).length) {
+      throw createTwoFactorError(409, 'second_factor_required_by_workspace');
+    }
+    await connection.query('DELETE FROM user_totp_factors WHERE id = ?', [factor.id]);
+    await repositories.createAuditLog(connection, {
+      actorUserId: userId,
+      action: 'two_factor.totp_removed',
+      targetType: 'user',
+      targetId: userId
+    });
+    return loadTwoFactorStatus(connection, userId, session.id);
+  });
+}
+
+async function verifySecondFactor(userId, sessionId, body = {}) {
+  if (!['totp', 'passkey'].includes(body.method)) throw createTwoFactorError(400, 'invalid_second_factor_method');
+  return withConnection(async connection => {
+    if (body.method === 'totp') {
+      const factor = await loadTotpFactor(connection, userId);
+      if (!factor || !factor.confirmed_at) throw createTwoFactorError(409, 'totp_not_enabled');
+      await consumeTotpCode(connection, factor, body.code);
+    } else {
+      await consumePasskeyAssertion(connection, body.credential, { userId });
+    }
+    await markSessionVerified(connection, userId, sessionId, body.method);
+    await repositories.createAuditLog(connection, {
+      actorUserId: userId,
+      action: 'two_factor.verified',
+      targetType: 'user',
+      targetId: userId,
+      metadata: { method: body.method }
+    });
+    return loadTwoFactorStatus(connection, userId, sessionId);
+  });
+}
+
+async function loadWorkspaceSecurity(connection, workspaceId) {
+  const [workspace] = await connection.query(
+    'SELECT require_two_factor FROM workspaces WHERE id = ? AND deleted_at IS NULL LIMIT 1',
+    [workspaceId]
+  );
+  const members = await repositories.listMembers(connection, workspaceId);
+  const privileged = members.filter(member => requiresSecondFactor(member));
+  return {
+    require_two_factor: Boolean(workspace && Number(workspace.require_two_factor)),
+    step_up_max_age_seconds: STEP_UP_MAX_AGE_SECONDS,
+    privileged_members: privileged.length,
+    privileged_members_without_second_factor: privileged.filter(member => !Number(member.two_factor_enabled)).length
+  };
+}
+
+async function requireSecurityMembership(connection, workspaceId, userId, capability) {
+  const membership = await repositories.getMembership(connection, workspaceId, userId);
+  if (!membership) throw createTwoFactorError(404, 'workspace_not_found');
+  assertCapability(membership, capability);
+  return membership;
+}
+
+async function getWorkspaceSecurity(userId, workspaceId) {
+  return withConnection(async connection => {
+    await requireSecurityMembership(connection, workspaceId, userId, 'manageMembers');
+    return loadWorkspaceSecurity(connection, workspaceId);
+  });
+}
+
+async function updateWorkspaceSecurity(session, workspaceId, body = {}) {
+  if (typeof body.require_two_factor !== 'boolean') throw createTwoFactorError(400, 'invalid_workspace_security');
+  const userId = session.user.id;
+  return withConnection(async connection => {
+    await requireSecurityMembership(connection, workspaceId, userId, 'manageSecurity');
+    await assertSecondFactorForSession(connection, session, { stepUp: true });
+    const before = await loadWorkspaceSecurity(connection, workspaceId);
+    if (before.require_two_factor !== body.require_two_factor) {
+      await connection.query('UPDATE workspaces SET require_two_factor = ? WHERE id = ?', [
+        body.require_two_factor,
+        workspaceId
+      ]);
+      await repositories.createAuditLog(connection, {
+        workspaceId,
+        actorUserId: userId,
+        action: 'workspace.two_factor_policy_updated',
+        targetType: 'workspace',
+        targetId: workspaceId,
+        metadata: { require_two_factor: body.require_two_factor }
+      });
+    }
+    return loadWorkspaceSecurity(connection, workspaceId);
+  });
+}
+
+module.exports = {
+  STEP_UP_MAX_AGE_SECONDS,
+  assertMembershipSecondFactor,
+  assertSecondFactorForSession,
+  assertWorkspaceSecondFactor,
+  buildOtpauthUri,
+  confirmTotpEnrollment,
+  decodeBase32,
+  encodeBase32,
+  generateTotpCode,
+  getTwoFactorStatus,
+  getWorkspaceSecurity,
+  loadTwoFactorStatus,
+  matchTotpStep,
+  removeTotp,
+  startTotpEnrollment,
+  updateWorkspaceSecurity,
+  verifySecondFactor
+};
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+
+const COSE_ALGORITHMS = Object.freeze({ ES256: -7, EdDSA: -8, RS256: -257 });
+const SUPPORTED_ALGORITHMS = Object.freeze(Object.values(COSE_ALGORITHMS));
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKUP_ELIGIBLE = 0x08;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+const MAX_CREDENTIAL_ID_BYTES = 1023;
+
+function createWebAuthnError(code) {
+  const error = new Error(code);
+  error.status = 400;
+  error.code = code;
+  return error;
+}
+
+function toBase64Url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+function fromBase64Url(value, code = 'passkey_response_invalid') {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*={0,2}$/.test(value)) throw createWebAuthnError(code);
+  return Buffer.from(value, 'base64url');
+}
+
+function decodeCbor(buffer, start = 0) {
+  let offset = start;
+
+  function need(length) {
+    if (offset + length > buffer.length) throw createWebAuthnError('passkey_cbor_invalid');
+  }
+
+  function readLength(additional) {
+    if (additional < 24) return additional;
+    const sizes = { 24: 1, 25: 2, 26: 4, 27: 8 };
+    const size = sizes[additional];
+    if (!size) throw createWebAuthnError('passkey_cbor_invalid');
+    need(size);
+    let value = 0;
+    for (let index = 0; index < size; index += 1) value = value * 256 + buffer[offset + index];
+    offset += size;
+    if (!Number.isSafeInteger(value)) throw createWebAuthnError('passkey_cbor_invalid');
+    return value;
+  }
+
+  function readItem(depth) {
+    if (depth > 16) throw createWebAuthnError('passkey_cbor_invalid');
+    need(1);
+    const initial = buffer[offset];
+    offset += 1;
+    const major = initial >> 5;
+    const additional = initial & 0x1f;
+    if (major === 7) {
+      if (additional === 20) return false;
+      if (additional === 21) return true;
+      if (additional === 22) return null;
+      throw createWebAuthnError('passkey_cbor_invalid');
+    }
+    const length = readLength(additional);
+    if (major === 0) return length;
+    if (major === 1) return -1 - length;
+    if (major === 2 || major === 3) {
+      need(length);
+      const bytes = buffer.subarray(offset, offset + length);
+      offset += length;
+      return major === 2 ? Buffer.from(bytes) : bytes.toString('utf8');
+    }
+    if (major === 4) {
+      const items = [];
+      for (let index = 0; index < length; index += 1) items.push(readItem(depth + 1));
+      return items;
+    }
+    if (major === 5) {
+      const map = new Map();
+      for (let index = 0; index < length; index += 1) {
+        const key = readItem(depth + 1);
+        map.set(key, readItem(depth + 1));
+      }
+      return map;
+    }
+    throw createWebAuthnError('passkey_cbor_invalid');
+  }
+
+  const value = readItem(0);
+  return { value, offset };
+}
+
+function coseToPublicKey(coseKey) {
+  if (!(coseKey instanceof Map)) throw createWebAuthnError('passkey_public_key_invalid');
+  const keyType = coseKey.get(1);
+  const algorithm = coseKey.get(3);
+  let jwk;
+  if (keyType === 2 && algorithm === COSE_ALGORITHMS.ES256 && coseKey.get(-1) === 1) {
+    jwk = { kty: 'EC', crv: 'P-256', x: toBase64Url(coseKey.get(-2)), y: toBase64Url(coseKey.get(-3)) };
+  } else if (keyType === 1 && algorithm === COSE_ALGORITHMS.EdDSA && coseKey.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: toBase64Url(coseKey.get(-2)) };
+  } else if (keyType === 3 && algorithm === COSE_ALGORITHMS.RS256) {
+    jwk = { kty: 'RSA', n: toBase64Url(coseKey.get(-1)), e: toBase64Url(coseKey.get(-2)) };
+  } else {
+    throw createWebAuthnError('passkey_algorithm_unsupported');
+  }
+  try {
+    return { algorithm, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) };
+  } catch {
+    throw createWebAuthnError('passkey_public_key_invalid');
+  }
+}
+
+function parseAuthenticatorData(buffer) {
+  if (buffer.length < 37) throw createWebAuthnError('passkey_authenticator_data_invalid');
+  const flags = buffer[32];
+  const parsed = {
+    rpIdHash: buffer.subarray(0, 32),
+    flags,
+    userPresent: Boolean(flags & FLAG_USER_PRESENT),
+    userVerified: Boolean(flags & FLAG_USER_VERIFIED),
+    backupEligible: Boolean(flags & FLAG_BACKUP_ELIGIBLE),
+    backedUp: Boolean(flags & FLAG_BACKED_UP),
+    signCount: buffer.readUInt32BE(33),
+    credential: null
+  };
+  if (flags & FLAG_ATTESTED_CREDENTIAL) {
+    if (buffer.length < 55) throw createWebAuthnError('passkey_authenticator_data_invalid');
+    const aaguid = buffer.subarray(37, 53).toString('hex');
+    const idLength = buffer.readUInt16BE(53);
+    if (idLength === 0 || idLength > MAX_CREDENTIAL_ID_BYTES || buffer.length < 55 + idLength) {
+      throw createWebAuthnError('passkey_authenticator_data_invalid');
+    }
+    const credentialId = buffer.subarray(55, 55 + idLength);
+    const { value, offset } = decodeCbor(buffer, 55 + idLength);
+    parsed.credential = {
+      aaguid: aaguid.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5'),
+      id: Buffer.from(credentialId),
+      publicKey: Buffer.from(buffer.subarray(55 + idLength, offset)),
+      coseKey: value
+    };
+  }
+  return parsed;
+}
+
+function parseClientData(encoded, expectedType) {
+  const raw = fromBase64Url(encoded);
+  let clientData;
+  try {
+    clientData = JSON.parse(raw.toString('utf8'));
+  } catch {
+    throw createWebAuthnError('passkey_response_invalid');
+  }
+  if (!clientData || clientData.type !== expectedType || typeof clientData.challenge !== 'string') {
+    throw createWebAuthnError('passkey_response_invalid');
+  }
+  return { raw, clientData };
+}
+
+function readClientDataChallenge(encoded, expectedType) {
+  return parseClientData(encoded, expectedType).clientData.challenge;
+}
+
+function assertClientData(clientData, { challenge, origins }) {
+  if (clientData.challenge !== challenge) throw createWebAuthnError('passkey_challenge_invalid');
+  if (!origins.includes(clientData.origin)) throw createWebAuthnError('passkey_origin_invalid');
+  if (clientData.crossOrigin === true) throw createWebAuthnError('passkey_origin_invalid');
+}
+
+function assertAuthenticatorFlags(authenticatorData, rpId) {
+  const expectedHash = crypto.createHash('sha256').update(rpId).digest();
+  if (!crypto.timingSafeEqual(authenticatorData.rpIdHash, expectedHash)) {
+    throw createWebAuthnError('passkey_rp_id_invalid');
+  }
+  if (!authenticatorData.userPresent || !authenticatorData.userVerified) {
+    throw createWebAuthnError('passkey_user_verification_required');
+  }
+}
+
+function verifyRegistrationResponse(response, { challenge, origins, rpId }) {
+  if (!response || typeof response !== 'object') throw createWebAuthnError('passkey_response_invalid');
+  const { clientData } = parseClientData(response.clientDataJSON, 'webauthn.create');
+  assertClientData(clientData, { challenge, origins });
+  const { value: attestation } = decodeCbor(fromBase64Url(response.attestationObject));
+  if (!(attestation instanceof Map) || !Buffer.isBuffer(attestation.get('authData'))) {
+    throw createWebAuthnError('passkey_response_invalid');
+  }
+  const authenticatorData = parseAuthenticatorData(attestation.get('authData'));
+  assertAuthenticatorFlags(authenticatorData, rpId);
+  if (!authenticatorData.credential) throw createWebAuthnError('passkey_response_invalid');
+  const { algorithm } = coseToPublicKey(authenticatorData.credential.coseKey);
+  return {
+    credentialId: toBase64Url(authenticatorData.credential.id),
+    publicKey: toBase64Url(authenticatorData.credential.publicKey),
+    algorithm,
+    signCount: authenticatorData.signCount,
+    aaguid: authenticatorData.credential.aaguid,
+    backupEligible: authenticatorData.backupEligible,
+    backedUp: authenticatorData.backedUp,
+    attestationFormat: typeof attestation.get('fmt') === 'string' ? attestation.get('fmt') : 'none'
+  };
+}
+
+function verifyAuthenticationResponse(response, { challenge, origins, rpId, credential }) {
+  if (!response || typeof response !== 'object') throw createWebAuthnError('passkey_response_invalid');
+  const { raw, clientData } = parseClientData(response.clientDataJSON, 'webauthn.get');
+  assertClientData(clientData, { challenge, origins });
+  const authenticatorBytes = fromBase64Url(response.authenticatorData);
+  const authenticatorData = parseAuthenticatorData(authenticatorBytes);
+  assertAuthenticatorFlags(authenticatorData, rpId);
+  const { value: coseKey } = decodeCbor(fromBase64Url(credential.publicKey));
+  const { algorithm, key } = coseToPublicKey(coseKey);
+  const signedData = Buffer.concat([authenticatorBytes, crypto.createHash('sha256').update(raw).digest()]);
+  const signature = fromBase64Url(response.signature);
+  let valid = false;
+  try {
+    if (algorithm === COSE_ALGORITHMS.ES256) valid = crypto.verify('sha256', signedData, { key, dsaEncoding: 'der' }, signature);
+    else if (algorithm === COSE_ALGORITHMS.RS256) valid = crypto.verify('sha256', signedData, key, signature);
+    else valid = crypto.verify(null, signedData, key, signature);
+  } catch {
+    valid = false;
+  }
+  if (!valid) throw createWebAuthnError('passkey_signature_invalid');
+  const storedCount = Number(credential.signCount || 0);
+  if ((storedCount > 0 || authenticatorData.signCount > 0) && authenticatorData.signCount <= storedCount) {
+    throw createWebAuthnError('passkey_counter_invalid');
+  }
+  return {
+    signCount: authenticatorData.signCount,
+    backedUp: authenticatorData.backedUp
+  };
+}
+
+module.exports = {
+  COSE_ALGORITHMS,
+  SUPPORTED_ALGORITHMS,
+  decodeCbor,
+  fromBase64Url,
+  readClientDataChallenge,
+  toBase64Url,
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse
+};
@@ -0,0 +1,697 @@
+const crypto = require('crypto');
+const os = require('os');
+const { getConnection } = require('../database');
+const { requireWorkspaceCapability } = require('./dashboard-service');
+const { fetchPublicUrl, isPrivateHostname, privateAddressesAllowed } = require('./outbound-network');
+const repositories = require('./repositories');
+const { decryptSecret, encryptSecret } = require('./secret-envelope');
+const { createId, randomToken } = require('./security');
+
+let fetchImpl = require('node-fetch');
+
+const WEBHOOK_EVENT_TYPES = Object.freeze([
+  'sync_run.completed',
+  'sync_run.failed',
+  'connection.reconnect_required',
+  'report_run.completed'
+]);
+const TEST_EVENT_TYPE = 'webhook.test';
+const MAX_ENDPOINTS_PER_WORKSPACE = 10;
+const MAX_DELIVERIES_PER_PASS = 100;
+const DELIVERY_LIST_LIMIT = 50;
+const REQUEST_TIMEOUT_MS = 10000;
+const LEASE_SECONDS = 60;
+const BASE_BACKOFF_SECONDS = 60;
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+const DELIVERY_RETENTION_DAYS = 30;
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+const SIGNATURE_HEADER = 'x-social-insights-signature';
+const TIMESTAMP_HEADER = 'x-social-insights-timestamp';
+
+function createWebhookError(status, code) {
+  const error = new Error(code);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+async function withConnection(fn) {
+  const connection = await getConnection();
+  if (!connection) throw createWebhookError(503, 'database_not_configured');
+  try {
+    return await fn(connection);
+  } finally {
+    await connection.release();
+  }
+}
+
+function parseJson(value, fallback = null) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function isoDate(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function setWebhookFetchImplementation(nextFetch) {
+  fetchImpl = nextFetch || require('node-fetch');
+}
+
+function defaultLeaseOwner() {
+  return `${os.hostname()}:${process.pid}:${Date.now()}`.slice(0, 128);
+}
+
+function normalizeWebhookUrl(value, env = process.env) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch {
+    throw createWebhookError(400, 'invalid_webhook_url');
+  }
+  const production = String(env.NODE_ENV || '').toLowerCase() === 'production';
+  const allowedProtocol = url.protocol === 'https:' || (!production && url.protocol === 'http:');
+  if (!allowedProtocol || url.username || url.password) throw createWebhookError(400, 'invalid_webhook_url');
+  if (!privateAddressesAllowed(env) && isPrivateHostname(url.hostname)) {
+    throw createWebhookError(400, 'webhook_url_not_public');
+  }
+  url.hash = '';
+  const normalized = url.toString();
+  if (normalized.length > 2048) throw createWebhookError(400, 'invalid_webhook_url');
+  return normalized;
+}
+
+function normalizeEventTypes(value) {
+  if (!Array.isArray(value)) throw createWebhookError(400, 'invalid_webhook_events');
+  const eventTypes = [...new Set(value.map(String))];
+  if (!eventTypes.length || eventTypes.some(eventType => !WEBHOOK_EVENT_TYPES.includes(eventType))) {
+    throw createWebhookError(400, 'invalid_webhook_events');
+  }
+  return WEBHOOK_EVENT_TYPES.filter(eventType => eventTypes.includes(eventType));
+}
+
+function normalizeDescription(value) {
+  if (value === undefined || value === null) return null;
+  const description = String(value).trim();
+  if (description.length > 255) throw createWebhookError(400, 'webhook_description_too_long');
+  return description || null;
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('base64url');
+  return `sha256=${digest}`;
+}
+
+function verifyWebhookSignature(body, headers, secret, options = {}) {
+  const provided = Buffer.from(String(headers[SIGNATURE_HEADER] || ''));
+  const timestamp = Number(headers[TIMESTAMP_HEADER]);
+  const nowSeconds = options.nowSeconds || Math.floor(Date.now() / 1000);
+  const toleranceSeconds = options.toleranceSeconds || SIGNATURE_TOLERANCE_SECONDS;
+  if (!Number.isInteger(timestamp) || Math.abs(nowSeconds - timestamp) > toleranceSeconds) {
+    throw new Error('webhook_signature_expired');
+  }
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, String(body)));
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    throw new Error('webhook_signature_invalid');
+  }
+  return JSON.parse(String(body));
+}
+
+function webhookRetryDelaySeconds(attempts) {
+  return Math.min(MAX_BACKOFF_SECONDS, BASE_BACKOFF_SECONDS * (4 ** Math.max(Number(attempts) - 1, 0)));
+}
+
+function createSigningSecret() {
+  const secret = `whsec_${randomToken(32)}`;
+  const envelope = encryptSecret(secret);
+  return { secret, envelope, hint: secret.slice(-4) };
+}
+
+function serializeEndpoint(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    description: row.description || null,
+    event_types: parseJson(row.event_types, []),
+    status: row.status,
+    secret_hint: row.secret_hint,
+    consecutive_failures: Number(row.consecutive_failures || 0),
+    last_delivery_at: isoDate(row.last_delivery_at),
+    last_failure_code: row.last_failure_code || null,
+    created_at: isoDate(row.created_at),
+    updated_at: isoDate(row.updated_at)
+  };
+}
+
+function serializeDelivery(row) {
+  return {
+    id: row.id,
+    endpoint_id: row.webhook_endpoint_id,
+    event_id: row.event_id,
+    event_type: row.event_type,
+    status: row.status,
+    attempts: Number(row.attempts),
+    max_attempts: Number(row.max_attempts),
+    next_attempt_at: row.status === 'pending' ? isoDate(row.run_after) : null,
+    response_status: row.response_status === null ? null : Number(row.response_status),
+    duration_ms: row.duration_ms === null ? null : Number(row.duration_ms),
+    failure_code: row.failure_code || null,
+    delivered_at: isoDate(row.delivered_at),
+    redelivery_of_id: row.redelivery_of_id || null,
+    created_at: isoDate(row.created_at),
+    payload: parseJson(row.payload, null)
+  };
+}
+
+async function loadWebhooks(connection, workspaceId) {
+  const [endpoints, deliveries] = await Promise.all([
+    connection.query(
+      'SELECT * FROM webhook_endpoints WHERE workspace_id = ? ORDER BY created_at ASC, id ASC',
+      [workspaceId]
+    ),
+    connection.query(
+      `SELECT * FROM webhook_deliveries
+       WHERE workspace_id = ?
+       ORDER BY created_at DESC, id DESC
+       LIMIT ?`,
+      [workspaceId, DELIVERY_LIST_LIMIT]
+    )
+  ]);
+  return {
+    event_types: WEBHOOK_EVENT_TYPES,
+    endpoints: endpoints.map(serializeEndpoint),
+    deliveries: deliveries.map(serializeDelivery)
+  };
+}
+
+async function findEndpoint(connection, workspaceId, endpointId) {
+  const rows = await connection.query(
+    'SELECT * FROM webhook_endpoints WHERE id = ? AND workspace_id = ? LIMIT 1',
+    [endpointId, workspaceId]
+  );
+  if (!rows[0]) throw createWebhookError(404, 'webhook_endpoint_not_found');
+  return rows[0];
+}
+
+async function insertDelivery(connection, endpoint, event, options = {}) {
+  const id = createId();
+  await connection.query(
+    `INSERT INTO webhook_deliveries
+      (id, workspace_id, webhook_endpoint_id, event_id, event_type, payload,
+       redelivery_of_id, requested_by_user_id, run_after, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3), UTC_TIMESTAMP(3), UTC_TIMESTAMP(3))`,
+    [
+      id,
+      endpoint.workspace_id,
+      endpoint.id,
+      event.id,
+      event.type,
+      event.body,
+      options.redeliveryOfId || null,
+      options.requestedByUserId || null
+    ]
+  );
+  return id;
+}
+
+async function queueWebhookEvent(connection, workspaceId, eventType, data, options = {}) {
+  const endpoints = options.endpointId
+    ? await connection.query(
+      `SELECT id, workspace_id FROM webhook_endpoints
+       WHERE id = ? AND workspace_id = ? AND status = 'active'`,
+      [options.endpointId, workspaceId]
+    )
+    : await connection.query(
+      `SELECT id, workspace_id FROM webhook_endpoints
+       WHERE workspace_id = ? AND status = 'active' AND JSON_CONTAINS(event_types, JSON_QUOTE(?))`,
+      [workspaceId, eventType]
+    );
+  if (!endpoints.length) return { event_id: null, deliveries: 0 };
+  const eventId = createId();
+  const body = JSON.stringify({
+    id: eventId,
+    type: eventType,
+    created_at: new Date().toISOString(),
+    workspace_id: workspaceId,
+    data
+  });
+  for (const endpoint of endpoints) {
+    await insertDelivery(connection, endpoint, { id: eventId, type: eventType, body }, options);
+  }
+  return { event_id: eventId, deliveries: endpoints.length };
+}
+
+async function captureWorkspaceSourceStatuses(dataSourceId) {
+  try {
+    return await withConnection(connection => connection.query(
+      `SELECT ds.id, ds.status
+       FROM data_sources ds
+       JOIN data_sources job ON job.workspace_id = ds.workspace_id
+       WHERE job.id = ?`,
+      [dataSourceId]
+    ));
+  } catch {
+    return null;
+  }
+}
+
+async function queueSyncWebhookEvents(dataSourceId, result, previousStatuses) {
+  try {
+    return await withConnection(async connection => {
+      let queued = 0;
+      const runs = result && result.sync_run_id
+        ? await connection.query(
+          `SELECT sr.id, sr.workspace_id, sr.data_source_id, sr.trigger_type, sr.status,
+                  sr.started_at, sr.finished_at, ds.provider
+           FROM sync_runs sr
+           JOIN data_sources ds ON ds.id = sr.data_source_id
+           WHERE sr.id = ? LIMIT 1`,
+          [result.sync_run_id]
+        )
+        : [];
+      const run = runs[0];
+      if (run && ['success', 'partial', 'failed'].includes(run.status)) {
+        const failed = run.status === 'failed';
+        const event = await queueWebhookEvent(connection, run.workspace_id, failed ? 'sync_run.failed' : 'sync_run.completed', {
+          sync_run_id: run.id,
+          data_source_id: run.data_source_id,
+          provider: run.provider,
+          status: run.status,
+          trigger_type: run.trigger_type,
+          started_at: isoDate(run.started_at),
+          finished_at: isoDate(run.finished_at),
+          error_category: result.error && result.error.category ? result.error.category : null
+        });
+        queued += event.deliveries;
+      }
+      if (previousStatuses) {
+        const previous = new Map(previousStatuses.map(row => [row.id, row.status]));
+        const sources = await connection.query(
+          `SELECT ds.id, ds.workspace_id, ds.provider
+           FROM data_sources ds
+           JOIN data_sources job ON job.workspace_id = ds.workspace_id
+           WHERE job.id = ? AND ds.status = 'reconnect_required'`,
+          [dataSourceId]
+        );
+        for (const source of sources) {
+          if (!previous.has(source.id) || previous.get(source.id) === 'reconnect_required') continue;
+          const event = await queueWebhookEvent(connection, source.workspace_id, 'connection.reconnect_required', {
+            data_source_id: source.id,
+            provider: source.provider,
+            previous_status: previous.get(source.id)
+          });
+          queued += event.deliveries;
+        }
+      }
+      return { queued };
+    });
+  } catch {
+    return { queued: 0 };
+  }
+}
+
+async function getWorkspaceWebhooks(userId, workspaceId) {
+  return withConnection(async connection => {
+    await requireWorkspaceCapability(connection, workspaceId, userId, 'manageWebhooks');
+    return loadWebhooks(connection, workspaceId);
+  });
+}
+
+async function createWebhookEndpoint(userId, workspaceId, body = {}) {
+  const url = normalizeWebhookUrl(body.url);
+  const eventTypes = normalizeEventTypes(body.event_types);
+  const description = normalizeDescription(body.description);
+  return withConnection(async connection => {
+    await requireWorkspaceCapability(connection, workspaceId, userId, 'manageWebhooks');
+    const counts = await connection.query(
+      'SELECT COUNT(*) AS count FROM webhook_endpoints WHERE workspace_id = ?',
+      [workspaceId]
+    );
+    if (Number(counts[0].count) >= MAX_ENDPOINTS_PER_WORKSPACE) {
+      throw createWebhookError(409, 'webhook_endpoint_limit_reached');
+    }
+    const id = createId();
+    const { secret, envelope, hint } = createSigningSecret();
+    await connection.query(
+      `INSERT INTO webhook_endpoints
+        (id, workspace_id, url, description, event_types, signing_secret_ciphertext, signing_secret_iv,
+         signing_secret_tag, key_version, secret_hint, created_by_user_id, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3), UTC_TIMESTAMP(3))`,
+      [
+        id,
+        workspaceId,
+        url,
+        description,
+        JSON.stringify(eventTypes),
+        envelope.ciphertext,
+        envelope.iv,
+        envelope.tag,
+        envelope.keyVersion,
+        hint,
+        userId
+      ]
+    );
+    await repositories.createAuditLog(connection, {
+      workspaceId,
+      actorUserId: userId,
+      action: 'webhook.created',
+      targetType: 'webhook_endpoint',
+      targetId: id,
+      metadata: { host: new URL(url).host, event_types: eventTypes }
+    });
+    return { ...(await loadWebhooks(connection, workspaceId)), endpoint_id: id, secret };
+  });
+}
+
+async function updateWebhookEndpoint(userId, workspaceId, endpointId, body = {}) {
+  return withConnection(async connection => {
+    await requireWorkspaceCapability(connection, workspaceId, userId, 'manageWebhooks');
+    const endpoint = await findEndpoint(connection, workspaceId, endpointId);
+    const url = body.url === undefined ? endpoint.url : normalizeWebhookUrl(body.url);
+    const eventTypes = body.event_types === undefined
+      ? parseJson(endpoint.event_types, [])
+      : normalizeEventTypes(body.event_types);
+    const description = body.description === undefined ? endpoint.description : normalizeDescription(body.description);
+    const status = body.status === undefined ? endpoint.status : String(body.status);
+    if (!['active', 'disabled'].includes(status)) throw createWebhookError(400, 'invalid_webhook_status');
+    const rotated = body.rotate_secret === true ? createSigningSecret() : null;
+    await connection.query(
+      `UPDATE webhook_endpoints
+       SET url = ?, description = ?, event_types = ?, status = ?,
+           consecutive_failures = IF(? = 'active' AND status <> 'active', 0, consecutive_failures),
+           signing_secret_ciphertext = COALESCE(?, signing_secret_ciphertext),
+           signing_secret_iv = COALESCE(?, signing_secret_iv),
+           signing_secret_tag = COALESCE(?, signing_secret_tag),
+           key_version = COALESCE(?, key_version),
+           secret_hint = COALESCE(?, secret_hint),
+           updated_at = UTC_TIMESTAMP(3)
+       WHERE id = ? AND workspace_id = ?`,
+      [
+        url,
+        description,
+        JSON.stringify(eventTypes),
+        status,
+        status,
+        rotated && rotated.envelope.ciphertext,
+        rotated && rotated.envelope.iv,
+        rotated && rotated.envelope.tag,
+        rotated && rotated.envelope.keyVersion,
+        rotated && rotated.hint,
+        endpointId,
+        workspaceId
+      ]
+    );
+    await repositories.createAuditLog(connection, {
+      workspaceId,
+      actorUserId: userId,
+      action: rotated ? 'webhook.secret_rotated' : 'webhook.updated',
+      targetType: 'webhook_endpoint',
+      targetId: endpointId,
+      metadata: { host: new URL(url).host, event_types: eventTypes, status }
+    });
+    const result = await loadWebhooks(connection, workspaceId);
+    return rotated ? { ...result, endpoint_id: endpointId, secret: rotated.secret } : result;
+  });
+}
+
+async function deleteWebhookEndpoint(userId, workspaceId, endpointId) {
+  return withConnection(async connection => {
+    await requireWorkspaceCapability(connection, workspaceId, userId, 'manageWebhooks');
+    const endpoint = await findEndpoint(connection, workspaceId, endpointId);
+    await connection.query('DELETE FROM webhook_endpoints WHERE id = ? AND workspace_id = ?', [endpointId, workspaceId]);
+    await repositories.createAuditLog(connection, {
+      workspaceId,
+      actorUserId: userId,
+      action: 'webhook.deleted',
+      targetType: 'webhook_endpoint',
+      targetId: endpointId,
+      metadata: { host: new URL(endpoint.url).host }
+    });
+    return loadWebhooks(connection, workspaceId);
+  });
+}
+
+async function sendWebhookTest(userId, workspaceId, endpointId) {
+  return withConnection(async connection => {
+    await requireWorkspaceCapability(connection, workspaceId, userId, 'manageWebhooks');
+    const endpoint = await findEndpoint(connection, workspaceId, endpointId);
+    if (endpoint.status !== 'active') throw createWebhookError(409, 'webhook_endpoint_disabled');
+    const event = await queueWebhookEvent(
+      connection,
+      workspaceId,
+      TEST_EVENT_TYPE,
+      { message: 'Test event from Social Insights Studio.' },
+      { endpointId, requestedByUserId: userId }
+    );
+    await repositories.createAuditLog(connection, {
+      workspaceId,
+      actorUserId: userId,
+      action: 'webhook.test_queued',
+      targetType: 'webhook_endpoint',
+      targetId: endpointId,
+      metadata: { event_id: event.event_id }
+    });
+    return loadWebhooks(connection, workspaceId);
+  });
+}
+
+async function redeliverWebhook(userId, workspaceId, deliveryId) {
+  return withConnection(async connection => {
+    await requireWorkspaceCapability(connection, workspaceId, userId, 'manageWebhooks');
+    const rows = await connection.query(
+      `SELECT d.id, d.event_id, d.event_type, d.payload, d.status, e.id AS endpoint_id,
+              e.workspace_id, e.status AS endpoint_status
+       FROM webhook_deliveries d
+       JOIN webhook_endpoints e ON e.id = d.webhook_endpoint_id AND e.workspace_id = d.workspace_id
+       WHERE d.id = ? AND d.workspace_id = ?
+       LIMIT 1`,
+      [deliveryId, workspaceId]
+    );
+    const delivery = rows[0];
+    if (!delivery) throw createWebhookError(404, 'webhook_delivery_not_found');
+    if (delivery.endpoint_status !== 'active') throw createWebhookError(409, 'webhook_endpoint_disabled');
+    if (['pending', 'sending'].includes(delivery.status)) throw createWebhookError(409, 'webhook_delivery_in_progress');
+    const id = await insertDelivery(
+      connection,
+      { id: delivery.endpoint_id, workspace_id: delivery.workspace_id },
+      { id: delivery.event_id, type: delivery.event_type, body: delivery.payload },
+      { redeliveryOfId: delivery.id, requestedByUserId: userId }
+    );
+    await repositories.createAuditLog(connection, {
+      workspaceId,
+      actorUserId: userId,
+      action: 'webhook.redelivered',
+      targetType: 'webhook_endpoint',
+      targetId: delivery.endpoint_id,
+      metadata: { event_id: delivery.event_id, event_type: delivery.event_type, webhook_delivery_id: id }
+    });
+    return loadWebhooks(connection, workspaceId);
+  });
+}
+
+async function failAbandonedWebhookDeliveries(connection) {
+  const result = await connection.query(
+    `UPDATE webhook_deliveries
+     SET status = 'failed', failure_code = 'webhook_delivery_lease_expired',
+         lease_owner = NULL, lease_expires_at = NULL, updated_at = UTC_TIMESTAMP(3)
+     WHERE status = 'sending' AND lease_expires_at < UTC_TIMESTAMP(3) AND attempts >= max_attempts
+     LIMIT 100`
+  );
+  return Number(result.affectedRows || 0);
+}
+
+async function pruneWebhookDeliveries(connection) {
+  const result = await connection.query(
+    `DELETE FROM webhook_deliveries
+     WHERE status IN ('delivered', 'failed', 'skipped')
+       AND created_at < DATE_SUB(UTC_TIMESTAMP(3), INTERVAL ? DAY)
+     LIMIT 500`,
+    [DELIVERY_RETENTION_DAYS]
+  );
+  return Number(result.affectedRows || 0);
+}
+
+async function claimNextWebhookDelivery(owner) {
+  return withConnection(async connection => {
+    const candidates = await connection.query(
+      `SELECT id FROM webhook_deliveries
+       WHERE attempts < max_attempts
+         AND (
+           (status = 'pending' AND run_after <= UTC_TIMESTAMP(3))
+           OR (status = 'sending' AND lease_expires_at < UTC_TIMESTAMP(3))
+         )
+       ORDER BY run_after ASC, created_at ASC
+       LIMIT 5`
+    );
+    for (const candidate of candidates) {
+      const result = await connection.query(
+        `UPDATE webhook_deliveries
+         SET status = 'sending', attempts = attempts + 1, lease_owner = ?,
+             lease_expires_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+             failure_code = NULL, updated_at = UTC_TIMESTAMP(3)
+         WHERE id = ? AND attempts < max_attempts
+           AND (
+             (status = 'pending' AND run_after <= UTC_TIMESTAMP(3))
+             OR (status = 'sending' AND lease_expires_at < UTC_TIMESTAMP(3))
+           )`,
+        [owner, LEASE_SECONDS, candidate.id]
+      );
+      if (Number(result.affectedRows || 0) !== 1) continue;
+      const rows = await connection.query(
+        `SELECT d.*, e.url, e.status AS endpoint_status, e.signing_secret_ciphertext, e.signing_secret_iv,
+                e.signing_secret_tag, e.key_version
+         FROM webhook_deliveries d
+         JOIN webhook_endpoints e ON e.id = d.webhook_endpoint_id AND e.workspace_id = d.workspace_id
+         WHERE d.id = ? LIMIT 1`,
+        [candidate.id]
+      );
+      if (rows[0]) return rows[0];
+    }
+    return null;
+  });
+}
+
+async function finishWebhookDelivery(delivery, owner, outcome) {
+  const retry = outcome.status === 'failed' && Number(delivery.attempts) < Number(delivery.max_attempts);
+  const status = retry ? 'pending' : outcome.status;
+  await withConnection(async connection => {
+    await connection.query(
+      `UPDATE webhook_deliveries
+       SET status = ?, response_status = ?, duration_ms = ?, failure_code = ?,
+           run_after = CASE WHEN ? THEN DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND) ELSE run_after END,
+           delivered_at = CASE WHEN ? = 'delivered' THEN UTC_TIMESTAMP(3) ELSE delivered_at END,
+           lease_owner = NULL, lease_expires_at = NULL, updated_at = UTC_TIMESTAMP(3)
+       WHERE id = ? AND status = 'sending' AND lease_owner = ?`,
+      [
+        status,
+        outcome.responseStatus || null,
+        outcome.durationMs === undefined ? null : outcome.durationMs,
+        outcome.failureCode || null,
+        retry,
+        webhookRetryDelaySeconds(delivery.attempts),
+        status,
+        delivery.id,
+        owner
+      ]
+    );
+    if (status === 'delivered') {
+      await connection.query(
+        `UPDATE webhook_endpoints
+         SET consecutive_failures = 0, last_delivery_at = UTC_TIMESTAMP(3), last_failure_code = NULL
+         WHERE id = ?`,
+        [delivery.webhook_endpoint_id]
+      );
+    } else if (status !== 'skipped') {
+      await connection.query(
+        `UPDATE webhook_endpoints
+         SET consecutive_failures = consecutive_failures + IF(?, 0, 1), last_failure_code = ?
+         WHERE id = ?`,
+        [retry, outcome.failureCode, delivery.webhook_endpoint_id]
+      );
+    }
+  });
+  return { webhook_delivery_id: delivery.id, status, failure_code: outcome.failureCode || null };
+}
+
+function webhookNetworkFailureCode(error) {
+  if (error && error.code === 'outbound_address_not_public') return 'webhook_url_not_public';
+  if (error && error.code === 'outbound_address_unresolved') return 'webhook_dns_failed';
+  return error && error.name === 'AbortError' ? 'webhook_timeout' : 'webhook_network_error';
+}
+
+async function attemptWebhookDelivery(delivery, owner) {
+  if (delivery.endpoint_status !== 'active') {
+    return finishWebhookDelivery(delivery, owner, { status: 'skipped', failureCode: 'webhook_endpoint_disabled' });
+  }
+  let secret;
+  try {
+    secret = decryptSecret({
+      ciphertext: delivery.signing_secret_ciphertext,
+      iv: delivery.signing_secret_iv,
+      tag: delivery.signing_secret_tag,
+      keyVersion: delivery.key_version
+    });
+  } catch {
+    return finishWebhookDelivery(delivery, owner, { status: 'failed', failureCode: 'webhook_secret_unavailable' });
+  }
+  const timestamp = Math.floor(Date.now() / 1000);
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  const startedMs = Date.now();
+  try {
+    const response = await fetchPublicUrl(fetchImpl, delivery.url, {
+      method: 'POST',
+      redirect: 'manual',
+      signal: controller.signal,
+      headers: {
+        'content-type': 'application/json',
+        'user-agent': 'SocialInsightsStudio-Webhooks/1',
+        'x-social-insights-event': delivery.event_type,
+        'x-social-insights-delivery': delivery.id,
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: signWebhookPayload(secret, timestamp, delivery.payload)
+      },
+      body: delivery.payload
+    });
+    if (response.body && typeof response.body.destroy === 'function') response.body.destroy();
+    const durationMs = Date.now() - startedMs;
+    if (response.status >= 200 && response.status < 300) {
+      return finishWebhookDelivery(delivery, owner, { status: 'delivered', responseStatus: response.status, durationMs });
+    }
+    return finishWebhookDelivery(delivery, owner, {
+      status: 'failed',
+      responseStatus: response.status,
+      durationMs,
+      failureCode: `webhook_http_${response.status}`
+    });
+  } catch (error) {
+    return finishWebhookDelivery(delivery, owner, {
+      status: 'failed',
+      durationMs: Date.now() - startedMs,
+      failureCode: webhookNetworkFailureCode(error)
+    });
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function runDueWebhookDeliveries({ timeBudgetSeconds = 240, leaseOwner } = {}) {
+  const budget = Math.min(Math.max(Number(timeBudgetSeconds) || 240, 5), 900) * 1000;
+  const deadlineMs = Date.now() + budget;
+  const owner = String(leaseOwner || defaultLeaseOwner()).slice(0, 128);
+  const summary = { delivered: 0, retrying: 0, failed: 0, skipped: 0, pruned: 0 };
+  summary.failed += await withConnection(failAbandonedWebhookDeliveries);
+  for (let index = 0; index < MAX_DELIVERIES_PER_PASS && Date.now() < deadlineMs - REQUEST_TIMEOUT_MS; index += 1) {
+    const delivery = await claimNextWebhookDelivery(owner);
+    if (!delivery) break;
+    const result = await attemptWebhookDelivery(delivery, owner);
+    if (result.status === 'pending') summary.retrying += 1;
+    else if (summary[result.status] !== undefined) summary[result.status] += 1;
+  }
+  summary.pruned = await withConnection(pruneWebhookDeliveries);
+  return summary;
+}
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  captureWorkspaceSourceStatuses,
+  createWebhookEndpoint,
+  deleteWebhookEndpoint,
+  getWorkspaceWebhooks,
+  normalizeWebhookUrl,
+  queueSyncWebhookEvents,
+  queueWebhookEvent,
+  redeliverWebhook,
+  runDueWebhookDeliveries,
+  sendWebhookTest,
+  setWebhookFetchImplementation,
+  signWebhookPayload,
+  updateWebhookEndpoint,
+  verifyWebhookSignature,
+  webhookRetryDelaySeconds
+};
@@ -2,6 +2,7 @@ const { getConnection } = require('../database');
 const youtube = require('../integrations/youtube');
 const { normalizeReturnPath } = require('./connection-service');
 const { assertCapability } = require('./rbac');
+const { createAuditLog } = require('./repositories');
 const { decryptSecret, encryptSecret } = require('./secret-envelope');
 const { createId, hashSecret, randomToken } = require('./security');
 const {
@@ -36,16 +37,20 @@ async function withConnection(fn) {
   }
 }
 
-async function requireWorkspaceRole(connection, workspaceId, userId, capability) {
+async function requireWorkspaceRole(connection, workspaceId, userId, capability, provider = null) {
   const rows = await connection.query(
-    `SELECT role FROM workspace_memberships
-     WHERE workspace_id = ? AND user_id = ? AND status = 'active'
+    `SELECT m.role, r.capabilities AS custom_role_capabilities,
+            m.resources_restricted = 1 AND m.role NOT IN ('owner', 'admin') AS resources_restricted
+     FROM workspace_memberships m
+     LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+     WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active'
      LIMIT 1`,
     [workspaceId, userId]
   );
   const membership = rows[0] || null;
   if (!membership) throw createHttpError(404, 'workspace_not_found');
-  assertCapability(membership.role, capability);
+  assertCapability(membership, capability, provider);
+  if (Number(membership.resources_restricted)) throw createHttpError(403, 'permission_denied');
   return membership.role;
 }
 
@@ -82,20 +87,7 @@ async function requireYouTubeReady(connection, env = process.env) {
 }
 
 async function writeAuditLog(connection, { workspaceId, actorUserId = null, action, targetType = null, targetId = null, metadata = null }) {
-  await connection.query(
-    `INSERT INTO audit_logs
-      (id, workspace_id, actor_user_id, action, target_type, target_id, metadata)
-     VALUES (?, ?, ?, ?, ?, ?, ?)`,
-    [
-      createId(),
-      workspaceId,
-      actorUserId,
-      action,
-      targetType,
-      targetId,
-      metadata ? JSON.stringify(metadata) : null
-    ]
-  );
+  await createAuditLog(connection, { workspaceId, actorUserId, action, targetType, targetId, metadata });
 }
 
 function parseJson(value, fallback) {
@@ -153,7 +145,7 @@ async function startYouTubeConnection({ userId, sessionId, workspaceId, returnPa
   return withConnection(async connection => {
     const safeReturnPath = normalizeReturnPath(returnPath);
     const readiness = await requireYouTubeReady(connection);
-    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection');
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', 'youtube');
 
     await connection.beginTransaction();
     try {
@@ -362,7 +354,7 @@ async function consumeOAuthTransaction(connection, { state, sessionId, userId })
   if (authorization.workspace_id !== transaction.workspace_id) {
     throw createHttpError(400, 'youtube_oauth_workspace_mismatch');
   }
-  await requireWorkspaceRole(connection, transaction.workspace_id, userId, 'manageConnection');
+  await requireWorkspaceRole(connection, transaction.workspace_id, userId, 'manageConnection', 'youtube');
 
   if (transaction.target_connection_id) {
     const targetRows = await connection.query(
@@ -887,7 +879,7 @@ async function selectYouTubeResource(userId, workspaceId, resourceId) {
   if (!resourceId) throw createHttpError(400, 'youtube_resource_required');
   return withConnection(async connection => {
     await requireYouTubeReady(connection);
-    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection');
+    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', 'youtube');
     await connection.beginTransaction();
     try {
       const rows = await connection.query(
@@ -1065,18 +1057,6 @@ async function purgeAuthorization(connection, authorizationId, outcomeCategory)
      WHERE provider_authorization_id = ? AND provider = 'youtube'`,
     [authorizationId]
   );
-  await connection.query(
-    `DELETE FROM audit_logs
-     WHERE workspace_id = ? AND target_id = ? AND action LIKE 'connection.youtube.%'`,
-    [authorization.workspace_id, authorizationId]
-  );
-  for (const connected of connectionRows) {
-    await connection.query(
-      `DELETE FROM audit_logs
-       WHERE workspace_id = ? AND target_id = ? AND action LIKE 'connection.youtube.%'`,
-      [authorization.workspace_id, connected.id]
-    );
-  }
   await connection.query(
     `INSERT INTO provider_revocation_events
       (id, provider_authorization_id, workspace_provider_connection_id, actor_user_id,
@@ -1121,12 +1101,15 @@ async function purgeAuthorization(connection, authorizationId, outcomeCategory)
 }
 
 async function disconnectYouTube(userId, workspaceId, connectionId = null) {
-  const record = await withConnection(async connection => {
-    await requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection');
-    const value = await loadAuthorizationForDisconnect(connection, workspaceId, connectionId);
-    if (!value) throw createHttpError(404, 'youtube_connection_not_found');
-    return value;
-  });
+  await withConnection(connection => requireWorkspaceRole(connection, workspaceId, userId, 'manageConnection', 'youtube'));
+  const result = await revokeYouTubeConnection(workspaceId, connectionId);
+  if (!result) throw createHttpError(404, 'youtube_connection_not_found');
+  return result;
+}
+
+async function revokeYouTubeConnection(workspaceId, connectionId = null) {
+  const record = await withConnection(connection => loadAuthorizationForDisconnect(connection, workspaceId, connectionId));
+  if (!record) return null;
 
   let token = null;
   try {
@@ -1177,6 +1160,16 @@ async function disconnectYouTube(userId, workspaceId, connectionId = null) {
   };
 }
 
+async function revokeWorkspaceYouTubeAuthorizations(workspaceId, limit = 50) {
+  const results = [];
+  while (results.length < limit) {
+    const result = await revokeYouTubeConnection(workspaceId);
+    if (!result) break;
+    results.push({ provider: 'youtube', ...result.provider_revoke });
+  }
+  return results;
+}
+
 async function purgeYouTubeAuthorizationBySystem(authorizationId, outcomeCategory) {
   return withConnection(async connection => {
     await connection.beginTransaction();
@@ -1230,6 +1223,7 @@ module.exports = {
   purgeOverdueYouTubeAuthorizations,
   purgeYouTubeAuthorizationBySystem,
   requireYouTubeReady,
+  revokeWorkspaceYouTubeAuthorizations,
   selectYouTubeResource,
   startYouTubeConnection,
   youtubeFoundationReady
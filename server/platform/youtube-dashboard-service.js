@@ -1,5 +1,6 @@
 const { getConnection } = require('../database');
 const { assertCapability } = require('./rbac');
+const { loadResourceScope, scopeCondition } = require('./resource-scope');
 
 function createHttpError(status, code) {
   const error = new Error(code);
@@ -20,13 +21,15 @@ async function withConnection(fn) {
 
 async function requireWorkspace(connection, workspaceId, userId) {
   const rows = await connection.query(
-    `SELECT role FROM workspace_memberships
-     WHERE workspace_id = ? AND user_id = ? AND status = 'active'
+    `SELECT m.role, r.capabilities AS custom_role_capabilities
+     FROM workspace_memberships m
+     LEFT JOIN workspace_roles r ON r.id = m.custom_role_id
+     WHERE m.workspace_id = ? AND m.user_id = ? AND m.status = 'active'
      LIMIT 1`,
     [workspaceId, userId]
   );
   if (!rows[0]) throw createHttpError(404, 'workspace_not_found');
-  assertCapability(rows[0].role, 'viewDashboard');
+  assertCapability(rows[0], 'viewDashboard', 'youtube');
   return rows[0].role;
 }
 
@@ -133,10 +136,12 @@ function metric(key, label, value, baseline, semantics) {
   };
 }
 
-async function findConnection(connection, workspaceId, connectionId) {
+async function findConnection(connection, workspaceId, connectionId, scope = null) {
   const params = [workspaceId];
-  const selected = connectionId ? 'AND wpc.id = ?' : '';
+  const scoped = scopeCondition('wpc.id', scope && scope.connectionIds);
+  const selected = `${connectionId ? 'AND wpc.id = ?' : ''}${scoped.sql}`;
   if (connectionId) params.push(connectionId);
+  params.push(...scoped.params);
   const rows = await connection.query(
     `SELECT wpc.id, wpc.status, wpc.data_source_id, wpc.last_sync_at,
             wpc.last_successful_sync_at, wpc.next_sync_at, wpc.data_through_at,
@@ -292,7 +297,12 @@ async function getYouTubeDashboard(userId, workspaceId, query = {}) {
         }
       };
     }
-    const selectedConnection = await findConnection(connection, workspaceId, query.connection_id || null);
+    const selectedConnection = await findConnection(
+      connection,
+      workspaceId,
+      query.connection_id || null,
+      await loadResourceScope(connection, workspaceId, userId)
+    );
     if (!selectedConnection) {
       return {
         provider: 'youtube',
@@ -0,0 +1,17 @@
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '..', '..', '.env') });
+const { generateDataKey } = require('../platform/key-providers');
+
+async function main() {
+  const result = await generateDataKey();
+  const keyringField = result.provider === 'transit' ? 'wrapped_keys' : 'keys';
+  console.log(JSON.stringify({
+    ...result,
+    keyring_field: result.provider === 'env' ? null : keyringField
+  }, null, 2));
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
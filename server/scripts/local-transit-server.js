@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const USAGE = 'Usage: node server/scripts/local-transit-server.js [--port 8200] [--token-path <path>] [--master-key-path <path>]';
+const CIPHERTEXT_PREFIX = 'local:v1:';
+const MAX_BODY_BYTES = 64 * 1024;
+
+function wrap(masterKey, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', masterKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return `${CIPHERTEXT_PREFIX}${Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64')}`;
+}
+
+function unwrap(masterKey, value) {
+  if (typeof value !== 'string' || !value.startsWith(CIPHERTEXT_PREFIX)) return null;
+  const raw = Buffer.from(value.slice(CIPHERTEXT_PREFIX.length), 'base64');
+  if (raw.length < 28) return null;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, raw.subarray(0, 12));
+    decipher.setAuthTag(raw.subarray(12, 28));
+    return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]);
+  } catch {
+    return null;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('body_too_large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function createLocalTransitServer({ token, masterKey, keyName = 'social-insights' }) {
+  if (!token) throw new Error('A transit token is required.');
+  if (!Buffer.isBuffer(masterKey) || masterKey.length !== 32) throw new Error('The master key must be 32 bytes.');
+  const expectedToken = Buffer.from(token);
+  return http.createServer(async (req, res) => {
+    const match = /^\/v1\/transit\/(encrypt|decrypt|datakey\/wrapped)\/([^/]+)$/.exec(req.url);
+    if (req.method !== 'POST' || !match) return sendJson(res, 404, { errors: ['not found'] });
+    const presented = Buffer.from(String(req.headers['x-vault-token'] || ''));
+    if (presented.length !== expectedToken.length || !crypto.timingSafeEqual(presented, expectedToken)) {
+      return sendJson(res, 403, { errors: ['permission denied'] });
+    }
+    if (decodeURIComponent(match[2]) !== keyName) return sendJson(res, 400, { errors: ['encryption key not found'] });
+    let body;
+    try {
+      body = JSON.parse((await readBody(req)) || '{}');
+    } catch {
+      return sendJson(res, 400, { errors: ['invalid request body'] });
+    }
+    if (match[1] === 'datakey/wrapped') {
+      if (body.bits !== undefined && body.bits !== 256) return sendJson(res, 400, { errors: ['invalid bits'] });
+      return sendJson(res, 200, { data: { ciphertext: wrap(masterKey, crypto.randomBytes(32)) } });
+    }
+    if (match[1] === 'encrypt') {
+      if (typeof body.plaintext !== 'string') return sendJson(res, 400, { errors: ['missing plaintext'] });
+      return sendJson(res, 200, { data: { ciphertext: wrap(masterKey, Buffer.from(body.plaintext, 'base64')) } });
+    }
+    const plaintext = unwrap(masterKey, body.ciphertext);
+    if (!plaintext) return sendJson(res, 400, { errors: ['invalid ciphertext'] });
+    return sendJson(res, 200, { data: { plaintext: plaintext.toString('base64') } });
+  });
+}
+
+function optionValue(argv, name, fallback) {
+  const index = argv.indexOf(name);
+  if (index === -1) return fallback;
+  const value = argv[index + 1];
+  if (!value || value.startsWith('--')) throw new Error(USAGE);
+  return value;
+}
+
+function readOrCreateSecretFile(filePath, create) {
+  if (!fs.existsSync(filePath)) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, create(), { mode: 0o600 });
+  }
+  return fs.readFileSync(filePath, 'utf8').trim();
+}
+
+function main() {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('The local transit stand-in must not run in production.');
+  }
+  const dataDirectory = path.join(__dirname, '..', 'data');
+  const port = Number(optionValue(process.argv, '--port', '8200'));
+  const tokenPath = path.resolve(optionValue(
+    process.argv,
+    '--token-path',
+    process.env.ENCRYPTION_TRANSIT_TOKEN_PATH || path.join(dataDirectory, 'transit-token')
+  ));
+  const masterKeyPath = path.resolve(optionValue(
+    process.argv,
+    '--master-key-path',
+    path.join(dataDirectory, 'transit-master-key')
+  ));
+  const token = readOrCreateSecretFile(tokenPath, () => crypto.randomBytes(24).toString('hex'));
+  const masterKey = Buffer.from(readOrCreateSecretFile(masterKeyPath, () => crypto.randomBytes(32).toString('hex')), 'hex');
+  const keyName = process.env.ENCRYPTION_TRANSIT_KEY_NAME || 'social-insights';
+  const server = createLocalTransitServer({ token, masterKey, keyName });
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`Local transit stand-in listening on http://127.0.0.1:${port} for key ${keyName}; token in ${tokenPath}`);
+  });
+  const stop = () => server.close(() => process.exit(0));
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { createLocalTransitServer };
@@ -0,0 +1,67 @@
+const path = require('path');
+const mariadb = require('mariadb');
+const { getDatabaseUrl, parseArgs } = require('./database-env');
+const { migrateFileStores } = require('../database-store');
+const { initializeKeyProvider } = require('../platform/secret-envelope');
+const { FileStateStore, FileTokenStore } = require('../store');
+
+const USAGE = 'Usage: node server/scripts/migrate-legacy-store.js [--database dev|test] [--token-store <path>] [--state-store <path>] [--dry-run]';
+
+function optionValue(args, name, fallback) {
+  const index = args._.indexOf(name);
+  if (index === -1) return fallback;
+  const value = args._[index + 1];
+  if (!value || value.startsWith('--')) throw new Error(USAGE);
+  return value;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  const target = args.database || 'dev';
+  if (!['dev', 'test'].includes(target)) {
+    throw new Error('Database target must be dev or test.');
+  }
+  const databaseUrl = getDatabaseUrl(target);
+  if (!databaseUrl) {
+    throw new Error(`${target === 'test' ? 'DATABASE_TEST_URL' : 'DATABASE_URL'} is not configured.`);
+  }
+  const tokenStorePath = path.resolve(optionValue(
+    args,
+    '--token-store',
+    process.env.TOKEN_STORE_PATH || path.join(__dirname, '..', 'data', 'tokens.json')
+  ));
+  const stateStorePath = path.resolve(optionValue(
+    args,
+    '--state-store',
+    process.env.STATE_STORE_PATH || path.join(__dirname, '..', 'data', 'oauth-state.json')
+  ));
+  const tokenStore = new FileTokenStore({
+    filePath: tokenStorePath,
+    lockPath: process.env.TOKEN_LOCK_PATH || `${tokenStorePath}.lock`,
+    encryptionKey: process.env.ENCRYPTION_KEY
+  });
+  const stateStore = new FileStateStore({
+    filePath: stateStorePath,
+    lockPath: process.env.STATE_LOCK_PATH || `${stateStorePath}.lock`,
+    cleanupIntervalMs: 0
+  });
+  await initializeKeyProvider();
+  const connection = await mariadb.createConnection(databaseUrl);
+  try {
+    await connection.query("SET time_zone = '+00:00'");
+    const report = await migrateFileStores(connection, {
+      tokenStore,
+      stateStore,
+      dryRun: args._.includes('--dry-run')
+    });
+    console.log(JSON.stringify(report, null, 2));
+    if (!report.valid) process.exitCode = 1;
+  } finally {
+    await connection.end();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const NS = Object.freeze({
+  dsig: 'http://www.w3.org/2000/09/xmldsig#',
+  assertion: 'urn:oasis:names:tc:SAML:2.0:assertion',
+  protocol: 'urn:oasis:names:tc:SAML:2.0:protocol',
+  metadata: 'urn:oasis:names:tc:SAML:2.0:metadata'
+});
+const EXC_C14N = 'http://www.w3.org/2001/10/xml-exc-c14n#';
+
+function derLength(length) {
+  if (length < 0x80) return Buffer.from([length]);
+  const bytes = [];
+  for (let value = length; value > 0; value >>= 8) bytes.unshift(value & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function der(tag, ...parts) {
+  const content = Buffer.concat(parts);
+  return Buffer.concat([Buffer.from([tag]), derLength(content.length), content]);
+}
+
+function derOid(value) {
+  const [first, second, ...rest] = value.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  for (const arc of rest) {
+    const encoded = [arc & 0x7f];
+    for (let remaining = arc >> 7; remaining > 0; remaining >>= 7) encoded.unshift((remaining & 0x7f) | 0x80);
+    bytes.push(...encoded);
+  }
+  return der(0x06, Buffer.from(bytes));
+}
+
+function derTime(date) {
+  const value = date.toISOString().replace(/[-:T]/g, '').slice(2, 14);
+  return der(0x17, Buffer.from(`${value}Z`, 'ascii'));
+}
+
+function derName(commonName) {
+  return der(0x30, der(0x31, der(0x30, derOid('2.5.4.3'), der(0x0c, Buffer.from(commonName, 'utf8')))));
+}
+
+function createSelfSignedCertificate({ commonName, privateKey, publicKey }) {
+  const algorithm = der(0x30, derOid('1.2.840.113549.1.1.11'), Buffer.from([0x05, 0x00]));
+  const serial = crypto.randomBytes(8);
+  serial[0] &= 0x7f;
+  const now = Date.now();
+  const tbs = der(
+    0x30,
+    der(0xa0, der(0x02, Buffer.from([2]))),
+    der(0x02, serial),
+    algorithm,
+    derName(commonName),
+    der(0x30, derTime(new Date(now - 60 * 60 * 1000)), derTime(new Date(now + 365 * 24 * 60 * 60 * 1000))),
+    derName(commonName),
+    publicKey.export({ type: 'spki', format: 'der' })
+  );
+  const signature = crypto.sign('sha256', tbs, privateKey);
+  return der(0x30, tbs, algorithm, der(0x03, Buffer.from([0]), signature)).toString('base64');
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function readAuthnRequest(authorizationUrl) {
+  const url = new URL(authorizationUrl);
+  const xml = zlib.inflateRawSync(Buffer.from(url.searchParams.get('SAMLRequest'), 'base64')).toString('utf8');
+  return {
+    id: /\sID="([^"]+)"/.exec(xml)[1],
+    acsUrl: /\sAssertionConsumerServiceURL="([^"]+)"/.exec(xml)[1].replace(/&amp;/g, '&'),
+    issuer: /<saml:Issuer>([^<]+)<\/saml:Issuer>/.exec(xml)[1].replace(/&amp;/g, '&'),
+    relayState: url.searchParams.get('RelayState'),
+    xml
+  };
+}
+
+function createSamlIdentityProvider({
+  entityId = 'https://idp.example/saml',
+  ssoUrl = 'https://idp.example/saml/sso'
+} = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const certificate = createSelfSignedCertificate({ commonName: 'Test Identity Provider', privateKey, publicKey });
+
+  function sign(canonicalElement, id) {
+    const digest = crypto.createHash('sha256').update(canonicalElement, 'utf8').digest('base64');
+    const signedInfo = `<ds:SignedInfo><ds:CanonicalizationMethod Algorithm="${EXC_C14N}"></ds:CanonicalizationMethod>`
+      + '<ds:SignatureMethod Algorithm="http://www.w3.org/2001/04/xmldsig-more#rsa-sha256"></ds:SignatureMethod>'
+      + `<ds:Reference URI="#${id}"><ds:Transforms>`
+      + '<ds:Transform Algorithm="http://www.w3.org/2000/09/xmldsig#enveloped-signature"></ds:Transform>'
+      + `<ds:Transform Algorithm="${EXC_C14N}"></ds:Transform></ds:Transforms>`
+      + '<ds:DigestMethod Algorithm="http://www.w3.org/2001/04/xmlenc#sha256"></ds:DigestMethod>'
+      + `<ds:DigestValue>${digest}</ds:DigestValue></ds:Reference></ds:SignedInfo>`;
+    const canonicalSignedInfo = signedInfo.replace('<ds:SignedInfo>', `<ds:SignedInfo xmlns:ds="${NS.dsig}">`);
+    const value = crypto.sign('sha256', Buffer.from(canonicalSignedInfo, 'utf8'), privateKey).toString('base64');
+    return `<ds:Signature xmlns:ds="${NS.dsig}">${signedInfo}<ds:SignatureValue>${value}</ds:SignatureValue>`
+      + `<ds:KeyInfo><ds:X509Data><ds:X509Certificate>${certificate}</ds:X509Certificate></ds:X509Data></ds:KeyInfo>`
+      + '</ds:Signature>';
+  }
+
+  function metadata() {
+    return `<?xml version="1.0"?>\n<md:EntityDescriptor xmlns:md="${NS.metadata}" entityID="${escapeXml(entityId)}">\n`
+      + `  <md:IDPSSODescriptor protocolSupportEnumeration="${NS.protocol}">\n`
+      + `    <md:KeyDescriptor use="signing"><ds:KeyInfo xmlns:ds="${NS.dsig}"><ds:X509Data>\n`
+      + `      <ds:X509Certificate>${certificate.replace(/(.{64})/g, '$1\n      ')}</ds:X509Certificate>\n`
+      + '    </ds:X509Data></ds:KeyInfo></md:KeyDescriptor>\n'
+      + '    <md:SingleSignOnService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST"'
+      + ` Location="${escapeXml(ssoUrl)}/post"/>\n`
+      + '    <md:SingleSignOnService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect"'
+      + ` Location="${escapeXml(ssoUrl)}"/>\n`
+      + '  </md:IDPSSODescriptor>\n</md:EntityDescriptor>\n';
+  }
+
+  function respond(authorizationUrl, {
+    email,
+    subject = email,
+    displayName = null,
+    audience = null,
+    recipient = null,
+    issuer = entityId,
+    status = 'urn:oasis:names:tc:SAML:2.0:status:Success',
+    validForSeconds = 300,
+    signAssertion = true,
+    signResponse = false,
+    now = new Date()
+  } = {}) {
+    const request = readAuthnRequest(authorizationUrl);
+    const acsUrl = recipient || request.acsUrl;
+    const assertionId = `_${crypto.randomBytes(16).toString('hex')}`;
+    const responseId = `_${crypto.randomBytes(16).toString('hex')}`;
+    const issued = now.toISOString();
+    const notBefore = new Date(now.getTime() - 30 * 1000).toISOString();
+    const notOnOrAfter = new Date(now.getTime() + validForSeconds * 1000).toISOString();
+    const attributes = [['email', email], ['displayName', displayName]]
+      .filter(([, value]) => value)
+      .map(([name, value]) => `<saml:Attribute Name="${name}"><saml:AttributeValue>${escapeXml(value)}</saml:AttributeValue></saml:Attribute>`)
+      .join('');
+    const issuerElement = `<saml:Issuer>${escapeXml(issuer)}</saml:Issuer>`;
+    const assertionBody = `<saml:Subject><saml:NameID Format="urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress">${escapeXml(subject)}</saml:NameID>`
+      + '<saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer">'
+      + `<saml:SubjectConfirmationData InResponseTo="${escapeXml(request.id)}" NotOnOrAfter="${notOnOrAfter}" Recipient="${escapeXml(acsUrl)}"></saml:SubjectConfirmationData>`
+      + '</saml:SubjectConfirmation></saml:Subject>'
+      + `<saml:Conditions NotBefore="${notBefore}" NotOnOrAfter="${notOnOrAfter}"><saml:AudienceRestriction>`
+      + `<saml:Audience>${escapeXml(audience || request.issuer)}</saml:Audience></saml:AudienceRestriction></saml:Conditions>`
+      + `<saml:AuthnStatement AuthnInstant="${issued}" SessionIndex="${assertionId}"><saml:AuthnContext>`
+      + '<saml:AuthnContextClassRef>urn:oasis:names:tc:SAML:2.0:ac:classes:PasswordProtectedTransport</saml:AuthnContextClassRef>'
+      + '</saml:AuthnContext></saml:AuthnStatement>'
+      + (attributes ? `<saml:AttributeStatement>${attributes}</saml:AttributeStatement>` : '');
+    const assertionOpen = `<saml:Assertion xmlns:saml="${NS.assertion}" ID="${assertionId}" IssueInstant="${issued}" Version="2.0">`;
+    const assertion = signAssertion
+      ? `${assertionOpen}${issuerElement}${sign(`${assertionOpen}${issuerElement}${assertionBody}</saml:Assertion>`, assertionId)}${assertionBody}</saml:Assertion>`
+      : `${assertionOpen}${issuerElement}${assertionBody}</saml:Assertion>`;
+    const responseOpen = `<samlp:Response xmlns:samlp="${NS.protocol}" Destination="${escapeXml(acsUrl)}" ID="${responseId}"`
+      + ` InResponseTo="${escapeXml(request.id)}" IssueInstant="${issued}" Version="2.0">`;
+    const responseIssuer = `<saml:Issuer xmlns:saml="${NS.assertion}">${escapeXml(issuer)}</saml:Issuer>`;
+    const responseBody = `<samlp:Status><samlp:StatusCode Value="${escapeXml(status)}"></samlp:StatusCode></samlp:Status>${assertion}`;
+    const response = signResponse
+      ? `${responseOpen}${responseIssuer}${sign(`${responseOpen}${responseIssuer}${responseBody}</samlp:Response>`, responseId)}${responseBody}</samlp:Response>`
+      : `${responseOpen}${responseIssuer}${responseBody}</samlp:Response>`;
+    return {
+      acsUrl,
+      requestId: request.id,
+      relayState: request.relayState,
+      xml: response,
+      SAMLResponse: Buffer.from(response, 'utf8').toString('base64'),
+      RelayState: request.relayState
+    };
+  }
+
+  return { entityId, ssoUrl, certificate, metadata, respond, readAuthnRequest };
+}
+
+module.exports = {
+  createSamlIdentityProvider,
+  createSelfSignedCertificate,
+  readAuthnRequest
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+
+const FLAGS = Object.freeze({ userPresent: 0x01, userVerified: 0x04, attested: 0x40 });
+
+function encodeLength(major, length) {
+  if (length < 24) return Buffer.from([(major << 5) | length]);
+  if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+  if (length < 0x10000) {
+    const buffer = Buffer.alloc(3);
+    buffer[0] = (major << 5) | 25;
+    buffer.writeUInt16BE(length, 1);
+    return buffer;
+  }
+  const buffer = Buffer.alloc(5);
+  buffer[0] = (major << 5) | 26;
+  buffer.writeUInt32BE(length, 1);
+  return buffer;
+}
+
+function encodeCbor(value) {
+  if (Buffer.isBuffer(value)) return Buffer.concat([encodeLength(2, value.length), value]);
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([encodeLength(3, bytes.length), bytes]);
+  }
+  if (Number.isInteger(value)) return value >= 0 ? encodeLength(0, value) : encodeLength(1, -1 - value);
+  if (value instanceof Map) {
+    const parts = [encodeLength(5, value.size)];
+    for (const [key, item] of value) parts.push(encodeCbor(key), encodeCbor(item));
+    return Buffer.concat(parts);
+  }
+  throw new Error('Unsupported CBOR value.');
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+function authenticatorData(rpId, flags, signCount, attestedCredential = Buffer.alloc(0)) {
+  const counter = Buffer.alloc(4);
+  counter.writeUInt32BE(signCount, 0);
+  return Buffer.concat([sha256(rpId), Buffer.from([flags]), counter, attestedCredential]);
+}
+
+function createSoftwareAuthenticator({ origin, rpId, userVerification = true } = {}) {
+  const credentials = new Map();
+  const flags = FLAGS.userPresent | (userVerification ? FLAGS.userVerified : 0);
+
+  function createCredential(options, { clientOrigin = origin } = {}) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const jwk = publicKey.export({ format: 'jwk' });
+    const coseKey = encodeCbor(new Map([
+      [1, 2],
+      [3, -7],
+      [-1, 1],
+      [-2, Buffer.from(jwk.x, 'base64url')],
+      [-3, Buffer.from(jwk.y, 'base64url')]
+    ]));
+    const credentialId = crypto.randomBytes(32);
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(credentialId.length, 0);
+    const attested = Buffer.concat([Buffer.alloc(16), idLength, credentialId, coseKey]);
+    const clientDataJSON = Buffer.from(JSON.stringify({
+      type: 'webauthn.create',
+      challenge: options.challenge,
+      origin: clientOrigin,
+      crossOrigin: false
+    }));
+    const attestationObject = encodeCbor(new Map([
+      ['fmt', 'none'],
+      ['attStmt', new Map()],
+      ['authData', authenticatorData(options.rp.id || rpId, flags | FLAGS.attested, 0, attested)]
+    ]));
+    const id = credentialId.toString('base64url');
+    credentials.set(id, { privateKey, rpId: options.rp.id || rpId, userHandle: options.user.id, signCount: 0 });
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        attestationObject: attestationObject.toString('base64url'),
+        transports: ['internal']
+      }
+    };
+  }
+
+  function getAssertion(options, { credentialId, clientOrigin = origin, signCount } = {}) {
+    const id = credentialId || [...credentials.keys()][0];
+    const credential = credentials.get(id);
+    if (!credential) throw new Error('Unknown software credential.');
+    credential.signCount = signCount === undefined ? credential.signCount + 1 : signCount;
+    const data = authenticatorData(options.rpId || credential.rpId, flags, credential.signCount);
+    const clientDataJSON = Buffer.from(JSON.stringify({
+      type: 'webauthn.get',
+      challenge: options.challenge,
+      origin: clientOrigin,
+      crossOrigin: false
+    }));
+    const signature = crypto.sign('sha256', Buffer.concat([data, sha256(clientDataJSON)]), credential.privateKey);
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        authenticatorData: data.toString('base64url'),
+        signature: signature.toString('base64url'),
+        userHandle: credential.userHandle
+      }
+    };
+  }
+
+  return { createCredential, getAssertion };
+}
+
+module.exports = { createSoftwareAuthenticator, encodeCbor };
@@ -7,10 +7,20 @@ const { getDeploymentReadinessCheck } = require('../platform/version');
 const { getYouTubeProductionErrors } = require('../platform/youtube-config');
 const { getMetaProductionErrors } = require('../platform/meta-config');
 const { getGoogleAnalyticsProductionErrors } = require('../platform/google-analytics-config');
+const { getLinkedInProductionErrors } = require('../platform/linkedin-config');
+const { getSearchConsoleProductionErrors } = require('../platform/search-console-config');
+const { getPinterestProductionErrors } = require('../platform/pinterest-config');
+const { getThreadsProductionErrors } = require('../platform/threads-config');
+const { getBlueskyProductionErrors } = require('../platform/bluesky-config');
 const { getReportProductionErrors } = require('../platform/report-config');
+const { initializeKeyProvider } = require('../platform/secret-envelope');
 
-try {
+async function main() {
   validateRequiredEnv({ ...process.env, NODE_ENV: 'production' });
+  const keyring = await initializeKeyProvider();
+  if (keyring.current_version === 'local-v1') {
+    throw new Error('The encryption keyring must use a production current_version.');
+  }
   const youtubeErrors = getYouTubeProductionErrors({ ...process.env, NODE_ENV: 'production' });
   if (youtubeErrors.length > 0) {
     throw new Error(`YouTube production configuration is incomplete: ${youtubeErrors.join(', ')}`);
@@ -23,6 +33,26 @@ try {
   if (ga4Errors.length > 0) {
     throw new Error(`GA4 production configuration is incomplete: ${ga4Errors.join(', ')}`);
   }
+  const linkedInErrors = getLinkedInProductionErrors({ ...process.env, NODE_ENV: 'production' });
+  if (linkedInErrors.length > 0) {
+    throw new Error(`LinkedIn production configuration is incomplete: ${linkedInErrors.join(', ')}`);
+  }
+  const searchConsoleErrors = getSearchConsoleProductionErrors({ ...process.env, NODE_ENV: 'production' });
+  if (searchConsoleErrors.length > 0) {
+    throw new Error(`Search Console production configuration is incomplete: ${searchConsoleErrors.join(', ')}`);
+  }
+  const pinterestErrors = getPinterestProductionErrors({ ...process.env, NODE_ENV: 'production' });
+  if (pinterestErrors.length > 0) {
+    throw new Error(`Pinterest production configuration is incomplete: ${pinterestErrors.join(', ')}`);
+  }
+  const threadsErrors = getThreadsProductionErrors({ ...process.env, NODE_ENV: 'production' });
+  if (threadsErrors.length > 0) {
+    throw new Error(`Threads production configuration is incomplete: ${threadsErrors.join(', ')}`);
+  }
+  const blueskyErrors = getBlueskyProductionErrors({ ...process.env, NODE_ENV: 'production' });
+  if (blueskyErrors.length > 0) {
+    throw new Error(`Bluesky production configuration is incomplete: ${blueskyErrors.join(', ')}`);
+  }
   const reportErrors = getReportProductionErrors({ ...process.env, NODE_ENV: 'production' });
   if (reportErrors.length > 0) {
     throw new Error(`PDF report production configuration is incomplete: ${reportErrors.join(', ')}`);
@@ -32,11 +62,18 @@ try {
     console.warn(`Production environment warning: ${warning}`);
   }
   console.log('Production environment validation passed.');
-} finally {
-  stopStores();
-  if (originalNodeEnv === undefined) {
-    delete process.env.NODE_ENV;
-  } else {
-    process.env.NODE_ENV = originalNodeEnv;
-  }
 }
+
+main()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    stopStores();
+    if (originalNodeEnv === undefined) {
+      delete process.env.NODE_ENV;
+    } else {
+      process.env.NODE_ENV = originalNodeEnv;
+    }
+  });
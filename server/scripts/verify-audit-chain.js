@@ -0,0 +1,50 @@
+const mariadb = require('mariadb');
+const { getDatabaseUrl, parseArgs } = require('./database-env');
+const { verifyAuditChain } = require('../platform/audit-chain');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function resolveWorkspaceIds(connection, args) {
+  if (args._.includes('--all')) {
+    const rows = await connection.query('SELECT workspace_id FROM audit_log_chains ORDER BY workspace_id');
+    return rows.map(row => row.workspace_id);
+  }
+  const workspaceIds = args._.filter(value => !value.startsWith('--'));
+  if (!workspaceIds.length) {
+    throw new Error('Usage: node server/scripts/verify-audit-chain.js <workspace-id>... | --all [--database dev|test]');
+  }
+  const invalid = workspaceIds.find(value => !UUID_PATTERN.test(value));
+  if (invalid) throw new Error(`Invalid workspace id: ${invalid}`);
+  return workspaceIds;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  const target = args.database || 'dev';
+  if (!['dev', 'test'].includes(target)) {
+    throw new Error('Database target must be dev or test.');
+  }
+  const databaseUrl = getDatabaseUrl(target);
+  if (!databaseUrl) {
+    throw new Error(`${target === 'test' ? 'DATABASE_TEST_URL' : 'DATABASE_URL'} is not configured.`);
+  }
+  const connection = await mariadb.createConnection(databaseUrl);
+  try {
+    await connection.query("SET time_zone = '+00:00'");
+    const workspaceIds = await resolveWorkspaceIds(connection, args);
+    const workspaces = [];
+    for (const workspaceId of workspaceIds) {
+      workspaces.push(await verifyAuditChain(connection, workspaceId));
+    }
+    const valid = workspaces.every(workspace => workspace.valid);
+    console.log(JSON.stringify({ valid, workspaces }, null, 2));
+    if (!valid) process.exitCode = 1;
+  } finally {
+    await connection.end();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -358,6 +358,35 @@ class FileTokenStore {
     });
   }
 
+  async listConnectorTokens() {
+    return this.withLock(async () => {
+      let data = await this.readData();
+      if (this.needsMigration(data)) {
+        data = this.migrateData(data);
+      }
+      return Object.entries(data.tokens || {}).map(([connectorToken, entry]) => {
+        const accessToken = entry ? decryptValue(entry.access_token, this.encryptionKey) : null;
+        const refreshToken = entry ? decryptValue(entry.refresh_token, this.encryptionKey) : null;
+        if (!accessToken || !refreshToken) {
+          return { connectorToken, tokenData: null };
+        }
+        return {
+          connectorToken,
+          tokenData: {
+            accessToken,
+            refreshToken,
+            expiresAt: entry.expires_at,
+            refreshExpiresAt: entry.refresh_expires_at,
+            scopes: entry.scopes,
+            createdAt: entry.created_at,
+            updatedAt: entry.updated_at,
+            openId: entry.open_id || null
+          }
+        };
+      });
+    });
+  }
+
   isAccessTokenValid(tokenData) {
     return tokenData.expiresAt && Date.now() < tokenData.expiresAt - TOKEN_REFRESH_BUFFER_MS;
   }
@@ -537,6 +566,13 @@ class FileStateStore {
     });
   }
 
+  async listStates() {
+    return this.withLock(async () => {
+      const data = this.pruneData(await this.readData());
+      return Object.entries(data.states).map(([key, entry]) => ({ key, ...entry }));
+    });
+  }
+
   async pruneExpiredEntries() {
     return this.withLock(async () => {
       const data = await this.readData();
@@ -559,5 +595,7 @@ module.exports = {
   FileStateStore,
   FileTokenStore,
   StateStore,
-  TOKEN_REFRESH_BUFFER_MS
+  TOKEN_REFRESH_BUFFER_MS,
+  TOKEN_STATE_TTL_MS,
+  getStateStorageKey
 };
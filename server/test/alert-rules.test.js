@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ALERT_METRICS, evaluateAlertRule } = require('../platform/alert-service');
+const { getMetricDefinitions } = require('../platform/provider-registry');
+
+function dailySeries(startDate, values) {
+  const start = Date.parse(`${startDate}T00:00:00.000Z`);
+  return values.map((value, index) => ({
+    date: new Date(start + index * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    value
+  }));
+}
+
+test('alert metrics reuse stored metric definitions', () => {
+  const definitions = getMetricDefinitions();
+  for (const [key, metric] of Object.entries(ALERT_METRICS)) {
+    assert.ok(definitions[key], key);
+    assert.ok(['latest', 'sum', 'average'].includes(metric.aggregation), key);
+  }
+});
+
+test('threshold rules compare the latest stored value', () => {
+  const points = dailySeries('2026-10-01', [1200, 1100, 950]);
+  const below = evaluateAlertRule({ rule_type: 'threshold', direction: 'below', threshold: 1000, window_days: 7 }, points);
+  assert.deepEqual(below, {
+    triggered: true,
+    observed_date: '2026-10-03',
+    observed_value: 950,
+    baseline_value: null,
+    score: null
+  });
+  const above = evaluateAlertRule({ rule_type: 'threshold', direction: 'above', threshold: 1000, window_days: 7 }, points);
+  assert.equal(above.triggered, false);
+  assert.equal(evaluateAlertRule({ rule_type: 'threshold', direction: 'below', threshold: 1, window_days: 7 }, []), null);
+});
+
+test('percent change rules compare the current window with the previous window', () => {
+  const points = dailySeries('2026-10-01', [10, 10, 10, 5, 5, 5]);
+  const rule = { rule_type: 'percent_change', direction: 'below', threshold: 40, window_days: 3 };
+  const summed = evaluateAlertRule(rule, points, 'sum');
+  assert.equal(summed.triggered, true);
+  assert.equal(summed.observed_value, 15);
+  assert.equal(summed.baseline_value, 30);
+  assert.equal(summed.score, -50);
+  assert.equal(evaluateAlertRule({ ...rule, direction: 'above' }, points, 'sum').triggered, false);
+  assert.equal(evaluateAlertRule({ ...rule, direction: 'either', threshold: 60 }, points, 'sum').triggered, false);
+
+  const levels = evaluateAlertRule(
+    { rule_type: 'percent_change', direction: 'above', threshold: 10, window_days: 2 },
+    dailySeries('2026-10-01', [100, 100, 110, 120]),
+    'latest'
+  );
+  assert.equal(levels.baseline_value, 100);
+  assert.equal(levels.observed_value, 120);
+  assert.equal(levels.score, 20);
+  assert.equal(levels.triggered, true);
+
+  assert.equal(evaluateAlertRule(rule, dailySeries('2026-10-01', [5, 5, 5]), 'sum'), null);
+  assert.equal(evaluateAlertRule(rule, dailySeries('2026-10-01', [0, 0, 0, 5, 5, 5]), 'sum'), null);
+});
+
+test('z-score rules measure the latest day against the trailing baseline', () => {
+  const baseline = [100, 102, 98, 101, 99, 100, 103, 97];
+  const spike = evaluateAlertRule(
+    { rule_type: 'z_score', direction: 'either', threshold: 3, window_days: 14 },
+    dailySeries('2026-10-01', [...baseline, 160]),
+    'sum'
+  );
+  assert.equal(spike.triggered, true);
+  assert.equal(spike.observed_date, '2026-10-09');
+  assert.equal(spike.observed_value, 160);
+  assert.equal(spike.baseline_value, 100);
+  assert.ok(spike.score > 3);
+
+  const quiet = evaluateAlertRule(
+    { rule_type: 'z_score', direction: 'either', threshold: 3, window_days: 14 },
+    dailySeries('2026-10-01', [...baseline, 101]),
+    'sum'
+  );
+  assert.equal(quiet.triggered, false);
+
+  const followers = evaluateAlertRule(
+    { rule_type: 'z_score', direction: 'below', threshold: 2, window_days: 14 },
+    dailySeries('2026-10-01', [1000, 1010, 1021, 1030, 1041, 1050, 1060, 1071, 1080, 1000]),
+    'latest'
+  );
+  assert.equal(followers.observed_value, -80);
+  assert.equal(followers.triggered, true);
+
+  assert.equal(
+    evaluateAlertRule(
+      { rule_type: 'z_score', direction: 'either', threshold: 3, window_days: 14 },
+      dailySeries('2026-10-01', [100, 100, 100, 100, 100, 100, 100, 100, 500]),
+      'sum'
+    ),
+    null
+  );
+  assert.equal(
+    evaluateAlertRule(
+      { rule_type: 'z_score', direction: 'either', threshold: 3, window_days: 14 },
+      dailySeries('2026-10-01', [100, 102, 98, 160]),
+      'sum'
+    ),
+    null
+  );
+});
@@ -118,6 +118,33 @@ test('cross-platform overview preserves provider metric boundaries and availabil
         availability: { state: 'available' }
       }
     },
+    {
+      provider: 'linkedin',
+      connectionId: 'li-connection',
+      catalogProvider: catalogProvider('linkedin', [{
+        id: 'li-connection', status: 'active', last_successful_sync_at: '2026-07-18T06:00:00.000Z'
+      }]),
+      dashboard: {
+        range: { key: '7d', from: '2026-07-11', to: '2026-07-17', timezone: 'UTC' },
+        connection: { id: 'li-connection', status: 'active', last_successful_sync_at: '2026-07-18T06:00:00.000Z' },
+        organization: { id: 'urn:li:organization:123', display_name: 'Studio Co', vanity_name: 'studio-co' },
+        metrics: [
+          metric('linkedin.followers', 'Followers', 1500, 1450),
+          metric('linkedin.impressions', 'Impressions', 4200, 3900),
+          metric('linkedin.clicks', 'Clicks', 180, 150),
+          metric('linkedin.new_followers', 'New followers', 50, 40)
+        ],
+        trend: [{ date: '2026-07-17', impressions: 600, clicks: 25, new_followers: 7 }],
+        posts: [{
+          id: 'urn:li:share:1',
+          text: 'Hiring update',
+          published_date: '2026-07-15',
+          url: 'https://www.linkedin.com/feed/update/urn:li:share:1/',
+          metrics: { impressions: 900 }
+        }],
+        availability: { state: 'available', data_through_date: '2026-07-17' }
+      }
+    },
     {
       provider: 'google_analytics_4',
       connectionId: 'ga-connection',
@@ -144,6 +171,137 @@ test('cross-platform overview preserves provider metric boundaries and availabil
         }],
         availability: { state: 'thresholded', data_through_date: '2026-07-17', subject_to_thresholding: true }
       }
+    },
+    {
+      provider: 'google_search_console',
+      connectionId: 'sc-connection',
+      catalogProvider: catalogProvider('google_search_console', [{
+        id: 'sc-connection', status: 'active', last_successful_sync_at: '2026-07-18T05:00:00.000Z'
+      }]),
+      dashboard: {
+        range: { key: '7d', from: '2026-07-09', to: '2026-07-15', timezone: 'America/Los_Angeles' },
+        connection: { id: 'sc-connection', status: 'active', last_successful_sync_at: '2026-07-18T05:00:00.000Z' },
+        site: {
+          id: 'sc-domain:studio.example',
+          site_url: 'sc-domain:studio.example',
+          display_name: 'studio.example',
+          timezone: 'America/Los_Angeles'
+        },
+        metrics: [
+          metric('search_console.clicks', 'Clicks', 320, 300, { unit: 'count', availability_status: 'available' }),
+          metric('search_console.impressions', 'Impressions', 9100, 8800, { unit: 'count', availability_status: 'available' }),
+          metric('search_console.ctr', 'CTR', 0.035, 0.034, { unit: 'ratio', availability_status: 'available' }),
+          metric('search_console.position', 'Average position', 8.4, 9.1, { unit: 'position', availability_status: 'available' })
+        ],
+        trend: [{ date: '2026-07-15', clicks: 48, impressions: 1300 }],
+        breakdowns: [{
+          key: 'search_console.query',
+          rows: [{
+            dimensions: { query: 'studio pricing' },
+            metrics: { 'search_console.clicks': 61 }
+          }]
+        }],
+        availability: { state: 'ready', data_through_date: '2026-07-15' }
+      }
+    },
+    {
+      provider: 'pinterest',
+      connectionId: 'pinterest-connection',
+      catalogProvider: catalogProvider('pinterest', [{
+        id: 'pinterest-connection', status: 'active', last_successful_sync_at: '2026-07-18T04:00:00.000Z'
+      }]),
+      dashboard: {
+        range: { key: '7d', from: '2026-07-11', to: '2026-07-17', timezone: 'UTC' },
+        connection: { id: 'pinterest-connection', status: 'active', last_successful_sync_at: '2026-07-18T04:00:00.000Z' },
+        account: {
+          id: '549755885175',
+          display_name: 'Studio Shop',
+          username: 'studioshop',
+          profile_url: 'https://www.pinterest.com/studioshop/'
+        },
+        metrics: [
+          metric('pinterest.followers', 'Followers', 1200, 1150, { unit: 'count', availability_status: 'available' }),
+          metric('pinterest.impressions', 'Impressions', 8400, 7900, { unit: 'count', availability_status: 'available' }),
+          metric('pinterest.saves', 'Saves', 310, 280, { unit: 'count', availability_status: 'available' }),
+          metric('pinterest.outbound_clicks', 'Outbound clicks', 95, 90, {
+            unit: 'count',
+            availability_status: 'available'
+          })
+        ],
+        trend: [{ date: '2026-07-17', impressions: 1250, saves: 44, outbound_clicks: 13 }],
+        pins: [{
+          id: '987654321',
+          title: 'Autumn lookbook',
+          published_date: '2026-07-02',
+          url: 'https://www.pinterest.com/pin/987654321/',
+          metrics: { impressions: 3100, saves: 120, outbound_clicks: 40, pin_clicks: 75 }
+        }],
+        availability: { state: 'ready', data_through_date: '2026-07-17' }
+      }
+    },
+    {
+      provider: 'threads',
+      connectionId: 'threads-connection',
+      catalogProvider: catalogProvider('threads', [{
+        id: 'threads-connection', status: 'active', last_successful_sync_at: '2026-07-18T04:00:00.000Z'
+      }]),
+      dashboard: {
+        range: { key: '7d', from: '2026-07-11', to: '2026-07-17', timezone: 'UTC' },
+        connection: { id: 'threads-connection', status: 'active', last_successful_sync_at: '2026-07-18T04:00:00.000Z' },
+        profile: {
+          id: '17841400000000001',
+          display_name: 'Studio Co',
+          username: 'studioco',
+          profile_url: 'https://www.threads.net/@studioco'
+        },
+        metrics: [
+          metric('threads.followers', 'Followers', 640, 600, { unit: 'count', availability_status: 'available' }),
+          metric('threads.views', 'Views', 5200, 4800, { unit: 'count', availability_status: 'available' }),
+          metric('threads.likes', 'Likes', 410, 380, { unit: 'count', availability_status: 'available' }),
+          metric('threads.replies', 'Replies', 52, 47, { unit: 'count', availability_status: 'available' })
+        ],
+        trend: [{ date: '2026-07-17', views: 820 }],
+        posts: [{
+          id: '18000000000000001',
+          text: 'Studio open house this Friday',
+          published_date: '2026-07-14',
+          url: 'https://www.threads.net/@studioco/post/C0abc',
+          metrics: { views: 2100, likes: 160, replies: 21, reposts: 9, quotes: 3, shares: 4 }
+        }],
+        availability: { state: 'ready', data_through_date: '2026-07-17' }
+      }
+    },
+    {
+      provider: 'bluesky',
+      connectionId: 'bluesky-connection',
+      catalogProvider: catalogProvider('bluesky', [{
+        id: 'bluesky-connection', status: 'active', last_successful_sync_at: '2026-07-18T04:00:00.000Z'
+      }]),
+      dashboard: {
+        range: { key: '7d', from: '2026-07-12', to: '2026-07-18', timezone: 'UTC' },
+        connection: { id: 'bluesky-connection', status: 'active', last_successful_sync_at: '2026-07-18T04:00:00.000Z' },
+        profile: {
+          id: 'did:plc:abcdefghijklmnopqrstuvwx',
+          display_name: 'Studio Co',
+          handle: 'studio.example.com',
+          profile_url: 'https://bsky.app/profile/studio.example.com'
+        },
+        metrics: [
+          metric('bluesky.followers', 'Followers', 1280, 1200, { unit: 'count', availability_status: 'available' }),
+          metric('bluesky.likes', 'Likes', 96, 80, { unit: 'count', availability_status: 'available' }),
+          metric('bluesky.reposts', 'Reposts', 14, 11, { unit: 'count', availability_status: 'available' }),
+          metric('bluesky.replies', 'Replies', 9, 7, { unit: 'count', availability_status: 'available' })
+        ],
+        trend: [{ date: '2026-07-18', followers: 1280 }],
+        posts: [{
+          id: '3kimage',
+          text: 'Open house this Friday',
+          published_date: '2026-07-14',
+          url: 'https://bsky.app/profile/did:plc:abcdefghijklmnopqrstuvwx/post/3kimage',
+          metrics: { likes: 25, reposts: 4, replies: 0, quotes: 1 }
+        }],
+        availability: { state: 'ready', data_through_date: '2026-07-18' }
+      }
     }
   ];
 
@@ -153,8 +311,8 @@ test('cross-platform overview preserves provider metric boundaries and availabil
     now
   });
 
-  assert.equal(overview.sources.length, 5);
-  assert.equal(overview.summary.connected_resources, 5);
+  assert.equal(overview.sources.length, 10);
+  assert.equal(overview.summary.connected_resources, 10);
   assert.equal(overview.state, 'partial');
   assert.ok(!Object.hasOwn(overview, 'total'));
   assert.ok(!Object.hasOwn(overview.summary, 'reach'));
@@ -165,12 +323,52 @@ test('cross-platform overview preserves provider metric boundaries and availabil
   assert.equal(instagram.metrics.find(item => item.key === 'reach').value, null);
   assert.equal(instagram.range.provider_period_days, 7);
 
+  const linkedin = overview.sources.find(source => source.provider === 'linkedin');
+  assert.equal(linkedin.resource.display_name, 'Studio Co');
+  assert.equal(linkedin.metrics.find(item => item.key === 'linkedin.impressions').family, 'provider_views');
+  assert.equal(linkedin.trend.points[0].values.impressions, 600);
+  assert.equal(linkedin.top_content[0].primary_metric.key, 'linkedin.impressions');
+  assert.equal(linkedin.top_content[0].primary_metric.value, 900);
+
   const website = overview.sources.find(source => source.provider === 'google_analytics_4');
   assert.equal(website.metrics.find(item => item.key === 'ga4.engagement_rate').unit, 'ratio');
   assert.equal(website.top_content[0].kind, 'website_path');
   assert.equal(website.top_content[0].primary_metric.value, 210);
+
+  const search = overview.sources.find(source => source.provider === 'google_search_console');
+  assert.equal(search.resource.timezone, 'America/Los_Angeles');
+  assert.equal(search.freshness.data_through_date, '2026-07-15');
+  assert.equal(search.metrics.find(item => item.key === 'search_console.position').unit, 'position');
+  assert.deepEqual(search.trend.points[0].values, { clicks: 48, impressions: 1300 });
+  assert.equal(search.top_content[0].kind, 'search_query');
+  assert.equal(search.top_content[0].title, 'studio pricing');
+  assert.equal(search.top_content[0].primary_metric.value, 61);
   assert.equal(website.alert.code, 'privacy_thresholding');
 
+  const pinterest = overview.sources.find(source => source.provider === 'pinterest');
+  assert.equal(pinterest.resource.account_name, 'studioshop');
+  assert.equal(pinterest.metrics.find(item => item.key === 'pinterest.saves').family, 'provider_saves');
+  assert.deepEqual(pinterest.trend.points[0].values, { impressions: 1250, saves: 44, outbound_clicks: 13 });
+  assert.equal(pinterest.top_content[0].title, 'Autumn lookbook');
+  assert.equal(pinterest.top_content[0].primary_metric.key, 'pinterest.impressions');
+  assert.equal(pinterest.top_content[0].primary_metric.value, 3100);
+
+  const threads = overview.sources.find(source => source.provider === 'threads');
+  assert.equal(threads.resource.account_name, 'studioco');
+  assert.equal(threads.metrics.find(item => item.key === 'threads.replies').family, 'provider_replies');
+  assert.deepEqual(threads.trend.points[0].values, { views: 820 });
+  assert.equal(threads.top_content[0].share_url, 'https://www.threads.net/@studioco/post/C0abc');
+  assert.equal(threads.top_content[0].primary_metric.key, 'threads.views');
+  assert.equal(threads.top_content[0].primary_metric.value, 2100);
+
+  const blueskySource = overview.sources.find(source => source.provider === 'bluesky');
+  assert.equal(blueskySource.resource.account_name, 'studio.example.com');
+  assert.equal(blueskySource.metrics.find(item => item.key === 'bluesky.reposts').family, 'provider_shares');
+  assert.deepEqual(blueskySource.trend.points[0].values, { followers: 1280 });
+  assert.equal(blueskySource.top_content[0].primary_metric.key, 'bluesky.likes');
+  assert.equal(blueskySource.top_content[0].primary_metric.value, 25);
+  assert.equal(linkedin.metrics.find(item => item.key === 'linkedin.impressions').value, 4200);
+
   const serialized = JSON.stringify(overview);
   assert.doesNotMatch(serialized, /total[_ ]reach/i);
   assert.doesNotMatch(serialized, /combined[_ ]views/i);
@@ -186,7 +384,12 @@ test('cross-platform overview loads every selected resource explicitly', async (
     ]),
     catalogProvider('facebook_pages'),
     catalogProvider('instagram'),
-    catalogProvider('google_analytics_4')
+    catalogProvider('linkedin'),
+    catalogProvider('google_analytics_4'),
+    catalogProvider('google_search_console'),
+    catalogProvider('pinterest'),
+    catalogProvider('threads'),
+    catalogProvider('bluesky')
   ];
   const disconnected = provider => ({
     provider,
@@ -216,6 +419,26 @@ test('cross-platform overview loads every selected resource explicitly', async (
     googleAnalytics: async (userId, workspaceId, query) => {
       calls.push({ provider: 'google_analytics_4', userId, workspaceId, query });
       return disconnected('google_analytics_4');
+    },
+    linkedin: async (userId, workspaceId, query) => {
+      calls.push({ provider: 'linkedin', userId, workspaceId, query });
+      return disconnected('linkedin');
+    },
+    searchConsole: async (userId, workspaceId, query) => {
+      calls.push({ provider: 'google_search_console', userId, workspaceId, query });
+      return disconnected('google_search_console');
+    },
+    pinterest: async (userId, workspaceId, query) => {
+      calls.push({ provider: 'pinterest', userId, workspaceId, query });
+      return disconnected('pinterest');
+    },
+    threads: async (userId, workspaceId, query) => {
+      calls.push({ provider: 'threads', userId, workspaceId, query });
+      return disconnected('threads');
+    },
+    bluesky: async (userId, workspaceId, query) => {
+      calls.push({ provider: 'bluesky', userId, workspaceId, query });
+      return disconnected('bluesky');
     }
   };
 
@@ -227,12 +450,34 @@ test('cross-platform overview loads every selected resource explicitly', async (
     overview.sources.filter(source => source.provider === 'youtube').map(source => source.resource.connection_id).sort(),
     ['youtube-one', 'youtube-two']
   );
-  assert.equal(calls.length, 6);
+  assert.equal(calls.length, 11);
   assert.match(calls.find(call => call.provider === 'tiktok').query.from, /T00:00:00\.000Z$/);
   assert.match(calls.find(call => call.provider === 'facebook_pages').query.to, /T23:59:59\.999Z$/);
   assert.equal(Object.hasOwn(calls.find(call => call.provider === 'instagram').query, 'from'), false);
 });
 
+test('cross-platform overview only loads providers the catalog exposes to the member', async () => {
+  const calls = [];
+  const record = provider => async () => {
+    calls.push(provider);
+    return { provider, connection: { status: 'disconnected' }, metrics: [], availability: { state: 'empty' } };
+  };
+  const overview = await getCrossPlatformDashboard('user-1', 'workspace-1', { range: '7d' }, {
+    catalog: async () => [catalogProvider('youtube'), catalogProvider('instagram')],
+    tiktok: record('tiktok'),
+    youtube: record('youtube'),
+    meta: async (userId, workspaceId, provider) => record(provider)(),
+    googleAnalytics: record('google_analytics_4'),
+    linkedin: record('linkedin'),
+    searchConsole: record('google_search_console'),
+    pinterest: record('pinterest'),
+    threads: record('threads'),
+    bluesky: record('bluesky')
+  });
+  assert.deepEqual(calls.sort(), ['instagram', 'youtube']);
+  assert.deepEqual(overview.sources.map(source => source.provider).sort(), ['instagram', 'youtube']);
+});
+
 test('freshness classification is deterministic and does not fabricate data', () => {
   const now = new Date('2026-07-18T12:00:00.000Z');
   assert.equal(freshnessState({
@@ -464,6 +464,52 @@ test('production environment validation rejects unsafe staging values', () => {
     () => validateRequiredEnv({ ...validProductionEnv, TRUST_PROXY: 'cloudflare' }),
     /TRUST_PROXY must be a numeric hop count/
   );
+  assert.doesNotThrow(() => validateRequiredEnv({ ...validProductionEnv, LEGACY_STORE_BACKEND: 'mariadb' }));
+  assert.throws(
+    () => validateRequiredEnv({ ...validProductionEnv, LEGACY_STORE_BACKEND: 'redis' }),
+    /LEGACY_STORE_BACKEND must be file or mariadb/
+  );
+  assert.throws(
+    () => validateRequiredEnv({
+      ...validProductionEnv,
+      NODE_ENV: 'development',
+      LEGACY_STORE_BACKEND: 'mariadb',
+      DATABASE_URL: ''
+    }),
+    /LEGACY_STORE_BACKEND=mariadb requires DATABASE_URL/
+  );
+  const transitEnv = {
+    ...validProductionEnv,
+    ENCRYPTION_KEY: '',
+    ENCRYPTION_KEY_VERSION: '',
+    ENCRYPTION_KEY_PROVIDER: 'transit',
+    ENCRYPTION_KEYRING_PATH: '/home/app/keyring.json',
+    ENCRYPTION_TRANSIT_URL: 'https://transit.example.com',
+    ENCRYPTION_TRANSIT_KEY_NAME: 'social-insights',
+    ENCRYPTION_TRANSIT_TOKEN_PATH: '/home/app/transit-token',
+    LEGACY_STORE_BACKEND: 'mariadb'
+  };
+  assert.doesNotThrow(() => validateRequiredEnv(transitEnv));
+  assert.throws(
+    () => validateRequiredEnv({ ...validProductionEnv, ENCRYPTION_KEY_PROVIDER: 'kms' }),
+    /ENCRYPTION_KEY_PROVIDER must be env, file, or transit/
+  );
+  assert.throws(
+    () => validateRequiredEnv({ ...transitEnv, LEGACY_STORE_BACKEND: 'file' }),
+    /ENCRYPTION_KEY_PROVIDER=transit requires LEGACY_STORE_BACKEND=mariadb/
+  );
+  assert.throws(
+    () => validateRequiredEnv({ ...transitEnv, ENCRYPTION_KEYRING_PATH: '' }),
+    /requires ENCRYPTION_KEYRING_PATH/
+  );
+  assert.throws(
+    () => validateRequiredEnv({ ...transitEnv, ENCRYPTION_TRANSIT_URL: 'http://transit.example.com' }),
+    /must use https unless it is a loopback address/
+  );
+  assert.throws(
+    () => validateRequiredEnv({ ...transitEnv, ENCRYPTION_KEY: validProductionEnv.ENCRYPTION_KEY }),
+    /ENCRYPTION_KEY must not be set when ENCRYPTION_KEY_PROVIDER=transit/
+  );
 });
 
 test('security helpers normalize email and serialize cookies with expected protections', () => {
@@ -741,7 +787,18 @@ test('/api/providers/catalog exposes read-only public provider metadata', async
   const providers = response.json().providers;
   assert.deepEqual(
     providers.map(provider => provider.id).sort(),
-    ['facebook_pages', 'google_analytics_4', 'instagram', 'tiktok', 'youtube']
+    [
+      'bluesky',
+      'facebook_pages',
+      'google_analytics_4',
+      'google_search_console',
+      'instagram',
+      'linkedin',
+      'pinterest',
+      'threads',
+      'tiktok',
+      'youtube'
+    ]
   );
   assert.equal(providers.some(provider => provider.id === 'youtube' && provider.connectable), false);
   for (const provider of providers) {
@@ -751,6 +808,40 @@ test('/api/providers/catalog exposes read-only public provider metadata', async
   }
 });
 
+test('SAML assertion consumer posts bypass the CORS allowlist and accept larger form bodies', async () => {
+  const body = new URLSearchParams({ SAMLResponse: 'a'.repeat(40 * 1024), RelayState: 'state' }).toString();
+  const response = await requestApp('/api/auth/sso/saml/workspace-1/acs', {
+    method: 'POST',
+    headers: { origin: 'https://idp.example', 'content-type': 'application/x-www-form-urlencoded' },
+    body
+  });
+  assert.equal(response.statusCode, 303);
+  assert.match(response.headers.location, /^\/\?sso=/);
+
+  const other = await requestApp('/api/auth/magic-link/request', {
+    method: 'POST',
+    headers: { origin: 'https://idp.example', 'content-type': 'application/x-www-form-urlencoded' },
+    body
+  });
+  assert.notEqual(other.statusCode, 200);
+});
+
+test('SCIM requests without a provisioning token get SCIM errors', async () => {
+  const response = await requestApp('/api/scim/v2/workspace-1/Users', {
+    method: 'POST',
+    headers: { authorization: 'Bearer sis_pat_personal', 'content-type': 'application/scim+json' },
+    body: JSON.stringify({ userName: 'person@corp.example', displayName: 'x'.repeat(16 * 1024) })
+  });
+  assert.equal(response.statusCode, 401);
+  assert.match(response.headers['content-type'], /^application\/scim\+json/);
+  assert.equal(response.headers['www-authenticate'], 'Bearer error="invalid_token"');
+  assert.deepEqual(JSON.parse(response.body), {
+    schemas: ['urn:ietf:params:scim:api:messages:2.0:Error'],
+    status: '401',
+    detail: 'invalid_scim_token'
+  });
+});
+
 test('/oauth/authorize rejects unconfigured redirects and requires the expected client', async () => {
   assert.equal(
     (await requestApp(
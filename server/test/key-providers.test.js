@@ -0,0 +1,147 @@
+const { after, test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { generateDataKey } = require('../platform/key-providers');
+const {
+  decryptSecret,
+  encryptSecret,
+  getPreviousKeyVersions,
+  initializeKeyProvider,
+  resetKeyProvider,
+  validateEncryptionConfiguration
+} = require('../platform/secret-envelope');
+const { createLocalTransitServer } = require('../scripts/local-transit-server');
+
+const KEY_ENV_NAMES = [
+  'ENCRYPTION_KEY',
+  'ENCRYPTION_KEY_VERSION',
+  'ENCRYPTION_PREVIOUS_KEYS',
+  'ENCRYPTION_KEY_PROVIDER',
+  'ENCRYPTION_KEYRING_PATH',
+  'ENCRYPTION_TRANSIT_URL',
+  'ENCRYPTION_TRANSIT_KEY_NAME',
+  'ENCRYPTION_TRANSIT_TOKEN_PATH'
+];
+const originalEnv = Object.fromEntries(KEY_ENV_NAMES.map(name => [name, process.env[name]]));
+
+function restoreKeyEnv() {
+  for (const [name, value] of Object.entries(originalEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  resetKeyProvider();
+}
+
+async function writeSecretFile(directory, name, contents, mode = 0o600) {
+  const filePath = path.join(directory, name);
+  await fs.writeFile(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents), { mode });
+  await fs.chmod(filePath, mode);
+  return filePath;
+}
+
+after(restoreKeyEnv);
+
+test('file keyring provider encrypts with its current version and decrypts previous versions', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'sis-keyring-'));
+  try {
+    const oldKey = 'a'.repeat(64);
+    const newKey = Buffer.alloc(32, 11).toString('base64');
+    for (const name of KEY_ENV_NAMES) delete process.env[name];
+    process.env.ENCRYPTION_KEY = oldKey;
+    process.env.ENCRYPTION_KEY_VERSION = 'file-v1';
+    const legacyEnvelope = encryptSecret('env-secret');
+
+    for (const name of KEY_ENV_NAMES) delete process.env[name];
+    process.env.ENCRYPTION_KEY_PROVIDER = 'file';
+    process.env.ENCRYPTION_KEYRING_PATH = await writeSecretFile(directory, 'keyring.json', {
+      current_version: 'file-v2',
+      keys: { 'file-v1': oldKey, 'file-v2': newKey }
+    });
+    assert.deepEqual(await initializeKeyProvider(), {
+      provider: 'file',
+      current_version: 'file-v2',
+      versions: ['file-v1', 'file-v2']
+    });
+    const envelope = encryptSecret('file-secret');
+    assert.equal(envelope.keyVersion, 'file-v2');
+    assert.equal(decryptSecret(envelope), 'file-secret');
+    assert.equal(decryptSecret(legacyEnvelope), 'env-secret');
+    assert.deepEqual(getPreviousKeyVersions(), ['file-v1']);
+    assert.deepEqual(validateEncryptionConfiguration(), { ready: true, error: null });
+    assert.throws(() => decryptSecret({ ...envelope, keyVersion: 'file-v0' }), /key version is not available/);
+    assert.equal(Object.keys(await generateDataKey()).join(','), 'provider,key');
+
+    resetKeyProvider();
+    const exposed = await writeSecretFile(directory, 'exposed.json', { current_version: 'x', keys: {} }, 0o644);
+    await assert.rejects(
+      () => initializeKeyProvider({ ENCRYPTION_KEY_PROVIDER: 'file', ENCRYPTION_KEYRING_PATH: exposed }),
+      /must not be readable by group or others/
+    );
+    const incomplete = await writeSecretFile(directory, 'incomplete.json', {
+      current_version: 'file-v3',
+      keys: { 'file-v1': oldKey }
+    });
+    await assert.rejects(
+      () => initializeKeyProvider({ ENCRYPTION_KEY_PROVIDER: 'file', ENCRYPTION_KEYRING_PATH: incomplete }),
+      /does not contain its current_version/
+    );
+  } finally {
+    restoreKeyEnv();
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('transit key provider unwraps data keys from a local stand-in without an environment key', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'sis-transit-'));
+  const token = crypto.randomBytes(16).toString('hex');
+  const server = createLocalTransitServer({ token, masterKey: crypto.randomBytes(32), keyName: 'sis-test' });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    for (const name of KEY_ENV_NAMES) delete process.env[name];
+    process.env.ENCRYPTION_KEY_PROVIDER = 'transit';
+    process.env.ENCRYPTION_TRANSIT_URL = `http://127.0.0.1:${server.address().port}/`;
+    process.env.ENCRYPTION_TRANSIT_KEY_NAME = 'sis-test';
+    process.env.ENCRYPTION_TRANSIT_TOKEN_PATH = await writeSecretFile(directory, 'token', `${token}\n`);
+
+    const first = await generateDataKey();
+    const second = await generateDataKey();
+    assert.equal(first.provider, 'transit');
+    assert.match(first.wrapped_key, /^local:v1:/);
+    assert.notEqual(first.wrapped_key, second.wrapped_key);
+    process.env.ENCRYPTION_KEYRING_PATH = await writeSecretFile(directory, 'keyring.json', {
+      current_version: 'transit-v2',
+      wrapped_keys: { 'transit-v1': first.wrapped_key, 'transit-v2': second.wrapped_key }
+    });
+
+    assert.throws(() => encryptSecret('too-early'), /keyring is not loaded/);
+    assert.equal(validateEncryptionConfiguration().ready, false);
+    const loaded = await initializeKeyProvider();
+    assert.equal(loaded.current_version, 'transit-v2');
+    assert.deepEqual(validateEncryptionConfiguration(), { ready: true, error: null });
+    const envelope = encryptSecret('transit-secret');
+    assert.equal(envelope.keyVersion, 'transit-v2');
+    assert.equal(decryptSecret(envelope), 'transit-secret');
+    assert.deepEqual(getPreviousKeyVersions(), ['transit-v1']);
+
+    resetKeyProvider();
+    await initializeKeyProvider();
+    assert.equal(decryptSecret(envelope), 'transit-secret');
+
+    resetKeyProvider();
+    await writeSecretFile(directory, 'token', 'wrong-token');
+    await assert.rejects(() => initializeKeyProvider(), /Transit decrypt failed with HTTP 403/);
+    await writeSecretFile(directory, 'token', token);
+    await writeSecretFile(directory, 'keyring.json', {
+      current_version: 'transit-v1',
+      wrapped_keys: { 'transit-v1': 'local:v1:AAAA' }
+    });
+    await assert.rejects(() => initializeKeyProvider(), /Transit decrypt failed with HTTP 400/);
+  } finally {
+    restoreKeyEnv();
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
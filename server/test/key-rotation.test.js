@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { rewrapEnvelopes, summarizeKeyVersions } = require('../platform/key-rotation-service');
+const { decryptSecret, encryptSecret } = require('../platform/secret-envelope');
+
+test('key rotation summaries only mark unreferenced previous keys as removable', () => {
+  const summary = summarizeKeyVersions({
+    tables: {
+      oauth_credentials: { v1: 2, v3: 5 },
+      provider_resource_credentials: { v0: 1 },
+      webhook_endpoints: {}
+    },
+    transient: {
+      oauth_transactions: { v2: 1 },
+      legacy_connector_states: {}
+    }
+  }, { currentKeyVersion: 'v3', previousKeyVersions: ['v2', 'v1', 'old'] });
+
+  assert.equal(summary.remaining, 3);
+  assert.deepEqual(summary.tables.oauth_credentials, { versions: { v1: 2, v3: 5 }, remaining: 2 });
+  assert.deepEqual(summary.previous_keys, [
+    { version: 'old', stored_rows: 0, transient_rows: 0, safe_to_remove: true },
+    { version: 'v1', stored_rows: 2, transient_rows: 0, safe_to_remove: false },
+    { version: 'v2', stored_rows: 0, transient_rows: 1, safe_to_remove: false }
+  ]);
+  assert.deepEqual(summary.unavailable_versions, ['v0']);
+});
+
+test('key rotation re-wraps present envelopes and keeps absent ones empty', () => {
+  const previousEnv = {
+    key: process.env.ENCRYPTION_KEY,
+    version: process.env.ENCRYPTION_KEY_VERSION,
+    previous: process.env.ENCRYPTION_PREVIOUS_KEYS
+  };
+  try {
+    process.env.ENCRYPTION_KEY = '8'.repeat(64);
+    process.env.ENCRYPTION_KEY_VERSION = 'unit-v1';
+    delete process.env.ENCRYPTION_PREVIOUS_KEYS;
+    const access = encryptSecret('unit-access');
+
+    process.env.ENCRYPTION_KEY = '9'.repeat(64);
+    process.env.ENCRYPTION_KEY_VERSION = 'unit-v2';
+    process.env.ENCRYPTION_PREVIOUS_KEYS = `unit-v1:${'8'.repeat(64)}`;
+    const { values, keyVersion } = rewrapEnvelopes({
+      key_version: 'unit-v1',
+      access_token_ciphertext: access.ciphertext,
+      access_token_iv: access.iv,
+      access_token_tag: access.tag,
+      refresh_token_ciphertext: null,
+      refresh_token_iv: null,
+      refresh_token_tag: null
+    }, ['access_token', 'refresh_token']);
+
+    assert.equal(keyVersion, 'unit-v2');
+    assert.equal(values.refresh_token_ciphertext, null);
+    assert.equal(values.refresh_token_tag, null);
+    delete process.env.ENCRYPTION_PREVIOUS_KEYS;
+    assert.equal(decryptSecret({
+      ciphertext: values.access_token_ciphertext,
+      iv: values.access_token_iv,
+      tag: values.access_token_tag,
+      keyVersion
+    }), 'unit-access');
+    assert.throws(
+      () => rewrapEnvelopes({ key_version: 'unit-v1', ...values }, ['access_token']),
+      /key version is not available/
+    );
+  } finally {
+    if (previousEnv.key === undefined) delete process.env.ENCRYPTION_KEY;
+    else process.env.ENCRYPTION_KEY = previousEnv.key;
+    if (previousEnv.version === undefined) delete process.env.ENCRYPTION_KEY_VERSION;
+    else process.env.ENCRYPTION_KEY_VERSION = previousEnv.version;
+    if (previousEnv.previous === undefined) delete process.env.ENCRYPTION_PREVIOUS_KEYS;
+    else process.env.ENCRYPTION_PREVIOUS_KEYS = previousEnv.previous;
+  }
+});
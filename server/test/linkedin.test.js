@@ -0,0 +1,329 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const linkedin = require('../integrations/linkedin');
+const {
+  LINKEDIN_CALLBACK_PATH,
+  getLinkedInConfiguration,
+  getLinkedInLimits,
+  getLinkedInProductionErrors,
+  validateRedirectUri
+} = require('../platform/linkedin-config');
+const { linkedInAdapter } = require('../platform/linkedin-adapter');
+const { assertProviderAdapterContract } = require('../platform/provider-contract');
+const { assertReadOnlyScopes, getProviderAdapter } = require('../platform/provider-adapters');
+const { normalizeOrganization } = require('../platform/linkedin-connection-service');
+const {
+  buildStatisticsWindow,
+  dimensionObservations,
+  metricObservations,
+  parseFollowerCount,
+  parseFollowerStatistics,
+  parsePostStatistics,
+  parsePosts,
+  parseShareStatistics
+} = require('../platform/linkedin-sync-service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const encryptionKey = Buffer.alloc(32, 9).toString('base64');
+const testEnv = {
+  NODE_ENV: 'test',
+  BASE_URL: 'http://localhost:3001',
+  FEATURE_LINKEDIN_CONNECTOR: 'true',
+  LINKEDIN_CLIENT_ID: 'linkedin-client-id',
+  LINKEDIN_CLIENT_SECRET: 'linkedin-client-secret',
+  LINKEDIN_REDIRECT_URI: 'http://localhost:3001/api/integrations/linkedin/callback',
+  ENCRYPTION_KEY: encryptionKey,
+  ENCRYPTION_KEY_VERSION: 'test-v1'
+};
+
+function response(status, body, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => headers[String(name).toLowerCase()] || null },
+    text: async () => body === null ? '' : JSON.stringify(body)
+  };
+}
+
+function day(window, offset) {
+  const start = window.startMs + offset * DAY_MS;
+  return { start, end: start + DAY_MS };
+}
+
+test.afterEach(() => linkedin.setLinkedInTestHooks());
+
+test('LinkedIn configuration is disabled by default and requires its exact callback', () => {
+  assert.equal(getLinkedInConfiguration({}).status, 'disabled');
+  assert.equal(getLinkedInConfiguration({}).connectable, false);
+  const ready = getLinkedInConfiguration(testEnv, {
+    databaseReady: true,
+    foundationReady: true,
+    workerReady: true
+  });
+  assert.equal(ready.connectable, true);
+  assert.equal(ready.redirectUri, testEnv.LINKEDIN_REDIRECT_URI);
+  assert.equal(LINKEDIN_CALLBACK_PATH, '/api/integrations/linkedin/callback');
+
+  assert.equal(validateRedirectUri({ ...testEnv, LINKEDIN_REDIRECT_URI: `${testEnv.LINKEDIN_REDIRECT_URI}?x=1` }).ready, false);
+  assert.equal(validateRedirectUri({ ...testEnv, LINKEDIN_REDIRECT_URI: 'http://localhost:3001/callback' }).ready, false);
+  const missingFoundation = getLinkedInConfiguration(testEnv, { databaseReady: true, foundationReady: false });
+  assert.equal(missingFoundation.status, 'configuration_required');
+  assert.ok(missingFoundation.warnings.includes('linkedin_database_foundation_missing'));
+  assert.equal(getLinkedInConfiguration({ ...testEnv, LINKEDIN_API_VERSION: '2026-09' }).connectable, false);
+});
+
+test('LinkedIn production validation fails closed only when enabled', () => {
+  assert.deepEqual(getLinkedInProductionErrors({}), []);
+  const errors = getLinkedInProductionErrors({
+    ...testEnv,
+    NODE_ENV: 'production',
+    LINKEDIN_CLIENT_SECRET: 'replace_me'
+  });
+  assert.ok(errors.length > 0);
+  assert.equal(errors.every(error => error.startsWith('linkedin_configuration:')), true);
+});
+
+test('LinkedIn limits remain bounded', () => {
+  const limits = getLinkedInLimits({
+    LINKEDIN_REQUEST_TIMEOUT_MS: '999999',
+    LINKEDIN_STATISTICS_LOOKBACK_DAYS: '5000',
+    LINKEDIN_SYNC_MAX_POSTS: '0'
+  });
+  assert.equal(limits.requestTimeoutMs, 10000);
+  assert.equal(limits.statisticsLookbackDays, 180);
+  assert.equal(limits.maxPosts, 50);
+});
+
+test('LinkedIn authorization requests only the read-only organization scopes', () => {
+  const url = new URL(linkedin.buildAuthorizationUrl({ state: 'state-value' }, testEnv));
+  assert.equal(url.origin + url.pathname, linkedin.LINKEDIN_AUTH_URL);
+  assert.equal(url.searchParams.get('client_id'), testEnv.LINKEDIN_CLIENT_ID);
+  assert.equal(url.searchParams.get('redirect_uri'), testEnv.LINKEDIN_REDIRECT_URI);
+  assert.equal(url.searchParams.get('state'), 'state-value');
+  assert.equal(url.searchParams.get('scope'), 'r_organization_admin r_organization_social');
+
+  assert.equal(linkedin.hasExactScopes('r_organization_admin,r_organization_social'), true);
+  assert.equal(linkedin.hasExactScopes('r_organization_admin r_organization_social w_organization_social'), false);
+  assert.deepEqual(linkedin.missingScopes('r_organization_admin'), ['r_organization_social']);
+  assert.equal(linkedin.chooseRefreshToken('', 'existing-refresh'), 'existing-refresh');
+  assert.doesNotThrow(() => assertReadOnlyScopes([getProviderAdapter('linkedin')]));
+  assert.throws(
+    () => assertReadOnlyScopes([{ provider: 'linkedin', requiredScopes: ['w_organization_social'] }]),
+    /write_or_sensitive_scope:linkedin/
+  );
+});
+
+test('LinkedIn adapter satisfies the provider contract with every operation group', () => {
+  assert.equal(assertProviderAdapterContract(linkedInAdapter), true);
+  assert.equal(linkedInAdapter.provider, 'linkedin');
+  assert.deepEqual(linkedInAdapter.requiredScopes, linkedin.LINKEDIN_SCOPES);
+  assert.deepEqual(linkedInAdapter.resourceTypes, ['linkedin_organization']);
+  assert.equal(typeof linkedInAdapter.deletion.deleteConnectionData, 'function');
+});
+
+test('LinkedIn adapter scope inspection reports missing and extra grants', async () => {
+  assert.deepEqual(await linkedInAdapter.authorization.inspectScopes('r_organization_admin'), {
+    granted: ['r_organization_admin'],
+    missing: ['r_organization_social'],
+    exact: false
+  });
+  assert.equal((await linkedInAdapter.authorization.inspectScopes(linkedin.LINKEDIN_SCOPES)).exact, true);
+});
+
+test('LinkedIn statistics requests are read only, versioned, and organization bound', async () => {
+  const calls = [];
+  linkedin.setLinkedInTestHooks({
+    fetch: async (url, options = {}) => {
+      calls.push({ url: String(url), options });
+      return response(200, { elements: [] });
+    },
+    sleep: async () => {},
+    random: () => 0
+  });
+  const urn = 'urn:li:organization:2414183';
+  const options = { env: testEnv, maxRetries: 0 };
+  await linkedin.listOrganizationAcls('access-token', 0, options);
+  await linkedin.getFollowerCount('access-token', urn, options);
+  await linkedin.getFollowerStatistics('access-token', urn, 0, DAY_MS, options);
+  await linkedin.getShareStatistics('access-token', urn, 0, DAY_MS, options);
+  await linkedin.listPosts('access-token', urn, 500, options);
+  await linkedin.getPostStatistics('access-token', urn, ['urn:li:share:1', 'urn:li:ugcPost:2'], options);
+  assert.equal(calls.length, 6);
+  assert.equal(calls.every(call => !call.options.method || call.options.method === 'GET'), true);
+  assert.equal(calls.every(call => call.options.headers.Authorization === 'Bearer access-token'), true);
+  assert.equal(calls.every(call => /^\d{6}$/.test(call.options.headers['LinkedIn-Version'])), true);
+  assert.match(calls[0].url, /organizationAcls\?q=roleAssignee&role=ADMINISTRATOR/);
+  assert.match(calls[1].url, /networkSizes\/urn%3Ali%3Aorganization%3A2414183\?edgeType=COMPANY_FOLLOWED_BY_MEMBER$/);
+  assert.match(calls[2].url, /timeGranularityType:DAY/);
+  assert.match(calls[4].url, /count=100/);
+  assert.match(calls[5].url, /shares=List\(urn%3Ali%3Ashare%3A1\)&ugcPosts=List\(urn%3Ali%3AugcPost%3A2\)$/);
+  await assert.rejects(linkedin.getFollowerCount('token', 'urn:li:person:1'), /linkedin_organization_urn_invalid/);
+  await assert.rejects(
+    linkedin.getPostStatistics('token', urn, ['urn:li:activity:1']),
+    /linkedin_post_urn_invalid/
+  );
+});
+
+test('LinkedIn retries throttled requests and honors Retry-After', async () => {
+  let attempts = 0;
+  const delays = [];
+  linkedin.setLinkedInTestHooks({
+    fetch: async () => {
+      attempts += 1;
+      return attempts === 1
+        ? response(429, { message: 'Resource level throttle limit reached' }, { 'retry-after': '3' })
+        : response(200, { elements: [] });
+    },
+    sleep: async milliseconds => delays.push(milliseconds),
+    random: () => 0
+  });
+  const result = await linkedin.listOrganizationAcls('token', 0, { env: testEnv, maxRetries: 1 });
+  assert.equal(result.ok, true);
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(delays, [3000]);
+});
+
+test('LinkedIn failures distinguish denied, terminal auth, scope, throttling, and provider errors', () => {
+  assert.equal(linkedin.categorizeProviderFailure(400, { error: 'invalid_grant' }).terminal, true);
+  assert.equal(linkedin.categorizeProviderFailure(400, { error: 'user_cancelled_authorize' }).denied, true);
+  assert.equal(linkedin.categorizeProviderFailure(401, { serviceErrorCode: 65601 }).category, 'authentication');
+  assert.equal(linkedin.categorizeProviderFailure(403, { message: 'Not enough permissions' }).category, 'scope');
+  assert.equal(linkedin.categorizeProviderFailure(429, {}).retryable, true);
+  assert.equal(linkedin.categorizeProviderFailure(503, {}).category, 'provider');
+  assert.equal(linkedin.categorizeProviderFailure(503, {}).retryable, true);
+});
+
+test('LinkedIn organization normalization requires a named administered Page', () => {
+  const organization = normalizeOrganization(
+    { organization: 'urn:li:organization:42', role: 'ADMINISTRATOR' },
+    { id: 42, localizedName: 'Northstar Studio', vanityName: 'northstar-studio' }
+  );
+  assert.equal(organization.id, 'urn:li:organization:42');
+  assert.equal(organization.displayName, 'Northstar Studio');
+  assert.equal(organization.pageUrl, 'https://www.linkedin.com/company/northstar-studio/');
+  assert.equal(organization.selectable, true);
+
+  const mismatched = normalizeOrganization({ organization: 'urn:li:organization:42' }, { id: 7, localizedName: 'Other' });
+  assert.equal(mismatched.selectable, false);
+  assert.equal(mismatched.discoveryStatus, 'organization_details_unavailable');
+  assert.throws(() => normalizeOrganization({ organization: 'urn:li:person:1' }), /linkedin_organization_response_malformed/);
+});
+
+test('LinkedIn statistics windows end at the last complete UTC day', () => {
+  const window = buildStatisticsWindow(7, Date.parse('2026-07-18T15:30:00.000Z'));
+  assert.equal(window.endMs, Date.parse('2026-07-18T00:00:00.000Z'));
+  assert.equal(window.startMs, Date.parse('2026-07-11T00:00:00.000Z'));
+  assert.equal(window.startDate, '2026-07-11');
+  assert.equal(window.endDate, '2026-07-17');
+  assert.equal(window.today, '2026-07-18');
+});
+
+test('LinkedIn daily statistics keep only complete in-window UTC days and preserve zeroes', () => {
+  const window = buildStatisticsWindow(7, Date.parse('2026-07-18T15:30:00.000Z'));
+  const followers = parseFollowerStatistics({
+    elements: [
+      { timeRange: day(window, 0), followerGains: { organicFollowerGain: 4, paidFollowerGain: 1 } },
+      { timeRange: day(window, 1), followerGains: { organicFollowerGain: 0 } },
+      { timeRange: day(window, 2), followerGains: {} },
+      { timeRange: day(window, 7), followerGains: { organicFollowerGain: 9 } },
+      { timeRange: { start: window.startMs, end: window.startMs + 2 * DAY_MS }, followerGains: { organicFollowerGain: 9 } }
+    ]
+  }, window);
+  assert.deepEqual([...followers.entries()], [
+    ['2026-07-11', 5],
+    ['2026-07-12', 0],
+    ['2026-07-13', null]
+  ]);
+
+  const shares = parseShareStatistics({
+    elements: [{
+      timeRange: day(window, 6),
+      totalShareStatistics: { impressionCount: 120, clickCount: 0, likeCount: 8, commentCount: 2 }
+    }]
+  }, window);
+  assert.deepEqual(shares.get('2026-07-17'), {
+    impressionCount: 120,
+    clickCount: 0,
+    likeCount: 8,
+    commentCount: 2,
+    shareCount: null
+  });
+  assert.throws(() => parseShareStatistics({ paging: {} }, window), /linkedin_share_statistics_malformed/);
+  assert.equal(parseFollowerCount({ firstDegreeSize: 1532 }), 1532);
+  assert.throws(() => parseFollowerCount({ firstDegreeSize: 'many' }), /linkedin_follower_count_malformed/);
+});
+
+test('LinkedIn post parsing keeps published Page posts and bounds stored text', () => {
+  const organizationUrn = 'urn:li:organization:42';
+  const posts = parsePosts({
+    elements: [
+      { id: 'urn:li:share:1', author: organizationUrn, publishedAt: Date.parse('2026-07-15T10:00:00.000Z'), commentary: `  ${'a'.repeat(400)}  `, lifecycleState: 'PUBLISHED' },
+      { id: 'urn:li:share:1', author: organizationUrn, publishedAt: Date.parse('2026-07-15T10:00:00.000Z') },
+      { id: 'urn:li:ugcPost:2', author: organizationUrn, publishedAt: Date.parse('2026-07-16T10:00:00.000Z'), lifecycleState: 'DRAFT' },
+      { id: 'urn:li:ugcPost:3', author: 'urn:li:organization:7', publishedAt: Date.parse('2026-07-16T10:00:00.000Z') },
+      { id: 'urn:li:ugcPost:4', author: organizationUrn, createdAt: Date.parse('2026-07-17T10:00:00.000Z') }
+    ]
+  }, organizationUrn, 10);
+  assert.deepEqual(posts.map(post => post.urn), ['urn:li:share:1', 'urn:li:ugcPost:4']);
+  assert.equal(posts[0].publishedDate, '2026-07-15');
+  assert.equal(posts[0].text.length, 280);
+  assert.equal(posts[1].text, '(no text)');
+
+  const statistics = parsePostStatistics({
+    elements: [
+      { share: 'urn:li:share:1', totalShareStatistics: { impressionCount: 900, clickCount: 30 } },
+      { ugcPost: 'not-a-post', totalShareStatistics: { impressionCount: 1 } }
+    ]
+  });
+  assert.equal(statistics.size, 1);
+  assert.equal(statistics.get('urn:li:share:1').impressionCount, 900);
+  assert.equal(statistics.get('urn:li:share:1').shareCount, null);
+});
+
+test('LinkedIn observations use the shared contract with UTC periods and explicit availability', () => {
+  const window = buildStatisticsWindow(7, Date.parse('2026-07-18T15:30:00.000Z'));
+  const statistics = {
+    window,
+    followerCount: 1532,
+    followerDays: new Map([['2026-07-17', 3]]),
+    shareDays: new Map([['2026-07-17', {
+      impressionCount: 120,
+      clickCount: 0,
+      likeCount: 8,
+      commentCount: null,
+      shareCount: 1
+    }]]),
+    posts: [
+      { urn: 'urn:li:share:1', publishedDate: '2026-07-15', text: 'Launch' },
+      { urn: 'urn:li:share:2', publishedDate: '2026-07-16', text: 'Hiring' }
+    ],
+    postStatistics: new Map([['urn:li:share:1', {
+      impressionCount: 900,
+      clickCount: 30,
+      likeCount: 12,
+      commentCount: 2,
+      shareCount: null
+    }]])
+  };
+  const metrics = metricObservations(statistics);
+  const byKey = Object.fromEntries(metrics.map(observation => [observation.metricKey, observation]));
+  assert.equal(metrics.length, 7);
+  assert.equal(byKey['linkedin.followers'].grain, 'snapshot');
+  assert.equal(byKey['linkedin.followers'].periodStart, '2026-07-18');
+  assert.equal(byKey['linkedin.new_followers'].numericValue, 3);
+  assert.equal(byKey['linkedin.clicks'].numericValue, 0);
+  assert.equal(byKey['linkedin.clicks'].availabilityStatus, 'available');
+  assert.equal(byKey['linkedin.comments'].numericValue, null);
+  assert.equal(byKey['linkedin.comments'].availabilityStatus, 'not_reported');
+  assert.equal(metrics.every(observation => observation.provider === 'linkedin'), true);
+
+  const dimensions = dimensionObservations(statistics);
+  assert.equal(dimensions.length, 2);
+  assert.equal(dimensions[0].breakdownKey, 'linkedin.posts');
+  assert.equal(dimensions[0].periodStart, '2026-07-15');
+  assert.equal(dimensions[0].metricValues['linkedin.impressions'], 900);
+  assert.equal(dimensions[0].availability['linkedin.reposts'].status, 'not_reported');
+  assert.equal(dimensions[1].availability['linkedin.impressions'].status, 'provider_error');
+  assert.notEqual(dimensions[0].dimensionHash, dimensions[1].dimensionHash);
+});
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ALERT_METRICS } = require('../platform/alert-service');
+const { LOOKER_PROVIDERS, buildLookerSchema } = require('../platform/looker-studio-service');
+const { STORED_METRIC_SERIES } = require('../platform/metric-series');
+const { getMetricDefinitions } = require('../platform/provider-registry');
+
+test('Looker Studio schemas are generated from stored metric definitions', () => {
+  const definitions = getMetricDefinitions();
+  const seen = new Set();
+  for (const provider of LOOKER_PROVIDERS) {
+    const schema = buildLookerSchema(provider);
+    const ids = schema.fields.map(field => field.id);
+    assert.deepEqual(ids.slice(0, 4), ['date', 'provider', 'resource_id', 'resource_name']);
+    assert.equal(new Set(ids).size, ids.length, provider);
+    const metrics = schema.fields.filter(field => field.concept === 'METRIC');
+    assert.ok(metrics.length > 0, provider);
+    for (const field of metrics) {
+      const definition = definitions[field.metric_key];
+      assert.equal(definition.provider, provider, field.metric_key);
+      assert.equal(field.id, field.metric_key.replace(/\./g, '_'));
+      assert.equal(field.label, definition.label);
+      assert.ok(['NUMBER', 'PERCENT', 'DURATION'].includes(field.type), field.id);
+      assert.ok(['MAX', 'SUM', 'AVG'].includes(field.aggregation), field.id);
+      seen.add(field.metric_key);
+    }
+  }
+  assert.deepEqual([...seen].sort(), Object.keys(STORED_METRIC_SERIES).sort());
+  assert.equal(buildLookerSchema('google_analytics_4').fields.find(field => field.id === 'ga4_engagement_rate').type, 'PERCENT');
+  assert.equal(buildLookerSchema('youtube').fields.find(field => field.id === 'youtube_average_view_duration').type, 'DURATION');
+  assert.equal(buildLookerSchema('tiktok').fields.some(field => field.id === 'tiktok_video_views'), false);
+});
+
+test('alert metrics stay a subset of the stored metric series', () => {
+  for (const [key, metric] of Object.entries(ALERT_METRICS)) {
+    assert.equal(metric, STORED_METRIC_SERIES[key], key);
+  }
+});
@@ -0,0 +1,103 @@
+const { after, test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const jwt = require('jsonwebtoken');
+const {
+  buildOidcAuthorizationUrl,
+  discoverOidcProvider,
+  exchangeOidcCode,
+  setOidcFetchImplementation,
+  verifyOidcIdToken
+} = require('../platform/oidc');
+const { hashSecret } = require('../platform/security');
+
+const ISSUER = 'https://login.corp.example';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }] };
+
+function jsonResponse(body, status = 200) {
+  return { ok: status < 400, status, text: async () => JSON.stringify(body) };
+}
+
+function signIdToken(claims, options = {}) {
+  return jwt.sign(
+    { email: 'person@corp.example', name: 'Pat', nonce: 'nonce-1', ...claims },
+    privateKey,
+    { algorithm: 'RS256', keyid: 'key-1', issuer: ISSUER, audience: 'client-1', subject: 'subject-1', expiresIn: 300, ...options }
+  );
+}
+
+after(() => setOidcFetchImplementation(null));
+
+test('OIDC discovery requires an exact HTTPS issuer and prefers client_secret_basic', async () => {
+  const requests = [];
+  setOidcFetchImplementation(async url => {
+    requests.push(url);
+    return jsonResponse({
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ['code'],
+      token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic']
+    });
+  });
+  const provider = await discoverOidcProvider(ISSUER);
+  assert.deepEqual(requests, [`${ISSUER}/.well-known/openid-configuration`]);
+  assert.equal(provider.tokenAuthMethod, 'client_secret_basic');
+  await assert.rejects(discoverOidcProvider('http://login.corp.example'), { code: 'oidc_issuer_invalid' });
+  await assert.rejects(discoverOidcProvider(`${ISSUER}/other`), { code: 'oidc_discovery_invalid' });
+
+  const authorization = new URL(buildOidcAuthorizationUrl({
+    authorizationEndpoint: provider.authorizationEndpoint,
+    clientId: 'client-1',
+    redirectUri: 'https://app.example/api/auth/sso/oidc/callback',
+    state: 'state-1',
+    nonce: 'nonce-1',
+    codeChallenge: 'challenge',
+    loginHint: 'person@corp.example'
+  }));
+  assert.equal(authorization.searchParams.get('scope'), 'openid email profile');
+  assert.equal(authorization.searchParams.get('code_challenge_method'), 'S256');
+  assert.equal(authorization.searchParams.get('login_hint'), 'person@corp.example');
+});
+
+test('OIDC code exchange sends PKCE and ID tokens are checked for signature, audience, nonce, and email', async () => {
+  let tokenRequest = null;
+  setOidcFetchImplementation(async (url, options) => {
+    if (url === `${ISSUER}/jwks`) return jsonResponse(jwks);
+    tokenRequest = { url, options };
+    return jsonResponse({ id_token: 'token-value', access_token: 'unused' });
+  });
+  assert.equal(await exchangeOidcCode({
+    tokenEndpoint: `${ISSUER}/token`,
+    tokenAuthMethod: 'client_secret_basic',
+    clientId: 'client-1',
+    clientSecret: 'secret',
+    redirectUri: 'https://app.example/api/auth/sso/oidc/callback',
+    code: 'code-1',
+    codeVerifier: 'verifier-1'
+  }), 'token-value');
+  const form = new URLSearchParams(tokenRequest.options.body);
+  assert.equal(form.get('code_verifier'), 'verifier-1');
+  assert.equal(form.get('client_secret'), null);
+  assert.equal(tokenRequest.options.headers.authorization, `Basic ${Buffer.from('client-1:secret').toString('base64')}`);
+
+  const expected = { issuer: ISSUER, clientId: 'client-1', nonceHash: hashSecret('nonce-1'), jwksUri: `${ISSUER}/jwks` };
+  assert.deepEqual(await verifyOidcIdToken(signIdToken({}), expected), {
+    subject: 'subject-1',
+    email: 'person@corp.example',
+    displayName: 'Pat'
+  });
+  await assert.rejects(verifyOidcIdToken(signIdToken({ nonce: 'replayed' }), expected), { code: 'oidc_claims_invalid' });
+  await assert.rejects(verifyOidcIdToken(signIdToken({ email_verified: false }), expected), { code: 'oidc_claims_invalid' });
+  await assert.rejects(verifyOidcIdToken(signIdToken({}, { audience: 'client-2' }), expected), { code: 'oidc_id_token_invalid' });
+  await assert.rejects(verifyOidcIdToken(signIdToken({}, { issuer: 'https://evil.example' }), expected), { code: 'oidc_id_token_invalid' });
+  const forged = jwt.sign({ nonce: 'nonce-1', email: 'person@corp.example' }, 'shared-secret', {
+    algorithm: 'HS256',
+    issuer: ISSUER,
+    audience: 'client-1',
+    subject: 'subject-1'
+  });
+  await assert.rejects(verifyOidcIdToken(forged, expected), { code: 'oidc_id_token_invalid' });
+});
@@ -0,0 +1,375 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const pinterest = require('../integrations/pinterest');
+const {
+  PINTEREST_CALLBACK_PATH,
+  getPinterestConfiguration,
+  getPinterestLimits,
+  getPinterestProductionErrors,
+  validateRedirectUri
+} = require('../platform/pinterest-config');
+const { pinterestAdapter } = require('../platform/pinterest-adapter');
+const { assertProviderAdapterContract } = require('../platform/provider-contract');
+const { assertReadOnlyScopes, getProviderAdapter } = require('../platform/provider-adapters');
+const { normalizeAccount } = require('../platform/pinterest-connection-service');
+const {
+  buildAnalyticsWindow,
+  contentRows,
+  dimensionObservations,
+  metricObservations,
+  parseAccountAnalytics,
+  parseBoards,
+  parsePinAnalytics,
+  parsePins,
+  parseUserAccount
+} = require('../platform/pinterest-sync-service');
+
+const encryptionKey = Buffer.alloc(32, 9).toString('base64');
+const testEnv = {
+  NODE_ENV: 'test',
+  BASE_URL: 'http://localhost:3001',
+  FEATURE_PINTEREST_CONNECTOR: 'true',
+  PINTEREST_APP_ID: '1234567',
+  PINTEREST_APP_SECRET: 'pinterest-app-secret',
+  PINTEREST_REDIRECT_URI: 'http://localhost:3001/api/integrations/pinterest/callback',
+  ENCRYPTION_KEY: encryptionKey,
+  ENCRYPTION_KEY_VERSION: 'test-v1'
+};
+
+function response(status, body, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => headers[String(name).toLowerCase()] || null },
+    text: async () => body === null ? '' : JSON.stringify(body)
+  };
+}
+
+test.afterEach(() => pinterest.setPinterestTestHooks());
+
+test('Pinterest configuration is disabled by default and requires its exact callback', () => {
+  assert.equal(getPinterestConfiguration({}).status, 'disabled');
+  assert.equal(getPinterestConfiguration({}).connectable, false);
+  const ready = getPinterestConfiguration(testEnv, {
+    databaseReady: true,
+    foundationReady: true,
+    workerReady: true
+  });
+  assert.equal(ready.connectable, true);
+  assert.equal(ready.redirectUri, testEnv.PINTEREST_REDIRECT_URI);
+  assert.equal(PINTEREST_CALLBACK_PATH, '/api/integrations/pinterest/callback');
+
+  assert.equal(validateRedirectUri({ ...testEnv, PINTEREST_REDIRECT_URI: `${testEnv.PINTEREST_REDIRECT_URI}?x=1` }).ready, false);
+  assert.equal(validateRedirectUri({ ...testEnv, PINTEREST_REDIRECT_URI: 'http://localhost:3001/callback' }).ready, false);
+  const missingFoundation = getPinterestConfiguration(testEnv, { databaseReady: true, foundationReady: false });
+  assert.equal(missingFoundation.status, 'configuration_required');
+  assert.ok(missingFoundation.warnings.includes('pinterest_database_foundation_missing'));
+  assert.equal(getPinterestConfiguration({ ...testEnv, PINTEREST_APP_SECRET: '' }).connectable, false);
+});
+
+test('Pinterest production validation fails closed only when enabled', () => {
+  assert.deepEqual(getPinterestProductionErrors({}), []);
+  const errors = getPinterestProductionErrors({
+    ...testEnv,
+    NODE_ENV: 'production',
+    PINTEREST_APP_SECRET: 'replace_me'
+  });
+  assert.ok(errors.length > 0);
+  assert.equal(errors.every(error => error.startsWith('pinterest_configuration:')), true);
+  assert.ok(errors.includes('pinterest_configuration:PINTEREST_APP_SECRET_placeholder'));
+});
+
+test('Pinterest limits remain bounded', () => {
+  const limits = getPinterestLimits({
+    PINTEREST_REQUEST_TIMEOUT_MS: '999999',
+    PINTEREST_ANALYTICS_LOOKBACK_DAYS: '5000',
+    PINTEREST_SYNC_MAX_PINS: '0'
+  });
+  assert.equal(limits.requestTimeoutMs, 10000);
+  assert.equal(limits.analyticsLookbackDays, 90);
+  assert.equal(limits.maxPins, 50);
+});
+
+test('Pinterest authorization requests only the read-only account, board, and pin scopes', () => {
+  const url = new URL(pinterest.buildAuthorizationUrl({ state: 'state-value' }, testEnv));
+  assert.equal(url.origin + url.pathname, pinterest.PINTEREST_AUTH_URL);
+  assert.equal(url.searchParams.get('client_id'), testEnv.PINTEREST_APP_ID);
+  assert.equal(url.searchParams.get('redirect_uri'), testEnv.PINTEREST_REDIRECT_URI);
+  assert.equal(url.searchParams.get('state'), 'state-value');
+  assert.equal(url.searchParams.get('response_type'), 'code');
+  assert.equal(url.searchParams.get('scope'), 'user_accounts:read,boards:read,pins:read');
+
+  assert.equal(pinterest.hasExactScopes('user_accounts:read,boards:read,pins:read'), true);
+  assert.equal(pinterest.hasExactScopes('user_accounts:read,boards:read,pins:read,pins:write'), false);
+  assert.deepEqual(pinterest.missingScopes('user_accounts:read boards:read'), ['pins:read']);
+  assert.equal(pinterest.chooseRefreshToken('', 'existing-refresh'), 'existing-refresh');
+  assert.equal(pinterest.chooseRefreshToken('rotated-refresh', 'existing-refresh'), 'rotated-refresh');
+  assert.doesNotThrow(() => assertReadOnlyScopes([getProviderAdapter('pinterest')]));
+  assert.throws(
+    () => assertReadOnlyScopes([{ provider: 'pinterest', requiredScopes: ['pins:write'] }]),
+    /write_or_sensitive_scope:pinterest/
+  );
+});
+
+test('Pinterest adapter satisfies the provider contract with every operation group', () => {
+  assert.equal(assertProviderAdapterContract(pinterestAdapter), true);
+  assert.equal(pinterestAdapter.provider, 'pinterest');
+  assert.deepEqual(pinterestAdapter.requiredScopes, pinterest.PINTEREST_SCOPES);
+  assert.deepEqual(pinterestAdapter.resourceTypes, ['pinterest_account']);
+  assert.equal(typeof pinterestAdapter.deletion.deleteConnectionData, 'function');
+});
+
+test('Pinterest adapter scope inspection reports missing and extra grants', async () => {
+  assert.deepEqual(await pinterestAdapter.authorization.inspectScopes('user_accounts:read'), {
+    granted: ['user_accounts:read'],
+    missing: ['boards:read', 'pins:read'],
+    exact: false
+  });
+  assert.equal((await pinterestAdapter.authorization.inspectScopes(pinterest.PINTEREST_SCOPES)).exact, true);
+});
+
+test('Pinterest analytics requests are read only and bound to numeric ids', async () => {
+  const calls = [];
+  pinterest.setPinterestTestHooks({
+    fetch: async (url, options = {}) => {
+      calls.push({ url: String(url), options });
+      return response(200, { items: [] });
+    },
+    sleep: async () => {},
+    random: () => 0
+  });
+  const options = { env: testEnv, maxRetries: 0 };
+  await pinterest.getUserAccount('access-token', options);
+  await pinterest.getAccountAnalytics('access-token', '2026-07-11', '2026-07-18', options);
+  await pinterest.listBoards('access-token', 'next-page', options);
+  await pinterest.listBoardPins('access-token', '5493', 500, options);
+  await pinterest.getPinAnalytics('access-token', '8812', '2026-07-11', '2026-07-18', options);
+  assert.equal(calls.length, 5);
+  assert.equal(calls.every(call => !call.options.method || call.options.method === 'GET'), true);
+  assert.equal(calls.every(call => call.options.headers.Authorization === 'Bearer access-token'), true);
+  assert.equal(calls[0].url, `${pinterest.PINTEREST_API_URL}/user_account`);
+  assert.match(calls[1].url, /user_account\/analytics\?start_date=2026-07-11&end_date=2026-07-18/);
+  assert.match(calls[1].url, /metric_types=IMPRESSION%2CSAVE%2COUTBOUND_CLICK%2CPIN_CLICK/);
+  assert.match(calls[1].url, /split_field=NO_SPLIT/);
+  assert.match(calls[2].url, /boards\?page_size=25&privacy=PUBLIC&bookmark=next-page$/);
+  assert.match(calls[3].url, /boards\/5493\/pins\?page_size=100$/);
+  assert.match(calls[4].url, /pins\/8812\/analytics\?/);
+  await assert.rejects(pinterest.listBoardPins('token', '../pins', 10), /pinterest_board_id_invalid/);
+  await assert.rejects(
+    pinterest.getPinAnalytics('token', 'abc', '2026-07-11', '2026-07-18'),
+    /pinterest_pin_id_invalid/
+  );
+  await assert.rejects(
+    pinterest.getAccountAnalytics('token', '2026-07-18', '2026-07-11'),
+    /pinterest_analytics_range_invalid/
+  );
+});
+
+test('Pinterest token exchange uses client authentication without sending the secret in the body', async () => {
+  const calls = [];
+  pinterest.setPinterestTestHooks({
+    fetch: async (url, options = {}) => {
+      calls.push({ url: String(url), options });
+      return response(200, { access_token: 'access', refresh_token: 'refresh', scope: 'user_accounts:read' });
+    }
+  });
+  await pinterest.exchangeCode('auth-code', testEnv);
+  assert.equal(calls[0].url, pinterest.PINTEREST_TOKEN_URL);
+  assert.equal(calls[0].options.method, 'POST');
+  assert.equal(
+    calls[0].options.headers.Authorization,
+    `Basic ${Buffer.from(`${testEnv.PINTEREST_APP_ID}:${testEnv.PINTEREST_APP_SECRET}`).toString('base64')}`
+  );
+  const body = new URLSearchParams(calls[0].options.body);
+  assert.equal(body.get('grant_type'), 'authorization_code');
+  assert.equal(body.get('redirect_uri'), testEnv.PINTEREST_REDIRECT_URI);
+  assert.equal(calls[0].options.body.includes(testEnv.PINTEREST_APP_SECRET), false);
+});
+
+test('Pinterest retries throttled requests and honors Retry-After', async () => {
+  let attempts = 0;
+  const delays = [];
+  pinterest.setPinterestTestHooks({
+    fetch: async () => {
+      attempts += 1;
+      return attempts === 1
+        ? response(429, { code: 8, message: 'Rate limit exceeded' }, { 'retry-after': '3' })
+        : response(200, { items: [] });
+    },
+    sleep: async milliseconds => delays.push(milliseconds),
+    random: () => 0
+  });
+  const result = await pinterest.listBoards('token', null, { env: testEnv, maxRetries: 1 });
+  assert.equal(result.ok, true);
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(delays, [3000]);
+});
+
+test('Pinterest failures distinguish denied, terminal auth, scope, throttling, and provider errors', () => {
+  assert.equal(pinterest.categorizeProviderFailure(400, { error: 'invalid_grant' }).terminal, true);
+  assert.equal(pinterest.categorizeProviderFailure(400, { error: 'access_denied' }).denied, true);
+  assert.equal(pinterest.categorizeProviderFailure(401, { code: 2, message: 'Authentication failed.' }).category, 'authentication');
+  assert.equal(pinterest.categorizeProviderFailure(403, { code: 29, message: 'Not permitted' }).category, 'scope');
+  assert.equal(pinterest.categorizeProviderFailure(429, {}).retryable, true);
+  assert.equal(pinterest.categorizeProviderFailure(503, {}).category, 'provider');
+  assert.equal(pinterest.categorizeProviderFailure(503, {}).retryable, true);
+  assert.equal(pinterest.categorizeProviderFailure(404, { code: 3 }).retryable, false);
+});
+
+test('Pinterest account normalization selects only business accounts', () => {
+  const business = normalizeAccount({
+    id: '549755885175',
+    username: 'northstar_studio',
+    business_name: 'Northstar Studio',
+    account_type: 'BUSINESS'
+  });
+  assert.equal(business.id, '549755885175');
+  assert.equal(business.displayName, 'Northstar Studio');
+  assert.equal(business.profileUrl, 'https://www.pinterest.com/northstar_studio/');
+  assert.equal(business.selectable, true);
+  assert.equal(business.discoveryStatus, 'available');
+
+  const personal = normalizeAccount({ id: '549755885176', username: 'someone', account_type: 'PINNER' });
+  assert.equal(personal.displayName, 'someone');
+  assert.equal(personal.selectable, false);
+  assert.equal(personal.discoveryStatus, 'business_account_required');
+  assert.throws(() => normalizeAccount({ id: 'abc', username: 'x' }), /pinterest_account_response_malformed/);
+  assert.throws(() => normalizeAccount({ id: '1', username: 'bad name' }), /pinterest_account_response_malformed/);
+});
+
+test('Pinterest analytics windows end on the current UTC day', () => {
+  const window = buildAnalyticsWindow(7, Date.parse('2026-07-18T15:30:00.000Z'));
+  assert.deepEqual(window, { startDate: '2026-07-12', endDate: '2026-07-18', today: '2026-07-18' });
+});
+
+test('Pinterest account analytics keep only ready in-window days and preserve zeroes', () => {
+  const window = buildAnalyticsWindow(7, Date.parse('2026-07-18T15:30:00.000Z'));
+  const days = parseAccountAnalytics({
+    all: {
+      daily_metrics: [
+        { date: '2026-07-12', data_status: 'READY', metrics: { IMPRESSION: 400, SAVE: 0, OUTBOUND_CLICK: 3, PIN_CLICK: 9 } },
+        { date: '2026-07-13', data_status: 'READY', metrics: { IMPRESSION: 210 } },
+        { date: '2026-07-18', data_status: 'PROCESSING', metrics: { IMPRESSION: 5 } },
+        { date: '2026-07-01', data_status: 'READY', metrics: { IMPRESSION: 5 } },
+        { date: 'yesterday', data_status: 'READY', metrics: { IMPRESSION: 5 } }
+      ]
+    }
+  }, window);
+  assert.deepEqual([...days.keys()], ['2026-07-12', '2026-07-13']);
+  assert.deepEqual(days.get('2026-07-12'), { impressions: 400, saves: 0, outbound_clicks: 3, pin_clicks: 9 });
+  assert.deepEqual(days.get('2026-07-13'), { impressions: 210, saves: null, outbound_clicks: null, pin_clicks: null });
+  assert.throws(() => parseAccountAnalytics({ all: {} }, window), /pinterest_account_analytics_malformed/);
+  assert.throws(() => parseAccountAnalytics({}, window), /pinterest_account_analytics_malformed/);
+});
+
+test('Pinterest sync confirms the selected business account and its follower count', () => {
+  const source = { account_id: '549755885175' };
+  const account = parseUserAccount(source, {
+    id: '549755885175',
+    username: 'northstar_studio',
+    account_type: 'BUSINESS',
+    follower_count: 1532
+  });
+  assert.equal(account.displayName, 'northstar_studio');
+  assert.equal(account.followerCount, 1532);
+  assert.equal(parseUserAccount(source, {
+    id: '549755885175',
+    username: 'northstar_studio',
+    account_type: 'BUSINESS',
+    follower_count: 'many'
+  }).followerCount, null);
+  assert.throws(
+    () => parseUserAccount(source, { id: '1', username: 'other', account_type: 'BUSINESS' }),
+    /pinterest_account_response_malformed/
+  );
+  assert.throws(
+    () => parseUserAccount(source, { id: '549755885175', username: 'northstar_studio', account_type: 'PINNER' }),
+    /pinterest_business_account_required/
+  );
+});
+
+test('Pinterest board and pin parsing keeps valid ids and bounds stored text', () => {
+  const { boards, bookmark } = parseBoards({
+    items: [{ id: '5493', name: '  Spring  ' }, { id: 'bad' }, { id: '5494' }],
+    bookmark: 'next'
+  });
+  assert.deepEqual(boards, [{ id: '5493', name: 'Spring' }, { id: '5494', name: '5494' }]);
+  assert.equal(bookmark, 'next');
+  assert.throws(() => parseBoards({}), /pinterest_boards_response_malformed/);
+
+  const pins = parsePins({
+    items: [
+      {
+        id: '8812',
+        created_at: '2026-07-15T10:00:00',
+        title: `  ${'a'.repeat(400)}  `,
+        description: 'Linen\n  guide',
+        link: 'https://example.com/linen',
+        media: { media_type: 'image' }
+      },
+      { id: 'not-a-pin' },
+      { id: '8813', link: 'javascript:alert(1)' }
+    ]
+  }, boards[0]);
+  assert.equal(pins.length, 2);
+  assert.equal(pins[0].boardName, 'Spring');
+  assert.equal(pins[0].title.length, 280);
+  assert.equal(pins[0].description, 'Linen guide');
+  assert.equal(pins[0].url, 'https://www.pinterest.com/pin/8812/');
+  assert.equal(pins[0].mediaType, 'image');
+  assert.equal(pins[1].publishedAt, null);
+  assert.equal(pins[1].link, null);
+  assert.throws(() => parsePins({ items: null }, boards[0]), /pinterest_pins_response_malformed/);
+
+  assert.deepEqual(parsePinAnalytics({ all: { summary_metrics: { IMPRESSION: 900, SAVE: 12 } } }), {
+    impressions: 900,
+    saves: 12,
+    outbound_clicks: null,
+    pin_clicks: null
+  });
+  assert.throws(() => parsePinAnalytics({ all: { daily_metrics: [] } }), /pinterest_pin_analytics_malformed/);
+});
+
+test('Pinterest observations use the shared contract with explicit availability', () => {
+  const window = buildAnalyticsWindow(7, Date.parse('2026-07-18T15:30:00.000Z'));
+  const analytics = {
+    window,
+    accountDays: new Map([['2026-07-17', { impressions: 120, saves: 0, outbound_clicks: null, pin_clicks: 4 }]]),
+    pins: [
+      { id: '8812', boardId: '5493', boardName: 'Spring', publishedAt: '2026-07-15T10:00:00.000Z', title: 'Linen', description: null, url: 'https://www.pinterest.com/pin/8812/', link: null, mediaType: 'image' },
+      { id: '8813', boardId: '5493', boardName: 'Spring', publishedAt: null, title: null, description: 'Guide', url: 'https://www.pinterest.com/pin/8813/', link: null, mediaType: null }
+    ],
+    pinAnalytics: new Map([['8812', { impressions: 900, saves: 12, outbound_clicks: null, pin_clicks: 30 }]])
+  };
+  const metrics = metricObservations({ followerCount: 1532 }, analytics);
+  const byKey = Object.fromEntries(metrics.map(observation => [observation.metricKey, observation]));
+  assert.equal(metrics.length, 5);
+  assert.equal(byKey['pinterest.followers'].grain, 'snapshot');
+  assert.equal(byKey['pinterest.followers'].periodStart, '2026-07-18');
+  assert.equal(byKey['pinterest.saves'].numericValue, 0);
+  assert.equal(byKey['pinterest.saves'].availabilityStatus, 'available');
+  assert.equal(byKey['pinterest.outbound_clicks'].numericValue, null);
+  assert.equal(byKey['pinterest.outbound_clicks'].availabilityStatus, 'not_reported');
+  assert.equal(metrics.every(observation => observation.provider === 'pinterest'), true);
+  assert.equal(metricObservations({ followerCount: null }, analytics).length, 4);
+
+  const dimensions = dimensionObservations(analytics);
+  assert.equal(dimensions.length, 2);
+  assert.equal(dimensions[0].breakdownKey, 'pinterest.pins');
+  assert.equal(dimensions[0].periodStart, '2026-07-12');
+  assert.equal(dimensions[0].periodEnd, '2026-07-18');
+  assert.equal(dimensions[0].metricValues['pinterest.impressions'], 900);
+  assert.equal(dimensions[0].availability['pinterest.outbound_clicks'].status, 'not_reported');
+  assert.equal(dimensions[1].availability['pinterest.impressions'].status, 'provider_error');
+  assert.deepEqual(dimensions[1].dimensionValues, { board_name: 'Spring', pin_id: '8813', published_date: '', title: 'Guide' });
+  assert.notEqual(dimensions[0].dimensionHash, dimensions[1].dimensionHash);
+
+  const rows = contentRows(analytics);
+  assert.equal(rows[0].viewCount, 900);
+  assert.equal(rows[0].shareCount, 12);
+  assert.equal(rows[0].providerMetrics.window_start, '2026-07-12');
+  assert.equal(rows[0].metadata.board_name, 'Spring');
+  assert.equal(rows[1].viewCount, null);
+  assert.equal(rows[1].providerMetrics, null);
+});
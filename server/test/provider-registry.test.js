@@ -20,9 +20,14 @@ test('provider catalog covers the requested production providers', () => {
   const ids = providers.map(provider => provider.id).sort();
 
   assert.deepEqual(ids, [
+    'bluesky',
     'facebook_pages',
     'google_analytics_4',
+    'google_search_console',
     'instagram',
+    'linkedin',
+    'pinterest',
+    'threads',
     'tiktok',
     'youtube'
   ]);
@@ -93,13 +98,16 @@ test('provider catalog does not include write, ads, upload, messaging, or moneta
     'pages_manage',
     'publish',
     'upload',
+    'w_member',
+    'w_organization',
     'youtube.force-ssl'
   ];
   const publicCatalog = getPublicProviderCatalog({
     FEATURE_INSTAGRAM_CONNECTOR: '1',
     FEATURE_FACEBOOK_PAGES_CONNECTOR: '1',
     YOUTUBE_ENABLED: '1',
-    FEATURE_GA4_CONNECTOR: '1'
+    FEATURE_GA4_CONNECTOR: '1',
+    FEATURE_LINKEDIN_CONNECTOR: '1'
   });
 
   for (const provider of publicCatalog) {
@@ -107,7 +115,7 @@ test('provider catalog does not include write, ads, upload, messaging, or moneta
       assert.equal(scope.access, 'read', `${provider.id}:${scope.name} must be read-only`);
       const normalized = scope.name.toLowerCase();
       assert.equal(
-        deniedScopeTerms.some(term => normalized.includes(term)),
+        deniedScopeTerms.some(term => new RegExp(`(^|[^a-z0-9])${term.replace('.', '\\.')}($|[^a-z0-9])`).test(normalized)),
         false,
         `${provider.id}:${scope.name} should not be requested for analytics-only features`
       );
@@ -152,6 +160,127 @@ test('GA4 uses only analytics.readonly and remains disabled until its dedicated
   assert.equal(configured.status, 'available');
 });
 
+test('LinkedIn requests only the read-only organization scopes and stays gated behind its feature flag', () => {
+  const disabled = getPublicProviderCatalog({}).find(provider => provider.id === 'linkedin');
+  const configured = getPublicProviderCatalog({
+    NODE_ENV: 'test',
+    BASE_URL: 'http://localhost:3001',
+    FEATURE_LINKEDIN_CONNECTOR: 'true',
+    LINKEDIN_CLIENT_ID: 'linkedin-client-id',
+    LINKEDIN_CLIENT_SECRET: 'linkedin-client-secret',
+    LINKEDIN_REDIRECT_URI: 'http://localhost:3001/api/integrations/linkedin/callback',
+    ENCRYPTION_KEY: '2'.repeat(64)
+  }).find(provider => provider.id === 'linkedin');
+
+  assert.equal(disabled.enabled, false);
+  assert.equal(disabled.status, 'disabled');
+  assert.equal(disabled.connectable, false);
+  assert.deepEqual(configured.requestedScopes.map(scope => scope.name), [
+    'r_organization_admin',
+    'r_organization_social'
+  ]);
+  assert.equal(configured.connectable, true);
+  assert.equal(configured.status, 'available');
+});
+
+test('Search Console requests only webmasters.readonly and needs its own Google OAuth client', () => {
+  const env = {
+    NODE_ENV: 'test',
+    BASE_URL: 'http://localhost:3001',
+    FEATURE_SEARCH_CONSOLE_CONNECTOR: 'true',
+    SEARCH_CONSOLE_CLIENT_ID: 'search-console-client-id',
+    SEARCH_CONSOLE_CLIENT_SECRET: 'search-console-client-secret',
+    SEARCH_CONSOLE_REDIRECT_URI: 'http://localhost:3001/api/integrations/search-console/callback',
+    ENCRYPTION_KEY: '3'.repeat(64)
+  };
+  const disabled = getPublicProviderCatalog({}).find(provider => provider.id === 'google_search_console');
+  const configured = getPublicProviderCatalog(env).find(provider => provider.id === 'google_search_console');
+  const shared = getPublicProviderCatalog({ ...env, GA4_CLIENT_ID: 'search-console-client-id' })
+    .find(provider => provider.id === 'google_search_console');
+
+  assert.equal(disabled.status, 'disabled');
+  assert.equal(disabled.connectable, false);
+  assert.deepEqual(configured.requestedScopes.map(scope => scope.name), [
+    'https://www.googleapis.com/auth/webmasters.readonly'
+  ]);
+  assert.equal(configured.connectable, true);
+  assert.equal(configured.status, 'available');
+  assert.equal(shared.connectable, false);
+  assert.equal(shared.status, 'configuration_required');
+});
+
+test('Pinterest requests only read scopes and stays gated behind its feature flag', () => {
+  const disabled = getPublicProviderCatalog({}).find(provider => provider.id === 'pinterest');
+  const configured = getPublicProviderCatalog({
+    NODE_ENV: 'test',
+    BASE_URL: 'http://localhost:3001',
+    FEATURE_PINTEREST_CONNECTOR: 'true',
+    PINTEREST_APP_ID: '1234567',
+    PINTEREST_APP_SECRET: 'pinterest-app-secret',
+    PINTEREST_REDIRECT_URI: 'http://localhost:3001/api/integrations/pinterest/callback',
+    ENCRYPTION_KEY: '4'.repeat(64)
+  }).find(provider => provider.id === 'pinterest');
+
+  assert.equal(disabled.status, 'disabled');
+  assert.equal(disabled.connectable, false);
+  assert.deepEqual(configured.requestedScopes.map(scope => scope.name), [
+    'user_accounts:read',
+    'boards:read',
+    'pins:read'
+  ]);
+  assert.equal(configured.connectable, true);
+  assert.equal(configured.status, 'available');
+});
+
+test('Threads requests exactly its read-only scopes and needs its own app secret', () => {
+  const env = {
+    NODE_ENV: 'test',
+    BASE_URL: 'http://localhost:3001',
+    FEATURE_THREADS_CONNECTOR: 'true',
+    META_APP_SECRET: 'meta-app-secret',
+    THREADS_APP_ID: '7654321',
+    THREADS_APP_SECRET: 'threads-app-secret',
+    THREADS_REDIRECT_URI: 'http://localhost:3001/api/integrations/threads/callback',
+    THREADS_APPROVED_SCOPES: 'threads_basic,threads_manage_insights',
+    ENCRYPTION_KEY: '4'.repeat(64)
+  };
+  const disabled = getPublicProviderCatalog({}).find(provider => provider.id === 'threads');
+  const configured = getPublicProviderCatalog(env).find(provider => provider.id === 'threads');
+  const sharedSecret = getPublicProviderCatalog({ ...env, THREADS_APP_SECRET: 'meta-app-secret' })
+    .find(provider => provider.id === 'threads');
+  const extraScope = getPublicProviderCatalog({
+    ...env,
+    THREADS_APPROVED_SCOPES: 'threads_basic,threads_manage_insights,threads_content_publish'
+  }).find(provider => provider.id === 'threads');
+
+  assert.equal(disabled.status, 'disabled');
+  assert.equal(disabled.connectable, false);
+  assert.deepEqual(configured.requestedScopes.map(scope => scope.name), ['threads_basic', 'threads_manage_insights']);
+  assert.equal(configured.requestedScopes.every(scope => scope.access === 'read'), true);
+  assert.equal(configured.connectable, true);
+  assert.equal(sharedSecret.connectable, false);
+  assert.equal(extraScope.connectable, false);
+});
+
+test('Bluesky requests only the app password scope and needs valid service URLs', () => {
+  const env = {
+    NODE_ENV: 'test',
+    FEATURE_BLUESKY_CONNECTOR: 'true',
+    ENCRYPTION_KEY: '4'.repeat(64)
+  };
+  const disabled = getPublicProviderCatalog({}).find(provider => provider.id === 'bluesky');
+  const configured = getPublicProviderCatalog(env).find(provider => provider.id === 'bluesky');
+  const insecure = getPublicProviderCatalog({ ...env, BLUESKY_SERVICE_URL: 'http://bsky.example.com' })
+    .find(provider => provider.id === 'bluesky');
+
+  assert.equal(disabled.status, 'disabled');
+  assert.equal(disabled.connectable, false);
+  assert.deepEqual(configured.requestedScopes.map(scope => scope.name), ['com.atproto.appPass']);
+  assert.equal(configured.requestedScopes.every(scope => scope.access === 'read'), true);
+  assert.equal(configured.connectable, true);
+  assert.equal(insecure.connectable, false);
+});
+
 test('every advertised metric has a versioned provider-specific definition and unit', () => {
   const definitions = getMetricDefinitions();
   const providers = getProviderCatalog({});
@@ -174,11 +303,28 @@ test('every advertised metric has a versioned provider-specific definition and u
 
 test('provider adapter contract keeps product auth separate from sign-in auth', () => {
   const adapters = listProviderAdapters();
-  assert.equal(adapters.length, 5);
+  assert.equal(adapters.length, 10);
   assert.equal(getProviderAdapter('tiktok').implemented, true);
   assert.equal(getProviderAdapter('youtube').authorizationProvider, 'google');
   assert.equal(getProviderAdapter('google_analytics_4').incrementalAuthorization, true);
+  assert.equal(getProviderAdapter('linkedin').authorizationProvider, 'linkedin');
+  assert.equal(getProviderAdapter('google_search_console').authorizationProvider, 'google');
+  assert.equal(getProviderAdapter('pinterest').authorizationProvider, 'pinterest');
+  assert.equal(getProviderAdapter('threads').authorizationProvider, 'threads');
+  assert.equal(getProviderAdapter('bluesky').authorizationProvider, 'bluesky');
   assert.equal(adapters.every(adapter => adapter.productAuthOnly), true);
   assert.equal(adapters.every(adapter => adapter.reuseSignInTokens === false), true);
   assert.doesNotThrow(() => assertReadOnlyScopes(adapters));
+  assert.throws(
+    () => assertReadOnlyScopes([{ provider: 'pinterest', requiredScopes: ['boards:write'] }]),
+    /write_or_sensitive_scope:pinterest:boards:write/
+  );
+  assert.throws(
+    () => assertReadOnlyScopes([{ provider: 'threads', requiredScopes: ['threads_content_publish'] }]),
+    /write_or_sensitive_scope:threads:threads_content_publish/
+  );
+  assert.throws(
+    () => assertReadOnlyScopes([{ provider: 'threads', requiredScopes: ['ads_read'] }]),
+    /write_or_sensitive_scope:threads:ads_read/
+  );
 });
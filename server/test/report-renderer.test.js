@@ -4,6 +4,13 @@ const fs = require('fs/promises');
 const os = require('os');
 const path = require('path');
 const { getReportConfiguration } = require('../platform/report-config');
+const {
+  nextOccurrence,
+  nextOccurrences,
+  normalizeScheduleRule,
+  relativeRange
+} = require('../platform/report-recurrence');
+const { normalizeReportRecipients } = require('../platform/report-recipients');
 const { renderReportPdf, safePdfText } = require('../platform/report-renderer');
 const { normalizeReportRequest } = require('../platform/report-service');
 const { resolveStoragePath, safeDownloadFilename, storageKeyForRun } = require('../platform/report-storage');
@@ -90,6 +97,57 @@ test('report request validation bounds ranges, resources, timezones, and identif
   );
 });
 
+test('report schedules resolve recurrence rules and relative ranges in the report timezone', () => {
+  const firstBusinessDay = normalizeScheduleRule({ frequency: 'first_business_day', run_time: '09:30' });
+  assert.deepEqual(
+    nextOccurrences(firstBusinessDay, 'America/New_York', new Date('2026-10-19T00:00:00.000Z'), 3)
+      .map(date => date.toISOString()),
+    ['2026-11-02T14:30:00.000Z', '2026-12-01T14:30:00.000Z', '2027-01-01T14:30:00.000Z']
+  );
+  const weekly = normalizeScheduleRule({ frequency: 'weekly', weekday: 1, run_time: '07:00', relative_range: 'last_full_week' });
+  assert.equal(
+    nextOccurrence(weekly, 'Europe/Berlin', new Date('2026-03-23T06:00:00.000Z')).toISOString(),
+    '2026-03-30T05:00:00.000Z'
+  );
+  const monthly = normalizeScheduleRule({ frequency: 'monthly', day_of_month: 28, run_time: '23:00' });
+  assert.equal(
+    nextOccurrence(monthly, 'Asia/Tokyo', new Date('2026-02-28T13:59:00.000Z')).toISOString(),
+    '2026-02-28T14:00:00.000Z'
+  );
+  assert.deepEqual(relativeRange('last_full_month', 'Asia/Tokyo', new Date('2026-02-28T20:00:00.000Z')), {
+    from: '2026-02-01',
+    to: '2026-02-28'
+  });
+  assert.deepEqual(relativeRange('last_full_week', 'UTC', new Date('2026-10-19T10:00:00.000Z')), {
+    from: '2026-10-12',
+    to: '2026-10-18'
+  });
+  assert.deepEqual(relativeRange('last_30_days', 'UTC', new Date('2026-10-19T10:00:00.000Z')), {
+    from: '2026-09-19',
+    to: '2026-10-18'
+  });
+  assert.throws(() => normalizeScheduleRule({ frequency: 'daily' }), /invalid_schedule_frequency/);
+  assert.throws(() => normalizeScheduleRule({ frequency: 'monthly', day_of_month: 31 }), /invalid_schedule_day/);
+  assert.throws(() => normalizeScheduleRule({ frequency: 'weekly', run_time: '25:00' }), /invalid_schedule_time/);
+  assert.throws(() => normalizeScheduleRule({ frequency: 'weekly', relative_range: 'all_time' }), /invalid_schedule_range/);
+});
+
+test('report recipients are normalized, bounded, and deduplicated by address', () => {
+  const configuration = { maxRecipients: 2 };
+  assert.deepEqual(normalizeReportRecipients(undefined, configuration), []);
+  assert.deepEqual(
+    normalizeReportRecipients([{ email: ' Client@Example.org ' }, { email: 'b@example.org', delivery_mode: 'attachment' }], configuration),
+    [
+      { email: 'client@example.org', delivery_mode: 'link' },
+      { email: 'b@example.org', delivery_mode: 'attachment' }
+    ]
+  );
+  assert.throws(() => normalizeReportRecipients([{ email: 'a@example.org' }, { email: 'A@example.org' }], configuration), /duplicate_report_recipient/);
+  assert.throws(() => normalizeReportRecipients([{}, {}, {}], configuration), /invalid_report_recipient_count/);
+  assert.throws(() => normalizeReportRecipients([{ email: 'not an address' }], configuration), /invalid_report_recipient/);
+  assert.throws(() => normalizeReportRecipients([{ email: 'a@example.org', delivery_mode: 'fax' }], configuration), /invalid_report_delivery_mode/);
+});
+
 test('renderer creates a bounded all-provider PDF and explicit edge-state reports', async () => {
   await fs.mkdir(tempDirectory, { recursive: true });
   const cases = [
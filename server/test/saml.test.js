@@ -0,0 +1,231 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildAuthnRequestUrl,
+  buildServiceProviderMetadata,
+  createRequestId,
+  parseIdentityProviderMetadata,
+  parseXml,
+  validateSamlResponse
+} = require('../platform/saml');
+const { createSamlIdentityProvider, readAuthnRequest } = require('../scripts/saml-identity-provider');
+
+const SP_ENTITY_ID = 'https://app.example/api/auth/sso/saml/workspace-1/metadata';
+const ACS_URL = 'https://app.example/api/auth/sso/saml/workspace-1/acs';
+
+function startRequest(metadata) {
+  const requestId = createRequestId();
+  const url = buildAuthnRequestUrl({
+    ssoUrl: metadata.ssoUrl,
+    spEntityId: SP_ENTITY_ID,
+    acsUrl: ACS_URL,
+    requestId,
+    relayState: 'relay-state'
+  });
+  return { requestId, url };
+}
+
+function validate(response, metadata, overrides = {}) {
+  return validateSamlResponse(response.SAMLResponse, {
+    idpEntityId: metadata.entityId,
+    certificates: metadata.certificates,
+    spEntityId: SP_ENTITY_ID,
+    acsUrl: ACS_URL,
+    requestId: response.requestId,
+    ...overrides
+  });
+}
+
+test('XML parsing refuses DTDs, malformed documents, and excessive nesting', () => {
+  assert.equal(parseXml('<r xmlns="urn:example"><a>1</a></r>').localName, 'r');
+  for (const xml of [
+    '<!DOCTYPE r [<!ENTITY x "y">]><r>&x;</r>',
+    '<r><a></r>',
+    '<r>&undefined;</r>',
+    '<r/><r/>',
+    `${'<a>'.repeat(65)}${'</a>'.repeat(65)}`
+  ]) {
+    assert.throws(() => parseXml(xml), { code: 'saml_xml_invalid' }, xml.slice(0, 40));
+  }
+});
+
+test('identity provider metadata yields the redirect endpoint and signing certificates', () => {
+  const idp = createSamlIdentityProvider();
+  const metadata = parseIdentityProviderMetadata(idp.metadata());
+  assert.equal(metadata.entityId, idp.entityId);
+  assert.equal(metadata.ssoUrl, idp.ssoUrl);
+  assert.deepEqual(metadata.certificates, [idp.certificate]);
+  assert.throws(
+    () => parseIdentityProviderMetadata(idp.metadata().replace(/<ds:X509Certificate>[^<]+<\/ds:X509Certificate>/, '')),
+    { code: 'saml_metadata_certificate_missing' }
+  );
+  assert.throws(
+    () => parseIdentityProviderMetadata(idp.metadata().replace(/Location="https:/g, 'Location="http:')),
+    { code: 'saml_metadata_invalid' }
+  );
+
+  const request = readAuthnRequest(startRequest(metadata).url);
+  assert.equal(request.acsUrl, ACS_URL);
+  assert.equal(request.issuer, SP_ENTITY_ID);
+  assert.equal(request.relayState, 'relay-state');
+  assert.match(buildServiceProviderMetadata({ entityId: SP_ENTITY_ID, acsUrl: ACS_URL }), /WantAssertionsSigned="true"/);
+});
+
+test('signed SAML responses are accepted only for the pending request, audience, and recipient', () => {
+  const idp = createSamlIdentityProvider();
+  const metadata = parseIdentityProviderMetadata(idp.metadata());
+  const { url } = startRequest(metadata);
+
+  for (const options of [{}, { signResponse: true }, { signAssertion: false, signResponse: true }]) {
+    const response = idp.respond(url, { email: 'Person@Corp.example', displayName: 'Pat & Co', ...options });
+    assert.deepEqual(validate(response, metadata), {
+      subject: 'Person@Corp.example',
+      email: 'Person@Corp.example',
+      displayName: 'Pat & Co'
+    });
+  }
+
+  const response = idp.respond(url, { email: 'person@corp.example' });
+  assert.throws(() => validate(response, metadata, { requestId: createRequestId() }), { code: 'saml_response_invalid' });
+  assert.throws(() => validate(response, metadata, { spEntityId: 'https://other.example' }), { code: 'saml_audience_invalid' });
+  assert.throws(() => validate(response, metadata, { idpEntityId: 'https://other-idp.example' }), { code: 'saml_issuer_invalid' });
+  assert.throws(
+    () => validate(idp.respond(url, { email: 'person@corp.example', recipient: 'https://evil.example/acs' }), metadata),
+    { code: 'saml_response_invalid' }
+  );
+  assert.throws(
+    () => validate(idp.respond(url, { email: 'person@corp.example', now: new Date(Date.now() - 60 * 60 * 1000) }), metadata),
+    { code: 'saml_assertion_expired' }
+  );
+  assert.throws(
+    () => validate(idp.respond(url, { email: 'person@corp.example', status: 'urn:oasis:names:tc:SAML:2.0:status:Requester' }), metadata),
+    { code: 'saml_authentication_failed' }
+  );
+});
+
+test('unsigned, tampered, wrapped, and foreign-key SAML responses are rejected', () => {
+  const idp = createSamlIdentityProvider();
+  const metadata = parseIdentityProviderMetadata(idp.metadata());
+  const { url } = startRequest(metadata);
+
+  const unsigned = idp.respond(url, { email: 'person@corp.example', signAssertion: false });
+  assert.throws(() => validate(unsigned, metadata), { code: 'saml_signature_missing' });
+
+  const signed = idp.respond(url, { email: 'person@corp.example' });
+  const tampered = signed.xml.replace(/person@corp\.example/g, 'attacker@corp.example');
+  assert.throws(
+    () => validate({ ...signed, SAMLResponse: Buffer.from(tampered).toString('base64') }, metadata),
+    { code: 'saml_signature_invalid' }
+  );
+
+  const forged = idp.respond(url, { email: 'attacker@corp.example', signAssertion: false }).xml
+    .match(/<saml:Assertion [\s\S]*<\/saml:Assertion>/)[0];
+  const wrapped = signed.xml.replace('<saml:Assertion ', `${forged}<saml:Assertion `);
+  assert.throws(
+    () => validate({ ...signed, SAMLResponse: Buffer.from(wrapped).toString('base64') }, metadata),
+    { code: 'saml_response_invalid' }
+  );
+
+  const otherIdp = createSamlIdentityProvider();
+  assert.throws(
+    () => validate(signed, metadata, { certificates: [otherIdp.certificate] }),
+    { code: 'saml_signature_invalid' }
+  );
+});
+
+test('signature wrapping, duplicated assertions, and unsigned assertions in signed responses are rejected', () => {
+  const idp = createSamlIdentityProvider();
+  const metadata = parseIdentityProviderMetadata(idp.metadata());
+  const { url } = startRequest(metadata);
+  const encode = (response, xml) => ({ ...response, SAMLResponse: Buffer.from(xml).toString('base64') });
+  const assertionOf = xml => xml.match(/<saml:Assertion [\s\S]*<\/saml:Assertion>/)[0];
+  const idOf = xml => /\sID="([^"]+)"/.exec(xml)[1];
+
+  const signed = idp.respond(url, { email: 'person@corp.example' });
+  const original = assertionOf(signed.xml);
+  const signature = original.match(/<ds:Signature [\s\S]*<\/ds:Signature>/)[0];
+  const forged = assertionOf(idp.respond(url, { email: 'attacker@corp.example', signAssertion: false }).xml)
+    .replace(/ ID="[^"]+"/, ` ID="${idOf(original)}"`);
+
+  const extensionsWrap = signed.xml.replace(original, `<samlp:Extensions>${original}</samlp:Extensions>${forged}`);
+  assert.throws(() => validate(encode(signed, extensionsWrap), metadata), { code: 'saml_response_invalid' });
+  const objectWrap = signed.xml.replace(
+    original,
+    forged.replace('</saml:Issuer>', `</saml:Issuer>${signature.replace('</ds:Signature>', `<ds:Object>${original}</ds:Object></ds:Signature>`)}`)
+  );
+  assert.throws(() => validate(encode(signed, objectWrap), metadata), { code: 'saml_response_invalid' });
+  const stolenSignature = signed.xml.replace(original, forged.replace('</saml:Issuer>', `</saml:Issuer>${signature}`));
+  assert.throws(() => validate(encode(signed, stolenSignature), metadata), { code: 'saml_signature_invalid' });
+  const strayed = signed.xml.replace('<samlp:Status>', `<samlp:Extensions>${signature}</samlp:Extensions><samlp:Status>`);
+  assert.throws(() => validate(encode(signed, strayed), metadata), { code: 'saml_signature_invalid' });
+
+  assert.throws(
+    () => validate(encode(signed, signed.xml.replace(original, `${original}${original}`)), metadata),
+    { code: 'saml_response_invalid' }
+  );
+  const second = assertionOf(idp.respond(url, { email: 'attacker@corp.example', signAssertion: false }).xml);
+  assert.throws(
+    () => validate(encode(signed, signed.xml.replace(original, `${original}${second}`)), metadata),
+    { code: 'saml_response_invalid' }
+  );
+
+  const signedResponse = idp.respond(url, { email: 'person@corp.example', signAssertion: false, signResponse: true });
+  const unsignedAssertion = assertionOf(signedResponse.xml);
+  const swapped = signedResponse.xml.replace(unsignedAssertion, second);
+  assert.throws(() => validate(encode(signedResponse, swapped), metadata), { code: 'saml_signature_invalid' });
+  const edited = signedResponse.xml.replace(/person@corp\.example/g, 'attacker@corp.example');
+  assert.throws(() => validate(encode(signedResponse, edited), metadata), { code: 'saml_signature_invalid' });
+  assert.throws(
+    () => validate(encode(signedResponse, signedResponse.xml.replace(unsignedAssertion, `${unsignedAssertion}${second}`)), metadata),
+    { code: 'saml_response_invalid' }
+  );
+});
+
+test('comments inside NameID and attribute values cannot truncate the signed identity', () => {
+  const idp = createSamlIdentityProvider();
+  const metadata = parseIdentityProviderMetadata(idp.metadata());
+  const { url } = startRequest(metadata);
+
+  for (const options of [{}, { signAssertion: false, signResponse: true }]) {
+    const signed = idp.respond(url, { email: 'person@corp.example.evil.example', ...options });
+    const commented = signed.xml.replace(/person@corp\.example\.evil\.example/g, 'person@corp.example<!---->.evil.example');
+    assert.notEqual(commented, signed.xml);
+    assert.deepEqual(validate({ ...signed, SAMLResponse: Buffer.from(commented).toString('base64') }, metadata), {
+      subject: 'person@corp.example.evil.example',
+      email: 'person@corp.example.evil.example',
+      displayName: null
+    });
+  }
+});
+
+test('signatures whose reference does not point at their parent element or use weak algorithms are rejected', () => {
+  const idp = createSamlIdentityProvider();
+  const metadata = parseIdentityProviderMetadata(idp.metadata());
+  const { url } = startRequest(metadata);
+  const encode = (response, xml) => ({ ...response, SAMLResponse: Buffer.from(xml).toString('base64') });
+
+  const signed = idp.respond(url, { email: 'person@corp.example' });
+  const responseId = /<samlp:Response [^>]*\sID="([^"]+)"/.exec(signed.xml)[1];
+  for (const uri of [`#${responseId}`, '', '#_missing']) {
+    const misdirected = signed.xml.replace(/<ds:Reference URI="[^"]*">/, `<ds:Reference URI="${uri}">`);
+    assert.throws(() => validate(encode(signed, misdirected), metadata), { code: 'saml_signature_invalid' }, uri);
+  }
+
+  const signedResponse = idp.respond(url, { email: 'person@corp.example', signAssertion: false, signResponse: true });
+  const responseSignature = signedResponse.xml.match(/<ds:Signature [\s\S]*<\/ds:Signature>/)[0];
+  const moved = signedResponse.xml
+    .replace(responseSignature, '')
+    .replace(/(<saml:Assertion [^>]*><saml:Issuer>[^<]*<\/saml:Issuer>)/, `$1${responseSignature}`);
+  assert.throws(() => validate(encode(signedResponse, moved), metadata), { code: 'saml_signature_invalid' });
+
+  const sha1 = signed.xml.replace(
+    'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256',
+    'http://www.w3.org/2000/09/xmldsig#rsa-sha1'
+  );
+  assert.throws(() => validate(encode(signed, sha1), metadata), { code: 'saml_signature_algorithm_unsupported' });
+  const withComments = signed.xml.replace(
+    '<ds:CanonicalizationMethod Algorithm="http://www.w3.org/2001/10/xml-exc-c14n#">',
+    '<ds:CanonicalizationMethod Algorithm="http://www.w3.org/2001/10/xml-exc-c14n#WithComments">'
+  );
+  assert.throws(() => validate(encode(signed, withComments), metadata), { code: 'saml_signature_algorithm_unsupported' });
+});
@@ -0,0 +1,281 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const searchConsole = require('../integrations/search-console');
+const {
+  SEARCH_CONSOLE_CALLBACK_PATH,
+  getSearchConsoleConfiguration,
+  getSearchConsoleLimits,
+  getSearchConsoleProductionErrors,
+  validateRedirectUri
+} = require('../platform/search-console-config');
+const { searchConsoleAdapter } = require('../platform/search-console-adapter');
+const { assertProviderAdapterContract } = require('../platform/provider-contract');
+const { assertReadOnlyScopes, getProviderAdapter } = require('../platform/provider-adapters');
+const { normalizeSite } = require('../platform/search-console-connection-service');
+const {
+  buildDateWindows,
+  dateInTimeZone,
+  dimensionObservations,
+  metricObservations,
+  normalizeSearchConsoleDate,
+  parseSearchAnalyticsRows
+} = require('../platform/search-console-sync-service');
+const { deriveFromDaily, parseRange } = require('../platform/search-console-dashboard-service');
+
+const encryptionKey = Buffer.alloc(32, 11).toString('base64');
+const testEnv = {
+  NODE_ENV: 'test',
+  BASE_URL: 'http://localhost:3001',
+  FEATURE_SEARCH_CONSOLE_CONNECTOR: 'true',
+  SEARCH_CONSOLE_CLIENT_ID: 'search-console-client-id',
+  SEARCH_CONSOLE_CLIENT_SECRET: 'search-console-client-secret',
+  SEARCH_CONSOLE_REDIRECT_URI: 'http://localhost:3001/api/integrations/search-console/callback',
+  ENCRYPTION_KEY: encryptionKey,
+  ENCRYPTION_KEY_VERSION: 'test-v1'
+};
+
+function response(status, body, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => headers[String(name).toLowerCase()] || null },
+    text: async () => body === null ? '' : JSON.stringify(body)
+  };
+}
+
+function dailyRow(date, key, value, status = 'available') {
+  return { report_date: date, metric_key: key, numeric_value: value, availability_status: status };
+}
+
+test.afterEach(() => searchConsole.setSearchConsoleTestHooks());
+
+test('Search Console configuration is disabled by default and requires its own client and exact callback', () => {
+  assert.equal(getSearchConsoleConfiguration({}).status, 'disabled');
+  const ready = getSearchConsoleConfiguration(testEnv, {
+    databaseReady: true,
+    foundationReady: true,
+    workerReady: true
+  });
+  assert.equal(ready.connectable, true);
+  assert.equal(ready.redirectUri, testEnv.SEARCH_CONSOLE_REDIRECT_URI);
+  assert.equal(SEARCH_CONSOLE_CALLBACK_PATH, '/api/integrations/search-console/callback');
+
+  assert.equal(validateRedirectUri({
+    ...testEnv,
+    SEARCH_CONSOLE_REDIRECT_URI: 'http://localhost:3001/api/integrations/google-analytics/callback'
+  }).ready, false);
+  for (const key of ['GOOGLE_OIDC_CLIENT_ID', 'YOUTUBE_CLIENT_ID', 'GA4_CLIENT_ID']) {
+    const shared = getSearchConsoleConfiguration({ ...testEnv, [key]: testEnv.SEARCH_CONSOLE_CLIENT_ID });
+    assert.equal(shared.connectable, false, key);
+  }
+  const missingFoundation = getSearchConsoleConfiguration(testEnv, { databaseReady: true, foundationReady: false });
+  assert.ok(missingFoundation.warnings.includes('search_console_database_foundation_missing'));
+});
+
+test('Search Console production validation fails closed only when enabled', () => {
+  assert.deepEqual(getSearchConsoleProductionErrors({}), []);
+  const errors = getSearchConsoleProductionErrors({
+    ...testEnv,
+    NODE_ENV: 'production',
+    SEARCH_CONSOLE_CLIENT_SECRET: 'replace_me'
+  });
+  assert.ok(errors.length > 0);
+  assert.equal(errors.every(error => error.startsWith('search_console_configuration:')), true);
+});
+
+test('Search Console limits remain bounded', () => {
+  const limits = getSearchConsoleLimits({
+    SEARCH_CONSOLE_LOOKBACK_DAYS: '30',
+    SEARCH_CONSOLE_SYNC_MAX_DIMENSION_ROWS: '5000',
+    SEARCH_CONSOLE_DISCOVERY_MAX_SITES: '0'
+  });
+  assert.equal(limits.analyticsLookbackDays, 180);
+  assert.equal(limits.maxDimensionRows, 100);
+  assert.equal(limits.maxSites, 100);
+});
+
+test('Search Console authorization requests only webmasters.readonly with PKCE', () => {
+  const url = new URL(searchConsole.buildAuthorizationUrl({
+    state: 'state-value',
+    codeChallenge: 'challenge-value'
+  }, testEnv));
+  assert.equal(url.origin + url.pathname, searchConsole.GOOGLE_AUTH_URL);
+  assert.equal(url.searchParams.get('client_id'), testEnv.SEARCH_CONSOLE_CLIENT_ID);
+  assert.equal(url.searchParams.get('redirect_uri'), testEnv.SEARCH_CONSOLE_REDIRECT_URI);
+  assert.equal(url.searchParams.get('scope'), 'https://www.googleapis.com/auth/webmasters.readonly');
+  assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+  assert.equal(url.searchParams.get('access_type'), 'offline');
+
+  assert.equal(searchConsole.hasExactScopes('https://www.googleapis.com/auth/webmasters.readonly'), true);
+  assert.equal(searchConsole.hasExactScopes('https://www.googleapis.com/auth/webmasters'), false);
+  assert.deepEqual(searchConsole.missingScopes('openid email'), searchConsole.SEARCH_CONSOLE_SCOPES);
+  assert.doesNotThrow(() => assertReadOnlyScopes([getProviderAdapter('google_search_console')]));
+});
+
+test('Search Console adapter satisfies the provider contract with every operation group', () => {
+  assert.equal(assertProviderAdapterContract(searchConsoleAdapter), true);
+  assert.equal(searchConsoleAdapter.provider, 'google_search_console');
+  assert.deepEqual(searchConsoleAdapter.requiredScopes, searchConsole.SEARCH_CONSOLE_SCOPES);
+  assert.deepEqual(searchConsoleAdapter.resourceTypes, ['search_console_site']);
+});
+
+test('Search Console requests are read only and bound to a valid site property', async () => {
+  const calls = [];
+  searchConsole.setSearchConsoleTestHooks({
+    fetch: async (url, options = {}) => {
+      calls.push({ url: String(url), options });
+      return response(200, { rows: [] });
+    },
+    sleep: async () => {},
+    random: () => 0
+  });
+  const options = { env: testEnv, maxRetries: 0 };
+  await searchConsole.listSites('access-token', options);
+  await searchConsole.getSite('access-token', 'sc-domain:example.com', options);
+  await searchConsole.querySearchAnalytics('access-token', 'https://www.example.com/', {
+    startDate: '2026-07-01',
+    endDate: '2026-07-07',
+    dimensions: ['query'],
+    rowLimit: 25
+  }, options);
+  assert.equal(calls.length, 3);
+  assert.equal(calls.every(call => call.options.headers.Authorization === 'Bearer access-token'), true);
+  assert.match(calls[0].url, /\/webmasters\/v3\/sites$/);
+  assert.match(calls[1].url, /\/sites\/sc-domain%3Aexample\.com$/);
+  assert.match(calls[2].url, /\/sites\/https%3A%2F%2Fwww\.example\.com%2F\/searchAnalytics\/query$/);
+  assert.equal(calls[2].options.method, 'POST');
+  assert.deepEqual(JSON.parse(calls[2].options.body), {
+    startDate: '2026-07-01',
+    endDate: '2026-07-07',
+    dimensions: ['query'],
+    type: 'web',
+    dataState: 'final',
+    aggregationType: 'auto',
+    rowLimit: 25,
+    startRow: 0
+  });
+  assert.equal(searchConsole.isValidSiteUrl('https://www.example.com'), false);
+  assert.equal(searchConsole.isValidSiteUrl('ftp://example.com/'), false);
+  await assert.rejects(searchConsole.getSite('token', 'example.com'), /search_console_site_url_invalid/);
+});
+
+test('Search Console failures distinguish lost access, scope, quota, and provider errors', () => {
+  assert.equal(searchConsole.categorizeProviderFailure(400, { error: 'invalid_grant' }).terminal, true);
+  const lost = searchConsole.categorizeProviderFailure(403, {
+    error: { code: 403, message: "User does not have sufficient permission for site 'https://example.com/'." }
+  });
+  assert.equal(lost.category, 'authentication');
+  assert.equal(lost.accessLost, true);
+  assert.equal(searchConsole.categorizeProviderFailure(403, {
+    error: { status: 'PERMISSION_DENIED', details: [{ reason: 'ACCESS_TOKEN_SCOPE_INSUFFICIENT' }] }
+  }).category, 'scope');
+  assert.equal(searchConsole.categorizeProviderFailure(429, {
+    error: { errors: [{ reason: 'quotaExceeded' }] }
+  }).category, 'quota');
+  assert.equal(searchConsole.categorizeProviderFailure(503, {}).retryable, true);
+});
+
+test('Search Console site normalization only selects verified permission levels', () => {
+  const domain = normalizeSite({ siteUrl: 'sc-domain:example.com', permissionLevel: 'siteOwner' });
+  assert.equal(domain.displayName, 'example.com');
+  assert.equal(domain.propertyType, 'domain');
+  assert.equal(domain.timezone, 'America/Los_Angeles');
+  assert.equal(domain.selectable, true);
+
+  const prefix = normalizeSite({ siteUrl: 'https://blog.example.com/', permissionLevel: 'siteRestrictedUser' });
+  assert.equal(prefix.propertyType, 'url_prefix');
+  assert.equal(prefix.selectable, true);
+
+  const unverified = normalizeSite({ siteUrl: 'https://shop.example.com/', permissionLevel: 'siteUnverifiedUser' });
+  assert.equal(unverified.selectable, false);
+  assert.equal(unverified.discoveryStatus, 'site_not_verified');
+  assert.throws(() => normalizeSite({ siteUrl: 'example.com' }), /search_console_site_response_malformed/);
+});
+
+test('Search Console dates use Pacific Time and stored windows end at the data-through date', () => {
+  assert.equal(dateInTimeZone('America/Los_Angeles', new Date('2026-07-18T05:00:00.000Z')), '2026-07-17');
+  assert.equal(normalizeSearchConsoleDate('2026-07-15'), '2026-07-15');
+  assert.equal(normalizeSearchConsoleDate('2026-02-30'), null);
+
+  const windows = buildDateWindows('2026-07-15');
+  assert.deepEqual(windows.map(window => window.key), ['7d', '7d_previous', '30d', '30d_previous', '90d', '90d_previous']);
+  assert.deepEqual(windows[0], { key: '7d', days: 7, kind: 'current', startDate: '2026-07-09', endDate: '2026-07-15' });
+  assert.equal(windows[1].startDate, '2026-07-02');
+  assert.equal(windows[1].endDate, '2026-07-08');
+  assert.equal(windows[4].startDate, '2026-04-17');
+});
+
+test('Search Analytics rows are parsed strictly and keep missing values explicit', () => {
+  const rows = parseSearchAnalyticsRows({
+    rows: [
+      { keys: ['studio pricing'], clicks: 12, impressions: 300, ctr: 0.04, position: 3.2 },
+      { keys: ['studio hours'], clicks: 0, impressions: 20 }
+    ]
+  }, ['query']);
+  assert.deepEqual(rows[0].dimensions, { query: 'studio pricing' });
+  assert.equal(rows[1].metrics.clicks, 0);
+  assert.equal(rows[1].metrics.position, null);
+  assert.deepEqual(parseSearchAnalyticsRows({ responseAggregationType: 'byProperty' }, ['date']), []);
+  assert.throws(() => parseSearchAnalyticsRows({ rows: [{ keys: [] }] }, ['query']), /search_console_row_malformed/);
+  assert.throws(() => parseSearchAnalyticsRows({ rows: [{ keys: ['a'], clicks: '4' }] }, ['query']), /search_console_row_malformed/);
+});
+
+test('Search Console observations use the shared contract for daily, range, and breakdown rows', () => {
+  const [window] = buildDateWindows('2026-07-15');
+  const analytics = {
+    daily: [{ date: '2026-07-15', metrics: { clicks: 4, impressions: 100, ctr: 0.04, position: 6.5 } }],
+    rangeReports: [
+      { window, rows: [{ metrics: { clicks: 30, impressions: 900, ctr: 0.0333, position: 7.1 } }] },
+      { window: { ...window, startDate: '2026-07-02', endDate: '2026-07-08' }, rows: [] },
+      { window: { ...window, startDate: '2026-06-25', endDate: '2026-07-01' }, rows: null }
+    ],
+    breakdownReports: [{
+      breakdown: searchConsole.SEARCH_CONSOLE_BREAKDOWNS[0],
+      window,
+      rows: [{ dimensions: { query: 'studio pricing' }, metrics: { clicks: 12, impressions: 300, ctr: 0.04, position: null } }]
+    }]
+  };
+  const metrics = metricObservations(analytics);
+  assert.equal(metrics.length, 16);
+  assert.equal(metrics.every(observation => observation.provider === 'google_search_console'), true);
+  const daily = metrics.filter(observation => observation.grain === 'daily');
+  assert.equal(daily.find(observation => observation.metricKey === 'search_console.position').numericValue, 6.5);
+  const ranges = metrics.filter(observation => observation.grain === 'range');
+  assert.equal(ranges[0].numericValue, 30);
+  assert.equal(ranges[4].availabilityStatus, 'not_reported');
+  assert.equal(ranges[4].availabilityReason, 'search_console_no_rows');
+  assert.equal(ranges[8].availabilityStatus, 'provider_error');
+
+  const [dimension] = dimensionObservations(analytics);
+  assert.equal(dimension.breakdownKey, 'search_console.query');
+  assert.equal(dimension.periodStart, '2026-07-09');
+  assert.equal(dimension.metricValues['search_console.clicks'], 12);
+  assert.equal(dimension.availability['search_console.position'].status, 'not_reported');
+});
+
+test('Search Console dashboard ranges stop at the data-through date and derive totals from daily rows', () => {
+  const range = parseRange({ range: '7d' }, '2000-01-10');
+  assert.equal(range.to, '2000-01-10');
+  assert.equal(range.from, '2000-01-04');
+  assert.equal(range.previousTo, '2000-01-03');
+  assert.equal(range.timezone, 'America/Los_Angeles');
+  assert.throws(() => parseRange({ range: 'custom', from: '2026-07-10', to: '2026-07-01' }), /invalid_date_range/);
+
+  const rows = [
+    dailyRow('2026-07-14', 'search_console.clicks', 10),
+    dailyRow('2026-07-14', 'search_console.impressions', 100),
+    dailyRow('2026-07-14', 'search_console.position', 2),
+    dailyRow('2026-07-15', 'search_console.clicks', 5),
+    dailyRow('2026-07-15', 'search_console.impressions', 300),
+    dailyRow('2026-07-15', 'search_console.position', 6)
+  ];
+  assert.equal(deriveFromDaily(rows, 'search_console.clicks'), 15);
+  assert.equal(deriveFromDaily(rows, 'search_console.ctr'), 15 / 400);
+  assert.equal(deriveFromDaily(rows, 'search_console.position'), 5);
+  assert.equal(deriveFromDaily([
+    ...rows.slice(0, 5),
+    dailyRow('2026-07-15', 'search_console.position', null, 'not_reported')
+  ], 'search_console.position'), null);
+  assert.equal(deriveFromDaily([], 'search_console.ctr'), null);
+});
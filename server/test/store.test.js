@@ -128,3 +128,44 @@ test('FileStateStore consumes concurrent state races once', async () => {
   assert.equal(consumed.length, 1);
   assert.equal(missing.length, 4);
 });
+
+test('File stores list decrypted tokens and unexpired states for migration', async () => {
+  const tokenStore = new FileTokenStore({
+    filePath: path.join(tempDir, 'tokens-list.json'),
+    lockPath: path.join(tempDir, 'tokens-list.json.lock'),
+    encryptionKey
+  });
+  await tokenStore.saveConnectorToken('subject-1', {
+    accessToken: 'access-1',
+    refreshToken: 'refresh-1',
+    expiresAt: 1000,
+    refreshExpiresAt: Date.now() + 60 * 60 * 1000,
+    openId: 'subject-1'
+  });
+  const otherKeyStore = new FileTokenStore({
+    filePath: path.join(tempDir, 'tokens-list.json'),
+    lockPath: path.join(tempDir, 'tokens-list.json.lock'),
+    encryptionKey: '2'.repeat(64)
+  });
+
+  const tokens = await tokenStore.listConnectorTokens();
+  assert.equal(tokens.length, 1);
+  assert.equal(tokens[0].connectorToken, 'subject-1');
+  assert.equal(tokens[0].tokenData.refreshToken, 'refresh-1');
+  assert.equal(tokens[0].tokenData.expiresAt, 1000);
+  assert.deepEqual(await otherKeyStore.listConnectorTokens(), [{ connectorToken: 'subject-1', tokenData: null }]);
+
+  const filePath = path.join(tempDir, 'states-list.json');
+  const lockPath = path.join(tempDir, 'states-list.json.lock');
+  const stateStore = new FileStateStore({ filePath, lockPath, namespace: 'oauth', cleanupIntervalMs: 0 });
+  const shortStore = new FileStateStore({ filePath, lockPath, namespace: 'codes', ttlMs: 5, cleanupIntervalMs: 0 });
+  await stateStore.save('state-1', { flow: 'oauth' });
+  await shortStore.save('code-1', { subject: 'subject-1' });
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const states = await stateStore.listStates();
+  assert.equal(states.length, 1);
+  assert.equal(states[0].key, stateStore.getStorageKey('state-1'));
+  assert.equal(states[0].namespace, 'oauth');
+  assert.deepEqual(states[0].data, { flow: 'oauth' });
+});
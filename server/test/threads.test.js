@@ -0,0 +1,374 @@
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const test = require('node:test');
+
+const meta = require('../integrations/meta');
+const threads = require('../integrations/threads');
+const {
+  THREADS_CALLBACK_PATH,
+  getThreadsConfiguration,
+  getThreadsLimits,
+  getThreadsProductionErrors,
+  validateRedirectUri
+} = require('../platform/threads-config');
+const { threadsAdapter } = require('../platform/threads-adapter');
+const { assertProviderAdapterContract } = require('../platform/provider-contract');
+const { assertReadOnlyScopes, getProviderAdapter } = require('../platform/provider-adapters');
+const { normalizeProfile } = require('../platform/threads-connection-service');
+const {
+  processMetaSignedCallback,
+  verifyMetaOrThreadsSignedRequest
+} = require('../platform/meta-connection-service');
+const {
+  buildInsightsWindow,
+  buildRangeWindows,
+  contentRows,
+  dimensionObservations,
+  metricObservations,
+  parsePostInsights,
+  parsePosts,
+  parseProfile,
+  parseProfileInsights,
+  parseRangeTotals
+} = require('../platform/threads-sync-service');
+
+const encryptionKey = Buffer.alloc(32, 9).toString('base64');
+const testEnv = {
+  NODE_ENV: 'test',
+  BASE_URL: 'http://localhost:3001',
+  FEATURE_THREADS_CONNECTOR: 'true',
+  META_APP_SECRET: 'meta-app-secret',
+  THREADS_APP_ID: '7654321',
+  THREADS_APP_SECRET: 'threads-app-secret',
+  THREADS_REDIRECT_URI: 'http://localhost:3001/api/integrations/threads/callback',
+  THREADS_APPROVED_SCOPES: 'threads_basic,threads_manage_insights',
+  ENCRYPTION_KEY: encryptionKey,
+  ENCRYPTION_KEY_VERSION: 'test-v1'
+};
+
+function response(status, body, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => headers[String(name).toLowerCase()] || null },
+    text: async () => body === null ? '' : JSON.stringify(body)
+  };
+}
+
+function signedRequest(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  return `${signature}.${body}`;
+}
+
+test.afterEach(() => meta.setMetaTestHooks());
+
+test('Threads configuration is disabled by default and requires its own app and exact callback', () => {
+  assert.equal(getThreadsConfiguration({}).status, 'disabled');
+  assert.equal(getThreadsConfiguration({}).connectable, false);
+  const ready = getThreadsConfiguration(testEnv, { databaseReady: true, foundationReady: true, workerReady: true });
+  assert.equal(ready.connectable, true);
+  assert.equal(ready.redirectUri, testEnv.THREADS_REDIRECT_URI);
+  assert.equal(THREADS_CALLBACK_PATH, '/api/integrations/threads/callback');
+
+  assert.equal(validateRedirectUri({ ...testEnv, THREADS_REDIRECT_URI: `${testEnv.THREADS_REDIRECT_URI}?x=1` }).ready, false);
+  assert.equal(validateRedirectUri({ ...testEnv, THREADS_REDIRECT_URI: 'http://localhost:3001/callback' }).ready, false);
+  const shared = getThreadsConfiguration({ ...testEnv, THREADS_APP_SECRET: testEnv.META_APP_SECRET });
+  assert.ok(shared.warnings.includes('THREADS_APP_SECRET_must_differ_from_META_APP_SECRET'));
+  const publishing = getThreadsConfiguration({
+    ...testEnv,
+    THREADS_APPROVED_SCOPES: 'threads_basic,threads_manage_insights,threads_content_publish'
+  });
+  assert.ok(publishing.warnings.includes('THREADS_APPROVED_SCOPES_must_match_exact_read_only_set'));
+  const missingFoundation = getThreadsConfiguration(testEnv, { databaseReady: true, foundationReady: false });
+  assert.ok(missingFoundation.warnings.includes('threads_database_foundation_missing'));
+});
+
+test('Threads production validation fails closed only when enabled', () => {
+  assert.deepEqual(getThreadsProductionErrors({}), []);
+  const errors = getThreadsProductionErrors({ ...testEnv, NODE_ENV: 'production', THREADS_APP_SECRET: 'replace_me' });
+  assert.ok(errors.length > 0);
+  assert.equal(errors.every(error => error.startsWith('threads_configuration:')), true);
+  assert.ok(errors.includes('threads_configuration:THREADS_APP_SECRET_placeholder'));
+});
+
+test('Threads limits reuse Meta request limits and stay bounded', () => {
+  const limits = getThreadsLimits({
+    META_REQUEST_TIMEOUT_MS: '999999',
+    THREADS_INSIGHTS_LOOKBACK_DAYS: '5000',
+    THREADS_SYNC_MAX_POSTS: '0',
+    THREADS_TOKEN_REFRESH_DAYS: '45'
+  });
+  assert.equal(limits.requestTimeoutMs, 10000);
+  assert.equal(limits.insightsLookbackDays, 90);
+  assert.equal(limits.maxPosts, 50);
+  assert.equal(limits.tokenRefreshDays, 7);
+});
+
+test('Threads authorization requests only the read-only profile and insights scopes', () => {
+  const url = new URL(threads.buildAuthorizationUrl({ state: 'state-value' }, testEnv));
+  assert.equal(url.origin + url.pathname, threads.THREADS_AUTH_URL);
+  assert.equal(url.searchParams.get('client_id'), testEnv.THREADS_APP_ID);
+  assert.equal(url.searchParams.get('redirect_uri'), testEnv.THREADS_REDIRECT_URI);
+  assert.equal(url.searchParams.get('state'), 'state-value');
+  assert.equal(url.searchParams.get('response_type'), 'code');
+  assert.equal(url.searchParams.get('scope'), 'threads_basic,threads_manage_insights');
+
+  assert.equal(threads.hasExactScopes('threads_basic,threads_manage_insights'), true);
+  assert.equal(threads.hasExactScopes(['threads_basic', 'threads_manage_insights', 'threads_content_publish']), false);
+  assert.deepEqual(threads.missingScopes('threads_basic'), ['threads_manage_insights']);
+  assert.deepEqual(threads.forbiddenScopes('threads_basic,threads_delete,threads_manage_replies'), [
+    'threads_delete',
+    'threads_manage_replies'
+  ]);
+  assert.doesNotThrow(() => assertReadOnlyScopes([getProviderAdapter('threads')]));
+});
+
+test('Threads adapter satisfies the provider contract with every operation group', async () => {
+  assert.equal(assertProviderAdapterContract(threadsAdapter), true);
+  assert.equal(threadsAdapter.provider, 'threads');
+  assert.deepEqual(threadsAdapter.requiredScopes, threads.THREADS_SCOPES);
+  assert.deepEqual(threadsAdapter.resourceTypes, ['threads_profile']);
+  assert.deepEqual(await threadsAdapter.authorization.inspectScopes('threads_basic'), {
+    granted: ['threads_basic'],
+    missing: ['threads_manage_insights'],
+    exact: false
+  });
+});
+
+test('Threads requests go through the Meta client with a Threads appsecret_proof', async () => {
+  const calls = [];
+  meta.setMetaTestHooks({
+    fetch: async (url, options = {}) => {
+      calls.push({ url: new URL(String(url)), options });
+      return response(200, { data: [] });
+    },
+    sleep: async () => {},
+    random: () => 0
+  });
+  const options = { env: testEnv, maxRetries: 0 };
+  await threads.getProfile('access-token', options);
+  await threads.getProfileInsights('1234', 'access-token', ['views', 'followers_count', 'shares'], '2026-07-11', '2026-07-17', options);
+  await threads.listThreads('1234', 'access-token', 500, options);
+  await threads.getPostInsights('5678', 'access-token', options);
+  const proof = crypto.createHmac('sha256', testEnv.THREADS_APP_SECRET).update('access-token').digest('hex');
+  assert.equal(calls.length, 4);
+  assert.equal(calls.every(call => !call.options.method || call.options.method === 'GET'), true);
+  assert.equal(calls.every(call => call.options.headers.Authorization === 'Bearer access-token'), true);
+  assert.equal(calls.every(call => call.url.searchParams.get('appsecret_proof') === proof), true);
+  assert.equal(calls[0].url.pathname, '/v1.0/me');
+  assert.equal(calls[1].url.pathname, '/v1.0/1234/threads_insights');
+  assert.equal(calls[1].url.searchParams.get('metric'), 'views,followers_count');
+  assert.equal(calls[1].url.searchParams.get('since'), String(Date.parse('2026-07-11T00:00:00.000Z') / 1000));
+  assert.equal(calls[2].url.searchParams.get('limit'), '100');
+  assert.equal(calls[3].url.searchParams.get('metric'), 'views,likes,replies,reposts,quotes,shares');
+  assert.throws(() => threads.listThreads('../me', 'token', 10), /threads_user_id_invalid/);
+  assert.throws(() => threads.getPostInsights('abc', 'token'), /threads_media_id_invalid/);
+  assert.throws(
+    () => threads.getProfileInsights('1234', 'token', ['views'], '2026-07-17', '2026-07-11'),
+    /threads_insights_range_invalid/
+  );
+});
+
+test('Threads token exchange posts the code and keeps the secret out of the URL', async () => {
+  const calls = [];
+  meta.setMetaTestHooks({
+    fetch: async (url, options = {}) => {
+      calls.push({ url: String(url), options });
+      return response(200, { access_token: 'short', user_id: 1234 });
+    }
+  });
+  await threads.exchangeCode('auth-code', testEnv);
+  assert.equal(calls[0].url, `${threads.THREADS_GRAPH_HOST}/oauth/access_token`);
+  assert.equal(calls[0].options.method, 'POST');
+  const body = new URLSearchParams(calls[0].options.body);
+  assert.equal(body.get('grant_type'), 'authorization_code');
+  assert.equal(body.get('code'), 'auth-code');
+  assert.equal(body.get('redirect_uri'), testEnv.THREADS_REDIRECT_URI);
+  assert.equal(calls[0].url.includes(testEnv.THREADS_APP_SECRET), false);
+
+  await threads.refreshLongLivedToken('long-token', { env: testEnv });
+  const refresh = new URL(calls[1].url);
+  assert.equal(refresh.pathname, '/refresh_access_token');
+  assert.equal(refresh.searchParams.get('grant_type'), 'th_refresh_token');
+});
+
+test('Threads signed callbacks verify with the Threads app secret but not the Meta one', () => {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const request = signedRequest({ algorithm: 'HMAC-SHA256', user_id: '1234', issued_at: nowSeconds }, testEnv.THREADS_APP_SECRET);
+  assert.throws(() => meta.verifySignedRequest(request, testEnv), /meta_signed_request_signature_invalid/);
+  assert.equal(meta.verifySignedRequest(request, testEnv, { appSecret: testEnv.THREADS_APP_SECRET }).user_id, '1234');
+  assert.notEqual(
+    meta.appSecretProof('token', testEnv),
+    meta.appSecretProof('token', testEnv, testEnv.THREADS_APP_SECRET)
+  );
+});
+
+test('Signed callbacks try each configured app secret and skip unset ones', async () => {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const claims = { algorithm: 'HMAC-SHA256', user_id: '1234', issued_at: nowSeconds };
+  const threadsOnly = { THREADS_APP_SECRET: testEnv.THREADS_APP_SECRET };
+  const threadsRequest = signedRequest(claims, testEnv.THREADS_APP_SECRET);
+  const metaRequest = signedRequest(claims, testEnv.META_APP_SECRET);
+
+  const verified = verifyMetaOrThreadsSignedRequest(threadsRequest, threadsOnly);
+  assert.equal(verified.app, 'threads');
+  assert.equal(verified.payload.user_id, '1234');
+  assert.throws(() => verifyMetaOrThreadsSignedRequest(metaRequest, threadsOnly), /^Error: meta_signed_request_signature_invalid$/);
+  assert.equal(verifyMetaOrThreadsSignedRequest(metaRequest, testEnv).app, 'meta');
+  assert.equal(verifyMetaOrThreadsSignedRequest(threadsRequest, testEnv).app, 'threads');
+  assert.equal(verifyMetaOrThreadsSignedRequest(metaRequest, { META_APP_SECRET: testEnv.META_APP_SECRET }).app, 'meta');
+  assert.throws(() => verifyMetaOrThreadsSignedRequest(threadsRequest, {}), /meta_signed_request_not_configured/);
+  assert.throws(() => meta.verifySignedRequest(threadsRequest, {}), /meta_signed_request_secret_missing/);
+
+  await assert.rejects(
+    processMetaSignedCallback('data_deletion', metaRequest, threadsOnly),
+    error => error.status === 400 && error.message === 'meta_signed_request_signature_invalid'
+  );
+  await assert.rejects(
+    processMetaSignedCallback('deauthorization', 'not-a-signed-request', threadsOnly),
+    error => error.status === 400 && error.message === 'meta_signed_request_invalid'
+  );
+  await assert.rejects(
+    processMetaSignedCallback('data_deletion', { toString: () => { throw new TypeError('boom'); } }, threadsOnly),
+    error => error.status === 400 && error.message === 'meta_signed_request_invalid'
+  );
+  await assert.rejects(
+    processMetaSignedCallback('data_deletion', threadsRequest, {}),
+    error => error.status === 503 && error.message === 'meta_signed_request_not_configured'
+  );
+});
+
+test('Threads profile normalization validates ids and usernames', () => {
+  const profile = normalizeProfile({ id: '1234', username: 'studio.co', name: ' Studio Co ' });
+  assert.equal(profile.displayName, 'Studio Co');
+  assert.equal(profile.profileUrl, 'https://www.threads.net/@studio.co');
+  assert.equal(profile.selectable, true);
+  assert.equal(normalizeProfile({ id: '1234', username: 'studio.co' }).displayName, 'studio.co');
+  assert.throws(() => normalizeProfile({ id: 'abc', username: 'x' }), /threads_profile_response_malformed/);
+  assert.throws(() => normalizeProfile({ id: '1', username: 'bad name' }), /threads_profile_response_malformed/);
+  assert.equal(parseProfile({ profile_id: '1234' }, { id: '1234', username: 'studio.co' }).displayName, 'studio.co');
+  assert.throws(() => parseProfile({ profile_id: '1234' }, { id: '99', username: 'other' }), /threads_profile_response_malformed/);
+});
+
+test('Threads insight windows end yesterday and cover exact current and previous ranges', () => {
+  const window = buildInsightsWindow(7, Date.parse('2026-07-18T15:30:00.000Z'));
+  assert.deepEqual(window, { startDate: '2026-07-11', endDate: '2026-07-17', today: '2026-07-18' });
+  const ranges = buildRangeWindows(window.endDate);
+  assert.equal(ranges.length, 6);
+  assert.deepEqual(ranges[0], { key: '7d', days: 7, kind: 'current', startDate: '2026-07-11', endDate: '2026-07-17' });
+  assert.deepEqual(ranges[1], {
+    key: '7d_previous', days: 7, kind: 'previous', startDate: '2026-07-04', endDate: '2026-07-10'
+  });
+  assert.equal(ranges.find(range => range.key === '90d').startDate, '2026-04-19');
+});
+
+test('Threads profile insights keep in-window view days, zeroes, and the follower total', () => {
+  const window = buildInsightsWindow(7, Date.parse('2026-07-18T15:30:00.000Z'));
+  const insights = parseProfileInsights({
+    data: [
+      {
+        name: 'views',
+        values: [
+          { value: 120, end_time: '2026-07-12T07:00:00+0000' },
+          { value: 0, end_time: '2026-07-13T07:00:00+0000' },
+          { value: 5, end_time: '2026-07-19T07:00:00+0000' },
+          { value: 5, end_time: 'not-a-date' }
+        ]
+      },
+      { name: 'followers_count', total_value: { value: 640 } }
+    ]
+  }, window);
+  assert.deepEqual([...insights.viewDays.entries()], [['2026-07-11', 120], ['2026-07-12', 0]]);
+  assert.equal(insights.followerCount, 640);
+  assert.throws(() => parseProfileInsights({}, window), /threads_profile_insights_malformed/);
+
+  assert.deepEqual(parseRangeTotals({
+    data: [{ name: 'likes', total_value: { value: 41 } }, { name: 'replies', total_value: { value: 0 } }]
+  }), { likes: 41, replies: 0, reposts: null, quotes: null });
+  assert.throws(() => parseRangeTotals({ data: null }), /threads_range_insights_malformed/);
+});
+
+test('Threads post parsing skips reposts, invalid ids, and unsafe links', () => {
+  const posts = parsePosts({
+    data: [
+      {
+        id: '18000000000000001',
+        media_type: 'TEXT_POST',
+        text: '  Open\n  house ',
+        permalink: 'https://www.threads.net/@studio.co/post/C0abc',
+        timestamp: '2026-07-14T10:00:00+0000',
+        shortcode: 'C0abc',
+        is_quote_post: true
+      },
+      { id: '18000000000000002', media_type: 'REPOST_FACADE' },
+      { id: 'bad' },
+      { id: '18000000000000003', permalink: 'javascript:alert(1)' }
+    ]
+  });
+  assert.equal(posts.length, 2);
+  assert.equal(posts[0].text, 'Open house');
+  assert.equal(posts[0].publishedAt, '2026-07-14T10:00:00.000Z');
+  assert.equal(posts[0].isQuotePost, true);
+  assert.equal(posts[1].url, null);
+  assert.equal(posts[1].publishedAt, null);
+  assert.throws(() => parsePosts({}), /threads_posts_response_malformed/);
+
+  assert.deepEqual(parsePostInsights({
+    data: [
+      { name: 'views', values: [{ value: 2100 }] },
+      { name: 'likes', total_value: { value: 160 } },
+      { name: 'quotes', values: [{ value: 3 }] }
+    ]
+  }), { views: 2100, likes: 160, replies: null, reposts: null, quotes: 3, shares: null });
+});
+
+test('Threads observations use the shared contract with explicit availability', () => {
+  const window = buildInsightsWindow(7, Date.parse('2026-07-18T15:30:00.000Z'));
+  const [current, previous] = buildRangeWindows(window.endDate);
+  const insights = {
+    window,
+    viewDays: new Map([['2026-07-16', 300], ['2026-07-17', null]]),
+    followerCount: 640,
+    rangeTotals: [
+      { range: current, totals: { likes: 41, replies: 0, reposts: null, quotes: 2 } },
+      { range: previous, totals: null }
+    ],
+    posts: [
+      { id: '18000000000000001', publishedAt: '2026-07-14T10:00:00.000Z', text: 'Open house', url: 'https://www.threads.net/@studio.co/post/C0abc', mediaType: 'TEXT_POST', shortcode: 'C0abc', isQuotePost: false },
+      { id: '18000000000000003', publishedAt: null, text: null, url: null, mediaType: null, shortcode: null, isQuotePost: false }
+    ],
+    postInsights: new Map([['18000000000000001', { views: 2100, likes: 160, replies: 21, reposts: 9, quotes: 3, shares: 4 }]])
+  };
+  const metrics = metricObservations(insights);
+  assert.equal(metrics.length, 11);
+  assert.equal(metrics.every(observation => observation.provider === 'threads'), true);
+  const followers = metrics.find(observation => observation.metricKey === 'threads.followers');
+  assert.equal(followers.grain, 'snapshot');
+  assert.equal(followers.periodStart, '2026-07-18');
+  const views = metrics.filter(observation => observation.metricKey === 'threads.views');
+  assert.deepEqual(views.map(observation => observation.availabilityStatus), ['available', 'not_reported']);
+  const replies = metrics.filter(observation => observation.metricKey === 'threads.replies');
+  assert.equal(replies[0].grain, 'range');
+  assert.equal(replies[0].numericValue, 0);
+  assert.equal(replies[0].periodStart, '2026-07-11');
+  assert.equal(replies[1].availabilityReason, 'threads_range_insights_unavailable');
+  assert.equal(metrics.find(observation => observation.metricKey === 'threads.reposts').availabilityStatus, 'not_reported');
+
+  const dimensions = dimensionObservations(insights);
+  assert.equal(dimensions.length, 2);
+  assert.equal(dimensions[0].breakdownKey, 'threads.posts');
+  assert.equal(dimensions[0].metricValues['threads.views'], 2100);
+  assert.equal(dimensions[0].dimensionValues.url, 'https://www.threads.net/@studio.co/post/C0abc');
+  assert.equal(dimensions[1].availability['threads.views'].status, 'provider_error');
+  assert.equal(dimensions[1].dimensionValues.published_date, '');
+
+  const rows = contentRows(insights);
+  assert.equal(rows[0].viewCount, 2100);
+  assert.equal(rows[0].likeCount, 160);
+  assert.equal(rows[0].commentCount, 21);
+  assert.equal(rows[0].shareCount, 9);
+  assert.equal(rows[0].providerMetrics.quotes, 3);
+  assert.equal(rows[1].viewCount, null);
+  assert.equal(rows[1].providerMetrics, null);
+});
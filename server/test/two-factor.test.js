@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { hasCapability, requiresSecondFactor } = require('../platform/rbac');
+const {
+  buildOtpauthUri,
+  decodeBase32,
+  encodeBase32,
+  generateTotpCode,
+  matchTotpStep
+} = require('../platform/two-factor-service');
+
+const RFC_SECRET = Buffer.from('12345678901234567890');
+
+test('TOTP codes match the RFC 6238 SHA-1 vectors and reject replayed or distant steps', () => {
+  assert.equal(generateTotpCode(RFC_SECRET, Math.floor(59 / 30)), '287082');
+  assert.equal(generateTotpCode(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+  assert.equal(generateTotpCode(RFC_SECRET, Math.floor(1234567890 / 30)), '005924');
+  assert.equal(generateTotpCode(RFC_SECRET, Math.floor(2000000000 / 30)), '279037');
+
+  const nowMs = 1111111109 * 1000;
+  const step = Math.floor(1111111109 / 30);
+  assert.equal(matchTotpStep(RFC_SECRET, '081804', { nowMs }), step);
+  assert.equal(matchTotpStep(RFC_SECRET, '081 804', { nowMs }), step);
+  assert.equal(matchTotpStep(RFC_SECRET, generateTotpCode(RFC_SECRET, step - 1), { nowMs }), step - 1);
+  assert.equal(matchTotpStep(RFC_SECRET, generateTotpCode(RFC_SECRET, step + 1), { nowMs }), step + 1);
+  assert.equal(matchTotpStep(RFC_SECRET, generateTotpCode(RFC_SECRET, step + 2), { nowMs }), null);
+  assert.equal(matchTotpStep(RFC_SECRET, '081804', { nowMs, lastUsedStep: step }), null);
+  assert.equal(matchTotpStep(RFC_SECRET, generateTotpCode(RFC_SECRET, step - 1), { nowMs, lastUsedStep: step }), null);
+  assert.equal(matchTotpStep(RFC_SECRET, '81804', { nowMs }), null);
+  assert.equal(matchTotpStep(RFC_SECRET, 'abcdef', { nowMs }), null);
+});
+
+test('TOTP secrets round-trip through base32 and otpauth URIs carry the issuer and account', () => {
+  assert.equal(encodeBase32(RFC_SECRET), 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.deepEqual(decodeBase32('gezd gnbv gy3t qojq gezd gnbv gy3t qojq'), RFC_SECRET);
+  assert.throws(() => decodeBase32('not-base32!'), { code: 'totp_secret_invalid' });
+  const uri = new URL(buildOtpauthUri({
+    secret: 'GEZDGNBVGY3TQOJQ',
+    accountName: 'owner@example.com',
+    issuer: 'Social Insights Studio'
+  }));
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/Social Insights Studio:owner@example.com');
+  assert.equal(uri.searchParams.get('secret'), 'GEZDGNBVGY3TQOJQ');
+  assert.equal(uri.searchParams.get('period'), '30');
+});
+
+test('second factors are required for roles that can manage connections or members', () => {
+  assert.deepEqual(
+    ['owner', 'admin', 'analyst', 'viewer'].map(role => [role, requiresSecondFactor(role)]),
+    [['owner', true], ['admin', true], ['analyst', false], ['viewer', false]]
+  );
+  assert.equal(hasCapability('owner', 'manageSecurity'), true);
+  assert.equal(hasCapability('admin', 'manageSecurity'), false);
+});
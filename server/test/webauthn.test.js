@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getPasskeyConfiguration } = require('../platform/passkey-service');
+const {
+  COSE_ALGORITHMS,
+  decodeCbor,
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse
+} = require('../platform/webauthn');
+const { createSoftwareAuthenticator, encodeCbor } = require('../scripts/software-authenticator');
+
+const ORIGIN = 'https://insights.example';
+const RP_ID = 'insights.example';
+
+function registrationOptions(challenge) {
+  return { challenge, rp: { id: RP_ID }, user: { id: Buffer.from('user-1').toString('base64url') } };
+}
+
+test('software authenticator credentials pass registration and assertion verification', () => {
+  const authenticator = createSoftwareAuthenticator({ origin: ORIGIN, rpId: RP_ID });
+  const created = authenticator.createCredential(registrationOptions('register-challenge'));
+  const registered = verifyRegistrationResponse(created.response, {
+    challenge: 'register-challenge',
+    origins: [ORIGIN],
+    rpId: RP_ID
+  });
+  assert.equal(registered.credentialId, created.id);
+  assert.equal(registered.algorithm, COSE_ALGORITHMS.ES256);
+  assert.equal(registered.signCount, 0);
+  assert.equal(registered.attestationFormat, 'none');
+  assert.equal(registered.aaguid, '00000000-0000-0000-0000-000000000000');
+
+  const credential = { publicKey: registered.publicKey, signCount: registered.signCount };
+  const assertion = authenticator.getAssertion({ challenge: 'sign-in-challenge', rpId: RP_ID });
+  const verified = verifyAuthenticationResponse(assertion.response, {
+    challenge: 'sign-in-challenge',
+    origins: [ORIGIN],
+    rpId: RP_ID,
+    credential
+  });
+  assert.deepEqual(verified, { signCount: 1, backedUp: false });
+  assert.equal(assertion.response.userHandle, Buffer.from('user-1').toString('base64url'));
+
+  const options = { challenge: 'sign-in-challenge', origins: [ORIGIN], rpId: RP_ID };
+  assert.throws(
+    () => verifyAuthenticationResponse(assertion.response, { ...options, challenge: 'other', credential }),
+    { code: 'passkey_challenge_invalid' }
+  );
+  assert.throws(
+    () => verifyAuthenticationResponse(assertion.response, { ...options, rpId: 'other.example', credential }),
+    { code: 'passkey_rp_id_invalid' }
+  );
+  assert.throws(
+    () => verifyAuthenticationResponse(assertion.response, { ...options, credential: { ...credential, signCount: 1 } }),
+    { code: 'passkey_counter_invalid' }
+  );
+  const tampered = { ...assertion.response, signature: Buffer.alloc(70, 1).toString('base64url') };
+  assert.throws(
+    () => verifyAuthenticationResponse(tampered, { ...options, credential }),
+    { code: 'passkey_signature_invalid' }
+  );
+  const crossSite = authenticator.getAssertion({ challenge: 'sign-in-challenge', rpId: RP_ID }, {
+    clientOrigin: 'https://evil.example'
+  });
+  assert.throws(
+    () => verifyAuthenticationResponse(crossSite.response, { ...options, credential }),
+    { code: 'passkey_origin_invalid' }
+  );
+});
+
+test('registration rejects authenticators without user verification and malformed CBOR', () => {
+  const authenticator = createSoftwareAuthenticator({ origin: ORIGIN, rpId: RP_ID, userVerification: false });
+  const created = authenticator.createCredential(registrationOptions('challenge'));
+  assert.throws(
+    () => verifyRegistrationResponse(created.response, { challenge: 'challenge', origins: [ORIGIN], rpId: RP_ID }),
+    { code: 'passkey_user_verification_required' }
+  );
+  assert.throws(
+    () => verifyRegistrationResponse(
+      { ...created.response, attestationObject: Buffer.from([0xbf]).toString('base64url') },
+      { challenge: 'challenge', origins: [ORIGIN], rpId: RP_ID }
+    ),
+    { code: 'passkey_cbor_invalid' }
+  );
+  const encoded = encodeCbor(new Map([['fmt', 'none'], [-7, Buffer.from('ab')]]));
+  const { value, offset } = decodeCbor(encoded);
+  assert.equal(offset, encoded.length);
+  assert.equal(value.get('fmt'), 'none');
+  assert.deepEqual(value.get(-7), Buffer.from('ab'));
+});
+
+test('passkey configuration derives the relying party from BASE_URL and extra origins', () => {
+  assert.deepEqual(getPasskeyConfiguration({ BASE_URL: 'https://app.example.com/' }), {
+    rpId: 'app.example.com',
+    rpName: 'Social Insights Studio',
+    origins: ['https://app.example.com']
+  });
+  assert.deepEqual(getPasskeyConfiguration({
+    BASE_URL: 'http://localhost:3001',
+    WEBAUTHN_RP_ID: 'localhost',
+    WEBAUTHN_RP_NAME: 'Insights Dev',
+    WEBAUTHN_ORIGINS: 'http://localhost:5173, http://localhost:3001'
+  }), {
+    rpId: 'localhost',
+    rpName: 'Insights Dev',
+    origins: ['http://localhost:3001', 'http://localhost:5173']
+  });
+  assert.throws(() => getPasskeyConfiguration({}), { code: 'passkeys_not_configured' });
+  assert.throws(
+    () => getPasskeyConfiguration({ BASE_URL: 'https://app.example.com', WEBAUTHN_ORIGINS: 'not a url' }),
+    { code: 'passkey_origin_configuration_invalid' }
+  );
+});
@@ -2,8 +2,13 @@
 const path = require('path');
 require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
 const { closePool } = require('./database');
+const { runDueDeletions } = require('./platform/deletion-service');
+const { getKeyRotationStatus, runKeyRotation } = require('./platform/key-rotation-service');
+const { initializeKeyProvider } = require('./platform/secret-envelope');
 const { runDueSyncs } = require('./platform/sync-service');
 const { runDueReports } = require('./platform/report-worker-service');
+const { runDueRetention } = require('./platform/retention-service');
+const { runDueWebhookDeliveries } = require('./platform/webhook-service');
 
 function getArgValue(name, fallback) {
   const index = process.argv.indexOf(name);
@@ -13,12 +18,45 @@ function getArgValue(name, fallback) {
 
 async function main() {
   const command = process.argv[2];
-  if (!['sync-due', 'reports-due'].includes(command)) {
-    console.error('Usage: node server/worker.js <sync-due|reports-due> --time-budget-seconds 240');
+  const commands = ['sync-due', 'reports-due', 'deletions-due', 'retention-due', 'webhooks-due', 'rotate-keys', 'key-status'];
+  if (!commands.includes(command)) {
+    console.error(
+      `Usage: node server/worker.js <${commands.join('|')}> --time-budget-seconds 240 [--batch-size 100] [--dry-run]`
+    );
     process.exitCode = 1;
     return;
   }
+  await initializeKeyProvider();
   const timeBudgetSeconds = Number(getArgValue('--time-budget-seconds', process.env.WORKER_TIME_BUDGET_SECONDS || 240));
+  if (command === 'key-status') {
+    console.log(JSON.stringify(await getKeyRotationStatus()));
+    return;
+  }
+  if (command === 'rotate-keys') {
+    const result = await runKeyRotation({
+      timeBudgetSeconds,
+      batchSize: getArgValue('--batch-size', 100),
+      dryRun: process.argv.includes('--dry-run')
+    });
+    console.log(JSON.stringify(result));
+    if (Object.values(result.results).some(item => item.failed > 0)) process.exitCode = 1;
+    return;
+  }
+  if (command === 'retention-due') {
+    const result = await runDueRetention({ timeBudgetSeconds, dryRun: process.argv.includes('--dry-run') });
+    console.log(JSON.stringify(result));
+    return;
+  }
+  if (command === 'webhooks-due') {
+    const result = await runDueWebhookDeliveries({ timeBudgetSeconds });
+    console.log(JSON.stringify(result));
+    return;
+  }
+  if (command === 'deletions-due') {
+    const result = await runDueDeletions({ timeBudgetSeconds });
+    console.log(JSON.stringify(result));
+    return;
+  }
   if (command === 'reports-due') {
     const result = await runDueReports({ timeBudgetSeconds });
     console.log(JSON.stringify(result));